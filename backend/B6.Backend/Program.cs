@@ -4,6 +4,8 @@ using Azure.Security.KeyVault.Secrets;
 using B6.Backend;
 using B6.Backend.Hubs;
 using B6.Contracts; 
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
 using Microsoft.AspNetCore.SignalR;                       
 using Microsoft.Extensions.Logging.EventLog;
 using Nethereum.Web3;
@@ -14,6 +16,7 @@ using System.IO;
 using System.Net.Http;
 using System.Net.Http.Headers;
 using System.Numerics;
+using System.Security.Claims;
 using System.Security.Cryptography;
 using System.Text;
 using System.Text.Json;
@@ -55,6 +58,21 @@ builder.Services.AddCors(options => {
 
 builder.Services.AddHttpClient();
 
+// Sign-In With Ethereum session (/auth/*): cookie holds the verified wallet address.
+// API callers get 401/403 instead of a login redirect.
+builder.Services.AddAuthentication(CookieAuthenticationDefaults.AuthenticationScheme)
+    .AddCookie(o => {
+        o.Cookie.Name         = "b6.session";
+        o.Cookie.HttpOnly     = true;
+        o.Cookie.SameSite     = SameSiteMode.Strict;
+        o.Cookie.SecurePolicy = CookieSecurePolicy.SameAsRequest;
+        o.ExpireTimeSpan      = TimeSpan.FromHours(12);
+        o.SlidingExpiration   = true;
+        o.Events.OnRedirectToLogin        = ctx => { ctx.Response.StatusCode = 401; return Task.CompletedTask; };
+        o.Events.OnRedirectToAccessDenied = ctx => { ctx.Response.StatusCode = 403; return Task.CompletedTask; };
+    });
+builder.Services.AddAuthorization();
+
 builder.Logging.ClearProviders();
 builder.Logging.SetMinimumLevel(LogLevel.Information);
 builder.Logging.AddConsole();
@@ -62,6 +80,8 @@ builder.Logging.AddConsole();
 var app = builder.Build();
 
 app.UseCors("AllowFrontend");
+app.UseAuthentication();
+app.UseAuthorization();
 
 /* --------------------- Helpers ---------------------*/
 static long         ToUnixSeconds(DateTime dtUtc){
@@ -77,6 +97,35 @@ static string       GetRequired(IConfiguration cfg, string key){
     return v;
 }
 
+static string       GetOptional(IConfiguration cfg, string key, string fallback){
+    var v = cfg[key];
+    return string.IsNullOrWhiteSpace(v) ? fallback : v;
+}
+
+// Wallet address of the SIWE session (lowercase), null when not signed in
+static string?      SessionAddress(HttpContext ctx){
+    return ctx.User.FindFirst("address")?.Value;
+}
+
+// Minimal EIP-4361 parser: "<domain> wants you to sign in …" line, address line, then "Key: value" fields.
+// Returns null when the text is not a SIWE message.
+static Dictionary<string, string>? ParseSiweMessage(string message){
+    const string header = " wants you to sign in with your Ethereum account:";
+    var lines = message.Replace("\r\n", "\n").Split('\n');
+    if (lines.Length < 3 || !lines[0].EndsWith(header, StringComparison.Ordinal)) return null;
+
+    var fields = new Dictionary<string, string>(StringComparer.Ordinal) {
+        ["Domain"]  = lines[0][..^header.Length],
+        ["Address"] = lines[1].Trim(),
+    };
+    foreach (var line in lines.Skip(2))
+    {
+        var i = line.IndexOf(": ", StringComparison.Ordinal);
+        if (i > 0) fields.TryAdd(line[..i], line[(i + 2)..].Trim());
+    }
+    return fields;
+}
+
 // Best-effort kick for MissionIndexer to refresh a mission snapshot quickly
 static async Task KickMissionAsync(string mission, string? txHash, string? eventType, IConfiguration cfg, IHubContext<GameHub> hub) {
     try
@@ -144,6 +193,87 @@ static async Task   InsertMissionTxAsync(IConfiguration cfg, string mission, str
     }
 }
 
+// Maps a GameHub event to a browser notification kind (null = not worth an OS notification).
+// Kinds must match the TEXTS table in wwwroot/sw.js.
+static string?      WebPushKind(string hubEvent, string? reason, short? newStatus){
+    if (hubEvent == "MissionUpdated")
+    {
+        if (reason == "Enrollment.ClosingSoon")                              return "enrollment-closing";
+        if (reason == "Cooldown.End")                                        return "cooldown-ended";
+        if (reason != null && reason.StartsWith("MissionEnd.", StringComparison.Ordinal)) return "mission-ended";
+        return null;
+    }
+    if (hubEvent == "StatusChanged" && newStatus.HasValue)
+    {
+        if (newStatus.Value == 3) return "mission-active";   // also sent when a cooldown ends; filtered on round_count
+        if (newStatus.Value >= 5) return "mission-ended";
+    }
+    return null;
+}
+
+// Sends one Web Push message to every browser subscribed to the mission.
+// Expired subscriptions (404/410 from the push service) are removed.
+static async Task   SendWebPushAsync(IConfiguration cfg, string mission, string kind, object payload){
+    var publicKey  = cfg["Push:Vapid:PublicKey"];
+    var privateKey = cfg["Push:Vapid:PrivateKey"];
+    var subject    = cfg["Push:Vapid:Subject"] ?? "mailto:info@b6missions.com";
+    if (string.IsNullOrWhiteSpace(publicKey) || string.IsNullOrWhiteSpace(privateKey)) return;   // push not configured
+
+    var cs = cfg.GetConnectionString("Db");
+    await using var conn = new NpgsqlConnection(cs);
+    await conn.OpenAsync();
+
+    // "Active" is also reported after every cooldown; only notify for the Arming → Active start
+    if (kind == "mission-active")
+    {
+        await using var rc = new NpgsqlCommand("select round_count from missions where mission_address = @m;", conn);
+        rc.Parameters.AddWithValue("m", mission);
+        var rounds = await rc.ExecuteScalarAsync();
+        if (rounds is not null and not DBNull && Convert.ToInt32(rounds) > 0) return;
+    }
+
+    var subs = new List<(string Endpoint, string P256dh, string Auth)>();
+    await using (var cmd = new NpgsqlCommand(@"
+        select endpoint, p256dh, auth
+        from web_push_subscriptions
+        where mission_address = @m;", conn))
+    {
+        cmd.Parameters.AddWithValue("m", mission);
+        await using var rd = await cmd.ExecuteReaderAsync();
+        while (await rd.ReadAsync())
+            subs.Add((rd.GetString(0), rd.GetString(1), rd.GetString(2)));
+    }
+    if (subs.Count == 0) return;
+
+    var client = new WebPush.WebPushClient();
+    var vapid  = new WebPush.VapidDetails(subject, publicKey, privateKey);
+    var json   = JsonSerializer.Serialize(payload);
+    int sent   = 0, dropped = 0;
+
+    foreach (var s in subs)
+    {
+        try
+        {
+            await client.SendNotificationAsync(new WebPush.PushSubscription(s.Endpoint, s.P256dh, s.Auth), json, vapid);
+            sent++;
+        }
+        catch (WebPush.WebPushException ex) when (ex.StatusCode == System.Net.HttpStatusCode.Gone ||
+                                                  ex.StatusCode == System.Net.HttpStatusCode.NotFound)
+        {
+            await using var del = new NpgsqlCommand("delete from web_push_subscriptions where endpoint = @e;", conn);
+            del.Parameters.AddWithValue("e", s.Endpoint);
+            await del.ExecuteNonQueryAsync();
+            dropped++;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"[WebPush] send failed mission={mission} kind={kind}: {ex.Message}");
+        }
+    }
+
+    Console.WriteLine($"[WebPush] mission={mission} kind={kind} sent={sent} dropped={dropped} at {DateTime.UtcNow:o}");
+}
+
 /* ------------------- API endpoints ----------------- */
 
 // /       -> health check
@@ -152,10 +282,94 @@ app.MapGet("/",                               ()
 );
 
 // /api/config -> shared runtime config for frontend
+//   network: the chain this backend indexes (Network:* keys; Cronos mainnet when unset).
+//   network.rpc is the public RPC wallets get in wallet_addEthereumChain; browser reads use /api/rpc.
+//   walletConnect.projectId: WalletConnect Cloud project id ("" = no WalletConnect option in the wallet picker).
 app.MapGet("/config",                         (IConfiguration cfg)                      => { // frontend config
     var rpc     = GetRequired(cfg, "Cronos:Rpc");
     var factory = GetRequired(cfg, "Contracts:Factory");
-    return Results.Ok(new { rpc, factory });
+    var network = new {
+        key      = GetOptional(cfg, "Network:Key",      "cronos"),
+        chainId  = long.TryParse(cfg["Network:ChainId"], out var cid) ? cid : 25,
+        name     = GetOptional(cfg, "Network:Name",     "Cronos"),
+        symbol   = GetOptional(cfg, "Network:Symbol",   "CRO"),
+        explorer = cfg["Network:Explorer"] ?? "https://explorer.cronos.org",     // "" = no explorer (local node)
+        rpc      = GetOptional(cfg, "Network:PublicRpc", "https://evm.cronos.org"),
+    };
+    var walletConnect = new { projectId = cfg["WalletConnect:ProjectId"] ?? "" };
+    return Results.Ok(new { rpc, factory, network, walletConnect });
+});
+
+/***********************
+ *  AUTH – Sign-In With Ethereum (EIP-4361)
+ *  GET  /auth/nonce    -> single-use nonce (5 min)
+ *  POST /auth/verify   -> { message, signature } → session cookie
+ *  GET  /auth/session  -> { address } or 401
+ *  POST /auth/logout   -> clears the cookie
+ *  Kicks (/events/*) and /players/{addr}/eligibility require the session.
+ ***********************/
+var siweNonces = new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.Ordinal);
+
+app.MapGet("/auth/nonce",                     ()                                        => { // SIWE nonce
+    var now = DateTime.UtcNow;
+    foreach (var kv in siweNonces)
+        if (kv.Value < now) siweNonces.TryRemove(kv.Key, out _);
+
+    var nonce = Convert.ToHexString(RandomNumberGenerator.GetBytes(16)).ToLowerInvariant();
+    siweNonces[nonce] = now.AddMinutes(5);
+    return Results.Ok(new { nonce });
+});
+
+app.MapPost("/auth/verify",             async (HttpContext ctx, IConfiguration cfg, SiweVerifyDto body) => { // SIWE sign-in
+    if (string.IsNullOrWhiteSpace(body.Message) || string.IsNullOrWhiteSpace(body.Signature))
+        return Results.BadRequest("Missing message / signature");
+
+    var f = ParseSiweMessage(body.Message);
+    if (f is null) return Results.BadRequest("Not a SIWE message");
+
+    // Bound to this site, this chain and one of our nonces
+    if (!string.Equals(f["Domain"], ctx.Request.Host.Value, StringComparison.OrdinalIgnoreCase))
+        return Results.BadRequest("Wrong domain");
+
+    var chainId = long.TryParse(cfg["Network:ChainId"], out var cid) ? cid : 25;
+    if (!f.TryGetValue("Chain ID", out var msgChain) || msgChain != chainId.ToString())
+        return Results.BadRequest("Wrong chain");
+
+    if (!f.TryGetValue("Nonce", out var nonce) || !siweNonces.TryRemove(nonce, out var nonceExp) || nonceExp < DateTime.UtcNow)
+        return Results.BadRequest("Unknown or expired nonce");
+
+    if (f.TryGetValue("Expiration Time", out var expText) &&
+        (!DateTimeOffset.TryParse(expText, out var exp) || exp < DateTimeOffset.UtcNow))
+        return Results.BadRequest("Message expired");
+
+    string signer;
+    try
+    {
+        signer = new Nethereum.Signer.EthereumMessageSigner().EncodeUTF8AndEcRecover(body.Message, body.Signature);
+    }
+    catch
+    {
+        return Results.BadRequest("Invalid signature");
+    }
+    if (!string.Equals(signer, f["Address"], StringComparison.OrdinalIgnoreCase))
+        return Results.Unauthorized();
+
+    var address  = signer.ToLowerInvariant();
+    var identity = new ClaimsIdentity(new[] { new Claim("address", address) }, CookieAuthenticationDefaults.AuthenticationScheme);
+    await ctx.SignInAsync(CookieAuthenticationDefaults.AuthenticationScheme, new ClaimsPrincipal(identity));
+
+    Console.WriteLine($"[Auth] session for {address} at {DateTime.UtcNow:o}");
+    return Results.Ok(new { address });
+});
+
+app.MapGet("/auth/session",                   (HttpContext ctx)                         => { // current session
+    var address = SessionAddress(ctx);
+    return address is null ? Results.Unauthorized() : Results.Ok(new { address });
+});
+
+app.MapPost("/auth/logout",             async (HttpContext ctx)                         => { // end session
+    await ctx.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+    return Results.Ok(new { ok = true });
 });
 
 // /api/rpc -> reverse-proxy JSON-RPC to Cronos node (to avoid CORS issues)
@@ -562,7 +776,7 @@ app.MapGet("/missions/joinable",        async (IConfiguration cfg)
     return Results.Ok(list);
 });
 
-// GET /missions/player/{addr}  → all missions a player is enrolled in (DB, no RPC)
+// GET /missions/player/{addr}  → all missions a player is enrolled in + that player's row (DB, no RPC)
 app.MapGet("/missions/player/{addr}",   async (string addr, IConfiguration cfg)         => { // all missions a player is enrolled in
     if (string.IsNullOrWhiteSpace(addr)) return Results.BadRequest("Missing address");
     addr = addr.ToLowerInvariant();
@@ -578,9 +792,17 @@ app.MapGet("/missions/player/{addr}",   async (string addr, IConfiguration cfg)
             GROUP BY mission_address
         ),
         player_missions AS (
-            SELECT DISTINCT mission_address
+            SELECT DISTINCT ON (mission_address)
+                mission_address,
+                ""enrolledTS"",
+                ""amountWon""::text AS ""amountWon"",
+                ""wonTS"",
+                refunded,
+                ""refundFailed"",
+                ""refundTS""
             FROM players
             WHERE lower(player) = lower(trim(@p))
+            ORDER BY mission_address
         )
         SELECT
             m.mission_address,
@@ -606,7 +828,8 @@ app.MapGet("/missions/player/{addr}",   async (string addr, IConfiguration cfg)
             m.last_round_pause_secs,
             m.creator_address,
             m.all_refunded,
-            COALESCE(c.enrolled,0)         AS enrolled_players
+            COALESCE(c.enrolled,0)         AS enrolled_players,
+            pm.""enrolledTS"", pm.""amountWon"", pm.""wonTS"", pm.refunded, pm.""refundFailed"", pm.""refundTS""
         FROM missions m
         JOIN player_missions pm USING (mission_address)
         LEFT JOIN counts c USING (mission_address)
@@ -643,7 +866,14 @@ app.MapGet("/missions/player/{addr}",   async (string addr, IConfiguration cfg)
             last_round_pause_secs  = rd["last_round_pause_secs"] is DBNull ? (int?)null : Convert.ToInt32(rd["last_round_pause_secs"]),
             creator_address        = rd["creator_address"] as string,
             all_refunded           = rd["all_refunded"] is DBNull ? false : (bool) rd["all_refunded"],
-            enrolled_players       = Convert.ToInt32(rd["enrolled_players"])
+            enrolled_players       = Convert.ToInt32(rd["enrolled_players"]),
+            // this player's own enrollment row (profile stats)
+            player_enrolled_ts     = rd["enrolledTS"] is DBNull ? (long?)null : Convert.ToInt64(rd["enrolledTS"]),
+            player_amount_won_wei  = rd["amountWon"]?.ToString(),
+            player_won_ts          = rd["wonTS"] is DBNull ? (long?)null : Convert.ToInt64(rd["wonTS"]),
+            player_refunded        = rd["refunded"] is DBNull ? false : (bool) rd["refunded"],
+            player_refund_failed   = rd["refundFailed"] is DBNull ? false : (bool) rd["refundFailed"],
+            player_refund_ts       = rd["refundTS"] is DBNull ? (long?)null : Convert.ToInt64(rd["refundTS"])
         });
     }
 
@@ -916,6 +1146,7 @@ app.MapGet("/players/{addr}/tx", async (string addr, HttpRequest req, IConfigura
  *  PLAYERS – READ API
  *  GET /players/{addr}/eligibility
  *  -> delegates to MissionFactory.canEnroll(address) and related views
+ *  -> requires a SIWE session (any wallet; it costs RPC calls)
  ***********************/
 app.MapGet("/players/{addr}/eligibility", async (string addr, IConfiguration cfg)       =>{ // check if a player can enroll right now
     if (string.IsNullOrWhiteSpace(addr)) return Results.BadRequest("Missing address");
@@ -983,6 +1214,163 @@ app.MapGet("/players/{addr}/eligibility", async (string addr, IConfiguration cfg
         monthly_reset_at    = limits?.MonthlyResetAt is null ? (long?)null : (long)limits.MonthlyResetAt,
         reason
     });
+}).RequireAuthorization();
+
+/***********************
+ *  LEADERBOARD – READ API
+ *  GET /leaderboard?window=week|month|all&type=<missionType>&limit=<n>
+ *  -> four boards across all missions (DB, no RPC):
+ *     top_payout, most_rounds, best_bank, best_roi
+ ***********************/
+var leaderboardCache = new System.Collections.Concurrent.ConcurrentDictionary<string, (DateTime At, object Body)>(StringComparer.OrdinalIgnoreCase);
+
+app.MapGet("/leaderboard",              async (HttpRequest req, IConfiguration cfg)     => { // cross-mission leaderboards
+    var window = req.Query["window"].ToString().ToLowerInvariant();
+    if (window != "week" && window != "month") window = "all";
+
+    var type  = int.TryParse(req.Query["type"].ToString(),  out var t) && t >= 0 ? t : -1;              // -1 → all mission types
+    var limit = int.TryParse(req.Query["limit"].ToString(), out var l) ? Math.Clamp(l, 1, 50) : 10;
+
+    // Boards only move when a round is banked; 30 s is plenty
+    var cacheKey = $"{window}|{type}|{limit}";
+    if (leaderboardCache.TryGetValue(cacheKey, out var hit) && (DateTime.UtcNow - hit.At) < TimeSpan.FromSeconds(30))
+        return Results.Ok(hit.Body);
+
+    var nowTs = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+    var since = window == "week" ? nowTs - 7 * 86400 : window == "month" ? nowTs - 30 * 86400 : 0L;
+
+    // ROI needs a few paid enrollments in the window so one lucky join does not top the board
+    const int roiMinMissions = 3;
+
+    var cs = cfg.GetConnectionString("Db");
+    await using var conn = new NpgsqlConnection(cs);
+    await conn.OpenAsync();
+
+    // Rounds (payouts) inside the window, per mission type
+    var roundsCte = @"
+        with r as (
+            select lower(mr.winner_address) as player,
+                   m.mission_address,
+                   m.name,
+                   mr.round_number,
+                   mr.payout_wei,
+                   mr.tx_hash,
+                   mr.created_at
+            from mission_rounds mr
+            join missions m on lower(m.mission_address) = lower(mr.mission_address)
+            where mr.winner_address is not null
+              and mr.created_at >= to_timestamp(@since)
+              and (@type < 0 or m.mission_type = @type)
+        )";
+
+    NpgsqlCommand Cmd(string sql) {
+        var c = new NpgsqlCommand(roundsCte + sql, conn);
+        c.Parameters.AddWithValue("since", since);
+        c.Parameters.AddWithValue("type",  type);
+        c.Parameters.AddWithValue("n",     limit);
+        c.Parameters.AddWithValue("minM",  roiMinMissions);
+        return c;
+    }
+
+    // 1) top total payout + 2) most rounds banked (same aggregate, two orders)
+    async Task<List<object>> TotalsAsync(string orderBy) {
+        await using var cmd = Cmd($@"
+            select player, sum(payout_wei)::text as total_wei, count(*)::int as rounds
+            from r
+            group by player
+            order by {orderBy}
+            limit @n;");
+        await using var rd = await cmd.ExecuteReaderAsync();
+        var list = new List<object>();
+        while (await rd.ReadAsync())
+        {
+            list.Add(new {
+                player    = rd["player"] as string,
+                total_wei = rd["total_wei"]?.ToString(),
+                rounds    = Convert.ToInt32(rd["rounds"])
+            });
+        }
+        return list;
+    }
+
+    var topPayout  = await TotalsAsync("sum(payout_wei) desc, count(*) desc");
+    var mostRounds = await TotalsAsync("count(*) desc, sum(payout_wei) desc");
+
+    // 3) best single bank
+    var bestBank = new List<object>();
+    await using (var cmd = Cmd(@"
+        select player, mission_address, name, round_number, payout_wei::text as payout_wei, tx_hash, created_at
+        from r
+        order by r.payout_wei desc, r.created_at asc
+        limit @n;"))
+    await using (var rd = await cmd.ExecuteReaderAsync())
+    {
+        while (await rd.ReadAsync())
+        {
+            bestBank.Add(new {
+                player          = rd["player"] as string,
+                mission_address = rd["mission_address"] as string,
+                mission_name    = rd["name"] as string,
+                round_number    = Convert.ToInt16(rd["round_number"]),
+                payout_wei      = rd["payout_wei"]?.ToString(),
+                tx_hash         = rd["tx_hash"] as string,
+                banked_at       = ToUnixSeconds(((DateTime) rd["created_at"]).ToUniversalTime())
+            });
+        }
+    }
+
+    // 4) best ROI: payouts in the window vs. non-refunded fees paid in the window
+    var bestRoi = new List<object>();
+    await using (var cmd = Cmd(@"
+        , f as (
+            select lower(p.player) as player, sum(m.enrollment_amount_wei) as fees, count(*)::int as missions
+            from players p
+            join missions m on lower(m.mission_address) = lower(p.mission_address)
+            where not coalesce(p.refunded, false)
+              and coalesce(p.""enrolledTS"", 0) >= @since
+              and (@type < 0 or m.mission_type = @type)
+            group by 1
+        ),
+        w as (
+            select player, sum(payout_wei) as won from r group by player
+        )
+        select f.player,
+               coalesce(w.won, 0)::text                          as won_wei,
+               f.fees::text                                      as fees_wei,
+               f.missions,
+               ((coalesce(w.won, 0) - f.fees) / f.fees)::float8  as roi
+        from f
+        left join w using (player)
+        where f.fees > 0 and f.missions >= @minM
+        order by roi desc, f.missions desc
+        limit @n;"))
+    await using (var rd = await cmd.ExecuteReaderAsync())
+    {
+        while (await rd.ReadAsync())
+        {
+            bestRoi.Add(new {
+                player   = rd["player"] as string,
+                won_wei  = rd["won_wei"]?.ToString(),
+                fees_wei = rd["fees_wei"]?.ToString(),
+                missions = Convert.ToInt32(rd["missions"]),
+                roi      = Convert.ToDouble(rd["roi"])
+            });
+        }
+    }
+
+    var body = new {
+        window,
+        type             = type < 0 ? (int?)null : type,
+        generated_at     = nowTs,
+        roi_min_missions = roiMinMissions,
+        top_payout       = topPayout,
+        most_rounds      = mostRounds,
+        best_bank        = bestBank,
+        best_roi         = bestRoi
+    };
+
+    leaderboardCache[cacheKey] = (DateTime.UtcNow, body);
+    return Results.Ok(body);
 });
 
 /* ---------- HEALTH ---------- */
@@ -1155,6 +1543,7 @@ var createdPingThrottle = new System.Collections.Concurrent.ConcurrentDictionary
 var enrollPingThrottle  = new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
 var bankPingThrottle    = new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
 var finalizePingThrottle= new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+var potPingThrottle     = new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
 
 // POST /events/created  → mission created event
 app.MapPost("/events/created",          async (HttpRequest req, IConfiguration cfg, IHubContext<GameHub> hub                        ) => { // mission created event
@@ -1201,7 +1590,7 @@ app.MapPost("/events/created",          async (HttpRequest req, IConfiguration c
     await KickMissionAsync(mission, txHash, "Created", cfg, hub);
 
     return Results.Ok(new { pushed = true });
-});
+}).RequireAuthorization();
 
 // POST /events/enrolled  → mission enrolled event
 app.MapPost("/events/enrolled", async (HttpRequest request, IConfiguration cfg, IHubContext<GameHub> hub) =>{ // mission enrolled event
@@ -1240,6 +1629,10 @@ app.MapPost("/events/enrolled", async (HttpRequest request, IConfiguration cfg,
         return Results.BadRequest("Missing mission / player / txHash");
     }
 
+    // Kicks are per player: only the signed-in wallet may report its own enrollment
+    if (!string.Equals(player, SessionAddress(request.HttpContext), StringComparison.OrdinalIgnoreCase))
+        return Results.StatusCode(403);
+
     var receivedAt = DateTime.UtcNow;
     Console.WriteLine(
         $"[Evt.Enrolled] Received mission={mission} player={player} tx={txHash} block={block?.ToString() ?? "-"} at {receivedAt:o}");
@@ -1299,11 +1692,12 @@ app.MapPost("/events/enrolled", async (HttpRequest request, IConfiguration cfg,
             $"[Evt.Enrolled] ERROR mission={mission} player={player} tx={txHash} at {DateTime.UtcNow:o}: {ex}");
         return Results.StatusCode(500);
     }
-});
+}).RequireAuthorization();
 
 // POST /events/banked  → mission banked event
 app.MapPost("/events/banked",           async (HttpRequest req, IConfiguration cfg, IHubContext<GameHub> hub                        ) => { // mission banked event
     string? mission = null;
+    string? player  = null;
     string? txHash  = null;
 
     try
@@ -1312,6 +1706,7 @@ app.MapPost("/events/banked",           async (HttpRequest req, IConfiguration c
         var root = doc.RootElement;
 
         mission = root.TryGetProperty("mission", out var m) ? m.GetString() : null;
+        player  = root.TryGetProperty("player",  out var p) ? p.GetString() : null;
         txHash  = root.TryGetProperty("txHash",  out var h) ? h.GetString() : null;
     }
     catch
@@ -1322,6 +1717,10 @@ app.MapPost("/events/banked",           async (HttpRequest req, IConfiguration c
     if (string.IsNullOrWhiteSpace(mission) || string.IsNullOrWhiteSpace(txHash))
         return Results.BadRequest("Missing mission or txHash");
 
+    if (!string.IsNullOrWhiteSpace(player) &&
+        !string.Equals(player, SessionAddress(req.HttpContext), StringComparison.OrdinalIgnoreCase))
+        return Results.StatusCode(403);
+
     mission = mission.ToLowerInvariant();
 
     // Throttle: once per ~2s per mission (light abuse protection)
@@ -1344,8 +1743,10 @@ app.MapPost("/events/banked",           async (HttpRequest req, IConfiguration c
     if (rc == null || rc.Status == null || rc.Status.Value != 1)
         return Results.BadRequest("Transaction not successful");
 
+    // The banker is the tx sender; trust that over the body so /players/{addr}/tx lists round calls
+    var banker      = string.IsNullOrWhiteSpace(tx.From) ? player?.ToLowerInvariant() : tx.From.ToLowerInvariant();
     var blockNumber = rc.BlockNumber != null ? (long?)rc.BlockNumber.Value : null;
-    await InsertMissionTxAsync(cfg, mission, null, "Banked", txHash, blockNumber);
+    await InsertMissionTxAsync(cfg, mission, banker, "Banked", txHash, blockNumber);
 
     Console.WriteLine($"[API] /events/banked ACCEPT mission={mission} tx={txHash} {DateTime.UtcNow:o}");
 
@@ -1354,7 +1755,7 @@ app.MapPost("/events/banked",           async (HttpRequest req, IConfiguration c
     Console.WriteLine($"[API] /events/banked DONE KickMissionAsync mission={mission} {DateTime.UtcNow:o}");
 
     return Results.Ok(new { pushed = true });
-});
+}).RequireAuthorization();
 
 // POST /events/finalized  → mission finalized event
 app.MapPost("/events/finalized",        async (HttpRequest req, IConfiguration cfg, IHubContext<GameHub> hub                        ) => { // mission banked event
@@ -1401,6 +1802,168 @@ app.MapPost("/events/finalized",        async (HttpRequest req, IConfiguration c
     await KickMissionAsync(mission, txHash, "Finalized", cfg, hub);
 
     return Results.Ok(new { pushed = true });
+}).RequireAuthorization();
+
+// POST /events/potincreased  → pot increased (admin / sponsor top-up)
+app.MapPost("/events/potincreased",     async (HttpRequest req, IConfiguration cfg, IHubContext<GameHub> hub                        ) => { // pot increased event
+    string? mission = null;
+    string? txHash  = null;
+
+    try
+    {
+        using var doc = await System.Text.Json.JsonDocument.ParseAsync(req.Body);
+        var root = doc.RootElement;
+
+        mission = root.TryGetProperty("mission", out var m) ? m.GetString() : null;
+        txHash  = root.TryGetProperty("txHash",  out var h) ? h.GetString() : null;
+    }
+    catch
+    {
+        return Results.BadRequest("Invalid JSON");
+    }
+
+    if (string.IsNullOrWhiteSpace(mission) || string.IsNullOrWhiteSpace(txHash))
+        return Results.BadRequest("Missing mission or txHash");
+
+    mission = mission.ToLowerInvariant();
+
+    // Throttle per mission: once per ~2s
+    var now = DateTime.UtcNow;
+    if (potPingThrottle.TryGetValue(mission, out var prev) && (now - prev) < TimeSpan.FromSeconds(2))
+        return Results.Ok(new { pushed = false, reason = "throttled" });
+    potPingThrottle[mission] = now;
+
+    var rpc  = GetRequired(cfg, "Cronos:Rpc");
+    var web3 = new Nethereum.Web3.Web3(rpc);
+
+    // Verify the tx exists, is to this mission, and succeeded
+    var tx = await web3.Eth.Transactions.GetTransactionByHash.SendRequestAsync(txHash);
+    if (tx == null) return Results.BadRequest("Transaction not found");
+    if ((tx.To ?? string.Empty).ToLowerInvariant() != mission) return Results.BadRequest("Transaction target mismatch");
+
+    var rc = await web3.Eth.Transactions.GetTransactionReceipt.SendRequestAsync(txHash);
+    if (rc == null || rc.Status == null || rc.Status.Value != 1)
+        return Results.BadRequest("Transaction not successful");
+
+    var blockNumber = rc.BlockNumber != null ? (long?)rc.BlockNumber.Value : null;
+    await InsertMissionTxAsync(cfg, mission, tx.From?.ToLowerInvariant(), "PotIncreased", txHash, blockNumber);
+
+    await KickMissionAsync(mission, txHash, "PotIncreased", cfg, hub);
+
+    return Results.Ok(new { pushed = true });
+}).RequireAuthorization();
+
+// ===== WEB PUSH (browser notifications) =====
+//
+// Table (one row per browser subscription per mission):
+//   create table web_push_subscriptions (
+//       mission_address text        not null,
+//       endpoint        text        not null,
+//       p256dh          text        not null,
+//       auth            text        not null,
+//       created_at      timestamptz not null default now(),
+//       primary key (mission_address, endpoint)
+//   );
+// VAPID keys come from B6.VapidGen → Key Vault secrets Push--Vapid--PublicKey / Push--Vapid--PrivateKey.
+
+// Hub events repeat (Cooldown.End is pushed for up to 30s, ended states arrive as reason + status);
+// one OS notification per mission + kind within the window is enough.
+var webPushSent = new System.Collections.Concurrent.ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+
+void FanOutWebPush(IConfiguration cfg, string mission, string hubEvent, string? reason, short? newStatus) {
+    var kind = WebPushKind(hubEvent, reason, newStatus);
+    if (kind == null || string.IsNullOrWhiteSpace(mission)) return;
+
+    var window = kind == "cooldown-ended" ? TimeSpan.FromMinutes(2) : TimeSpan.FromHours(12);
+    var key    = $"{mission}:{kind}";
+    var now    = DateTime.UtcNow;
+    if (webPushSent.TryGetValue(key, out var prev) && (now - prev) < window) return;
+    webPushSent[key] = now;
+
+    var payload = new { kind, @event = hubEvent, reason, status = newStatus, mission };
+
+    // Fire-and-forget: the indexer must not wait for push services
+    _ = Task.Run(async () => {
+        try   { await SendWebPushAsync(cfg, mission, kind, payload); }
+        catch (Exception ex) { Console.WriteLine($"[WebPush] fan-out failed mission={mission} kind={kind}: {ex.Message}"); }
+    });
+}
+
+// Subscriptions are anonymous: only endpoints of the browsers' push services are stored,
+// at most webPushMaxPerEndpoint missions each, and an opt-out must carry the subscription's auth secret.
+string[] webPushHosts = { "fcm.googleapis.com", ".push.services.mozilla.com", ".notify.windows.com", "web.push.apple.com", ".push.apple.com" };
+const int webPushMaxPerEndpoint = 50;
+
+bool IsWebPushEndpoint(string? endpoint) {
+    if (string.IsNullOrWhiteSpace(endpoint) || endpoint.Length > 1024) return false;
+    if (!Uri.TryCreate(endpoint, UriKind.Absolute, out var uri) || uri.Scheme != Uri.UriSchemeHttps) return false;
+    var host = uri.Host.ToLowerInvariant();
+    return webPushHosts.Any(h => h.StartsWith('.') ? host.EndsWith(h) : host == h);
+}
+
+// GET /push/vapid-public-key  → applicationServerKey for PushManager.subscribe
+app.MapGet("/push/vapid-public-key",          (IConfiguration cfg)                      => { // VAPID public key
+    return Results.Ok(new { publicKey = cfg["Push:Vapid:PublicKey"] ?? "" });
+});
+
+// POST /push/subscribe  → opt a browser in to one mission
+app.MapPost("/push/subscribe",          async (IConfiguration cfg, WebPushSubscribeDto body)   => { // browser opt-in
+    var mission = (body.Mission ?? "").ToLowerInvariant();
+    if (!System.Text.RegularExpressions.Regex.IsMatch(mission, "^0x[0-9a-f]{40}$"))
+        return Results.BadRequest("Invalid mission");
+    if (!IsWebPushEndpoint(body.Endpoint) ||
+        string.IsNullOrWhiteSpace(body.P256dh) || string.IsNullOrWhiteSpace(body.Auth))
+        return Results.BadRequest("Invalid subscription");
+
+    var cs = cfg.GetConnectionString("Db");
+    await using var conn = new NpgsqlConnection(cs);
+    await conn.OpenAsync();
+
+    await using (var count = new NpgsqlCommand(@"
+        select count(*) from web_push_subscriptions
+        where endpoint = @e and mission_address <> @m;", conn)) {
+        count.Parameters.AddWithValue("e", body.Endpoint);
+        count.Parameters.AddWithValue("m", mission);
+        if (Convert.ToInt64(await count.ExecuteScalarAsync()) >= webPushMaxPerEndpoint)
+            return Results.Problem($"At most {webPushMaxPerEndpoint} missions per browser", statusCode: 429);
+    }
+
+    await using var cmd = new NpgsqlCommand(@"
+        insert into web_push_subscriptions (mission_address, endpoint, p256dh, auth)
+        values (@m, @e, @p, @a)
+        on conflict (mission_address, endpoint)
+        do update set p256dh = excluded.p256dh
+        where web_push_subscriptions.auth = excluded.auth;", conn);
+    cmd.Parameters.AddWithValue("m", mission);
+    cmd.Parameters.AddWithValue("e", body.Endpoint);
+    cmd.Parameters.AddWithValue("p", body.P256dh);
+    cmd.Parameters.AddWithValue("a", body.Auth);
+    await cmd.ExecuteNonQueryAsync();
+
+    return Results.Ok(new { subscribed = true });
+});
+
+// POST /push/unsubscribe  → opt out of one mission (or all when mission is omitted); auth must match
+app.MapPost("/push/unsubscribe",        async (IConfiguration cfg, WebPushUnsubscribeDto body) => { // browser opt-out
+    if (string.IsNullOrWhiteSpace(body.Endpoint) || string.IsNullOrWhiteSpace(body.Auth))
+        return Results.BadRequest("Missing endpoint or auth");
+    var mission = string.IsNullOrWhiteSpace(body.Mission) ? null : body.Mission.ToLowerInvariant();
+
+    var cs = cfg.GetConnectionString("Db");
+    await using var conn = new NpgsqlConnection(cs);
+    await conn.OpenAsync();
+
+    await using var cmd = new NpgsqlCommand(@"
+        delete from web_push_subscriptions
+        where endpoint = @e
+          and auth     = @a
+          and (@m::text is null or mission_address = @m);", conn);
+    cmd.Parameters.AddWithValue("e", body.Endpoint);
+    cmd.Parameters.AddWithValue("a", body.Auth);
+    cmd.Parameters.AddWithValue("m", (object?)mission ?? DBNull.Value);
+    var removed = await cmd.ExecuteNonQueryAsync();
+
+    return Results.Ok(new { removed });
 });
 
 // ===== PUSH ROUTES =====
@@ -1417,6 +1980,7 @@ app.MapPost("/push/mission",            async (HttpRequest req, IConfiguration c
     // Frontend handler kan (mission, reason, txHash, eventType) aannemen; extra argumenten worden in JS gewoon genegeerd
     // als de callback maar minder parameters heeft.
     await hub.Clients.Group(g).SendAsync("MissionUpdated", g, reason, txHash, eventType);
+    FanOutWebPush(cfg, g, "MissionUpdated", reason, null);
     return Results.Ok(new { pushed = true });
 });
 
@@ -1426,6 +1990,7 @@ app.MapPost("/push/status",             async (HttpRequest req, IConfiguration c
 
     var g = (body.Mission ?? "").ToLowerInvariant();
     await hub.Clients.Group(g).SendAsync("StatusChanged", g, body.NewStatus);
+    FanOutWebPush(cfg, g, "StatusChanged", null, body.NewStatus);
     return Results.Ok(new { pushed = true });
 });
 
@@ -21,3 +21,24 @@ public sealed class PushRoundDto
     public string Winner    { get; set; } = string.Empty;
     public string AmountWei { get; set; } = string.Empty;
 }
+
+public sealed class WebPushSubscribeDto
+{
+    public string  Mission  { get; set; } = string.Empty;
+    public string  Endpoint { get; set; } = string.Empty;
+    public string  P256dh   { get; set; } = string.Empty;
+    public string  Auth     { get; set; } = string.Empty;
+}
+
+public sealed class WebPushUnsubscribeDto
+{
+    public string? Mission  { get; set; }          // null → every mission of this endpoint
+    public string  Endpoint { get; set; } = string.Empty;
+    public string  Auth     { get; set; } = string.Empty;   // the subscription's auth secret, proves it is the same browser
+}
+
+public sealed class SiweVerifyDto
+{
+    public string Message   { get; set; } = string.Empty;   // EIP-4361 text exactly as signed
+    public string Signature { get; set; } = string.Empty;   // personal_sign, 0x…
+}
@@ -46,7 +46,8 @@ namespace B6.Indexer
     /// - For each open mission, coreLoop invokes a set of phase handlers that use only
     ///   mission timestamps and round metadata from the database:
     ///     - processStartPending      : placeholder for "mission created" (currently no-op).
-    ///     - processStartEnrollment   : placeholder for enrollmentStart (currently no-op).
+    ///     - processStartEnrollment   : pushes "Enrollment.ClosingSoon" once, shortly
+    ///                                  before enrollmentEnd (Web Push notifications).
     ///     - processEndEnrollment     : within [enrollmentEnd, enrollmentEnd+30s], polls
     ///                                  getMissionData once per second until status becomes
     ///                                  Arming or Failed. On Failed, calls refundPlayers()
@@ -135,6 +136,11 @@ namespace B6.Indexer
         /// </summary>
         private const int                               newMissionsPollFreq = 60;
 
+        /// <summary>
+        /// Seconds before enrollmentEnd at which "Enrollment.ClosingSoon" is pushed.
+        /// </summary>
+        private const int                               enrollmentClosingSoonSecs = 300;
+
         // Core loop state ----------------------------------------------------------------------------------------------
         /// <summary>
         /// Simple counter incremented once per second in coreLoop(). When it reaches
@@ -236,6 +242,11 @@ namespace B6.Indexer
             /// begins with a different pause_timestamp, the handler will push again.
             /// </summary>
             public long? LastCooldownStartPauseTimestamp { get; set; }
+
+            /// <summary>
+            /// True once the "Enrollment.ClosingSoon" push was sent for this mission.
+            /// </summary>
+            public bool  EnrollmentClosingSoonSent       { get; set; }
         }
 
         /// <summary>
@@ -1892,11 +1903,12 @@ namespace B6.Indexer
                     // without an extra RPC roundtrip.
                     var needsSnapshot =
                         string.Equals(eventType, "Banked", StringComparison.OrdinalIgnoreCase) ||
-                        string.Equals(eventType, "Finalized", StringComparison.OrdinalIgnoreCase);
+                        string.Equals(eventType, "Finalized", StringComparison.OrdinalIgnoreCase) ||
+                        string.Equals(eventType, "PotIncreased", StringComparison.OrdinalIgnoreCase);
 
                     if (needsSnapshot)
                     {
-                        // Short retry loop so that round/pool state is visible after BANK / finalize.
+                        // Short retry loop so that round/pool state is visible after BANK / finalize / pot increase.
                         const int maxAttempts = 3;
                         for (int attempt = 0; attempt < maxAttempts; attempt++)
                         {
@@ -2106,16 +2118,40 @@ namespace B6.Indexer
         }
 
         /// <summary>
-        /// Handles the start of the enrollment phase.
-        /// Currently a no-op placeholder: scheduling is fully driven by mission timestamps
-        /// and factory snapshots, so we do not need extra work at mission creation time.
-        /// This method is still wired into the core loop for future extensibility.
+        /// Handles the enrollment phase.
+        ///
+        /// Behaviour:
+        /// - Enrollment opening itself is fully time/snapshot-driven (no work).
+        /// - Once the mission is inside the last enrollmentClosingSoonSecs before
+        ///   enrollmentEnd, push "Enrollment.ClosingSoon" exactly once so the backend
+        ///   can notify subscribed browsers (Web Push).
         /// </summary>
         private async Task                           processStartEnrollment                (MissionSchedule mission, DateTime nowUtc, CancellationToken token) {
-            // No-op for now: enrollment opening is fully time/snapshot-driven.
-            // Keeping this handler allows us to easily hook in behaviour later
-            // without changing the core loop wiring.
-            await Task.CompletedTask;
+            // Stored status can still read Pending while enrollment is open (time-driven).
+            if (mission.Status > Status.Enrolling || mission.EnrollmentEndUtc == DateTime.MinValue)
+                return;
+
+            var closingFromUtc = mission.EnrollmentEndUtc.AddSeconds(-enrollmentClosingSoonSecs);
+            if (nowUtc < closingFromUtc || nowUtc >= mission.EnrollmentEndUtc)
+                return;
+
+            var address = mission.Address;
+            if (string.IsNullOrWhiteSpace(address))
+                return;
+
+            // Once per mission: mark before pushing so a failing push does not repeat every tick.
+            var state = _runtimeState.GetOrAdd(address, _ => new MissionRuntimeState());
+            if (state.EnrollmentClosingSoonSent)
+                return;
+            state.EnrollmentClosingSoonSent = true;
+
+            _log.LogInformation(
+                "Enrollment closing soon for mission {mission} (enrollmentEndUtc={enrollmentEndUtc:u}, now={nowUtc:u})",
+                address,
+                mission.EnrollmentEndUtc,
+                nowUtc);
+
+            await NotifyMissionUpdatedAsync(address, reason: "Enrollment.ClosingSoon", txHash: null, ct: token);
         }
 
         /// <summary>
@@ -0,0 +1,37 @@
+// hardhat.test.config.js
+// Config for `npm test`: the in-process Hardhat network only, no keys or RPC URLs.
+// The deploy/verify config (hardhat.config.js, Cronos account + explorer key) stays local
+// and gitignored; see "Hardhat Instructions.txt". Compiler settings must match it.
+// The compiler is the solc-js build of the npm "solc" devDependency (pinned to the same
+// version), so tests compile without Hardhat downloading a native solc.
+require("@nomicfoundation/hardhat-toolbox");
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require("hardhat/builtin-tasks/task-names");
+
+const SOLC_VERSION = "0.8.30";
+
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async ({ solcVersion }, hre, runSuper) => {
+  if (solcVersion !== SOLC_VERSION) return runSuper();
+  const solc = require("solc");
+  return {
+    compilerPath: require.resolve("solc/soljson.js"),
+    isSolcJs:     true,
+    version:      solcVersion,
+    longVersion:  solc.version(),
+  };
+});
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+    solidity: {
+      version: SOLC_VERSION,
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 200
+        },
+        viaIR: true
+      }
+    },
+    defaultNetwork: "hardhat",
+};
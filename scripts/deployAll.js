@@ -2,6 +2,7 @@
 const hre  = require("hardhat");
 const fs   = require("fs");
 const path = require("path");
+const { exportAbi } = require("./exportAbi");
 
 // Make undici less eager to timeout for RPC calls
 try {
@@ -107,8 +108,10 @@ async function main() {
   console.log("🔍 missionImplementation() returns:", getterValue);
 
   // 4) Save deployments
+  const { chainId } = await hre.ethers.provider.getNetwork();
   const deploymentInfo = {
     network:        hre.network.name,
+    chainId:        Number(chainId),
     deployer:       deployer.address,
     MissionImpl:    missionImplAddress,
     MissionFactory: missionFactoryAddress,
@@ -120,6 +123,9 @@ async function main() {
   fs.writeFileSync(filePath, JSON.stringify(deploymentInfo, null, 2));
   console.log("📂 Deployment info saved to", filePath);
 
+  // 4b) Regenerate the frontend ABI/address module
+  exportAbi();
+
   // 5) Verify (with retries)
   await sleep(10_000);
 
@@ -0,0 +1,79 @@
+// scripts/exportAbi.js
+// Generates wwwroot/js/contracts.js (ABIs + deployed addresses) for the browser.
+//
+//   node scripts/exportAbi.js          (after `npx hardhat compile` and/or a deployment)
+//
+// Runs without hardhat: it only reads the compiled artifacts and deployments/*.json.
+const fs   = require("fs");
+const path = require("path");
+
+const ROOT          = path.join(__dirname, "..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts/contracts/MissionFactory.sol");
+const DEPLOY_DIR    = path.join(ROOT, "deployments");
+const OUT_FILE      = path.join(ROOT, "wwwroot/js/contracts.js");
+
+// Only what the dApp can call or decode; constructor/fallback/receive are left out
+const KEEP_TYPES = new Set(["function", "event", "error"]);
+
+function readAbi(contractName) {
+  const file = path.join(ARTIFACTS_DIR, `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Artifact not found: ${path.relative(ROOT, file)} (run \`npx hardhat compile\` first)`);
+  }
+  const { abi } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return abi.filter(f => KEEP_TYPES.has(f.type));
+}
+
+function readDeployments() {
+  if (!fs.existsSync(DEPLOY_DIR)) return {};
+  const out = {};
+  for (const name of fs.readdirSync(DEPLOY_DIR).sort()) {
+    if (!name.endsWith(".json")) continue;
+    const d = JSON.parse(fs.readFileSync(path.join(DEPLOY_DIR, name), "utf8"));
+    const network = d.network || path.basename(name, ".json");
+    out[network] = {
+      chainId:        d.chainId        || null,
+      MissionFactory: d.MissionFactory || null,
+      MissionImpl:    d.MissionImpl    || null,
+      timestamp:      d.timestamp      || null,
+    };
+  }
+  return out;
+}
+
+// One fragment per line keeps diffs of the generated file readable
+const abiLiteral = abi => `[\n${abi.map(f => `  ${JSON.stringify(f)},`).join("\n")}\n]`;
+
+function exportAbi() {
+  const factoryAbi  = readAbi("MissionFactory");
+  const missionAbi  = readAbi("Mission");
+  const deployments = readDeployments();
+
+  const src =
+`/**********************************************************************
+ contracts.js – GENERATED by scripts/exportAbi.js, do not edit by hand.
+ Source: artifacts/contracts/MissionFactory.sol/*.json, deployments/*.json
+**********************************************************************/
+
+export const FACTORY_ABI = ${abiLiteral(factoryAbi)};
+
+export const MISSION_ABI = ${abiLiteral(missionAbi)};
+
+export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};
+`;
+
+  fs.writeFileSync(OUT_FILE, src);
+  console.log(`📝 ABIs written to ${path.relative(ROOT, OUT_FILE)} ` +
+              `(factory: ${factoryAbi.length}, mission: ${missionAbi.length}, networks: ${Object.keys(deployments).join(", ") || "none"})`);
+}
+
+module.exports = { exportAbi };
+
+if (require.main === module) {
+  try {
+    exportAbi();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  }
+}
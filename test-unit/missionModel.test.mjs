@@ -0,0 +1,515 @@
+// test-unit/missionModel.test.mjs
+//
+// Pure helpers of wwwroot/js/missionModel.js (status by clock, cooldowns, payout accrual,
+// list ordering, log replay) under Node's built-in test runner. No chain, no DOM:
+//
+//   npm run test:unit        (= node --test test-unit/)
+//
+// The contract side is mirrored below (Mission.callRound() in
+// contracts/MissionFactory.sol) so the frontend math is checked against the same formula.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  cooldownInfo,
+  statusByClock,
+  nextDeadlineFor,
+  payoutAt,
+  timeForPayout,
+  earliestBankTimes,
+  getLastBankTs,
+  computeBankNowWei,
+  roundsForDisplay,
+  topWinners,
+  failureReasonFor,
+  failureKindFor,
+  bucketOfStatus,
+  sortAllMissions,
+  applyMissionEvent,
+  replayMissionEvents,
+  reconcileWithEvents,
+  missionSnapshotFromChain,
+  missionFromChain,
+  missionFromApi,
+} from "../wwwroot/js/missionModel.js";
+
+const CRO = 10n ** 18n;
+
+const ES = 1_000_000;                 // enrollment start
+const EE = ES + 3_600;                // enrollment end
+const MS = EE + 600;                  // mission start
+const ME = MS + 7_200;                // mission end
+
+// Mission model as missionFromApi() returns it (wei as BigInt)
+const mk = (o = {}) => ({
+  mission_address:        "0x" + "a".repeat(40),
+  status:                 1,
+  enrollment_start:       ES,
+  enrollment_end:         EE,
+  enrollment_amount_wei:  5n * CRO,
+  enrollment_min_players: 2,
+  enrollment_max_players: 10,
+  mission_start:          MS,
+  mission_end:            ME,
+  mission_rounds_total:   3,
+  round_count:            0,
+  cro_start_wei:          100n * CRO,
+  cro_current_wei:        100n * CRO,
+  pause_timestamp:        0,
+  round_pause_secs:       300,
+  last_round_pause_secs:  60,
+  enrolled_players:       3,
+  enrollments:            [],
+  rounds:                 [],
+  ...o,
+});
+
+// #region Contract mirror
+// Mission.callRound(): progress in 1e10 fixed point, payout = croStart·progress − paidSoFar, capped at croCurrent
+function contractPayout(md, nowTs){
+  const progress     = (BigInt(nowTs - md.missionStart) * 10n ** 10n) / BigInt(md.missionEnd - md.missionStart);
+  const paidSoFar    = md.croStart - md.croCurrent;
+  const expectedPaid = (md.croStart * progress) / 10n ** 10n;
+  if (expectedPaid < paidSoFar) throw new Error("Progress regression");
+  let payout = expectedPaid - paidSoFar;
+  if (payout > md.croCurrent) payout = md.croCurrent;
+  return payout;
+}
+
+// Mission.callRound() state transitions (cooldown check, round count, pause timestamp)
+function contractCallRound(md, nowTs){
+  if (md.pauseTimestamp) {
+    const cd = md.roundCount + 1 === md.missionRounds ? md.lastRoundPauseDuration : md.roundPauseDuration;
+    if (nowTs < md.pauseTimestamp + cd) throw new Error("Cooldown");
+  }
+  if (nowTs < md.missionStart)             throw new Error("NotActive");
+  if (nowTs >= md.missionEnd)              throw new Error("MissionEnded");
+  if (md.roundCount >= md.missionRounds)   throw new Error("AllRoundsDone");
+
+  const payout = contractPayout(md, nowTs);
+  md.croCurrent     -= payout;
+  md.roundCount     += 1;
+  md.pauseTimestamp  = md.roundCount === md.missionRounds ? md.pauseTimestamp : nowTs;
+  return payout;
+}
+
+const mdFrom = (m) => ({
+  missionStart:           Number(m.mission_start),
+  missionEnd:             Number(m.mission_end),
+  missionRounds:          Number(m.mission_rounds_total),
+  roundCount:             Number(m.round_count),
+  croStart:               BigInt(m.cro_start_wei),
+  croCurrent:             BigInt(m.cro_current_wei),
+  pauseTimestamp:         Number(m.pause_timestamp),
+  roundPauseDuration:     Number(m.round_pause_secs),
+  lastRoundPauseDuration: Number(m.last_round_pause_secs),
+});
+
+// Model after the contract banked: what the indexer snapshot would show
+const modelFrom = (m, md, status) => ({
+  ...m,
+  status,
+  round_count:     md.roundCount,
+  cro_current_wei: md.croCurrent,
+  pause_timestamp: md.pauseTimestamp,
+});
+// #endregion
+
+
+
+
+
+// #region Status by clock
+describe("statusByClock", () => {
+  test("Pending before enrollment, Enrolling until enrollment end", () => {
+    const m = mk();
+    assert.equal(statusByClock(m, ES - 1), 0);
+    assert.equal(statusByClock(m, ES),     1);
+    assert.equal(statusByClock(m, EE - 1), 1);
+    assert.equal(statusByClock(m, EE),     2);
+  });
+
+  test("after enrollment end: Arming with enough players, Failed without (after the grace period)", () => {
+    assert.equal(statusByClock(mk(), EE + 1), 2);
+    assert.equal(statusByClock(mk(), MS - 1), 2);
+
+    const few = mk({ enrolled_players: 1 });
+    assert.equal(statusByClock(few, EE + 1),  2);  // grace: the indexer may not have seen the last enrollments
+    assert.equal(statusByClock(few, EE + 30), 2);
+    assert.equal(statusByClock(few, EE + 31), 7);
+  });
+
+  test("falls back to the enrollments array when enrolled_players is missing", () => {
+    const m = mk({ enrolled_players: null, enrollments: [{ address: "0x1" }] });
+    assert.equal(statusByClock(m, EE + 31), 7);
+  });
+
+  test("Active from mission start", () => {
+    const m = mk({ status: 2 });
+    assert.equal(statusByClock(m, MS),     3);
+    assert.equal(statusByClock(m, ME - 1), 3);
+  });
+
+  test("Paused during the round pause, Active again when it ends", () => {
+    const bank = MS + 600;
+    const m = mk({ status: 4, round_count: 1, pause_timestamp: bank });
+    assert.equal(statusByClock(m, bank),       4);
+    assert.equal(statusByClock(m, bank + 299), 4);
+    assert.equal(statusByClock(m, bank + 300), 3);   // contract: paused while nowTs < pause + duration
+  });
+
+  test("the pause before the last round is the (shorter) last-round pause", () => {
+    const bank = MS + 1_200;
+    const m = mk({ status: 4, round_count: 2, pause_timestamp: bank });
+    assert.equal(statusByClock(m, bank + 59), 4);
+    assert.equal(statusByClock(m, bank + 60), 3);
+  });
+
+  test("all rounds banked before the end: the clock alone says Active until mission end", () => {
+    const m = mk({ status: 6, round_count: 3, pause_timestamp: MS + 100 });
+    assert.equal(statusByClock(m, MS + 2_000), 3);
+    assert.equal(statusByClock(m, ME),         6);
+  });
+
+  test("mission end: Success by default, keeps PartlySuccess / Failed", () => {
+    assert.equal(statusByClock(mk({ status: 3 }), ME - 1), 3);
+    assert.equal(statusByClock(mk({ status: 3 }), ME),     6);
+    assert.equal(statusByClock(mk({ status: 5, round_count: 1 }), ME), 5);
+    assert.equal(statusByClock(mk({ status: 7 }), ME), 7);
+  });
+
+  test("the stored status only counts once the mission has ended", () => {
+    assert.equal(statusByClock(mk({ status: 7 }), EE - 10), 1);
+    assert.equal(statusByClock(mk({ status: 7 }), ME),      7);
+    assert.equal(statusByClock(mk({ status: 6, round_count: 3 }), MS + 10), 3);
+  });
+});
+
+describe("cooldownInfo / nextDeadlineFor", () => {
+  test("round pause vs. last-round pause", () => {
+    const p = MS + 500;
+    assert.deepEqual(cooldownInfo(mk({ status: 4, round_count: 1, pause_timestamp: p }), p + 100),
+      { isPaused: true, secsTotal: 300, secsLeft: 200, pauseEnd: p + 300 });
+    assert.deepEqual(cooldownInfo(mk({ status: 4, round_count: 2, pause_timestamp: p }), p + 100),
+      { isPaused: true, secsTotal: 60, secsLeft: 0, pauseEnd: p + 60 });
+  });
+
+  test("no pause timestamp → no pause end", () => {
+    const info = cooldownInfo(mk({ status: 3 }), MS + 10);
+    assert.equal(info.isPaused, false);
+    assert.equal(info.pauseEnd, 0);
+  });
+
+  test("deadline per status", () => {
+    assert.equal(nextDeadlineFor(mk({ status: 0 })), ES);
+    assert.equal(nextDeadlineFor(mk({ status: 1 })), EE);
+    assert.equal(nextDeadlineFor(mk({ status: 2 })), MS);
+    assert.equal(nextDeadlineFor(mk({ status: 3 })), ME);
+    assert.equal(nextDeadlineFor(mk({ status: 4 })), ME);
+    for (const s of [5, 6, 7]) assert.equal(nextDeadlineFor(mk({ status: s })), 0);
+    assert.equal(nextDeadlineFor(null), 0);
+  });
+});
+// #endregion
+
+
+
+
+
+// #region Payout accrual
+describe("payout accrual vs. Mission.callRound", () => {
+  // Odd numbers on purpose: rounding in the 1e10 fixed point must match too
+  const odd = mk({ cro_start_wei: 123_456_789_012_345_678_901n, cro_current_wei: 123_456_789_012_345_678_901n, mission_end: MS + 7_777 });
+
+  test("payoutAt equals the contract formula for a first bank at any second", () => {
+    const md = mdFrom(odd);
+    for (let t = MS + 1; t < Number(odd.mission_end); t += 97) {
+      assert.equal(payoutAt(odd, t), contractPayout(md, t), `t = ${t}`);
+    }
+  });
+
+  test("payoutAt tracks the contract through a sequence of banks", () => {
+    const md = mdFrom(odd);
+    let m = { ...odd, status: 3 };
+    for (const t of [MS + 1_000, MS + 1_300, MS + 5_000]) {
+      const expected = payoutAt(m, t);
+      assert.equal(contractCallRound(md, t), expected);
+      m = modelFrom(m, md, md.roundCount === md.missionRounds ? 6 : 4);
+    }
+    assert.equal(md.roundCount, 3);
+  });
+
+  test("payoutAt is 0 outside the mission and when the pool is ahead", () => {
+    const m = mk();
+    assert.equal(payoutAt(m, MS), 0n);
+    assert.equal(payoutAt(m, ME), 0n);
+    // Half the pool paid at 10% progress: nothing accrues until 50%
+    const ahead = mk({ cro_current_wei: 50n * CRO });
+    assert.equal(payoutAt(ahead, MS + 720), 0n);
+    assert.equal(payoutAt(ahead, MS + 3_600), 0n);
+    assert.ok(payoutAt(ahead, MS + 3_601) > 0n);
+  });
+
+  test("payout never exceeds the remaining pool", () => {
+    const m  = mk({ cro_current_wei: 1n * CRO });   // 99 CRO already paid
+    const md = mdFrom(m);
+    for (const t of [ME - 7_000, ME - 100, ME - 1]) {
+      assert.equal(payoutAt(m, t), t < ME - 72 ? 0n : contractPayout(md, t), `t = ${t}`);
+      assert.ok(payoutAt(m, t) <= 1n * CRO);
+    }
+  });
+
+  test("timeForPayout returns the first second that reaches the target", () => {
+    const m = mk();
+    const fee = 5n * CRO;
+    const t = timeForPayout(m, fee);
+    assert.ok(payoutAt(m, t) >= fee);
+    assert.ok(payoutAt(m, t - 1) < fee);
+    assert.equal(timeForPayout(m, 101n * CRO), null);
+  });
+
+  test("earliestBankTimes follows the contract cooldowns and payouts", () => {
+    const start = mk({ status: 3 });
+    const plan  = earliestBankTimes(start, MS + 600);
+    assert.deepEqual(plan.map(r => r.round), [1, 2, 3]);
+    assert.deepEqual(plan.map(r => r.t), [MS + 600, MS + 900, MS + 960]);   // 300 s round pause, then 60 s last-round pause
+
+    const md = mdFrom(start);
+    for (const r of plan) {
+      if (md.roundCount) assert.throws(() => contractCallRound({ ...md }, r.t - 1), /Cooldown/, "planned later than the cooldown allows");
+      assert.equal(contractCallRound(md, r.t), r.payoutWei);
+    }
+  });
+
+  test("computeBankNowWei stays within rounding of the contract payout", () => {
+    const m    = { ...odd, status: 3 };
+    const S    = BigInt(m.cro_start_wei);
+    const last = MS + 1_000;
+
+    // One bank at `last`, then the counter runs from there
+    const md = mdFrom(m);
+    contractCallRound(md, last);
+    const after = modelFrom(m, md, 3);
+
+    for (const now of [last + 1, last + 60, last + 301, last + 4_000]) {
+      const dt      = BigInt(now - last);
+      const counter = BigInt(computeBankNowWei(after, getLastBankTs(after, []), now));
+      const chain   = contractPayout({ ...md }, now);
+      const diff    = counter > chain ? counter - chain : chain - counter;
+      assert.ok(diff <= dt + 2n * (S / 10n ** 10n + 1n), `now = ${now}: ${counter} vs ${chain}`);
+    }
+  });
+
+  test("computeBankNowWei only runs while Active / Paused and stops at mission end", () => {
+    assert.equal(computeBankNowWei(mk({ status: 2 }), MS, MS + 10), "0");
+    assert.equal(computeBankNowWei(mk({ status: 6 }), MS, MS + 10), "0");
+
+    const m = mk({ status: 3 });
+    assert.equal(computeBankNowWei(m, MS, ME + 500), computeBankNowWei(m, MS, ME));
+    assert.equal(computeBankNowWei(m, MS, ME), ((100n * CRO) / 7_200n * 7_200n).toString());
+  });
+
+  test("getLastBankTs takes the newest round or pause, else mission start", () => {
+    assert.equal(getLastBankTs(mk(), []), MS);
+    assert.equal(getLastBankTs(mk(), [{ created_at: MS + 10 }, { created_at: MS + 50 }]), MS + 50);
+    assert.equal(getLastBankTs(mk({ pause_timestamp: MS + 80 }), [{ created_at: MS + 50 }]), MS + 80);
+  });
+});
+// #endregion
+
+
+
+
+
+// #region Display helpers
+describe("roundsForDisplay / topWinners / failureReasonFor", () => {
+  test("round shown is 1-based during Mission Time and capped at the total", () => {
+    const now = Math.floor(Date.now() / 1000);
+    const live = { mission_start: now - 100, mission_end: now + 100, enrollment_start: now - 300, enrollment_end: now - 200 };
+    assert.equal(roundsForDisplay(mk({ ...live, status: 3, round_count: 0 })), 1);
+    assert.equal(roundsForDisplay(mk({ ...live, status: 3, round_count: 2 })), 3);
+    assert.equal(roundsForDisplay(mk({ ...live, status: 6, round_count: 3 })), 3);
+    assert.equal(roundsForDisplay(mk({ status: 1, enrollment_start: now - 10, enrollment_end: now + 10 })), 0);
+  });
+
+  test("winners are ranked by total payout, earlier enrollment first on ties", () => {
+    const enrollments = [
+      { address: "0xB", enrolled_at: 20 },
+      { address: "0xa", enrolled_at: 10 },
+      { address: "0xc", enrolled_at: 30 },
+    ];
+    const rounds = [
+      { winner_address: "0xb", payout_wei: "7" },
+      { winner_address: "0xA", payout_wei: "7" },
+      { winner_address: "0xc", payout_wei: "9" },
+    ];
+    assert.deepEqual(topWinners(enrollments, rounds, 5).map(w => w.addr), ["0xc", "0xa", "0xb"]);
+    assert.equal(topWinners(enrollments, rounds, 1).length, 1);
+    assert.equal(topWinners(enrollments, rounds)[0].totalWei, 9n);
+  });
+
+  test("failure reason only for Failed missions without rounds", () => {
+    assert.equal(failureReasonFor(mk({ status: 7, enrolled_players: 1 })), "Not enough players");
+    assert.equal(failureReasonFor(mk({ status: 7, enrolled_players: 3 })), "No rounds played");
+    assert.equal(failureReasonFor(mk({ status: 7, round_count: 1 })), null);
+    assert.equal(failureReasonFor(mk({ status: 6 })), null);
+    assert.equal(failureKindFor(mk({ status: 7, enrolled_players: 1 })), "notEnoughPlayers");
+    assert.equal(failureKindFor(mk({ status: 7, enrolled_players: 3 })), "noRounds");
+  });
+});
+
+describe("bucketOfStatus / sortAllMissions", () => {
+  test("buckets: running, enrolling, pending, ended", () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7].map(bucketOfStatus), [2, 1, 0, 0, 0, 3, 3, 3]);
+  });
+
+  test("sort order within and across buckets", () => {
+    const list = [
+      { id: "ended-old",  status: 6, mission_end: 100 },
+      { id: "pending",    status: 0, enrollment_start: 50 },
+      { id: "active-late",status: 3, mission_end: 900 },
+      { id: "enrolling",  status: 1, enrollment_end: 70 },
+      { id: "arming",     status: 2, mission_start: 500 },
+      { id: "ended-new",  status: 7, mission_end: 200 },
+      { id: "paused",     status: 4, mission_end: 600 },
+    ];
+    assert.deepEqual(sortAllMissions(list).map(m => m.id),
+      ["arming", "paused", "active-late", "enrolling", "pending", "ended-new", "ended-old"]);
+    assert.equal(list[0].id, "ended-old");   // input not mutated
+  });
+});
+
+describe("missionSnapshotFromChain", () => {
+  const ADDR = "0xAbC0000000000000000000000000000000000001";
+  const P1   = "0x00000000000000000000000000000000000000A1";
+  const P2   = "0x00000000000000000000000000000000000000a2";
+  const md = {
+    status: 4, name: "M", missionType: 1, missionCreated: 900, missionRounds: 3,
+    roundPauseDuration: 5, lastRoundPauseDuration: 10,
+    croInitial: 10n * CRO, croStart: 12n * CRO, croCurrent: 11n * CRO, enrollmentAmount: CRO,
+    enrollmentMinPlayers: 2, enrollmentMaxPlayers: 5,
+    enrollmentStart: 1000, enrollmentEnd: 2000, missionStart: 3000, missionEnd: 4000,
+    players: [
+      { player: P1, enrolledTS: 1100, amountWon: 0n, wonTS: 0,    refunded: false, refundFailed: false, refundTS: 0 },
+      { player: P2, enrolledTS: 1200, amountWon: CRO, wonTS: 3100, refunded: false, refundFailed: false, refundTS: 0 },
+    ],
+    enrollmentCount: 2, roundCount: 1, pauseTimestamp: 3100, allRefunded: false,
+    creator: "0x0000000000000000000000000000000000000000",
+  };
+
+  test("API payload shape: lowercase addresses, wei as strings, winners as rounds", () => {
+    const s = missionSnapshotFromChain(ADDR, md);
+    assert.equal(s.mission.mission_address, ADDR.toLowerCase());
+    assert.equal(s.mission.cro_current_wei, String(11n * CRO));
+    assert.equal(s.mission.creator_address, null);
+    assert.deepEqual(s.enrollments.map(e => e.player), [P1.toLowerCase(), P2.toLowerCase()]);
+    assert.deepEqual(s.rounds, [{ round_number: 1, winner_address: P2.toLowerCase(), payout_wei: String(CRO), created_at: 3100 }]);
+    assert.deepEqual(missionFromApi(s), missionFromChain(ADDR, md));
+  });
+
+  test("list-view tuples (players cleared) keep the enrollment count", () => {
+    const s = missionSnapshotFromChain(ADDR, { ...md, players: [] });
+    assert.deepEqual(s.enrollments, []);
+    assert.equal(missionFromApi(s.mission).enrolled_players, 2);
+  });
+});
+
+describe("replayMissionEvents / reconcileWithEvents", () => {
+  const P1 = "0x" + "1".repeat(40), P2 = "0x" + "2".repeat(40);
+  let n = 0;
+  const ev = (name, block, args, timestamp = ES + block) => ({ name, blockNumber: block, logIndex: n++, timestamp, txHash: `0x${block}`, args });
+
+  // 100 CRO creation funding, +20 CRO pot, two 5 CRO enrollments, one round
+  const snapshot = mk({ cro_initial_wei: 120n * CRO });
+  const events = [
+    ev("PotIncreased",         10, { value: 20n * CRO, croCurrent: 120n * CRO }),
+    ev("PlayerEnrolled",       20, { player: P1, amount: 5n * CRO, totalPlayers: 1 }),
+    ev("MissionStatusChanged", 20, { previousStatus: 0, newStatus: 1, timestamp: ES + 20 }),
+    ev("PlayerEnrolled",       30, { player: P2, amount: 5n * CRO, totalPlayers: 2 }),
+    ev("RoundCalled",          40, { player: P2, roundNumber: 1, payout: 13n * CRO, croRemaining: 117n * CRO }, MS + 100),
+    ev("MissionStatusChanged", 40, { previousStatus: 3, newStatus: 4, timestamp: MS + 100 }, MS + 100),
+  ];
+
+  test("folds pool, players, rounds and pause from the logs", () => {
+    const m = replayMissionEvents(snapshot, events);
+    assert.equal(m.cro_initial_wei, 120n * CRO);
+    assert.equal(m.cro_start_wei,   130n * CRO);
+    assert.equal(m.cro_current_wei, 117n * CRO);
+    assert.equal(m.enrolled_players, 2);
+    assert.equal(m.round_count, 1);
+    assert.equal(m.status, 4);
+    assert.equal(m.pause_timestamp, MS + 100);
+    assert.deepEqual(m.rounds.map(r => [r.round_number, r.winner_address, r.payout_wei]), [[1, P2, String(13n * CRO)]]);
+    assert.equal(m.enrollments.find(e => e.address === P2).amount_won_wei, 13n * CRO);
+    assert.equal(m.mission_end, ME);                       // immutable fields from the snapshot
+  });
+
+  test("log order, not arrival order, decides the state", () => {
+    assert.deepEqual(replayMissionEvents(snapshot, events.slice().reverse()), replayMissionEvents(snapshot, events));
+  });
+
+  test("refunds mark players and all_refunded", () => {
+    const m = replayMissionEvents(snapshot, [
+      ...events.slice(0, 4),
+      ev("PlayerRefunded",  50, { player: P1, amount: 5n * CRO }),
+      ev("MissionRefunded", 50, { nrOfPlayers: 2, amount: 5n * CRO, players: [P1, P2] }),
+    ]);
+    assert.ok(m.enrollments.every(e => e.refunded));
+    assert.equal(m.all_refunded, true);
+    assert.equal(applyMissionEvent(m, { name: "Unknown", args: {} }), m);
+  });
+
+  test("failed refund keeps the player unrefunded and the leftover withdrawal follows the balance", () => {
+    const m = replayMissionEvents(snapshot, [
+      ...events.slice(0, 4),
+      ev("MissionStatusChanged", 50, { previousStatus: 2, newStatus: 7, timestamp: ME }),
+      ev("PlayerRefunded",       51, { player: P1, amount: 5n * CRO }),
+      ev("RefundFailed",         51, { player: P2, amount: 5n * CRO }),
+      ev("FundsWithdrawn",       52, { ownerAmount: 30n * CRO, factoryAmount: 90n * CRO }),
+    ]);
+    assert.deepEqual(m.enrollments.map(e => [e.refunded, e.refunded_failed]), [[true, false], [false, true]]);
+    assert.equal(m.all_refunded, false);
+    assert.equal(m.cro_current_wei, 5n * CRO);             // 130 − 5 refunded − 120 paid out: P2's retry reserve
+
+    // Invite-only leftovers go out without the contract updating croCurrent
+    const invite = replayMissionEvents({ ...snapshot, mission_type: 7 }, [
+      ...events.slice(0, 4),
+      ev("FundsWithdrawn", 52, { ownerAmount: 130n * CRO, factoryAmount: 0n }),
+    ]);
+    assert.equal(invite.cro_current_wei, 130n * CRO);
+  });
+
+  test("an ended mission keeps the API pool (balance-based after finalize)", () => {
+    const chain = replayMissionEvents(snapshot, [
+      ...events,
+      ev("MissionStatusChanged", 60, { previousStatus: 4, newStatus: 5, timestamp: ME }, ME),
+    ]);
+    const api = mk({ status: 5, round_count: 1, enrolled_players: 2, cro_start_wei: 130n * CRO, cro_current_wei: 0n });
+    const { mission, overridden } = reconcileWithEvents(api, chain, ME + 10);
+    assert.equal(mission.cro_current_wei, 0n);
+    assert.equal(mission.status, 5);
+    assert.ok(!overridden.includes("cro_current_wei"));
+  });
+
+  test("chain overrides a lagging snapshot, not a newer one", () => {
+    const chain = replayMissionEvents(snapshot, events);
+    const now   = MS + 110;                                // inside the 300 s cooldown
+
+    // Indexer missed the round: pool, rounds and pause come from the logs, status flips to Paused
+    const lagging = mk({ status: 3, cro_current_wei: 130n * CRO, cro_start_wei: 130n * CRO, enrolled_players: 2,
+                         enrollments: chain.enrollments.map(e => ({ ...e, amount_won_wei: 0n, won_ts: null })) });
+    const { mission, overridden } = reconcileWithEvents(lagging, chain, now);
+    assert.equal(mission.cro_current_wei, 117n * CRO);
+    assert.equal(mission.round_count, 1);
+    assert.equal(mission.status, 4);
+    assert.ok(overridden.includes("rounds") && overridden.includes("status"));
+
+    // Log poll behind the indexer (second round already indexed): keep the snapshot
+    const ahead = mk({ status: 4, round_count: 2, enrolled_players: 2, cro_current_wei: 100n * CRO });
+    assert.deepEqual(reconcileWithEvents(ahead, chain, now), { mission: ahead, overridden: [] });
+
+    // Same state: nothing to override
+    assert.deepEqual(reconcileWithEvents({ ...chain }, chain, now).overridden, []);
+  });
+});
+// #endregion
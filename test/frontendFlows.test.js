@@ -0,0 +1,369 @@
+// test/frontendFlows.test.js
+//
+// End-to-end checks of the flows the dApp performs, on the in-process Hardhat network:
+//   - deploy Mission + MissionFactory exactly like scripts/deployAll.js
+//   - createMission with the admin.js argument order, enrollPlayer, time-travel to Active,
+//     callRound, cooldown, finalize / refund
+//   - every call goes through the ABIs in wwwroot/js/contracts.js (what core.js, game.js
+//     and admin.js use), and payouts are compared with missionModel.js payoutAt()
+//   - views decode through missionModel.js into the values the flows wrote
+//
+//   npm test        (= npx hardhat test --config hardhat.test.config.js)
+//
+// The frontend modules are ES modules; they are loaded with dynamic import().
+const { expect } = require("chai");
+const hre  = require("hardhat");
+const fs   = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ethers } = hre;
+
+const WEB_JS    = path.join(__dirname, "../wwwroot/js");
+const webImport = (file) => import(pathToFileURL(path.join(WEB_JS, file)).href);
+
+// Status enum (MissionFactory.sol)
+const Status = { Pending: 0, Enrolling: 1, Arming: 2, Active: 3, Paused: 4, PartlySuccess: 5, Success: 6, Failed: 7 };
+const MISSION_TYPE_HOURLY = 1;
+
+const ROUND_PAUSE      = 120;
+const LAST_ROUND_PAUSE = 60;
+
+// #region Fixtures
+async function deployAllFixture() {
+  const [deployer, ...players] = await ethers.getSigners();
+
+  // Same steps as scripts/deployAll.js (minus confirmations / file output)
+  const Mission = await ethers.getContractFactory("Mission");
+  const missionImpl = await Mission.deploy({ gasLimit: 12_000_000 });
+  await missionImpl.waitForDeployment();
+  const missionImplAddress = await missionImpl.getAddress();
+
+  const Factory = await ethers.getContractFactory("MissionFactory");
+  const factoryArtifact = await Factory.deploy(missionImplAddress, { gasLimit: 4_000_000 });
+  await factoryArtifact.waitForDeployment();
+  const factoryAddress = await factoryArtifact.getAddress();
+
+  const { FACTORY_ABI, MISSION_ABI } = await webImport("contracts.js");
+  const model = await webImport("missionModel.js");
+
+  // The dApp's view of the contracts
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, deployer);
+
+  return { deployer, players, factory, factoryArtifact, missionImplAddress, FACTORY_ABI, MISSION_ABI, model };
+}
+
+/**
+ * createMission with the argument order of admin.js; returns the frontend-ABI Mission contract.
+ * Times are offsets (seconds) from the latest block.
+ */
+async function createMission(ctx, {
+  rounds = 3, minPlayers = 3, maxPlayers = 5,
+  fee = ethers.parseEther("1"), pot = ethers.parseEther("30"),
+  enrollIn = 60, enrollFor = 3600, armFor = 600, runFor = 3600,
+} = {}) {
+  const now         = await time.latest();
+  const enrollStart = now + enrollIn;
+  const enrollEnd   = enrollStart + enrollFor;
+  const missionStart = enrollEnd + armFor;
+  const missionEnd   = missionStart + runFor;
+
+  const args = [
+    MISSION_TYPE_HOURLY,
+    enrollStart,
+    enrollEnd,
+    fee,
+    minPlayers,
+    maxPlayers,
+    ROUND_PAUSE,
+    LAST_ROUND_PAUSE,
+    missionStart,
+    missionEnd,
+    rounds,
+    "E2E mission",
+    ethers.ZeroHash,
+    ethers.ZeroAddress,
+  ];
+  const tx = await ctx.factory.createMission(...args, { value: pot });
+  const rc = await tx.wait();
+
+  // Same extraction as admin.js: MissionCreated via the frontend factory ABI
+  const iface = new ethers.Interface(ctx.FACTORY_ABI);
+  let address = null;
+  for (const l of rc.logs) {
+    const log = iface.parseLog(l);
+    if (log?.name === "MissionCreated") { address = log.args.mission; break; }
+  }
+  expect(address, "MissionCreated not decoded with FACTORY_ABI").to.be.properAddress;
+
+  const mission = new ethers.Contract(address, ctx.MISSION_ABI, ctx.deployer);
+  return { address, mission, enrollStart, enrollEnd, missionStart, missionEnd, fee, pot, rounds };
+}
+
+async function enroll(ctx, m, signers) {
+  if ((await time.latest()) < m.enrollStart) await time.increaseTo(m.enrollStart);
+  for (const p of signers) {
+    const [ok] = await ctx.factory.canEnroll(p.address);
+    expect(ok, `canEnroll(${p.address})`).to.equal(true);
+    await (await m.mission.connect(p).enrollPlayer({ value: m.fee })).wait();
+  }
+}
+
+async function readModel(ctx, m) {
+  return ctx.model.missionFromChain(m.address.toLowerCase(), await m.mission.getMissionData());
+}
+
+// Bank at an exact timestamp and return the RoundCalled payout (decoded with MISSION_ABI)
+async function bankAt(ctx, m, player, ts) {
+  if (ts != null) await time.setNextBlockTimestamp(ts);
+  const rc = await (await m.mission.connect(player).callRound()).wait();
+  const iface = new ethers.Interface(ctx.MISSION_ABI);
+  const ev = rc.logs.map(l => { try { return iface.parseLog(l); } catch { return null; } }).find(e => e?.name === "RoundCalled");
+  expect(ev, "RoundCalled not decoded with MISSION_ABI").to.not.equal(undefined);
+  const block = await ethers.provider.getBlock(rc.blockNumber);
+  return { payout: ev.args.payout, ts: block.timestamp, round: Number(ev.args.roundNumber) };
+}
+// #endregion
+
+
+
+
+
+describe("Frontend flows (wwwroot/js ABIs on Hardhat)", function () {
+  this.timeout(120_000);
+
+  // #region ABI drift
+  // contracts.js is exported from whatever artifacts were on disk at the time; compile the
+  // current Solidity source again so a stale export (or stale artifacts) cannot pass.
+  describe("ABI drift", function () {
+    before(async function () {
+      this.timeout(600_000);
+      await hre.run("compile", { force: true, quiet: true });
+    });
+
+    for (const [name, key] of [["MissionFactory", "FACTORY_ABI"], ["Mission", "MISSION_ABI"]]) {
+      it(`${key} matches ${name} compiled from contracts/`, async function () {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        const web     = new ethers.Interface((await webImport("contracts.js"))[key]);
+        const chain   = new ethers.Interface(abi);
+
+        const missing = [];
+        chain.forEachFunction(f => {
+          const w = web.getFunction(f.selector);
+          if (!w) missing.push(f.format("full"));
+          else expect(w.format("full"), f.name).to.equal(f.format("full"));
+        });
+        chain.forEachEvent(e => { if (!web.getEvent(e.topicHash)) missing.push(e.format("full")); });
+        chain.forEachError(e => { if (!web.getError(e.selector)) missing.push(e.format("full")); });
+
+        expect(missing, "run `npm run export-abi` to regenerate wwwroot/js/contracts.js").to.deep.equal([]);
+      });
+    }
+
+    it("knows every event missionEvents.js replays", async function () {
+      const src    = fs.readFileSync(path.join(WEB_JS, "missionEvents.js"), "utf8");
+      const names  = JSON.parse(src.match(/const EVENTS\s*=\s*(\[[^\]]*\])/)[1]);
+      const { abi } = await hre.artifacts.readArtifact("Mission");
+      const chain  = new ethers.Interface(abi);
+
+      expect(names).to.include.members(["PlayerEnrolled", "RoundCalled", "MissionStatusChanged"]);
+      expect(names.filter(n => !chain.getEvent(n)), "events missing from Mission").to.deep.equal([]);
+    });
+  });
+  // #endregion
+
+  // #region Success path
+  describe("create → enroll → active → rounds with cooldown → success", function () {
+    it("pays what payoutAt() predicts and enforces the cooldown", async function () {
+      const ctx = await loadFixture(deployAllFixture);
+      const [p1, p2, p3] = ctx.players;
+      const { payoutAt, cooldownInfo, earliestBankTimes } = ctx.model;
+
+      const m = await createMission(ctx, { rounds: 3, minPlayers: 3 });
+      expect((await readModel(ctx, m)).status).to.equal(Status.Pending);
+
+      await enroll(ctx, m, [p1, p2, p3]);
+      let model = await readModel(ctx, m);
+      expect(model.status).to.equal(Status.Enrolling);
+      expect(model.enrollments.map(e => e.address)).to.deep.equal([p1, p2, p3].map(p => p.address.toLowerCase()));
+      expect(model.cro_start_wei).to.equal(m.pot + m.fee * 3n);   // fees join the pot
+
+      const [weekUsed] = await ctx.factory.getPlayerLimits(p1.address);
+      expect(Number(weekUsed)).to.equal(1);
+
+      // Arming, then Active
+      await time.increaseTo(m.enrollEnd + 1);
+      expect(Number(await m.mission.getRealtimeStatus())).to.equal(Status.Arming);
+      await time.increaseTo(m.missionStart + 1);
+      expect(Number(await m.mission.getRealtimeStatus())).to.equal(Status.Active);
+
+      // Round 1 at 20% of the mission
+      model = await readModel(ctx, m);
+      const t1 = m.missionStart + Math.floor((m.missionEnd - m.missionStart) / 5);
+      const r1 = await bankAt(ctx, m, p1, t1);
+      expect(r1.round).to.equal(1);
+      expect(r1.payout).to.equal(payoutAt(model, t1));
+
+      // Cooldown: Paused with the round pause, bank attempts revert with Cooldown
+      model = await readModel(ctx, m);
+      expect(model.status).to.equal(Status.Paused);
+      expect(model.round_count).to.equal(1);
+      const cd = cooldownInfo(model, t1);
+      expect(cd.isPaused).to.equal(true);
+      expect(cd.pauseEnd).to.equal(t1 + ROUND_PAUSE);
+      await expect(m.mission.connect(p2).callRound()).to.be.revertedWithCustomError(m.mission, "Cooldown");
+
+      // Remaining rounds at their earliest times (round pause, then last-round pause)
+      const plan = earliestBankTimes(model, t1);
+      expect(plan.map(r => r.round)).to.deep.equal([2, 3]);
+      expect(plan[0].t).to.equal(t1 + ROUND_PAUSE);
+      expect(plan[1].t).to.equal(t1 + ROUND_PAUSE + LAST_ROUND_PAUSE);
+
+      const r2 = await bankAt(ctx, m, p2, plan[0].t);
+      expect(r2.payout).to.equal(plan[0].payoutWei);
+
+      // Winners cannot bank twice
+      await time.increaseTo(plan[1].t);
+      await expect(m.mission.connect(p1).callRound()).to.be.revertedWithCustomError(m.mission, "AlreadyWon");
+
+      model = await readModel(ctx, m);
+      const r3 = await bankAt(ctx, m, p3);
+      expect(r3.payout).to.equal(payoutAt(model, r3.ts));
+
+      // Success; the model sees all three winners as rounds
+      model = await readModel(ctx, m);
+      expect(model.status).to.equal(Status.Success);
+      expect(model.round_count).to.equal(3);
+      expect(model.rounds.map(r => r.winner_address)).to.deep.equal([p1, p2, p3].map(p => p.address.toLowerCase()));
+      expect(model.rounds.map(r => BigInt(r.payout_wei))).to.deep.equal([r1.payout, r2.payout, r3.payout]);
+
+      const [joined, won] = await m.mission.playerState(p2.address);
+      expect(joined).to.equal(true);
+      expect(won).to.equal(true);
+    });
+  });
+  // #endregion
+
+  // #region Partly success + finalize
+  describe("mission end with rounds left → forceFinalizeMission", function () {
+    it("moves PartlySuccess to Success", async function () {
+      const ctx = await loadFixture(deployAllFixture);
+      const [p1, p2] = ctx.players;
+
+      const m = await createMission(ctx, { rounds: 2, minPlayers: 2 });
+      await enroll(ctx, m, [p1, p2]);
+      await time.increaseTo(m.missionStart + 600);
+
+      const model = await readModel(ctx, m);
+      const r1 = await bankAt(ctx, m, p1, m.missionStart + 900);
+      expect(r1.payout).to.equal(ctx.model.payoutAt(model, m.missionStart + 900));
+
+      await time.increaseTo(m.missionEnd + 1);
+      expect(Number(await m.mission.getRealtimeStatus())).to.equal(Status.PartlySuccess);
+      await expect(m.mission.connect(p2).callRound()).to.be.revertedWithCustomError(m.mission, "MissionEnded");
+
+      await (await m.mission.forceFinalizeMission()).wait();
+      expect(Number(await m.mission.getRealtimeStatus())).to.equal(Status.Success);
+      expect((await readModel(ctx, m)).status).to.equal(Status.Success);
+    });
+  });
+  // #endregion
+
+  // #region Refund
+  describe("not enough players → checkMissionStartCondition refunds", function () {
+    it("fails the mission and refunds the enrollment fee", async function () {
+      const ctx = await loadFixture(deployAllFixture);
+      const [p1] = ctx.players;
+
+      const m = await createMission(ctx, { rounds: 2, minPlayers: 3 });
+      await enroll(ctx, m, [p1]);
+
+      await time.increaseTo(m.enrollEnd + 1);
+      expect(Number(await m.mission.getRealtimeStatus())).to.equal(Status.Failed);
+
+      const before = await ethers.provider.getBalance(p1.address);
+      await (await m.mission.checkMissionStartCondition()).wait();
+      const after  = await ethers.provider.getBalance(p1.address);
+      expect(after - before).to.equal(m.fee);                     // p1 paid no gas here
+
+      const model = await readModel(ctx, m);
+      expect(model.status).to.equal(Status.Failed);
+      expect(model.enrollments).to.have.length(1);
+      expect(model.enrollments[0].refunded).to.equal(true);
+      expect(model.enrollments[0].refunded_failed).to.equal(false);
+      expect(await m.mission.wasRefunded(p1.address)).to.equal(true);
+
+      await expect(m.mission.connect(p1).callRound()).to.be.revertedWithCustomError(m.mission, "MissionEnded");
+    });
+  });
+  // #endregion
+
+  // #region Decoding through the model
+  describe("views decode into the values that were written", function () {
+    it("maps getMissionData and the factory views onto the model fields the pages read", async function () {
+      const ctx = await loadFixture(deployAllFixture);
+      const [p1, p2, p3] = ctx.players;
+      const { missionSnapshotFromChain } = ctx.model;
+
+      // One banked round, so players, winners and the pool have moved
+      const m = await createMission(ctx, { rounds: 2, minPlayers: 3 });
+      await enroll(ctx, m, [p1, p2, p3]);
+      await time.increaseTo(m.missionStart + 300);
+      const r1 = await bankAt(ctx, m, p1);
+
+      const addr     = m.address.toLowerCase();
+      const croStart = m.pot + m.fee * 3n;
+      const expected = {
+        mission_address:        addr,
+        name:                   "E2E mission",
+        mission_type:           MISSION_TYPE_HOURLY,
+        status:                 Status.Paused,
+        enrollment_start:       String(m.enrollStart),
+        enrollment_end:         String(m.enrollEnd),
+        enrollment_amount_wei:  String(m.fee),
+        enrollment_min_players: 3,
+        enrollment_max_players: 5,
+        mission_start:          String(m.missionStart),
+        mission_end:            String(m.missionEnd),
+        mission_rounds_total:   2,
+        round_count:            1,
+        cro_initial_wei:        String(m.pot),
+        cro_start_wei:          String(croStart),
+        cro_current_wei:        String(croStart - r1.payout),
+        pause_timestamp:        String(r1.ts),
+        round_pause_secs:       ROUND_PAUSE,
+        last_round_pause_secs:  LAST_ROUND_PAUSE,
+        enrolled_players:       3,
+      };
+      const players = [p1, p2, p3].map(p => p.address.toLowerCase());
+
+      // Mission.getMissionData and the factory pass-through, both through the frontend ABIs
+      for (const md of [await m.mission.getMissionData(), await ctx.factory.getMissionData(m.address)]) {
+        const { mission, enrollments, rounds } = missionSnapshotFromChain(addr, md);
+        expect(mission).to.include(expected);
+        expect(enrollments.map(e => e.player)).to.deep.equal(players);
+        expect(enrollments[0]).to.include({ amountWon: String(r1.payout), wonTS: r1.ts, refunded: false, refundFailed: false });
+        expect(enrollments.slice(1).map(e => e.amountWon)).to.deep.equal(["0", "0"]);
+        expect(rounds).to.deep.equal([{ round_number: 1, winner_address: players[0], payout_wei: String(r1.payout), created_at: r1.ts }]);
+      }
+
+      // List view rows carry no players; the counts still come through
+      const [latest] = await ctx.factory.getLatestMissions(1);
+      const row      = missionSnapshotFromChain(addr, latest);
+      expect(row.mission).to.include(expected);
+      expect(row.enrollments).to.deep.equal([]);
+
+      // The change log and a player's participation, read the way changeFeed.js / chainReads.js do
+      const [changed, timestamps, seqs] = await ctx.factory.getChangesAfter(0);
+      expect([...changed].map(a => a.toLowerCase())).to.include(addr);
+      expect([...timestamps].every(t => Number(t) > 0)).to.equal(true);
+      expect(new Set([...seqs].map(Number)).size).to.equal(seqs.length);
+
+      const [joined, , names] = await ctx.factory.getPlayerParticipation(p2.address);
+      expect([...joined].map(a => a.toLowerCase())).to.deep.equal([addr]);
+      expect([...names]).to.deep.equal(["E2E mission"]);
+    });
+  });
+  // #endregion
+});
@@ -4,14 +4,20 @@
 import { 
   connectWallet, 
   disconnectWallet, 
-  walletAddress 
+  walletAddress,
+  getSigner,
+  getProvider,
+  isWrongNetwork,
+  requireAppNetwork,
 } from "./walletConnect.js";
 
+import { trackTx } from "./txManager.js";
+
+import { preflightTx, preflightOverrides, feeText } from "./preflight.js";
+
 import { 
   FACTORY_ADDRESS, 
   READ_ONLY_RPC, 
-  FACTORY_ABI,
-  MISSION_ABI,
   getReadProvider,
   showAlert, 
   showConfirm,
@@ -22,14 +28,23 @@ import {
   missionTypeName,
   copyableAddr,
   shorten,
-  decodeError,
   formatLocalDateTime,
+  formatCro,
+  NETWORK,
 } from "./core.js";
 
+import { postKickCreated } from "./api.js";
+
 import { 
-  postKickCreated, 
-  postKickFinalized 
-} from "./api.js";
+  FACTORY_ABI, 
+  MISSION_ABI 
+} from "./contracts.js";
+
+import { missionFromChain } from "./missionModel.js";
+
+import { errorMessage } from "./errors.js";
+
+import { startChangeFeed } from "./changeFeed.js";
 
 /* ---------- DOM ---------- */
 const adminSections     = document.querySelectorAll (".section-box");
@@ -46,6 +61,13 @@ const missionEndIn      = document.getElementById   ("missionEnd");
 const missionNameIn     = document.getElementById   ("missionName");
 const missionTypeSel    = document.getElementById   ("missionType");
 const roundsIn          = document.getElementById   ("rounds");
+const minPlayersIn      = document.getElementById   ("minPlayers");
+const maxPlayersIn      = document.getElementById   ("maxPlayers");
+const feeIn             = document.getElementById   ("enrollmentAmount");
+const secretGroup       = document.getElementById   ("secretPassphraseGroup");
+const secretIn          = document.getElementById   ("secretPassphrase");
+const creatorGroup      = document.getElementById   ("creatorAddressGroup");
+const creatorIn         = document.getElementById   ("creatorAddress");
 const missionsList      = document.getElementById   ("missionsList");
 const missionModal      = document.getElementById   ("missionModal");
 const modalTitle        = document.getElementById   ("missionModalTitle");
@@ -53,6 +75,15 @@ const modalBody         = document.getElementById   ("missionModalBody");
 const modalCloseX       = document.getElementById   ("missionModalClose");
 const modalCloseBtn     = document.getElementById   ("missionModalCloseBtn"); // Do not remove this line, it is used in the modalBody
 
+/* ---------- mission grid state (change feed patches rows in place) ---------- */
+const __gridItems       = new Map();        // addr (lc) → { item, li } of the rows on screen
+let   __gridAccepts     = () => true;       // status filter of the current grid
+
+/* ---------- mission types with the contract's stricter rules ---------- */
+const TYPE_INVITE_ONLY  = 7;
+const TYPE_USER_MISSION = 8;
+const isUserCreated     = type => type === TYPE_INVITE_ONLY || type === TYPE_USER_MISSION;
+
 /* ---------- live-validation ---------- */
 const highlight = els => {
   [...form.elements].forEach(el => el.classList.remove("field-invalid"));
@@ -94,9 +125,23 @@ const validate = () => {
   const mE     = mEraw ? new Date(mEraw) : NaN;
 
   /* ---- mandatory & range checks ---- */
-  if(isNaN(rounds)  || rounds < 5)              bad.push(f.rounds);
-  if(isNaN(minP)    || minP   < rounds)         bad.push(f.minPlayers);
-  if(isNaN(maxP)    || maxP   < minP)           bad.push(f.maxPlayers);
+  if (isUserCreated(type)) {
+    /* InviteOnly / UserMission – mirrors MissionFactory.createMission */
+    if(isNaN(rounds)  || rounds < 2)              bad.push(f.rounds);           // "Rounds>1"
+    if(isNaN(minP)    || minP   < 3
+                      || rounds > minP - 1)       bad.push(f.minPlayers);       // "Min players>2", "Rounds<=minPlay-1"
+    if(isNaN(maxP)    || maxP   < minP
+                      || maxP   > 25)             bad.push(f.maxPlayers);       // "Max players<26"
+    if(isNaN(fee)     || fee    < 1)              bad.push(f.enrollmentAmount); // "Fee>=1" (UI: 1 CRO)
+    if(type === TYPE_INVITE_ONLY  && !f.secretPassphrase.value)
+                                                  bad.push(f.secretPassphrase); // "pinHash?"
+    if(type === TYPE_USER_MISSION && !ethers.utils.isAddress(f.creatorAddress.value.trim()))
+                                                  bad.push(f.creatorAddress);   // "Creator addr?"
+  } else {
+    if(isNaN(rounds)  || rounds < 5)              bad.push(f.rounds);
+    if(isNaN(minP)    || minP   < rounds)         bad.push(f.minPlayers);
+    if(isNaN(maxP)    || maxP   < minP)           bad.push(f.maxPlayers);
+  }
   if(isNaN(rpd)     || rpd  < 60 || rpd  > 255) bad.push(f.roundPauseDuration);     // 1 minute to 4 minute 15
   if(isNaN(lrpd)    || lrpd < 60 || lrpd > 255) bad.push(f.lastRoundPauseDuration); // 1 minute to 4 minute 15 
   if(!sEraw)                                    bad.push(f.enrollmentStart);
@@ -122,6 +167,27 @@ function formatSecondsToDHMS(seconds){
   return dhms;
 }
 
+/* show/hide the type-specific fields and align the native input limits */
+function applyTypeMode(){
+  if (!form) return;
+  const type     = Number(missionTypeSel.value);
+  const userMade = isUserCreated(type);
+
+  secretGroup ?.classList.toggle("d-none", type !== TYPE_INVITE_ONLY);
+  creatorGroup?.classList.toggle("d-none", type !== TYPE_USER_MISSION);
+  if (secretIn)  secretIn.required  = type === TYPE_INVITE_ONLY;
+  if (creatorIn) creatorIn.required = type === TYPE_USER_MISSION;
+
+  roundsIn.min             = userMade ? "2" : "5";
+  roundsIn.placeholder     = userMade ? ">= 2" : ">= 5";
+  minPlayersIn.min         = userMade ? "3" : "5";
+  minPlayersIn.placeholder = userMade ? "> Mission Rounds" : ">= Misson Rounds";
+  maxPlayersIn.min         = userMade ? "3" : "5";
+  maxPlayersIn.max         = userMade ? "25" : "";
+  maxPlayersIn.placeholder = userMade ? "Min Players – 25" : ">= Min Players";
+  feeIn.min                = userMade ? "1" : "0";
+}
+
 const updateBtn = () => {
   const {ok, bad} = validate();
   createBtn.disabled = !ok;
@@ -131,7 +197,8 @@ const updateBtn = () => {
 
 form?.addEventListener("input",  updateBtn);
 form?.addEventListener("change", updateBtn);
-document.addEventListener("DOMContentLoaded", updateBtn,    {once:true});
+missionTypeSel?.addEventListener("change", applyTypeMode);
+document.addEventListener("DOMContentLoaded", () => { applyTypeMode(); updateBtn(); }, {once:true});
 
 document.getElementById("latestMissionsLink")?.addEventListener("click", async e=>{
   e.preventDefault();
@@ -168,70 +235,47 @@ async function openMissionModal(item, btnRef = null, factoryStatus = null){
       setBtnLoading(btnRef, true, "Reloading");
     }
 
-    // Fetch on-chain snapshot (matches core.js MISSION_ABI)
+    // Fetch on-chain snapshot (MISSION_ABI is generated from the artifacts)
     const md = await mc.getMissionData();
-    const {
-      status,
-      missionCreated,
-      name,
-      missionType,
-      missionRounds,
-      roundPauseDuration,
-      lastRoundPauseDuration,
-      croInitial,
-      croStart,
-      croCurrent,
-      enrollmentAmount,
-      enrollmentMinPlayers,
-      enrollmentMaxPlayers,
-      enrollmentStart,
-      enrollmentEnd,
-      missionStart,
-      missionEnd,
-      players,
-      enrollmentCount,
-      roundCount,
-      pauseTimestamp,
-      allRefunded,
-      creator
-    } = md;
+    const m  = missionFromChain(item.addr, md);
+    const { status, name, mission_type: missionType } = m;
 
     // Realtime label/color (unchanged helpers)
     const realtimeLabel = statusText(status);
     const rtColor       = colorForStatusLabel(realtimeLabel);
 
-    const playersCount = Array.isArray(players) ? players.length : 0;
+    const playersCount = m.enrollments.length;
 
     /* build rows */
     const rowTemplates = [
       `<tr><th>Factory Status</th>     <td>${factoryStatus == null ? "—" : statusText(factoryStatus)}</td></tr>`,
       `<tr><th>Realtime Status</th>    <td style="${rtColor ? `color:${rtColor};font-weight:600` : ""}">${realtimeLabel}</td></tr>`,
       `<tr><th>Mission Name</th>       <td>${name || item.name || "—"}</td></tr>`,
-      `<tr><th>Players</th>            <td${playersCount < Number(enrollmentMinPlayers) ? ' class="text-warning fw-bold"' : ''}>${playersCount}</td></tr>`,
+      `<tr><th>Players</th>            <td${playersCount < m.enrollment_min_players ? ' class="text-warning fw-bold"' : ''}>${playersCount}</td></tr>`,
       `<tr><th>Mission Type</th>       <td>${missionTypeName[missionType] ?? `Type #${missionType}`}</td></tr>`,
-      `<tr><th>Enrollment Start</th>   <td>${formatLocalDateTime(enrollmentStart)}</td></tr>`,
-      `<tr><th>Enrollment End</th>     <td>${formatLocalDateTime(enrollmentEnd)}</td></tr>`,
-      `<tr><th>Mission Start</th>      <td>${formatLocalDateTime(missionStart)}</td></tr>`,
-      `<tr><th>Mission End</th>        <td>${formatLocalDateTime(missionEnd)}</td></tr>`,
-      `<tr><th>Min Players</th>        <td>${enrollmentMinPlayers}</td></tr>`,
-      `<tr><th>Max Players</th>        <td>${enrollmentMaxPlayers}</td></tr>`,
-      `<tr><th>Round Pause</th>        <td>${formatSecondsToDHMS(Number(roundPauseDuration))}</td></tr>`,
-      `<tr><th>Final Round Pause</th>  <td>${formatSecondsToDHMS(Number(lastRoundPauseDuration))}</td></tr>`,
-      `<tr><th>Rounds</th>             <td>${missionRounds}</td></tr>`,
-      `<tr><th>Round Count</th>        <td>${roundCount}</td></tr>`,
-      `<tr><th>Enrollment Amount</th>  <td>${ethers.utils.formatEther(enrollmentAmount)} CRO</td></tr>`,
-      `<tr><th>CRO Initial</th>        <td>${ethers.utils.formatEther(croInitial)} CRO</td></tr>`,
-      `<tr><th>CRO Start</th>          <td>${ethers.utils.formatEther(croStart)} CRO</td></tr>`,
-      `<tr><th>CRO Current</th>        <td>${ethers.utils.formatEther(croCurrent)} CRO</td></tr>`,
-      `<tr><th>All Refunded</th>       <td>${allRefunded ? "Yes" : "No"}</td></tr>`,
-      `<tr><th>Creator</th>            <td>${creator && creator !== ethers.constants.AddressZero ? copyableAddr(creator) : "—"}</td></tr>`,
-      `<tr><th>Mission Created</th>    <td>${formatLocalDateTime(missionCreated)}</td></tr>`,
-      `<tr><th>Pause Timestamp</th>    <td>${pauseTimestamp ? formatLocalDateTime(pauseTimestamp) : "—"}</td></tr>`,
+      `<tr><th>Enrollment Start</th>   <td>${formatLocalDateTime(m.enrollment_start)}</td></tr>`,
+      `<tr><th>Enrollment End</th>     <td>${formatLocalDateTime(m.enrollment_end)}</td></tr>`,
+      `<tr><th>Mission Start</th>      <td>${formatLocalDateTime(m.mission_start)}</td></tr>`,
+      `<tr><th>Mission End</th>        <td>${formatLocalDateTime(m.mission_end)}</td></tr>`,
+      `<tr><th>Min Players</th>        <td>${m.enrollment_min_players}</td></tr>`,
+      `<tr><th>Max Players</th>        <td>${m.enrollment_max_players}</td></tr>`,
+      `<tr><th>Round Pause</th>        <td>${formatSecondsToDHMS(m.round_pause_secs)}</td></tr>`,
+      `<tr><th>Final Round Pause</th>  <td>${formatSecondsToDHMS(m.last_round_pause_secs)}</td></tr>`,
+      `<tr><th>Rounds</th>             <td>${m.mission_rounds_total}</td></tr>`,
+      `<tr><th>Round Count</th>        <td>${m.round_count}</td></tr>`,
+      `<tr><th>Enrollment Amount</th>  <td>${formatCro(m.enrollment_amount_wei, 18)}</td></tr>`,
+      `<tr><th>Pool Initial</th>       <td>${formatCro(m.cro_initial_wei, 18)}</td></tr>`,
+      `<tr><th>Pool Start</th>         <td>${formatCro(m.cro_start_wei, 18)}</td></tr>`,
+      `<tr><th>Pool Current</th>       <td>${formatCro(m.cro_current_wei, 18)}</td></tr>`,
+      `<tr><th>All Refunded</th>       <td>${m.all_refunded ? "Yes" : "No"}</td></tr>`,
+      `<tr><th>Creator</th>            <td>${m.creator_address ? copyableAddr(m.creator_address) : "—"}</td></tr>`,
+      `<tr><th>Mission Created</th>    <td>${formatLocalDateTime(m.mission_created)}</td></tr>`,
+      `<tr><th>Pause Timestamp</th>    <td>${m.pause_timestamp ? formatLocalDateTime(m.pause_timestamp) : "—"}</td></tr>`,
       // Inline Increase Pot
       `<tr><th>Increase Pot</th><td>
         <div class="d-flex align-items-center gap-2">
           <input type="number" id="increasePotAmount" class="form-control form-control-sm"
-                 placeholder="Amount in CRO" min="0" step="any" style="max-width:120px;">
+                 placeholder="Amount in ${NETWORK.symbol}" min="0" step="any" style="max-width:120px;">
           <button class="btn btn-sm btn-outline-success" id="increasePotBtn">
             <i class="fa-solid fa-plus"></i> Add
           </button>
@@ -240,7 +284,7 @@ async function openMissionModal(item, btnRef = null, factoryStatus = null){
     ];
 
     // Refund condition: use the new boolean (no refundedPlayers array anymore)
-    const shouldRefund = (status === 7 && playersCount > 0 && !allRefunded);
+    const shouldRefund = (status === 7 && playersCount > 0 && !m.all_refunded);
     if (shouldRefund) triggerRefundModal(item.addr);
 
     // Title
@@ -330,9 +374,10 @@ async function openMissionModal(item, btnRef = null, factoryStatus = null){
 }
 
 async function triggerRefundModal(address, btnRef, factoryStatus = null) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   try {
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-    const signer   = provider.getSigner();
+    const signer   = walletSigner();
+    if (!signer) return;
     const mc       = new ethers.Contract(address, MISSION_ABI, signer); 
 
     showConfirm(
@@ -347,7 +392,7 @@ async function triggerRefundModal(address, btnRef, factoryStatus = null) {
           await tx.wait();
           success = true;
         } catch (e) {
-          showAlert(`Refund failed: ${e.message}`, "error");
+          showAlert(`Refund failed: ${errorMessage(e)}`, "error");
         }
 
         await new Promise(res => {
@@ -371,28 +416,30 @@ async function triggerRefundModal(address, btnRef, factoryStatus = null) {
   }
 }
 
+// Fee estimate line for confirm dialogs ("" when the preflight has none)
+const feeNote = (pf) => feeText(pf) ? `<br><small class="text-muted">${feeText(pf)}</small>` : "";
+
 async function forceFinalizeMission(address, btnRef, factoryStatus = null) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   try {
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-    const signer   = provider.getSigner();
-    const mc       = new ethers.Contract(address, MISSION_ABI, signer);
+    const signer = getSigner();
+    if (!signer) throw new Error("Connect your wallet first.");
+    const mc     = new ethers.Contract(address, MISSION_ABI, signer);
+
+    const pf = await preflightTx(mc, "forceFinalizeMission", [], { from: await signer.getAddress() });
+    if (!pf.ok) return showAlert(`Finalize would fail: ${pf.message}`, "error");
 
     showConfirm(
       `Force finalize mission <code>${address}</code>?<br>
-       This will call <code>forceFinalizeMission()</code> on the contract.`,
+       This will call <code>forceFinalizeMission()</code> on the contract.${feeNote(pf)}`,
       async () => {
-        let success = false;
-        let txHash  = null;
-
         setBtnLoading(btnRef, true, "Finalizing");
 
         try {
-          const tx = await mc.forceFinalizeMission();
-          txHash   = tx.hash || null;
-          await tx.wait();
-          success = true;
+          const tx = await mc.forceFinalizeMission(preflightOverrides(pf));
+          await trackTx(tx, { label: `Finalize ${shorten(address)}`, kind: "finalized", mission: address });   // kicks the indexer once mined
         } catch (e) {
-          showAlert(`Finalize failed: ${e.message}`, "error");
+          showAlert(`Finalize failed: ${errorMessage(e)}`, "error");
         }
 
         // smooth button un-loading with transition fallback
@@ -402,17 +449,6 @@ async function forceFinalizeMission(address, btnRef, factoryStatus = null) {
           setTimeout(res, 600);
         });
 
-        if (success) {
-          showAlert("Mission finalized.", "success");
-
-          // Kick the indexer so Factory Status refreshes immediately
-          try {
-            await postKickFinalized({ mission: address, txHash });
-          } catch {
-            // non-fatal; finalize staat al on-chain
-          }
-        }
-
         // Always reload the modal to reflect the new state
         openMissionModal({ addr: address }, null, factoryStatus);
       }
@@ -426,23 +462,33 @@ async function forceFinalizeMission(address, btnRef, factoryStatus = null) {
 }
 
 async function increasePot(address, amountInput, btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const val = amountInput.value.trim();
   if (!val || isNaN(val) || Number(val) <= 0) {
     return showAlert("Invalid amount", "warning");
   }
 
-  showConfirm(`Add <strong>${val} CRO</strong> to the pot?`, async () => {
+  const signer = getSigner();
+  if (!signer) return showAlert("Connect your wallet first.", "error");
+  const mc     = new ethers.Contract(address, MISSION_ABI, signer);
+  const value  = ethers.utils.parseEther(val);
+
+  const pf = await preflightTx(mc, "increasePot", [], { from: await signer.getAddress(), value });
+  if (!pf.ok) return showAlert(pf.message, "error");
+
+  showConfirm(`Add <strong>${formatCro(value.toString(), 18)}</strong> to the pot?${feeNote(pf)}`, async () => {
     setBtnLoading(btn, true, "Sending");
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
-      const mc       = new ethers.Contract(address, MISSION_ABI, signer);
-      const tx       = await mc.increasePot({ value: ethers.utils.parseEther(val) });
-      await tx.wait();
-      showAlert("Pot increased successfully!", "success");
+      const tx       = await mc.increasePot(preflightOverrides(pf, { value }));
+      await trackTx(tx, {
+        label:   `Add ${formatCro(value.toString(), 18)} to ${shorten(address)}`,
+        kind:    "potincreased",
+        mission: address,
+        player:  await signer.getAddress(),
+      });
       openMissionModal({ addr: address }, null); // reload modal to update values
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
     setBtnLoading(btn, false, "Add", false);
   });
@@ -511,7 +557,7 @@ async function refreshGlobalView(){
   const summary = await factory.getFactorySummary();
   const [owner, _factory, impl, totM, wk, mo, funds, ownerFunds, succ, fail, fundsByType] = summary;
 
-  const fmt = v => ethers.utils.formatEther(v);
+  const fmt = v => formatCro(v.toString(), 18);
   const g = document.getElementById("globalView");
   g.innerHTML = "";
   let rowIndex = 0;
@@ -529,10 +575,10 @@ async function refreshGlobalView(){
   add("Failures",             fail);
   add("Weekly&nbsp;Limit",    wk);
   add("Monthly&nbsp;Limit",   mo);
-  add("Owner&nbsp;Earnings",  fmt(ownerFunds)+" CRO");
-  add("Total&nbsp;Funds",     fmt(funds)+" CRO");
+  add("Owner&nbsp;Earnings",  fmt(ownerFunds));
+  add("Total&nbsp;Funds",     fmt(funds));
   fundsByType.forEach((f,i)=>
-    add(`${missionTypeName[i + 1]}&nbsp;Funds`, fmt(f)+" CRO"));
+    add(`${missionTypeName[i + 1]}&nbsp;Funds`, fmt(f)));
 }
 
 async function loadFactoryWriteData() {
@@ -552,7 +598,8 @@ async function loadFactoryWriteData() {
 
     document.getElementById("weeklyLimit").placeholder = `Weekly limit (current: ${weekly})`;
     document.getElementById("monthlyLimit").placeholder = `Monthly limit (current: ${monthly})`;
-    document.getElementById("fundsAvailable").textContent = `${ethers.utils.formatEther(realbalance)} CRO available`;
+    document.getElementById("fundsAvailable").textContent = `${formatCro(realbalance.toString(), 18)} available`;
+    document.getElementById("withdrawAmount").placeholder = `Amount in ${NETWORK.symbol}`;
 
     // Optional: If you also want to show the mission-locked funds elsewhere:
     // document.getElementById("lockedFunds").textContent =
@@ -566,23 +613,27 @@ async function loadFactoryWriteData() {
 }
 
 async function setEnrollmentLimits(btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const w = document.getElementById("weeklyLimit")?.value.trim();
   const m = document.getElementById("monthlyLimit")?.value.trim();
   if (!w || !m) return showAlert("Please fill both limits", "warning");
 
-  showConfirm("Update enrollment limits?", async () => {
+  const signer  = getSigner();
+  if (!signer) return showAlert("Connect your wallet first.", "error");
+  const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
+
+  const pf = await preflightTx(factory, "setEnrollmentLimits", [w, m], { from: await signer.getAddress() });
+  if (!pf.ok) return showAlert(pf.message, "error");
+
+  showConfirm(`Update enrollment limits?${feeNote(pf)}`, async () => {
     setBtnLoading(btn, true, "Submitting");
 
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
-      const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
-      const tx = await factory.setEnrollmentLimits(w, m);
-      await tx.wait();
-      showAlert("Enrollment limits updated", "success");
+      const tx = await factory.setEnrollmentLimits(w, m, preflightOverrides(pf));
+      await trackTx(tx, { label: `Enrollment limits ${w} / ${m}` });
       await loadFactoryWriteData();
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
 
     setBtnLoading(btn, false, "Submit", false);
@@ -590,21 +641,23 @@ async function setEnrollmentLimits(btn) {
 }
 
 async function addAuthorizedAddress(btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const addr = document.getElementById("authAdd")?.value.trim();
   if (!ethers.utils.isAddress(addr)) return showAlert("Invalid address", "warning");
 
+  const signer = walletSigner();
+  if (!signer) return;
+
   showConfirm(`Authorize address ${addr}?`, async () => {
     setBtnLoading(btn, true, "Adding");
 
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
       const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
       const tx = await factory.addAuthorizedAddress(addr);
       await tx.wait();
       showAlert("Address authorized", "success");
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
 
     setBtnLoading(btn, false, "Add", false);
@@ -612,21 +665,23 @@ async function addAuthorizedAddress(btn) {
 }
 
 async function removeAuthorizedAddress(btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const addr = document.getElementById("authRemove")?.value.trim();
   if (!ethers.utils.isAddress(addr)) return showAlert("Invalid address", "warning");
 
+  const signer = walletSigner();
+  if (!signer) return;
+
   showConfirm(`Remove address ${addr}?`, async () => {
     setBtnLoading(btn, true, "Removing");
 
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
       const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
       const tx = await factory.removeAuthorizedAddress(addr);
       await tx.wait();
       showAlert("Address removed", "success");
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
 
     setBtnLoading(btn, false, "Remove", false);
@@ -634,21 +689,23 @@ async function removeAuthorizedAddress(btn) {
 }
 
 async function proposeOwnershipTransfer(btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const newOwner = document.getElementById("proposeOwner")?.value.trim();
   if (!ethers.utils.isAddress(newOwner)) return showAlert("Invalid address", "warning");
 
+  const signer = walletSigner();
+  if (!signer) return;
+
   showConfirm(`Propose ownership transfer to ${newOwner}?`, async () => {
     setBtnLoading(btn, true, "Proposing");
 
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
       const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
       const tx = await factory.proposeOwnershipTransfer(newOwner);
       await tx.wait();
       showAlert("Proposal submitted", "success");
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
 
     setBtnLoading(btn, false, "Propose", false);
@@ -656,9 +713,10 @@ async function proposeOwnershipTransfer(btn) {
 }
 
 async function confirmOwnershipTransfer() {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   try {
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-    const signer   = provider.getSigner();
+    const signer   = walletSigner();
+    if (!signer) return;
     const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
 
     const tx = await factory.confirmOwnershipTransfer(); 
@@ -666,7 +724,7 @@ async function confirmOwnershipTransfer() {
     await tx.wait();
     showAlert("Ownership transferred", "success");
   } catch (err) {
-    showAlert(decodeError(err), "error");
+    showAlert(errorMessage(err), "error");
   }
 }
 
@@ -712,26 +770,30 @@ async function updateConfirmCard() {
 }
 
 async function withdrawFunds(btn) {
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   const val = document.getElementById("withdrawAmount")?.value.trim();
   if (!val || isNaN(val) || Number(val) <= 0) {
     return showAlert("Invalid amount", "warning");
   }
 
-  showConfirm(`Withdraw <strong>${val} CRO</strong> from the factory?`, async () => {
+  const signer  = getSigner();
+  if (!signer) return showAlert("Connect your wallet first.", "error");
+  const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
+  const amount  = ethers.utils.parseEther(val);
+
+  const pf = await preflightTx(factory, "withdrawFunds", [amount], { from: await signer.getAddress() });
+  if (!pf.ok) return showAlert(pf.message, "error");
+
+  showConfirm(`Withdraw <strong>${formatCro(amount.toString(), 18)}</strong> from the factory?${feeNote(pf)}`, async () => {
     setBtnLoading(btn, true, "Withdrawing");
 
     try {
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer   = provider.getSigner();
-      const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
-      const amount   = ethers.utils.parseEther(val);
-      const tx       = await factory.withdrawFunds(amount);
-      await tx.wait();
-      showAlert("Funds withdrawn", "success");
+      const tx       = await factory.withdrawFunds(amount, preflightOverrides(pf));
+      await trackTx(tx, { label: `Withdraw ${formatCro(amount.toString(), 18)}` });
       await loadFactoryWriteData();
       document.getElementById("withdrawAmount").value = "";
     } catch (err) {
-      showAlert(decodeError(err), "error");
+      showAlert(errorMessage(err), "error");
     }
 
     setBtnLoading(btn, false, "Withdraw", false);
@@ -750,7 +812,7 @@ async function lookupPlayer(addr){
   const p       = getReadProvider();
   const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, p);
 
-  const [limits, ok, wSec, mSec, [joined]] = await Promise.all([
+  const [limits, [ok], wSec, mSec, [joined]] = await Promise.all([
     factory.getPlayerLimits(addr),
     factory.canEnroll(addr),
     factory.secondsTillWeeklySlot(addr),
@@ -865,7 +927,7 @@ function applyDateDefaults(){
 /* ---------- ask to apply defaults ---------- */
 const askDefaults = () => {
 
-  if (!enrollmentStartIn.value || Number(missionTypeSel.value) === 0) return;
+  if (!enrollmentStartIn.value || !missionDefaults[Number(missionTypeSel.value)]) return;
 
   clearSelection();
   const typeName = missionTypeSel.options[missionTypeSel.selectedIndex].textContent;
@@ -879,11 +941,19 @@ const askDefaults = () => {
 enrollmentStartIn?.addEventListener("change", askDefaults);  // fires when date-picker closes
 missionTypeSel?.addEventListener("change", askDefaults);
 
+/* ---------- wallet signer ---------- */
+// Signer of the wallet connected through walletConnect.js; null (with an alert) when none is
+function walletSigner(){
+  const signer = getSigner();
+  if (!signer) showAlert("Please connect a wallet first.", "error");
+  return signer;
+}
+
 /* ---------- role check ---------- */
 async function isOwnerOrAuthorized(addr){
-  /* 1 — try via the wallet’s provider (requires the account to be “connected”) */
+  /* 1 — try via the connected wallet’s provider (walletConnect.js), else the read-only RPC */
   try{
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const provider = getProvider() || getReadProvider();
     const factory  = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
     const [ownerAddr, isAuth] = await Promise.all([
       factory.owner(),
@@ -891,9 +961,9 @@ async function isOwnerOrAuthorized(addr){
     ]);
     return ownerAddr.toLowerCase() === addr || isAuth;
   }catch(err){
-    /* MetaMask throws “dapp not connected” when the new account hasn’t granted access.
-       We silently fall back to a public RPC for a read-only check. */
-    if (String(err?.message).includes("dapp not connected")){
+    /* MetaMask throws “dapp not connected” when the new account hasn’t granted access;
+       on another chain the factory is not there. Both fall back to the read-only RPC. */
+    if (String(err?.message).includes("dapp not connected") || isWrongNetwork()){
       try{
         const fallback  = getReadProvider();
         const factory   = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, fallback);
@@ -928,7 +998,7 @@ connectBtn.addEventListener("click", () => {
 
 /* ---------- after connect / account change ---------- */
 async function handlePostConnect(addrOverride){
-  /* use the override (from the MetaMask event) or fall back to the
+  /* use the override (from the wallet:changed event) or fall back to the
      live-exported walletAddress coming from walletConnect.js */
   const addr = addrOverride || walletAddress;
   if(!addr){
@@ -943,6 +1013,7 @@ async function handlePostConnect(addrOverride){
     adminSections.forEach(sec => sec.classList.add("hidden"));
     document.getElementById("missionsSection")?.classList.remove("hidden");
     await loadMissions();   // ✅ load only after admin is confirmed
+    startChangeFeed();      // rows follow the factory change log from here on
   } else {
     updateConnectButton();
     toggleSections(false);
@@ -959,15 +1030,14 @@ async function handlePostConnect(addrOverride){
 
 }
 
-/* ---------- MetaMask account change ---------- */
-if(window.ethereum){
-  window.ethereum.on("accountsChanged", accounts => {
-    /* walletConnect.js updates its export asynchronously, so we
-       pass the new address directly and wait one tick to be safe */
-    const newAddr = accounts[0] ? accounts[0].toLowerCase() : null;
-    setTimeout(() => handlePostConnect(newAddr), 0);
-  });
-}
+/* ---------- wallet account change ---------- */
+// walletConnect.js follows the wallet that was picked (EIP-6963 or WalletConnect), not window.ethereum
+window.addEventListener("wallet:changed",      (e) => handlePostConnect(e.detail?.address || null));
+window.addEventListener("wallet:disconnected", ()  => handlePostConnect(null));
+
+/* ---------- wallet network switch ---------- */
+// Re-check the role on the new chain and re-render the admin sections
+window.addEventListener("wallet:chainChanged", () => handlePostConnect());
 
 /* ---------- auto-connect on page load ---------- */
 function initializeAdminUI() {
@@ -994,27 +1064,21 @@ async function loadMissions(filter = "all") {
     const all = res.ok ? await res.json() : [];
 
     // 2) Client-side filter to match the old dropdowns
-    let rows = all;
-    switch (filter) {
-      case "active":
-        rows = all.filter(x => Number(x.status) < 5);
-        setTitle("Active Missions");
-        break;
-      case "partial":
-        rows = all.filter(x => Number(x.status) === 5);
-        setTitle("Partly Ended Missions");
-        break;
-      case "failed":
-        rows = all.filter(x => Number(x.status) === 7);
-        setTitle("Failed Missions");
-        break;
-      case "ended":
-        rows = all.filter(x => Number(x.status) >= 5);
-        setTitle("Ended Missions");
-        break;
-      default:
-        setTitle("All Missions");
-    }
+    const accepts = {
+      active:  (s) => s < 5,
+      partial: (s) => s === 5,
+      failed:  (s) => s === 7,
+      ended:   (s) => s >= 5,
+    }[filter] || (() => true);
+    const rows = all.filter(x => accepts(Number(x.status)));
+    __gridAccepts = accepts;
+
+    setTitle({
+      active:  "Active Missions",
+      partial: "Partly Ended Missions",
+      failed:  "Failed Missions",
+      ended:   "Ended Missions",
+    }[filter] || "All Missions");
 
     // 3) Adapt to the old grid builder’s expected arrays
     const addrs = rows.map(r => r.mission_address);
@@ -1039,6 +1103,7 @@ async function loadLatestMissions(n = 10){
     const res  = await fetch("/api/missions/all", { cache: "no-store" });
     const all  = res.ok ? await res.json() : [];
     const rows = all.slice(0, Math.max(0, Number(n)||0));
+    __gridAccepts = () => true;                 // a new mission is the latest one
 
     const addrs = rows.map(r => r.mission_address);
     const stats = rows.map(r => Number(r.status));
@@ -1063,6 +1128,7 @@ async function buildMissionGrid(addrs, stats, names){
   }));
   items.sort((a, b) => (a.status === 5 && b.status !== 5 ? -1 : b.status === 5 && a.status !== 5 ? 1 : b.idx - a.idx));
 
+  __gridItems.clear();
   missionsList.innerHTML = "";
   missionsList.classList.toggle("empty", items.length === 0);
 
@@ -1074,28 +1140,65 @@ async function buildMissionGrid(addrs, stats, names){
     return;
   }
 
-  items.forEach(m => {
-    const li = document.createElement("li");
-    li.className = "mission-item" + (m.status === 3 ? " partly-success" : "");
-    li.innerHTML = `
-      <span class="m-name">${m.name}</span>
-      <span class="m-status" data-addr="${m.addr}" data-factory="${m.status}">
-        ${statusText(m.status)}
-      </span>
-      <span class="mission-spinner fade-spinner hidden"></span>
-    `;
-
-    li.addEventListener("click", () => {
-      const sp = li.querySelector(".mission-spinner");
-      fadeSpinner(sp, true);
-      openMissionModal(m, sp, m.status).finally(() => fadeSpinner(sp, false));
-    });
-    missionsList.appendChild(li);
-  });
+  items.forEach(m => missionsList.appendChild(missionItemEl(m)));
   missionsSection.classList.remove("hidden");
   await markStatusMismatches(items, 1);
 }
 
+function missionItemEl(m){
+  const li = document.createElement("li");
+  li.className = "mission-item" + (m.status === 3 ? " partly-success" : "");
+  li.innerHTML = `
+    <span class="m-name">${m.name}</span>
+    <span class="m-status" data-addr="${m.addr}" data-factory="${m.status}">
+      ${statusText(m.status)}
+    </span>
+    <span class="mission-spinner fade-spinner hidden"></span>
+  `;
+
+  li.addEventListener("click", () => {
+    const sp = li.querySelector(".mission-spinner");
+    fadeSpinner(sp, true);
+    openMissionModal(m, sp, m.status).finally(() => fadeSpinner(sp, false));
+  });
+  __gridItems.set(String(m.addr).toLowerCase(), { item: m, li });
+  return li;
+}
+
+/* ---------- change feed: patch single rows ---------- */
+
+async function onMissionChanged(e){
+  const { addr, kind, status } = e.detail || {};
+  if (missionsSection.classList.contains("hidden")) return;
+
+  const row = __gridItems.get(addr);
+  if (row) {
+    row.item.status = status;
+    row.li.classList.toggle("partly-success", status === 3);
+    const el = row.li.querySelector(".m-status");
+    el.dataset.factory = String(status);
+    el.classList.remove("text-danger", "fw-bold");
+    el.removeAttribute("title");
+    el.textContent = statusText(status);
+    await markStatusMismatches([row.item], 1);
+    return;
+  }
+
+  if (kind !== "created" || !__gridAccepts(status)) return;
+  let name = "";
+  try {
+    const f = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, getReadProvider());
+    name = await f.missionNames(addr);
+  } catch { /* row still shows, unnamed */ }
+  if (__gridItems.has(addr)) return;        // arrived twice meanwhile
+
+  missionsList.querySelector(".mission-empty")?.remove();
+  missionsList.classList.remove("empty");
+  missionsList.prepend(missionItemEl({ addr, name, status, idx: Number.MAX_SAFE_INTEGER }));
+}
+
+window.addEventListener("mission:changed", (e) => { onMissionChanged(e).catch(err => console.warn("mission:changed", err)); });
+
 async function markStatusMismatches(items, concurrency = 1){
   if (!Array.isArray(items) || items.length === 0) return;
 
@@ -1144,6 +1247,7 @@ function setTitle(label) {
 /* ---------- form submit ---------- */
 form?.addEventListener("submit", async e => {
   e.preventDefault();
+  if (!(await requireAppNetwork())) return;   // wrong chain: banner offers the switch
   if(createBtn) setBtnLoading(createBtn, true, "Creating&nbsp;Mission");      
 
   if(!walletAddress){ 
@@ -1159,15 +1263,35 @@ form?.addEventListener("submit", async e => {
     return showAlert("This wallet is not authorized.","error");
 
   try{
-    const p       = new ethers.providers.Web3Provider(window.ethereum);
-    const signer  = p.getSigner();
+    const signer  = getSigner();
     const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
 
     /* ─ gather & convert ─ */
-    const f = form.elements;
+    const f           = form.elements;
+    const type        = parseInt(f.missionType.value);
+    const enrollStart = toUnix(f.enrollmentStart.value);
+
+    // InviteOnly: commitment checked by Mission.enrollPlayerWithSecret()
+    const pinHash = type === TYPE_INVITE_ONLY
+      ? eth.solidityKeccak256(["string", "uint256"], [f.secretPassphrase.value, enrollStart])
+      : ethers.constants.HashZero;
+    const creator = type === TYPE_USER_MISSION
+      ? eth.getAddress(f.creatorAddress.value.trim())
+      : ethers.constants.AddressZero;
+
+    // UserMission: the factory allows one mission per creator per 24h ("Min 24h")
+    if (type === TYPE_USER_MISSION) {
+      const last = Number(await factory.lastUserMissionCreatedAt(creator));
+      const wait = last ? last + 86400 - Math.floor(Date.now() / 1000) : 0;
+      if (wait > 0) {
+        showAlert(`This creator can start a new User Mission in ${formatSecondsToDHMS(wait)}.`, "error");
+        return;
+      }
+    }
+
     const args = [
-      parseInt(f.missionType.value),
-      toUnix(f.enrollmentStart.value),
+      type,
+      enrollStart,
       toUnix(f.enrollmentEnd.value),
       eth.parseEther(f.enrollmentAmount.value),
       parseInt(f.minPlayers.value),
@@ -1178,14 +1302,22 @@ form?.addEventListener("submit", async e => {
       toUnix(f.missionEnd.value),
       parseInt(f.rounds.value),
       f.missionName.value.trim(),
-      ethers.constants.HashZero,     // ✅ ethers v5
-      ethers.constants.AddressZero   // ✅ ethers v5
+      pinHash,
+      creator
     ];
+    // Dry-run: a bad schedule / fee / creator reverts here instead of in the wallet
+    const value = eth.parseEther(f.initialPot.value || "0");
+    const pf    = await preflightTx(factory, "createMission", args, { from: walletAddress, value });
+    if (!pf.ok) {
+      showAlert(`Mission would not be created: ${pf.message}`, "error");
+      return;
+    }
+
     const tx = await factory.createMission(
       ...args,                        // ✅ spread the array
-      { value: eth.parseEther(f.initialPot.value || "0") }
+      preflightOverrides(pf, { value })
     );
-    showAlert("Transaction sent – waiting for confirmation…","info");
+    showAlert(`Transaction sent – waiting for confirmation…${feeNote(pf)}`,"info");
     const rc = await tx.wait();
 
     // Extract mission address from MissionCreated event
@@ -1207,7 +1339,12 @@ form?.addEventListener("submit", async e => {
       postKickCreated({ mission: missionLc, txHash: tx.hash }).catch(() => { /* non-fatal */ });
     }
 
-    showAlert("Mission created successfully!", "success");
+    showAlert(
+      type === TYPE_INVITE_ONLY
+        ? "Mission created successfully!<br><small>The passphrase cannot be read back from chain – share it with the invited players now.</small>"
+        : "Mission created successfully!",
+      "success"
+    );
 
     // Wait until the new mission appears in the DB (indexer has processed the kick)
     if (missionLc) {
@@ -1246,11 +1383,12 @@ form?.addEventListener("submit", async e => {
 
     // 3) Formulier opruimen voor een eventuele volgende mission
     form.reset();
+    applyTypeMode();
 
   } catch (err) {
 
     /* ---------- extract a meaningful revert reason ---------- */
-    let msg = decodeError(err);
+    let msg = errorMessage(err);
 
     if (!msg) msg = err.message || "Transaction failed";
     showAlert(msg, "error");
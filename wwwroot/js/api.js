@@ -3,55 +3,205 @@
   - Single source of truth is the backend API.
   - Always lowercase addresses (API groups & params are lowercase).
   - Light client-side de-duplication for /events/* kicks (~2s).
+  - Kicks and eligibility need the SIWE cookie session; on a 401 they
+    ask walletConnect.js to sign in (setSessionRenewer) and retry once.
+  - Direct chain mode: when a mission snapshot call fails and /health or
+    /health/db fails too, the snapshots come from the factory views
+    (chainReads.js, same shapes) until the health checks pass again.
+    Emits "api:chainMode" { on } on window when that switches.
 **********************************************************************/
 
 // V4
 
+import {
+  chainMissionsLatest,
+  chainMissionsNotEnded,
+  chainMissionsJoinable,
+  chainMission,
+  chainPlayerMissions,
+} from "./chainReads.js";
+
 const API_ROOT = "/api";
 const j = (resp) => {
   if (!resp.ok) throw new Error(`${resp.url} failed (${resp.status})`);
+  noteFreshness(resp);
   return resp.json();
 };
 
+// sw.js serves the last cached snapshot when offline and marks it with this header (ms epoch).
+// Emits "api:stale" { since, url } for such responses and "api:fresh" { url } otherwise.
+const STALE_HEADER = "x-b6-stale-since";
+let   __staleSince = 0;
+
+function                noteFreshness       (resp)                              {
+  const since = Number(resp.headers?.get?.(STALE_HEADER) || 0);
+  if (since) {
+    __staleSince = __staleSince ? Math.min(__staleSince, since) : since;
+    window.dispatchEvent(new CustomEvent("api:stale", { detail: { since: __staleSince, url: resp.url } }));
+  } else if (__staleSince) {
+    __staleSince = 0;
+    window.dispatchEvent(new CustomEvent("api:fresh", { detail: { url: resp.url } }));
+  }
+}
+
+/** Oldest cached-snapshot time (ms epoch) currently on screen, 0 when online data is shown. */
+export function         getStaleSince       ()                                  { return __staleSince; }
+
 // Keep same-origin credentials for all API calls
 // Always send credentials so cookies/session are included.
 const apiFetch = (path, init) => fetch(`${API_ROOT}${path}`, { credentials: "include", ...init });
 
 const toLc = (s) => (s ? String(s).toLowerCase() : "");
 
+// ------------------------ Direct chain mode ---------------------------
+
+const HEALTH_RETRY_MS = 30000;
+let   __chainMode     = false;
+let   __healthTimer   = null;
+
+/** True while mission snapshots are read from the chain instead of the API. */
+export function         isChainMode         ()                                  { return __chainMode; }
+
+async function          backendHealthy      ()                                  {
+  try {
+    const [live, db] = await Promise.all([
+      apiFetch("/health",    { cache: "no-store" }),
+      apiFetch("/health/db", { cache: "no-store" }),
+    ]);
+    return live.ok && db.ok;
+  } catch {
+    return false;
+  }
+}
+
+function                setChainMode        (on)                                {
+  if (__chainMode === on) return;
+  __chainMode = on;
+  clearInterval(__healthTimer);
+  __healthTimer = on ? setInterval(async () => {
+    if (await backendHealthy()) setChainMode(false);
+  }, HEALTH_RETRY_MS) : null;
+  window.dispatchEvent(new CustomEvent("api:chainMode", { detail: { on } }));
+}
+
+// API first; a failure with a failing backend health check (and a working chain read) switches to chain mode
+async function          snapshotRead        (fromApi, fromChain)                {
+  if (__chainMode) return fromChain();
+  try {
+    return await fromApi();
+  } catch (apiErr) {
+    if (await backendHealthy()) throw apiErr;
+    let data;
+    try { data = await fromChain(); } catch { throw apiErr; }
+    setChainMode(true);
+    return data;
+  }
+}
+
+// Session-bound calls: renew the session once on 401 (null renewer = no wallet code on this page)
+let __renewSession = null;
+
+/** Register the SIWE session renewer (walletConnect.js); it resolves true when a session exists. */
+export function         setSessionRenewer   (fn)                                { __renewSession = fn; }
+
+async function          authFetch           (path, init)                        {
+  const r = await apiFetch(path, init);
+  if (r.status !== 401 || !__renewSession) return r;
+  return (await __renewSession()) ? apiFetch(path, init) : r;
+}
+
+// ------------------------ Auth: SIWE session --------------------------
+
+/** GET /auth/nonce → { nonce } (single use, ~5 min) */
+export async function   getAuthNonce        ()                                  {
+  const r = await apiFetch("/auth/nonce", { cache: "no-store" });
+  return j(r);
+}
+
+/** GET /auth/session → session address (lowercase) or null */
+export async function   getAuthSession      ()                                  {
+  const r = await apiFetch("/auth/session", { cache: "no-store" });
+  if (r.status === 401) return null;
+  const { address } = await j(r);
+  return toLc(address) || null;
+}
+
+/** POST /auth/verify → { message, signature } sets the session cookie; resolves { address } */
+export async function   postAuthVerify      ({ message, signature }     = {}) {
+  const r = await apiFetch("/auth/verify", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ message, signature }),
+  });
+  return j(r);
+}
+
+/** POST /auth/logout — clears the session cookie */
+export async function   postAuthLogout      ()                                  {
+  const r = await apiFetch("/auth/logout", { method: "POST" });
+  return r.ok;
+}
+
 // ------------------------ GET: snapshots ----------------------------
 
 /** GET /missions/all/{n} — latest N missions (DB) */
 export async function getMissionsAll        (limit = 100)                       {
   // hard-cap to 100 on the client as requested
   const n = Math.min(Math.max(Number(limit) || 0, 1), 100);
-  const r = await apiFetch(`/missions/all/${n}`);
-  return j(r);
+  return snapshotRead(async () => j(await apiFetch(`/missions/all/${n}`)), () => chainMissionsLatest(n));
 }
 
 /** GET /missions/not-ended — list of active/upcoming missions */
 export async function   getMissionsNotEnded ()                                  {
-  const r = await apiFetch("/missions/not-ended");
-  return j(r);
+  return snapshotRead(async () => j(await apiFetch("/missions/not-ended")), chainMissionsNotEnded);
 }
 
 /** GET /missions/joinable — missions currently in enrollment */
 export async function   getMissionsJoinable ()                                  {
-  const r = await apiFetch("/missions/joinable");
-  return j(r);
+  return snapshotRead(async () => j(await apiFetch("/missions/joinable")), chainMissionsJoinable);
 }
 
 /** GET /missions/mission/{address} — mission detail (snapshot) */
 export async function   getMission          (addressLc)                         {
   const addr = toLc(addressLc);
-  const r = await apiFetch(`/missions/mission/${addr}`, { cache: "no-store" });
-  return j(r);
+  return snapshotRead(async () => j(await apiFetch(`/missions/mission/${addr}`, { cache: "no-store" })), () => chainMission(addr));
 }
 
 /** GET /missions/player/{address} — missions a player is in */
 export async function   getPlayerMissions   (playerAddressLc)                   {
   const addr = toLc(playerAddressLc);
-  const r = await apiFetch(`/missions/player/${addr}`);
+  return snapshotRead(async () => j(await apiFetch(`/missions/player/${addr}`)), () => chainPlayerMissions(addr));
+}
+
+// ------------------------ GET: transaction log -----------------------
+
+/** GET /missions/{address}/tx — mission_tx rows, optional ?player & ?eventType */
+export async function   getMissionTx        (missionLc, { player, eventType } = {}) {
+  const q = new URLSearchParams();
+  if (player)    q.set("player", toLc(player));
+  if (eventType) q.set("eventType", eventType);
+  const qs = q.toString();
+  const r = await apiFetch(`/missions/${toLc(missionLc)}/tx${qs ? `?${qs}` : ""}`, { cache: "no-store" });
+  return j(r);
+}
+
+/** GET /players/{address}/tx — mission_tx rows of a player, optional ?mission & ?eventType */
+export async function   getPlayerTx         (playerLc, { mission, eventType } = {}) {
+  const q = new URLSearchParams();
+  if (mission)   q.set("mission", toLc(mission));
+  if (eventType) q.set("eventType", eventType);
+  const qs = q.toString();
+  const r = await apiFetch(`/players/${toLc(playerLc)}/tx${qs ? `?${qs}` : ""}`, { cache: "no-store" });
+  return j(r);
+}
+
+// ------------------------ GET: leaderboard --------------------------
+
+/** GET /leaderboard — { top_payout, most_rounds, best_bank, best_roi } for ?window=week|month|all & ?type */
+export async function   getLeaderboard      ({ window = "all", type = null, limit = 10 } = {}) {
+  const q = new URLSearchParams({ window, limit: String(limit) });
+  if (type != null && type !== "") q.set("type", String(type));
+  const r = await apiFetch(`/leaderboard?${q}`);
   return j(r);
 }
 
@@ -70,8 +220,8 @@ function                shouldSendKick      (type, missionLc)
   return true;
 }
 
-async function          postJson            (path, body)                        {
-  const r = await apiFetch(path, {
+async function          postJson            (path, body, { auth = false } = {}) {
+  const r = await (auth ? authFetch : apiFetch)(path, {
     method: "POST",
     headers: { "content-type": "application/json" },
     body: JSON.stringify(body),
@@ -86,7 +236,7 @@ export async function   postKickCreated     ({ mission, txHash }          = {})
   const missionLc = toLc(mission);
   if (!missionLc) return false;
   if (!shouldSendKick("created", missionLc)) return false;
-  return postJson("/events/created", { mission: missionLc, txHash });
+  return postJson("/events/created", { mission: missionLc, txHash }, { auth: true });
 }
 
 /** POST /events/enrolled → { mission, player, txHash? } */
@@ -95,7 +245,7 @@ export async function   postKickEnrolled    ({ mission, player, txHash }  = {})
   const playerLc  = toLc(player);
   if (!missionLc || !playerLc) return false;
   if (!shouldSendKick("enrolled", missionLc)) return false;
-  return postJson("/events/enrolled", { mission: missionLc, player: playerLc, txHash });
+  return postJson("/events/enrolled", { mission: missionLc, player: playerLc, txHash }, { auth: true });
 }
 
 /** POST /events/banked → { mission, player, txHash? } */
@@ -104,7 +254,7 @@ export async function   postKickBanked      ({ mission, player, txHash }  = {})
   const playerLc  = toLc(player);
   if (!missionLc || !playerLc) return false;
   if (!shouldSendKick("banked", missionLc)) return false;
-  return postJson("/events/banked", { mission: missionLc, player: playerLc, txHash });
+  return postJson("/events/banked", { mission: missionLc, player: playerLc, txHash }, { auth: true });
 }
 
 /** POST /events/finalized → { mission, txHash? } */
@@ -112,7 +262,15 @@ export async function   postKickFinalized   ({ mission, txHash }          = {})
   const missionLc = toLc(mission);
   if (!missionLc) return false;
   if (!shouldSendKick("finalized", missionLc)) return false;
-  return postJson("/events/finalized", { mission: missionLc, txHash });
+  return postJson("/events/finalized", { mission: missionLc, txHash }, { auth: true });
+}
+
+/** POST /events/potincreased → { mission, player, txHash } */
+export async function   postKickPotIncreased({ mission, player, txHash }  = {}) {
+  const missionLc = toLc(mission);
+  if (!missionLc || !txHash) return false;
+  if (!shouldSendKick("potincreased", missionLc)) return false;
+  return postJson("/events/potincreased", { mission: missionLc, player: toLc(player), txHash }, { auth: true });
 }
 
 /** GET /players/{address}/eligibility — memorized ~10s per address */
@@ -127,8 +285,30 @@ export async function getPlayerEligibility  (addressLc)
   const hit = __eligCache.get(addr);
   if (hit && (now - hit.ts) < ELIG_TTL_MS) return hit.p;
 
-  const p = apiFetch(`/players/${addr}/eligibility`).then(j).catch(e => ({ error: true, message: e?.message || String(e) }));
+  const p = authFetch(`/players/${addr}/eligibility`).then(j).catch(e => ({ error: true, message: e?.message || String(e) }));
   __eligCache.set(addr, { ts: now, p });
   return p;
 }
 
+
+// ------------------------ Web Push -----------------------------------
+
+/** GET /push/vapid-public-key → { publicKey } (empty when push is not configured) */
+export async function   getPushPublicKey    ()                                  {
+  const r = await apiFetch("/push/vapid-public-key", { cache: "no-store" });
+  const { publicKey } = await j(r);
+  return publicKey || "";
+}
+
+/** POST /push/subscribe → { mission, endpoint, p256dh, auth } */
+export async function   postPushSubscribe   ({ mission, endpoint, p256dh, auth } = {}) {
+  const missionLc = toLc(mission);
+  if (!missionLc || !endpoint) return false;
+  return postJson("/push/subscribe", { mission: missionLc, endpoint, p256dh, auth });
+}
+
+/** POST /push/unsubscribe → { mission?, endpoint, auth } (no mission = all missions) */
+export async function   postPushUnsubscribe ({ mission, endpoint, auth }  = {}) {
+  if (!endpoint || !auth) return false;
+  return postJson("/push/unsubscribe", { mission: toLc(mission) || null, endpoint, auth });
+}
@@ -0,0 +1,237 @@
+/**********************************************************************
+ bankSim.js — "what if I wait?" bank-timing projection on the stage
+  - Plots payoutAt() from missionModel.js (same accrual as
+    Mission.callRound / pendingPayout) over the remaining mission time.
+  - Marks the enrollment-fee break-even and the per-round fair share
+    (croStart / rounds).
+  - Cooldowns (cooldownInfo) give the earliest possible bank time for
+    each remaining round, assuming every round is banked right away.
+**********************************************************************/
+
+import { weiToCro, formatCro, formatDurationShort } from "./core.js";
+import {
+  cooldownInfo,
+  payoutAt,
+  timeForPayout,
+  earliestBankTimes,
+} from "./missionModel.js";
+import { t, intlLocale, formatNumber, localizeDecimal } from "./i18n.js";
+
+const W = 600, H = 250;                                   // SVG viewBox
+const PAD = { l: 58, r: 14, t: 14, b: 34 };
+const SAMPLES = 80;
+
+const toBig  = (v) => { try { return BigInt(String(v ?? "0")); } catch { return 0n; } };
+const toCro  = (wei) => Number(wei / 10n ** 12n) / 1e6;   // plotting only
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+const timeLabel = (sec, withDay = false) => new Date(sec * 1000).toLocaleString(intlLocale(),
+  withDay ? { weekday: "short", hour: "2-digit", minute: "2-digit" } : { hour: "2-digit", minute: "2-digit" });
+
+// #region Chart
+function                chartSvg            (m, now)                            {
+  const ms = Number(m.mission_start || 0);
+  const me = Number(m.mission_end   || 0);
+  const t0 = Math.max(now, ms);
+  const span = Math.max(1, me - t0);
+
+  const feeWei   = toBig(m.enrollment_amount_wei);
+  const rounds   = Math.max(1, Number(m.mission_rounds_total || 1));
+  const shareWei = toBig(m.cro_start_wei) / BigInt(rounds);
+  const endWei   = payoutAt(m, me - 1);
+
+  const yMax = Math.max(toCro(endWei), toCro(feeWei), toCro(shareWei), 0.000001) * 1.12;
+  const x = (t) => PAD.l + ((t - t0) / span) * (W - PAD.l - PAD.r);
+  const y = (cro) => H - PAD.b - (cro / yMax) * (H - PAD.t - PAD.b);
+
+  // Accrual curve (sampled: flat while the pool is ahead, capped at croCurrent)
+  const pts = [];
+  for (let i = 0; i <= SAMPLES; i++) {
+    const t = t0 + (span * i) / SAMPLES;
+    pts.push(`${x(t).toFixed(1)},${y(toCro(payoutAt(m, Math.min(t, me - 1)))).toFixed(1)}`);
+  }
+
+  const hLine = (wei, cls, label) => {
+    const yy = y(toCro(wei)).toFixed(1);
+    return `<line class="${cls}" x1="${PAD.l}" x2="${W - PAD.r}" y1="${yy}" y2="${yy}"/>
+            <text class="bs-label" x="${W - PAD.r - 4}" y="${yy - 4}" text-anchor="end">${label}</text>`;
+  };
+
+  // Cooldown: nothing can be banked before it ends
+  const { isPaused, pauseEnd } = cooldownInfo(m, now);
+  const cooldown = isPaused && pauseEnd > t0
+    ? `<rect class="bs-cooldown" x="${PAD.l}" y="${PAD.t}" width="${(x(Math.min(pauseEnd, me)) - PAD.l).toFixed(1)}" height="${H - PAD.t - PAD.b}"/>`
+    : "";
+
+  // Break-even point on the curve
+  const tBe = feeWei > 0n ? timeForPayout(m, feeWei) : null;
+  const be  = tBe && tBe >= t0
+    ? `<circle class="bs-be-dot" cx="${x(tBe).toFixed(1)}" cy="${y(toCro(feeWei)).toFixed(1)}" r="4"><title>${t("sim.breakEven", { at: timeLabel(tBe, span > 86400) })}</title></circle>`
+    : "";
+
+  const marks = earliestBankTimes(m, now).map(r => {
+    const xx = x(r.t).toFixed(1);
+    return `<line class="bs-round" x1="${xx}" x2="${xx}" y1="${PAD.t}" y2="${H - PAD.b}"/>
+            <text class="bs-round-label" x="${xx}" y="${H - PAD.b + 24}" text-anchor="middle">R${r.round}</text>
+            <title>${t("sim.roundMark", { round: r.round, at: timeLabel(r.t, span > 86400), amount: formatCro(r.payoutWei, 2) })}</title>`;
+  }).join("");
+
+  const yTicks = [0, 0.5, 1].map(f => {
+    const v = yMax * f / 1.12;
+    return `<text class="bs-axis" x="${PAD.l - 6}" y="${y(v) + 4}" text-anchor="end">${formatNumber(v, { minimumFractionDigits: v < 10 ? 2 : 0, maximumFractionDigits: v < 10 ? 2 : 0 })}</text>`;
+  }).join("");
+
+  return `
+    <svg class="bs-chart" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="${t("sim.chartLabel")}">
+      ${cooldown}
+      <line class="bs-axis-line" x1="${PAD.l}" x2="${PAD.l}" y1="${PAD.t}" y2="${H - PAD.b}"/>
+      <line class="bs-axis-line" x1="${PAD.l}" x2="${W - PAD.r}" y1="${H - PAD.b}" y2="${H - PAD.b}"/>
+      ${yTicks}
+      <text class="bs-axis" x="${PAD.l}" y="${H - 4}">${timeLabel(t0, span > 86400)}</text>
+      <text class="bs-axis" x="${W - PAD.r}" y="${H - 4}" text-anchor="end">${timeLabel(me, span > 86400)}</text>
+      ${feeWei   > 0n ? hLine(feeWei,   "bs-fee",   t("sim.fee",   { amount: localizeDecimal(weiToCro(feeWei, 2)) }))   : ""}
+      ${shareWei > 0n ? hLine(shareWei, "bs-share", t("sim.share", { amount: localizeDecimal(weiToCro(shareWei, 2)) })) : ""}
+      ${marks}
+      <polyline class="bs-curve" points="${pts.join(" ")}"/>
+      ${be}
+      <line class="bs-cursor" x1="0" x2="0" y1="${PAD.t}" y2="${H - PAD.b}" style="display:none"/>
+    </svg>`;
+}
+// #endregion
+
+
+
+
+
+// #region Panel
+let __panel   = null;
+let __mission = null;
+let __timer   = null;
+let __waitSec = 600;                                      // slider position survives repaints
+
+function                readout             (m, now)                            {
+  const me = Number(m.mission_end || 0);
+  const { isPaused, pauseEnd } = cooldownInfo(m, now);
+
+  let at = Math.max(now, Number(m.mission_start || 0)) + __waitSec;
+  const coolNote = isPaused && at < pauseEnd ? ` <span class="text-muted">${t("sim.cooldownUntil", { at: timeLabel(pauseEnd) })}</span>` : "";
+  if (isPaused && at < pauseEnd) at = pauseEnd;
+  if (at >= me) return `<span class="text-muted">${t("sim.endsBefore")}</span>`;
+
+  const wei    = payoutAt(m, at);
+  const feeWei = toBig(m.enrollment_amount_wei);
+  const share  = toBig(m.cro_start_wei) / BigInt(Math.max(1, Number(m.mission_rounds_total || 1)));
+  const pct    = share > 0n ? Number((wei * 100n) / share) : 0;
+  const beCls  = wei >= feeWei ? "text-success" : "text-error";
+
+  return t(wei >= feeWei ? "sim.readoutAbove" : "sim.readoutBelow", {
+    at:     timeLabel(at),
+    amount: `<b class="${beCls}">${formatCro(wei, 2)}</b>`,
+    fee:    formatCro(feeWei, 2),
+    pct,
+  }) + coolNote;
+}
+
+function                paint               ()                                  {
+  if (!__panel || !__mission) return;
+  const m   = __mission;
+  const now = nowSec();
+  const me  = Number(m.mission_end || 0);
+  const maxWait = Math.max(0, me - Math.max(now, Number(m.mission_start || 0)));
+  __waitSec = Math.min(__waitSec, maxWait);
+
+  __panel.querySelector(".bs-chart-host").innerHTML = chartSvg(m, now);
+
+  const slider = __panel.querySelector(".bs-wait");
+  slider.max   = String(maxWait);
+  slider.step  = String(maxWait > 86400 ? 600 : 60);
+  slider.value = String(__waitSec);
+  __panel.querySelector(".bs-wait-label").textContent = t("sim.wait", { time: formatDurationShort(__waitSec) });
+  __panel.querySelector(".bs-readout").innerHTML = readout(m, now);
+  placeCursor();
+
+  const next = earliestBankTimes(m, now);
+  __panel.querySelector(".bs-rounds").innerHTML = next.length
+    ? next.map(r => `<span class="status-pill" title="${t("sim.roundPill", { amount: formatCro(r.payoutWei, 2) })}">R${r.round} · ${timeLabel(r.t, maxWait > 86400)}</span>`).join("")
+    : `<span class="text-muted">${t("sim.noRounds")}</span>`;
+}
+
+function                build               (panel)                             {
+  panel.innerHTML = `
+    <div class="d-flex justify-content-between align-items-center mb-1">
+      <h4 class="m-0"><i class="fa-solid fa-chart-line me-2"></i>${t("sim.title")}</h4>
+      <button type="button" class="btn btn-sm btn-outline-info bs-close" title="${t("sim.close")}"><i class="fa-solid fa-xmark"></i></button>
+    </div>
+    <div class="bs-chart-host"></div>
+    <div class="d-flex align-items-center gap-2 mt-1">
+      <span class="bs-wait-label small text-nowrap" style="min-width:88px"></span>
+      <input type="range" class="form-range bs-wait" min="0" aria-label="${t("sim.waitLabel")}">
+    </div>
+    <div class="bs-readout small"></div>
+    <div class="small text-muted mt-2">${t("sim.earliest")}</div>
+    <div class="bs-rounds d-flex flex-wrap gap-1 mt-1"></div>`;
+
+  panel.querySelector(".bs-close").addEventListener("click", closeBankSim);
+  panel.querySelector(".bs-wait").addEventListener("input", (e) => {
+    __waitSec = Number(e.target.value) || 0;
+    panel.querySelector(".bs-wait-label").textContent = t("sim.wait", { time: formatDurationShort(__waitSec) });
+    panel.querySelector(".bs-readout").innerHTML = readout(__mission, nowSec());
+    placeCursor();
+  });
+}
+
+// Vertical cursor on the chart follows the slider
+function                placeCursor         ()                                  {
+  const cur = __panel?.querySelector(".bs-cursor");
+  if (!cur || !__mission) return;
+  const t0   = Math.max(nowSec(), Number(__mission.mission_start || 0));
+  const span = Math.max(1, Number(__mission.mission_end || 0) - t0);
+  const xx   = (PAD.l + (Math.min(__waitSec, span) / span) * (W - PAD.l - PAD.r)).toFixed(1);
+  cur.setAttribute("x1", xx);
+  cur.setAttribute("x2", xx);
+  cur.style.display = "";
+}
+
+/** True while the mission can still be banked (Arming, Active, Paused). */
+export function         bankSimAvailable    (m)                                 {
+  const st = Number(m?.status);
+  return st >= 2 && st <= 4 && Number(m?.mission_end || 0) > nowSec();
+}
+
+/** Open the projection for `mission` in `panel`; repaints every 5 s while open. */
+export function         openBankSim         (panel, mission)                    {
+  if (!panel || !bankSimAvailable(mission)) return;
+  if (__panel !== panel) { __panel = panel; build(panel); }
+  __mission = mission;
+  panel.style.display = "";
+  paint();
+
+  clearInterval(__timer);
+  __timer = setInterval(paint, 5000);
+}
+
+/** Feed a fresher snapshot (after a bank or a status change); closes when nothing can be banked. */
+export function         updateBankSim       (mission)                           {
+  if (!__panel || __panel.style.display === "none") return;
+  if (!bankSimAvailable(mission)) { closeBankSim(); return; }
+  __mission = mission;
+  paint();
+}
+
+export function         closeBankSim        ()                                  {
+  clearInterval(__timer);
+  __timer = null;
+  if (__panel) __panel.style.display = "none";
+}
+
+export function         isBankSimOpen       ()                                  {
+  return !!__panel && __panel.style.display !== "none";
+}
+
+// Language switch: rebuild the panel chrome (the slider position survives)
+window.addEventListener("i18n:changed", () => {
+  if (!__panel) return;
+  build(__panel);
+  paint();
+});
+// #endregion
@@ -0,0 +1,95 @@
+/**********************************************************************
+ chainReads.js — /missions/* payloads read straight from the factory
+  - Same shapes as the API: flat rows for the lists, { mission,
+    enrollments, rounds } for one mission (missionSnapshotFromChain),
+    so api.js can serve them while the indexer is down.
+  - The factory list views return MissionData without the address; it
+    is recovered by walking missions[] newest → oldest with the view's
+    own filter (factory missionStatus), all pinned to one block.
+  - Reads go through getReadProvider() (batched JSON-RPC).
+**********************************************************************/
+
+import { getReadProvider, FACTORY_ADDRESS } from "./core.js";
+import { FACTORY_ABI } from "./contracts.js";
+import { missionSnapshotFromChain } from "./missionModel.js";
+
+const PAGE         = 25;                                   // missions[i] reads per batch
+
+const isEnded      = (s) => s === 6 || s === 7;            // factory NotEnded view: not Success / Failed
+
+// #region Factory
+function                factory             ()                                  {
+  return new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, getReadProvider());
+}
+
+// Addresses for the rows of a list view read at `blockTag`; `keep(status)` is the view's filter (null = all)
+async function          withAddresses       (f, blockTag, rows, keep)           {
+  const total = Number(await f.getTotalMissions({ blockTag }));
+  const addrs = [];
+
+  for (let i = total; i > 0 && addrs.length < rows.length; i -= PAGE) {
+    const idx  = Array.from({ length: Math.min(PAGE, i) }, (_, k) => i - 1 - k);
+    const page = await Promise.all(idx.map(n => f.missions(n, { blockTag })));
+    const st   = keep ? await Promise.all(page.map(a => f.missionStatus(a, { blockTag }))) : null;
+    page.forEach((a, k) => {
+      if (addrs.length < rows.length && (!keep || keep(Number(st[k])))) addrs.push(a);
+    });
+  }
+  if (addrs.length !== rows.length) throw new Error("factory list and missions[] disagree");
+
+  return rows.map((md, k) => missionSnapshotFromChain(addrs[k], md).mission);
+}
+
+async function          listView            (read, keep)                        {
+  const f        = factory();
+  const blockTag = await getReadProvider().getBlockNumber();
+  const rows     = await read(f, { blockTag });
+  return withAddresses(f, blockTag, rows, keep);
+}
+// #endregion
+
+
+
+
+
+// #region Views (API shapes)
+/** Latest `n` missions, newest first (/missions/all/{n}). */
+export async function   chainMissionsLatest (n)                                 {
+  return listView((f, o) => f.getLatestMissions(n, o), null);
+}
+
+/** Missions that have not ended (/missions/not-ended): status < PartlySuccess, by enrollment end. */
+export async function   chainMissionsNotEnded()                                 {
+  const rows = await listView((f, o) => f.getMissionsNotEnded(o), (s) => !isEnded(s));
+  return rows
+    .filter(m => m.status < 5)
+    .sort((a, b) => Number(a.enrollment_end) - Number(b.enrollment_end) || Number(a.mission_end) - Number(b.mission_end));
+}
+
+/** Missions open for enrollment right now (/missions/joinable). */
+export async function   chainMissionsJoinable()                                 {
+  const now  = Math.floor(Date.now() / 1000);
+  const rows = await listView((f, o) => f.getMissionsByStatus(1, o), (s) => s === 1);
+  return rows
+    .filter(m => Number(m.enrollment_end) > now)
+    .sort((a, b) => Number(a.enrollment_end) - Number(b.enrollment_end));
+}
+
+/** One mission with players and rounds (/missions/mission/{addr}). */
+export async function   chainMission        (addressLc)                         {
+  const md = await factory().getMissionData(addressLc);
+  return missionSnapshotFromChain(addressLc, md);
+}
+
+/** Missions `playerLc` is in, with that player's enrollment (/missions/player/{addr}). */
+export async function   chainPlayerMissions (playerLc)                          {
+  const f        = factory();
+  const [addrs]  = await f.getPlayerParticipation(playerLc);
+  const snaps    = await Promise.all(addrs.map(a => f.getMissionData(a).then(md => missionSnapshotFromChain(a, md))));
+
+  return snaps.map(({ mission, enrollments }) => ({
+    ...mission,
+    player_enrollment: enrollments.find(e => e.player === playerLc) || null,
+  }));
+}
+// #endregion
@@ -0,0 +1,130 @@
+/**********************************************************************
+ changeFeed.js — the factory change log as "mission:changed" events
+  - MissionFactory keeps one entry per mission (last touch, status and
+    a global sequence number): creation, enrollments, notifyTouched()
+    and status changes. getChangesAfter(lastSeq) returns the newer ones.
+  - startChangeFeed() polls that view (one eth_call, skipped while the
+    tab is hidden) and emits on window, in sequence order:
+      "mission:changed" { addr, kind, status, previousStatus, seq, ts }
+    kind: "created" | "status" | "updated" (touched, same status).
+  - lastSeq and the statuses seen so far are kept in localStorage per
+    factory: a reload resumes from there, with the same kinds. Without
+    a stored state the first run reads from seq 0 and only sets the
+    baseline (the page has just loaded its lists).
+  - Statuses are the factory-tracked ones; clock-driven moves (e.g.
+    Enrolling → Arming) only show up once a tx records them.
+**********************************************************************/
+
+import { getReadProvider, FACTORY_ADDRESS } from "./core.js";
+import { FACTORY_ABI } from "./contracts.js";
+
+const POLL_MS      = 10000;
+
+const __known      = new Map();                            // addr → factory status last seen
+let   __lastSeq    = null;                                 // null = no baseline yet
+let   __timer      = null;
+let   __run        = 0;                                    // current loop id, 0 = stopped
+let   __runs       = 0;
+
+// #region Storage
+const stateKey = () => `b6:changeFeed:${String(FACTORY_ADDRESS || "").toLowerCase()}`;
+
+// { seq, statuses: { addr: status } } or null
+function                loadState           ()                                  {
+  try {
+    const s = JSON.parse(localStorage.getItem(stateKey()) || "null");
+    return s && Number.isFinite(s.seq) && s.statuses && typeof s.statuses === "object" ? s : null;
+  } catch {
+    return null;
+  }
+}
+
+function                saveState           ()                                  {
+  try {
+    localStorage.setItem(stateKey(), JSON.stringify({ seq: __lastSeq, statuses: Object.fromEntries(__known) }));
+  } catch {}
+}
+// #endregion
+
+
+
+
+
+// #region Polling
+function                readChanges         (after)                             {
+  const f = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, getReadProvider());
+  return f.getChangesAfter(after).then(([m, timestamps, seqs, statuses]) =>
+    m.map((addr, i) => ({
+      addr:   String(addr).toLowerCase(),
+      ts:     Number(timestamps[i]),
+      seq:    Number(seqs[i]),
+      status: Number(statuses[i]),
+    })).sort((a, b) => a.seq - b.seq));
+}
+
+function                emit                (entry, previousStatus, kind)       {
+  window.dispatchEvent(new CustomEvent("mission:changed", {
+    detail: { addr: entry.addr, kind, status: entry.status, previousStatus, seq: entry.seq, ts: entry.ts },
+  }));
+}
+
+// First poll of the page: resume from the stored state and catch up like any
+// other poll, or learn every tracked mission's status from seq 0 (emits nothing)
+async function          baseline            ()                                  {
+  const stored = loadState();
+
+  if (stored) {
+    for (const [addr, status] of Object.entries(stored.statuses)) __known.set(addr, Number(status));
+    __lastSeq = stored.seq;
+    return poll();
+  }
+
+  const entries = await readChanges(0);
+  for (const e of entries) __known.set(e.addr, e.status);
+  __lastSeq = entries.reduce((mx, e) => Math.max(mx, e.seq), 0);
+  saveState();
+}
+
+async function          poll                ()                                  {
+  const entries = await readChanges(__lastSeq);
+
+  for (const e of entries) {
+    const prev = __known.has(e.addr) ? __known.get(e.addr) : null;
+    const kind = prev == null ? "created" : prev !== e.status ? "status" : "updated";
+    __known.set(e.addr, e.status);
+    __lastSeq = Math.max(__lastSeq, e.seq);
+    emit(e, prev, kind);
+  }
+  if (entries.length) saveState();
+}
+
+async function          tick                (run)                               {
+  if (run !== __run) return;
+  try {
+    if (!document.hidden) await (__lastSeq == null ? baseline() : poll());
+  } catch (e) {
+    console.warn("[changeFeed] poll failed:", e?.message || e);
+  } finally {
+    if (run === __run) __timer = setTimeout(() => tick(run), POLL_MS);
+  }
+}
+// #endregion
+
+
+
+
+
+// #region Public
+/** Start polling the factory change log (no-op when already running). */
+export function         startChangeFeed     ()                                  {
+  if (__run || !FACTORY_ADDRESS) return;
+  __run = ++__runs;
+  tick(__run);
+}
+
+export function         stopChangeFeed      ()                                  {
+  __run = 0;
+  clearTimeout(__timer);
+  __timer = null;
+}
+// #endregion
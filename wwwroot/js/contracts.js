@@ -0,0 +1,143 @@
+/**********************************************************************
+ contracts.js – GENERATED by scripts/exportAbi.js, do not edit by hand.
+ Source: artifacts/contracts/MissionFactory.sol/*.json, deployments/*.json
+**********************************************************************/
+
+export const FACTORY_ABI = [
+  {"inputs":[],"name":"FailedDeployment","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"InsufficientBalance","type":"error"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+  {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"addr","type":"address"}],"name":"AuthorizedAddressAdded","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"addr","type":"address"}],"name":"AuthorizedAddressRemoved","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"mission","type":"address"},{"indexed":false,"internalType":"string","name":"name","type":"string"},{"indexed":false,"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"indexed":false,"internalType":"uint8","name":"minPlayers","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"maxPlayers","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"missionStart","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"missionEnd","type":"uint256"},{"indexed":false,"internalType":"uint8","name":"missionRounds","type":"uint8"},{"indexed":false,"internalType":"address","name":"creator","type":"address"}],"name":"MissionCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"mission","type":"address"},{"indexed":true,"internalType":"uint8","name":"finalStatus","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MissionFinalized","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"mission","type":"address"},{"indexed":true,"internalType":"uint8","name":"fromStatus","type":"uint8"},{"indexed":true,"internalType":"uint8","name":"toStatus","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MissionStatusUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"confirmer","type":"address"},{"indexed":false,"internalType":"address","name":"newOwner","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"OwnershipTransferConfirmed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"proposer","type":"address"},{"indexed":false,"internalType":"address","name":"newOwner","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"OwnershipTransferProposed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+  {"inputs":[],"name":"OWNERSHIP_PROPOSAL_WINDOW","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"addAuthorizedAddress","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"authorized","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"canEnroll","outputs":[{"internalType":"bool","name":"ok","type":"bool"},{"internalType":"enum Limit","name":"breach","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"confirmOwnershipTransfer","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum MissionType","name":"_missionType","type":"uint8"},{"internalType":"uint256","name":"_enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"_enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"_enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"_enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"_enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint8","name":"_roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"_lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"_missionStart","type":"uint256"},{"internalType":"uint256","name":"_missionEnd","type":"uint256"},{"internalType":"uint8","name":"_missionRounds","type":"uint8"},{"internalType":"string","name":"_missionName","type":"string"},{"internalType":"bytes32","name":"_pinHash","type":"bytes32"},{"internalType":"address","name":"_creator","type":"address"}],"name":"createMission","outputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"string","name":"","type":"string"}],"stateMutability":"payable","type":"function"},
+  {"inputs":[],"name":"getAllMissions","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint64","name":"lastSeq","type":"uint64"}],"name":"getChangesAfter","outputs":[{"internalType":"address[]","name":"m","type":"address[]"},{"internalType":"uint40[]","name":"timestamps","type":"uint40[]"},{"internalType":"uint64[]","name":"seqs","type":"uint64[]"},{"internalType":"uint8[]","name":"statuses","type":"uint8[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getFactorySummary","outputs":[{"internalType":"address","name":"ownerAddress","type":"address"},{"internalType":"address","name":"factoryAddress","type":"address"},{"internalType":"address","name":"implementation","type":"address"},{"internalType":"uint256","name":"totalMissions","type":"uint256"},{"internalType":"uint256","name":"weekly","type":"uint256"},{"internalType":"uint256","name":"monthly","type":"uint256"},{"internalType":"uint256","name":"missionFunds","type":"uint256"},{"internalType":"uint256","name":"ownerFunds","type":"uint256"},{"internalType":"uint256","name":"successes","type":"uint256"},{"internalType":"uint256","name":"failures","type":"uint256"},{"internalType":"uint256[]","name":"fundsPerTypeArray","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"enum MissionType","name":"_type","type":"uint8"}],"name":"getFundsByType","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"n","type":"uint256"}],"name":"getLatestMissions","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"missionAddress","type":"address"}],"name":"getMissionData","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"enum Status","name":"s","type":"uint8"}],"name":"getMissionsByStatus","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getMissionsEnded","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getMissionsNotEnded","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getOwnershipProposal","outputs":[{"internalType":"address","name":"newOwner","type":"address"},{"internalType":"address","name":"proposer","type":"address"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"timeLeft","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"player","type":"address"}],"name":"getPlayerLimits","outputs":[{"internalType":"uint8","name":"weekUsed","type":"uint8"},{"internalType":"uint8","name":"weekMax","type":"uint8"},{"internalType":"uint8","name":"monthUsed","type":"uint8"},{"internalType":"uint8","name":"monthMax","type":"uint8"},{"internalType":"uint256","name":"secToWeek","type":"uint256"},{"internalType":"uint256","name":"secToMonth","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"player","type":"address"}],"name":"getPlayerParticipation","outputs":[{"internalType":"address[]","name":"","type":"address[]"},{"internalType":"enum Status[]","name":"","type":"uint8[]"},{"internalType":"string[]","name":"","type":"string[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getTotalMissions","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"isMission","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"lastUserMissionCreatedAt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"missionImplementation","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"missionNames","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"missionStatus","outputs":[{"internalType":"enum Status","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"enum MissionType","name":"","type":"uint8"}],"name":"missionTypeCounts","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"missions","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"monthlyLimit","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"notifyTouched","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"proposalProposer","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"proposalTimestamp","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"proposeOwnershipTransfer","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"proposedNewOwner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"recordEnrollment","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum MissionType","name":"missionType","type":"uint8"}],"name":"registerMissionFunds","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"removeAuthorizedAddress","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum MissionType","name":"","type":"uint8"}],"name":"reservedFunds","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"reservedFundsBreakdown","outputs":[{"internalType":"uint256[9]","name":"","type":"uint256[9]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"secondsTillMonthlySlot","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"secondsTillWeeklySlot","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_weekly","type":"uint8"},{"internalType":"uint8","name":"_monthly","type":"uint8"}],"name":"setEnrollmentLimits","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum Status","name":"newStatus","type":"uint8"}],"name":"setMissionStatus","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"totalMissionFailures","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalMissionFunds","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalMissionSuccesses","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalOwnerEarnedFunds","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"startTs","type":"uint256"},{"internalType":"uint256","name":"endTs","type":"uint256"}],"name":"undoEnrollmentInWindow","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"weeklyLimit","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"withdrawFunds","outputs":[],"stateMutability":"nonpayable","type":"function"},
+];
+
+export const MISSION_ABI = [
+  {"inputs":[],"name":"AllRoundsDone","type":"error"},
+  {"inputs":[],"name":"AlreadyJoined","type":"error"},
+  {"inputs":[],"name":"AlreadyWon","type":"error"},
+  {"inputs":[],"name":"ContractsNotAllowed","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"secondsLeft","type":"uint256"}],"name":"Cooldown","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"nowTs","type":"uint256"},{"internalType":"uint256","name":"endTs","type":"uint256"}],"name":"EnrollmentClosed","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"nowTs","type":"uint256"},{"internalType":"uint256","name":"startTs","type":"uint256"}],"name":"EnrollmentNotStarted","type":"error"},
+  {"inputs":[{"internalType":"uint8","name":"maxPlayers","type":"uint8"}],"name":"MaxPlayers","type":"error"},
+  {"inputs":[],"name":"MissionEnded","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"secondsLeft","type":"uint256"}],"name":"MonthlyLimit","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"nowTs","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"}],"name":"NotActive","type":"error"},
+  {"inputs":[],"name":"NotJoined","type":"error"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+  {"inputs":[{"internalType":"address","name":"winner","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"PayoutFailed","type":"error"},
+  {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"secondsLeft","type":"uint256"}],"name":"WeeklyLimit","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"expected","type":"uint256"},{"internalType":"uint256","name":"sent","type":"uint256"}],"name":"WrongEntryFee","type":"error"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"ownerAmount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"factoryAmount","type":"uint256"}],"name":"FundsWithdrawn","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MissionInitialized","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"nrOfPlayers","type":"uint256"},{"indexed":true,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"address[]","name":"player","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MissionRefunded","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"enum Status","name":"previousStatus","type":"uint8"},{"indexed":true,"internalType":"enum Status","name":"newStatus","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MissionStatusChanged","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"totalPlayers","type":"uint256"}],"name":"PlayerEnrolled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"PlayerRefunded","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"croCurrent","type":"uint256"}],"name":"PotIncreased","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"RefundFailed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":true,"internalType":"uint8","name":"roundNumber","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"payout","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"croRemaining","type":"uint256"}],"name":"RoundCalled","type":"event"},
+  {"inputs":[],"name":"callRound","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"checkMissionStartCondition","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"currentProgressPct","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"enrollPlayer","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"string","name":"passphrase","type":"string"}],"name":"enrollPlayerWithSecret","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[],"name":"factoryShare","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"forceFinalizeMission","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"getFailedRefundPlayers","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getIndexerSnapshot","outputs":[{"internalType":"uint8","name":"status","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint32","name":"playersCount","type":"uint32"},{"internalType":"uint32","name":"winnersCount","type":"uint32"},{"internalType":"uint32","name":"refundedCount","type":"uint32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getMissionData","outputs":[{"components":[{"internalType":"enum Status","name":"status","type":"uint8"},{"internalType":"uint256","name":"missionCreated","type":"uint256"},{"internalType":"string","name":"name","type":"string"},{"internalType":"enum MissionType","name":"missionType","type":"uint8"},{"internalType":"uint8","name":"missionRounds","type":"uint8"},{"internalType":"uint8","name":"roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"croInitial","type":"uint256"},{"internalType":"uint256","name":"croStart","type":"uint256"},{"internalType":"uint256","name":"croCurrent","type":"uint256"},{"internalType":"uint256","name":"enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint256","name":"enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"missionStart","type":"uint256"},{"internalType":"uint256","name":"missionEnd","type":"uint256"},{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"players","type":"tuple[]"},{"internalType":"uint8","name":"enrollmentCount","type":"uint8"},{"internalType":"uint8","name":"roundCount","type":"uint8"},{"internalType":"uint256","name":"pauseTimestamp","type":"uint256"},{"internalType":"bool","name":"allRefunded","type":"bool"},{"internalType":"address","name":"creator","type":"address"}],"internalType":"struct Mission.MissionData","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getPlayerCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getRealtimeStatus","outputs":[{"internalType":"enum Status","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"offset","type":"uint256"},{"internalType":"uint256","name":"limit","type":"uint256"}],"name":"getRefundedPlayersSlice","outputs":[{"internalType":"address[]","name":"slice","type":"address[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getWinners","outputs":[{"components":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"enrolledTS","type":"uint256"},{"internalType":"uint256","name":"amountWon","type":"uint256"},{"internalType":"uint256","name":"wonTS","type":"uint256"},{"internalType":"bool","name":"refunded","type":"bool"},{"internalType":"bool","name":"refundFailed","type":"bool"},{"internalType":"uint256","name":"refundTS","type":"uint256"}],"internalType":"struct Mission.Players[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"increasePot","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_owner","type":"address"},{"internalType":"address","name":"_missionFactory","type":"address"},{"internalType":"enum MissionType","name":"_missionType","type":"uint8"},{"internalType":"uint256","name":"_enrollmentStart","type":"uint256"},{"internalType":"uint256","name":"_enrollmentEnd","type":"uint256"},{"internalType":"uint256","name":"_enrollmentAmount","type":"uint256"},{"internalType":"uint8","name":"_enrollmentMinPlayers","type":"uint8"},{"internalType":"uint8","name":"_enrollmentMaxPlayers","type":"uint8"},{"internalType":"uint8","name":"_roundPauseDuration","type":"uint8"},{"internalType":"uint8","name":"_lastRoundPauseDuration","type":"uint8"},{"internalType":"uint256","name":"_missionStart","type":"uint256"},{"internalType":"uint256","name":"_missionEnd","type":"uint256"},{"internalType":"uint8","name":"_missionRounds","type":"uint8"},{"internalType":"string","name":"_name","type":"string"},{"internalType":"bytes32","name":"_pinHash","type":"bytes32"},{"internalType":"address","name":"_creator","type":"address"}],"name":"initialize","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[],"name":"isArming","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isFinalized","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"addr","type":"address"}],"name":"isPlayer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"missionFactory","outputs":[{"internalType":"contract MissionFactory","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"missionStartConditionChecked","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"ownerShare","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"player","type":"address"}],"name":"pendingPayout","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"player","type":"address"}],"name":"playerState","outputs":[{"internalType":"bool","name":"joined","type":"bool"},{"internalType":"bool","name":"won","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"refundPlayers","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"remainingRounds","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"secondsUntilNextRound","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"addr","type":"address"}],"name":"wasRefunded","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"withdrawFunds","outputs":[],"stateMutability":"nonpayable","type":"function"},
+];
+
+export const DEPLOYMENTS = {
+  "cronos": {
+    "chainId": 25,
+    "MissionFactory": "0x19345611813fFFe888b5f3f67ec42c5285E97aAe",
+    "MissionImpl": "0x5e10a8A6659A9bbC6d7D48f4278786E37Dc133f0",
+    "timestamp": "2025-10-19T19:37:02.184Z"
+  }
+};
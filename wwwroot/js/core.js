@@ -1,10 +1,30 @@
 /**********************************************************************
  core.js  – shared UI utilities (modals, shortener, global caches)
 **********************************************************************/
+import { DEPLOYMENTS } from "./contracts.js";
+import { t, intlLocale, localizeDecimal } from "./i18n.js";
 
-// Defaults (fallbacks if /api/config is unavailable)
+// Defaults (fallbacks if /api/config is unavailable): Cronos mainnet
 export let READ_ONLY_RPC = '/api/rpc';
-export let FACTORY_ADDRESS;
+
+/**
+ * Chain the backend indexes (/api/config `network`). Wallet checks, explorer
+ * links and wallet_addEthereumChain all read it from here.
+ * { key, chainId, name, symbol, explorer ("" = none), rpc (public, for wallets) }
+ */
+export let NETWORK = {
+  key:      "cronos",
+  chainId:  25,
+  name:     "Cronos",
+  symbol:   "CRO",
+  explorer: "https://explorer.cronos.org",
+  rpc:      "https://evm.cronos.org",
+};
+
+export let FACTORY_ADDRESS = DEPLOYMENTS.cronos?.MissionFactory;
+
+// WalletConnect v2 Cloud project id (/api/config `walletConnect.projectId`); "" hides the option
+export let WALLETCONNECT_PROJECT_ID = "";
 
 let __readProvider = null;
 
@@ -17,97 +37,28 @@ export function getReadProvider() {
 
 // Load runtime config once. Because this file is loaded as type="module",
 // top-level await is supported in modern browsers.
-const res = await fetch('/api/config', { cache: 'no-store' });
+// Offline (PWA shell) the fetch rejects; keep the defaults so the page still loads.
+const res = await fetch('/api/config', { cache: 'no-store' }).catch(() => null);
 
-if (res.ok) {
+if (res?.ok) {
   const cfg = await res.json();
   const factory = cfg?.contracts?.factory || cfg?.factory;
 
   // Always send browser JSON-RPC via the same-origin reverse proxy to avoid CORS:
   READ_ONLY_RPC = '/api/rpc';
 
-  if (factory) FACTORY_ADDRESS = factory;
+  if (cfg?.network && Number(cfg.network.chainId) > 0) {
+    NETWORK = { ...NETWORK, ...cfg.network, chainId: Number(cfg.network.chainId) };
+  }
+
+  WALLETCONNECT_PROJECT_ID = String(cfg?.walletConnect?.projectId || "");
+
+  // Generated addresses for this network when the backend does not name a factory
+  FACTORY_ADDRESS = factory || DEPLOYMENTS[NETWORK.key]?.MissionFactory || FACTORY_ADDRESS;
   //console.log(`[core] /api/config loaded. Factory: ${FACTORY_ADDRESS}`);
 }
 
 
-export const FACTORY_ABI = [
-  // --------- Factory methods ----------
-  "function createMission(uint8,uint256,uint256,uint256,uint8,uint8,uint8,uint8,uint256,uint256,uint8,string,bytes32,address) payable returns (address,string)",
-  "event MissionCreated(address indexed mission,string name,uint8 missionType,uint256 enrollmentStart,uint256 enrollmentEnd,uint8 minPlayers,uint8 maxPlayers,uint8 roundPauseDuration,uint8 lastRoundPauseDuration,uint256 enrollmentAmount,uint256 missionStart,uint256 missionEnd,uint8 missionRounds, address creator)",
-  // --------- Get missions views (tuple array) ----------
-  "function getAllMissions() view returns((uint8,uint256,string,uint8,uint8,uint8,uint8,uint256,uint256,uint256,uint256,uint8,uint8,uint256,uint256,uint256,uint256,(address,uint256,uint256,uint256,bool,bool,uint256)[],uint8,uint8,uint256,bool,address)[])",
-  "function getMissionsByStatus(uint8 status) view returns((uint8,uint256,string,uint8,uint8,uint8,uint8,uint256,uint256,uint256,uint256,uint8,uint8,uint256,uint256,uint256,uint256,(address,uint256,uint256,uint256,bool,bool,uint256)[],uint8,uint8,uint256,bool,address)[])",
-  "function getMissionsEnded() view returns((uint8,uint256,string,uint8,uint8,uint8,uint8,uint256,uint256,uint256,uint256,uint8,uint8,uint256,uint256,uint256,uint256,(address,uint256,uint256,uint256,bool,bool,uint256)[],uint8,uint8,uint256,bool,address)[])",
-  "function getMissionsNotEnded() view returns((uint8,uint256,string,uint8,uint8,uint8,uint8,uint256,uint256,uint256,uint256,uint8,uint8,uint256,uint256,uint256,uint256,(address,uint256,uint256,uint256,bool,bool,uint256)[],uint8,uint8,uint256,bool,address)[])",
-  "function getLatestMissions(uint256) view returns((uint8,uint256,string,uint8,uint8,uint8,uint8,uint256,uint256,uint256,uint256,uint8,uint8,uint256,uint256,uint256,uint256,(address,uint256,uint256,uint256,bool,bool,uint256)[],uint8,uint8,uint256,bool,address)[])",
-  // ------------ global views ------------
-  "function getFactorySummary() view returns (address,address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint256,uint256[])",
-  "function owner() view returns(address)",
-  "function weeklyLimit() view returns(uint256)",
-  "function monthlyLimit() view returns(uint256)",
-  "function totalMissionFunds() view returns(uint256)",
-  "function totalOwnerEarnedFunds() view returns(uint256)",
-  "function totalMissionSuccesses() view returns(uint256)",
-  "function totalMissionFailures() view returns(uint256)",
-  "function missionImplementation() view returns(address)",
-  "function getTotalMissions() view returns(uint256)",
-  "function getFundsByType(uint8) view returns(uint256)",
-  "function getOwnershipProposal() view returns(address newOwner, address proposer, uint256 timestamp, uint256 timeLeft)",
-  // ------------ global writes -----------
-  "function setEnrollmentLimits(uint256 newWeeklyLimit, uint256 newMonthlyLimit)",
-  "function addAuthorizedAddress(address addr)",
-  "function removeAuthorizedAddress(address addr)",
-  "function proposeOwnershipTransfer(address newOwner)",
-  "function confirmOwnershipTransfer()",
-  "function withdrawFunds(uint256 amount)",
-  // ---------- address-specific ----------
-  "function authorized(address) view returns(bool)",
-  "function getPlayerLimits(address) view returns(uint8, uint8, uint8, uint8, uint256, uint256)",
-  "function canEnroll(address) view returns(bool)",
-  "function secondsTillWeeklySlot(address) view returns(uint256)",
-  "function secondsTillMonthlySlot(address) view returns(uint256)",
-  "function isMission(address) view returns(bool)",
-  "function getPlayerParticipation(address) view returns(address[] joined, uint8[] statuses, string[] names)",
-];
-
-export const MISSION_ABI = [
-  "function getMissionData() view returns (\
-      tuple(\
-        uint8   status,\
-        uint40  missionCreated,\
-        string  name,\
-        uint8   missionType,\
-        uint8   missionRounds,\
-        uint8   roundPauseDuration,\
-        uint8   lastRoundPauseDuration,\
-        uint256 croInitial,\
-        uint256 croStart,\
-        uint256 croCurrent,\
-        uint256 enrollmentAmount,\
-        uint8   enrollmentMinPlayers,\
-        uint8   enrollmentMaxPlayers,\
-        uint40  enrollmentStart,\
-        uint40  enrollmentEnd,\
-        uint40  missionStart,\
-        uint40  missionEnd,\
-        address[] players,\
-        uint256 enrollmentCount,\
-        uint8   roundCount,\
-        uint40  pauseTimestamp,\
-        bool    allRefunded,\
-        address creator\
-      )\
-  )",
-  "function getRealtimeStatus() view returns (uint8)",
-  "function refundPlayers()",
-  "function forceFinalizeMission()",
-  "function owner() view returns (address)",
-  "function enrollPlayer() payable",
-  "function increasePot() payable",
-  "function callRound()",
-];
-
 /* --------------------- Helpers --------------------- */
 export const shorten = addr =>
   addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : "";
@@ -172,6 +123,11 @@ export function weiToCro(weiStr, decimals = null, fixed = false) {
   }
 }
 
+// Display form of weiToCro(): locale separators + the network's native unit
+// ("1.234,5 CRO" in nl, "TCRO" on testnet). Inputs and API values keep using weiToCro() itself.
+export const formatCro = (weiStr, decimals = null, fixed = false) =>
+  `${localizeDecimal(weiToCro(weiStr, decimals, fixed))} ${NETWORK.symbol}`;
+
 export function copyableAddr(addr){
   if(!addr) return "";
   return `
@@ -181,7 +137,7 @@ export function copyableAddr(addr){
     </span>`;
 }
 
-export function extLinkIcon(url, title = "Open in new tab"){
+export function extLinkIcon(url, title = t("link.newTab")){
   if (!url) return "";
   return `
     <a class="ms-2" href="${url}" target="_blank" rel="noopener" title="${title}">
@@ -189,12 +145,19 @@ export function extLinkIcon(url, title = "Open in new tab"){
     </a>`;
 }
 
+// Explorer page for a tx hash / address on NETWORK; "" when the network has no explorer (local node)
+export function explorerUrl(kind, value){
+  const base = String(NETWORK.explorer || "").replace(/\/+$/, "");
+  if (!base || !value) return "";
+  return `${base}/${kind === "tx" ? "tx" : "address"}/${value}`;
+}
+
 export function txLinkIcon(txHash){
-  return txHash ? extLinkIcon(`https://explorer.cronos.org/tx/${txHash}`, "Open on Cronos Explorer") : "";
+  return extLinkIcon(explorerUrl("tx", txHash), t("link.explorer", { name: NETWORK.name }));
 }
 
 export function addrLinkIcon(addr){
-  return addr ? extLinkIcon(`https://explorer.cronos.org/address/${addr}`, "Open on Cronos Explorer") : "";
+  return extLinkIcon(explorerUrl("address", addr), t("link.explorer", { name: NETWORK.name }));
 }
 
 export function statusColorClass(s) {
@@ -213,7 +176,7 @@ export const unixToDate = (sec) => new Date((Number(sec) || 0) * 1000);
 
 export const formatLocalDateTime = (sec) => {
   if (sec == null) return "";
-  return unixToDate(sec).toLocaleString(navigator.language, {
+  return unixToDate(sec).toLocaleString(intlLocale(), {
       dateStyle: 'short',
       timeStyle: 'short'
     });
@@ -230,7 +193,7 @@ export const formatCountdown = (targetSec) => {
   const s = left;
 
   const pad = (n) => String(n).padStart(2, "0");
-  return `${d}d ${pad(h)}:${pad(m)}:${pad(s)}`;
+  return `${d}${t("unit.d")} ${pad(h)}:${pad(m)}:${pad(s)}`;
 };
 
 export const formatDurationShort = (seconds) => {
@@ -239,22 +202,23 @@ export const formatDurationShort = (seconds) => {
   const h = Math.floor(s / 3600);  s -= h * 3600;
   const m = Math.floor(s / 60);
 
-  if (d >= 30) return "1mo";        // coarse label for very long
-  if (d >= 7)  return `${Math.round(d/7)}w`;
-  if (d > 0 && h > 0) return `${d}d ${h}h`;
-  if (d > 0)  return `${d}d`;
-  if (h > 0 && m > 0) return `${h}h ${m}m`;
-  if (h > 0)  return `${h}h`;
-  if (m > 0)  return `${m}m`;
-  return "0m";
+  const u = (n, unit) => `${n}${t(`unit.${unit}`)}`;
+
+  if (d >= 30) return u(1, "mo");   // coarse label for very long
+  if (d >= 7)  return u(Math.round(d/7), "w");
+  if (d > 0 && h > 0) return `${u(d, "d")} ${u(h, "h")}`;
+  if (d > 0)  return u(d, "d");
+  if (h > 0 && m > 0) return `${u(h, "h")} ${u(m, "m")}`;
+  if (h > 0)  return u(h, "h");
+  return u(m, "m");
 };
 
 document.addEventListener("click", e=>{
   const tgt = e.target.closest("[data-copy]");
   if(!tgt) return;
   navigator.clipboard.writeText(tgt.dataset.copy)
-    .then(()=>showAlert("Address copied ✓","success"))
-    .catch(()=>showAlert("Copy failed","error"));
+    .then(()=>showAlert(t("copy.done"),"success"))
+    .catch(()=>showAlert(t("copy.failed"),"error"));
 });
 
 export const missionTypeName = {
@@ -286,7 +250,9 @@ export const limit = {
   2: "Monthly",         // Monthly limit  
 }
 
-export const statusText = code => Status[code] ?? `Unknown(${code})`;
+// Player-facing labels (catalog "status.N" / "missionType.N"); the maps above stay English
+export const statusText      = code => code in Status ? t(`status.${code}`) : t("status.unknown", { code });
+export const missionTypeText = code => code in missionTypeName ? t(`missionType.${code}`) : String(code ?? "");
 
 export function setBtnLoading(btn, state = true, label = "", restore = true) {
   if (!btn) return;
@@ -357,10 +323,16 @@ const alertModal   = document.getElementById("alertModal");
 const alertTitle   = document.getElementById("alertModalTitle");
 const alertText    = document.getElementById("alertModalText");
 const alertClose   = document.getElementById("alertModalCloseBtn");
+const promptModal  = document.getElementById("promptModal");        // optional: only on pages that need it
+const promptMsg    = document.getElementById("promptModalMessage");
+const promptInput  = document.getElementById("promptModalInput");
+const promptOk     = document.getElementById("promptModalConfirm");
+const promptCancel = document.getElementById("promptModalCancel");
 // #endregion
 
 export function showConfirm(message, onYes) {
   alertModal.classList.add("hidden");
+  promptModal?.classList.add("hidden");
   confirmModal.classList.remove("hidden");
 
   modalMsg.innerHTML =
@@ -379,7 +351,7 @@ export function showConfirm(message, onYes) {
         await onYes();
       } catch (err) {
         console.error("Confirm action failed:", err);
-        showAlert("An error occurred while confirming.", "error");
+        showAlert(t("confirm.failed"), "error");
       }
     }
   };
@@ -393,12 +365,13 @@ export function showConfirm(message, onYes) {
 
 export function showAlert(message, type = "info", onClose = null){
   confirmModal.classList.add("hidden");
+  promptModal?.classList.add("hidden");
   alertModal.className = `modal-box ${type}`;
   alertTitle.innerHTML =
     `<i class="fa-solid ${
       {info:"fa-circle-info", success:"fa-circle-check",
        warning:"fa-triangle-exclamation", error:"fa-circle-xmark"}[type]
-    } fa-lg me-2"></i>${type[0].toUpperCase() + type.slice(1)}`;
+    } fa-lg me-2"></i>${t(`alert.${type}`)}`;
   alertText.innerHTML = message;
   alertModal.classList.remove("hidden");
   modalOverlay.classList.add("active");
@@ -408,6 +381,41 @@ export function showAlert(message, type = "info", onClose = null){
   modalOverlay.onclick = e => { if(e.target === modalOverlay) close(); };
 }
 
+// Resolves with the entered text, or null when the user cancels.
+export function showPrompt(message, { placeholder = "", secret = false } = {}) {
+  if (!promptModal) return Promise.resolve(window.prompt(message) ?? null);
+
+  alertModal.classList.add("hidden");
+  confirmModal.classList.add("hidden");
+  promptModal.classList.remove("hidden");
+
+  promptMsg.innerHTML =
+    `<i class="fa-solid fa-key fa-lg text-cyan me-2"></i>${message}`;
+  promptInput.type        = secret ? "password" : "text";
+  promptInput.placeholder = placeholder;
+  promptInput.value       = "";
+
+  modalOverlay.classList.add("active");
+  setTimeout(() => promptInput.focus(), 0);
+
+  return new Promise(resolve => {
+    const close = (value) => {
+      modalOverlay.classList.remove("active");
+      promptModal.classList.add("hidden");
+      promptInput.onkeydown = null;
+      resolve(value);
+    };
+
+    promptOk.onclick     = () => close(promptInput.value);
+    promptCancel.onclick = () => close(null);
+    promptInput.onkeydown = e => {
+      if (e.key === "Enter")  { e.preventDefault(); close(promptInput.value); }
+      if (e.key === "Escape") { e.preventDefault(); close(null); }
+    };
+    modalOverlay.onclick = e => { if (e.target === modalOverlay) close(null); };
+  });
+}
+
 export const clearSelection = () => {
   const sel = window.getSelection?.();
   if(sel && sel.removeAllRanges){ sel.removeAllRanges(); }
@@ -0,0 +1,211 @@
+/**********************************************************************
+ dashboard.js — live tiles for every mission the player is in
+  - syncDashboard(player) lists the wallet's missions that have not
+    ended (/missions/player) and joins each mission's hub group.
+  - Groups stay joined while their tile exists, so switching the stage
+    between missions keeps pushes flowing for the others; game.js asks
+    isWatched() before it leaves a group.
+  - A push for a tile ("hub:event" from hub.js) refetches its snapshot;
+    cooldown and "bank now" tick locally every second.
+  - Clicking a tile opens that mission on the stage (onOpen).
+**********************************************************************/
+
+import {
+  statusText,
+  statusColorClass,
+  formatCro,
+  formatCountdown,
+} from "./core.js";
+import { getPlayerMissions, getMission } from "./api.js";
+import { joinMissionGroup, leaveMissionGroup } from "./hub.js";
+import {
+  missionFromApi,
+  statusByClock,
+  cooldownInfo,
+  getLastBankTs,
+  computeBankNowWei,
+} from "./missionModel.js";
+import { t } from "./i18n.js";
+
+const REFETCH_DEBOUNCE_MS = 400;                           // pushes come in bursts (bank → round → status)
+
+const __tiles   = new Map();                               // addr → { mission, el, refetch }
+let   __host    = null;
+let   __player  = "";
+let   __opts    = { onOpen: () => {}, isOpen: () => false };
+let   __ticker  = null;
+let   __syncSeq = 0;                                       // drops results of an older sync
+
+const isLive = (m) => statusByClock(m) < 5;
+
+// #region Tiles
+function                playerState         (m)                                 {
+  const me = __player;
+  const joined = (m.enrollments || []).some(e => e.address === me);
+  const won    = (m.rounds || []).some(r => String(r?.winner_address || "").toLowerCase() === me);
+  return { joined, won };
+}
+
+function                liveLine            (m)                                 {
+  const st  = statusByClock(m);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (st <= 2) return t("dash.startsIn", { time: formatCountdown(Number(m.mission_start || 0)) });
+  if (st === 4) {
+    const { secsLeft } = cooldownInfo(m, now);
+    const mm = String(Math.floor(secsLeft / 60)).padStart(2, "0");
+    const ss = String(secsLeft % 60).padStart(2, "0");
+    return t("dash.cooldown", { time: `${mm}:${ss}` });
+  }
+
+  const { joined, won } = playerState(m);
+  if (won)     return t("dash.won");
+  if (!joined) return "";
+  const wei = computeBankNowWei(m, getLastBankTs(m, m.rounds), now);
+  return t("dash.bankNow", { cro: formatCro(String(wei), 2, true) });
+}
+
+function                paintTile           (tile)                              {
+  const { mission: m, el } = tile;
+  const st = statusByClock(m);
+
+  el.classList.toggle("is-open", __opts.isOpen(m.mission_address));
+  el.setAttribute("aria-current", __opts.isOpen(m.mission_address) ? "true" : "false");
+  el.querySelector(".dash-name").textContent = m.name || m.mission_address;
+
+  const status = el.querySelector(".dash-status");
+  status.className   = `dash-status ${statusColorClass(st)}`;
+  status.textContent = statusText(st);
+
+  el.querySelector(".dash-pool").textContent =
+    m.cro_current_wei != null ? t("dash.pool", { cro: formatCro(String(m.cro_current_wei), 2) }) : "";
+  el.querySelector(".dash-live").textContent = liveLine(m);
+}
+
+function                buildTile           (addr)                              {
+  const el = document.createElement("button");
+  el.type      = "button";
+  el.className = "dash-tile";
+  el.dataset.addr = addr;
+  el.innerHTML = `
+    <span class="dash-name"></span>
+    <span class="dash-status"></span>
+    <span class="dash-pool small"></span>
+    <span class="dash-live small"></span>`;
+  el.addEventListener("click", () => __opts.onOpen(addr));
+  return el;
+}
+
+function                paintAll            ()                                  {
+  if (!__host) return;
+  for (const tile of __tiles.values()) paintTile(tile);
+  __host.style.display = __tiles.size ? "" : "none";
+
+  if (__tiles.size && !__ticker) __ticker = setInterval(paintAll, 1000);
+  if (!__tiles.size && __ticker) { clearInterval(__ticker); __ticker = null; }
+}
+// #endregion
+
+
+
+
+
+// #region Subscriptions
+async function          addTile             (mission)                           {
+  const addr = mission.mission_address;
+  const el   = buildTile(addr);
+  __tiles.set(addr, { mission, el, refetch: null });
+  __host?.querySelector(".dash-tiles")?.appendChild(el);
+  try { await joinMissionGroup(addr); }
+  catch (e) { console.warn("[dashboard] join failed:", addr, e); }
+}
+
+async function          dropTile            (addr)                              {
+  const tile = __tiles.get(addr);
+  if (!tile) return;
+  clearTimeout(tile.refetch);
+  tile.el.remove();
+  __tiles.delete(addr);
+  if (!__opts.isOpen(addr)) {
+    try { await leaveMissionGroup(addr); } catch {}
+  }
+}
+
+async function          refetchTile         (addr)                              {
+  const tile = __tiles.get(addr);
+  if (!tile) return;
+  try {
+    tile.mission = missionFromApi(await getMission(addr));
+  } catch (e) {
+    console.warn("[dashboard] refresh failed:", addr, e);
+    return;
+  }
+  if (!isLive(tile.mission)) await dropTile(addr);
+  paintAll();
+}
+
+function                onHubEvent          (e)                                 {
+  const addr = e.detail?.addr;
+  const tile = addr && __tiles.get(addr);
+  if (!tile) return;
+  clearTimeout(tile.refetch);
+  tile.refetch = setTimeout(() => refetchTile(addr), REFETCH_DEBOUNCE_MS);
+}
+// #endregion
+
+
+
+
+
+// #region Public
+/**
+ * Wire the dashboard into `host` (a container with a `.dash-tiles` child).
+ *
+ * @param {HTMLElement} host
+ * @param {{ onOpen: (addr: string) => void, isOpen: (addr: string) => boolean }} opts
+ *        onOpen: show that mission on the stage; isOpen: is it the stage's mission right now
+ */
+export function         mountDashboard      (host, opts = {})                   {
+  __host = host;
+  __opts = { ...__opts, ...opts };
+  window.addEventListener("hub:event", onHubEvent);
+  window.addEventListener("i18n:changed", paintAll);
+  paintAll();
+}
+
+/** Rebuild the tiles for `player` (lowercase address; "" clears the dashboard). */
+export async function   syncDashboard       (player)                            {
+  const seq = ++__syncSeq;
+  __player  = String(player || "").toLowerCase();
+
+  let missions = [];
+  if (__player) {
+    try {
+      const list = await getPlayerMissions(__player);
+      missions = (Array.isArray(list) ? list : []).map(missionFromApi).filter(isLive);
+    } catch (e) {
+      console.warn("[dashboard] player missions failed:", e);
+      return;                                              // keep the tiles we have
+    }
+  }
+  if (seq !== __syncSeq) return;
+
+  const want = new Set(missions.map(m => m.mission_address));
+  for (const addr of [...__tiles.keys()]) if (!want.has(addr)) await dropTile(addr);
+  for (const m of missions) if (!__tiles.has(m.mission_address)) await addTile(m);
+  paintAll();
+
+  // List rows lack rounds + enrollments; fill them in for "bank now"
+  await Promise.all(missions.map(m => refetchTile(m.mission_address)));
+}
+
+/** True while `addr` has a tile (its hub group must stay joined). */
+export function         isWatched           (addr)                              {
+  return __tiles.has(String(addr || "").toLowerCase());
+}
+
+/** Re-mark the tile of the mission on the stage (call after the stage switches). */
+export function         refreshDashboard    ()                                  {
+  paintAll();
+}
+// #endregion
@@ -0,0 +1,199 @@
+/**********************************************************************
+ errors.js — revert decoding for MissionFactory + Mission (both pages)
+  - Custom errors from FACTORY_ABI and MISSION_ABI (contracts.js)
+    with formatted arguments: seconds → duration, wei → CRO,
+    timestamps → local date, addresses shortened.
+  - require() strings of MissionFactory.sol (Mission included), e.g.
+    "Rounds<=minPlay-1" or "pinHash?", mapped to readable text.
+  - Texts live in the i18n catalogs ("err.*", "revert.*").
+  - Wallet rejections read "Transaction canceled in the wallet.";
+    anything else falls back to core.js decodeError().
+**********************************************************************/
+
+import {
+  decodeError,
+  formatCro,
+  formatDurationShort,
+  formatLocalDateTime,
+  shorten,
+} from "./core.js";
+import { FACTORY_ABI, MISSION_ABI } from "./contracts.js";
+import { t } from "./i18n.js";
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";               // Error(string)
+
+// Both ABIs carry the OpenZeppelin errors; parse with the factory first, then the mission
+const IFACES = [new ethers.utils.Interface(FACTORY_ABI), new ethers.utils.Interface(MISSION_ABI)];
+
+const num  = (v) => Number(v?.toString?.() ?? v ?? 0);
+const cro  = (v) => formatCro(String(v ?? 0), 2);
+const left = (secs) => formatDurationShort(Math.max(0, num(secs)));
+
+// #region Texts
+// Custom error name → catalog vars for "err.<name>"; args as decoded (BigNumber / string)
+const CUSTOM_VARS = {
+  // Mission
+  EnrollmentNotStarted:        ([now, start])     => ({ left: left(num(start) - num(now)) }),
+  EnrollmentClosed:            ([, end])          => ({ since: formatLocalDateTime(num(end)) }),
+  MaxPlayers:                  ([max])            => ({ max: num(max) }),
+  WrongEntryFee:               ([expected, sent]) => ({ expected: cro(expected), sent: cro(sent) }),
+  AlreadyJoined:               ()                 => ({}),
+  WeeklyLimit:                 ([secs])           => ({ left: left(secs) }),
+  MonthlyLimit:                ([secs])           => ({ left: left(secs) }),
+  Cooldown:                    ([secs])           => ({ left: left(secs) }),
+  NotActive:                   ([now, start])     => ({ left: left(num(start) - num(now)) }),
+  MissionEnded:                ()                 => ({}),
+  AlreadyWon:                  ()                 => ({}),
+  NotJoined:                   ()                 => ({}),
+  AllRoundsDone:               ()                 => ({}),
+  PayoutFailed:                ([winner, amount]) => ({ amount: cro(amount), winner: shorten(String(winner)) }),
+  ContractsNotAllowed:         ()                 => ({}),
+
+  // MissionFactory / OpenZeppelin
+  InsufficientBalance:         ([bal, needed])    => ({ balance: cro(bal), needed: cro(needed) }),
+  FailedDeployment:            ()                 => ({}),
+  OwnableUnauthorizedAccount:  ([account])        => ({ account: shorten(String(account)) }),
+  OwnableInvalidOwner:         ([owner])          => ({ owner: shorten(String(owner)) }),
+  ReentrancyGuardReentrantCall:()                 => ({}),
+};
+
+// require() reason → catalog key "revert.<id>" (MissionFactory.sol, both contracts)
+const REQUIRE_KEY = {
+  // createMission
+  "Enroll start>=end":                  "enrollOrder",
+  "M start<enroll end":                 "startAfterEnroll",
+  "M start>=end":                       "missionOrder",
+  "Mission name?":                      "nameRequired",
+  "Round pause duration<60s":           "roundPause",
+  "Last round pause duration<60s":      "lastRoundPause",
+  "Mission rnds<1":                     "minRounds",
+  "Rounds>1":                           "userMinRounds",
+  "Rounds<=minPlay-1":                  "roundsVsPlayers",
+  "Min players>2":                      "userMinPlayers",
+  "Min players<mission rnds":           "minPlayersVsRounds",
+  "Max players<26":                     "userMaxPlayers",
+  "max players<=100":                   "maxPlayers",
+  "Max players<minimum players":        "maxVsMinPlayers",
+  "Fee>=1":                             "feeRequired",
+  "pinHash?":                           "pinRequired",
+  "Creator addr?":                      "creatorRequired",
+  "Min 24h":                            "creatorCooldown",
+
+  // Roles / ownership
+  "Not owner or authorized":            "notAuthorizedCaller",
+  "Not owner":                          "noOwner",
+  "addr?":                              "addressRequired",
+  "Addr?":                              "addressRequired",
+  "Already authorized":                 "alreadyAuthorized",
+  "!authorized":                        "notAuthorized",
+  "!Own proposal":                      "ownProposal",
+  "Proposal expired":                   "proposalExpired",
+  "impl zero":                          "noImplementation",
+  "Invalid mission address":            "invalidMission",
+  "Invalid address":                    "invalidAddress",
+
+  // Funds
+  "No funds to withdraw":               "noFunds",
+  "> balance":                          "overBalance",
+  "TX failed":                          "ownerTransfer",
+  "Owner payout failed":                "ownerPayout",
+  "Creator payout failed":              "creatorPayout",
+  "No funds sent":                      "noValue",
+  "Only factory or authorized can fund":"fundNotAllowed",
+  "Mission passed activation":          "fundTooLate",
+
+  // Mission lifecycle
+  "Already initialized":                "initialized",
+  "Already checked start condition":    "startChecked",
+  "Mission not in arming window. Call refundPlayers instead": "armingWindow",
+  "No players to refund":               "noRefunds",
+  "Mission not in Failed status":       "notFailed",
+  "Mission is not in Failed status":    "notFailed",
+  "Mission is not in Success or PartlySuccess status": "noWinner",
+  "Player not enrolled":                "notEnrolled",
+  "No incremental payout":              "noPayout",
+  "Progress regression":                "progressRegression",
+
+  // Enrollment
+  "Not an InviteOnly mission":          "notInviteOnly",
+  "InviteOnly: use enrollPlayerWithSecret": "inviteOnly",
+  "Wrong Secret Passphrase":            "wrongSecret",
+};
+// #endregion
+
+
+
+
+
+// #region Decoding
+/** Revert payload (0x…) from the usual ethers / wallet error shapes, or null. */
+export function         revertData          (err, depth = 0)                    {
+  if (!err || depth > 4) return null;
+  if (typeof err === "string") {
+    return /^0x[0-9a-f]{8}/i.test(err) && (err.length - 10) % 64 === 0 ? err : null;
+  }
+  if (typeof err !== "object") return null;
+
+  for (const k of ["data", "error", "originalError"]) {
+    const hit = revertData(err[k], depth + 1);
+    if (hit) return hit;
+  }
+  if (typeof err.body === "string") {                        // ethers: raw JSON-RPC response body
+    try { return revertData(JSON.parse(err.body), depth + 1); } catch {}
+  }
+  return null;
+}
+
+/**
+ * Decoded revert: { name, args } for custom errors, { reason } for require strings,
+ * null when there is no revert payload (RPC trouble, wallet rejection, …).
+ */
+export function         decodeRevert        (err)                               {
+  const hex = revertData(err);
+
+  if (hex?.startsWith(ERROR_STRING_SELECTOR)) {
+    try { return { reason: ethers.utils.defaultAbiCoder.decode(["string"], "0x" + hex.slice(10))[0] }; }
+    catch { return null; }
+  }
+  if (hex) {
+    for (const iface of IFACES) {
+      try {
+        const parsed = iface.parseError(hex);
+        return { name: parsed.name, args: Array.from(parsed.args || []) };
+      } catch {}
+    }
+  }
+
+  // Some wallets only pass the reason along
+  if (typeof err?.reason === "string" && REQUIRE_KEY[err.reason]) return { reason: err.reason };
+  if (err?.errorName) return { name: err.errorName, args: Array.from(err.errorArgs || []) };
+  return null;
+}
+
+/** Readable text for a contract revert, or null when `err` is not one we know. */
+export function         contractErrorMessage(err)                               {
+  const d = decodeRevert(err);
+  if (!d) return null;
+  if (d.name)   return CUSTOM_VARS[d.name]
+    ? t(`err.${d.name}`, CUSTOM_VARS[d.name](d.args))
+    : t("err.unknown", { name: d.name });
+  if (d.reason) return REQUIRE_KEY[d.reason] ? t(`revert.${REQUIRE_KEY[d.reason]}`) : d.reason;
+  return null;
+}
+
+/** Readable text for any tx / call error (always a string). */
+export function         errorMessage        (err)                               {
+  if (err?.code === 4001 || err?.code === "ACTION_REJECTED") return t("err.walletRejected");
+  return contractErrorMessage(err) || decodeError(err);
+}
+
+/** True when `err` is the custom error `name` (e.g. "Cooldown"). */
+export function         isContractError     (err, name)                         {
+  return decodeRevert(err)?.name === name;
+}
+
+/** True when `err` is the require() with this exact reason (e.g. "Wrong Secret Passphrase"). */
+export function         isRequireReason     (err, reason)                       {
+  return decodeRevert(err)?.reason === reason || (decodeError(err) || "").includes(reason);
+}
+// #endregion
@@ -7,12 +7,15 @@ import {
   connectWallet, 
   disconnectWallet, 
   walletAddress, 
-  getSigner 
+  getSigner,
+  isWrongNetwork,
+  requireAppNetwork,
 } from "./walletConnect.js";
 
 import { 
   showAlert, 
   showConfirm, 
+  showPrompt,
   copyableAddr, 
   formatLocalDateTime, 
   formatCountdown,
@@ -21,14 +24,14 @@ import {
   statusColorClass,
   txLinkIcon,
   addrLinkIcon,
-  missionTypeName,
-  weiToCro, 
-  FACTORY_ABI, 
+  missionTypeText,
+  formatCro,
   FACTORY_ADDRESS,
-  MISSION_ABI,
+  NETWORK,
   setBtnLoading,
   decodeError,
   shorten,
+  getReadProvider,
 } from "./core.js";
 
 import { 
@@ -45,11 +48,81 @@ import {
   getMissionsNotEnded,      
   getMissionsJoinable,   
   getPlayerMissions,      
-  postKickEnrolled,
-  postKickBanked,
   getPlayerEligibility,
+  getMissionTx,
+  getPlayerTx,
 } from "./api.js";
 
+import { mountTxHistory } from "./txHistory.js";
+
+import { trackTx } from "./txManager.js";
+
+import { preflightTx, preflightOverrides, feeText } from "./preflight.js";
+
+import { renderPlayerProfile } from "./playerProfile.js";
+
+import { mountLeaderboard } from "./leaderboard.js";
+
+import { mountDashboard, syncDashboard, isWatched, refreshDashboard } from "./dashboard.js";
+
+import { followMissionEvents, stopMissionEvents, reconcileMission } from "./missionEvents.js";
+
+import { startChangeFeed } from "./changeFeed.js";
+
+import { chainMission } from "./chainReads.js";
+
+import {
+  openBankSim,
+  updateBankSim,
+  closeBankSim,
+  isBankSimOpen,
+  bankSimAvailable,
+} from "./bankSim.js";
+
+import {
+  FACTORY_ABI,
+  MISSION_ABI,
+} from "./contracts.js";
+
+import {
+  contractErrorMessage,
+  isContractError,
+} from "./errors.js";
+
+import { t } from "./i18n.js";
+
+import {
+  prefersReducedMotion,
+  announce,
+  stageButton,
+  clearStageButtons,
+  setStageButtonsDisabled,
+  focusStage,
+  renderStageText,
+  resetStageText,
+} from "./stageA11y.js";
+
+import {
+  isPushSupported,
+  isMissionPushEnabled,
+  enableMissionPush,
+  disableMissionPush,
+  syncPushLocale,
+} from "./push.js";
+
+import {
+  missionFromApi,
+  cooldownInfo,
+  statusByClock,
+  nextDeadlineFor,
+  sortAllMissions,
+  getLastBankTs,
+  computeBankNowWei,
+  roundsForDisplay,
+  topWinners,
+  failureKindFor,
+} from "./missionModel.js";
+
 
 // #endregion
 
@@ -58,24 +131,6 @@ import {
 
 
 // #region Config, int.face&DOM
-const MISSION_ERROR_ABI   = [
-  "error EnrollmentNotStarted(uint256 nowTs, uint256 startTs)",
-  "error EnrollmentClosed(uint256 nowTs, uint256 endTs)",
-  "error MaxPlayers(uint8 maxPlayers)",
-  "error WrongEntryFee(uint256 expected, uint256 sent)",
-  "error AlreadyJoined()",
-  "error WeeklyLimit(uint256 secondsLeft)",
-  "error MonthlyLimit(uint256 secondsLeft)",
-  "error Cooldown(uint256 secondsLeft)",
-  "error NotActive(uint256 nowTs, uint256 missionStart)",
-  "error MissionEnded()",
-  "error AlreadyWon()",
-  "error NotJoined()",
-  "error AllRoundsDone()",
-  "error PayoutFailed(address winner, uint256 amount, bytes data)",
-  "error ContractsNotAllowed()",
-];
-const __missionErrIface   = new ethers.utils.Interface(MISSION_ERROR_ABI);
 const connectBtn          = document.getElementById("connectWalletBtn");
 const sectionBoxes        = document.querySelectorAll(".section-box");
 // #endregion
@@ -121,6 +176,12 @@ let __allMissionsRenderVersion = 0;
 // My missions cache & filters:
 let   __myMissionsCache     = [];     // last fetched list (raw objects)
 let   __mySelected          = null;   // null → all; otherwise Set<number> of statuses
+// Joinable list:
+let   __joinableCache       = [];     // last rendered list (raw objects)
+// Player profile:
+let   profileAddr           = null;   // lowercased address shown in the profile section
+// Bank-timing projection:
+let   __bankSimMission      = null;   // last stage snapshot fed to bankSim.js
 // Realtime:
 let   __lastPushTs          = 0;      // updated on any hub push we care about
 
@@ -177,42 +238,7 @@ window.debugPing = (addr) => fetch(`/api/debug/push/${(addr||window.currentMissi
 
 // #region Pure helpers
 
-// Bucketing/sort/filter:
-
-function        bucketOfStatus(s){ // Group order: Active bucket (2/3/4), then Enrolling(1), Pending(0), Ended(5/6/7)
-  s = Number(s);
-  if (s === 1)  return 1; // Enrolling
-  if (s === 0)  return 2; // Pending
-  if (s >= 5)   return 3; // Ended
-                return 0; // Active bucket: 2 (Arming), 3 (Active), 4 (Paused)
-}
-
-function        sortAllMissions(list){
-  return list.slice().sort((a, b) => {
-    const sa = Number(a.status), sb = Number(b.status);
-    const ba = bucketOfStatus(sa), bb = bucketOfStatus(sb);
-    if (ba !== bb) return ba - bb;
-
-    // same bucket → per-bucket sort
-    if (ba === 0){ // Active bucket
-      // prefer “oldest mission end” first; Arming (2) has no end yet → use mission_start
-      const ea = sa === 2 ? Number(a.mission_start||0) : Number(a.mission_end||0);
-      const eb = sb === 2 ? Number(b.mission_start||0) : Number(b.mission_end||0);
-      return (ea||0) - (eb||0); // ascending (oldest first)
-    }
-    if (ba === 1){ // Enrolling
-      const ea = Number(a.enrollment_end||0), eb = Number(b.enrollment_end||0);
-      return (ea||0) - (eb||0); // ascending (oldest first)
-    }
-    if (ba === 2){ // Pending
-      const sa_ = Number(a.enrollment_start||0), sb_ = Number(b.enrollment_start||0);
-      return (sa_||0) - (sb_||0); // ascending (oldest first)
-    }
-    // Ended → latest first by mission_end
-    const ea = Number(a.mission_end||0), eb = Number(b.mission_end||0);
-    return (eb||0) - (ea||0); // descending (latest first)
-  });
-}
+// Filter:
 
 function        applyAllMissionFiltersAndRender(){
   let list = __allMissionsCache || [];
@@ -377,140 +403,23 @@ function        joinedCacheAdd(addr, me){
 // Enrichment:
 
 function        enrichMissionFromApi(data){
-  const m = data?.mission || data || {};
-  if (data && Array.isArray(data.enrollments)) {
-    // Normalize API → UI shape:
-    // - API provides 'player' + '*_ts'
-    // - UI expects 'address' + 'enrolled_at'
-    m.enrollments = data.enrollments.map(e => ({
-      address: String(e.address || e.player || "").toLowerCase(),
-      enrolled_at: Number(
-        e.enrolled_at ?? e.enrolled_ts ?? e.enrolledTS ?? 0
-      ) || 0,
-      refunded: !!e.refunded,
-      refund_ts: (e.refund_ts != null)
-        ? Number(e.refund_ts)
-        : (e.refundTS != null ? Number(e.refundTS) : null),
-      refunded_failed: !!e.refunded_failed
-    }));
-  }
-
-  if (data && Array.isArray(data.rounds))      m.rounds      = data.rounds;
+  const m = missionFromApi(data);   // shared model: snake_case fields, wei as BigInt
 
-  if (Number(m.status) === 1 &&
+  // Enrolling: the indexer may lag behind enrollments → derive the pool locally
+  if (m.status === 1 &&
       m.cro_initial_wei != null &&
       m.enrollment_amount_wei != null) {
-    const initialWei = BigInt(String(m.cro_initial_wei || "0"));
-    const feeWei     = BigInt(String(m.enrollment_amount_wei || "0"));
-
-    const enrolledFromApi = (m.enrolled_players != null)
-      ? Number(m.enrolled_players)
-      : Array.isArray(m.enrollments) ? m.enrollments.length : 0;
-
-    const joined   = BigInt(enrolledFromApi);
-    const derived  = initialWei + feeWei * joined;
-    const current  = BigInt(String(m.cro_current_wei || m.cro_start_wei || "0"));
+    const derived  = m.cro_initial_wei + m.enrollment_amount_wei * BigInt(m.enrolled_players);
+    const current  = m.cro_current_wei ?? m.cro_start_wei ?? 0n;
 
     // Never regress: prefer the higher value when DB/indexer is ahead of enrollments
-    m.cro_current_wei = (current > derived ? current : derived).toString();
+    m.cro_current_wei = current > derived ? current : derived;
   }
   return m;
 }
 
-// Mission error decoding:
-
-function        isCooldownError(err){
-  const hex =
-    err?.error?.data ||
-    err?.data?.originalError?.data ||
-    err?.data ||
-    null;
-
-  if (!hex || typeof hex !== "string" || !hex.startsWith("0x")) return false;
-  if (hex.startsWith("0x08c379a0")) return false; // Error(string) → not custom
-
-  try {
-    const parsed = __missionErrIface.parseError(hex);
-    return parsed?.name === "Cooldown";
-  } catch { return false; }
-}
-
-function        missionErrorToText(name, args = []) {
-  switch (name) {
-    case "EnrollmentNotStarted": {
-      const [nowTs, startTs] = args.map(a => Number(a));
-      const secs = Math.max(0, startTs - nowTs);
-      return `Enrollment hasn’t started yet (${formatDurationShort(secs)} to go).`;
-    }
-    case "EnrollmentClosed":
-      return "Enrollment is closed.";
-    case "MaxPlayers": {
-      const [max] = args;
-      return `Maximum number of players reached (${max}).`;
-    }
-    case "WrongEntryFee": {
-      const [expected, sent] = args;
-      return `Incorrect entry fee. Expected ${weiToCro(String(expected), 2)} CRO, sent ${weiToCro(String(sent), 2)} CRO.`;
-    }
-    case "AlreadyJoined":
-      return "You already joined this mission.";
-    case "WeeklyLimit": {
-      const [secsLeft] = args.map(a => Number(a));
-      return `Weekly limit reached. Try again in ${formatDurationShort(secsLeft)}.`;
-    }
-    case "MonthlyLimit": {
-      const [secsLeft] = args.map(a => Number(a));
-      return `Monthly limit reached. Try again in ${formatDurationShort(secsLeft)}.`;
-    }
-    case "Cooldown": {
-      const [secsLeft] = args.map(a => Number(a));
-      return `Cooldown active. Try again in ${formatDurationShort(secsLeft)}.`;
-    }
-    case "NotActive":
-      return "Mission is not active yet.";
-    case "MissionEnded":
-      return "Mission has already ended.";
-    case "AlreadyWon":
-      return "You already won in a previous round.";
-    case "NotJoined":
-      return "You haven’t joined this mission.";
-    case "AllRoundsDone":
-      return "All rounds have been completed.";
-    case "PayoutFailed": {
-      const [winner, amount] = args;
-      return `Payout failed (${weiToCro(String(amount), 2)} CRO to ${winner}).`;
-    }
-    case "ContractsNotAllowed":
-      return "Contracts are not allowed to join this mission.";
-    default:
-      return null;
-  }
-}
-
-function        __revertHex(err) { // extract revert data from common provider error shapes
-  return (
-    err?.error?.data ||
-    err?.data?.originalError?.data ||
-    err?.data ||
-    null
-  );
-}
-
-function        missionCustomErrorMessage(err) { // decode a Mission custom error if present; otherwise return null
-  const hex = __revertHex(err);
-  if (!hex || typeof hex !== "string" || !hex.startsWith("0x")) return null;
-
-  // let generic decoder handle Error(string)
-  if (hex.startsWith("0x08c379a0")) return null;
-
-  try {
-    const parsed = __missionErrIface.parseError(hex);
-    const name   = parsed?.name;
-    const args   = parsed?.args ? Array.from(parsed.args) : [];
-    return missionErrorToText(name, args) || `Contract error: ${name}`;
-  } catch {
-    return null;
-  }
+function        isInviteOnly(mission) { // MissionType.InviteOnly → enrollPlayerWithSecret()
+  return Number(mission?.mission_type) === 7;
 }
 
 // Section switcher:
@@ -521,8 +430,9 @@ function        showOnlySection(sectionId) {
   });
 
   document.getElementById('gameMain').classList.toggle('stage-mode', sectionId === 'gameStage');
+  if (sectionId !== 'gameStage') resetStageText();
 
-  if (["joinableSection","myMissionsSection","allMissionsSection"].includes(sectionId)) {
+  if (["joinableSection","myMissionsSection","allMissionsSection","leaderboardSection"].includes(sectionId)) {
     lastListShownId = sectionId;                     // <-- keep runtime value updated
     try { localStorage.setItem("b6:lastList", sectionId); } catch {}
   }
@@ -536,6 +446,9 @@ function        showOnlySection(sectionId) {
     disableTemporarily(els.refreshJoinableBtn, REFRESH_THROTTLE_MS);
   } else if (sectionId === "myMissionsSection") {
     disableTemporarily(els.refreshMyBtn, REFRESH_THROTTLE_MS);
+  } else if (sectionId === "leaderboardSection") {
+    disableTemporarily(els.refreshLeaderboardBtn, REFRESH_THROTTLE_MS);
+    mountLeaderboard(els.leaderboard);
   }
 
 }
@@ -549,8 +462,10 @@ async function  cleanupMissionDetail(){
   clearDetailRefresh();
   setVaultOpen(false);
   staleWarningShown = false;
+  syncBankSim(null);
+  stopMissionEvents();
 
-  if (subscribedAddr) {
+  if (subscribedAddr && !isWatched(subscribedAddr)) {   // dashboard tiles keep their groups
     try { 
       await leaveMissionGroup(subscribedAddr); 
       dbg("Unsubscribed (cleanup):", subscribedAddr); 
@@ -579,49 +494,6 @@ function        statusSlug(s){
 
 // Round helpers:
 
-function        getLastBankTs(mission, rounds){
-  const t0 = Number(mission?.mission_start || 0);
-  let last = t0;
-
-  // include any recorded round times
-  if (Array.isArray(rounds)) {
-    for (const r of rounds) {
-      const t = Number(r?.created_at || r?.played_at || 0);
-      if (t > last) last = t;
-    }
-  }
-
-  // ALSO include latest pause (a bank just happened)
-  const pz = Number(mission?.pause_timestamp || 0);
-  if (pz > last) last = pz;
-
-  return last;
-}
-
-function        computeBankNowWei(mission, lastBankTs, now = Math.floor(Date.now() / 1000)) {
-  const st = Number(mission?.status);
-  if (st !== 3 && st !== 4) return "0"; // Only accrues while Active or Paused
-
-  const ms = Number(mission?.mission_start || 0);
-  const me = Number(mission?.mission_end || 0);
-  const D = Math.max(0, me - ms); // Total mission duration in seconds
-  const base = BigInt(mission?.cro_start_wei || "0"); // Total CRO in wei
-
-  if (D === 0 || base === 0n) return "0";
-
-  const tNow = Math.min(now, me);
-  const tLast = Math.max(ms, Number(lastBankTs || ms));
-  const dt = Math.max(0, tNow - tLast); // Time since last claim
-
-  try {
-    const ratePerSecond = base / BigInt(D); // CRO per second
-    const accrued = ratePerSecond * BigInt(dt); // CRO since last claim
-    return accrued.toString();
-  } catch {
-    return "0";
-  }
-}
-
 function        counterColorForWei(mission, accruedWei){
   try {
     const feeWei   = BigInt(String(mission?.enrollment_amount_wei || "0"));
@@ -696,45 +568,16 @@ function        applyCounterColor(el, mission, accruedWei){
   return col;
 }
 
-function        cooldownInfo(mission, now = Math.floor(Date.now()/1000)){
-  const st          = Number(mission?.status);
-  const isPaused    = (st === 4);
-  const roundsTotal = Number(mission?.mission_rounds_total ?? 0);
-  const roundCount  = Number(mission?.round_count ?? 0);
-
-  const roundPauseSecs      = Number(mission?.round_pause_secs      ?? 300);
-  const lastRoundPauseSecs  = Number(mission?.last_round_pause_secs ?? 60);
-  const secsTotal           = (roundCount === (roundsTotal - 1)) ? lastRoundPauseSecs : roundPauseSecs;
-
-  const pauseTs  = Number(mission?.pause_timestamp || 0);
-  const pauseEnd = pauseTs && secsTotal > 0 ? (pauseTs + secsTotal) : 0;
-  const secsLeft = pauseEnd ? Math.max(0, pauseEnd - now) : 0;
-
-  return { isPaused, secsTotal, secsLeft, pauseEnd };
-}
-
 function        formatCooldownLabel    (secsTotal){
   const total   = Math.max(0, Math.floor(Number(secsTotal || 0)));
   const minutes = Math.floor(total / 60);
   const seconds = total % 60;
 
-  if (minutes > 0 && seconds > 0) {
-    const minLabel = minutes === 1 ? "1 minute" : `${minutes} minutes`;
-    const secLabel = seconds === 1 ? "1 second"  : `${seconds} seconds`;
-    return `Cooldown ${minLabel} ${secLabel}`;
-  }
-
-  if (minutes > 0) {
-    const minLabel = minutes === 1 ? "1 minute" : `${minutes} minutes`;
-    return `Cooldown ${minLabel}`;
-  }
-
-  if (seconds > 0) {
-    const secLabel = seconds === 1 ? "1 second" : `${seconds} seconds`;
-    return `Cooldown ${secLabel}`;
-  }
+  const parts = [];
+  if (minutes > 0) parts.push(t("unit.minutes", { count: minutes }));
+  if (seconds > 0) parts.push(t("unit.seconds", { count: seconds }));
 
-  return "Cooldown";
+  return parts.length ? t("game.cooldownFor", { time: parts.join(" ") }) : t("game.cooldown");
 }
 
 function        formatMMSS(s){
@@ -753,16 +596,6 @@ function        nonDecreasingRound(m) {
   return cur;
 }
 
-function        roundsForDisplay(m) {
-  const total  = Number(m?.mission_rounds_total ?? 0);
-  const banked = Number(m?.round_count ?? 0);
-  const st     = statusByClock(m);   // 0..7
-
-  // 1-based only during Mission Time
-  const v = (st >= 3) ? (banked + 1) : banked;
-  return Math.min(v, total);
-}
-
 // Chain timestamp:
 
 async function getMissionCreationTs(mission) {
@@ -774,66 +607,18 @@ async function getMissionCreationTs(mission) {
   return ts > 0 ? ts : 0;
 }
 
-// Winners/Failure:
-
-function        topWinners(enrollments = [], rounds = [], n = 5){
-  // Totals by address (BigInt)
-  const totals = new Map();
-  for (const r of (rounds || [])){
-    const addr = String(r?.winner_address || "").toLowerCase();
-    if (!addr) continue;
-    const wei = BigInt(String(r?.payout_wei || "0"));
-    totals.set(addr, (totals.get(addr) || 0n) + wei);
-  }
-
-  // Tie-break: earlier enrollment first
-  const enrolledAt = new Map();
-  for (const e of (enrollments || [])){
-    const a = String(e?.address || "").toLowerCase();
-    if (a) enrolledAt.set(a, Number(e.enrolled_at || 0));
-  }
-
-  const arr = [...totals.entries()].map(([addr, totalWei]) => ({
-    addr,
-    totalWei,
-    enrolledAt: enrolledAt.get(addr) || 0
-  }));
-
-  arr.sort((a, b) => {
-    if (a.totalWei === b.totalWei) return a.enrolledAt - b.enrolledAt;
-    return a.totalWei > b.totalWei ? -1 : 1;
-  });
-
-  return arr.slice(0, n);
-}
-
-function        failureReasonFor(mission){
-  if (Number(mission?.status) !== 7) return null;
-  const min    = Number(mission?.enrollment_min_players ?? 0);
-  const joined = (mission?.enrolled_players != null)
-    ? Number(mission.enrolled_players)
-    : (Array.isArray(mission?.enrollments) ? mission.enrollments.length : 0);
-  const rounds = Number(mission?.round_count ?? 0);
-
-  // Your two failure modes:
-  // A) Not enough players enrolled (never started)
-  if (rounds === 0 && joined < min)  return "Not enough players";
-  // B) Enough players, but no rounds were played before end
-  if (rounds === 0 && joined >= min) return "No rounds played";
-
-  return null;
-}
+// List badges:
 
 function        prettyStatusForList(status, md, allRefunded) { // status: number (0..7), md: Mission.MissionData, failedRefundCount?: number
   // Enum: 0 Pending, 1 Enrolling, 2 Arming, 3 Active, 4 Paused, 5 PartlySuccess, 6 Success, 7 Failed
   if (status === 7) { // Failed
     if (!md || (Array.isArray(md.players) && md.players.length === 0)) {
-      return { label: "Cancelled", css: "badge-cancelled", title: "No enrollments; game didn’t run." };
+      return { label: t("badge.cancelled"), css: "badge-cancelled", title: t("badge.cancelledTitle") };
     }
     if (!allRefunded) {
-      return { label: "Refunds pending", css: "badge-refund-pending", title: "Some refunds are still being retried." };
+      return { label: t("badge.refundPending"), css: "badge-refund-pending", title: t("badge.refundPendingTitle") };
     }
-    return { label: "Refunded", css: "badge-refunded", title: "All enrollments have been refunded." };
+    return { label: t("badge.refunded"), css: "badge-refunded", title: t("badge.refundedTitle") };
   }
   // fall through to your existing mapping for other statuses…
   return null;
@@ -855,6 +640,12 @@ function        touchUpdatedAtStampFromPush() {
   staleWarningShown = false; // clear any prior warning state
 }
 
+// Hub pushes arrive for every joined group (the dashboard keeps watched missions joined);
+// only the open mission's pushes drive the stage, its stamp and its alerts
+function        isOpenMission(addr) {
+  return !!currentMissionAddr && String(addr || "").toLowerCase() === currentMissionAddr;
+}
+
 // #endregion
 
 
@@ -914,7 +705,7 @@ function        updateVaultImageFor(mission) {
 
 function        setStageStatusImage(slug){
   if (!stageStatusImgSvg || !slug) return;
-  const path = `assets/images/statuses/${slug}.png`;
+  const path = `assets/images/statuses/${slug[0].toUpperCase()}${slug.slice(1)}.png`;   // files are "Pending.png" etc.
 
   // Set both attributes like svgImage() does so browsers reliably repaint
   stageStatusImgSvg.setAttribute("href", path);
@@ -978,7 +769,7 @@ async function  startStageTimer(endTs, phaseStartTs = 0, missionObj){
 
       const last = getLastBankTs(missionObj, missionObj?.rounds);
       const wei  = computeBankNowWei(missionObj, last, now);
-      const cro  = weiToCro(String(wei), 2, true); // fixed 2 decimals to avoid jitter
+      const cro  = formatCro(String(wei), 2, true); // fixed 2 decimals to avoid jitter
 
       const st   = Number(missionObj?.status);
       const me   = (walletAddress || "").toLowerCase();
@@ -999,11 +790,11 @@ async function  startStageTimer(endTs, phaseStartTs = 0, missionObj){
       const eligible = !!walletAddress && joined && !alreadyWon;
 
       // Match the initial render labels used in renderCtaActive/Paused
-      let label =                         "Bank this round to claim:";
-      if (st === 3 && !eligible) label =  "Current round prize pool:";
-      if (st === 4) label =               "Accumulating:"; // Paused version
+      let label =                         t("prize.bankable");
+      if (st === 3 && !eligible) label =  t("prize.pool");
+      if (st === 4) label =               t("prize.accumulating"); // Paused version
 
-      el.textContent = `${label} ${cro} CRO`;
+      el.textContent = `${label} ${cro}`;
       applyCounterColor(el, missionObj, wei);
     });
     // -------------------------------------------------------------------    
@@ -1023,8 +814,8 @@ async function  startStageTimer(endTs, phaseStartTs = 0, missionObj){
       if (!zeroFired) {
         zeroFired = true;
 
-        // Flip alleen lokaal op basis van de klok; geen extra API-call.
-        // Immutable tijden zijn leidend, indexer/backend komen via pushes vanzelf bij.
+        // Flip locally by the clock only; no extra API call.
+        // The immutable times lead; indexer/backend catch up through pushes.
         await localAdvanceIfDue(missionObj);
       }
     }
@@ -1222,45 +1013,6 @@ function        ringWindowForUnit(unit, phaseStart, endTs){
 
 // Deadline routing:
 
-function        nextDeadlineFor(m){ // Choose the deadline shown in the vault center per status
-  if (!m) return 0;
-  const st = Number(m.status);
-  if (st === 0) return Number(m.enrollment_start || m.mission_start || 0); // Pending
-  if (st === 1) return Number(m.enrollment_end   || 0);                    // Enrolling
-  if (st === 2) return Number(m.mission_start    || 0);                    // Arming
-  if (st === 3 || st === 4) return Number(m.mission_end || 0);             // Active / Paused
-  return 0; // Ended variants – no countdown in center
-}
-
-function        statusByClock(m, now = Math.floor(Date.now()/1000)) { // Compute the status purely from immutable times (front-end flip)
-  const es = Number(m.enrollment_start || 0);
-  const ee = Number(m.enrollment_end   || 0);
-  const ms = Number(m.mission_start    || 0);
-  const me = Number(m.mission_end      || 0);
-
-  const cur = (m?.enrolled_players != null)
-    ? Number(m.enrolled_players)
-    : (Array.isArray(m.enrollments) ? m.enrollments.length : 0);
-
-  const min = Number(m.enrollment_min_players ?? 0);
-
-  if (now < es) return 0;                 // Pending
-  if (now < ee) return 1;                 // Enrolling
-  // After enrollment closes: fail if minimum not met (allow brief grace)
-  {
-    const GRACE = 30;
-    if ((now - ee) > GRACE && cur < min) return 7;  // <-- always Failed if not enough players
-  }
-  if (now < ms) return 2;                 // Arming (enough players)
-  if (now < me) {
-    // Only Paused while cooldown window is still active.
-    const info = cooldownInfo(m, now);    // uses pause_timestamp + correct pause duration
-    const isPausedNow = Number(m.pause_timestamp || 0) > 0 && info.secsLeft > 0;
-    return isPausedNow ? 4 : 3;
-  }
-  return (m.status >= 5 ? m.status : 6);  // Ended bucket (keep subtype if present)
-}
-
 async function  bindCenterTimerToMission(mission){
   const endTs  = nextDeadlineFor(mission);
   const st     = Number(mission?.status);
@@ -1339,6 +1091,7 @@ function        bindRingToWindow(startSec, endSec, tickMs = 1000){
   };
 
   tick(); // draw immediately
+  if (prefersReducedMotion()) tickMs = Math.max(tickMs, 60_000); // step instead of sweep
   ringTimer = setInterval(tick, Math.max(16, tickMs)); // clamp to ~60fps minimum spacing
 }
 
@@ -1415,18 +1168,20 @@ async function  startHub() { // SignalR HUB via shared hub.js
     window.hubConnection = getHubConnection?.();
   } catch (err) {
     console.error("Hub start failed:", err);
-    showAlert("Real-time channel failed to connect.", "error");
+    showAlert(t("game.hubFailed"), "error");
     throw err;
   }
 
   // Wire the three server → client events to our existing UI logic.
   setHandlers({
     onMissionUpdated: async (addr, reason, txHash, eventType) => {
-      __lastPushTs = Date.now();
-      touchUpdatedAtStampFromPush();
+      if (isOpenMission(addr)) {
+        __lastPushTs = Date.now();
+        touchUpdatedAtStampFromPush();
+      }
       dbg("MissionUpdated PUSH", { addr, currentMissionAddr, groups: Array.from(subscribedGroups) });
 
-      if (currentMissionAddr && addr?.toLowerCase() === currentMissionAddr) {
+      if (isOpenMission(addr)) {
         // ↓↓↓ invalidate stage snap-cache so the next fetch cannot reuse stale payload
         if (__missionSnapCache.addr === currentMissionAddr) __missionSnapCache.ts = 0;
 
@@ -1443,10 +1198,10 @@ async function  startHub() { // SignalR HUB via shared hub.js
             const onStage  = !!(gameMain && gameMain.classList.contains('stage-mode'));
 
             if (onStage) {
-              // Stage open: refresh stage view from DB (players + CRO pool), geen extra chain-calls.
+              // Stage open: refresh stage view from DB (players + CRO pool), no extra chain calls.
               await refreshOpenStageFromServer(2);
             } else {
-              // Detail view: missie-snapshot uit DB opnieuw renderen.
+              // Detail view: re-render the mission snapshot from DB.
               const m = enrichMissionFromApi(await apiMission(currentMissionAddr, true));
               renderMissionDetail({ mission: m, enrollments: m.enrollments || [], rounds: m.rounds || [] });
             }
@@ -1456,17 +1211,17 @@ async function  startHub() { // SignalR HUB via shared hub.js
           return;
         }
 
-        // Cooldown start/end (indexer-gestuurd, puur tijd-gebaseerd)
+        // Cooldown start/end (indexer-driven, purely time-based)
         if (r === "Cooldown.Start" || r === "Cooldown.End") {
           try {
             const gameMain = document.getElementById('gameMain');
             const onStage  = !!(gameMain && gameMain.classList.contains('stage-mode'));
 
             if (onStage) {
-              // Stage open: herlaad missie uit DB zodat cooldown-eindtijd & CRO-counter kloppen.
+              // Stage open: reload the mission from DB so cooldown end & CRO counter are right.
               await refreshOpenStageFromServer(2);
             } else {
-              // Detail view: herlaad missie-snapshot.
+              // Detail view: reload the mission snapshot.
               const m = enrichMissionFromApi(await apiMission(currentMissionAddr, true));
               renderMissionDetail({ mission: m, enrollments: m.enrollments || [], rounds: m.rounds || [] });
             }
@@ -1479,7 +1234,7 @@ async function  startHub() { // SignalR HUB via shared hub.js
         try {
           const gameMain = document.getElementById('gameMain');
 
-          // standaard pad: mission detail/stage opnieuw syncen met DB
+          // default path: re-sync mission detail/stage with DB
           const m = enrichMissionFromApi(await apiMission(currentMissionAddr, true));
           const apiStatus = Number(m.status);
           const curStatus = Number(stageCurrentStatus ?? -1);
@@ -1531,11 +1286,13 @@ async function  startHub() { // SignalR HUB via shared hub.js
     },
 
     onStatusChanged: async (addr, newStatus) => {
-      __lastPushTs = Date.now();
-      touchUpdatedAtStampFromPush();
+      if (isOpenMission(addr)) {
+        __lastPushTs = Date.now();
+        touchUpdatedAtStampFromPush();
+      }
       dbg("StatusChanged PUSH", { addr, newStatus, currentMissionAddr, groups: Array.from(subscribedGroups) });
 
-      if (!currentMissionAddr || addr?.toLowerCase() !== currentMissionAddr) {
+      if (!isOpenMission(addr)) {
         return;
       }
 
@@ -1565,11 +1322,13 @@ async function  startHub() { // SignalR HUB via shared hub.js
     },
 
     onRoundResult: async (addr, round, winner, amountWei) => {
-      __lastPushTs = Date.now();
-      touchUpdatedAtStampFromPush();
+      if (isOpenMission(addr)) {
+        __lastPushTs = Date.now();
+        touchUpdatedAtStampFromPush();
+      }
       dbg("RoundResult PUSH", { addr, round, winner, amountWei, currentMissionAddr, groups: Array.from(subscribedGroups) });
 
-      if ((addr || "").toLowerCase() === currentMissionAddr && __missionSnapCache.addr === currentMissionAddr) {
+      if (isOpenMission(addr) && __missionSnapCache.addr === currentMissionAddr) {
         __missionSnapCache.ts = 0; // invalidate stage snap-cache
       }
 
@@ -1580,96 +1339,95 @@ async function  startHub() { // SignalR HUB via shared hub.js
         }
       } catch {}
 
+      // Other missions' rounds: their dashboard tiles show them
+      if (!isOpenMission(addr)) return;
+
       const me   = (walletAddress || "").toLowerCase();
       const win  = String(winner || "").toLowerCase();
       const amt  = BigInt(String(amountWei || "0"));
-      const cro  = weiToCro(String(amountWei), 2);
+      const cro  = formatCro(String(amountWei), 2);
 
-      // PLAYER: suppress the early win popup; defer to the vault-video final popup
-      if (win === me) {
-        if (amt > 0n) {
-          // If the indexer already provided the final amount, prefer it for the video popup
-          __vaultVideoPendingWin = { cro, round };
-        }
-        // no showAlert here — single, correct popup will be shown by the video flow
-      } else {
-        // SPECTATORS / other players: only show when the amount is non-zero
-        if (amt > 0n) {
-          showAlert(`${copyableAddr(winner)} won <b>${cro} CRO</b> in round ${round}`, "info", 5000);
-        }
+      // PLAYER: suppress the early win popup; defer to the vault-video final popup.
+      // Spectators get theirs below, with the TX link once the round is indexed.
+      if (win === me && amt > 0n) {
+        __vaultVideoPendingWin = { cro, round };
       }
 
-      if (currentMissionAddr && addr?.toLowerCase() === currentMissionAddr) {
-        try {
-          const m = enrichMissionFromApi(await apiMission(currentMissionAddr, true));
-
-          // Zoek de tx-hash van de winnende ronde (indien beschikbaar)
-          let winTx = "";
-          if (amt > 0n && Array.isArray(m.rounds)) {
-            try {
-              const rNo    = Number(round);
-              const rounds = m.rounds || [];
-              const winRound =
-                rounds.find(r => {
-                  const rr = Number(r.round_number ?? r.round_no ?? r.round ?? 0);
-                  const w  = String(r.winner_address || "").toLowerCase();
-                  return rr === rNo && w === win;
-                }) ||
-                rounds.find(r => {
-                  const rr = Number(r.round_number ?? r.round_no ?? r.round ?? 0);
-                  return rr === rNo;
-                });
-
-              if (winRound && winRound.tx_hash) {
-                winTx = String(winRound.tx_hash);
-              }
-            } catch {}
-          }
+      if (amt > 0n) {
+        announce(win === me
+          ? t("a11y.youWon", { amount: cro, round })
+          : t("a11y.roundWon", { player: shorten(winner), amount: cro, round }));
+      }
 
-          // WINNER (met mission open): vul pending video-popup aan met definitieve cro + tx-hash
-          if (win === me && amt > 0n) {
-            const prev = __vaultVideoPendingWin || {};
-            __vaultVideoPendingWin = {
-              ...prev,
-              cro,
-              round,
-              txHash: winTx || prev.txHash
-            };
-          }
+      try {
+        const m = enrichMissionFromApi(await apiMission(currentMissionAddr, true));
 
-          // SPECTATORS / andere spelers (met mission open): popup met optionele TX-link
-          if (win !== me && amt > 0n) {
-            let msg = `${copyableAddr(winner)} won <b>${cro} CRO</b> in round ${round}`;
-            if (winTx) {
-              msg += `<br/><small>TX: ${txLinkIcon(winTx)}</small>`;
+        // Find the tx hash of the winning round (when available)
+        let winTx = "";
+        if (amt > 0n && Array.isArray(m.rounds)) {
+          try {
+            const rNo    = Number(round);
+            const rounds = m.rounds || [];
+            const winRound =
+              rounds.find(r => {
+                const rr = Number(r.round_number ?? r.round_no ?? r.round ?? 0);
+                const w  = String(r.winner_address || "").toLowerCase();
+                return rr === rNo && w === win;
+              }) ||
+              rounds.find(r => {
+                const rr = Number(r.round_number ?? r.round_no ?? r.round ?? 0);
+                return rr === rNo;
+              });
+
+            if (winRound && winRound.tx_hash) {
+              winTx = String(winRound.tx_hash);
             }
-            showAlert(msg, "info", 5000);
-          }
+          } catch {}
+        }
 
-          // Immediately flip UI to Paused so cooldown + accumulating reset from bank time
-          await flipStageToPausedOptimistic(m);
+        // WINNER (mission open): complete the pending video popup with the final cro + tx hash
+        if (win === me && amt > 0n) {
+          const prev = __vaultVideoPendingWin || {};
+          __vaultVideoPendingWin = {
+            ...prev,
+            cro,
+            round,
+            txHash: winTx || prev.txHash
+          };
+        }
 
-          // If the video already ended, finish the win flow now for the player
-          if (win === me && __vaultVideoFlowActive) {
-            try { await finalizeVaultVideoFlow(addr, round, winner, amountWei); } catch {}
+        // SPECTATORS / other players (mission open): popup with optional TX link
+        if (win !== me && amt > 0n) {
+          let msg = t("round.won", { player: copyableAddr(winner), amount: cro, round });
+          if (winTx) {
+            msg += `<br/><small>TX: ${txLinkIcon(winTx)}</small>`;
           }
+          showAlert(msg, "info", 5000);
+        }
 
-          const gameMain = document.getElementById('gameMain');
-          if (gameMain?.classList.contains('stage-mode')) {
-            refreshOpenStageFromServer(4);
-          } else {
-            renderMissionDetail({ mission: m, enrollments: m.enrollments || [], rounds: m.rounds || [] });
-          }
-        } catch {
-          console.log("startHub MissionUpdated error: " + err);
-
-          // Fallback: als mission-fetch faalt maar we wel op deze mission zitten en geen winnaar zijn,
-          // toon dan tenminste de simpele popup zonder TX-link.
-          if (win !== me && amt > 0n) {
-            try {
-              showAlert(`${copyableAddr(winner)} won <b>${cro} CRO</b> in round ${round}`, "info", 5000);
-            } catch {}
-          }
+        // Immediately flip UI to Paused so cooldown + accumulating reset from bank time
+        await flipStageToPausedOptimistic(m);
+
+        // If the video already ended, finish the win flow now for the player
+        if (win === me && __vaultVideoEndedAwaitingResult) {
+          try { finalizeVaultOpenVideoWin(); } catch {}
+        }
+
+        const gameMain = document.getElementById('gameMain');
+        if (gameMain?.classList.contains('stage-mode')) {
+          refreshOpenStageFromServer(4);
+        } else {
+          renderMissionDetail({ mission: m, enrollments: m.enrollments || [], rounds: m.rounds || [] });
+        }
+      } catch {
+        console.log("startHub MissionUpdated error: " + err);
+
+        // Fallback: when the mission fetch fails while we are on this mission and did not win,
+        // at least show the simple popup without a TX link.
+        if (win !== me && amt > 0n) {
+          try {
+            showAlert(t("round.won", { player: copyableAddr(winner), amount: cro, round }), "info", 5000);
+          } catch {}
         }
       }
 
@@ -1741,40 +1499,8 @@ async function  fetchAndRenderAllMissions () {
       // DB-read: latest 100 missions
       const list = await getMissionsAll(100);
 
-      // Keep the same normalized shape the UI already uses
-      const missions = (Array.isArray(list) ? list : []).map(m => {
-
-        const mission_duration =
-          (m.mission_start && m.mission_end) ? (Number(m.mission_end) - Number(m.mission_start)) : 0;
-
-        return {
-          mission_address:        m.mission_address,
-          name:                   m.name,
-          type:                   m.mission_type,
-          status:                 Number(m.status),
-          enrollment_start:       m.enrollment_start,
-          enrollment_end:         m.enrollment_end,
-          enrollment_amount_wei:  m.enrollment_amount_wei,
-          enrollment_min_players: m.enrollment_min_players,
-          enrollment_max_players: m.enrollment_max_players,
-          mission_start:          m.mission_start, 
-          mission_end:            m.mission_end,
-          mission_rounds_total:   m.mission_rounds_total,
-          round_count:            m.round_count,
-          cro_initial_wei:        m.cro_initial_wei,
-          cro_start_wei:          m.cro_start_wei,
-          cro_current_wei:        m.cro_current_wei,
-          pause_timestamp:        m.pause_timestamp,
-          updated_at:             m.updated_at,
-          mission_created:        m.mission_created,
-          round_pause_secs:       m.round_pause_secs,
-          last_round_pause_secs:  m.last_round_pause_secs,
-          creator_address:        m.creator_address,
-          all_refunded:           m.all_refunded,
-          enrolled_players:       m.enrolled_players,
-          mission_duration:       mission_duration,
-        };
-      });
+      // Shared mission model (same shape as the stage/detail views)
+      const missions = (Array.isArray(list) ? list : []).map(missionFromApi);
 
       __allMissionsCache = missions;
       //console.log("Fetched All Missions:", missions);
@@ -1784,7 +1510,7 @@ async function  fetchAndRenderAllMissions () {
       startJoinableTicker();
     } catch (e) {
       console.error(e);
-      showAlert("Failed to load All Missions.", "error");
+      showAlert(t("load.allFailed"), "error");
       renderAllMissions([]);
     } finally {
       __allListLastDone = Date.now();
@@ -1800,43 +1526,17 @@ async function  fetchAndRenderAllMissions () {
 async function  fetchAndRenderMyMissions  () {
   try {
     const me = (walletAddress || "").toLowerCase();
-    if (!me) { showAlert("Connect your wallet to load your missions.", "warning"); return; }
+    if (!me) { showAlert(t("load.myConnect"), "warning"); return; }
 
     const list = await apiPlayerMissions(me);           // already in file
-    // Keep the same normalized shape the list renderer expects
-    const missions = (Array.isArray(list) ? list : []).map(m => ({
-      mission_address:        m.mission_address,
-      name:                   m.name,
-      status:                 Number(m.status),
-      enrollment_start:       m.enrollment_start,
-      enrollment_end:         m.enrollment_end,
-      enrollment_amount_wei:  m.enrollment_amount_wei,
-      enrollment_min_players: m.enrollment_min_players,
-      enrollment_max_players: m.enrollment_max_players,
-      mission_start:          m.mission_start,
-      mission_end:            m.mission_end,
-      mission_rounds_total:   m.mission_rounds_total ?? m.missionRounds ?? 0,
-      round_count:            m.round_count,
-      cro_initial_wei:        m.cro_initial_wei,
-      cro_start_wei:          m.cro_start_wei,
-      cro_current_wei:        m.cro_current_wei,
-      pause_timestamp:        m.pause_timestamp,
-      updated_at:             m.updated_at,
-      mission_created:        m.mission_created,
-      round_pause_secs:       m.round_pause_secs,
-      last_round_pause_secs:  m.last_round_pause_secs,
-      creator_address:        m.creator_address,
-      all_refunded:           m.all_refunded,
-      enrolled_players:       (m.enrolled_players != null)
-                                ? m.enrolled_players
-                                : (Array.isArray(m.enrollments) ? m.enrollments.length : 0),
-    }));
+    // Shared mission model (same shape as the stage/detail views)
+    const missions = (Array.isArray(list) ? list : []).map(missionFromApi);
 
     __myMissionsCache = missions;
     applyMyMissionFiltersAndRender();
   } catch (e) {
     console.error(e);
-    showAlert("Failed to load My Missions.", "error");
+    showAlert(t("load.myFailed"), "error");
     renderMyMissions([]);
   }
 }
@@ -1921,7 +1621,7 @@ async function  refreshOpenStageFromServer(retries = 3, delay = 1600) {
   try {
     const force = (Date.now() - (__lastPushTs || 0) < 8000);
     const data  = await apiMission(currentMissionAddr, force);
-    const m = enrichMissionFromApi(data);
+    const m = reconcileMission(enrichMissionFromApi(data));     // chain logs win where the indexer lags
 
     const newStatus = Number(m.status);
     const curStatus = Number(stageCurrentStatus ?? -1);
@@ -1956,6 +1656,7 @@ async function  refreshOpenStageFromServer(retries = 3, delay = 1600) {
     }
 
     buildStageLowerHudForStatus(m);
+    syncBankSim(m);
 
     dbg("refreshOpenStageFromServer", { newStatus, stageCurrentStatus, retries });
 
@@ -2022,6 +1723,79 @@ function        smartReconcile(reason = "smart") {
 
 
 
+// #region Change feed (lists)
+
+// changeFeed.js reports the missions the factory touched; only those rows are re-read.
+// Rows come from the chain (same shape as the API) so they never lag behind the feed.
+const FEED_BATCH_MS         = 300;
+const __feedPending         = new Map();  // addr → { kind, status }
+let   __feedTimer           = null;
+
+function        onMissionChanged(e){
+  const { addr, kind, status } = e.detail || {};
+  if (!addr) return;
+  const prev = __feedPending.get(addr);
+  __feedPending.set(addr, { kind: prev?.kind === "created" ? "created" : kind, status });
+  clearTimeout(__feedTimer);
+  __feedTimer = setTimeout(() => applyMissionChanges().catch(err => dbg("change feed failed", err?.message || err)), FEED_BATCH_MS);
+}
+
+async function  applyMissionChanges(){
+  const batch = [...__feedPending];
+  __feedPending.clear();
+
+  const me      = (walletAddress || "").toLowerCase();
+  const addrOf  = (row) => missionFromApi(row).mission_address;
+  const touched = { all: false, my: false, joinable: false };
+
+  const now     = Math.floor(Date.now() / 1000);
+
+  await Promise.all(batch.map(async ([addr, { kind, status }]) => {
+    const inAll      = __allMissionsCache.some(m => m.mission_address === addr);
+    const inMy       = __myMissionsCache.some(m => m.mission_address === addr);
+    const inJoinable = __joinableCache.some(r => addrOf(r) === addr);
+    const isNew      = kind === "created" && __allMissionsCache.length > 0 && !inAll;
+    const mayJoin    = status === 1 && !inJoinable;               // factory says Enrolling: may belong in the joinable list
+    if (!inAll && !inMy && !inJoinable && !isNew && !mayJoin) return;
+
+    let m;
+    try { m = missionFromApi(await chainMission(addr)); }
+    catch (err) { dbg("change feed read failed", addr, err?.message || err); return; }
+
+    if (inAll || isNew) {
+      __allMissionsCache = isNew ? [m, ...__allMissionsCache]
+                                 : __allMissionsCache.map(x => x.mission_address === addr ? m : x);
+      touched.all = true;
+    }
+    if (inMy) {
+      const own = (m.enrollments || []).find(en => en.address === me) || null;
+      __myMissionsCache = __myMissionsCache.map(x => x.mission_address === addr ? { ...m, player_enrollment: own } : x);
+      touched.my = true;
+    }
+    const open = m.status === 1 && m.enrollment_end > now;
+    if (inJoinable) {
+      __joinableCache = open ? __joinableCache.map(r => addrOf(r) === addr ? m : r)
+                             : __joinableCache.filter(r => addrOf(r) !== addr);
+      touched.joinable = true;
+    } else if (open) {
+      // same order as /missions/joinable: enrollment end ascending
+      __joinableCache = [...__joinableCache, m]
+        .sort((a, b) => Number(missionFromApi(a).enrollment_end) - Number(missionFromApi(b).enrollment_end));
+      touched.joinable = true;
+    }
+  }));
+
+  if (touched.all)      applyAllMissionFiltersAndRender();
+  if (touched.my)       applyMyMissionFiltersAndRender();
+  if (touched.joinable) renderJoinable(__joinableCache);
+}
+
+// #endregion
+
+
+
+
+
 // #region Elements (DOM map)
 
 const els = {
@@ -2032,17 +1806,30 @@ const els = {
   myMissionsList:           document.getElementById("myMissionsList"),
   myMissionsEmpty:          document.getElementById("myMissionsEmpty"),
   refreshMyBtn:             document.getElementById("refreshMyBtn"),
+  myTxBtn:                  document.getElementById("myTxBtn"),
+  myTxPanel:                document.getElementById("myTxPanel"),
+  myTxHistory:              document.getElementById("myTxHistory"),
+  myProfileBtn:             document.getElementById("myProfileBtn"),
+
+  playerProfile:            document.getElementById("playerProfile"),
+  profileMissionsList:      document.getElementById("profileMissionsList"),
+  reloadProfileBtn:         document.getElementById("reloadProfileBtn"),
+  closeProfileBtn:          document.getElementById("closeProfileBtn"),
 
   missionDetail:            document.getElementById("missionDetailSection"),
   missionTitle:             document.getElementById("missionTitle"),
   missionCore:              document.getElementById("missionCore"),
   enrollmentsList:          document.getElementById("enrollmentsList"),
   enrollmentsEmpty:         document.getElementById("enrollmentsEmpty"),
+  missionTxHistory:         document.getElementById("missionTxHistory"),
   closeMissionBtn:          document.getElementById("closeMissionBtn"),
   reloadMissionBtn:         document.getElementById("reloadMissionBtn"),
   allMissionsList:          document.getElementById("allMissionsList"),
   allMissionsEmpty:         document.getElementById("allMissionsEmpty"),
   refreshAllBtn:            document.getElementById("refreshAllBtn"),
+
+  leaderboard:              document.getElementById("leaderboard"),
+  refreshLeaderboardBtn:    document.getElementById("refreshLeaderboardBtn"),
 };
 
 // Buttons & stage SVG roots:
@@ -2050,6 +1837,7 @@ const els = {
 const btnAllMissions      = document.getElementById("btnAllMissions"    );
 const btnJoinable         = document.getElementById("btnJoinable"       );
 const btnMyMissions       = document.getElementById("btnMyMissions"     );
+const btnLeaderboard      = document.getElementById("btnLeaderboard"    );
 const stage               = document.getElementById("gameStage"         );
 const stageViewport       = document.getElementById("stageViewport"     );
 const stageImg            = document.getElementById("stageImg"          );
@@ -2099,6 +1887,13 @@ function playVaultOpenVideoOnce(){
   setVaultOpen(false);
   setRingAndTimerVisible(false);
 
+  // Reduced motion: no video, continue as if it had just ended
+  if (prefersReducedMotion()) {
+    if (__vaultVideoPendingWin) finalizeVaultOpenVideoWin();
+    else __vaultVideoEndedAwaitingResult = true;
+    return;
+  }
+
   try {
     vaultLayer.style.display = "";
     vaultVideo.loop = false;
@@ -2140,9 +1935,9 @@ function finalizeVaultOpenVideoWin(){
 
   // Show the success popup 2 seconds after the video ends (with final amount)
   const round = __vaultVideoPendingWin?.round ?? "?";
-  const cro   = __vaultVideoPendingWin?.cro   ?? "?";
+  const cro   = __vaultVideoPendingWin?.cro   ?? `? ${NETWORK.symbol}`;
   setTimeout(() => {
-    try { showAlert(`Congratulations! You banked ${cro} CRO in round ${round}!`, "success"); } catch {}
+    try { showAlert(t("bank.congrats", { amount: cro, round }), "success"); } catch {}
   }, 2000);
 
   // Clear flags
@@ -2241,6 +2036,25 @@ async function  showGameStage(missionRaw){
 
   // If ended, render the winners/ended panel
   await renderStageEndedPanelIfNeeded(mission);
+
+  // "What if I wait?" projection toggle
+  syncBankSim(mission);
+
+  // Keyboard users land on the stage (or its live CTA)
+  focusStage();
+  refreshDashboard();
+
+  // Replay + follow the mission's own logs; refreshOpenStageFromServer checks the API against them
+  followMissionEvents(mission).catch(() => {});
+}
+
+function        syncBankSim(mission){ // show/hide the projection toggle and feed an open panel
+  __bankSimMission = mission;
+  const btn = document.getElementById("bankSimBtn");
+  const ok  = !!mission && bankSimAvailable(mission);
+  if (btn) btn.style.display = ok ? "" : "none";
+  if (ok) updateBankSim(mission);
+  else    closeBankSim();
 }
 
 // #endregion
@@ -2292,6 +2106,13 @@ function        layoutStage(){
     vLayer.style.width  = w + "px";
     vLayer.style.height = h + "px";
   }
+
+  // Real CTA buttons sit on the same box as the SVG they cover
+  const hitLayer = document.getElementById('stageHitLayer');
+  if (hitLayer){
+    hitLayer.style.width  = w + "px";
+    hitLayer.style.height = h + "px";
+  }
 }
 
 function        stageTextFill(){
@@ -2332,7 +2153,7 @@ function        playersAllStatsParts(m){
 
   return {
     min:         Number(m?.enrollment_min_players ?? 0),
-    joined:      enrolled, // altijd puur uit DB/indexer
+    joined:      enrolled, // always straight from DB/indexer
     max:         Number(m?.enrollment_max_players ?? 0),
     color:       (enrolled < (Number(m?.enrollment_min_players ?? 0))) ? "#ff5555" : "#55ff55",
   };
@@ -2340,17 +2161,17 @@ function        playersAllStatsParts(m){
 
 // Pill data:
 
-const PILL_LIBRARY = { // Single source of truth for pill behaviors/labels
-  missionType:    { label: "Mission Type",     value: m =>  missionTypeName[Number(m?.mission_type ?? 0)] },
-  joinFrom:       { label: "Join from",        value: m =>  m?.enrollment_start                   ? formatLocalDateTime(m.enrollment_start) : "—" },
-  joinUntil:      { label: "Join until",       value: m =>  m?.enrollment_end                     ? formatLocalDateTime(m.enrollment_end) : "—" },
-  missionStartAt: { label: "Start At",         value: m =>  m?.mission_start                      ? formatLocalDateTime(m.mission_start)    : "—" },
-  duration:       { label: "Duration",         value: m => (m?.mission_start && m?.mission_end)   ? formatDurationShort(Number(m.mission_end) - Number(m.mission_start)) : "—" },
-  fee:            { label: "Mission Fee",      value: m => (m && m.enrollment_amount_wei != null) ? `${weiToCro(m.enrollment_amount_wei, 2)} CRO` : "—" },
-  poolStart:      { label: "Pool (start)",     value: m => (m && m.cro_start_wei    != null)      ? `${weiToCro(m.cro_start_wei, 2)} CRO`    : "—" },
+const PILL_LIBRARY = { // Single source of truth for pill behaviors; labels are i18n keys
+  missionType:    { label: "pill.type",        value: m =>  missionTypeText(Number(m?.mission_type ?? 0)) },
+  joinFrom:       { label: "pill.joinFrom",    value: m =>  m?.enrollment_start                   ? formatLocalDateTime(m.enrollment_start) : "—" },
+  joinUntil:      { label: "pill.joinUntil",   value: m =>  m?.enrollment_end                     ? formatLocalDateTime(m.enrollment_end) : "—" },
+  missionStartAt: { label: "pill.startAt",     value: m =>  m?.mission_start                      ? formatLocalDateTime(m.mission_start)    : "—" },
+  duration:       { label: "pill.duration",    value: m => (m?.mission_start && m?.mission_end)   ? formatDurationShort(Number(m.mission_end) - Number(m.mission_start)) : "—" },
+  fee:            { label: "pill.fee",         value: m => (m && m.enrollment_amount_wei != null) ? formatCro(m.enrollment_amount_wei, 2) : "—" },
+  poolStart:      { label: "pill.poolStart",   value: m => (m && m.cro_start_wei    != null)      ? formatCro(m.cro_start_wei, 2)    : "—" },
   // game.js — PILL_LIBRARY
   poolCurrent: {
-    label: "Pool (current)",
+    label: "pill.poolCurrent",
     value: m => {
       const st = Number(m?.status);
       if (st === 1 && m?.cro_initial_wei != null && m?.enrollment_amount_wei != null) {
@@ -2364,24 +2185,24 @@ const PILL_LIBRARY = { // Single source of truth for pill behaviors/labels
         const joined  = BigInt(fromApi);
         const derived = initialWei + feeWei * joined;
         const current = BigInt(String(m?.cro_current_wei || "0"));
-        return `${weiToCro((current > derived ? current : derived).toString(), 2)} CRO`;
+        return formatCro((current > derived ? current : derived).toString(), 2);
       }
-      if (m?.cro_current_wei != null) return `${weiToCro(m.cro_current_wei, 2)} CRO`;
+      if (m?.cro_current_wei != null) return formatCro(m.cro_current_wei, 2);
       return "—";
     }
   },
 
-  playersCap:     { label: "Players cap",      value: m => (m?.enrollment_max_players ?? "—") },
-  players: { label: "Players", value: m => {
+  playersCap:     { label: "pill.playersCap",  value: m => (m?.enrollment_max_players ?? "—") },
+  players: { label: "pill.players", value: m => {
     const fromApi = (m?.enrolled_players != null)
       ? Number(m.enrolled_players)
       : (Array.isArray(m?.enrollments) ? m.enrollments.length : 0);
 
     return fromApi;
   }},
-  rounds:         { label: "Rounds",           value: m => Number(m?.mission_rounds_total ?? 0) },
+  rounds:         { label: "pill.rounds",      value: m => Number(m?.mission_rounds_total ?? 0) },
   roundsOff: { 
-    label: "Round", 
+    label: "pill.round", 
     value: m => {
       const cur   = nonDecreasingRound(m);
       const total = Number(m?.mission_rounds_total ?? 0);
@@ -2389,16 +2210,16 @@ const PILL_LIBRARY = { // Single source of truth for pill behaviors/labels
     }
   },
   roundsBanked: {
-    label: "Rounds banked",
+    label: "pill.roundsBanked",
     value: m => {
       const cur   = nonDecreasingRound(m);                            // includes array + memory
       const total  = Number(m?.mission_rounds_total ?? 0);
       return `${Math.min(cur, total)}/${total}`;
     }
   },
-  playersAllStats: {label: "Players",          value: m => {
+  playersAllStats: {label: "pill.players",     value: m => {
     const { min, joined, max } = playersAllStatsParts(m);
-      return `${joined} (Min ${min}/Max ${max})`;
+      return `${joined} (${t("pill.min")} ${min}/${t("pill.max")} ${max})`;
     },
     // SVG renderer used by the stage HUD
     renderSvg: (valNode, m) => {
@@ -2408,10 +2229,10 @@ const PILL_LIBRARY = { // Single source of truth for pill behaviors/labels
       tCur.setAttribute("style", `fill:${color}`);
 
       const tMin = document.createElementNS(SVG_NS, "tspan");
-      tMin.textContent = ` (Min ${min}`;
+      tMin.textContent = ` (${t("pill.min")} ${min}`;
 
       const tMax = document.createElementNS(SVG_NS, "tspan");
-      tMax.textContent = `/Max ${max})`;
+      tMax.textContent = `/${t("pill.max")} ${max})`;
 
       valNode.textContent = "";
       valNode.appendChild(tCur);
@@ -2419,9 +2240,9 @@ const PILL_LIBRARY = { // Single source of truth for pill behaviors/labels
       valNode.appendChild(tMax);
     }
   },
-  closesIn:       { label: "Closes In",        countdown: m => Number(m?.enrollment_end  || 0) },
-  startsIn:       { label: "Starts In",        countdown: m => Number(m?.mission_start   || 0) },
-  endsIn:         { label: "Ends In",          countdown: m => Number(m?.mission_end     || 0) },
+  closesIn:       { label: "pill.closesIn",    countdown: m => Number(m?.enrollment_end  || 0) },
+  startsIn:       { label: "pill.startsIn",    countdown: m => Number(m?.mission_start   || 0) },
+  endsIn:         { label: "pill.endsIn",      countdown: m => Number(m?.mission_end     || 0) },
 };
 
 const PILL_SETS = { // Which pills to show per status (0..7) — only using fields that exist in your payloads :contentReference[oaicite:0]{index=0}
@@ -2464,6 +2285,7 @@ function        buildStageLowerHudForStatus(mission){ // Build (and fill) the pi
   const host = document.getElementById("stageLowerHud");
   if (!host) return;
   while (host.firstChild) host.removeChild(host.firstChild);
+  renderStageText(mission);
 
   const keys = PILL_SETS[hudStatusFor(mission)] ?? PILL_SETS.default;
 
@@ -2512,7 +2334,7 @@ function        buildStageLowerHudForStatus(mission){ // Build (and fill) the pi
     label.setAttribute("font-family", font);
     label.setAttribute("font-size", fontSize);
     label.setAttribute("fill", labelFill);
-    label.textContent = def.label;
+    label.textContent = t(def.label);
     g.appendChild(label);
 
     const val = document.createElementNS(SVG_NS, "text");
@@ -2631,46 +2453,71 @@ const CTA_ACTIVE  = { // ACTIVE (status 3) — BANK IT!
 
 async function  handleEnrollClick       (mission){
   const signer = getSigner?.();
-  if (!signer) { showAlert("Connect your wallet first.", "error"); return; }
+  if (!signer) { showAlert(t("wallet.connectFirst"), "error"); return; }
+  if (!(await requireAppNetwork())) return;
 
   if (ctaBusy) return;     // ← guard
   ctaBusy = true;          // ← lock
   
   try {
     // freeze UI
-    const btn = document.querySelector("#stageCtaGroup .cta-btn");
     const note = document.getElementById("stageCtaNote");
-    if (btn) btn.classList.add("cta-disabled");
-    if (note) note.textContent = "Joining…";
+    setStageButtonsDisabled("cta", true);
+    if (note) note.textContent = t("join.joining");
 
-    const c  = new ethers.Contract(mission.mission_address, MISSION_ABI, signer);
+    const c   = new ethers.Contract(mission.mission_address, MISSION_ABI, signer);
     const val = mission.enrollment_amount_wei ?? "0";
-    const tx  = await c.enrollPlayer({ value: val });
+    const me  = (await signer.getAddress()).toLowerCase();
+
+    let method = "enrollPlayer", args = [];
+    if (isInviteOnly(mission)) {
+      const pass = await showPrompt(
+        t("join.passPrompt"),
+        { placeholder: t("join.passPlaceholder"), secret: true }
+      );
+      if (pass == null || pass === "") {
+        showAlert(t("join.canceled"), "warning");
+        return;
+      }
+      method = "enrollPlayerWithSecret";
+      args   = [pass];
+    }
 
-    // Kick the indexer as soon as we have a tx hash
-    // en markeer lokaal dat deze viewer gejoined heeft
-    try {
-      const me = (await signer.getAddress()).toLowerCase();
-      postKickEnrolled({ mission: mission.mission_address, player: me, txHash: tx.hash }).catch(()=>{});
-      joinedCacheAdd(mission.mission_address, me);
-    } catch {}
+    // Dry-run first: a certain revert (wrong passphrase, limits, full) must not cost gas.
+    // The commitment is private on-chain, so this is also the only passphrase check.
+    if (note) note.textContent = isInviteOnly(mission) ? t("join.checkingPass") : t("join.checking");
+    const pf = await preflightTx(c, method, args, { from: me, value: val });
+    if (!pf.ok) {
+      showAlert(pf.message, "warning");
+      return;
+    }
+
+    if (note) note.textContent = t("join.joining");
+    const tx = await c[method](...args, preflightOverrides(pf, { value: val }));
+
+    // Mark locally that this viewer joined; txManager kicks the indexer once mined
+    try { joinedCacheAdd(mission.mission_address, me); } catch {}
 
     mission._joinedByMe = true;                      // in-memory flag for this session
     renderStageCtaForStatus(mission);                // repaint CTA immediately
-    showAlert("You joined the mission!", "success");
 
-    await tx.wait();
+    await trackTx(tx, {
+      label:   t("join.txLabel", { name: mission.name || shorten(mission.mission_address) }),
+      kind:    "enrolled",
+      mission: mission.mission_address,
+      player:  me,
+    });
 
-    // Laat indexer + DB het echte aantal players + pool bepalen
+    // Let indexer + DB settle the real player count + pool
     refreshOpenStageFromServer(2).catch(()=>{});
   } catch (err) {
     // wallet cancel → warning, no “stuck” UI
     if (err?.code === 4001 || err?.code === "ACTION_REJECTED") {
-      showAlert("Join canceled.", "warning");
+      showAlert(t("join.canceled"), "warning");
     } else {
-      // Prefer custom Mission errors; fall back to generic decodeError
-      const custom = missionCustomErrorMessage(err);
-      const msg = custom || `Join failed: ${decodeError(err)}`;
+      // Prefer contract errors (custom + require); fall back to generic decodeError
+      const custom = contractErrorMessage(err);
+      const msg = custom || t("join.failed", { reason: decodeError(err) });
       showAlert(msg, custom ? "warning" : "error");
     }
   } finally {
@@ -2689,19 +2536,28 @@ async function  handleEnrollClick       (mission){
 
 async function  handleBankItClick       (mission){
   const signer = getSigner?.();
-  if (!signer) { showAlert("Connect your wallet first.", "error"); return; }
+  if (!signer) { showAlert(t("wallet.connectFirst"), "error"); return; }
+  if (!(await requireAppNetwork())) return;
 
   // Disable BANK IT CTA during tx to prevent multiple clicks
-  try {
-    const btn = document.querySelector("#stageCtaGroup .cta-btn");
-    if (btn) {
-      btn.classList.add("cta-disabled");
-      btn.setAttribute("tabindex", "-1");
+  setStageButtonsDisabled("cta", true);
+
+  // Dry-run: Cooldown / AlreadyWon / AllRoundsDone revert for certain, so never open the wallet for them
+  const c  = new ethers.Contract(mission.mission_address, MISSION_ABI, signer);
+  const me = (await signer.getAddress()).toLowerCase();
+  const pf = await preflightTx(c, "callRound", [], { from: me });
+  if (!pf.ok) {
+    showAlert(pf.message, "warning");
+    if (stageCurrentStatus === 3 && isContractError(pf.error, "Cooldown")) {
+      await flipStageToPausedOptimistic(mission);
+    } else {
+      setStageButtonsDisabled("cta", false);
     }
-  } catch {}
+    return;
+  }
 
   // Show immediately for the clicking player (prevents race with fast RoundResult)
-  showAlert("Round called. Waiting for result…", "info");
+  showAlert(t("bank.called"), "info");
 
   // Mark a short local “banking in flight” window for this mission
   try {
@@ -2713,16 +2569,15 @@ async function  handleBankItClick       (mission){
   } catch {}
 
   try {
-    const c  = new ethers.Contract(mission.mission_address, MISSION_ABI, signer);
-    const tx = await c.callRound();
-
-    // Kick the indexer as soon as we have the tx hash (UI also de-dupes ~2s)
-    try {
-      const me = (await signer.getAddress()).toLowerCase();
-      postKickBanked({ mission: mission.mission_address, player: me, txHash: tx.hash }).catch(()=>{});
-    } catch {}
-
-    await tx.wait();
+    const tx = await c.callRound(preflightOverrides(pf));
+
+    // Toast + kick (once mined) via txManager; a speed-up keeps the same flow
+    const rc = await trackTx(tx, {
+      label:   t("bank.txLabel", { name: mission.name || shorten(mission.mission_address) }),
+      kind:    "banked",
+      mission: mission.mission_address,
+      player:  me,
+    });
 
     // ▶ Hide any “waiting for result” modal and play the vault animation once
     closeAnyModals();
@@ -2737,18 +2592,18 @@ async function  handleBankItClick       (mission){
     // --- NEW: compute the just-banked amount now and reflect it immediately ---
     const lastTs   = getLastBankTs(mission, mission?.rounds);
     const winWei   = computeBankNowWei(mission, lastTs);                   // on-chain math you already use
-    const winCro   = weiToCro(String(winWei), 2);
+    const winCro   = formatCro(String(winWei), 2);
     const nextRnd  = Number(mission.round_count || 0) + 1;
 
     // Defer the winner popup to after the vault video finishes.
     // Stash the result so finalizeVaultOpenVideoWin() can display it later.
-    __vaultVideoPendingWin = { cro: winCro, round: nextRnd, txHash: tx.hash };
+    __vaultVideoPendingWin = { cro: winCro, round: nextRnd, txHash: rc.transactionHash };
 
     // Optimistically drop the pool by the payout right away
     let croAfter = mission.cro_current_wei;
     try {
       const prev = BigInt(String(mission.cro_current_wei ?? mission.cro_start_wei ?? "0"));
-      croAfter   = (prev - BigInt(String(winWei || "0"))).toString();
+      croAfter   = prev - BigInt(String(winWei || "0"));
     } catch {}
 
     // Also bump round_count locally so “Round” pill stays in sync with pool
@@ -2789,7 +2644,7 @@ async function  handleBankItClick       (mission){
 
     // Replace the waiting info with a clear outcome on failure/cancel
     if (err?.code === 4001 || err?.code === "ACTION_REJECTED") {
-      showAlert("Banking canceled.", "warning");
+      showAlert(t("bank.canceled"), "warning");
       // keep a brief suppression so a transient ended snapshot doesn't pop a wrong modal
       __bankingInFlight = { mission: String(mission.mission_address||"").toLowerCase(),
                             startedAt: Math.floor(Date.now()/1000),
@@ -2797,35 +2652,21 @@ async function  handleBankItClick       (mission){
       setTimeout(() => { __bankingInFlight = null; }, 12000);
 
       // Re-enable BANK IT (we didn't change status)
-      try {
-        const btn = document.querySelector("#stageCtaGroup .cta-btn");
-        if (btn) {
-          btn.classList.remove("cta-disabled");
-          btn.setAttribute("tabindex", "0");
-        }
-      } catch {}
+      setStageButtonsDisabled("cta", false);
 
       return;
     } else {
-      const custom = missionCustomErrorMessage(err);
-      const msg    = custom || `Bank it failed: ${decodeError(err)}`;
+      const custom = contractErrorMessage(err);
+      const msg    = custom || t("bank.failed", { reason: decodeError(err) });
       showAlert(msg, custom ? "warning" : "error");
 
       // If revert indicates cooldown, flip UI to Paused optimistically
-      if (stageCurrentStatus === 3 && (isCooldownError(err) || /Cooldown/i.test(custom || ""))) {
+      if (stageCurrentStatus === 3 && isContractError(err, "Cooldown")) {
         await flipStageToPausedOptimistic(mission);
       }
 
       // If we are still in Active (3), re-enable BANK IT; otherwise (Paused), renderer controls state
-      try {
-        if (Number(stageCurrentStatus) === 3) {
-          const btn = document.querySelector("#stageCtaGroup .cta-btn");
-          if (btn) {
-            btn.classList.remove("cta-disabled");
-            btn.setAttribute("tabindex", "0");
-          }
-        }
-      } catch {}
+      if (Number(stageCurrentStatus) === 3) setStageButtonsDisabled("cta", false);
     }
   }
 }
@@ -2916,9 +2757,7 @@ async function  renderStageCtaForStatus (mission) {
   // Enrolling → show a disabled JOIN immediately, then refine gating async.
   if (st === 1) {
     // NEW: If an interactive JOIN is already on screen, don't flash the placeholder.
-    const hasInteractiveJoin =
-      !!host.querySelector('.cta-btn') &&
-      host.querySelector('.cta-btn')?.getAttribute('tabindex') === '0';
+    const hasInteractiveJoin = !!host.querySelector('.cta-btn:not(.cta-disabled)');
 
     if (hasInteractiveJoin) {
       // Refine gating without the placeholder swap that can swallow the first click
@@ -2927,6 +2766,7 @@ async function  renderStageCtaForStatus (mission) {
     }
 
     host.innerHTML = "";
+    clearStageButtons("cta");
     renderJoinPlaceholder(host);                    // instant, no-await
     (async () => {                                  // refine without removing the CTA
       try { await renderCtaEnrolling(host, mission); } catch (e) { console.warn(e); }
@@ -2936,6 +2776,7 @@ async function  renderStageCtaForStatus (mission) {
 
   // other statuses: keep existing “clear then draw”
   host.innerHTML = "";
+  clearStageButtons("cta");
   if (st === 2) return renderCtaArming (host, mission);
   if (st === 3) return renderCtaActive (host, mission);
   if (st === 4) return renderCtaPaused (host, mission);
@@ -2951,8 +2792,6 @@ function        renderJoinPlaceholder   (host){
   const g = document.createElementNS(SVG_NS, "g");
   g.setAttribute("class", "cta-btn cta-disabled");
   g.setAttribute("transform", `translate(${x},${y})`);
-  g.setAttribute("role", "button");
-  g.setAttribute("tabindex", "-1");
 
   g.appendChild(svgImage(bg, null, null, btnW, btnH));
   const txtX = x + Math.round((btnW - txtW) / 2);
@@ -2966,8 +2805,10 @@ function        renderJoinPlaceholder   (host){
   note.setAttribute("y", String(y + btnH + 18));
   note.setAttribute("text-anchor", "middle");
   note.setAttribute("class", "cta-note");
-  note.textContent = walletAddress ? "Checking eligibility…" : "Connect your wallet to join";
+  note.textContent = walletAddress ? t("cta.checkingEligibility") : t("cta.connectToJoin");
   host.appendChild(note);
+
+  stageButton("cta", { box: { x, y, w: btnW, h: btnH }, label: t("a11y.join"), note: note.textContent, disabled: true });
 }
 
 // Per-status renderers:
@@ -3031,20 +2872,21 @@ async function  renderCtaEnrolling      (host, mission)   {
   const justJoined = !!mission._joinedByMe;
 
   let disabled = false, note = "";
-  if (!walletAddress)               { disabled = true; note = "Connect your wallet to join"; }
-  else if (!inWin)                  { disabled = true; note = "Enrollment closed"; }
-  else if (already || justJoined)   { disabled = true; note = "You already joined this mission"; }
-  else if (!hasSpots)               { disabled = true; note = "No spots left for this mission"; }
-  else if (!canEnrollSoft)          { disabled = true; note = eligibilityReason || "You’re not eligible to join right now"; }
-  if (ctaBusy)                      { disabled = true; note = "Joining…"; }
+  if (!walletAddress)               { disabled = true; note = t("cta.connectToJoin"); }
+  else if (isWrongNetwork())        { disabled = true; note = t("cta.switchToJoin"); }
+  else if (!inWin)                  { disabled = true; note = t("cta.enrollmentClosed"); }
+  else if (already || justJoined)   { disabled = true; note = t("cta.alreadyJoined"); }
+  else if (!hasSpots)               { disabled = true; note = t("cta.noSpots"); }
+  else if (!canEnrollSoft)          { disabled = true; note = eligibilityReason || t("cta.notEligible"); }
+  if (ctaBusy)                      { disabled = true; note = t("join.joining"); }
+  if (!disabled && isInviteOnly(mission)) { note = t("cta.inviteOnly"); }
 
   host.innerHTML = "";
+  clearStageButtons("cta");
 
   const g = document.createElementNS(SVG_NS, "g");
   g.setAttribute("class", "cta-btn" + (disabled ? " cta-disabled" : ""));
   g.setAttribute("transform", `translate(${x},${y})`);
-  g.setAttribute("role", "button");
-  g.setAttribute("tabindex", disabled ? "-1" : "0");
 
   // bg + text
   g.appendChild(svgImage(bg, null, null, btnW, btnH));
@@ -3066,18 +2908,21 @@ async function  renderCtaEnrolling      (host, mission)   {
     host.appendChild(n);
   }
 
-  if (!disabled) {
-    g.addEventListener("click", () => handleEnrollClick(mission));
-    g.addEventListener("mousedown", () => g.setAttribute("transform", `translate(${x},${y+1})`));
-    const reset = () => g.setAttribute("transform", `translate(${x},${y})`);
-    g.addEventListener("mouseup", reset);
-    g.addEventListener("mouseleave", reset);
-    g.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") { e.preventDefault(); handleEnrollClick(mission); }
-    });
+  if (!disabled && !isInviteOnly(mission)) {
+    paintCtaFee(host, mission, "enrollPlayer", y + btnH + 38);   // invite-only needs the passphrase to dry-run
   }
 
   host.appendChild(g);
+
+  // Real button on top of the SVG art (click, keyboard, focus)
+  stageButton("cta", {
+    box:        { x, y, w: btnW, h: btnH },
+    label:      t("a11y.join"),
+    note,
+    disabled,
+    onActivate: () => handleEnrollClick(mission),
+    onPress:    (down) => g.setAttribute("transform", `translate(${x},${y + (down ? 1 : 0)})`),
+  });
 } 
 
 function        renderCtaArming         (host, mission)   {
@@ -3187,10 +3032,11 @@ function        renderCtaActive         (host, mission)   {
   ));
 
   let blockReason = "";
-  if (!walletAddress)        blockReason = "Connect your wallet to bank";
-  else if (!joined)          blockReason = "You did not join this mission";
-  else if (alreadyWon)       blockReason = "View only. You already won a round";
-  else if (__vaultIsOpen)    blockReason = "View only. You already won a round";  // never show BANK IT when vault is open
+  if (!walletAddress)        blockReason = t("cta.connectToBank");
+  else if (isWrongNetwork()) blockReason = t("cta.switchToBank");
+  else if (!joined)          blockReason = t("cta.notJoined");
+  else if (alreadyWon)       blockReason = t("cta.viewOnly");
+  else if (__vaultIsOpen)    blockReason = t("cta.viewOnly");  // never show BANK IT when vault is open
 
   if (blockReason) {
     // Centered message in the CTA area, no button rendered
@@ -3207,8 +3053,6 @@ function        renderCtaActive         (host, mission)   {
     const g = document.createElementNS(SVG_NS, "g");
     g.setAttribute("class", "cta-btn");
     g.setAttribute("transform", `translate(${x},${y})`);
-    g.setAttribute("role", "button");
-    g.setAttribute("tabindex", "0");
 
     // button background + text
     g.appendChild(svgImage(bg, null, null, btnW, btnH));
@@ -3216,17 +3060,16 @@ function        renderCtaActive         (host, mission)   {
     const txtY = y + Math.round((btnH - txtH) / 2) + (txtDy || 0);
     g.appendChild(svgImage(text, txtX - x, txtY - y, txtW, txtH));
 
+    host.appendChild(g);
+
     // click → wallet popup
-    g.addEventListener("click", () => handleBankItClick(mission));
-    g.addEventListener("mousedown", () => g.setAttribute("transform", `translate(${x},${y+1})`));
-    const reset = () => g.setAttribute("transform", `translate(${x},${y})`);
-    g.addEventListener("mouseup", reset);
-    g.addEventListener("mouseleave", reset);
-    g.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") { e.preventDefault(); handleBankItClick(mission); }
+    stageButton("cta", {
+      box:        { x, y, w: btnW, h: btnH },
+      label:      t("a11y.bankIt"),
+      onActivate: () => handleBankItClick(mission),
+      onPress:    (down) => g.setAttribute("transform", `translate(${x},${y + (down ? 1 : 0)})`),
     });
-
-    host.appendChild(g);
+    paintCtaFee(host, mission, "callRound", y + btnH + 62);
   }
 
   host.appendChild(accumulatingCRO(mission, walletAddress, joined, alreadyWon, xCenter, y, btnH, SVG_NS));
@@ -3266,12 +3109,12 @@ function        renderCtaPaused         (host, mission){
     msg.setAttribute("text-anchor", "middle");
     msg.setAttribute("dominant-baseline", "middle");
     msg.style.fill = stageTextFill(); // color immediately → no black flash
-    msg.textContent = "View only. You already won a round";
+    msg.textContent = t("cta.viewOnly");
     host.appendChild(msg);
 
   } else {
 
-    // Paused: disabled button met statische "Cooldown X minute(s)" tekst
+    // Paused: disabled button with static "Cooldown X minute(s)" text
     const g = document.createElementNS(SVG_NS, "g");
     g.setAttribute("class", "cta-btn cta-disabled");
     g.setAttribute("transform", `translate(${x},${y})`);
@@ -3290,12 +3133,14 @@ function        renderCtaPaused         (host, mission){
 
     const info      = cooldownInfo(mission);
     const secsTotal = Number(info.secsTotal || 0);
-    const text      = secsTotal > 0 ? formatCooldownLabel(secsTotal) : "Cooldown";
+    const text      = secsTotal > 0 ? formatCooldownLabel(secsTotal) : t("game.cooldown");
 
     label.textContent = text;
 
     g.appendChild(label);
     host.appendChild(g);
+
+    stageButton("cta", { box: { x, y, w: btnW, h: btnH }, label: t("a11y.bankIt"), note: text, disabled: true });
   }
 
   host.appendChild(accumulatingCRO(mission, walletAddress, joined, alreadyWon, xCenter, y, btnH, SVG_NS));
@@ -3316,13 +3161,12 @@ function        accumulatingCRO         (mission, walletAddress, joined, already
   const lastTs = getLastBankTs(mission, mission?.rounds);
   const nowTs = Math.floor(Date.now() / 1000);
   const weiNow = computeBankNowWei(mission, lastTs, nowTs);
-  const croNow = weiToCro(String(weiNow), 2, true);
+  const croNow = formatCro(String(weiNow), 2, true);
 
-  let label = "Accumulating:";
   const eligible = !!walletAddress && joined && !alreadyWon;
-  label = eligible ? "Bank this round to claim:" : "Current round prize pool:";
+  const label    = eligible ? t("prize.bankable") : t("prize.pool");
 
-  bank.textContent = `${label} ${croNow} CRO`;
+  bank.textContent = `${label} ${croNow}`;
 
   applyCounterColor(bank, mission, weiNow);
 
@@ -3330,6 +3174,39 @@ function        accumulatingCRO         (mission, walletAddress, joined, already
   return group;
 }
 
+// Fee preview under a live CTA: dry-run + estimate against the read RPC (cached ~30 s per
+// mission / method / viewer / round). A refused dry-run shows its reason instead.
+const __ctaFeeCache = new Map();                  // key → { ts, p }
+const CTA_FEE_TTL_MS = 30_000;
+
+function        paintCtaFee             (host, mission, method, yPos){
+  const me = (walletAddress || "").toLowerCase();
+  if (!me || isWrongNetwork()) return;
+
+  const line = document.createElementNS(SVG_NS, "text");
+  line.setAttribute("id", "stageCtaFee");
+  line.setAttribute("x", String(CTA_LAYOUT.xCenter));
+  line.setAttribute("y", String(yPos));
+  line.setAttribute("text-anchor", "middle");
+  line.setAttribute("class", "cta-note cta-fee");
+  host.appendChild(line);
+
+  const addrLc = String(mission.mission_address || "").toLowerCase();
+  const key    = `${addrLc}:${method}:${me}:${Number(mission.round_count || 0)}`;
+  let hit = __ctaFeeCache.get(key);
+  if (!hit || Date.now() - hit.ts > CTA_FEE_TTL_MS) {
+    const c     = new ethers.Contract(addrLc, MISSION_ABI, getReadProvider());
+    const value = method === "callRound" ? undefined : (mission.enrollment_amount_wei ?? "0");
+    hit = { ts: Date.now(), p: preflightTx(c, method, [], { from: me, value }) };
+    __ctaFeeCache.set(key, hit);
+  }
+
+  hit.p.then(pf => {
+    if (!line.isConnected) return;                // CTA repainted meanwhile
+    line.textContent = pf.ok ? feeText(pf) : pf.message;
+  });
+}
+
 async function  flipStageToPausedOptimistic(mission){
   const gameMain = document.getElementById('gameMain');
   if (!gameMain || !gameMain.classList.contains('stage-mode')) return;
@@ -3342,6 +3219,7 @@ async function  flipStageToPausedOptimistic(mission){
   __lastPauseTs   = now;
 
   setStageStatusImage(statusSlug(4));
+  renderStageText(m2);
 
   // 1) Render CTA first so the timer's immediate paint can find data-countdown nodes.
   renderStageCtaForStatus(m2);
@@ -3426,7 +3304,7 @@ async function  maybeShowMissionEndPopup(mission){
     }));
 
     const isAllBanked = Number(mission?.round_count ?? -1) == Number(mission?.mission_rounds_total ?? -1);
-    const reasonText  = isAllBanked ? "All rounds were banked." : "The mission timer ran out.";
+    const reasonText  = isAllBanked ? t("end.allBanked") : t("end.timerRanOut");
 
     // Winner detection — prefer local truth first, then API
     const hasLocalWin = !!(addr && (__viewerWonOnce.has(addr) || __viewerWins.has(addr)));
@@ -3446,16 +3324,16 @@ async function  maybeShowMissionEndPopup(mission){
       __endPopupShown.add(addr); // mark only when we are about to show something
       const last    = myWins.length ? myWins[myWins.length - 1] : null;
       const roundNo = last ? Number(last.round_number ?? last.round_no ?? last.round ?? 0) : "";
-      const cro     = last ? weiToCro(String(last.payout_wei || last.amountWei || "0"), 2)
+      const cro     = last ? formatCro(String(last.payout_wei || last.amountWei || "0"), 2)
                            : ""; // local-only: amount may be unknown here
 
-      // TX-hash van de winnende ronde (uit mission_rounds)
+      // TX hash of the winning round (from mission_rounds)
       const txHash  = last && last.tx_hash ? String(last.tx_hash) : "";
       const txHtml  = txHash ? `<br/><small>TX: ${txLinkIcon(txHash)}</small>` : "";
 
       const winMsg  = last
-        ? `🎉 Congratulations!<br/>You won round ${roundNo} and claimed <b>${cro} CRO</b>.<br/><small>${reasonText}</small>${txHtml}`
-        : `🎉 Congratulations!<br/>You won a round!<br/><small>${reasonText}</small>`;
+        ? t("end.wonRound", { round: roundNo, amount: cro, reason: reasonText }) + txHtml
+        : t("end.wonAny", { reason: reasonText });
       showAlert(winMsg, "success");
       return;
     }
@@ -3463,16 +3341,16 @@ async function  maybeShowMissionEndPopup(mission){
     if (joined){
       __endPopupShown.add(addr);
       const msg = isAllBanked
-        ? "🏁 Mission complete.<br/>All rounds were banked and you didn’t bank a round this time.<br/><small>Better luck next mission!</small>"
-        : "⏱️ Mission complete.<br/>Time’s up, and you didn’t bank a round this time.<br/><small>Better luck next mission!</small>";
+        ? t("end.lostAllBanked")
+        : t("end.lostTimeUp");
       showAlert(msg, "info");
       return;
     }
 
     // Spectator: neutral reason-only line
     const spec = isAllBanked
-      ? "🏁 Mission ended: all rounds were banked."
-      : "⏱️ Mission ended: the mission time expired.";
+      ? t("end.spectatorAllBanked")
+      : t("end.spectatorTimeUp");
     showAlert(spec, "info");
 
   } catch {/* silent */}
@@ -3482,6 +3360,7 @@ async function  renderStageEndedPanelIfNeeded(mission){
   const host = document.getElementById("stageEndedGroup");
   if (!host) return;
   host.innerHTML = "";
+  clearStageButtons("ended");
 
   const st  = Number(mission?.status ?? -1);
   if (st < 5) return; // only ended bucket
@@ -3497,19 +3376,19 @@ async function  renderStageEndedPanelIfNeeded(mission){
     title.setAttribute("y", String(y));
     title.setAttribute("text-anchor", "middle");
     title.setAttribute("class", "notice-text");
-    title.textContent = "FAILED";
+    title.textContent = t("end.failed");
     title.style.fill = "#ff6b6b";
     title.style.fontWeight = "700";
     g.appendChild(title);
 
-    const reason = failureReasonFor(mission); // ← NEW helper
-    if (reason){
+    const kind = failureKindFor(mission);
+    if (kind){
       const r = document.createElementNS("http://www.w3.org/2000/svg","text");
       r.setAttribute("x", String(x));
       r.setAttribute("y", String(y + 18));
       r.setAttribute("text-anchor", "middle");
       r.setAttribute("class", "notice-text");
-      r.textContent = reason;
+      r.textContent = t(`end.fail.${kind}`);
       g.appendChild(r);
     }
 
@@ -3518,7 +3397,7 @@ async function  renderStageEndedPanelIfNeeded(mission){
     note.setAttribute("y", String(y + 36));
     note.setAttribute("text-anchor", "middle");
     note.setAttribute("class", "notice-text");
-    note.textContent = "All players will be refunded soon.";
+    note.textContent = t("end.refundSoon");
     g.appendChild(note);
 
     host.appendChild(g);
@@ -3541,13 +3420,13 @@ async function  renderStageEndedPanelIfNeeded(mission){
   g.setAttribute("fill", stageTextFill());
 
   // Title
-  const t = document.createElementNS("http://www.w3.org/2000/svg","text");
-  t.setAttribute("x", String(x));
-  t.setAttribute("y", String(y));
-  t.setAttribute("text-anchor", "middle");
-  t.setAttribute("class", "notice-text");
-  t.textContent = "Mission ended — Top winners";
-  g.appendChild(t);
+  const title = document.createElementNS("http://www.w3.org/2000/svg","text");
+  title.setAttribute("x", String(x));
+  title.setAttribute("y", String(y));
+  title.setAttribute("text-anchor", "middle");
+  title.setAttribute("class", "notice-text");
+  title.textContent = t("end.topWinners");
+  g.appendChild(title);
 
   // NEW: subtype note (one extra line for 5/6)
   let preLines = 1; // title only
@@ -3557,7 +3436,7 @@ async function  renderStageEndedPanelIfNeeded(mission){
     sub.setAttribute("y", String(y + lineH));
     sub.setAttribute("text-anchor", "middle");
     sub.setAttribute("class", "notice-text");
-    sub.textContent = Number(mission?.round_count ?? -1) == Number(mission?.mission_rounds_total ?? -1) ? "All rounds were banked." : "Mission time ended.";
+    sub.textContent = Number(mission?.round_count ?? -1) == Number(mission?.mission_rounds_total ?? -1) ? t("end.allBanked") : t("end.timeEnded");
     g.appendChild(sub);
     preLines = 2; // title + subtitle
   }
@@ -3569,20 +3448,19 @@ async function  renderStageEndedPanelIfNeeded(mission){
     row.setAttribute("y", String(y + preLines*lineH + i*lineH));
     row.setAttribute("text-anchor", "middle");
     row.setAttribute("class", "notice-text");
-    const cro = weiToCro(String(w.totalWei), 2);
-    row.textContent = `${w.addr.slice(0,6)}…${w.addr.slice(-4)} — ${cro} CRO`;
+    row.textContent = `${w.addr.slice(0,6)}…${w.addr.slice(-4)} — ${formatCro(String(w.totalWei), 2)}`;
     g.appendChild(row);
   });
 
   // “View all winners” link (shifted down by preLines)
+  const linkY = y + (preLines + winners.length + 1)*lineH;
   const link = document.createElementNS("http://www.w3.org/2000/svg","text");
   link.setAttribute("x", String(x));
-  link.setAttribute("y", String(y + (preLines + winners.length + 1)*lineH));
+  link.setAttribute("y", String(linkY));
   link.setAttribute("text-anchor", "middle");
   link.setAttribute("class", "notice-text");
-  link.style.cursor = "pointer";
-  link.textContent = "View all winners";
-  link.addEventListener("click", async () => {
+  link.textContent = t("end.viewAllWinners");
+  const openWinners = async () => {
     stageReturnTo = "stage";
     try {
       const data = await apiMission(mission.mission_address, true);
@@ -3594,10 +3472,12 @@ async function  renderStageEndedPanelIfNeeded(mission){
       // fallback if fetch fails
       await openMission(mission.mission_address);
     }
-  });
+  };
 
   g.appendChild(link);
   host.appendChild(g);
+
+  stageButton("ended", { box: { x: x - 100, y: linkY - lineH, w: 200, h: lineH + 6 }, label: link.textContent, onActivate: openWinners });
 }
 
 // #endregion
@@ -3630,38 +3510,38 @@ function        buildMissionListCard    (m){
   let timeKey2 = "", timeValAttr2 = "", timeVal2 = "—";
   let timeKey3 = "", timeValAttr3 = "", timeVal3 = "—";
     if (stNum === 0) { // Pending
-      timeKey1 = "Join from:";
+      timeKey1 = t("card.joinFrom");
       timeValAttr1 = ""; // no ticker on a fixed datetime
       timeVal1 = enrollStart ? formatLocalDateTime(enrollStart) : "—";
-      timeKey2 = "Join until:";
+      timeKey2 = t("card.joinUntil");
       timeValAttr2 = ""; // no ticker on a fixed datetime
       timeVal2 = enrollStart ? formatLocalDateTime(enrollEnd) : "—";
-      timeKey3 = "Start at:";
+      timeKey3 = t("card.startAt");
       timeValAttr3 = ""; // no ticker on a fixed datetime
       timeVal3 = enrollStart ? formatLocalDateTime(missionStart) : "—";
     } else if (stNum === 1) { // Enrolling
-      timeKey1 = "Join until:";
+      timeKey1 = t("card.joinUntil");
       timeValAttr1 = ""; // no ticker on a fixed datetime
       timeVal1 = enrollEnd ? formatLocalDateTime(enrollEnd) : "—";
-      timeKey3 = "Start at:";
+      timeKey3 = t("card.startAt");
       timeValAttr3 = ""; // no ticker on a fixed datetime
       timeVal3 = enrollStart ? formatLocalDateTime(missionStart) : "—";
     } else if (stNum === 2) { // Arming
-      timeKey1 = "Starts in:";
+      timeKey1 = t("card.startsIn");
       timeValAttr1 = `data-start="${missionStart}"`;
       timeVal1 = missionStart ? formatCountdown(missionStart) : "—";
     } else if (stNum === 3 || stNum === 4) { // Active / Paused
-      timeKey1 = "Ends in:";
+      timeKey1 = t("card.endsIn");
       timeValAttr1 = `data-end="${missionEnd}"`;
       timeVal1 = missionEnd ? formatCountdown(missionEnd) : "—";
     } else {
-      timeKey1 = "Join from:";
+      timeKey1 = t("card.joinFrom");
       timeValAttr1 = ""; // no ticker on a fixed datetime
       timeVal1 = enrollStart ? formatLocalDateTime(enrollStart) : "—";
-      timeKey2 = "Join until:";
+      timeKey2 = t("card.joinUntil");
       timeValAttr2 = ""; // no ticker on a fixed datetime
       timeVal2 = enrollStart ? formatLocalDateTime(enrollEnd) : "—";
-      timeKey3 = "Start at:";
+      timeKey3 = t("card.startAt");
       timeValAttr3 = ""; // no ticker on a fixed datetime
       timeVal3 = enrollStart ? formatLocalDateTime(missionStart) : "—";
     }
@@ -3670,7 +3550,7 @@ function        buildMissionListCard    (m){
   const maxRounds   = Number(m.mission_rounds_total || 0);
   const roundsShown = roundsForDisplay(m);
   const feeWei    = m.enrollment_amount_wei;
-  const feeCro    = weiToCro(feeWei, 2);
+  const feeCro    = formatCro(feeWei, 2);
   const curPlayers= Number(m.enrolled_players || 0);
   const minPlayers= Number(m.enrollment_min_players || 0);
   const maxPlayers= Number(m.enrollment_max_players || 0);
@@ -3700,16 +3580,16 @@ function        buildMissionListCard    (m){
     ${ (showDuration || showRounds) ? `
     <div class="mini-row">
       ${ showDuration ? `
-        <div class="label">Duration:</div>
+        <div class="label">${t("card.duration")}</div>
         <div class="value">${formatDurationShort(duration)}</div>
       ` : `<div class="label"></div><div class="value"></div>`}
-      ${ showRounds ? `<div class="ms-auto fw-bold">Round ${roundsShown}/${maxRounds}</div>` : ``}
+      ${ showRounds ? `<div class="ms-auto fw-bold">${t("card.round", { round: roundsShown, total: maxRounds })}</div>` : ``}
     </div>` : ``}
 
     ${ showFee ? `
     <div class="mini-row">
-      <div class="label">Mission Fee:</div>
-      <div class="value">${feeCro} CRO</div>
+      <div class="label">${t("card.fee")}</div>
+      <div class="value">${feeCro}</div>
     </div>` : ``}
 
     ${timeKey1 ? `
@@ -3732,7 +3612,7 @@ function        buildMissionListCard    (m){
 
     ${ showPlayers ? `
     <div class="players-line">
-      <div class="label me-2">Players</div>
+      <div class="label me-2">${t("card.players")}</div>
       <div class="players-count">
         <span class="current" data-current="${curPlayers}" data-min="${minPlayers}">${curPlayers}</span>/<span class="max">${maxPlayers || "—"}</span>
       </div>
@@ -3775,6 +3655,7 @@ function        renderAllMissions       (missions = []) {
 }
 
 function        renderJoinable          (items){
+  __joinableCache = items || [];
   const host = els.joinableList;
   host.innerHTML = "";
   els.joinableEmpty.style.display = items?.length ? "none" : "";
@@ -3783,35 +3664,7 @@ function        renderJoinable          (items){
   // newest first
   const list = (items || []).slice().reverse();
   for (const raw of list){
-    // normalize a Joinable item to the All-Missions shape the helper expects
-    const m = {
-      mission_address:        raw.mission_address,
-      name:                   raw.name,
-      status:                 Number(raw.status),
-      enrollment_start:       raw.enrollment_start,
-      enrollment_end:         raw.enrollment_end,
-      enrollment_amount_wei:  raw.enrollment_amount_wei,
-      enrollment_min_players: raw.enrollment_min_players,
-      enrollment_max_players: raw.enrollment_max_players,
-      mission_start:          raw.mission_start,
-      mission_end:            raw.mission_end,
-      mission_rounds_total:   (raw.mission_rounds_total ?? raw.missionRounds ?? 0),
-      round_count:            Number(raw.round_count || 0),
-      cro_initial_wei:        raw.cro_initial_wei,
-      cro_start_wei:          raw.cro_start_wei,
-      cro_current_wei:        raw.cro_current_wei,
-      pause_timestamp:        raw.pause_timestamp,
-      updated_at:             raw.updated_at,
-      mission_created:        raw.mission_created,
-      round_pause_secs:       raw.round_pause_secs,
-      last_round_pause_secs:  raw.last_round_pause_secs,
-      creator_address:        raw.creator_address,
-      all_refunded:           raw.all_refunded,
-      // critically: enrolled_players for badge & players-line
-      enrolled_players:       (raw.enrolled_players != null)
-                                ? raw.enrolled_players
-                                : (Array.isArray(raw.enrollments) ? raw.enrollments.length : 0),
-    };
+    const m = missionFromApi(raw);   // idempotent: list items may already be models
 
     host.appendChild(buildMissionListCard(m));
   }
@@ -3836,34 +3689,7 @@ function        renderMyMissions        (items){
 
   const list = (items || []).slice().reverse(); // newest first
   for (const raw of list){
-    // normalize to the helper’s shape
-    const m = {
-      mission_address:        raw.mission_address,
-      name:                   raw.name,
-      status:                 Number(raw.status),
-      enrollment_start:       raw.enrollment_start,
-      enrollment_end:         raw.enrollment_end,
-      enrollment_amount_wei:  raw.enrollment_amount_wei,
-      enrollment_min_players: raw.enrollment_min_players,
-      enrollment_max_players: raw.enrollment_max_players,
-      mission_start:          raw.mission_start,
-      mission_end:            raw.mission_end,
-      mission_rounds_total:   Number(raw.mission_rounds_total || raw.missionRounds || 0),
-      round_count:            Number(raw.round_count || 0),
-      cro_initial_wei:        raw.cro_initial_wei,
-      cro_start_wei:          raw.cro_start_wei,
-      cro_current_wei:        raw.cro_current_wei,
-      pause_timestamp:        raw.pause_timestamp,
-      updated_at:             raw.updated_at,
-      mission_created:        raw.mission_created,
-      round_pause_secs:       raw.round_pause_secs,
-      last_round_pause_secs:  raw.last_round_pause_secs,
-      creator_address:        raw.creator_address,
-      all_refunded:           raw.all_refunded,
-      enrolled_players:       (raw.enrolled_players != null)
-                                ? raw.enrolled_players
-                                : (Array.isArray(raw.enrollments) ? raw.enrollments.length : 0),
-    };
+    const m = missionFromApi(raw);   // idempotent: list items may already be models
 
     host.appendChild(buildMissionListCard(m));
   }
@@ -3881,6 +3707,68 @@ function        renderMyMissions        (items){
   startJoinableTicker();
 }
 
+function        renderMyTxHistory       (){
+  const me = (walletAddress || "").toLowerCase();
+  if (!me) {
+    els.myTxHistory.innerHTML = `<div class="text-muted">${t("txs.connect")}</div>`;
+    els.myTxHistory.__txHistory = null;
+    return;
+  }
+  mountTxHistory(els.myTxHistory, {
+    key:         `player:${me}`,
+    load:        () => getPlayerTx(me),
+    showMission: true,
+    showPlayer:  false,
+    emptyText:   t("txs.emptyWallet"),
+  });
+}
+
+async function  renderProfileView       (addr){
+  const missions = await renderPlayerProfile(els.playerProfile, addr);
+  if (profileAddr !== addr) return;                  // user moved on while loading
+
+  const host = els.profileMissionsList;
+  host.innerHTML = "";
+  host.classList.add('card-grid');
+  for (const m of missions.slice().sort((a, b) => b.mission_created - a.mission_created)) {
+    const li = buildMissionListCard(m);
+    li.style.visibility = "";
+    host.appendChild(li);
+  }
+  startJoinableTicker();
+}
+
+function        buildNotifyToggle       (missionAddr){
+  const btn = document.createElement("button");
+  btn.className = "btn btn-outline-info";
+  btn.id = "btnNotifyMission";
+
+  const paint = () => {
+    const on = isMissionPushEnabled(missionAddr);
+    btn.innerHTML = on
+      ? `<i class="fa-solid fa-bell me-1"></i>${t("notify.on")}`
+      : `<i class="fa-regular fa-bell me-1"></i>${t("notify.off")}`;
+    btn.title = on ? t("notify.onTitle") : t("notify.offTitle");
+  };
+  paint();
+
+  btn.addEventListener("click", async () => {
+    const on = isMissionPushEnabled(missionAddr);
+    setBtnLoading(btn, true, on ? t("notify.turningOff") : t("notify.subscribing"));
+    try {
+      if (on) await disableMissionPush(missionAddr);
+      else    await enableMissionPush(missionAddr);
+    } catch (err) {
+      showAlert(err?.message || String(err), "warning");
+    } finally {
+      setBtnLoading(btn, false);
+      setTimeout(paint, 650);   // after setBtnLoading restored the old markup
+    }
+  });
+
+  return btn;
+}
+
 function        renderMissionDetail     ({ mission, enrollments, rounds }){
   enrollments = Array.isArray(enrollments) ? enrollments
                : Array.isArray(mission?.enrollments) ? mission.enrollments : [];
@@ -3901,7 +3789,7 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
     const btn = document.createElement("button");
     btn.className = "btn btn-cyan";
     btn.id = "btnEnterMission";
-    btn.textContent = "Enter Mission";
+    btn.textContent = t("detail.enter");
     actions.appendChild(btn);
     // placeholder: wire up later to the in-mission HUD
     btn.addEventListener("click", async () => {
@@ -3917,6 +3805,11 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
 
   }
 
+  // Per-mission OS notifications (Web Push) while the mission can still change
+  if (Number(mission.status) < 5 && isPushSupported()) {
+    actions.appendChild(buildNotifyToggle(mission.mission_address));
+  }
+
   els.missionDetail.classList.add("overlay");
   showOnlySection("missionDetailSection");
   els.missionTitle.textContent = mission.name || mission.mission_address;
@@ -3973,6 +3866,11 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
   const stampSec = Math.max(baseUpd || Math.floor(Date.now()/1000), pushSec);
 
   const roundsShown = roundsForDisplay(mission);
+  const playersLine = t("detail.playersLine", {
+    min:    minP,
+    joined: `<span class="${joinedCls}">${joinedPlayers}</span>`,
+    max:    maxP || "—",
+  });
 
   els.missionCore.innerHTML = `
     <div class="row g-3">
@@ -3983,13 +3881,13 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
             ${statusText(st)}
           </span>
           <span class="status-pill">
-            Type: ${missionTypeName[mission.mission_type] ?? mission.mission_type}
+            ${t("detail.typeChip", { type: missionTypeText(mission.mission_type) })}
           </span>
           <span class="status-pill">
-            Round: ${roundsShown}/${mission.mission_rounds_total}
+            ${t("detail.roundChip", { round: roundsShown, total: mission.mission_rounds_total })}
           </span>
           <span class="status-pill">
-            Players: Minimum ${minP} | Joined <span class="${joinedCls}">${joinedPlayers}</span> | Maximum ${maxP || "—"}
+            ${t("detail.playersChip", { line: playersLine })}
           </span>
         </div>
       </div>
@@ -3998,55 +3896,55 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
       <div class="col-12">
         <div class="kv-grid">
 
-          <div class="label">Mission address</div>
+          <div class="label">${t("detail.address")}</div>
           <div class="value">
             ${copyableAddr(mission.mission_address)} ${addrLinkIcon(mission.mission_address)}
           </div>
 
-          <div class="label">Mission type</div>
-          <div class="value">${missionTypeName[mission.mission_type] ?? mission.mission_type}</div>
+          <div class="label">${t("detail.type")}</div>
+          <div class="value">${missionTypeText(mission.mission_type)}</div>
 
-          <div class="label">Mission status</div>
+          <div class="label">${t("detail.status")}</div>
           <div class="value"><span class="${statusCls2}" title="${statusTtl}">${statusLbl}</span></div>
 
-          <div class="label">Rounds played</div>
+          <div class="label">${t("detail.roundsPlayed")}</div>
           <div class="value">${roundsShown}/${mission.mission_rounds_total}</div>
 
-          <div class="label">Mission Fee</div>
-          <div class="value">${weiToCro(mission.enrollment_amount_wei, 2)} CRO</div>
+          <div class="label">${t("detail.fee")}</div>
+          <div class="value">${formatCro(mission.enrollment_amount_wei, 2)}</div>
 
-          <div class="label">Prize pool</div>
-          <div class="value">${weiToCro(mission.cro_start_wei, 2)} CRO</div>
+          <div class="label">${t("detail.pool")}</div>
+          <div class="value">${formatCro(mission.cro_start_wei, 2)}</div>
 
-          <div class="label">Enrollment Start</div>
+          <div class="label">${t("detail.enrollStart")}</div>
           <div class="value">
             ${showEnrollStartCountdown
               ? `<span id="enrollStartCountdown" class="countdown-time">${formatCountdown(mission.enrollment_start)}</span>`
               : `${formatLocalDateTime(mission.enrollment_start)}`}
           </div>
 
-          <div class="label">Enrollment End</div>
+          <div class="label">${t("detail.enrollEnd")}</div>
           <div class="value">
             ${showEnrollEndCountdown
               ? `<span id="enrollEndCountdown" class="countdown-time">${formatCountdown(mission.enrollment_end)}</span>`
               : `${formatLocalDateTime(mission.enrollment_end)}`}
           </div>
 
-          <div class="label">Mission Start</div>
+          <div class="label">${t("detail.missionStart")}</div>
           <div class="value">
             ${showMissionStartCountdown
               ? `<span id="missionStartCountdown" class="countdown-time">${formatCountdown(mission.mission_start)}</span>`
               : `${formatLocalDateTime(mission.mission_start)}`}
           </div>
 
-          <div class="label">Mission End</div>
+          <div class="label">${t("detail.missionEnd")}</div>
           <div class="value">
             ${showMissionEndCountdown
               ? `<span id="missionEndCountdown" class="countdown-time">${formatCountdown(mission.mission_end)}</span>`
               : `${formatLocalDateTime(mission.mission_end)}`}
           </div>
 
-        <div class="label">Data updated at</div>
+        <div class="label">${t("detail.updatedAt")}</div>
           <div class="value">
           <span id="updatedAtStamp" data-updated="${stampSec}">
             ${formatLocalDateTime(stampSec)}
@@ -4054,15 +3952,15 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
             <i id="updatedAtIcon"
               class="fa-solid fa-circle-exclamation ms-1 text-error"
               style="display:none"
-              title="Data may be stale"></i>
+              title="${t("detail.stale")}"></i>
           </div>
 
         </div>
 
         <div class="mt-3">
-          <h4>Players</h4>
+          <h4>${t("detail.players")}</h4>
           <div class="fw-bold">
-            Minimum ${minP} | Joined <span class="${joinedCls}">${joinedPlayers}</span> | Maximum ${maxP || "—"}
+            ${playersLine}
           </div>
         </div>
 
@@ -4085,6 +3983,13 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
     }
   }, 1000);
 
+  // transactions (keeps filters/page while the same mission re-renders)
+  const txMission = String(mission.mission_address || "").toLowerCase();
+  mountTxHistory(els.missionTxHistory, {
+    key:  `mission:${txMission}`,
+    load: () => getMissionTx(txMission),
+  });
+
   // enrollments
   els.enrollmentsList.innerHTML = "";
   els.enrollmentsEmpty.style.display = enrollments?.length ? "none" : "";
@@ -4111,7 +4016,7 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
     const addr = (e.address || "");
     const wwei = winTotals.get(addr.toLowerCase()) || 0n;
     const won  = wwei > 0n;
-    const wonLabel = won ? `${weiToCro(String(wwei), 2)} CRO` : "";
+    const wonLabel = won ? formatCro(String(wwei), 2) : "";
 
     const li = document.createElement("li");
     li.className = "view-card mb-2";
@@ -4120,12 +4025,12 @@ function        renderMissionDetail     ({ mission, enrollments, rounds }){
         <div class="text-bold">
           ${copyableAddr(addr)} ${addrLinkIcon(addr)}
           ${won ? `<span class="small ms-2">
-                    <i class="fa-solid fa-trophy text-warning" title="Winner"></i>
+                    <i class="fa-solid fa-trophy text-warning" title="${t("detail.winner")}"></i>
                     ${wonLabel}
                   </span>` : ""}
         </div>
         <div class="text-end small">
-          ${e.refunded ? `<div class="text-warning">Refunded</div>` : ""}
+          ${e.refunded ? `<div class="text-warning">${t("badge.refunded")}</div>` : ""}
         </div>
       </div>
     `;
@@ -4156,7 +4061,7 @@ window.addEventListener("resize", layoutStage);
 
 connectBtn.addEventListener     ("click", () => {
   if (walletAddress){
-    showConfirm("Disconnect current wallet?", disconnectWallet);
+    showConfirm(t("wallet.disconnectConfirm"), disconnectWallet);
   } else {
     connectWallet(); 
   }
@@ -4180,6 +4085,11 @@ btnJoinable?.addEventListener   ("click", async () => {
   startJoinableTicker();
 });
 
+btnLeaderboard?.addEventListener("click", async () => {
+  await cleanupMissionDetail();
+  showOnlySection("leaderboardSection");             // mounts/refreshes the boards
+});
+
 btnMyMissions?.addEventListener ("click", async () => {
   await cleanupMissionDetail();
   showOnlySection("myMissionsSection");
@@ -4189,7 +4099,7 @@ btnMyMissions?.addEventListener ("click", async () => {
       renderMyMissions(mine);
     } catch (err) { 
       console.error("[myMissions] failed" , err);
-      showAlert("Couldn't load your missions.", "error"); 
+      showAlert(t("load.myCouldnt"), "error"); 
     }
   }
 });
@@ -4272,6 +4182,28 @@ function        stopJoinableTicker(){
 
 // #region Interactions
 
+// Re-render everything on screen that was built from t() texts (lists, panels, stage, detail)
+async function  repaintForLocale(){
+  updateConnectText();
+  setStaleBanner(__staleSinceMs);
+  applyAllMissionFiltersAndRender();
+  applyMyMissionFiltersAndRender();
+  if (els.myTxPanel && els.myTxPanel.style.display !== "none") renderMyTxHistory();
+  if (els.leaderboard?.__leaderboard) mountLeaderboard(els.leaderboard);
+  if (profileAddr) renderProfileView(profileAddr);
+
+  if (!currentMissionAddr) return;
+  const m = enrichMissionFromApi(await apiMission(currentMissionAddr, false));
+  const gameMain = document.getElementById("gameMain");
+  if (gameMain?.classList.contains("stage-mode")) {
+    buildStageLowerHudForStatus(m);
+    renderStageCtaForStatus(m);
+    await renderStageEndedPanelIfNeeded(m);
+  } else if (els.missionDetail.style.display !== "none") {
+    renderMissionDetail({ mission: m, enrollments: m.enrollments || [], rounds: m.rounds || [] });
+  }
+}
+
 async function  openMission(addr){
   try {
     currentMissionAddr = addr.toLowerCase();
@@ -4282,7 +4214,7 @@ async function  openMission(addr){
     scheduleDetailRefresh(true);
     window.scrollTo({ top: els.missionDetail.offsetTop - 20, behavior: "smooth" });
   } catch (e) {
-    showAlert("Failed to load mission details.", "error");
+    showAlert(t("load.detailFailed"), "error");
     console.error(e);
   }
 }
@@ -4324,13 +4256,37 @@ async function  closeMission(){
   showOnlySection(target);
 }
 
+async function  openPlayerProfile(addr){
+  const addrLc = String(addr || "").toLowerCase();
+  if (!/^0x[0-9a-f]{40}$/.test(addrLc)) { showAlert(t("load.invalidPlayer"), "warning"); return; }
+
+  await cleanupMissionDetail();
+  profileAddr = addrLc;
+  showOnlySection("playerProfileSection");
+  await renderProfileView(addrLc);
+}
+
+function        closePlayerProfile(){
+  profileAddr = null;
+
+  let target = lastListShownId;
+  try {
+    const saved = localStorage.getItem("b6:lastList");
+    if (saved) target = saved;
+  } catch {}
+
+  showOnlySection(target);
+}
+
 async function  subscribeToMission(addr){
   const targetLc = String(addr||"").toLowerCase();
   if (!targetLc) return;
 
   // Leave previous (if any)
   if (subscribedAddr && subscribedAddr !== targetLc) {
-    try { await leaveMissionGroup(subscribedAddr); dbg("Unsubscribed group:", subscribedAddr); } catch {}
+    if (!isWatched(subscribedAddr)) {                    // dashboard tiles keep their groups
+      try { await leaveMissionGroup(subscribedAddr); dbg("Unsubscribed group:", subscribedAddr); } catch {}
+    }
     subscribedGroups.clear();
   }
 
@@ -4343,6 +4299,29 @@ async function  subscribeToMission(addr){
   subscribedGroups = new Set([targetLc, targetCk].filter(Boolean));
 }
 
+async function  switchStageTo(addr){ // dashboard tile → full stage for that mission
+  const lc = String(addr || "").toLowerCase();
+  const onStage = document.getElementById('gameMain')?.classList.contains('stage-mode');
+  if (!lc || (onStage && lc === currentMissionAddr)) return;
+
+  els.missionDetail.classList.remove("overlay");
+  els.missionDetail.style.display = "none";
+  stageReturnTo = null;
+  await cleanupMissionDetail();
+
+  currentMissionAddr = lc;
+  await startHub();
+  await subscribeToMission(lc);
+  lockScroll();
+  try {
+    const data = await apiMission(lc, true);
+    await showGameStage(enrichMissionFromApi(data));
+  } catch (e) {
+    showAlert(t("load.detailFailed"), "error");
+    console.error(e);
+  }
+}
+
 // #endregion
 
 
@@ -4353,7 +4332,7 @@ async function  subscribeToMission(addr){
 
 function        updateConnectText(){
   const span = document.getElementById("connectBtnText");
-  if (span) span.textContent = walletAddress ? shorten(walletAddress) : "Connect Wallet";
+  if (span) span.textContent = walletAddress ? shorten(walletAddress) : t("wallet.connect");
 }
 
 async function init(){
@@ -4378,6 +4357,26 @@ async function init(){
   document.addEventListener('click', enableVaultSoundOnce, { once: true });
 
   // 1) wire buttons BEFORE any awaited network work
+  mountDashboard(document.getElementById("missionDashboard"), {
+    onOpen: switchStageTo,
+    isOpen: (addr) => addr === currentMissionAddr && !!document.getElementById('gameMain')?.classList.contains('stage-mode'),
+  });
+  syncDashboard(walletAddress);
+
+  // Factory change log → re-read only the list rows it names
+  window.addEventListener("mission:changed", onMissionChanged);
+  startChangeFeed();
+
+  document.getElementById("bankSimBtn")?.addEventListener("click", () => {
+    if (isBankSimOpen()) closeBankSim();
+    else openBankSim(document.getElementById("bankSimPanel"), __bankSimMission);
+  });
+
+  els.refreshLeaderboardBtn?.addEventListener("click", () => {
+    disableTemporarily(els.refreshLeaderboardBtn, 5000);
+    mountLeaderboard(els.leaderboard);
+  });
+
   els.refreshJoinableBtn?.addEventListener("click", async () => {
     try {
       disableTemporarily(els.refreshJoinableBtn, 5000);
@@ -4397,7 +4396,7 @@ async function init(){
       await withTimeout(fetchAndRenderAllMissions(), 12000);
     } catch (e) {
       console.warn("Refresh All Missions timed out/failed:", e);
-      showAlert("Loading All Missions timed out. Please try again.", "warning");
+      showAlert(t("load.allTimeout"), "warning");
     } finally {
       allLoadBusy = false;
     }
@@ -4412,7 +4411,7 @@ async function init(){
       await withTimeout(fetchAndRenderMyMissions(), 12000);
     } catch (e) {
       console.warn("Refresh My Missions timed out/failed:", e);
-      showAlert("Loading My Missions timed out. Please try again.", "warning");
+      showAlert(t("load.myTimeout"), "warning");
     } finally {
       allLoadBusy2 = false;
     }
@@ -4421,6 +4420,27 @@ async function init(){
   // 2) other existing listeners (unchanged)
   els.closeMissionBtn?.addEventListener("click", closeMission);
 
+  // My transactions (all missions of the connected wallet)
+  els.myTxBtn?.addEventListener("click", () => {
+    const open = els.myTxPanel.style.display === "none";
+    els.myTxPanel.style.display = open ? "" : "none";
+    if (open) renderMyTxHistory();
+  });
+  window.addEventListener("wallet:changed",      () => { if (els.myTxPanel?.style.display !== "none") renderMyTxHistory(); });
+  window.addEventListener("wallet:disconnected", () => { if (els.myTxPanel) els.myTxPanel.style.display = "none"; });
+
+  // Player profile (own wallet here; any address via ?player=0x…)
+  els.myProfileBtn?.addEventListener("click", () => {
+    if (!walletAddress) { showAlert(t("profile.connect"), "info"); return; }
+    openPlayerProfile(walletAddress);
+  });
+  els.reloadProfileBtn?.addEventListener("click", () => {
+    if (!profileAddr) return;
+    disableTemporarily(els.reloadProfileBtn, 5000);
+    renderProfileView(profileAddr);
+  });
+  els.closeProfileBtn?.addEventListener("click", closePlayerProfile);
+
   // 3) kick off first load; add a small delay if page was reloaded to avoid stampede
   let __startupDelayMs = 0;
   try {
@@ -4448,7 +4468,7 @@ async function init(){
     }
   } catch (e) {
     console.warn("Initial All Missions load timed out/failed:", e);
-    showAlert("Loading All Missions timed out. Tap Refresh to retry.", "warning");
+    showAlert(t("load.allTimeoutRefresh"), "warning");
   }
 
   els.reloadMissionBtn?.addEventListener("click", async () => {
@@ -4466,7 +4486,7 @@ async function init(){
       __lastPushTs = Date.now();
       touchUpdatedAtStampFromPush();
     } catch (e) {
-      showAlert("Reload failed. Please check your connection.", "error");
+      showAlert(t("load.reloadFailed"), "error");
     } finally {
       if (host) {
         host.style.opacity = "0";
@@ -4481,15 +4501,17 @@ async function init(){
 
   // ───────────────────────────────────────────────────────────────
   // Deep-links:
-  // - ?view=joinable|active|all     → keep existing behavior (lists)
+  // - ?view=joinable|active|all|leaderboard → keep existing behavior (lists)
   // - ?mission=0x...                → open mission DETAIL (existing)
   // - ?0x...                        → open mission directly in GAME STAGE (new)
+  // - ?player=0x...                 → open a player's PROFILE
   // ───────────────────────────────────────────────────────────────
   try {
     const rawQuery = (location.search || "").replace(/^\?/, "");
     const q        = new URLSearchParams(location.search);
     const view     = (q.get("view") || "").toLowerCase();
     const missionParam = q.get("mission");
+    const playerParam  = q.get("player");
 
     // Helper: extract bare 0x… from a query like "?0xabc..." or "?[0xabc...]"
     const bareAddr = (() => {
@@ -4514,7 +4536,7 @@ async function init(){
       // load and enrich before showing the stage
       const data = await apiMission(currentMissionAddr, true);
       if (!data) {
-        showAlert("Mission not found.", "warning");
+        showAlert(t("load.notFound"), "warning");
       } else {
         const m = enrichMissionFromApi?.(data) || data;
         await showGameStage(m);
@@ -4522,6 +4544,8 @@ async function init(){
         await apiMission(currentMissionAddr, true);
         await renderStageEndedPanelIfNeeded?.(m);
       }
+    } else if (playerParam) {
+      await openPlayerProfile(playerParam);
     } else if (missionParam) {
       // existing: open a specific mission’s DETAIL
       await cleanupMissionDetail();
@@ -4530,8 +4554,11 @@ async function init(){
       if (data) {
         renderMissionDetail(data);
       } else {
-        showAlert("Mission not found.", "warning");
+        showAlert(t("load.notFound"), "warning");
       }
+    } else if (view === "leaderboard") {
+      await cleanupMissionDetail();
+      showOnlySection("leaderboardSection");
     } else if (view === "joinable") {
       await cleanupMissionDetail();
       showOnlySection("joinableSection");
@@ -4604,9 +4631,31 @@ async function init(){
     renderAllMissions([]);
   });
 
+  // Multi-mission dashboard follows the wallet (and its own joins)
+  window.addEventListener("wallet:connected",    () => syncDashboard(walletAddress));
+  window.addEventListener("wallet:changed",      () => syncDashboard(walletAddress));
+  window.addEventListener("wallet:disconnected", () => syncDashboard(""));
+  window.addEventListener("tx:status", (e) => {
+    if (e.detail?.kind === "enrolled" && e.detail?.state === "mined") syncDashboard(walletAddress);
+  });
+
   window.addEventListener("wallet:connected",               refreshStageCtaIfOpen);
   window.addEventListener("wallet:changed",                 refreshStageCtaIfOpen);
   window.addEventListener("wallet:disconnected",            refreshStageCtaIfOpen);
+  window.addEventListener("wallet:chainChanged",            refreshStageCtaIfOpen);   // wrong-network gating
+
+  // New logs of the open mission (missionEvents.js): repaint even if the indexer or hub lags
+  window.addEventListener("chain:mission", (e) => {
+    if (e.detail?.addr !== String(currentMissionAddr || "").toLowerCase()) return;
+    refreshOpenStageFromServer(1).catch(()=>{});
+  });
+
+  // A join / bank resumed after a reload got mined: pull the new snapshot for the open stage
+  window.addEventListener("tx:status", (e) => {
+    const d = e.detail || {};
+    if (!d.resumed || d.state !== "mined" || d.mission !== String(currentMissionAddr || "").toLowerCase()) return;
+    refreshOpenStageFromServer(2).catch(()=>{});
+  });
 
   // Fallback if those custom events aren’t emitted:
   if (window.ethereum) {
@@ -4652,6 +4701,56 @@ async function init(){
   // When network goes back online → one smart reconcile
   window.addEventListener("online", () => smartReconcile("online"));
 
+  // Offline (PWA): cached snapshots from sw.js are shown read-only
+  window.addEventListener("api:stale", (e) => setStaleBanner(e.detail?.since || 0));
+  window.addEventListener("api:fresh", ()  => setStaleBanner(0));
+
+  // Indexer down: api.js serves snapshots from the factory views until /health passes again
+  window.addEventListener("api:chainMode", (e) => setChainModeBadge(!!e.detail?.on));
+
+  // Language switch (i18n.js): static markup is already repainted, redo the dynamic parts
+  window.addEventListener("i18n:changed", () => {
+    repaintForLocale().catch(e => dbg("i18n repaint failed", e?.message || e));
+    syncPushLocale().catch(() => {});
+  });
+  registerServiceWorker();
+
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("/sw.js")
+    .then(() => syncPushLocale())                        // push texts follow the page language
+    .catch(err => console.warn("Service worker registration failed:", err));
+}
+
+let __staleSinceMs = 0;
+
+function setStaleBanner(sinceMs) {
+  __staleSinceMs = sinceMs;
+  const banner = document.getElementById("staleBanner");
+  const text   = document.getElementById("staleBannerText");
+  const stale  = sinceMs > 0;
+
+  document.body.classList.toggle("offline-readonly", stale);
+  if (!banner) return;
+  banner.style.display = stale ? "" : "none";
+  if (stale && text) {
+    text.textContent = t("stale.banner", { since: formatLocalDateTime(Math.floor(sinceMs / 1000)) });
+  }
+}
+
+function setChainModeBadge(on) {
+  const badge = document.getElementById("chainModeBadge");
+  if (badge) badge.style.display = on ? "" : "none";
+  if (on) return;
+
+  // API is back: replace the chain-read lists with indexer snapshots
+  __allListLastDone = 0;
+  if (__allMissionsCache.length) fetchAndRenderAllMissions();
+  if (walletAddress && __myMissionsCache.length) fetchAndRenderMyMissions();
+  syncDashboard(walletAddress);
+  smartReconcile("api");
 }
 
 function enableVaultSoundOnce() {
@@ -1,8 +1,10 @@
 /* js/home.js */
 import {
-  FACTORY_ABI, FACTORY_ADDRESS, getReadProvider,
-  formatCountdown, addrLinkIcon, shorten
+  FACTORY_ADDRESS, getReadProvider,
+  formatCountdown, addrLinkIcon, explorerUrl, shorten
 } from "./core.js";
+import { FACTORY_ABI } from "./contracts.js";
+import { missionListFromApi } from "./missionModel.js";
 
 const els = {
   nextStart:       document.getElementById("nextStart"),
@@ -40,18 +42,13 @@ async function loadBackendStats(){
     api("/missions/not-ended")
     ]);
 
-    const joinableList = Array.isArray(joinable)
-    ? joinable
-    : (joinable?.missions || joinable?.Missions || []);
-
-    const notEndedList = Array.isArray(notEnded)
-    ? notEnded
-    : (notEnded?.missions || notEnded?.Missions || []);
+    const joinableList = missionListFromApi(joinable);
+    const notEndedList = missionListFromApi(notEnded);
 
     els.statJoinable.textContent = String(joinableList.length);
 
     // status 3 = Active
-    const activeCount = notEndedList.filter(m => Number(m.status ?? m.mission_status) === 3).length;
+    const activeCount = notEndedList.filter(m => m.status === 3).length;
     els.statActive.textContent = String(activeCount);
 
     // soonest future start
@@ -59,25 +56,16 @@ async function loadBackendStats(){
     let soonest = 0;
     let soonestAddr = null;
 
-    // prefer actual upcoming mission starts from not-ended
-    for (const m of notEndedList){
-      const start = Number(m.mission_start ?? m.MissionStart ?? 0);
-      if (start > now && (!soonest || start < soonest)) {
-        soonest = start;
-        // try common field names for the address
-        soonestAddr = m.mission_address ?? m.address ?? null;
-      }
-    }
-
-    // fallback: use joinable missions' mission_start when not-ended gave none
-    if (!soonest) {
-      for (const m of joinableList){
-        const start = Number(m.mission_start ?? m.MissionStart ?? 0);
-        if (start > now && (!soonest || start < soonest)) {
-          soonest = start;
-          soonestAddr = m.mission_address ?? m.address ?? null;
+    // prefer actual upcoming mission starts from not-ended,
+    // fall back to joinable missions when not-ended gave none
+    for (const list of [notEndedList, joinableList]){
+      for (const m of list){
+        if (m.mission_start > now && (!soonest || m.mission_start < soonest)) {
+          soonest     = m.mission_start;
+          soonestAddr = m.mission_address || null;
         }
       }
+      if (soonest) break;
     }
 
     setCountdown(soonest || 0);
@@ -115,14 +103,16 @@ async function loadOnchainStats(){
     `<span class="copy-wrap" data-copy="${FACTORY_ADDRESS}">${shorten(FACTORY_ADDRESS)}</span>`;
   // whole row clickable
   els.factoryAddress.closest(".stat")?.addEventListener("click", () => {
-    window.open(`https://explorer.cronos.org/address/${FACTORY_ADDRESS}`, "_blank");
+    const url = explorerUrl("address", FACTORY_ADDRESS);
+    if (url) window.open(url, "_blank");
   });
 
   if (impl){
     els.implAddress.innerHTML =
       `<span class="copy-wrap" data-copy="${impl}">${shorten(impl)}</span>`;
     els.implAddress.closest(".stat")?.addEventListener("click", () => {
-      window.open(`https://explorer.cronos.org/address/${impl}`, "_blank");
+      const url = explorerUrl("address", impl);
+      if (url) window.open(url, "_blank");
     });
   }
 
@@ -3,6 +3,8 @@
   - One global connection (auto-reconnect).
   - Join/leave mission groups by lowercased address (and checksum form).
   - Register callbacks for MissionUpdated, StatusChanged, RoundResult.
+  - Every push is also broadcast as "hub:event" { type, addr } on
+    window, for listeners other than the game.js handlers.
 **********************************************************************/
 
 let connection = null;
@@ -19,6 +21,8 @@ const toLc = (s) => (s ? String(s).toLowerCase() : "");
 const toCk = (lc) => {
   try { return ethers.utils.getAddress(lc); } catch { return null; }
 };
+const emit = (type, addr, extra = {}) =>
+  window.dispatchEvent(new CustomEvent("hub:event", { detail: { type, addr: toLc(addr), ...extra } }));
 
 function                ensureClient()              {
   if (!window.signalR) {
@@ -43,14 +47,17 @@ export async function   startHub()                  {
   // Wire server → client events
   connection.on("MissionUpdated", (addr, reason, txHash, eventType) => {
     try { onMissionUpdated(addr, reason, txHash, eventType); } catch (e) { console.error("MissionUpdated handler error:", e); }
+    emit("MissionUpdated", addr, { reason, txHash, eventType });
   });
 
   connection.on("StatusChanged", (addr, newStatus) => {
     try { onStatusChanged(addr, newStatus); } catch (e) { console.error("StatusChanged handler error:", e); }
+    emit("StatusChanged", addr, { newStatus });
   });
 
   connection.on("RoundResult", (addr, round, winner, amountWei) => {
     try { onRoundResult(addr, round, winner, amountWei); } catch (e) { console.error("RoundResult handler error:", e); }
+    emit("RoundResult", addr, { round, winner, amountWei });
   });
 
   // Optional ping if your hub sends it; safe if not present
@@ -0,0 +1,148 @@
+/**********************************************************************
+ i18n.js – message catalogs, locale detection, language switcher
+  - t("key", vars) reads the active catalog, then English, then returns
+    the key itself. "{name}" placeholders come from vars; an entry
+    { one, other } picks its form by vars.count (Intl.PluralRules).
+  - Locale: <html data-locale> (pinned pages, e.g. admin) → "b6:locale"
+    in localStorage → navigator.languages → "en".
+  - Static markup: data-i18n (text), data-i18n-html (markup) and
+    data-i18n-title / -placeholder / -aria-label / -alt (attributes).
+  - setLocale() repaints that markup and emits "i18n:changed"
+    { locale } on window; pages re-render their dynamic parts.
+  - Number helpers for core.js: intlLocale(), formatNumber() and
+    localizeDecimal() for exact decimal strings (weiToCro output).
+**********************************************************************/
+
+import en from "./locales/en.js";
+import nl from "./locales/nl.js";
+
+// Switcher order = cycle order
+export const LOCALES   = { en: "English", nl: "Nederlands" };
+
+const CATALOGS         = { en, nl };
+const LOCALE_KEY       = "b6:locale";
+const DEFAULT_LOCALE   = "en";
+
+function                detectLocale        ()                                  {
+  const pinned = document.documentElement.dataset.locale;
+  if (CATALOGS[pinned]) return pinned;
+
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (CATALOGS[saved]) return saved;
+  } catch {}
+
+  for (const tag of navigator.languages || [navigator.language]) {
+    const base = String(tag || "").toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export let LOCALE      = detectLocale();
+
+// #region Messages
+const __pluralRules    = new Map();                        // locale → Intl.PluralRules
+
+function                pick                (entry, vars)                       {
+  if (entry == null || typeof entry === "string") return entry;
+  let rules = __pluralRules.get(LOCALE);
+  if (!rules) { rules = new Intl.PluralRules(LOCALE); __pluralRules.set(LOCALE, rules); }
+  return entry[rules.select(Number(vars.count ?? 0))] ?? entry.other;
+}
+
+/** Message `key` in the active locale with `{placeholders}` filled from `vars`. */
+export function         t                   (key, vars = {})                    {
+  const raw = pick(CATALOGS[LOCALE][key], vars) ?? pick(en[key], vars) ?? key;
+  return String(raw).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+/** Translate static markup under `root` (see the data-i18n* attributes above). */
+export function         applyI18n           (root = document)                   {
+  root.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll("[data-i18n-html]").forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  for (const attr of ["title", "placeholder", "aria-label", "alt"]) {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  }
+}
+// #endregion
+
+
+
+
+
+// #region Numbers
+/** BCP 47 tag for Intl: the browser's regional variant when it matches LOCALE (nl-BE), else LOCALE. */
+export function         intlLocale          ()                                  {
+  const nav = String(navigator.language || "");
+  return nav.toLowerCase().split("-")[0] === LOCALE ? nav : LOCALE;
+}
+
+const __numberFormats  = new Map();                        // "locale|opts" → Intl.NumberFormat
+
+export function         formatNumber        (n, opts = {})                      {
+  const key = `${intlLocale()}|${JSON.stringify(opts)}`;
+  let nf = __numberFormats.get(key);
+  if (!nf) { nf = new Intl.NumberFormat(intlLocale(), opts); __numberFormats.set(key, nf); }
+  return nf.format(n);
+}
+
+/**
+ * "1234.5" → "1,234.5" (en) / "1.234,5" (nl). Works on the digits, so a
+ * weiToCro() string keeps its exact decimals (no float rounding).
+ */
+export function         localizeDecimal     (str)                               {
+  const m = /^(-?)(\d+)(?:\.(\d+))?$/.exec(String(str ?? "").trim());
+  if (!m) return String(str ?? "");
+
+  const parts   = new Intl.NumberFormat(intlLocale()).formatToParts(12345.6);
+  const group   = parts.find(p => p.type === "group")?.value   ?? ",";
+  const decimal = parts.find(p => p.type === "decimal")?.value ?? ".";
+
+  const [, sign, int, frac] = m;
+  return sign + int.replace(/\B(?=(\d{3})+(?!\d))/g, group) + (frac ? decimal + frac : "");
+}
+// #endregion
+
+
+
+
+
+// #region Switcher
+function                paintSwitchers      ()                                  {
+  document.querySelectorAll("[data-lang-switch]").forEach(btn => {
+    btn.textContent = LOCALE.toUpperCase();
+    btn.title       = t("lang.switch", { name: LOCALES[LOCALE] });
+  });
+}
+
+/** Switch the page language; the choice is remembered across visits. */
+export function         setLocale           (code)                              {
+  if (!CATALOGS[code] || code === LOCALE) return;
+  LOCALE = code;
+  try { localStorage.setItem(LOCALE_KEY, code); } catch {}
+
+  document.documentElement.lang = code;
+  applyI18n();
+  paintSwitchers();
+  window.dispatchEvent(new CustomEvent("i18n:changed", { detail: { locale: code } }));
+}
+
+// Any [data-lang-switch] button cycles through LOCALES
+document.addEventListener("click", (e) => {
+  if (!e.target.closest?.("[data-lang-switch]")) return;
+  const codes = Object.keys(LOCALES);
+  setLocale(codes[(codes.indexOf(LOCALE) + 1) % codes.length]);
+});
+
+function                boot                ()                                  {
+  document.documentElement.lang = LOCALE;
+  applyI18n();
+  paintSwitchers();
+}
+
+if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", boot, { once: true });
+else boot();
+// #endregion
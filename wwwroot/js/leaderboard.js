@@ -0,0 +1,149 @@
+/**********************************************************************
+ leaderboard.js — cross-mission leaderboards (GET /leaderboard)
+  - Boards: top total payout, most rounds banked, best single bank
+    and best ROI (payouts vs. non-refunded fees).
+  - Filters: time window (week / month / all-time) and mission type.
+  - Players link to their profile (game.html?player=0x…).
+  - Titles, heads and filters are i18n keys; the filter bar is rebuilt
+    when the locale changed since the last mount.
+**********************************************************************/
+
+import {
+  missionTypeName,
+  missionTypeText,
+  weiToCro,
+  formatCro,
+  formatLocalDateTime,
+  txLinkIcon,
+  shorten,
+} from "./core.js";
+
+import { getLeaderboard } from "./api.js";
+import { t, LOCALE, localizeDecimal } from "./i18n.js";
+
+const WINDOWS = ["week", "month", "all"];                  // label: "lb.window.<value>"
+
+const playerLink  = (a) => `<a href="game.html?player=${a}" title="${t("lb.openPlayer")}">${shorten(a)}</a>`;
+const missionLink = (a, name) => `<a href="game.html?mission=${a}" title="${t("lb.openMission")}">${name || shorten(a)}</a>`;
+const roiText     = (r) => `${r >= 0 ? "+" : ""}${Math.round(r * 100)}%`;
+
+// One board = title + column heads + row renderer
+const BOARDS = [
+  {
+    key:   "top_payout",
+    title: "lb.topPayout",
+    icon:  "fa-sack-dollar",
+    head:  ["lb.player", "lb.totalWon", "lb.rounds"],
+    row:   (r) => [playerLink(r.player), formatCro(r.total_wei, 2), r.rounds],
+  },
+  {
+    key:   "most_rounds",
+    title: "lb.mostRounds",
+    icon:  "fa-vault",
+    head:  ["lb.player", "lb.rounds", "lb.totalWon"],
+    row:   (r) => [playerLink(r.player), r.rounds, formatCro(r.total_wei, 2)],
+  },
+  {
+    key:   "best_bank",
+    title: "lb.bestBank",
+    icon:  "fa-bolt",
+    head:  ["lb.player", "lb.payout", "lb.mission", "lb.date"],
+    row:   (r) => [
+      playerLink(r.player),
+      `${formatCro(r.payout_wei, 2)} ${r.tx_hash ? txLinkIcon(r.tx_hash) : ""}`,
+      `${missionLink(r.mission_address, r.mission_name)} <span class="text-muted">· R${r.round_number}</span>`,
+      formatLocalDateTime(r.banked_at),
+    ],
+  },
+  {
+    key:   "best_roi",
+    title: "lb.bestRoi",
+    icon:  "fa-chart-line",
+    head:  ["lb.player", "lb.roi", "lb.wonFees", "lb.missions"],
+    row:   (r) => [
+      playerLink(r.player),
+      `<span class="${r.roi >= 0 ? "text-success" : "text-error"}">${roiText(r.roi)}</span>`,
+      `${localizeDecimal(weiToCro(r.won_wei, 2))} / ${formatCro(r.fees_wei, 2)}`,
+      r.missions,
+    ],
+  },
+];
+
+function                boardHtml           (board, rows, note = "")            {
+  const body = rows.length
+    ? rows.map((r, i) => `<tr><td class="text-muted">${i + 1}</td>${board.row(r).map(c => `<td>${c}</td>`).join("")}</tr>`).join("")
+    : `<tr><td colspan="${board.head.length + 1}" class="text-muted">${t("lb.empty")}</td></tr>`;
+
+  return `
+    <div class="col-lg-6">
+      <h4><i class="fa-solid ${board.icon} me-2"></i>${t(board.title)}</h4>
+      ${note ? `<div class="small text-muted mb-1">${note}</div>` : ""}
+      <div class="table-responsive">
+        <table class="table table-sm table-borderless tx-table mb-0">
+          <thead><tr><th>#</th>${board.head.map(h => `<th>${t(h)}</th>`).join("")}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+/**
+ * Mount (or refresh) the leaderboards into `host`.
+ * Re-mounting keeps the selected window and mission type.
+ *
+ * @param {HTMLElement} host
+ */
+function                paintFilters        (host, st)                          {
+  const sel = (v, cur) => (String(v) === String(cur) ? " selected" : "");
+
+  host.innerHTML = `
+    <div class="lb-filters d-flex flex-wrap align-items-center gap-2 mb-3">
+      <select class="form-select form-select-sm lb-f-window" style="max-width:160px" aria-label="${t("lb.windowLabel")}">
+        ${WINDOWS.map(v => `<option value="${v}"${sel(v, st.window)}>${t(`lb.window.${v}`)}</option>`).join("")}
+      </select>
+      <select class="form-select form-select-sm lb-f-type" style="max-width:180px" aria-label="${t("lb.typeLabel")}">
+        <option value="">${t("lb.allTypes")}</option>
+        ${Object.keys(missionTypeName).map(v => `<option value="${v}"${sel(v, st.type)}>${missionTypeText(v)}</option>`).join("")}
+      </select>
+      <span class="lb-updated small text-muted"></span>
+    </div>
+    <div class="lb-boards row g-4"></div>`;
+
+  const onFilter = () => {
+    st.window = host.querySelector(".lb-f-window").value;
+    st.type   = host.querySelector(".lb-f-type").value;
+    mountLeaderboard(host);
+  };
+  host.querySelector(".lb-f-window").addEventListener("change", onFilter);
+  host.querySelector(".lb-f-type"  ).addEventListener("change", onFilter);
+  st.locale = LOCALE;
+}
+
+export async function   mountLeaderboard    (host)                              {
+  if (!host) return;
+
+  let st = host.__leaderboard;
+  if (!st) st = host.__leaderboard = { window: "week", type: "", seq: 0, locale: null };
+  if (st.locale !== LOCALE) paintFilters(host, st);
+
+  const seq    = ++st.seq;                                 // drop responses of superseded filters
+  const boards = host.querySelector(".lb-boards");
+  boards.style.opacity = ".5";
+
+  try {
+    const data = await getLeaderboard({ window: st.window, type: st.type });
+    if (seq !== st.seq) return;
+
+    const roiNote = t("lb.roiNote", { count: data.roi_min_missions ?? 3 });
+    boards.innerHTML = BOARDS
+      .map(b => boardHtml(b, Array.isArray(data?.[b.key]) ? data[b.key] : [], b.key === "best_roi" ? roiNote : ""))
+      .join("");
+    host.querySelector(".lb-updated").textContent = data?.generated_at ? t("lb.updated", { at: formatLocalDateTime(data.generated_at) }) : "";
+  } catch (err) {
+    if (seq !== st.seq) return;
+    console.warn("[leaderboard] load failed:", err);
+    boards.innerHTML = `<div class="col-12 text-muted">${t("lb.failed")}</div>`;
+  } finally {
+    if (seq === st.seq) boards.style.opacity = "";
+  }
+}
@@ -0,0 +1,509 @@
+/**********************************************************************
+ locales/en.js – English catalog (reference + fallback for i18n.js)
+  - Flat "area.name" keys; "{name}" placeholders; { one, other }
+    entries are plurals picked by vars.count.
+  - Values may carry markup where the caller renders HTML.
+**********************************************************************/
+
+export default {
+  // Switcher
+  "lang.switch":                "Language: {name}",
+
+  // core.js
+  "alert.info":                 "Info",
+  "alert.success":              "Success",
+  "alert.warning":              "Warning",
+  "alert.error":                "Error",
+  "confirm.failed":             "An error occurred while confirming.",
+  "copy.done":                  "Address copied ✓",
+  "copy.failed":                "Copy failed",
+  "link.newTab":                "Open in new tab",
+  "link.explorer":              "Open on {name} Explorer",
+
+  "unit.mo":                    "mo",
+  "unit.w":                     "w",
+  "unit.d":                     "d",
+  "unit.h":                     "h",
+  "unit.m":                     "m",
+  "unit.s":                     "s",
+  "unit.minutes":               { one: "{count} minute", other: "{count} minutes" },
+  "unit.seconds":               { one: "{count} second", other: "{count} seconds" },
+
+  "status.0":                   "Pending",
+  "status.1":                   "Enrolling",
+  "status.2":                   "Arming",
+  "status.3":                   "Active",
+  "status.4":                   "Paused",
+  "status.5":                   "PartlySuccess",
+  "status.6":                   "Success",
+  "status.7":                   "Failed",
+  "status.unknown":             "Unknown({code})",
+
+  "missionType.0":              "Custom",
+  "missionType.1":              "Hourly",
+  "missionType.2":              "Quarter-Daily",
+  "missionType.3":              "Bi-Daily",
+  "missionType.4":              "Daily",
+  "missionType.5":              "Weekly",
+  "missionType.6":              "Monthly",
+  "missionType.7":              "Invite-Only",
+  "missionType.8":              "User Mission",
+
+  // errors.js – custom errors
+  "err.EnrollmentNotStarted":   "Enrollment hasn’t started yet ({left} to go).",
+  "err.EnrollmentClosed":       "Enrollment is closed (since {since}).",
+  "err.MaxPlayers":             "Maximum number of players reached ({max}).",
+  "err.WrongEntryFee":          "Incorrect entry fee. Expected {expected}, sent {sent}.",
+  "err.AlreadyJoined":          "You already joined this mission.",
+  "err.WeeklyLimit":            "Weekly limit reached. Try again in {left}.",
+  "err.MonthlyLimit":           "Monthly limit reached. Try again in {left}.",
+  "err.Cooldown":               "Cooldown active. Try again in {left}.",
+  "err.NotActive":              "Mission is not active yet (starts in {left}).",
+  "err.MissionEnded":           "Mission has already ended.",
+  "err.AlreadyWon":             "You already won in a previous round.",
+  "err.NotJoined":              "You haven’t joined this mission.",
+  "err.AllRoundsDone":          "All rounds have been completed.",
+  "err.PayoutFailed":           "Payout failed ({amount} to {winner}).",
+  "err.ContractsNotAllowed":    "Contracts are not allowed to join this mission.",
+  "err.InsufficientBalance":    "Factory balance too low: {balance} available, {needed} needed.",
+  "err.FailedDeployment":       "Deploying the mission clone failed.",
+  "err.OwnableUnauthorizedAccount": "{account} is not the owner of this contract.",
+  "err.OwnableInvalidOwner":    "Invalid owner address ({owner}).",
+  "err.ReentrancyGuardReentrantCall": "Another call to this contract is still in progress.",
+  "err.unknown":                "Contract error: {name}",
+  "err.walletRejected":         "Transaction canceled in the wallet.",
+
+  // errors.js – require() reasons
+  "revert.enrollOrder":         "Enrollment start must be before enrollment end.",
+  "revert.startAfterEnroll":    "Mission start must be after enrollment end.",
+  "revert.missionOrder":        "Mission start must be before mission end.",
+  "revert.nameRequired":        "Mission name is required.",
+  "revert.roundPause":          "Round pause must be at least 60 seconds.",
+  "revert.lastRoundPause":      "Last-round pause must be at least 60 seconds.",
+  "revert.minRounds":           "A mission needs at least 1 round.",
+  "revert.userMinRounds":       "User missions need at least 2 rounds.",
+  "revert.roundsVsPlayers":     "Rounds must be at most minimum players − 1.",
+  "revert.userMinPlayers":      "User missions need at least 3 minimum players.",
+  "revert.minPlayersVsRounds":  "Minimum players must be at least the number of rounds.",
+  "revert.userMaxPlayers":      "User missions allow at most 25 players.",
+  "revert.maxPlayers":          "A mission allows at most 100 players.",
+  "revert.maxVsMinPlayers":     "Maximum players must be at least the minimum players.",
+  "revert.feeRequired":         "Enrollment fee must be greater than 0.",
+  "revert.pinRequired":         "Invite-only missions need a passphrase.",
+  "revert.creatorRequired":     "User missions need a creator address.",
+  "revert.creatorCooldown":     "This creator already started a User Mission in the last 24 hours.",
+  "revert.notAuthorizedCaller": "This wallet is not the owner or an authorized address.",
+  "revert.noOwner":             "No owner is set on the factory.",
+  "revert.addressRequired":     "Enter a valid address.",
+  "revert.alreadyAuthorized":   "This address is already authorized.",
+  "revert.notAuthorized":       "This address is not authorized.",
+  "revert.ownProposal":         "You cannot confirm your own ownership proposal.",
+  "revert.proposalExpired":     "The ownership proposal has expired.",
+  "revert.noImplementation":    "Mission implementation address is missing.",
+  "revert.invalidMission":      "Invalid mission address.",
+  "revert.invalidAddress":      "Invalid address.",
+  "revert.noFunds":             "There are no funds to withdraw.",
+  "revert.overBalance":         "Amount exceeds the factory balance.",
+  "revert.ownerTransfer":       "Transfer to the owner failed.",
+  "revert.ownerPayout":         "Payout to the owner failed.",
+  "revert.creatorPayout":       "Payout to the creator failed.",
+  "revert.noValue":             "Send an amount greater than 0.",
+  "revert.fundNotAllowed":      "Only the factory or an authorized address can add to the pot.",
+  "revert.fundTooLate":         "The pot can only be increased before the mission is active.",
+  "revert.initialized":         "This mission is already initialized.",
+  "revert.startChecked":        "The start condition was already checked.",
+  "revert.armingWindow":        "The mission is outside its arming window; refund the players instead.",
+  "revert.noRefunds":           "There are no players to refund.",
+  "revert.notFailed":           "The mission has not failed.",
+  "revert.noWinner":            "The mission did not end with a winner.",
+  "revert.notEnrolled":         "This player is not enrolled.",
+  "revert.noPayout":            "Nothing to pay out for this round yet.",
+  "revert.progressRegression":  "Payout progress went backwards; try again.",
+  "revert.notInviteOnly":       "This mission is not invite-only.",
+  "revert.inviteOnly":          "This mission is invite-only; a passphrase is required.",
+  "revert.wrongSecret":         "That passphrase is not correct for this mission. Check it with the host and try again.",
+
+  // txManager.js / preflight.js
+  "tx.default":                 "Transaction",
+  "tx.dismiss":                 "Dismiss",
+  "tx.state.submitted":         "Submitted – waiting to be mined…",
+  "tx.state.mined":             "Mined – waiting for confirmations…",
+  "tx.state.confirmed":         "Confirmed",
+  "tx.state.reverted":          "Reverted",
+  "tx.state.cancelled":         "Cancelled in the wallet",
+  "tx.state.dropped":           "Not found on chain",
+  "tx.spedUp":                  " (sped up)",
+  "tx.fee":                     "≈ {cro} {symbol} network fee",
+
+  // walletConnect.js
+  "wallet.connect":             "Connect Wallet",
+  "wallet.connecting":          "Connecting",
+  "wallet.connectFailed":       "Wallet connection failed.<br>Please try again.",
+  "wallet.browser":             "Browser wallet",
+  "wallet.qrHint":              "QR code / mobile wallet",
+  "wallet.none":                "No wallet found. Install a browser wallet such as MetaMask or Crypto.com DeFi Wallet.",
+  "wallet.wrongNetwork":        "Your wallet is on the wrong network.<br>Switch to <b>{name}</b> first (button in the banner at the top).",
+  "wallet.switchFailed":        "Could not switch to {name}.<br>Please change the network in your wallet.",
+  "wallet.banner":              "Your wallet is on chain {chain}; B6 runs on {name} (chain {chainId}). Transactions are blocked.",
+  "wallet.switchTo":            "Switch to {name}",
+
+  // game.js
+  "game.cooldown":              "Cooldown",
+  "game.cooldownFor":           "Cooldown {time}",
+  "game.hubFailed":             "Real-time channel failed to connect.",
+  "badge.cancelled":            "Cancelled",
+  "badge.cancelledTitle":       "No enrollments; game didn’t run.",
+  "badge.refundPending":        "Refunds pending",
+  "badge.refundPendingTitle":   "Some refunds are still being retried.",
+  "badge.refunded":             "Refunded",
+  "badge.refundedTitle":        "All enrollments have been refunded.",
+  "prize.bankable":             "Bank this round to claim:",
+  "prize.pool":                 "Current round prize pool:",
+  "prize.accumulating":         "Accumulating:",
+  "round.won":                  "{player} won <b>{amount}</b> in round {round}",
+  "bank.congrats":              "Congratulations! You banked {amount} in round {round}!",
+  "load.allFailed":             "Failed to load All Missions.",
+  "load.myConnect":             "Connect your wallet to load your missions.",
+  "load.myFailed":              "Failed to load My Missions.",
+  "load.myCouldnt":             "Couldn't load your missions.",
+  "load.detailFailed":          "Failed to load mission details.",
+  "load.invalidPlayer":         "Invalid player address.",
+  "load.allTimeout":            "Loading All Missions timed out. Please try again.",
+  "load.myTimeout":             "Loading My Missions timed out. Please try again.",
+  "load.allTimeoutRefresh":     "Loading All Missions timed out. Tap Refresh to retry.",
+  "load.reloadFailed":          "Reload failed. Please check your connection.",
+  "load.notFound":              "Mission not found.",
+  "stale.banner":               "Offline – stale since {since} · read-only",
+  "pill.type":                  "Mission Type",
+  "pill.joinFrom":              "Join from",
+  "pill.joinUntil":             "Join until",
+  "pill.startAt":               "Start At",
+  "pill.duration":              "Duration",
+  "pill.fee":                   "Mission Fee",
+  "pill.poolStart":             "Pool (start)",
+  "pill.poolCurrent":           "Pool (current)",
+  "pill.playersCap":            "Players cap",
+  "pill.players":               "Players",
+  "pill.rounds":                "Rounds",
+  "pill.round":                 "Round",
+  "pill.roundsBanked":          "Rounds banked",
+  "pill.closesIn":              "Closes In",
+  "pill.startsIn":              "Starts In",
+  "pill.endsIn":                "Ends In",
+  "pill.min":                   "Min",
+  "pill.max":                   "Max",
+  "wallet.connectFirst":        "Connect your wallet first.",
+  "join.joining":               "Joining…",
+  "join.passPrompt":            "This is an invite-only mission. Enter the secret passphrase you received from the host:",
+  "join.passPlaceholder":       "Passphrase",
+  "join.canceled":              "Join canceled.",
+  "join.checkingPass":          "Checking passphrase…",
+  "join.checking":              "Checking…",
+  "join.txLabel":               "Join {name}",
+  "join.failed":                "Join failed: {reason}",
+  "bank.called":                "Round called. Waiting for result…",
+  "bank.txLabel":               "Bank {name}",
+  "bank.canceled":              "Banking canceled.",
+  "bank.failed":                "Bank it failed: {reason}",
+  "cta.checkingEligibility":    "Checking eligibility…",
+  "cta.connectToJoin":          "Connect your wallet to join",
+  "cta.switchToJoin":           "Switch your wallet network to join",
+  "cta.enrollmentClosed":       "Enrollment closed",
+  "cta.alreadyJoined":          "You already joined this mission",
+  "cta.noSpots":                "No spots left for this mission",
+  "cta.notEligible":            "You’re not eligible to join right now",
+  "cta.inviteOnly":             "Invite-only · passphrase required",
+  "cta.connectToBank":          "Connect your wallet to bank",
+  "cta.switchToBank":           "Switch your wallet network to bank",
+  "cta.notJoined":              "You did not join this mission",
+  "cta.viewOnly":               "View only. You already won a round",
+  "end.allBanked":              "All rounds were banked.",
+  "end.timerRanOut":            "The mission timer ran out.",
+  "end.timeEnded":              "Mission time ended.",
+  "end.wonRound":               "🎉 Congratulations!<br/>You won round {round} and claimed <b>{amount}</b>.<br/><small>{reason}</small>",
+  "end.wonAny":                 "🎉 Congratulations!<br/>You won a round!<br/><small>{reason}</small>",
+  "end.lostAllBanked":          "🏁 Mission complete.<br/>All rounds were banked and you didn’t bank a round this time.<br/><small>Better luck next mission!</small>",
+  "end.lostTimeUp":             "⏱️ Mission complete.<br/>Time’s up, and you didn’t bank a round this time.<br/><small>Better luck next mission!</small>",
+  "end.spectatorAllBanked":     "🏁 Mission ended: all rounds were banked.",
+  "end.spectatorTimeUp":        "⏱️ Mission ended: the mission time expired.",
+  "end.failed":                 "FAILED",
+  "end.refundSoon":             "All players will be refunded soon.",
+  "end.topWinners":             "Mission ended — Top winners",
+  "end.viewAllWinners":         "View all winners",
+  "end.fail.notEnoughPlayers":  "Not enough players",
+  "end.fail.noRounds":          "No rounds played",
+  "card.joinFrom":              "Join from:",
+  "card.joinUntil":             "Join until:",
+  "card.startAt":               "Start at:",
+  "card.startsIn":              "Starts in:",
+  "card.endsIn":                "Ends in:",
+  "card.duration":              "Duration:",
+  "card.round":                 "Round {round}/{total}",
+  "card.fee":                   "Mission Fee:",
+  "card.players":               "Players",
+  "txs.connect":                "Connect your wallet to see your transactions.",
+  "txs.emptyWallet":            "No transactions for this wallet.",
+  "notify.on":                  "Notifications on",
+  "notify.off":                 "Notify me",
+  "notify.onTitle":             "You get OS notifications for this mission. Click to turn them off.",
+  "notify.offTitle":            "Get OS notifications: enrollment closing, mission active, cooldown ended, mission ended.",
+  "notify.turningOff":          "Turning off",
+  "notify.subscribing":         "Subscribing",
+  "detail.enter":               "Enter Mission",
+  "detail.typeChip":            "Type: {type}",
+  "detail.roundChip":           "Round: {round}/{total}",
+  "detail.playersChip":         "Players: {line}",
+  "detail.playersLine":         "Minimum {min} | Joined {joined} | Maximum {max}",
+  "detail.address":             "Mission address",
+  "detail.type":                "Mission type",
+  "detail.status":              "Mission status",
+  "detail.roundsPlayed":        "Rounds played",
+  "detail.fee":                 "Mission Fee",
+  "detail.pool":                "Prize pool",
+  "detail.enrollStart":         "Enrollment Start",
+  "detail.enrollEnd":           "Enrollment End",
+  "detail.missionStart":        "Mission Start",
+  "detail.missionEnd":          "Mission End",
+  "detail.updatedAt":           "Data updated at",
+  "detail.stale":               "Data may be stale",
+  "detail.players":             "Players",
+  "detail.winner":              "Winner",
+  "wallet.disconnectConfirm":   "Disconnect current wallet?",
+
+  // leaderboard.js
+  "lb.window.week":             "This week",
+  "lb.window.month":            "This month",
+  "lb.window.all":              "All-time",
+  "lb.windowLabel":             "Time window",
+  "lb.typeLabel":               "Mission type",
+  "lb.allTypes":                "All mission types",
+  "lb.openPlayer":              "Open player profile",
+  "lb.openMission":             "Open mission",
+  "lb.topPayout":               "Top total payout",
+  "lb.mostRounds":              "Most rounds banked",
+  "lb.bestBank":                "Best single bank",
+  "lb.bestRoi":                 "Best ROI",
+  "lb.player":                  "Player",
+  "lb.totalWon":                "Total won",
+  "lb.rounds":                  "Rounds",
+  "lb.payout":                  "Payout",
+  "lb.mission":                 "Mission",
+  "lb.date":                    "Date",
+  "lb.roi":                     "ROI",
+  "lb.wonFees":                 "Won / Fees",
+  "lb.missions":                "Missions",
+  "lb.empty":                   "No entries for these filters.",
+  "lb.roiNote":                 { one: "At least {count} paid enrollment in the window.", other: "At least {count} paid enrollments in the window." },
+  "lb.updated":                 "Updated {at}",
+  "lb.failed":                  "Could not load the leaderboard.",
+
+  // txHistory.js
+  "txh.type.Created":           "Mission created",
+  "txh.type.Enrolled":          "Enrollment",
+  "txh.type.Banked":            "Round call",
+  "txh.type.PotIncreased":      "Pot increase",
+  "txh.type.Refunded":          "Refund",
+  "txh.type.Finalized":         "Finalized",
+  "txh.filterType":             "Filter by type",
+  "txh.allTypes":               "All types",
+  "txh.fromDate":               "From date",
+  "txh.toDate":                 "To date",
+  "txh.type":                   "Type",
+  "txh.date":                   "Date",
+  "txh.mission":                "Mission",
+  "txh.player":                 "Player",
+  "txh.tx":                     "Tx",
+  "txh.newer":                  "Newer",
+  "txh.older":                  "Older",
+  "txh.pending":                "Pending",
+  "txh.block":                  "Block {block}",
+  "txh.openMission":            "Open mission",
+  "txh.emptyDefault":           "No transactions indexed.",
+  "txh.noMatch":                "No transactions match the filters.",
+  "txh.page":                   "Page {page} of {pages}",
+  "txh.failed":                 "Could not load transactions.",
+
+  // playerProfile.js
+  "profile.player":             "Player",
+  "profile.joined":             "Missions joined",
+  "profile.wins":               "Rounds won",
+  "profile.winRate":            "Win rate",
+  "profile.croWon":             "{symbol} won",
+  "profile.fees":               "Fees paid",
+  "profile.refunds":            "Refunds",
+  "profile.net":                "Net P&amp;L",
+  "profile.lastEnrollment":     "Last enrollment",
+  "profile.canEnroll":          "Can enroll now",
+  "profile.weekly":             "Weekly limit",
+  "profile.monthly":            "Monthly limit",
+  "profile.yes":                "Yes",
+  "profile.no":                 "No",
+  "profile.nextSlot":           "next slot in {left}",
+  "profile.byType":             "By mission type",
+  "profile.type":               "Type",
+  "profile.typeJoined":         "Joined",
+  "profile.typeWon":            "Won",
+  "profile.typeNet":            "Net",
+  "profile.noMissions":         "No missions joined yet.",
+  "profile.connect":            "Connect your wallet to see your profile.",
+  "profile.loading":            "Loading profile…",
+  "profile.failed":             "Could not load this player's missions.",
+
+  // bankSim.js
+  "sim.title":                  "Bank timing",
+  "sim.close":                  "Close",
+  "sim.waitLabel":              "Wait before banking",
+  "sim.wait":                   "Wait {time}",
+  "sim.earliest":               "Earliest bank per remaining round:",
+  "sim.noRounds":               "No rounds left to bank.",
+  "sim.roundPill":              "≈ {amount} if banked then",
+  "sim.chartLabel":             "Projected payout over the remaining mission time",
+  "sim.breakEven":              "Break-even at {at}",
+  "sim.roundMark":              "Round {round}: earliest {at} · ≈ {amount}",
+  "sim.fee":                    "Fee {amount}",
+  "sim.share":                  "Fair share {amount}",
+  "sim.cooldownUntil":          "(cooldown until {at})",
+  "sim.endsBefore":             "The mission ends before then.",
+  "sim.readoutAbove":           "Bank at <b>{at}</b>: ≈ {amount} · above the {fee} fee · {pct}% of fair share",
+  "sim.readoutBelow":           "Bank at <b>{at}</b>: ≈ {amount} · below the {fee} fee · {pct}% of fair share",
+
+  // push.js
+  "push.unavailable":           "Notifications are not available right now.",
+  "push.unsupported":           "This browser does not support notifications.",
+  "push.blocked":               "Notifications are blocked for this site.",
+
+  // game.html / home.html
+  "page.subtitle":              "THE ULTIMATE COMPETITIVE BLOCKCHAIN GAME",
+  "ui.refresh":                 "Refresh",
+  "ui.reload":                  "Reload",
+  "ui.filter":                  "Filter",
+  "ui.reset":                   "Reset",
+  "ui.apply":                   "Apply",
+  "ui.close":                   "Close",
+  "ui.cancel":                  "Cancel",
+  "ui.yes":                     "Yes",
+  "ui.ok":                      "OK",
+  "nav.home":                   "Home",
+  "nav.all":                    "All Missions",
+  "nav.joinable":               "Joinable Missions",
+  "nav.my":                     "My Missions",
+  "nav.leaderboard":            "Leaderboard",
+  "filter.title":               "Filter statuses",
+  "list.allEmpty":              "No missions found.",
+  "list.joinableEmpty":         "No joinable missions.",
+  "list.myEmpty":               "No missions for this wallet",
+  "txs.title":                  "My transactions",
+  "profile.title":              "Player Profile",
+  "profile.mine":               "My profile",
+  "profile.missions":           "Missions",
+  "detail.noEnrollments":       "No enrollments indexed.",
+  "detail.transactions":        "Transactions",
+  "wallet.modalTitle":          "Connect a wallet",
+  "sim.toggle":                 "Bank timing: what if I wait?",
+  "stage.alt":                  "Gameplay stage",
+
+  // home.html
+  "home.heroAlt":               "B6 Vault",
+  "home.title":                 "Welcome to Be Brave Be Bold Be Banked!",
+  "home.intro":                 "Compete in time-boxed blockchain missions where every second counts. Enroll with CRO, race through rounds and bank at the perfect moment to claim your share. Fair, transparent, and on-chain — no gimmicks. Outsmart opponents, manage cooldowns and win real rewards. Ready to play bold & be banked?",
+  "home.nextStart":             "NEXT MISSION STARTS IN",
+  "home.statMissions":          "Missions",
+  "home.statJoinable":          "Joinable",
+  "home.factory":               "Mission Factory",
+  "home.source":                "Source Mission",
+  "home.clones":                "Clones",
+  "home.clonesNote":            "Every mission is a clone of the source mission.",
+  "home.enter":                 "Enter B6",
+  "home.maintenance":           "New missions next weekend!",
+  "home.tutorial":              "Tutorial",
+  "home.faq":                   "Faq",
+  "home.privacyTerms":          "Privacy Policy & Terms and Conditions",
+  "home.tut.title":             "How B6 Works",
+  "home.tut.intro":             "Introduction",
+  "home.tut.steps":             "Step by step",
+  "home.pt.title":              "Privacy & Terms",
+  "home.pt.privacy":            "Privacy Policy",
+  "home.pt.terms":              "Terms & Conditions",
+  "home.tut.intro1":            "<strong>Welcome to B6.</strong> Missions are short, on-chain games where timing and nerve decide who wins. You join with CRO, then try to bank at the right moment to claim a share of the pool.",
+  "home.tut.intro2":            "<strong>Bring a wallet.</strong> Use a Cronos-compatible wallet and a little CRO for gas and entry. You stay in full control—smart contracts handle funds and results transparently.",
+  "home.tut.intro3":            "<strong>Beat the clock.</strong> Enroll before the countdown ends. When a mission starts, rounds play out fast. Watch the timer and bank during a window to lock your payout. After banking, a short cooldown applies.",
+  "home.tut.intro4":            "<strong>Win with judgment.</strong> This isn’t random—read the flow, track the pot, anticipate others, and act with confidence. Every action is recorded on-chain, so victories are provable and fair.",
+  "home.tut.step1":             "<strong>Connect & Fund.</strong> Use a Cronos-compatible wallet with a little CRO for gas and the entry fee.",
+  "home.tut.step2":             "<strong>Pick a mission.</strong> Join during the enrollment window; each mission shows fee, duration, rounds, and player limits.",
+  "home.tut.step3":             "<strong>Mission starts.</strong> When the timer hits zero, the game enters 'Mission Time'—this is when round payouts can be claimed.",
+  "home.tut.step4":             "<strong>Bank a round.</strong> Press <em>Bank</em> at the right moment, before another player does, to claim that round’s share of the CRO pool.",
+  "home.tut.step5":             "<strong>Cooldown.</strong> After each win there’s a brief pause; watch the countdown and be ready for the next window.",
+  "home.tut.step6":             "<strong>Finish.</strong> The mission ends when its scheduled end time is reached or all rounds are completed. Results and payouts are recorded on-chain for everyone to see.",
+  "home.faq.q1":                "What is B6?",
+  "home.faq.q2":                "What do I need to start?",
+  "home.faq.q3":                "Is it fair and transparent?",
+  "home.faq.q4":                "What about fees & rewards?",
+  "home.faq.q5":                "What if there is left over CRO?",
+  "home.faq.q6":                "How can I contact B6?",
+  "home.faq.q7":                "Which network and token does B6 use?",
+  "home.faq.q8":                "What happens if I refresh or disconnect during a mission?",
+  "home.faq.q9":                "What if the minimum players isn’t reached?",
+  "home.faq.q10":               "What if the mission ends with rounds left unclaimed?",
+  "home.faq.q11":               "Where can I verify contracts and transactions?",
+  "home.faq.q12":               "How are fees and rewards handled?",
+  "home.faq.q13":               "Why did my transaction fail or stay pending?",
+  "home.faq.q14":               "Is B6 custodial?",
+  "home.faq.q15":               "Can I join multiple missions?",
+  "home.faq.q16":               "How do I report a bug or get help?",
+  "home.faq.a1":                "B6 is a competitive game of timed missions. Join with CRO, play through rounds, and press <em>Bank</em> at the right moment to claim your share of the prize pool—fully on-chain.",
+  "home.faq.a2":                "A Cronos-compatible wallet (e.g., Crypto.com DeFi Wallet) and a small amount of CRO for gas plus the mission entry fee.",
+  "home.faq.a3":                "Yes—logic and payouts are in smart contracts. Addresses for the Factory and Mission implementation are shown on the homepage for verification.",
+  "home.faq.a4":                "Each mission lists its entry fee. Winners receive CRO directly to their wallets when they bank a round..",
+  "home.faq.a5":                "75% of the leftover CRO flows back to the Mission Factory contract to fuel new missions. 25% is for the team.",
+  "home.faq.a6":                "You can contact B6 on X via the handle @B6_Game.",
+  "home.faq.a7":                "B6 runs on the Cronos network and uses CRO for entry fees, gas, and rewards. You’ll need a Cronos-compatible wallet.",
+  "home.faq.a8":                "All state lives on-chain. You can reconnect and continue—timers and results remain accurate and verifiable.",
+  "home.faq.a9":                "The mission fails and refunds are issued on-chain. The dApp's server can trigger the refund call automatically once failure is detected.",
+  "home.faq.a10":               "The mission is finalized based on the rules. Unclaimed rounds don’t pay out after the end; finalized results are immutable on-chain.",
+  "home.faq.a11":               "Factory and Mission implementation addresses are shown on the homepage. Use a Cronos block explorer to inspect mission and player transactions.",
+  "home.faq.a12":               "Each mission displays its entry fee. Gas is paid to the network. Rewards are distributed by the contract when you bank a round or when the mission settles.",
+  "home.faq.a13":               "Network congestion, low gas, or a race condition can cause this. Check your wallet, then resubmit with a higher gas setting or try again after a moment.",
+  "home.faq.a14":               "No. You control your wallet and keys at all times. Contracts move funds according to the rules; results are transparent and permanent.",
+  "home.faq.a15":               "Yes, as long as you have enough CRO for entry and gas. Cooldowns apply. You can join maximum 4 missions a week or 10 a month.",
+  "home.faq.a16":               "Use the official contact/support links shown in the dApp. Include your wallet address and the mission address or transaction hash for faster support.",
+  "home.pt.p1":                 "<strong>No cookies.</strong> We do not set cookies or use third-party trackers in the dApp.",
+  "home.pt.p2":                 "<strong>On-chain transparency.</strong> All mission transactions—including Enroll, Bank, and any refunds—are recorded immutably on the Cronos blockchain. On-chain records cannot be altered or deleted.",
+  "home.pt.p3":                 "<strong>Server-side data.</strong> To operate the service (e.g., mission discovery, live updates, abuse prevention), we may store your <em>wallet address</em> and mission metadata in our backend database. We do not sell your data.",
+  "home.pt.p4":                 "<strong>In-app visibility.</strong> Wallet addresses that interact with missions may be shown in the interface (e.g., winners, participants) for transparency during and shortly after a mission.",
+  "home.pt.p5":                 "<strong>Data retention.</strong> Server-side records are kept only as long as needed for operations, security, and legal compliance. On-chain data is permanent and cannot be removed.",
+  "home.pt.p6":                 "<strong>Security.</strong> We apply reasonable technical and organizational safeguards. You are responsible for securing your wallet and private keys.",
+  "home.pt.p7":                 "<strong>Contact.</strong> For privacy requests related to server-side records, contact us through the official channels provided in the faq on this dApp.",
+  "home.pt.t1":                 "<strong>Acceptance.</strong> By using the dApp you agree to these Terms.",
+  "home.pt.t2":                 "<strong>Eligibility.</strong> You must be legally allowed to use blockchain apps in your jurisdiction and be of legal age.",
+  "home.pt.t3":                 "<strong>Non-custodial.</strong> You control your wallet. Transactions are executed by smart contracts; they may be irreversible.",
+  "home.pt.t4":                 "<strong>Fees & rewards.</strong> Missions disclose entry fees. Gas fees apply. Payouts are determined by the contract’s rules and are sent on-chain.",
+  "home.pt.t5":                 "<strong>Risk.</strong> Token values can be volatile. Smart contracts and networks may fail or be exploited. You assume all risks.",
+  "home.pt.t6":                 "<strong>Fair play.</strong> No bots, exploits, or attempts to disrupt missions or other players.",
+  "home.pt.t7":                 "<strong>Availability & changes.</strong> We may modify, pause, or end features or missions at any time.",
+  "home.pt.t8":                 "<strong>No warranty.</strong> The dApp is provided “as is” without warranties of any kind.",
+  "home.pt.t9":                 "<strong>Liability.</strong> To the maximum extent permitted by law, we are not liable for indirect, incidental, or consequential losses.",
+  "home.pt.t10":                "<strong>Updates to Terms.</strong> We may update these Terms; continued use after changes means you accept the updated Terms.",
+
+  // Stage accessibility (stageA11y.js)
+  "a11y.join":                  "Join mission",
+  "a11y.bankIt":                "Bank it",
+  "a11y.textView":              "Text view of the stage",
+  "a11y.statusChanged":         "Mission status: {status}",
+  "a11y.youWon":                "You won round {round}: {amount}",
+  "a11y.roundWon":              "{player} won round {round}: {amount}",
+  "a11y.cooldownUntil":         "Cooldown until",
+  "a11y.lastRound":             "Last round",
+  "a11y.lastRoundLine":         "{player} banked {amount}",
+
+  // Multi-mission dashboard (dashboard.js)
+  "dash.title":                 "My live missions",
+  "dash.pool":                  "Pool {cro}",
+  "dash.bankNow":               "Bank now {cro}",
+  "dash.cooldown":              "Cooldown {time}",
+  "dash.startsIn":              "Starts in {time}",
+  "dash.won":                   "You won a round",
+
+  // Direct chain mode badge (api.js fallback)
+  "chainMode.badge":            "Direct chain mode",
+  "chainMode.title":            "The mission server is unavailable; missions are read directly from the blockchain.",
+};
@@ -0,0 +1,508 @@
+/**********************************************************************
+ locales/nl.js – Dutch catalog (Nederlands)
+  - Same keys as locales/en.js; a missing key falls back to English.
+  - Keep "{placeholders}" and markup exactly as in en.js.
+**********************************************************************/
+
+export default {
+  // Switcher
+  "lang.switch":                "Taal: {name}",
+
+  // core.js
+  "alert.info":                 "Info",
+  "alert.success":              "Gelukt",
+  "alert.warning":              "Let op",
+  "alert.error":                "Fout",
+  "confirm.failed":             "Er ging iets mis bij het bevestigen.",
+  "copy.done":                  "Adres gekopieerd ✓",
+  "copy.failed":                "Kopiëren mislukt",
+  "link.newTab":                "Openen in nieuw tabblad",
+  "link.explorer":              "Openen in {name} Explorer",
+
+  "unit.mo":                    "mnd",
+  "unit.w":                     "w",
+  "unit.d":                     "d",
+  "unit.h":                     "u",
+  "unit.m":                     "m",
+  "unit.s":                     "s",
+  "unit.minutes":               { one: "{count} minuut", other: "{count} minuten" },
+  "unit.seconds":               { one: "{count} seconde", other: "{count} seconden" },
+
+  "status.0":                   "In afwachting",
+  "status.1":                   "Inschrijving open",
+  "status.2":                   "Wordt gestart",
+  "status.3":                   "Actief",
+  "status.4":                   "Gepauzeerd",
+  "status.5":                   "Deels geslaagd",
+  "status.6":                   "Geslaagd",
+  "status.7":                   "Mislukt",
+  "status.unknown":             "Onbekend({code})",
+
+  "missionType.0":              "Aangepast",
+  "missionType.1":              "Per uur",
+  "missionType.2":              "Per kwartdag",
+  "missionType.3":              "Tweedaags",
+  "missionType.4":              "Dagelijks",
+  "missionType.5":              "Wekelijks",
+  "missionType.6":              "Maandelijks",
+  "missionType.7":              "Alleen op uitnodiging",
+  "missionType.8":              "Gebruikersmissie",
+
+  // errors.js – custom errors
+  "err.EnrollmentNotStarted":   "De inschrijving is nog niet begonnen (nog {left}).",
+  "err.EnrollmentClosed":       "De inschrijving is gesloten (sinds {since}).",
+  "err.MaxPlayers":             "Maximaal aantal spelers bereikt ({max}).",
+  "err.WrongEntryFee":          "Onjuiste inleg. Verwacht {expected}, verstuurd {sent}.",
+  "err.AlreadyJoined":          "Je doet al mee aan deze missie.",
+  "err.WeeklyLimit":            "Weeklimiet bereikt. Probeer het over {left} opnieuw.",
+  "err.MonthlyLimit":           "Maandlimiet bereikt. Probeer het over {left} opnieuw.",
+  "err.Cooldown":               "Afkoelperiode actief. Probeer het over {left} opnieuw.",
+  "err.NotActive":              "De missie is nog niet actief (start over {left}).",
+  "err.MissionEnded":           "De missie is al afgelopen.",
+  "err.AlreadyWon":             "Je hebt al een eerdere ronde gewonnen.",
+  "err.NotJoined":              "Je doet niet mee aan deze missie.",
+  "err.AllRoundsDone":          "Alle rondes zijn gespeeld.",
+  "err.PayoutFailed":           "Uitbetaling mislukt ({amount} aan {winner}).",
+  "err.ContractsNotAllowed":    "Contracten mogen niet meedoen aan deze missie.",
+  "err.InsufficientBalance":    "Saldo van de factory te laag: {balance} beschikbaar, {needed} nodig.",
+  "err.FailedDeployment":       "Het aanmaken van de missiekloon is mislukt.",
+  "err.OwnableUnauthorizedAccount": "{account} is niet de eigenaar van dit contract.",
+  "err.OwnableInvalidOwner":    "Ongeldig eigenaarsadres ({owner}).",
+  "err.ReentrancyGuardReentrantCall": "Er loopt nog een andere aanroep naar dit contract.",
+  "err.unknown":                "Contractfout: {name}",
+  "err.walletRejected":         "Transactie geannuleerd in de wallet.",
+
+  // errors.js – require() reasons
+  "revert.enrollOrder":         "Het begin van de inschrijving moet vóór het einde liggen.",
+  "revert.startAfterEnroll":    "De missie moet na het einde van de inschrijving starten.",
+  "revert.missionOrder":        "Het begin van de missie moet vóór het einde liggen.",
+  "revert.nameRequired":        "Een missienaam is verplicht.",
+  "revert.roundPause":          "De pauze tussen rondes moet minstens 60 seconden zijn.",
+  "revert.lastRoundPause":      "De pauze voor de laatste ronde moet minstens 60 seconden zijn.",
+  "revert.minRounds":           "Een missie heeft minstens 1 ronde nodig.",
+  "revert.userMinRounds":       "Gebruikersmissies hebben minstens 2 rondes nodig.",
+  "revert.roundsVsPlayers":     "Het aantal rondes mag hoogstens het minimum aantal spelers − 1 zijn.",
+  "revert.userMinPlayers":      "Gebruikersmissies hebben een minimum van minstens 3 spelers nodig.",
+  "revert.minPlayersVsRounds":  "Het minimum aantal spelers moet minstens gelijk zijn aan het aantal rondes.",
+  "revert.userMaxPlayers":      "Gebruikersmissies staan hoogstens 25 spelers toe.",
+  "revert.maxPlayers":          "Een missie staat hoogstens 100 spelers toe.",
+  "revert.maxVsMinPlayers":     "Het maximum aantal spelers moet minstens het minimum zijn.",
+  "revert.feeRequired":         "De inleg moet groter zijn dan 0.",
+  "revert.pinRequired":         "Missies op uitnodiging hebben een wachtwoordzin nodig.",
+  "revert.creatorRequired":     "Gebruikersmissies hebben een adres van de maker nodig.",
+  "revert.creatorCooldown":     "Deze maker heeft de afgelopen 24 uur al een gebruikersmissie gestart.",
+  "revert.notAuthorizedCaller": "Deze wallet is niet de eigenaar of een gemachtigd adres.",
+  "revert.noOwner":             "Er is geen eigenaar ingesteld op de factory.",
+  "revert.addressRequired":     "Voer een geldig adres in.",
+  "revert.alreadyAuthorized":   "Dit adres is al gemachtigd.",
+  "revert.notAuthorized":       "Dit adres is niet gemachtigd.",
+  "revert.ownProposal":         "Je kunt je eigen eigendomsvoorstel niet bevestigen.",
+  "revert.proposalExpired":     "Het eigendomsvoorstel is verlopen.",
+  "revert.noImplementation":    "Het implementatieadres van de missie ontbreekt.",
+  "revert.invalidMission":      "Ongeldig missieadres.",
+  "revert.invalidAddress":      "Ongeldig adres.",
+  "revert.noFunds":             "Er is geen saldo om op te nemen.",
+  "revert.overBalance":         "Het bedrag is hoger dan het saldo van de factory.",
+  "revert.ownerTransfer":       "Overboeking naar de eigenaar mislukt.",
+  "revert.ownerPayout":         "Uitbetaling aan de eigenaar mislukt.",
+  "revert.creatorPayout":       "Uitbetaling aan de maker mislukt.",
+  "revert.noValue":             "Stuur een bedrag groter dan 0.",
+  "revert.fundNotAllowed":      "Alleen de factory of een gemachtigd adres kan de pot aanvullen.",
+  "revert.fundTooLate":         "De pot kan alleen worden verhoogd voordat de missie actief is.",
+  "revert.initialized":         "Deze missie is al geïnitialiseerd.",
+  "revert.startChecked":        "De startvoorwaarde is al gecontroleerd.",
+  "revert.armingWindow":        "De missie is buiten haar startvenster; betaal de spelers terug.",
+  "revert.noRefunds":           "Er zijn geen spelers om terug te betalen.",
+  "revert.notFailed":           "De missie is niet mislukt.",
+  "revert.noWinner":            "De missie is niet met een winnaar geëindigd.",
+  "revert.notEnrolled":         "Deze speler is niet ingeschreven.",
+  "revert.noPayout":            "Er valt voor deze ronde nog niets uit te betalen.",
+  "revert.progressRegression":  "De uitbetalingsvoortgang ging achteruit; probeer het opnieuw.",
+  "revert.notInviteOnly":       "Deze missie is niet alleen op uitnodiging.",
+  "revert.inviteOnly":          "Deze missie is alleen op uitnodiging; een wachtwoordzin is verplicht.",
+  "revert.wrongSecret":         "Die wachtwoordzin klopt niet voor deze missie. Controleer hem bij de organisator en probeer het opnieuw.",
+
+  // txManager.js / preflight.js
+  "tx.default":                 "Transactie",
+  "tx.dismiss":                 "Sluiten",
+  "tx.state.submitted":         "Verstuurd – wacht op verwerking…",
+  "tx.state.mined":             "Verwerkt – wacht op bevestigingen…",
+  "tx.state.confirmed":         "Bevestigd",
+  "tx.state.reverted":          "Teruggedraaid",
+  "tx.state.cancelled":         "Geannuleerd in de wallet",
+  "tx.state.dropped":           "Niet gevonden op de chain",
+  "tx.spedUp":                  " (versneld)",
+  "tx.fee":                     "≈ {cro} {symbol} netwerkkosten",
+
+  // walletConnect.js
+  "wallet.connect":             "Wallet koppelen",
+  "wallet.connecting":          "Koppelen",
+  "wallet.connectFailed":       "Koppelen van de wallet mislukt.<br>Probeer het opnieuw.",
+  "wallet.browser":             "Browserwallet",
+  "wallet.qrHint":              "QR-code / mobiele wallet",
+  "wallet.none":                "Geen wallet gevonden. Installeer een browserwallet zoals MetaMask of Crypto.com DeFi Wallet.",
+  "wallet.wrongNetwork":        "Je wallet staat op het verkeerde netwerk.<br>Schakel eerst over naar <b>{name}</b> (knop in de balk bovenaan).",
+  "wallet.switchFailed":        "Overschakelen naar {name} lukte niet.<br>Wijzig het netwerk in je wallet.",
+  "wallet.banner":              "Je wallet staat op chain {chain}; B6 draait op {name} (chain {chainId}). Transacties zijn geblokkeerd.",
+  "wallet.switchTo":            "Overschakelen naar {name}",
+
+  // game.js
+  "game.cooldown":              "Afkoelen",
+  "game.cooldownFor":           "Afkoelen {time}",
+  "game.hubFailed":             "Het realtime kanaal kon geen verbinding maken.",
+  "badge.cancelled":            "Geannuleerd",
+  "badge.cancelledTitle":       "Geen inschrijvingen; het spel is niet gespeeld.",
+  "badge.refundPending":        "Terugbetaling bezig",
+  "badge.refundPendingTitle":   "Sommige terugbetalingen worden nog opnieuw geprobeerd.",
+  "badge.refunded":             "Terugbetaald",
+  "badge.refundedTitle":        "Alle inschrijvingen zijn terugbetaald.",
+  "prize.bankable":             "Bank deze ronde en ontvang:",
+  "prize.pool":                 "Prijzenpot huidige ronde:",
+  "prize.accumulating":         "Loopt op:",
+  "round.won":                  "{player} won <b>{amount}</b> in ronde {round}",
+  "bank.congrats":              "Gefeliciteerd! Je hebt {amount} gebankt in ronde {round}!",
+  "load.allFailed":             "Laden van Alle missies mislukt.",
+  "load.myConnect":             "Koppel je wallet om je missies te laden.",
+  "load.myFailed":              "Laden van Mijn missies mislukt.",
+  "load.myCouldnt":             "Je missies konden niet worden geladen.",
+  "load.detailFailed":          "Laden van de missiegegevens mislukt.",
+  "load.invalidPlayer":         "Ongeldig spelersadres.",
+  "load.allTimeout":            "Laden van Alle missies duurde te lang. Probeer het opnieuw.",
+  "load.myTimeout":             "Laden van Mijn missies duurde te lang. Probeer het opnieuw.",
+  "load.allTimeoutRefresh":     "Laden van Alle missies duurde te lang. Tik op Vernieuwen om het opnieuw te proberen.",
+  "load.reloadFailed":          "Herladen mislukt. Controleer je verbinding.",
+  "load.notFound":              "Missie niet gevonden.",
+  "stale.banner":               "Offline – verouderd sinds {since} · alleen-lezen",
+  "pill.type":                  "Missietype",
+  "pill.joinFrom":              "Meedoen vanaf",
+  "pill.joinUntil":             "Meedoen tot",
+  "pill.startAt":               "Start om",
+  "pill.duration":              "Duur",
+  "pill.fee":                   "Inleg",
+  "pill.poolStart":             "Pot (start)",
+  "pill.poolCurrent":           "Pot (nu)",
+  "pill.playersCap":            "Max. spelers",
+  "pill.players":               "Spelers",
+  "pill.rounds":                "Rondes",
+  "pill.round":                 "Ronde",
+  "pill.roundsBanked":          "Rondes gebankt",
+  "pill.closesIn":              "Sluit over",
+  "pill.startsIn":              "Start over",
+  "pill.endsIn":                "Eindigt over",
+  "pill.min":                   "Min",
+  "pill.max":                   "Max",
+  "wallet.connectFirst":        "Koppel eerst je wallet.",
+  "join.joining":               "Meedoen…",
+  "join.passPrompt":            "Dit is een missie op uitnodiging. Voer de geheime wachtwoordzin in die je van de organisator hebt gekregen:",
+  "join.passPlaceholder":       "Wachtwoordzin",
+  "join.canceled":              "Meedoen geannuleerd.",
+  "join.checkingPass":          "Wachtwoordzin controleren…",
+  "join.checking":              "Controleren…",
+  "join.txLabel":               "Meedoen aan {name}",
+  "join.failed":                "Meedoen mislukt: {reason}",
+  "bank.called":                "Ronde geclaimd. Wachten op de uitslag…",
+  "bank.txLabel":               "Banken in {name}",
+  "bank.canceled":              "Banken geannuleerd.",
+  "bank.failed":                "Banken mislukt: {reason}",
+  "cta.checkingEligibility":    "Deelname controleren…",
+  "cta.connectToJoin":          "Koppel je wallet om mee te doen",
+  "cta.switchToJoin":           "Wissel het netwerk van je wallet om mee te doen",
+  "cta.enrollmentClosed":       "Inschrijving gesloten",
+  "cta.alreadyJoined":          "Je doet al mee aan deze missie",
+  "cta.noSpots":                "Geen plekken meer vrij in deze missie",
+  "cta.notEligible":            "Je kunt nu niet meedoen",
+  "cta.inviteOnly":             "Alleen op uitnodiging · wachtwoordzin vereist",
+  "cta.connectToBank":          "Koppel je wallet om te banken",
+  "cta.switchToBank":           "Wissel het netwerk van je wallet om te banken",
+  "cta.notJoined":              "Je doet niet mee aan deze missie",
+  "cta.viewOnly":               "Alleen kijken. Je hebt al een ronde gewonnen",
+  "end.allBanked":              "Alle rondes zijn gebankt.",
+  "end.timerRanOut":            "De missietijd is verstreken.",
+  "end.timeEnded":              "Missietijd voorbij.",
+  "end.wonRound":               "🎉 Gefeliciteerd!<br/>Je won ronde {round} en ontving <b>{amount}</b>.<br/><small>{reason}</small>",
+  "end.wonAny":                 "🎉 Gefeliciteerd!<br/>Je hebt een ronde gewonnen!<br/><small>{reason}</small>",
+  "end.lostAllBanked":          "🏁 Missie voltooid.<br/>Alle rondes zijn gebankt en deze keer zat er geen ronde voor jou bij.<br/><small>Volgende missie beter!</small>",
+  "end.lostTimeUp":             "⏱️ Missie voltooid.<br/>De tijd is op en deze keer heb je geen ronde gebankt.<br/><small>Volgende missie beter!</small>",
+  "end.spectatorAllBanked":     "🏁 Missie afgelopen: alle rondes zijn gebankt.",
+  "end.spectatorTimeUp":        "⏱️ Missie afgelopen: de missietijd is verstreken.",
+  "end.failed":                 "MISLUKT",
+  "end.refundSoon":             "Alle spelers worden binnenkort terugbetaald.",
+  "end.topWinners":             "Missie afgelopen — Topwinnaars",
+  "end.viewAllWinners":         "Alle winnaars bekijken",
+  "end.fail.notEnoughPlayers":  "Te weinig spelers",
+  "end.fail.noRounds":          "Geen rondes gespeeld",
+  "card.joinFrom":              "Meedoen vanaf:",
+  "card.joinUntil":             "Meedoen tot:",
+  "card.startAt":               "Start om:",
+  "card.startsIn":              "Start over:",
+  "card.endsIn":                "Eindigt over:",
+  "card.duration":              "Duur:",
+  "card.round":                 "Ronde {round}/{total}",
+  "card.fee":                   "Inleg:",
+  "card.players":               "Spelers",
+  "txs.connect":                "Koppel je wallet om je transacties te zien.",
+  "txs.emptyWallet":            "Geen transacties voor deze wallet.",
+  "notify.on":                  "Meldingen aan",
+  "notify.off":                 "Meld het mij",
+  "notify.onTitle":             "Je krijgt systeemmeldingen voor deze missie. Klik om ze uit te zetten.",
+  "notify.offTitle":            "Systeemmeldingen ontvangen: inschrijving sluit, missie actief, afkoelen voorbij, missie afgelopen.",
+  "notify.turningOff":          "Uitzetten",
+  "notify.subscribing":         "Aanmelden",
+  "detail.enter":               "Missie betreden",
+  "detail.typeChip":            "Type: {type}",
+  "detail.roundChip":           "Ronde: {round}/{total}",
+  "detail.playersChip":         "Spelers: {line}",
+  "detail.playersLine":         "Minimum {min} | Ingeschreven {joined} | Maximum {max}",
+  "detail.address":             "Missieadres",
+  "detail.type":                "Missietype",
+  "detail.status":              "Missiestatus",
+  "detail.roundsPlayed":        "Rondes gespeeld",
+  "detail.fee":                 "Inleg",
+  "detail.pool":                "Prijzenpot",
+  "detail.enrollStart":         "Begin inschrijving",
+  "detail.enrollEnd":           "Einde inschrijving",
+  "detail.missionStart":        "Begin missie",
+  "detail.missionEnd":          "Einde missie",
+  "detail.updatedAt":           "Gegevens bijgewerkt om",
+  "detail.stale":               "Gegevens zijn mogelijk verouderd",
+  "detail.players":             "Spelers",
+  "detail.winner":              "Winnaar",
+  "wallet.disconnectConfirm":   "Huidige wallet ontkoppelen?",
+
+  // leaderboard.js
+  "lb.window.week":             "Deze week",
+  "lb.window.month":            "Deze maand",
+  "lb.window.all":              "Altijd",
+  "lb.windowLabel":             "Periode",
+  "lb.typeLabel":               "Missietype",
+  "lb.allTypes":                "Alle missietypes",
+  "lb.openPlayer":              "Spelersprofiel openen",
+  "lb.openMission":             "Missie openen",
+  "lb.topPayout":               "Hoogste totale uitbetaling",
+  "lb.mostRounds":              "Meeste rondes gebankt",
+  "lb.bestBank":                "Beste enkele bank",
+  "lb.bestRoi":                 "Beste rendement",
+  "lb.player":                  "Speler",
+  "lb.totalWon":                "Totaal gewonnen",
+  "lb.rounds":                  "Rondes",
+  "lb.payout":                  "Uitbetaling",
+  "lb.mission":                 "Missie",
+  "lb.date":                    "Datum",
+  "lb.roi":                     "Rendement",
+  "lb.wonFees":                 "Gewonnen / Inleg",
+  "lb.missions":                "Missies",
+  "lb.empty":                   "Geen resultaten voor deze filters.",
+  "lb.roiNote":                 { one: "Minstens {count} betaalde inschrijving in de periode.", other: "Minstens {count} betaalde inschrijvingen in de periode." },
+  "lb.updated":                 "Bijgewerkt {at}",
+  "lb.failed":                  "Het klassement kon niet worden geladen.",
+
+  // txHistory.js
+  "txh.type.Created":           "Missie aangemaakt",
+  "txh.type.Enrolled":          "Inschrijving",
+  "txh.type.Banked":            "Ronde geclaimd",
+  "txh.type.PotIncreased":      "Pot verhoogd",
+  "txh.type.Refunded":          "Terugbetaling",
+  "txh.type.Finalized":         "Afgerond",
+  "txh.filterType":             "Filteren op type",
+  "txh.allTypes":               "Alle types",
+  "txh.fromDate":               "Vanaf datum",
+  "txh.toDate":                 "Tot datum",
+  "txh.type":                   "Type",
+  "txh.date":                   "Datum",
+  "txh.mission":                "Missie",
+  "txh.player":                 "Speler",
+  "txh.tx":                     "Tx",
+  "txh.newer":                  "Nieuwer",
+  "txh.older":                  "Ouder",
+  "txh.pending":                "In behandeling",
+  "txh.block":                  "Blok {block}",
+  "txh.openMission":            "Missie openen",
+  "txh.emptyDefault":           "Geen transacties geïndexeerd.",
+  "txh.noMatch":                "Geen transacties die aan de filters voldoen.",
+  "txh.page":                   "Pagina {page} van {pages}",
+  "txh.failed":                 "Transacties konden niet worden geladen.",
+
+  // playerProfile.js
+  "profile.player":             "Speler",
+  "profile.joined":             "Missies gespeeld",
+  "profile.wins":               "Rondes gewonnen",
+  "profile.winRate":            "Winstpercentage",
+  "profile.croWon":             "{symbol} gewonnen",
+  "profile.fees":               "Inleg betaald",
+  "profile.refunds":            "Terugbetalingen",
+  "profile.net":                "Netto resultaat",
+  "profile.lastEnrollment":     "Laatste inschrijving",
+  "profile.canEnroll":          "Kan nu inschrijven",
+  "profile.weekly":             "Weeklimiet",
+  "profile.monthly":            "Maandlimiet",
+  "profile.yes":                "Ja",
+  "profile.no":                 "Nee",
+  "profile.nextSlot":           "volgende plek over {left}",
+  "profile.byType":             "Per missietype",
+  "profile.type":               "Type",
+  "profile.typeJoined":         "Gespeeld",
+  "profile.typeWon":            "Gewonnen",
+  "profile.typeNet":            "Netto",
+  "profile.noMissions":         "Nog geen missies gespeeld.",
+  "profile.connect":            "Koppel je wallet om je profiel te zien.",
+  "profile.loading":            "Profiel laden…",
+  "profile.failed":             "De missies van deze speler konden niet worden geladen.",
+
+  // bankSim.js
+  "sim.title":                  "Bankmoment",
+  "sim.close":                  "Sluiten",
+  "sim.waitLabel":              "Wachten voor het banken",
+  "sim.wait":                   "Wacht {time}",
+  "sim.earliest":               "Vroegste bankmoment per resterende ronde:",
+  "sim.noRounds":               "Geen rondes meer om te banken.",
+  "sim.roundPill":              "≈ {amount} als je dan bankt",
+  "sim.chartLabel":             "Verwachte uitbetaling over de resterende missietijd",
+  "sim.breakEven":              "Break-even om {at}",
+  "sim.roundMark":              "Ronde {round}: vanaf {at} · ≈ {amount}",
+  "sim.fee":                    "Inleg {amount}",
+  "sim.share":                  "Eerlijk deel {amount}",
+  "sim.cooldownUntil":          "(afkoelen tot {at})",
+  "sim.endsBefore":             "De missie is dan al afgelopen.",
+  "sim.readoutAbove":           "Banken om <b>{at}</b>: ≈ {amount} · boven de inleg van {fee} · {pct}% van een eerlijk deel",
+  "sim.readoutBelow":           "Banken om <b>{at}</b>: ≈ {amount} · onder de inleg van {fee} · {pct}% van een eerlijk deel",
+
+  // push.js
+  "push.unavailable":           "Meldingen zijn nu niet beschikbaar.",
+  "push.unsupported":           "Deze browser ondersteunt geen meldingen.",
+  "push.blocked":               "Meldingen zijn geblokkeerd voor deze site.",
+
+  // game.html / home.html
+  "page.subtitle":              "HET ULTIEME COMPETITIEVE BLOCKCHAINSPEL",
+  "ui.refresh":                 "Vernieuwen",
+  "ui.reload":                  "Herladen",
+  "ui.filter":                  "Filteren",
+  "ui.reset":                   "Wissen",
+  "ui.apply":                   "Toepassen",
+  "ui.close":                   "Sluiten",
+  "ui.cancel":                  "Annuleren",
+  "ui.yes":                     "Ja",
+  "ui.ok":                      "OK",
+  "nav.home":                   "Home",
+  "nav.all":                    "Alle missies",
+  "nav.joinable":               "Open missies",
+  "nav.my":                     "Mijn missies",
+  "nav.leaderboard":            "Klassement",
+  "filter.title":               "Filteren op status",
+  "list.allEmpty":              "Geen missies gevonden.",
+  "list.joinableEmpty":         "Geen open missies.",
+  "list.myEmpty":               "Geen missies voor deze wallet",
+  "txs.title":                  "Mijn transacties",
+  "profile.title":              "Spelersprofiel",
+  "profile.mine":               "Mijn profiel",
+  "profile.missions":           "Missies",
+  "detail.noEnrollments":       "Geen inschrijvingen geïndexeerd.",
+  "detail.transactions":        "Transacties",
+  "wallet.modalTitle":          "Koppel een wallet",
+  "sim.toggle":                 "Bankmoment: wat als ik wacht?",
+  "stage.alt":                  "Speelveld",
+
+  // home.html
+  "home.heroAlt":               "B6-kluis",
+  "home.title":                 "Welkom bij Be Brave Be Bold Be Banked!",
+  "home.intro":                 "Speel mee in blockchainmissies met een vaste looptijd, waarin elke seconde telt. Schrijf je in met CRO, race door de rondes en bank op het perfecte moment om je deel op te eisen. Eerlijk, transparant en on-chain — geen trucjes. Wees je tegenstanders te slim af, speel met de afkoelperiodes en win echte beloningen. Klaar om bold te spelen en banked te worden?",
+  "home.nextStart":             "VOLGENDE MISSIE START OVER",
+  "home.statMissions":          "Missies",
+  "home.statJoinable":          "Open",
+  "home.factory":               "Mission Factory",
+  "home.source":                "Bronmissie",
+  "home.clones":                "Klonen",
+  "home.clonesNote":            "Elke missie is een kloon van de bronmissie.",
+  "home.enter":                 "Naar B6",
+  "home.maintenance":           "Volgend weekend nieuwe missies!",
+  "home.tutorial":              "Uitleg",
+  "home.faq":                   "Veelgestelde vragen",
+  "home.privacyTerms":          "Privacybeleid & Algemene voorwaarden",
+  "home.tut.title":             "Zo werkt B6",
+  "home.tut.intro":             "Introductie",
+  "home.tut.steps":             "Stap voor stap",
+  "home.pt.title":              "Privacy & Voorwaarden",
+  "home.pt.privacy":            "Privacybeleid",
+  "home.pt.terms":              "Algemene voorwaarden",
+  "home.tut.intro1":            "<strong>Welkom bij B6.</strong> Missies zijn korte on-chain spellen waarin timing en lef bepalen wie wint. Je doet mee met CRO en probeert op het juiste moment te banken om een deel van de pot op te eisen.",
+  "home.tut.intro2":            "<strong>Neem een wallet mee.</strong> Gebruik een Cronos-compatibele wallet met wat CRO voor gas en inleg. Je houdt zelf de volledige controle—smart contracts regelen geld en uitslagen transparant.",
+  "home.tut.intro3":            "<strong>Versla de klok.</strong> Schrijf je in voordat de teller afloopt. Zodra een missie start, gaan de rondes snel. Houd de timer in de gaten en bank binnen een venster om je uitbetaling vast te leggen. Na het banken volgt een korte afkoelperiode.",
+  "home.tut.intro4":            "<strong>Win met inzicht.</strong> Dit is geen toeval—lees het verloop, volg de pot, anticipeer op anderen en handel met vertrouwen. Elke actie wordt on-chain vastgelegd, dus overwinningen zijn aantoonbaar en eerlijk.",
+  "home.tut.step1":             "<strong>Koppelen & opwaarderen.</strong> Gebruik een Cronos-compatibele wallet met wat CRO voor gas en de inleg.",
+  "home.tut.step2":             "<strong>Kies een missie.</strong> Doe mee tijdens de inschrijving; elke missie toont inleg, duur, rondes en spelerslimieten.",
+  "home.tut.step3":             "<strong>De missie start.</strong> Als de timer op nul staat, begint de 'Missietijd'—dan kunnen rondes worden geclaimd.",
+  "home.tut.step4":             "<strong>Bank een ronde.</strong> Druk op het juiste moment op <em>Bank</em>, vóór een andere speler, om het deel van die ronde uit de CRO-pot op te eisen.",
+  "home.tut.step5":             "<strong>Afkoelen.</strong> Na elke winst volgt een korte pauze; houd de teller in de gaten en wees klaar voor het volgende venster.",
+  "home.tut.step6":             "<strong>Einde.</strong> De missie eindigt als de geplande eindtijd is bereikt of alle rondes zijn gespeeld. Uitslagen en uitbetalingen staan on-chain, voor iedereen zichtbaar.",
+  "home.faq.q1":                "Wat is B6?",
+  "home.faq.q2":                "Wat heb ik nodig om te beginnen?",
+  "home.faq.q3":                "Is het eerlijk en transparant?",
+  "home.faq.q4":                "Hoe zit het met inleg & beloningen?",
+  "home.faq.q5":                "Wat gebeurt er met overgebleven CRO?",
+  "home.faq.q6":                "Hoe neem ik contact op met B6?",
+  "home.faq.q7":                "Welk netwerk en welke token gebruikt B6?",
+  "home.faq.q8":                "Wat als ik tijdens een missie ververs of de verbinding verbreek?",
+  "home.faq.q9":                "Wat als het minimum aantal spelers niet wordt gehaald?",
+  "home.faq.q10":               "Wat als de missie eindigt met ongeclaimde rondes?",
+  "home.faq.q11":               "Waar kan ik contracten en transacties controleren?",
+  "home.faq.q12":               "Hoe worden inleg en beloningen afgehandeld?",
+  "home.faq.q13":               "Waarom is mijn transactie mislukt of blijft ze hangen?",
+  "home.faq.q14":               "Beheert B6 mijn geld?",
+  "home.faq.q15":               "Kan ik aan meerdere missies meedoen?",
+  "home.faq.q16":               "Hoe meld ik een bug of krijg ik hulp?",
+  "home.faq.a1":                "B6 is een competitief spel met missies op tijd. Doe mee met CRO, speel de rondes en druk op het juiste moment op <em>Bank</em> om je deel van de prijzenpot op te eisen—volledig on-chain.",
+  "home.faq.a2":                "Een Cronos-compatibele wallet (bijv. Crypto.com DeFi Wallet) en een beetje CRO voor gas plus de inleg van de missie.",
+  "home.faq.a3":                "Ja—logica en uitbetalingen zitten in smart contracts. De adressen van de Factory en de Mission-implementatie staan ter controle op de homepage.",
+  "home.faq.a4":                "Elke missie vermeldt haar inleg. Winnaars ontvangen CRO rechtstreeks in hun wallet wanneer ze een ronde banken.",
+  "home.faq.a5":                "75% van de overgebleven CRO gaat terug naar het Mission Factory-contract voor nieuwe missies. 25% is voor het team.",
+  "home.faq.a6":                "Je kunt B6 bereiken op X via @B6_Game.",
+  "home.faq.a7":                "B6 draait op het Cronos-netwerk en gebruikt CRO voor inleg, gas en beloningen. Je hebt een Cronos-compatibele wallet nodig.",
+  "home.faq.a8":                "Alle status staat on-chain. Je kunt opnieuw koppelen en verdergaan—timers en uitslagen blijven kloppen en controleerbaar.",
+  "home.faq.a9":                "De missie mislukt en terugbetalingen gebeuren on-chain. De server van de dApp kan de terugbetaling automatisch starten zodra de mislukking is vastgesteld.",
+  "home.faq.a10":               "De missie wordt volgens de regels afgerond. Ongeclaimde rondes betalen na het einde niet meer uit; afgeronde uitslagen liggen onveranderlijk on-chain vast.",
+  "home.faq.a11":               "De adressen van de Factory en de Mission-implementatie staan op de homepage. Gebruik een Cronos block explorer om transacties van missies en spelers te bekijken.",
+  "home.faq.a12":               "Elke missie toont haar inleg. Gas gaat naar het netwerk. Beloningen worden door het contract uitgekeerd wanneer je een ronde bankt of wanneer de missie wordt afgerond.",
+  "home.faq.a13":               "Netwerkdrukte, te weinig gas of een race condition kan dit veroorzaken. Controleer je wallet en verstuur opnieuw met een hogere gasinstelling, of probeer het even later nog eens.",
+  "home.faq.a14":               "Nee. Jij beheert altijd je wallet en sleutels. Contracten verplaatsen geld volgens de regels; uitslagen zijn transparant en blijvend.",
+  "home.faq.a15":               "Ja, zolang je genoeg CRO hebt voor inleg en gas. Er gelden afkoelperiodes. Je kunt maximaal 4 missies per week of 10 per maand meedoen.",
+  "home.faq.a16":               "Gebruik de officiële contact- en supportlinks in de dApp. Vermeld je walletadres en het missieadres of de transactiehash voor snellere hulp.",
+  "home.pt.p1":                 "<strong>Geen cookies.</strong> We plaatsen geen cookies en gebruiken geen trackers van derden in de dApp.",
+  "home.pt.p2":                 "<strong>On-chain transparantie.</strong> Alle missietransacties—waaronder inschrijven, banken en eventuele terugbetalingen—worden onveranderlijk vastgelegd op de Cronos-blockchain. On-chain gegevens kunnen niet worden gewijzigd of verwijderd.",
+  "home.pt.p3":                 "<strong>Gegevens op de server.</strong> Om de dienst te laten werken (bijv. missies vinden, live updates, misbruik voorkomen) kunnen we je <em>walletadres</em> en missiegegevens in onze database bewaren. We verkopen je gegevens niet.",
+  "home.pt.p4":                 "<strong>Zichtbaar in de app.</strong> Walletadressen die met missies werken kunnen in de interface worden getoond (bijv. winnaars, deelnemers), voor transparantie tijdens en kort na een missie.",
+  "home.pt.p5":                 "<strong>Bewaartermijn.</strong> Gegevens op de server worden alleen bewaard zolang nodig voor de werking, beveiliging en wettelijke verplichtingen. On-chain gegevens zijn permanent en kunnen niet worden verwijderd.",
+  "home.pt.p6":                 "<strong>Beveiliging.</strong> We nemen redelijke technische en organisatorische maatregelen. Jij bent verantwoordelijk voor de beveiliging van je wallet en privésleutels.",
+  "home.pt.p7":                 "<strong>Contact.</strong> Voor privacyverzoeken over gegevens op de server neem je contact op via de officiële kanalen die in de veelgestelde vragen van deze dApp staan.",
+  "home.pt.t1":                 "<strong>Aanvaarding.</strong> Door de dApp te gebruiken ga je akkoord met deze voorwaarden.",
+  "home.pt.t2":                 "<strong>Geschiktheid.</strong> Je moet blockchain-apps wettelijk mogen gebruiken in jouw rechtsgebied en meerderjarig zijn.",
+  "home.pt.t3":                 "<strong>Geen bewaring.</strong> Jij beheert je wallet. Transacties worden uitgevoerd door smart contracts en zijn mogelijk onomkeerbaar.",
+  "home.pt.t4":                 "<strong>Inleg & beloningen.</strong> Missies vermelden hun inleg. Er gelden gaskosten. Uitbetalingen volgen de regels van het contract en worden on-chain verstuurd.",
+  "home.pt.t5":                 "<strong>Risico.</strong> Tokenwaarden kunnen sterk schommelen. Smart contracts en netwerken kunnen falen of worden misbruikt. Je draagt alle risico's zelf.",
+  "home.pt.t6":                 "<strong>Eerlijk spel.</strong> Geen bots, exploits of pogingen om missies of andere spelers te verstoren.",
+  "home.pt.t7":                 "<strong>Beschikbaarheid & wijzigingen.</strong> We kunnen functies of missies op elk moment aanpassen, pauzeren of beëindigen.",
+  "home.pt.t8":                 "<strong>Geen garantie.</strong> De dApp wordt geleverd „zoals hij is”, zonder enige garantie.",
+  "home.pt.t9":                 "<strong>Aansprakelijkheid.</strong> Voor zover de wet dat toestaat zijn we niet aansprakelijk voor indirecte, incidentele of gevolgschade.",
+  "home.pt.t10":                "<strong>Wijzigingen in de voorwaarden.</strong> We kunnen deze voorwaarden bijwerken; als je de dApp daarna blijft gebruiken, aanvaard je de bijgewerkte voorwaarden.",
+
+  // Stage accessibility (stageA11y.js)
+  "a11y.join":                  "Meedoen met missie",
+  "a11y.bankIt":                "Bank it",
+  "a11y.textView":              "Tekstweergave van het speelveld",
+  "a11y.statusChanged":         "Missiestatus: {status}",
+  "a11y.youWon":                "Je hebt ronde {round} gewonnen: {amount}",
+  "a11y.roundWon":              "{player} heeft ronde {round} gewonnen: {amount}",
+  "a11y.cooldownUntil":         "Afkoelen tot",
+  "a11y.lastRound":             "Laatste ronde",
+  "a11y.lastRoundLine":         "{player} bankte {amount}",
+
+  // Multi-mission dashboard (dashboard.js)
+  "dash.title":                 "Mijn lopende missies",
+  "dash.pool":                  "Pot {cro}",
+  "dash.bankNow":               "Nu banken {cro}",
+  "dash.cooldown":              "Afkoelen {time}",
+  "dash.startsIn":              "Start over {time}",
+  "dash.won":                   "Je hebt een ronde gewonnen",
+
+  // Direct chain mode badge (api.js fallback)
+  "chainMode.badge":            "Directe chain-modus",
+  "chainMode.title":            "De missieserver is niet bereikbaar; missies worden rechtstreeks van de blockchain gelezen.",
+};
@@ -0,0 +1,212 @@
+/**********************************************************************
+ missionEvents.js — mission state replayed from its own on-chain logs
+  - followMissionEvents(mission) reads the mission's logs through
+    getReadProvider() from its creation block, decodes the events the
+    model needs and keeps polling new blocks (one mission at a time:
+    the open stage).
+  - Replayed logs are kept per mission (last CACHE_MAX), so reopening a
+    stage resumes from the last block read instead of rescanning.
+  - The fold itself is pure (missionModel.js replayMissionEvents), so
+    the same logs always give the same state.
+  - reconcileMission(apiMission) checks an API snapshot against it and
+    overrides the fields where the indexer lags.
+  - Emits "chain:mission" { addr, events } on window when new logs land.
+**********************************************************************/
+
+import { getReadProvider } from "./core.js";
+import { getMissionTx } from "./api.js";
+import { MISSION_ABI } from "./contracts.js";
+import { replayMissionEvents, reconcileWithEvents } from "./missionModel.js";
+
+const EVENTS       = ["PlayerEnrolled", "RoundCalled", "MissionStatusChanged", "PotIncreased", "PlayerRefunded", "RefundFailed", "MissionRefunded", "FundsWithdrawn"];
+const LOG_SPAN     = 2000;                                 // blocks per eth_getLogs (public Cronos RPC cap)
+const POLL_MS      = 5000;                                 // ~1 Cronos block
+const BLOCK_SECS   = 5;                                    // Cronos block time, for the creation-block estimate
+const PARALLEL     = 4;                                    // concurrent RPC reads (getLogs chunks, getBlock)
+const CACHE_MAX    = 20;                                   // missions whose replayed logs are kept
+
+const __iface      = new ethers.utils.Interface(MISSION_ABI);
+const __topics     = [EVENTS.map(n => __iface.getEventTopic(n))];
+const __blockTs    = new Map();                            // blockNumber → timestamp
+
+const __cache      = new Map();                            // addr → { events, nextBlock } of missions followed before
+
+let   __follow     = null;                                 // { addr, snapshot, events, nextBlock, timer, ready, state }
+
+// #region Log reading
+async function          blockTs             (n)                                 {
+  if (!__blockTs.has(n)) {
+    const b = await getReadProvider().getBlock(n);
+    __blockTs.set(n, Number(b?.timestamp || 0));
+  }
+  return __blockTs.get(n);
+}
+
+// fn over items, at most PARALLEL at a time; results in item order
+async function          inBatches           (items, fn)                         {
+  const out = [];
+  for (let i = 0; i < items.length; i += PARALLEL) {
+    out.push(...await Promise.all(items.slice(i, i + PARALLEL).map(fn)));
+  }
+  return out;
+}
+
+// Creation block: the indexer's "Created" tx row, else a binary search on mission_created,
+// its low end estimated from the elapsed time and widened until it lies before the target
+async function          creationBlock       (snapshot)                          {
+  try {
+    const rows = await getMissionTx(snapshot.mission_address, { eventType: "Created" });
+    const nr   = Number(rows?.find(r => r.blockNumber != null)?.blockNumber || 0);
+    if (nr > 0) return nr;
+  } catch {}
+
+  const target = Number(snapshot.mission_created || 0);
+  let hi = await getReadProvider().getBlockNumber();
+  if (!target) return hi;
+  let back = Math.ceil(Math.max(0, Date.now() / 1000 - target) / BLOCK_SECS) + LOG_SPAN;
+  let lo   = Math.max(0, hi - back);
+  while (lo > 0 && await blockTs(lo) >= target) {
+    hi   = lo;
+    back *= 2;
+    lo   = Math.max(0, hi - back);
+  }
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await blockTs(mid) < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function                decode              (log)                               {
+  let parsed;
+  try { parsed = __iface.parseLog(log); } catch { return null; }
+  const a  = parsed.args;
+  const lc = (v) => String(v || "").toLowerCase();
+  const bi = (v) => BigInt(v?.toString?.() ?? "0");
+
+  const args = {
+    PlayerEnrolled:       () => ({ player: lc(a.player), amount: bi(a.amount), totalPlayers: Number(a.totalPlayers) }),
+    RoundCalled:          () => ({ player: lc(a.player), roundNumber: Number(a.roundNumber), payout: bi(a.payout), croRemaining: bi(a.croRemaining) }),
+    MissionStatusChanged: () => ({ previousStatus: Number(a.previousStatus), newStatus: Number(a.newStatus), timestamp: Number(a.timestamp) }),
+    PotIncreased:         () => ({ value: bi(a.value), croCurrent: bi(a.croCurrent) }),
+    PlayerRefunded:       () => ({ player: lc(a.player), amount: bi(a.amount) }),
+    RefundFailed:         () => ({ player: lc(a.player), amount: bi(a.amount) }),
+    FundsWithdrawn:       () => ({ ownerAmount: bi(a.ownerAmount), factoryAmount: bi(a.factoryAmount) }),
+    MissionRefunded:      () => ({ nrOfPlayers: Number(a.nrOfPlayers), amount: bi(a.amount), players: (a.player || []).map(lc) }),
+  }[parsed.name];
+
+  return args ? {
+    name:        parsed.name,
+    blockNumber: Number(log.blockNumber),
+    logIndex:    Number(log.logIndex),
+    txHash:      log.transactionHash,
+    args:        args(),
+  } : null;
+}
+
+// Logs in [from, to], in LOG_SPAN chunks, decoded and time-stamped. A block with a
+// MissionStatusChanged takes its time from the event; the other blocks are fetched.
+async function          readLogs            (addr, from, to)                    {
+  const spans = [];
+  for (let start = from; start <= to; start += LOG_SPAN) spans.push([start, Math.min(to, start + LOG_SPAN - 1)]);
+
+  const chunks = await inBatches(spans, ([fromBlock, toBlock]) =>
+    getReadProvider().getLogs({ address: addr, topics: __topics, fromBlock, toBlock }));
+  const out = chunks.flat().map(decode).filter(Boolean);
+
+  for (const ev of out) {
+    if (ev.name === "MissionStatusChanged" && ev.args.timestamp) __blockTs.set(ev.blockNumber, ev.args.timestamp);
+  }
+  await inBatches([...new Set(out.map(ev => ev.blockNumber))], blockTs);
+  for (const ev of out) ev.timestamp = __blockTs.get(ev.blockNumber);
+  return out;
+}
+// #endregion
+
+
+
+
+
+// #region Follower
+async function          poll                (f)                                 {
+  try {
+    const head = await getReadProvider().getBlockNumber();
+    if (head >= f.nextBlock) {
+      const fresh = await readLogs(f.addr, f.nextBlock, head);
+      if (__follow !== f) return;                          // switched missions meanwhile
+      f.nextBlock = head + 1;
+      if (fresh.length) {
+        f.events.push(...fresh);
+        f.state = replayMissionEvents(f.snapshot, f.events);
+        if (f.ready) {
+          window.dispatchEvent(new CustomEvent("chain:mission", { detail: { addr: f.addr, events: fresh.map(e => e.name) } }));
+        }
+      }
+    }
+    f.ready = true;
+  } catch (e) {
+    console.warn("[missionEvents] poll failed:", e?.message || e);
+  } finally {
+    if (__follow === f) f.timer = setTimeout(() => poll(f), POLL_MS);
+  }
+}
+
+/**
+ * Replay and follow the logs of `mission` (an API snapshot: immutable fields and
+ * the starting pool come from it). A follower for another mission is stopped.
+ */
+export async function   followMissionEvents (mission)                           {
+  const addr = String(mission?.mission_address || "").toLowerCase();
+  if (!addr) return;
+  if (__follow?.addr === addr) return;
+
+  stopMissionEvents();
+  const cached = __cache.get(addr);
+  const f = { addr, snapshot: mission, events: cached?.events || [], nextBlock: cached?.nextBlock || 0, timer: null, ready: false, state: null };
+  __follow = f;
+
+  if (cached) {
+    f.state = replayMissionEvents(f.snapshot, f.events);
+    return poll(f);
+  }
+  try {
+    f.nextBlock = await creationBlock(mission);
+  } catch (e) {
+    console.warn("[missionEvents] no creation block:", e?.message || e);
+    if (__follow === f) __follow = null;
+    return;
+  }
+  if (__follow === f) await poll(f);
+}
+
+export function         stopMissionEvents   ()                                  {
+  const f = __follow;
+  __follow = null;
+  if (!f) return;
+  clearTimeout(f.timer);
+  if (!f.ready) return;                                    // nothing read yet worth keeping
+
+  __cache.delete(f.addr);                                  // re-insert: most recent last
+  __cache.set(f.addr, { events: f.events, nextBlock: f.nextBlock });
+  if (__cache.size > CACHE_MAX) __cache.delete(__cache.keys().next().value);
+}
+
+/** Replayed state of `addr`, or null while it is not followed / not caught up yet. */
+export function         chainMissionState   (addr)                              {
+  const f = __follow;
+  return f && f.ready && f.addr === String(addr || "").toLowerCase() ? f.state || replayMissionEvents(f.snapshot, []) : null;
+}
+
+/**
+ * `api` checked against the replayed logs of the same mission; fields the
+ * indexer has not caught up on are taken from the chain (see reconcileWithEvents).
+ */
+export function         reconcileMission    (api)                               {
+  const chain = chainMissionState(api?.mission_address);
+  if (!chain) return api;
+  const { mission, overridden } = reconcileWithEvents(api, chain);
+  if (overridden.length) console.debug("[missionEvents] snapshot overridden by chain:", overridden);
+  return mission;
+}
+// #endregion
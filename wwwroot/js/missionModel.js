@@ -0,0 +1,681 @@
+/**********************************************************************
+ missionModel.js – one mission shape for game, admin and home pages
+ Normalises /missions/* API snapshots and on-chain getMissionData()
+ tuples. Times are unix seconds (Number), wei fields are BigInt.
+ Also holds the pure status / payout / list helpers of game.js and the
+ log replay of missionEvents.js; no DOM or ethers here, so Node can
+ import it (test-unit/*.test.mjs).
+**********************************************************************/
+
+// #region Field helpers
+const first = (o, keys) => {                 // first non-null value among aliases
+  for (const k of keys) if (o?.[k] != null) return o[k];
+  return null;
+};
+
+const num = (o, keys, dflt = 0) => {         // Number or default
+  const v = Number(first(o, keys));
+  return Number.isFinite(v) ? v : dflt;
+};
+
+const numOrNull = (o, keys) => {             // Number or null (keeps "not set" distinct from 0)
+  const v = first(o, keys);
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const wei = (o, keys) => {                   // BigInt or null; accepts string | bigint | BigNumber
+  const v = first(o, keys);
+  if (v == null || v === "") return null;
+  try { return BigInt(String(v)); } catch { return null; }
+};
+
+const addrLc = v => (v ? String(v).toLowerCase() : null);
+
+const big0 = v => {                          // BigInt of a model field (BigInt | string | number), 0n when unset
+  try { return BigInt(String(v ?? "0")); } catch { return 0n; }
+};
+// #endregion
+
+
+
+
+
+// #region Normalisers
+/**
+ * Enrollment row → { address, enrolled_at, refunded, refund_ts, refunded_failed, amount_won_wei, won_ts }.
+ * Accepts the API shape (player/*_ts) and the already-normalised shape.
+ */
+export function normalizeEnrollment(e){
+  return {
+    address:         String(e?.address || e?.player || "").toLowerCase(),
+    enrolled_at:     num      (e, ["enrolled_at", "enrolled_ts", "enrolledTS"]),
+    refunded:        !!e?.refunded,
+    refund_ts:       numOrNull(e, ["refund_ts", "refundTS"]),
+    refunded_failed: !!(e?.refunded_failed ?? e?.refundFailed),
+    amount_won_wei:  wei      (e, ["amount_won_wei", "amountWon"]) ?? 0n,
+    won_ts:          numOrNull(e, ["won_ts", "wonTS"]),
+  };
+}
+
+/**
+ * API mission snapshot → mission model.
+ * Accepts a flat row from /missions/all|joinable|not-ended|player/* or the
+ * { mission, enrollments, rounds } payload from /missions/mission/{addr}.
+ * Idempotent: passing a model returns an equivalent model.
+ */
+export function missionFromApi(data){
+  const m = data?.mission || data || {};
+  const enrollmentsRaw = Array.isArray(data?.enrollments) ? data.enrollments
+                       : Array.isArray(m.enrollments)     ? m.enrollments : null;
+  const roundsRaw      = Array.isArray(data?.rounds)      ? data.rounds
+                       : Array.isArray(m.rounds)          ? m.rounds      : null;
+
+  const out = {
+    mission_address:        addrLc(first(m, ["mission_address", "address", "missionAddress", "MissionAddress"])) || "",
+    name:                   first(m, ["name", "mission_name", "Name"]) ?? "",
+    mission_type:           num      (m, ["mission_type", "missionType", "type"]),
+    status:                 num      (m, ["status", "mission_status", "Status"], -1),
+
+    enrollment_start:       num      (m, ["enrollment_start", "enrollmentStart", "EnrollmentStart"]),
+    enrollment_end:         num      (m, ["enrollment_end",   "enrollmentEnd",   "EnrollmentEnd"]),
+    enrollment_amount_wei:  wei      (m, ["enrollment_amount_wei", "enrollmentAmount"]),
+    enrollment_min_players: num      (m, ["enrollment_min_players", "enrollmentMinPlayers"]),
+    enrollment_max_players: num      (m, ["enrollment_max_players", "enrollmentMaxPlayers"]),
+
+    mission_start:          num      (m, ["mission_start", "missionStart", "MissionStart"]),
+    mission_end:            num      (m, ["mission_end",   "missionEnd",   "MissionEnd"]),
+    mission_rounds_total:   num      (m, ["mission_rounds_total", "missionRounds", "mission_rounds"]),
+    round_count:            num      (m, ["round_count", "roundCount"]),
+
+    cro_initial_wei:        wei      (m, ["cro_initial_wei", "croInitial"]),
+    cro_start_wei:          wei      (m, ["cro_start_wei",   "croStart"]),
+    cro_current_wei:        wei      (m, ["cro_current_wei", "croCurrent"]),
+
+    pause_timestamp:        num      (m, ["pause_timestamp", "pauseTimestamp"]),
+    round_pause_secs:       numOrNull(m, ["round_pause_secs", "roundPauseDuration"]),
+    last_round_pause_secs:  numOrNull(m, ["last_round_pause_secs", "lastRoundPauseDuration"]),
+
+    mission_created:        num      (m, ["mission_created", "missionCreated"]),
+    updated_at:             num      (m, ["updated_at", "updatedAt"]),
+    creator_address:        addrLc(first(m, ["creator_address", "creator"])),
+    all_refunded:           !!first(m, ["all_refunded", "allRefunded"]),
+  };
+
+  if (enrollmentsRaw) out.enrollments = enrollmentsRaw.map(normalizeEnrollment);
+  if (roundsRaw)      out.rounds      = roundsRaw;
+
+  // /missions/player/{addr} rows carry that player's own enrollment as player_* columns
+  if (m.player_enrollment) {
+    out.player_enrollment = normalizeEnrollment(m.player_enrollment);
+  } else if ("player_enrolled_ts" in m) {
+    out.player_enrollment = normalizeEnrollment({
+      enrolled_ts:     m.player_enrolled_ts,
+      amount_won_wei:  m.player_amount_won_wei,
+      won_ts:          m.player_won_ts,
+      refunded:        m.player_refunded,
+      refunded_failed: m.player_refund_failed,
+      refund_ts:       m.player_refund_ts,
+    });
+  }
+
+  const enrolled = numOrNull(m, ["enrolled_players", "enrolledPlayers", "enrollmentCount"]);
+  out.enrolled_players = enrolled ?? (out.enrollments ? out.enrollments.length : 0);
+
+  return out;
+}
+
+/**
+ * On-chain MissionData tuple → the /missions/mission/{addr} payload
+ * ({ mission, enrollments, rounds }, wei as strings), so chain reads can
+ * stand in for the API. Players[] becomes `enrollments`; winners (one per
+ * round) become `rounds`. The factory list views return the tuple without
+ * players: `enrollments` is then empty and `enrolled_players` still counts.
+ */
+export function missionSnapshotFromChain(address, md){
+  const players = Array.isArray(md?.players) ? md.players : [];
+
+  const enrollments = players.map(p => ({
+    player:       String(p.player || "").toLowerCase(),
+    enrolledTS:   String(p.enrolledTS),
+    amountWon:    String(p.amountWon),
+    wonTS:        Number(p.wonTS)    || null,
+    refunded:     !!p.refunded,
+    refundFailed: !!p.refundFailed,
+    refundTS:     Number(p.refundTS) || null,
+  }));
+
+  const rounds = enrollments
+    .map(normalizeEnrollment)
+    .filter(e => e.won_ts || e.amount_won_wei > 0n)
+    .sort((a, b) => (a.won_ts || 0) - (b.won_ts || 0))
+    .map((e, i) => ({
+      round_number:   i + 1,
+      winner_address: e.address,
+      payout_wei:     e.amount_won_wei.toString(),
+      created_at:     e.won_ts || 0,
+    }));
+
+  const creator = md?.creator && !/^0x0{40}$/i.test(md.creator) ? md.creator.toLowerCase() : null;
+
+  return {
+    mission: {
+      mission_address:        String(address || "").toLowerCase(),
+      name:                   md?.name,
+      mission_type:           Number(md?.missionType),
+      status:                 Number(md?.status),
+      enrollment_start:       String(md?.enrollmentStart),
+      enrollment_end:         String(md?.enrollmentEnd),
+      enrollment_amount_wei:  String(md?.enrollmentAmount),
+      enrollment_min_players: Number(md?.enrollmentMinPlayers),
+      enrollment_max_players: Number(md?.enrollmentMaxPlayers),
+      mission_start:          String(md?.missionStart),
+      mission_end:            String(md?.missionEnd),
+      mission_rounds_total:   Number(md?.missionRounds),
+      round_count:            Number(md?.roundCount),
+      cro_initial_wei:        String(md?.croInitial),
+      cro_start_wei:          String(md?.croStart),
+      cro_current_wei:        String(md?.croCurrent),
+      pause_timestamp:        String(md?.pauseTimestamp),
+      round_pause_secs:       Number(md?.roundPauseDuration),
+      last_round_pause_secs:  Number(md?.lastRoundPauseDuration),
+      mission_created:        String(md?.missionCreated),
+      creator_address:        creator,
+      all_refunded:           !!md?.allRefunded,
+      enrolled_players:       Number(md?.enrollmentCount ?? players.length),
+    },
+    enrollments,
+    rounds,
+  };
+}
+
+/** On-chain Mission.getMissionData() tuple → mission model. */
+export function missionFromChain(address, md){
+  return missionFromApi(missionSnapshotFromChain(address, md));
+}
+
+/** Unwraps the list payloads (`[...]`, `{ missions: [...] }`, `{ Missions: [...] }`) into models. */
+export function missionListFromApi(payload){
+  const list = Array.isArray(payload) ? payload
+             : (payload?.missions || payload?.Missions || []);
+  return list.map(missionFromApi);
+}
+// #endregion
+
+
+
+
+
+// #region Derived fields
+/** Cooldown window after a bank: { isPaused, secsTotal, secsLeft, pauseEnd }. */
+export function cooldownInfo(mission, now = Math.floor(Date.now()/1000)){
+  const st          = Number(mission?.status);
+  const isPaused    = (st === 4);
+  const roundsTotal = Number(mission?.mission_rounds_total ?? 0);
+  const roundCount  = Number(mission?.round_count ?? 0);
+
+  const roundPauseSecs      = Number(mission?.round_pause_secs      ?? 300);
+  const lastRoundPauseSecs  = Number(mission?.last_round_pause_secs ?? 60);
+  const secsTotal           = (roundCount === (roundsTotal - 1)) ? lastRoundPauseSecs : roundPauseSecs;
+
+  const pauseTs  = Number(mission?.pause_timestamp || 0);
+  const pauseEnd = pauseTs && secsTotal > 0 ? (pauseTs + secsTotal) : 0;
+  const secsLeft = pauseEnd ? Math.max(0, pauseEnd - now) : 0;
+
+  return { isPaused, secsTotal, secsLeft, pauseEnd };
+}
+
+/** Live status (0..7) computed purely from the immutable times; the indexer status can lag. */
+export function statusByClock(m, now = Math.floor(Date.now()/1000)) {
+  const es = Number(m.enrollment_start || 0);
+  const ee = Number(m.enrollment_end   || 0);
+  const ms = Number(m.mission_start    || 0);
+  const me = Number(m.mission_end      || 0);
+
+  const cur = (m?.enrolled_players != null)
+    ? Number(m.enrolled_players)
+    : (Array.isArray(m.enrollments) ? m.enrollments.length : 0);
+
+  const min = Number(m.enrollment_min_players ?? 0);
+
+  if (now < es) return 0;                 // Pending
+  if (now < ee) return 1;                 // Enrolling
+  // After enrollment closes: fail if minimum not met (allow brief grace)
+  {
+    const GRACE = 30;
+    if ((now - ee) > GRACE && cur < min) return 7;  // <-- always Failed if not enough players
+  }
+  if (now < ms) return 2;                 // Arming (enough players)
+  if (now < me) {
+    // Only Paused while cooldown window is still active.
+    const info = cooldownInfo(m, now);    // uses pause_timestamp + correct pause duration
+    const isPausedNow = Number(m.pause_timestamp || 0) > 0 && info.secsLeft > 0;
+    return isPausedNow ? 4 : 3;
+  }
+  return (m.status >= 5 ? m.status : 6);  // Ended bucket (keep subtype if present)
+}
+
+/** Next deadline (unix seconds) for the given status; 0 once the mission has ended. */
+export function nextDeadlineFor(m){
+  if (!m) return 0;
+  const st = Number(m.status);
+  if (st === 0) return Number(m.enrollment_start || m.mission_start || 0); // Pending
+  if (st === 1) return Number(m.enrollment_end   || 0);                    // Enrolling
+  if (st === 2) return Number(m.mission_start    || 0);                    // Arming
+  if (st === 3 || st === 4) return Number(m.mission_end || 0);             // Active / Paused
+  return 0; // Ended variants – no countdown in center
+}
+/**
+ * Payout (wei, BigInt) of the next bank at unix time `t`; mirrors Mission.callRound():
+ * croStart·progress − paidSoFar with progress in 1e10 fixed point, capped at croCurrent.
+ */
+export function payoutAt(m, t){
+  const ms = Number(m?.mission_start || 0);
+  const me = Number(m?.mission_end   || 0);
+  const croStart   = big0(m?.cro_start_wei);
+  const croCurrent = big0(m?.cro_current_wei ?? m?.cro_start_wei);
+  if (me <= ms || croStart === 0n || t <= ms || t >= me) return 0n;
+
+  const paidSoFar = croStart - croCurrent;
+  const progress  = (BigInt(Math.floor(t - ms)) * 10n ** 10n) / BigInt(Math.floor(me - ms));
+  const expected  = (croStart * progress) / 10n ** 10n;
+  if (expected <= paidSoFar) return 0n;
+
+  const payout = expected - paidSoFar;
+  return payout > croCurrent ? croCurrent : payout;
+}
+
+/** First unix time at which the next bank pays at least `targetWei`; null when not before mission end. */
+export function timeForPayout(m, targetWei){
+  const ms = Number(m?.mission_start || 0);
+  const me = Number(m?.mission_end   || 0);
+  const croStart   = big0(m?.cro_start_wei);
+  const croCurrent = big0(m?.cro_current_wei ?? m?.cro_start_wei);
+  if (me <= ms || croStart === 0n || targetWei > croCurrent) return null;
+
+  const paidSoFar = croStart - croCurrent;
+  const t = ms + Number(((targetWei + paidSoFar) * BigInt(Math.floor(me - ms)) + croStart - 1n) / croStart);
+  return t < me ? t : null;
+}
+
+/**
+ * Earliest bank time per remaining round if every round is banked as soon as its
+ * cooldown ends: [{ round, t, payoutWei }]. Later payouts assume the earlier rounds
+ * were banked at their earliest time.
+ */
+export function earliestBankTimes(m, now = Math.floor(Date.now()/1000)){
+  const ms     = Number(m?.mission_start || 0);
+  const me     = Number(m?.mission_end   || 0);
+  const total  = Number(m?.mission_rounds_total || 0);
+  const done   = Number(m?.round_count || 0);
+  const rPause = Number(m?.round_pause_secs      ?? 300);
+  const lPause = Number(m?.last_round_pause_secs ?? 60);
+
+  const { isPaused, pauseEnd } = cooldownInfo(m, now);
+  let t = Math.max(now, ms, isPaused && pauseEnd ? pauseEnd : 0);
+
+  const out = [];
+  let sim = { ...m };
+  for (let banked = done; banked < total && t < me; banked++) {
+    const payoutWei = payoutAt(sim, t);
+    out.push({ round: banked + 1, t, payoutWei });
+
+    // Bank it: the pool shrinks and the next cooldown starts (last-round pause before the final round)
+    sim = { ...sim, cro_current_wei: big0(sim.cro_current_wei ?? sim.cro_start_wei) - payoutWei };
+    t += (banked + 1 === total - 1) ? lPause : rPause;
+  }
+  return out;
+}
+
+/** Time of the latest bank: newest round time or pause start, else mission start. */
+export function getLastBankTs(mission, rounds){
+  const t0 = Number(mission?.mission_start || 0);
+  let last = t0;
+
+  // include any recorded round times
+  if (Array.isArray(rounds)) {
+    for (const r of rounds) {
+      const t = Number(r?.created_at || r?.played_at || 0);
+      if (t > last) last = t;
+    }
+  }
+
+  // ALSO include latest pause (a bank just happened)
+  const pz = Number(mission?.pause_timestamp || 0);
+  if (pz > last) last = pz;
+
+  return last;
+}
+
+/**
+ * Live "bank now" counter (wei, decimal string): croStart / duration per second since the
+ * last bank. Same slope as Mission.callRound(); differs from payoutAt() by rounding only.
+ */
+export function computeBankNowWei(mission, lastBankTs, now = Math.floor(Date.now() / 1000)) {
+  const st = Number(mission?.status);
+  if (st !== 3 && st !== 4) return "0"; // Only accrues while Active or Paused
+
+  const ms = Number(mission?.mission_start || 0);
+  const me = Number(mission?.mission_end || 0);
+  const D = Math.max(0, me - ms); // Total mission duration in seconds
+  const base = BigInt(mission?.cro_start_wei || "0"); // Total CRO in wei
+
+  if (D === 0 || base === 0n) return "0";
+
+  const tNow = Math.min(now, me);
+  const tLast = Math.max(ms, Number(lastBankTs || ms));
+  const dt = Math.max(0, tNow - tLast); // Time since last claim
+
+  try {
+    const ratePerSecond = base / BigInt(D); // CRO per second
+    const accrued = ratePerSecond * BigInt(dt); // CRO since last claim
+    return accrued.toString();
+  } catch {
+    return "0";
+  }
+}
+
+/** Round number to show: 1-based while the mission runs (the round being played), capped at the total. */
+export function roundsForDisplay(m) {
+  const total  = Number(m?.mission_rounds_total ?? 0);
+  const banked = Number(m?.round_count ?? 0);
+  const st     = statusByClock(m);   // 0..7
+
+  // 1-based only during Mission Time
+  const v = (st >= 3) ? (banked + 1) : banked;
+  return Math.min(v, total);
+}
+
+/** Winners by total payout: [{ addr, totalWei, enrolledAt }], earlier enrollment wins ties. */
+export function topWinners(enrollments = [], rounds = [], n = 5){
+  // Totals by address (BigInt)
+  const totals = new Map();
+  for (const r of (rounds || [])){
+    const addr = String(r?.winner_address || "").toLowerCase();
+    if (!addr) continue;
+    const wei = BigInt(String(r?.payout_wei || "0"));
+    totals.set(addr, (totals.get(addr) || 0n) + wei);
+  }
+
+  // Tie-break: earlier enrollment first
+  const enrolledAt = new Map();
+  for (const e of (enrollments || [])){
+    const a = String(e?.address || "").toLowerCase();
+    if (a) enrolledAt.set(a, Number(e.enrolled_at || 0));
+  }
+
+  const arr = [...totals.entries()].map(([addr, totalWei]) => ({
+    addr,
+    totalWei,
+    enrolledAt: enrolledAt.get(addr) || 0
+  }));
+
+  arr.sort((a, b) => {
+    if (a.totalWei === b.totalWei) return a.enrolledAt - b.enrolledAt;
+    return a.totalWei > b.totalWei ? -1 : 1;
+  });
+
+  return arr.slice(0, n);
+}
+
+const FAILURE_TEXT = { notEnoughPlayers: "Not enough players", noRounds: "No rounds played" };
+
+/**
+ * Why a Failed (7) mission failed, as a code ("notEnoughPlayers" | "noRounds") pages can
+ * translate; null for any other status or a failure after rounds were played.
+ */
+export function failureKindFor(mission){
+  if (Number(mission?.status) !== 7) return null;
+  const min    = Number(mission?.enrollment_min_players ?? 0);
+  const joined = (mission?.enrolled_players != null)
+    ? Number(mission.enrolled_players)
+    : (Array.isArray(mission?.enrollments) ? mission.enrollments.length : 0);
+  const rounds = Number(mission?.round_count ?? 0);
+
+  // Two failure modes:
+  // A) Not enough players enrolled (never started)
+  if (rounds === 0 && joined < min)  return "notEnoughPlayers";
+  // B) Enough players, but no rounds were played before end
+  if (rounds === 0 && joined >= min) return "noRounds";
+
+  return null;
+}
+
+/** failureKindFor() as English text (admin and logs). */
+export function failureReasonFor(mission){
+  return FAILURE_TEXT[failureKindFor(mission)] ?? null;
+}
+// #endregion
+
+
+
+
+
+// #region List ordering
+/** Group order: Active bucket (2/3/4), then Enrolling (1), Pending (0), Ended (5/6/7). */
+export function bucketOfStatus(s){
+  s = Number(s);
+  if (s === 1)  return 1; // Enrolling
+  if (s === 0)  return 2; // Pending
+  if (s >= 5)   return 3; // Ended
+                return 0; // Active bucket: 2 (Arming), 3 (Active), 4 (Paused)
+}
+
+/** All-missions list order: by bucket, then by the deadline that matters in that bucket. */
+export function sortAllMissions(list){
+  return list.slice().sort((a, b) => {
+    const sa = Number(a.status), sb = Number(b.status);
+    const ba = bucketOfStatus(sa), bb = bucketOfStatus(sb);
+    if (ba !== bb) return ba - bb;
+
+    // same bucket → per-bucket sort
+    if (ba === 0){ // Active bucket
+      // prefer “oldest mission end” first; Arming (2) has no end yet → use mission_start
+      const ea = sa === 2 ? Number(a.mission_start||0) : Number(a.mission_end||0);
+      const eb = sb === 2 ? Number(b.mission_start||0) : Number(b.mission_end||0);
+      return (ea||0) - (eb||0); // ascending (oldest first)
+    }
+    if (ba === 1){ // Enrolling
+      const ea = Number(a.enrollment_end||0), eb = Number(b.enrollment_end||0);
+      return (ea||0) - (eb||0); // ascending (oldest first)
+    }
+    if (ba === 2){ // Pending
+      const sa_ = Number(a.enrollment_start||0), sb_ = Number(b.enrollment_start||0);
+      return (sa_||0) - (sb_||0); // ascending (oldest first)
+    }
+    // Ended → latest first by mission_end
+    const ea = Number(a.mission_end||0), eb = Number(b.mission_end||0);
+    return (eb||0) - (ea||0); // descending (latest first)
+  });
+}
+// #endregion
+
+
+
+
+
+// #region Event replay
+// A mission's own logs (Mission in contracts/MissionFactory.sol) folded into the model
+// shape, so the client can check the indexer's snapshot. Events arrive decoded as
+// { name, blockNumber, logIndex, timestamp, txHash, args }: addresses lowercase,
+// amounts BigInt, counters Number (see missionEvents.js).
+
+const REPLAY_IMMUTABLE = [
+  "mission_address", "name", "mission_type",
+  "enrollment_start", "enrollment_end", "enrollment_amount_wei",
+  "enrollment_min_players", "enrollment_max_players",
+  "mission_start", "mission_end", "mission_rounds_total",
+  "round_pause_secs", "last_round_pause_secs",
+  "mission_created", "creator_address",
+];
+
+const byLogOrder = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+
+/** Fold one decoded Mission event into `m` (returns a new model; unknown events are ignored). */
+export function applyMissionEvent(m, ev){
+  const a  = ev?.args || {};
+  const ts = Number(ev?.timestamp || 0);
+  const out = { ...m, enrollments: m.enrollments.slice(), rounds: m.rounds.slice() };
+
+  switch (ev?.name) {
+    case "PlayerEnrolled": {                   // croStart and croCurrent both grow by the fee
+      out.enrollments.push(normalizeEnrollment({ player: a.player, enrolled_ts: ts }));
+      out.enrolled_players = Number(a.totalPlayers ?? out.enrollments.length);
+      out.cro_start_wei    = big0(out.cro_start_wei)   + big0(a.amount);
+      out.cro_current_wei  = big0(out.cro_current_wei) + big0(a.amount);
+      out.enrolled_fees_wei = big0(out.enrolled_fees_wei) + big0(a.amount);
+      break;
+    }
+    case "PotIncreased": {                     // only before Active, so croStart == croCurrent here
+      out.cro_current_wei = big0(a.croCurrent);
+      out.cro_start_wei   = big0(a.croCurrent);
+      out.cro_initial_wei = big0(a.croCurrent) - big0(out.enrolled_fees_wei);
+      break;
+    }
+    case "RoundCalled": {
+      const player = String(a.player || "").toLowerCase();
+      out.round_count     = Number(a.roundNumber);
+      out.cro_current_wei = big0(a.croRemaining);
+      out.rounds.push({
+        round_number:   Number(a.roundNumber),
+        winner_address: player,
+        payout_wei:     big0(a.payout).toString(),
+        created_at:     ts,
+        tx_hash:        ev.txHash || null,
+      });
+      out.enrollments = out.enrollments.map(e => e.address === player
+        ? { ...e, amount_won_wei: big0(a.payout), won_ts: ts }
+        : e);
+      break;
+    }
+    case "MissionStatusChanged": {             // Mission._setStatus(): Paused stamps, Active clears
+      out.status = Number(a.newStatus);
+      if (out.status === 4) out.pause_timestamp = Number(a.timestamp || ts);
+      if (out.status === 3) out.pause_timestamp = 0;
+      break;
+    }
+    case "PlayerRefunded": {                   // the fee leaves the balance, croCurrent keeps it
+      const player = String(a.player || "").toLowerCase();
+      out.enrollments = out.enrollments.map(e => e.address === player
+        ? { ...e, refunded: true, refunded_failed: false, refund_ts: ts }
+        : e);
+      out.refunded_wei = big0(out.refunded_wei) + big0(a.amount);
+      break;
+    }
+    case "RefundFailed": {                     // retried by the next refund call
+      const player = String(a.player || "").toLowerCase();
+      out.enrollments  = out.enrollments.map(e => e.address === player
+        ? { ...e, refunded_failed: true, refund_ts: ts }
+        : e);
+      out.all_refunded = false;
+      break;
+    }
+    case "FundsWithdrawn": {                   // Mission._withdrawFunds(): croCurrent = balance left
+      // InviteOnly (7) and UserMission (8) return before that line, croCurrent stays as it was
+      if (out.mission_type !== 7 && out.mission_type !== 8) {
+        const left = big0(out.cro_current_wei) - big0(out.refunded_wei) - big0(a.ownerAmount) - big0(a.factoryAmount);
+        out.cro_current_wei = left > 0n ? left : 0n;
+      }
+      break;
+    }
+    case "MissionRefunded": {
+      const refunded = new Set((a.players || []).map(p => String(p).toLowerCase()));
+      out.enrollments  = out.enrollments.map(e => refunded.has(e.address)
+        ? { ...e, refunded: true, refunded_failed: false, refund_ts: e.refund_ts ?? ts }
+        : e);
+      out.all_refunded = out.enrollments.length > 0 && out.enrollments.every(e => e.refunded);
+      break;
+    }
+    default:
+      return m;
+  }
+
+  out.updated_at = Math.max(Number(m.updated_at || 0), ts);
+  return out;
+}
+
+/**
+ * Deterministic mission state from `events` on top of the immutable fields of
+ * `snapshot`. The starting pool is snapshot.cro_initial_wei minus every
+ * PotIncreased value (the contract has no event for the creation funding).
+ */
+export function replayMissionEvents(snapshot, events = []){
+  const sorted = events.slice().sort(byLogOrder);
+  const pots   = sorted.filter(e => e.name === "PotIncreased").reduce((s, e) => s + big0(e.args?.value), 0n);
+  let genesis  = big0(snapshot?.cro_initial_wei) - pots;
+  if (genesis < 0n) genesis = 0n;
+
+  let m = {
+    status:            0,
+    enrollments:       [],
+    rounds:            [],
+    enrolled_players:  0,
+    round_count:       0,
+    cro_initial_wei:   genesis,
+    cro_start_wei:     genesis,
+    cro_current_wei:   genesis,
+    enrolled_fees_wei: 0n,
+    refunded_wei:      0n,
+    pause_timestamp:   0,
+    all_refunded:      false,
+    updated_at:        0,
+  };
+  for (const k of REPLAY_IMMUTABLE) m[k] = snapshot?.[k] ?? null;
+
+  for (const ev of sorted) m = applyMissionEvent(m, ev);
+  return m;
+}
+
+/**
+ * API snapshot checked against the replayed chain state.
+ * The chain wins unless it is behind (fewer rounds or enrollments, i.e. the log
+ * poll has not caught up yet); `overridden` lists the fields taken from it.
+ * Once the mission has ended the pool is the contract balance (payouts, refunds,
+ * plain transfers), which the logs cannot prove: the API keeps the pool fields.
+ *
+ * @returns {{ mission: object, overridden: string[] }}
+ */
+export function reconcileWithEvents(api, chain, now = Math.floor(Date.now()/1000)){
+  if (!api || !chain) return { mission: api, overridden: [] };
+
+  const behind = (Number(chain.round_count) - Number(api.round_count || 0))
+              || (Number(chain.enrolled_players) - Number(api.enrolled_players || 0));
+  if (behind < 0) return { mission: api, overridden: [] };
+
+  const sig = {
+    round_count:      m => String(Number(m.round_count || 0)),
+    enrolled_players: m => String(Number(m.enrolled_players || 0)),
+    cro_current_wei:  m => String(m.cro_current_wei ?? ""),
+    cro_start_wei:    m => String(m.cro_start_wei ?? ""),
+    pause_timestamp:  m => String(Number(m.pause_timestamp || 0)),
+    rounds:           m => String((m.rounds || []).length),
+    enrollments:      m => (m.enrollments || []).map(e => `${e.address}:${e.refunded ? 1 : 0}`).join(","),
+    all_refunded:     m => String(!!m.all_refunded),
+  };
+
+  const ended = Number(api.status) >= 5 || Number(chain.status) >= 5;
+
+  const out = { ...api };
+  const overridden = [];
+  for (const [field, f] of Object.entries(sig)) {
+    if (ended && (field === "cro_current_wei" || field === "cro_start_wei")) continue;
+    if (field === "enrollments" && !Array.isArray(api.enrollments)) continue;   // list rows carry none
+    if (field === "rounds"      && !Array.isArray(api.rounds))      continue;
+    if (f(api) === f(chain)) continue;
+    out[field] = chain[field];
+    overridden.push(field);
+  }
+
+  // Status: a final status on chain is final; otherwise only Active ↔ Paused follows the new pause
+  const apiSt = Number(api.status);
+  if (Number(chain.status) >= 5 && apiSt < 5) {
+    out.status = Number(chain.status);
+  } else if ((apiSt === 3 || apiSt === 4) && overridden.includes("pause_timestamp")) {
+    out.status = cooldownInfo(out, now).secsLeft > 0 ? 4 : 3;
+  }
+  if (out.status !== api.status) overridden.push("status");
+
+  return { mission: out, overridden };
+}
+// #endregion
@@ -0,0 +1,230 @@
+/**********************************************************************
+ playerProfile.js — lifetime record of one player (game.html?player=0x…)
+  - Missions come from GET /missions/player/{addr}; every row carries
+    that player's own enrollment (won / refunded) as player_* columns.
+  - Aggregates joined, rounds won, CRO won vs. fees paid (net P&L),
+    refunds and win rate per mission type.
+  - Limits: GET /players/{addr}/eligibility (can enroll + reason) and
+    MissionFactory.getPlayerLimits(addr) read on-chain (live counters).
+**********************************************************************/
+
+import {
+  getReadProvider,
+  FACTORY_ADDRESS,
+  missionTypeText,
+  copyableAddr,
+  addrLinkIcon,
+  formatCro,
+  formatDurationShort,
+  formatLocalDateTime,
+  NETWORK,
+} from "./core.js";
+
+import {
+  getPlayerMissions,
+  getPlayerEligibility,
+} from "./api.js";
+
+import { FACTORY_ABI } from "./contracts.js";
+
+import { missionListFromApi } from "./missionModel.js";
+
+import { t } from "./i18n.js";
+
+// A player can win at most one round per mission (Mission: AlreadyWon),
+// so "rounds won" equals the number of missions with a win.
+const hasWon = (e) => !!e && (e.amount_won_wei > 0n || !!e.won_ts);
+
+// Refund landed (refund_failed means the CRO is still owed)
+const wasRefunded = (e) => !!e && e.refunded && !e.refunded_failed;
+
+function                emptyBucket         ()                                  {
+  return { joined: 0, decided: 0, wins: 0, wonWei: 0n, feesWei: 0n, refunds: 0, refundedWei: 0n };
+}
+
+function                addToBucket         (b, m)                              {
+  const e   = m.player_enrollment;
+  const fee = m.enrollment_amount_wei ?? 0n;
+  const won = hasWon(e);
+  const ref = wasRefunded(e);
+
+  b.joined  += 1;
+  b.feesWei += fee;
+  if (won) { b.wins += 1; b.wonWei += e.amount_won_wei; }
+  if (ref) { b.refunds += 1; b.refundedWei += fee; }
+
+  // Win rate only counts missions whose outcome for this player is known
+  if (won || (!ref && Number(m.status) >= 5)) b.decided += 1;
+}
+
+/**
+ * Lifetime stats from mission models that carry `player_enrollment`.
+ * Wei values are BigInt; netWei = won + refunded − fees (can be negative).
+ *
+ * @param {object[]} missions  models from missionListFromApi(/missions/player/{addr})
+ * @returns {{ total: object, byType: Array<{ type:number, name:string } & object> }}
+ */
+export function         playerStatsFromMissions(missions = [])                  {
+  const total  = emptyBucket();
+  const byType = new Map();
+
+  for (const m of missions) {
+    if (!m?.player_enrollment) continue;
+    addToBucket(total, m);
+
+    const t = Number(m.mission_type);
+    if (!byType.has(t)) byType.set(t, emptyBucket());
+    addToBucket(byType.get(t), m);
+  }
+
+  const finish = (b) => ({
+    ...b,
+    netWei:  b.wonWei + b.refundedWei - b.feesWei,
+    winRate: b.decided ? b.wins / b.decided : null,
+  });
+
+  return {
+    total:  finish(total),
+    byType: [...byType.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([type, b]) => ({ type, name: missionTypeText(type), ...finish(b) })),
+  };
+}
+
+// formatCro with a sign (weiToCro expects a non-negative amount)
+const signedCro = (wei) => `${wei < 0n ? "−" : wei > 0n ? "+" : ""}${formatCro(wei < 0n ? -wei : wei, 2)}`;
+const pct       = (r)   => (r == null ? "—" : `${Math.round(r * 100)}%`);
+
+async function          loadLimits          (addressLc)                         {
+  const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, getReadProvider());
+
+  const [elig, chain] = await Promise.all([
+    getPlayerEligibility(addressLc),
+    factory.getPlayerLimits(addressLc).catch(err => { console.warn("[profile] getPlayerLimits failed:", err); return null; }),
+  ]);
+
+  const ok = elig && !elig.error;
+
+  // On-chain counters are live; the eligibility payload is the fallback (and source of can_enroll)
+  return {
+    canEnroll:   ok ? !!elig.can_enroll : null,
+    reason:      ok ? elig.reason || "" : "",
+    weekUsed:    chain ? Number(chain.weekUsed)   : (ok ? elig.weekly_count  : null),
+    weekMax:     chain ? Number(chain.weekMax)    : (ok ? elig.weekly_limit  : null),
+    monthUsed:   chain ? Number(chain.monthUsed)  : (ok ? elig.monthly_count : null),
+    monthMax:    chain ? Number(chain.monthMax)   : (ok ? elig.monthly_limit : null),
+    secToWeek:   chain ? Number(chain.secToWeek)  : (ok ? elig.weekly_seconds_left  : 0),
+    secToMonth:  chain ? Number(chain.secToMonth) : (ok ? elig.monthly_seconds_left : 0),
+  };
+}
+
+function                limitHtml           (used, max, secsLeft)               {
+  if (used == null || max == null) return "—";
+  const full = max > 0 && used >= max;
+  const cls  = full ? "text-error" : "text-success";
+  const next = full && secsLeft > 0 ? ` <span class="text-muted">· ${t("profile.nextSlot", { left: formatDurationShort(secsLeft) })}</span>` : "";
+  return `<span class="${cls}">${used}/${max || "∞"}</span>${next}`;
+}
+
+function                statsHtml           (addressLc, stats, limits, missions){
+  const tot = stats.total;
+  const netCls = tot.netWei < 0n ? "text-error" : "text-success";
+  const last = missions.reduce((mx, m) => Math.max(mx, m.player_enrollment?.enrolled_at || 0), 0);
+
+  const canTxt = limits.canEnroll == null ? "—"
+               : limits.canEnroll ? `<span class="text-success">${t("profile.yes")}</span>`
+               : `<span class="text-error">${t("profile.no")}</span>${limits.reason ? ` <span class="text-muted">· ${limits.reason}</span>` : ""}`;
+
+  const typeRows = stats.byType.map(b => `
+    <tr>
+      <td>${b.name}</td>
+      <td>${b.joined}</td>
+      <td>${b.wins}</td>
+      <td>${pct(b.winRate)}</td>
+      <td>${b.refunds}</td>
+      <td class="${b.netWei < 0n ? "text-error" : "text-success"}">${signedCro(b.netWei)}</td>
+    </tr>`).join("");
+
+  return `
+    <div class="kv-grid">
+      <div class="label">${t("profile.player")}</div>
+      <div class="value">${copyableAddr(addressLc)} ${addrLinkIcon(addressLc)}</div>
+
+      <div class="label">${t("profile.joined")}</div>
+      <div class="value">${tot.joined}</div>
+
+      <div class="label">${t("profile.wins")}</div>
+      <div class="value">${tot.wins}</div>
+
+      <div class="label">${t("profile.winRate")}</div>
+      <div class="value">${pct(tot.winRate)}</div>
+
+      <div class="label">${t("profile.croWon", { symbol: NETWORK.symbol })}</div>
+      <div class="value">${formatCro(tot.wonWei, 2)}</div>
+
+      <div class="label">${t("profile.fees")}</div>
+      <div class="value">${formatCro(tot.feesWei, 2)}</div>
+
+      <div class="label">${t("profile.refunds")}</div>
+      <div class="value">${tot.refunds} · ${formatCro(tot.refundedWei, 2)}</div>
+
+      <div class="label">${t("profile.net")}</div>
+      <div class="value"><span class="${netCls}">${signedCro(tot.netWei)}</span></div>
+
+      <div class="label">${t("profile.lastEnrollment")}</div>
+      <div class="value">${last ? formatLocalDateTime(last) : "—"}</div>
+
+      <div class="label">${t("profile.canEnroll")}</div>
+      <div class="value">${canTxt}</div>
+
+      <div class="label">${t("profile.weekly")}</div>
+      <div class="value">${limitHtml(limits.weekUsed, limits.weekMax, limits.secToWeek)}</div>
+
+      <div class="label">${t("profile.monthly")}</div>
+      <div class="value">${limitHtml(limits.monthUsed, limits.monthMax, limits.secToMonth)}</div>
+    </div>
+
+    <div class="mt-4">
+      <h4>${t("profile.byType")}</h4>
+      ${stats.byType.length ? `
+      <div class="table-responsive">
+        <table class="table table-sm table-borderless tx-table mb-0">
+          <thead><tr>
+            <th>${t("profile.type")}</th><th>${t("profile.typeJoined")}</th><th>${t("profile.typeWon")}</th><th>${t("profile.winRate")}</th><th>${t("profile.refunds")}</th><th>${t("profile.typeNet")}</th>
+          </tr></thead>
+          <tbody>${typeRows}</tbody>
+        </table>
+      </div>` : `<div class="text-muted">${t("profile.noMissions")}</div>`}
+    </div>`;
+}
+
+/**
+ * Load and render the profile of `addressLc` into `host`.
+ * Returns the mission models so the caller can list them.
+ *
+ * @param {HTMLElement} host
+ * @param {string} addressLc
+ * @returns {Promise<object[]>}
+ */
+export async function   renderPlayerProfile (host, addressLc)                   {
+  const addr = String(addressLc || "").toLowerCase();
+  if (!host || !/^0x[0-9a-f]{40}$/.test(addr)) return [];
+
+  host.innerHTML = `<div class="text-muted">${t("profile.loading")}</div>`;
+
+  const [missionsRes, limitsRes] = await Promise.allSettled([
+    getPlayerMissions(addr).then(missionListFromApi),
+    loadLimits(addr),
+  ]);
+
+  if (missionsRes.status === "rejected") {
+    console.warn("[profile] missions failed:", missionsRes.reason);
+    host.innerHTML = `<div class="text-muted">${t("profile.failed")}</div>`;
+    return [];
+  }
+
+  const missions = missionsRes.value;
+  const limits   = limitsRes.status === "fulfilled" ? limitsRes.value : { canEnroll: null };
+  host.innerHTML = statsHtml(addr, playerStatsFromMissions(missions), limits, missions);
+  return missions;
+}
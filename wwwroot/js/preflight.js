@@ -0,0 +1,74 @@
+/**********************************************************************
+ preflight.js — dry-run + fee estimate before a wallet write
+  - callStatic against getReadProvider() with the sender as `from`
+    catches reverts (Cooldown, AlreadyWon, WrongEntryFee, …) before
+    the wallet opens, so a certain revert never costs gas.
+  - estimateGas × eth_gasPrice gives the CRO fee shown next to CTAs;
+    the estimate (+20 %) is passed on as gasLimit.
+  - Only a revert is a verdict: RPC trouble lets the send through and
+    the wallet decides.
+**********************************************************************/
+
+import { getReadProvider, weiToCro, NETWORK } from "./core.js";
+import { errorMessage } from "./errors.js";
+import { t, localizeDecimal } from "./i18n.js";
+
+const GAS_PRICE_TTL_MS = 30_000;
+let   __gasPrice       = null;                             // { ts, wei }
+
+// Revert codes ethers v5 uses for eth_call / eth_estimateGas
+const isRevert = (err) => err?.code === "CALL_EXCEPTION" || err?.code === "UNPREDICTABLE_GAS_LIMIT";
+
+async function          gasPriceWei         ()                                  {
+  const now = Date.now();
+  if (__gasPrice && now - __gasPrice.ts < GAS_PRICE_TTL_MS) return __gasPrice.wei;
+  const wei = await getReadProvider().getGasPrice();
+  __gasPrice = { ts: now, wei };
+  return wei;
+}
+
+/**
+ * Dry-run `contract[method](...args)` as `from` and estimate its fee.
+ *
+ * @param {ethers.Contract} contract  any runner; re-connected to the read provider
+ * @param {string}          method
+ * @param {Array}           args
+ * @param {{ from: string, value?: any, decode?: (err) => string|null }} opts
+ *        decode: page-specific text for a revert; errors.js errorMessage() otherwise
+ * @returns {Promise<{ ok: true, gasLimit?: ethers.BigNumber, feeWei?: ethers.BigNumber }
+ *                  | { ok: false, message: string, error: any }>}
+ */
+export async function   preflightTx         (contract, method, args = [], { from, value, decode } = {}) {
+  const c         = contract.connect(getReadProvider());
+  const overrides = value != null ? { from, value } : { from };
+  const refused   = (error) => ({ ok: false, error, message: decode?.(error) || errorMessage(error) });
+
+  try {
+    await c.callStatic[method](...args, overrides);
+  } catch (err) {
+    if (isRevert(err)) return refused(err);
+    console.warn(`[preflight] ${method}: no verdict`, err);
+    return { ok: true };
+  }
+
+  try {
+    const gas = await c.estimateGas[method](...args, overrides);
+    const fee = await gasPriceWei();
+    return { ok: true, gasLimit: gas.mul(120).div(100), feeWei: gas.mul(fee) };
+  } catch (err) {
+    if (isRevert(err)) return refused(err);
+    return { ok: true };
+  }
+}
+
+/** Overrides for the real send: estimated gasLimit when the preflight produced one. */
+export function         preflightOverrides  (pf, overrides = {})                {
+  return pf?.gasLimit ? { ...overrides, gasLimit: pf.gasLimit } : overrides;
+}
+
+/** "≈ 0.042 CRO network fee" (native unit of NETWORK), or "" when there is no estimate. */
+export function         feeText             (pf)                                {
+  if (!pf?.ok || !pf.feeWei) return "";
+  const cro = weiToCro(pf.feeWei.toString(), 3);
+  return t("tx.fee", { cro: cro === "0" ? `< ${localizeDecimal("0.001")}` : localizeDecimal(cro), symbol: NETWORK.symbol });
+}
@@ -0,0 +1,120 @@
+/**********************************************************************
+ push.js — Web Push opt-in per mission
+  - Registers /sw.js and keeps one PushSubscription per browser.
+  - Opt-in/out per mission via /api/push/subscribe|unsubscribe.
+  - The backend fans out GameHub events (MissionUpdated reasons,
+    StatusChanged) to opted-in browsers; sw.js shows them in the
+    language syncPushLocale() last reported.
+**********************************************************************/
+
+import {
+  getPushPublicKey,
+  postPushSubscribe,
+  postPushUnsubscribe,
+} from "./api.js";
+import { t, LOCALE } from "./i18n.js";
+
+const SW_URL       = "/sw.js";
+const MISSIONS_KEY = "b6:pushMissions";   // lowercased mission addresses this browser opted in to
+
+const toLc = (s) => (s ? String(s).toLowerCase() : "");
+
+// Local opt-in list (UI state only; the backend is the source of truth for delivery)
+function                readMissions        ()                                  {
+  try { return new Set(JSON.parse(localStorage.getItem(MISSIONS_KEY) || "[]")); }
+  catch { return new Set(); }
+}
+
+function                writeMissions       (set)                               {
+  try { localStorage.setItem(MISSIONS_KEY, JSON.stringify([...set])); } catch {}
+}
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+function                b64UrlToBytes       (b64)                               {
+  const pad = "=".repeat((4 - (b64.length % 4)) % 4);
+  const raw = atob((b64 + pad).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+function                subscriptionBody    (sub)                               {
+  const { endpoint, keys = {} } = sub.toJSON();
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+}
+
+async function          getRegistration     ()                                  {
+  const existing = await navigator.serviceWorker.getRegistration(SW_URL);
+  return existing || navigator.serviceWorker.register(SW_URL);
+}
+
+async function          ensureSubscription  ()                                  {
+  const reg = await getRegistration();
+  await navigator.serviceWorker.ready;
+
+  const current = await reg.pushManager.getSubscription();
+  if (current) return current;
+
+  const publicKey = await getPushPublicKey();
+  if (!publicKey) throw new Error(t("push.unavailable"));
+
+  return reg.pushManager.subscribe({
+    userVisibleOnly:      true,
+    applicationServerKey: b64UrlToBytes(publicKey),
+  });
+}
+
+/** Tell the service worker the page language; it words the push notifications in it. */
+export async function   syncPushLocale      ()                                  {
+  if (!("serviceWorker" in navigator)) return;
+  const reg = await navigator.serviceWorker.ready;
+  reg.active?.postMessage({ type: "locale", locale: LOCALE });
+}
+
+/** True when this browser can receive Web Push at all. */
+export function         isPushSupported     ()                                  {
+  return ("serviceWorker" in navigator) && ("PushManager" in window) && ("Notification" in window);
+}
+
+/** True when the player opted in to this mission and the permission is still granted. */
+export function         isMissionPushEnabled(address)                           {
+  if (!isPushSupported() || Notification.permission !== "granted") return false;
+  return readMissions().has(toLc(address));
+}
+
+/** Ask permission (if needed), subscribe this browser and register it for the mission. */
+export async function   enableMissionPush   (address)                           {
+  const mission = toLc(address);
+  if (!mission) return false;
+  if (!isPushSupported()) throw new Error(t("push.unsupported"));
+
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error(t("push.blocked"));
+
+  const sub = await ensureSubscription();
+  await postPushSubscribe({ mission, ...subscriptionBody(sub) });
+
+  const set = readMissions();
+  set.add(mission);
+  writeMissions(set);
+  return true;
+}
+
+/** Unregister the mission; drops the browser subscription once no missions are left. */
+export async function   disableMissionPush  (address)                           {
+  const mission = toLc(address);
+  if (!mission || !isPushSupported()) return false;
+
+  const set = readMissions();
+  set.delete(mission);
+  writeMissions(set);
+
+  const reg = await navigator.serviceWorker.getRegistration(SW_URL);
+  const sub = await reg?.pushManager.getSubscription();
+  if (!sub) return true;
+
+  const { endpoint, auth } = subscriptionBody(sub);
+  await postPushUnsubscribe({ mission, endpoint, auth });
+  if (set.size === 0) {
+    try { await sub.unsubscribe(); } catch {}
+  }
+  return true;
+}
@@ -0,0 +1,241 @@
+/**********************************************************************
+ stageA11y.js — keyboard + screen-reader layer for the game stage
+  - The stage SVG is aria-hidden art. Its CTAs get real <button>s in
+    #stageHitLayer, placed over the SVG in viewBox units (0..1000),
+    so focus, Enter/Space and disabled state are native.
+  - Focus survives CTA repaints: a button that had focus hands it to
+    its replacement (the stage section holds it in between).
+  - #stageLive (aria-live) announces status changes and round results;
+    the per-second countdowns are never announced.
+  - #stageText is the text-only view of the stage state (visually
+    hidden; the stage toggle shows it as a panel for everyone).
+  - prefersReducedMotion() lets game.js skip the vault video and step
+    the ring instead of sweeping it.
+**********************************************************************/
+
+import {
+  statusText,
+  missionTypeText,
+  formatCro,
+  formatLocalDateTime,
+  shorten,
+} from "./core.js";
+import { cooldownInfo, roundsForDisplay } from "./missionModel.js";
+import { t } from "./i18n.js";
+
+const VIEWBOX      = 1000;                                 // #ringOverlay viewBox (square)
+const REPEAT_MS    = 1500;                                 // same text within this window is spoken once
+
+const __slots      = new Map();                            // slot → [button]
+let   __focusNext  = false;                                // next enabled button takes focus
+let   __lastSpoken = { text: "", at: 0 };
+let   __lastStatus = { addr: "", status: null };
+let   __mission    = null;                                 // last snapshot in the text view
+
+const $ = (id) => document.getElementById(id);
+
+// #region Motion
+const __motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)") || null;
+
+/** True when the OS asks for reduced motion (checked live, the setting can change). */
+export function         prefersReducedMotion()                                  {
+  return !!__motionQuery?.matches;
+}
+// #endregion
+
+
+
+
+
+// #region Live region
+/** Speak `text` through the polite live region (duplicates within 1.5 s are dropped). */
+export function         announce            (text)                              {
+  const live = $("stageLive");
+  if (!live || !text) return;
+
+  const now = Date.now();
+  if (text === __lastSpoken.text && now - __lastSpoken.at < REPEAT_MS) return;
+  __lastSpoken = { text, at: now };
+
+  // Clear first so a repeated message is still a change for the screen reader
+  live.textContent = "";
+  setTimeout(() => { live.textContent = text; }, 50);
+}
+// #endregion
+
+
+
+
+
+// #region Buttons
+function                focusHolder         ()                                  {
+  return $("gameStage");
+}
+
+/** Remove the buttons of `slot` ("cta" | "ended"); focus inside them is parked on the stage. */
+export function         clearStageButtons   (slot)                              {
+  const list = __slots.get(slot) || [];
+  if (list.some(b => b === document.activeElement)) {
+    __focusNext = true;
+    focusHolder()?.focus({ preventScroll: true });
+  }
+  list.forEach(b => b.remove());
+  __slots.set(slot, []);
+}
+
+/**
+ * Real button over an SVG control.
+ *
+ * @param {"cta"|"ended"} slot
+ * @param {{ box: { x: number, y: number, w: number, h: number },   // viewBox units
+ *           label: string, note?: string, disabled?: boolean,
+ *           onActivate?: () => void, onPress?: (down: boolean) => void }} spec
+ * @returns {HTMLButtonElement|null}
+ */
+export function         stageButton         (slot, spec)                        {
+  const layer = $("stageHitLayer");
+  if (!layer) return null;
+
+  const { box, label, note = "", disabled = false, onActivate, onPress } = spec;
+  const pct = (v) => `${(v / VIEWBOX) * 100}%`;
+
+  const btn = document.createElement("button");
+  btn.type      = "button";
+  btn.className = "stage-hit";
+  btn.disabled  = !!disabled;
+  btn.textContent = label;
+  Object.assign(btn.style, { left: pct(box.x), top: pct(box.y), width: pct(box.w), height: pct(box.h) });
+
+  if (note) {
+    const desc = document.createElement("span");
+    desc.id          = `stageHitNote-${slot}-${(__slots.get(slot) || []).length}`;
+    desc.className   = "visually-hidden";
+    desc.textContent = note;
+    btn.appendChild(desc);
+    btn.setAttribute("aria-describedby", desc.id);
+  }
+
+  if (onActivate) btn.addEventListener("click", () => { if (!btn.disabled) onActivate(); });
+  if (onPress) {
+    btn.addEventListener("pointerdown",  () => onPress(true));
+    for (const ev of ["pointerup", "pointerleave", "blur"]) btn.addEventListener(ev, () => onPress(false));
+  }
+
+  layer.appendChild(btn);
+  __slots.set(slot, [...(__slots.get(slot) || []), btn]);
+
+  if (__focusNext && !btn.disabled) {
+    __focusNext = false;
+    btn.focus({ preventScroll: true });
+  }
+  return btn;
+}
+
+/** Lock / unlock the buttons of `slot` while a tx runs (the SVG art follows via `.cta-disabled`). */
+export function         setStageButtonsDisabled(slot, disabled)                 {
+  for (const btn of __slots.get(slot) || []) {
+    if (disabled && btn === document.activeElement) {
+      __focusNext = true;
+      focusHolder()?.focus({ preventScroll: true });
+    }
+    btn.disabled = !!disabled;
+    if (!disabled && __focusNext) { __focusNext = false; btn.focus({ preventScroll: true }); }
+  }
+  if (slot === "cta") {
+    document.querySelectorAll("#stageCtaGroup .cta-btn").forEach(g => g.classList.toggle("cta-disabled", !!disabled));
+  }
+}
+
+/** Stage just opened: focus its first enabled button, else the stage itself. */
+export function         focusStage          ()                                  {
+  const btn = [...(__slots.get("cta") || []), ...(__slots.get("ended") || [])].find(b => !b.disabled);
+  (btn || focusHolder())?.focus({ preventScroll: true });
+}
+// #endregion
+
+
+
+
+
+// #region Text view
+function                row                 (label, value)                      {
+  return value == null || value === "" ? "" : `<dt>${label}</dt><dd>${value}</dd>`;
+}
+
+function                when                (sec)                               {
+  return Number(sec) > 0 ? formatLocalDateTime(Number(sec)) : "";
+}
+
+function                paintText           ()                                  {
+  const host = $("stageText");
+  const m    = __mission;
+  if (!host || !m) return;
+
+  const st      = Number(m.status);
+  const total   = Number(m.mission_rounds_total || 0);
+  const cool    = cooldownInfo(m);
+  const rounds  = Array.isArray(m.rounds) ? m.rounds : [];
+  const last    = rounds[rounds.length - 1];
+
+  host.innerHTML = `
+    <h2 id="stageTextTitle" class="h5">${m.name || shorten(m.mission_address)}</h2>
+    <dl class="stage-text-list mb-0">
+      ${row(t("detail.status"),       statusText(st))}
+      ${row(t("detail.type"),         missionTypeText(m.mission_type))}
+      ${row(t("pill.round"),          total ? `${roundsForDisplay(m)}/${total}` : "")}
+      ${row(t("pill.players"),        t("detail.playersLine", {
+                                        min: Number(m.enrollment_min_players || 0),
+                                        joined: Number(m.enrolled_players || 0),
+                                        max: Number(m.enrollment_max_players || 0) }))}
+      ${row(t("detail.pool"),         m.cro_current_wei != null ? formatCro(String(m.cro_current_wei), 2) : "")}
+      ${row(t("detail.fee"),          m.enrollment_amount_wei != null ? formatCro(String(m.enrollment_amount_wei), 2) : "")}
+      ${row(t("detail.enrollEnd"),    st <= 1 ? when(m.enrollment_end) : "")}
+      ${row(t("detail.missionStart"), st <= 2 ? when(m.mission_start)  : "")}
+      ${row(t("detail.missionEnd"),   st <= 4 ? when(m.mission_end)    : "")}
+      ${row(t("a11y.cooldownUntil"),  st === 4 && cool.pauseEnd ? when(cool.pauseEnd) : "")}
+      ${row(t("a11y.lastRound"),      last?.winner_address
+                                        ? t("a11y.lastRoundLine", { player: shorten(last.winner_address), amount: formatCro(String(last.payout_wei || last.amountWei || "0"), 2) })
+                                        : "")}
+    </dl>`;
+}
+
+/**
+ * Repaint the text view from a stage snapshot; a status change on the same
+ * mission is announced. Countdowns appear as end times, so nothing ticks.
+ */
+export function         renderStageText     (mission)                           {
+  if (!mission) return;
+  const addr   = String(mission.mission_address || "").toLowerCase();
+  const status = Number(mission.status);
+
+  if (__lastStatus.addr === addr && __lastStatus.status !== null && __lastStatus.status !== status) {
+    announce(t("a11y.statusChanged", { status: statusText(status) }));
+  }
+  __lastStatus = { addr, status };
+
+  __mission = mission;
+  paintText();
+}
+
+/** Stage closed: forget the snapshot so reopening does not announce a stale change. */
+export function         resetStageText      ()                                  {
+  __lastStatus = { addr: "", status: null };
+  __mission    = null;
+  clearStageButtons("cta");
+  clearStageButtons("ended");
+  __focusNext  = false;
+}
+
+function                toggleTextView      ()                                  {
+  const host = $("stageText");
+  const btn  = $("stageTextBtn");
+  if (!host || !btn) return;
+  const open = !host.classList.contains("is-open");
+  host.classList.toggle("is-open", open);
+  host.classList.toggle("visually-hidden", !open);
+  btn.setAttribute("aria-expanded", String(open));
+}
+
+$("stageTextBtn")?.addEventListener("click", toggleTextView);
+window.addEventListener("i18n:changed", paintText);
+// #endregion
@@ -0,0 +1,166 @@
+/**********************************************************************
+ txHistory.js — paginated transaction history (mission_tx rows)
+  - Rows come from GET /missions/{addr}/tx or /players/{addr}/tx.
+  - Block timestamps are read once per block via the read provider,
+    only for the rows on the current page (every row while a date
+    filter is set); later pages and re-mounts reuse them.
+  - Filter by event type and date range; newest first.
+  - The panel chrome is rebuilt when the locale changed since the last
+    mount; filters and page survive.
+**********************************************************************/
+
+import {
+  getReadProvider,
+  formatLocalDateTime,
+  copyableAddr,
+  txLinkIcon,
+  shorten,
+} from "./core.js";
+import { t, LOCALE } from "./i18n.js";
+
+// mission_tx.event_type values; label: "txh.type.<value>"
+export const TX_TYPES = ["Created", "Enrolled", "Banked", "PotIncreased", "Refunded", "Finalized"];
+
+const typeLabel = (type) => (TX_TYPES.includes(type) ? t(`txh.type.${type}`) : type);
+
+const PAGE_SIZE = 10;
+
+// blockNumber → unix seconds (shared by all panels)
+const __blockTs    = new Map();
+const __blockAsked = new Set();                        // requested once: in flight, read or failed
+
+// Reads the blocks of `rows` not asked for yet; resolves false when there were none
+async function          blockTimestamps     (rows)                              {
+  const missing = [...new Set(rows.map(r => r.blockNumber).filter(b => b != null && !__blockAsked.has(b)))];
+  if (!missing.length) return false;
+  missing.forEach(b => __blockAsked.add(b));
+
+  const provider = getReadProvider();                  // batch provider: one round-trip per tick
+  await Promise.all(missing.map(async (b) => {
+    try {
+      const blk = await provider.getBlock(Number(b));
+      if (blk) __blockTs.set(b, Number(blk.timestamp));
+    } catch { /* leave undated; row still shows */ }
+  }));
+  return true;
+}
+
+// "YYYY-MM-DD" from <input type=date> → unix seconds (local day bounds)
+const dayStart = (s) => (s ? Math.floor(new Date(`${s}T00:00:00`).getTime() / 1000) : null);
+const dayEnd   = (s) => (s ? Math.floor(new Date(`${s}T23:59:59`).getTime() / 1000) : null);
+
+function                rowHtml             (r, { showMission, showPlayer })    {
+  const ts    = __blockTs.get(r.blockNumber);
+  return `
+    <tr>
+      <td><span class="status-pill tx-type tx-${String(r.eventType).toLowerCase()}">${typeLabel(r.eventType)}</span></td>
+      <td>${ts ? formatLocalDateTime(ts) : (r.blockNumber == null ? t("txh.pending") : t("txh.block", { block: r.blockNumber }))}</td>
+      ${showMission ? `<td><a href="game.html?mission=${r.mission}" title="${t("txh.openMission")}">${shorten(r.mission)}</a></td>` : ""}
+      ${showPlayer  ? `<td>${r.player ? copyableAddr(r.player) : "—"}</td>` : ""}
+      <td class="text-nowrap"><span class="tx-hash">${shorten(r.txHash)}</span> ${txLinkIcon(r.txHash)}</td>
+    </tr>`;
+}
+
+/**
+ * Mount (or refresh) a transaction history panel into `host`.
+ * Re-mounting with the same `key` keeps the current filters and page.
+ *
+ * @param {HTMLElement} host
+ * @param {{ key:string, load:() => Promise<object[]>, showMission?:boolean, showPlayer?:boolean, emptyText?:string }} opts
+ */
+export async function   mountTxHistory      (host, { key, load, showMission = false, showPlayer = true, emptyText = t("txh.emptyDefault") }) {
+  if (!host) return;
+
+  let st = host.__txHistory;
+  if (!st || st.key !== key) {
+    st = host.__txHistory = { key, rows: [], page: 0, type: "", from: "", to: "", locale: null };
+  }
+
+  if (st.locale !== LOCALE) {
+    st.locale = LOCALE;
+
+    host.innerHTML = `
+      <div class="tx-filters d-flex flex-wrap align-items-center gap-2 mb-2">
+        <select class="form-select form-select-sm tx-f-type" style="max-width:180px" aria-label="${t("txh.filterType")}">
+          <option value="">${t("txh.allTypes")}</option>
+          ${TX_TYPES.map(v => `<option value="${v}"${v === st.type ? " selected" : ""}>${typeLabel(v)}</option>`).join("")}
+        </select>
+        <input type="date" class="form-control form-control-sm tx-f-from" style="max-width:160px" aria-label="${t("txh.fromDate")}" value="${st.from}">
+        <input type="date" class="form-control form-control-sm tx-f-to"   style="max-width:160px" aria-label="${t("txh.toDate")}" value="${st.to}">
+      </div>
+      <div class="table-responsive">
+        <table class="table table-sm table-borderless tx-table mb-2">
+          <thead><tr>
+            <th>${t("txh.type")}</th><th>${t("txh.date")}</th>
+            ${showMission ? `<th>${t("txh.mission")}</th>` : ""}
+            ${showPlayer  ? `<th>${t("txh.player")}</th>`  : ""}
+            <th>${t("txh.tx")}</th>
+          </tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="tx-empty text-muted" style="display:none;"></div>
+      <div class="tx-pager d-flex align-items-center gap-2">
+        <button class="btn btn-sm btn-outline-info tx-prev" title="${t("txh.newer")}"><i class="fa-solid fa-chevron-left"></i></button>
+        <span class="tx-page small"></span>
+        <button class="btn btn-sm btn-outline-info tx-next" title="${t("txh.older")}"><i class="fa-solid fa-chevron-right"></i></button>
+      </div>`;
+
+    const onFilter = () => {
+      st.type = host.querySelector(".tx-f-type").value;
+      st.from = host.querySelector(".tx-f-from").value;
+      st.to   = host.querySelector(".tx-f-to").value;
+      st.page = 0;
+      paint();
+    };
+    host.querySelector(".tx-f-type").addEventListener("change", onFilter);
+    host.querySelector(".tx-f-from").addEventListener("change", onFilter);
+    host.querySelector(".tx-f-to"  ).addEventListener("change", onFilter);
+    host.querySelector(".tx-prev").addEventListener("click", () => { st.page--; paint(); });
+    host.querySelector(".tx-next").addEventListener("click", () => { st.page++; paint(); });
+  }
+
+  function paint(){
+    const from = dayStart(st.from);
+    const to   = dayEnd(st.to);
+
+    const list = st.rows.filter(r => {
+      if (st.type && r.eventType !== st.type) return false;
+      if (from == null && to == null) return true;
+      const ts = __blockTs.get(r.blockNumber);
+      if (!ts) return false;                              // undated rows drop out of date filters
+      return (from == null || ts >= from) && (to == null || ts <= to);
+    });
+
+    const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+    st.page = Math.min(Math.max(st.page, 0), pages - 1);
+    const slice = list.slice(st.page * PAGE_SIZE, (st.page + 1) * PAGE_SIZE);
+
+    host.querySelector("tbody").innerHTML = slice.map(r => rowHtml(r, { showMission, showPlayer })).join("");
+
+    const empty = host.querySelector(".tx-empty");
+    empty.textContent   = st.rows.length ? t("txh.noMatch") : emptyText;
+    empty.style.display = slice.length ? "none" : "";
+
+    host.querySelector(".tx-page").textContent = t("txh.page", { page: st.page + 1, pages });
+    host.querySelector(".tx-prev").disabled = st.page <= 0;
+    host.querySelector(".tx-next").disabled = st.page >= pages - 1;
+    host.querySelector(".tx-pager").style.display = list.length > PAGE_SIZE ? "" : "none";
+
+    // Dates follow for this page; a date filter needs every row dated
+    blockTimestamps(from == null && to == null ? slice : st.rows)
+      .then(read => { if (read && host.__txHistory === st) paint(); });
+  }
+
+  try {
+    const rows = await load();
+    st.rows = (Array.isArray(rows) ? rows : []).slice().sort((a, b) =>   // newest first; unmined (null block) on top
+      (b.blockNumber ?? Number.MAX_SAFE_INTEGER) - (a.blockNumber ?? Number.MAX_SAFE_INTEGER));
+    paint();                                              // show rows immediately, dates follow
+  } catch (err) {
+    console.warn("[txHistory] load failed:", err);
+    st.rows = [];
+    paint();
+    host.querySelector(".tx-empty").textContent = t("txh.failed");
+  }
+}
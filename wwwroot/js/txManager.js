@@ -0,0 +1,228 @@
+/**********************************************************************
+ txManager.js — shared transaction lifecycle + toast tray
+  - trackTx(tx, meta) follows a sent tx: submitted → mined →
+    confirmed, or reverted / cancelled.
+  - Pending txs live in localStorage ("b6:pendingTx") until final, so
+    a reload resumes watching them (read RPC, same replacement scan as
+    ethers' tx.wait()).
+  - Speed-ups (repriced) continue under the replacement hash; a
+    replacement with other data counts as cancelled.
+  - The matching postKick* call fires once, after the tx is mined.
+  - Emits "tx:status" { hash, kind, mission, state, resumed } on window.
+**********************************************************************/
+
+import { getReadProvider, txLinkIcon, shorten } from "./core.js";
+import { t } from "./i18n.js";
+import {
+  postKickEnrolled,
+  postKickBanked,
+  postKickFinalized,
+  postKickPotIncreased,
+} from "./api.js";
+
+const STORE_KEY     = "b6:pendingTx";
+const CONFIRMATIONS = 3;                                   // "mined" → "confirmed"
+const MAX_AGE_MS    = 24 * 3600 * 1000;                    // forget txs the chain never saw
+const DONE_HIDE_MS  = 8000;                                // confirmed toasts close themselves
+
+// kind → kick, called once with the final hash (the replacement when sped up)
+const KICKS = {
+  enrolled:     (e, txHash) => postKickEnrolled    ({ mission: e.mission, player: e.player, txHash }),
+  banked:       (e, txHash) => postKickBanked      ({ mission: e.mission, player: e.player, txHash }),
+  finalized:    (e, txHash) => postKickFinalized   ({ mission: e.mission, txHash }),
+  potincreased: (e, txHash) => postKickPotIncreased({ mission: e.mission, player: e.player, txHash }),
+};
+
+const STATES = ["submitted", "mined", "confirmed", "reverted", "cancelled", "dropped"];
+
+// #region Store
+function                loadStore           ()                                  {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch { return []; }
+}
+
+function                saveEntry           (entry)                             {
+  const list = loadStore().filter(e => e.hash !== entry.hash && e.hash !== entry.prevHash);
+  if (entry.state === "submitted" || entry.state === "mined") list.push(entry);
+  try { localStorage.setItem(STORE_KEY, JSON.stringify(list)); } catch {}
+}
+// #endregion
+
+
+
+
+
+// #region Toast tray
+function                tray                ()                                  {
+  let el = document.getElementById("txTray");
+  if (!el) {
+    el = document.createElement("div");
+    el.id        = "txTray";
+    el.className = "tx-tray";
+    el.setAttribute("aria-live", "polite");
+    document.body.appendChild(el);
+  }
+  return el;
+}
+
+function                paintToast          (entry)                             {
+  const id = `tx-${entry.key}`;
+  let toast = document.getElementById(id);
+  if (!toast) {
+    toast = document.createElement("div");
+    toast.id        = id;
+    toast.className = "tx-toast";
+    toast.innerHTML = `
+      <span class="tx-toast-icon"></span>
+      <div class="tx-toast-body">
+        <div class="tx-toast-title"></div>
+        <div class="tx-toast-state small"></div>
+      </div>
+      <button type="button" class="btn-close btn-close-white tx-toast-close" aria-label="${t("tx.dismiss")}"></button>`;
+    toast.querySelector(".tx-toast-close").addEventListener("click", () => toast.remove());
+    tray().appendChild(toast);
+  }
+
+  const busy = entry.state === "submitted" || entry.state === "mined";
+  const ok   = entry.state === "confirmed";
+  toast.dataset.state = entry.state;
+  toast.querySelector(".tx-toast-icon").innerHTML = busy
+    ? `<i class="fa-solid fa-circle-notch fa-spin"></i>`
+    : `<i class="fa-solid ${ok ? "fa-circle-check" : "fa-circle-xmark"}"></i>`;
+  toast.querySelector(".tx-toast-title").textContent = entry.label || t("tx.default");
+  toast.querySelector(".tx-toast-state").innerHTML =
+    `${STATES.includes(entry.state) ? t(`tx.state.${entry.state}`) : entry.state}${entry.repriced ? t("tx.spedUp") : ""} · ${shorten(entry.hash)} ${txLinkIcon(entry.hash)}`;
+
+  if (ok) setTimeout(() => toast.remove(), DONE_HIDE_MS);
+}
+// #endregion
+
+
+
+
+
+// #region Watcher
+function                update              (entry, state, extra = {})          {
+  Object.assign(entry, extra, { state });
+  saveEntry(entry);
+  paintToast(entry);
+  window.dispatchEvent(new CustomEvent("tx:status", {
+    detail: { hash: entry.hash, kind: entry.kind, mission: entry.mission, state, resumed: !!entry.resumed },
+  }));
+}
+
+function                kickOnce            (entry)                             {
+  if (entry.kicked || !KICKS[entry.kind]) return;
+  entry.kicked = true;
+  saveEntry(entry);
+  KICKS[entry.kind](entry, entry.hash).catch(() => {});  // non-fatal: the indexer catches up anyway
+}
+
+// Background wait for CONFIRMATIONS; callers already continued at "mined"
+function                confirmLater        (entry)                             {
+  getReadProvider().waitForTransaction(entry.hash, CONFIRMATIONS)
+    .then(() => update(entry, "confirmed"))
+    .catch((err) => console.warn("[tx] confirmation wait failed:", err));
+}
+
+// Mined receipt (status 1); throws like tx.wait() on revert / cancel
+async function          watch               (entry)                             {
+  let receipt;
+
+  try {
+    // ethers v5 internals: the replacement scan tx.wait() uses, usable after a reload.
+    // Without a start block the scan would begin at genesis, so it is skipped.
+    receipt = await getReadProvider()._waitForTransaction(entry.hash, 1, 0, entry.startBlock ? {
+      data:       entry.data,
+      from:       entry.from,
+      nonce:      entry.nonce,
+      to:         entry.to,
+      value:      ethers.BigNumber.from(entry.value || "0"),
+      startBlock: entry.startBlock,
+    } : null);
+  } catch (err) {
+    if (err?.code !== "TRANSACTION_REPLACED") throw err;
+    if (err.cancelled) {
+      update(entry, "cancelled");
+      throw err;
+    }
+    // Sped up: same call, new hash
+    update(entry, "submitted", { prevHash: entry.hash, hash: err.replacement.hash, repriced: true });
+    receipt = err.receipt;
+  }
+
+  if (!receipt || receipt.status === 0) {
+    update(entry, "reverted");
+    throw Object.assign(new Error("transaction reverted"), { code: "CALL_EXCEPTION", receipt, transactionHash: entry.hash });
+  }
+
+  update(entry, "mined");
+  kickOnce(entry);
+  confirmLater(entry);
+  return receipt;
+}
+// #endregion
+
+
+
+
+
+// #region Public
+/**
+ * Follow a sent transaction until it is final (toast, persistence, kick).
+ * Resolves with the mined receipt (of the replacement when sped up);
+ * rejects on revert ("CALL_EXCEPTION") or cancellation ("TRANSACTION_REPLACED").
+ *
+ * @param {ethers.providers.TransactionResponse} tx
+ * @param {{ label: string, kind?: "enrolled"|"banked"|"finalized"|"potincreased", mission?: string, player?: string }} meta
+ */
+export async function   trackTx             (tx, meta = {})                     {
+  let startBlock = 0;
+  try { startBlock = Math.max(0, (await getReadProvider().getBlockNumber()) - 1); } catch {}
+
+  const entry = {
+    key:        tx.hash,                                   // toast id; stays put across speed-ups
+    hash:       tx.hash,
+    label:      meta.label || t("tx.default"),
+    kind:       meta.kind || null,
+    mission:    meta.mission ? String(meta.mission).toLowerCase() : null,
+    player:     meta.player  ? String(meta.player).toLowerCase()  : null,
+    from:       tx.from,
+    nonce:      tx.nonce,
+    to:         tx.to,
+    data:       tx.data,
+    value:      String(tx.value ?? "0"),
+    startBlock,
+    createdAt:  Date.now(),
+    kicked:     false,
+  };
+  update(entry, "submitted");
+  return watch(entry);
+}
+
+/** Transactions still pending from an earlier page load (e.g. to keep a CTA locked). */
+export function         pendingTxs          (mission = null)                    {
+  const m = mission ? String(mission).toLowerCase() : null;
+  return loadStore().filter(e => !m || e.mission === m);
+}
+
+// Pick up where a reload left off
+function                resumePendingTx     ()                                  {
+  const now = Date.now();
+  for (const entry of loadStore()) {
+    if (now - Number(entry.createdAt || 0) > MAX_AGE_MS) { update(entry, "dropped"); continue; }
+    entry.resumed = true;
+    paintToast(entry);
+    if (entry.state === "mined") {
+      kickOnce(entry);
+      confirmLater(entry);
+      continue;
+    }
+    watch(entry).catch(() => {});                          // outcome is on the toast
+  }
+}
+
+resumePendingTx();
+// #endregion
@@ -1,44 +1,166 @@
 /*--------------------------------------------------------------------
-  walletConnect.js – all wallet / Web3Modal logic
+  walletConnect.js – all wallet logic (connect / disconnect / signer)
+  - Browser wallets are discovered with EIP-6963 (MetaMask, Crypto.com
+    DeFi Wallet, Rabby, …); window.ethereum is the fallback when no
+    wallet announces itself.
+  - WalletConnect v2 (QR on desktop, deep link on mobile) when
+    /api/config carries a WalletConnect project id; the provider
+    module (wwwroot/js/walletconnect.esm.min.js, a pinned bundle
+    served like ethers.umd.min.js) is loaded only when picked.
+  - The last pick is remembered (localStorage "b6:wallet") and
+    reconnected on page load without showing the picker.
+  - After connect (and on account change) the wallet signs a
+    Sign-In With Ethereum message; the backend answers with a cookie
+    session that api.js needs for kicks and eligibility.
 --------------------------------------------------------------------*/
-// NEW ------------- walletConnect.js (imports + constants)
-import { showAlert, setBtnLoading, shorten } from "./core.js";
+import { showAlert, setBtnLoading, shorten, NETWORK, WALLETCONNECT_PROJECT_ID } from "./core.js";
+import {
+  setSessionRenewer,
+  getAuthNonce,
+  getAuthSession,
+  postAuthVerify,
+  postAuthLogout,
+} from "./api.js";
+import { t } from "./i18n.js";
 export let walletAddress = null;
-let web3Modal, provider, signer;
+let provider, signer;
+let instance = null;                        // EIP-1193 provider of the connected wallet
 
 const connectBtn     = document.getElementById("connectWalletBtn");
 
-/* -------- init Web3Modal once -------- */
-function initWeb3Modal(){
-  web3Modal = new window.Web3Modal.default({
-    cacheProvider: true,
-    providerOptions: {},
-    disableInjectedProvider: false
+const LAST_WALLET_KEY = "b6:wallet";        // rdns | "injected" | "walletconnect"
+const WC_MODULE       = "./walletconnect.esm.min.js";   // pinned bundle of @walletconnect/ethereum-provider 2.17.0 (+ modal 2.7.0), loaded on first use
+
+/* -------- wallet discovery (EIP-6963) -------- */
+const discovered = new Map();               // rdns → { info, provider }
+
+window.addEventListener("eip6963:announceProvider", (e) => {
+  const { info, provider: p } = e.detail || {};
+  if (!info?.rdns || !p) return;
+  discovered.set(info.rdns, { info, provider: p });
+  if (pickerOpen) renderWalletList();
+});
+window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+function walletOptions(){
+  const out = [...discovered.values()].map(({ info, provider: p }) => ({
+    id: info.rdns, name: info.name, icon: info.icon, open: async () => p,
+  }));
+  if (!out.length && window.ethereum) {
+    out.push({ id: "injected", name: t("wallet.browser"), icon: null, open: async () => window.ethereum });
+  }
+  if (WALLETCONNECT_PROJECT_ID) {
+    out.push({ id: "walletconnect", name: "WalletConnect", hint: t("wallet.qrHint"), icon: null, open: openWalletConnect });
+  }
+  return out;
+}
+
+async function openWalletConnect(){
+  const { EthereumProvider } = await import(WC_MODULE);
+  const chainId = Number(NETWORK.chainId);
+  const wc = await EthereumProvider.init({
+    projectId:   WALLETCONNECT_PROJECT_ID,
+    chains:      [chainId],
+    rpcMap:      { [chainId]: NETWORK.rpc },
+    showQrModal: true,
+    metadata: {
+      name:        "B6 Missions",
+      description: "Be Brave Be Bold Be Banked",
+      url:         location.origin,
+      icons:       [`${location.origin}/web-app-manifest-192x192.png`],
+    },
   });
+  if (!wc.session) await wc.connect();      // restored sessions skip the QR modal
+  return wc;
+}
+
+// Remembered wallet, if it is still available (announcements can trail the request by a tick)
+async function rememberedWallet(){
+  const id = localStorage.getItem(LAST_WALLET_KEY);
+  if (!id) return null;
+  for (let i = 0; i < 3; i++) {
+    const opt = walletOptions().find(o => o.id === id);
+    if (opt) return opt;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return null;
 }
 
-/* -------- retry helper with timeout -------- */
-async function retryWeb3ConnectWithTimeout(maxRetries = 10, timeoutMs = 1000){
-  for (let attempt = 1; attempt <= maxRetries; attempt++){
-    try{
-      const instance = await Promise.race([
-        web3Modal.connect(),
-        new Promise((_, reject)=>
-          setTimeout(()=>reject(new Error("Connect timed out")), timeoutMs))
-      ]);
-      return instance;                      // success
-    }catch(err){
-      if (attempt === maxRetries) return null;
-      await new Promise(r => setTimeout(r, timeoutMs));
+/* -------- wallet picker -------- */
+let pickerOpen = false;
+let pickerDone = null;                      // resolves the pending pickWallet()
+
+function renderWalletList(){
+  const list = document.getElementById("walletModalList");
+  if (!list) return;
+  const opts = walletOptions();
+  list.innerHTML = "";
+
+  if (!opts.length) {
+    list.innerHTML = `<p class="text-muted mb-0">${t("wallet.none")}</p>`;
+    return;
+  }
+
+  for (const o of opts) {
+    const btn = document.createElement("button");
+    btn.type      = "button";
+    btn.className = "btn btn-outline-cyan wallet-option";
+    btn.innerHTML = o.icon
+      ? `<img class="wallet-option-icon" alt="">`
+      : `<i class="fa-solid ${o.id === "walletconnect" ? "fa-qrcode" : "fa-wallet"} wallet-option-icon"></i>`;
+    if (o.icon) btn.querySelector("img").src = o.icon;   // EIP-6963 icons are data URIs
+
+    const label = document.createElement("span");
+    label.textContent = o.name;
+    btn.appendChild(label);
+    if (o.hint) {
+      const hint = document.createElement("small");
+      hint.className   = "text-muted ms-auto";
+      hint.textContent = o.hint;
+      btn.appendChild(hint);
     }
+    btn.addEventListener("click", () => closePicker(o));
+    list.appendChild(btn);
   }
 }
 
+// Resolves with the picked option, or null when cancelled
+function pickWallet(){
+  const overlay = document.getElementById("modalOverlay");
+  const modal   = document.getElementById("walletModal");
+  if (!overlay || !modal) {
+    return Promise.resolve(walletOptions().find(o => o.id !== "walletconnect") || null);
+  }
+
+  overlay.querySelectorAll(".modal-box").forEach(b => b.classList.add("hidden"));
+  modal.classList.remove("hidden");
+  overlay.classList.add("active");
+  pickerOpen = true;
+  renderWalletList();
+
+  document.getElementById("walletModalCancel").onclick = () => closePicker(null);
+  overlay.onclick = e => { if (e.target === overlay) closePicker(null); };
+
+  return new Promise(res => { pickerDone = res; });
+}
+
+function closePicker(choice){
+  if (!pickerOpen) return;
+  pickerOpen = false;
+  document.getElementById("walletModal")?.classList.add("hidden");
+  const overlay = document.getElementById("modalOverlay");
+  if (overlay) { overlay.classList.remove("active"); overlay.onclick = null; }
+  pickerDone?.(choice);
+  pickerDone = null;
+}
+
 /* -------- after connect -------- */
-async function afterWalletConnect(instance){
-  provider      = new ethers.providers.Web3Provider(instance);
+async function afterWalletConnect(eip1193){
+  instance      = eip1193;
+  provider      = new ethers.providers.Web3Provider(instance, "any");   // "any": survives a network switch
   signer        = provider.getSigner();
   walletAddress = (await signer.getAddress()).toLowerCase();
+  await validateChain();                    // before wallet:connected so CTAs paint with the right gating
   window.dispatchEvent(new CustomEvent("wallet:connected", { detail:{ address: walletAddress }}));
   await new Promise(res => {
     connectBtn.addEventListener("transitionend", res, { once:true });
@@ -48,48 +170,242 @@ async function afterWalletConnect(instance){
 
   setConnectText(shorten(walletAddress));
 
-  provider.provider.on("accountsChanged", accts=>{
-    if (!accts.length){
-      disconnectWallet();
-    } else {
-      walletAddress = accts[0].toLowerCase();
-      setConnectText(shorten(walletAddress));
-      window.dispatchEvent(new CustomEvent("wallet:changed", { detail:{ address: walletAddress }}));
+  instance.on?.("chainChanged",    onChainChanged);
+  instance.on?.("accountsChanged", onAccountsChanged);
+  if (instance.session) instance.on("disconnect", onProviderDisconnect);   // WalletConnect: session ended in the wallet
+}
+
+async function onChainChanged(id){
+  const ok = await validateChain(Number(id));
+  window.dispatchEvent(new CustomEvent("wallet:chainChanged", { detail:{ chainId: walletChainId, ok }}));
+}
+
+function onAccountsChanged(accts){
+  if (!accts.length){
+    disconnectWallet();
+  } else {
+    walletAddress = accts[0].toLowerCase();
+    setConnectText(shorten(walletAddress));
+    window.dispatchEvent(new CustomEvent("wallet:changed", { detail:{ address: walletAddress }}));
+  }
+}
+
+function onProviderDisconnect(){
+  if (walletAddress) disconnectWallet();
+}
+
+/* -------- network (NETWORK from /api/config) -------- */
+const appChainHex = () => "0x" + Number(NETWORK.chainId).toString(16);
+
+/** Chain id the connected wallet is on, or null when not connected / unknown. */
+export async function getWalletChainId(){
+  if (!provider) return null;
+  try { return Number(await provider.send("eth_chainId", [])); }
+  catch { return null; }
+}
+
+/** True when the connected wallet is on the app's network. */
+export async function isOnAppNetwork(){
+  return (await getWalletChainId()) === Number(NETWORK.chainId);
+}
+
+/**
+ * Ask the wallet to switch to NETWORK; adds the chain first when the wallet
+ * does not know it (error 4902). Resolves true when the wallet is on it.
+ */
+export async function switchToAppNetwork(){
+  if (!provider) return false;
+  try {
+    await provider.send("wallet_switchEthereumChain", [{ chainId: appChainHex() }]);
+    return true;
+  } catch (err) {
+    const code = err?.code ?? err?.data?.originalError?.code;   // some wallets wrap the code
+    if (code !== 4902) {
+      if (code !== 4001) console.warn("[wallet] switch chain failed:", err);
+      return false;
     }
-  });
+  }
+
+  try {
+    await provider.send("wallet_addEthereumChain", [{
+      chainId:           appChainHex(),
+      chainName:         NETWORK.name,
+      nativeCurrency:    { name: NETWORK.symbol, symbol: NETWORK.symbol, decimals: 18 },
+      rpcUrls:           [NETWORK.rpc],
+      ...(NETWORK.explorer ? { blockExplorerUrls: [NETWORK.explorer] } : {}),
+    }]);
+    return await isOnAppNetwork();
+  } catch (err) {
+    if (err?.code !== 4001) console.warn("[wallet] add chain failed:", err);
+    return false;
+  }
+}
+
+/* -------- chain guard -------- */
+// Writes on another chain revert with confusing errors (or hit a different contract),
+// so while the wallet is elsewhere a banner offers the switch and requireAppNetwork() says no.
+let walletChainId = null;
+
+/** True while a wallet is connected on another chain than NETWORK. */
+export function isWrongNetwork(){
+  return !!walletAddress && walletChainId != null && walletChainId !== Number(NETWORK.chainId);
+}
+
+async function validateChain(id = null){
+  walletChainId = Number.isFinite(id) && id > 0 ? id : await getWalletChainId();
+  const ok = !isWrongNetwork();
+  showNetworkBanner(!ok);
+  return ok;
+}
+
+/**
+ * Gate for write actions: true when a transaction may be sent. On the wrong
+ * chain it points at the banner's switch button and returns false.
+ */
+export async function requireAppNetwork(){
+  if (!provider) return true;               // not connected: the callers' own wallet checks apply
+  if (await validateChain()) return true;
+
+  showAlert(t("wallet.wrongNetwork", { name: NETWORK.name }), "warning");
+  return false;
 }
 
+function showNetworkBanner(show){
+  let banner = document.getElementById("networkBanner");
+  document.body.classList.toggle("wrong-network", show);
+  if (!show) { if (banner) banner.style.display = "none"; return; }
+
+  if (!banner) {
+    banner = document.createElement("div");
+    banner.id        = "networkBanner";
+    banner.className = "network-banner";
+    banner.setAttribute("role", "alert");
+    banner.innerHTML = `
+      <i class="fa-solid fa-triangle-exclamation me-2"></i><span class="network-banner-text"></span>
+      <button type="button" class="btn btn-sm btn-dark ms-2 network-banner-btn"></button>`;
+    banner.querySelector(".network-banner-btn").addEventListener("click", async (e) => {
+      const btn = e.currentTarget;
+      btn.disabled = true;
+      const ok = await switchToAppNetwork();
+      btn.disabled = false;
+      if (!ok) showAlert(t("wallet.switchFailed", { name: NETWORK.name }), "warning");
+      // success: chainChanged re-validates and hides the banner
+    });
+    document.body.prepend(banner);
+  }
+
+  banner.querySelector(".network-banner-text").textContent =
+    t("wallet.banner", { chain: walletChainId, name: NETWORK.name, chainId: NETWORK.chainId });
+  banner.querySelector(".network-banner-btn").textContent = t("wallet.switchTo", { name: NETWORK.name });
+  banner.style.display = "";
+}
+
+/* -------- SIWE session (EIP-4361) -------- */
+// The cookie outlives the page, so the wallet is only asked to sign when the
+// session is missing or belongs to another address. A declined signature is not
+// asked again until the next connect / account change.
+let sessionAddress  = null;                 // address the backend session is for
+let sessionPending  = null;                 // { address, promise } while signing in
+let sessionDeclined = null;                 // address that refused to sign
+
+function siweMessage(address, nonce){
+  const issued = new Date();
+  return [
+    `${location.host} wants you to sign in with your Ethereum account:`,
+    address,                                // EIP-55 checksum, as the spec asks
+    "",
+    "Sign in to B6 Missions. This is not a transaction and costs no gas.",
+    "",
+    `URI: ${location.origin}`,
+    "Version: 1",
+    `Chain ID: ${NETWORK.chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issued.toISOString()}`,
+    `Expiration Time: ${new Date(issued.getTime() + 10 * 60_000).toISOString()}`,
+  ].join("\n");
+}
+
+async function signIn(address){
+  try{
+    if ((await getAuthSession()) === address) { sessionAddress = address; return true; }
+
+    const { nonce } = await getAuthNonce();
+    const message   = siweMessage(ethers.utils.getAddress(address), nonce);
+    const signature = await signer.signMessage(message);
+    const res       = await postAuthVerify({ message, signature });
+    sessionAddress  = String(res?.address || "").toLowerCase() || null;
+  }catch(err){
+    if (err?.code === 4001 || err?.code === "ACTION_REJECTED") sessionDeclined = address;
+    else console.warn("[wallet] sign-in failed:", err);
+  }
+  return sessionAddress === address;
+}
+
+/** Resolves true when the API session belongs to the connected wallet; signs in when needed. */
+export function ensureSession(){
+  const address = walletAddress;
+  if (!address || !signer)            return Promise.resolve(false);
+  if (sessionAddress === address)     return Promise.resolve(true);
+  if (sessionDeclined === address)    return Promise.resolve(false);
+  if (sessionPending?.address !== address) {
+    const promise  = signIn(address).finally(() => { if (sessionPending?.promise === promise) sessionPending = null; });
+    sessionPending = { address, promise };
+  }
+  return sessionPending.promise;
+}
+
+setSessionRenewer(ensureSession);
+
+const renewSession = () => { sessionDeclined = null; ensureSession(); };
+window.addEventListener("wallet:connected", renewSession);
+window.addEventListener("wallet:changed",   renewSession);
+
 /* -------- public: connect -------- */
 export async function connectWallet(){
   if (walletAddress) return;
 
   if (connectBtn) {
-    setBtnLoading(connectBtn, true, "Connecting");
+    setBtnLoading(connectBtn, true, t("wallet.connecting"));
   }
-  else            setConnectText("Connecting…");
+  else            setConnectText(t("wallet.connecting") + "…");
 
   try{
-    const instance = await retryWeb3ConnectWithTimeout(10, 1000);
-    if (!instance){
-      showAlert("Wallet connection timed out.<br>Please try again.","error");
-      resetBtn();
-      return;
-    }
-    await afterWalletConnect(instance);
+    const choice = await rememberedWallet() ?? await pickWallet();
+    if (!choice){ resetBtn(); return; }
+
+    const eip1193 = await choice.open();
+    if (choice.id !== "walletconnect") await eip1193.request({ method: "eth_requestAccounts" });
+
+    localStorage.setItem(LAST_WALLET_KEY, choice.id);
+    await afterWalletConnect(eip1193);
   }catch(err){
-    console.error(err);
     resetBtn();
-    showAlert("Wallet connection failed.<br>Please try again.","error");
+    if (err?.code === 4001 || /reject|closed|cancel/i.test(String(err?.message))) return;   // user said no
+    console.error(err);
+    localStorage.removeItem(LAST_WALLET_KEY);   // next attempt shows the picker
+    showAlert(t("wallet.connectFailed"),"error");
   }
 }
 
 /* -------- public: disconnect -------- */
 export function disconnectWallet(){
-  if (provider?.provider?.disconnect) provider.provider.disconnect();
-  web3Modal.clearCachedProvider && web3Modal.clearCachedProvider();
-  walletAddress = null;
-  resetBtn();
+  if (instance){
+    instance.removeListener?.("chainChanged",    onChainChanged);
+    instance.removeListener?.("accountsChanged", onAccountsChanged);
+    instance.removeListener?.("disconnect",      onProviderDisconnect);
+    if (typeof instance.disconnect === "function") instance.disconnect().catch?.(() => {});   // WalletConnect session
+  }
+  if (sessionAddress) postAuthLogout().catch(() => {});
+  sessionAddress  = null;
+  sessionPending  = null;
+  sessionDeclined = null;
+  localStorage.removeItem(LAST_WALLET_KEY);
+  instance      = null;
+  provider      = null;
+  signer        = null;
   walletAddress = null;
+  walletChainId = null;
+  showNetworkBanner(false);
   resetBtn();
   window.dispatchEvent(new Event("wallet:disconnected"));
 }
@@ -98,15 +414,23 @@ export function getSigner() { return signer; }
 export function getProvider() { return provider; }
 
 function resetBtn(){
-  if (connectBtn) setBtnLoading(connectBtn, false, "Connect Wallet", false);
-  setConnectText("Connect Wallet");
+  if (connectBtn) setBtnLoading(connectBtn, false, t("wallet.connect"), false);
+  setConnectText(t("wallet.connect"));
 }
 
 // NEW — add just below the constants
-const setConnectText = (txt = "Connect Wallet") => {
+const setConnectText = (txt = t("wallet.connect")) => {
   const span = document.getElementById("connectBtnText");
   if (span) span.textContent = txt;
 };
 
-/* run immediately */
-initWeb3Modal();
+
+/* -------- language -------- */
+// The idle connect label and the network banner are owned here; the connected
+// label (address) is repainted by the page
+const paintWalletTexts = () => {
+  if (document.body.classList.contains("wrong-network")) showNetworkBanner(true);
+  if (!walletAddress && !connectBtn?.dataset.loading) setConnectText();
+};
+paintWalletTexts();
+window.addEventListener("i18n:changed", paintWalletTexts);
@@ -0,0 +1,54 @@
+/* @walletconnect/ethereum-provider 2.17.0 + @walletconnect/modal 2.7.0 — esbuild ESM bundle (npm registry, pinned). Exports { EthereumProvider }. */
+var kN=Object.create;var ld=Object.defineProperty;var jN=Object.getOwnPropertyDescriptor;var zN=Object.getOwnPropertyNames;var HN=Object.getPrototypeOf,KN=Object.prototype.hasOwnProperty;var Kw=(t=>typeof require<"u"?require:typeof Proxy<"u"?new Proxy(t,{get:(e,r)=>(typeof require<"u"?require:e)[r]}):t)(function(t){if(typeof require<"u")return require.apply(this,arguments);throw Error('Dynamic require of "'+t+'" is not supported')});var be=(t,e,r)=>()=>{if(r)throw r[0];try{return t&&(e=t(t=0)),e}catch(i){throw r=[i],i}};var fe=(t,e)=>()=>{try{return e||t((e={exports:{}}).exports,e),e.exports}catch(r){throw e=0,r}},zr=(t,e)=>{for(var r in e)ld(t,r,{get:e[r],enumerable:!0})},ud=(t,e,r,i)=>{if(e&&typeof e=="object"||typeof e=="function")for(let n of zN(e))!KN.call(t,n)&&n!==r&&ld(t,n,{get:()=>e[n],enumerable:!(i=jN(e,n))||i.enumerable});return t},Wi=(t,e,r)=>(ud(t,e,"default"),r&&ud(r,e,"default")),Et=(t,e,r)=>(r=t!=null?kN(HN(t)):{},ud(e||!t||!t.__esModule?ld(r,"default",{value:t,enumerable:!0}):r,t)),Tl=t=>ud(ld({},"__esModule",{value:!0}),t);var ts=fe((Uee,wg)=>{"use strict";var Hc=typeof Reflect=="object"?Reflect:null,Vw=Hc&&typeof Hc.apply=="function"?Hc.apply:function(e,r,i){return Function.prototype.apply.call(e,r,i)},fd;Hc&&typeof Hc.ownKeys=="function"?fd=Hc.ownKeys:Object.getOwnPropertySymbols?fd=function(e){return Object.getOwnPropertyNames(e).concat(Object.getOwnPropertySymbols(e))}:fd=function(e){return Object.getOwnPropertyNames(e)};function VN(t){console&&console.warn&&console.warn(t)}var Gw=Number.isNaN||function(e){return e!==e};function Yt(){Yt.init.call(this)}wg.exports=Yt;wg.exports.once=YN;Yt.EventEmitter=Yt;Yt.prototype._events=void 0;Yt.prototype._eventsCount=0;Yt.prototype._maxListeners=void 0;var Ww=10;function hd(t){if(typeof t!="function")throw new TypeError('The "listener" argument must be of type Function. Received type '+typeof t)}Object.defineProperty(Yt,"defaultMaxListeners",{enumerable:!0,get:function(){return Ww},set:function(t){if(typeof t!="number"||t<0||Gw(t))throw new RangeError('The value of "defaultMaxListeners" is out of range. It must be a non-negative number. Received '+t+".");Ww=t}});Yt.init=function(){(this._events===void 0||this._events===Object.getPrototypeOf(this)._events)&&(this._events=Object.create(null),this._eventsCount=0),this._maxListeners=this._maxListeners||void 0};Yt.prototype.setMaxListeners=function(e){if(typeof e!="number"||e<0||Gw(e))throw new RangeError('The value of "n" is out of range. It must be a non-negative number. Received '+e+".");return this._maxListeners=e,this};function Jw(t){return t._maxListeners===void 0?Yt.defaultMaxListeners:t._maxListeners}Yt.prototype.getMaxListeners=function(){return Jw(this)};Yt.prototype.emit=function(e){for(var r=[],i=1;i<arguments.length;i++)r.push(arguments[i]);var n=e==="error",s=this._events;if(s!==void 0)n=n&&s.error===void 0;else if(!n)return!1;if(n){var a;if(r.length>0&&(a=r[0]),a instanceof Error)throw a;var u=new Error("Unhandled error."+(a?" ("+a.message+")":""));throw u.context=a,u}var h=s[e];if(h===void 0)return!1;if(typeof h=="function")Vw(h,this,r);else for(var f=h.length,v=e5(h,f),i=0;i<f;++i)Vw(v[i],this,r);return!0};function Yw(t,e,r,i){var n,s,a;if(hd(r),s=t._events,s===void 0?(s=t._events=Object.create(null),t._eventsCount=0):(s.newListener!==void 0&&(t.emit("newListener",e,r.listener?r.listener:r),s=t._events),a=s[e]),a===void 0)a=s[e]=r,++t._eventsCount;else if(typeof a=="function"?a=s[e]=i?[r,a]:[a,r]:i?a.unshift(r):a.push(r),n=Jw(t),n>0&&a.length>n&&!a.warned){a.warned=!0;var u=new Error("Possible EventEmitter memory leak detected. "+a.length+" "+String(e)+" listeners added. Use emitter.setMaxListeners() to increase limit");u.name="MaxListenersExceededWarning",u.emitter=t,u.type=e,u.count=a.length,VN(u)}return t}Yt.prototype.addListener=function(e,r){return Yw(this,e,r,!1)};Yt.prototype.on=Yt.prototype.addListener;Yt.prototype.prependListener=function(e,r){return Yw(this,e,r,!0)};function WN(){if(!this.fired)return this.target.removeListener(this.type,this.wrapFn),this.fired=!0,arguments.length===0?this.listener.call(this.target):this.listener.apply(this.target,arguments)}function Qw(t,e,r){var i={fired:!1,wrapFn:void 0,target:t,type:e,listener:r},n=WN.bind(i);return n.listener=r,i.wrapFn=n,n}Yt.prototype.once=function(e,r){return hd(r),this.on(e,Qw(this,e,r)),this};Yt.prototype.prependOnceListener=function(e,r){return hd(r),this.prependListener(e,Qw(this,e,r)),this};Yt.prototype.removeListener=function(e,r){var i,n,s,a,u;if(hd(r),n=this._events,n===void 0)return this;if(i=n[e],i===void 0)return this;if(i===r||i.listener===r)--this._eventsCount===0?this._events=Object.create(null):(delete n[e],n.removeListener&&this.emit("removeListener",e,i.listener||r));else if(typeof i!="function"){for(s=-1,a=i.length-1;a>=0;a--)if(i[a]===r||i[a].listener===r){u=i[a].listener,s=a;break}if(s<0)return this;s===0?i.shift():GN(i,s),i.length===1&&(n[e]=i[0]),n.removeListener!==void 0&&this.emit("removeListener",e,u||r)}return this};Yt.prototype.off=Yt.prototype.removeListener;Yt.prototype.removeAllListeners=function(e){var r,i,n;if(i=this._events,i===void 0)return this;if(i.removeListener===void 0)return arguments.length===0?(this._events=Object.create(null),this._eventsCount=0):i[e]!==void 0&&(--this._eventsCount===0?this._events=Object.create(null):delete i[e]),this;if(arguments.length===0){var s=Object.keys(i),a;for(n=0;n<s.length;++n)a=s[n],a!=="removeListener"&&this.removeAllListeners(a);return this.removeAllListeners("removeListener"),this._events=Object.create(null),this._eventsCount=0,this}if(r=i[e],typeof r=="function")this.removeListener(e,r);else if(r!==void 0)for(n=r.length-1;n>=0;n--)this.removeListener(e,r[n]);return this};function Xw(t,e,r){var i=t._events;if(i===void 0)return[];var n=i[e];return n===void 0?[]:typeof n=="function"?r?[n.listener||n]:[n]:r?JN(n):e5(n,n.length)}Yt.prototype.listeners=function(e){return Xw(this,e,!0)};Yt.prototype.rawListeners=function(e){return Xw(this,e,!1)};Yt.listenerCount=function(t,e){return typeof t.listenerCount=="function"?t.listenerCount(e):Zw.call(t,e)};Yt.prototype.listenerCount=Zw;function Zw(t){var e=this._events;if(e!==void 0){var r=e[t];if(typeof r=="function")return 1;if(r!==void 0)return r.length}return 0}Yt.prototype.eventNames=function(){return this._eventsCount>0?fd(this._events):[]};function e5(t,e){for(var r=new Array(e),i=0;i<e;++i)r[i]=t[i];return r}function GN(t,e){for(;e+1<t.length;e++)t[e]=t[e+1];t.pop()}function JN(t){for(var e=new Array(t.length),r=0;r<e.length;++r)e[r]=t[r].listener||t[r];return e}function YN(t,e){return new Promise(function(r,i){function n(a){t.removeListener(e,s),i(a)}function s(){typeof t.removeListener=="function"&&t.removeListener("error",n),r([].slice.call(arguments))}t5(t,e,s,{once:!0}),e!=="error"&&QN(t,n,{once:!0})})}function QN(t,e,r){typeof t.on=="function"&&t5(t,"error",e,r)}function t5(t,e,r,i){if(typeof t.on=="function")i.once?t.once(e,r):t.on(e,r);else if(typeof t.addEventListener=="function")t.addEventListener(e,function n(s){i.once&&t.removeEventListener(e,n),r(s)});else throw new TypeError('The "emitter" argument must be of type EventEmitter. Received type '+typeof t)}});var Kc={};zr(Kc,{__assign:()=>xg,__asyncDelegator:()=>xL,__asyncGenerator:()=>_L,__asyncValues:()=>EL,__await:()=>Nl,__awaiter:()=>gL,__classPrivateFieldGet:()=>ML,__classPrivateFieldSet:()=>CL,__createBinding:()=>vL,__decorate:()=>hL,__exportStar:()=>bL,__extends:()=>lL,__generator:()=>mL,__importDefault:()=>IL,__importStar:()=>SL,__makeTemplateObject:()=>AL,__metadata:()=>pL,__param:()=>dL,__read:()=>a5,__rest:()=>fL,__spread:()=>yL,__spreadArrays:()=>wL,__values:()=>Eg});function lL(t,e){_g(t,e);function r(){this.constructor=t}t.prototype=e===null?Object.create(e):(r.prototype=e.prototype,new r)}function fL(t,e){var r={};for(var i in t)Object.prototype.hasOwnProperty.call(t,i)&&e.indexOf(i)<0&&(r[i]=t[i]);if(t!=null&&typeof Object.getOwnPropertySymbols=="function")for(var n=0,i=Object.getOwnPropertySymbols(t);n<i.length;n++)e.indexOf(i[n])<0&&Object.prototype.propertyIsEnumerable.call(t,i[n])&&(r[i[n]]=t[i[n]]);return r}function hL(t,e,r,i){var n=arguments.length,s=n<3?e:i===null?i=Object.getOwnPropertyDescriptor(e,r):i,a;if(typeof Reflect=="object"&&typeof Reflect.decorate=="function")s=Reflect.decorate(t,e,r,i);else for(var u=t.length-1;u>=0;u--)(a=t[u])&&(s=(n<3?a(s):n>3?a(e,r,s):a(e,r))||s);return n>3&&s&&Object.defineProperty(e,r,s),s}function dL(t,e){return function(r,i){e(r,i,t)}}function pL(t,e){if(typeof Reflect=="object"&&typeof Reflect.metadata=="function")return Reflect.metadata(t,e)}function gL(t,e,r,i){function n(s){return s instanceof r?s:new r(function(a){a(s)})}return new(r||(r=Promise))(function(s,a){function u(v){try{f(i.next(v))}catch(w){a(w)}}function h(v){try{f(i.throw(v))}catch(w){a(w)}}function f(v){v.done?s(v.value):n(v.value).then(u,h)}f((i=i.apply(t,e||[])).next())})}function mL(t,e){var r={label:0,sent:function(){if(s[0]&1)throw s[1];return s[1]},trys:[],ops:[]},i,n,s,a;return a={next:u(0),throw:u(1),return:u(2)},typeof Symbol=="function"&&(a[Symbol.iterator]=function(){return this}),a;function u(f){return function(v){return h([f,v])}}function h(f){if(i)throw new TypeError("Generator is already executing.");for(;r;)try{if(i=1,n&&(s=f[0]&2?n.return:f[0]?n.throw||((s=n.return)&&s.call(n),0):n.next)&&!(s=s.call(n,f[1])).done)return s;switch(n=0,s&&(f=[f[0]&2,s.value]),f[0]){case 0:case 1:s=f;break;case 4:return r.label++,{value:f[1],done:!1};case 5:r.label++,n=f[1],f=[0];continue;case 7:f=r.ops.pop(),r.trys.pop();continue;default:if(s=r.trys,!(s=s.length>0&&s[s.length-1])&&(f[0]===6||f[0]===2)){r=0;continue}if(f[0]===3&&(!s||f[1]>s[0]&&f[1]<s[3])){r.label=f[1];break}if(f[0]===6&&r.label<s[1]){r.label=s[1],s=f;break}if(s&&r.label<s[2]){r.label=s[2],r.ops.push(f);break}s[2]&&r.ops.pop(),r.trys.pop();continue}f=e.call(t,r)}catch(v){f=[6,v],n=0}finally{i=s=0}if(f[0]&5)throw f[1];return{value:f[0]?f[1]:void 0,done:!0}}}function vL(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}function bL(t,e){for(var r in t)r!=="default"&&!e.hasOwnProperty(r)&&(e[r]=t[r])}function Eg(t){var e=typeof Symbol=="function"&&Symbol.iterator,r=e&&t[e],i=0;if(r)return r.call(t);if(t&&typeof t.length=="number")return{next:function(){return t&&i>=t.length&&(t=void 0),{value:t&&t[i++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")}function a5(t,e){var r=typeof Symbol=="function"&&t[Symbol.iterator];if(!r)return t;var i=r.call(t),n,s=[],a;try{for(;(e===void 0||e-- >0)&&!(n=i.next()).done;)s.push(n.value)}catch(u){a={error:u}}finally{try{n&&!n.done&&(r=i.return)&&r.call(i)}finally{if(a)throw a.error}}return s}function yL(){for(var t=[],e=0;e<arguments.length;e++)t=t.concat(a5(arguments[e]));return t}function wL(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),n=0,e=0;e<r;e++)for(var s=arguments[e],a=0,u=s.length;a<u;a++,n++)i[n]=s[a];return i}function Nl(t){return this instanceof Nl?(this.v=t,this):new Nl(t)}function _L(t,e,r){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var i=r.apply(t,e||[]),n,s=[];return n={},a("next"),a("throw"),a("return"),n[Symbol.asyncIterator]=function(){return this},n;function a(I){i[I]&&(n[I]=function(M){return new Promise(function(P,T){s.push([I,M,P,T])>1||u(I,M)})})}function u(I,M){try{h(i[I](M))}catch(P){w(s[0][3],P)}}function h(I){I.value instanceof Nl?Promise.resolve(I.value.v).then(f,v):w(s[0][2],I)}function f(I){u("next",I)}function v(I){u("throw",I)}function w(I,M){I(M),s.shift(),s.length&&u(s[0][0],s[0][1])}}function xL(t){var e,r;return e={},i("next"),i("throw",function(n){throw n}),i("return"),e[Symbol.iterator]=function(){return this},e;function i(n,s){e[n]=t[n]?function(a){return(r=!r)?{value:Nl(t[n](a)),done:n==="return"}:s?s(a):a}:s}}function EL(t){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var e=t[Symbol.asyncIterator],r;return e?e.call(t):(t=typeof Eg=="function"?Eg(t):t[Symbol.iterator](),r={},i("next"),i("throw"),i("return"),r[Symbol.asyncIterator]=function(){return this},r);function i(s){r[s]=t[s]&&function(a){return new Promise(function(u,h){a=t[s](a),n(u,h,a.done,a.value)})}}function n(s,a,u,h){Promise.resolve(h).then(function(f){s({value:f,done:u})},a)}}function AL(t,e){return Object.defineProperty?Object.defineProperty(t,"raw",{value:e}):t.raw=e,t}function SL(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&(e[r]=t[r]);return e.default=t,e}function IL(t){return t&&t.__esModule?t:{default:t}}function ML(t,e){if(!e.has(t))throw new TypeError("attempted to get private field on non-instance");return e.get(t)}function CL(t,e,r){if(!e.has(t))throw new TypeError("attempted to set private field on non-instance");return e.set(t,r),r}var _g,xg,Vc=be(()=>{_g=function(t,e){return _g=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(r,i){r.__proto__=i}||function(r,i){for(var n in i)i.hasOwnProperty(n)&&(r[n]=i[n])},_g(t,e)};xg=function(){return xg=Object.assign||function(e){for(var r,i=1,n=arguments.length;i<n;i++){r=arguments[i];for(var s in r)Object.prototype.hasOwnProperty.call(r,s)&&(e[s]=r[s])}return e},xg.apply(this,arguments)}});var c5=fe(dd=>{"use strict";Object.defineProperty(dd,"__esModule",{value:!0});dd.delay=void 0;function DL(t){return new Promise(e=>{setTimeout(()=>{e(!0)},t)})}dd.delay=DL});var u5=fe(Wc=>{"use strict";Object.defineProperty(Wc,"__esModule",{value:!0});Wc.ONE_THOUSAND=Wc.ONE_HUNDRED=void 0;Wc.ONE_HUNDRED=100;Wc.ONE_THOUSAND=1e3});var l5=fe(ye=>{"use strict";Object.defineProperty(ye,"__esModule",{value:!0});ye.ONE_YEAR=ye.FOUR_WEEKS=ye.THREE_WEEKS=ye.TWO_WEEKS=ye.ONE_WEEK=ye.THIRTY_DAYS=ye.SEVEN_DAYS=ye.FIVE_DAYS=ye.THREE_DAYS=ye.ONE_DAY=ye.TWENTY_FOUR_HOURS=ye.TWELVE_HOURS=ye.SIX_HOURS=ye.THREE_HOURS=ye.ONE_HOUR=ye.SIXTY_MINUTES=ye.THIRTY_MINUTES=ye.TEN_MINUTES=ye.FIVE_MINUTES=ye.ONE_MINUTE=ye.SIXTY_SECONDS=ye.THIRTY_SECONDS=ye.TEN_SECONDS=ye.FIVE_SECONDS=ye.ONE_SECOND=void 0;ye.ONE_SECOND=1;ye.FIVE_SECONDS=5;ye.TEN_SECONDS=10;ye.THIRTY_SECONDS=30;ye.SIXTY_SECONDS=60;ye.ONE_MINUTE=ye.SIXTY_SECONDS;ye.FIVE_MINUTES=ye.ONE_MINUTE*5;ye.TEN_MINUTES=ye.ONE_MINUTE*10;ye.THIRTY_MINUTES=ye.ONE_MINUTE*30;ye.SIXTY_MINUTES=ye.ONE_MINUTE*60;ye.ONE_HOUR=ye.SIXTY_MINUTES;ye.THREE_HOURS=ye.ONE_HOUR*3;ye.SIX_HOURS=ye.ONE_HOUR*6;ye.TWELVE_HOURS=ye.ONE_HOUR*12;ye.TWENTY_FOUR_HOURS=ye.ONE_HOUR*24;ye.ONE_DAY=ye.TWENTY_FOUR_HOURS;ye.THREE_DAYS=ye.ONE_DAY*3;ye.FIVE_DAYS=ye.ONE_DAY*5;ye.SEVEN_DAYS=ye.ONE_DAY*7;ye.THIRTY_DAYS=ye.ONE_DAY*30;ye.ONE_WEEK=ye.SEVEN_DAYS;ye.TWO_WEEKS=ye.ONE_WEEK*2;ye.THREE_WEEKS=ye.ONE_WEEK*3;ye.FOUR_WEEKS=ye.ONE_WEEK*4;ye.ONE_YEAR=ye.ONE_DAY*365});var Ag=fe(pd=>{"use strict";Object.defineProperty(pd,"__esModule",{value:!0});var f5=(Vc(),Tl(Kc));f5.__exportStar(u5(),pd);f5.__exportStar(l5(),pd)});var d5=fe(Gc=>{"use strict";Object.defineProperty(Gc,"__esModule",{value:!0});Gc.fromMiliseconds=Gc.toMiliseconds=void 0;var h5=Ag();function PL(t){return t*h5.ONE_THOUSAND}Gc.toMiliseconds=PL;function OL(t){return Math.floor(t/h5.ONE_THOUSAND)}Gc.fromMiliseconds=OL});var g5=fe(gd=>{"use strict";Object.defineProperty(gd,"__esModule",{value:!0});var p5=(Vc(),Tl(Kc));p5.__exportStar(c5(),gd);p5.__exportStar(d5(),gd)});var m5=fe(Ll=>{"use strict";Object.defineProperty(Ll,"__esModule",{value:!0});Ll.Watch=void 0;var md=class{constructor(){this.timestamps=new Map}start(e){if(this.timestamps.has(e))throw new Error(`Watch already started for label: ${e}`);this.timestamps.set(e,{started:Date.now()})}stop(e){let r=this.get(e);if(typeof r.elapsed<"u")throw new Error(`Watch already stopped for label: ${e}`);let i=Date.now()-r.started;this.timestamps.set(e,{started:r.started,elapsed:i})}get(e){let r=this.timestamps.get(e);if(typeof r>"u")throw new Error(`No timestamp found for label: ${e}`);return r}elapsed(e){let r=this.get(e);return r.elapsed||Date.now()-r.started}};Ll.Watch=md;Ll.default=md});var v5=fe(vd=>{"use strict";Object.defineProperty(vd,"__esModule",{value:!0});vd.IWatch=void 0;var Sg=class{};vd.IWatch=Sg});var b5=fe(Ig=>{"use strict";Object.defineProperty(Ig,"__esModule",{value:!0});var RL=(Vc(),Tl(Kc));RL.__exportStar(v5(),Ig)});var Yc=fe(Jc=>{"use strict";Object.defineProperty(Jc,"__esModule",{value:!0});var bd=(Vc(),Tl(Kc));bd.__exportStar(g5(),Jc);bd.__exportStar(m5(),Jc);bd.__exportStar(b5(),Jc);bd.__exportStar(Ag(),Jc)});var Mg=fe(rr=>{"use strict";Object.defineProperty(rr,"__esModule",{value:!0});rr.getLocalStorage=rr.getLocalStorageOrThrow=rr.getCrypto=rr.getCryptoOrThrow=rr.getLocation=rr.getLocationOrThrow=rr.getNavigator=rr.getNavigatorOrThrow=rr.getDocument=rr.getDocumentOrThrow=rr.getFromWindowOrThrow=rr.getFromWindow=void 0;function Ua(t){let e;return typeof window<"u"&&typeof window[t]<"u"&&(e=window[t]),e}rr.getFromWindow=Ua;function Qc(t){let e=Ua(t);if(!e)throw new Error(`${t} is not defined in Window`);return e}rr.getFromWindowOrThrow=Qc;function TL(){return Qc("document")}rr.getDocumentOrThrow=TL;function NL(){return Ua("document")}rr.getDocument=NL;function LL(){return Qc("navigator")}rr.getNavigatorOrThrow=LL;function BL(){return Ua("navigator")}rr.getNavigator=BL;function UL(){return Qc("location")}rr.getLocationOrThrow=UL;function FL(){return Ua("location")}rr.getLocation=FL;function qL(){return Qc("crypto")}rr.getCryptoOrThrow=qL;function $L(){return Ua("crypto")}rr.getCrypto=$L;function kL(){return Qc("localStorage")}rr.getLocalStorageOrThrow=kL;function jL(){return Ua("localStorage")}rr.getLocalStorage=jL});var w5=fe(yd=>{"use strict";Object.defineProperty(yd,"__esModule",{value:!0});yd.getWindowMetadata=void 0;var y5=Mg();function zL(){let t,e;try{t=y5.getDocumentOrThrow(),e=y5.getLocationOrThrow()}catch{return null}function r(){let w=t.getElementsByTagName("link"),I=[];for(let M=0;M<w.length;M++){let P=w[M],T=P.getAttribute("rel");if(T&&T.toLowerCase().indexOf("icon")>-1){let U=P.getAttribute("href");if(U)if(U.toLowerCase().indexOf("https:")===-1&&U.toLowerCase().indexOf("http:")===-1&&U.indexOf("//")!==0){let F=e.protocol+"//"+e.host;if(U.indexOf("/")===0)F+=U;else{let V=e.pathname.split("/");V.pop();let z=V.join("/");F+=z+"/"+U}I.push(F)}else if(U.indexOf("//")===0){let F=e.protocol+U;I.push(F)}else I.push(U)}}return I}function i(...w){let I=t.getElementsByTagName("meta");for(let M=0;M<I.length;M++){let P=I[M],T=["itemprop","property","name"].map(U=>P.getAttribute(U)).filter(U=>U?w.includes(U):!1);if(T.length&&T){let U=P.getAttribute("content");if(U)return U}}return""}function n(){let w=i("name","og:site_name","og:title","twitter:title");return w||(w=t.title),w}function s(){return i("description","og:description","twitter:description","keywords")}let a=n(),u=s(),h=e.origin,f=r();return{description:u,url:h,icons:f,name:a}}yd.getWindowMetadata=zL});var x5=fe((Qee,_5)=>{"use strict";_5.exports=t=>encodeURIComponent(t).replace(/[!'()*]/g,e=>`%${e.charCodeAt(0).toString(16).toUpperCase()}`)});var M5=fe((Xee,I5)=>{"use strict";var S5="%[a-f0-9]{2}",E5=new RegExp("("+S5+")|([^%]+?)","gi"),A5=new RegExp("("+S5+")+","gi");function Cg(t,e){try{return[decodeURIComponent(t.join(""))]}catch{}if(t.length===1)return t;e=e||1;var r=t.slice(0,e),i=t.slice(e);return Array.prototype.concat.call([],Cg(r),Cg(i))}function HL(t){try{return decodeURIComponent(t)}catch{for(var e=t.match(E5)||[],r=1;r<e.length;r++)t=Cg(e,r).join(""),e=t.match(E5)||[];return t}}function KL(t){for(var e={"%FE%FF":"\uFFFD\uFFFD","%FF%FE":"\uFFFD\uFFFD"},r=A5.exec(t);r;){try{e[r[0]]=decodeURIComponent(r[0])}catch{var i=HL(r[0]);i!==r[0]&&(e[r[0]]=i)}r=A5.exec(t)}e["%C2"]="\uFFFD";for(var n=Object.keys(e),s=0;s<n.length;s++){var a=n[s];t=t.replace(new RegExp(a,"g"),e[a])}return t}I5.exports=function(t){if(typeof t!="string")throw new TypeError("Expected `encodedURI` to be of type `string`, got `"+typeof t+"`");try{return t=t.replace(/\+/g," "),decodeURIComponent(t)}catch{return KL(t)}}});var D5=fe((Zee,C5)=>{"use strict";C5.exports=(t,e)=>{if(!(typeof t=="string"&&typeof e=="string"))throw new TypeError("Expected the arguments to be of type `string`");if(e==="")return[t];let r=t.indexOf(e);return r===-1?[t]:[t.slice(0,r),t.slice(r+e.length)]}});var O5=fe((ete,P5)=>{"use strict";P5.exports=function(t,e){for(var r={},i=Object.keys(t),n=Array.isArray(e),s=0;s<i.length;s++){var a=i[s],u=t[a];(n?e.indexOf(a)!==-1:e(a,u,t))&&(r[a]=u)}return r}});var q5=fe(Ni=>{"use strict";var VL=x5(),WL=M5(),T5=D5(),GL=O5(),JL=t=>t==null,Dg=Symbol("encodeFragmentIdentifier");function YL(t){switch(t.arrayFormat){case"index":return e=>(r,i)=>{let n=r.length;return i===void 0||t.skipNull&&i===null||t.skipEmptyString&&i===""?r:i===null?[...r,[Ar(e,t),"[",n,"]"].join("")]:[...r,[Ar(e,t),"[",Ar(n,t),"]=",Ar(i,t)].join("")]};case"bracket":return e=>(r,i)=>i===void 0||t.skipNull&&i===null||t.skipEmptyString&&i===""?r:i===null?[...r,[Ar(e,t),"[]"].join("")]:[...r,[Ar(e,t),"[]=",Ar(i,t)].join("")];case"colon-list-separator":return e=>(r,i)=>i===void 0||t.skipNull&&i===null||t.skipEmptyString&&i===""?r:i===null?[...r,[Ar(e,t),":list="].join("")]:[...r,[Ar(e,t),":list=",Ar(i,t)].join("")];case"comma":case"separator":case"bracket-separator":{let e=t.arrayFormat==="bracket-separator"?"[]=":"=";return r=>(i,n)=>n===void 0||t.skipNull&&n===null||t.skipEmptyString&&n===""?i:(n=n===null?"":n,i.length===0?[[Ar(r,t),e,Ar(n,t)].join("")]:[[i,Ar(n,t)].join(t.arrayFormatSeparator)])}default:return e=>(r,i)=>i===void 0||t.skipNull&&i===null||t.skipEmptyString&&i===""?r:i===null?[...r,Ar(e,t)]:[...r,[Ar(e,t),"=",Ar(i,t)].join("")]}}function QL(t){let e;switch(t.arrayFormat){case"index":return(r,i,n)=>{if(e=/\[(\d*)\]$/.exec(r),r=r.replace(/\[\d*\]$/,""),!e){n[r]=i;return}n[r]===void 0&&(n[r]={}),n[r][e[1]]=i};case"bracket":return(r,i,n)=>{if(e=/(\[\])$/.exec(r),r=r.replace(/\[\]$/,""),!e){n[r]=i;return}if(n[r]===void 0){n[r]=[i];return}n[r]=[].concat(n[r],i)};case"colon-list-separator":return(r,i,n)=>{if(e=/(:list)$/.exec(r),r=r.replace(/:list$/,""),!e){n[r]=i;return}if(n[r]===void 0){n[r]=[i];return}n[r]=[].concat(n[r],i)};case"comma":case"separator":return(r,i,n)=>{let s=typeof i=="string"&&i.includes(t.arrayFormatSeparator),a=typeof i=="string"&&!s&&eo(i,t).includes(t.arrayFormatSeparator);i=a?eo(i,t):i;let u=s||a?i.split(t.arrayFormatSeparator).map(h=>eo(h,t)):i===null?i:eo(i,t);n[r]=u};case"bracket-separator":return(r,i,n)=>{let s=/(\[\])$/.test(r);if(r=r.replace(/\[\]$/,""),!s){n[r]=i&&eo(i,t);return}let a=i===null?[]:i.split(t.arrayFormatSeparator).map(u=>eo(u,t));if(n[r]===void 0){n[r]=a;return}n[r]=[].concat(n[r],a)};default:return(r,i,n)=>{if(n[r]===void 0){n[r]=i;return}n[r]=[].concat(n[r],i)}}}function N5(t){if(typeof t!="string"||t.length!==1)throw new TypeError("arrayFormatSeparator must be single character string")}function Ar(t,e){return e.encode?e.strict?VL(t):encodeURIComponent(t):t}function eo(t,e){return e.decode?WL(t):t}function L5(t){return Array.isArray(t)?t.sort():typeof t=="object"?L5(Object.keys(t)).sort((e,r)=>Number(e)-Number(r)).map(e=>t[e]):t}function B5(t){let e=t.indexOf("#");return e!==-1&&(t=t.slice(0,e)),t}function XL(t){let e="",r=t.indexOf("#");return r!==-1&&(e=t.slice(r)),e}function U5(t){t=B5(t);let e=t.indexOf("?");return e===-1?"":t.slice(e+1)}function R5(t,e){return e.parseNumbers&&!Number.isNaN(Number(t))&&typeof t=="string"&&t.trim()!==""?t=Number(t):e.parseBooleans&&t!==null&&(t.toLowerCase()==="true"||t.toLowerCase()==="false")&&(t=t.toLowerCase()==="true"),t}function F5(t,e){e=Object.assign({decode:!0,sort:!0,arrayFormat:"none",arrayFormatSeparator:",",parseNumbers:!1,parseBooleans:!1},e),N5(e.arrayFormatSeparator);let r=QL(e),i=Object.create(null);if(typeof t!="string"||(t=t.trim().replace(/^[?#&]/,""),!t))return i;for(let n of t.split("&")){if(n==="")continue;let[s,a]=T5(e.decode?n.replace(/\+/g," "):n,"=");a=a===void 0?null:["comma","separator","bracket-separator"].includes(e.arrayFormat)?a:eo(a,e),r(eo(s,e),a,i)}for(let n of Object.keys(i)){let s=i[n];if(typeof s=="object"&&s!==null)for(let a of Object.keys(s))s[a]=R5(s[a],e);else i[n]=R5(s,e)}return e.sort===!1?i:(e.sort===!0?Object.keys(i).sort():Object.keys(i).sort(e.sort)).reduce((n,s)=>{let a=i[s];return a&&typeof a=="object"&&!Array.isArray(a)?n[s]=L5(a):n[s]=a,n},Object.create(null))}Ni.extract=U5;Ni.parse=F5;Ni.stringify=(t,e)=>{if(!t)return"";e=Object.assign({encode:!0,strict:!0,arrayFormat:"none",arrayFormatSeparator:","},e),N5(e.arrayFormatSeparator);let r=a=>e.skipNull&&JL(t[a])||e.skipEmptyString&&t[a]==="",i=YL(e),n={};for(let a of Object.keys(t))r(a)||(n[a]=t[a]);let s=Object.keys(n);return e.sort!==!1&&s.sort(e.sort),s.map(a=>{let u=t[a];return u===void 0?"":u===null?Ar(a,e):Array.isArray(u)?u.length===0&&e.arrayFormat==="bracket-separator"?Ar(a,e)+"[]":u.reduce(i(a),[]).join("&"):Ar(a,e)+"="+Ar(u,e)}).filter(a=>a.length>0).join("&")};Ni.parseUrl=(t,e)=>{e=Object.assign({decode:!0},e);let[r,i]=T5(t,"#");return Object.assign({url:r.split("?")[0]||"",query:F5(U5(t),e)},e&&e.parseFragmentIdentifier&&i?{fragmentIdentifier:eo(i,e)}:{})};Ni.stringifyUrl=(t,e)=>{e=Object.assign({encode:!0,strict:!0,[Dg]:!0},e);let r=B5(t.url).split("?")[0]||"",i=Ni.extract(t.url),n=Ni.parse(i,{sort:!1}),s=Object.assign(n,t.query),a=Ni.stringify(s,e);a&&(a=`?${a}`);let u=XL(t.url);return t.fragmentIdentifier&&(u=`#${e[Dg]?Ar(t.fragmentIdentifier,e):t.fragmentIdentifier}`),`${r}${a}${u}`};Ni.pick=(t,e,r)=>{r=Object.assign({parseFragmentIdentifier:!0,[Dg]:!1},r);let{url:i,query:n,fragmentIdentifier:s}=Ni.parseUrl(t,r);return Ni.stringifyUrl({url:i,query:GL(n,e),fragmentIdentifier:s},r)};Ni.exclude=(t,e,r)=>{let i=Array.isArray(e)?n=>!e.includes(n):(n,s)=>!e(n,s);return Ni.pick(t,i,r)}});var $5=fe(Gi=>{"use strict";Object.defineProperty(Gi,"__esModule",{value:!0});function ZL(t,e){var r=t>>>16&65535,i=t&65535,n=e>>>16&65535,s=e&65535;return i*s+(r*s+i*n<<16>>>0)|0}Gi.mul=Math.imul||ZL;function eB(t,e){return t+e|0}Gi.add=eB;function tB(t,e){return t-e|0}Gi.sub=tB;function rB(t,e){return t<<e|t>>>32-e}Gi.rotl=rB;function iB(t,e){return t<<32-e|t>>>e}Gi.rotr=iB;function nB(t){return typeof t=="number"&&isFinite(t)&&Math.floor(t)===t}Gi.isInteger=Number.isInteger||nB;Gi.MAX_SAFE_INTEGER=9007199254740991;Gi.isSafeInteger=function(t){return Gi.isInteger(t)&&t>=-Gi.MAX_SAFE_INTEGER&&t<=Gi.MAX_SAFE_INTEGER}});var Xc=fe(et=>{"use strict";Object.defineProperty(et,"__esModule",{value:!0});var k5=$5();function sB(t,e){return e===void 0&&(e=0),(t[e+0]<<8|t[e+1])<<16>>16}et.readInt16BE=sB;function oB(t,e){return e===void 0&&(e=0),(t[e+0]<<8|t[e+1])>>>0}et.readUint16BE=oB;function aB(t,e){return e===void 0&&(e=0),(t[e+1]<<8|t[e])<<16>>16}et.readInt16LE=aB;function cB(t,e){return e===void 0&&(e=0),(t[e+1]<<8|t[e])>>>0}et.readUint16LE=cB;function j5(t,e,r){return e===void 0&&(e=new Uint8Array(2)),r===void 0&&(r=0),e[r+0]=t>>>8,e[r+1]=t>>>0,e}et.writeUint16BE=j5;et.writeInt16BE=j5;function z5(t,e,r){return e===void 0&&(e=new Uint8Array(2)),r===void 0&&(r=0),e[r+0]=t>>>0,e[r+1]=t>>>8,e}et.writeUint16LE=z5;et.writeInt16LE=z5;function Pg(t,e){return e===void 0&&(e=0),t[e]<<24|t[e+1]<<16|t[e+2]<<8|t[e+3]}et.readInt32BE=Pg;function Og(t,e){return e===void 0&&(e=0),(t[e]<<24|t[e+1]<<16|t[e+2]<<8|t[e+3])>>>0}et.readUint32BE=Og;function Rg(t,e){return e===void 0&&(e=0),t[e+3]<<24|t[e+2]<<16|t[e+1]<<8|t[e]}et.readInt32LE=Rg;function Tg(t,e){return e===void 0&&(e=0),(t[e+3]<<24|t[e+2]<<16|t[e+1]<<8|t[e])>>>0}et.readUint32LE=Tg;function wd(t,e,r){return e===void 0&&(e=new Uint8Array(4)),r===void 0&&(r=0),e[r+0]=t>>>24,e[r+1]=t>>>16,e[r+2]=t>>>8,e[r+3]=t>>>0,e}et.writeUint32BE=wd;et.writeInt32BE=wd;function _d(t,e,r){return e===void 0&&(e=new Uint8Array(4)),r===void 0&&(r=0),e[r+0]=t>>>0,e[r+1]=t>>>8,e[r+2]=t>>>16,e[r+3]=t>>>24,e}et.writeUint32LE=_d;et.writeInt32LE=_d;function uB(t,e){e===void 0&&(e=0);var r=Pg(t,e),i=Pg(t,e+4);return r*4294967296+i-(i>>31)*4294967296}et.readInt64BE=uB;function lB(t,e){e===void 0&&(e=0);var r=Og(t,e),i=Og(t,e+4);return r*4294967296+i}et.readUint64BE=lB;function fB(t,e){e===void 0&&(e=0);var r=Rg(t,e),i=Rg(t,e+4);return i*4294967296+r-(r>>31)*4294967296}et.readInt64LE=fB;function hB(t,e){e===void 0&&(e=0);var r=Tg(t,e),i=Tg(t,e+4);return i*4294967296+r}et.readUint64LE=hB;function H5(t,e,r){return e===void 0&&(e=new Uint8Array(8)),r===void 0&&(r=0),wd(t/4294967296>>>0,e,r),wd(t>>>0,e,r+4),e}et.writeUint64BE=H5;et.writeInt64BE=H5;function K5(t,e,r){return e===void 0&&(e=new Uint8Array(8)),r===void 0&&(r=0),_d(t>>>0,e,r),_d(t/4294967296>>>0,e,r+4),e}et.writeUint64LE=K5;et.writeInt64LE=K5;function dB(t,e,r){if(r===void 0&&(r=0),t%8!==0)throw new Error("readUintBE supports only bitLengths divisible by 8");if(t/8>e.length-r)throw new Error("readUintBE: array is too short for the given bitLength");for(var i=0,n=1,s=t/8+r-1;s>=r;s--)i+=e[s]*n,n*=256;return i}et.readUintBE=dB;function pB(t,e,r){if(r===void 0&&(r=0),t%8!==0)throw new Error("readUintLE supports only bitLengths divisible by 8");if(t/8>e.length-r)throw new Error("readUintLE: array is too short for the given bitLength");for(var i=0,n=1,s=r;s<r+t/8;s++)i+=e[s]*n,n*=256;return i}et.readUintLE=pB;function gB(t,e,r,i){if(r===void 0&&(r=new Uint8Array(t/8)),i===void 0&&(i=0),t%8!==0)throw new Error("writeUintBE supports only bitLengths divisible by 8");if(!k5.isSafeInteger(e))throw new Error("writeUintBE value must be an integer");for(var n=1,s=t/8+i-1;s>=i;s--)r[s]=e/n&255,n*=256;return r}et.writeUintBE=gB;function mB(t,e,r,i){if(r===void 0&&(r=new Uint8Array(t/8)),i===void 0&&(i=0),t%8!==0)throw new Error("writeUintLE supports only bitLengths divisible by 8");if(!k5.isSafeInteger(e))throw new Error("writeUintLE value must be an integer");for(var n=1,s=i;s<i+t/8;s++)r[s]=e/n&255,n*=256;return r}et.writeUintLE=mB;function vB(t,e){e===void 0&&(e=0);var r=new DataView(t.buffer,t.byteOffset,t.byteLength);return r.getFloat32(e)}et.readFloat32BE=vB;function bB(t,e){e===void 0&&(e=0);var r=new DataView(t.buffer,t.byteOffset,t.byteLength);return r.getFloat32(e,!0)}et.readFloat32LE=bB;function yB(t,e){e===void 0&&(e=0);var r=new DataView(t.buffer,t.byteOffset,t.byteLength);return r.getFloat64(e)}et.readFloat64BE=yB;function wB(t,e){e===void 0&&(e=0);var r=new DataView(t.buffer,t.byteOffset,t.byteLength);return r.getFloat64(e,!0)}et.readFloat64LE=wB;function _B(t,e,r){e===void 0&&(e=new Uint8Array(4)),r===void 0&&(r=0);var i=new DataView(e.buffer,e.byteOffset,e.byteLength);return i.setFloat32(r,t),e}et.writeFloat32BE=_B;function xB(t,e,r){e===void 0&&(e=new Uint8Array(4)),r===void 0&&(r=0);var i=new DataView(e.buffer,e.byteOffset,e.byteLength);return i.setFloat32(r,t,!0),e}et.writeFloat32LE=xB;function EB(t,e,r){e===void 0&&(e=new Uint8Array(8)),r===void 0&&(r=0);var i=new DataView(e.buffer,e.byteOffset,e.byteLength);return i.setFloat64(r,t),e}et.writeFloat64BE=EB;function AB(t,e,r){e===void 0&&(e=new Uint8Array(8)),r===void 0&&(r=0);var i=new DataView(e.buffer,e.byteOffset,e.byteLength);return i.setFloat64(r,t,!0),e}et.writeFloat64LE=AB});var dn=fe(Ng=>{"use strict";Object.defineProperty(Ng,"__esModule",{value:!0});function SB(t){for(var e=0;e<t.length;e++)t[e]=0;return t}Ng.wipe=SB});var W5=fe(xd=>{"use strict";Object.defineProperty(xd,"__esModule",{value:!0});var ei=Xc(),Lg=dn(),IB=20;function MB(t,e,r){for(var i=1634760805,n=857760878,s=2036477234,a=1797285236,u=r[3]<<24|r[2]<<16|r[1]<<8|r[0],h=r[7]<<24|r[6]<<16|r[5]<<8|r[4],f=r[11]<<24|r[10]<<16|r[9]<<8|r[8],v=r[15]<<24|r[14]<<16|r[13]<<8|r[12],w=r[19]<<24|r[18]<<16|r[17]<<8|r[16],I=r[23]<<24|r[22]<<16|r[21]<<8|r[20],M=r[27]<<24|r[26]<<16|r[25]<<8|r[24],P=r[31]<<24|r[30]<<16|r[29]<<8|r[28],T=e[3]<<24|e[2]<<16|e[1]<<8|e[0],U=e[7]<<24|e[6]<<16|e[5]<<8|e[4],F=e[11]<<24|e[10]<<16|e[9]<<8|e[8],V=e[15]<<24|e[14]<<16|e[13]<<8|e[12],z=i,j=n,H=s,ee=a,$=u,q=h,X=f,N=v,d=w,y=I,l=M,g=P,b=T,A=U,C=F,S=V,m=0;m<IB;m+=2)z=z+$|0,b^=z,b=b>>>16|b<<16,d=d+b|0,$^=d,$=$>>>20|$<<12,j=j+q|0,A^=j,A=A>>>16|A<<16,y=y+A|0,q^=y,q=q>>>20|q<<12,H=H+X|0,C^=H,C=C>>>16|C<<16,l=l+C|0,X^=l,X=X>>>20|X<<12,ee=ee+N|0,S^=ee,S=S>>>16|S<<16,g=g+S|0,N^=g,N=N>>>20|N<<12,H=H+X|0,C^=H,C=C>>>24|C<<8,l=l+C|0,X^=l,X=X>>>25|X<<7,ee=ee+N|0,S^=ee,S=S>>>24|S<<8,g=g+S|0,N^=g,N=N>>>25|N<<7,j=j+q|0,A^=j,A=A>>>24|A<<8,y=y+A|0,q^=y,q=q>>>25|q<<7,z=z+$|0,b^=z,b=b>>>24|b<<8,d=d+b|0,$^=d,$=$>>>25|$<<7,z=z+q|0,S^=z,S=S>>>16|S<<16,l=l+S|0,q^=l,q=q>>>20|q<<12,j=j+X|0,b^=j,b=b>>>16|b<<16,g=g+b|0,X^=g,X=X>>>20|X<<12,H=H+N|0,A^=H,A=A>>>16|A<<16,d=d+A|0,N^=d,N=N>>>20|N<<12,ee=ee+$|0,C^=ee,C=C>>>16|C<<16,y=y+C|0,$^=y,$=$>>>20|$<<12,H=H+N|0,A^=H,A=A>>>24|A<<8,d=d+A|0,N^=d,N=N>>>25|N<<7,ee=ee+$|0,C^=ee,C=C>>>24|C<<8,y=y+C|0,$^=y,$=$>>>25|$<<7,j=j+X|0,b^=j,b=b>>>24|b<<8,g=g+b|0,X^=g,X=X>>>25|X<<7,z=z+q|0,S^=z,S=S>>>24|S<<8,l=l+S|0,q^=l,q=q>>>25|q<<7;ei.writeUint32LE(z+i|0,t,0),ei.writeUint32LE(j+n|0,t,4),ei.writeUint32LE(H+s|0,t,8),ei.writeUint32LE(ee+a|0,t,12),ei.writeUint32LE($+u|0,t,16),ei.writeUint32LE(q+h|0,t,20),ei.writeUint32LE(X+f|0,t,24),ei.writeUint32LE(N+v|0,t,28),ei.writeUint32LE(d+w|0,t,32),ei.writeUint32LE(y+I|0,t,36),ei.writeUint32LE(l+M|0,t,40),ei.writeUint32LE(g+P|0,t,44),ei.writeUint32LE(b+T|0,t,48),ei.writeUint32LE(A+U|0,t,52),ei.writeUint32LE(C+F|0,t,56),ei.writeUint32LE(S+V|0,t,60)}function V5(t,e,r,i,n){if(n===void 0&&(n=0),t.length!==32)throw new Error("ChaCha: key size must be 32 bytes");if(i.length<r.length)throw new Error("ChaCha: destination is shorter than source");var s,a;if(n===0){if(e.length!==8&&e.length!==12)throw new Error("ChaCha nonce must be 8 or 12 bytes");s=new Uint8Array(16),a=s.length-e.length,s.set(e,a)}else{if(e.length!==16)throw new Error("ChaCha nonce with counter must be 16 bytes");s=e,a=n}for(var u=new Uint8Array(64),h=0;h<r.length;h+=64){MB(u,s,t);for(var f=h;f<h+64&&f<r.length;f++)i[f]=r[f]^u[f-h];DB(s,0,a)}return Lg.wipe(u),n===0&&Lg.wipe(s),i}xd.streamXOR=V5;function CB(t,e,r,i){return i===void 0&&(i=0),Lg.wipe(r),V5(t,e,r,r,i)}xd.stream=CB;function DB(t,e,r){for(var i=1;r--;)i=i+(t[e]&255)|0,t[e]=i&255,i>>>=8,e++;if(i>0)throw new Error("ChaCha: counter overflow")}});var Ed=fe(Zc=>{"use strict";Object.defineProperty(Zc,"__esModule",{value:!0});function PB(t,e,r){return~(t-1)&e|t-1&r}Zc.select=PB;function OB(t,e){return(t|0)-(e|0)-1>>>31&1}Zc.lessOrEqual=OB;function G5(t,e){if(t.length!==e.length)return 0;for(var r=0,i=0;i<t.length;i++)r|=t[i]^e[i];return 1&r-1>>>8}Zc.compare=G5;function RB(t,e){return t.length===0||e.length===0?!1:G5(t,e)!==0}Zc.equal=RB});var Y5=fe(to=>{"use strict";Object.defineProperty(to,"__esModule",{value:!0});var TB=Ed(),Ad=dn();to.DIGEST_LENGTH=16;var J5=(function(){function t(e){this.digestLength=to.DIGEST_LENGTH,this._buffer=new Uint8Array(16),this._r=new Uint16Array(10),this._h=new Uint16Array(10),this._pad=new Uint16Array(8),this._leftover=0,this._fin=0,this._finished=!1;var r=e[0]|e[1]<<8;this._r[0]=r&8191;var i=e[2]|e[3]<<8;this._r[1]=(r>>>13|i<<3)&8191;var n=e[4]|e[5]<<8;this._r[2]=(i>>>10|n<<6)&7939;var s=e[6]|e[7]<<8;this._r[3]=(n>>>7|s<<9)&8191;var a=e[8]|e[9]<<8;this._r[4]=(s>>>4|a<<12)&255,this._r[5]=a>>>1&8190;var u=e[10]|e[11]<<8;this._r[6]=(a>>>14|u<<2)&8191;var h=e[12]|e[13]<<8;this._r[7]=(u>>>11|h<<5)&8065;var f=e[14]|e[15]<<8;this._r[8]=(h>>>8|f<<8)&8191,this._r[9]=f>>>5&127,this._pad[0]=e[16]|e[17]<<8,this._pad[1]=e[18]|e[19]<<8,this._pad[2]=e[20]|e[21]<<8,this._pad[3]=e[22]|e[23]<<8,this._pad[4]=e[24]|e[25]<<8,this._pad[5]=e[26]|e[27]<<8,this._pad[6]=e[28]|e[29]<<8,this._pad[7]=e[30]|e[31]<<8}return t.prototype._blocks=function(e,r,i){for(var n=this._fin?0:2048,s=this._h[0],a=this._h[1],u=this._h[2],h=this._h[3],f=this._h[4],v=this._h[5],w=this._h[6],I=this._h[7],M=this._h[8],P=this._h[9],T=this._r[0],U=this._r[1],F=this._r[2],V=this._r[3],z=this._r[4],j=this._r[5],H=this._r[6],ee=this._r[7],$=this._r[8],q=this._r[9];i>=16;){var X=e[r+0]|e[r+1]<<8;s+=X&8191;var N=e[r+2]|e[r+3]<<8;a+=(X>>>13|N<<3)&8191;var d=e[r+4]|e[r+5]<<8;u+=(N>>>10|d<<6)&8191;var y=e[r+6]|e[r+7]<<8;h+=(d>>>7|y<<9)&8191;var l=e[r+8]|e[r+9]<<8;f+=(y>>>4|l<<12)&8191,v+=l>>>1&8191;var g=e[r+10]|e[r+11]<<8;w+=(l>>>14|g<<2)&8191;var b=e[r+12]|e[r+13]<<8;I+=(g>>>11|b<<5)&8191;var A=e[r+14]|e[r+15]<<8;M+=(b>>>8|A<<8)&8191,P+=A>>>5|n;var C=0,S=C;S+=s*T,S+=a*(5*q),S+=u*(5*$),S+=h*(5*ee),S+=f*(5*H),C=S>>>13,S&=8191,S+=v*(5*j),S+=w*(5*z),S+=I*(5*V),S+=M*(5*F),S+=P*(5*U),C+=S>>>13,S&=8191;var m=C;m+=s*U,m+=a*T,m+=u*(5*q),m+=h*(5*$),m+=f*(5*ee),C=m>>>13,m&=8191,m+=v*(5*H),m+=w*(5*j),m+=I*(5*z),m+=M*(5*V),m+=P*(5*F),C+=m>>>13,m&=8191;var E=C;E+=s*F,E+=a*U,E+=u*T,E+=h*(5*q),E+=f*(5*$),C=E>>>13,E&=8191,E+=v*(5*ee),E+=w*(5*H),E+=I*(5*j),E+=M*(5*z),E+=P*(5*V),C+=E>>>13,E&=8191;var _=C;_+=s*V,_+=a*F,_+=u*U,_+=h*T,_+=f*(5*q),C=_>>>13,_&=8191,_+=v*(5*$),_+=w*(5*ee),_+=I*(5*H),_+=M*(5*j),_+=P*(5*z),C+=_>>>13,_&=8191;var R=C;R+=s*z,R+=a*V,R+=u*F,R+=h*U,R+=f*T,C=R>>>13,R&=8191,R+=v*(5*q),R+=w*(5*$),R+=I*(5*ee),R+=M*(5*H),R+=P*(5*j),C+=R>>>13,R&=8191;var Z=C;Z+=s*j,Z+=a*z,Z+=u*V,Z+=h*F,Z+=f*U,C=Z>>>13,Z&=8191,Z+=v*T,Z+=w*(5*q),Z+=I*(5*$),Z+=M*(5*ee),Z+=P*(5*H),C+=Z>>>13,Z&=8191;var te=C;te+=s*H,te+=a*j,te+=u*z,te+=h*V,te+=f*F,C=te>>>13,te&=8191,te+=v*U,te+=w*T,te+=I*(5*q),te+=M*(5*$),te+=P*(5*ee),C+=te>>>13,te&=8191;var D=C;D+=s*ee,D+=a*H,D+=u*j,D+=h*z,D+=f*V,C=D>>>13,D&=8191,D+=v*F,D+=w*U,D+=I*T,D+=M*(5*q),D+=P*(5*$),C+=D>>>13,D&=8191;var W=C;W+=s*$,W+=a*ee,W+=u*H,W+=h*j,W+=f*z,C=W>>>13,W&=8191,W+=v*V,W+=w*F,W+=I*U,W+=M*T,W+=P*(5*q),C+=W>>>13,W&=8191;var G=C;G+=s*q,G+=a*$,G+=u*ee,G+=h*H,G+=f*j,C=G>>>13,G&=8191,G+=v*z,G+=w*V,G+=I*F,G+=M*U,G+=P*T,C+=G>>>13,G&=8191,C=(C<<2)+C|0,C=C+S|0,S=C&8191,C=C>>>13,m+=C,s=S,a=m,u=E,h=_,f=R,v=Z,w=te,I=D,M=W,P=G,r+=16,i-=16}this._h[0]=s,this._h[1]=a,this._h[2]=u,this._h[3]=h,this._h[4]=f,this._h[5]=v,this._h[6]=w,this._h[7]=I,this._h[8]=M,this._h[9]=P},t.prototype.finish=function(e,r){r===void 0&&(r=0);var i=new Uint16Array(10),n,s,a,u;if(this._leftover){for(u=this._leftover,this._buffer[u++]=1;u<16;u++)this._buffer[u]=0;this._fin=1,this._blocks(this._buffer,0,16)}for(n=this._h[1]>>>13,this._h[1]&=8191,u=2;u<10;u++)this._h[u]+=n,n=this._h[u]>>>13,this._h[u]&=8191;for(this._h[0]+=n*5,n=this._h[0]>>>13,this._h[0]&=8191,this._h[1]+=n,n=this._h[1]>>>13,this._h[1]&=8191,this._h[2]+=n,i[0]=this._h[0]+5,n=i[0]>>>13,i[0]&=8191,u=1;u<10;u++)i[u]=this._h[u]+n,n=i[u]>>>13,i[u]&=8191;for(i[9]-=8192,s=(n^1)-1,u=0;u<10;u++)i[u]&=s;for(s=~s,u=0;u<10;u++)this._h[u]=this._h[u]&s|i[u];for(this._h[0]=(this._h[0]|this._h[1]<<13)&65535,this._h[1]=(this._h[1]>>>3|this._h[2]<<10)&65535,this._h[2]=(this._h[2]>>>6|this._h[3]<<7)&65535,this._h[3]=(this._h[3]>>>9|this._h[4]<<4)&65535,this._h[4]=(this._h[4]>>>12|this._h[5]<<1|this._h[6]<<14)&65535,this._h[5]=(this._h[6]>>>2|this._h[7]<<11)&65535,this._h[6]=(this._h[7]>>>5|this._h[8]<<8)&65535,this._h[7]=(this._h[8]>>>8|this._h[9]<<5)&65535,a=this._h[0]+this._pad[0],this._h[0]=a&65535,u=1;u<8;u++)a=(this._h[u]+this._pad[u]|0)+(a>>>16)|0,this._h[u]=a&65535;return e[r+0]=this._h[0]>>>0,e[r+1]=this._h[0]>>>8,e[r+2]=this._h[1]>>>0,e[r+3]=this._h[1]>>>8,e[r+4]=this._h[2]>>>0,e[r+5]=this._h[2]>>>8,e[r+6]=this._h[3]>>>0,e[r+7]=this._h[3]>>>8,e[r+8]=this._h[4]>>>0,e[r+9]=this._h[4]>>>8,e[r+10]=this._h[5]>>>0,e[r+11]=this._h[5]>>>8,e[r+12]=this._h[6]>>>0,e[r+13]=this._h[6]>>>8,e[r+14]=this._h[7]>>>0,e[r+15]=this._h[7]>>>8,this._finished=!0,this},t.prototype.update=function(e){var r=0,i=e.length,n;if(this._leftover){n=16-this._leftover,n>i&&(n=i);for(var s=0;s<n;s++)this._buffer[this._leftover+s]=e[r+s];if(i-=n,r+=n,this._leftover+=n,this._leftover<16)return this;this._blocks(this._buffer,0,16),this._leftover=0}if(i>=16&&(n=i-i%16,this._blocks(e,r,n),r+=n,i-=n),i){for(var s=0;s<i;s++)this._buffer[this._leftover+s]=e[r+s];this._leftover+=i}return this},t.prototype.digest=function(){if(this._finished)throw new Error("Poly1305 was finished");var e=new Uint8Array(16);return this.finish(e),e},t.prototype.clean=function(){return Ad.wipe(this._buffer),Ad.wipe(this._r),Ad.wipe(this._h),Ad.wipe(this._pad),this._leftover=0,this._fin=0,this._finished=!0,this},t})();to.Poly1305=J5;function NB(t,e){var r=new J5(t);r.update(e);var i=r.digest();return r.clean(),i}to.oneTimeAuth=NB;function LB(t,e){return t.length!==to.DIGEST_LENGTH||e.length!==to.DIGEST_LENGTH?!1:TB.equal(t,e)}to.equal=LB});var Z5=fe(ro=>{"use strict";Object.defineProperty(ro,"__esModule",{value:!0});var Sd=W5(),BB=Y5(),Bl=dn(),Q5=Xc(),UB=Ed();ro.KEY_LENGTH=32;ro.NONCE_LENGTH=12;ro.TAG_LENGTH=16;var X5=new Uint8Array(16),FB=(function(){function t(e){if(this.nonceLength=ro.NONCE_LENGTH,this.tagLength=ro.TAG_LENGTH,e.length!==ro.KEY_LENGTH)throw new Error("ChaCha20Poly1305 needs 32-byte key");this._key=new Uint8Array(e)}return t.prototype.seal=function(e,r,i,n){if(e.length>16)throw new Error("ChaCha20Poly1305: incorrect nonce length");var s=new Uint8Array(16);s.set(e,s.length-e.length);var a=new Uint8Array(32);Sd.stream(this._key,s,a,4);var u=r.length+this.tagLength,h;if(n){if(n.length!==u)throw new Error("ChaCha20Poly1305: incorrect destination length");h=n}else h=new Uint8Array(u);return Sd.streamXOR(this._key,s,r,h,4),this._authenticate(h.subarray(h.length-this.tagLength,h.length),a,h.subarray(0,h.length-this.tagLength),i),Bl.wipe(s),h},t.prototype.open=function(e,r,i,n){if(e.length>16)throw new Error("ChaCha20Poly1305: incorrect nonce length");if(r.length<this.tagLength)return null;var s=new Uint8Array(16);s.set(e,s.length-e.length);var a=new Uint8Array(32);Sd.stream(this._key,s,a,4);var u=new Uint8Array(this.tagLength);if(this._authenticate(u,a,r.subarray(0,r.length-this.tagLength),i),!UB.equal(u,r.subarray(r.length-this.tagLength,r.length)))return null;var h=r.length-this.tagLength,f;if(n){if(n.length!==h)throw new Error("ChaCha20Poly1305: incorrect destination length");f=n}else f=new Uint8Array(h);return Sd.streamXOR(this._key,s,r.subarray(0,r.length-this.tagLength),f,4),Bl.wipe(s),f},t.prototype.clean=function(){return Bl.wipe(this._key),this},t.prototype._authenticate=function(e,r,i,n){var s=new BB.Poly1305(r);n&&(s.update(n),n.length%16>0&&s.update(X5.subarray(n.length%16))),s.update(i),i.length%16>0&&s.update(X5.subarray(i.length%16));var a=new Uint8Array(8);n&&Q5.writeUint64LE(n.length,a),s.update(a),Q5.writeUint64LE(i.length,a),s.update(a);for(var u=s.digest(),h=0;h<u.length;h++)e[h]=u[h];s.clean(),Bl.wipe(u),Bl.wipe(a)},t})();ro.ChaCha20Poly1305=FB});var e4=fe(Bg=>{"use strict";Object.defineProperty(Bg,"__esModule",{value:!0});function qB(t){return typeof t.saveState<"u"&&typeof t.restoreState<"u"&&typeof t.cleanSavedState<"u"}Bg.isSerializableHash=qB});var r4=fe(Ul=>{"use strict";Object.defineProperty(Ul,"__esModule",{value:!0});var rs=e4(),$B=Ed(),kB=dn(),t4=(function(){function t(e,r){this._finished=!1,this._inner=new e,this._outer=new e,this.blockSize=this._outer.blockSize,this.digestLength=this._outer.digestLength;var i=new Uint8Array(this.blockSize);r.length>this.blockSize?this._inner.update(r).finish(i).clean():i.set(r);for(var n=0;n<i.length;n++)i[n]^=54;this._inner.update(i);for(var n=0;n<i.length;n++)i[n]^=106;this._outer.update(i),rs.isSerializableHash(this._inner)&&rs.isSerializableHash(this._outer)&&(this._innerKeyedState=this._inner.saveState(),this._outerKeyedState=this._outer.saveState()),kB.wipe(i)}return t.prototype.reset=function(){if(!rs.isSerializableHash(this._inner)||!rs.isSerializableHash(this._outer))throw new Error("hmac: can't reset() because hash doesn't implement restoreState()");return this._inner.restoreState(this._innerKeyedState),this._outer.restoreState(this._outerKeyedState),this._finished=!1,this},t.prototype.clean=function(){rs.isSerializableHash(this._inner)&&this._inner.cleanSavedState(this._innerKeyedState),rs.isSerializableHash(this._outer)&&this._outer.cleanSavedState(this._outerKeyedState),this._inner.clean(),this._outer.clean()},t.prototype.update=function(e){return this._inner.update(e),this},t.prototype.finish=function(e){return this._finished?(this._outer.finish(e),this):(this._inner.finish(e),this._outer.update(e.subarray(0,this.digestLength)).finish(e),this._finished=!0,this)},t.prototype.digest=function(){var e=new Uint8Array(this.digestLength);return this.finish(e),e},t.prototype.saveState=function(){if(!rs.isSerializableHash(this._inner))throw new Error("hmac: can't saveState() because hash doesn't implement it");return this._inner.saveState()},t.prototype.restoreState=function(e){if(!rs.isSerializableHash(this._inner)||!rs.isSerializableHash(this._outer))throw new Error("hmac: can't restoreState() because hash doesn't implement it");return this._inner.restoreState(e),this._outer.restoreState(this._outerKeyedState),this._finished=!1,this},t.prototype.cleanSavedState=function(e){if(!rs.isSerializableHash(this._inner))throw new Error("hmac: can't cleanSavedState() because hash doesn't implement it");this._inner.cleanSavedState(e)},t})();Ul.HMAC=t4;function jB(t,e,r){var i=new t4(t,e);i.update(r);var n=i.digest();return i.clean(),n}Ul.hmac=jB;Ul.equal=$B.equal});var s4=fe(Ug=>{"use strict";Object.defineProperty(Ug,"__esModule",{value:!0});var i4=r4(),n4=dn(),zB=(function(){function t(e,r,i,n){i===void 0&&(i=new Uint8Array(0)),this._counter=new Uint8Array(1),this._hash=e,this._info=n;var s=i4.hmac(this._hash,i,r);this._hmac=new i4.HMAC(e,s),this._buffer=new Uint8Array(this._hmac.digestLength),this._bufpos=this._buffer.length}return t.prototype._fillBuffer=function(){this._counter[0]++;var e=this._counter[0];if(e===0)throw new Error("hkdf: cannot expand more");this._hmac.reset(),e>1&&this._hmac.update(this._buffer),this._info&&this._hmac.update(this._info),this._hmac.update(this._counter),this._hmac.finish(this._buffer),this._bufpos=0},t.prototype.expand=function(e){for(var r=new Uint8Array(e),i=0;i<r.length;i++)this._bufpos===this._buffer.length&&this._fillBuffer(),r[i]=this._buffer[this._bufpos++];return r},t.prototype.clean=function(){this._hmac.clean(),n4.wipe(this._buffer),n4.wipe(this._counter),this._bufpos=0},t})();Ug.HKDF=zB});var a4=fe(Id=>{"use strict";Object.defineProperty(Id,"__esModule",{value:!0});Id.BrowserRandomSource=void 0;var o4=65536,Fg=class{constructor(){this.isAvailable=!1,this.isInstantiated=!1;let e=typeof self<"u"?self.crypto||self.msCrypto:null;e&&e.getRandomValues!==void 0&&(this._crypto=e,this.isAvailable=!0,this.isInstantiated=!0)}randomBytes(e){if(!this.isAvailable||!this._crypto)throw new Error("Browser random byte generator is not available.");let r=new Uint8Array(e);for(let i=0;i<r.length;i+=o4)this._crypto.getRandomValues(r.subarray(i,i+Math.min(r.length-i,o4)));return r}};Id.BrowserRandomSource=Fg});var qg=fe(()=>{});var c4=fe(Md=>{"use strict";Object.defineProperty(Md,"__esModule",{value:!0});Md.NodeRandomSource=void 0;var HB=dn(),$g=class{constructor(){if(this.isAvailable=!1,this.isInstantiated=!1,typeof Kw<"u"){let e=qg();e&&e.randomBytes&&(this._crypto=e,this.isAvailable=!0,this.isInstantiated=!0)}}randomBytes(e){if(!this.isAvailable||!this._crypto)throw new Error("Node.js random byte generator is not available.");let r=this._crypto.randomBytes(e);if(r.length!==e)throw new Error("NodeRandomSource: got fewer bytes than requested");let i=new Uint8Array(e);for(let n=0;n<i.length;n++)i[n]=r[n];return(0,HB.wipe)(r),i}};Md.NodeRandomSource=$g});var u4=fe(Cd=>{"use strict";Object.defineProperty(Cd,"__esModule",{value:!0});Cd.SystemRandomSource=void 0;var KB=a4(),VB=c4(),kg=class{constructor(){if(this.isAvailable=!1,this.name="",this._source=new KB.BrowserRandomSource,this._source.isAvailable){this.isAvailable=!0,this.name="Browser";return}if(this._source=new VB.NodeRandomSource,this._source.isAvailable){this.isAvailable=!0,this.name="Node";return}}randomBytes(e){if(!this.isAvailable)throw new Error("System random byte generator is not available.");return this._source.randomBytes(e)}};Cd.SystemRandomSource=kg});var Fl=fe(ti=>{"use strict";Object.defineProperty(ti,"__esModule",{value:!0});ti.randomStringForEntropy=ti.randomString=ti.randomUint32=ti.randomBytes=ti.defaultRandomSource=void 0;var WB=u4(),GB=Xc(),l4=dn();ti.defaultRandomSource=new WB.SystemRandomSource;function jg(t,e=ti.defaultRandomSource){return e.randomBytes(t)}ti.randomBytes=jg;function JB(t=ti.defaultRandomSource){let e=jg(4,t),r=(0,GB.readUint32LE)(e);return(0,l4.wipe)(e),r}ti.randomUint32=JB;var f4="0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";function h4(t,e=f4,r=ti.defaultRandomSource){if(e.length<2)throw new Error("randomString charset is too short");if(e.length>256)throw new Error("randomString charset is too long");let i="",n=e.length,s=256-256%n;for(;t>0;){let a=jg(Math.ceil(t*256/s),r);for(let u=0;u<a.length&&t>0;u++){let h=a[u];h<s&&(i+=e.charAt(h%n),t--)}(0,l4.wipe)(a)}return i}ti.randomString=h4;function YB(t,e=f4,r=ti.defaultRandomSource){let i=Math.ceil(t/(Math.log(e.length)/Math.LN2));return h4(i,e,r)}ti.randomStringForEntropy=YB});var p4=fe(jo=>{"use strict";Object.defineProperty(jo,"__esModule",{value:!0});var Pd=Xc(),Dd=dn();jo.DIGEST_LENGTH=32;jo.BLOCK_SIZE=64;var d4=(function(){function t(){this.digestLength=jo.DIGEST_LENGTH,this.blockSize=jo.BLOCK_SIZE,this._state=new Int32Array(8),this._temp=new Int32Array(64),this._buffer=new Uint8Array(128),this._bufferLength=0,this._bytesHashed=0,this._finished=!1,this.reset()}return t.prototype._initState=function(){this._state[0]=1779033703,this._state[1]=3144134277,this._state[2]=1013904242,this._state[3]=2773480762,this._state[4]=1359893119,this._state[5]=2600822924,this._state[6]=528734635,this._state[7]=1541459225},t.prototype.reset=function(){return this._initState(),this._bufferLength=0,this._bytesHashed=0,this._finished=!1,this},t.prototype.clean=function(){Dd.wipe(this._buffer),Dd.wipe(this._temp),this.reset()},t.prototype.update=function(e,r){if(r===void 0&&(r=e.length),this._finished)throw new Error("SHA256: can't update because hash was finished.");var i=0;if(this._bytesHashed+=r,this._bufferLength>0){for(;this._bufferLength<this.blockSize&&r>0;)this._buffer[this._bufferLength++]=e[i++],r--;this._bufferLength===this.blockSize&&(zg(this._temp,this._state,this._buffer,0,this.blockSize),this._bufferLength=0)}for(r>=this.blockSize&&(i=zg(this._temp,this._state,e,i,r),r%=this.blockSize);r>0;)this._buffer[this._bufferLength++]=e[i++],r--;return this},t.prototype.finish=function(e){if(!this._finished){var r=this._bytesHashed,i=this._bufferLength,n=r/536870912|0,s=r<<3,a=r%64<56?64:128;this._buffer[i]=128;for(var u=i+1;u<a-8;u++)this._buffer[u]=0;Pd.writeUint32BE(n,this._buffer,a-8),Pd.writeUint32BE(s,this._buffer,a-4),zg(this._temp,this._state,this._buffer,0,a),this._finished=!0}for(var u=0;u<this.digestLength/4;u++)Pd.writeUint32BE(this._state[u],e,u*4);return this},t.prototype.digest=function(){var e=new Uint8Array(this.digestLength);return this.finish(e),e},t.prototype.saveState=function(){if(this._finished)throw new Error("SHA256: cannot save finished state");return{state:new Int32Array(this._state),buffer:this._bufferLength>0?new Uint8Array(this._buffer):void 0,bufferLength:this._bufferLength,bytesHashed:this._bytesHashed}},t.prototype.restoreState=function(e){return this._state.set(e.state),this._bufferLength=e.bufferLength,e.buffer&&this._buffer.set(e.buffer),this._bytesHashed=e.bytesHashed,this._finished=!1,this},t.prototype.cleanSavedState=function(e){Dd.wipe(e.state),e.buffer&&Dd.wipe(e.buffer),e.bufferLength=0,e.bytesHashed=0},t})();jo.SHA256=d4;var QB=new Int32Array([1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298]);function zg(t,e,r,i,n){for(;n>=64;){for(var s=e[0],a=e[1],u=e[2],h=e[3],f=e[4],v=e[5],w=e[6],I=e[7],M=0;M<16;M++){var P=i+M*4;t[M]=Pd.readUint32BE(r,P)}for(var M=16;M<64;M++){var T=t[M-2],U=(T>>>17|T<<15)^(T>>>19|T<<13)^T>>>10;T=t[M-15];var F=(T>>>7|T<<25)^(T>>>18|T<<14)^T>>>3;t[M]=(U+t[M-7]|0)+(F+t[M-16]|0)}for(var M=0;M<64;M++){var U=(((f>>>6|f<<26)^(f>>>11|f<<21)^(f>>>25|f<<7))+(f&v^~f&w)|0)+(I+(QB[M]+t[M]|0)|0)|0,F=((s>>>2|s<<30)^(s>>>13|s<<19)^(s>>>22|s<<10))+(s&a^s&u^a&u)|0;I=w,w=v,v=f,f=h+U|0,h=u,u=a,a=s,s=U+F|0}e[0]+=s,e[1]+=a,e[2]+=u,e[3]+=h,e[4]+=f,e[5]+=v,e[6]+=w,e[7]+=I,i+=64,n-=64}return i}function XB(t){var e=new d4;e.update(t);var r=e.digest();return e.clean(),r}jo.hash=XB});var b4=fe(mr=>{"use strict";Object.defineProperty(mr,"__esModule",{value:!0});mr.sharedKey=mr.generateKeyPair=mr.generateKeyPairFromSeed=mr.scalarMultBase=mr.scalarMult=mr.SHARED_KEY_LENGTH=mr.SECRET_KEY_LENGTH=mr.PUBLIC_KEY_LENGTH=void 0;var ZB=Fl(),eU=dn();mr.PUBLIC_KEY_LENGTH=32;mr.SECRET_KEY_LENGTH=32;mr.SHARED_KEY_LENGTH=32;function is(t){let e=new Float64Array(16);if(t)for(let r=0;r<t.length;r++)e[r]=t[r];return e}var g4=new Uint8Array(32);g4[0]=9;var tU=is([56129,1]);function Hg(t){let e=1;for(let r=0;r<16;r++){let i=t[r]+e+65535;e=Math.floor(i/65536),t[r]=i-e*65536}t[0]+=e-1+37*(e-1)}function ql(t,e,r){let i=~(r-1);for(let n=0;n<16;n++){let s=i&(t[n]^e[n]);t[n]^=s,e[n]^=s}}function rU(t,e){let r=is(),i=is();for(let n=0;n<16;n++)i[n]=e[n];Hg(i),Hg(i),Hg(i);for(let n=0;n<2;n++){r[0]=i[0]-65517;for(let a=1;a<15;a++)r[a]=i[a]-65535-(r[a-1]>>16&1),r[a-1]&=65535;r[15]=i[15]-32767-(r[14]>>16&1);let s=r[15]>>16&1;r[14]&=65535,ql(i,r,1-s)}for(let n=0;n<16;n++)t[2*n]=i[n]&255,t[2*n+1]=i[n]>>8}function iU(t,e){for(let r=0;r<16;r++)t[r]=e[2*r]+(e[2*r+1]<<8);t[15]&=32767}function Od(t,e,r){for(let i=0;i<16;i++)t[i]=e[i]+r[i]}function Rd(t,e,r){for(let i=0;i<16;i++)t[i]=e[i]-r[i]}function io(t,e,r){let i,n,s=0,a=0,u=0,h=0,f=0,v=0,w=0,I=0,M=0,P=0,T=0,U=0,F=0,V=0,z=0,j=0,H=0,ee=0,$=0,q=0,X=0,N=0,d=0,y=0,l=0,g=0,b=0,A=0,C=0,S=0,m=0,E=r[0],_=r[1],R=r[2],Z=r[3],te=r[4],D=r[5],W=r[6],G=r[7],J=r[8],ie=r[9],ce=r[10],se=r[11],ae=r[12],pe=r[13],ne=r[14],de=r[15];i=e[0],s+=i*E,a+=i*_,u+=i*R,h+=i*Z,f+=i*te,v+=i*D,w+=i*W,I+=i*G,M+=i*J,P+=i*ie,T+=i*ce,U+=i*se,F+=i*ae,V+=i*pe,z+=i*ne,j+=i*de,i=e[1],a+=i*E,u+=i*_,h+=i*R,f+=i*Z,v+=i*te,w+=i*D,I+=i*W,M+=i*G,P+=i*J,T+=i*ie,U+=i*ce,F+=i*se,V+=i*ae,z+=i*pe,j+=i*ne,H+=i*de,i=e[2],u+=i*E,h+=i*_,f+=i*R,v+=i*Z,w+=i*te,I+=i*D,M+=i*W,P+=i*G,T+=i*J,U+=i*ie,F+=i*ce,V+=i*se,z+=i*ae,j+=i*pe,H+=i*ne,ee+=i*de,i=e[3],h+=i*E,f+=i*_,v+=i*R,w+=i*Z,I+=i*te,M+=i*D,P+=i*W,T+=i*G,U+=i*J,F+=i*ie,V+=i*ce,z+=i*se,j+=i*ae,H+=i*pe,ee+=i*ne,$+=i*de,i=e[4],f+=i*E,v+=i*_,w+=i*R,I+=i*Z,M+=i*te,P+=i*D,T+=i*W,U+=i*G,F+=i*J,V+=i*ie,z+=i*ce,j+=i*se,H+=i*ae,ee+=i*pe,$+=i*ne,q+=i*de,i=e[5],v+=i*E,w+=i*_,I+=i*R,M+=i*Z,P+=i*te,T+=i*D,U+=i*W,F+=i*G,V+=i*J,z+=i*ie,j+=i*ce,H+=i*se,ee+=i*ae,$+=i*pe,q+=i*ne,X+=i*de,i=e[6],w+=i*E,I+=i*_,M+=i*R,P+=i*Z,T+=i*te,U+=i*D,F+=i*W,V+=i*G,z+=i*J,j+=i*ie,H+=i*ce,ee+=i*se,$+=i*ae,q+=i*pe,X+=i*ne,N+=i*de,i=e[7],I+=i*E,M+=i*_,P+=i*R,T+=i*Z,U+=i*te,F+=i*D,V+=i*W,z+=i*G,j+=i*J,H+=i*ie,ee+=i*ce,$+=i*se,q+=i*ae,X+=i*pe,N+=i*ne,d+=i*de,i=e[8],M+=i*E,P+=i*_,T+=i*R,U+=i*Z,F+=i*te,V+=i*D,z+=i*W,j+=i*G,H+=i*J,ee+=i*ie,$+=i*ce,q+=i*se,X+=i*ae,N+=i*pe,d+=i*ne,y+=i*de,i=e[9],P+=i*E,T+=i*_,U+=i*R,F+=i*Z,V+=i*te,z+=i*D,j+=i*W,H+=i*G,ee+=i*J,$+=i*ie,q+=i*ce,X+=i*se,N+=i*ae,d+=i*pe,y+=i*ne,l+=i*de,i=e[10],T+=i*E,U+=i*_,F+=i*R,V+=i*Z,z+=i*te,j+=i*D,H+=i*W,ee+=i*G,$+=i*J,q+=i*ie,X+=i*ce,N+=i*se,d+=i*ae,y+=i*pe,l+=i*ne,g+=i*de,i=e[11],U+=i*E,F+=i*_,V+=i*R,z+=i*Z,j+=i*te,H+=i*D,ee+=i*W,$+=i*G,q+=i*J,X+=i*ie,N+=i*ce,d+=i*se,y+=i*ae,l+=i*pe,g+=i*ne,b+=i*de,i=e[12],F+=i*E,V+=i*_,z+=i*R,j+=i*Z,H+=i*te,ee+=i*D,$+=i*W,q+=i*G,X+=i*J,N+=i*ie,d+=i*ce,y+=i*se,l+=i*ae,g+=i*pe,b+=i*ne,A+=i*de,i=e[13],V+=i*E,z+=i*_,j+=i*R,H+=i*Z,ee+=i*te,$+=i*D,q+=i*W,X+=i*G,N+=i*J,d+=i*ie,y+=i*ce,l+=i*se,g+=i*ae,b+=i*pe,A+=i*ne,C+=i*de,i=e[14],z+=i*E,j+=i*_,H+=i*R,ee+=i*Z,$+=i*te,q+=i*D,X+=i*W,N+=i*G,d+=i*J,y+=i*ie,l+=i*ce,g+=i*se,b+=i*ae,A+=i*pe,C+=i*ne,S+=i*de,i=e[15],j+=i*E,H+=i*_,ee+=i*R,$+=i*Z,q+=i*te,X+=i*D,N+=i*W,d+=i*G,y+=i*J,l+=i*ie,g+=i*ce,b+=i*se,A+=i*ae,C+=i*pe,S+=i*ne,m+=i*de,s+=38*H,a+=38*ee,u+=38*$,h+=38*q,f+=38*X,v+=38*N,w+=38*d,I+=38*y,M+=38*l,P+=38*g,T+=38*b,U+=38*A,F+=38*C,V+=38*S,z+=38*m,n=1,i=s+n+65535,n=Math.floor(i/65536),s=i-n*65536,i=a+n+65535,n=Math.floor(i/65536),a=i-n*65536,i=u+n+65535,n=Math.floor(i/65536),u=i-n*65536,i=h+n+65535,n=Math.floor(i/65536),h=i-n*65536,i=f+n+65535,n=Math.floor(i/65536),f=i-n*65536,i=v+n+65535,n=Math.floor(i/65536),v=i-n*65536,i=w+n+65535,n=Math.floor(i/65536),w=i-n*65536,i=I+n+65535,n=Math.floor(i/65536),I=i-n*65536,i=M+n+65535,n=Math.floor(i/65536),M=i-n*65536,i=P+n+65535,n=Math.floor(i/65536),P=i-n*65536,i=T+n+65535,n=Math.floor(i/65536),T=i-n*65536,i=U+n+65535,n=Math.floor(i/65536),U=i-n*65536,i=F+n+65535,n=Math.floor(i/65536),F=i-n*65536,i=V+n+65535,n=Math.floor(i/65536),V=i-n*65536,i=z+n+65535,n=Math.floor(i/65536),z=i-n*65536,i=j+n+65535,n=Math.floor(i/65536),j=i-n*65536,s+=n-1+37*(n-1),n=1,i=s+n+65535,n=Math.floor(i/65536),s=i-n*65536,i=a+n+65535,n=Math.floor(i/65536),a=i-n*65536,i=u+n+65535,n=Math.floor(i/65536),u=i-n*65536,i=h+n+65535,n=Math.floor(i/65536),h=i-n*65536,i=f+n+65535,n=Math.floor(i/65536),f=i-n*65536,i=v+n+65535,n=Math.floor(i/65536),v=i-n*65536,i=w+n+65535,n=Math.floor(i/65536),w=i-n*65536,i=I+n+65535,n=Math.floor(i/65536),I=i-n*65536,i=M+n+65535,n=Math.floor(i/65536),M=i-n*65536,i=P+n+65535,n=Math.floor(i/65536),P=i-n*65536,i=T+n+65535,n=Math.floor(i/65536),T=i-n*65536,i=U+n+65535,n=Math.floor(i/65536),U=i-n*65536,i=F+n+65535,n=Math.floor(i/65536),F=i-n*65536,i=V+n+65535,n=Math.floor(i/65536),V=i-n*65536,i=z+n+65535,n=Math.floor(i/65536),z=i-n*65536,i=j+n+65535,n=Math.floor(i/65536),j=i-n*65536,s+=n-1+37*(n-1),t[0]=s,t[1]=a,t[2]=u,t[3]=h,t[4]=f,t[5]=v,t[6]=w,t[7]=I,t[8]=M,t[9]=P,t[10]=T,t[11]=U,t[12]=F,t[13]=V,t[14]=z,t[15]=j}function $l(t,e){io(t,e,e)}function nU(t,e){let r=is();for(let i=0;i<16;i++)r[i]=e[i];for(let i=253;i>=0;i--)$l(r,r),i!==2&&i!==4&&io(r,r,e);for(let i=0;i<16;i++)t[i]=r[i]}function Kg(t,e){let r=new Uint8Array(32),i=new Float64Array(80),n=is(),s=is(),a=is(),u=is(),h=is(),f=is();for(let M=0;M<31;M++)r[M]=t[M];r[31]=t[31]&127|64,r[0]&=248,iU(i,e);for(let M=0;M<16;M++)s[M]=i[M];n[0]=u[0]=1;for(let M=254;M>=0;--M){let P=r[M>>>3]>>>(M&7)&1;ql(n,s,P),ql(a,u,P),Od(h,n,a),Rd(n,n,a),Od(a,s,u),Rd(s,s,u),$l(u,h),$l(f,n),io(n,a,n),io(a,s,h),Od(h,n,a),Rd(n,n,a),$l(s,n),Rd(a,u,f),io(n,a,tU),Od(n,n,u),io(a,a,n),io(n,u,f),io(u,s,i),$l(s,h),ql(n,s,P),ql(a,u,P)}for(let M=0;M<16;M++)i[M+16]=n[M],i[M+32]=a[M],i[M+48]=s[M],i[M+64]=u[M];let v=i.subarray(32),w=i.subarray(16);nU(v,v),io(w,w,v);let I=new Uint8Array(32);return rU(I,w),I}mr.scalarMult=Kg;function m4(t){return Kg(t,g4)}mr.scalarMultBase=m4;function v4(t){if(t.length!==mr.SECRET_KEY_LENGTH)throw new Error(`x25519: seed must be ${mr.SECRET_KEY_LENGTH} bytes`);let e=new Uint8Array(t);return{publicKey:m4(e),secretKey:e}}mr.generateKeyPairFromSeed=v4;function sU(t){let e=(0,ZB.randomBytes)(32,t),r=v4(e);return(0,eU.wipe)(e),r}mr.generateKeyPair=sU;function oU(t,e,r=!1){if(t.length!==mr.PUBLIC_KEY_LENGTH)throw new Error("X25519: incorrect secret key length");if(e.length!==mr.PUBLIC_KEY_LENGTH)throw new Error("X25519: incorrect public key length");let i=Kg(t,e);if(r){let n=0;for(let s=0;s<i.length;s++)n|=i[s];if(n===0)throw new Error("X25519: invalid shared key")}return i}mr.sharedKey=oU});var q4=fe((Are,vF)=>{vF.exports={name:"elliptic",version:"6.6.1",description:"EC cryptography",main:"lib/elliptic.js",files:["lib"],scripts:{lint:"eslint lib test","lint:fix":"npm run lint -- --fix",unit:"istanbul test _mocha --reporter=spec test/index.js",test:"npm run lint && npm run unit",version:"grunt dist && git add dist/"},repository:{type:"git",url:"git@github.com:indutny/elliptic"},keywords:["EC","Elliptic","curve","Cryptography"],author:"Fedor Indutny <fedor@indutny.com>",license:"MIT",bugs:{url:"https://github.com/indutny/elliptic/issues"},homepage:"https://github.com/indutny/elliptic",devDependencies:{brfs:"^2.0.2",coveralls:"^3.1.0",eslint:"^7.6.0",grunt:"^1.2.1","grunt-browserify":"^5.3.0","grunt-cli":"^1.3.2","grunt-contrib-connect":"^3.0.0","grunt-contrib-copy":"^1.0.0","grunt-contrib-uglify":"^5.0.0","grunt-mocha-istanbul":"^5.0.2","grunt-saucelabs":"^9.0.1",istanbul:"^0.4.5",mocha:"^8.0.1"},dependencies:{"bn.js":"^4.11.9",brorand:"^1.1.0","hash.js":"^1.0.0","hmac-drbg":"^1.0.1",inherits:"^2.0.4","minimalistic-assert":"^1.0.1","minimalistic-crypto-utils":"^1.0.1"}}});var $4=fe(()=>{});var ss=fe((k4,dm)=>{(function(t,e){"use strict";function r(N,d){if(!N)throw new Error(d||"Assertion failed")}function i(N,d){N.super_=d;var y=function(){};y.prototype=d.prototype,N.prototype=new y,N.prototype.constructor=N}function n(N,d,y){if(n.isBN(N))return N;this.negative=0,this.words=null,this.length=0,this.red=null,N!==null&&((d==="le"||d==="be")&&(y=d,d=10),this._init(N||0,d||10,y||"be"))}typeof t=="object"?t.exports=n:e.BN=n,n.BN=n,n.wordSize=26;var s;try{typeof window<"u"&&typeof window.Buffer<"u"?s=window.Buffer:s=$4().Buffer}catch{}n.isBN=function(d){return d instanceof n?!0:d!==null&&typeof d=="object"&&d.constructor.wordSize===n.wordSize&&Array.isArray(d.words)},n.max=function(d,y){return d.cmp(y)>0?d:y},n.min=function(d,y){return d.cmp(y)<0?d:y},n.prototype._init=function(d,y,l){if(typeof d=="number")return this._initNumber(d,y,l);if(typeof d=="object")return this._initArray(d,y,l);y==="hex"&&(y=16),r(y===(y|0)&&y>=2&&y<=36),d=d.toString().replace(/\s+/g,"");var g=0;d[0]==="-"&&(g++,this.negative=1),g<d.length&&(y===16?this._parseHex(d,g,l):(this._parseBase(d,y,g),l==="le"&&this._initArray(this.toArray(),y,l)))},n.prototype._initNumber=function(d,y,l){d<0&&(this.negative=1,d=-d),d<67108864?(this.words=[d&67108863],this.length=1):d<4503599627370496?(this.words=[d&67108863,d/67108864&67108863],this.length=2):(r(d<9007199254740992),this.words=[d&67108863,d/67108864&67108863,1],this.length=3),l==="le"&&this._initArray(this.toArray(),y,l)},n.prototype._initArray=function(d,y,l){if(r(typeof d.length=="number"),d.length<=0)return this.words=[0],this.length=1,this;this.length=Math.ceil(d.length/3),this.words=new Array(this.length);for(var g=0;g<this.length;g++)this.words[g]=0;var b,A,C=0;if(l==="be")for(g=d.length-1,b=0;g>=0;g-=3)A=d[g]|d[g-1]<<8|d[g-2]<<16,this.words[b]|=A<<C&67108863,this.words[b+1]=A>>>26-C&67108863,C+=24,C>=26&&(C-=26,b++);else if(l==="le")for(g=0,b=0;g<d.length;g+=3)A=d[g]|d[g+1]<<8|d[g+2]<<16,this.words[b]|=A<<C&67108863,this.words[b+1]=A>>>26-C&67108863,C+=24,C>=26&&(C-=26,b++);return this.strip()};function a(N,d){var y=N.charCodeAt(d);return y>=65&&y<=70?y-55:y>=97&&y<=102?y-87:y-48&15}function u(N,d,y){var l=a(N,y);return y-1>=d&&(l|=a(N,y-1)<<4),l}n.prototype._parseHex=function(d,y,l){this.length=Math.ceil((d.length-y)/6),this.words=new Array(this.length);for(var g=0;g<this.length;g++)this.words[g]=0;var b=0,A=0,C;if(l==="be")for(g=d.length-1;g>=y;g-=2)C=u(d,y,g)<<b,this.words[A]|=C&67108863,b>=18?(b-=18,A+=1,this.words[A]|=C>>>26):b+=8;else{var S=d.length-y;for(g=S%2===0?y+1:y;g<d.length;g+=2)C=u(d,y,g)<<b,this.words[A]|=C&67108863,b>=18?(b-=18,A+=1,this.words[A]|=C>>>26):b+=8}this.strip()};function h(N,d,y,l){for(var g=0,b=Math.min(N.length,y),A=d;A<b;A++){var C=N.charCodeAt(A)-48;g*=l,C>=49?g+=C-49+10:C>=17?g+=C-17+10:g+=C}return g}n.prototype._parseBase=function(d,y,l){this.words=[0],this.length=1;for(var g=0,b=1;b<=67108863;b*=y)g++;g--,b=b/y|0;for(var A=d.length-l,C=A%g,S=Math.min(A,A-C)+l,m=0,E=l;E<S;E+=g)m=h(d,E,E+g,y),this.imuln(b),this.words[0]+m<67108864?this.words[0]+=m:this._iaddn(m);if(C!==0){var _=1;for(m=h(d,E,d.length,y),E=0;E<C;E++)_*=y;this.imuln(_),this.words[0]+m<67108864?this.words[0]+=m:this._iaddn(m)}this.strip()},n.prototype.copy=function(d){d.words=new Array(this.length);for(var y=0;y<this.length;y++)d.words[y]=this.words[y];d.length=this.length,d.negative=this.negative,d.red=this.red},n.prototype.clone=function(){var d=new n(null);return this.copy(d),d},n.prototype._expand=function(d){for(;this.length<d;)this.words[this.length++]=0;return this},n.prototype.strip=function(){for(;this.length>1&&this.words[this.length-1]===0;)this.length--;return this._normSign()},n.prototype._normSign=function(){return this.length===1&&this.words[0]===0&&(this.negative=0),this},n.prototype.inspect=function(){return(this.red?"<BN-R: ":"<BN: ")+this.toString(16)+">"};var f=["","0","00","000","0000","00000","000000","0000000","00000000","000000000","0000000000","00000000000","000000000000","0000000000000","00000000000000","000000000000000","0000000000000000","00000000000000000","000000000000000000","0000000000000000000","00000000000000000000","000000000000000000000","0000000000000000000000","00000000000000000000000","000000000000000000000000","0000000000000000000000000"],v=[0,0,25,16,12,11,10,9,8,8,7,7,7,7,6,6,6,6,6,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5],w=[0,0,33554432,43046721,16777216,48828125,60466176,40353607,16777216,43046721,1e7,19487171,35831808,62748517,7529536,11390625,16777216,24137569,34012224,47045881,64e6,4084101,5153632,6436343,7962624,9765625,11881376,14348907,17210368,20511149,243e5,28629151,33554432,39135393,45435424,52521875,60466176];n.prototype.toString=function(d,y){d=d||10,y=y|0||1;var l;if(d===16||d==="hex"){l="";for(var g=0,b=0,A=0;A<this.length;A++){var C=this.words[A],S=((C<<g|b)&16777215).toString(16);b=C>>>24-g&16777215,g+=2,g>=26&&(g-=26,A--),b!==0||A!==this.length-1?l=f[6-S.length]+S+l:l=S+l}for(b!==0&&(l=b.toString(16)+l);l.length%y!==0;)l="0"+l;return this.negative!==0&&(l="-"+l),l}if(d===(d|0)&&d>=2&&d<=36){var m=v[d],E=w[d];l="";var _=this.clone();for(_.negative=0;!_.isZero();){var R=_.modn(E).toString(d);_=_.idivn(E),_.isZero()?l=R+l:l=f[m-R.length]+R+l}for(this.isZero()&&(l="0"+l);l.length%y!==0;)l="0"+l;return this.negative!==0&&(l="-"+l),l}r(!1,"Base should be between 2 and 36")},n.prototype.toNumber=function(){var d=this.words[0];return this.length===2?d+=this.words[1]*67108864:this.length===3&&this.words[2]===1?d+=4503599627370496+this.words[1]*67108864:this.length>2&&r(!1,"Number can only safely store up to 53 bits"),this.negative!==0?-d:d},n.prototype.toJSON=function(){return this.toString(16)},n.prototype.toBuffer=function(d,y){return r(typeof s<"u"),this.toArrayLike(s,d,y)},n.prototype.toArray=function(d,y){return this.toArrayLike(Array,d,y)},n.prototype.toArrayLike=function(d,y,l){var g=this.byteLength(),b=l||Math.max(1,g);r(g<=b,"byte array longer than desired length"),r(b>0,"Requested array length <= 0"),this.strip();var A=y==="le",C=new d(b),S,m,E=this.clone();if(A){for(m=0;!E.isZero();m++)S=E.andln(255),E.iushrn(8),C[m]=S;for(;m<b;m++)C[m]=0}else{for(m=0;m<b-g;m++)C[m]=0;for(m=0;!E.isZero();m++)S=E.andln(255),E.iushrn(8),C[b-m-1]=S}return C},Math.clz32?n.prototype._countBits=function(d){return 32-Math.clz32(d)}:n.prototype._countBits=function(d){var y=d,l=0;return y>=4096&&(l+=13,y>>>=13),y>=64&&(l+=7,y>>>=7),y>=8&&(l+=4,y>>>=4),y>=2&&(l+=2,y>>>=2),l+y},n.prototype._zeroBits=function(d){if(d===0)return 26;var y=d,l=0;return(y&8191)===0&&(l+=13,y>>>=13),(y&127)===0&&(l+=7,y>>>=7),(y&15)===0&&(l+=4,y>>>=4),(y&3)===0&&(l+=2,y>>>=2),(y&1)===0&&l++,l},n.prototype.bitLength=function(){var d=this.words[this.length-1],y=this._countBits(d);return(this.length-1)*26+y};function I(N){for(var d=new Array(N.bitLength()),y=0;y<d.length;y++){var l=y/26|0,g=y%26;d[y]=(N.words[l]&1<<g)>>>g}return d}n.prototype.zeroBits=function(){if(this.isZero())return 0;for(var d=0,y=0;y<this.length;y++){var l=this._zeroBits(this.words[y]);if(d+=l,l!==26)break}return d},n.prototype.byteLength=function(){return Math.ceil(this.bitLength()/8)},n.prototype.toTwos=function(d){return this.negative!==0?this.abs().inotn(d).iaddn(1):this.clone()},n.prototype.fromTwos=function(d){return this.testn(d-1)?this.notn(d).iaddn(1).ineg():this.clone()},n.prototype.isNeg=function(){return this.negative!==0},n.prototype.neg=function(){return this.clone().ineg()},n.prototype.ineg=function(){return this.isZero()||(this.negative^=1),this},n.prototype.iuor=function(d){for(;this.length<d.length;)this.words[this.length++]=0;for(var y=0;y<d.length;y++)this.words[y]=this.words[y]|d.words[y];return this.strip()},n.prototype.ior=function(d){return r((this.negative|d.negative)===0),this.iuor(d)},n.prototype.or=function(d){return this.length>d.length?this.clone().ior(d):d.clone().ior(this)},n.prototype.uor=function(d){return this.length>d.length?this.clone().iuor(d):d.clone().iuor(this)},n.prototype.iuand=function(d){var y;this.length>d.length?y=d:y=this;for(var l=0;l<y.length;l++)this.words[l]=this.words[l]&d.words[l];return this.length=y.length,this.strip()},n.prototype.iand=function(d){return r((this.negative|d.negative)===0),this.iuand(d)},n.prototype.and=function(d){return this.length>d.length?this.clone().iand(d):d.clone().iand(this)},n.prototype.uand=function(d){return this.length>d.length?this.clone().iuand(d):d.clone().iuand(this)},n.prototype.iuxor=function(d){var y,l;this.length>d.length?(y=this,l=d):(y=d,l=this);for(var g=0;g<l.length;g++)this.words[g]=y.words[g]^l.words[g];if(this!==y)for(;g<y.length;g++)this.words[g]=y.words[g];return this.length=y.length,this.strip()},n.prototype.ixor=function(d){return r((this.negative|d.negative)===0),this.iuxor(d)},n.prototype.xor=function(d){return this.length>d.length?this.clone().ixor(d):d.clone().ixor(this)},n.prototype.uxor=function(d){return this.length>d.length?this.clone().iuxor(d):d.clone().iuxor(this)},n.prototype.inotn=function(d){r(typeof d=="number"&&d>=0);var y=Math.ceil(d/26)|0,l=d%26;this._expand(y),l>0&&y--;for(var g=0;g<y;g++)this.words[g]=~this.words[g]&67108863;for(l>0&&(this.words[g]=~this.words[g]&67108863>>26-l,g++);g<this.length;g++)this.words[g]=0;return this.strip()},n.prototype.notn=function(d){return this.clone().inotn(d)},n.prototype.setn=function(d,y){r(typeof d=="number"&&d>=0);var l=d/26|0,g=d%26;return this._expand(l+1),y?this.words[l]=this.words[l]|1<<g:this.words[l]=this.words[l]&~(1<<g),this.strip()},n.prototype.iadd=function(d){var y;if(this.negative!==0&&d.negative===0)return this.negative=0,y=this.isub(d),this.negative^=1,this._normSign();if(this.negative===0&&d.negative!==0)return d.negative=0,y=this.isub(d),d.negative=1,y._normSign();var l,g;this.length>d.length?(l=this,g=d):(l=d,g=this);for(var b=0,A=0;A<g.length;A++)y=(l.words[A]|0)+(g.words[A]|0)+b,this.words[A]=y&67108863,b=y>>>26;for(;b!==0&&A<l.length;A++)y=(l.words[A]|0)+b,this.words[A]=y&67108863,b=y>>>26;if(this.length=l.length,b!==0)this.words[this.length]=b,this.length++;else if(l!==this)for(;A<l.length;A++)this.words[A]=l.words[A];return this},n.prototype.add=function(d){var y;return d.negative!==0&&this.negative===0?(d.negative=0,y=this.sub(d),d.negative^=1,y):d.negative===0&&this.negative!==0?(this.negative=0,y=d.sub(this),this.negative=1,y):this.length>d.length?this.clone().iadd(d):d.clone().iadd(this)},n.prototype.isub=function(d){if(d.negative!==0){d.negative=0;var y=this.iadd(d);return d.negative=1,y._normSign()}else if(this.negative!==0)return this.negative=0,this.iadd(d),this.negative=1,this._normSign();var l=this.cmp(d);if(l===0)return this.negative=0,this.length=1,this.words[0]=0,this;var g,b;l>0?(g=this,b=d):(g=d,b=this);for(var A=0,C=0;C<b.length;C++)y=(g.words[C]|0)-(b.words[C]|0)+A,A=y>>26,this.words[C]=y&67108863;for(;A!==0&&C<g.length;C++)y=(g.words[C]|0)+A,A=y>>26,this.words[C]=y&67108863;if(A===0&&C<g.length&&g!==this)for(;C<g.length;C++)this.words[C]=g.words[C];return this.length=Math.max(this.length,C),g!==this&&(this.negative=1),this.strip()},n.prototype.sub=function(d){return this.clone().isub(d)};function M(N,d,y){y.negative=d.negative^N.negative;var l=N.length+d.length|0;y.length=l,l=l-1|0;var g=N.words[0]|0,b=d.words[0]|0,A=g*b,C=A&67108863,S=A/67108864|0;y.words[0]=C;for(var m=1;m<l;m++){for(var E=S>>>26,_=S&67108863,R=Math.min(m,d.length-1),Z=Math.max(0,m-N.length+1);Z<=R;Z++){var te=m-Z|0;g=N.words[te]|0,b=d.words[Z]|0,A=g*b+_,E+=A/67108864|0,_=A&67108863}y.words[m]=_|0,S=E|0}return S!==0?y.words[m]=S|0:y.length--,y.strip()}var P=function(d,y,l){var g=d.words,b=y.words,A=l.words,C=0,S,m,E,_=g[0]|0,R=_&8191,Z=_>>>13,te=g[1]|0,D=te&8191,W=te>>>13,G=g[2]|0,J=G&8191,ie=G>>>13,ce=g[3]|0,se=ce&8191,ae=ce>>>13,pe=g[4]|0,ne=pe&8191,de=pe>>>13,Ct=g[5]|0,Ee=Ct&8191,At=Ct>>>13,Dt=g[6]|0,Se=Dt&8191,Ye=Dt>>>13,lt=g[7]|0,Ie=lt&8191,Pt=lt>>>13,ft=g[8]|0,Ue=ft&8191,ht=ft>>>13,ot=g[9]|0,De=ot&8191,gt=ot>>>13,mt=b[0]|0,Pe=mt&8191,vt=mt>>>13,bt=b[1]|0,Oe=bt&8191,yt=bt>>>13,wt=b[2]|0,Fe=wt&8191,Ot=wt>>>13,Rt=b[3]|0,Le=Rt&8191,St=Rt>>>13,Tt=b[4]|0,qe=Tt&8191,Nt=Tt>>>13,Lt=b[5]|0,Be=Lt&8191,Bt=Lt>>>13,Ut=b[6]|0,$e=Ut&8191,_t=Ut>>>13,Ft=b[7]|0,Re=Ft&8191,qt=Ft>>>13,$t=b[8]|0,ke=$t&8191,kt=$t>>>13,jt=b[9]|0,je=jt&8191,zt=jt>>>13;l.negative=d.negative^y.negative,l.length=19,S=Math.imul(R,Pe),m=Math.imul(R,vt),m=m+Math.imul(Z,Pe)|0,E=Math.imul(Z,vt);var It=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(It>>>26)|0,It&=67108863,S=Math.imul(D,Pe),m=Math.imul(D,vt),m=m+Math.imul(W,Pe)|0,E=Math.imul(W,vt),S=S+Math.imul(R,Oe)|0,m=m+Math.imul(R,yt)|0,m=m+Math.imul(Z,Oe)|0,E=E+Math.imul(Z,yt)|0;var xt=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(xt>>>26)|0,xt&=67108863,S=Math.imul(J,Pe),m=Math.imul(J,vt),m=m+Math.imul(ie,Pe)|0,E=Math.imul(ie,vt),S=S+Math.imul(D,Oe)|0,m=m+Math.imul(D,yt)|0,m=m+Math.imul(W,Oe)|0,E=E+Math.imul(W,yt)|0,S=S+Math.imul(R,Fe)|0,m=m+Math.imul(R,Ot)|0,m=m+Math.imul(Z,Fe)|0,E=E+Math.imul(Z,Ot)|0;var Ai=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Ai>>>26)|0,Ai&=67108863,S=Math.imul(se,Pe),m=Math.imul(se,vt),m=m+Math.imul(ae,Pe)|0,E=Math.imul(ae,vt),S=S+Math.imul(J,Oe)|0,m=m+Math.imul(J,yt)|0,m=m+Math.imul(ie,Oe)|0,E=E+Math.imul(ie,yt)|0,S=S+Math.imul(D,Fe)|0,m=m+Math.imul(D,Ot)|0,m=m+Math.imul(W,Fe)|0,E=E+Math.imul(W,Ot)|0,S=S+Math.imul(R,Le)|0,m=m+Math.imul(R,St)|0,m=m+Math.imul(Z,Le)|0,E=E+Math.imul(Z,St)|0;var Si=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Si>>>26)|0,Si&=67108863,S=Math.imul(ne,Pe),m=Math.imul(ne,vt),m=m+Math.imul(de,Pe)|0,E=Math.imul(de,vt),S=S+Math.imul(se,Oe)|0,m=m+Math.imul(se,yt)|0,m=m+Math.imul(ae,Oe)|0,E=E+Math.imul(ae,yt)|0,S=S+Math.imul(J,Fe)|0,m=m+Math.imul(J,Ot)|0,m=m+Math.imul(ie,Fe)|0,E=E+Math.imul(ie,Ot)|0,S=S+Math.imul(D,Le)|0,m=m+Math.imul(D,St)|0,m=m+Math.imul(W,Le)|0,E=E+Math.imul(W,St)|0,S=S+Math.imul(R,qe)|0,m=m+Math.imul(R,Nt)|0,m=m+Math.imul(Z,qe)|0,E=E+Math.imul(Z,Nt)|0;var Ii=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Ii>>>26)|0,Ii&=67108863,S=Math.imul(Ee,Pe),m=Math.imul(Ee,vt),m=m+Math.imul(At,Pe)|0,E=Math.imul(At,vt),S=S+Math.imul(ne,Oe)|0,m=m+Math.imul(ne,yt)|0,m=m+Math.imul(de,Oe)|0,E=E+Math.imul(de,yt)|0,S=S+Math.imul(se,Fe)|0,m=m+Math.imul(se,Ot)|0,m=m+Math.imul(ae,Fe)|0,E=E+Math.imul(ae,Ot)|0,S=S+Math.imul(J,Le)|0,m=m+Math.imul(J,St)|0,m=m+Math.imul(ie,Le)|0,E=E+Math.imul(ie,St)|0,S=S+Math.imul(D,qe)|0,m=m+Math.imul(D,Nt)|0,m=m+Math.imul(W,qe)|0,E=E+Math.imul(W,Nt)|0,S=S+Math.imul(R,Be)|0,m=m+Math.imul(R,Bt)|0,m=m+Math.imul(Z,Be)|0,E=E+Math.imul(Z,Bt)|0;var Mi=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Mi>>>26)|0,Mi&=67108863,S=Math.imul(Se,Pe),m=Math.imul(Se,vt),m=m+Math.imul(Ye,Pe)|0,E=Math.imul(Ye,vt),S=S+Math.imul(Ee,Oe)|0,m=m+Math.imul(Ee,yt)|0,m=m+Math.imul(At,Oe)|0,E=E+Math.imul(At,yt)|0,S=S+Math.imul(ne,Fe)|0,m=m+Math.imul(ne,Ot)|0,m=m+Math.imul(de,Fe)|0,E=E+Math.imul(de,Ot)|0,S=S+Math.imul(se,Le)|0,m=m+Math.imul(se,St)|0,m=m+Math.imul(ae,Le)|0,E=E+Math.imul(ae,St)|0,S=S+Math.imul(J,qe)|0,m=m+Math.imul(J,Nt)|0,m=m+Math.imul(ie,qe)|0,E=E+Math.imul(ie,Nt)|0,S=S+Math.imul(D,Be)|0,m=m+Math.imul(D,Bt)|0,m=m+Math.imul(W,Be)|0,E=E+Math.imul(W,Bt)|0,S=S+Math.imul(R,$e)|0,m=m+Math.imul(R,_t)|0,m=m+Math.imul(Z,$e)|0,E=E+Math.imul(Z,_t)|0;var Ci=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Ci>>>26)|0,Ci&=67108863,S=Math.imul(Ie,Pe),m=Math.imul(Ie,vt),m=m+Math.imul(Pt,Pe)|0,E=Math.imul(Pt,vt),S=S+Math.imul(Se,Oe)|0,m=m+Math.imul(Se,yt)|0,m=m+Math.imul(Ye,Oe)|0,E=E+Math.imul(Ye,yt)|0,S=S+Math.imul(Ee,Fe)|0,m=m+Math.imul(Ee,Ot)|0,m=m+Math.imul(At,Fe)|0,E=E+Math.imul(At,Ot)|0,S=S+Math.imul(ne,Le)|0,m=m+Math.imul(ne,St)|0,m=m+Math.imul(de,Le)|0,E=E+Math.imul(de,St)|0,S=S+Math.imul(se,qe)|0,m=m+Math.imul(se,Nt)|0,m=m+Math.imul(ae,qe)|0,E=E+Math.imul(ae,Nt)|0,S=S+Math.imul(J,Be)|0,m=m+Math.imul(J,Bt)|0,m=m+Math.imul(ie,Be)|0,E=E+Math.imul(ie,Bt)|0,S=S+Math.imul(D,$e)|0,m=m+Math.imul(D,_t)|0,m=m+Math.imul(W,$e)|0,E=E+Math.imul(W,_t)|0,S=S+Math.imul(R,Re)|0,m=m+Math.imul(R,qt)|0,m=m+Math.imul(Z,Re)|0,E=E+Math.imul(Z,qt)|0;var Di=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Di>>>26)|0,Di&=67108863,S=Math.imul(Ue,Pe),m=Math.imul(Ue,vt),m=m+Math.imul(ht,Pe)|0,E=Math.imul(ht,vt),S=S+Math.imul(Ie,Oe)|0,m=m+Math.imul(Ie,yt)|0,m=m+Math.imul(Pt,Oe)|0,E=E+Math.imul(Pt,yt)|0,S=S+Math.imul(Se,Fe)|0,m=m+Math.imul(Se,Ot)|0,m=m+Math.imul(Ye,Fe)|0,E=E+Math.imul(Ye,Ot)|0,S=S+Math.imul(Ee,Le)|0,m=m+Math.imul(Ee,St)|0,m=m+Math.imul(At,Le)|0,E=E+Math.imul(At,St)|0,S=S+Math.imul(ne,qe)|0,m=m+Math.imul(ne,Nt)|0,m=m+Math.imul(de,qe)|0,E=E+Math.imul(de,Nt)|0,S=S+Math.imul(se,Be)|0,m=m+Math.imul(se,Bt)|0,m=m+Math.imul(ae,Be)|0,E=E+Math.imul(ae,Bt)|0,S=S+Math.imul(J,$e)|0,m=m+Math.imul(J,_t)|0,m=m+Math.imul(ie,$e)|0,E=E+Math.imul(ie,_t)|0,S=S+Math.imul(D,Re)|0,m=m+Math.imul(D,qt)|0,m=m+Math.imul(W,Re)|0,E=E+Math.imul(W,qt)|0,S=S+Math.imul(R,ke)|0,m=m+Math.imul(R,kt)|0,m=m+Math.imul(Z,ke)|0,E=E+Math.imul(Z,kt)|0;var rn=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(rn>>>26)|0,rn&=67108863,S=Math.imul(De,Pe),m=Math.imul(De,vt),m=m+Math.imul(gt,Pe)|0,E=Math.imul(gt,vt),S=S+Math.imul(Ue,Oe)|0,m=m+Math.imul(Ue,yt)|0,m=m+Math.imul(ht,Oe)|0,E=E+Math.imul(ht,yt)|0,S=S+Math.imul(Ie,Fe)|0,m=m+Math.imul(Ie,Ot)|0,m=m+Math.imul(Pt,Fe)|0,E=E+Math.imul(Pt,Ot)|0,S=S+Math.imul(Se,Le)|0,m=m+Math.imul(Se,St)|0,m=m+Math.imul(Ye,Le)|0,E=E+Math.imul(Ye,St)|0,S=S+Math.imul(Ee,qe)|0,m=m+Math.imul(Ee,Nt)|0,m=m+Math.imul(At,qe)|0,E=E+Math.imul(At,Nt)|0,S=S+Math.imul(ne,Be)|0,m=m+Math.imul(ne,Bt)|0,m=m+Math.imul(de,Be)|0,E=E+Math.imul(de,Bt)|0,S=S+Math.imul(se,$e)|0,m=m+Math.imul(se,_t)|0,m=m+Math.imul(ae,$e)|0,E=E+Math.imul(ae,_t)|0,S=S+Math.imul(J,Re)|0,m=m+Math.imul(J,qt)|0,m=m+Math.imul(ie,Re)|0,E=E+Math.imul(ie,qt)|0,S=S+Math.imul(D,ke)|0,m=m+Math.imul(D,kt)|0,m=m+Math.imul(W,ke)|0,E=E+Math.imul(W,kt)|0,S=S+Math.imul(R,je)|0,m=m+Math.imul(R,zt)|0,m=m+Math.imul(Z,je)|0,E=E+Math.imul(Z,zt)|0;var qs=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(qs>>>26)|0,qs&=67108863,S=Math.imul(De,Oe),m=Math.imul(De,yt),m=m+Math.imul(gt,Oe)|0,E=Math.imul(gt,yt),S=S+Math.imul(Ue,Fe)|0,m=m+Math.imul(Ue,Ot)|0,m=m+Math.imul(ht,Fe)|0,E=E+Math.imul(ht,Ot)|0,S=S+Math.imul(Ie,Le)|0,m=m+Math.imul(Ie,St)|0,m=m+Math.imul(Pt,Le)|0,E=E+Math.imul(Pt,St)|0,S=S+Math.imul(Se,qe)|0,m=m+Math.imul(Se,Nt)|0,m=m+Math.imul(Ye,qe)|0,E=E+Math.imul(Ye,Nt)|0,S=S+Math.imul(Ee,Be)|0,m=m+Math.imul(Ee,Bt)|0,m=m+Math.imul(At,Be)|0,E=E+Math.imul(At,Bt)|0,S=S+Math.imul(ne,$e)|0,m=m+Math.imul(ne,_t)|0,m=m+Math.imul(de,$e)|0,E=E+Math.imul(de,_t)|0,S=S+Math.imul(se,Re)|0,m=m+Math.imul(se,qt)|0,m=m+Math.imul(ae,Re)|0,E=E+Math.imul(ae,qt)|0,S=S+Math.imul(J,ke)|0,m=m+Math.imul(J,kt)|0,m=m+Math.imul(ie,ke)|0,E=E+Math.imul(ie,kt)|0,S=S+Math.imul(D,je)|0,m=m+Math.imul(D,zt)|0,m=m+Math.imul(W,je)|0,E=E+Math.imul(W,zt)|0;var nn=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(nn>>>26)|0,nn&=67108863,S=Math.imul(De,Fe),m=Math.imul(De,Ot),m=m+Math.imul(gt,Fe)|0,E=Math.imul(gt,Ot),S=S+Math.imul(Ue,Le)|0,m=m+Math.imul(Ue,St)|0,m=m+Math.imul(ht,Le)|0,E=E+Math.imul(ht,St)|0,S=S+Math.imul(Ie,qe)|0,m=m+Math.imul(Ie,Nt)|0,m=m+Math.imul(Pt,qe)|0,E=E+Math.imul(Pt,Nt)|0,S=S+Math.imul(Se,Be)|0,m=m+Math.imul(Se,Bt)|0,m=m+Math.imul(Ye,Be)|0,E=E+Math.imul(Ye,Bt)|0,S=S+Math.imul(Ee,$e)|0,m=m+Math.imul(Ee,_t)|0,m=m+Math.imul(At,$e)|0,E=E+Math.imul(At,_t)|0,S=S+Math.imul(ne,Re)|0,m=m+Math.imul(ne,qt)|0,m=m+Math.imul(de,Re)|0,E=E+Math.imul(de,qt)|0,S=S+Math.imul(se,ke)|0,m=m+Math.imul(se,kt)|0,m=m+Math.imul(ae,ke)|0,E=E+Math.imul(ae,kt)|0,S=S+Math.imul(J,je)|0,m=m+Math.imul(J,zt)|0,m=m+Math.imul(ie,je)|0,E=E+Math.imul(ie,zt)|0;var $s=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+($s>>>26)|0,$s&=67108863,S=Math.imul(De,Le),m=Math.imul(De,St),m=m+Math.imul(gt,Le)|0,E=Math.imul(gt,St),S=S+Math.imul(Ue,qe)|0,m=m+Math.imul(Ue,Nt)|0,m=m+Math.imul(ht,qe)|0,E=E+Math.imul(ht,Nt)|0,S=S+Math.imul(Ie,Be)|0,m=m+Math.imul(Ie,Bt)|0,m=m+Math.imul(Pt,Be)|0,E=E+Math.imul(Pt,Bt)|0,S=S+Math.imul(Se,$e)|0,m=m+Math.imul(Se,_t)|0,m=m+Math.imul(Ye,$e)|0,E=E+Math.imul(Ye,_t)|0,S=S+Math.imul(Ee,Re)|0,m=m+Math.imul(Ee,qt)|0,m=m+Math.imul(At,Re)|0,E=E+Math.imul(At,qt)|0,S=S+Math.imul(ne,ke)|0,m=m+Math.imul(ne,kt)|0,m=m+Math.imul(de,ke)|0,E=E+Math.imul(de,kt)|0,S=S+Math.imul(se,je)|0,m=m+Math.imul(se,zt)|0,m=m+Math.imul(ae,je)|0,E=E+Math.imul(ae,zt)|0;var ks=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(ks>>>26)|0,ks&=67108863,S=Math.imul(De,qe),m=Math.imul(De,Nt),m=m+Math.imul(gt,qe)|0,E=Math.imul(gt,Nt),S=S+Math.imul(Ue,Be)|0,m=m+Math.imul(Ue,Bt)|0,m=m+Math.imul(ht,Be)|0,E=E+Math.imul(ht,Bt)|0,S=S+Math.imul(Ie,$e)|0,m=m+Math.imul(Ie,_t)|0,m=m+Math.imul(Pt,$e)|0,E=E+Math.imul(Pt,_t)|0,S=S+Math.imul(Se,Re)|0,m=m+Math.imul(Se,qt)|0,m=m+Math.imul(Ye,Re)|0,E=E+Math.imul(Ye,qt)|0,S=S+Math.imul(Ee,ke)|0,m=m+Math.imul(Ee,kt)|0,m=m+Math.imul(At,ke)|0,E=E+Math.imul(At,kt)|0,S=S+Math.imul(ne,je)|0,m=m+Math.imul(ne,zt)|0,m=m+Math.imul(de,je)|0,E=E+Math.imul(de,zt)|0;var js=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(js>>>26)|0,js&=67108863,S=Math.imul(De,Be),m=Math.imul(De,Bt),m=m+Math.imul(gt,Be)|0,E=Math.imul(gt,Bt),S=S+Math.imul(Ue,$e)|0,m=m+Math.imul(Ue,_t)|0,m=m+Math.imul(ht,$e)|0,E=E+Math.imul(ht,_t)|0,S=S+Math.imul(Ie,Re)|0,m=m+Math.imul(Ie,qt)|0,m=m+Math.imul(Pt,Re)|0,E=E+Math.imul(Pt,qt)|0,S=S+Math.imul(Se,ke)|0,m=m+Math.imul(Se,kt)|0,m=m+Math.imul(Ye,ke)|0,E=E+Math.imul(Ye,kt)|0,S=S+Math.imul(Ee,je)|0,m=m+Math.imul(Ee,zt)|0,m=m+Math.imul(At,je)|0,E=E+Math.imul(At,zt)|0;var Jn=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Jn>>>26)|0,Jn&=67108863,S=Math.imul(De,$e),m=Math.imul(De,_t),m=m+Math.imul(gt,$e)|0,E=Math.imul(gt,_t),S=S+Math.imul(Ue,Re)|0,m=m+Math.imul(Ue,qt)|0,m=m+Math.imul(ht,Re)|0,E=E+Math.imul(ht,qt)|0,S=S+Math.imul(Ie,ke)|0,m=m+Math.imul(Ie,kt)|0,m=m+Math.imul(Pt,ke)|0,E=E+Math.imul(Pt,kt)|0,S=S+Math.imul(Se,je)|0,m=m+Math.imul(Se,zt)|0,m=m+Math.imul(Ye,je)|0,E=E+Math.imul(Ye,zt)|0;var Yn=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Yn>>>26)|0,Yn&=67108863,S=Math.imul(De,Re),m=Math.imul(De,qt),m=m+Math.imul(gt,Re)|0,E=Math.imul(gt,qt),S=S+Math.imul(Ue,ke)|0,m=m+Math.imul(Ue,kt)|0,m=m+Math.imul(ht,ke)|0,E=E+Math.imul(ht,kt)|0,S=S+Math.imul(Ie,je)|0,m=m+Math.imul(Ie,zt)|0,m=m+Math.imul(Pt,je)|0,E=E+Math.imul(Pt,zt)|0;var Qn=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(Qn>>>26)|0,Qn&=67108863,S=Math.imul(De,ke),m=Math.imul(De,kt),m=m+Math.imul(gt,ke)|0,E=Math.imul(gt,kt),S=S+Math.imul(Ue,je)|0,m=m+Math.imul(Ue,zt)|0,m=m+Math.imul(ht,je)|0,E=E+Math.imul(ht,zt)|0;var zs=(C+S|0)+((m&8191)<<13)|0;C=(E+(m>>>13)|0)+(zs>>>26)|0,zs&=67108863,S=Math.imul(De,je),m=Math.imul(De,zt),m=m+Math.imul(gt,je)|0,E=Math.imul(gt,zt);var Hs=(C+S|0)+((m&8191)<<13)|0;return C=(E+(m>>>13)|0)+(Hs>>>26)|0,Hs&=67108863,A[0]=It,A[1]=xt,A[2]=Ai,A[3]=Si,A[4]=Ii,A[5]=Mi,A[6]=Ci,A[7]=Di,A[8]=rn,A[9]=qs,A[10]=nn,A[11]=$s,A[12]=ks,A[13]=js,A[14]=Jn,A[15]=Yn,A[16]=Qn,A[17]=zs,A[18]=Hs,C!==0&&(A[19]=C,l.length++),l};Math.imul||(P=M);function T(N,d,y){y.negative=d.negative^N.negative,y.length=N.length+d.length;for(var l=0,g=0,b=0;b<y.length-1;b++){var A=g;g=0;for(var C=l&67108863,S=Math.min(b,d.length-1),m=Math.max(0,b-N.length+1);m<=S;m++){var E=b-m,_=N.words[E]|0,R=d.words[m]|0,Z=_*R,te=Z&67108863;A=A+(Z/67108864|0)|0,te=te+C|0,C=te&67108863,A=A+(te>>>26)|0,g+=A>>>26,A&=67108863}y.words[b]=C,l=A,A=g}return l!==0?y.words[b]=l:y.length--,y.strip()}function U(N,d,y){var l=new F;return l.mulp(N,d,y)}n.prototype.mulTo=function(d,y){var l,g=this.length+d.length;return this.length===10&&d.length===10?l=P(this,d,y):g<63?l=M(this,d,y):g<1024?l=T(this,d,y):l=U(this,d,y),l};function F(N,d){this.x=N,this.y=d}F.prototype.makeRBT=function(d){for(var y=new Array(d),l=n.prototype._countBits(d)-1,g=0;g<d;g++)y[g]=this.revBin(g,l,d);return y},F.prototype.revBin=function(d,y,l){if(d===0||d===l-1)return d;for(var g=0,b=0;b<y;b++)g|=(d&1)<<y-b-1,d>>=1;return g},F.prototype.permute=function(d,y,l,g,b,A){for(var C=0;C<A;C++)g[C]=y[d[C]],b[C]=l[d[C]]},F.prototype.transform=function(d,y,l,g,b,A){this.permute(A,d,y,l,g,b);for(var C=1;C<b;C<<=1)for(var S=C<<1,m=Math.cos(2*Math.PI/S),E=Math.sin(2*Math.PI/S),_=0;_<b;_+=S)for(var R=m,Z=E,te=0;te<C;te++){var D=l[_+te],W=g[_+te],G=l[_+te+C],J=g[_+te+C],ie=R*G-Z*J;J=R*J+Z*G,G=ie,l[_+te]=D+G,g[_+te]=W+J,l[_+te+C]=D-G,g[_+te+C]=W-J,te!==S&&(ie=m*R-E*Z,Z=m*Z+E*R,R=ie)}},F.prototype.guessLen13b=function(d,y){var l=Math.max(y,d)|1,g=l&1,b=0;for(l=l/2|0;l;l=l>>>1)b++;return 1<<b+1+g},F.prototype.conjugate=function(d,y,l){if(!(l<=1))for(var g=0;g<l/2;g++){var b=d[g];d[g]=d[l-g-1],d[l-g-1]=b,b=y[g],y[g]=-y[l-g-1],y[l-g-1]=-b}},F.prototype.normalize13b=function(d,y){for(var l=0,g=0;g<y/2;g++){var b=Math.round(d[2*g+1]/y)*8192+Math.round(d[2*g]/y)+l;d[g]=b&67108863,b<67108864?l=0:l=b/67108864|0}return d},F.prototype.convert13b=function(d,y,l,g){for(var b=0,A=0;A<y;A++)b=b+(d[A]|0),l[2*A]=b&8191,b=b>>>13,l[2*A+1]=b&8191,b=b>>>13;for(A=2*y;A<g;++A)l[A]=0;r(b===0),r((b&-8192)===0)},F.prototype.stub=function(d){for(var y=new Array(d),l=0;l<d;l++)y[l]=0;return y},F.prototype.mulp=function(d,y,l){var g=2*this.guessLen13b(d.length,y.length),b=this.makeRBT(g),A=this.stub(g),C=new Array(g),S=new Array(g),m=new Array(g),E=new Array(g),_=new Array(g),R=new Array(g),Z=l.words;Z.length=g,this.convert13b(d.words,d.length,C,g),this.convert13b(y.words,y.length,E,g),this.transform(C,A,S,m,g,b),this.transform(E,A,_,R,g,b);for(var te=0;te<g;te++){var D=S[te]*_[te]-m[te]*R[te];m[te]=S[te]*R[te]+m[te]*_[te],S[te]=D}return this.conjugate(S,m,g),this.transform(S,m,Z,A,g,b),this.conjugate(Z,A,g),this.normalize13b(Z,g),l.negative=d.negative^y.negative,l.length=d.length+y.length,l.strip()},n.prototype.mul=function(d){var y=new n(null);return y.words=new Array(this.length+d.length),this.mulTo(d,y)},n.prototype.mulf=function(d){var y=new n(null);return y.words=new Array(this.length+d.length),U(this,d,y)},n.prototype.imul=function(d){return this.clone().mulTo(d,this)},n.prototype.imuln=function(d){r(typeof d=="number"),r(d<67108864);for(var y=0,l=0;l<this.length;l++){var g=(this.words[l]|0)*d,b=(g&67108863)+(y&67108863);y>>=26,y+=g/67108864|0,y+=b>>>26,this.words[l]=b&67108863}return y!==0&&(this.words[l]=y,this.length++),d===0&&(this.length=1,this._normSign()),this},n.prototype.muln=function(d){return this.clone().imuln(d)},n.prototype.sqr=function(){return this.mul(this)},n.prototype.isqr=function(){return this.imul(this.clone())},n.prototype.pow=function(d){var y=I(d);if(y.length===0)return new n(1);for(var l=this,g=0;g<y.length&&y[g]===0;g++,l=l.sqr());if(++g<y.length)for(var b=l.sqr();g<y.length;g++,b=b.sqr())y[g]!==0&&(l=l.mul(b));return l},n.prototype.iushln=function(d){r(typeof d=="number"&&d>=0);var y=d%26,l=(d-y)/26,g=67108863>>>26-y<<26-y,b;if(y!==0){var A=0;for(b=0;b<this.length;b++){var C=this.words[b]&g,S=(this.words[b]|0)-C<<y;this.words[b]=S|A,A=C>>>26-y}A&&(this.words[b]=A,this.length++)}if(l!==0){for(b=this.length-1;b>=0;b--)this.words[b+l]=this.words[b];for(b=0;b<l;b++)this.words[b]=0;this.length+=l}return this.strip()},n.prototype.ishln=function(d){return r(this.negative===0),this.iushln(d)},n.prototype.iushrn=function(d,y,l){r(typeof d=="number"&&d>=0);var g;y?g=(y-y%26)/26:g=0;var b=d%26,A=Math.min((d-b)/26,this.length),C=67108863^67108863>>>b<<b,S=l;if(g-=A,g=Math.max(0,g),S){for(var m=0;m<A;m++)S.words[m]=this.words[m];S.length=A}if(A!==0)if(this.length>A)for(this.length-=A,m=0;m<this.length;m++)this.words[m]=this.words[m+A];else this.words[0]=0,this.length=1;var E=0;for(m=this.length-1;m>=0&&(E!==0||m>=g);m--){var _=this.words[m]|0;this.words[m]=E<<26-b|_>>>b,E=_&C}return S&&E!==0&&(S.words[S.length++]=E),this.length===0&&(this.words[0]=0,this.length=1),this.strip()},n.prototype.ishrn=function(d,y,l){return r(this.negative===0),this.iushrn(d,y,l)},n.prototype.shln=function(d){return this.clone().ishln(d)},n.prototype.ushln=function(d){return this.clone().iushln(d)},n.prototype.shrn=function(d){return this.clone().ishrn(d)},n.prototype.ushrn=function(d){return this.clone().iushrn(d)},n.prototype.testn=function(d){r(typeof d=="number"&&d>=0);var y=d%26,l=(d-y)/26,g=1<<y;if(this.length<=l)return!1;var b=this.words[l];return!!(b&g)},n.prototype.imaskn=function(d){r(typeof d=="number"&&d>=0);var y=d%26,l=(d-y)/26;if(r(this.negative===0,"imaskn works only with positive numbers"),this.length<=l)return this;if(y!==0&&l++,this.length=Math.min(l,this.length),y!==0){var g=67108863^67108863>>>y<<y;this.words[this.length-1]&=g}return this.length===0&&(this.words[0]=0,this.length=1),this.strip()},n.prototype.maskn=function(d){return this.clone().imaskn(d)},n.prototype.iaddn=function(d){return r(typeof d=="number"),r(d<67108864),d<0?this.isubn(-d):this.negative!==0?this.length===1&&(this.words[0]|0)<d?(this.words[0]=d-(this.words[0]|0),this.negative=0,this):(this.negative=0,this.isubn(d),this.negative=1,this):this._iaddn(d)},n.prototype._iaddn=function(d){this.words[0]+=d;for(var y=0;y<this.length&&this.words[y]>=67108864;y++)this.words[y]-=67108864,y===this.length-1?this.words[y+1]=1:this.words[y+1]++;return this.length=Math.max(this.length,y+1),this},n.prototype.isubn=function(d){if(r(typeof d=="number"),r(d<67108864),d<0)return this.iaddn(-d);if(this.negative!==0)return this.negative=0,this.iaddn(d),this.negative=1,this;if(this.words[0]-=d,this.length===1&&this.words[0]<0)this.words[0]=-this.words[0],this.negative=1;else for(var y=0;y<this.length&&this.words[y]<0;y++)this.words[y]+=67108864,this.words[y+1]-=1;return this.strip()},n.prototype.addn=function(d){return this.clone().iaddn(d)},n.prototype.subn=function(d){return this.clone().isubn(d)},n.prototype.iabs=function(){return this.negative=0,this},n.prototype.abs=function(){return this.clone().iabs()},n.prototype._ishlnsubmul=function(d,y,l){var g=d.length+l,b;this._expand(g);var A,C=0;for(b=0;b<d.length;b++){A=(this.words[b+l]|0)+C;var S=(d.words[b]|0)*y;A-=S&67108863,C=(A>>26)-(S/67108864|0),this.words[b+l]=A&67108863}for(;b<this.length-l;b++)A=(this.words[b+l]|0)+C,C=A>>26,this.words[b+l]=A&67108863;if(C===0)return this.strip();for(r(C===-1),C=0,b=0;b<this.length;b++)A=-(this.words[b]|0)+C,C=A>>26,this.words[b]=A&67108863;return this.negative=1,this.strip()},n.prototype._wordDiv=function(d,y){var l=this.length-d.length,g=this.clone(),b=d,A=b.words[b.length-1]|0,C=this._countBits(A);l=26-C,l!==0&&(b=b.ushln(l),g.iushln(l),A=b.words[b.length-1]|0);var S=g.length-b.length,m;if(y!=="mod"){m=new n(null),m.length=S+1,m.words=new Array(m.length);for(var E=0;E<m.length;E++)m.words[E]=0}var _=g.clone()._ishlnsubmul(b,1,S);_.negative===0&&(g=_,m&&(m.words[S]=1));for(var R=S-1;R>=0;R--){var Z=(g.words[b.length+R]|0)*67108864+(g.words[b.length+R-1]|0);for(Z=Math.min(Z/A|0,67108863),g._ishlnsubmul(b,Z,R);g.negative!==0;)Z--,g.negative=0,g._ishlnsubmul(b,1,R),g.isZero()||(g.negative^=1);m&&(m.words[R]=Z)}return m&&m.strip(),g.strip(),y!=="div"&&l!==0&&g.iushrn(l),{div:m||null,mod:g}},n.prototype.divmod=function(d,y,l){if(r(!d.isZero()),this.isZero())return{div:new n(0),mod:new n(0)};var g,b,A;return this.negative!==0&&d.negative===0?(A=this.neg().divmod(d,y),y!=="mod"&&(g=A.div.neg()),y!=="div"&&(b=A.mod.neg(),l&&b.negative!==0&&b.iadd(d)),{div:g,mod:b}):this.negative===0&&d.negative!==0?(A=this.divmod(d.neg(),y),y!=="mod"&&(g=A.div.neg()),{div:g,mod:A.mod}):(this.negative&d.negative)!==0?(A=this.neg().divmod(d.neg(),y),y!=="div"&&(b=A.mod.neg(),l&&b.negative!==0&&b.isub(d)),{div:A.div,mod:b}):d.length>this.length||this.cmp(d)<0?{div:new n(0),mod:this}:d.length===1?y==="div"?{div:this.divn(d.words[0]),mod:null}:y==="mod"?{div:null,mod:new n(this.modn(d.words[0]))}:{div:this.divn(d.words[0]),mod:new n(this.modn(d.words[0]))}:this._wordDiv(d,y)},n.prototype.div=function(d){return this.divmod(d,"div",!1).div},n.prototype.mod=function(d){return this.divmod(d,"mod",!1).mod},n.prototype.umod=function(d){return this.divmod(d,"mod",!0).mod},n.prototype.divRound=function(d){var y=this.divmod(d);if(y.mod.isZero())return y.div;var l=y.mod.abs(),g=d.abs().iushrn(1),b=d.words[0]&1,A=l.cmp(g);if(A<0||b===1&&A===0)return y.div;var C=new n(1);return C.negative=this.negative^d.negative,y.div.iadd(C)},n.prototype.modn=function(d){r(d<=67108863);for(var y=(1<<26)%d,l=0,g=this.length-1;g>=0;g--)l=(y*l+(this.words[g]|0))%d;return l},n.prototype.idivn=function(d){r(d<=67108863);for(var y=0,l=this.length-1;l>=0;l--){var g=(this.words[l]|0)+y*67108864;this.words[l]=g/d|0,y=g%d}return this.strip()},n.prototype.divn=function(d){return this.clone().idivn(d)},n.prototype.egcd=function(d){r(d.negative===0),r(!d.isZero());var y=this,l=d.clone();y.negative!==0?y=y.umod(d):y=y.clone();for(var g=new n(1),b=new n(0),A=new n(0),C=new n(1),S=0;y.isEven()&&l.isEven();)y.iushrn(1),l.iushrn(1),++S;for(var m=l.clone(),E=y.clone();!y.isZero();){for(var _=0,R=1;(y.words[0]&R)===0&&_<26;++_,R<<=1);if(_>0)for(y.iushrn(_);_-- >0;)(g.isOdd()||b.isOdd())&&(g.iadd(m),b.isub(E)),g.iushrn(1),b.iushrn(1);for(var Z=0,te=1;(l.words[0]&te)===0&&Z<26;++Z,te<<=1);if(Z>0)for(l.iushrn(Z);Z-- >0;)(A.isOdd()||C.isOdd())&&(A.iadd(m),C.isub(E)),A.iushrn(1),C.iushrn(1);y.cmp(l)>=0?(y.isub(l),g.isub(A),b.isub(C)):(l.isub(y),A.isub(g),C.isub(b))}return{a:A,b:C,gcd:l.iushln(S)}},n.prototype._invmp=function(d){r(d.negative===0),r(!d.isZero());var y=this,l=d.clone();y.negative!==0?y=y.umod(d):y=y.clone();for(var g=new n(1),b=new n(0),A=l.clone();y.cmpn(1)>0&&l.cmpn(1)>0;){for(var C=0,S=1;(y.words[0]&S)===0&&C<26;++C,S<<=1);if(C>0)for(y.iushrn(C);C-- >0;)g.isOdd()&&g.iadd(A),g.iushrn(1);for(var m=0,E=1;(l.words[0]&E)===0&&m<26;++m,E<<=1);if(m>0)for(l.iushrn(m);m-- >0;)b.isOdd()&&b.iadd(A),b.iushrn(1);y.cmp(l)>=0?(y.isub(l),g.isub(b)):(l.isub(y),b.isub(g))}var _;return y.cmpn(1)===0?_=g:_=b,_.cmpn(0)<0&&_.iadd(d),_},n.prototype.gcd=function(d){if(this.isZero())return d.abs();if(d.isZero())return this.abs();var y=this.clone(),l=d.clone();y.negative=0,l.negative=0;for(var g=0;y.isEven()&&l.isEven();g++)y.iushrn(1),l.iushrn(1);do{for(;y.isEven();)y.iushrn(1);for(;l.isEven();)l.iushrn(1);var b=y.cmp(l);if(b<0){var A=y;y=l,l=A}else if(b===0||l.cmpn(1)===0)break;y.isub(l)}while(!0);return l.iushln(g)},n.prototype.invm=function(d){return this.egcd(d).a.umod(d)},n.prototype.isEven=function(){return(this.words[0]&1)===0},n.prototype.isOdd=function(){return(this.words[0]&1)===1},n.prototype.andln=function(d){return this.words[0]&d},n.prototype.bincn=function(d){r(typeof d=="number");var y=d%26,l=(d-y)/26,g=1<<y;if(this.length<=l)return this._expand(l+1),this.words[l]|=g,this;for(var b=g,A=l;b!==0&&A<this.length;A++){var C=this.words[A]|0;C+=b,b=C>>>26,C&=67108863,this.words[A]=C}return b!==0&&(this.words[A]=b,this.length++),this},n.prototype.isZero=function(){return this.length===1&&this.words[0]===0},n.prototype.cmpn=function(d){var y=d<0;if(this.negative!==0&&!y)return-1;if(this.negative===0&&y)return 1;this.strip();var l;if(this.length>1)l=1;else{y&&(d=-d),r(d<=67108863,"Number is too big");var g=this.words[0]|0;l=g===d?0:g<d?-1:1}return this.negative!==0?-l|0:l},n.prototype.cmp=function(d){if(this.negative!==0&&d.negative===0)return-1;if(this.negative===0&&d.negative!==0)return 1;var y=this.ucmp(d);return this.negative!==0?-y|0:y},n.prototype.ucmp=function(d){if(this.length>d.length)return 1;if(this.length<d.length)return-1;for(var y=0,l=this.length-1;l>=0;l--){var g=this.words[l]|0,b=d.words[l]|0;if(g!==b){g<b?y=-1:g>b&&(y=1);break}}return y},n.prototype.gtn=function(d){return this.cmpn(d)===1},n.prototype.gt=function(d){return this.cmp(d)===1},n.prototype.gten=function(d){return this.cmpn(d)>=0},n.prototype.gte=function(d){return this.cmp(d)>=0},n.prototype.ltn=function(d){return this.cmpn(d)===-1},n.prototype.lt=function(d){return this.cmp(d)===-1},n.prototype.lten=function(d){return this.cmpn(d)<=0},n.prototype.lte=function(d){return this.cmp(d)<=0},n.prototype.eqn=function(d){return this.cmpn(d)===0},n.prototype.eq=function(d){return this.cmp(d)===0},n.red=function(d){return new q(d)},n.prototype.toRed=function(d){return r(!this.red,"Already a number in reduction context"),r(this.negative===0,"red works only with positives"),d.convertTo(this)._forceRed(d)},n.prototype.fromRed=function(){return r(this.red,"fromRed works only with numbers in reduction context"),this.red.convertFrom(this)},n.prototype._forceRed=function(d){return this.red=d,this},n.prototype.forceRed=function(d){return r(!this.red,"Already a number in reduction context"),this._forceRed(d)},n.prototype.redAdd=function(d){return r(this.red,"redAdd works only with red numbers"),this.red.add(this,d)},n.prototype.redIAdd=function(d){return r(this.red,"redIAdd works only with red numbers"),this.red.iadd(this,d)},n.prototype.redSub=function(d){return r(this.red,"redSub works only with red numbers"),this.red.sub(this,d)},n.prototype.redISub=function(d){return r(this.red,"redISub works only with red numbers"),this.red.isub(this,d)},n.prototype.redShl=function(d){return r(this.red,"redShl works only with red numbers"),this.red.shl(this,d)},n.prototype.redMul=function(d){return r(this.red,"redMul works only with red numbers"),this.red._verify2(this,d),this.red.mul(this,d)},n.prototype.redIMul=function(d){return r(this.red,"redMul works only with red numbers"),this.red._verify2(this,d),this.red.imul(this,d)},n.prototype.redSqr=function(){return r(this.red,"redSqr works only with red numbers"),this.red._verify1(this),this.red.sqr(this)},n.prototype.redISqr=function(){return r(this.red,"redISqr works only with red numbers"),this.red._verify1(this),this.red.isqr(this)},n.prototype.redSqrt=function(){return r(this.red,"redSqrt works only with red numbers"),this.red._verify1(this),this.red.sqrt(this)},n.prototype.redInvm=function(){return r(this.red,"redInvm works only with red numbers"),this.red._verify1(this),this.red.invm(this)},n.prototype.redNeg=function(){return r(this.red,"redNeg works only with red numbers"),this.red._verify1(this),this.red.neg(this)},n.prototype.redPow=function(d){return r(this.red&&!d.red,"redPow(normalNum)"),this.red._verify1(this),this.red.pow(this,d)};var V={k256:null,p224:null,p192:null,p25519:null};function z(N,d){this.name=N,this.p=new n(d,16),this.n=this.p.bitLength(),this.k=new n(1).iushln(this.n).isub(this.p),this.tmp=this._tmp()}z.prototype._tmp=function(){var d=new n(null);return d.words=new Array(Math.ceil(this.n/13)),d},z.prototype.ireduce=function(d){var y=d,l;do this.split(y,this.tmp),y=this.imulK(y),y=y.iadd(this.tmp),l=y.bitLength();while(l>this.n);var g=l<this.n?-1:y.ucmp(this.p);return g===0?(y.words[0]=0,y.length=1):g>0?y.isub(this.p):y.strip!==void 0?y.strip():y._strip(),y},z.prototype.split=function(d,y){d.iushrn(this.n,0,y)},z.prototype.imulK=function(d){return d.imul(this.k)};function j(){z.call(this,"k256","ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe fffffc2f")}i(j,z),j.prototype.split=function(d,y){for(var l=4194303,g=Math.min(d.length,9),b=0;b<g;b++)y.words[b]=d.words[b];if(y.length=g,d.length<=9){d.words[0]=0,d.length=1;return}var A=d.words[9];for(y.words[y.length++]=A&l,b=10;b<d.length;b++){var C=d.words[b]|0;d.words[b-10]=(C&l)<<4|A>>>22,A=C}A>>>=22,d.words[b-10]=A,A===0&&d.length>10?d.length-=10:d.length-=9},j.prototype.imulK=function(d){d.words[d.length]=0,d.words[d.length+1]=0,d.length+=2;for(var y=0,l=0;l<d.length;l++){var g=d.words[l]|0;y+=g*977,d.words[l]=y&67108863,y=g*64+(y/67108864|0)}return d.words[d.length-1]===0&&(d.length--,d.words[d.length-1]===0&&d.length--),d};function H(){z.call(this,"p224","ffffffff ffffffff ffffffff ffffffff 00000000 00000000 00000001")}i(H,z);function ee(){z.call(this,"p192","ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff")}i(ee,z);function $(){z.call(this,"25519","7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed")}i($,z),$.prototype.imulK=function(d){for(var y=0,l=0;l<d.length;l++){var g=(d.words[l]|0)*19+y,b=g&67108863;g>>>=26,d.words[l]=b,y=g}return y!==0&&(d.words[d.length++]=y),d},n._prime=function(d){if(V[d])return V[d];var y;if(d==="k256")y=new j;else if(d==="p224")y=new H;else if(d==="p192")y=new ee;else if(d==="p25519")y=new $;else throw new Error("Unknown prime "+d);return V[d]=y,y};function q(N){if(typeof N=="string"){var d=n._prime(N);this.m=d.p,this.prime=d}else r(N.gtn(1),"modulus must be greater than 1"),this.m=N,this.prime=null}q.prototype._verify1=function(d){r(d.negative===0,"red works only with positives"),r(d.red,"red works only with red numbers")},q.prototype._verify2=function(d,y){r((d.negative|y.negative)===0,"red works only with positives"),r(d.red&&d.red===y.red,"red works only with red numbers")},q.prototype.imod=function(d){return this.prime?this.prime.ireduce(d)._forceRed(this):d.umod(this.m)._forceRed(this)},q.prototype.neg=function(d){return d.isZero()?d.clone():this.m.sub(d)._forceRed(this)},q.prototype.add=function(d,y){this._verify2(d,y);var l=d.add(y);return l.cmp(this.m)>=0&&l.isub(this.m),l._forceRed(this)},q.prototype.iadd=function(d,y){this._verify2(d,y);var l=d.iadd(y);return l.cmp(this.m)>=0&&l.isub(this.m),l},q.prototype.sub=function(d,y){this._verify2(d,y);var l=d.sub(y);return l.cmpn(0)<0&&l.iadd(this.m),l._forceRed(this)},q.prototype.isub=function(d,y){this._verify2(d,y);var l=d.isub(y);return l.cmpn(0)<0&&l.iadd(this.m),l},q.prototype.shl=function(d,y){return this._verify1(d),this.imod(d.ushln(y))},q.prototype.imul=function(d,y){return this._verify2(d,y),this.imod(d.imul(y))},q.prototype.mul=function(d,y){return this._verify2(d,y),this.imod(d.mul(y))},q.prototype.isqr=function(d){return this.imul(d,d.clone())},q.prototype.sqr=function(d){return this.mul(d,d)},q.prototype.sqrt=function(d){if(d.isZero())return d.clone();var y=this.m.andln(3);if(r(y%2===1),y===3){var l=this.m.add(new n(1)).iushrn(2);return this.pow(d,l)}for(var g=this.m.subn(1),b=0;!g.isZero()&&g.andln(1)===0;)b++,g.iushrn(1);r(!g.isZero());var A=new n(1).toRed(this),C=A.redNeg(),S=this.m.subn(1).iushrn(1),m=this.m.bitLength();for(m=new n(2*m*m).toRed(this);this.pow(m,S).cmp(C)!==0;)m.redIAdd(C);for(var E=this.pow(m,g),_=this.pow(d,g.addn(1).iushrn(1)),R=this.pow(d,g),Z=b;R.cmp(A)!==0;){for(var te=R,D=0;te.cmp(A)!==0;D++)te=te.redSqr();r(D<Z);var W=this.pow(E,new n(1).iushln(Z-D-1));_=_.redMul(W),E=W.redSqr(),R=R.redMul(E),Z=D}return _},q.prototype.invm=function(d){var y=d._invmp(this.m);return y.negative!==0?(y.negative=0,this.imod(y).redNeg()):this.imod(y)},q.prototype.pow=function(d,y){if(y.isZero())return new n(1).toRed(this);if(y.cmpn(1)===0)return d.clone();var l=4,g=new Array(1<<l);g[0]=new n(1).toRed(this),g[1]=d;for(var b=2;b<g.length;b++)g[b]=this.mul(g[b-1],d);var A=g[0],C=0,S=0,m=y.bitLength()%26;for(m===0&&(m=26),b=y.length-1;b>=0;b--){for(var E=y.words[b],_=m-1;_>=0;_--){var R=E>>_&1;if(A!==g[0]&&(A=this.sqr(A)),R===0&&C===0){S=0;continue}C<<=1,C|=R,S++,!(S!==l&&(b!==0||_!==0))&&(A=this.mul(A,g[C]),S=0,C=0)}m=26}return A},q.prototype.convertTo=function(d){var y=d.umod(this.m);return y===d?y.clone():y},q.prototype.convertFrom=function(d){var y=d.clone();return y.red=null,y},n.mont=function(d){return new X(d)};function X(N){q.call(this,N),this.shift=this.m.bitLength(),this.shift%26!==0&&(this.shift+=26-this.shift%26),this.r=new n(1).iushln(this.shift),this.r2=this.imod(this.r.sqr()),this.rinv=this.r._invmp(this.m),this.minv=this.rinv.mul(this.r).isubn(1).div(this.m),this.minv=this.minv.umod(this.r),this.minv=this.r.sub(this.minv)}i(X,q),X.prototype.convertTo=function(d){return this.imod(d.ushln(this.shift))},X.prototype.convertFrom=function(d){var y=this.imod(d.mul(this.rinv));return y.red=null,y},X.prototype.imul=function(d,y){if(d.isZero()||y.isZero())return d.words[0]=0,d.length=1,d;var l=d.imul(y),g=l.maskn(this.shift).mul(this.minv).imaskn(this.shift).mul(this.m),b=l.isub(g).iushrn(this.shift),A=b;return b.cmp(this.m)>=0?A=b.isub(this.m):b.cmpn(0)<0&&(A=b.iadd(this.m)),A._forceRed(this)},X.prototype.mul=function(d,y){if(d.isZero()||y.isZero())return new n(0)._forceRed(this);var l=d.mul(y),g=l.maskn(this.shift).mul(this.minv).imaskn(this.shift).mul(this.m),b=l.isub(g).iushrn(this.shift),A=b;return b.cmp(this.m)>=0?A=b.isub(this.m):b.cmpn(0)<0&&(A=b.iadd(this.m)),A._forceRed(this)},X.prototype.invm=function(d){var y=this.imod(d._invmp(this.m).mul(this.r2));return y._forceRed(this)}})(typeof dm>"u"||dm,k4)});var Ho=fe((Mre,z4)=>{z4.exports=j4;function j4(t,e){if(!t)throw new Error(e||"Assertion failed")}j4.equal=function(e,r,i){if(e!=r)throw new Error(i||"Assertion failed: "+e+" != "+r)}});var pm=fe(V4=>{"use strict";var Fd=V4;function bF(t,e){if(Array.isArray(t))return t.slice();if(!t)return[];var r=[];if(typeof t!="string"){for(var i=0;i<t.length;i++)r[i]=t[i]|0;return r}if(e==="hex"){t=t.replace(/[^a-z0-9]+/ig,""),t.length%2!==0&&(t="0"+t);for(var i=0;i<t.length;i+=2)r.push(parseInt(t[i]+t[i+1],16))}else for(var i=0;i<t.length;i++){var n=t.charCodeAt(i),s=n>>8,a=n&255;s?r.push(s,a):r.push(a)}return r}Fd.toArray=bF;function H4(t){return t.length===1?"0"+t:t}Fd.zero2=H4;function K4(t){for(var e="",r=0;r<t.length;r++)e+=H4(t[r].toString(16));return e}Fd.toHex=K4;Fd.encode=function(e,r){return r==="hex"?K4(e):e}});var Ji=fe(W4=>{"use strict";var On=W4,yF=ss(),wF=Ho(),qd=pm();On.assert=wF;On.toArray=qd.toArray;On.zero2=qd.zero2;On.toHex=qd.toHex;On.encode=qd.encode;function _F(t,e,r){var i=new Array(Math.max(t.bitLength(),r)+1),n;for(n=0;n<i.length;n+=1)i[n]=0;var s=1<<e+1,a=t.clone();for(n=0;n<i.length;n++){var u,h=a.andln(s-1);a.isOdd()?(h>(s>>1)-1?u=(s>>1)-h:u=h,a.isubn(u)):u=0,i[n]=u,a.iushrn(1)}return i}On.getNAF=_F;function xF(t,e){var r=[[],[]];t=t.clone(),e=e.clone();for(var i=0,n=0,s;t.cmpn(-i)>0||e.cmpn(-n)>0;){var a=t.andln(3)+i&3,u=e.andln(3)+n&3;a===3&&(a=-1),u===3&&(u=-1);var h;(a&1)===0?h=0:(s=t.andln(7)+i&7,(s===3||s===5)&&u===2?h=-a:h=a),r[0].push(h);var f;(u&1)===0?f=0:(s=e.andln(7)+n&7,(s===3||s===5)&&a===2?f=-u:f=u),r[1].push(f),2*i===h+1&&(i=1-i),2*n===f+1&&(n=1-n),t.iushrn(1),e.iushrn(1)}return r}On.getJSF=xF;function EF(t,e,r){var i="_"+e;t.prototype[e]=function(){return this[i]!==void 0?this[i]:this[i]=r.call(this)}}On.cachedProperty=EF;function AF(t){return typeof t=="string"?On.toArray(t,"hex"):t}On.parseBytes=AF;function SF(t){return new yF(t,"hex","le")}On.intFromLE=SF});var bm=fe((Pre,vm)=>{var gm;vm.exports=function(e){return gm||(gm=new Ko(null)),gm.generate(e)};function Ko(t){this.rand=t}vm.exports.Rand=Ko;Ko.prototype.generate=function(e){return this._rand(e)};Ko.prototype._rand=function(e){if(this.rand.getBytes)return this.rand.getBytes(e);for(var r=new Uint8Array(e),i=0;i<r.length;i++)r[i]=this.rand.getByte();return r};if(typeof self=="object")self.crypto&&self.crypto.getRandomValues?Ko.prototype._rand=function(e){var r=new Uint8Array(e);return self.crypto.getRandomValues(r),r}:self.msCrypto&&self.msCrypto.getRandomValues?Ko.prototype._rand=function(e){var r=new Uint8Array(e);return self.msCrypto.getRandomValues(r),r}:typeof window=="object"&&(Ko.prototype._rand=function(){throw new Error("Not implemented yet")});else try{if(mm=qg(),typeof mm.randomBytes!="function")throw new Error("Not supported");Ko.prototype._rand=function(e){return mm.randomBytes(e)}}catch{}var mm});var Wl=fe((Ore,G4)=>{"use strict";var $a=ss(),Vl=Ji(),$d=Vl.getNAF,IF=Vl.getJSF,kd=Vl.assert;function Vo(t,e){this.type=t,this.p=new $a(e.p,16),this.red=e.prime?$a.red(e.prime):$a.mont(this.p),this.zero=new $a(0).toRed(this.red),this.one=new $a(1).toRed(this.red),this.two=new $a(2).toRed(this.red),this.n=e.n&&new $a(e.n,16),this.g=e.g&&this.pointFromJSON(e.g,e.gRed),this._wnafT1=new Array(4),this._wnafT2=new Array(4),this._wnafT3=new Array(4),this._wnafT4=new Array(4),this._bitLength=this.n?this.n.bitLength():0;var r=this.n&&this.p.div(this.n);!r||r.cmpn(100)>0?this.redN=null:(this._maxwellTrick=!0,this.redN=this.n.toRed(this.red))}G4.exports=Vo;Vo.prototype.point=function(){throw new Error("Not implemented")};Vo.prototype.validate=function(){throw new Error("Not implemented")};Vo.prototype._fixedNafMul=function(e,r){kd(e.precomputed);var i=e._getDoubles(),n=$d(r,1,this._bitLength),s=(1<<i.step+1)-(i.step%2===0?2:1);s/=3;var a=[],u,h;for(u=0;u<n.length;u+=i.step){h=0;for(var f=u+i.step-1;f>=u;f--)h=(h<<1)+n[f];a.push(h)}for(var v=this.jpoint(null,null,null),w=this.jpoint(null,null,null),I=s;I>0;I--){for(u=0;u<a.length;u++)h=a[u],h===I?w=w.mixedAdd(i.points[u]):h===-I&&(w=w.mixedAdd(i.points[u].neg()));v=v.add(w)}return v.toP()};Vo.prototype._wnafMul=function(e,r){var i=4,n=e._getNAFPoints(i);i=n.wnd;for(var s=n.points,a=$d(r,i,this._bitLength),u=this.jpoint(null,null,null),h=a.length-1;h>=0;h--){for(var f=0;h>=0&&a[h]===0;h--)f++;if(h>=0&&f++,u=u.dblp(f),h<0)break;var v=a[h];kd(v!==0),e.type==="affine"?v>0?u=u.mixedAdd(s[v-1>>1]):u=u.mixedAdd(s[-v-1>>1].neg()):v>0?u=u.add(s[v-1>>1]):u=u.add(s[-v-1>>1].neg())}return e.type==="affine"?u.toP():u};Vo.prototype._wnafMulAdd=function(e,r,i,n,s){var a=this._wnafT1,u=this._wnafT2,h=this._wnafT3,f=0,v,w,I;for(v=0;v<n;v++){I=r[v];var M=I._getNAFPoints(e);a[v]=M.wnd,u[v]=M.points}for(v=n-1;v>=1;v-=2){var P=v-1,T=v;if(a[P]!==1||a[T]!==1){h[P]=$d(i[P],a[P],this._bitLength),h[T]=$d(i[T],a[T],this._bitLength),f=Math.max(h[P].length,f),f=Math.max(h[T].length,f);continue}var U=[r[P],null,null,r[T]];r[P].y.cmp(r[T].y)===0?(U[1]=r[P].add(r[T]),U[2]=r[P].toJ().mixedAdd(r[T].neg())):r[P].y.cmp(r[T].y.redNeg())===0?(U[1]=r[P].toJ().mixedAdd(r[T]),U[2]=r[P].add(r[T].neg())):(U[1]=r[P].toJ().mixedAdd(r[T]),U[2]=r[P].toJ().mixedAdd(r[T].neg()));var F=[-3,-1,-5,-7,0,7,5,1,3],V=IF(i[P],i[T]);for(f=Math.max(V[0].length,f),h[P]=new Array(f),h[T]=new Array(f),w=0;w<f;w++){var z=V[0][w]|0,j=V[1][w]|0;h[P][w]=F[(z+1)*3+(j+1)],h[T][w]=0,u[P]=U}}var H=this.jpoint(null,null,null),ee=this._wnafT4;for(v=f;v>=0;v--){for(var $=0;v>=0;){var q=!0;for(w=0;w<n;w++)ee[w]=h[w][v]|0,ee[w]!==0&&(q=!1);if(!q)break;$++,v--}if(v>=0&&$++,H=H.dblp($),v<0)break;for(w=0;w<n;w++){var X=ee[w];X!==0&&(X>0?I=u[w][X-1>>1]:X<0&&(I=u[w][-X-1>>1].neg()),I.type==="affine"?H=H.mixedAdd(I):H=H.add(I))}}for(v=0;v<n;v++)u[v]=null;return s?H:H.toP()};function pn(t,e){this.curve=t,this.type=e,this.precomputed=null}Vo.BasePoint=pn;pn.prototype.eq=function(){throw new Error("Not implemented")};pn.prototype.validate=function(){return this.curve.validate(this)};Vo.prototype.decodePoint=function(e,r){e=Vl.toArray(e,r);var i=this.p.byteLength();if((e[0]===4||e[0]===6||e[0]===7)&&e.length-1===2*i){e[0]===6?kd(e[e.length-1]%2===0):e[0]===7&&kd(e[e.length-1]%2===1);var n=this.point(e.slice(1,1+i),e.slice(1+i,1+2*i));return n}else if((e[0]===2||e[0]===3)&&e.length-1===i)return this.pointFromX(e.slice(1,1+i),e[0]===3);throw new Error("Unknown point format")};pn.prototype.encodeCompressed=function(e){return this.encode(e,!0)};pn.prototype._encode=function(e){var r=this.curve.p.byteLength(),i=this.getX().toArray("be",r);return e?[this.getY().isEven()?2:3].concat(i):[4].concat(i,this.getY().toArray("be",r))};pn.prototype.encode=function(e,r){return Vl.encode(this._encode(r),e)};pn.prototype.precompute=function(e){if(this.precomputed)return this;var r={doubles:null,naf:null,beta:null};return r.naf=this._getNAFPoints(8),r.doubles=this._getDoubles(4,e),r.beta=this._getBeta(),this.precomputed=r,this};pn.prototype._hasDoubles=function(e){if(!this.precomputed)return!1;var r=this.precomputed.doubles;return r?r.points.length>=Math.ceil((e.bitLength()+1)/r.step):!1};pn.prototype._getDoubles=function(e,r){if(this.precomputed&&this.precomputed.doubles)return this.precomputed.doubles;for(var i=[this],n=this,s=0;s<r;s+=e){for(var a=0;a<e;a++)n=n.dbl();i.push(n)}return{step:e,points:i}};pn.prototype._getNAFPoints=function(e){if(this.precomputed&&this.precomputed.naf)return this.precomputed.naf;for(var r=[this],i=(1<<e)-1,n=i===1?null:this.dbl(),s=1;s<i;s++)r[s]=r[s-1].add(n);return{wnd:e,points:r}};pn.prototype._getBeta=function(){return null};pn.prototype.dblp=function(e){for(var r=this,i=0;i<e;i++)r=r.dbl();return r}});var Gl=fe((Rre,ym)=>{typeof Object.create=="function"?ym.exports=function(e,r){r&&(e.super_=r,e.prototype=Object.create(r.prototype,{constructor:{value:e,enumerable:!1,writable:!0,configurable:!0}}))}:ym.exports=function(e,r){if(r){e.super_=r;var i=function(){};i.prototype=r.prototype,e.prototype=new i,e.prototype.constructor=e}}});var Y4=fe((Tre,J4)=>{"use strict";var MF=Ji(),yr=ss(),wm=Gl(),su=Wl(),CF=MF.assert;function gn(t){su.call(this,"short",t),this.a=new yr(t.a,16).toRed(this.red),this.b=new yr(t.b,16).toRed(this.red),this.tinv=this.two.redInvm(),this.zeroA=this.a.fromRed().cmpn(0)===0,this.threeA=this.a.fromRed().sub(this.p).cmpn(-3)===0,this.endo=this._getEndomorphism(t),this._endoWnafT1=new Array(4),this._endoWnafT2=new Array(4)}wm(gn,su);J4.exports=gn;gn.prototype._getEndomorphism=function(e){if(!(!this.zeroA||!this.g||!this.n||this.p.modn(3)!==1)){var r,i;if(e.beta)r=new yr(e.beta,16).toRed(this.red);else{var n=this._getEndoRoots(this.p);r=n[0].cmp(n[1])<0?n[0]:n[1],r=r.toRed(this.red)}if(e.lambda)i=new yr(e.lambda,16);else{var s=this._getEndoRoots(this.n);this.g.mul(s[0]).x.cmp(this.g.x.redMul(r))===0?i=s[0]:(i=s[1],CF(this.g.mul(i).x.cmp(this.g.x.redMul(r))===0))}var a;return e.basis?a=e.basis.map(function(u){return{a:new yr(u.a,16),b:new yr(u.b,16)}}):a=this._getEndoBasis(i),{beta:r,lambda:i,basis:a}}};gn.prototype._getEndoRoots=function(e){var r=e===this.p?this.red:yr.mont(e),i=new yr(2).toRed(r).redInvm(),n=i.redNeg(),s=new yr(3).toRed(r).redNeg().redSqrt().redMul(i),a=n.redAdd(s).fromRed(),u=n.redSub(s).fromRed();return[a,u]};gn.prototype._getEndoBasis=function(e){for(var r=this.n.ushrn(Math.floor(this.n.bitLength()/2)),i=e,n=this.n.clone(),s=new yr(1),a=new yr(0),u=new yr(0),h=new yr(1),f,v,w,I,M,P,T,U=0,F,V;i.cmpn(0)!==0;){var z=n.div(i);F=n.sub(z.mul(i)),V=u.sub(z.mul(s));var j=h.sub(z.mul(a));if(!w&&F.cmp(r)<0)f=T.neg(),v=s,w=F.neg(),I=V;else if(w&&++U===2)break;T=F,n=i,i=F,u=s,s=V,h=a,a=j}M=F.neg(),P=V;var H=w.sqr().add(I.sqr()),ee=M.sqr().add(P.sqr());return ee.cmp(H)>=0&&(M=f,P=v),w.negative&&(w=w.neg(),I=I.neg()),M.negative&&(M=M.neg(),P=P.neg()),[{a:w,b:I},{a:M,b:P}]};gn.prototype._endoSplit=function(e){var r=this.endo.basis,i=r[0],n=r[1],s=n.b.mul(e).divRound(this.n),a=i.b.neg().mul(e).divRound(this.n),u=s.mul(i.a),h=a.mul(n.a),f=s.mul(i.b),v=a.mul(n.b),w=e.sub(u).sub(h),I=f.add(v).neg();return{k1:w,k2:I}};gn.prototype.pointFromX=function(e,r){e=new yr(e,16),e.red||(e=e.toRed(this.red));var i=e.redSqr().redMul(e).redIAdd(e.redMul(this.a)).redIAdd(this.b),n=i.redSqrt();if(n.redSqr().redSub(i).cmp(this.zero)!==0)throw new Error("invalid point");var s=n.fromRed().isOdd();return(r&&!s||!r&&s)&&(n=n.redNeg()),this.point(e,n)};gn.prototype.validate=function(e){if(e.inf)return!0;var r=e.x,i=e.y,n=this.a.redMul(r),s=r.redSqr().redMul(r).redIAdd(n).redIAdd(this.b);return i.redSqr().redISub(s).cmpn(0)===0};gn.prototype._endoWnafMulAdd=function(e,r,i){for(var n=this._endoWnafT1,s=this._endoWnafT2,a=0;a<e.length;a++){var u=this._endoSplit(r[a]),h=e[a],f=h._getBeta();u.k1.negative&&(u.k1.ineg(),h=h.neg(!0)),u.k2.negative&&(u.k2.ineg(),f=f.neg(!0)),n[a*2]=h,n[a*2+1]=f,s[a*2]=u.k1,s[a*2+1]=u.k2}for(var v=this._wnafMulAdd(1,n,s,a*2,i),w=0;w<a*2;w++)n[w]=null,s[w]=null;return v};function Nr(t,e,r,i){su.BasePoint.call(this,t,"affine"),e===null&&r===null?(this.x=null,this.y=null,this.inf=!0):(this.x=new yr(e,16),this.y=new yr(r,16),i&&(this.x.forceRed(this.curve.red),this.y.forceRed(this.curve.red)),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.y.red||(this.y=this.y.toRed(this.curve.red)),this.inf=!1)}wm(Nr,su.BasePoint);gn.prototype.point=function(e,r,i){return new Nr(this,e,r,i)};gn.prototype.pointFromJSON=function(e,r){return Nr.fromJSON(this,e,r)};Nr.prototype._getBeta=function(){if(this.curve.endo){var e=this.precomputed;if(e&&e.beta)return e.beta;var r=this.curve.point(this.x.redMul(this.curve.endo.beta),this.y);if(e){var i=this.curve,n=function(s){return i.point(s.x.redMul(i.endo.beta),s.y)};e.beta=r,r.precomputed={beta:null,naf:e.naf&&{wnd:e.naf.wnd,points:e.naf.points.map(n)},doubles:e.doubles&&{step:e.doubles.step,points:e.doubles.points.map(n)}}}return r}};Nr.prototype.toJSON=function(){return this.precomputed?[this.x,this.y,this.precomputed&&{doubles:this.precomputed.doubles&&{step:this.precomputed.doubles.step,points:this.precomputed.doubles.points.slice(1)},naf:this.precomputed.naf&&{wnd:this.precomputed.naf.wnd,points:this.precomputed.naf.points.slice(1)}}]:[this.x,this.y]};Nr.fromJSON=function(e,r,i){typeof r=="string"&&(r=JSON.parse(r));var n=e.point(r[0],r[1],i);if(!r[2])return n;function s(u){return e.point(u[0],u[1],i)}var a=r[2];return n.precomputed={beta:null,doubles:a.doubles&&{step:a.doubles.step,points:[n].concat(a.doubles.points.map(s))},naf:a.naf&&{wnd:a.naf.wnd,points:[n].concat(a.naf.points.map(s))}},n};Nr.prototype.inspect=function(){return this.isInfinity()?"<EC Point Infinity>":"<EC Point x: "+this.x.fromRed().toString(16,2)+" y: "+this.y.fromRed().toString(16,2)+">"};Nr.prototype.isInfinity=function(){return this.inf};Nr.prototype.add=function(e){if(this.inf)return e;if(e.inf)return this;if(this.eq(e))return this.dbl();if(this.neg().eq(e))return this.curve.point(null,null);if(this.x.cmp(e.x)===0)return this.curve.point(null,null);var r=this.y.redSub(e.y);r.cmpn(0)!==0&&(r=r.redMul(this.x.redSub(e.x).redInvm()));var i=r.redSqr().redISub(this.x).redISub(e.x),n=r.redMul(this.x.redSub(i)).redISub(this.y);return this.curve.point(i,n)};Nr.prototype.dbl=function(){if(this.inf)return this;var e=this.y.redAdd(this.y);if(e.cmpn(0)===0)return this.curve.point(null,null);var r=this.curve.a,i=this.x.redSqr(),n=e.redInvm(),s=i.redAdd(i).redIAdd(i).redIAdd(r).redMul(n),a=s.redSqr().redISub(this.x.redAdd(this.x)),u=s.redMul(this.x.redSub(a)).redISub(this.y);return this.curve.point(a,u)};Nr.prototype.getX=function(){return this.x.fromRed()};Nr.prototype.getY=function(){return this.y.fromRed()};Nr.prototype.mul=function(e){return e=new yr(e,16),this.isInfinity()?this:this._hasDoubles(e)?this.curve._fixedNafMul(this,e):this.curve.endo?this.curve._endoWnafMulAdd([this],[e]):this.curve._wnafMul(this,e)};Nr.prototype.mulAdd=function(e,r,i){var n=[this,r],s=[e,i];return this.curve.endo?this.curve._endoWnafMulAdd(n,s):this.curve._wnafMulAdd(1,n,s,2)};Nr.prototype.jmulAdd=function(e,r,i){var n=[this,r],s=[e,i];return this.curve.endo?this.curve._endoWnafMulAdd(n,s,!0):this.curve._wnafMulAdd(1,n,s,2,!0)};Nr.prototype.eq=function(e){return this===e||this.inf===e.inf&&(this.inf||this.x.cmp(e.x)===0&&this.y.cmp(e.y)===0)};Nr.prototype.neg=function(e){if(this.inf)return this;var r=this.curve.point(this.x,this.y.redNeg());if(e&&this.precomputed){var i=this.precomputed,n=function(s){return s.neg()};r.precomputed={naf:i.naf&&{wnd:i.naf.wnd,points:i.naf.points.map(n)},doubles:i.doubles&&{step:i.doubles.step,points:i.doubles.points.map(n)}}}return r};Nr.prototype.toJ=function(){if(this.inf)return this.curve.jpoint(null,null,null);var e=this.curve.jpoint(this.x,this.y,this.curve.one);return e};function Hr(t,e,r,i){su.BasePoint.call(this,t,"jacobian"),e===null&&r===null&&i===null?(this.x=this.curve.one,this.y=this.curve.one,this.z=new yr(0)):(this.x=new yr(e,16),this.y=new yr(r,16),this.z=new yr(i,16)),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.y.red||(this.y=this.y.toRed(this.curve.red)),this.z.red||(this.z=this.z.toRed(this.curve.red)),this.zOne=this.z===this.curve.one}wm(Hr,su.BasePoint);gn.prototype.jpoint=function(e,r,i){return new Hr(this,e,r,i)};Hr.prototype.toP=function(){if(this.isInfinity())return this.curve.point(null,null);var e=this.z.redInvm(),r=e.redSqr(),i=this.x.redMul(r),n=this.y.redMul(r).redMul(e);return this.curve.point(i,n)};Hr.prototype.neg=function(){return this.curve.jpoint(this.x,this.y.redNeg(),this.z)};Hr.prototype.add=function(e){if(this.isInfinity())return e;if(e.isInfinity())return this;var r=e.z.redSqr(),i=this.z.redSqr(),n=this.x.redMul(r),s=e.x.redMul(i),a=this.y.redMul(r.redMul(e.z)),u=e.y.redMul(i.redMul(this.z)),h=n.redSub(s),f=a.redSub(u);if(h.cmpn(0)===0)return f.cmpn(0)!==0?this.curve.jpoint(null,null,null):this.dbl();var v=h.redSqr(),w=v.redMul(h),I=n.redMul(v),M=f.redSqr().redIAdd(w).redISub(I).redISub(I),P=f.redMul(I.redISub(M)).redISub(a.redMul(w)),T=this.z.redMul(e.z).redMul(h);return this.curve.jpoint(M,P,T)};Hr.prototype.mixedAdd=function(e){if(this.isInfinity())return e.toJ();if(e.isInfinity())return this;var r=this.z.redSqr(),i=this.x,n=e.x.redMul(r),s=this.y,a=e.y.redMul(r).redMul(this.z),u=i.redSub(n),h=s.redSub(a);if(u.cmpn(0)===0)return h.cmpn(0)!==0?this.curve.jpoint(null,null,null):this.dbl();var f=u.redSqr(),v=f.redMul(u),w=i.redMul(f),I=h.redSqr().redIAdd(v).redISub(w).redISub(w),M=h.redMul(w.redISub(I)).redISub(s.redMul(v)),P=this.z.redMul(u);return this.curve.jpoint(I,M,P)};Hr.prototype.dblp=function(e){if(e===0)return this;if(this.isInfinity())return this;if(!e)return this.dbl();var r;if(this.curve.zeroA||this.curve.threeA){var i=this;for(r=0;r<e;r++)i=i.dbl();return i}var n=this.curve.a,s=this.curve.tinv,a=this.x,u=this.y,h=this.z,f=h.redSqr().redSqr(),v=u.redAdd(u);for(r=0;r<e;r++){var w=a.redSqr(),I=v.redSqr(),M=I.redSqr(),P=w.redAdd(w).redIAdd(w).redIAdd(n.redMul(f)),T=a.redMul(I),U=P.redSqr().redISub(T.redAdd(T)),F=T.redISub(U),V=P.redMul(F);V=V.redIAdd(V).redISub(M);var z=v.redMul(h);r+1<e&&(f=f.redMul(M)),a=U,h=z,v=V}return this.curve.jpoint(a,v.redMul(s),h)};Hr.prototype.dbl=function(){return this.isInfinity()?this:this.curve.zeroA?this._zeroDbl():this.curve.threeA?this._threeDbl():this._dbl()};Hr.prototype._zeroDbl=function(){var e,r,i;if(this.zOne){var n=this.x.redSqr(),s=this.y.redSqr(),a=s.redSqr(),u=this.x.redAdd(s).redSqr().redISub(n).redISub(a);u=u.redIAdd(u);var h=n.redAdd(n).redIAdd(n),f=h.redSqr().redISub(u).redISub(u),v=a.redIAdd(a);v=v.redIAdd(v),v=v.redIAdd(v),e=f,r=h.redMul(u.redISub(f)).redISub(v),i=this.y.redAdd(this.y)}else{var w=this.x.redSqr(),I=this.y.redSqr(),M=I.redSqr(),P=this.x.redAdd(I).redSqr().redISub(w).redISub(M);P=P.redIAdd(P);var T=w.redAdd(w).redIAdd(w),U=T.redSqr(),F=M.redIAdd(M);F=F.redIAdd(F),F=F.redIAdd(F),e=U.redISub(P).redISub(P),r=T.redMul(P.redISub(e)).redISub(F),i=this.y.redMul(this.z),i=i.redIAdd(i)}return this.curve.jpoint(e,r,i)};Hr.prototype._threeDbl=function(){var e,r,i;if(this.zOne){var n=this.x.redSqr(),s=this.y.redSqr(),a=s.redSqr(),u=this.x.redAdd(s).redSqr().redISub(n).redISub(a);u=u.redIAdd(u);var h=n.redAdd(n).redIAdd(n).redIAdd(this.curve.a),f=h.redSqr().redISub(u).redISub(u);e=f;var v=a.redIAdd(a);v=v.redIAdd(v),v=v.redIAdd(v),r=h.redMul(u.redISub(f)).redISub(v),i=this.y.redAdd(this.y)}else{var w=this.z.redSqr(),I=this.y.redSqr(),M=this.x.redMul(I),P=this.x.redSub(w).redMul(this.x.redAdd(w));P=P.redAdd(P).redIAdd(P);var T=M.redIAdd(M);T=T.redIAdd(T);var U=T.redAdd(T);e=P.redSqr().redISub(U),i=this.y.redAdd(this.z).redSqr().redISub(I).redISub(w);var F=I.redSqr();F=F.redIAdd(F),F=F.redIAdd(F),F=F.redIAdd(F),r=P.redMul(T.redISub(e)).redISub(F)}return this.curve.jpoint(e,r,i)};Hr.prototype._dbl=function(){var e=this.curve.a,r=this.x,i=this.y,n=this.z,s=n.redSqr().redSqr(),a=r.redSqr(),u=i.redSqr(),h=a.redAdd(a).redIAdd(a).redIAdd(e.redMul(s)),f=r.redAdd(r);f=f.redIAdd(f);var v=f.redMul(u),w=h.redSqr().redISub(v.redAdd(v)),I=v.redISub(w),M=u.redSqr();M=M.redIAdd(M),M=M.redIAdd(M),M=M.redIAdd(M);var P=h.redMul(I).redISub(M),T=i.redAdd(i).redMul(n);return this.curve.jpoint(w,P,T)};Hr.prototype.trpl=function(){if(!this.curve.zeroA)return this.dbl().add(this);var e=this.x.redSqr(),r=this.y.redSqr(),i=this.z.redSqr(),n=r.redSqr(),s=e.redAdd(e).redIAdd(e),a=s.redSqr(),u=this.x.redAdd(r).redSqr().redISub(e).redISub(n);u=u.redIAdd(u),u=u.redAdd(u).redIAdd(u),u=u.redISub(a);var h=u.redSqr(),f=n.redIAdd(n);f=f.redIAdd(f),f=f.redIAdd(f),f=f.redIAdd(f);var v=s.redIAdd(u).redSqr().redISub(a).redISub(h).redISub(f),w=r.redMul(v);w=w.redIAdd(w),w=w.redIAdd(w);var I=this.x.redMul(h).redISub(w);I=I.redIAdd(I),I=I.redIAdd(I);var M=this.y.redMul(v.redMul(f.redISub(v)).redISub(u.redMul(h)));M=M.redIAdd(M),M=M.redIAdd(M),M=M.redIAdd(M);var P=this.z.redAdd(u).redSqr().redISub(i).redISub(h);return this.curve.jpoint(I,M,P)};Hr.prototype.mul=function(e,r){return e=new yr(e,r),this.curve._wnafMul(this,e)};Hr.prototype.eq=function(e){if(e.type==="affine")return this.eq(e.toJ());if(this===e)return!0;var r=this.z.redSqr(),i=e.z.redSqr();if(this.x.redMul(i).redISub(e.x.redMul(r)).cmpn(0)!==0)return!1;var n=r.redMul(this.z),s=i.redMul(e.z);return this.y.redMul(s).redISub(e.y.redMul(n)).cmpn(0)===0};Hr.prototype.eqXToP=function(e){var r=this.z.redSqr(),i=e.toRed(this.curve.red).redMul(r);if(this.x.cmp(i)===0)return!0;for(var n=e.clone(),s=this.curve.redN.redMul(r);;){if(n.iadd(this.curve.n),n.cmp(this.curve.p)>=0)return!1;if(i.redIAdd(s),this.x.cmp(i)===0)return!0}};Hr.prototype.inspect=function(){return this.isInfinity()?"<EC JPoint Infinity>":"<EC JPoint x: "+this.x.toString(16,2)+" y: "+this.y.toString(16,2)+" z: "+this.z.toString(16,2)+">"};Hr.prototype.isInfinity=function(){return this.z.cmpn(0)===0}});var Z4=fe((Nre,X4)=>{"use strict";var ou=ss(),Q4=Gl(),jd=Wl(),DF=Ji();function au(t){jd.call(this,"mont",t),this.a=new ou(t.a,16).toRed(this.red),this.b=new ou(t.b,16).toRed(this.red),this.i4=new ou(4).toRed(this.red).redInvm(),this.two=new ou(2).toRed(this.red),this.a24=this.i4.redMul(this.a.redAdd(this.two))}Q4(au,jd);X4.exports=au;au.prototype.validate=function(e){var r=e.normalize().x,i=r.redSqr(),n=i.redMul(r).redAdd(i.redMul(this.a)).redAdd(r),s=n.redSqrt();return s.redSqr().cmp(n)===0};function Lr(t,e,r){jd.BasePoint.call(this,t,"projective"),e===null&&r===null?(this.x=this.curve.one,this.z=this.curve.zero):(this.x=new ou(e,16),this.z=new ou(r,16),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.z.red||(this.z=this.z.toRed(this.curve.red)))}Q4(Lr,jd.BasePoint);au.prototype.decodePoint=function(e,r){return this.point(DF.toArray(e,r),1)};au.prototype.point=function(e,r){return new Lr(this,e,r)};au.prototype.pointFromJSON=function(e){return Lr.fromJSON(this,e)};Lr.prototype.precompute=function(){};Lr.prototype._encode=function(){return this.getX().toArray("be",this.curve.p.byteLength())};Lr.fromJSON=function(e,r){return new Lr(e,r[0],r[1]||e.one)};Lr.prototype.inspect=function(){return this.isInfinity()?"<EC Point Infinity>":"<EC Point x: "+this.x.fromRed().toString(16,2)+" z: "+this.z.fromRed().toString(16,2)+">"};Lr.prototype.isInfinity=function(){return this.z.cmpn(0)===0};Lr.prototype.dbl=function(){var e=this.x.redAdd(this.z),r=e.redSqr(),i=this.x.redSub(this.z),n=i.redSqr(),s=r.redSub(n),a=r.redMul(n),u=s.redMul(n.redAdd(this.curve.a24.redMul(s)));return this.curve.point(a,u)};Lr.prototype.add=function(){throw new Error("Not supported on Montgomery curve")};Lr.prototype.diffAdd=function(e,r){var i=this.x.redAdd(this.z),n=this.x.redSub(this.z),s=e.x.redAdd(e.z),a=e.x.redSub(e.z),u=a.redMul(i),h=s.redMul(n),f=r.z.redMul(u.redAdd(h).redSqr()),v=r.x.redMul(u.redISub(h).redSqr());return this.curve.point(f,v)};Lr.prototype.mul=function(e){for(var r=e.clone(),i=this,n=this.curve.point(null,null),s=this,a=[];r.cmpn(0)!==0;r.iushrn(1))a.push(r.andln(1));for(var u=a.length-1;u>=0;u--)a[u]===0?(i=i.diffAdd(n,s),n=n.dbl()):(n=i.diffAdd(n,s),i=i.dbl());return n};Lr.prototype.mulAdd=function(){throw new Error("Not supported on Montgomery curve")};Lr.prototype.jumlAdd=function(){throw new Error("Not supported on Montgomery curve")};Lr.prototype.eq=function(e){return this.getX().cmp(e.getX())===0};Lr.prototype.normalize=function(){return this.x=this.x.redMul(this.z.redInvm()),this.z=this.curve.one,this};Lr.prototype.getX=function(){return this.normalize(),this.x.fromRed()}});var r8=fe((Lre,t8)=>{"use strict";var PF=Ji(),so=ss(),e8=Gl(),zd=Wl(),OF=PF.assert;function os(t){this.twisted=(t.a|0)!==1,this.mOneA=this.twisted&&(t.a|0)===-1,this.extended=this.mOneA,zd.call(this,"edwards",t),this.a=new so(t.a,16).umod(this.red.m),this.a=this.a.toRed(this.red),this.c=new so(t.c,16).toRed(this.red),this.c2=this.c.redSqr(),this.d=new so(t.d,16).toRed(this.red),this.dd=this.d.redAdd(this.d),OF(!this.twisted||this.c.fromRed().cmpn(1)===0),this.oneC=(t.c|0)===1}e8(os,zd);t8.exports=os;os.prototype._mulA=function(e){return this.mOneA?e.redNeg():this.a.redMul(e)};os.prototype._mulC=function(e){return this.oneC?e:this.c.redMul(e)};os.prototype.jpoint=function(e,r,i,n){return this.point(e,r,i,n)};os.prototype.pointFromX=function(e,r){e=new so(e,16),e.red||(e=e.toRed(this.red));var i=e.redSqr(),n=this.c2.redSub(this.a.redMul(i)),s=this.one.redSub(this.c2.redMul(this.d).redMul(i)),a=n.redMul(s.redInvm()),u=a.redSqrt();if(u.redSqr().redSub(a).cmp(this.zero)!==0)throw new Error("invalid point");var h=u.fromRed().isOdd();return(r&&!h||!r&&h)&&(u=u.redNeg()),this.point(e,u)};os.prototype.pointFromY=function(e,r){e=new so(e,16),e.red||(e=e.toRed(this.red));var i=e.redSqr(),n=i.redSub(this.c2),s=i.redMul(this.d).redMul(this.c2).redSub(this.a),a=n.redMul(s.redInvm());if(a.cmp(this.zero)===0){if(r)throw new Error("invalid point");return this.point(this.zero,e)}var u=a.redSqrt();if(u.redSqr().redSub(a).cmp(this.zero)!==0)throw new Error("invalid point");return u.fromRed().isOdd()!==r&&(u=u.redNeg()),this.point(u,e)};os.prototype.validate=function(e){if(e.isInfinity())return!0;e.normalize();var r=e.x.redSqr(),i=e.y.redSqr(),n=r.redMul(this.a).redAdd(i),s=this.c2.redMul(this.one.redAdd(this.d.redMul(r).redMul(i)));return n.cmp(s)===0};function ir(t,e,r,i,n){zd.BasePoint.call(this,t,"projective"),e===null&&r===null&&i===null?(this.x=this.curve.zero,this.y=this.curve.one,this.z=this.curve.one,this.t=this.curve.zero,this.zOne=!0):(this.x=new so(e,16),this.y=new so(r,16),this.z=i?new so(i,16):this.curve.one,this.t=n&&new so(n,16),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.y.red||(this.y=this.y.toRed(this.curve.red)),this.z.red||(this.z=this.z.toRed(this.curve.red)),this.t&&!this.t.red&&(this.t=this.t.toRed(this.curve.red)),this.zOne=this.z===this.curve.one,this.curve.extended&&!this.t&&(this.t=this.x.redMul(this.y),this.zOne||(this.t=this.t.redMul(this.z.redInvm()))))}e8(ir,zd.BasePoint);os.prototype.pointFromJSON=function(e){return ir.fromJSON(this,e)};os.prototype.point=function(e,r,i,n){return new ir(this,e,r,i,n)};ir.fromJSON=function(e,r){return new ir(e,r[0],r[1],r[2])};ir.prototype.inspect=function(){return this.isInfinity()?"<EC Point Infinity>":"<EC Point x: "+this.x.fromRed().toString(16,2)+" y: "+this.y.fromRed().toString(16,2)+" z: "+this.z.fromRed().toString(16,2)+">"};ir.prototype.isInfinity=function(){return this.x.cmpn(0)===0&&(this.y.cmp(this.z)===0||this.zOne&&this.y.cmp(this.curve.c)===0)};ir.prototype._extDbl=function(){var e=this.x.redSqr(),r=this.y.redSqr(),i=this.z.redSqr();i=i.redIAdd(i);var n=this.curve._mulA(e),s=this.x.redAdd(this.y).redSqr().redISub(e).redISub(r),a=n.redAdd(r),u=a.redSub(i),h=n.redSub(r),f=s.redMul(u),v=a.redMul(h),w=s.redMul(h),I=u.redMul(a);return this.curve.point(f,v,I,w)};ir.prototype._projDbl=function(){var e=this.x.redAdd(this.y).redSqr(),r=this.x.redSqr(),i=this.y.redSqr(),n,s,a,u,h,f;if(this.curve.twisted){u=this.curve._mulA(r);var v=u.redAdd(i);this.zOne?(n=e.redSub(r).redSub(i).redMul(v.redSub(this.curve.two)),s=v.redMul(u.redSub(i)),a=v.redSqr().redSub(v).redSub(v)):(h=this.z.redSqr(),f=v.redSub(h).redISub(h),n=e.redSub(r).redISub(i).redMul(f),s=v.redMul(u.redSub(i)),a=v.redMul(f))}else u=r.redAdd(i),h=this.curve._mulC(this.z).redSqr(),f=u.redSub(h).redSub(h),n=this.curve._mulC(e.redISub(u)).redMul(f),s=this.curve._mulC(u).redMul(r.redISub(i)),a=u.redMul(f);return this.curve.point(n,s,a)};ir.prototype.dbl=function(){return this.isInfinity()?this:this.curve.extended?this._extDbl():this._projDbl()};ir.prototype._extAdd=function(e){var r=this.y.redSub(this.x).redMul(e.y.redSub(e.x)),i=this.y.redAdd(this.x).redMul(e.y.redAdd(e.x)),n=this.t.redMul(this.curve.dd).redMul(e.t),s=this.z.redMul(e.z.redAdd(e.z)),a=i.redSub(r),u=s.redSub(n),h=s.redAdd(n),f=i.redAdd(r),v=a.redMul(u),w=h.redMul(f),I=a.redMul(f),M=u.redMul(h);return this.curve.point(v,w,M,I)};ir.prototype._projAdd=function(e){var r=this.z.redMul(e.z),i=r.redSqr(),n=this.x.redMul(e.x),s=this.y.redMul(e.y),a=this.curve.d.redMul(n).redMul(s),u=i.redSub(a),h=i.redAdd(a),f=this.x.redAdd(this.y).redMul(e.x.redAdd(e.y)).redISub(n).redISub(s),v=r.redMul(u).redMul(f),w,I;return this.curve.twisted?(w=r.redMul(h).redMul(s.redSub(this.curve._mulA(n))),I=u.redMul(h)):(w=r.redMul(h).redMul(s.redSub(n)),I=this.curve._mulC(u).redMul(h)),this.curve.point(v,w,I)};ir.prototype.add=function(e){return this.isInfinity()?e:e.isInfinity()?this:this.curve.extended?this._extAdd(e):this._projAdd(e)};ir.prototype.mul=function(e){return this._hasDoubles(e)?this.curve._fixedNafMul(this,e):this.curve._wnafMul(this,e)};ir.prototype.mulAdd=function(e,r,i){return this.curve._wnafMulAdd(1,[this,r],[e,i],2,!1)};ir.prototype.jmulAdd=function(e,r,i){return this.curve._wnafMulAdd(1,[this,r],[e,i],2,!0)};ir.prototype.normalize=function(){if(this.zOne)return this;var e=this.z.redInvm();return this.x=this.x.redMul(e),this.y=this.y.redMul(e),this.t&&(this.t=this.t.redMul(e)),this.z=this.curve.one,this.zOne=!0,this};ir.prototype.neg=function(){return this.curve.point(this.x.redNeg(),this.y,this.z,this.t&&this.t.redNeg())};ir.prototype.getX=function(){return this.normalize(),this.x.fromRed()};ir.prototype.getY=function(){return this.normalize(),this.y.fromRed()};ir.prototype.eq=function(e){return this===e||this.getX().cmp(e.getX())===0&&this.getY().cmp(e.getY())===0};ir.prototype.eqXToP=function(e){var r=e.toRed(this.curve.red).redMul(this.z);if(this.x.cmp(r)===0)return!0;for(var i=e.clone(),n=this.curve.redN.redMul(this.z);;){if(i.iadd(this.curve.n),i.cmp(this.curve.p)>=0)return!1;if(r.redIAdd(n),this.x.cmp(r)===0)return!0}};ir.prototype.toP=ir.prototype.normalize;ir.prototype.mixedAdd=ir.prototype.add});var _m=fe(i8=>{"use strict";var Hd=i8;Hd.base=Wl();Hd.short=Y4();Hd.mont=Z4();Hd.edwards=r8()});var Rn=fe(er=>{"use strict";var RF=Ho(),TF=Gl();er.inherits=TF;function NF(t,e){return(t.charCodeAt(e)&64512)!==55296||e<0||e+1>=t.length?!1:(t.charCodeAt(e+1)&64512)===56320}function LF(t,e){if(Array.isArray(t))return t.slice();if(!t)return[];var r=[];if(typeof t=="string")if(e){if(e==="hex")for(t=t.replace(/[^a-z0-9]+/ig,""),t.length%2!==0&&(t="0"+t),n=0;n<t.length;n+=2)r.push(parseInt(t[n]+t[n+1],16))}else for(var i=0,n=0;n<t.length;n++){var s=t.charCodeAt(n);s<128?r[i++]=s:s<2048?(r[i++]=s>>6|192,r[i++]=s&63|128):NF(t,n)?(s=65536+((s&1023)<<10)+(t.charCodeAt(++n)&1023),r[i++]=s>>18|240,r[i++]=s>>12&63|128,r[i++]=s>>6&63|128,r[i++]=s&63|128):(r[i++]=s>>12|224,r[i++]=s>>6&63|128,r[i++]=s&63|128)}else for(n=0;n<t.length;n++)r[n]=t[n]|0;return r}er.toArray=LF;function BF(t){for(var e="",r=0;r<t.length;r++)e+=s8(t[r].toString(16));return e}er.toHex=BF;function n8(t){var e=t>>>24|t>>>8&65280|t<<8&16711680|(t&255)<<24;return e>>>0}er.htonl=n8;function UF(t,e){for(var r="",i=0;i<t.length;i++){var n=t[i];e==="little"&&(n=n8(n)),r+=o8(n.toString(16))}return r}er.toHex32=UF;function s8(t){return t.length===1?"0"+t:t}er.zero2=s8;function o8(t){return t.length===7?"0"+t:t.length===6?"00"+t:t.length===5?"000"+t:t.length===4?"0000"+t:t.length===3?"00000"+t:t.length===2?"000000"+t:t.length===1?"0000000"+t:t}er.zero8=o8;function FF(t,e,r,i){var n=r-e;RF(n%4===0);for(var s=new Array(n/4),a=0,u=e;a<s.length;a++,u+=4){var h;i==="big"?h=t[u]<<24|t[u+1]<<16|t[u+2]<<8|t[u+3]:h=t[u+3]<<24|t[u+2]<<16|t[u+1]<<8|t[u],s[a]=h>>>0}return s}er.join32=FF;function qF(t,e){for(var r=new Array(t.length*4),i=0,n=0;i<t.length;i++,n+=4){var s=t[i];e==="big"?(r[n]=s>>>24,r[n+1]=s>>>16&255,r[n+2]=s>>>8&255,r[n+3]=s&255):(r[n+3]=s>>>24,r[n+2]=s>>>16&255,r[n+1]=s>>>8&255,r[n]=s&255)}return r}er.split32=qF;function $F(t,e){return t>>>e|t<<32-e}er.rotr32=$F;function kF(t,e){return t<<e|t>>>32-e}er.rotl32=kF;function jF(t,e){return t+e>>>0}er.sum32=jF;function zF(t,e,r){return t+e+r>>>0}er.sum32_3=zF;function HF(t,e,r,i){return t+e+r+i>>>0}er.sum32_4=HF;function KF(t,e,r,i,n){return t+e+r+i+n>>>0}er.sum32_5=KF;function VF(t,e,r,i){var n=t[e],s=t[e+1],a=i+s>>>0,u=(a<i?1:0)+r+n;t[e]=u>>>0,t[e+1]=a}er.sum64=VF;function WF(t,e,r,i){var n=e+i>>>0,s=(n<e?1:0)+t+r;return s>>>0}er.sum64_hi=WF;function GF(t,e,r,i){var n=e+i;return n>>>0}er.sum64_lo=GF;function JF(t,e,r,i,n,s,a,u){var h=0,f=e;f=f+i>>>0,h+=f<e?1:0,f=f+s>>>0,h+=f<s?1:0,f=f+u>>>0,h+=f<u?1:0;var v=t+r+n+a+h;return v>>>0}er.sum64_4_hi=JF;function YF(t,e,r,i,n,s,a,u){var h=e+i+s+u;return h>>>0}er.sum64_4_lo=YF;function QF(t,e,r,i,n,s,a,u,h,f){var v=0,w=e;w=w+i>>>0,v+=w<e?1:0,w=w+s>>>0,v+=w<s?1:0,w=w+u>>>0,v+=w<u?1:0,w=w+f>>>0,v+=w<f?1:0;var I=t+r+n+a+h+v;return I>>>0}er.sum64_5_hi=QF;function XF(t,e,r,i,n,s,a,u,h,f){var v=e+i+s+u+f;return v>>>0}er.sum64_5_lo=XF;function ZF(t,e,r){var i=e<<32-r|t>>>r;return i>>>0}er.rotr64_hi=ZF;function eq(t,e,r){var i=t<<32-r|e>>>r;return i>>>0}er.rotr64_lo=eq;function tq(t,e,r){return t>>>r}er.shr64_hi=tq;function rq(t,e,r){var i=t<<32-r|e>>>r;return i>>>0}er.shr64_lo=rq});var cu=fe(c8=>{"use strict";var a8=Rn(),iq=Ho();function Kd(){this.pending=null,this.pendingTotal=0,this.blockSize=this.constructor.blockSize,this.outSize=this.constructor.outSize,this.hmacStrength=this.constructor.hmacStrength,this.padLength=this.constructor.padLength/8,this.endian="big",this._delta8=this.blockSize/8,this._delta32=this.blockSize/32}c8.BlockHash=Kd;Kd.prototype.update=function(e,r){if(e=a8.toArray(e,r),this.pending?this.pending=this.pending.concat(e):this.pending=e,this.pendingTotal+=e.length,this.pending.length>=this._delta8){e=this.pending;var i=e.length%this._delta8;this.pending=e.slice(e.length-i,e.length),this.pending.length===0&&(this.pending=null),e=a8.join32(e,0,e.length-i,this.endian);for(var n=0;n<e.length;n+=this._delta32)this._update(e,n,n+this._delta32)}return this};Kd.prototype.digest=function(e){return this.update(this._pad()),iq(this.pending===null),this._digest(e)};Kd.prototype._pad=function(){var e=this.pendingTotal,r=this._delta8,i=r-(e+this.padLength)%r,n=new Array(i+this.padLength);n[0]=128;for(var s=1;s<i;s++)n[s]=0;if(e<<=3,this.endian==="big"){for(var a=8;a<this.padLength;a++)n[s++]=0;n[s++]=0,n[s++]=0,n[s++]=0,n[s++]=0,n[s++]=e>>>24&255,n[s++]=e>>>16&255,n[s++]=e>>>8&255,n[s++]=e&255}else for(n[s++]=e&255,n[s++]=e>>>8&255,n[s++]=e>>>16&255,n[s++]=e>>>24&255,n[s++]=0,n[s++]=0,n[s++]=0,n[s++]=0,a=8;a<this.padLength;a++)n[s++]=0;return n}});var xm=fe(oo=>{"use strict";var nq=Rn(),as=nq.rotr32;function sq(t,e,r,i){if(t===0)return u8(e,r,i);if(t===1||t===3)return f8(e,r,i);if(t===2)return l8(e,r,i)}oo.ft_1=sq;function u8(t,e,r){return t&e^~t&r}oo.ch32=u8;function l8(t,e,r){return t&e^t&r^e&r}oo.maj32=l8;function f8(t,e,r){return t^e^r}oo.p32=f8;function oq(t){return as(t,2)^as(t,13)^as(t,22)}oo.s0_256=oq;function aq(t){return as(t,6)^as(t,11)^as(t,25)}oo.s1_256=aq;function cq(t){return as(t,7)^as(t,18)^t>>>3}oo.g0_256=cq;function uq(t){return as(t,17)^as(t,19)^t>>>10}oo.g1_256=uq});var p8=fe(($re,d8)=>{"use strict";var uu=Rn(),lq=cu(),fq=xm(),Em=uu.rotl32,Jl=uu.sum32,hq=uu.sum32_5,dq=fq.ft_1,h8=lq.BlockHash,pq=[1518500249,1859775393,2400959708,3395469782];function cs(){if(!(this instanceof cs))return new cs;h8.call(this),this.h=[1732584193,4023233417,2562383102,271733878,3285377520],this.W=new Array(80)}uu.inherits(cs,h8);d8.exports=cs;cs.blockSize=512;cs.outSize=160;cs.hmacStrength=80;cs.padLength=64;cs.prototype._update=function(e,r){for(var i=this.W,n=0;n<16;n++)i[n]=e[r+n];for(;n<i.length;n++)i[n]=Em(i[n-3]^i[n-8]^i[n-14]^i[n-16],1);var s=this.h[0],a=this.h[1],u=this.h[2],h=this.h[3],f=this.h[4];for(n=0;n<i.length;n++){var v=~~(n/20),w=hq(Em(s,5),dq(v,a,u,h),f,i[n],pq[v]);f=h,h=u,u=Em(a,30),a=s,s=w}this.h[0]=Jl(this.h[0],s),this.h[1]=Jl(this.h[1],a),this.h[2]=Jl(this.h[2],u),this.h[3]=Jl(this.h[3],h),this.h[4]=Jl(this.h[4],f)};cs.prototype._digest=function(e){return e==="hex"?uu.toHex32(this.h,"big"):uu.split32(this.h,"big")}});var Am=fe((kre,m8)=>{"use strict";var lu=Rn(),gq=cu(),fu=xm(),mq=Ho(),Tn=lu.sum32,vq=lu.sum32_4,bq=lu.sum32_5,yq=fu.ch32,wq=fu.maj32,_q=fu.s0_256,xq=fu.s1_256,Eq=fu.g0_256,Aq=fu.g1_256,g8=gq.BlockHash,Sq=[1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298];function us(){if(!(this instanceof us))return new us;g8.call(this),this.h=[1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225],this.k=Sq,this.W=new Array(64)}lu.inherits(us,g8);m8.exports=us;us.blockSize=512;us.outSize=256;us.hmacStrength=192;us.padLength=64;us.prototype._update=function(e,r){for(var i=this.W,n=0;n<16;n++)i[n]=e[r+n];for(;n<i.length;n++)i[n]=vq(Aq(i[n-2]),i[n-7],Eq(i[n-15]),i[n-16]);var s=this.h[0],a=this.h[1],u=this.h[2],h=this.h[3],f=this.h[4],v=this.h[5],w=this.h[6],I=this.h[7];for(mq(this.k.length===i.length),n=0;n<i.length;n++){var M=bq(I,xq(f),yq(f,v,w),this.k[n],i[n]),P=Tn(_q(s),wq(s,a,u));I=w,w=v,v=f,f=Tn(h,M),h=u,u=a,a=s,s=Tn(M,P)}this.h[0]=Tn(this.h[0],s),this.h[1]=Tn(this.h[1],a),this.h[2]=Tn(this.h[2],u),this.h[3]=Tn(this.h[3],h),this.h[4]=Tn(this.h[4],f),this.h[5]=Tn(this.h[5],v),this.h[6]=Tn(this.h[6],w),this.h[7]=Tn(this.h[7],I)};us.prototype._digest=function(e){return e==="hex"?lu.toHex32(this.h,"big"):lu.split32(this.h,"big")}});var y8=fe((jre,b8)=>{"use strict";var Sm=Rn(),v8=Am();function ao(){if(!(this instanceof ao))return new ao;v8.call(this),this.h=[3238371032,914150663,812702999,4144912697,4290775857,1750603025,1694076839,3204075428]}Sm.inherits(ao,v8);b8.exports=ao;ao.blockSize=512;ao.outSize=224;ao.hmacStrength=192;ao.padLength=64;ao.prototype._digest=function(e){return e==="hex"?Sm.toHex32(this.h.slice(0,7),"big"):Sm.split32(this.h.slice(0,7),"big")}});var Cm=fe((zre,E8)=>{"use strict";var Li=Rn(),Iq=cu(),Mq=Ho(),ls=Li.rotr64_hi,fs=Li.rotr64_lo,w8=Li.shr64_hi,_8=Li.shr64_lo,Wo=Li.sum64,Im=Li.sum64_hi,Mm=Li.sum64_lo,Cq=Li.sum64_4_hi,Dq=Li.sum64_4_lo,Pq=Li.sum64_5_hi,Oq=Li.sum64_5_lo,x8=Iq.BlockHash,Rq=[1116352408,3609767458,1899447441,602891725,3049323471,3964484399,3921009573,2173295548,961987163,4081628472,1508970993,3053834265,2453635748,2937671579,2870763221,3664609560,3624381080,2734883394,310598401,1164996542,607225278,1323610764,1426881987,3590304994,1925078388,4068182383,2162078206,991336113,2614888103,633803317,3248222580,3479774868,3835390401,2666613458,4022224774,944711139,264347078,2341262773,604807628,2007800933,770255983,1495990901,1249150122,1856431235,1555081692,3175218132,1996064986,2198950837,2554220882,3999719339,2821834349,766784016,2952996808,2566594879,3210313671,3203337956,3336571891,1034457026,3584528711,2466948901,113926993,3758326383,338241895,168717936,666307205,1188179964,773529912,1546045734,1294757372,1522805485,1396182291,2643833823,1695183700,2343527390,1986661051,1014477480,2177026350,1206759142,2456956037,344077627,2730485921,1290863460,2820302411,3158454273,3259730800,3505952657,3345764771,106217008,3516065817,3606008344,3600352804,1432725776,4094571909,1467031594,275423344,851169720,430227734,3100823752,506948616,1363258195,659060556,3750685593,883997877,3785050280,958139571,3318307427,1322822218,3812723403,1537002063,2003034995,1747873779,3602036899,1955562222,1575990012,2024104815,1125592928,2227730452,2716904306,2361852424,442776044,2428436474,593698344,2756734187,3733110249,3204031479,2999351573,3329325298,3815920427,3391569614,3928383900,3515267271,566280711,3940187606,3454069534,4118630271,4000239992,116418474,1914138554,174292421,2731055270,289380356,3203993006,460393269,320620315,685471733,587496836,852142971,1086792851,1017036298,365543100,1126000580,2618297676,1288033470,3409855158,1501505948,4234509866,1607167915,987167468,1816402316,1246189591];function Nn(){if(!(this instanceof Nn))return new Nn;x8.call(this),this.h=[1779033703,4089235720,3144134277,2227873595,1013904242,4271175723,2773480762,1595750129,1359893119,2917565137,2600822924,725511199,528734635,4215389547,1541459225,327033209],this.k=Rq,this.W=new Array(160)}Li.inherits(Nn,x8);E8.exports=Nn;Nn.blockSize=1024;Nn.outSize=512;Nn.hmacStrength=192;Nn.padLength=128;Nn.prototype._prepareBlock=function(e,r){for(var i=this.W,n=0;n<32;n++)i[n]=e[r+n];for(;n<i.length;n+=2){var s=zq(i[n-4],i[n-3]),a=Hq(i[n-4],i[n-3]),u=i[n-14],h=i[n-13],f=kq(i[n-30],i[n-29]),v=jq(i[n-30],i[n-29]),w=i[n-32],I=i[n-31];i[n]=Cq(s,a,u,h,f,v,w,I),i[n+1]=Dq(s,a,u,h,f,v,w,I)}};Nn.prototype._update=function(e,r){this._prepareBlock(e,r);var i=this.W,n=this.h[0],s=this.h[1],a=this.h[2],u=this.h[3],h=this.h[4],f=this.h[5],v=this.h[6],w=this.h[7],I=this.h[8],M=this.h[9],P=this.h[10],T=this.h[11],U=this.h[12],F=this.h[13],V=this.h[14],z=this.h[15];Mq(this.k.length===i.length);for(var j=0;j<i.length;j+=2){var H=V,ee=z,$=qq(I,M),q=$q(I,M),X=Tq(I,M,P,T,U,F),N=Nq(I,M,P,T,U,F),d=this.k[j],y=this.k[j+1],l=i[j],g=i[j+1],b=Pq(H,ee,$,q,X,N,d,y,l,g),A=Oq(H,ee,$,q,X,N,d,y,l,g);H=Uq(n,s),ee=Fq(n,s),$=Lq(n,s,a,u,h,f),q=Bq(n,s,a,u,h,f);var C=Im(H,ee,$,q),S=Mm(H,ee,$,q);V=U,z=F,U=P,F=T,P=I,T=M,I=Im(v,w,b,A),M=Mm(w,w,b,A),v=h,w=f,h=a,f=u,a=n,u=s,n=Im(b,A,C,S),s=Mm(b,A,C,S)}Wo(this.h,0,n,s),Wo(this.h,2,a,u),Wo(this.h,4,h,f),Wo(this.h,6,v,w),Wo(this.h,8,I,M),Wo(this.h,10,P,T),Wo(this.h,12,U,F),Wo(this.h,14,V,z)};Nn.prototype._digest=function(e){return e==="hex"?Li.toHex32(this.h,"big"):Li.split32(this.h,"big")};function Tq(t,e,r,i,n){var s=t&r^~t&n;return s<0&&(s+=4294967296),s}function Nq(t,e,r,i,n,s){var a=e&i^~e&s;return a<0&&(a+=4294967296),a}function Lq(t,e,r,i,n){var s=t&r^t&n^r&n;return s<0&&(s+=4294967296),s}function Bq(t,e,r,i,n,s){var a=e&i^e&s^i&s;return a<0&&(a+=4294967296),a}function Uq(t,e){var r=ls(t,e,28),i=ls(e,t,2),n=ls(e,t,7),s=r^i^n;return s<0&&(s+=4294967296),s}function Fq(t,e){var r=fs(t,e,28),i=fs(e,t,2),n=fs(e,t,7),s=r^i^n;return s<0&&(s+=4294967296),s}function qq(t,e){var r=ls(t,e,14),i=ls(t,e,18),n=ls(e,t,9),s=r^i^n;return s<0&&(s+=4294967296),s}function $q(t,e){var r=fs(t,e,14),i=fs(t,e,18),n=fs(e,t,9),s=r^i^n;return s<0&&(s+=4294967296),s}function kq(t,e){var r=ls(t,e,1),i=ls(t,e,8),n=w8(t,e,7),s=r^i^n;return s<0&&(s+=4294967296),s}function jq(t,e){var r=fs(t,e,1),i=fs(t,e,8),n=_8(t,e,7),s=r^i^n;return s<0&&(s+=4294967296),s}function zq(t,e){var r=ls(t,e,19),i=ls(e,t,29),n=w8(t,e,6),s=r^i^n;return s<0&&(s+=4294967296),s}function Hq(t,e){var r=fs(t,e,19),i=fs(e,t,29),n=_8(t,e,6),s=r^i^n;return s<0&&(s+=4294967296),s}});var I8=fe((Hre,S8)=>{"use strict";var Dm=Rn(),A8=Cm();function co(){if(!(this instanceof co))return new co;A8.call(this),this.h=[3418070365,3238371032,1654270250,914150663,2438529370,812702999,355462360,4144912697,1731405415,4290775857,2394180231,1750603025,3675008525,1694076839,1203062813,3204075428]}Dm.inherits(co,A8);S8.exports=co;co.blockSize=1024;co.outSize=384;co.hmacStrength=192;co.padLength=128;co.prototype._digest=function(e){return e==="hex"?Dm.toHex32(this.h.slice(0,12),"big"):Dm.split32(this.h.slice(0,12),"big")}});var M8=fe(hu=>{"use strict";hu.sha1=p8();hu.sha224=y8();hu.sha256=Am();hu.sha384=I8();hu.sha512=Cm()});var T8=fe(R8=>{"use strict";var ka=Rn(),Kq=cu(),Vd=ka.rotl32,C8=ka.sum32,Yl=ka.sum32_3,D8=ka.sum32_4,O8=Kq.BlockHash;function hs(){if(!(this instanceof hs))return new hs;O8.call(this),this.h=[1732584193,4023233417,2562383102,271733878,3285377520],this.endian="little"}ka.inherits(hs,O8);R8.ripemd160=hs;hs.blockSize=512;hs.outSize=160;hs.hmacStrength=192;hs.padLength=64;hs.prototype._update=function(e,r){for(var i=this.h[0],n=this.h[1],s=this.h[2],a=this.h[3],u=this.h[4],h=i,f=n,v=s,w=a,I=u,M=0;M<80;M++){var P=C8(Vd(D8(i,P8(M,n,s,a),e[Gq[M]+r],Vq(M)),Yq[M]),u);i=u,u=a,a=Vd(s,10),s=n,n=P,P=C8(Vd(D8(h,P8(79-M,f,v,w),e[Jq[M]+r],Wq(M)),Qq[M]),I),h=I,I=w,w=Vd(v,10),v=f,f=P}P=Yl(this.h[1],s,w),this.h[1]=Yl(this.h[2],a,I),this.h[2]=Yl(this.h[3],u,h),this.h[3]=Yl(this.h[4],i,f),this.h[4]=Yl(this.h[0],n,v),this.h[0]=P};hs.prototype._digest=function(e){return e==="hex"?ka.toHex32(this.h,"little"):ka.split32(this.h,"little")};function P8(t,e,r,i){return t<=15?e^r^i:t<=31?e&r|~e&i:t<=47?(e|~r)^i:t<=63?e&i|r&~i:e^(r|~i)}function Vq(t){return t<=15?0:t<=31?1518500249:t<=47?1859775393:t<=63?2400959708:2840853838}function Wq(t){return t<=15?1352829926:t<=31?1548603684:t<=47?1836072691:t<=63?2053994217:0}var Gq=[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,7,4,13,1,10,6,15,3,12,0,9,5,2,14,11,8,3,10,14,4,9,15,8,1,2,7,0,6,13,11,5,12,1,9,11,10,0,8,12,4,13,3,7,15,14,5,6,2,4,0,5,9,7,12,2,10,14,1,3,8,11,6,15,13],Jq=[5,14,7,0,9,2,11,4,13,6,15,8,1,10,3,12,6,11,3,7,0,13,5,10,14,15,8,12,4,9,1,2,15,5,1,3,7,14,6,9,11,8,12,2,10,0,4,13,8,6,4,1,3,11,15,0,5,12,2,13,9,7,10,14,12,15,10,4,1,5,8,7,6,2,13,14,0,3,9,11],Yq=[11,14,15,12,5,8,7,9,11,13,14,15,6,7,9,8,7,6,8,13,11,9,7,15,7,12,15,9,11,7,13,12,11,13,6,7,14,9,13,15,14,8,13,6,5,12,7,5,11,12,14,15,14,15,9,8,9,14,5,6,8,6,5,12,9,15,5,11,6,8,13,12,5,12,13,14,11,8,5,6],Qq=[8,9,9,11,13,15,15,5,7,7,8,11,14,14,12,6,9,13,15,7,12,8,9,11,7,7,12,7,6,15,13,11,9,7,15,11,8,6,6,14,12,13,5,14,13,13,7,5,15,5,8,11,14,14,6,14,6,9,12,9,12,5,15,8,8,5,12,9,12,5,14,6,8,13,6,5,15,13,11,11]});var L8=fe((Wre,N8)=>{"use strict";var Xq=Rn(),Zq=Ho();function du(t,e,r){if(!(this instanceof du))return new du(t,e,r);this.Hash=t,this.blockSize=t.blockSize/8,this.outSize=t.outSize/8,this.inner=null,this.outer=null,this._init(Xq.toArray(e,r))}N8.exports=du;du.prototype._init=function(e){e.length>this.blockSize&&(e=new this.Hash().update(e).digest()),Zq(e.length<=this.blockSize);for(var r=e.length;r<this.blockSize;r++)e.push(0);for(r=0;r<e.length;r++)e[r]^=54;for(this.inner=new this.Hash().update(e),r=0;r<e.length;r++)e[r]^=106;this.outer=new this.Hash().update(e)};du.prototype.update=function(e,r){return this.inner.update(e,r),this};du.prototype.digest=function(e){return this.outer.update(this.inner.digest()),this.outer.digest(e)}});var Wd=fe(B8=>{var Kr=B8;Kr.utils=Rn();Kr.common=cu();Kr.sha=M8();Kr.ripemd=T8();Kr.hmac=L8();Kr.sha1=Kr.sha.sha1;Kr.sha256=Kr.sha.sha256;Kr.sha224=Kr.sha.sha224;Kr.sha384=Kr.sha.sha384;Kr.sha512=Kr.sha.sha512;Kr.ripemd160=Kr.ripemd.ripemd160});var F8=fe((Jre,U8)=>{U8.exports={doubles:{step:4,points:[["e60fce93b59e9ec53011aabc21c23e97b2a31369b87a5ae9c44ee89e2a6dec0a","f7e3507399e595929db99f34f57937101296891e44d23f0be1f32cce69616821"],["8282263212c609d9ea2a6e3e172de238d8c39cabd5ac1ca10646e23fd5f51508","11f8a8098557dfe45e8256e830b60ace62d613ac2f7b17bed31b6eaff6e26caf"],["175e159f728b865a72f99cc6c6fc846de0b93833fd2222ed73fce5b551e5b739","d3506e0d9e3c79eba4ef97a51ff71f5eacb5955add24345c6efa6ffee9fed695"],["363d90d447b00c9c99ceac05b6262ee053441c7e55552ffe526bad8f83ff4640","4e273adfc732221953b445397f3363145b9a89008199ecb62003c7f3bee9de9"],["8b4b5f165df3c2be8c6244b5b745638843e4a781a15bcd1b69f79a55dffdf80c","4aad0a6f68d308b4b3fbd7813ab0da04f9e336546162ee56b3eff0c65fd4fd36"],["723cbaa6e5db996d6bf771c00bd548c7b700dbffa6c0e77bcb6115925232fcda","96e867b5595cc498a921137488824d6e2660a0653779494801dc069d9eb39f5f"],["eebfa4d493bebf98ba5feec812c2d3b50947961237a919839a533eca0e7dd7fa","5d9a8ca3970ef0f269ee7edaf178089d9ae4cdc3a711f712ddfd4fdae1de8999"],["100f44da696e71672791d0a09b7bde459f1215a29b3c03bfefd7835b39a48db0","cdd9e13192a00b772ec8f3300c090666b7ff4a18ff5195ac0fbd5cd62bc65a09"],["e1031be262c7ed1b1dc9227a4a04c017a77f8d4464f3b3852c8acde6e534fd2d","9d7061928940405e6bb6a4176597535af292dd419e1ced79a44f18f29456a00d"],["feea6cae46d55b530ac2839f143bd7ec5cf8b266a41d6af52d5e688d9094696d","e57c6b6c97dce1bab06e4e12bf3ecd5c981c8957cc41442d3155debf18090088"],["da67a91d91049cdcb367be4be6ffca3cfeed657d808583de33fa978bc1ec6cb1","9bacaa35481642bc41f463f7ec9780e5dec7adc508f740a17e9ea8e27a68be1d"],["53904faa0b334cdda6e000935ef22151ec08d0f7bb11069f57545ccc1a37b7c0","5bc087d0bc80106d88c9eccac20d3c1c13999981e14434699dcb096b022771c8"],["8e7bcd0bd35983a7719cca7764ca906779b53a043a9b8bcaeff959f43ad86047","10b7770b2a3da4b3940310420ca9514579e88e2e47fd68b3ea10047e8460372a"],["385eed34c1cdff21e6d0818689b81bde71a7f4f18397e6690a841e1599c43862","283bebc3e8ea23f56701de19e9ebf4576b304eec2086dc8cc0458fe5542e5453"],["6f9d9b803ecf191637c73a4413dfa180fddf84a5947fbc9c606ed86c3fac3a7","7c80c68e603059ba69b8e2a30e45c4d47ea4dd2f5c281002d86890603a842160"],["3322d401243c4e2582a2147c104d6ecbf774d163db0f5e5313b7e0e742d0e6bd","56e70797e9664ef5bfb019bc4ddaf9b72805f63ea2873af624f3a2e96c28b2a0"],["85672c7d2de0b7da2bd1770d89665868741b3f9af7643397721d74d28134ab83","7c481b9b5b43b2eb6374049bfa62c2e5e77f17fcc5298f44c8e3094f790313a6"],["948bf809b1988a46b06c9f1919413b10f9226c60f668832ffd959af60c82a0a","53a562856dcb6646dc6b74c5d1c3418c6d4dff08c97cd2bed4cb7f88d8c8e589"],["6260ce7f461801c34f067ce0f02873a8f1b0e44dfc69752accecd819f38fd8e8","bc2da82b6fa5b571a7f09049776a1ef7ecd292238051c198c1a84e95b2b4ae17"],["e5037de0afc1d8d43d8348414bbf4103043ec8f575bfdc432953cc8d2037fa2d","4571534baa94d3b5f9f98d09fb990bddbd5f5b03ec481f10e0e5dc841d755bda"],["e06372b0f4a207adf5ea905e8f1771b4e7e8dbd1c6a6c5b725866a0ae4fce725","7a908974bce18cfe12a27bb2ad5a488cd7484a7787104870b27034f94eee31dd"],["213c7a715cd5d45358d0bbf9dc0ce02204b10bdde2a3f58540ad6908d0559754","4b6dad0b5ae462507013ad06245ba190bb4850f5f36a7eeddff2c27534b458f2"],["4e7c272a7af4b34e8dbb9352a5419a87e2838c70adc62cddf0cc3a3b08fbd53c","17749c766c9d0b18e16fd09f6def681b530b9614bff7dd33e0b3941817dcaae6"],["fea74e3dbe778b1b10f238ad61686aa5c76e3db2be43057632427e2840fb27b6","6e0568db9b0b13297cf674deccb6af93126b596b973f7b77701d3db7f23cb96f"],["76e64113f677cf0e10a2570d599968d31544e179b760432952c02a4417bdde39","c90ddf8dee4e95cf577066d70681f0d35e2a33d2b56d2032b4b1752d1901ac01"],["c738c56b03b2abe1e8281baa743f8f9a8f7cc643df26cbee3ab150242bcbb891","893fb578951ad2537f718f2eacbfbbbb82314eef7880cfe917e735d9699a84c3"],["d895626548b65b81e264c7637c972877d1d72e5f3a925014372e9f6588f6c14b","febfaa38f2bc7eae728ec60818c340eb03428d632bb067e179363ed75d7d991f"],["b8da94032a957518eb0f6433571e8761ceffc73693e84edd49150a564f676e03","2804dfa44805a1e4d7c99cc9762808b092cc584d95ff3b511488e4e74efdf6e7"],["e80fea14441fb33a7d8adab9475d7fab2019effb5156a792f1a11778e3c0df5d","eed1de7f638e00771e89768ca3ca94472d155e80af322ea9fcb4291b6ac9ec78"],["a301697bdfcd704313ba48e51d567543f2a182031efd6915ddc07bbcc4e16070","7370f91cfb67e4f5081809fa25d40f9b1735dbf7c0a11a130c0d1a041e177ea1"],["90ad85b389d6b936463f9d0512678de208cc330b11307fffab7ac63e3fb04ed4","e507a3620a38261affdcbd9427222b839aefabe1582894d991d4d48cb6ef150"],["8f68b9d2f63b5f339239c1ad981f162ee88c5678723ea3351b7b444c9ec4c0da","662a9f2dba063986de1d90c2b6be215dbbea2cfe95510bfdf23cbf79501fff82"],["e4f3fb0176af85d65ff99ff9198c36091f48e86503681e3e6686fd5053231e11","1e63633ad0ef4f1c1661a6d0ea02b7286cc7e74ec951d1c9822c38576feb73bc"],["8c00fa9b18ebf331eb961537a45a4266c7034f2f0d4e1d0716fb6eae20eae29e","efa47267fea521a1a9dc343a3736c974c2fadafa81e36c54e7d2a4c66702414b"],["e7a26ce69dd4829f3e10cec0a9e98ed3143d084f308b92c0997fddfc60cb3e41","2a758e300fa7984b471b006a1aafbb18d0a6b2c0420e83e20e8a9421cf2cfd51"],["b6459e0ee3662ec8d23540c223bcbdc571cbcb967d79424f3cf29eb3de6b80ef","67c876d06f3e06de1dadf16e5661db3c4b3ae6d48e35b2ff30bf0b61a71ba45"],["d68a80c8280bb840793234aa118f06231d6f1fc67e73c5a5deda0f5b496943e8","db8ba9fff4b586d00c4b1f9177b0e28b5b0e7b8f7845295a294c84266b133120"],["324aed7df65c804252dc0270907a30b09612aeb973449cea4095980fc28d3d5d","648a365774b61f2ff130c0c35aec1f4f19213b0c7e332843967224af96ab7c84"],["4df9c14919cde61f6d51dfdbe5fee5dceec4143ba8d1ca888e8bd373fd054c96","35ec51092d8728050974c23a1d85d4b5d506cdc288490192ebac06cad10d5d"],["9c3919a84a474870faed8a9c1cc66021523489054d7f0308cbfc99c8ac1f98cd","ddb84f0f4a4ddd57584f044bf260e641905326f76c64c8e6be7e5e03d4fc599d"],["6057170b1dd12fdf8de05f281d8e06bb91e1493a8b91d4cc5a21382120a959e5","9a1af0b26a6a4807add9a2daf71df262465152bc3ee24c65e899be932385a2a8"],["a576df8e23a08411421439a4518da31880cef0fba7d4df12b1a6973eecb94266","40a6bf20e76640b2c92b97afe58cd82c432e10a7f514d9f3ee8be11ae1b28ec8"],["7778a78c28dec3e30a05fe9629de8c38bb30d1f5cf9a3a208f763889be58ad71","34626d9ab5a5b22ff7098e12f2ff580087b38411ff24ac563b513fc1fd9f43ac"],["928955ee637a84463729fd30e7afd2ed5f96274e5ad7e5cb09eda9c06d903ac","c25621003d3f42a827b78a13093a95eeac3d26efa8a8d83fc5180e935bcd091f"],["85d0fef3ec6db109399064f3a0e3b2855645b4a907ad354527aae75163d82751","1f03648413a38c0be29d496e582cf5663e8751e96877331582c237a24eb1f962"],["ff2b0dce97eece97c1c9b6041798b85dfdfb6d8882da20308f5404824526087e","493d13fef524ba188af4c4dc54d07936c7b7ed6fb90e2ceb2c951e01f0c29907"],["827fbbe4b1e880ea9ed2b2e6301b212b57f1ee148cd6dd28780e5e2cf856e241","c60f9c923c727b0b71bef2c67d1d12687ff7a63186903166d605b68baec293ec"],["eaa649f21f51bdbae7be4ae34ce6e5217a58fdce7f47f9aa7f3b58fa2120e2b3","be3279ed5bbbb03ac69a80f89879aa5a01a6b965f13f7e59d47a5305ba5ad93d"],["e4a42d43c5cf169d9391df6decf42ee541b6d8f0c9a137401e23632dda34d24f","4d9f92e716d1c73526fc99ccfb8ad34ce886eedfa8d8e4f13a7f7131deba9414"],["1ec80fef360cbdd954160fadab352b6b92b53576a88fea4947173b9d4300bf19","aeefe93756b5340d2f3a4958a7abbf5e0146e77f6295a07b671cdc1cc107cefd"],["146a778c04670c2f91b00af4680dfa8bce3490717d58ba889ddb5928366642be","b318e0ec3354028add669827f9d4b2870aaa971d2f7e5ed1d0b297483d83efd0"],["fa50c0f61d22e5f07e3acebb1aa07b128d0012209a28b9776d76a8793180eef9","6b84c6922397eba9b72cd2872281a68a5e683293a57a213b38cd8d7d3f4f2811"],["da1d61d0ca721a11b1a5bf6b7d88e8421a288ab5d5bba5220e53d32b5f067ec2","8157f55a7c99306c79c0766161c91e2966a73899d279b48a655fba0f1ad836f1"],["a8e282ff0c9706907215ff98e8fd416615311de0446f1e062a73b0610d064e13","7f97355b8db81c09abfb7f3c5b2515888b679a3e50dd6bd6cef7c73111f4cc0c"],["174a53b9c9a285872d39e56e6913cab15d59b1fa512508c022f382de8319497c","ccc9dc37abfc9c1657b4155f2c47f9e6646b3a1d8cb9854383da13ac079afa73"],["959396981943785c3d3e57edf5018cdbe039e730e4918b3d884fdff09475b7ba","2e7e552888c331dd8ba0386a4b9cd6849c653f64c8709385e9b8abf87524f2fd"],["d2a63a50ae401e56d645a1153b109a8fcca0a43d561fba2dbb51340c9d82b151","e82d86fb6443fcb7565aee58b2948220a70f750af484ca52d4142174dcf89405"],["64587e2335471eb890ee7896d7cfdc866bacbdbd3839317b3436f9b45617e073","d99fcdd5bf6902e2ae96dd6447c299a185b90a39133aeab358299e5e9faf6589"],["8481bde0e4e4d885b3a546d3e549de042f0aa6cea250e7fd358d6c86dd45e458","38ee7b8cba5404dd84a25bf39cecb2ca900a79c42b262e556d64b1b59779057e"],["13464a57a78102aa62b6979ae817f4637ffcfed3c4b1ce30bcd6303f6caf666b","69be159004614580ef7e433453ccb0ca48f300a81d0942e13f495a907f6ecc27"],["bc4a9df5b713fe2e9aef430bcc1dc97a0cd9ccede2f28588cada3a0d2d83f366","d3a81ca6e785c06383937adf4b798caa6e8a9fbfa547b16d758d666581f33c1"],["8c28a97bf8298bc0d23d8c749452a32e694b65e30a9472a3954ab30fe5324caa","40a30463a3305193378fedf31f7cc0eb7ae784f0451cb9459e71dc73cbef9482"],["8ea9666139527a8c1dd94ce4f071fd23c8b350c5a4bb33748c4ba111faccae0","620efabbc8ee2782e24e7c0cfb95c5d735b783be9cf0f8e955af34a30e62b945"],["dd3625faef5ba06074669716bbd3788d89bdde815959968092f76cc4eb9a9787","7a188fa3520e30d461da2501045731ca941461982883395937f68d00c644a573"],["f710d79d9eb962297e4f6232b40e8f7feb2bc63814614d692c12de752408221e","ea98e67232d3b3295d3b535532115ccac8612c721851617526ae47a9c77bfc82"]]},naf:{wnd:7,points:[["f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9","388f7b0f632de8140fe337e62a37f3566500a99934c2231b6cb9fd7584b8e672"],["2f8bde4d1a07209355b4a7250a5c5128e88b84bddc619ab7cba8d569b240efe4","d8ac222636e5e3d6d4dba9dda6c9c426f788271bab0d6840dca87d3aa6ac62d6"],["5cbdf0646e5db4eaa398f365f2ea7a0e3d419b7e0330e39ce92bddedcac4f9bc","6aebca40ba255960a3178d6d861a54dba813d0b813fde7b5a5082628087264da"],["acd484e2f0c7f65309ad178a9f559abde09796974c57e714c35f110dfc27ccbe","cc338921b0a7d9fd64380971763b61e9add888a4375f8e0f05cc262ac64f9c37"],["774ae7f858a9411e5ef4246b70c65aac5649980be5c17891bbec17895da008cb","d984a032eb6b5e190243dd56d7b7b365372db1e2dff9d6a8301d74c9c953c61b"],["f28773c2d975288bc7d1d205c3748651b075fbc6610e58cddeeddf8f19405aa8","ab0902e8d880a89758212eb65cdaf473a1a06da521fa91f29b5cb52db03ed81"],["d7924d4f7d43ea965a465ae3095ff41131e5946f3c85f79e44adbcf8e27e080e","581e2872a86c72a683842ec228cc6defea40af2bd896d3a5c504dc9ff6a26b58"],["defdea4cdb677750a420fee807eacf21eb9898ae79b9768766e4faa04a2d4a34","4211ab0694635168e997b0ead2a93daeced1f4a04a95c0f6cfb199f69e56eb77"],["2b4ea0a797a443d293ef5cff444f4979f06acfebd7e86d277475656138385b6c","85e89bc037945d93b343083b5a1c86131a01f60c50269763b570c854e5c09b7a"],["352bbf4a4cdd12564f93fa332ce333301d9ad40271f8107181340aef25be59d5","321eb4075348f534d59c18259dda3e1f4a1b3b2e71b1039c67bd3d8bcf81998c"],["2fa2104d6b38d11b0230010559879124e42ab8dfeff5ff29dc9cdadd4ecacc3f","2de1068295dd865b64569335bd5dd80181d70ecfc882648423ba76b532b7d67"],["9248279b09b4d68dab21a9b066edda83263c3d84e09572e269ca0cd7f5453714","73016f7bf234aade5d1aa71bdea2b1ff3fc0de2a887912ffe54a32ce97cb3402"],["daed4f2be3a8bf278e70132fb0beb7522f570e144bf615c07e996d443dee8729","a69dce4a7d6c98e8d4a1aca87ef8d7003f83c230f3afa726ab40e52290be1c55"],["c44d12c7065d812e8acf28d7cbb19f9011ecd9e9fdf281b0e6a3b5e87d22e7db","2119a460ce326cdc76c45926c982fdac0e106e861edf61c5a039063f0e0e6482"],["6a245bf6dc698504c89a20cfded60853152b695336c28063b61c65cbd269e6b4","e022cf42c2bd4a708b3f5126f16a24ad8b33ba48d0423b6efd5e6348100d8a82"],["1697ffa6fd9de627c077e3d2fe541084ce13300b0bec1146f95ae57f0d0bd6a5","b9c398f186806f5d27561506e4557433a2cf15009e498ae7adee9d63d01b2396"],["605bdb019981718b986d0f07e834cb0d9deb8360ffb7f61df982345ef27a7479","2972d2de4f8d20681a78d93ec96fe23c26bfae84fb14db43b01e1e9056b8c49"],["62d14dab4150bf497402fdc45a215e10dcb01c354959b10cfe31c7e9d87ff33d","80fc06bd8cc5b01098088a1950eed0db01aa132967ab472235f5642483b25eaf"],["80c60ad0040f27dade5b4b06c408e56b2c50e9f56b9b8b425e555c2f86308b6f","1c38303f1cc5c30f26e66bad7fe72f70a65eed4cbe7024eb1aa01f56430bd57a"],["7a9375ad6167ad54aa74c6348cc54d344cc5dc9487d847049d5eabb0fa03c8fb","d0e3fa9eca8726909559e0d79269046bdc59ea10c70ce2b02d499ec224dc7f7"],["d528ecd9b696b54c907a9ed045447a79bb408ec39b68df504bb51f459bc3ffc9","eecf41253136e5f99966f21881fd656ebc4345405c520dbc063465b521409933"],["49370a4b5f43412ea25f514e8ecdad05266115e4a7ecb1387231808f8b45963","758f3f41afd6ed428b3081b0512fd62a54c3f3afbb5b6764b653052a12949c9a"],["77f230936ee88cbbd73df930d64702ef881d811e0e1498e2f1c13eb1fc345d74","958ef42a7886b6400a08266e9ba1b37896c95330d97077cbbe8eb3c7671c60d6"],["f2dac991cc4ce4b9ea44887e5c7c0bce58c80074ab9d4dbaeb28531b7739f530","e0dedc9b3b2f8dad4da1f32dec2531df9eb5fbeb0598e4fd1a117dba703a3c37"],["463b3d9f662621fb1b4be8fbbe2520125a216cdfc9dae3debcba4850c690d45b","5ed430d78c296c3543114306dd8622d7c622e27c970a1de31cb377b01af7307e"],["f16f804244e46e2a09232d4aff3b59976b98fac14328a2d1a32496b49998f247","cedabd9b82203f7e13d206fcdf4e33d92a6c53c26e5cce26d6579962c4e31df6"],["caf754272dc84563b0352b7a14311af55d245315ace27c65369e15f7151d41d1","cb474660ef35f5f2a41b643fa5e460575f4fa9b7962232a5c32f908318a04476"],["2600ca4b282cb986f85d0f1709979d8b44a09c07cb86d7c124497bc86f082120","4119b88753c15bd6a693b03fcddbb45d5ac6be74ab5f0ef44b0be9475a7e4b40"],["7635ca72d7e8432c338ec53cd12220bc01c48685e24f7dc8c602a7746998e435","91b649609489d613d1d5e590f78e6d74ecfc061d57048bad9e76f302c5b9c61"],["754e3239f325570cdbbf4a87deee8a66b7f2b33479d468fbc1a50743bf56cc18","673fb86e5bda30fb3cd0ed304ea49a023ee33d0197a695d0c5d98093c536683"],["e3e6bd1071a1e96aff57859c82d570f0330800661d1c952f9fe2694691d9b9e8","59c9e0bba394e76f40c0aa58379a3cb6a5a2283993e90c4167002af4920e37f5"],["186b483d056a033826ae73d88f732985c4ccb1f32ba35f4b4cc47fdcf04aa6eb","3b952d32c67cf77e2e17446e204180ab21fb8090895138b4a4a797f86e80888b"],["df9d70a6b9876ce544c98561f4be4f725442e6d2b737d9c91a8321724ce0963f","55eb2dafd84d6ccd5f862b785dc39d4ab157222720ef9da217b8c45cf2ba2417"],["5edd5cc23c51e87a497ca815d5dce0f8ab52554f849ed8995de64c5f34ce7143","efae9c8dbc14130661e8cec030c89ad0c13c66c0d17a2905cdc706ab7399a868"],["290798c2b6476830da12fe02287e9e777aa3fba1c355b17a722d362f84614fba","e38da76dcd440621988d00bcf79af25d5b29c094db2a23146d003afd41943e7a"],["af3c423a95d9f5b3054754efa150ac39cd29552fe360257362dfdecef4053b45","f98a3fd831eb2b749a93b0e6f35cfb40c8cd5aa667a15581bc2feded498fd9c6"],["766dbb24d134e745cccaa28c99bf274906bb66b26dcf98df8d2fed50d884249a","744b1152eacbe5e38dcc887980da38b897584a65fa06cedd2c924f97cbac5996"],["59dbf46f8c94759ba21277c33784f41645f7b44f6c596a58ce92e666191abe3e","c534ad44175fbc300f4ea6ce648309a042ce739a7919798cd85e216c4a307f6e"],["f13ada95103c4537305e691e74e9a4a8dd647e711a95e73cb62dc6018cfd87b8","e13817b44ee14de663bf4bc808341f326949e21a6a75c2570778419bdaf5733d"],["7754b4fa0e8aced06d4167a2c59cca4cda1869c06ebadfb6488550015a88522c","30e93e864e669d82224b967c3020b8fa8d1e4e350b6cbcc537a48b57841163a2"],["948dcadf5990e048aa3874d46abef9d701858f95de8041d2a6828c99e2262519","e491a42537f6e597d5d28a3224b1bc25df9154efbd2ef1d2cbba2cae5347d57e"],["7962414450c76c1689c7b48f8202ec37fb224cf5ac0bfa1570328a8a3d7c77ab","100b610ec4ffb4760d5c1fc133ef6f6b12507a051f04ac5760afa5b29db83437"],["3514087834964b54b15b160644d915485a16977225b8847bb0dd085137ec47ca","ef0afbb2056205448e1652c48e8127fc6039e77c15c2378b7e7d15a0de293311"],["d3cc30ad6b483e4bc79ce2c9dd8bc54993e947eb8df787b442943d3f7b527eaf","8b378a22d827278d89c5e9be8f9508ae3c2ad46290358630afb34db04eede0a4"],["1624d84780732860ce1c78fcbfefe08b2b29823db913f6493975ba0ff4847610","68651cf9b6da903e0914448c6cd9d4ca896878f5282be4c8cc06e2a404078575"],["733ce80da955a8a26902c95633e62a985192474b5af207da6df7b4fd5fc61cd4","f5435a2bd2badf7d485a4d8b8db9fcce3e1ef8e0201e4578c54673bc1dc5ea1d"],["15d9441254945064cf1a1c33bbd3b49f8966c5092171e699ef258dfab81c045c","d56eb30b69463e7234f5137b73b84177434800bacebfc685fc37bbe9efe4070d"],["a1d0fcf2ec9de675b612136e5ce70d271c21417c9d2b8aaaac138599d0717940","edd77f50bcb5a3cab2e90737309667f2641462a54070f3d519212d39c197a629"],["e22fbe15c0af8ccc5780c0735f84dbe9a790badee8245c06c7ca37331cb36980","a855babad5cd60c88b430a69f53a1a7a38289154964799be43d06d77d31da06"],["311091dd9860e8e20ee13473c1155f5f69635e394704eaa74009452246cfa9b3","66db656f87d1f04fffd1f04788c06830871ec5a64feee685bd80f0b1286d8374"],["34c1fd04d301be89b31c0442d3e6ac24883928b45a9340781867d4232ec2dbdf","9414685e97b1b5954bd46f730174136d57f1ceeb487443dc5321857ba73abee"],["f219ea5d6b54701c1c14de5b557eb42a8d13f3abbcd08affcc2a5e6b049b8d63","4cb95957e83d40b0f73af4544cccf6b1f4b08d3c07b27fb8d8c2962a400766d1"],["d7b8740f74a8fbaab1f683db8f45de26543a5490bca627087236912469a0b448","fa77968128d9c92ee1010f337ad4717eff15db5ed3c049b3411e0315eaa4593b"],["32d31c222f8f6f0ef86f7c98d3a3335ead5bcd32abdd94289fe4d3091aa824bf","5f3032f5892156e39ccd3d7915b9e1da2e6dac9e6f26e961118d14b8462e1661"],["7461f371914ab32671045a155d9831ea8793d77cd59592c4340f86cbc18347b5","8ec0ba238b96bec0cbdddcae0aa442542eee1ff50c986ea6b39847b3cc092ff6"],["ee079adb1df1860074356a25aa38206a6d716b2c3e67453d287698bad7b2b2d6","8dc2412aafe3be5c4c5f37e0ecc5f9f6a446989af04c4e25ebaac479ec1c8c1e"],["16ec93e447ec83f0467b18302ee620f7e65de331874c9dc72bfd8616ba9da6b5","5e4631150e62fb40d0e8c2a7ca5804a39d58186a50e497139626778e25b0674d"],["eaa5f980c245f6f038978290afa70b6bd8855897f98b6aa485b96065d537bd99","f65f5d3e292c2e0819a528391c994624d784869d7e6ea67fb18041024edc07dc"],["78c9407544ac132692ee1910a02439958ae04877151342ea96c4b6b35a49f51","f3e0319169eb9b85d5404795539a5e68fa1fbd583c064d2462b675f194a3ddb4"],["494f4be219a1a77016dcd838431aea0001cdc8ae7a6fc688726578d9702857a5","42242a969283a5f339ba7f075e36ba2af925ce30d767ed6e55f4b031880d562c"],["a598a8030da6d86c6bc7f2f5144ea549d28211ea58faa70ebf4c1e665c1fe9b5","204b5d6f84822c307e4b4a7140737aec23fc63b65b35f86a10026dbd2d864e6b"],["c41916365abb2b5d09192f5f2dbeafec208f020f12570a184dbadc3e58595997","4f14351d0087efa49d245b328984989d5caf9450f34bfc0ed16e96b58fa9913"],["841d6063a586fa475a724604da03bc5b92a2e0d2e0a36acfe4c73a5514742881","73867f59c0659e81904f9a1c7543698e62562d6744c169ce7a36de01a8d6154"],["5e95bb399a6971d376026947f89bde2f282b33810928be4ded112ac4d70e20d5","39f23f366809085beebfc71181313775a99c9aed7d8ba38b161384c746012865"],["36e4641a53948fd476c39f8a99fd974e5ec07564b5315d8bf99471bca0ef2f66","d2424b1b1abe4eb8164227b085c9aa9456ea13493fd563e06fd51cf5694c78fc"],["336581ea7bfbbb290c191a2f507a41cf5643842170e914faeab27c2c579f726","ead12168595fe1be99252129b6e56b3391f7ab1410cd1e0ef3dcdcabd2fda224"],["8ab89816dadfd6b6a1f2634fcf00ec8403781025ed6890c4849742706bd43ede","6fdcef09f2f6d0a044e654aef624136f503d459c3e89845858a47a9129cdd24e"],["1e33f1a746c9c5778133344d9299fcaa20b0938e8acff2544bb40284b8c5fb94","60660257dd11b3aa9c8ed618d24edff2306d320f1d03010e33a7d2057f3b3b6"],["85b7c1dcb3cec1b7ee7f30ded79dd20a0ed1f4cc18cbcfcfa410361fd8f08f31","3d98a9cdd026dd43f39048f25a8847f4fcafad1895d7a633c6fed3c35e999511"],["29df9fbd8d9e46509275f4b125d6d45d7fbe9a3b878a7af872a2800661ac5f51","b4c4fe99c775a606e2d8862179139ffda61dc861c019e55cd2876eb2a27d84b"],["a0b1cae06b0a847a3fea6e671aaf8adfdfe58ca2f768105c8082b2e449fce252","ae434102edde0958ec4b19d917a6a28e6b72da1834aff0e650f049503a296cf2"],["4e8ceafb9b3e9a136dc7ff67e840295b499dfb3b2133e4ba113f2e4c0e121e5","cf2174118c8b6d7a4b48f6d534ce5c79422c086a63460502b827ce62a326683c"],["d24a44e047e19b6f5afb81c7ca2f69080a5076689a010919f42725c2b789a33b","6fb8d5591b466f8fc63db50f1c0f1c69013f996887b8244d2cdec417afea8fa3"],["ea01606a7a6c9cdd249fdfcfacb99584001edd28abbab77b5104e98e8e3b35d4","322af4908c7312b0cfbfe369f7a7b3cdb7d4494bc2823700cfd652188a3ea98d"],["af8addbf2b661c8a6c6328655eb96651252007d8c5ea31be4ad196de8ce2131f","6749e67c029b85f52a034eafd096836b2520818680e26ac8f3dfbcdb71749700"],["e3ae1974566ca06cc516d47e0fb165a674a3dabcfca15e722f0e3450f45889","2aeabe7e4531510116217f07bf4d07300de97e4874f81f533420a72eeb0bd6a4"],["591ee355313d99721cf6993ffed1e3e301993ff3ed258802075ea8ced397e246","b0ea558a113c30bea60fc4775460c7901ff0b053d25ca2bdeee98f1a4be5d196"],["11396d55fda54c49f19aa97318d8da61fa8584e47b084945077cf03255b52984","998c74a8cd45ac01289d5833a7beb4744ff536b01b257be4c5767bea93ea57a4"],["3c5d2a1ba39c5a1790000738c9e0c40b8dcdfd5468754b6405540157e017aa7a","b2284279995a34e2f9d4de7396fc18b80f9b8b9fdd270f6661f79ca4c81bd257"],["cc8704b8a60a0defa3a99a7299f2e9c3fbc395afb04ac078425ef8a1793cc030","bdd46039feed17881d1e0862db347f8cf395b74fc4bcdc4e940b74e3ac1f1b13"],["c533e4f7ea8555aacd9777ac5cad29b97dd4defccc53ee7ea204119b2889b197","6f0a256bc5efdf429a2fb6242f1a43a2d9b925bb4a4b3a26bb8e0f45eb596096"],["c14f8f2ccb27d6f109f6d08d03cc96a69ba8c34eec07bbcf566d48e33da6593","c359d6923bb398f7fd4473e16fe1c28475b740dd098075e6c0e8649113dc3a38"],["a6cbc3046bc6a450bac24789fa17115a4c9739ed75f8f21ce441f72e0b90e6ef","21ae7f4680e889bb130619e2c0f95a360ceb573c70603139862afd617fa9b9f"],["347d6d9a02c48927ebfb86c1359b1caf130a3c0267d11ce6344b39f99d43cc38","60ea7f61a353524d1c987f6ecec92f086d565ab687870cb12689ff1e31c74448"],["da6545d2181db8d983f7dcb375ef5866d47c67b1bf31c8cf855ef7437b72656a","49b96715ab6878a79e78f07ce5680c5d6673051b4935bd897fea824b77dc208a"],["c40747cc9d012cb1a13b8148309c6de7ec25d6945d657146b9d5994b8feb1111","5ca560753be2a12fc6de6caf2cb489565db936156b9514e1bb5e83037e0fa2d4"],["4e42c8ec82c99798ccf3a610be870e78338c7f713348bd34c8203ef4037f3502","7571d74ee5e0fb92a7a8b33a07783341a5492144cc54bcc40a94473693606437"],["3775ab7089bc6af823aba2e1af70b236d251cadb0c86743287522a1b3b0dedea","be52d107bcfa09d8bcb9736a828cfa7fac8db17bf7a76a2c42ad961409018cf7"],["cee31cbf7e34ec379d94fb814d3d775ad954595d1314ba8846959e3e82f74e26","8fd64a14c06b589c26b947ae2bcf6bfa0149ef0be14ed4d80f448a01c43b1c6d"],["b4f9eaea09b6917619f6ea6a4eb5464efddb58fd45b1ebefcdc1a01d08b47986","39e5c9925b5a54b07433a4f18c61726f8bb131c012ca542eb24a8ac07200682a"],["d4263dfc3d2df923a0179a48966d30ce84e2515afc3dccc1b77907792ebcc60e","62dfaf07a0f78feb30e30d6295853ce189e127760ad6cf7fae164e122a208d54"],["48457524820fa65a4f8d35eb6930857c0032acc0a4a2de422233eeda897612c4","25a748ab367979d98733c38a1fa1c2e7dc6cc07db2d60a9ae7a76aaa49bd0f77"],["dfeeef1881101f2cb11644f3a2afdfc2045e19919152923f367a1767c11cceda","ecfb7056cf1de042f9420bab396793c0c390bde74b4bbdff16a83ae09a9a7517"],["6d7ef6b17543f8373c573f44e1f389835d89bcbc6062ced36c82df83b8fae859","cd450ec335438986dfefa10c57fea9bcc521a0959b2d80bbf74b190dca712d10"],["e75605d59102a5a2684500d3b991f2e3f3c88b93225547035af25af66e04541f","f5c54754a8f71ee540b9b48728473e314f729ac5308b06938360990e2bfad125"],["eb98660f4c4dfaa06a2be453d5020bc99a0c2e60abe388457dd43fefb1ed620c","6cb9a8876d9cb8520609af3add26cd20a0a7cd8a9411131ce85f44100099223e"],["13e87b027d8514d35939f2e6892b19922154596941888336dc3563e3b8dba942","fef5a3c68059a6dec5d624114bf1e91aac2b9da568d6abeb2570d55646b8adf1"],["ee163026e9fd6fe017c38f06a5be6fc125424b371ce2708e7bf4491691e5764a","1acb250f255dd61c43d94ccc670d0f58f49ae3fa15b96623e5430da0ad6c62b2"],["b268f5ef9ad51e4d78de3a750c2dc89b1e626d43505867999932e5db33af3d80","5f310d4b3c99b9ebb19f77d41c1dee018cf0d34fd4191614003e945a1216e423"],["ff07f3118a9df035e9fad85eb6c7bfe42b02f01ca99ceea3bf7ffdba93c4750d","438136d603e858a3a5c440c38eccbaddc1d2942114e2eddd4740d098ced1f0d8"],["8d8b9855c7c052a34146fd20ffb658bea4b9f69e0d825ebec16e8c3ce2b526a1","cdb559eedc2d79f926baf44fb84ea4d44bcf50fee51d7ceb30e2e7f463036758"],["52db0b5384dfbf05bfa9d472d7ae26dfe4b851ceca91b1eba54263180da32b63","c3b997d050ee5d423ebaf66a6db9f57b3180c902875679de924b69d84a7b375"],["e62f9490d3d51da6395efd24e80919cc7d0f29c3f3fa48c6fff543becbd43352","6d89ad7ba4876b0b22c2ca280c682862f342c8591f1daf5170e07bfd9ccafa7d"],["7f30ea2476b399b4957509c88f77d0191afa2ff5cb7b14fd6d8e7d65aaab1193","ca5ef7d4b231c94c3b15389a5f6311e9daff7bb67b103e9880ef4bff637acaec"],["5098ff1e1d9f14fb46a210fada6c903fef0fb7b4a1dd1d9ac60a0361800b7a00","9731141d81fc8f8084d37c6e7542006b3ee1b40d60dfe5362a5b132fd17ddc0"],["32b78c7de9ee512a72895be6b9cbefa6e2f3c4ccce445c96b9f2c81e2778ad58","ee1849f513df71e32efc3896ee28260c73bb80547ae2275ba497237794c8753c"],["e2cb74fddc8e9fbcd076eef2a7c72b0ce37d50f08269dfc074b581550547a4f7","d3aa2ed71c9dd2247a62df062736eb0baddea9e36122d2be8641abcb005cc4a4"],["8438447566d4d7bedadc299496ab357426009a35f235cb141be0d99cd10ae3a8","c4e1020916980a4da5d01ac5e6ad330734ef0d7906631c4f2390426b2edd791f"],["4162d488b89402039b584c6fc6c308870587d9c46f660b878ab65c82c711d67e","67163e903236289f776f22c25fb8a3afc1732f2b84b4e95dbda47ae5a0852649"],["3fad3fa84caf0f34f0f89bfd2dcf54fc175d767aec3e50684f3ba4a4bf5f683d","cd1bc7cb6cc407bb2f0ca647c718a730cf71872e7d0d2a53fa20efcdfe61826"],["674f2600a3007a00568c1a7ce05d0816c1fb84bf1370798f1c69532faeb1a86b","299d21f9413f33b3edf43b257004580b70db57da0b182259e09eecc69e0d38a5"],["d32f4da54ade74abb81b815ad1fb3b263d82d6c692714bcff87d29bd5ee9f08f","f9429e738b8e53b968e99016c059707782e14f4535359d582fc416910b3eea87"],["30e4e670435385556e593657135845d36fbb6931f72b08cb1ed954f1e3ce3ff6","462f9bce619898638499350113bbc9b10a878d35da70740dc695a559eb88db7b"],["be2062003c51cc3004682904330e4dee7f3dcd10b01e580bf1971b04d4cad297","62188bc49d61e5428573d48a74e1c655b1c61090905682a0d5558ed72dccb9bc"],["93144423ace3451ed29e0fb9ac2af211cb6e84a601df5993c419859fff5df04a","7c10dfb164c3425f5c71a3f9d7992038f1065224f72bb9d1d902a6d13037b47c"],["b015f8044f5fcbdcf21ca26d6c34fb8197829205c7b7d2a7cb66418c157b112c","ab8c1e086d04e813744a655b2df8d5f83b3cdc6faa3088c1d3aea1454e3a1d5f"],["d5e9e1da649d97d89e4868117a465a3a4f8a18de57a140d36b3f2af341a21b52","4cb04437f391ed73111a13cc1d4dd0db1693465c2240480d8955e8592f27447a"],["d3ae41047dd7ca065dbf8ed77b992439983005cd72e16d6f996a5316d36966bb","bd1aeb21ad22ebb22a10f0303417c6d964f8cdd7df0aca614b10dc14d125ac46"],["463e2763d885f958fc66cdd22800f0a487197d0a82e377b49f80af87c897b065","bfefacdb0e5d0fd7df3a311a94de062b26b80c61fbc97508b79992671ef7ca7f"],["7985fdfd127c0567c6f53ec1bb63ec3158e597c40bfe747c83cddfc910641917","603c12daf3d9862ef2b25fe1de289aed24ed291e0ec6708703a5bd567f32ed03"],["74a1ad6b5f76e39db2dd249410eac7f99e74c59cb83d2d0ed5ff1543da7703e9","cc6157ef18c9c63cd6193d83631bbea0093e0968942e8c33d5737fd790e0db08"],["30682a50703375f602d416664ba19b7fc9bab42c72747463a71d0896b22f6da3","553e04f6b018b4fa6c8f39e7f311d3176290d0e0f19ca73f17714d9977a22ff8"],["9e2158f0d7c0d5f26c3791efefa79597654e7a2b2464f52b1ee6c1347769ef57","712fcdd1b9053f09003a3481fa7762e9ffd7c8ef35a38509e2fbf2629008373"],["176e26989a43c9cfeba4029c202538c28172e566e3c4fce7322857f3be327d66","ed8cc9d04b29eb877d270b4878dc43c19aefd31f4eee09ee7b47834c1fa4b1c3"],["75d46efea3771e6e68abb89a13ad747ecf1892393dfc4f1b7004788c50374da8","9852390a99507679fd0b86fd2b39a868d7efc22151346e1a3ca4726586a6bed8"],["809a20c67d64900ffb698c4c825f6d5f2310fb0451c869345b7319f645605721","9e994980d9917e22b76b061927fa04143d096ccc54963e6a5ebfa5f3f8e286c1"],["1b38903a43f7f114ed4500b4eac7083fdefece1cf29c63528d563446f972c180","4036edc931a60ae889353f77fd53de4a2708b26b6f5da72ad3394119daf408f9"]]}}});var Gd=fe(k8=>{"use strict";var Om=k8,Go=Wd(),Pm=_m(),e$=Ji(),q8=e$.assert;function $8(t){t.type==="short"?this.curve=new Pm.short(t):t.type==="edwards"?this.curve=new Pm.edwards(t):this.curve=new Pm.mont(t),this.g=this.curve.g,this.n=this.curve.n,this.hash=t.hash,q8(this.g.validate(),"Invalid curve"),q8(this.g.mul(this.n).isInfinity(),"Invalid curve, G*N != O")}Om.PresetCurve=$8;function Jo(t,e){Object.defineProperty(Om,t,{configurable:!0,enumerable:!0,get:function(){var r=new $8(e);return Object.defineProperty(Om,t,{configurable:!0,enumerable:!0,value:r}),r}})}Jo("p192",{type:"short",prime:"p192",p:"ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff",a:"ffffffff ffffffff ffffffff fffffffe ffffffff fffffffc",b:"64210519 e59c80e7 0fa7e9ab 72243049 feb8deec c146b9b1",n:"ffffffff ffffffff ffffffff 99def836 146bc9b1 b4d22831",hash:Go.sha256,gRed:!1,g:["188da80e b03090f6 7cbf20eb 43a18800 f4ff0afd 82ff1012","07192b95 ffc8da78 631011ed 6b24cdd5 73f977a1 1e794811"]});Jo("p224",{type:"short",prime:"p224",p:"ffffffff ffffffff ffffffff ffffffff 00000000 00000000 00000001",a:"ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff fffffffe",b:"b4050a85 0c04b3ab f5413256 5044b0b7 d7bfd8ba 270b3943 2355ffb4",n:"ffffffff ffffffff ffffffff ffff16a2 e0b8f03e 13dd2945 5c5c2a3d",hash:Go.sha256,gRed:!1,g:["b70e0cbd 6bb4bf7f 321390b9 4a03c1d3 56c21122 343280d6 115c1d21","bd376388 b5f723fb 4c22dfe6 cd4375a0 5a074764 44d58199 85007e34"]});Jo("p256",{type:"short",prime:null,p:"ffffffff 00000001 00000000 00000000 00000000 ffffffff ffffffff ffffffff",a:"ffffffff 00000001 00000000 00000000 00000000 ffffffff ffffffff fffffffc",b:"5ac635d8 aa3a93e7 b3ebbd55 769886bc 651d06b0 cc53b0f6 3bce3c3e 27d2604b",n:"ffffffff 00000000 ffffffff ffffffff bce6faad a7179e84 f3b9cac2 fc632551",hash:Go.sha256,gRed:!1,g:["6b17d1f2 e12c4247 f8bce6e5 63a440f2 77037d81 2deb33a0 f4a13945 d898c296","4fe342e2 fe1a7f9b 8ee7eb4a 7c0f9e16 2bce3357 6b315ece cbb64068 37bf51f5"]});Jo("p384",{type:"short",prime:null,p:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe ffffffff 00000000 00000000 ffffffff",a:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe ffffffff 00000000 00000000 fffffffc",b:"b3312fa7 e23ee7e4 988e056b e3f82d19 181d9c6e fe814112 0314088f 5013875a c656398d 8a2ed19d 2a85c8ed d3ec2aef",n:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff c7634d81 f4372ddf 581a0db2 48b0a77a ecec196a ccc52973",hash:Go.sha384,gRed:!1,g:["aa87ca22 be8b0537 8eb1c71e f320ad74 6e1d3b62 8ba79b98 59f741e0 82542a38 5502f25d bf55296c 3a545e38 72760ab7","3617de4a 96262c6f 5d9e98bf 9292dc29 f8f41dbd 289a147c e9da3113 b5f0b8c0 0a60b1ce 1d7e819d 7a431d7c 90ea0e5f"]});Jo("p521",{type:"short",prime:null,p:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff",a:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffc",b:"00000051 953eb961 8e1c9a1f 929a21a0 b68540ee a2da725b 99b315f3 b8b48991 8ef109e1 56193951 ec7e937b 1652c0bd 3bb1bf07 3573df88 3d2c34f1 ef451fd4 6b503f00",n:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffa 51868783 bf2f966b 7fcc0148 f709a5d0 3bb5c9b8 899c47ae bb6fb71e 91386409",hash:Go.sha512,gRed:!1,g:["000000c6 858e06b7 0404e9cd 9e3ecb66 2395b442 9c648139 053fb521 f828af60 6b4d3dba a14b5e77 efe75928 fe1dc127 a2ffa8de 3348b3c1 856a429b f97e7e31 c2e5bd66","00000118 39296a78 9a3bc004 5c8a5fb4 2c7d1bd9 98f54449 579b4468 17afbd17 273e662c 97ee7299 5ef42640 c550b901 3fad0761 353c7086 a272c240 88be9476 9fd16650"]});Jo("curve25519",{type:"mont",prime:"p25519",p:"7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed",a:"76d06",b:"1",n:"1000000000000000 0000000000000000 14def9dea2f79cd6 5812631a5cf5d3ed",hash:Go.sha256,gRed:!1,g:["9"]});Jo("ed25519",{type:"edwards",prime:"p25519",p:"7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed",a:"-1",c:"1",d:"52036cee2b6ffe73 8cc740797779e898 00700a4d4141d8ab 75eb4dca135978a3",n:"1000000000000000 0000000000000000 14def9dea2f79cd6 5812631a5cf5d3ed",hash:Go.sha256,gRed:!1,g:["216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a","6666666666666666666666666666666666666666666666666666666666666658"]});var Rm;try{Rm=F8()}catch{Rm=void 0}Jo("secp256k1",{type:"short",prime:"k256",p:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe fffffc2f",a:"0",b:"7",n:"ffffffff ffffffff ffffffff fffffffe baaedce6 af48a03b bfd25e8c d0364141",h:"1",hash:Go.sha256,beta:"7ae96a2b657c07106e64479eac3434e99cf0497512f58995c1396c28719501ee",lambda:"5363ad4cc05c30e0a5261c028812645a122e22ea20816678df02967c1b23bd72",basis:[{a:"3086d221a7d46bcde86c90e49284eb15",b:"-e4437ed6010e88286f547fa90abfe4c3"},{a:"114ca50f7a8e2f3f657c1108d9d44cfd8",b:"3086d221a7d46bcde86c90e49284eb15"}],gRed:!1,g:["79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798","483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8",Rm]})});var H8=fe((Qre,z8)=>{"use strict";var t$=Wd(),ja=pm(),j8=Ho();function Yo(t){if(!(this instanceof Yo))return new Yo(t);this.hash=t.hash,this.predResist=!!t.predResist,this.outLen=this.hash.outSize,this.minEntropy=t.minEntropy||this.hash.hmacStrength,this._reseed=null,this.reseedInterval=null,this.K=null,this.V=null;var e=ja.toArray(t.entropy,t.entropyEnc||"hex"),r=ja.toArray(t.nonce,t.nonceEnc||"hex"),i=ja.toArray(t.pers,t.persEnc||"hex");j8(e.length>=this.minEntropy/8,"Not enough entropy. Minimum is: "+this.minEntropy+" bits"),this._init(e,r,i)}z8.exports=Yo;Yo.prototype._init=function(e,r,i){var n=e.concat(r).concat(i);this.K=new Array(this.outLen/8),this.V=new Array(this.outLen/8);for(var s=0;s<this.V.length;s++)this.K[s]=0,this.V[s]=1;this._update(n),this._reseed=1,this.reseedInterval=281474976710656};Yo.prototype._hmac=function(){return new t$.hmac(this.hash,this.K)};Yo.prototype._update=function(e){var r=this._hmac().update(this.V).update([0]);e&&(r=r.update(e)),this.K=r.digest(),this.V=this._hmac().update(this.V).digest(),e&&(this.K=this._hmac().update(this.V).update([1]).update(e).digest(),this.V=this._hmac().update(this.V).digest())};Yo.prototype.reseed=function(e,r,i,n){typeof r!="string"&&(n=i,i=r,r=null),e=ja.toArray(e,r),i=ja.toArray(i,n),j8(e.length>=this.minEntropy/8,"Not enough entropy. Minimum is: "+this.minEntropy+" bits"),this._update(e.concat(i||[])),this._reseed=1};Yo.prototype.generate=function(e,r,i,n){if(this._reseed>this.reseedInterval)throw new Error("Reseed is required");typeof r!="string"&&(n=i,i=r,r=null),i&&(i=ja.toArray(i,n||"hex"),this._update(i));for(var s=[];s.length<e;)this.V=this._hmac().update(this.V).digest(),s=s.concat(this.V);var a=s.slice(0,e);return this._update(i),this._reseed++,ja.encode(a,r)}});var V8=fe((Xre,K8)=>{"use strict";var r$=ss(),i$=Ji(),Tm=i$.assert;function ri(t,e){this.ec=t,this.priv=null,this.pub=null,e.priv&&this._importPrivate(e.priv,e.privEnc),e.pub&&this._importPublic(e.pub,e.pubEnc)}K8.exports=ri;ri.fromPublic=function(e,r,i){return r instanceof ri?r:new ri(e,{pub:r,pubEnc:i})};ri.fromPrivate=function(e,r,i){return r instanceof ri?r:new ri(e,{priv:r,privEnc:i})};ri.prototype.validate=function(){var e=this.getPublic();return e.isInfinity()?{result:!1,reason:"Invalid public key"}:e.validate()?e.mul(this.ec.curve.n).isInfinity()?{result:!0,reason:null}:{result:!1,reason:"Public key * N != O"}:{result:!1,reason:"Public key is not a point"}};ri.prototype.getPublic=function(e,r){return typeof e=="string"&&(r=e,e=null),this.pub||(this.pub=this.ec.g.mul(this.priv)),r?this.pub.encode(r,e):this.pub};ri.prototype.getPrivate=function(e){return e==="hex"?this.priv.toString(16,2):this.priv};ri.prototype._importPrivate=function(e,r){this.priv=new r$(e,r||16),this.priv=this.priv.umod(this.ec.curve.n)};ri.prototype._importPublic=function(e,r){if(e.x||e.y){this.ec.curve.type==="mont"?Tm(e.x,"Need x coordinate"):(this.ec.curve.type==="short"||this.ec.curve.type==="edwards")&&Tm(e.x&&e.y,"Need both x and y coordinate"),this.pub=this.ec.curve.point(e.x,e.y);return}this.pub=this.ec.curve.decodePoint(e,r)};ri.prototype.derive=function(e){return e.validate()||Tm(e.validate(),"public point not validated"),e.mul(this.priv).getX()};ri.prototype.sign=function(e,r,i){return this.ec.sign(e,this,r,i)};ri.prototype.verify=function(e,r,i){return this.ec.verify(e,r,this,void 0,i)};ri.prototype.inspect=function(){return"<Key priv: "+(this.priv&&this.priv.toString(16,2))+" pub: "+(this.pub&&this.pub.inspect())+" >"}});var J8=fe((Zre,G8)=>{"use strict";var Jd=ss(),Bm=Ji(),n$=Bm.assert;function Yd(t,e){if(t instanceof Yd)return t;this._importDER(t,e)||(n$(t.r&&t.s,"Signature without r or s"),this.r=new Jd(t.r,16),this.s=new Jd(t.s,16),t.recoveryParam===void 0?this.recoveryParam=null:this.recoveryParam=t.recoveryParam)}G8.exports=Yd;function s$(){this.place=0}function Nm(t,e){var r=t[e.place++];if(!(r&128))return r;var i=r&15;if(i===0||i>4||t[e.place]===0)return!1;for(var n=0,s=0,a=e.place;s<i;s++,a++)n<<=8,n|=t[a],n>>>=0;return n<=127?!1:(e.place=a,n)}function W8(t){for(var e=0,r=t.length-1;!t[e]&&!(t[e+1]&128)&&e<r;)e++;return e===0?t:t.slice(e)}Yd.prototype._importDER=function(e,r){e=Bm.toArray(e,r);var i=new s$;if(e[i.place++]!==48)return!1;var n=Nm(e,i);if(n===!1||n+i.place!==e.length||e[i.place++]!==2)return!1;var s=Nm(e,i);if(s===!1||(e[i.place]&128)!==0)return!1;var a=e.slice(i.place,s+i.place);if(i.place+=s,e[i.place++]!==2)return!1;var u=Nm(e,i);if(u===!1||e.length!==u+i.place||(e[i.place]&128)!==0)return!1;var h=e.slice(i.place,u+i.place);if(a[0]===0)if(a[1]&128)a=a.slice(1);else return!1;if(h[0]===0)if(h[1]&128)h=h.slice(1);else return!1;return this.r=new Jd(a),this.s=new Jd(h),this.recoveryParam=null,!0};function Lm(t,e){if(e<128){t.push(e);return}var r=1+(Math.log(e)/Math.LN2>>>3);for(t.push(r|128);--r;)t.push(e>>>(r<<3)&255);t.push(e)}Yd.prototype.toDER=function(e){var r=this.r.toArray(),i=this.s.toArray();for(r[0]&128&&(r=[0].concat(r)),i[0]&128&&(i=[0].concat(i)),r=W8(r),i=W8(i);!i[0]&&!(i[1]&128);)i=i.slice(1);var n=[2];Lm(n,r.length),n=n.concat(r),n.push(2),Lm(n,i.length);var s=n.concat(i),a=[48];return Lm(a,s.length),a=a.concat(s),Bm.encode(a,e)}});var X8=fe((eie,Q8)=>{"use strict";var Ln=ss(),Y8=H8(),o$=Ji(),Um=Gd(),a$=bm(),za=o$.assert,Fm=V8(),Qd=J8();function mn(t){if(!(this instanceof mn))return new mn(t);typeof t=="string"&&(za(Object.prototype.hasOwnProperty.call(Um,t),"Unknown curve "+t),t=Um[t]),t instanceof Um.PresetCurve&&(t={curve:t}),this.curve=t.curve.curve,this.n=this.curve.n,this.nh=this.n.ushrn(1),this.g=this.curve.g,this.g=t.curve.g,this.g.precompute(t.curve.n.bitLength()+1),this.hash=t.hash||t.curve.hash}Q8.exports=mn;mn.prototype.keyPair=function(e){return new Fm(this,e)};mn.prototype.keyFromPrivate=function(e,r){return Fm.fromPrivate(this,e,r)};mn.prototype.keyFromPublic=function(e,r){return Fm.fromPublic(this,e,r)};mn.prototype.genKeyPair=function(e){e||(e={});for(var r=new Y8({hash:this.hash,pers:e.pers,persEnc:e.persEnc||"utf8",entropy:e.entropy||a$(this.hash.hmacStrength),entropyEnc:e.entropy&&e.entropyEnc||"utf8",nonce:this.n.toArray()}),i=this.n.byteLength(),n=this.n.sub(new Ln(2));;){var s=new Ln(r.generate(i));if(!(s.cmp(n)>0))return s.iaddn(1),this.keyFromPrivate(s)}};mn.prototype._truncateToN=function(e,r,i){var n;if(Ln.isBN(e)||typeof e=="number")e=new Ln(e,16),n=e.byteLength();else if(typeof e=="object")n=e.length,e=new Ln(e,16);else{var s=e.toString();n=s.length+1>>>1,e=new Ln(s,16)}typeof i!="number"&&(i=n*8);var a=i-this.n.bitLength();return a>0&&(e=e.ushrn(a)),!r&&e.cmp(this.n)>=0?e.sub(this.n):e};mn.prototype.sign=function(e,r,i,n){if(typeof i=="object"&&(n=i,i=null),n||(n={}),typeof e!="string"&&typeof e!="number"&&!Ln.isBN(e)){za(typeof e=="object"&&e&&typeof e.length=="number","Expected message to be an array-like, a hex string, or a BN instance"),za(e.length>>>0===e.length);for(var s=0;s<e.length;s++)za((e[s]&255)===e[s])}r=this.keyFromPrivate(r,i),e=this._truncateToN(e,!1,n.msgBitLength),za(!e.isNeg(),"Can not sign a negative message");var a=this.n.byteLength(),u=r.getPrivate().toArray("be",a),h=e.toArray("be",a);za(new Ln(h).eq(e),"Can not sign message");for(var f=new Y8({hash:this.hash,entropy:u,nonce:h,pers:n.pers,persEnc:n.persEnc||"utf8"}),v=this.n.sub(new Ln(1)),w=0;;w++){var I=n.k?n.k(w):new Ln(f.generate(this.n.byteLength()));if(I=this._truncateToN(I,!0),!(I.cmpn(1)<=0||I.cmp(v)>=0)){var M=this.g.mul(I);if(!M.isInfinity()){var P=M.getX(),T=P.umod(this.n);if(T.cmpn(0)!==0){var U=I.invm(this.n).mul(T.mul(r.getPrivate()).iadd(e));if(U=U.umod(this.n),U.cmpn(0)!==0){var F=(M.getY().isOdd()?1:0)|(P.cmp(T)!==0?2:0);return n.canonical&&U.cmp(this.nh)>0&&(U=this.n.sub(U),F^=1),new Qd({r:T,s:U,recoveryParam:F})}}}}}};mn.prototype.verify=function(e,r,i,n,s){s||(s={}),e=this._truncateToN(e,!1,s.msgBitLength),i=this.keyFromPublic(i,n),r=new Qd(r,"hex");var a=r.r,u=r.s;if(a.cmpn(1)<0||a.cmp(this.n)>=0||u.cmpn(1)<0||u.cmp(this.n)>=0)return!1;var h=u.invm(this.n),f=h.mul(e).umod(this.n),v=h.mul(a).umod(this.n),w;return this.curve._maxwellTrick?(w=this.g.jmulAdd(f,i.getPublic(),v),w.isInfinity()?!1:w.eqXToP(a)):(w=this.g.mulAdd(f,i.getPublic(),v),w.isInfinity()?!1:w.getX().umod(this.n).cmp(a)===0)};mn.prototype.recoverPubKey=function(t,e,r,i){za((3&r)===r,"The recovery param is more than two bits"),e=new Qd(e,i);var n=this.n,s=new Ln(t),a=e.r,u=e.s,h=r&1,f=r>>1;if(a.cmp(this.curve.p.umod(this.curve.n))>=0&&f)throw new Error("Unable to find sencond key candinate");f?a=this.curve.pointFromX(a.add(this.curve.n),h):a=this.curve.pointFromX(a,h);var v=e.r.invm(n),w=n.sub(s).mul(v).umod(n),I=u.mul(v).umod(n);return this.g.mulAdd(w,a,I)};mn.prototype.getKeyRecoveryParam=function(t,e,r,i){if(e=new Qd(e,i),e.recoveryParam!==null)return e.recoveryParam;for(var n=0;n<4;n++){var s;try{s=this.recoverPubKey(t,e,n)}catch{continue}if(s.eq(r))return n}throw new Error("Unable to find valid recovery factor")}});var r7=fe((tie,t7)=>{"use strict";var Ql=Ji(),e7=Ql.assert,Z8=Ql.parseBytes,pu=Ql.cachedProperty;function Br(t,e){this.eddsa=t,this._secret=Z8(e.secret),t.isPoint(e.pub)?this._pub=e.pub:this._pubBytes=Z8(e.pub)}Br.fromPublic=function(e,r){return r instanceof Br?r:new Br(e,{pub:r})};Br.fromSecret=function(e,r){return r instanceof Br?r:new Br(e,{secret:r})};Br.prototype.secret=function(){return this._secret};pu(Br,"pubBytes",function(){return this.eddsa.encodePoint(this.pub())});pu(Br,"pub",function(){return this._pubBytes?this.eddsa.decodePoint(this._pubBytes):this.eddsa.g.mul(this.priv())});pu(Br,"privBytes",function(){var e=this.eddsa,r=this.hash(),i=e.encodingLength-1,n=r.slice(0,e.encodingLength);return n[0]&=248,n[i]&=127,n[i]|=64,n});pu(Br,"priv",function(){return this.eddsa.decodeInt(this.privBytes())});pu(Br,"hash",function(){return this.eddsa.hash().update(this.secret()).digest()});pu(Br,"messagePrefix",function(){return this.hash().slice(this.eddsa.encodingLength)});Br.prototype.sign=function(e){return e7(this._secret,"KeyPair can only verify"),this.eddsa.sign(e,this)};Br.prototype.verify=function(e,r){return this.eddsa.verify(e,r,this)};Br.prototype.getSecret=function(e){return e7(this._secret,"KeyPair is public only"),Ql.encode(this.secret(),e)};Br.prototype.getPublic=function(e){return Ql.encode(this.pubBytes(),e)};t7.exports=Br});var s7=fe((rie,n7)=>{"use strict";var c$=ss(),Xd=Ji(),i7=Xd.assert,Zd=Xd.cachedProperty,u$=Xd.parseBytes;function Ha(t,e){this.eddsa=t,typeof e!="object"&&(e=u$(e)),Array.isArray(e)&&(i7(e.length===t.encodingLength*2,"Signature has invalid size"),e={R:e.slice(0,t.encodingLength),S:e.slice(t.encodingLength)}),i7(e.R&&e.S,"Signature without R or S"),t.isPoint(e.R)&&(this._R=e.R),e.S instanceof c$&&(this._S=e.S),this._Rencoded=Array.isArray(e.R)?e.R:e.Rencoded,this._Sencoded=Array.isArray(e.S)?e.S:e.Sencoded}Zd(Ha,"S",function(){return this.eddsa.decodeInt(this.Sencoded())});Zd(Ha,"R",function(){return this.eddsa.decodePoint(this.Rencoded())});Zd(Ha,"Rencoded",function(){return this.eddsa.encodePoint(this.R())});Zd(Ha,"Sencoded",function(){return this.eddsa.encodeInt(this.S())});Ha.prototype.toBytes=function(){return this.Rencoded().concat(this.Sencoded())};Ha.prototype.toHex=function(){return Xd.encode(this.toBytes(),"hex").toUpperCase()};n7.exports=Ha});var l7=fe((iie,u7)=>{"use strict";var l$=Wd(),f$=Gd(),gu=Ji(),h$=gu.assert,a7=gu.parseBytes,c7=r7(),o7=s7();function Bi(t){if(h$(t==="ed25519","only tested with ed25519 so far"),!(this instanceof Bi))return new Bi(t);t=f$[t].curve,this.curve=t,this.g=t.g,this.g.precompute(t.n.bitLength()+1),this.pointClass=t.point().constructor,this.encodingLength=Math.ceil(t.n.bitLength()/8),this.hash=l$.sha512}u7.exports=Bi;Bi.prototype.sign=function(e,r){e=a7(e);var i=this.keyFromSecret(r),n=this.hashInt(i.messagePrefix(),e),s=this.g.mul(n),a=this.encodePoint(s),u=this.hashInt(a,i.pubBytes(),e).mul(i.priv()),h=n.add(u).umod(this.curve.n);return this.makeSignature({R:s,S:h,Rencoded:a})};Bi.prototype.verify=function(e,r,i){if(e=a7(e),r=this.makeSignature(r),r.S().gte(r.eddsa.curve.n)||r.S().isNeg())return!1;var n=this.keyFromPublic(i),s=this.hashInt(r.Rencoded(),n.pubBytes(),e),a=this.g.mul(r.S()),u=r.R().add(n.pub().mul(s));return u.eq(a)};Bi.prototype.hashInt=function(){for(var e=this.hash(),r=0;r<arguments.length;r++)e.update(arguments[r]);return gu.intFromLE(e.digest()).umod(this.curve.n)};Bi.prototype.keyFromPublic=function(e){return c7.fromPublic(this,e)};Bi.prototype.keyFromSecret=function(e){return c7.fromSecret(this,e)};Bi.prototype.makeSignature=function(e){return e instanceof o7?e:new o7(this,e)};Bi.prototype.encodePoint=function(e){var r=e.getY().toArray("le",this.encodingLength);return r[this.encodingLength-1]|=e.getX().isOdd()?128:0,r};Bi.prototype.decodePoint=function(e){e=gu.parseBytes(e);var r=e.length-1,i=e.slice(0,r).concat(e[r]&-129),n=(e[r]&128)!==0,s=gu.intFromLE(i);return this.curve.pointFromY(s,n)};Bi.prototype.encodeInt=function(e){return e.toArray("le",this.encodingLength)};Bi.prototype.decodeInt=function(e){return gu.intFromLE(e)};Bi.prototype.isPoint=function(e){return e instanceof this.pointClass}});var h7=fe(f7=>{"use strict";var Ka=f7;Ka.version=q4().version;Ka.utils=Ji();Ka.rand=bm();Ka.curve=_m();Ka.curves=Gd();Ka.ec=X8();Ka.eddsa=l7()});var g7=fe(uo=>{"use strict";Object.defineProperty(uo,"__esModule",{value:!0});var vu=Xc(),mu=dn();uo.DIGEST_LENGTH=64;uo.BLOCK_SIZE=128;var p7=(function(){function t(){this.digestLength=uo.DIGEST_LENGTH,this.blockSize=uo.BLOCK_SIZE,this._stateHi=new Int32Array(8),this._stateLo=new Int32Array(8),this._tempHi=new Int32Array(16),this._tempLo=new Int32Array(16),this._buffer=new Uint8Array(256),this._bufferLength=0,this._bytesHashed=0,this._finished=!1,this.reset()}return t.prototype._initState=function(){this._stateHi[0]=1779033703,this._stateHi[1]=3144134277,this._stateHi[2]=1013904242,this._stateHi[3]=2773480762,this._stateHi[4]=1359893119,this._stateHi[5]=2600822924,this._stateHi[6]=528734635,this._stateHi[7]=1541459225,this._stateLo[0]=4089235720,this._stateLo[1]=2227873595,this._stateLo[2]=4271175723,this._stateLo[3]=1595750129,this._stateLo[4]=2917565137,this._stateLo[5]=725511199,this._stateLo[6]=4215389547,this._stateLo[7]=327033209},t.prototype.reset=function(){return this._initState(),this._bufferLength=0,this._bytesHashed=0,this._finished=!1,this},t.prototype.clean=function(){mu.wipe(this._buffer),mu.wipe(this._tempHi),mu.wipe(this._tempLo),this.reset()},t.prototype.update=function(e,r){if(r===void 0&&(r=e.length),this._finished)throw new Error("SHA512: can't update because hash was finished.");var i=0;if(this._bytesHashed+=r,this._bufferLength>0){for(;this._bufferLength<uo.BLOCK_SIZE&&r>0;)this._buffer[this._bufferLength++]=e[i++],r--;this._bufferLength===this.blockSize&&(qm(this._tempHi,this._tempLo,this._stateHi,this._stateLo,this._buffer,0,this.blockSize),this._bufferLength=0)}for(r>=this.blockSize&&(i=qm(this._tempHi,this._tempLo,this._stateHi,this._stateLo,e,i,r),r%=this.blockSize);r>0;)this._buffer[this._bufferLength++]=e[i++],r--;return this},t.prototype.finish=function(e){if(!this._finished){var r=this._bytesHashed,i=this._bufferLength,n=r/536870912|0,s=r<<3,a=r%128<112?128:256;this._buffer[i]=128;for(var u=i+1;u<a-8;u++)this._buffer[u]=0;vu.writeUint32BE(n,this._buffer,a-8),vu.writeUint32BE(s,this._buffer,a-4),qm(this._tempHi,this._tempLo,this._stateHi,this._stateLo,this._buffer,0,a),this._finished=!0}for(var u=0;u<this.digestLength/8;u++)vu.writeUint32BE(this._stateHi[u],e,u*8),vu.writeUint32BE(this._stateLo[u],e,u*8+4);return this},t.prototype.digest=function(){var e=new Uint8Array(this.digestLength);return this.finish(e),e},t.prototype.saveState=function(){if(this._finished)throw new Error("SHA256: cannot save finished state");return{stateHi:new Int32Array(this._stateHi),stateLo:new Int32Array(this._stateLo),buffer:this._bufferLength>0?new Uint8Array(this._buffer):void 0,bufferLength:this._bufferLength,bytesHashed:this._bytesHashed}},t.prototype.restoreState=function(e){return this._stateHi.set(e.stateHi),this._stateLo.set(e.stateLo),this._bufferLength=e.bufferLength,e.buffer&&this._buffer.set(e.buffer),this._bytesHashed=e.bytesHashed,this._finished=!1,this},t.prototype.cleanSavedState=function(e){mu.wipe(e.stateHi),mu.wipe(e.stateLo),e.buffer&&mu.wipe(e.buffer),e.bufferLength=0,e.bytesHashed=0},t})();uo.SHA512=p7;var d7=new Int32Array([1116352408,3609767458,1899447441,602891725,3049323471,3964484399,3921009573,2173295548,961987163,4081628472,1508970993,3053834265,2453635748,2937671579,2870763221,3664609560,3624381080,2734883394,310598401,1164996542,607225278,1323610764,1426881987,3590304994,1925078388,4068182383,2162078206,991336113,2614888103,633803317,3248222580,3479774868,3835390401,2666613458,4022224774,944711139,264347078,2341262773,604807628,2007800933,770255983,1495990901,1249150122,1856431235,1555081692,3175218132,1996064986,2198950837,2554220882,3999719339,2821834349,766784016,2952996808,2566594879,3210313671,3203337956,3336571891,1034457026,3584528711,2466948901,113926993,3758326383,338241895,168717936,666307205,1188179964,773529912,1546045734,1294757372,1522805485,1396182291,2643833823,1695183700,2343527390,1986661051,1014477480,2177026350,1206759142,2456956037,344077627,2730485921,1290863460,2820302411,3158454273,3259730800,3505952657,3345764771,106217008,3516065817,3606008344,3600352804,1432725776,4094571909,1467031594,275423344,851169720,430227734,3100823752,506948616,1363258195,659060556,3750685593,883997877,3785050280,958139571,3318307427,1322822218,3812723403,1537002063,2003034995,1747873779,3602036899,1955562222,1575990012,2024104815,1125592928,2227730452,2716904306,2361852424,442776044,2428436474,593698344,2756734187,3733110249,3204031479,2999351573,3329325298,3815920427,3391569614,3928383900,3515267271,566280711,3940187606,3454069534,4118630271,4000239992,116418474,1914138554,174292421,2731055270,289380356,3203993006,460393269,320620315,685471733,587496836,852142971,1086792851,1017036298,365543100,1126000580,2618297676,1288033470,3409855158,1501505948,4234509866,1607167915,987167468,1816402316,1246189591]);function qm(t,e,r,i,n,s,a){for(var u=r[0],h=r[1],f=r[2],v=r[3],w=r[4],I=r[5],M=r[6],P=r[7],T=i[0],U=i[1],F=i[2],V=i[3],z=i[4],j=i[5],H=i[6],ee=i[7],$,q,X,N,d,y,l,g;a>=128;){for(var b=0;b<16;b++){var A=8*b+s;t[b]=vu.readUint32BE(n,A),e[b]=vu.readUint32BE(n,A+4)}for(var b=0;b<80;b++){var C=u,S=h,m=f,E=v,_=w,R=I,Z=M,te=P,D=T,W=U,G=F,J=V,ie=z,ce=j,se=H,ae=ee;if($=P,q=ee,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=(w>>>14|z<<18)^(w>>>18|z<<14)^(z>>>9|w<<23),q=(z>>>14|w<<18)^(z>>>18|w<<14)^(w>>>9|z<<23),d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,$=w&I^~w&M,q=z&j^~z&H,d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,$=d7[b*2],q=d7[b*2+1],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,$=t[b%16],q=e[b%16],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,X=l&65535|g<<16,N=d&65535|y<<16,$=X,q=N,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=(u>>>28|T<<4)^(T>>>2|u<<30)^(T>>>7|u<<25),q=(T>>>28|u<<4)^(u>>>2|T<<30)^(u>>>7|T<<25),d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,$=u&h^u&f^h&f,q=T&U^T&F^U&F,d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,te=l&65535|g<<16,ae=d&65535|y<<16,$=E,q=J,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=X,q=N,d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,E=l&65535|g<<16,J=d&65535|y<<16,h=C,f=S,v=m,w=E,I=_,M=R,P=Z,u=te,U=D,F=W,V=G,z=J,j=ie,H=ce,ee=se,T=ae,b%16===15)for(var A=0;A<16;A++)$=t[A],q=e[A],d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=t[(A+9)%16],q=e[(A+9)%16],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,X=t[(A+1)%16],N=e[(A+1)%16],$=(X>>>1|N<<31)^(X>>>8|N<<24)^X>>>7,q=(N>>>1|X<<31)^(N>>>8|X<<24)^(N>>>7|X<<25),d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,X=t[(A+14)%16],N=e[(A+14)%16],$=(X>>>19|N<<13)^(N>>>29|X<<3)^X>>>6,q=(N>>>19|X<<13)^(X>>>29|N<<3)^(N>>>6|X<<26),d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,t[A]=l&65535|g<<16,e[A]=d&65535|y<<16}$=u,q=T,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[0],q=i[0],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[0]=u=l&65535|g<<16,i[0]=T=d&65535|y<<16,$=h,q=U,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[1],q=i[1],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[1]=h=l&65535|g<<16,i[1]=U=d&65535|y<<16,$=f,q=F,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[2],q=i[2],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[2]=f=l&65535|g<<16,i[2]=F=d&65535|y<<16,$=v,q=V,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[3],q=i[3],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[3]=v=l&65535|g<<16,i[3]=V=d&65535|y<<16,$=w,q=z,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[4],q=i[4],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[4]=w=l&65535|g<<16,i[4]=z=d&65535|y<<16,$=I,q=j,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[5],q=i[5],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[5]=I=l&65535|g<<16,i[5]=j=d&65535|y<<16,$=M,q=H,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[6],q=i[6],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[6]=M=l&65535|g<<16,i[6]=H=d&65535|y<<16,$=P,q=ee,d=q&65535,y=q>>>16,l=$&65535,g=$>>>16,$=r[7],q=i[7],d+=q&65535,y+=q>>>16,l+=$&65535,g+=$>>>16,y+=d>>>16,l+=y>>>16,g+=l>>>16,r[7]=P=l&65535|g<<16,i[7]=ee=d&65535|y<<16,s+=128,a-=128}return s}function d$(t){var e=new p7;e.update(t);var r=e.digest();return e.clean(),r}uo.hash=d$});var D7=fe(Kt=>{"use strict";Object.defineProperty(Kt,"__esModule",{value:!0});Kt.convertSecretKeyToX25519=Kt.convertPublicKeyToX25519=Kt.verify=Kt.sign=Kt.extractPublicKeyFromSecretKey=Kt.generateKeyPair=Kt.generateKeyPairFromSeed=Kt.SEED_LENGTH=Kt.SECRET_KEY_LENGTH=Kt.PUBLIC_KEY_LENGTH=Kt.SIGNATURE_LENGTH=void 0;var p$=Fl(),Xl=g7(),w7=dn();Kt.SIGNATURE_LENGTH=64;Kt.PUBLIC_KEY_LENGTH=32;Kt.SECRET_KEY_LENGTH=64;Kt.SEED_LENGTH=32;function Ae(t){let e=new Float64Array(16);if(t)for(let r=0;r<t.length;r++)e[r]=t[r];return e}var g$=new Uint8Array(32);g$[0]=9;var jm=Ae(),bu=Ae([1]),m$=Ae([30883,4953,19914,30187,55467,16705,2637,112,59544,30585,16505,36039,65139,11119,27886,20995]),v$=Ae([61785,9906,39828,60374,45398,33411,5274,224,53552,61171,33010,6542,64743,22239,55772,9222]),m7=Ae([54554,36645,11616,51542,42930,38181,51040,26924,56412,64982,57905,49316,21502,52590,14035,8553]),v7=Ae([26200,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214,26214]),b$=Ae([41136,18958,6951,50414,58488,44335,6150,12099,55207,15867,153,11085,57099,20417,9344,11139]);function Qo(t,e){for(let r=0;r<16;r++)t[r]=e[r]|0}function $m(t){let e=1;for(let r=0;r<16;r++){let i=t[r]+e+65535;e=Math.floor(i/65536),t[r]=i-e*65536}t[0]+=e-1+37*(e-1)}function _7(t,e,r){let i=~(r-1);for(let n=0;n<16;n++){let s=i&(t[n]^e[n]);t[n]^=s,e[n]^=s}}function Zl(t,e){let r=Ae(),i=Ae();for(let n=0;n<16;n++)i[n]=e[n];$m(i),$m(i),$m(i);for(let n=0;n<2;n++){r[0]=i[0]-65517;for(let a=1;a<15;a++)r[a]=i[a]-65535-(r[a-1]>>16&1),r[a-1]&=65535;r[15]=i[15]-32767-(r[14]>>16&1);let s=r[15]>>16&1;r[14]&=65535,_7(i,r,1-s)}for(let n=0;n<16;n++)t[2*n]=i[n]&255,t[2*n+1]=i[n]>>8}function x7(t,e){let r=0;for(let i=0;i<32;i++)r|=t[i]^e[i];return(1&r-1>>>8)-1}function b7(t,e){let r=new Uint8Array(32),i=new Uint8Array(32);return Zl(r,t),Zl(i,e),x7(r,i)}function E7(t){let e=new Uint8Array(32);return Zl(e,t),e[0]&1}function y$(t,e){for(let r=0;r<16;r++)t[r]=e[2*r]+(e[2*r+1]<<8);t[15]&=32767}function Va(t,e,r){for(let i=0;i<16;i++)t[i]=e[i]+r[i]}function Ga(t,e,r){for(let i=0;i<16;i++)t[i]=e[i]-r[i]}function Qt(t,e,r){let i,n,s=0,a=0,u=0,h=0,f=0,v=0,w=0,I=0,M=0,P=0,T=0,U=0,F=0,V=0,z=0,j=0,H=0,ee=0,$=0,q=0,X=0,N=0,d=0,y=0,l=0,g=0,b=0,A=0,C=0,S=0,m=0,E=r[0],_=r[1],R=r[2],Z=r[3],te=r[4],D=r[5],W=r[6],G=r[7],J=r[8],ie=r[9],ce=r[10],se=r[11],ae=r[12],pe=r[13],ne=r[14],de=r[15];i=e[0],s+=i*E,a+=i*_,u+=i*R,h+=i*Z,f+=i*te,v+=i*D,w+=i*W,I+=i*G,M+=i*J,P+=i*ie,T+=i*ce,U+=i*se,F+=i*ae,V+=i*pe,z+=i*ne,j+=i*de,i=e[1],a+=i*E,u+=i*_,h+=i*R,f+=i*Z,v+=i*te,w+=i*D,I+=i*W,M+=i*G,P+=i*J,T+=i*ie,U+=i*ce,F+=i*se,V+=i*ae,z+=i*pe,j+=i*ne,H+=i*de,i=e[2],u+=i*E,h+=i*_,f+=i*R,v+=i*Z,w+=i*te,I+=i*D,M+=i*W,P+=i*G,T+=i*J,U+=i*ie,F+=i*ce,V+=i*se,z+=i*ae,j+=i*pe,H+=i*ne,ee+=i*de,i=e[3],h+=i*E,f+=i*_,v+=i*R,w+=i*Z,I+=i*te,M+=i*D,P+=i*W,T+=i*G,U+=i*J,F+=i*ie,V+=i*ce,z+=i*se,j+=i*ae,H+=i*pe,ee+=i*ne,$+=i*de,i=e[4],f+=i*E,v+=i*_,w+=i*R,I+=i*Z,M+=i*te,P+=i*D,T+=i*W,U+=i*G,F+=i*J,V+=i*ie,z+=i*ce,j+=i*se,H+=i*ae,ee+=i*pe,$+=i*ne,q+=i*de,i=e[5],v+=i*E,w+=i*_,I+=i*R,M+=i*Z,P+=i*te,T+=i*D,U+=i*W,F+=i*G,V+=i*J,z+=i*ie,j+=i*ce,H+=i*se,ee+=i*ae,$+=i*pe,q+=i*ne,X+=i*de,i=e[6],w+=i*E,I+=i*_,M+=i*R,P+=i*Z,T+=i*te,U+=i*D,F+=i*W,V+=i*G,z+=i*J,j+=i*ie,H+=i*ce,ee+=i*se,$+=i*ae,q+=i*pe,X+=i*ne,N+=i*de,i=e[7],I+=i*E,M+=i*_,P+=i*R,T+=i*Z,U+=i*te,F+=i*D,V+=i*W,z+=i*G,j+=i*J,H+=i*ie,ee+=i*ce,$+=i*se,q+=i*ae,X+=i*pe,N+=i*ne,d+=i*de,i=e[8],M+=i*E,P+=i*_,T+=i*R,U+=i*Z,F+=i*te,V+=i*D,z+=i*W,j+=i*G,H+=i*J,ee+=i*ie,$+=i*ce,q+=i*se,X+=i*ae,N+=i*pe,d+=i*ne,y+=i*de,i=e[9],P+=i*E,T+=i*_,U+=i*R,F+=i*Z,V+=i*te,z+=i*D,j+=i*W,H+=i*G,ee+=i*J,$+=i*ie,q+=i*ce,X+=i*se,N+=i*ae,d+=i*pe,y+=i*ne,l+=i*de,i=e[10],T+=i*E,U+=i*_,F+=i*R,V+=i*Z,z+=i*te,j+=i*D,H+=i*W,ee+=i*G,$+=i*J,q+=i*ie,X+=i*ce,N+=i*se,d+=i*ae,y+=i*pe,l+=i*ne,g+=i*de,i=e[11],U+=i*E,F+=i*_,V+=i*R,z+=i*Z,j+=i*te,H+=i*D,ee+=i*W,$+=i*G,q+=i*J,X+=i*ie,N+=i*ce,d+=i*se,y+=i*ae,l+=i*pe,g+=i*ne,b+=i*de,i=e[12],F+=i*E,V+=i*_,z+=i*R,j+=i*Z,H+=i*te,ee+=i*D,$+=i*W,q+=i*G,X+=i*J,N+=i*ie,d+=i*ce,y+=i*se,l+=i*ae,g+=i*pe,b+=i*ne,A+=i*de,i=e[13],V+=i*E,z+=i*_,j+=i*R,H+=i*Z,ee+=i*te,$+=i*D,q+=i*W,X+=i*G,N+=i*J,d+=i*ie,y+=i*ce,l+=i*se,g+=i*ae,b+=i*pe,A+=i*ne,C+=i*de,i=e[14],z+=i*E,j+=i*_,H+=i*R,ee+=i*Z,$+=i*te,q+=i*D,X+=i*W,N+=i*G,d+=i*J,y+=i*ie,l+=i*ce,g+=i*se,b+=i*ae,A+=i*pe,C+=i*ne,S+=i*de,i=e[15],j+=i*E,H+=i*_,ee+=i*R,$+=i*Z,q+=i*te,X+=i*D,N+=i*W,d+=i*G,y+=i*J,l+=i*ie,g+=i*ce,b+=i*se,A+=i*ae,C+=i*pe,S+=i*ne,m+=i*de,s+=38*H,a+=38*ee,u+=38*$,h+=38*q,f+=38*X,v+=38*N,w+=38*d,I+=38*y,M+=38*l,P+=38*g,T+=38*b,U+=38*A,F+=38*C,V+=38*S,z+=38*m,n=1,i=s+n+65535,n=Math.floor(i/65536),s=i-n*65536,i=a+n+65535,n=Math.floor(i/65536),a=i-n*65536,i=u+n+65535,n=Math.floor(i/65536),u=i-n*65536,i=h+n+65535,n=Math.floor(i/65536),h=i-n*65536,i=f+n+65535,n=Math.floor(i/65536),f=i-n*65536,i=v+n+65535,n=Math.floor(i/65536),v=i-n*65536,i=w+n+65535,n=Math.floor(i/65536),w=i-n*65536,i=I+n+65535,n=Math.floor(i/65536),I=i-n*65536,i=M+n+65535,n=Math.floor(i/65536),M=i-n*65536,i=P+n+65535,n=Math.floor(i/65536),P=i-n*65536,i=T+n+65535,n=Math.floor(i/65536),T=i-n*65536,i=U+n+65535,n=Math.floor(i/65536),U=i-n*65536,i=F+n+65535,n=Math.floor(i/65536),F=i-n*65536,i=V+n+65535,n=Math.floor(i/65536),V=i-n*65536,i=z+n+65535,n=Math.floor(i/65536),z=i-n*65536,i=j+n+65535,n=Math.floor(i/65536),j=i-n*65536,s+=n-1+37*(n-1),n=1,i=s+n+65535,n=Math.floor(i/65536),s=i-n*65536,i=a+n+65535,n=Math.floor(i/65536),a=i-n*65536,i=u+n+65535,n=Math.floor(i/65536),u=i-n*65536,i=h+n+65535,n=Math.floor(i/65536),h=i-n*65536,i=f+n+65535,n=Math.floor(i/65536),f=i-n*65536,i=v+n+65535,n=Math.floor(i/65536),v=i-n*65536,i=w+n+65535,n=Math.floor(i/65536),w=i-n*65536,i=I+n+65535,n=Math.floor(i/65536),I=i-n*65536,i=M+n+65535,n=Math.floor(i/65536),M=i-n*65536,i=P+n+65535,n=Math.floor(i/65536),P=i-n*65536,i=T+n+65535,n=Math.floor(i/65536),T=i-n*65536,i=U+n+65535,n=Math.floor(i/65536),U=i-n*65536,i=F+n+65535,n=Math.floor(i/65536),F=i-n*65536,i=V+n+65535,n=Math.floor(i/65536),V=i-n*65536,i=z+n+65535,n=Math.floor(i/65536),z=i-n*65536,i=j+n+65535,n=Math.floor(i/65536),j=i-n*65536,s+=n-1+37*(n-1),t[0]=s,t[1]=a,t[2]=u,t[3]=h,t[4]=f,t[5]=v,t[6]=w,t[7]=I,t[8]=M,t[9]=P,t[10]=T,t[11]=U,t[12]=F,t[13]=V,t[14]=z,t[15]=j}function Wa(t,e){Qt(t,e,e)}function A7(t,e){let r=Ae(),i;for(i=0;i<16;i++)r[i]=e[i];for(i=253;i>=0;i--)Wa(r,r),i!==2&&i!==4&&Qt(r,r,e);for(i=0;i<16;i++)t[i]=r[i]}function w$(t,e){let r=Ae(),i;for(i=0;i<16;i++)r[i]=e[i];for(i=250;i>=0;i--)Wa(r,r),i!==1&&Qt(r,r,e);for(i=0;i<16;i++)t[i]=r[i]}function zm(t,e){let r=Ae(),i=Ae(),n=Ae(),s=Ae(),a=Ae(),u=Ae(),h=Ae(),f=Ae(),v=Ae();Ga(r,t[1],t[0]),Ga(v,e[1],e[0]),Qt(r,r,v),Va(i,t[0],t[1]),Va(v,e[0],e[1]),Qt(i,i,v),Qt(n,t[3],e[3]),Qt(n,n,v$),Qt(s,t[2],e[2]),Va(s,s,s),Ga(a,i,r),Ga(u,s,n),Va(h,s,n),Va(f,i,r),Qt(t[0],a,u),Qt(t[1],f,h),Qt(t[2],h,u),Qt(t[3],a,f)}function y7(t,e,r){for(let i=0;i<4;i++)_7(t[i],e[i],r)}function Km(t,e){let r=Ae(),i=Ae(),n=Ae();A7(n,e[2]),Qt(r,e[0],n),Qt(i,e[1],n),Zl(t,i),t[31]^=E7(r)<<7}function S7(t,e,r){Qo(t[0],jm),Qo(t[1],bu),Qo(t[2],bu),Qo(t[3],jm);for(let i=255;i>=0;--i){let n=r[i/8|0]>>(i&7)&1;y7(t,e,n),zm(e,t),zm(t,t),y7(t,e,n)}}function Vm(t,e){let r=[Ae(),Ae(),Ae(),Ae()];Qo(r[0],m7),Qo(r[1],v7),Qo(r[2],bu),Qt(r[3],m7,v7),S7(t,r,e)}function I7(t){if(t.length!==Kt.SEED_LENGTH)throw new Error(`ed25519: seed must be ${Kt.SEED_LENGTH} bytes`);let e=(0,Xl.hash)(t);e[0]&=248,e[31]&=127,e[31]|=64;let r=new Uint8Array(32),i=[Ae(),Ae(),Ae(),Ae()];Vm(i,e),Km(r,i);let n=new Uint8Array(64);return n.set(t),n.set(r,32),{publicKey:r,secretKey:n}}Kt.generateKeyPairFromSeed=I7;function _$(t){let e=(0,p$.randomBytes)(32,t),r=I7(e);return(0,w7.wipe)(e),r}Kt.generateKeyPair=_$;function x$(t){if(t.length!==Kt.SECRET_KEY_LENGTH)throw new Error(`ed25519: secret key must be ${Kt.SECRET_KEY_LENGTH} bytes`);return new Uint8Array(t.subarray(32))}Kt.extractPublicKeyFromSecretKey=x$;var km=new Float64Array([237,211,245,92,26,99,18,88,214,156,247,162,222,249,222,20,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,16]);function M7(t,e){let r,i,n,s;for(i=63;i>=32;--i){for(r=0,n=i-32,s=i-12;n<s;++n)e[n]+=r-16*e[i]*km[n-(i-32)],r=Math.floor((e[n]+128)/256),e[n]-=r*256;e[n]+=r,e[i]=0}for(r=0,n=0;n<32;n++)e[n]+=r-(e[31]>>4)*km[n],r=e[n]>>8,e[n]&=255;for(n=0;n<32;n++)e[n]-=r*km[n];for(i=0;i<32;i++)e[i+1]+=e[i]>>8,t[i]=e[i]&255}function Hm(t){let e=new Float64Array(64);for(let r=0;r<64;r++)e[r]=t[r];for(let r=0;r<64;r++)t[r]=0;M7(t,e)}function E$(t,e){let r=new Float64Array(64),i=[Ae(),Ae(),Ae(),Ae()],n=(0,Xl.hash)(t.subarray(0,32));n[0]&=248,n[31]&=127,n[31]|=64;let s=new Uint8Array(64);s.set(n.subarray(32),32);let a=new Xl.SHA512;a.update(s.subarray(32)),a.update(e);let u=a.digest();a.clean(),Hm(u),Vm(i,u),Km(s,i),a.reset(),a.update(s.subarray(0,32)),a.update(t.subarray(32)),a.update(e);let h=a.digest();Hm(h);for(let f=0;f<32;f++)r[f]=u[f];for(let f=0;f<32;f++)for(let v=0;v<32;v++)r[f+v]+=h[f]*n[v];return M7(s.subarray(32),r),s}Kt.sign=E$;function C7(t,e){let r=Ae(),i=Ae(),n=Ae(),s=Ae(),a=Ae(),u=Ae(),h=Ae();return Qo(t[2],bu),y$(t[1],e),Wa(n,t[1]),Qt(s,n,m$),Ga(n,n,t[2]),Va(s,t[2],s),Wa(a,s),Wa(u,a),Qt(h,u,a),Qt(r,h,n),Qt(r,r,s),w$(r,r),Qt(r,r,n),Qt(r,r,s),Qt(r,r,s),Qt(t[0],r,s),Wa(i,t[0]),Qt(i,i,s),b7(i,n)&&Qt(t[0],t[0],b$),Wa(i,t[0]),Qt(i,i,s),b7(i,n)?-1:(E7(t[0])===e[31]>>7&&Ga(t[0],jm,t[0]),Qt(t[3],t[0],t[1]),0)}function A$(t,e,r){let i=new Uint8Array(32),n=[Ae(),Ae(),Ae(),Ae()],s=[Ae(),Ae(),Ae(),Ae()];if(r.length!==Kt.SIGNATURE_LENGTH)throw new Error(`ed25519: signature must be ${Kt.SIGNATURE_LENGTH} bytes`);if(C7(s,t))return!1;let a=new Xl.SHA512;a.update(r.subarray(0,32)),a.update(t),a.update(e);let u=a.digest();return Hm(u),S7(n,s,u),Vm(s,r.subarray(32)),zm(n,s),Km(i,n),!x7(r,i)}Kt.verify=A$;function S$(t){let e=[Ae(),Ae(),Ae(),Ae()];if(C7(e,t))throw new Error("Ed25519: invalid public key");let r=Ae(),i=Ae(),n=e[1];Va(r,bu,n),Ga(i,bu,n),A7(i,i),Qt(r,r,i);let s=new Uint8Array(32);return Zl(s,r),s}Kt.convertPublicKeyToX25519=S$;function I$(t){let e=(0,Xl.hash)(t.subarray(0,32));e[0]&=248,e[31]&=127,e[31]|=64;let r=new Uint8Array(e.subarray(0,32));return(0,w7.wipe)(e),r}Kt.convertSecretKeyToX25519=I$});var sx=fe((Kie,nx)=>{"use strict";function JH(t){try{return JSON.stringify(t)}catch{return'"[Circular]"'}}nx.exports=YH;function YH(t,e,r){var i=r&&r.stringify||JH,n=1;if(typeof t=="object"&&t!==null){var s=e.length+n;if(s===1)return t;var a=new Array(s);a[0]=i(t);for(var u=1;u<s;u++)a[u]=i(e[u]);return a.join(" ")}if(typeof t!="string")return t;var h=e.length;if(h===0)return t;for(var f="",v=1-n,w=-1,I=t&&t.length||0,M=0;M<I;){if(t.charCodeAt(M)===37&&M+1<I){switch(w=w>-1?w:0,t.charCodeAt(M+1)){case 100:case 102:if(v>=h||e[v]==null)break;w<M&&(f+=t.slice(w,M)),f+=Number(e[v]),w=M+2,M++;break;case 105:if(v>=h||e[v]==null)break;w<M&&(f+=t.slice(w,M)),f+=Math.floor(Number(e[v])),w=M+2,M++;break;case 79:case 111:case 106:if(v>=h||e[v]===void 0)break;w<M&&(f+=t.slice(w,M));var P=typeof e[v];if(P==="string"){f+="'"+e[v]+"'",w=M+2,M++;break}if(P==="function"){f+=e[v].name||"<anonymous>",w=M+2,M++;break}f+=i(e[v]),w=M+2,M++;break;case 115:if(v>=h)break;w<M&&(f+=t.slice(w,M)),f+=String(e[v]),w=M+2,M++;break;case 37:w<M&&(f+=t.slice(w,M)),f+="%",w=M+2,M++,v--;break}++v}++M}return w===-1?t:(w<I&&(f+=t.slice(w)),f)}});var n2=fe((Vie,ux)=>{"use strict";var ox=sx();ux.exports=Ss;var Mf=oK().console||{},QH={mapHttpRequest:D0,mapHttpResponse:D0,wrapRequestSerializer:r2,wrapResponseSerializer:r2,wrapErrorSerializer:r2,req:D0,res:D0,err:rK};function XH(t,e){return Array.isArray(t)?t.filter(function(i){return i!=="!stdSerializers.err"}):t===!0?Object.keys(e):!1}function Ss(t){t=t||{},t.browser=t.browser||{};let e=t.browser.transmit;if(e&&typeof e.send!="function")throw Error("pino: transmit option must have a send function");let r=t.browser.write||Mf;t.browser.write&&(t.browser.asObject=!0);let i=t.serializers||{},n=XH(t.browser.serialize,i),s=t.browser.serialize;Array.isArray(t.browser.serialize)&&t.browser.serialize.indexOf("!stdSerializers.err")>-1&&(s=!1);let a=["error","fatal","warn","info","debug","trace"];typeof r=="function"&&(r.error=r.fatal=r.warn=r.info=r.debug=r.trace=r),t.enabled===!1&&(t.level="silent");let u=t.level||"info",h=Object.create(r);h.log||(h.log=Cf),Object.defineProperty(h,"levelVal",{get:v}),Object.defineProperty(h,"level",{get:w,set:I});let f={transmit:e,serialize:n,asObject:t.browser.asObject,levels:a,timestamp:iK(t)};h.levels=Ss.levels,h.level=u,h.setMaxListeners=h.getMaxListeners=h.emit=h.addListener=h.on=h.prependListener=h.once=h.prependOnceListener=h.removeListener=h.removeAllListeners=h.listeners=h.listenerCount=h.eventNames=h.write=h.flush=Cf,h.serializers=i,h._serialize=n,h._stdErrSerialize=s,h.child=M,e&&(h._logEvent=i2());function v(){return this.level==="silent"?1/0:this.levels.values[this.level]}function w(){return this._level}function I(P){if(P!=="silent"&&!this.levels.values[P])throw Error("unknown level "+P);this._level=P,$u(f,h,"error","log"),$u(f,h,"fatal","error"),$u(f,h,"warn","error"),$u(f,h,"info","log"),$u(f,h,"debug","log"),$u(f,h,"trace","log")}function M(P,T){if(!P)throw new Error("missing bindings for child Pino");T=T||{},n&&P.serializers&&(T.serializers=P.serializers);let U=T.serializers;if(n&&U){var F=Object.assign({},i,U),V=t.browser.serialize===!0?Object.keys(F):n;delete P.serializers,P0([P],V,F,this._stdErrSerialize)}function z(j){this._childLevel=(j._childLevel|0)+1,this.error=ku(j,P,"error"),this.fatal=ku(j,P,"fatal"),this.warn=ku(j,P,"warn"),this.info=ku(j,P,"info"),this.debug=ku(j,P,"debug"),this.trace=ku(j,P,"trace"),F&&(this.serializers=F,this._serialize=V),e&&(this._logEvent=i2([].concat(j._logEvent.bindings,P)))}return z.prototype=this,new z(this)}return h}Ss.levels={values:{fatal:60,error:50,warn:40,info:30,debug:20,trace:10},labels:{10:"trace",20:"debug",30:"info",40:"warn",50:"error",60:"fatal"}};Ss.stdSerializers=QH;Ss.stdTimeFunctions=Object.assign({},{nullTime:ax,epochTime:cx,unixTime:nK,isoTime:sK});function $u(t,e,r,i){let n=Object.getPrototypeOf(e);e[r]=e.levelVal>e.levels.values[r]?Cf:n[r]?n[r]:Mf[r]||Mf[i]||Cf,ZH(t,e,r)}function ZH(t,e,r){!t.transmit&&e[r]===Cf||(e[r]=(function(i){return function(){let s=t.timestamp(),a=new Array(arguments.length),u=Object.getPrototypeOf&&Object.getPrototypeOf(this)===Mf?Mf:this;for(var h=0;h<a.length;h++)a[h]=arguments[h];if(t.serialize&&!t.asObject&&P0(a,this._serialize,this.serializers,this._stdErrSerialize),t.asObject?i.call(u,eK(this,r,a,s)):i.apply(u,a),t.transmit){let f=t.transmit.level||e.level,v=Ss.levels.values[f],w=Ss.levels.values[r];if(w<v)return;tK(this,{ts:s,methodLevel:r,methodValue:w,transmitLevel:f,transmitValue:Ss.levels.values[t.transmit.level||e.level],send:t.transmit.send,val:e.levelVal},a)}}})(e[r]))}function eK(t,e,r,i){t._serialize&&P0(r,t._serialize,t.serializers,t._stdErrSerialize);let n=r.slice(),s=n[0],a={};i&&(a.time=i),a.level=Ss.levels.values[e];let u=(t._childLevel|0)+1;if(u<1&&(u=1),s!==null&&typeof s=="object"){for(;u--&&typeof n[0]=="object";)Object.assign(a,n.shift());s=n.length?ox(n.shift(),n):void 0}else typeof s=="string"&&(s=ox(n.shift(),n));return s!==void 0&&(a.msg=s),a}function P0(t,e,r,i){for(let n in t)if(i&&t[n]instanceof Error)t[n]=Ss.stdSerializers.err(t[n]);else if(typeof t[n]=="object"&&!Array.isArray(t[n]))for(let s in t[n])e&&e.indexOf(s)>-1&&s in r&&(t[n][s]=r[s](t[n][s]))}function ku(t,e,r){return function(){let i=new Array(1+arguments.length);i[0]=e;for(var n=1;n<i.length;n++)i[n]=arguments[n-1];return t[r].apply(this,i)}}function tK(t,e,r){let i=e.send,n=e.ts,s=e.methodLevel,a=e.methodValue,u=e.val,h=t._logEvent.bindings;P0(r,t._serialize||Object.keys(t.serializers),t.serializers,t._stdErrSerialize===void 0?!0:t._stdErrSerialize),t._logEvent.ts=n,t._logEvent.messages=r.filter(function(f){return h.indexOf(f)===-1}),t._logEvent.level.label=s,t._logEvent.level.value=a,i(s,t._logEvent,u),t._logEvent=i2(h)}function i2(t){return{ts:0,messages:[],bindings:t||[],level:{label:"",value:0}}}function rK(t){let e={type:t.constructor.name,msg:t.message,stack:t.stack};for(let r in t)e[r]===void 0&&(e[r]=t[r]);return e}function iK(t){return typeof t.timestamp=="function"?t.timestamp:t.timestamp===!1?ax:cx}function D0(){return{}}function r2(t){return t}function Cf(){}function ax(){return!1}function cx(){return Date.now()}function nK(){return Math.round(Date.now()/1e3)}function sK(){return new Date(Date.now()).toISOString()}function oK(){function t(e){return typeof e<"u"&&e}try{return typeof globalThis<"u"||Object.defineProperty(Object.prototype,"globalThis",{get:function(){return delete Object.prototype.globalThis,this.globalThis=this},configurable:!0}),globalThis}catch{return t(self)||t(window)||t(this)||{}}}});var wx=fe(na=>{"use strict";Object.defineProperty(na,"__esModule",{value:!0});na.isBrowserCryptoAvailable=na.getSubtleCrypto=na.getBrowerCrypto=void 0;function l2(){return globalThis?.crypto||globalThis?.msCrypto||{}}na.getBrowerCrypto=l2;function yx(){let t=l2();return t.subtle||t.webkitSubtle}na.getSubtleCrypto=yx;function wK(){return!!l2()&&!!yx()}na.isBrowserCryptoAvailable=wK});var Ex=fe(sa=>{"use strict";Object.defineProperty(sa,"__esModule",{value:!0});sa.isBrowser=sa.isNode=sa.isReactNative=void 0;function _x(){return typeof document>"u"&&typeof navigator<"u"&&navigator.product==="ReactNative"}sa.isReactNative=_x;function xx(){return typeof process<"u"&&typeof process.versions<"u"&&typeof process.versions.node<"u"}sa.isNode=xx;function _K(){return!_x()&&!xx()}sa.isBrowser=_K});var f2=fe(Z0=>{"use strict";Object.defineProperty(Z0,"__esModule",{value:!0});var Ax=(Vc(),Tl(Kc));Ax.__exportStar(wx(),Z0);Ax.__exportStar(Ex(),Z0)});var Ox=fe((Ene,Px)=>{"use strict";Px.exports=function(){throw new Error("ws does not work in the browser. Browser clients must use the native WebSocket object")}});var gE=fe((Lf,Hu)=>{var RK=200,S2="__lodash_hash_undefined__",dp=1,Vx=2,Wx=9007199254740991,op="[object Arguments]",b2="[object Array]",TK="[object AsyncFunction]",Gx="[object Boolean]",Jx="[object Date]",Yx="[object Error]",Qx="[object Function]",NK="[object GeneratorFunction]",ap="[object Map]",Xx="[object Number]",LK="[object Null]",zu="[object Object]",Lx="[object Promise]",BK="[object Proxy]",Zx="[object RegExp]",cp="[object Set]",eE="[object String]",UK="[object Symbol]",FK="[object Undefined]",y2="[object WeakMap]",tE="[object ArrayBuffer]",up="[object DataView]",qK="[object Float32Array]",$K="[object Float64Array]",kK="[object Int8Array]",jK="[object Int16Array]",zK="[object Int32Array]",HK="[object Uint8Array]",KK="[object Uint8ClampedArray]",VK="[object Uint16Array]",WK="[object Uint32Array]",GK=/[\\^$.*+?()[\]{}|]/g,JK=/^\[object .+?Constructor\]$/,YK=/^(?:0|[1-9]\d*)$/,or={};or[qK]=or[$K]=or[kK]=or[jK]=or[zK]=or[HK]=or[KK]=or[VK]=or[WK]=!0;or[op]=or[b2]=or[tE]=or[Gx]=or[up]=or[Jx]=or[Yx]=or[Qx]=or[ap]=or[Xx]=or[zu]=or[Zx]=or[cp]=or[eE]=or[y2]=!1;var rE=typeof globalThis=="object"&&globalThis&&globalThis.Object===Object&&globalThis,QK=typeof self=="object"&&self&&self.Object===Object&&self,wo=rE||QK||Function("return this")(),iE=typeof Lf=="object"&&Lf&&!Lf.nodeType&&Lf,Bx=iE&&typeof Hu=="object"&&Hu&&!Hu.nodeType&&Hu,nE=Bx&&Bx.exports===iE,g2=nE&&rE.process,Ux=(function(){try{return g2&&g2.binding&&g2.binding("util")}catch{}})(),Fx=Ux&&Ux.isTypedArray;function XK(t,e){for(var r=-1,i=t==null?0:t.length,n=0,s=[];++r<i;){var a=t[r];e(a,r,t)&&(s[n++]=a)}return s}function ZK(t,e){for(var r=-1,i=e.length,n=t.length;++r<i;)t[n+r]=e[r];return t}function eV(t,e){for(var r=-1,i=t==null?0:t.length;++r<i;)if(e(t[r],r,t))return!0;return!1}function tV(t,e){for(var r=-1,i=Array(t);++r<t;)i[r]=e(r);return i}function rV(t){return function(e){return t(e)}}function iV(t,e){return t.has(e)}function nV(t,e){return t?.[e]}function sV(t){var e=-1,r=Array(t.size);return t.forEach(function(i,n){r[++e]=[n,i]}),r}function oV(t,e){return function(r){return t(e(r))}}function aV(t){var e=-1,r=Array(t.size);return t.forEach(function(i){r[++e]=i}),r}var cV=Array.prototype,uV=Function.prototype,pp=Object.prototype,m2=wo["__core-js_shared__"],sE=uV.toString,Ms=pp.hasOwnProperty,qx=(function(){var t=/[^.]+$/.exec(m2&&m2.keys&&m2.keys.IE_PROTO||"");return t?"Symbol(src)_1."+t:""})(),oE=pp.toString,lV=RegExp("^"+sE.call(Ms).replace(GK,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$"),$x=nE?wo.Buffer:void 0,lp=wo.Symbol,kx=wo.Uint8Array,aE=pp.propertyIsEnumerable,fV=cV.splice,ac=lp?lp.toStringTag:void 0,jx=Object.getOwnPropertySymbols,hV=$x?$x.isBuffer:void 0,dV=oV(Object.keys,Object),w2=Ku(wo,"DataView"),Bf=Ku(wo,"Map"),_2=Ku(wo,"Promise"),x2=Ku(wo,"Set"),E2=Ku(wo,"WeakMap"),Uf=Ku(Object,"create"),pV=lc(w2),gV=lc(Bf),mV=lc(_2),vV=lc(x2),bV=lc(E2),zx=lp?lp.prototype:void 0,v2=zx?zx.valueOf:void 0;function cc(t){var e=-1,r=t==null?0:t.length;for(this.clear();++e<r;){var i=t[e];this.set(i[0],i[1])}}function yV(){this.__data__=Uf?Uf(null):{},this.size=0}function wV(t){var e=this.has(t)&&delete this.__data__[t];return this.size-=e?1:0,e}function _V(t){var e=this.__data__;if(Uf){var r=e[t];return r===S2?void 0:r}return Ms.call(e,t)?e[t]:void 0}function xV(t){var e=this.__data__;return Uf?e[t]!==void 0:Ms.call(e,t)}function EV(t,e){var r=this.__data__;return this.size+=this.has(t)?0:1,r[t]=Uf&&e===void 0?S2:e,this}cc.prototype.clear=yV;cc.prototype.delete=wV;cc.prototype.get=_V;cc.prototype.has=xV;cc.prototype.set=EV;function _o(t){var e=-1,r=t==null?0:t.length;for(this.clear();++e<r;){var i=t[e];this.set(i[0],i[1])}}function AV(){this.__data__=[],this.size=0}function SV(t){var e=this.__data__,r=gp(e,t);if(r<0)return!1;var i=e.length-1;return r==i?e.pop():fV.call(e,r,1),--this.size,!0}function IV(t){var e=this.__data__,r=gp(e,t);return r<0?void 0:e[r][1]}function MV(t){return gp(this.__data__,t)>-1}function CV(t,e){var r=this.__data__,i=gp(r,t);return i<0?(++this.size,r.push([t,e])):r[i][1]=e,this}_o.prototype.clear=AV;_o.prototype.delete=SV;_o.prototype.get=IV;_o.prototype.has=MV;_o.prototype.set=CV;function uc(t){var e=-1,r=t==null?0:t.length;for(this.clear();++e<r;){var i=t[e];this.set(i[0],i[1])}}function DV(){this.size=0,this.__data__={hash:new cc,map:new(Bf||_o),string:new cc}}function PV(t){var e=mp(this,t).delete(t);return this.size-=e?1:0,e}function OV(t){return mp(this,t).get(t)}function RV(t){return mp(this,t).has(t)}function TV(t,e){var r=mp(this,t),i=r.size;return r.set(t,e),this.size+=r.size==i?0:1,this}uc.prototype.clear=DV;uc.prototype.delete=PV;uc.prototype.get=OV;uc.prototype.has=RV;uc.prototype.set=TV;function fp(t){var e=-1,r=t==null?0:t.length;for(this.__data__=new uc;++e<r;)this.add(t[e])}function NV(t){return this.__data__.set(t,S2),this}function LV(t){return this.__data__.has(t)}fp.prototype.add=fp.prototype.push=NV;fp.prototype.has=LV;function ua(t){var e=this.__data__=new _o(t);this.size=e.size}function BV(){this.__data__=new _o,this.size=0}function UV(t){var e=this.__data__,r=e.delete(t);return this.size=e.size,r}function FV(t){return this.__data__.get(t)}function qV(t){return this.__data__.has(t)}function $V(t,e){var r=this.__data__;if(r instanceof _o){var i=r.__data__;if(!Bf||i.length<RK-1)return i.push([t,e]),this.size=++r.size,this;r=this.__data__=new uc(i)}return r.set(t,e),this.size=r.size,this}ua.prototype.clear=BV;ua.prototype.delete=UV;ua.prototype.get=FV;ua.prototype.has=qV;ua.prototype.set=$V;function kV(t,e){var r=hp(t),i=!r&&rW(t),n=!r&&!i&&A2(t),s=!r&&!i&&!n&&pE(t),a=r||i||n||s,u=a?tV(t.length,String):[],h=u.length;for(var f in t)(e||Ms.call(t,f))&&!(a&&(f=="length"||n&&(f=="offset"||f=="parent")||s&&(f=="buffer"||f=="byteLength"||f=="byteOffset")||QV(f,h)))&&u.push(f);return u}function gp(t,e){for(var r=t.length;r--;)if(lE(t[r][0],e))return r;return-1}function jV(t,e,r){var i=e(t);return hp(t)?i:ZK(i,r(t))}function qf(t){return t==null?t===void 0?FK:LK:ac&&ac in Object(t)?JV(t):tW(t)}function Hx(t){return Ff(t)&&qf(t)==op}function cE(t,e,r,i,n){return t===e?!0:t==null||e==null||!Ff(t)&&!Ff(e)?t!==t&&e!==e:zV(t,e,r,i,cE,n)}function zV(t,e,r,i,n,s){var a=hp(t),u=hp(e),h=a?b2:ca(t),f=u?b2:ca(e);h=h==op?zu:h,f=f==op?zu:f;var v=h==zu,w=f==zu,I=h==f;if(I&&A2(t)){if(!A2(e))return!1;a=!0,v=!1}if(I&&!v)return s||(s=new ua),a||pE(t)?uE(t,e,r,i,n,s):WV(t,e,h,r,i,n,s);if(!(r&dp)){var M=v&&Ms.call(t,"__wrapped__"),P=w&&Ms.call(e,"__wrapped__");if(M||P){var T=M?t.value():t,U=P?e.value():e;return s||(s=new ua),n(T,U,r,i,s)}}return I?(s||(s=new ua),GV(t,e,r,i,n,s)):!1}function HV(t){if(!dE(t)||ZV(t))return!1;var e=fE(t)?lV:JK;return e.test(lc(t))}function KV(t){return Ff(t)&&hE(t.length)&&!!or[qf(t)]}function VV(t){if(!eW(t))return dV(t);var e=[];for(var r in Object(t))Ms.call(t,r)&&r!="constructor"&&e.push(r);return e}function uE(t,e,r,i,n,s){var a=r&dp,u=t.length,h=e.length;if(u!=h&&!(a&&h>u))return!1;var f=s.get(t);if(f&&s.get(e))return f==e;var v=-1,w=!0,I=r&Vx?new fp:void 0;for(s.set(t,e),s.set(e,t);++v<u;){var M=t[v],P=e[v];if(i)var T=a?i(P,M,v,e,t,s):i(M,P,v,t,e,s);if(T!==void 0){if(T)continue;w=!1;break}if(I){if(!eV(e,function(U,F){if(!iV(I,F)&&(M===U||n(M,U,r,i,s)))return I.push(F)})){w=!1;break}}else if(!(M===P||n(M,P,r,i,s))){w=!1;break}}return s.delete(t),s.delete(e),w}function WV(t,e,r,i,n,s,a){switch(r){case up:if(t.byteLength!=e.byteLength||t.byteOffset!=e.byteOffset)return!1;t=t.buffer,e=e.buffer;case tE:return!(t.byteLength!=e.byteLength||!s(new kx(t),new kx(e)));case Gx:case Jx:case Xx:return lE(+t,+e);case Yx:return t.name==e.name&&t.message==e.message;case Zx:case eE:return t==e+"";case ap:var u=sV;case cp:var h=i&dp;if(u||(u=aV),t.size!=e.size&&!h)return!1;var f=a.get(t);if(f)return f==e;i|=Vx,a.set(t,e);var v=uE(u(t),u(e),i,n,s,a);return a.delete(t),v;case UK:if(v2)return v2.call(t)==v2.call(e)}return!1}function GV(t,e,r,i,n,s){var a=r&dp,u=Kx(t),h=u.length,f=Kx(e),v=f.length;if(h!=v&&!a)return!1;for(var w=h;w--;){var I=u[w];if(!(a?I in e:Ms.call(e,I)))return!1}var M=s.get(t);if(M&&s.get(e))return M==e;var P=!0;s.set(t,e),s.set(e,t);for(var T=a;++w<h;){I=u[w];var U=t[I],F=e[I];if(i)var V=a?i(F,U,I,e,t,s):i(U,F,I,t,e,s);if(!(V===void 0?U===F||n(U,F,r,i,s):V)){P=!1;break}T||(T=I=="constructor")}if(P&&!T){var z=t.constructor,j=e.constructor;z!=j&&"constructor"in t&&"constructor"in e&&!(typeof z=="function"&&z instanceof z&&typeof j=="function"&&j instanceof j)&&(P=!1)}return s.delete(t),s.delete(e),P}function Kx(t){return jV(t,sW,YV)}function mp(t,e){var r=t.__data__;return XV(e)?r[typeof e=="string"?"string":"hash"]:r.map}function Ku(t,e){var r=nV(t,e);return HV(r)?r:void 0}function JV(t){var e=Ms.call(t,ac),r=t[ac];try{t[ac]=void 0;var i=!0}catch{}var n=oE.call(t);return i&&(e?t[ac]=r:delete t[ac]),n}var YV=jx?function(t){return t==null?[]:(t=Object(t),XK(jx(t),function(e){return aE.call(t,e)}))}:oW,ca=qf;(w2&&ca(new w2(new ArrayBuffer(1)))!=up||Bf&&ca(new Bf)!=ap||_2&&ca(_2.resolve())!=Lx||x2&&ca(new x2)!=cp||E2&&ca(new E2)!=y2)&&(ca=function(t){var e=qf(t),r=e==zu?t.constructor:void 0,i=r?lc(r):"";if(i)switch(i){case pV:return up;case gV:return ap;case mV:return Lx;case vV:return cp;case bV:return y2}return e});function QV(t,e){return e=e??Wx,!!e&&(typeof t=="number"||YK.test(t))&&t>-1&&t%1==0&&t<e}function XV(t){var e=typeof t;return e=="string"||e=="number"||e=="symbol"||e=="boolean"?t!=="__proto__":t===null}function ZV(t){return!!qx&&qx in t}function eW(t){var e=t&&t.constructor,r=typeof e=="function"&&e.prototype||pp;return t===r}function tW(t){return oE.call(t)}function lc(t){if(t!=null){try{return sE.call(t)}catch{}try{return t+""}catch{}}return""}function lE(t,e){return t===e||t!==t&&e!==e}var rW=Hx((function(){return arguments})())?Hx:function(t){return Ff(t)&&Ms.call(t,"callee")&&!aE.call(t,"callee")},hp=Array.isArray;function iW(t){return t!=null&&hE(t.length)&&!fE(t)}var A2=hV||aW;function nW(t,e){return cE(t,e)}function fE(t){if(!dE(t))return!1;var e=qf(t);return e==Qx||e==NK||e==TK||e==BK}function hE(t){return typeof t=="number"&&t>-1&&t%1==0&&t<=Wx}function dE(t){var e=typeof t;return t!=null&&(e=="object"||e=="function")}function Ff(t){return t!=null&&typeof t=="object"}var pE=Fx?rV(Fx):KV;function sW(t){return iW(t)?kV(t):VV(t)}function oW(){return[]}function aW(){return!1}Hu.exports=nW});var oA=fe((da,sA)=>{var xp=typeof globalThis<"u"&&globalThis||typeof self<"u"&&self||typeof globalThis<"u"&&globalThis,Ep=(function(){function t(){this.fetch=!1,this.DOMException=xp.DOMException}return t.prototype=xp,new t})();(function(t){var e=(function(r){var i=typeof t<"u"&&t||typeof self<"u"&&self||typeof t<"u"&&t||{},n={searchParams:"URLSearchParams"in i,iterable:"Symbol"in i&&"iterator"in Symbol,blob:"FileReader"in i&&"Blob"in i&&(function(){try{return new Blob,!0}catch{return!1}})(),formData:"FormData"in i,arrayBuffer:"ArrayBuffer"in i};function s(d){return d&&DataView.prototype.isPrototypeOf(d)}if(n.arrayBuffer)var a=["[object Int8Array]","[object Uint8Array]","[object Uint8ClampedArray]","[object Int16Array]","[object Uint16Array]","[object Int32Array]","[object Uint32Array]","[object Float32Array]","[object Float64Array]"],u=ArrayBuffer.isView||function(d){return d&&a.indexOf(Object.prototype.toString.call(d))>-1};function h(d){if(typeof d!="string"&&(d=String(d)),/[^a-z0-9\-#$%&'*+.^_`|~!]/i.test(d)||d==="")throw new TypeError('Invalid character in header field name: "'+d+'"');return d.toLowerCase()}function f(d){return typeof d!="string"&&(d=String(d)),d}function v(d){var y={next:function(){var l=d.shift();return{done:l===void 0,value:l}}};return n.iterable&&(y[Symbol.iterator]=function(){return y}),y}function w(d){this.map={},d instanceof w?d.forEach(function(y,l){this.append(l,y)},this):Array.isArray(d)?d.forEach(function(y){if(y.length!=2)throw new TypeError("Headers constructor: expected name/value pair to be length 2, found"+y.length);this.append(y[0],y[1])},this):d&&Object.getOwnPropertyNames(d).forEach(function(y){this.append(y,d[y])},this)}w.prototype.append=function(d,y){d=h(d),y=f(y);var l=this.map[d];this.map[d]=l?l+", "+y:y},w.prototype.delete=function(d){delete this.map[h(d)]},w.prototype.get=function(d){return d=h(d),this.has(d)?this.map[d]:null},w.prototype.has=function(d){return this.map.hasOwnProperty(h(d))},w.prototype.set=function(d,y){this.map[h(d)]=f(y)},w.prototype.forEach=function(d,y){for(var l in this.map)this.map.hasOwnProperty(l)&&d.call(y,this.map[l],l,this)},w.prototype.keys=function(){var d=[];return this.forEach(function(y,l){d.push(l)}),v(d)},w.prototype.values=function(){var d=[];return this.forEach(function(y){d.push(y)}),v(d)},w.prototype.entries=function(){var d=[];return this.forEach(function(y,l){d.push([l,y])}),v(d)},n.iterable&&(w.prototype[Symbol.iterator]=w.prototype.entries);function I(d){if(!d._noBody){if(d.bodyUsed)return Promise.reject(new TypeError("Already read"));d.bodyUsed=!0}}function M(d){return new Promise(function(y,l){d.onload=function(){y(d.result)},d.onerror=function(){l(d.error)}})}function P(d){var y=new FileReader,l=M(y);return y.readAsArrayBuffer(d),l}function T(d){var y=new FileReader,l=M(y),g=/charset=([A-Za-z0-9_-]+)/.exec(d.type),b=g?g[1]:"utf-8";return y.readAsText(d,b),l}function U(d){for(var y=new Uint8Array(d),l=new Array(y.length),g=0;g<y.length;g++)l[g]=String.fromCharCode(y[g]);return l.join("")}function F(d){if(d.slice)return d.slice(0);var y=new Uint8Array(d.byteLength);return y.set(new Uint8Array(d)),y.buffer}function V(){return this.bodyUsed=!1,this._initBody=function(d){this.bodyUsed=this.bodyUsed,this._bodyInit=d,d?typeof d=="string"?this._bodyText=d:n.blob&&Blob.prototype.isPrototypeOf(d)?this._bodyBlob=d:n.formData&&FormData.prototype.isPrototypeOf(d)?this._bodyFormData=d:n.searchParams&&URLSearchParams.prototype.isPrototypeOf(d)?this._bodyText=d.toString():n.arrayBuffer&&n.blob&&s(d)?(this._bodyArrayBuffer=F(d.buffer),this._bodyInit=new Blob([this._bodyArrayBuffer])):n.arrayBuffer&&(ArrayBuffer.prototype.isPrototypeOf(d)||u(d))?this._bodyArrayBuffer=F(d):this._bodyText=d=Object.prototype.toString.call(d):(this._noBody=!0,this._bodyText=""),this.headers.get("content-type")||(typeof d=="string"?this.headers.set("content-type","text/plain;charset=UTF-8"):this._bodyBlob&&this._bodyBlob.type?this.headers.set("content-type",this._bodyBlob.type):n.searchParams&&URLSearchParams.prototype.isPrototypeOf(d)&&this.headers.set("content-type","application/x-www-form-urlencoded;charset=UTF-8"))},n.blob&&(this.blob=function(){var d=I(this);if(d)return d;if(this._bodyBlob)return Promise.resolve(this._bodyBlob);if(this._bodyArrayBuffer)return Promise.resolve(new Blob([this._bodyArrayBuffer]));if(this._bodyFormData)throw new Error("could not read FormData body as blob");return Promise.resolve(new Blob([this._bodyText]))}),this.arrayBuffer=function(){if(this._bodyArrayBuffer){var d=I(this);return d||(ArrayBuffer.isView(this._bodyArrayBuffer)?Promise.resolve(this._bodyArrayBuffer.buffer.slice(this._bodyArrayBuffer.byteOffset,this._bodyArrayBuffer.byteOffset+this._bodyArrayBuffer.byteLength)):Promise.resolve(this._bodyArrayBuffer))}else{if(n.blob)return this.blob().then(P);throw new Error("could not read as ArrayBuffer")}},this.text=function(){var d=I(this);if(d)return d;if(this._bodyBlob)return T(this._bodyBlob);if(this._bodyArrayBuffer)return Promise.resolve(U(this._bodyArrayBuffer));if(this._bodyFormData)throw new Error("could not read FormData body as text");return Promise.resolve(this._bodyText)},n.formData&&(this.formData=function(){return this.text().then(ee)}),this.json=function(){return this.text().then(JSON.parse)},this}var z=["CONNECT","DELETE","GET","HEAD","OPTIONS","PATCH","POST","PUT","TRACE"];function j(d){var y=d.toUpperCase();return z.indexOf(y)>-1?y:d}function H(d,y){if(!(this instanceof H))throw new TypeError('Please use the "new" operator, this DOM object constructor cannot be called as a function.');y=y||{};var l=y.body;if(d instanceof H){if(d.bodyUsed)throw new TypeError("Already read");this.url=d.url,this.credentials=d.credentials,y.headers||(this.headers=new w(d.headers)),this.method=d.method,this.mode=d.mode,this.signal=d.signal,!l&&d._bodyInit!=null&&(l=d._bodyInit,d.bodyUsed=!0)}else this.url=String(d);if(this.credentials=y.credentials||this.credentials||"same-origin",(y.headers||!this.headers)&&(this.headers=new w(y.headers)),this.method=j(y.method||this.method||"GET"),this.mode=y.mode||this.mode||null,this.signal=y.signal||this.signal||(function(){if("AbortController"in i){var A=new AbortController;return A.signal}})(),this.referrer=null,(this.method==="GET"||this.method==="HEAD")&&l)throw new TypeError("Body not allowed for GET or HEAD requests");if(this._initBody(l),(this.method==="GET"||this.method==="HEAD")&&(y.cache==="no-store"||y.cache==="no-cache")){var g=/([?&])_=[^&]*/;if(g.test(this.url))this.url=this.url.replace(g,"$1_="+new Date().getTime());else{var b=/\?/;this.url+=(b.test(this.url)?"&":"?")+"_="+new Date().getTime()}}}H.prototype.clone=function(){return new H(this,{body:this._bodyInit})};function ee(d){var y=new FormData;return d.trim().split("&").forEach(function(l){if(l){var g=l.split("="),b=g.shift().replace(/\+/g," "),A=g.join("=").replace(/\+/g," ");y.append(decodeURIComponent(b),decodeURIComponent(A))}}),y}function $(d){var y=new w,l=d.replace(/\r?\n[\t ]+/g," ");return l.split("\r").map(function(g){return g.indexOf(`
+`)===0?g.substr(1,g.length):g}).forEach(function(g){var b=g.split(":"),A=b.shift().trim();if(A){var C=b.join(":").trim();try{y.append(A,C)}catch(S){console.warn("Response "+S.message)}}}),y}V.call(H.prototype);function q(d,y){if(!(this instanceof q))throw new TypeError('Please use the "new" operator, this DOM object constructor cannot be called as a function.');if(y||(y={}),this.type="default",this.status=y.status===void 0?200:y.status,this.status<200||this.status>599)throw new RangeError("Failed to construct 'Response': The status provided (0) is outside the range [200, 599].");this.ok=this.status>=200&&this.status<300,this.statusText=y.statusText===void 0?"":""+y.statusText,this.headers=new w(y.headers),this.url=y.url||"",this._initBody(d)}V.call(q.prototype),q.prototype.clone=function(){return new q(this._bodyInit,{status:this.status,statusText:this.statusText,headers:new w(this.headers),url:this.url})},q.error=function(){var d=new q(null,{status:200,statusText:""});return d.ok=!1,d.status=0,d.type="error",d};var X=[301,302,303,307,308];q.redirect=function(d,y){if(X.indexOf(y)===-1)throw new RangeError("Invalid status code");return new q(null,{status:y,headers:{location:d}})},r.DOMException=i.DOMException;try{new r.DOMException}catch{r.DOMException=function(y,l){this.message=y,this.name=l;var g=Error(y);this.stack=g.stack},r.DOMException.prototype=Object.create(Error.prototype),r.DOMException.prototype.constructor=r.DOMException}function N(d,y){return new Promise(function(l,g){var b=new H(d,y);if(b.signal&&b.signal.aborted)return g(new r.DOMException("Aborted","AbortError"));var A=new XMLHttpRequest;function C(){A.abort()}A.onload=function(){var E={statusText:A.statusText,headers:$(A.getAllResponseHeaders()||"")};b.url.indexOf("file://")===0&&(A.status<200||A.status>599)?E.status=200:E.status=A.status,E.url="responseURL"in A?A.responseURL:E.headers.get("X-Request-URL");var _="response"in A?A.response:A.responseText;setTimeout(function(){l(new q(_,E))},0)},A.onerror=function(){setTimeout(function(){g(new TypeError("Network request failed"))},0)},A.ontimeout=function(){setTimeout(function(){g(new TypeError("Network request timed out"))},0)},A.onabort=function(){setTimeout(function(){g(new r.DOMException("Aborted","AbortError"))},0)};function S(E){try{return E===""&&i.location.href?i.location.href:E}catch{return E}}if(A.open(b.method,S(b.url),!0),b.credentials==="include"?A.withCredentials=!0:b.credentials==="omit"&&(A.withCredentials=!1),"responseType"in A&&(n.blob?A.responseType="blob":n.arrayBuffer&&(A.responseType="arraybuffer")),y&&typeof y.headers=="object"&&!(y.headers instanceof w||i.Headers&&y.headers instanceof i.Headers)){var m=[];Object.getOwnPropertyNames(y.headers).forEach(function(E){m.push(h(E)),A.setRequestHeader(E,f(y.headers[E]))}),b.headers.forEach(function(E,_){m.indexOf(_)===-1&&A.setRequestHeader(_,E)})}else b.headers.forEach(function(E,_){A.setRequestHeader(_,E)});b.signal&&(b.signal.addEventListener("abort",C),A.onreadystatechange=function(){A.readyState===4&&b.signal.removeEventListener("abort",C)}),A.send(typeof b._bodyInit>"u"?null:b._bodyInit)})}return N.polyfill=!0,i.fetch||(i.fetch=N,i.Headers=w,i.Request=H,i.Response=q),r.Headers=w,r.Request=H,r.Response=q,r.fetch=N,Object.defineProperty(r,"__esModule",{value:!0}),r})({})})(Ep);Ep.fetch.ponyfill=!0;delete Ep.fetch.polyfill;var Yu=xp.fetch?xp:Ep;da=Yu.fetch;da.default=Yu.fetch;da.fetch=Yu.fetch;da.Headers=Yu.Headers;da.Request=Yu.Request;da.Response=Yu.Response;sA.exports=da});var SY,OA,Cb,IY,RA,Db,TA=be(()=>{SY=Symbol(),OA=Object.getPrototypeOf,Cb=new WeakMap,IY=t=>t&&(Cb.has(t)?Cb.get(t):OA(t)===Object.prototype||OA(t)===Array.prototype),RA=t=>IY(t)&&t[SY]||null,Db=(t,e=!0)=>{Cb.set(t,e)}});function Eo(t={}){return CY(t)}function ga(t,e,r){let i=pa.get(t);(import.meta.env?import.meta.env.MODE:void 0)!=="production"&&!i&&console.warn("Please use proxy object");let n,s=[],a=i[3],u=!1,f=a(v=>{if(s.push(v),r){e(s.splice(0));return}n||(n=Promise.resolve().then(()=>{n=void 0,u&&e(s.splice(0))}))});return u=!0,()=>{u=!1,f()}}function NA(t,e){let r=pa.get(t);(import.meta.env?import.meta.env.MODE:void 0)!=="production"&&!r&&console.warn("Please use proxy object");let[i,n,s]=r;return s(i,n(),e)}var Pb,pa,Ip,MY,CY,LA=be(()=>{TA();Pb=t=>typeof t=="object"&&t!==null,pa=new WeakMap,Ip=new WeakSet,MY=(t=Object.is,e=(f,v)=>new Proxy(f,v),r=f=>Pb(f)&&!Ip.has(f)&&(Array.isArray(f)||!(Symbol.iterator in f))&&!(f instanceof WeakMap)&&!(f instanceof WeakSet)&&!(f instanceof Error)&&!(f instanceof Number)&&!(f instanceof Date)&&!(f instanceof String)&&!(f instanceof RegExp)&&!(f instanceof ArrayBuffer),i=f=>{switch(f.status){case"fulfilled":return f.value;case"rejected":throw f.reason;default:throw f}},n=new WeakMap,s=(f,v,w=i)=>{let I=n.get(f);if(I?.[0]===v)return I[1];let M=Array.isArray(f)?[]:Object.create(Object.getPrototypeOf(f));return Db(M,!0),n.set(f,[v,M]),Reflect.ownKeys(f).forEach(P=>{if(Object.getOwnPropertyDescriptor(M,P))return;let T=Reflect.get(f,P),U={value:T,enumerable:!0,configurable:!0};if(Ip.has(T))Db(T,!1);else if(T instanceof Promise)delete U.value,U.get=()=>w(T);else if(pa.has(T)){let[F,V]=pa.get(T);U.value=s(F,V(),w)}Object.defineProperty(M,P,U)}),Object.preventExtensions(M)},a=new WeakMap,u=[1,1],h=f=>{if(!Pb(f))throw new Error("object required");let v=a.get(f);if(v)return v;let w=u[0],I=new Set,M=(X,N=++u[0])=>{w!==N&&(w=N,I.forEach(d=>d(X,N)))},P=u[1],T=(X=++u[1])=>(P!==X&&!I.size&&(P=X,F.forEach(([N])=>{let d=N[1](X);d>w&&(w=d)})),w),U=X=>(N,d)=>{let y=[...N];y[1]=[X,...y[1]],M(y,d)},F=new Map,V=(X,N)=>{if((import.meta.env?import.meta.env.MODE:void 0)!=="production"&&F.has(X))throw new Error("prop listener already exists");if(I.size){let d=N[3](U(X));F.set(X,[N,d])}else F.set(X,[N])},z=X=>{var N;let d=F.get(X);d&&(F.delete(X),(N=d[1])==null||N.call(d))},j=X=>(I.add(X),I.size===1&&F.forEach(([d,y],l)=>{if((import.meta.env?import.meta.env.MODE:void 0)!=="production"&&y)throw new Error("remove already exists");let g=d[3](U(l));F.set(l,[d,g])}),()=>{I.delete(X),I.size===0&&F.forEach(([d,y],l)=>{y&&(y(),F.set(l,[d]))})}),H=Array.isArray(f)?[]:Object.create(Object.getPrototypeOf(f)),$=e(H,{deleteProperty(X,N){let d=Reflect.get(X,N);z(N);let y=Reflect.deleteProperty(X,N);return y&&M(["delete",[N],d]),y},set(X,N,d,y){let l=Reflect.has(X,N),g=Reflect.get(X,N,y);if(l&&(t(g,d)||a.has(d)&&t(g,a.get(d))))return!0;z(N),Pb(d)&&(d=RA(d)||d);let b=d;if(d instanceof Promise)d.then(A=>{d.status="fulfilled",d.value=A,M(["resolve",[N],A])}).catch(A=>{d.status="rejected",d.reason=A,M(["reject",[N],A])});else{!pa.has(d)&&r(d)&&(b=h(d));let A=!Ip.has(b)&&pa.get(b);A&&V(N,A)}return Reflect.set(X,N,b,y),M(["set",[N],d,g]),!0}});a.set(f,$);let q=[H,T,s,j];return pa.set($,q),Reflect.ownKeys(f).forEach(X=>{let N=Object.getOwnPropertyDescriptor(f,X);"value"in N&&($[X]=f[X],delete N.value,delete N.writable),Object.defineProperty(H,X,N)}),$})=>[h,pa,Ip,t,e,r,i,n,s,a,u],[CY]=MY()});async function Cp(t,e){let r=TY({sdkType:Rb,sdkVersion:Tb},e),i=new URL(t,Ob);return i.searchParams.append("projectId",wi.state.projectId),Object.entries(r).forEach(([s,a])=>{a&&i.searchParams.append(s,String(a))}),(await fetch(i)).json()}function jY(){return typeof matchMedia<"u"&&matchMedia("(prefers-color-scheme: dark)").matches}var $r,lr,_e,DY,ui,Nb,Ts,pr,Mp,wi,PY,BA,OY,RY,UA,TY,Ob,Rb,Tb,dc,NY,FA,LY,BY,qA,UY,$A,Ns,_i,Xu,Ao,FY,kA,qY,$Y,jA,kY,Kf,Ls,pc,So,Lb=be(()=>{LA();$r=Eo({history:["ConnectWallet"],view:"ConnectWallet",data:void 0}),lr={state:$r,subscribe(t){return ga($r,()=>t($r))},push(t,e){t!==$r.view&&($r.view=t,e&&($r.data=e),$r.history.push(t))},reset(t){$r.view=t,$r.history=[t]},replace(t){$r.history.length>1&&($r.history[$r.history.length-1]=t,$r.view=t)},goBack(){if($r.history.length>1){$r.history.pop();let[t]=$r.history.slice(-1);$r.view=t}},setData(t){$r.data=t}},_e={WALLETCONNECT_DEEPLINK_CHOICE:"WALLETCONNECT_DEEPLINK_CHOICE",WCM_VERSION:"WCM_VERSION",RECOMMENDED_WALLET_AMOUNT:9,isMobile(){return typeof window<"u"?!!(window.matchMedia("(pointer:coarse)").matches||/Android|webOS|iPhone|iPad|iPod|BlackBerry|Opera Mini/u.test(navigator.userAgent)):!1},isAndroid(){return _e.isMobile()&&navigator.userAgent.toLowerCase().includes("android")},isIos(){let t=navigator.userAgent.toLowerCase();return _e.isMobile()&&(t.includes("iphone")||t.includes("ipad"))},isHttpUrl(t){return t.startsWith("http://")||t.startsWith("https://")},isArray(t){return Array.isArray(t)&&t.length>0},isTelegram(){return typeof window<"u"&&(!!window.TelegramWebviewProxy||!!window.Telegram||!!window.TelegramWebviewProxyProto)},formatNativeUrl(t,e,r){if(_e.isHttpUrl(t))return this.formatUniversalUrl(t,e,r);let i=t;i.includes("://")||(i=t.replaceAll("/","").replaceAll(":",""),i=`${i}://`),i.endsWith("/")||(i=`${i}/`),this.setWalletConnectDeepLink(i,r);let n=encodeURIComponent(e);return`${i}wc?uri=${n}`},formatUniversalUrl(t,e,r){if(!_e.isHttpUrl(t))return this.formatNativeUrl(t,e,r);let i=t;if(i.startsWith("https://t.me")){let s=Buffer.from(e).toString("base64").replace(/[=]/g,"");i.endsWith("/")&&(i=i.slice(0,-1)),this.setWalletConnectDeepLink(i,r);let a=new URL(i);return a.searchParams.set("startapp",s),a.toString()}i.endsWith("/")||(i=`${i}/`),this.setWalletConnectDeepLink(i,r);let n=encodeURIComponent(e);return`${i}wc?uri=${n}`},async wait(t){return new Promise(e=>{setTimeout(e,t)})},openHref(t,e){let r=this.isTelegram()?"_blank":e;window.open(t,r,"noreferrer noopener")},setWalletConnectDeepLink(t,e){try{localStorage.setItem(_e.WALLETCONNECT_DEEPLINK_CHOICE,JSON.stringify({href:t,name:e}))}catch{console.info("Unable to set WalletConnect deep link")}},setWalletConnectAndroidDeepLink(t){try{let[e]=t.split("?");localStorage.setItem(_e.WALLETCONNECT_DEEPLINK_CHOICE,JSON.stringify({href:e,name:"Android"}))}catch{console.info("Unable to set WalletConnect android deep link")}},removeWalletConnectDeepLink(){try{localStorage.removeItem(_e.WALLETCONNECT_DEEPLINK_CHOICE)}catch{console.info("Unable to remove WalletConnect deep link")}},setModalVersionInStorage(){try{typeof localStorage<"u"&&localStorage.setItem(_e.WCM_VERSION,"2.7.0")}catch{console.info("Unable to set Web3Modal version in storage")}},getWalletRouterData(){var t;let e=(t=lr.state.data)==null?void 0:t.Wallet;if(!e)throw new Error('Missing "Wallet" view data');return e}},DY=typeof location<"u"&&(location.hostname.includes("localhost")||location.protocol.includes("https")),ui=Eo({enabled:DY,userSessionId:"",events:[],connectedWalletId:void 0}),Nb={state:ui,subscribe(t){return ga(ui.events,()=>t(NA(ui.events[ui.events.length-1])))},initialize(){ui.enabled&&typeof(crypto==null?void 0:crypto.randomUUID)<"u"&&(ui.userSessionId=crypto.randomUUID())},setConnectedWalletId(t){ui.connectedWalletId=t},click(t){if(ui.enabled){let e={type:"CLICK",name:t.name,userSessionId:ui.userSessionId,timestamp:Date.now(),data:t};ui.events.push(e)}},track(t){if(ui.enabled){let e={type:"TRACK",name:t.name,userSessionId:ui.userSessionId,timestamp:Date.now(),data:t};ui.events.push(e)}},view(t){if(ui.enabled){let e={type:"VIEW",name:t.name,userSessionId:ui.userSessionId,timestamp:Date.now(),data:t};ui.events.push(e)}}},Ts=Eo({chains:void 0,walletConnectUri:void 0,isAuth:!1,isCustomDesktop:!1,isCustomMobile:!1,isDataLoaded:!1,isUiLoaded:!1}),pr={state:Ts,subscribe(t){return ga(Ts,()=>t(Ts))},setChains(t){Ts.chains=t},setWalletConnectUri(t){Ts.walletConnectUri=t},setIsCustomDesktop(t){Ts.isCustomDesktop=t},setIsCustomMobile(t){Ts.isCustomMobile=t},setIsDataLoaded(t){Ts.isDataLoaded=t},setIsUiLoaded(t){Ts.isUiLoaded=t},setIsAuth(t){Ts.isAuth=t}},Mp=Eo({projectId:"",mobileWallets:void 0,desktopWallets:void 0,walletImages:void 0,chains:void 0,enableAuthMode:!1,enableExplorer:!0,explorerExcludedWalletIds:void 0,explorerRecommendedWalletIds:void 0,termsOfServiceUrl:void 0,privacyPolicyUrl:void 0}),wi={state:Mp,subscribe(t){return ga(Mp,()=>t(Mp))},setConfig(t){var e,r;Nb.initialize(),pr.setChains(t.chains),pr.setIsAuth(!!t.enableAuthMode),pr.setIsCustomMobile(!!((e=t.mobileWallets)!=null&&e.length)),pr.setIsCustomDesktop(!!((r=t.desktopWallets)!=null&&r.length)),_e.setModalVersionInStorage(),Object.assign(Mp,t)}},PY=Object.defineProperty,BA=Object.getOwnPropertySymbols,OY=Object.prototype.hasOwnProperty,RY=Object.prototype.propertyIsEnumerable,UA=(t,e,r)=>e in t?PY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,TY=(t,e)=>{for(var r in e||(e={}))OY.call(e,r)&&UA(t,r,e[r]);if(BA)for(var r of BA(e))RY.call(e,r)&&UA(t,r,e[r]);return t},Ob="https://explorer-api.walletconnect.com",Rb="wcm",Tb="js-2.7.0";dc={async getDesktopListings(t){return Cp("/w3m/v1/getDesktopListings",t)},async getMobileListings(t){return Cp("/w3m/v1/getMobileListings",t)},async getInjectedListings(t){return Cp("/w3m/v1/getInjectedListings",t)},async getAllListings(t){return Cp("/w3m/v1/getAllListings",t)},getWalletImageUrl(t){return`${Ob}/w3m/v1/getWalletImage/${t}?projectId=${wi.state.projectId}&sdkType=${Rb}&sdkVersion=${Tb}`},getAssetImageUrl(t){return`${Ob}/w3m/v1/getAssetImage/${t}?projectId=${wi.state.projectId}&sdkType=${Rb}&sdkVersion=${Tb}`}},NY=Object.defineProperty,FA=Object.getOwnPropertySymbols,LY=Object.prototype.hasOwnProperty,BY=Object.prototype.propertyIsEnumerable,qA=(t,e,r)=>e in t?NY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,UY=(t,e)=>{for(var r in e||(e={}))LY.call(e,r)&&qA(t,r,e[r]);if(FA)for(var r of FA(e))BY.call(e,r)&&qA(t,r,e[r]);return t},$A=_e.isMobile(),Ns=Eo({wallets:{listings:[],total:0,page:1},search:{listings:[],total:0,page:1},recomendedWallets:[]}),_i={state:Ns,async getRecomendedWallets(){let{explorerRecommendedWalletIds:t,explorerExcludedWalletIds:e}=wi.state;if(t==="NONE"||e==="ALL"&&!t)return Ns.recomendedWallets;if(_e.isArray(t)){let i={recommendedIds:t.join(",")},{listings:n}=await dc.getAllListings(i),s=Object.values(n);s.sort((a,u)=>{let h=t.indexOf(a.id),f=t.indexOf(u.id);return h-f}),Ns.recomendedWallets=s}else{let{chains:r,isAuth:i}=pr.state,n=r?.join(","),s=_e.isArray(e),a={page:1,sdks:i?"auth_v1":void 0,entries:_e.RECOMMENDED_WALLET_AMOUNT,chains:n,version:2,excludedIds:s?e.join(","):void 0},{listings:u}=$A?await dc.getMobileListings(a):await dc.getDesktopListings(a);Ns.recomendedWallets=Object.values(u)}return Ns.recomendedWallets},async getWallets(t){let e=UY({},t),{explorerRecommendedWalletIds:r,explorerExcludedWalletIds:i}=wi.state,{recomendedWallets:n}=Ns;if(i==="ALL")return Ns.wallets;n.length?e.excludedIds=n.map(w=>w.id).join(","):_e.isArray(r)&&(e.excludedIds=r.join(",")),_e.isArray(i)&&(e.excludedIds=[e.excludedIds,i].filter(Boolean).join(",")),pr.state.isAuth&&(e.sdks="auth_v1");let{page:s,search:a}=t,{listings:u,total:h}=$A?await dc.getMobileListings(e):await dc.getDesktopListings(e),f=Object.values(u),v=a?"search":"wallets";return Ns[v]={listings:[...Ns[v].listings,...f],total:h,page:s??1},{listings:f,total:h}},getWalletImageUrl(t){return dc.getWalletImageUrl(t)},getAssetImageUrl(t){return dc.getAssetImageUrl(t)},resetSearch(){Ns.search={listings:[],total:0,page:1}}},Xu=Eo({open:!1}),Ao={state:Xu,subscribe(t){return ga(Xu,()=>t(Xu))},async open(t){return new Promise(e=>{let{isUiLoaded:r,isDataLoaded:i}=pr.state;if(_e.removeWalletConnectDeepLink(),pr.setWalletConnectUri(t?.uri),pr.setChains(t?.chains),lr.reset("ConnectWallet"),r&&i)Xu.open=!0,e();else{let n=setInterval(()=>{let s=pr.state;s.isUiLoaded&&s.isDataLoaded&&(clearInterval(n),Xu.open=!0,e())},200)}})},close(){Xu.open=!1}},FY=Object.defineProperty,kA=Object.getOwnPropertySymbols,qY=Object.prototype.hasOwnProperty,$Y=Object.prototype.propertyIsEnumerable,jA=(t,e,r)=>e in t?FY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,kY=(t,e)=>{for(var r in e||(e={}))qY.call(e,r)&&jA(t,r,e[r]);if(kA)for(var r of kA(e))$Y.call(e,r)&&jA(t,r,e[r]);return t};Kf=Eo({themeMode:jY()?"dark":"light"}),Ls={state:Kf,subscribe(t){return ga(Kf,()=>t(Kf))},setThemeConfig(t){let{themeMode:e,themeVariables:r}=t;e&&(Kf.themeMode=e),r&&(Kf.themeVariables=kY({},r))}},pc=Eo({open:!1,message:"",variant:"success"}),So={state:pc,subscribe(t){return ga(pc,()=>t(pc))},openToast(t,e){pc.open=!0,pc.message=t,pc.variant=e},closeToast(){pc.open=!1}}});var Dp,Pp,Bb,zA,Vf,HA,pt,Ub,Op,Fb=be(()=>{Dp=window,Pp=Dp.ShadowRoot&&(Dp.ShadyCSS===void 0||Dp.ShadyCSS.nativeShadow)&&"adoptedStyleSheets"in Document.prototype&&"replace"in CSSStyleSheet.prototype,Bb=Symbol(),zA=new WeakMap,Vf=class{constructor(e,r,i){if(this._$cssResult$=!0,i!==Bb)throw Error("CSSResult is not constructable. Use `unsafeCSS` or `css` instead.");this.cssText=e,this.t=r}get styleSheet(){let e=this.o,r=this.t;if(Pp&&e===void 0){let i=r!==void 0&&r.length===1;i&&(e=zA.get(r)),e===void 0&&((this.o=e=new CSSStyleSheet).replaceSync(this.cssText),i&&zA.set(r,e))}return e}toString(){return this.cssText}},HA=t=>new Vf(typeof t=="string"?t:t+"",void 0,Bb),pt=(t,...e)=>{let r=t.length===1?t[0]:e.reduce(((i,n,s)=>i+(a=>{if(a._$cssResult$===!0)return a.cssText;if(typeof a=="number")return a;throw Error("Value passed to 'css' function must be a 'css' function result: "+a+". Use 'unsafeCSS' to pass non-literal values, but take care to ensure page security.")})(n)+t[s+1]),t[0]);return new Vf(r,t,Bb)},Ub=(t,e)=>{Pp?t.adoptedStyleSheets=e.map((r=>r instanceof CSSStyleSheet?r:r.styleSheet)):e.forEach((r=>{let i=document.createElement("style"),n=Dp.litNonce;n!==void 0&&i.setAttribute("nonce",n),i.textContent=r.cssText,t.appendChild(i)}))},Op=Pp?t=>t:t=>t instanceof CSSStyleSheet?(e=>{let r="";for(let i of e.cssRules)r+=i.cssText;return HA(r)})(t):t});var qb,Rp,KA,zY,VA,kb,WA,$b,jb,Io,Tp=be(()=>{Fb();Fb();Rp=window,KA=Rp.trustedTypes,zY=KA?KA.emptyScript:"",VA=Rp.reactiveElementPolyfillSupport,kb={toAttribute(t,e){switch(e){case Boolean:t=t?zY:null;break;case Object:case Array:t=t==null?t:JSON.stringify(t)}return t},fromAttribute(t,e){let r=t;switch(e){case Boolean:r=t!==null;break;case Number:r=t===null?null:Number(t);break;case Object:case Array:try{r=JSON.parse(t)}catch{r=null}}return r}},WA=(t,e)=>e!==t&&(e==e||t==t),$b={attribute:!0,type:String,converter:kb,reflect:!1,hasChanged:WA},jb="finalized",Io=class extends HTMLElement{constructor(){super(),this._$Ei=new Map,this.isUpdatePending=!1,this.hasUpdated=!1,this._$El=null,this._$Eu()}static addInitializer(e){var r;this.finalize(),((r=this.h)!==null&&r!==void 0?r:this.h=[]).push(e)}static get observedAttributes(){this.finalize();let e=[];return this.elementProperties.forEach(((r,i)=>{let n=this._$Ep(i,r);n!==void 0&&(this._$Ev.set(n,i),e.push(n))})),e}static createProperty(e,r=$b){if(r.state&&(r.attribute=!1),this.finalize(),this.elementProperties.set(e,r),!r.noAccessor&&!this.prototype.hasOwnProperty(e)){let i=typeof e=="symbol"?Symbol():"__"+e,n=this.getPropertyDescriptor(e,i,r);n!==void 0&&Object.defineProperty(this.prototype,e,n)}}static getPropertyDescriptor(e,r,i){return{get(){return this[r]},set(n){let s=this[e];this[r]=n,this.requestUpdate(e,s,i)},configurable:!0,enumerable:!0}}static getPropertyOptions(e){return this.elementProperties.get(e)||$b}static finalize(){if(this.hasOwnProperty(jb))return!1;this[jb]=!0;let e=Object.getPrototypeOf(this);if(e.finalize(),e.h!==void 0&&(this.h=[...e.h]),this.elementProperties=new Map(e.elementProperties),this._$Ev=new Map,this.hasOwnProperty("properties")){let r=this.properties,i=[...Object.getOwnPropertyNames(r),...Object.getOwnPropertySymbols(r)];for(let n of i)this.createProperty(n,r[n])}return this.elementStyles=this.finalizeStyles(this.styles),!0}static finalizeStyles(e){let r=[];if(Array.isArray(e)){let i=new Set(e.flat(1/0).reverse());for(let n of i)r.unshift(Op(n))}else e!==void 0&&r.push(Op(e));return r}static _$Ep(e,r){let i=r.attribute;return i===!1?void 0:typeof i=="string"?i:typeof e=="string"?e.toLowerCase():void 0}_$Eu(){var e;this._$E_=new Promise((r=>this.enableUpdating=r)),this._$AL=new Map,this._$Eg(),this.requestUpdate(),(e=this.constructor.h)===null||e===void 0||e.forEach((r=>r(this)))}addController(e){var r,i;((r=this._$ES)!==null&&r!==void 0?r:this._$ES=[]).push(e),this.renderRoot!==void 0&&this.isConnected&&((i=e.hostConnected)===null||i===void 0||i.call(e))}removeController(e){var r;(r=this._$ES)===null||r===void 0||r.splice(this._$ES.indexOf(e)>>>0,1)}_$Eg(){this.constructor.elementProperties.forEach(((e,r)=>{this.hasOwnProperty(r)&&(this._$Ei.set(r,this[r]),delete this[r])}))}createRenderRoot(){var e;let r=(e=this.shadowRoot)!==null&&e!==void 0?e:this.attachShadow(this.constructor.shadowRootOptions);return Ub(r,this.constructor.elementStyles),r}connectedCallback(){var e;this.renderRoot===void 0&&(this.renderRoot=this.createRenderRoot()),this.enableUpdating(!0),(e=this._$ES)===null||e===void 0||e.forEach((r=>{var i;return(i=r.hostConnected)===null||i===void 0?void 0:i.call(r)}))}enableUpdating(e){}disconnectedCallback(){var e;(e=this._$ES)===null||e===void 0||e.forEach((r=>{var i;return(i=r.hostDisconnected)===null||i===void 0?void 0:i.call(r)}))}attributeChangedCallback(e,r,i){this._$AK(e,i)}_$EO(e,r,i=$b){var n;let s=this.constructor._$Ep(e,i);if(s!==void 0&&i.reflect===!0){let a=(((n=i.converter)===null||n===void 0?void 0:n.toAttribute)!==void 0?i.converter:kb).toAttribute(r,i.type);this._$El=e,a==null?this.removeAttribute(s):this.setAttribute(s,a),this._$El=null}}_$AK(e,r){var i;let n=this.constructor,s=n._$Ev.get(e);if(s!==void 0&&this._$El!==s){let a=n.getPropertyOptions(s),u=typeof a.converter=="function"?{fromAttribute:a.converter}:((i=a.converter)===null||i===void 0?void 0:i.fromAttribute)!==void 0?a.converter:kb;this._$El=s,this[s]=u.fromAttribute(r,a.type),this._$El=null}}requestUpdate(e,r,i){let n=!0;e!==void 0&&(((i=i||this.constructor.getPropertyOptions(e)).hasChanged||WA)(this[e],r)?(this._$AL.has(e)||this._$AL.set(e,r),i.reflect===!0&&this._$El!==e&&(this._$EC===void 0&&(this._$EC=new Map),this._$EC.set(e,i))):n=!1),!this.isUpdatePending&&n&&(this._$E_=this._$Ej())}async _$Ej(){this.isUpdatePending=!0;try{await this._$E_}catch(r){Promise.reject(r)}let e=this.scheduleUpdate();return e!=null&&await e,!this.isUpdatePending}scheduleUpdate(){return this.performUpdate()}performUpdate(){var e;if(!this.isUpdatePending)return;this.hasUpdated,this._$Ei&&(this._$Ei.forEach(((n,s)=>this[s]=n)),this._$Ei=void 0);let r=!1,i=this._$AL;try{r=this.shouldUpdate(i),r?(this.willUpdate(i),(e=this._$ES)===null||e===void 0||e.forEach((n=>{var s;return(s=n.hostUpdate)===null||s===void 0?void 0:s.call(n)})),this.update(i)):this._$Ek()}catch(n){throw r=!1,this._$Ek(),n}r&&this._$AE(i)}willUpdate(e){}_$AE(e){var r;(r=this._$ES)===null||r===void 0||r.forEach((i=>{var n;return(n=i.hostUpdated)===null||n===void 0?void 0:n.call(i)})),this.hasUpdated||(this.hasUpdated=!0,this.firstUpdated(e)),this.updated(e)}_$Ek(){this._$AL=new Map,this.isUpdatePending=!1}get updateComplete(){return this.getUpdateComplete()}getUpdateComplete(){return this._$E_}shouldUpdate(e){return!0}update(e){this._$EC!==void 0&&(this._$EC.forEach(((r,i)=>this._$EO(i,this[i],r))),this._$EC=void 0),this._$Ek()}updated(e){}firstUpdated(e){}};Io[jb]=!0,Io.elementProperties=new Map,Io.elementStyles=[],Io.shadowRootOptions={mode:"open"},VA?.({ReactiveElement:Io}),((qb=Rp.reactiveElementVersions)!==null&&qb!==void 0?qb:Rp.reactiveElementVersions=[]).push("1.6.3")});function sS(t,e){if(!Array.isArray(t)||!t.hasOwnProperty("raw"))throw Error("invalid template strings array");return GA!==void 0?GA.createHTML(e):e}function el(t,e,r=t,i){var n,s,a,u;if(e===Mo)return e;let h=i!==void 0?(n=r._$Co)===null||n===void 0?void 0:n[i]:r._$Cl,f=Jf(e)?void 0:e._$litDirective$;return h?.constructor!==f&&((s=h?._$AO)===null||s===void 0||s.call(h,!1),f===void 0?h=void 0:(h=new f(t),h._$AT(t,r,i)),i!==void 0?((a=(u=r)._$Co)!==null&&a!==void 0?a:u._$Co=[])[i]=h:r._$Cl=h),h!==void 0&&(e=el(t,h._$AS(t,e.values),h,i)),e}var zb,Np,Zu,GA,Kb,ma,tS,HY,vc,Gf,Jf,rS,KY,Hb,Wf,JA,YA,gc,QA,XA,iS,nS,me,fr,Mo,Cr,ZA,mc,VY,Yf,Vb,Qf,tl,Wb,WY,Gb,Jb,Yb,eS,oS,bc=be(()=>{Np=window,Zu=Np.trustedTypes,GA=Zu?Zu.createPolicy("lit-html",{createHTML:t=>t}):void 0,Kb="$lit$",ma=`lit$${(Math.random()+"").slice(9)}$`,tS="?"+ma,HY=`<${tS}>`,vc=document,Gf=()=>vc.createComment(""),Jf=t=>t===null||typeof t!="object"&&typeof t!="function",rS=Array.isArray,KY=t=>rS(t)||typeof t?.[Symbol.iterator]=="function",Hb=`[ 	
+\f\r]`,Wf=/<(?:(!--|\/[^a-zA-Z])|(\/?[a-zA-Z][^>\s]*)|(\/?$))/g,JA=/-->/g,YA=/>/g,gc=RegExp(`>|${Hb}(?:([^\\s"'>=/]+)(${Hb}*=${Hb}*(?:[^ 	
+\f\r"'\`<>=]|("|')|))|$)`,"g"),QA=/'/g,XA=/"/g,iS=/^(?:script|style|textarea|title)$/i,nS=t=>(e,...r)=>({_$litType$:t,strings:e,values:r}),me=nS(1),fr=nS(2),Mo=Symbol.for("lit-noChange"),Cr=Symbol.for("lit-nothing"),ZA=new WeakMap,mc=vc.createTreeWalker(vc,129,null,!1);VY=(t,e)=>{let r=t.length-1,i=[],n,s=e===2?"<svg>":"",a=Wf;for(let u=0;u<r;u++){let h=t[u],f,v,w=-1,I=0;for(;I<h.length&&(a.lastIndex=I,v=a.exec(h),v!==null);)I=a.lastIndex,a===Wf?v[1]==="!--"?a=JA:v[1]!==void 0?a=YA:v[2]!==void 0?(iS.test(v[2])&&(n=RegExp("</"+v[2],"g")),a=gc):v[3]!==void 0&&(a=gc):a===gc?v[0]===">"?(a=n??Wf,w=-1):v[1]===void 0?w=-2:(w=a.lastIndex-v[2].length,f=v[1],a=v[3]===void 0?gc:v[3]==='"'?XA:QA):a===XA||a===QA?a=gc:a===JA||a===YA?a=Wf:(a=gc,n=void 0);let M=a===gc&&t[u+1].startsWith("/>")?" ":"";s+=a===Wf?h+HY:w>=0?(i.push(f),h.slice(0,w)+Kb+h.slice(w)+ma+M):h+ma+(w===-2?(i.push(void 0),u):M)}return[sS(t,s+(t[r]||"<?>")+(e===2?"</svg>":"")),i]},Yf=class t{constructor({strings:e,_$litType$:r},i){let n;this.parts=[];let s=0,a=0,u=e.length-1,h=this.parts,[f,v]=VY(e,r);if(this.el=t.createElement(f,i),mc.currentNode=this.el.content,r===2){let w=this.el.content,I=w.firstChild;I.remove(),w.append(...I.childNodes)}for(;(n=mc.nextNode())!==null&&h.length<u;){if(n.nodeType===1){if(n.hasAttributes()){let w=[];for(let I of n.getAttributeNames())if(I.endsWith(Kb)||I.startsWith(ma)){let M=v[a++];if(w.push(I),M!==void 0){let P=n.getAttribute(M.toLowerCase()+Kb).split(ma),T=/([.?@])?(.*)/.exec(M);h.push({type:1,index:s,name:T[2],strings:P,ctor:T[1]==="."?Wb:T[1]==="?"?Gb:T[1]==="@"?Jb:tl})}else h.push({type:6,index:s})}for(let I of w)n.removeAttribute(I)}if(iS.test(n.tagName)){let w=n.textContent.split(ma),I=w.length-1;if(I>0){n.textContent=Zu?Zu.emptyScript:"";for(let M=0;M<I;M++)n.append(w[M],Gf()),mc.nextNode(),h.push({type:2,index:++s});n.append(w[I],Gf())}}}else if(n.nodeType===8)if(n.data===tS)h.push({type:2,index:s});else{let w=-1;for(;(w=n.data.indexOf(ma,w+1))!==-1;)h.push({type:7,index:s}),w+=ma.length-1}s++}}static createElement(e,r){let i=vc.createElement("template");return i.innerHTML=e,i}};Vb=class{constructor(e,r){this._$AV=[],this._$AN=void 0,this._$AD=e,this._$AM=r}get parentNode(){return this._$AM.parentNode}get _$AU(){return this._$AM._$AU}u(e){var r;let{el:{content:i},parts:n}=this._$AD,s=((r=e?.creationScope)!==null&&r!==void 0?r:vc).importNode(i,!0);mc.currentNode=s;let a=mc.nextNode(),u=0,h=0,f=n[0];for(;f!==void 0;){if(u===f.index){let v;f.type===2?v=new Qf(a,a.nextSibling,this,e):f.type===1?v=new f.ctor(a,f.name,f.strings,this,e):f.type===6&&(v=new Yb(a,this,e)),this._$AV.push(v),f=n[++h]}u!==f?.index&&(a=mc.nextNode(),u++)}return mc.currentNode=vc,s}v(e){let r=0;for(let i of this._$AV)i!==void 0&&(i.strings!==void 0?(i._$AI(e,i,r),r+=i.strings.length-2):i._$AI(e[r])),r++}},Qf=class t{constructor(e,r,i,n){var s;this.type=2,this._$AH=Cr,this._$AN=void 0,this._$AA=e,this._$AB=r,this._$AM=i,this.options=n,this._$Cp=(s=n?.isConnected)===null||s===void 0||s}get _$AU(){var e,r;return(r=(e=this._$AM)===null||e===void 0?void 0:e._$AU)!==null&&r!==void 0?r:this._$Cp}get parentNode(){let e=this._$AA.parentNode,r=this._$AM;return r!==void 0&&e?.nodeType===11&&(e=r.parentNode),e}get startNode(){return this._$AA}get endNode(){return this._$AB}_$AI(e,r=this){e=el(this,e,r),Jf(e)?e===Cr||e==null||e===""?(this._$AH!==Cr&&this._$AR(),this._$AH=Cr):e!==this._$AH&&e!==Mo&&this._(e):e._$litType$!==void 0?this.g(e):e.nodeType!==void 0?this.$(e):KY(e)?this.T(e):this._(e)}k(e){return this._$AA.parentNode.insertBefore(e,this._$AB)}$(e){this._$AH!==e&&(this._$AR(),this._$AH=this.k(e))}_(e){this._$AH!==Cr&&Jf(this._$AH)?this._$AA.nextSibling.data=e:this.$(vc.createTextNode(e)),this._$AH=e}g(e){var r;let{values:i,_$litType$:n}=e,s=typeof n=="number"?this._$AC(e):(n.el===void 0&&(n.el=Yf.createElement(sS(n.h,n.h[0]),this.options)),n);if(((r=this._$AH)===null||r===void 0?void 0:r._$AD)===s)this._$AH.v(i);else{let a=new Vb(s,this),u=a.u(this.options);a.v(i),this.$(u),this._$AH=a}}_$AC(e){let r=ZA.get(e.strings);return r===void 0&&ZA.set(e.strings,r=new Yf(e)),r}T(e){rS(this._$AH)||(this._$AH=[],this._$AR());let r=this._$AH,i,n=0;for(let s of e)n===r.length?r.push(i=new t(this.k(Gf()),this.k(Gf()),this,this.options)):i=r[n],i._$AI(s),n++;n<r.length&&(this._$AR(i&&i._$AB.nextSibling,n),r.length=n)}_$AR(e=this._$AA.nextSibling,r){var i;for((i=this._$AP)===null||i===void 0||i.call(this,!1,!0,r);e&&e!==this._$AB;){let n=e.nextSibling;e.remove(),e=n}}setConnected(e){var r;this._$AM===void 0&&(this._$Cp=e,(r=this._$AP)===null||r===void 0||r.call(this,e))}},tl=class{constructor(e,r,i,n,s){this.type=1,this._$AH=Cr,this._$AN=void 0,this.element=e,this.name=r,this._$AM=n,this.options=s,i.length>2||i[0]!==""||i[1]!==""?(this._$AH=Array(i.length-1).fill(new String),this.strings=i):this._$AH=Cr}get tagName(){return this.element.tagName}get _$AU(){return this._$AM._$AU}_$AI(e,r=this,i,n){let s=this.strings,a=!1;if(s===void 0)e=el(this,e,r,0),a=!Jf(e)||e!==this._$AH&&e!==Mo,a&&(this._$AH=e);else{let u=e,h,f;for(e=s[0],h=0;h<s.length-1;h++)f=el(this,u[i+h],r,h),f===Mo&&(f=this._$AH[h]),a||(a=!Jf(f)||f!==this._$AH[h]),f===Cr?e=Cr:e!==Cr&&(e+=(f??"")+s[h+1]),this._$AH[h]=f}a&&!n&&this.j(e)}j(e){e===Cr?this.element.removeAttribute(this.name):this.element.setAttribute(this.name,e??"")}},Wb=class extends tl{constructor(){super(...arguments),this.type=3}j(e){this.element[this.name]=e===Cr?void 0:e}},WY=Zu?Zu.emptyScript:"",Gb=class extends tl{constructor(){super(...arguments),this.type=4}j(e){e&&e!==Cr?this.element.setAttribute(this.name,WY):this.element.removeAttribute(this.name)}},Jb=class extends tl{constructor(e,r,i,n,s){super(e,r,i,n,s),this.type=5}_$AI(e,r=this){var i;if((e=(i=el(this,e,r,0))!==null&&i!==void 0?i:Cr)===Mo)return;let n=this._$AH,s=e===Cr&&n!==Cr||e.capture!==n.capture||e.once!==n.once||e.passive!==n.passive,a=e!==Cr&&(n===Cr||s);s&&this.element.removeEventListener(this.name,this,n),a&&this.element.addEventListener(this.name,this,e),this._$AH=e}handleEvent(e){var r,i;typeof this._$AH=="function"?this._$AH.call((i=(r=this.options)===null||r===void 0?void 0:r.host)!==null&&i!==void 0?i:this.element,e):this._$AH.handleEvent(e)}},Yb=class{constructor(e,r,i){this.element=e,this.type=6,this._$AN=void 0,this._$AM=r,this.options=i}get _$AU(){return this._$AM._$AU}_$AI(e){el(this,e)}},eS=Np.litHtmlPolyfillSupport;eS?.(Yf,Qf),((zb=Np.litHtmlVersions)!==null&&zb!==void 0?zb:Np.litHtmlVersions=[]).push("2.8.0");oS=(t,e,r)=>{var i,n;let s=(i=r?.renderBefore)!==null&&i!==void 0?i:e,a=s._$litPart$;if(a===void 0){let u=(n=r?.renderBefore)!==null&&n!==void 0?n:null;s._$litPart$=a=new Qf(e.insertBefore(Gf(),u),u,void 0,r??{})}return a._$AI(t),a}});var Qb,Xb,Je,aS,cS=be(()=>{Tp();Tp();bc();bc();Je=class extends Io{constructor(){super(...arguments),this.renderOptions={host:this},this._$Do=void 0}createRenderRoot(){var e,r;let i=super.createRenderRoot();return(e=(r=this.renderOptions).renderBefore)!==null&&e!==void 0||(r.renderBefore=i.firstChild),i}update(e){let r=this.render();this.hasUpdated||(this.renderOptions.isConnected=this.isConnected),super.update(e),this._$Do=oS(r,this.renderRoot,this.renderOptions)}connectedCallback(){var e;super.connectedCallback(),(e=this._$Do)===null||e===void 0||e.setConnected(!0)}disconnectedCallback(){var e;super.disconnectedCallback(),(e=this._$Do)===null||e===void 0||e.setConnected(!1)}render(){return Mo}};Je.finalized=!0,Je._$litElement$=!0,(Qb=globalThis.litElementHydrateSupport)===null||Qb===void 0||Qb.call(globalThis,{LitElement:Je});aS=globalThis.litElementPolyfillSupport;aS?.({LitElement:Je});((Xb=globalThis.litElementVersions)!==null&&Xb!==void 0?Xb:globalThis.litElementVersions=[]).push("3.3.3")});var uS=be(()=>{});var lS=be(()=>{Tp();bc();cS();uS()});var ct,fS=be(()=>{ct=t=>e=>typeof e=="function"?((r,i)=>(customElements.define(r,i),i))(t,e):((r,i)=>{let{kind:n,elements:s}=i;return{kind:n,elements:s,finisher(a){customElements.define(r,a)}}})(t,e)});function We(t){return(e,r)=>r!==void 0?JY(t,e,r):GY(t,e)}var GY,JY,Zb=be(()=>{GY=(t,e)=>e.kind==="method"&&e.descriptor&&!("value"in e.descriptor)?{...e,finisher(r){r.createProperty(e.key,t)}}:{kind:"field",key:Symbol(),placement:"own",descriptor:{},originalKey:e.key,initializer(){typeof e.initializer=="function"&&(this[e.key]=e.initializer.call(this))},finisher(r){r.createProperty(e.key,t)}},JY=(t,e,r)=>{e.constructor.createProperty(r,t)}});function xi(t){return We({...t,state:!0})}var hS=be(()=>{Zb();});var yc=be(()=>{});var dS=be(()=>{yc();});var pS=be(()=>{yc();});var gS=be(()=>{yc();});var mS=be(()=>{yc();});var e3,Bse,t3=be(()=>{yc();Bse=((e3=window.HTMLSlotElement)===null||e3===void 0?void 0:e3.prototype.assignedElements)!=null?(t,e)=>t.assignedElements(e):(t,e)=>t.assignedNodes(e).filter((r=>r.nodeType===Node.ELEMENT_NODE))});var vS=be(()=>{yc();t3();});var bS=be(()=>{fS();Zb();hS();dS();pS();gS();mS();t3();vS()});var yS,wS,Lp,_S=be(()=>{yS={ATTRIBUTE:1,CHILD:2,PROPERTY:3,BOOLEAN_ATTRIBUTE:4,EVENT:5,ELEMENT:6},wS=t=>(...e)=>({_$litDirective$:t,values:e}),Lp=class{constructor(e){}get _$AU(){return this._$AM._$AU}_$AT(e,r,i){this._$Ct=e,this._$AM=r,this._$Ci=i}_$AS(e,r){return this.update(e,r)}update(e,r){return this.render(...r)}}});var Bs,xS=be(()=>{bc();_S();Bs=wS(class extends Lp{constructor(t){var e;if(super(t),t.type!==yS.ATTRIBUTE||t.name!=="class"||((e=t.strings)===null||e===void 0?void 0:e.length)>2)throw Error("`classMap()` can only be used in the `class` attribute and must be the only part in the attribute.")}render(t){return" "+Object.keys(t).filter((e=>t[e])).join(" ")+" "}update(t,[e]){var r,i;if(this.it===void 0){this.it=new Set,t.strings!==void 0&&(this.nt=new Set(t.strings.join(" ").split(/\s/).filter((s=>s!==""))));for(let s in e)e[s]&&!(!((r=this.nt)===null||r===void 0)&&r.has(s))&&this.it.add(s);return this.render(e)}let n=t.element.classList;this.it.forEach((s=>{s in e||(n.remove(s),this.it.delete(s))}));for(let s in e){let a=!!e[s];a===this.it.has(s)||!((i=this.nt)===null||i===void 0)&&i.has(s)||(a?(n.add(s),this.it.add(s)):(n.remove(s),this.it.delete(s)))}return Mo}})});var ES=be(()=>{xS()});function r3(t,e){t.indexOf(e)===-1&&t.push(e)}var AS=be(()=>{});var Zf,i3=be(()=>{Zf=(t,e,r)=>Math.min(Math.max(r,t),e)});var Qr,SS=be(()=>{Qr={duration:.3,delay:0,endDelay:0,repeat:0,easing:"ease"}});var Co,Bp=be(()=>{Co=t=>typeof t=="number"});var Us,n3=be(()=>{Bp();Us=t=>Array.isArray(t)&&!Co(t[0])});var IS,MS=be(()=>{IS=(t,e,r)=>{let i=e-t;return((r-t)%i+i)%i+t}});function CS(t,e){return Us(t)?t[IS(0,t.length,e)]:t}var DS=be(()=>{n3();MS()});var Up,s3=be(()=>{Up=(t,e,r)=>-r*t+r*e+t});var eh,Ei,o3=be(()=>{eh=()=>{},Ei=t=>t});var wc,Fp=be(()=>{wc=(t,e,r)=>e-t===0?1:(r-t)/(e-t)});function a3(t,e){let r=t[t.length-1];for(let i=1;i<=e;i++){let n=wc(0,e,i);t.push(Up(r,1,n))}}function PS(t){let e=[0];return a3(e,t-1),e}var OS=be(()=>{s3();Fp()});function c3(t,e=PS(t.length),r=Ei){let i=t.length,n=i-e.length;return n>0&&a3(e,n),s=>{let a=0;for(;a<i-2&&!(s<e[a+1]);a++);let u=Zf(0,1,wc(e[a],e[a+1],s));return u=CS(r,a)(u),Up(t[a],t[a+1],u)}}var RS=be(()=>{s3();o3();OS();Fp();DS();i3()});var th,TS=be(()=>{Bp();th=t=>Array.isArray(t)&&Co(t[0])});var rl,NS=be(()=>{rl=t=>typeof t=="object"&&!!t.createAnimation});var An,LS=be(()=>{An=t=>typeof t=="function"});var u3,BS=be(()=>{u3=t=>typeof t=="string"});var va,US=be(()=>{va={ms:t=>t*1e3,s:t=>t/1e3}});var Sn=be(()=>{AS();i3();SS();RS();TS();NS();n3();LS();Bp();BS();o3();Fp();US()});function XY(t,e,r,i,n){let s,a,u=0;do a=e+(r-e)/2,s=FS(a,i,n)-t,s>0?r=a:e=a;while(Math.abs(s)>YY&&++u<QY);return a}function _c(t,e,r,i){if(t===e&&r===i)return Ei;let n=s=>XY(s,0,1,t,r);return s=>s===0||s===1?s:FS(n(s),e,i)}var FS,YY,QY,qS=be(()=>{Sn();FS=(t,e,r)=>(((1-3*r+3*e)*t+(3*r-6*e))*t+3*e)*t,YY=1e-7,QY=12});var l3,$S=be(()=>{Sn();l3=(t,e="end")=>r=>{r=e==="end"?Math.min(r,.999):Math.max(r,.001);let i=r*t,n=e==="end"?Math.floor(i):Math.ceil(i);return Zf(0,1,n/t)}});var kS=be(()=>{qS();$S()});function f3(t){if(An(t))return t;if(th(t))return _c(...t);let e=ZY[t];if(e)return e;if(t.startsWith("steps")){let r=eQ.exec(t);if(r){let i=r[1].split(",");return l3(parseFloat(i[0]),i[1].trim())}}return Ei}var ZY,eQ,jS=be(()=>{kS();Sn();ZY={ease:_c(.25,.1,.25,1),"ease-in":_c(.42,0,1,1),"ease-in-out":_c(.42,0,.58,1),"ease-out":_c(0,0,.58,1)},eQ=/\((.*?)\)/});var xc,zS=be(()=>{Sn();jS();xc=class{constructor(e,r=[0,1],{easing:i,duration:n=Qr.duration,delay:s=Qr.delay,endDelay:a=Qr.endDelay,repeat:u=Qr.repeat,offset:h,direction:f="normal",autoplay:v=!0}={}){if(this.startTime=null,this.rate=1,this.t=0,this.cancelTimestamp=null,this.easing=Ei,this.duration=0,this.totalDuration=0,this.repeat=0,this.playState="idle",this.finished=new Promise((I,M)=>{this.resolve=I,this.reject=M}),i=i||Qr.easing,rl(i)){let I=i.createAnimation(r);i=I.easing,r=I.keyframes||r,n=I.duration||n}this.repeat=u,this.easing=Us(i)?Ei:f3(i),this.updateDuration(n);let w=c3(r,h,Us(i)?i.map(f3):Ei);this.tick=I=>{var M;s=s;let P=0;this.pauseTime!==void 0?P=this.pauseTime:P=(I-this.startTime)*this.rate,this.t=P,P/=1e3,P=Math.max(P-s,0),this.playState==="finished"&&this.pauseTime===void 0&&(P=this.totalDuration);let T=P/this.duration,U=Math.floor(T),F=T%1;!F&&T>=1&&(F=1),F===1&&U--;let V=U%2;(f==="reverse"||f==="alternate"&&V||f==="alternate-reverse"&&!V)&&(F=1-F);let z=P>=this.totalDuration?1:Math.min(F,1),j=w(this.easing(z));e(j),this.pauseTime===void 0&&(this.playState==="finished"||P>=this.totalDuration+a)?(this.playState="finished",(M=this.resolve)===null||M===void 0||M.call(this,j)):this.playState!=="idle"&&(this.frameRequestId=requestAnimationFrame(this.tick))},v&&this.play()}play(){let e=performance.now();this.playState="running",this.pauseTime!==void 0?this.startTime=e-this.pauseTime:this.startTime||(this.startTime=e),this.cancelTimestamp=this.startTime,this.pauseTime=void 0,this.frameRequestId=requestAnimationFrame(this.tick)}pause(){this.playState="paused",this.pauseTime=this.t}finish(){this.playState="finished",this.tick(0)}stop(){var e;this.playState="idle",this.frameRequestId!==void 0&&cancelAnimationFrame(this.frameRequestId),(e=this.reject)===null||e===void 0||e.call(this,!1)}cancel(){this.stop(),this.tick(this.cancelTimestamp)}reverse(){this.rate*=-1}commitStyles(){}updateDuration(e){this.duration=e,this.totalDuration=e*(this.repeat+1)}get currentTime(){return this.t}set currentTime(e){this.pauseTime!==void 0||this.rate===0?this.pauseTime=e:this.startTime=performance.now()-e/this.rate}get playbackRate(){return this.rate}set playbackRate(e){this.rate=e}}});var h3=be(()=>{zS()});var d3,HS=be(()=>{d3=function(){}});var rh,KS=be(()=>{rh=class{setAnimation(e){this.animation=e,e?.finished.then(()=>this.clearAnimation()).catch(()=>{})}clearAnimation(){this.animation=this.generator=void 0}}});var p3=be(()=>{KS()});function qp(t){return g3.has(t)||g3.set(t,{transforms:[],values:new Map}),g3.get(t)}function VS(t,e){return t.has(e)||t.set(e,new rh),t.get(e)}var g3,m3=be(()=>{p3();g3=new WeakMap});var tQ,rQ,ih,WS,iQ,ba,kp,$p,nQ,sQ,jp,GS,oQ,aQ,nh=be(()=>{Sn();m3();tQ=["","X","Y","Z"],rQ=["translate","scale","rotate","skew"],ih={x:"translateX",y:"translateY",z:"translateZ"},WS={syntax:"<angle>",initialValue:"0deg",toDefaultUnit:t=>t+"deg"},iQ={translate:{syntax:"<length-percentage>",initialValue:"0px",toDefaultUnit:t=>t+"px"},rotate:WS,scale:{syntax:"<number>",initialValue:1,toDefaultUnit:Ei},skew:WS},ba=new Map,kp=t=>`--motion-${t}`,$p=["x","y","z"];rQ.forEach(t=>{tQ.forEach(e=>{$p.push(t+e),ba.set(kp(t+e),iQ[t])})});nQ=(t,e)=>$p.indexOf(t)-$p.indexOf(e),sQ=new Set($p),jp=t=>sQ.has(t),GS=(t,e)=>{ih[e]&&(e=ih[e]);let{transforms:r}=qp(t);r3(r,e),t.style.transform=oQ(r)},oQ=t=>t.sort(nQ).reduce(aQ,"").trim(),aQ=(t,e)=>`${t} ${e}(var(${kp(e)}))`});function YS(t){if(!JS.has(t)){JS.add(t);try{let{syntax:e,initialValue:r}=ba.has(t)?ba.get(t):{};CSS.registerProperty({name:t,inherits:!1,syntax:e,initialValue:r})}catch{}}}var sh,JS,v3=be(()=>{nh();sh=t=>t.startsWith("--"),JS=new Set});var b3,QS,y3,ya,w3=be(()=>{b3=(t,e)=>document.createElement("div").animate(t,e),QS={cssRegisterProperty:()=>typeof CSS<"u"&&Object.hasOwnProperty.call(CSS,"registerProperty"),waapi:()=>Object.hasOwnProperty.call(Element.prototype,"animate"),partialKeyframes:()=>{try{b3({opacity:[1]})}catch{return!1}return!0},finished:()=>!!b3({opacity:[0,1]},{duration:.001}).finished,linearEasing:()=>{try{b3({opacity:0},{easing:"linear(0, 1)"})}catch{return!1}return!0}},y3={},ya={};for(let t in QS)ya[t]=()=>(y3[t]===void 0&&(y3[t]=QS[t]()),y3[t])});var cQ,uQ,_3,lQ,XS=be(()=>{Sn();w3();cQ=.015,uQ=(t,e)=>{let r="",i=Math.round(e/cQ);for(let n=0;n<i;n++)r+=t(wc(0,i-1,n))+", ";return r.substring(0,r.length-2)},_3=(t,e)=>An(t)?ya.linearEasing()?`linear(${uQ(t,e)})`:Qr.easing:th(t)?lQ(t):t,lQ=([t,e,r,i])=>`cubic-bezier(${t}, ${e}, ${r}, ${i})`});function ZS(t,e){for(let r=0;r<t.length;r++)t[r]===null&&(t[r]=r?t[r-1]:e());return t}var eI,tI=be(()=>{eI=t=>Array.isArray(t)?t:[t]});function oh(t){return ih[t]&&(t=ih[t]),jp(t)?kp(t):t}var x3=be(()=>{nh()});var ah,rI=be(()=>{v3();x3();nh();ah={get:(t,e)=>{e=oh(e);let r=sh(e)?t.style.getPropertyValue(e):getComputedStyle(t)[e];if(!r&&r!==0){let i=ba.get(e);i&&(r=i.initialValue)}return r},set:(t,e,r)=>{e=oh(e),sh(e)?t.style.setProperty(e,r):t.style[e]=r}}});function zp(t,e=!0){if(!(!t||t.playState==="finished"))try{t.stop?t.stop():(e&&t.commitStyles(),t.cancel())}catch{}}var E3=be(()=>{});function iI(t,e){var r;let i=e?.toDefaultUnit||Ei,n=t[t.length-1];if(u3(n)){let s=((r=n.match(/(-?[\d.]+)([a-z%]*)/))===null||r===void 0?void 0:r[2])||"";s&&(i=a=>a+s)}return i}var nI=be(()=>{Sn()});function fQ(){return window.__MOTION_DEV_TOOLS_RECORD}function sI(t,e,r,i={},n){let s=fQ(),a=i.record!==!1&&s,u,{duration:h=Qr.duration,delay:f=Qr.delay,endDelay:v=Qr.endDelay,repeat:w=Qr.repeat,easing:I=Qr.easing,persist:M=!1,direction:P,offset:T,allowWebkitAcceleration:U=!1,autoplay:F=!0}=i,V=qp(t),z=jp(e),j=ya.waapi();z&&GS(t,e);let H=oh(e),ee=VS(V.values,H),$=ba.get(H);return zp(ee.animation,!(rl(I)&&ee.generator)&&i.record!==!1),()=>{let q=()=>{var d,y;return(y=(d=ah.get(t,H))!==null&&d!==void 0?d:$?.initialValue)!==null&&y!==void 0?y:0},X=ZS(eI(r),q),N=iI(X,$);if(rl(I)){let d=I.createAnimation(X,e!=="opacity",q,H,ee);I=d.easing,X=d.keyframes||X,h=d.duration||h}if(sh(H)&&(ya.cssRegisterProperty()?YS(H):j=!1),z&&!ya.linearEasing()&&(An(I)||Us(I)&&I.some(An))&&(j=!1),j){$&&(X=X.map(l=>Co(l)?$.toDefaultUnit(l):l)),X.length===1&&(!ya.partialKeyframes()||a)&&X.unshift(q());let d={delay:va.ms(f),duration:va.ms(h),endDelay:va.ms(v),easing:Us(I)?void 0:_3(I,h),direction:P,iterations:w+1,fill:"both"};u=t.animate({[H]:X,offset:T,easing:Us(I)?I.map(l=>_3(l,h)):void 0},d),u.finished||(u.finished=new Promise((l,g)=>{u.onfinish=l,u.oncancel=g}));let y=X[X.length-1];u.finished.then(()=>{M||(ah.set(t,H,y),u.cancel())}).catch(eh),U||(u.playbackRate=1.000001)}else if(n&&z)X=X.map(d=>typeof d=="string"?parseFloat(d):d),X.length===1&&X.unshift(parseFloat(q())),u=new n(d=>{ah.set(t,H,N?N(d):d)},X,Object.assign(Object.assign({},i),{duration:h,easing:I}));else{let d=X[X.length-1];ah.set(t,H,$&&Co(d)?$.toDefaultUnit(d):d)}return a&&s(t,e,X,{duration:h,delay:f,easing:I,repeat:w,offset:T},"motion-one"),ee.setAnimation(u),u&&!F&&u.pause(),u}}var oI=be(()=>{m3();v3();Sn();nh();XS();w3();tI();rI();x3();E3();nI()});var aI,cI=be(()=>{aI=(t,e)=>t[e]?Object.assign(Object.assign({},t),t[e]):Object.assign({},t)});function uI(t,e){var r;return typeof t=="string"?e?((r=e[t])!==null&&r!==void 0||(e[t]=document.querySelectorAll(t)),t=e[t]):t=document.querySelectorAll(t):t instanceof Element&&(t=[t]),Array.from(t||[])}var lI=be(()=>{});var hQ,ch,dQ,pQ,gQ,A3=be(()=>{Sn();E3();hQ=t=>t(),ch=(t,e,r=Qr.duration)=>new Proxy({animations:t.map(hQ).filter(Boolean),duration:r,options:e},pQ),dQ=t=>t.animations[0],pQ={get:(t,e)=>{let r=dQ(t);switch(e){case"duration":return t.duration;case"currentTime":return va.s(r?.[e]||0);case"playbackRate":case"playState":return r?.[e];case"finished":return t.finished||(t.finished=Promise.all(t.animations.map(gQ)).catch(eh)),t.finished;case"stop":return()=>{t.animations.forEach(i=>zp(i))};case"forEachNative":return i=>{t.animations.forEach(n=>i(n,t))};default:return typeof r?.[e]>"u"?void 0:()=>t.animations.forEach(i=>i[e]())}},set:(t,e,r)=>{switch(e){case"currentTime":r=va.ms(r);case"playbackRate":for(let i=0;i<t.animations.length;i++)t.animations[i][e]=r;return!0}return!1}},gQ=t=>t.finished});function fI(t,e,r){return An(t)?t(e,r):t}var hI=be(()=>{Sn()});function dI(t){return function(r,i,n={}){r=uI(r);let s=r.length;d3(!!s,"No valid element provided."),d3(!!i,"No keyframes defined.");let a=[];for(let u=0;u<s;u++){let h=r[u];for(let f in i){let v=aI(n,f);v.delay=fI(v.delay,u,s);let w=sI(h,f,i[f],v,t);a.push(w)}}return ch(a,n,n.duration)}}var pI=be(()=>{HS();oI();cI();lI();A3();hI()});var S3,gI=be(()=>{h3();pI();S3=dI(xc)});var I3=be(()=>{gI();A3()});function mQ(t,e={}){return ch([()=>{let r=new xc(t,[0,1],e);return r.finished.catch(()=>{}),r}],e,e.duration)}function Do(t,e,r){return(An(t)?mQ:S3)(t,e,r)}var mI=be(()=>{I3();Sn();h3()});var vI=be(()=>{I3();p3();mI()});var li,bI=be(()=>{bc();li=t=>t??Cr});var yI=be(()=>{bI()});var _I=fe((Sce,wI)=>{wI.exports=function(){return typeof Promise=="function"&&Promise.prototype&&Promise.prototype.then}});var wa=fe(Ec=>{var M3,vQ=[0,26,44,70,100,134,172,196,242,292,346,404,466,532,581,655,733,815,901,991,1085,1156,1258,1364,1474,1588,1706,1828,1921,2051,2185,2323,2465,2611,2761,2876,3034,3196,3362,3532,3706];Ec.getSymbolSize=function(e){if(!e)throw new Error('"version" cannot be null or undefined');if(e<1||e>40)throw new Error('"version" should be in range from 1 to 40');return e*4+17};Ec.getSymbolTotalCodewords=function(e){return vQ[e]};Ec.getBCHDigit=function(t){let e=0;for(;t!==0;)e++,t>>>=1;return e};Ec.setToSJISFunction=function(e){if(typeof e!="function")throw new Error('"toSJISFunc" is not a valid function.');M3=e};Ec.isKanjiModeEnabled=function(){return typeof M3<"u"};Ec.toSJIS=function(e){return M3(e)}});var Hp=fe(In=>{In.L={bit:1};In.M={bit:0};In.Q={bit:3};In.H={bit:2};function bQ(t){if(typeof t!="string")throw new Error("Param is not a string");switch(t.toLowerCase()){case"l":case"low":return In.L;case"m":case"medium":return In.M;case"q":case"quartile":return In.Q;case"h":case"high":return In.H;default:throw new Error("Unknown EC Level: "+t)}}In.isValid=function(e){return e&&typeof e.bit<"u"&&e.bit>=0&&e.bit<4};In.from=function(e,r){if(In.isValid(e))return e;try{return bQ(e)}catch{return r}}});var AI=fe((Cce,EI)=>{function xI(){this.buffer=[],this.length=0}xI.prototype={get:function(t){let e=Math.floor(t/8);return(this.buffer[e]>>>7-t%8&1)===1},put:function(t,e){for(let r=0;r<e;r++)this.putBit((t>>>e-r-1&1)===1)},getLengthInBits:function(){return this.length},putBit:function(t){let e=Math.floor(this.length/8);this.buffer.length<=e&&this.buffer.push(0),t&&(this.buffer[e]|=128>>>this.length%8),this.length++}};EI.exports=xI});var II=fe((Dce,SI)=>{function uh(t){if(!t||t<1)throw new Error("BitMatrix size must be defined and greater than 0");this.size=t,this.data=new Uint8Array(t*t),this.reservedBit=new Uint8Array(t*t)}uh.prototype.set=function(t,e,r,i){let n=t*this.size+e;this.data[n]=r,i&&(this.reservedBit[n]=!0)};uh.prototype.get=function(t,e){return this.data[t*this.size+e]};uh.prototype.xor=function(t,e,r){this.data[t*this.size+e]^=r};uh.prototype.isReserved=function(t,e){return this.reservedBit[t*this.size+e]};SI.exports=uh});var MI=fe(Kp=>{var yQ=wa().getSymbolSize;Kp.getRowColCoords=function(e){if(e===1)return[];let r=Math.floor(e/7)+2,i=yQ(e),n=i===145?26:Math.ceil((i-13)/(2*r-2))*2,s=[i-7];for(let a=1;a<r-1;a++)s[a]=s[a-1]-n;return s.push(6),s.reverse()};Kp.getPositions=function(e){let r=[],i=Kp.getRowColCoords(e),n=i.length;for(let s=0;s<n;s++)for(let a=0;a<n;a++)s===0&&a===0||s===0&&a===n-1||s===n-1&&a===0||r.push([i[s],i[a]]);return r}});var PI=fe(DI=>{var wQ=wa().getSymbolSize,CI=7;DI.getPositions=function(e){let r=wQ(e);return[[0,0],[r-CI,0],[0,r-CI]]}});var OI=fe(nr=>{nr.Patterns={PATTERN000:0,PATTERN001:1,PATTERN010:2,PATTERN011:3,PATTERN100:4,PATTERN101:5,PATTERN110:6,PATTERN111:7};var Ac={N1:3,N2:3,N3:40,N4:10};nr.isValid=function(e){return e!=null&&e!==""&&!isNaN(e)&&e>=0&&e<=7};nr.from=function(e){return nr.isValid(e)?parseInt(e,10):void 0};nr.getPenaltyN1=function(e){let r=e.size,i=0,n=0,s=0,a=null,u=null;for(let h=0;h<r;h++){n=s=0,a=u=null;for(let f=0;f<r;f++){let v=e.get(h,f);v===a?n++:(n>=5&&(i+=Ac.N1+(n-5)),a=v,n=1),v=e.get(f,h),v===u?s++:(s>=5&&(i+=Ac.N1+(s-5)),u=v,s=1)}n>=5&&(i+=Ac.N1+(n-5)),s>=5&&(i+=Ac.N1+(s-5))}return i};nr.getPenaltyN2=function(e){let r=e.size,i=0;for(let n=0;n<r-1;n++)for(let s=0;s<r-1;s++){let a=e.get(n,s)+e.get(n,s+1)+e.get(n+1,s)+e.get(n+1,s+1);(a===4||a===0)&&i++}return i*Ac.N2};nr.getPenaltyN3=function(e){let r=e.size,i=0,n=0,s=0;for(let a=0;a<r;a++){n=s=0;for(let u=0;u<r;u++)n=n<<1&2047|e.get(a,u),u>=10&&(n===1488||n===93)&&i++,s=s<<1&2047|e.get(u,a),u>=10&&(s===1488||s===93)&&i++}return i*Ac.N3};nr.getPenaltyN4=function(e){let r=0,i=e.data.length;for(let s=0;s<i;s++)r+=e.data[s];return Math.abs(Math.ceil(r*100/i/5)-10)*Ac.N4};function _Q(t,e,r){switch(t){case nr.Patterns.PATTERN000:return(e+r)%2===0;case nr.Patterns.PATTERN001:return e%2===0;case nr.Patterns.PATTERN010:return r%3===0;case nr.Patterns.PATTERN011:return(e+r)%3===0;case nr.Patterns.PATTERN100:return(Math.floor(e/2)+Math.floor(r/3))%2===0;case nr.Patterns.PATTERN101:return e*r%2+e*r%3===0;case nr.Patterns.PATTERN110:return(e*r%2+e*r%3)%2===0;case nr.Patterns.PATTERN111:return(e*r%3+(e+r)%2)%2===0;default:throw new Error("bad maskPattern:"+t)}}nr.applyMask=function(e,r){let i=r.size;for(let n=0;n<i;n++)for(let s=0;s<i;s++)r.isReserved(s,n)||r.xor(s,n,_Q(e,s,n))};nr.getBestMask=function(e,r){let i=Object.keys(nr.Patterns).length,n=0,s=1/0;for(let a=0;a<i;a++){r(a),nr.applyMask(a,e);let u=nr.getPenaltyN1(e)+nr.getPenaltyN2(e)+nr.getPenaltyN3(e)+nr.getPenaltyN4(e);nr.applyMask(a,e),u<s&&(s=u,n=a)}return n}});var D3=fe(C3=>{var _a=Hp(),Vp=[1,1,1,1,1,1,1,1,1,1,2,2,1,2,2,4,1,2,4,4,2,4,4,4,2,4,6,5,2,4,6,6,2,5,8,8,4,5,8,8,4,5,8,11,4,8,10,11,4,9,12,16,4,9,16,16,6,10,12,18,6,10,17,16,6,11,16,19,6,13,18,21,7,14,21,25,8,16,20,25,8,17,23,25,9,17,23,34,9,18,25,30,10,20,27,32,12,21,29,35,12,23,34,37,12,25,34,40,13,26,35,42,14,28,38,45,15,29,40,48,16,31,43,51,17,33,45,54,18,35,48,57,19,37,51,60,19,38,53,63,20,40,56,66,21,43,59,70,22,45,62,74,24,47,65,77,25,49,68,81],Wp=[7,10,13,17,10,16,22,28,15,26,36,44,20,36,52,64,26,48,72,88,36,64,96,112,40,72,108,130,48,88,132,156,60,110,160,192,72,130,192,224,80,150,224,264,96,176,260,308,104,198,288,352,120,216,320,384,132,240,360,432,144,280,408,480,168,308,448,532,180,338,504,588,196,364,546,650,224,416,600,700,224,442,644,750,252,476,690,816,270,504,750,900,300,560,810,960,312,588,870,1050,336,644,952,1110,360,700,1020,1200,390,728,1050,1260,420,784,1140,1350,450,812,1200,1440,480,868,1290,1530,510,924,1350,1620,540,980,1440,1710,570,1036,1530,1800,570,1064,1590,1890,600,1120,1680,1980,630,1204,1770,2100,660,1260,1860,2220,720,1316,1950,2310,750,1372,2040,2430];C3.getBlocksCount=function(e,r){switch(r){case _a.L:return Vp[(e-1)*4+0];case _a.M:return Vp[(e-1)*4+1];case _a.Q:return Vp[(e-1)*4+2];case _a.H:return Vp[(e-1)*4+3];default:return}};C3.getTotalCodewordsCount=function(e,r){switch(r){case _a.L:return Wp[(e-1)*4+0];case _a.M:return Wp[(e-1)*4+1];case _a.Q:return Wp[(e-1)*4+2];case _a.H:return Wp[(e-1)*4+3];default:return}}});var RI=fe(Jp=>{var lh=new Uint8Array(512),Gp=new Uint8Array(256);(function(){let e=1;for(let r=0;r<255;r++)lh[r]=e,Gp[e]=r,e<<=1,e&256&&(e^=285);for(let r=255;r<512;r++)lh[r]=lh[r-255]})();Jp.log=function(e){if(e<1)throw new Error("log("+e+")");return Gp[e]};Jp.exp=function(e){return lh[e]};Jp.mul=function(e,r){return e===0||r===0?0:lh[Gp[e]+Gp[r]]}});var TI=fe(fh=>{var P3=RI();fh.mul=function(e,r){let i=new Uint8Array(e.length+r.length-1);for(let n=0;n<e.length;n++)for(let s=0;s<r.length;s++)i[n+s]^=P3.mul(e[n],r[s]);return i};fh.mod=function(e,r){let i=new Uint8Array(e);for(;i.length-r.length>=0;){let n=i[0];for(let a=0;a<r.length;a++)i[a]^=P3.mul(r[a],n);let s=0;for(;s<i.length&&i[s]===0;)s++;i=i.slice(s)}return i};fh.generateECPolynomial=function(e){let r=new Uint8Array([1]);for(let i=0;i<e;i++)r=fh.mul(r,new Uint8Array([1,P3.exp(i)]));return r}});var BI=fe((Bce,LI)=>{var NI=TI();function O3(t){this.genPoly=void 0,this.degree=t,this.degree&&this.initialize(this.degree)}O3.prototype.initialize=function(e){this.degree=e,this.genPoly=NI.generateECPolynomial(this.degree)};O3.prototype.encode=function(e){if(!this.genPoly)throw new Error("Encoder not initialized");let r=new Uint8Array(e.length+this.degree);r.set(e);let i=NI.mod(r,this.genPoly),n=this.degree-i.length;if(n>0){let s=new Uint8Array(this.degree);return s.set(i,n),s}return i};LI.exports=O3});var R3=fe(UI=>{UI.isValid=function(e){return!isNaN(e)&&e>=1&&e<=40}});var T3=fe(Po=>{var FI="[0-9]+",xQ="[A-Z $%*+\\-./:]+",hh="(?:[u3000-u303F]|[u3040-u309F]|[u30A0-u30FF]|[uFF00-uFFEF]|[u4E00-u9FAF]|[u2605-u2606]|[u2190-u2195]|u203B|[u2010u2015u2018u2019u2025u2026u201Cu201Du2225u2260]|[u0391-u0451]|[u00A7u00A8u00B1u00B4u00D7u00F7])+";hh=hh.replace(/u/g,"\\u");var EQ="(?:(?![A-Z0-9 $%*+\\-./:]|"+hh+`)(?:.|[\r
+]))+`;Po.KANJI=new RegExp(hh,"g");Po.BYTE_KANJI=new RegExp("[^A-Z0-9 $%*+\\-./:]+","g");Po.BYTE=new RegExp(EQ,"g");Po.NUMERIC=new RegExp(FI,"g");Po.ALPHANUMERIC=new RegExp(xQ,"g");var AQ=new RegExp("^"+hh+"$"),SQ=new RegExp("^"+FI+"$"),IQ=new RegExp("^[A-Z0-9 $%*+\\-./:]+$");Po.testKanji=function(e){return AQ.test(e)};Po.testNumeric=function(e){return SQ.test(e)};Po.testAlphanumeric=function(e){return IQ.test(e)}});var xa=fe(Dr=>{var MQ=R3(),N3=T3();Dr.NUMERIC={id:"Numeric",bit:1,ccBits:[10,12,14]};Dr.ALPHANUMERIC={id:"Alphanumeric",bit:2,ccBits:[9,11,13]};Dr.BYTE={id:"Byte",bit:4,ccBits:[8,16,16]};Dr.KANJI={id:"Kanji",bit:8,ccBits:[8,10,12]};Dr.MIXED={bit:-1};Dr.getCharCountIndicator=function(e,r){if(!e.ccBits)throw new Error("Invalid mode: "+e);if(!MQ.isValid(r))throw new Error("Invalid version: "+r);return r>=1&&r<10?e.ccBits[0]:r<27?e.ccBits[1]:e.ccBits[2]};Dr.getBestModeForData=function(e){return N3.testNumeric(e)?Dr.NUMERIC:N3.testAlphanumeric(e)?Dr.ALPHANUMERIC:N3.testKanji(e)?Dr.KANJI:Dr.BYTE};Dr.toString=function(e){if(e&&e.id)return e.id;throw new Error("Invalid mode")};Dr.isValid=function(e){return e&&e.bit&&e.ccBits};function CQ(t){if(typeof t!="string")throw new Error("Param is not a string");switch(t.toLowerCase()){case"numeric":return Dr.NUMERIC;case"alphanumeric":return Dr.ALPHANUMERIC;case"kanji":return Dr.KANJI;case"byte":return Dr.BYTE;default:throw new Error("Unknown mode: "+t)}}Dr.from=function(e,r){if(Dr.isValid(e))return e;try{return CQ(e)}catch{return r}}});var zI=fe(Sc=>{var Yp=wa(),DQ=D3(),qI=Hp(),Ea=xa(),L3=R3(),kI=7973,$I=Yp.getBCHDigit(kI);function PQ(t,e,r){for(let i=1;i<=40;i++)if(e<=Sc.getCapacity(i,r,t))return i}function jI(t,e){return Ea.getCharCountIndicator(t,e)+4}function OQ(t,e){let r=0;return t.forEach(function(i){let n=jI(i.mode,e);r+=n+i.getBitsLength()}),r}function RQ(t,e){for(let r=1;r<=40;r++)if(OQ(t,r)<=Sc.getCapacity(r,e,Ea.MIXED))return r}Sc.from=function(e,r){return L3.isValid(e)?parseInt(e,10):r};Sc.getCapacity=function(e,r,i){if(!L3.isValid(e))throw new Error("Invalid QR Code version");typeof i>"u"&&(i=Ea.BYTE);let n=Yp.getSymbolTotalCodewords(e),s=DQ.getTotalCodewordsCount(e,r),a=(n-s)*8;if(i===Ea.MIXED)return a;let u=a-jI(i,e);switch(i){case Ea.NUMERIC:return Math.floor(u/10*3);case Ea.ALPHANUMERIC:return Math.floor(u/11*2);case Ea.KANJI:return Math.floor(u/13);case Ea.BYTE:default:return Math.floor(u/8)}};Sc.getBestVersionForData=function(e,r){let i,n=qI.from(r,qI.M);if(Array.isArray(e)){if(e.length>1)return RQ(e,n);if(e.length===0)return 1;i=e[0]}else i=e;return PQ(i.mode,i.getLength(),n)};Sc.getEncodedBits=function(e){if(!L3.isValid(e)||e<7)throw new Error("Invalid QR Code version");let r=e<<12;for(;Yp.getBCHDigit(r)-$I>=0;)r^=kI<<Yp.getBCHDigit(r)-$I;return e<<12|r}});var WI=fe(VI=>{var B3=wa(),KI=1335,TQ=21522,HI=B3.getBCHDigit(KI);VI.getEncodedBits=function(e,r){let i=e.bit<<3|r,n=i<<10;for(;B3.getBCHDigit(n)-HI>=0;)n^=KI<<B3.getBCHDigit(n)-HI;return(i<<10|n)^TQ}});var JI=fe((jce,GI)=>{var NQ=xa();function il(t){this.mode=NQ.NUMERIC,this.data=t.toString()}il.getBitsLength=function(e){return 10*Math.floor(e/3)+(e%3?e%3*3+1:0)};il.prototype.getLength=function(){return this.data.length};il.prototype.getBitsLength=function(){return il.getBitsLength(this.data.length)};il.prototype.write=function(e){let r,i,n;for(r=0;r+3<=this.data.length;r+=3)i=this.data.substr(r,3),n=parseInt(i,10),e.put(n,10);let s=this.data.length-r;s>0&&(i=this.data.substr(r),n=parseInt(i,10),e.put(n,s*3+1))};GI.exports=il});var QI=fe((zce,YI)=>{var LQ=xa(),U3=["0","1","2","3","4","5","6","7","8","9","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z"," ","$","%","*","+","-",".","/",":"];function nl(t){this.mode=LQ.ALPHANUMERIC,this.data=t}nl.getBitsLength=function(e){return 11*Math.floor(e/2)+6*(e%2)};nl.prototype.getLength=function(){return this.data.length};nl.prototype.getBitsLength=function(){return nl.getBitsLength(this.data.length)};nl.prototype.write=function(e){let r;for(r=0;r+2<=this.data.length;r+=2){let i=U3.indexOf(this.data[r])*45;i+=U3.indexOf(this.data[r+1]),e.put(i,11)}this.data.length%2&&e.put(U3.indexOf(this.data[r]),6)};YI.exports=nl});var ZI=fe((Hce,XI)=>{"use strict";XI.exports=function(e){for(var r=[],i=e.length,n=0;n<i;n++){var s=e.charCodeAt(n);if(s>=55296&&s<=56319&&i>n+1){var a=e.charCodeAt(n+1);a>=56320&&a<=57343&&(s=(s-55296)*1024+a-56320+65536,n+=1)}if(s<128){r.push(s);continue}if(s<2048){r.push(s>>6|192),r.push(s&63|128);continue}if(s<55296||s>=57344&&s<65536){r.push(s>>12|224),r.push(s>>6&63|128),r.push(s&63|128);continue}if(s>=65536&&s<=1114111){r.push(s>>18|240),r.push(s>>12&63|128),r.push(s>>6&63|128),r.push(s&63|128);continue}r.push(239,191,189)}return new Uint8Array(r).buffer}});var tM=fe((Kce,eM)=>{var BQ=ZI(),UQ=xa();function sl(t){this.mode=UQ.BYTE,typeof t=="string"&&(t=BQ(t)),this.data=new Uint8Array(t)}sl.getBitsLength=function(e){return e*8};sl.prototype.getLength=function(){return this.data.length};sl.prototype.getBitsLength=function(){return sl.getBitsLength(this.data.length)};sl.prototype.write=function(t){for(let e=0,r=this.data.length;e<r;e++)t.put(this.data[e],8)};eM.exports=sl});var iM=fe((Vce,rM)=>{var FQ=xa(),qQ=wa();function ol(t){this.mode=FQ.KANJI,this.data=t}ol.getBitsLength=function(e){return e*13};ol.prototype.getLength=function(){return this.data.length};ol.prototype.getBitsLength=function(){return ol.getBitsLength(this.data.length)};ol.prototype.write=function(t){let e;for(e=0;e<this.data.length;e++){let r=qQ.toSJIS(this.data[e]);if(r>=33088&&r<=40956)r-=33088;else if(r>=57408&&r<=60351)r-=49472;else throw new Error("Invalid SJIS character: "+this.data[e]+`
+Make sure your charset is UTF-8`);r=(r>>>8&255)*192+(r&255),t.put(r,13)}};rM.exports=ol});var nM=fe((Wce,F3)=>{"use strict";var dh={single_source_shortest_paths:function(t,e,r){var i={},n={};n[e]=0;var s=dh.PriorityQueue.make();s.push(e,0);for(var a,u,h,f,v,w,I,M,P;!s.empty();){a=s.pop(),u=a.value,f=a.cost,v=t[u]||{};for(h in v)v.hasOwnProperty(h)&&(w=v[h],I=f+w,M=n[h],P=typeof n[h]>"u",(P||M>I)&&(n[h]=I,s.push(h,I),i[h]=u))}if(typeof r<"u"&&typeof n[r]>"u"){var T=["Could not find a path from ",e," to ",r,"."].join("");throw new Error(T)}return i},extract_shortest_path_from_predecessor_list:function(t,e){for(var r=[],i=e,n;i;)r.push(i),n=t[i],i=t[i];return r.reverse(),r},find_path:function(t,e,r){var i=dh.single_source_shortest_paths(t,e,r);return dh.extract_shortest_path_from_predecessor_list(i,r)},PriorityQueue:{make:function(t){var e=dh.PriorityQueue,r={},i;t=t||{};for(i in e)e.hasOwnProperty(i)&&(r[i]=e[i]);return r.queue=[],r.sorter=t.sorter||e.default_sorter,r},default_sorter:function(t,e){return t.cost-e.cost},push:function(t,e){var r={value:t,cost:e};this.queue.push(r),this.queue.sort(this.sorter)},pop:function(){return this.queue.shift()},empty:function(){return this.queue.length===0}}};typeof F3<"u"&&(F3.exports=dh)});var hM=fe(al=>{var Wt=xa(),aM=JI(),cM=QI(),uM=tM(),lM=iM(),ph=T3(),Qp=wa(),$Q=nM();function sM(t){return unescape(encodeURIComponent(t)).length}function gh(t,e,r){let i=[],n;for(;(n=t.exec(r))!==null;)i.push({data:n[0],index:n.index,mode:e,length:n[0].length});return i}function fM(t){let e=gh(ph.NUMERIC,Wt.NUMERIC,t),r=gh(ph.ALPHANUMERIC,Wt.ALPHANUMERIC,t),i,n;return Qp.isKanjiModeEnabled()?(i=gh(ph.BYTE,Wt.BYTE,t),n=gh(ph.KANJI,Wt.KANJI,t)):(i=gh(ph.BYTE_KANJI,Wt.BYTE,t),n=[]),e.concat(r,i,n).sort(function(a,u){return a.index-u.index}).map(function(a){return{data:a.data,mode:a.mode,length:a.length}})}function q3(t,e){switch(e){case Wt.NUMERIC:return aM.getBitsLength(t);case Wt.ALPHANUMERIC:return cM.getBitsLength(t);case Wt.KANJI:return lM.getBitsLength(t);case Wt.BYTE:return uM.getBitsLength(t)}}function kQ(t){return t.reduce(function(e,r){let i=e.length-1>=0?e[e.length-1]:null;return i&&i.mode===r.mode?(e[e.length-1].data+=r.data,e):(e.push(r),e)},[])}function jQ(t){let e=[];for(let r=0;r<t.length;r++){let i=t[r];switch(i.mode){case Wt.NUMERIC:e.push([i,{data:i.data,mode:Wt.ALPHANUMERIC,length:i.length},{data:i.data,mode:Wt.BYTE,length:i.length}]);break;case Wt.ALPHANUMERIC:e.push([i,{data:i.data,mode:Wt.BYTE,length:i.length}]);break;case Wt.KANJI:e.push([i,{data:i.data,mode:Wt.BYTE,length:sM(i.data)}]);break;case Wt.BYTE:e.push([{data:i.data,mode:Wt.BYTE,length:sM(i.data)}])}}return e}function zQ(t,e){let r={},i={start:{}},n=["start"];for(let s=0;s<t.length;s++){let a=t[s],u=[];for(let h=0;h<a.length;h++){let f=a[h],v=""+s+h;u.push(v),r[v]={node:f,lastCount:0},i[v]={};for(let w=0;w<n.length;w++){let I=n[w];r[I]&&r[I].node.mode===f.mode?(i[I][v]=q3(r[I].lastCount+f.length,f.mode)-q3(r[I].lastCount,f.mode),r[I].lastCount+=f.length):(r[I]&&(r[I].lastCount=f.length),i[I][v]=q3(f.length,f.mode)+4+Wt.getCharCountIndicator(f.mode,e))}}n=u}for(let s=0;s<n.length;s++)i[n[s]].end=0;return{map:i,table:r}}function oM(t,e){let r,i=Wt.getBestModeForData(t);if(r=Wt.from(e,i),r!==Wt.BYTE&&r.bit<i.bit)throw new Error('"'+t+'" cannot be encoded with mode '+Wt.toString(r)+`.
+ Suggested mode is: `+Wt.toString(i));switch(r===Wt.KANJI&&!Qp.isKanjiModeEnabled()&&(r=Wt.BYTE),r){case Wt.NUMERIC:return new aM(t);case Wt.ALPHANUMERIC:return new cM(t);case Wt.KANJI:return new lM(t);case Wt.BYTE:return new uM(t)}}al.fromArray=function(e){return e.reduce(function(r,i){return typeof i=="string"?r.push(oM(i,null)):i.data&&r.push(oM(i.data,i.mode)),r},[])};al.fromString=function(e,r){let i=fM(e,Qp.isKanjiModeEnabled()),n=jQ(i),s=zQ(n,r),a=$Q.find_path(s.map,"start","end"),u=[];for(let h=1;h<a.length-1;h++)u.push(s.table[a[h]].node);return al.fromArray(kQ(u))};al.rawSplit=function(e){return al.fromArray(fM(e,Qp.isKanjiModeEnabled()))}});var pM=fe(dM=>{var Zp=wa(),$3=Hp(),HQ=AI(),KQ=II(),VQ=MI(),WQ=PI(),z3=OI(),H3=D3(),GQ=BI(),Xp=zI(),JQ=WI(),YQ=xa(),k3=hM();function QQ(t,e){let r=t.size,i=WQ.getPositions(e);for(let n=0;n<i.length;n++){let s=i[n][0],a=i[n][1];for(let u=-1;u<=7;u++)if(!(s+u<=-1||r<=s+u))for(let h=-1;h<=7;h++)a+h<=-1||r<=a+h||(u>=0&&u<=6&&(h===0||h===6)||h>=0&&h<=6&&(u===0||u===6)||u>=2&&u<=4&&h>=2&&h<=4?t.set(s+u,a+h,!0,!0):t.set(s+u,a+h,!1,!0))}}function XQ(t){let e=t.size;for(let r=8;r<e-8;r++){let i=r%2===0;t.set(r,6,i,!0),t.set(6,r,i,!0)}}function ZQ(t,e){let r=VQ.getPositions(e);for(let i=0;i<r.length;i++){let n=r[i][0],s=r[i][1];for(let a=-2;a<=2;a++)for(let u=-2;u<=2;u++)a===-2||a===2||u===-2||u===2||a===0&&u===0?t.set(n+a,s+u,!0,!0):t.set(n+a,s+u,!1,!0)}}function eX(t,e){let r=t.size,i=Xp.getEncodedBits(e),n,s,a;for(let u=0;u<18;u++)n=Math.floor(u/3),s=u%3+r-8-3,a=(i>>u&1)===1,t.set(n,s,a,!0),t.set(s,n,a,!0)}function j3(t,e,r){let i=t.size,n=JQ.getEncodedBits(e,r),s,a;for(s=0;s<15;s++)a=(n>>s&1)===1,s<6?t.set(s,8,a,!0):s<8?t.set(s+1,8,a,!0):t.set(i-15+s,8,a,!0),s<8?t.set(8,i-s-1,a,!0):s<9?t.set(8,15-s-1+1,a,!0):t.set(8,15-s-1,a,!0);t.set(i-8,8,1,!0)}function tX(t,e){let r=t.size,i=-1,n=r-1,s=7,a=0;for(let u=r-1;u>0;u-=2)for(u===6&&u--;;){for(let h=0;h<2;h++)if(!t.isReserved(n,u-h)){let f=!1;a<e.length&&(f=(e[a]>>>s&1)===1),t.set(n,u-h,f),s--,s===-1&&(a++,s=7)}if(n+=i,n<0||r<=n){n-=i,i=-i;break}}}function rX(t,e,r){let i=new HQ;r.forEach(function(h){i.put(h.mode.bit,4),i.put(h.getLength(),YQ.getCharCountIndicator(h.mode,t)),h.write(i)});let n=Zp.getSymbolTotalCodewords(t),s=H3.getTotalCodewordsCount(t,e),a=(n-s)*8;for(i.getLengthInBits()+4<=a&&i.put(0,4);i.getLengthInBits()%8!==0;)i.putBit(0);let u=(a-i.getLengthInBits())/8;for(let h=0;h<u;h++)i.put(h%2?17:236,8);return iX(i,t,e)}function iX(t,e,r){let i=Zp.getSymbolTotalCodewords(e),n=H3.getTotalCodewordsCount(e,r),s=i-n,a=H3.getBlocksCount(e,r),u=i%a,h=a-u,f=Math.floor(i/a),v=Math.floor(s/a),w=v+1,I=f-v,M=new GQ(I),P=0,T=new Array(a),U=new Array(a),F=0,V=new Uint8Array(t.buffer);for(let $=0;$<a;$++){let q=$<h?v:w;T[$]=V.slice(P,P+q),U[$]=M.encode(T[$]),P+=q,F=Math.max(F,q)}let z=new Uint8Array(i),j=0,H,ee;for(H=0;H<F;H++)for(ee=0;ee<a;ee++)H<T[ee].length&&(z[j++]=T[ee][H]);for(H=0;H<I;H++)for(ee=0;ee<a;ee++)z[j++]=U[ee][H];return z}function nX(t,e,r,i){let n;if(Array.isArray(t))n=k3.fromArray(t);else if(typeof t=="string"){let f=e;if(!f){let v=k3.rawSplit(t);f=Xp.getBestVersionForData(v,r)}n=k3.fromString(t,f||40)}else throw new Error("Invalid data");let s=Xp.getBestVersionForData(n,r);if(!s)throw new Error("The amount of data is too big to be stored in a QR Code");if(!e)e=s;else if(e<s)throw new Error(`
+The chosen QR Code version cannot contain this amount of data.
+Minimum version required to store current data is: `+s+`.
+`);let a=rX(e,r,n),u=Zp.getSymbolSize(e),h=new KQ(u);return QQ(h,e),XQ(h),ZQ(h,e),j3(h,r,0),e>=7&&eX(h,e),tX(h,a),isNaN(i)&&(i=z3.getBestMask(h,j3.bind(null,h,r))),z3.applyMask(i,h),j3(h,r,i),{modules:h,version:e,errorCorrectionLevel:r,maskPattern:i,segments:n}}dM.create=function(e,r){if(typeof e>"u"||e==="")throw new Error("No input text");let i=$3.M,n,s;return typeof r<"u"&&(i=$3.from(r.errorCorrectionLevel,$3.M),n=Xp.from(r.version),s=z3.from(r.maskPattern),r.toSJISFunc&&Zp.setToSJISFunction(r.toSJISFunc)),nX(e,n,i,s)}});var K3=fe(Ic=>{function gM(t){if(typeof t=="number"&&(t=t.toString()),typeof t!="string")throw new Error("Color should be defined as hex string");let e=t.slice().replace("#","").split("");if(e.length<3||e.length===5||e.length>8)throw new Error("Invalid hex color: "+t);(e.length===3||e.length===4)&&(e=Array.prototype.concat.apply([],e.map(function(i){return[i,i]}))),e.length===6&&e.push("F","F");let r=parseInt(e.join(""),16);return{r:r>>24&255,g:r>>16&255,b:r>>8&255,a:r&255,hex:"#"+e.slice(0,6).join("")}}Ic.getOptions=function(e){e||(e={}),e.color||(e.color={});let r=typeof e.margin>"u"||e.margin===null||e.margin<0?4:e.margin,i=e.width&&e.width>=21?e.width:void 0,n=e.scale||4;return{width:i,scale:i?4:n,margin:r,color:{dark:gM(e.color.dark||"#000000ff"),light:gM(e.color.light||"#ffffffff")},type:e.type,rendererOpts:e.rendererOpts||{}}};Ic.getScale=function(e,r){return r.width&&r.width>=e+r.margin*2?r.width/(e+r.margin*2):r.scale};Ic.getImageWidth=function(e,r){let i=Ic.getScale(e,r);return Math.floor((e+r.margin*2)*i)};Ic.qrToImageData=function(e,r,i){let n=r.modules.size,s=r.modules.data,a=Ic.getScale(n,i),u=Math.floor((n+i.margin*2)*a),h=i.margin*a,f=[i.color.light,i.color.dark];for(let v=0;v<u;v++)for(let w=0;w<u;w++){let I=(v*u+w)*4,M=i.color.light;if(v>=h&&w>=h&&v<u-h&&w<u-h){let P=Math.floor((v-h)/a),T=Math.floor((w-h)/a);M=f[s[P*n+T]?1:0]}e[I++]=M.r,e[I++]=M.g,e[I++]=M.b,e[I]=M.a}}});var mM=fe(e1=>{var V3=K3();function sX(t,e,r){t.clearRect(0,0,e.width,e.height),e.style||(e.style={}),e.height=r,e.width=r,e.style.height=r+"px",e.style.width=r+"px"}function oX(){try{return document.createElement("canvas")}catch{throw new Error("You need to specify a canvas element")}}e1.render=function(e,r,i){let n=i,s=r;typeof n>"u"&&(!r||!r.getContext)&&(n=r,r=void 0),r||(s=oX()),n=V3.getOptions(n);let a=V3.getImageWidth(e.modules.size,n),u=s.getContext("2d"),h=u.createImageData(a,a);return V3.qrToImageData(h.data,e,n),sX(u,s,a),u.putImageData(h,0,0),s};e1.renderToDataURL=function(e,r,i){let n=i;typeof n>"u"&&(!r||!r.getContext)&&(n=r,r=void 0),n||(n={});let s=e1.render(e,r,n),a=n.type||"image/png",u=n.rendererOpts||{};return s.toDataURL(a,u.quality)}});var yM=fe(bM=>{var aX=K3();function vM(t,e){let r=t.a/255,i=e+'="'+t.hex+'"';return r<1?i+" "+e+'-opacity="'+r.toFixed(2).slice(1)+'"':i}function W3(t,e,r){let i=t+e;return typeof r<"u"&&(i+=" "+r),i}function cX(t,e,r){let i="",n=0,s=!1,a=0;for(let u=0;u<t.length;u++){let h=Math.floor(u%e),f=Math.floor(u/e);!h&&!s&&(s=!0),t[u]?(a++,u>0&&h>0&&t[u-1]||(i+=s?W3("M",h+r,.5+f+r):W3("m",n,0),n=0,s=!1),h+1<e&&t[u+1]||(i+=W3("h",a),a=0)):n++}return i}bM.render=function(e,r,i){let n=aX.getOptions(r),s=e.modules.size,a=e.modules.data,u=s+n.margin*2,h=n.color.light.a?"<path "+vM(n.color.light,"fill")+' d="M0 0h'+u+"v"+u+'H0z"/>':"",f="<path "+vM(n.color.dark,"stroke")+' d="'+cX(a,s,n.margin)+'"/>',v='viewBox="0 0 '+u+" "+u+'"',I='<svg xmlns="http://www.w3.org/2000/svg" '+(n.width?'width="'+n.width+'" height="'+n.width+'" ':"")+v+' shape-rendering="crispEdges">'+h+f+`</svg>
+`;return typeof i=="function"&&i(null,I),I}});var _M=fe(mh=>{var uX=_I(),G3=pM(),wM=mM(),lX=yM();function J3(t,e,r,i,n){let s=[].slice.call(arguments,1),a=s.length,u=typeof s[a-1]=="function";if(!u&&!uX())throw new Error("Callback required as last argument");if(u){if(a<2)throw new Error("Too few arguments provided");a===2?(n=r,r=e,e=i=void 0):a===3&&(e.getContext&&typeof n>"u"?(n=i,i=void 0):(n=i,i=r,r=e,e=void 0))}else{if(a<1)throw new Error("Too few arguments provided");return a===1?(r=e,e=i=void 0):a===2&&!e.getContext&&(i=r,r=e,e=void 0),new Promise(function(h,f){try{let v=G3.create(r,i);h(t(v,e,i))}catch(v){f(v)}})}try{let h=G3.create(r,i);n(null,t(h,e,i))}catch(h){n(h)}}mh.create=G3.create;mh.toCanvas=J3.bind(null,wM.render);mh.toDataURL=J3.bind(null,wM.renderToDataURL);mh.toString=J3.bind(null,function(t,e,r){return lX.render(t,r)})});var NM={};zr(NM,{WcmModal:()=>ll,WcmQrCode:()=>Ro});function pX(){var t;let e=(t=Ls.state.themeMode)!=null?t:"dark",i={light:{foreground:{1:"rgb(20,20,20)",2:"rgb(121,134,134)",3:"rgb(158,169,169)"},background:{1:"rgb(255,255,255)",2:"rgb(241,243,243)",3:"rgb(228,231,231)"},overlay:"rgba(0,0,0,0.1)"},dark:{foreground:{1:"rgb(228,231,231)",2:"rgb(148,158,158)",3:"rgb(110,119,119)"},background:{1:"rgb(20,20,20)",2:"rgb(39,42,42)",3:"rgb(59,64,64)"},overlay:"rgba(255,255,255,0.1)"}}[e];return{"--wcm-color-fg-1":i.foreground[1],"--wcm-color-fg-2":i.foreground[2],"--wcm-color-fg-3":i.foreground[3],"--wcm-color-bg-1":i.background[1],"--wcm-color-bg-2":i.background[2],"--wcm-color-bg-3":i.background[3],"--wcm-color-overlay":i.overlay}}function AM(){return{"--wcm-accent-color":"#3396FF","--wcm-accent-fill-color":"#FFFFFF","--wcm-z-index":"89","--wcm-background-color":"#3396FF","--wcm-background-border-radius":"8px","--wcm-container-border-radius":"30px","--wcm-wallet-icon-border-radius":"15px","--wcm-wallet-icon-large-border-radius":"30px","--wcm-wallet-icon-small-border-radius":"7px","--wcm-input-border-radius":"28px","--wcm-button-border-radius":"10px","--wcm-notification-border-radius":"36px","--wcm-secondary-button-border-radius":"28px","--wcm-icon-button-border-radius":"50%","--wcm-button-hover-highlight-border-radius":"10px","--wcm-text-big-bold-size":"20px","--wcm-text-big-bold-weight":"600","--wcm-text-big-bold-line-height":"24px","--wcm-text-big-bold-letter-spacing":"-0.03em","--wcm-text-big-bold-text-transform":"none","--wcm-text-xsmall-bold-size":"10px","--wcm-text-xsmall-bold-weight":"700","--wcm-text-xsmall-bold-line-height":"12px","--wcm-text-xsmall-bold-letter-spacing":"0.02em","--wcm-text-xsmall-bold-text-transform":"uppercase","--wcm-text-xsmall-regular-size":"12px","--wcm-text-xsmall-regular-weight":"600","--wcm-text-xsmall-regular-line-height":"14px","--wcm-text-xsmall-regular-letter-spacing":"-0.03em","--wcm-text-xsmall-regular-text-transform":"none","--wcm-text-small-thin-size":"14px","--wcm-text-small-thin-weight":"500","--wcm-text-small-thin-line-height":"16px","--wcm-text-small-thin-letter-spacing":"-0.03em","--wcm-text-small-thin-text-transform":"none","--wcm-text-small-regular-size":"14px","--wcm-text-small-regular-weight":"600","--wcm-text-small-regular-line-height":"16px","--wcm-text-small-regular-letter-spacing":"-0.03em","--wcm-text-small-regular-text-transform":"none","--wcm-text-medium-regular-size":"16px","--wcm-text-medium-regular-weight":"600","--wcm-text-medium-regular-line-height":"20px","--wcm-text-medium-regular-letter-spacing":"-0.03em","--wcm-text-medium-regular-text-transform":"none","--wcm-font-family":"-apple-system, system-ui, BlinkMacSystemFont, 'Segoe UI', Roboto, Ubuntu, 'Helvetica Neue', sans-serif","--wcm-font-feature-settings":"'tnum' on, 'lnum' on, 'case' on","--wcm-success-color":"rgb(38,181,98)","--wcm-error-color":"rgb(242, 90, 103)","--wcm-overlay-background-color":"rgba(0, 0, 0, 0.3)","--wcm-overlay-backdrop-filter":"none"}}function Q3(t,e,r){return t===e?!1:(t-e<0?e-t:t-e)<=r+VX}function WX(t,e){let r=Array.prototype.slice.call(MM.default.create(t,{errorCorrectionLevel:e}).modules.data,0),i=Math.sqrt(r.length);return r.reduce((n,s,a)=>(a%i===0?n.push([s]):n[n.length-1].push(s))&&n,[])}var MM,fX,xM,hX,dX,EM,Y3,ut,gX,mX,vX,hl,Sa,bX,yX,wX,py,vh,_X,xX,EX,AX,Z3,Gt,SX,IX,MX,CX,ey,DX,PX,OX,RX,ty,TX,NX,LX,BX,ry,UX,FX,qX,wh,Mc,He,$X,kX,jX,gy,bh,zX,HX,KX,CM,t1,VX,SM,Oo,GX,JX,YX,QX,dl,Ro,XX,ZX,eZ,DM,r1,tZ,rZ,iZ,nZ,iy,sZ,oZ,aZ,my,yh,cZ,uZ,lZ,Ma,Fs,fZ,hZ,dZ,o1,ul,pZ,gZ,PM,ny,mZ,vZ,bZ,IM,yZ,wZ,_Z,xZ,sy,EZ,AZ,SZ,pl,Ia,cl,Aa,IZ,MZ,CZ,DZ,oy,PZ,OZ,RZ,TZ,ay,NZ,LZ,BZ,UZ,cy,FZ,qZ,$Z,vy,ll,kZ,jZ,zZ,_h,Cc,HZ,KZ,VZ,WZ,uy,GZ,JZ,YZ,a1,fl,QZ,XZ,ZZ,ly,eee,tee,ree,OM,i1,iee,nee,see,oee,fy,aee,cee,uee,RM,n1,lee,fee,hee,dee,hy,pee,gee,mee,dy,vee,bee,yee,xh,X3,Dc,wee,_ee,xee,TM,s1,LM=be(()=>{lS();bS();ES();Lb();bc();vI();yI();MM=Et(_M(),1),fX=Object.defineProperty,xM=Object.getOwnPropertySymbols,hX=Object.prototype.hasOwnProperty,dX=Object.prototype.propertyIsEnumerable,EM=(t,e,r)=>e in t?fX(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,Y3=(t,e)=>{for(var r in e||(e={}))hX.call(e,r)&&EM(t,r,e[r]);if(xM)for(var r of xM(e))dX.call(e,r)&&EM(t,r,e[r]);return t};ut={getPreset(t){return AM()[t]},setTheme(){let t=document.querySelector(":root"),{themeVariables:e}=Ls.state;if(t){let r=Y3(Y3(Y3({},pX()),AM()),e);Object.entries(r).forEach(([i,n])=>t.style.setProperty(i,n))}},globalCss:pt`*,::after,::before{margin:0;padding:0;box-sizing:border-box;font-style:normal;text-rendering:optimizeSpeed;-webkit-font-smoothing:antialiased;-moz-osx-font-smoothing:grayscale;-webkit-tap-highlight-color:transparent;backface-visibility:hidden}button{cursor:pointer;display:flex;justify-content:center;align-items:center;position:relative;border:none;background-color:transparent;transition:all .2s ease}@media (hover:hover) and (pointer:fine){button:active{transition:all .1s ease;transform:scale(.93)}}button::after{content:'';position:absolute;top:0;bottom:0;left:0;right:0;transition:background-color,.2s ease}button:disabled{cursor:not-allowed}button svg,button wcm-text{position:relative;z-index:1}input{border:none;outline:0;appearance:none}img{display:block}::selection{color:var(--wcm-accent-fill-color);background:var(--wcm-accent-color)}`},gX=pt`button{border-radius:var(--wcm-secondary-button-border-radius);height:28px;padding:0 10px;background-color:var(--wcm-accent-color)}button path{fill:var(--wcm-accent-fill-color)}button::after{border-radius:inherit;border:1px solid var(--wcm-color-overlay)}button:disabled::after{background-color:transparent}.wcm-icon-left svg{margin-right:5px}.wcm-icon-right svg{margin-left:5px}button:active::after{background-color:var(--wcm-color-overlay)}.wcm-ghost,.wcm-ghost:active::after,.wcm-outline{background-color:transparent}.wcm-ghost:active{opacity:.5}@media(hover:hover){button:hover::after{background-color:var(--wcm-color-overlay)}.wcm-ghost:hover::after{background-color:transparent}.wcm-ghost:hover{opacity:.5}}button:disabled{background-color:var(--wcm-color-bg-3);pointer-events:none}.wcm-ghost::after{border-color:transparent}.wcm-ghost path{fill:var(--wcm-color-fg-2)}.wcm-outline path{fill:var(--wcm-accent-color)}.wcm-outline:disabled{background-color:transparent;opacity:.5}`,mX=Object.defineProperty,vX=Object.getOwnPropertyDescriptor,hl=(t,e,r,i)=>{for(var n=i>1?void 0:i?vX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&mX(e,r,n),n},Sa=class extends Je{constructor(){super(...arguments),this.disabled=!1,this.iconLeft=void 0,this.iconRight=void 0,this.onClick=()=>null,this.variant="default"}render(){let t={"wcm-icon-left":this.iconLeft!==void 0,"wcm-icon-right":this.iconRight!==void 0,"wcm-ghost":this.variant==="ghost","wcm-outline":this.variant==="outline"},e="inverse";return this.variant==="ghost"&&(e="secondary"),this.variant==="outline"&&(e="accent"),me`<button class="${Bs(t)}" ?disabled="${this.disabled}" @click="${this.onClick}">${this.iconLeft}<wcm-text variant="small-regular" color="${e}"><slot></slot></wcm-text>${this.iconRight}</button>`}};Sa.styles=[ut.globalCss,gX];hl([We({type:Boolean})],Sa.prototype,"disabled",2);hl([We()],Sa.prototype,"iconLeft",2);hl([We()],Sa.prototype,"iconRight",2);hl([We()],Sa.prototype,"onClick",2);hl([We()],Sa.prototype,"variant",2);Sa=hl([ct("wcm-button")],Sa);bX=pt`:host{display:inline-block}button{padding:0 15px 1px;height:40px;border-radius:var(--wcm-button-border-radius);color:var(--wcm-accent-fill-color);background-color:var(--wcm-accent-color)}button::after{content:'';top:0;bottom:0;left:0;right:0;position:absolute;background-color:transparent;border-radius:inherit;transition:background-color .2s ease;border:1px solid var(--wcm-color-overlay)}button:active::after{background-color:var(--wcm-color-overlay)}button:disabled{padding-bottom:0;background-color:var(--wcm-color-bg-3);color:var(--wcm-color-fg-3)}.wcm-secondary{color:var(--wcm-accent-color);background-color:transparent}.wcm-secondary::after{display:none}@media(hover:hover){button:hover::after{background-color:var(--wcm-color-overlay)}}`,yX=Object.defineProperty,wX=Object.getOwnPropertyDescriptor,py=(t,e,r,i)=>{for(var n=i>1?void 0:i?wX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&yX(e,r,n),n},vh=class extends Je{constructor(){super(...arguments),this.disabled=!1,this.variant="primary"}render(){let t={"wcm-secondary":this.variant==="secondary"};return me`<button ?disabled="${this.disabled}" class="${Bs(t)}"><slot></slot></button>`}};vh.styles=[ut.globalCss,bX];py([We({type:Boolean})],vh.prototype,"disabled",2);py([We()],vh.prototype,"variant",2);vh=py([ct("wcm-button-big")],vh);_X=pt`:host{background-color:var(--wcm-color-bg-2);border-top:1px solid var(--wcm-color-bg-3)}div{padding:10px 20px;display:inherit;flex-direction:inherit;align-items:inherit;width:inherit;justify-content:inherit}`,xX=Object.defineProperty,EX=Object.getOwnPropertyDescriptor,AX=(t,e,r,i)=>{for(var n=i>1?void 0:i?EX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&xX(e,r,n),n},Z3=class extends Je{render(){return me`<div><slot></slot></div>`}};Z3.styles=[ut.globalCss,_X];Z3=AX([ct("wcm-info-footer")],Z3);Gt={CROSS_ICON:fr`<svg width="12" height="12" viewBox="0 0 12 12"><path d="M9.94 11A.75.75 0 1 0 11 9.94L7.414 6.353a.5.5 0 0 1 0-.708L11 2.061A.75.75 0 1 0 9.94 1L6.353 4.586a.5.5 0 0 1-.708 0L2.061 1A.75.75 0 0 0 1 2.06l3.586 3.586a.5.5 0 0 1 0 .708L1 9.939A.75.75 0 1 0 2.06 11l3.586-3.586a.5.5 0 0 1 .708 0L9.939 11Z" fill="#fff"/></svg>`,WALLET_CONNECT_LOGO:fr`<svg width="178" height="29" viewBox="0 0 178 29" id="wcm-wc-logo"><path d="M10.683 7.926c5.284-5.17 13.85-5.17 19.134 0l.636.623a.652.652 0 0 1 0 .936l-2.176 2.129a.343.343 0 0 1-.478 0l-.875-.857c-3.686-3.607-9.662-3.607-13.348 0l-.937.918a.343.343 0 0 1-.479 0l-2.175-2.13a.652.652 0 0 1 0-.936l.698-.683Zm23.633 4.403 1.935 1.895a.652.652 0 0 1 0 .936l-8.73 8.543a.687.687 0 0 1-.956 0L20.37 17.64a.172.172 0 0 0-.239 0l-6.195 6.063a.687.687 0 0 1-.957 0l-8.73-8.543a.652.652 0 0 1 0-.936l1.936-1.895a.687.687 0 0 1 .957 0l6.196 6.064a.172.172 0 0 0 .239 0l6.195-6.064a.687.687 0 0 1 .957 0l6.196 6.064a.172.172 0 0 0 .24 0l6.195-6.064a.687.687 0 0 1 .956 0ZM48.093 20.948l2.338-9.355c.139-.515.258-1.07.416-1.942.12.872.258 1.427.357 1.942l2.022 9.355h4.181l3.528-13.874h-3.21l-1.943 8.523a24.825 24.825 0 0 0-.456 2.457c-.158-.931-.317-1.625-.495-2.438l-1.883-8.542h-4.201l-2.042 8.542a41.204 41.204 0 0 0-.475 2.438 41.208 41.208 0 0 0-.476-2.438l-1.903-8.542h-3.349l3.508 13.874h4.083ZM63.33 21.304c1.585 0 2.596-.654 3.11-1.605-.059.297-.078.595-.078.892v.357h2.655V15.22c0-2.735-1.248-4.32-4.3-4.32-2.636 0-4.36 1.466-4.52 3.487h2.914c.1-.891.734-1.426 1.705-1.426.911 0 1.407.515 1.407 1.11 0 .435-.258.693-1.03.792l-1.388.159c-2.061.257-3.825 1.01-3.825 3.19 0 1.982 1.645 3.092 3.35 3.092Zm.891-2.041c-.773 0-1.348-.436-1.348-1.19 0-.733.655-1.09 1.645-1.268l.674-.119c.575-.118.892-.218 1.09-.396v.912c0 1.228-.892 2.06-2.06 2.06ZM70.398 7.074v13.874h2.874V7.074h-2.874ZM74.934 7.074v13.874h2.874V7.074h-2.874ZM84.08 21.304c2.735 0 4.5-1.546 4.697-3.567h-2.893c-.139.892-.892 1.387-1.804 1.387-1.228 0-2.12-.99-2.14-2.358h6.897v-.555c0-3.21-1.764-5.312-4.816-5.312-2.933 0-4.994 2.062-4.994 5.173 0 3.37 2.12 5.232 5.053 5.232Zm-2.16-6.421c.119-1.11.932-1.922 2.081-1.922 1.11 0 1.883.772 1.903 1.922H81.92ZM94.92 21.146c.633 0 1.248-.1 1.525-.179v-2.18c-.218.04-.475.06-.693.06-1.05 0-1.427-.595-1.427-1.566v-3.805h2.338v-2.24h-2.338V7.788H91.47v3.448H89.37v2.24h2.1v4.201c0 2.3 1.15 3.469 3.45 3.469ZM104.62 21.304c3.924 0 6.302-2.299 6.599-5.608h-3.111c-.238 1.803-1.506 3.032-3.369 3.032-2.2 0-3.746-1.784-3.746-4.796 0-2.953 1.605-4.638 3.805-4.638 1.883 0 2.953 1.15 3.171 2.834h3.191c-.317-3.448-2.854-5.41-6.342-5.41-3.984 0-7.036 2.695-7.036 7.214 0 4.677 2.676 7.372 6.838 7.372ZM117.449 21.304c2.993 0 5.114-1.882 5.114-5.172 0-3.23-2.121-5.233-5.114-5.233-2.972 0-5.093 2.002-5.093 5.233 0 3.29 2.101 5.172 5.093 5.172Zm0-2.22c-1.327 0-2.18-1.09-2.18-2.952 0-1.903.892-2.973 2.18-2.973 1.308 0 2.2 1.07 2.2 2.973 0 1.862-.872 2.953-2.2 2.953ZM126.569 20.948v-5.689c0-1.208.753-2.1 1.823-2.1 1.011 0 1.606.773 1.606 2.06v5.729h2.873v-6.144c0-2.339-1.229-3.905-3.428-3.905-1.526 0-2.458.734-2.953 1.606a5.31 5.31 0 0 0 .079-.892v-.377h-2.874v9.712h2.874ZM137.464 20.948v-5.689c0-1.208.753-2.1 1.823-2.1 1.011 0 1.606.773 1.606 2.06v5.729h2.873v-6.144c0-2.339-1.228-3.905-3.428-3.905-1.526 0-2.458.734-2.953 1.606a5.31 5.31 0 0 0 .079-.892v-.377h-2.874v9.712h2.874ZM149.949 21.304c2.735 0 4.499-1.546 4.697-3.567h-2.893c-.139.892-.892 1.387-1.804 1.387-1.228 0-2.12-.99-2.14-2.358h6.897v-.555c0-3.21-1.764-5.312-4.816-5.312-2.933 0-4.994 2.062-4.994 5.173 0 3.37 2.12 5.232 5.053 5.232Zm-2.16-6.421c.119-1.11.932-1.922 2.081-1.922 1.11 0 1.883.772 1.903 1.922h-3.984ZM160.876 21.304c3.013 0 4.658-1.645 4.975-4.201h-2.874c-.099 1.07-.713 1.982-2.001 1.982-1.309 0-2.2-1.21-2.2-2.993 0-1.942 1.03-2.933 2.259-2.933 1.209 0 1.803.872 1.883 1.882h2.873c-.218-2.358-1.823-4.142-4.776-4.142-2.874 0-5.153 1.903-5.153 5.193 0 3.25 1.923 5.212 5.014 5.212ZM172.067 21.146c.634 0 1.248-.1 1.526-.179v-2.18c-.218.04-.476.06-.694.06-1.05 0-1.427-.595-1.427-1.566v-3.805h2.339v-2.24h-2.339V7.788h-2.854v3.448h-2.1v2.24h2.1v4.201c0 2.3 1.15 3.469 3.449 3.469Z" fill="#fff"/></svg>`,WALLET_CONNECT_ICON:fr`<svg width="28" height="20" viewBox="0 0 28 20"><g clip-path="url(#a)"><path d="M7.386 6.482c3.653-3.576 9.575-3.576 13.228 0l.44.43a.451.451 0 0 1 0 .648L19.55 9.033a.237.237 0 0 1-.33 0l-.606-.592c-2.548-2.496-6.68-2.496-9.228 0l-.648.634a.237.237 0 0 1-.33 0L6.902 7.602a.451.451 0 0 1 0-.647l.483-.473Zm16.338 3.046 1.339 1.31a.451.451 0 0 1 0 .648l-6.035 5.909a.475.475 0 0 1-.662 0L14.083 13.2a.119.119 0 0 0-.166 0l-4.283 4.194a.475.475 0 0 1-.662 0l-6.035-5.91a.451.451 0 0 1 0-.647l1.338-1.31a.475.475 0 0 1 .662 0l4.283 4.194c.046.044.12.044.166 0l4.283-4.194a.475.475 0 0 1 .662 0l4.283 4.194c.046.044.12.044.166 0l4.283-4.194a.475.475 0 0 1 .662 0Z" fill="#000000"/></g><defs><clipPath id="a"><path fill="#ffffff" d="M0 0h28v20H0z"/></clipPath></defs></svg>`,WALLET_CONNECT_ICON_COLORED:fr`<svg width="96" height="96" fill="none"><path fill="#fff" d="M25.322 33.597c12.525-12.263 32.83-12.263 45.355 0l1.507 1.476a1.547 1.547 0 0 1 0 2.22l-5.156 5.048a.814.814 0 0 1-1.134 0l-2.074-2.03c-8.737-8.555-22.903-8.555-31.64 0l-2.222 2.175a.814.814 0 0 1-1.134 0l-5.156-5.049a1.547 1.547 0 0 1 0-2.22l1.654-1.62Zm56.019 10.44 4.589 4.494a1.547 1.547 0 0 1 0 2.22l-20.693 20.26a1.628 1.628 0 0 1-2.267 0L48.283 56.632a.407.407 0 0 0-.567 0L33.03 71.012a1.628 1.628 0 0 1-2.268 0L10.07 50.75a1.547 1.547 0 0 1 0-2.22l4.59-4.494a1.628 1.628 0 0 1 2.267 0l14.687 14.38c.156.153.41.153.567 0l14.685-14.38a1.628 1.628 0 0 1 2.268 0l14.687 14.38c.156.153.41.153.567 0l14.686-14.38a1.628 1.628 0 0 1 2.268 0Z"/><path stroke="#000" d="M25.672 33.954c12.33-12.072 32.325-12.072 44.655 0l1.508 1.476a1.047 1.047 0 0 1 0 1.506l-5.157 5.048a.314.314 0 0 1-.434 0l-2.074-2.03c-8.932-8.746-23.409-8.746-32.34 0l-2.222 2.174a.314.314 0 0 1-.434 0l-5.157-5.048a1.047 1.047 0 0 1 0-1.506l1.655-1.62Zm55.319 10.44 4.59 4.494a1.047 1.047 0 0 1 0 1.506l-20.694 20.26a1.128 1.128 0 0 1-1.568 0l-14.686-14.38a.907.907 0 0 0-1.267 0L32.68 70.655a1.128 1.128 0 0 1-1.568 0L10.42 50.394a1.047 1.047 0 0 1 0-1.506l4.59-4.493a1.128 1.128 0 0 1 1.567 0l14.687 14.379a.907.907 0 0 0 1.266 0l-.35-.357.35.357 14.686-14.38a1.128 1.128 0 0 1 1.568 0l14.687 14.38a.907.907 0 0 0 1.267 0l14.686-14.38a1.128 1.128 0 0 1 1.568 0Z"/></svg>`,BACK_ICON:fr`<svg width="10" height="18" viewBox="0 0 10 18"><path fill-rule="evenodd" clip-rule="evenodd" d="M8.735.179a.75.75 0 0 1 .087 1.057L2.92 8.192a1.25 1.25 0 0 0 0 1.617l5.902 6.956a.75.75 0 1 1-1.144.97L1.776 10.78a2.75 2.75 0 0 1 0-3.559L7.678.265A.75.75 0 0 1 8.735.18Z" fill="#fff"/></svg>`,COPY_ICON:fr`<svg width="24" height="24" fill="none"><path fill="#fff" fill-rule="evenodd" d="M7.01 7.01c.03-1.545.138-2.5.535-3.28A5 5 0 0 1 9.73 1.545C10.8 1 12.2 1 15 1c2.8 0 4.2 0 5.27.545a5 5 0 0 1 2.185 2.185C23 4.8 23 6.2 23 9c0 2.8 0 4.2-.545 5.27a5 5 0 0 1-2.185 2.185c-.78.397-1.735.505-3.28.534l-.001.01c-.03 1.54-.138 2.493-.534 3.27a5 5 0 0 1-2.185 2.186C13.2 23 11.8 23 9 23c-2.8 0-4.2 0-5.27-.545a5 5 0 0 1-2.185-2.185C1 19.2 1 17.8 1 15c0-2.8 0-4.2.545-5.27A5 5 0 0 1 3.73 7.545C4.508 7.149 5.46 7.04 7 7.01h.01ZM15 15.5c-1.425 0-2.403-.001-3.162-.063-.74-.06-1.139-.172-1.427-.319a3.5 3.5 0 0 1-1.53-1.529c-.146-.288-.257-.686-.318-1.427C8.501 11.403 8.5 10.425 8.5 9c0-1.425.001-2.403.063-3.162.06-.74.172-1.139.318-1.427a3.5 3.5 0 0 1 1.53-1.53c.288-.146.686-.257 1.427-.318.759-.062 1.737-.063 3.162-.063 1.425 0 2.403.001 3.162.063.74.06 1.139.172 1.427.318a3.5 3.5 0 0 1 1.53 1.53c.146.288.257.686.318 1.427.062.759.063 1.737.063 3.162 0 1.425-.001 2.403-.063 3.162-.06.74-.172 1.139-.319 1.427a3.5 3.5 0 0 1-1.529 1.53c-.288.146-.686.257-1.427.318-.759.062-1.737.063-3.162.063ZM7 8.511c-.444.009-.825.025-1.162.052-.74.06-1.139.172-1.427.318a3.5 3.5 0 0 0-1.53 1.53c-.146.288-.257.686-.318 1.427-.062.759-.063 1.737-.063 3.162 0 1.425.001 2.403.063 3.162.06.74.172 1.139.318 1.427a3.5 3.5 0 0 0 1.53 1.53c.288.146.686.257 1.427.318.759.062 1.737.063 3.162.063 1.425 0 2.403-.001 3.162-.063.74-.06 1.139-.172 1.427-.319a3.5 3.5 0 0 0 1.53-1.53c.146-.287.257-.685.318-1.426.027-.337.043-.718.052-1.162H15c-2.8 0-4.2 0-5.27-.545a5 5 0 0 1-2.185-2.185C7 13.2 7 11.8 7 9v-.489Z" clip-rule="evenodd"/></svg>`,RETRY_ICON:fr`<svg width="15" height="16" viewBox="0 0 15 16"><path d="M6.464 2.03A.75.75 0 0 0 5.403.97L2.08 4.293a1 1 0 0 0 0 1.414L5.403 9.03a.75.75 0 0 0 1.06-1.06L4.672 6.177a.25.25 0 0 1 .177-.427h2.085a4 4 0 1 1-3.93 4.746c-.077-.407-.405-.746-.82-.746-.414 0-.755.338-.7.748a5.501 5.501 0 1 0 5.45-6.248H4.848a.25.25 0 0 1-.177-.427L6.464 2.03Z" fill="#fff"/></svg>`,DESKTOP_ICON:fr`<svg width="16" height="16" viewBox="0 0 16 16"><path fill-rule="evenodd" clip-rule="evenodd" d="M0 5.98c0-1.85 0-2.775.394-3.466a3 3 0 0 1 1.12-1.12C2.204 1 3.13 1 4.98 1h6.04c1.85 0 2.775 0 3.466.394a3 3 0 0 1 1.12 1.12C16 3.204 16 4.13 16 5.98v1.04c0 1.85 0 2.775-.394 3.466a3 3 0 0 1-1.12 1.12C13.796 12 12.87 12 11.02 12H4.98c-1.85 0-2.775 0-3.466-.394a3 3 0 0 1-1.12-1.12C0 9.796 0 8.87 0 7.02V5.98ZM4.98 2.5h6.04c.953 0 1.568.001 2.034.043.446.04.608.108.69.154a1.5 1.5 0 0 1 .559.56c.046.08.114.243.154.69.042.465.043 1.08.043 2.033v1.04c0 .952-.001 1.568-.043 2.034-.04.446-.108.608-.154.69a1.499 1.499 0 0 1-.56.559c-.08.046-.243.114-.69.154-.466.042-1.08.043-2.033.043H4.98c-.952 0-1.568-.001-2.034-.043-.446-.04-.608-.108-.69-.154a1.5 1.5 0 0 1-.559-.56c-.046-.08-.114-.243-.154-.69-.042-.465-.043-1.08-.043-2.033V5.98c0-.952.001-1.568.043-2.034.04-.446.108-.608.154-.69a1.5 1.5 0 0 1 .56-.559c.08-.046.243-.114.69-.154.465-.042 1.08-.043 2.033-.043Z" fill="#fff"/><path d="M4 14.25a.75.75 0 0 1 .75-.75h6.5a.75.75 0 0 1 0 1.5h-6.5a.75.75 0 0 1-.75-.75Z" fill="#fff"/></svg>`,MOBILE_ICON:fr`<svg width="16" height="16" viewBox="0 0 16 16"><path d="M6.75 5a1.25 1.25 0 1 0 0-2.5 1.25 1.25 0 0 0 0 2.5Z" fill="#fff"/><path fill-rule="evenodd" clip-rule="evenodd" d="M3 4.98c0-1.85 0-2.775.394-3.466a3 3 0 0 1 1.12-1.12C5.204 0 6.136 0 8 0s2.795 0 3.486.394a3 3 0 0 1 1.12 1.12C13 2.204 13 3.13 13 4.98v6.04c0 1.85 0 2.775-.394 3.466a3 3 0 0 1-1.12 1.12C10.796 16 9.864 16 8 16s-2.795 0-3.486-.394a3 3 0 0 1-1.12-1.12C3 13.796 3 12.87 3 11.02V4.98Zm8.5 0v6.04c0 .953-.001 1.568-.043 2.034-.04.446-.108.608-.154.69a1.499 1.499 0 0 1-.56.559c-.08.045-.242.113-.693.154-.47.042-1.091.043-2.05.043-.959 0-1.58-.001-2.05-.043-.45-.04-.613-.109-.693-.154a1.5 1.5 0 0 1-.56-.56c-.046-.08-.114-.243-.154-.69-.042-.466-.043-1.08-.043-2.033V4.98c0-.952.001-1.568.043-2.034.04-.446.108-.608.154-.69a1.5 1.5 0 0 1 .56-.559c.08-.045.243-.113.693-.154C6.42 1.501 7.041 1.5 8 1.5c.959 0 1.58.001 2.05.043.45.04.613.109.693.154a1.5 1.5 0 0 1 .56.56c.046.08.114.243.154.69.042.465.043 1.08.043 2.033Z" fill="#fff"/></svg>`,ARROW_DOWN_ICON:fr`<svg width="14" height="14" viewBox="0 0 14 14"><path d="M2.28 7.47a.75.75 0 0 0-1.06 1.06l5.25 5.25a.75.75 0 0 0 1.06 0l5.25-5.25a.75.75 0 0 0-1.06-1.06l-3.544 3.543a.25.25 0 0 1-.426-.177V.75a.75.75 0 0 0-1.5 0v10.086a.25.25 0 0 1-.427.176L2.28 7.47Z" fill="#fff"/></svg>`,ARROW_UP_RIGHT_ICON:fr`<svg width="15" height="14" fill="none"><path d="M4.5 1.75A.75.75 0 0 1 5.25 1H12a1.5 1.5 0 0 1 1.5 1.5v6.75a.75.75 0 0 1-1.5 0V4.164a.25.25 0 0 0-.427-.176L4.061 11.5A.75.75 0 0 1 3 10.44l7.513-7.513a.25.25 0 0 0-.177-.427H5.25a.75.75 0 0 1-.75-.75Z" fill="#fff"/></svg>`,ARROW_RIGHT_ICON:fr`<svg width="6" height="14" viewBox="0 0 6 14"><path fill-rule="evenodd" clip-rule="evenodd" d="M2.181 1.099a.75.75 0 0 1 1.024.279l2.433 4.258a2.75 2.75 0 0 1 0 2.729l-2.433 4.257a.75.75 0 1 1-1.303-.744L4.335 7.62a1.25 1.25 0 0 0 0-1.24L1.902 2.122a.75.75 0 0 1 .28-1.023Z" fill="#fff"/></svg>`,QRCODE_ICON:fr`<svg width="25" height="24" viewBox="0 0 25 24"><path d="M23.748 9a.748.748 0 0 0 .748-.752c-.018-2.596-.128-4.07-.784-5.22a6 6 0 0 0-2.24-2.24c-1.15-.656-2.624-.766-5.22-.784a.748.748 0 0 0-.752.748c0 .414.335.749.748.752 1.015.007 1.82.028 2.494.088.995.09 1.561.256 1.988.5.7.398 1.28.978 1.679 1.678.243.427.41.993.498 1.988.061.675.082 1.479.09 2.493a.753.753 0 0 0 .75.749ZM3.527.788C4.677.132 6.152.022 8.747.004A.748.748 0 0 1 9.5.752a.753.753 0 0 1-.749.752c-1.014.007-1.818.028-2.493.088-.995.09-1.561.256-1.988.5-.7.398-1.28.978-1.679 1.678-.243.427-.41.993-.499 1.988-.06.675-.081 1.479-.088 2.493A.753.753 0 0 1 1.252 9a.748.748 0 0 1-.748-.752c.018-2.596.128-4.07.784-5.22a6 6 0 0 1 2.24-2.24ZM1.252 15a.748.748 0 0 0-.748.752c.018 2.596.128 4.07.784 5.22a6 6 0 0 0 2.24 2.24c1.15.656 2.624.766 5.22.784a.748.748 0 0 0 .752-.748.753.753 0 0 0-.749-.752c-1.014-.007-1.818-.028-2.493-.089-.995-.089-1.561-.255-1.988-.498a4.5 4.5 0 0 1-1.679-1.68c-.243-.426-.41-.992-.499-1.987-.06-.675-.081-1.479-.088-2.493A.753.753 0 0 0 1.252 15ZM22.996 15.749a.753.753 0 0 1 .752-.749c.415 0 .751.338.748.752-.018 2.596-.128 4.07-.784 5.22a6 6 0 0 1-2.24 2.24c-1.15.656-2.624.766-5.22.784a.748.748 0 0 1-.752-.748c0-.414.335-.749.748-.752 1.015-.007 1.82-.028 2.494-.089.995-.089 1.561-.255 1.988-.498a4.5 4.5 0 0 0 1.679-1.68c.243-.426.41-.992.498-1.987.061-.675.082-1.479.09-2.493Z" fill="#fff"/><path fill-rule="evenodd" clip-rule="evenodd" d="M7 4a2.5 2.5 0 0 0-2.5 2.5v2A2.5 2.5 0 0 0 7 11h2a2.5 2.5 0 0 0 2.5-2.5v-2A2.5 2.5 0 0 0 9 4H7Zm2 1.5H7a1 1 0 0 0-1 1v2a1 1 0 0 0 1 1h2a1 1 0 0 0 1-1v-2a1 1 0 0 0-1-1ZM13.5 6.5A2.5 2.5 0 0 1 16 4h2a2.5 2.5 0 0 1 2.5 2.5v2A2.5 2.5 0 0 1 18 11h-2a2.5 2.5 0 0 1-2.5-2.5v-2Zm2.5-1h2a1 1 0 0 1 1 1v2a1 1 0 0 1-1 1h-2a1 1 0 0 1-1-1v-2a1 1 0 0 1 1-1ZM7 13a2.5 2.5 0 0 0-2.5 2.5v2A2.5 2.5 0 0 0 7 20h2a2.5 2.5 0 0 0 2.5-2.5v-2A2.5 2.5 0 0 0 9 13H7Zm2 1.5H7a1 1 0 0 0-1 1v2a1 1 0 0 0 1 1h2a1 1 0 0 0 1-1v-2a1 1 0 0 0-1-1Z" fill="#fff"/><path d="M13.5 15.5c0-.465 0-.697.038-.89a2 2 0 0 1 1.572-1.572C15.303 13 15.535 13 16 13v2.5h-2.5ZM18 13c.465 0 .697 0 .89.038a2 2 0 0 1 1.572 1.572c.038.193.038.425.038.89H18V13ZM18 17.5h2.5c0 .465 0 .697-.038.89a2 2 0 0 1-1.572 1.572C18.697 20 18.465 20 18 20v-2.5ZM13.5 17.5H16V20c-.465 0-.697 0-.89-.038a2 2 0 0 1-1.572-1.572c-.038-.193-.038-.425-.038-.89Z" fill="#fff"/></svg>`,SCAN_ICON:fr`<svg width="16" height="16" fill="none"><path fill="#fff" d="M10 15.216c0 .422.347.763.768.74 1.202-.064 2.025-.222 2.71-.613a5.001 5.001 0 0 0 1.865-1.866c.39-.684.549-1.507.613-2.709a.735.735 0 0 0-.74-.768.768.768 0 0 0-.76.732c-.009.157-.02.306-.032.447-.073.812-.206 1.244-.384 1.555-.31.545-.761.996-1.306 1.306-.311.178-.743.311-1.555.384-.141.013-.29.023-.447.032a.768.768 0 0 0-.732.76ZM10 .784c0 .407.325.737.732.76.157.009.306.02.447.032.812.073 1.244.206 1.555.384a3.5 3.5 0 0 1 1.306 1.306c.178.311.311.743.384 1.555.013.142.023.29.032.447a.768.768 0 0 0 .76.732.734.734 0 0 0 .74-.768c-.064-1.202-.222-2.025-.613-2.71A5 5 0 0 0 13.477.658c-.684-.39-1.507-.549-2.709-.613a.735.735 0 0 0-.768.74ZM5.232.044A.735.735 0 0 1 6 .784a.768.768 0 0 1-.732.76c-.157.009-.305.02-.447.032-.812.073-1.244.206-1.555.384A3.5 3.5 0 0 0 1.96 3.266c-.178.311-.311.743-.384 1.555-.013.142-.023.29-.032.447A.768.768 0 0 1 .784 6a.735.735 0 0 1-.74-.768c.064-1.202.222-2.025.613-2.71A5 5 0 0 1 2.523.658C3.207.267 4.03.108 5.233.044ZM5.268 14.456a.768.768 0 0 1 .732.76.734.734 0 0 1-.768.74c-1.202-.064-2.025-.222-2.71-.613a5 5 0 0 1-1.865-1.866c-.39-.684-.549-1.507-.613-2.709A.735.735 0 0 1 .784 10c.407 0 .737.325.76.732.009.157.02.306.032.447.073.812.206 1.244.384 1.555a3.5 3.5 0 0 0 1.306 1.306c.311.178.743.311 1.555.384.142.013.29.023.447.032Z"/></svg>`,CHECKMARK_ICON:fr`<svg width="13" height="12" viewBox="0 0 13 12"><path fill-rule="evenodd" clip-rule="evenodd" d="M12.155.132a.75.75 0 0 1 .232 1.035L5.821 11.535a1 1 0 0 1-1.626.09L.665 7.21a.75.75 0 1 1 1.17-.937L4.71 9.867a.25.25 0 0 0 .406-.023L11.12.364a.75.75 0 0 1 1.035-.232Z" fill="#fff"/></svg>`,SEARCH_ICON:fr`<svg width="20" height="21"><path fill-rule="evenodd" clip-rule="evenodd" d="M12.432 13.992c-.354-.353-.91-.382-1.35-.146a5.5 5.5 0 1 1 2.265-2.265c-.237.441-.208.997.145 1.35l3.296 3.296a.75.75 0 1 1-1.06 1.061l-3.296-3.296Zm.06-5a4 4 0 1 1-8 0 4 4 0 0 1 8 0Z" fill="#949E9E"/></svg>`,WALLET_PLACEHOLDER:fr`<svg width="60" height="60" fill="none" viewBox="0 0 60 60"><g clip-path="url(#q)"><path id="wallet-placeholder-fill" fill="#fff" d="M0 24.9c0-9.251 0-13.877 1.97-17.332a15 15 0 0 1 5.598-5.597C11.023 0 15.648 0 24.9 0h10.2c9.252 0 13.877 0 17.332 1.97a15 15 0 0 1 5.597 5.598C60 11.023 60 15.648 60 24.9v10.2c0 9.252 0 13.877-1.97 17.332a15.001 15.001 0 0 1-5.598 5.597C48.977 60 44.352 60 35.1 60H24.9c-9.251 0-13.877 0-17.332-1.97a15 15 0 0 1-5.597-5.598C0 48.977 0 44.352 0 35.1V24.9Z"/><path id="wallet-placeholder-dash" stroke="#000" stroke-dasharray="4 4" stroke-width="1.5" d="M.04 41.708a231.598 231.598 0 0 1-.039-4.403l.75-.001L.75 35.1v-2.55H0v-5.1h.75V24.9l.001-2.204h-.75c.003-1.617.011-3.077.039-4.404l.75.016c.034-1.65.099-3.08.218-4.343l-.746-.07c.158-1.678.412-3.083.82-4.316l.713.236c.224-.679.497-1.296.827-1.875a14.25 14.25 0 0 1 1.05-1.585L3.076 5.9A15 15 0 0 1 5.9 3.076l.455.596a14.25 14.25 0 0 1 1.585-1.05c.579-.33 1.196-.603 1.875-.827l-.236-.712C10.812.674 12.217.42 13.895.262l.07.746C15.23.89 16.66.824 18.308.79l-.016-.75C19.62.012 21.08.004 22.695.001l.001.75L24.9.75h2.55V0h5.1v.75h2.55l2.204.001v-.75c1.617.003 3.077.011 4.404.039l-.016.75c1.65.034 3.08.099 4.343.218l.07-.746c1.678.158 3.083.412 4.316.82l-.236.713c.679.224 1.296.497 1.875.827a14.24 14.24 0 0 1 1.585 1.05l.455-.596A14.999 14.999 0 0 1 56.924 5.9l-.596.455c.384.502.735 1.032 1.05 1.585.33.579.602 1.196.827 1.875l.712-.236c.409 1.233.663 2.638.822 4.316l-.747.07c.119 1.264.184 2.694.218 4.343l.75-.016c.028 1.327.036 2.787.039 4.403l-.75.001.001 2.204v2.55H60v5.1h-.75v2.55l-.001 2.204h.75a231.431 231.431 0 0 1-.039 4.404l-.75-.016c-.034 1.65-.099 3.08-.218 4.343l.747.07c-.159 1.678-.413 3.083-.822 4.316l-.712-.236a10.255 10.255 0 0 1-.827 1.875 14.242 14.242 0 0 1-1.05 1.585l.596.455a14.997 14.997 0 0 1-2.824 2.824l-.455-.596c-.502.384-1.032.735-1.585 1.05-.579.33-1.196.602-1.875.827l.236.712c-1.233.409-2.638.663-4.316.822l-.07-.747c-1.264.119-2.694.184-4.343.218l.016.75c-1.327.028-2.787.036-4.403.039l-.001-.75-2.204.001h-2.55V60h-5.1v-.75H24.9l-2.204-.001v.75a231.431 231.431 0 0 1-4.404-.039l.016-.75c-1.65-.034-3.08-.099-4.343-.218l-.07.747c-1.678-.159-3.083-.413-4.316-.822l.236-.712a10.258 10.258 0 0 1-1.875-.827 14.252 14.252 0 0 1-1.585-1.05l-.455.596A14.999 14.999 0 0 1 3.076 54.1l.596-.455a14.24 14.24 0 0 1-1.05-1.585 10.259 10.259 0 0 1-.827-1.875l-.712.236C.674 49.188.42 47.783.262 46.105l.746-.07C.89 44.77.824 43.34.79 41.692l-.75.016Z"/><path fill="#fff" fill-rule="evenodd" d="M35.643 32.145c-.297-.743-.445-1.114-.401-1.275a.42.42 0 0 1 .182-.27c.134-.1.463-.1 1.123-.1.742 0 1.499.046 2.236-.05a6 6 0 0 0 5.166-5.166c.051-.39.051-.855.051-1.784 0-.928 0-1.393-.051-1.783a6 6 0 0 0-5.166-5.165c-.39-.052-.854-.052-1.783-.052h-7.72c-4.934 0-7.401 0-9.244 1.051a8 8 0 0 0-2.985 2.986C16.057 22.28 16.003 24.58 16 29 15.998 31.075 16 33.15 16 35.224A7.778 7.778 0 0 0 23.778 43H28.5c1.394 0 2.09 0 2.67-.116a6 6 0 0 0 4.715-4.714c.115-.58.115-1.301.115-2.744 0-1.31 0-1.964-.114-2.49a4.998 4.998 0 0 0-.243-.792Z" clip-rule="evenodd"/><path fill="#9EA9A9" fill-rule="evenodd" d="M37 18h-7.72c-2.494 0-4.266.002-5.647.126-1.361.122-2.197.354-2.854.728a6.5 6.5 0 0 0-2.425 2.426c-.375.657-.607 1.492-.729 2.853-.11 1.233-.123 2.777-.125 4.867 0 .7 0 1.05.097 1.181.096.13.182.181.343.2.163.02.518-.18 1.229-.581a6.195 6.195 0 0 1 3.053-.8H37c.977 0 1.32-.003 1.587-.038a4.5 4.5 0 0 0 3.874-3.874c.036-.268.039-.611.039-1.588 0-.976-.003-1.319-.038-1.587a4.5 4.5 0 0 0-3.875-3.874C38.32 18.004 37.977 18 37 18Zm-7.364 12.5h-7.414a4.722 4.722 0 0 0-4.722 4.723 6.278 6.278 0 0 0 6.278 6.278H28.5c1.466 0 1.98-.008 2.378-.087a4.5 4.5 0 0 0 3.535-3.536c.08-.397.087-.933.087-2.451 0-1.391-.009-1.843-.08-2.17a3.5 3.5 0 0 0-2.676-2.676c-.328-.072-.762-.08-2.108-.08Z" clip-rule="evenodd"/></g><defs><clipPath id="q"><path fill="#fff" d="M0 0h60v60H0z"/></clipPath></defs></svg>`,GLOBE_ICON:fr`<svg width="16" height="16" fill="none" viewBox="0 0 16 16"><path fill="#fff" fill-rule="evenodd" d="M15.5 8a7.5 7.5 0 1 1-15 0 7.5 7.5 0 0 1 15 0Zm-2.113.75c.301 0 .535.264.47.558a6.01 6.01 0 0 1-2.867 3.896c-.203.116-.42-.103-.334-.32.409-1.018.691-2.274.797-3.657a.512.512 0 0 1 .507-.477h1.427Zm.47-2.058c.065.294-.169.558-.47.558H11.96a.512.512 0 0 1-.507-.477c-.106-1.383-.389-2.638-.797-3.656-.087-.217.13-.437.333-.32a6.01 6.01 0 0 1 2.868 3.895Zm-4.402.558c.286 0 .515-.24.49-.525-.121-1.361-.429-2.534-.83-3.393-.279-.6-.549-.93-.753-1.112a.535.535 0 0 0-.724 0c-.204.182-.474.513-.754 1.112-.4.859-.708 2.032-.828 3.393a.486.486 0 0 0 .49.525h2.909Zm-5.415 0c.267 0 .486-.21.507-.477.106-1.383.389-2.638.797-3.656.087-.217-.13-.437-.333-.32a6.01 6.01 0 0 0-2.868 3.895c-.065.294.169.558.47.558H4.04ZM2.143 9.308c-.065-.294.169-.558.47-.558H4.04c.267 0 .486.21.507.477.106 1.383.389 2.639.797 3.657.087.217-.13.436-.333.32a6.01 6.01 0 0 1-2.868-3.896Zm3.913-.033a.486.486 0 0 1 .49-.525h2.909c.286 0 .515.24.49.525-.121 1.361-.428 2.535-.83 3.394-.279.6-.549.93-.753 1.112a.535.535 0 0 1-.724 0c-.204-.182-.474-.513-.754-1.112-.4-.859-.708-2.033-.828-3.394Z" clip-rule="evenodd"/></svg>`},SX=pt`.wcm-toolbar-placeholder{top:0;bottom:0;left:0;right:0;width:100%;position:absolute;display:block;pointer-events:none;height:100px;border-radius:calc(var(--wcm-background-border-radius) * .9);background-color:var(--wcm-background-color);background-position:center;background-size:cover}.wcm-toolbar{height:38px;display:flex;position:relative;margin:5px 15px 5px 5px;justify-content:space-between;align-items:center}.wcm-toolbar img,.wcm-toolbar svg{height:28px;object-position:left center;object-fit:contain}#wcm-wc-logo path{fill:var(--wcm-accent-fill-color)}button{width:28px;height:28px;border-radius:var(--wcm-icon-button-border-radius);border:0;display:flex;justify-content:center;align-items:center;cursor:pointer;background-color:var(--wcm-color-bg-1);box-shadow:0 0 0 1px var(--wcm-color-overlay)}button:active{background-color:var(--wcm-color-bg-2)}button svg{display:block;object-position:center}button path{fill:var(--wcm-color-fg-1)}.wcm-toolbar div{display:flex}@media(hover:hover){button:hover{background-color:var(--wcm-color-bg-2)}}`,IX=Object.defineProperty,MX=Object.getOwnPropertyDescriptor,CX=(t,e,r,i)=>{for(var n=i>1?void 0:i?MX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&IX(e,r,n),n},ey=class extends Je{render(){return me`<div class="wcm-toolbar-placeholder"></div><div class="wcm-toolbar">${Gt.WALLET_CONNECT_LOGO} <button @click="${Ao.close}">${Gt.CROSS_ICON}</button></div>`}};ey.styles=[ut.globalCss,SX];ey=CX([ct("wcm-modal-backcard")],ey);DX=pt`main{padding:20px;padding-top:0;width:100%}`,PX=Object.defineProperty,OX=Object.getOwnPropertyDescriptor,RX=(t,e,r,i)=>{for(var n=i>1?void 0:i?OX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&PX(e,r,n),n},ty=class extends Je{render(){return me`<main><slot></slot></main>`}};ty.styles=[ut.globalCss,DX];ty=RX([ct("wcm-modal-content")],ty);TX=pt`footer{padding:10px;display:flex;flex-direction:column;align-items:inherit;justify-content:inherit;border-top:1px solid var(--wcm-color-bg-2)}`,NX=Object.defineProperty,LX=Object.getOwnPropertyDescriptor,BX=(t,e,r,i)=>{for(var n=i>1?void 0:i?LX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&NX(e,r,n),n},ry=class extends Je{render(){return me`<footer><slot></slot></footer>`}};ry.styles=[ut.globalCss,TX];ry=BX([ct("wcm-modal-footer")],ry);UX=pt`header{display:flex;justify-content:center;align-items:center;padding:20px;position:relative}.wcm-border{border-bottom:1px solid var(--wcm-color-bg-2);margin-bottom:20px}header button{padding:15px 20px}header button:active{opacity:.5}@media(hover:hover){header button:hover{opacity:.5}}.wcm-back-btn{position:absolute;left:0}.wcm-action-btn{position:absolute;right:0}path{fill:var(--wcm-accent-color)}`,FX=Object.defineProperty,qX=Object.getOwnPropertyDescriptor,wh=(t,e,r,i)=>{for(var n=i>1?void 0:i?qX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&FX(e,r,n),n},Mc=class extends Je{constructor(){super(...arguments),this.title="",this.onAction=void 0,this.actionIcon=void 0,this.border=!1}backBtnTemplate(){return me`<button class="wcm-back-btn" @click="${lr.goBack}">${Gt.BACK_ICON}</button>`}actionBtnTemplate(){return me`<button class="wcm-action-btn" @click="${this.onAction}">${this.actionIcon}</button>`}render(){let t={"wcm-border":this.border},e=lr.state.history.length>1,r=this.title?me`<wcm-text variant="big-bold">${this.title}</wcm-text>`:me`<slot></slot>`;return me`<header class="${Bs(t)}">${e?this.backBtnTemplate():null} ${r} ${this.onAction?this.actionBtnTemplate():null}</header>`}};Mc.styles=[ut.globalCss,UX];wh([We()],Mc.prototype,"title",2);wh([We()],Mc.prototype,"onAction",2);wh([We()],Mc.prototype,"actionIcon",2);wh([We({type:Boolean})],Mc.prototype,"border",2);Mc=wh([ct("wcm-modal-header")],Mc);He={MOBILE_BREAKPOINT:600,WCM_RECENT_WALLET_DATA:"WCM_RECENT_WALLET_DATA",EXPLORER_WALLET_URL:"https://explorer.walletconnect.com/?type=wallet",getShadowRootElement(t,e){let r=t.renderRoot.querySelector(e);if(!r)throw new Error(`${e} not found`);return r},getWalletIcon({id:t,image_id:e}){let{walletImages:r}=wi.state;return r?.[t]?r[t]:e?_i.getWalletImageUrl(e):""},getWalletName(t,e=!1){return e&&t.length>8?`${t.substring(0,8)}..`:t},isMobileAnimation(){return window.innerWidth<=He.MOBILE_BREAKPOINT},async preloadImage(t){let e=new Promise((r,i)=>{let n=new Image;n.onload=r,n.onerror=i,n.crossOrigin="anonymous",n.src=t});return Promise.race([e,_e.wait(3e3)])},getErrorMessage(t){return t instanceof Error?t.message:"Unknown Error"},debounce(t,e=500){let r;return(...i)=>{function n(){t(...i)}r&&clearTimeout(r),r=setTimeout(n,e)}},handleMobileLinking(t,e="_self"){let{walletConnectUri:r}=pr.state,{mobile:i,name:n}=t,s=i?.native,a=i?.universal;He.setRecentWallet(t);function u(h){if(s){let f=_e.formatNativeUrl(s,h,n);_e.openHref(f,e)}else if(a){let f=_e.formatUniversalUrl(a,h,n);_e.openHref(f,e)}}r&&u(r)},handleAndroidLinking(){let{walletConnectUri:t}=pr.state;t&&(_e.setWalletConnectAndroidDeepLink(t),_e.openHref(t,_e.isTelegram()?"_blank":"_self"))},async handleUriCopy(){let{walletConnectUri:t}=pr.state;if(t)try{await navigator.clipboard.writeText(t),So.openToast("Link copied","success")}catch{So.openToast("Failed to copy","error")}},getCustomImageUrls(){let{walletImages:t}=wi.state,e=Object.values(t??{});return Object.values(e)},truncate(t,e=8){return t.length<=e?t:`${t.substring(0,4)}...${t.substring(t.length-4)}`},setRecentWallet(t){try{localStorage.setItem(He.WCM_RECENT_WALLET_DATA,JSON.stringify(t))}catch{console.info("Unable to set recent wallet")}},getRecentWallet(){try{let t=localStorage.getItem(He.WCM_RECENT_WALLET_DATA);return t?JSON.parse(t):void 0}catch{console.info("Unable to get recent wallet")}},caseSafeIncludes(t,e){return t.toUpperCase().includes(e.toUpperCase())},openWalletExplorerUrl(){_e.openHref(He.EXPLORER_WALLET_URL,"_blank")},getCachedRouterWalletPlatforms(){let{desktop:t,mobile:e}=_e.getWalletRouterData(),r=!!t?.native,i=!!t?.universal,n=!!e?.native||!!e?.universal;return{isDesktop:r,isMobile:n,isWeb:i}},goToConnectingView(t){lr.setData({Wallet:t});let e=_e.isMobile(),{isDesktop:r,isWeb:i,isMobile:n}=He.getCachedRouterWalletPlatforms();e?n?(lr.push("MobileConnecting"),!_e.isAndroid()&&_e.isTelegram()&&this.handleMobileLinking(t,"_blank")):i?lr.push("WebConnecting"):lr.push("InstallWallet"):r?lr.push("DesktopConnecting"):i?lr.push("WebConnecting"):n?lr.push("MobileQrcodeConnecting"):lr.push("InstallWallet")}},$X=pt`.wcm-router{overflow:hidden;will-change:transform}.wcm-content{display:flex;flex-direction:column}`,kX=Object.defineProperty,jX=Object.getOwnPropertyDescriptor,gy=(t,e,r,i)=>{for(var n=i>1?void 0:i?jX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&kX(e,r,n),n},bh=class extends Je{constructor(){super(),this.view=lr.state.view,this.prevView=lr.state.view,this.unsubscribe=void 0,this.oldHeight="0px",this.resizeObserver=void 0,this.unsubscribe=lr.subscribe(t=>{this.view!==t.view&&this.onChangeRoute()})}firstUpdated(){this.resizeObserver=new ResizeObserver(([t])=>{let e=`${t.contentRect.height}px`;this.oldHeight!=="0px"&&Do(this.routerEl,{height:[this.oldHeight,e]},{duration:.2}),this.oldHeight=e}),this.resizeObserver.observe(this.contentEl)}disconnectedCallback(){var t,e;(t=this.unsubscribe)==null||t.call(this),(e=this.resizeObserver)==null||e.disconnect()}get routerEl(){return He.getShadowRootElement(this,".wcm-router")}get contentEl(){return He.getShadowRootElement(this,".wcm-content")}viewTemplate(){switch(this.view){case"ConnectWallet":return me`<wcm-connect-wallet-view></wcm-connect-wallet-view>`;case"DesktopConnecting":return me`<wcm-desktop-connecting-view></wcm-desktop-connecting-view>`;case"MobileConnecting":return me`<wcm-mobile-connecting-view></wcm-mobile-connecting-view>`;case"WebConnecting":return me`<wcm-web-connecting-view></wcm-web-connecting-view>`;case"MobileQrcodeConnecting":return me`<wcm-mobile-qr-connecting-view></wcm-mobile-qr-connecting-view>`;case"WalletExplorer":return me`<wcm-wallet-explorer-view></wcm-wallet-explorer-view>`;case"Qrcode":return me`<wcm-qrcode-view></wcm-qrcode-view>`;case"InstallWallet":return me`<wcm-install-wallet-view></wcm-install-wallet-view>`;default:return me`<div>Not Found</div>`}}async onChangeRoute(){await Do(this.routerEl,{opacity:[1,0],scale:[1,1.02]},{duration:.15,delay:.1}).finished,this.view=lr.state.view,Do(this.routerEl,{opacity:[0,1],scale:[.99,1]},{duration:.37,delay:.05})}render(){return me`<div class="wcm-router"><div class="wcm-content">${this.viewTemplate()}</div></div>`}};bh.styles=[ut.globalCss,$X];gy([xi()],bh.prototype,"view",2);gy([xi()],bh.prototype,"prevView",2);bh=gy([ct("wcm-modal-router")],bh);zX=pt`div{height:36px;width:max-content;display:flex;justify-content:center;align-items:center;padding:9px 15px 11px;position:absolute;top:12px;box-shadow:0 6px 14px -6px rgba(10,16,31,.3),0 10px 32px -4px rgba(10,16,31,.15);z-index:2;left:50%;transform:translateX(-50%);pointer-events:none;backdrop-filter:blur(20px) saturate(1.8);-webkit-backdrop-filter:blur(20px) saturate(1.8);border-radius:var(--wcm-notification-border-radius);border:1px solid var(--wcm-color-overlay);background-color:var(--wcm-color-overlay)}svg{margin-right:5px}@-moz-document url-prefix(){div{background-color:var(--wcm-color-bg-3)}}.wcm-success path{fill:var(--wcm-accent-color)}.wcm-error path{fill:var(--wcm-error-color)}`,HX=Object.defineProperty,KX=Object.getOwnPropertyDescriptor,CM=(t,e,r,i)=>{for(var n=i>1?void 0:i?KX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&HX(e,r,n),n},t1=class extends Je{constructor(){super(),this.open=!1,this.unsubscribe=void 0,this.timeout=void 0,this.unsubscribe=So.subscribe(t=>{t.open?(this.open=!0,this.timeout=setTimeout(()=>So.closeToast(),2200)):(this.open=!1,clearTimeout(this.timeout))})}disconnectedCallback(){var t;(t=this.unsubscribe)==null||t.call(this),clearTimeout(this.timeout),So.closeToast()}render(){let{message:t,variant:e}=So.state,r={"wcm-success":e==="success","wcm-error":e==="error"};return this.open?me`<div class="${Bs(r)}">${e==="success"?Gt.CHECKMARK_ICON:null} ${e==="error"?Gt.CROSS_ICON:null}<wcm-text variant="small-regular">${t}</wcm-text></div>`:null}};t1.styles=[ut.globalCss,zX];CM([xi()],t1.prototype,"open",2);t1=CM([ct("wcm-modal-toast")],t1);VX=.1,SM=2.5,Oo=7;GX={generate(t,e,r){let i="#141414",n="#ffffff",s=[],a=WX(t,"Q"),u=e/a.length,h=[{x:0,y:0},{x:1,y:0},{x:0,y:1}];h.forEach(({x:P,y:T})=>{let U=(a.length-Oo)*u*P,F=(a.length-Oo)*u*T,V=.45;for(let z=0;z<h.length;z+=1){let j=u*(Oo-z*2);s.push(fr`<rect fill="${z%2===0?i:n}" height="${j}" rx="${j*V}" ry="${j*V}" width="${j}" x="${U+u*z}" y="${F+u*z}">`)}});let f=Math.floor((r+25)/u),v=a.length/2-f/2,w=a.length/2+f/2-1,I=[];a.forEach((P,T)=>{P.forEach((U,F)=>{if(a[T][F]&&!(T<Oo&&F<Oo||T>a.length-(Oo+1)&&F<Oo||T<Oo&&F>a.length-(Oo+1))&&!(T>v&&T<w&&F>v&&F<w)){let V=T*u+u/2,z=F*u+u/2;I.push([V,z])}})});let M={};return I.forEach(([P,T])=>{M[P]?M[P].push(T):M[P]=[T]}),Object.entries(M).map(([P,T])=>{let U=T.filter(F=>T.every(V=>!Q3(F,V,u)));return[Number(P),U]}).forEach(([P,T])=>{T.forEach(U=>{s.push(fr`<circle cx="${P}" cy="${U}" fill="${i}" r="${u/SM}">`)})}),Object.entries(M).filter(([P,T])=>T.length>1).map(([P,T])=>{let U=T.filter(F=>T.some(V=>Q3(F,V,u)));return[Number(P),U]}).map(([P,T])=>{T.sort((F,V)=>F<V?-1:1);let U=[];for(let F of T){let V=U.find(z=>z.some(j=>Q3(F,j,u)));V?V.push(F):U.push([F])}return[P,U.map(F=>[F[0],F[F.length-1]])]}).forEach(([P,T])=>{T.forEach(([U,F])=>{s.push(fr`<line x1="${P}" x2="${P}" y1="${U}" y2="${F}" stroke="${i}" stroke-width="${u/(SM/2)}" stroke-linecap="round">`)})}),s}},JX=pt`@keyframes fadeIn{0%{opacity:0}100%{opacity:1}}div{position:relative;user-select:none;display:block;overflow:hidden;aspect-ratio:1/1;animation:fadeIn ease .2s}.wcm-dark{background-color:#fff;border-radius:var(--wcm-container-border-radius);padding:18px;box-shadow:0 2px 5px #000}svg:first-child,wcm-wallet-image{position:absolute;top:50%;left:50%;transform:translateY(-50%) translateX(-50%)}wcm-wallet-image{transform:translateY(-50%) translateX(-50%)}wcm-wallet-image{width:25%;height:25%;border-radius:var(--wcm-wallet-icon-border-radius)}svg:first-child{transform:translateY(-50%) translateX(-50%) scale(.9)}svg:first-child path:first-child{fill:var(--wcm-accent-color)}svg:first-child path:last-child{stroke:var(--wcm-color-overlay)}`,YX=Object.defineProperty,QX=Object.getOwnPropertyDescriptor,dl=(t,e,r,i)=>{for(var n=i>1?void 0:i?QX(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&YX(e,r,n),n},Ro=class extends Je{constructor(){super(...arguments),this.uri="",this.size=0,this.imageId=void 0,this.walletId=void 0,this.imageUrl=void 0}svgTemplate(){let e=Ls.state.themeMode==="light"?this.size:this.size-36;return fr`<svg height="${e}" width="${e}">${GX.generate(this.uri,e,e/4)}</svg>`}render(){let t={"wcm-dark":Ls.state.themeMode==="dark"};return me`<div style="${`width: ${this.size}px`}" class="${Bs(t)}">${this.walletId||this.imageUrl?me`<wcm-wallet-image walletId="${li(this.walletId)}" imageId="${li(this.imageId)}" imageUrl="${li(this.imageUrl)}"></wcm-wallet-image>`:Gt.WALLET_CONNECT_ICON_COLORED} ${this.svgTemplate()}</div>`}};Ro.styles=[ut.globalCss,JX];dl([We()],Ro.prototype,"uri",2);dl([We({type:Number})],Ro.prototype,"size",2);dl([We()],Ro.prototype,"imageId",2);dl([We()],Ro.prototype,"walletId",2);dl([We()],Ro.prototype,"imageUrl",2);Ro=dl([ct("wcm-qrcode")],Ro);XX=pt`:host{position:relative;height:28px;width:80%}input{width:100%;height:100%;line-height:28px!important;border-radius:var(--wcm-input-border-radius);font-style:normal;font-family:-apple-system,system-ui,BlinkMacSystemFont,'Segoe UI',Roboto,Ubuntu,'Helvetica Neue',sans-serif;font-feature-settings:'case' on;font-weight:500;font-size:16px;letter-spacing:-.03em;padding:0 10px 0 34px;transition:.2s all ease;color:var(--wcm-color-fg-1);background-color:var(--wcm-color-bg-3);box-shadow:inset 0 0 0 1px var(--wcm-color-overlay);caret-color:var(--wcm-accent-color)}input::placeholder{color:var(--wcm-color-fg-2)}svg{left:10px;top:4px;pointer-events:none;position:absolute;width:20px;height:20px}input:focus-within{box-shadow:inset 0 0 0 1px var(--wcm-accent-color)}path{fill:var(--wcm-color-fg-2)}`,ZX=Object.defineProperty,eZ=Object.getOwnPropertyDescriptor,DM=(t,e,r,i)=>{for(var n=i>1?void 0:i?eZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&ZX(e,r,n),n},r1=class extends Je{constructor(){super(...arguments),this.onChange=()=>null}render(){return me`<input type="text" @input="${this.onChange}" placeholder="Search wallets"> ${Gt.SEARCH_ICON}`}};r1.styles=[ut.globalCss,XX];DM([We()],r1.prototype,"onChange",2);r1=DM([ct("wcm-search-input")],r1);tZ=pt`@keyframes rotate{100%{transform:rotate(360deg)}}@keyframes dash{0%{stroke-dasharray:1,150;stroke-dashoffset:0}50%{stroke-dasharray:90,150;stroke-dashoffset:-35}100%{stroke-dasharray:90,150;stroke-dashoffset:-124}}svg{animation:rotate 2s linear infinite;display:flex;justify-content:center;align-items:center}svg circle{stroke-linecap:round;animation:dash 1.5s ease infinite;stroke:var(--wcm-accent-color)}`,rZ=Object.defineProperty,iZ=Object.getOwnPropertyDescriptor,nZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?iZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&rZ(e,r,n),n},iy=class extends Je{render(){return me`<svg viewBox="0 0 50 50" width="24" height="24"><circle cx="25" cy="25" r="20" fill="none" stroke-width="4" stroke="#fff"/></svg>`}};iy.styles=[ut.globalCss,tZ];iy=nZ([ct("wcm-spinner")],iy);sZ=pt`span{font-style:normal;font-family:var(--wcm-font-family);font-feature-settings:var(--wcm-font-feature-settings)}.wcm-xsmall-bold{font-family:var(--wcm-text-xsmall-bold-font-family);font-weight:var(--wcm-text-xsmall-bold-weight);font-size:var(--wcm-text-xsmall-bold-size);line-height:var(--wcm-text-xsmall-bold-line-height);letter-spacing:var(--wcm-text-xsmall-bold-letter-spacing);text-transform:var(--wcm-text-xsmall-bold-text-transform)}.wcm-xsmall-regular{font-family:var(--wcm-text-xsmall-regular-font-family);font-weight:var(--wcm-text-xsmall-regular-weight);font-size:var(--wcm-text-xsmall-regular-size);line-height:var(--wcm-text-xsmall-regular-line-height);letter-spacing:var(--wcm-text-xsmall-regular-letter-spacing);text-transform:var(--wcm-text-xsmall-regular-text-transform)}.wcm-small-thin{font-family:var(--wcm-text-small-thin-font-family);font-weight:var(--wcm-text-small-thin-weight);font-size:var(--wcm-text-small-thin-size);line-height:var(--wcm-text-small-thin-line-height);letter-spacing:var(--wcm-text-small-thin-letter-spacing);text-transform:var(--wcm-text-small-thin-text-transform)}.wcm-small-regular{font-family:var(--wcm-text-small-regular-font-family);font-weight:var(--wcm-text-small-regular-weight);font-size:var(--wcm-text-small-regular-size);line-height:var(--wcm-text-small-regular-line-height);letter-spacing:var(--wcm-text-small-regular-letter-spacing);text-transform:var(--wcm-text-small-regular-text-transform)}.wcm-medium-regular{font-family:var(--wcm-text-medium-regular-font-family);font-weight:var(--wcm-text-medium-regular-weight);font-size:var(--wcm-text-medium-regular-size);line-height:var(--wcm-text-medium-regular-line-height);letter-spacing:var(--wcm-text-medium-regular-letter-spacing);text-transform:var(--wcm-text-medium-regular-text-transform)}.wcm-big-bold{font-family:var(--wcm-text-big-bold-font-family);font-weight:var(--wcm-text-big-bold-weight);font-size:var(--wcm-text-big-bold-size);line-height:var(--wcm-text-big-bold-line-height);letter-spacing:var(--wcm-text-big-bold-letter-spacing);text-transform:var(--wcm-text-big-bold-text-transform)}:host(*){color:var(--wcm-color-fg-1)}.wcm-color-primary{color:var(--wcm-color-fg-1)}.wcm-color-secondary{color:var(--wcm-color-fg-2)}.wcm-color-tertiary{color:var(--wcm-color-fg-3)}.wcm-color-inverse{color:var(--wcm-accent-fill-color)}.wcm-color-accnt{color:var(--wcm-accent-color)}.wcm-color-error{color:var(--wcm-error-color)}`,oZ=Object.defineProperty,aZ=Object.getOwnPropertyDescriptor,my=(t,e,r,i)=>{for(var n=i>1?void 0:i?aZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&oZ(e,r,n),n},yh=class extends Je{constructor(){super(...arguments),this.variant="medium-regular",this.color="primary"}render(){let t={"wcm-big-bold":this.variant==="big-bold","wcm-medium-regular":this.variant==="medium-regular","wcm-small-regular":this.variant==="small-regular","wcm-small-thin":this.variant==="small-thin","wcm-xsmall-regular":this.variant==="xsmall-regular","wcm-xsmall-bold":this.variant==="xsmall-bold","wcm-color-primary":this.color==="primary","wcm-color-secondary":this.color==="secondary","wcm-color-tertiary":this.color==="tertiary","wcm-color-inverse":this.color==="inverse","wcm-color-accnt":this.color==="accent","wcm-color-error":this.color==="error"};return me`<span><slot class="${Bs(t)}"></slot></span>`}};yh.styles=[ut.globalCss,sZ];my([We()],yh.prototype,"variant",2);my([We()],yh.prototype,"color",2);yh=my([ct("wcm-text")],yh);cZ=pt`button{width:100%;height:100%;border-radius:var(--wcm-button-hover-highlight-border-radius);display:flex;align-items:flex-start}button:active{background-color:var(--wcm-color-overlay)}@media(hover:hover){button:hover{background-color:var(--wcm-color-overlay)}}button>div{width:80px;padding:5px 0;display:flex;flex-direction:column;align-items:center}wcm-text{width:100%;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;text-align:center}wcm-wallet-image{height:60px;width:60px;transition:all .2s ease;border-radius:var(--wcm-wallet-icon-border-radius);margin-bottom:5px}.wcm-sublabel{margin-top:2px}`,uZ=Object.defineProperty,lZ=Object.getOwnPropertyDescriptor,Ma=(t,e,r,i)=>{for(var n=i>1?void 0:i?lZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&uZ(e,r,n),n},Fs=class extends Je{constructor(){super(...arguments),this.onClick=()=>null,this.name="",this.walletId="",this.label=void 0,this.imageId=void 0,this.installed=!1,this.recent=!1}sublabelTemplate(){return this.recent?me`<wcm-text class="wcm-sublabel" variant="xsmall-bold" color="tertiary">RECENT</wcm-text>`:this.installed?me`<wcm-text class="wcm-sublabel" variant="xsmall-bold" color="tertiary">INSTALLED</wcm-text>`:null}handleClick(){Nb.click({name:"WALLET_BUTTON",walletId:this.walletId}),this.onClick()}render(){var t;return me`<button @click="${this.handleClick.bind(this)}"><div><wcm-wallet-image walletId="${this.walletId}" imageId="${li(this.imageId)}"></wcm-wallet-image><wcm-text variant="xsmall-regular">${(t=this.label)!=null?t:He.getWalletName(this.name,!0)}</wcm-text>${this.sublabelTemplate()}</div></button>`}};Fs.styles=[ut.globalCss,cZ];Ma([We()],Fs.prototype,"onClick",2);Ma([We()],Fs.prototype,"name",2);Ma([We()],Fs.prototype,"walletId",2);Ma([We()],Fs.prototype,"label",2);Ma([We()],Fs.prototype,"imageId",2);Ma([We({type:Boolean})],Fs.prototype,"installed",2);Ma([We({type:Boolean})],Fs.prototype,"recent",2);Fs=Ma([ct("wcm-wallet-button")],Fs);fZ=pt`:host{display:block}div{overflow:hidden;position:relative;border-radius:inherit;width:100%;height:100%;background-color:var(--wcm-color-overlay)}svg{position:relative;width:100%;height:100%}div::after{content:'';position:absolute;top:0;bottom:0;left:0;right:0;border-radius:inherit;border:1px solid var(--wcm-color-overlay)}div img{width:100%;height:100%;object-fit:cover;object-position:center}#wallet-placeholder-fill{fill:var(--wcm-color-bg-3)}#wallet-placeholder-dash{stroke:var(--wcm-color-overlay)}`,hZ=Object.defineProperty,dZ=Object.getOwnPropertyDescriptor,o1=(t,e,r,i)=>{for(var n=i>1?void 0:i?dZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&hZ(e,r,n),n},ul=class extends Je{constructor(){super(...arguments),this.walletId="",this.imageId=void 0,this.imageUrl=void 0}render(){var t;let e=(t=this.imageUrl)!=null&&t.length?this.imageUrl:He.getWalletIcon({id:this.walletId,image_id:this.imageId});return me`${e.length?me`<div><img crossorigin="anonymous" src="${e}" alt="${this.id}"></div>`:Gt.WALLET_PLACEHOLDER}`}};ul.styles=[ut.globalCss,fZ];o1([We()],ul.prototype,"walletId",2);o1([We()],ul.prototype,"imageId",2);o1([We()],ul.prototype,"imageUrl",2);ul=o1([ct("wcm-wallet-image")],ul);pZ=Object.defineProperty,gZ=Object.getOwnPropertyDescriptor,PM=(t,e,r,i)=>{for(var n=i>1?void 0:i?gZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&pZ(e,r,n),n},ny=class extends Je{constructor(){super(),this.preload=!0,this.preloadData()}async loadImages(t){try{t?.length&&await Promise.all(t.map(async e=>He.preloadImage(e)))}catch{console.info("Unsuccessful attempt at preloading some images",t)}}async preloadListings(){if(wi.state.enableExplorer){await _i.getRecomendedWallets(),pr.setIsDataLoaded(!0);let{recomendedWallets:t}=_i.state,e=t.map(r=>He.getWalletIcon(r));await this.loadImages(e)}else pr.setIsDataLoaded(!0)}async preloadCustomImages(){let t=He.getCustomImageUrls();await this.loadImages(t)}async preloadData(){try{this.preload&&(this.preload=!1,await Promise.all([this.preloadListings(),this.preloadCustomImages()]))}catch(t){console.error(t),So.openToast("Failed preloading","error")}}};PM([xi()],ny.prototype,"preload",2);ny=PM([ct("wcm-explorer-context")],ny);mZ=Object.defineProperty,vZ=Object.getOwnPropertyDescriptor,bZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?vZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&mZ(e,r,n),n},IM=class extends Je{constructor(){super(),this.unsubscribeTheme=void 0,ut.setTheme(),this.unsubscribeTheme=Ls.subscribe(ut.setTheme)}disconnectedCallback(){var t;(t=this.unsubscribeTheme)==null||t.call(this)}};IM=bZ([ct("wcm-theme-context")],IM);yZ=pt`@keyframes scroll{0%{transform:translate3d(0,0,0)}100%{transform:translate3d(calc(-70px * 9),0,0)}}.wcm-slider{position:relative;overflow-x:hidden;padding:10px 0;margin:0 -20px;width:calc(100% + 40px)}.wcm-track{display:flex;width:calc(70px * 18);animation:scroll 20s linear infinite;opacity:.7}.wcm-track svg{margin:0 5px}wcm-wallet-image{width:60px;height:60px;margin:0 5px;border-radius:var(--wcm-wallet-icon-border-radius)}.wcm-grid{display:grid;grid-template-columns:repeat(4,80px);justify-content:space-between}.wcm-title{display:flex;align-items:center;margin-bottom:10px}.wcm-title svg{margin-right:6px}.wcm-title path{fill:var(--wcm-accent-color)}wcm-modal-footer .wcm-title{padding:0 10px}wcm-button-big{position:absolute;top:50%;left:50%;transform:translateY(-50%) translateX(-50%);filter:drop-shadow(0 0 17px var(--wcm-color-bg-1))}wcm-info-footer{flex-direction:column;align-items:center;display:flex;width:100%;padding:5px 0}wcm-info-footer wcm-text{text-align:center;margin-bottom:15px}#wallet-placeholder-fill{fill:var(--wcm-color-bg-3)}#wallet-placeholder-dash{stroke:var(--wcm-color-overlay)}`,wZ=Object.defineProperty,_Z=Object.getOwnPropertyDescriptor,xZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?_Z(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&wZ(e,r,n),n},sy=class extends Je{onGoToQrcode(){lr.push("Qrcode")}render(){let{recomendedWallets:t}=_i.state,e=[...t,...t],r=_e.RECOMMENDED_WALLET_AMOUNT*2;return me`<wcm-modal-header title="Connect your wallet" .onAction="${this.onGoToQrcode}" .actionIcon="${Gt.QRCODE_ICON}"></wcm-modal-header><wcm-modal-content><div class="wcm-title">${Gt.MOBILE_ICON}<wcm-text variant="small-regular" color="accent">WalletConnect</wcm-text></div><div class="wcm-slider"><div class="wcm-track">${[...Array(r)].map((i,n)=>{let s=e[n%e.length];return s?me`<wcm-wallet-image walletId="${s.id}" imageId="${s.image_id}"></wcm-wallet-image>`:Gt.WALLET_PLACEHOLDER})}</div><wcm-button-big @click="${He.handleAndroidLinking}"><wcm-text variant="medium-regular" color="inverse">Select Wallet</wcm-text></wcm-button-big></div></wcm-modal-content><wcm-info-footer><wcm-text color="secondary" variant="small-thin">Choose WalletConnect to see supported apps on your device</wcm-text></wcm-info-footer>`}};sy.styles=[ut.globalCss,yZ];sy=xZ([ct("wcm-android-wallet-selection")],sy);EZ=pt`@keyframes loading{to{stroke-dashoffset:0}}@keyframes shake{10%,90%{transform:translate3d(-1px,0,0)}20%,80%{transform:translate3d(1px,0,0)}30%,50%,70%{transform:translate3d(-2px,0,0)}40%,60%{transform:translate3d(2px,0,0)}}:host{display:flex;flex-direction:column;align-items:center}div{position:relative;width:110px;height:110px;display:flex;justify-content:center;align-items:center;margin:40px 0 20px 0;transform:translate3d(0,0,0)}svg{position:absolute;width:110px;height:110px;fill:none;stroke:transparent;stroke-linecap:round;stroke-width:2px;top:0;left:0}use{stroke:var(--wcm-accent-color);animation:loading 1s linear infinite}wcm-wallet-image{border-radius:var(--wcm-wallet-icon-large-border-radius);width:90px;height:90px}wcm-text{margin-bottom:40px}.wcm-error svg{stroke:var(--wcm-error-color)}.wcm-error use{display:none}.wcm-error{animation:shake .4s cubic-bezier(.36,.07,.19,.97) both}.wcm-stale svg,.wcm-stale use{display:none}`,AZ=Object.defineProperty,SZ=Object.getOwnPropertyDescriptor,pl=(t,e,r,i)=>{for(var n=i>1?void 0:i?SZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&AZ(e,r,n),n},Ia=class extends Je{constructor(){super(...arguments),this.walletId=void 0,this.imageId=void 0,this.isError=!1,this.isStale=!1,this.label=""}svgLoaderTemplate(){var t,e;let s=(e=(t=Ls.state.themeVariables)==null?void 0:t["--wcm-wallet-icon-large-border-radius"])!=null?e:ut.getPreset("--wcm-wallet-icon-large-border-radius"),a=0;s.includes("%")?a=88/100*parseInt(s,10):a=parseInt(s,10),a*=1.17;let u=317-a*1.57,h=425-a*1.8;return me`<svg viewBox="0 0 110 110" width="110" height="110"><rect id="wcm-loader" x="2" y="2" width="106" height="106" rx="${a}"/><use xlink:href="#wcm-loader" stroke-dasharray="106 ${u}" stroke-dashoffset="${h}"></use></svg>`}render(){let t={"wcm-error":this.isError,"wcm-stale":this.isStale};return me`<div class="${Bs(t)}">${this.svgLoaderTemplate()}<wcm-wallet-image walletId="${li(this.walletId)}" imageId="${li(this.imageId)}"></wcm-wallet-image></div><wcm-text variant="medium-regular" color="${this.isError?"error":"primary"}">${this.isError?"Connection declined":this.label}</wcm-text>`}};Ia.styles=[ut.globalCss,EZ];pl([We()],Ia.prototype,"walletId",2);pl([We()],Ia.prototype,"imageId",2);pl([We({type:Boolean})],Ia.prototype,"isError",2);pl([We({type:Boolean})],Ia.prototype,"isStale",2);pl([We()],Ia.prototype,"label",2);Ia=pl([ct("wcm-connector-waiting")],Ia);cl={manualWallets(){var t,e;let{mobileWallets:r,desktopWallets:i}=wi.state,n=(t=cl.recentWallet())==null?void 0:t.id,s=_e.isMobile()?r:i,a=s?.filter(u=>n!==u.id);return(e=_e.isMobile()?a?.map(({id:u,name:h,links:f})=>({id:u,name:h,mobile:f,links:f})):a?.map(({id:u,name:h,links:f})=>({id:u,name:h,desktop:f,links:f})))!=null?e:[]},recentWallet(){return He.getRecentWallet()},recomendedWallets(t=!1){var e;let r=t||(e=cl.recentWallet())==null?void 0:e.id,{recomendedWallets:i}=_i.state;return i.filter(s=>r!==s.id)}},Aa={onConnecting(t){He.goToConnectingView(t)},manualWalletsTemplate(){return cl.manualWallets().map(e=>me`<wcm-wallet-button walletId="${e.id}" name="${e.name}" .onClick="${()=>this.onConnecting(e)}"></wcm-wallet-button>`)},recomendedWalletsTemplate(t=!1){return cl.recomendedWallets(t).map(r=>me`<wcm-wallet-button name="${r.name}" walletId="${r.id}" imageId="${r.image_id}" .onClick="${()=>this.onConnecting(r)}"></wcm-wallet-button>`)},recentWalletTemplate(){let t=cl.recentWallet();if(t)return me`<wcm-wallet-button name="${t.name}" walletId="${t.id}" imageId="${li(t.image_id)}" .recent="${!0}" .onClick="${()=>this.onConnecting(t)}"></wcm-wallet-button>`}},IZ=pt`.wcm-grid{display:grid;grid-template-columns:repeat(4,80px);justify-content:space-between}.wcm-desktop-title,.wcm-mobile-title{display:flex;align-items:center}.wcm-mobile-title{justify-content:space-between;margin-bottom:20px;margin-top:-10px}.wcm-desktop-title{margin-bottom:10px;padding:0 10px}.wcm-subtitle{display:flex;align-items:center}.wcm-subtitle:last-child path{fill:var(--wcm-color-fg-3)}.wcm-desktop-title svg,.wcm-mobile-title svg{margin-right:6px}.wcm-desktop-title path,.wcm-mobile-title path{fill:var(--wcm-accent-color)}`,MZ=Object.defineProperty,CZ=Object.getOwnPropertyDescriptor,DZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?CZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&MZ(e,r,n),n},oy=class extends Je{render(){let{explorerExcludedWalletIds:t,enableExplorer:e}=wi.state,r=t!=="ALL"&&e,i=Aa.manualWalletsTemplate(),n=Aa.recomendedWalletsTemplate(),a=[Aa.recentWalletTemplate(),...i,...n];a=a.filter(Boolean);let u=a.length>4||r,h=[];u?h=a.slice(0,3):h=a;let f=!!h.length;return me`<wcm-modal-header .border="${!0}" title="Connect your wallet" .onAction="${He.handleUriCopy}" .actionIcon="${Gt.COPY_ICON}"></wcm-modal-header><wcm-modal-content><div class="wcm-mobile-title"><div class="wcm-subtitle">${Gt.MOBILE_ICON}<wcm-text variant="small-regular" color="accent">Mobile</wcm-text></div><div class="wcm-subtitle">${Gt.SCAN_ICON}<wcm-text variant="small-regular" color="secondary">Scan with your wallet</wcm-text></div></div><wcm-walletconnect-qr></wcm-walletconnect-qr></wcm-modal-content>${f?me`<wcm-modal-footer><div class="wcm-desktop-title">${Gt.DESKTOP_ICON}<wcm-text variant="small-regular" color="accent">Desktop</wcm-text></div><div class="wcm-grid">${h} ${u?me`<wcm-view-all-wallets-button></wcm-view-all-wallets-button>`:null}</div></wcm-modal-footer>`:null}`}};oy.styles=[ut.globalCss,IZ];oy=DZ([ct("wcm-desktop-wallet-selection")],oy);PZ=pt`div{background-color:var(--wcm-color-bg-2);padding:10px 20px 15px 20px;border-top:1px solid var(--wcm-color-bg-3);text-align:center}a{color:var(--wcm-accent-color);text-decoration:none;transition:opacity .2s ease-in-out;display:inline}a:active{opacity:.8}@media(hover:hover){a:hover{opacity:.8}}`,OZ=Object.defineProperty,RZ=Object.getOwnPropertyDescriptor,TZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?RZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&OZ(e,r,n),n},ay=class extends Je{render(){let{termsOfServiceUrl:t,privacyPolicyUrl:e}=wi.state;return t??e?me`<div><wcm-text variant="small-regular" color="secondary">By connecting your wallet to this app, you agree to the app's ${t?me`<a href="${t}" target="_blank" rel="noopener noreferrer">Terms of Service</a>`:null} ${t&&e?"and":null} ${e?me`<a href="${e}" target="_blank" rel="noopener noreferrer">Privacy Policy</a>`:null}</wcm-text></div>`:null}};ay.styles=[ut.globalCss,PZ];ay=TZ([ct("wcm-legal-notice")],ay);NZ=pt`div{display:grid;grid-template-columns:repeat(4,80px);margin:0 -10px;justify-content:space-between;row-gap:10px}`,LZ=Object.defineProperty,BZ=Object.getOwnPropertyDescriptor,UZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?BZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&LZ(e,r,n),n},cy=class extends Je{onQrcode(){lr.push("Qrcode")}render(){let{explorerExcludedWalletIds:t,enableExplorer:e}=wi.state,r=t!=="ALL"&&e,i=Aa.manualWalletsTemplate(),n=Aa.recomendedWalletsTemplate(),a=[Aa.recentWalletTemplate(),...i,...n];a=a.filter(Boolean);let u=a.length>8||r,h=[];u?h=a.slice(0,7):h=a;let f=!!h.length;return me`<wcm-modal-header title="Connect your wallet" .onAction="${this.onQrcode}" .actionIcon="${Gt.QRCODE_ICON}"></wcm-modal-header>${f?me`<wcm-modal-content><div>${h} ${u?me`<wcm-view-all-wallets-button></wcm-view-all-wallets-button>`:null}</div></wcm-modal-content>`:null}`}};cy.styles=[ut.globalCss,NZ];cy=UZ([ct("wcm-mobile-wallet-selection")],cy);FZ=pt`:host{all:initial}.wcm-overlay{top:0;bottom:0;left:0;right:0;position:fixed;z-index:var(--wcm-z-index);overflow:hidden;display:flex;justify-content:center;align-items:center;opacity:0;pointer-events:none;background-color:var(--wcm-overlay-background-color);backdrop-filter:var(--wcm-overlay-backdrop-filter)}@media(max-height:720px) and (orientation:landscape){.wcm-overlay{overflow:scroll;align-items:flex-start;padding:20px 0}}.wcm-active{pointer-events:auto}.wcm-container{position:relative;max-width:360px;width:100%;outline:0;border-radius:var(--wcm-background-border-radius) var(--wcm-background-border-radius) var(--wcm-container-border-radius) var(--wcm-container-border-radius);border:1px solid var(--wcm-color-overlay);overflow:hidden}.wcm-card{width:100%;position:relative;border-radius:var(--wcm-container-border-radius);overflow:hidden;box-shadow:0 6px 14px -6px rgba(10,16,31,.12),0 10px 32px -4px rgba(10,16,31,.1),0 0 0 1px var(--wcm-color-overlay);background-color:var(--wcm-color-bg-1);color:var(--wcm-color-fg-1)}@media(max-width:600px){.wcm-container{max-width:440px;border-radius:var(--wcm-background-border-radius) var(--wcm-background-border-radius) 0 0}.wcm-card{border-radius:var(--wcm-container-border-radius) var(--wcm-container-border-radius) 0 0}.wcm-overlay{align-items:flex-end}}@media(max-width:440px){.wcm-container{border:0}}`,qZ=Object.defineProperty,$Z=Object.getOwnPropertyDescriptor,vy=(t,e,r,i)=>{for(var n=i>1?void 0:i?$Z(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&qZ(e,r,n),n},ll=class extends Je{constructor(){super(),this.open=!1,this.active=!1,this.unsubscribeModal=void 0,this.abortController=void 0,this.unsubscribeModal=Ao.subscribe(t=>{t.open?this.onOpenModalEvent():this.onCloseModalEvent()})}disconnectedCallback(){var t;(t=this.unsubscribeModal)==null||t.call(this)}get overlayEl(){return He.getShadowRootElement(this,".wcm-overlay")}get containerEl(){return He.getShadowRootElement(this,".wcm-container")}toggleBodyScroll(t){if(document.querySelector("body"))if(t){let r=document.getElementById("wcm-styles");r?.remove()}else document.head.insertAdjacentHTML("beforeend",'<style id="wcm-styles">html,body{touch-action:none;overflow:hidden;overscroll-behavior:contain;}</style>')}onCloseModal(t){t.target===t.currentTarget&&Ao.close()}onOpenModalEvent(){this.toggleBodyScroll(!1),this.addKeyboardEvents(),this.open=!0,setTimeout(async()=>{let t=He.isMobileAnimation()?{y:["50vh","0vh"]}:{scale:[.98,1]},e=.1,r=.2;await Promise.all([Do(this.overlayEl,{opacity:[0,1]},{delay:e,duration:r}).finished,Do(this.containerEl,t,{delay:e,duration:r}).finished]),this.active=!0},0)}async onCloseModalEvent(){this.toggleBodyScroll(!0),this.removeKeyboardEvents();let t=He.isMobileAnimation()?{y:["0vh","50vh"]}:{scale:[1,.98]},e=.2;await Promise.all([Do(this.overlayEl,{opacity:[1,0]},{duration:e}).finished,Do(this.containerEl,t,{duration:e}).finished]),this.containerEl.removeAttribute("style"),this.active=!1,this.open=!1}addKeyboardEvents(){this.abortController=new AbortController,window.addEventListener("keydown",t=>{var e;t.key==="Escape"?Ao.close():t.key==="Tab"&&((e=t.target)!=null&&e.tagName.includes("wcm-")||this.containerEl.focus())},this.abortController),this.containerEl.focus()}removeKeyboardEvents(){var t;(t=this.abortController)==null||t.abort(),this.abortController=void 0}render(){let t={"wcm-overlay":!0,"wcm-active":this.active};return me`<wcm-explorer-context></wcm-explorer-context><wcm-theme-context></wcm-theme-context><div id="wcm-modal" class="${Bs(t)}" @click="${this.onCloseModal}" role="alertdialog" aria-modal="true"><div class="wcm-container" tabindex="0">${this.open?me`<wcm-modal-backcard></wcm-modal-backcard><div class="wcm-card"><wcm-modal-router></wcm-modal-router><wcm-modal-toast></wcm-modal-toast></div>`:null}</div></div>`}};ll.styles=[ut.globalCss,FZ];vy([xi()],ll.prototype,"open",2);vy([xi()],ll.prototype,"active",2);ll=vy([ct("wcm-modal")],ll);kZ=pt`div{display:flex;margin-top:15px}slot{display:inline-block;margin:0 5px}wcm-button{margin:0 5px}`,jZ=Object.defineProperty,zZ=Object.getOwnPropertyDescriptor,_h=(t,e,r,i)=>{for(var n=i>1?void 0:i?zZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&jZ(e,r,n),n},Cc=class extends Je{constructor(){super(...arguments),this.isMobile=!1,this.isDesktop=!1,this.isWeb=!1,this.isRetry=!1}onMobile(){_e.isMobile()?lr.replace("MobileConnecting"):lr.replace("MobileQrcodeConnecting")}onDesktop(){lr.replace("DesktopConnecting")}onWeb(){lr.replace("WebConnecting")}render(){return me`<div>${this.isRetry?me`<slot></slot>`:null} ${this.isMobile?me`<wcm-button .onClick="${this.onMobile}" .iconLeft="${Gt.MOBILE_ICON}" variant="outline">Mobile</wcm-button>`:null} ${this.isDesktop?me`<wcm-button .onClick="${this.onDesktop}" .iconLeft="${Gt.DESKTOP_ICON}" variant="outline">Desktop</wcm-button>`:null} ${this.isWeb?me`<wcm-button .onClick="${this.onWeb}" .iconLeft="${Gt.GLOBE_ICON}" variant="outline">Web</wcm-button>`:null}</div>`}};Cc.styles=[ut.globalCss,kZ];_h([We({type:Boolean})],Cc.prototype,"isMobile",2);_h([We({type:Boolean})],Cc.prototype,"isDesktop",2);_h([We({type:Boolean})],Cc.prototype,"isWeb",2);_h([We({type:Boolean})],Cc.prototype,"isRetry",2);Cc=_h([ct("wcm-platform-selection")],Cc);HZ=pt`button{display:flex;flex-direction:column;padding:5px 10px;border-radius:var(--wcm-button-hover-highlight-border-radius);height:100%;justify-content:flex-start}.wcm-icons{width:60px;height:60px;display:flex;flex-wrap:wrap;padding:7px;border-radius:var(--wcm-wallet-icon-border-radius);justify-content:space-between;align-items:center;margin-bottom:5px;background-color:var(--wcm-color-bg-2);box-shadow:inset 0 0 0 1px var(--wcm-color-overlay)}button:active{background-color:var(--wcm-color-overlay)}@media(hover:hover){button:hover{background-color:var(--wcm-color-overlay)}}.wcm-icons img{width:21px;height:21px;object-fit:cover;object-position:center;border-radius:calc(var(--wcm-wallet-icon-border-radius)/ 2);border:1px solid var(--wcm-color-overlay)}.wcm-icons svg{width:21px;height:21px}.wcm-icons img:nth-child(1),.wcm-icons img:nth-child(2),.wcm-icons svg:nth-child(1),.wcm-icons svg:nth-child(2){margin-bottom:4px}wcm-text{width:100%;text-align:center}#wallet-placeholder-fill{fill:var(--wcm-color-bg-3)}#wallet-placeholder-dash{stroke:var(--wcm-color-overlay)}`,KZ=Object.defineProperty,VZ=Object.getOwnPropertyDescriptor,WZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?VZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&KZ(e,r,n),n},uy=class extends Je{onClick(){lr.push("WalletExplorer")}render(){let{recomendedWallets:t}=_i.state,e=cl.manualWallets(),r=[...t,...e].reverse().slice(0,4);return me`<button @click="${this.onClick}"><div class="wcm-icons">${r.map(i=>{let n=He.getWalletIcon(i);if(n)return me`<img crossorigin="anonymous" src="${n}">`;let s=He.getWalletIcon({id:i.id});return s?me`<img crossorigin="anonymous" src="${s}">`:Gt.WALLET_PLACEHOLDER})} ${[...Array(4-r.length)].map(()=>Gt.WALLET_PLACEHOLDER)}</div><wcm-text variant="xsmall-regular">View All</wcm-text></button>`}};uy.styles=[ut.globalCss,HZ];uy=WZ([ct("wcm-view-all-wallets-button")],uy);GZ=pt`.wcm-qr-container{width:100%;display:flex;justify-content:center;align-items:center;aspect-ratio:1/1}`,JZ=Object.defineProperty,YZ=Object.getOwnPropertyDescriptor,a1=(t,e,r,i)=>{for(var n=i>1?void 0:i?YZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&JZ(e,r,n),n},fl=class extends Je{constructor(){super(),this.walletId="",this.imageId="",this.uri="",setTimeout(()=>{let{walletConnectUri:t}=pr.state;this.uri=t},0)}get overlayEl(){return He.getShadowRootElement(this,".wcm-qr-container")}render(){return me`<div class="wcm-qr-container">${this.uri?me`<wcm-qrcode size="${this.overlayEl.offsetWidth}" uri="${this.uri}" walletId="${li(this.walletId)}" imageId="${li(this.imageId)}"></wcm-qrcode>`:me`<wcm-spinner></wcm-spinner>`}</div>`}};fl.styles=[ut.globalCss,GZ];a1([We()],fl.prototype,"walletId",2);a1([We()],fl.prototype,"imageId",2);a1([xi()],fl.prototype,"uri",2);fl=a1([ct("wcm-walletconnect-qr")],fl);QZ=Object.defineProperty,XZ=Object.getOwnPropertyDescriptor,ZZ=(t,e,r,i)=>{for(var n=i>1?void 0:i?XZ(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&QZ(e,r,n),n},ly=class extends Je{viewTemplate(){return _e.isAndroid()&&!_e.isTelegram()?me`<wcm-android-wallet-selection></wcm-android-wallet-selection>`:_e.isMobile()?me`<wcm-mobile-wallet-selection></wcm-mobile-wallet-selection>`:me`<wcm-desktop-wallet-selection></wcm-desktop-wallet-selection>`}render(){return me`${this.viewTemplate()}<wcm-legal-notice></wcm-legal-notice>`}};ly.styles=[ut.globalCss];ly=ZZ([ct("wcm-connect-wallet-view")],ly);eee=pt`wcm-info-footer{flex-direction:column;align-items:center;display:flex;width:100%;padding:5px 0}wcm-text{text-align:center}`,tee=Object.defineProperty,ree=Object.getOwnPropertyDescriptor,OM=(t,e,r,i)=>{for(var n=i>1?void 0:i?ree(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&tee(e,r,n),n},i1=class extends Je{constructor(){super(),this.isError=!1,this.openDesktopApp()}onFormatAndRedirect(t){let{desktop:e,name:r}=_e.getWalletRouterData(),i=e?.native,n=e?.universal;if(i){let s=_e.formatNativeUrl(i,t,r);_e.openHref(s,"_self")}else if(n){let s=_e.formatUniversalUrl(n,t,r);_e.openHref(s,"_blank")}}openDesktopApp(){let{walletConnectUri:t}=pr.state,e=_e.getWalletRouterData();He.setRecentWallet(e),t&&this.onFormatAndRedirect(t)}render(){let{name:t,id:e,image_id:r}=_e.getWalletRouterData(),{isMobile:i,isWeb:n}=He.getCachedRouterWalletPlatforms();return me`<wcm-modal-header title="${t}" .onAction="${He.handleUriCopy}" .actionIcon="${Gt.COPY_ICON}"></wcm-modal-header><wcm-modal-content><wcm-connector-waiting walletId="${e}" imageId="${li(r)}" label="${`Continue in ${t}...`}" .isError="${this.isError}"></wcm-connector-waiting></wcm-modal-content><wcm-info-footer><wcm-text color="secondary" variant="small-thin">${`Connection can continue loading if ${t} is not installed on your device`}</wcm-text><wcm-platform-selection .isMobile="${i}" .isWeb="${n}" .isRetry="${!0}"><wcm-button .onClick="${this.openDesktopApp.bind(this)}" .iconRight="${Gt.RETRY_ICON}">Retry</wcm-button></wcm-platform-selection></wcm-info-footer>`}};i1.styles=[ut.globalCss,eee];OM([xi()],i1.prototype,"isError",2);i1=OM([ct("wcm-desktop-connecting-view")],i1);iee=pt`wcm-info-footer{flex-direction:column;align-items:center;display:flex;width:100%;padding:5px 0}wcm-text{text-align:center}wcm-button{margin-top:15px}`,nee=Object.defineProperty,see=Object.getOwnPropertyDescriptor,oee=(t,e,r,i)=>{for(var n=i>1?void 0:i?see(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&nee(e,r,n),n},fy=class extends Je{onInstall(t){t&&_e.openHref(t,"_blank")}render(){let{name:t,id:e,image_id:r,homepage:i}=_e.getWalletRouterData();return me`<wcm-modal-header title="${t}"></wcm-modal-header><wcm-modal-content><wcm-connector-waiting walletId="${e}" imageId="${li(r)}" label="Not Detected" .isStale="${!0}"></wcm-connector-waiting></wcm-modal-content><wcm-info-footer><wcm-text color="secondary" variant="small-thin">${`Download ${t} to continue. If multiple browser extensions are installed, disable non ${t} ones and try again`}</wcm-text><wcm-button .onClick="${()=>this.onInstall(i)}" .iconLeft="${Gt.ARROW_DOWN_ICON}">Download</wcm-button></wcm-info-footer>`}};fy.styles=[ut.globalCss,iee];fy=oee([ct("wcm-install-wallet-view")],fy);aee=pt`wcm-wallet-image{border-radius:var(--wcm-wallet-icon-large-border-radius);width:96px;height:96px;margin-bottom:20px}wcm-info-footer{display:flex;width:100%}.wcm-app-store{justify-content:space-between}.wcm-app-store wcm-wallet-image{margin-right:10px;margin-bottom:0;width:28px;height:28px;border-radius:var(--wcm-wallet-icon-small-border-radius)}.wcm-app-store div{display:flex;align-items:center}.wcm-app-store wcm-button{margin-right:-10px}.wcm-note{flex-direction:column;align-items:center;padding:5px 0}.wcm-note wcm-text{text-align:center}wcm-platform-selection{margin-top:-15px}.wcm-note wcm-text{margin-top:15px}.wcm-note wcm-text span{color:var(--wcm-accent-color)}`,cee=Object.defineProperty,uee=Object.getOwnPropertyDescriptor,RM=(t,e,r,i)=>{for(var n=i>1?void 0:i?uee(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&cee(e,r,n),n},n1=class extends Je{constructor(){super(),this.isError=!1,this.openMobileApp()}onFormatAndRedirect(t,e=!1){let{mobile:r,name:i}=_e.getWalletRouterData(),n=r?.native,s=r?.universal,a=_e.isTelegram()?"_blank":"_self";if(t=_e.isTelegram()&&_e.isAndroid()?encodeURIComponent(t):t,n&&!e){let u=_e.formatNativeUrl(n,t,i);_e.openHref(u,a)}else if(s){let u=_e.formatUniversalUrl(s,t,i);_e.openHref(u,a)}}openMobileApp(t=!1){let{walletConnectUri:e}=pr.state,r=_e.getWalletRouterData();e&&this.onFormatAndRedirect(e,t),He.setRecentWallet(r)}onGoToAppStore(t){t&&_e.openHref(t,"_blank")}render(){let{name:t,id:e,image_id:r,app:i,mobile:n}=_e.getWalletRouterData(),{isWeb:s}=He.getCachedRouterWalletPlatforms(),a=i?.ios,u=n?.universal;return me`<wcm-modal-header title="${t}"></wcm-modal-header><wcm-modal-content><wcm-connector-waiting walletId="${e}" imageId="${li(r)}" label="Tap 'Open' to continue…" .isError="${this.isError}"></wcm-connector-waiting></wcm-modal-content><wcm-info-footer class="wcm-note"><wcm-platform-selection .isWeb="${s}" .isRetry="${!0}"><wcm-button .onClick="${()=>this.openMobileApp(!1)}" .iconRight="${Gt.RETRY_ICON}">Retry</wcm-button></wcm-platform-selection>${u?me`<wcm-text color="secondary" variant="small-thin">Still doesn't work? <span tabindex="0" @click="${()=>this.openMobileApp(!0)}">Try this alternate link</span></wcm-text>`:null}</wcm-info-footer><wcm-info-footer class="wcm-app-store"><div><wcm-wallet-image walletId="${e}" imageId="${li(r)}"></wcm-wallet-image><wcm-text>${`Get ${t}`}</wcm-text></div><wcm-button .iconRight="${Gt.ARROW_RIGHT_ICON}" .onClick="${()=>this.onGoToAppStore(a)}" variant="ghost">App Store</wcm-button></wcm-info-footer>`}};n1.styles=[ut.globalCss,aee];RM([xi()],n1.prototype,"isError",2);n1=RM([ct("wcm-mobile-connecting-view")],n1);lee=pt`wcm-info-footer{flex-direction:column;align-items:center;display:flex;width:100%;padding:5px 0}wcm-text{text-align:center}`,fee=Object.defineProperty,hee=Object.getOwnPropertyDescriptor,dee=(t,e,r,i)=>{for(var n=i>1?void 0:i?hee(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&fee(e,r,n),n},hy=class extends Je{render(){let{name:t,id:e,image_id:r}=_e.getWalletRouterData(),{isDesktop:i,isWeb:n}=He.getCachedRouterWalletPlatforms();return me`<wcm-modal-header title="${t}" .onAction="${He.handleUriCopy}" .actionIcon="${Gt.COPY_ICON}"></wcm-modal-header><wcm-modal-content><wcm-walletconnect-qr walletId="${e}" imageId="${li(r)}"></wcm-walletconnect-qr></wcm-modal-content><wcm-info-footer><wcm-text color="secondary" variant="small-thin">${`Scan this QR Code with your phone's camera or inside ${t} app`}</wcm-text><wcm-platform-selection .isDesktop="${i}" .isWeb="${n}"></wcm-platform-selection></wcm-info-footer>`}};hy.styles=[ut.globalCss,lee];hy=dee([ct("wcm-mobile-qr-connecting-view")],hy);pee=Object.defineProperty,gee=Object.getOwnPropertyDescriptor,mee=(t,e,r,i)=>{for(var n=i>1?void 0:i?gee(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&pee(e,r,n),n},dy=class extends Je{render(){return me`<wcm-modal-header title="Scan the code" .onAction="${He.handleUriCopy}" .actionIcon="${Gt.COPY_ICON}"></wcm-modal-header><wcm-modal-content><wcm-walletconnect-qr></wcm-walletconnect-qr></wcm-modal-content>`}};dy.styles=[ut.globalCss];dy=mee([ct("wcm-qrcode-view")],dy);vee=pt`wcm-modal-content{height:clamp(200px,60vh,600px);display:block;overflow:scroll;scrollbar-width:none;position:relative;margin-top:1px}.wcm-grid{display:grid;grid-template-columns:repeat(4,80px);justify-content:space-between;margin:-15px -10px;padding-top:20px}wcm-modal-content::after,wcm-modal-content::before{content:'';position:fixed;pointer-events:none;z-index:1;width:100%;height:20px;opacity:1}wcm-modal-content::before{box-shadow:0 -1px 0 0 var(--wcm-color-bg-1);background:linear-gradient(var(--wcm-color-bg-1),rgba(255,255,255,0))}wcm-modal-content::after{box-shadow:0 1px 0 0 var(--wcm-color-bg-1);background:linear-gradient(rgba(255,255,255,0),var(--wcm-color-bg-1));top:calc(100% - 20px)}wcm-modal-content::-webkit-scrollbar{display:none}.wcm-placeholder-block{display:flex;justify-content:center;align-items:center;height:100px;overflow:hidden}.wcm-empty,.wcm-loading{display:flex}.wcm-loading .wcm-placeholder-block{height:100%}.wcm-end-reached .wcm-placeholder-block{height:0;opacity:0}.wcm-empty .wcm-placeholder-block{opacity:1;height:100%}wcm-wallet-button{margin:calc((100% - 60px)/ 3) 0}`,bee=Object.defineProperty,yee=Object.getOwnPropertyDescriptor,xh=(t,e,r,i)=>{for(var n=i>1?void 0:i?yee(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&bee(e,r,n),n},X3=40,Dc=class extends Je{constructor(){super(...arguments),this.loading=!_i.state.wallets.listings.length,this.firstFetch=!_i.state.wallets.listings.length,this.search="",this.endReached=!1,this.intersectionObserver=void 0,this.searchDebounce=He.debounce(t=>{t.length>=1?(this.firstFetch=!0,this.endReached=!1,this.search=t,_i.resetSearch(),this.fetchWallets()):this.search&&(this.search="",this.endReached=this.isLastPage(),_i.resetSearch())})}firstUpdated(){this.createPaginationObserver()}disconnectedCallback(){var t;(t=this.intersectionObserver)==null||t.disconnect()}get placeholderEl(){return He.getShadowRootElement(this,".wcm-placeholder-block")}createPaginationObserver(){this.intersectionObserver=new IntersectionObserver(([t])=>{t.isIntersecting&&!(this.search&&this.firstFetch)&&this.fetchWallets()}),this.intersectionObserver.observe(this.placeholderEl)}isLastPage(){let{wallets:t,search:e}=_i.state,{listings:r,total:i}=this.search?e:t;return i<=X3||r.length>=i}async fetchWallets(){var t;let{wallets:e,search:r}=_i.state,{listings:i,total:n,page:s}=this.search?r:e;if(!this.endReached&&(this.firstFetch||n>X3&&i.length<n))try{this.loading=!0;let a=(t=pr.state.chains)==null?void 0:t.join(","),{listings:u}=await _i.getWallets({page:this.firstFetch?1:s+1,entries:X3,search:this.search,version:2,chains:a}),h=u.map(f=>He.getWalletIcon(f));await Promise.all([...h.map(async f=>He.preloadImage(f)),_e.wait(300)]),this.endReached=this.isLastPage()}catch(a){console.error(a),So.openToast(He.getErrorMessage(a),"error")}finally{this.loading=!1,this.firstFetch=!1}}onConnect(t){_e.isAndroid()?He.handleMobileLinking(t):He.goToConnectingView(t)}onSearchChange(t){let{value:e}=t.target;this.searchDebounce(e)}render(){let{wallets:t,search:e}=_i.state,{listings:r}=this.search?e:t,i=this.loading&&!r.length,n=this.search.length>=3,s=Aa.manualWalletsTemplate(),a=Aa.recomendedWalletsTemplate(!0);n&&(s=s.filter(({values:f})=>He.caseSafeIncludes(f[0],this.search)),a=a.filter(({values:f})=>He.caseSafeIncludes(f[0],this.search)));let u=!this.loading&&!r.length&&!a.length,h={"wcm-loading":i,"wcm-end-reached":this.endReached||!this.loading,"wcm-empty":u};return me`<wcm-modal-header><wcm-search-input .onChange="${this.onSearchChange.bind(this)}"></wcm-search-input></wcm-modal-header><wcm-modal-content class="${Bs(h)}"><div class="wcm-grid">${i?null:s} ${i?null:a} ${i?null:r.map(f=>me`${f?me`<wcm-wallet-button imageId="${f.image_id}" name="${f.name}" walletId="${f.id}" .onClick="${()=>this.onConnect(f)}"></wcm-wallet-button>`:null}`)}</div><div class="wcm-placeholder-block">${u?me`<wcm-text variant="big-bold" color="secondary">No results found</wcm-text>`:null} ${!u&&this.loading?me`<wcm-spinner></wcm-spinner>`:null}</div></wcm-modal-content>`}};Dc.styles=[ut.globalCss,vee];xh([xi()],Dc.prototype,"loading",2);xh([xi()],Dc.prototype,"firstFetch",2);xh([xi()],Dc.prototype,"search",2);xh([xi()],Dc.prototype,"endReached",2);Dc=xh([ct("wcm-wallet-explorer-view")],Dc);wee=pt`wcm-info-footer{flex-direction:column;align-items:center;display:flex;width:100%;padding:5px 0}wcm-text{text-align:center}`,_ee=Object.defineProperty,xee=Object.getOwnPropertyDescriptor,TM=(t,e,r,i)=>{for(var n=i>1?void 0:i?xee(e,r):e,s=t.length-1,a;s>=0;s--)(a=t[s])&&(n=(i?a(e,r,n):a(n))||n);return i&&n&&_ee(e,r,n),n},s1=class extends Je{constructor(){super(),this.isError=!1,this.openWebWallet()}onFormatAndRedirect(t){let{desktop:e,name:r}=_e.getWalletRouterData(),i=e?.universal;if(i){let n=_e.formatUniversalUrl(i,t,r);_e.openHref(n,"_blank")}}openWebWallet(){let{walletConnectUri:t}=pr.state,e=_e.getWalletRouterData();He.setRecentWallet(e),t&&this.onFormatAndRedirect(t)}render(){let{name:t,id:e,image_id:r}=_e.getWalletRouterData(),{isMobile:i,isDesktop:n}=He.getCachedRouterWalletPlatforms(),s=_e.isMobile();return me`<wcm-modal-header title="${t}" .onAction="${He.handleUriCopy}" .actionIcon="${Gt.COPY_ICON}"></wcm-modal-header><wcm-modal-content><wcm-connector-waiting walletId="${e}" imageId="${li(r)}" label="${`Continue in ${t}...`}" .isError="${this.isError}"></wcm-connector-waiting></wcm-modal-content><wcm-info-footer><wcm-text color="secondary" variant="small-thin">${`${t} web app has opened in a new tab. Go there, accept the connection, and come back`}</wcm-text><wcm-platform-selection .isMobile="${i}" .isDesktop="${s?!1:n}" .isRetry="${!0}"><wcm-button .onClick="${this.openWebWallet.bind(this)}" .iconRight="${Gt.RETRY_ICON}">Retry</wcm-button></wcm-platform-selection></wcm-info-footer>`}};s1.styles=[ut.globalCss,wee];TM([xi()],s1.prototype,"isError",2);s1=TM([ct("wcm-web-connecting-view")],s1)});var BM={};zr(BM,{WalletConnectModal:()=>by});var by,UM=be(()=>{Lb();by=class{constructor(e){this.openModal=Ao.open,this.closeModal=Ao.close,this.subscribeModal=Ao.subscribe,this.setTheme=Ls.setThemeConfig,Ls.setThemeConfig(e),wi.setConfig(e),this.initUi()}async initUi(){if(typeof window<"u"){await Promise.resolve().then(()=>(LM(),NM));let e=document.createElement("wcm-modal");document.body.insertAdjacentElement("beforeend",e),pr.setIsUiLoaded(!0)}}}});var $M=Et(ts());var r5=function(t,e,r){if(r||arguments.length===2)for(var i=0,n=e.length,s;i<n;i++)(s||!(i in e))&&(s||(s=Array.prototype.slice.call(e,0,i)),s[i]=e[i]);return t.concat(s||Array.prototype.slice.call(e))},XN=(function(){function t(e,r,i){this.name=e,this.version=r,this.os=i,this.type="browser"}return t})();var ZN=(function(){function t(e){this.version=e,this.type="node",this.name="node",this.os=process.platform}return t})();var eL=(function(){function t(e,r,i,n){this.name=e,this.version=r,this.os=i,this.bot=n,this.type="bot-device"}return t})();var tL=(function(){function t(){this.type="bot",this.bot=!0,this.name="bot",this.version=null,this.os=null}return t})();var rL=(function(){function t(){this.type="react-native",this.name="react-native",this.version=null,this.os=null}return t})();var iL=/alexa|bot|crawl(er|ing)|facebookexternalhit|feedburner|google web preview|nagios|postrank|pingdom|slurp|spider|yahoo!|yandex/,nL=/(nuhk|curl|Googlebot|Yammybot|Openbot|Slurp|MSNBot|Ask\ Jeeves\/Teoma|ia_archiver)/,i5=3,sL=[["aol",/AOLShield\/([0-9\._]+)/],["edge",/Edge\/([0-9\._]+)/],["edge-ios",/EdgiOS\/([0-9\._]+)/],["yandexbrowser",/YaBrowser\/([0-9\._]+)/],["kakaotalk",/KAKAOTALK\s([0-9\.]+)/],["samsung",/SamsungBrowser\/([0-9\.]+)/],["silk",/\bSilk\/([0-9._-]+)\b/],["miui",/MiuiBrowser\/([0-9\.]+)$/],["beaker",/BeakerBrowser\/([0-9\.]+)/],["edge-chromium",/EdgA?\/([0-9\.]+)/],["chromium-webview",/(?!Chrom.*OPR)wv\).*Chrom(?:e|ium)\/([0-9\.]+)(:?\s|$)/],["chrome",/(?!Chrom.*OPR)Chrom(?:e|ium)\/([0-9\.]+)(:?\s|$)/],["phantomjs",/PhantomJS\/([0-9\.]+)(:?\s|$)/],["crios",/CriOS\/([0-9\.]+)(:?\s|$)/],["firefox",/Firefox\/([0-9\.]+)(?:\s|$)/],["fxios",/FxiOS\/([0-9\.]+)/],["opera-mini",/Opera Mini.*Version\/([0-9\.]+)/],["opera",/Opera\/([0-9\.]+)(?:\s|$)/],["opera",/OPR\/([0-9\.]+)(:?\s|$)/],["pie",/^Microsoft Pocket Internet Explorer\/(\d+\.\d+)$/],["pie",/^Mozilla\/\d\.\d+\s\(compatible;\s(?:MSP?IE|MSInternet Explorer) (\d+\.\d+);.*Windows CE.*\)$/],["netfront",/^Mozilla\/\d\.\d+.*NetFront\/(\d.\d)/],["ie",/Trident\/7\.0.*rv\:([0-9\.]+).*\).*Gecko$/],["ie",/MSIE\s([0-9\.]+);.*Trident\/[4-7].0/],["ie",/MSIE\s(7\.0)/],["bb10",/BB10;\sTouch.*Version\/([0-9\.]+)/],["android",/Android\s([0-9\.]+)/],["ios",/Version\/([0-9\._]+).*Mobile.*Safari.*/],["safari",/Version\/([0-9\._]+).*Safari/],["facebook",/FB[AS]V\/([0-9\.]+)/],["instagram",/Instagram\s([0-9\.]+)/],["ios-webview",/AppleWebKit\/([0-9\.]+).*Mobile/],["ios-webview",/AppleWebKit\/([0-9\.]+).*Gecko\)$/],["curl",/^curl\/([0-9\.]+)$/],["searchbot",iL]],n5=[["iOS",/iP(hone|od|ad)/],["Android OS",/Android/],["BlackBerry OS",/BlackBerry|BB10/],["Windows Mobile",/IEMobile/],["Amazon OS",/Kindle/],["Windows 3.11",/Win16/],["Windows 95",/(Windows 95)|(Win95)|(Windows_95)/],["Windows 98",/(Windows 98)|(Win98)/],["Windows 2000",/(Windows NT 5.0)|(Windows 2000)/],["Windows XP",/(Windows NT 5.1)|(Windows XP)/],["Windows Server 2003",/(Windows NT 5.2)/],["Windows Vista",/(Windows NT 6.0)/],["Windows 7",/(Windows NT 6.1)/],["Windows 8",/(Windows NT 6.2)/],["Windows 8.1",/(Windows NT 6.3)/],["Windows 10",/(Windows NT 10.0)/],["Windows ME",/Windows ME/],["Windows CE",/Windows CE|WinCE|Microsoft Pocket Internet Explorer/],["Open BSD",/OpenBSD/],["Sun OS",/SunOS/],["Chrome OS",/CrOS/],["Linux",/(Linux)|(X11)/],["Mac OS",/(Mac_PowerPC)|(Macintosh)/],["QNX",/QNX/],["BeOS",/BeOS/],["OS/2",/OS\/2/]];function o5(t){return t?s5(t):typeof document>"u"&&typeof navigator<"u"&&navigator.product==="ReactNative"?new rL:typeof navigator<"u"?s5(navigator.userAgent):cL()}function oL(t){return t!==""&&sL.reduce(function(e,r){var i=r[0],n=r[1];if(e)return e;var s=n.exec(t);return!!s&&[i,s]},!1)}function s5(t){var e=oL(t);if(!e)return null;var r=e[0],i=e[1];if(r==="searchbot")return new tL;var n=i[1]&&i[1].split(".").join("_").split("_").slice(0,3);n?n.length<i5&&(n=r5(r5([],n,!0),uL(i5-n.length),!0)):n=[];var s=n.join("."),a=aL(t),u=nL.exec(t);return u&&u[1]?new eL(r,s,a,u[1]):new XN(r,s,a)}function aL(t){for(var e=0,r=n5.length;e<r;e++){var i=n5[e],n=i[0],s=i[1],a=s.exec(t);if(a)return n}return null}function cL(){var t=typeof process<"u"&&process.version;return t?new ZN(process.version.slice(1)):null}function uL(t){for(var e=[],r=0;r<t;r++)e.push("0");return e}var go=Et(Yc()),mo=Et(Mg()),m_=Et(w5()),Iu=Et(q5()),bv=Et(Z5()),v_=Et(s4()),df=Et(Fl()),Mu=Et(p4()),v0=Et(b4());function kl(t=0){return globalThis.Buffer!=null&&globalThis.Buffer.allocUnsafe!=null?globalThis.Buffer.allocUnsafe(t):new Uint8Array(t)}function Fa(t,e){e||(e=t.reduce((n,s)=>n+s.length,0));let r=kl(e),i=0;for(let n of t)r.set(n,i),i+=n.length;return r}var Yg={};zr(Yg,{identity:()=>hU});function aU(t,e){if(t.length>=255)throw new TypeError("Alphabet too long");for(var r=new Uint8Array(256),i=0;i<r.length;i++)r[i]=255;for(var n=0;n<t.length;n++){var s=t.charAt(n),a=s.charCodeAt(0);if(r[a]!==255)throw new TypeError(s+" is ambiguous");r[a]=n}var u=t.length,h=t.charAt(0),f=Math.log(u)/Math.log(256),v=Math.log(256)/Math.log(u);function w(P){if(P instanceof Uint8Array||(ArrayBuffer.isView(P)?P=new Uint8Array(P.buffer,P.byteOffset,P.byteLength):Array.isArray(P)&&(P=Uint8Array.from(P))),!(P instanceof Uint8Array))throw new TypeError("Expected Uint8Array");if(P.length===0)return"";for(var T=0,U=0,F=0,V=P.length;F!==V&&P[F]===0;)F++,T++;for(var z=(V-F)*v+1>>>0,j=new Uint8Array(z);F!==V;){for(var H=P[F],ee=0,$=z-1;(H!==0||ee<U)&&$!==-1;$--,ee++)H+=256*j[$]>>>0,j[$]=H%u>>>0,H=H/u>>>0;if(H!==0)throw new Error("Non-zero carry");U=ee,F++}for(var q=z-U;q!==z&&j[q]===0;)q++;for(var X=h.repeat(T);q<z;++q)X+=t.charAt(j[q]);return X}function I(P){if(typeof P!="string")throw new TypeError("Expected String");if(P.length===0)return new Uint8Array;var T=0;if(P[T]!==" "){for(var U=0,F=0;P[T]===h;)U++,T++;for(var V=(P.length-T)*f+1>>>0,z=new Uint8Array(V);P[T];){var j=r[P.charCodeAt(T)];if(j===255)return;for(var H=0,ee=V-1;(j!==0||H<F)&&ee!==-1;ee--,H++)j+=u*z[ee]>>>0,z[ee]=j%256>>>0,j=j/256>>>0;if(j!==0)throw new Error("Non-zero carry");F=H,T++}if(P[T]!==" "){for(var $=V-F;$!==V&&z[$]===0;)$++;for(var q=new Uint8Array(U+(V-$)),X=U;$!==V;)q[X++]=z[$++];return q}}}function M(P){var T=I(P);if(T)return T;throw new Error(`Non-${e} character`)}return{encode:w,decodeUnsafe:I,decode:M}}var cU=aU,uU=cU,y4=uU;var Mte=new Uint8Array(0);var w4=(t,e)=>{if(t===e)return!0;if(t.byteLength!==e.byteLength)return!1;for(let r=0;r<t.byteLength;r++)if(t[r]!==e[r])return!1;return!0},no=t=>{if(t instanceof Uint8Array&&t.constructor.name==="Uint8Array")return t;if(t instanceof ArrayBuffer)return new Uint8Array(t);if(ArrayBuffer.isView(t))return new Uint8Array(t.buffer,t.byteOffset,t.byteLength);throw new Error("Unknown type, must be binary type")};var _4=t=>new TextEncoder().encode(t),x4=t=>new TextDecoder().decode(t);var Vg=class{constructor(e,r,i){this.name=e,this.prefix=r,this.baseEncode=i}encode(e){if(e instanceof Uint8Array)return`${this.prefix}${this.baseEncode(e)}`;throw Error("Unknown type, must be binary type")}},Wg=class{constructor(e,r,i){if(this.name=e,this.prefix=r,r.codePointAt(0)===void 0)throw new Error("Invalid prefix character");this.prefixCodePoint=r.codePointAt(0),this.baseDecode=i}decode(e){if(typeof e=="string"){if(e.codePointAt(0)!==this.prefixCodePoint)throw Error(`Unable to decode multibase string ${JSON.stringify(e)}, ${this.name} decoder only supports inputs prefixed with ${this.prefix}`);return this.baseDecode(e.slice(this.prefix.length))}else throw Error("Can only multibase decode strings")}or(e){return A4(this,e)}},Gg=class{constructor(e){this.decoders=e}or(e){return A4(this,e)}decode(e){let r=e[0],i=this.decoders[r];if(i)return i.decode(e);throw RangeError(`Unable to decode multibase string ${JSON.stringify(e)}, only inputs prefixed with ${Object.keys(this.decoders)} are supported`)}},A4=(t,e)=>new Gg({...t.decoders||{[t.prefix]:t},...e.decoders||{[e.prefix]:e}}),Jg=class{constructor(e,r,i,n){this.name=e,this.prefix=r,this.baseEncode=i,this.baseDecode=n,this.encoder=new Vg(e,r,i),this.decoder=new Wg(e,r,n)}encode(e){return this.encoder.encode(e)}decode(e){return this.decoder.decode(e)}},eu=({name:t,prefix:e,encode:r,decode:i})=>new Jg(t,e,r,i),zo=({prefix:t,name:e,alphabet:r})=>{let{encode:i,decode:n}=y4(r,e);return eu({prefix:t,name:e,encode:i,decode:s=>no(n(s))})},lU=(t,e,r,i)=>{let n={};for(let v=0;v<e.length;++v)n[e[v]]=v;let s=t.length;for(;t[s-1]==="=";)--s;let a=new Uint8Array(s*r/8|0),u=0,h=0,f=0;for(let v=0;v<s;++v){let w=n[t[v]];if(w===void 0)throw new SyntaxError(`Non-${i} character`);h=h<<r|w,u+=r,u>=8&&(u-=8,a[f++]=255&h>>u)}if(u>=r||255&h<<8-u)throw new SyntaxError("Unexpected end of data");return a},fU=(t,e,r)=>{let i=e[e.length-1]==="=",n=(1<<r)-1,s="",a=0,u=0;for(let h=0;h<t.length;++h)for(u=u<<8|t[h],a+=8;a>r;)a-=r,s+=e[n&u>>a];if(a&&(s+=e[n&u<<r-a]),i)for(;s.length*r&7;)s+="=";return s},vr=({name:t,prefix:e,bitsPerChar:r,alphabet:i})=>eu({prefix:e,name:t,encode(n){return fU(n,i,r)},decode(n){return lU(n,i,r,t)}});var hU=eu({prefix:"\0",name:"identity",encode:t=>x4(t),decode:t=>_4(t)});var Qg={};zr(Qg,{base2:()=>dU});var dU=vr({prefix:"0",name:"base2",alphabet:"01",bitsPerChar:1});var Xg={};zr(Xg,{base8:()=>pU});var pU=vr({prefix:"7",name:"base8",alphabet:"01234567",bitsPerChar:3});var Zg={};zr(Zg,{base10:()=>gU});var gU=zo({prefix:"9",name:"base10",alphabet:"0123456789"});var em={};zr(em,{base16:()=>mU,base16upper:()=>vU});var mU=vr({prefix:"f",name:"base16",alphabet:"0123456789abcdef",bitsPerChar:4}),vU=vr({prefix:"F",name:"base16upper",alphabet:"0123456789ABCDEF",bitsPerChar:4});var tm={};zr(tm,{base32:()=>tu,base32hex:()=>_U,base32hexpad:()=>EU,base32hexpadupper:()=>AU,base32hexupper:()=>xU,base32pad:()=>yU,base32padupper:()=>wU,base32upper:()=>bU,base32z:()=>SU});var tu=vr({prefix:"b",name:"base32",alphabet:"abcdefghijklmnopqrstuvwxyz234567",bitsPerChar:5}),bU=vr({prefix:"B",name:"base32upper",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZ234567",bitsPerChar:5}),yU=vr({prefix:"c",name:"base32pad",alphabet:"abcdefghijklmnopqrstuvwxyz234567=",bitsPerChar:5}),wU=vr({prefix:"C",name:"base32padupper",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZ234567=",bitsPerChar:5}),_U=vr({prefix:"v",name:"base32hex",alphabet:"0123456789abcdefghijklmnopqrstuv",bitsPerChar:5}),xU=vr({prefix:"V",name:"base32hexupper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUV",bitsPerChar:5}),EU=vr({prefix:"t",name:"base32hexpad",alphabet:"0123456789abcdefghijklmnopqrstuv=",bitsPerChar:5}),AU=vr({prefix:"T",name:"base32hexpadupper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUV=",bitsPerChar:5}),SU=vr({prefix:"h",name:"base32z",alphabet:"ybndrfg8ejkmcpqxot1uwisza345h769",bitsPerChar:5});var rm={};zr(rm,{base36:()=>IU,base36upper:()=>MU});var IU=zo({prefix:"k",name:"base36",alphabet:"0123456789abcdefghijklmnopqrstuvwxyz"}),MU=zo({prefix:"K",name:"base36upper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ"});var im={};zr(im,{base58btc:()=>ns,base58flickr:()=>CU});var ns=zo({name:"base58btc",prefix:"z",alphabet:"123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz"}),CU=zo({name:"base58flickr",prefix:"Z",alphabet:"123456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ"});var nm={};zr(nm,{base64:()=>DU,base64pad:()=>PU,base64url:()=>OU,base64urlpad:()=>RU});var DU=vr({prefix:"m",name:"base64",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",bitsPerChar:6}),PU=vr({prefix:"M",name:"base64pad",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=",bitsPerChar:6}),OU=vr({prefix:"u",name:"base64url",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",bitsPerChar:6}),RU=vr({prefix:"U",name:"base64urlpad",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_=",bitsPerChar:6});var sm={};zr(sm,{base256emoji:()=>UU});var S4=Array.from("\u{1F680}\u{1FA90}\u2604\u{1F6F0}\u{1F30C}\u{1F311}\u{1F312}\u{1F313}\u{1F314}\u{1F315}\u{1F316}\u{1F317}\u{1F318}\u{1F30D}\u{1F30F}\u{1F30E}\u{1F409}\u2600\u{1F4BB}\u{1F5A5}\u{1F4BE}\u{1F4BF}\u{1F602}\u2764\u{1F60D}\u{1F923}\u{1F60A}\u{1F64F}\u{1F495}\u{1F62D}\u{1F618}\u{1F44D}\u{1F605}\u{1F44F}\u{1F601}\u{1F525}\u{1F970}\u{1F494}\u{1F496}\u{1F499}\u{1F622}\u{1F914}\u{1F606}\u{1F644}\u{1F4AA}\u{1F609}\u263A\u{1F44C}\u{1F917}\u{1F49C}\u{1F614}\u{1F60E}\u{1F607}\u{1F339}\u{1F926}\u{1F389}\u{1F49E}\u270C\u2728\u{1F937}\u{1F631}\u{1F60C}\u{1F338}\u{1F64C}\u{1F60B}\u{1F497}\u{1F49A}\u{1F60F}\u{1F49B}\u{1F642}\u{1F493}\u{1F929}\u{1F604}\u{1F600}\u{1F5A4}\u{1F603}\u{1F4AF}\u{1F648}\u{1F447}\u{1F3B6}\u{1F612}\u{1F92D}\u2763\u{1F61C}\u{1F48B}\u{1F440}\u{1F62A}\u{1F611}\u{1F4A5}\u{1F64B}\u{1F61E}\u{1F629}\u{1F621}\u{1F92A}\u{1F44A}\u{1F973}\u{1F625}\u{1F924}\u{1F449}\u{1F483}\u{1F633}\u270B\u{1F61A}\u{1F61D}\u{1F634}\u{1F31F}\u{1F62C}\u{1F643}\u{1F340}\u{1F337}\u{1F63B}\u{1F613}\u2B50\u2705\u{1F97A}\u{1F308}\u{1F608}\u{1F918}\u{1F4A6}\u2714\u{1F623}\u{1F3C3}\u{1F490}\u2639\u{1F38A}\u{1F498}\u{1F620}\u261D\u{1F615}\u{1F33A}\u{1F382}\u{1F33B}\u{1F610}\u{1F595}\u{1F49D}\u{1F64A}\u{1F639}\u{1F5E3}\u{1F4AB}\u{1F480}\u{1F451}\u{1F3B5}\u{1F91E}\u{1F61B}\u{1F534}\u{1F624}\u{1F33C}\u{1F62B}\u26BD\u{1F919}\u2615\u{1F3C6}\u{1F92B}\u{1F448}\u{1F62E}\u{1F646}\u{1F37B}\u{1F343}\u{1F436}\u{1F481}\u{1F632}\u{1F33F}\u{1F9E1}\u{1F381}\u26A1\u{1F31E}\u{1F388}\u274C\u270A\u{1F44B}\u{1F630}\u{1F928}\u{1F636}\u{1F91D}\u{1F6B6}\u{1F4B0}\u{1F353}\u{1F4A2}\u{1F91F}\u{1F641}\u{1F6A8}\u{1F4A8}\u{1F92C}\u2708\u{1F380}\u{1F37A}\u{1F913}\u{1F619}\u{1F49F}\u{1F331}\u{1F616}\u{1F476}\u{1F974}\u25B6\u27A1\u2753\u{1F48E}\u{1F4B8}\u2B07\u{1F628}\u{1F31A}\u{1F98B}\u{1F637}\u{1F57A}\u26A0\u{1F645}\u{1F61F}\u{1F635}\u{1F44E}\u{1F932}\u{1F920}\u{1F927}\u{1F4CC}\u{1F535}\u{1F485}\u{1F9D0}\u{1F43E}\u{1F352}\u{1F617}\u{1F911}\u{1F30A}\u{1F92F}\u{1F437}\u260E\u{1F4A7}\u{1F62F}\u{1F486}\u{1F446}\u{1F3A4}\u{1F647}\u{1F351}\u2744\u{1F334}\u{1F4A3}\u{1F438}\u{1F48C}\u{1F4CD}\u{1F940}\u{1F922}\u{1F445}\u{1F4A1}\u{1F4A9}\u{1F450}\u{1F4F8}\u{1F47B}\u{1F910}\u{1F92E}\u{1F3BC}\u{1F975}\u{1F6A9}\u{1F34E}\u{1F34A}\u{1F47C}\u{1F48D}\u{1F4E3}\u{1F942}"),TU=S4.reduce((t,e,r)=>(t[r]=e,t),[]),NU=S4.reduce((t,e,r)=>(t[e.codePointAt(0)]=r,t),[]);function LU(t){return t.reduce((e,r)=>(e+=TU[r],e),"")}function BU(t){let e=[];for(let r of t){let i=NU[r.codePointAt(0)];if(i===void 0)throw new Error(`Non-base256emoji character: ${r}`);e.push(i)}return new Uint8Array(e)}var UU=eu({prefix:"\u{1F680}",name:"base256emoji",encode:LU,decode:BU});var um={};zr(um,{sha256:()=>rF,sha512:()=>iF});var FU=C4,I4=128,qU=127,$U=~qU,kU=Math.pow(2,31);function C4(t,e,r){e=e||[],r=r||0;for(var i=r;t>=kU;)e[r++]=t&255|I4,t/=128;for(;t&$U;)e[r++]=t&255|I4,t>>>=7;return e[r]=t|0,C4.bytes=r-i+1,e}var jU=om,zU=128,M4=127;function om(t,i){var r=0,i=i||0,n=0,s=i,a,u=t.length;do{if(s>=u)throw om.bytes=0,new RangeError("Could not decode varint");a=t[s++],r+=n<28?(a&M4)<<n:(a&M4)*Math.pow(2,n),n+=7}while(a>=zU);return om.bytes=s-i,r}var HU=Math.pow(2,7),KU=Math.pow(2,14),VU=Math.pow(2,21),WU=Math.pow(2,28),GU=Math.pow(2,35),JU=Math.pow(2,42),YU=Math.pow(2,49),QU=Math.pow(2,56),XU=Math.pow(2,63),ZU=function(t){return t<HU?1:t<KU?2:t<VU?3:t<WU?4:t<GU?5:t<JU?6:t<YU?7:t<QU?8:t<XU?9:10},eF={encode:FU,decode:jU,encodingLength:ZU},tF=eF,jl=tF;var zl=(t,e=0)=>[jl.decode(t,e),jl.decode.bytes],ru=(t,e,r=0)=>(jl.encode(t,e,r),e),iu=t=>jl.encodingLength(t);var qa=(t,e)=>{let r=e.byteLength,i=iu(t),n=i+iu(r),s=new Uint8Array(n+r);return ru(t,s,0),ru(r,s,i),s.set(e,n),new nu(t,r,e,s)},D4=t=>{let e=no(t),[r,i]=zl(e),[n,s]=zl(e.subarray(i)),a=e.subarray(i+s);if(a.byteLength!==n)throw new Error("Incorrect length");return new nu(r,n,a,e)},P4=(t,e)=>t===e?!0:t.code===e.code&&t.size===e.size&&w4(t.bytes,e.bytes),nu=class{constructor(e,r,i,n){this.code=e,this.size=r,this.digest=i,this.bytes=n}};var cm=({name:t,code:e,encode:r})=>new am(t,e,r),am=class{constructor(e,r,i){this.name=e,this.code=r,this.encode=i}digest(e){if(e instanceof Uint8Array){let r=this.encode(e);return r instanceof Uint8Array?qa(this.code,r):r.then(i=>qa(this.code,i))}else throw Error("Unknown type, must be binary type")}};var R4=t=>async e=>new Uint8Array(await crypto.subtle.digest(t,e)),rF=cm({name:"sha2-256",code:18,encode:R4("SHA-256")}),iF=cm({name:"sha2-512",code:19,encode:R4("SHA-512")});var lm={};zr(lm,{identity:()=>oF});var T4=0,nF="identity",N4=no,sF=t=>qa(T4,N4(t)),oF={code:T4,name:nF,encode:N4,digest:sF};var Gte=new TextEncoder,Jte=new TextDecoder;var Bd=class t{constructor(e,r,i,n){this.code=r,this.version=e,this.multihash=i,this.bytes=n,this.byteOffset=n.byteOffset,this.byteLength=n.byteLength,this.asCID=this,this._baseCache=new Map,Object.defineProperties(this,{byteOffset:Ld,byteLength:Ld,code:Nd,version:Nd,multihash:Nd,bytes:Nd,_baseCache:Ld,asCID:Ld})}toV0(){switch(this.version){case 0:return this;default:{let{code:e,multihash:r}=this;if(e!==Kl)throw new Error("Cannot convert a non dag-pb CID to CIDv0");if(r.code!==hF)throw new Error("Cannot convert non sha2-256 multihash CID to CIDv0");return t.createV0(r)}}}toV1(){switch(this.version){case 0:{let{code:e,digest:r}=this.multihash,i=qa(e,r);return t.createV1(this.code,i)}case 1:return this;default:throw Error(`Can not convert CID version ${this.version} to version 0. This is a bug please report`)}}equals(e){return e&&this.code===e.code&&this.version===e.version&&P4(this.multihash,e.multihash)}toString(e){let{bytes:r,version:i,_baseCache:n}=this;return i===0?lF(r,n,e||ns.encoder):fF(r,n,e||tu.encoder)}toJSON(){return{code:this.code,version:this.version,hash:this.multihash.bytes}}get[Symbol.toStringTag](){return"CID"}[Symbol.for("nodejs.util.inspect.custom")](){return"CID("+this.toString()+")"}static isCID(e){return pF(/^0\.0/,gF),!!(e&&(e[B4]||e.asCID===e))}get toBaseEncodedString(){throw new Error("Deprecated, use .toString()")}get codec(){throw new Error('"codec" property is deprecated, use integer "code" property instead')}get buffer(){throw new Error("Deprecated .buffer property, use .bytes to get Uint8Array instead")}get multibaseName(){throw new Error('"multibaseName" property is deprecated')}get prefix(){throw new Error('"prefix" property is deprecated')}static asCID(e){if(e instanceof t)return e;if(e!=null&&e.asCID===e){let{version:r,code:i,multihash:n,bytes:s}=e;return new t(r,i,n,s||L4(r,i,n.bytes))}else if(e!=null&&e[B4]===!0){let{version:r,multihash:i,code:n}=e,s=D4(i);return t.create(r,n,s)}else return null}static create(e,r,i){if(typeof r!="number")throw new Error("String codecs are no longer supported");switch(e){case 0:{if(r!==Kl)throw new Error(`Version 0 CID must use dag-pb (code: ${Kl}) block encoding`);return new t(e,r,i,i.bytes)}case 1:{let n=L4(e,r,i.bytes);return new t(e,r,i,n)}default:throw new Error("Invalid version")}}static createV0(e){return t.create(0,Kl,e)}static createV1(e,r){return t.create(1,e,r)}static decode(e){let[r,i]=t.decodeFirst(e);if(i.length)throw new Error("Incorrect length");return r}static decodeFirst(e){let r=t.inspectBytes(e),i=r.size-r.multihashSize,n=no(e.subarray(i,i+r.multihashSize));if(n.byteLength!==r.multihashSize)throw new Error("Incorrect length");let s=n.subarray(r.multihashSize-r.digestSize),a=new nu(r.multihashCode,r.digestSize,s,n);return[r.version===0?t.createV0(a):t.createV1(r.codec,a),e.subarray(r.size)]}static inspectBytes(e){let r=0,i=()=>{let[w,I]=zl(e.subarray(r));return r+=I,w},n=i(),s=Kl;if(n===18?(n=0,r=0):n===1&&(s=i()),n!==0&&n!==1)throw new RangeError(`Invalid CID version ${n}`);let a=r,u=i(),h=i(),f=r+h,v=f-a;return{version:n,codec:s,multihashCode:u,digestSize:h,multihashSize:v,size:f}}static parse(e,r){let[i,n]=uF(e,r),s=t.decode(n);return s._baseCache.set(i,e),s}},uF=(t,e)=>{switch(t[0]){case"Q":{let r=e||ns;return[ns.prefix,r.decode(`${ns.prefix}${t}`)]}case ns.prefix:{let r=e||ns;return[ns.prefix,r.decode(t)]}case tu.prefix:{let r=e||tu;return[tu.prefix,r.decode(t)]}default:{if(e==null)throw Error("To parse non base32 or base58btc encoded CID multibase decoder must be provided");return[t[0],e.decode(t)]}}},lF=(t,e,r)=>{let{prefix:i}=r;if(i!==ns.prefix)throw Error(`Cannot string encode V0 in ${r.name} encoding`);let n=e.get(i);if(n==null){let s=r.encode(t).slice(1);return e.set(i,s),s}else return n},fF=(t,e,r)=>{let{prefix:i}=r,n=e.get(i);if(n==null){let s=r.encode(t);return e.set(i,s),s}else return n},Kl=112,hF=18,L4=(t,e,r)=>{let i=iu(t),n=i+iu(e),s=new Uint8Array(n+r.byteLength);return ru(t,s,0),ru(e,s,i),s.set(r,n),s},B4=Symbol.for("@ipld/js-cid/CID"),Nd={writable:!1,configurable:!1,enumerable:!0},Ld={writable:!1,enumerable:!1,configurable:!1},dF="0.0.0-dev",pF=(t,e)=>{if(t.test(dF))console.warn(e);else throw new Error(e)},gF=`CID.isCID(v) is deprecated and will be removed in the next major release.
+Following code pattern:
+
+if (CID.isCID(value)) {
+  doSomethingWithCID(value)
+}
+
+Is replaced with:
+
+const cid = CID.asCID(value)
+if (cid) {
+  // Make sure to use cid instead of value
+  doSomethingWithCID(cid)
+}
+`;var fm={...Yg,...Qg,...Xg,...Zg,...em,...tm,...rm,...im,...nm,...sm},ire={...um,...lm};function F4(t,e,r,i){return{name:t,prefix:e,encoder:{name:t,prefix:e,encode:r},decoder:{decode:i}}}var U4=F4("utf8","u",t=>"u"+new TextDecoder("utf8").decode(t),t=>new TextEncoder().encode(t.substring(1))),hm=F4("ascii","a",t=>{let e="a";for(let r=0;r<t.length;r++)e+=String.fromCharCode(t[r]);return e},t=>{t=t.substring(1);let e=kl(t.length);for(let r=0;r<t.length;r++)e[r]=t.charCodeAt(r);return e}),mF={utf8:U4,"utf-8":U4,hex:fm.base16,latin1:hm,ascii:hm,binary:hm,...fm},Ud=mF;function Sr(t,e="utf8"){let r=Ud[e];if(!r)throw new Error(`Unsupported encoding "${e}"`);return(e==="utf8"||e==="utf-8")&&globalThis.Buffer!=null&&globalThis.Buffer.from!=null?globalThis.Buffer.from(t,"utf8"):r.decoder.decode(`${r.prefix}${t}`)}function br(t,e="utf8"){let r=Ud[e];if(!r)throw new Error(`Unsupported encoding "${e}"`);return(e==="utf8"||e==="utf-8")&&globalThis.Buffer!=null&&globalThis.Buffer.from!=null?globalThis.Buffer.from(t.buffer,t.byteOffset,t.byteLength).toString("utf8"):r.encoder.encode(t).substring(1)}var b_=Et(h7());var tf=Et(D7()),N7=Et(Fl()),L7=Et(Yc());var P7="EdDSA";var ef="base64url",Wm="utf8",Gm="utf8";var Jm="base58btc";var M$=t=>JSON.stringify(t,(e,r)=>typeof r=="bigint"?r.toString()+"n":r),C$=t=>{let e=/([\[:])?(\d{17,}|(?:[9](?:[1-9]07199254740991|0[1-9]7199254740991|00[8-9]199254740991|007[2-9]99254740991|007199[3-9]54740991|0071992[6-9]4740991|00719925[5-9]740991|007199254[8-9]40991|0071992547[5-9]0991|00719925474[1-9]991|00719925474099[2-9])))([,\}\]])/g,r=t.replace(e,'$1"$2n"$3');return JSON.parse(r,(i,n)=>typeof n=="string"&&n.match(/^\d+n$/)?BigInt(n.substring(0,n.length-1)):n)};function vn(t){if(typeof t!="string")throw new Error(`Cannot safe json parse value of type ${typeof t}`);try{return C$(t)}catch{return t}}function pi(t){return typeof t=="string"?t:M$(t)||""}function O7(t){return vn(br(Sr(t,ef),Wm))}function t0(t){return br(Sr(pi(t),Wm),ef)}function r0(t){let e=Sr("K36",Jm),r="z"+br(Fa([e,t]),Jm);return["did","key",r].join(":")}function N$(t){return br(t,ef)}function L$(t){return Sr(t,ef)}function R7(t){return Sr([t0(t.header),t0(t.payload)].join("."),Gm)}function T7(t){return[t0(t.header),t0(t.payload),N$(t.signature)].join(".")}function yu(t){let e=t.split("."),r=O7(e[0]),i=O7(e[1]),n=L$(e[2]),s=Sr(e.slice(0,2).join("."),Gm);return{header:r,payload:i,signature:n,data:s}}function Ym(t=(0,N7.randomBytes)(32)){return tf.generateKeyPairFromSeed(t)}async function B7(t,e,r,i,n=(0,L7.fromMiliseconds)(Date.now())){let s={alg:P7,typ:"JWT"},a=r0(i.publicKey),u=n+r,h={iss:a,sub:t,aud:e,iat:n,exp:u},f=R7({header:s,payload:h}),v=tf.sign(i.secretKey,f);return T7({header:s,payload:h,signature:v})}var U7={waku:{publish:"waku_publish",batchPublish:"waku_batchPublish",subscribe:"waku_subscribe",batchSubscribe:"waku_batchSubscribe",subscription:"waku_subscription",unsubscribe:"waku_unsubscribe",batchUnsubscribe:"waku_batchUnsubscribe",batchFetchMessages:"waku_batchFetchMessages"},irn:{publish:"irn_publish",batchPublish:"irn_batchPublish",subscribe:"irn_subscribe",batchSubscribe:"irn_batchSubscribe",subscription:"irn_subscription",unsubscribe:"irn_unsubscribe",batchUnsubscribe:"irn_batchUnsubscribe",batchFetchMessages:"irn_batchFetchMessages"},iridium:{publish:"iridium_publish",batchPublish:"iridium_batchPublish",subscribe:"iridium_subscribe",batchSubscribe:"iridium_batchSubscribe",subscription:"iridium_subscription",unsubscribe:"iridium_unsubscribe",batchUnsubscribe:"iridium_batchUnsubscribe",batchFetchMessages:"iridium_batchFetchMessages"}};var q$=":";function Xa(t){let[e,r]=t.split(q$);return{namespace:e,reference:r}}function yv(t,e=[]){let r=[];return Object.keys(t).forEach(i=>{if(e.length&&!e.includes(i))return;let n=t[i];r.push(...n.accounts)}),r}function y_(t,e){return t.includes(":")?[t]:e.chains||[]}var $$=Object.defineProperty,F7=Object.getOwnPropertySymbols,k$=Object.prototype.hasOwnProperty,j$=Object.prototype.propertyIsEnumerable,q7=(t,e,r)=>e in t?$$(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,$7=(t,e)=>{for(var r in e||(e={}))k$.call(e,r)&&q7(t,r,e[r]);if(F7)for(var r of F7(e))j$.call(e,r)&&q7(t,r,e[r]);return t},z$="ReactNative",Fi={reactNative:"react-native",node:"node",browser:"browser",unknown:"unknown"};var H$="js";function pf(){return typeof process<"u"&&typeof process.versions<"u"&&typeof process.versions.node<"u"}function Za(){return!(0,mo.getDocument)()&&!!(0,mo.getNavigator)()&&navigator.product===z$}function Cu(){return!pf()&&!!(0,mo.getNavigator)()&&!!(0,mo.getDocument)()}function gf(){return Za()?Fi.reactNative:pf()?Fi.node:Cu()?Fi.browser:Fi.unknown}function w_(){var t;try{return Za()&&typeof globalThis<"u"&&typeof globalThis?.Application<"u"?(t=globalThis.Application)==null?void 0:t.applicationId:void 0}catch{return}}function K$(t,e){let r=Iu.parse(t);return r=$7($7({},r),e),t=Iu.stringify(r),t}function b0(){return(0,m_.getWindowMetadata)()||{name:"",description:"",url:"",icons:[""]}}function V$(){if(gf()===Fi.reactNative&&typeof globalThis<"u"&&typeof globalThis?.Platform<"u"){let{OS:r,Version:i}=globalThis.Platform;return[r,i].join("-")}let t=o5();if(t===null)return"unknown";let e=t.os?t.os.replace(" ","").toLowerCase():"unknown";return t.type==="browser"?[e,t.name,t.version].join("-"):[e,t.version].join("-")}function W$(){var t;let e=gf();return e===Fi.browser?[e,((t=(0,mo.getLocation)())==null?void 0:t.host)||"unknown"].join(":"):e}function wv(t,e,r){let i=V$(),n=W$();return[[t,e].join("-"),[H$,r].join("-"),i,n].join("/")}function __({protocol:t,version:e,relayUrl:r,sdkVersion:i,auth:n,projectId:s,useOnCloseEvent:a,bundleId:u}){let h=r.split("?"),f=wv(t,e,i),v={auth:n,ua:f,projectId:s,useOnCloseEvent:a||void 0,origin:u||void 0},w=K$(h[1]||"",v);return h[0]+"?"+w}function Ja(t,e){return t.filter(r=>e.includes(r)).length===t.length}function _v(t){return Object.fromEntries(t.entries())}function xv(t){return new Map(Object.entries(t))}function vo(t=go.FIVE_MINUTES,e){let r=(0,go.toMiliseconds)(t||go.FIVE_MINUTES),i,n,s;return{resolve:a=>{s&&i&&(clearTimeout(s),i(a))},reject:a=>{s&&n&&(clearTimeout(s),n(a))},done:()=>new Promise((a,u)=>{s=setTimeout(()=>{u(new Error(e))},r),i=a,n=u})}}function ec(t,e,r){return new Promise(async(i,n)=>{let s=setTimeout(()=>n(new Error(r)),e);try{let a=await t;i(a)}catch(a){n(a)}clearTimeout(s)})}function x_(t,e){if(typeof e=="string"&&e.startsWith(`${t}:`))return e;if(t.toLowerCase()==="topic"){if(typeof e!="string")throw new Error('Value must be "string" for expirer target type: topic');return`topic:${e}`}else if(t.toLowerCase()==="id"){if(typeof e!="number")throw new Error('Value must be "number" for expirer target type: id');return`id:${e}`}throw new Error(`Unknown expirer target type: ${t}`)}function E_(t){return x_("topic",t)}function A_(t){return x_("id",t)}function y0(t){let[e,r]=t.split(":"),i={id:void 0,topic:void 0};if(e==="topic"&&typeof r=="string")i.topic=r;else if(e==="id"&&Number.isInteger(Number(r)))i.id=Number(r);else throw new Error(`Invalid target, expected id:number or topic:string, got ${e}:${r}`);return i}function Mr(t,e){return(0,go.fromMiliseconds)((e||Date.now())+(0,go.toMiliseconds)(t))}function xs(t){return Date.now()>=(0,go.toMiliseconds)(t)}function Ze(t,e){return`${t}${e?`:${e}`:""}`}function mf(t=[],e=[]){return[...new Set([...t,...e])]}async function S_({id:t,topic:e,wcDeepLink:r}){var i;try{if(!r)return;let n=typeof r=="string"?JSON.parse(r):r,s=n?.href;if(typeof s!="string")return;let a=G$(s,t,e),u=gf();if(u===Fi.browser){if(!((i=(0,mo.getDocument)())!=null&&i.hasFocus())){console.warn("Document does not have focus, skipping deeplink.");return}a.startsWith("https://")||a.startsWith("http://")?window.open(a,"_blank","noreferrer noopener"):window.open(a,J$()?"_blank":"_self","noreferrer noopener")}else u===Fi.reactNative&&typeof globalThis?.Linking<"u"&&await globalThis.Linking.openURL(a)}catch(n){console.error(n)}}function G$(t,e,r){let i=`requestId=${e}&sessionTopic=${r}`;t.endsWith("/")&&(t=t.slice(0,-1));let n=`${t}`;if(t.startsWith("https://t.me")){let s=t.includes("?")?"&startapp=":"?startapp=";n=`${n}${s}${Y$(i,!0)}`}else n=`${n}/wc?${i}`;return n}async function I_(t,e){let r="";try{if(Cu()&&(r=localStorage.getItem(e),r))return r;r=await t.getItem(e)}catch(i){console.error(i)}return r}function Ev(t,e){if(!t.includes(e))return null;let r=t.split(/([&,?,=])/),i=r.indexOf(e);return r[i+2]}function Av(){return typeof crypto<"u"&&crypto!=null&&crypto.randomUUID?crypto.randomUUID():"xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/gu,t=>{let e=Math.random()*16|0;return(t==="x"?e:e&3|8).toString(16)})}function vf(){return typeof process<"u"&&process.env.IS_VITEST==="true"}function J$(){return typeof window<"u"&&(!!window.TelegramWebviewProxy||!!window.Telegram||!!window.TelegramWebviewProxyProto)}function Y$(t,e=!1){let r=Buffer.from(t).toString("base64");return e?r.replace(/[=]/g,""):r}function M_(t){return Buffer.from(t,"base64").toString("utf-8")}var C_=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{};function Q$(t){var e=t.default;if(typeof e=="function"){var r=function(){return e.apply(this,arguments)};r.prototype=e.prototype}else r={};return Object.defineProperty(r,"__esModule",{value:!0}),Object.keys(t).forEach(function(i){var n=Object.getOwnPropertyDescriptor(t,i);Object.defineProperty(r,i,n.get?n:{enumerable:!0,get:function(){return t[i]}})}),r}var D_={exports:{}};(function(t){(function(){var e="input is invalid type",r="finalize already called",i=typeof window=="object",n=i?window:{};n.JS_SHA3_NO_WINDOW&&(i=!1);var s=!i&&typeof self=="object",a=!n.JS_SHA3_NO_NODE_JS&&typeof process=="object"&&process.versions&&process.versions.node;a?n=C_:s&&(n=self);var u=!n.JS_SHA3_NO_COMMON_JS&&!0&&t.exports,h=!n.JS_SHA3_NO_ARRAY_BUFFER&&typeof ArrayBuffer<"u",f="0123456789abcdef".split(""),v=[31,7936,2031616,520093696],w=[4,1024,262144,67108864],I=[1,256,65536,16777216],M=[6,1536,393216,100663296],P=[0,8,16,24],T=[1,0,32898,0,32906,2147483648,2147516416,2147483648,32907,0,2147483649,0,2147516545,2147483648,32777,2147483648,138,0,136,0,2147516425,0,2147483658,0,2147516555,0,139,2147483648,32905,2147483648,32771,2147483648,32770,2147483648,128,2147483648,32778,0,2147483658,2147483648,2147516545,2147483648,32896,2147483648,2147483649,0,2147516424,2147483648],U=[224,256,384,512],F=[128,256],V=["hex","buffer","arrayBuffer","array","digest"],z={128:168,256:136};(n.JS_SHA3_NO_NODE_JS||!Array.isArray)&&(Array.isArray=function(D){return Object.prototype.toString.call(D)==="[object Array]"}),h&&(n.JS_SHA3_NO_ARRAY_BUFFER_IS_VIEW||!ArrayBuffer.isView)&&(ArrayBuffer.isView=function(D){return typeof D=="object"&&D.buffer&&D.buffer.constructor===ArrayBuffer});for(var j=function(D,W,G){return function(J){return new R(D,W,D).update(J)[G]()}},H=function(D,W,G){return function(J,ie){return new R(D,W,ie).update(J)[G]()}},ee=function(D,W,G){return function(J,ie,ce,se){return g["cshake"+D].update(J,ie,ce,se)[G]()}},$=function(D,W,G){return function(J,ie,ce,se){return g["kmac"+D].update(J,ie,ce,se)[G]()}},q=function(D,W,G,J){for(var ie=0;ie<V.length;++ie){var ce=V[ie];D[ce]=W(G,J,ce)}return D},X=function(D,W){var G=j(D,W,"hex");return G.create=function(){return new R(D,W,D)},G.update=function(J){return G.create().update(J)},q(G,j,D,W)},N=function(D,W){var G=H(D,W,"hex");return G.create=function(J){return new R(D,W,J)},G.update=function(J,ie){return G.create(ie).update(J)},q(G,H,D,W)},d=function(D,W){var G=z[D],J=ee(D,W,"hex");return J.create=function(ie,ce,se){return!ce&&!se?g["shake"+D].create(ie):new R(D,W,ie).bytepad([ce,se],G)},J.update=function(ie,ce,se,ae){return J.create(ce,se,ae).update(ie)},q(J,ee,D,W)},y=function(D,W){var G=z[D],J=$(D,W,"hex");return J.create=function(ie,ce,se){return new Z(D,W,ce).bytepad(["KMAC",se],G).bytepad([ie],G)},J.update=function(ie,ce,se,ae){return J.create(ie,se,ae).update(ce)},q(J,$,D,W)},l=[{name:"keccak",padding:I,bits:U,createMethod:X},{name:"sha3",padding:M,bits:U,createMethod:X},{name:"shake",padding:v,bits:F,createMethod:N},{name:"cshake",padding:w,bits:F,createMethod:d},{name:"kmac",padding:w,bits:F,createMethod:y}],g={},b=[],A=0;A<l.length;++A)for(var C=l[A],S=C.bits,m=0;m<S.length;++m){var E=C.name+"_"+S[m];if(b.push(E),g[E]=C.createMethod(S[m],C.padding),C.name!=="sha3"){var _=C.name+S[m];b.push(_),g[_]=g[E]}}function R(D,W,G){this.blocks=[],this.s=[],this.padding=W,this.outputBits=G,this.reset=!0,this.finalized=!1,this.block=0,this.start=0,this.blockCount=1600-(D<<1)>>5,this.byteCount=this.blockCount<<2,this.outputBlocks=G>>5,this.extraBytes=(G&31)>>3;for(var J=0;J<50;++J)this.s[J]=0}R.prototype.update=function(D){if(this.finalized)throw new Error(r);var W,G=typeof D;if(G!=="string"){if(G==="object"){if(D===null)throw new Error(e);if(h&&D.constructor===ArrayBuffer)D=new Uint8Array(D);else if(!Array.isArray(D)&&(!h||!ArrayBuffer.isView(D)))throw new Error(e)}else throw new Error(e);W=!0}for(var J=this.blocks,ie=this.byteCount,ce=D.length,se=this.blockCount,ae=0,pe=this.s,ne,de;ae<ce;){if(this.reset)for(this.reset=!1,J[0]=this.block,ne=1;ne<se+1;++ne)J[ne]=0;if(W)for(ne=this.start;ae<ce&&ne<ie;++ae)J[ne>>2]|=D[ae]<<P[ne++&3];else for(ne=this.start;ae<ce&&ne<ie;++ae)de=D.charCodeAt(ae),de<128?J[ne>>2]|=de<<P[ne++&3]:de<2048?(J[ne>>2]|=(192|de>>6)<<P[ne++&3],J[ne>>2]|=(128|de&63)<<P[ne++&3]):de<55296||de>=57344?(J[ne>>2]|=(224|de>>12)<<P[ne++&3],J[ne>>2]|=(128|de>>6&63)<<P[ne++&3],J[ne>>2]|=(128|de&63)<<P[ne++&3]):(de=65536+((de&1023)<<10|D.charCodeAt(++ae)&1023),J[ne>>2]|=(240|de>>18)<<P[ne++&3],J[ne>>2]|=(128|de>>12&63)<<P[ne++&3],J[ne>>2]|=(128|de>>6&63)<<P[ne++&3],J[ne>>2]|=(128|de&63)<<P[ne++&3]);if(this.lastByteIndex=ne,ne>=ie){for(this.start=ne-ie,this.block=J[se],ne=0;ne<se;++ne)pe[ne]^=J[ne];te(pe),this.reset=!0}else this.start=ne}return this},R.prototype.encode=function(D,W){var G=D&255,J=1,ie=[G];for(D=D>>8,G=D&255;G>0;)ie.unshift(G),D=D>>8,G=D&255,++J;return W?ie.push(J):ie.unshift(J),this.update(ie),ie.length},R.prototype.encodeString=function(D){var W,G=typeof D;if(G!=="string"){if(G==="object"){if(D===null)throw new Error(e);if(h&&D.constructor===ArrayBuffer)D=new Uint8Array(D);else if(!Array.isArray(D)&&(!h||!ArrayBuffer.isView(D)))throw new Error(e)}else throw new Error(e);W=!0}var J=0,ie=D.length;if(W)J=ie;else for(var ce=0;ce<D.length;++ce){var se=D.charCodeAt(ce);se<128?J+=1:se<2048?J+=2:se<55296||se>=57344?J+=3:(se=65536+((se&1023)<<10|D.charCodeAt(++ce)&1023),J+=4)}return J+=this.encode(J*8),this.update(D),J},R.prototype.bytepad=function(D,W){for(var G=this.encode(W),J=0;J<D.length;++J)G+=this.encodeString(D[J]);var ie=W-G%W,ce=[];return ce.length=ie,this.update(ce),this},R.prototype.finalize=function(){if(!this.finalized){this.finalized=!0;var D=this.blocks,W=this.lastByteIndex,G=this.blockCount,J=this.s;if(D[W>>2]|=this.padding[W&3],this.lastByteIndex===this.byteCount)for(D[0]=D[G],W=1;W<G+1;++W)D[W]=0;for(D[G-1]|=2147483648,W=0;W<G;++W)J[W]^=D[W];te(J)}},R.prototype.toString=R.prototype.hex=function(){this.finalize();for(var D=this.blockCount,W=this.s,G=this.outputBlocks,J=this.extraBytes,ie=0,ce=0,se="",ae;ce<G;){for(ie=0;ie<D&&ce<G;++ie,++ce)ae=W[ie],se+=f[ae>>4&15]+f[ae&15]+f[ae>>12&15]+f[ae>>8&15]+f[ae>>20&15]+f[ae>>16&15]+f[ae>>28&15]+f[ae>>24&15];ce%D===0&&(te(W),ie=0)}return J&&(ae=W[ie],se+=f[ae>>4&15]+f[ae&15],J>1&&(se+=f[ae>>12&15]+f[ae>>8&15]),J>2&&(se+=f[ae>>20&15]+f[ae>>16&15])),se},R.prototype.arrayBuffer=function(){this.finalize();var D=this.blockCount,W=this.s,G=this.outputBlocks,J=this.extraBytes,ie=0,ce=0,se=this.outputBits>>3,ae;J?ae=new ArrayBuffer(G+1<<2):ae=new ArrayBuffer(se);for(var pe=new Uint32Array(ae);ce<G;){for(ie=0;ie<D&&ce<G;++ie,++ce)pe[ce]=W[ie];ce%D===0&&te(W)}return J&&(pe[ie]=W[ie],ae=ae.slice(0,se)),ae},R.prototype.buffer=R.prototype.arrayBuffer,R.prototype.digest=R.prototype.array=function(){this.finalize();for(var D=this.blockCount,W=this.s,G=this.outputBlocks,J=this.extraBytes,ie=0,ce=0,se=[],ae,pe;ce<G;){for(ie=0;ie<D&&ce<G;++ie,++ce)ae=ce<<2,pe=W[ie],se[ae]=pe&255,se[ae+1]=pe>>8&255,se[ae+2]=pe>>16&255,se[ae+3]=pe>>24&255;ce%D===0&&te(W)}return J&&(ae=ce<<2,pe=W[ie],se[ae]=pe&255,J>1&&(se[ae+1]=pe>>8&255),J>2&&(se[ae+2]=pe>>16&255)),se};function Z(D,W,G){R.call(this,D,W,G)}Z.prototype=new R,Z.prototype.finalize=function(){return this.encode(this.outputBits,!0),R.prototype.finalize.call(this)};var te=function(D){var W,G,J,ie,ce,se,ae,pe,ne,de,Ct,Ee,At,Dt,Se,Ye,lt,Ie,Pt,ft,Ue,ht,ot,De,gt,mt,Pe,vt,bt,Oe,yt,wt,Fe,Ot,Rt,Le,St,Tt,qe,Nt,Lt,Be,Bt,Ut,$e,_t,Ft,Re,qt,$t,ke,kt,jt,je,zt,It,xt,Ai,Si,Ii,Mi,Ci,Di;for(J=0;J<48;J+=2)ie=D[0]^D[10]^D[20]^D[30]^D[40],ce=D[1]^D[11]^D[21]^D[31]^D[41],se=D[2]^D[12]^D[22]^D[32]^D[42],ae=D[3]^D[13]^D[23]^D[33]^D[43],pe=D[4]^D[14]^D[24]^D[34]^D[44],ne=D[5]^D[15]^D[25]^D[35]^D[45],de=D[6]^D[16]^D[26]^D[36]^D[46],Ct=D[7]^D[17]^D[27]^D[37]^D[47],Ee=D[8]^D[18]^D[28]^D[38]^D[48],At=D[9]^D[19]^D[29]^D[39]^D[49],W=Ee^(se<<1|ae>>>31),G=At^(ae<<1|se>>>31),D[0]^=W,D[1]^=G,D[10]^=W,D[11]^=G,D[20]^=W,D[21]^=G,D[30]^=W,D[31]^=G,D[40]^=W,D[41]^=G,W=ie^(pe<<1|ne>>>31),G=ce^(ne<<1|pe>>>31),D[2]^=W,D[3]^=G,D[12]^=W,D[13]^=G,D[22]^=W,D[23]^=G,D[32]^=W,D[33]^=G,D[42]^=W,D[43]^=G,W=se^(de<<1|Ct>>>31),G=ae^(Ct<<1|de>>>31),D[4]^=W,D[5]^=G,D[14]^=W,D[15]^=G,D[24]^=W,D[25]^=G,D[34]^=W,D[35]^=G,D[44]^=W,D[45]^=G,W=pe^(Ee<<1|At>>>31),G=ne^(At<<1|Ee>>>31),D[6]^=W,D[7]^=G,D[16]^=W,D[17]^=G,D[26]^=W,D[27]^=G,D[36]^=W,D[37]^=G,D[46]^=W,D[47]^=G,W=de^(ie<<1|ce>>>31),G=Ct^(ce<<1|ie>>>31),D[8]^=W,D[9]^=G,D[18]^=W,D[19]^=G,D[28]^=W,D[29]^=G,D[38]^=W,D[39]^=G,D[48]^=W,D[49]^=G,Dt=D[0],Se=D[1],_t=D[11]<<4|D[10]>>>28,Ft=D[10]<<4|D[11]>>>28,vt=D[20]<<3|D[21]>>>29,bt=D[21]<<3|D[20]>>>29,Ii=D[31]<<9|D[30]>>>23,Mi=D[30]<<9|D[31]>>>23,Be=D[40]<<18|D[41]>>>14,Bt=D[41]<<18|D[40]>>>14,Ot=D[2]<<1|D[3]>>>31,Rt=D[3]<<1|D[2]>>>31,Ye=D[13]<<12|D[12]>>>20,lt=D[12]<<12|D[13]>>>20,Re=D[22]<<10|D[23]>>>22,qt=D[23]<<10|D[22]>>>22,Oe=D[33]<<13|D[32]>>>19,yt=D[32]<<13|D[33]>>>19,Ci=D[42]<<2|D[43]>>>30,Di=D[43]<<2|D[42]>>>30,je=D[5]<<30|D[4]>>>2,zt=D[4]<<30|D[5]>>>2,Le=D[14]<<6|D[15]>>>26,St=D[15]<<6|D[14]>>>26,Ie=D[25]<<11|D[24]>>>21,Pt=D[24]<<11|D[25]>>>21,$t=D[34]<<15|D[35]>>>17,ke=D[35]<<15|D[34]>>>17,wt=D[45]<<29|D[44]>>>3,Fe=D[44]<<29|D[45]>>>3,De=D[6]<<28|D[7]>>>4,gt=D[7]<<28|D[6]>>>4,It=D[17]<<23|D[16]>>>9,xt=D[16]<<23|D[17]>>>9,Tt=D[26]<<25|D[27]>>>7,qe=D[27]<<25|D[26]>>>7,ft=D[36]<<21|D[37]>>>11,Ue=D[37]<<21|D[36]>>>11,kt=D[47]<<24|D[46]>>>8,jt=D[46]<<24|D[47]>>>8,Ut=D[8]<<27|D[9]>>>5,$e=D[9]<<27|D[8]>>>5,mt=D[18]<<20|D[19]>>>12,Pe=D[19]<<20|D[18]>>>12,Ai=D[29]<<7|D[28]>>>25,Si=D[28]<<7|D[29]>>>25,Nt=D[38]<<8|D[39]>>>24,Lt=D[39]<<8|D[38]>>>24,ht=D[48]<<14|D[49]>>>18,ot=D[49]<<14|D[48]>>>18,D[0]=Dt^~Ye&Ie,D[1]=Se^~lt&Pt,D[10]=De^~mt&vt,D[11]=gt^~Pe&bt,D[20]=Ot^~Le&Tt,D[21]=Rt^~St&qe,D[30]=Ut^~_t&Re,D[31]=$e^~Ft&qt,D[40]=je^~It&Ai,D[41]=zt^~xt&Si,D[2]=Ye^~Ie&ft,D[3]=lt^~Pt&Ue,D[12]=mt^~vt&Oe,D[13]=Pe^~bt&yt,D[22]=Le^~Tt&Nt,D[23]=St^~qe&Lt,D[32]=_t^~Re&$t,D[33]=Ft^~qt&ke,D[42]=It^~Ai&Ii,D[43]=xt^~Si&Mi,D[4]=Ie^~ft&ht,D[5]=Pt^~Ue&ot,D[14]=vt^~Oe&wt,D[15]=bt^~yt&Fe,D[24]=Tt^~Nt&Be,D[25]=qe^~Lt&Bt,D[34]=Re^~$t&kt,D[35]=qt^~ke&jt,D[44]=Ai^~Ii&Ci,D[45]=Si^~Mi&Di,D[6]=ft^~ht&Dt,D[7]=Ue^~ot&Se,D[16]=Oe^~wt&De,D[17]=yt^~Fe&gt,D[26]=Nt^~Be&Ot,D[27]=Lt^~Bt&Rt,D[36]=$t^~kt&Ut,D[37]=ke^~jt&$e,D[46]=Ii^~Ci&je,D[47]=Mi^~Di&zt,D[8]=ht^~Dt&Ye,D[9]=ot^~Se&lt,D[18]=wt^~De&mt,D[19]=Fe^~gt&Pe,D[28]=Be^~Ot&Le,D[29]=Bt^~Rt&St,D[38]=kt^~Ut&_t,D[39]=jt^~$e&Ft,D[48]=Ci^~je&It,D[49]=Di^~zt&xt,D[0]^=T[J],D[1]^=T[J+1]};if(u)t.exports=g;else for(A=0;A<b.length;++A)n[b[A]]=g[b[A]]})()})(D_);var X$=D_.exports,Z$="logger/5.7.0",k7=!1,j7=!1,c0={debug:1,default:2,info:2,warning:3,error:4,off:5},z7=c0.default,Qm=null;function ek(){try{let t=[];if(["NFD","NFC","NFKD","NFKC"].forEach(e=>{try{if("test".normalize(e)!=="test")throw new Error("bad normalize")}catch{t.push(e)}}),t.length)throw new Error("missing "+t.join(", "));if("\xE9".normalize("NFD")!=="e\u0301")throw new Error("broken implementation")}catch(t){return t.message}return null}var H7=ek(),hv;(function(t){t.DEBUG="DEBUG",t.INFO="INFO",t.WARNING="WARNING",t.ERROR="ERROR",t.OFF="OFF"})(hv||(hv={}));var Un;(function(t){t.UNKNOWN_ERROR="UNKNOWN_ERROR",t.NOT_IMPLEMENTED="NOT_IMPLEMENTED",t.UNSUPPORTED_OPERATION="UNSUPPORTED_OPERATION",t.NETWORK_ERROR="NETWORK_ERROR",t.SERVER_ERROR="SERVER_ERROR",t.TIMEOUT="TIMEOUT",t.BUFFER_OVERRUN="BUFFER_OVERRUN",t.NUMERIC_FAULT="NUMERIC_FAULT",t.MISSING_NEW="MISSING_NEW",t.INVALID_ARGUMENT="INVALID_ARGUMENT",t.MISSING_ARGUMENT="MISSING_ARGUMENT",t.UNEXPECTED_ARGUMENT="UNEXPECTED_ARGUMENT",t.CALL_EXCEPTION="CALL_EXCEPTION",t.INSUFFICIENT_FUNDS="INSUFFICIENT_FUNDS",t.NONCE_EXPIRED="NONCE_EXPIRED",t.REPLACEMENT_UNDERPRICED="REPLACEMENT_UNDERPRICED",t.UNPREDICTABLE_GAS_LIMIT="UNPREDICTABLE_GAS_LIMIT",t.TRANSACTION_REPLACED="TRANSACTION_REPLACED",t.ACTION_REJECTED="ACTION_REJECTED"})(Un||(Un={}));var K7="0123456789abcdef",ur=class t{constructor(e){Object.defineProperty(this,"version",{enumerable:!0,value:e,writable:!1})}_log(e,r){let i=e.toLowerCase();c0[i]==null&&this.throwArgumentError("invalid log level name","logLevel",e),!(z7>c0[i])&&console.log.apply(console,r)}debug(...e){this._log(t.levels.DEBUG,e)}info(...e){this._log(t.levels.INFO,e)}warn(...e){this._log(t.levels.WARNING,e)}makeError(e,r,i){if(j7)return this.makeError("censored error",r,{});r||(r=t.errors.UNKNOWN_ERROR),i||(i={});let n=[];Object.keys(i).forEach(h=>{let f=i[h];try{if(f instanceof Uint8Array){let v="";for(let w=0;w<f.length;w++)v+=K7[f[w]>>4],v+=K7[f[w]&15];n.push(h+"=Uint8Array(0x"+v+")")}else n.push(h+"="+JSON.stringify(f))}catch{n.push(h+"="+JSON.stringify(i[h].toString()))}}),n.push(`code=${r}`),n.push(`version=${this.version}`);let s=e,a="";switch(r){case Un.NUMERIC_FAULT:{a="NUMERIC_FAULT";let h=e;switch(h){case"overflow":case"underflow":case"division-by-zero":a+="-"+h;break;case"negative-power":case"negative-width":a+="-unsupported";break;case"unbound-bitwise-result":a+="-unbound-result";break}break}case Un.CALL_EXCEPTION:case Un.INSUFFICIENT_FUNDS:case Un.MISSING_NEW:case Un.NONCE_EXPIRED:case Un.REPLACEMENT_UNDERPRICED:case Un.TRANSACTION_REPLACED:case Un.UNPREDICTABLE_GAS_LIMIT:a=r;break}a&&(e+=" [ See: https://links.ethers.org/v5-errors-"+a+" ]"),n.length&&(e+=" ("+n.join(", ")+")");let u=new Error(e);return u.reason=s,u.code=r,Object.keys(i).forEach(function(h){u[h]=i[h]}),u}throwError(e,r,i){throw this.makeError(e,r,i)}throwArgumentError(e,r,i){return this.throwError(e,t.errors.INVALID_ARGUMENT,{argument:r,value:i})}assert(e,r,i,n){e||this.throwError(r,i,n)}assertArgument(e,r,i,n){e||this.throwArgumentError(r,i,n)}checkNormalize(e){H7&&this.throwError("platform missing String.prototype.normalize",t.errors.UNSUPPORTED_OPERATION,{operation:"String.prototype.normalize",form:H7})}checkSafeUint53(e,r){typeof e=="number"&&(r==null&&(r="value not safe"),(e<0||e>=9007199254740991)&&this.throwError(r,t.errors.NUMERIC_FAULT,{operation:"checkSafeInteger",fault:"out-of-safe-range",value:e}),e%1&&this.throwError(r,t.errors.NUMERIC_FAULT,{operation:"checkSafeInteger",fault:"non-integer",value:e}))}checkArgumentCount(e,r,i){i?i=": "+i:i="",e<r&&this.throwError("missing argument"+i,t.errors.MISSING_ARGUMENT,{count:e,expectedCount:r}),e>r&&this.throwError("too many arguments"+i,t.errors.UNEXPECTED_ARGUMENT,{count:e,expectedCount:r})}checkNew(e,r){(e===Object||e==null)&&this.throwError("missing new",t.errors.MISSING_NEW,{name:r.name})}checkAbstract(e,r){e===r?this.throwError("cannot instantiate abstract class "+JSON.stringify(r.name)+" directly; use a sub-class",t.errors.UNSUPPORTED_OPERATION,{name:e.name,operation:"new"}):(e===Object||e==null)&&this.throwError("missing new",t.errors.MISSING_NEW,{name:r.name})}static globalLogger(){return Qm||(Qm=new t(Z$)),Qm}static setCensorship(e,r){if(!e&&r&&this.globalLogger().throwError("cannot permanently disable censorship",t.errors.UNSUPPORTED_OPERATION,{operation:"setCensorship"}),k7){if(!e)return;this.globalLogger().throwError("error censorship permanent",t.errors.UNSUPPORTED_OPERATION,{operation:"setCensorship"})}j7=!!e,k7=!!r}static setLogLevel(e){let r=c0[e.toLowerCase()];if(r==null){t.globalLogger().warn("invalid log level - "+e);return}z7=r}static from(e){return new t(e)}};ur.errors=Un,ur.levels=hv;var tk="bytes/5.7.0",Ir=new ur(tk);function P_(t){return!!t.toHexString}function _u(t){return t.slice||(t.slice=function(){let e=Array.prototype.slice.call(arguments);return _u(new Uint8Array(Array.prototype.slice.apply(t,e)))}),t}function rk(t){return Yi(t)&&!(t.length%2)||Du(t)}function V7(t){return typeof t=="number"&&t==t&&t%1===0}function Du(t){if(t==null)return!1;if(t.constructor===Uint8Array)return!0;if(typeof t=="string"||!V7(t.length)||t.length<0)return!1;for(let e=0;e<t.length;e++){let r=t[e];if(!V7(r)||r<0||r>=256)return!1}return!0}function wr(t,e){if(e||(e={}),typeof t=="number"){Ir.checkSafeUint53(t,"invalid arrayify value");let r=[];for(;t;)r.unshift(t&255),t=parseInt(String(t/256));return r.length===0&&r.push(0),_u(new Uint8Array(r))}if(e.allowMissingPrefix&&typeof t=="string"&&t.substring(0,2)!=="0x"&&(t="0x"+t),P_(t)&&(t=t.toHexString()),Yi(t)){let r=t.substring(2);r.length%2&&(e.hexPad==="left"?r="0"+r:e.hexPad==="right"?r+="0":Ir.throwArgumentError("hex data is odd-length","value",t));let i=[];for(let n=0;n<r.length;n+=2)i.push(parseInt(r.substring(n,n+2),16));return _u(new Uint8Array(i))}return Du(t)?_u(new Uint8Array(t)):Ir.throwArgumentError("invalid arrayify value","value",t)}function ik(t){let e=t.map(n=>wr(n)),r=e.reduce((n,s)=>n+s.length,0),i=new Uint8Array(r);return e.reduce((n,s)=>(i.set(s,n),n+s.length),0),_u(i)}function nk(t,e){t=wr(t),t.length>e&&Ir.throwArgumentError("value out of range","value",arguments[0]);let r=new Uint8Array(e);return r.set(t,e-t.length),_u(r)}function Yi(t,e){return!(typeof t!="string"||!t.match(/^0x[0-9A-Fa-f]*$/)||e&&t.length!==2+2*e)}var Xm="0123456789abcdef";function gi(t,e){if(e||(e={}),typeof t=="number"){Ir.checkSafeUint53(t,"invalid hexlify value");let r="";for(;t;)r=Xm[t&15]+r,t=Math.floor(t/16);return r.length?(r.length%2&&(r="0"+r),"0x"+r):"0x00"}if(typeof t=="bigint")return t=t.toString(16),t.length%2?"0x0"+t:"0x"+t;if(e.allowMissingPrefix&&typeof t=="string"&&t.substring(0,2)!=="0x"&&(t="0x"+t),P_(t))return t.toHexString();if(Yi(t))return t.length%2&&(e.hexPad==="left"?t="0x0"+t.substring(2):e.hexPad==="right"?t+="0":Ir.throwArgumentError("hex data is odd-length","value",t)),t.toLowerCase();if(Du(t)){let r="0x";for(let i=0;i<t.length;i++){let n=t[i];r+=Xm[(n&240)>>4]+Xm[n&15]}return r}return Ir.throwArgumentError("invalid hexlify value","value",t)}function sk(t){if(typeof t!="string")t=gi(t);else if(!Yi(t)||t.length%2)return null;return(t.length-2)/2}function W7(t,e,r){return typeof t!="string"?t=gi(t):(!Yi(t)||t.length%2)&&Ir.throwArgumentError("invalid hexData","value",t),e=2+2*e,r!=null?"0x"+t.substring(e,2+2*r):"0x"+t.substring(e)}function bs(t,e){for(typeof t!="string"?t=gi(t):Yi(t)||Ir.throwArgumentError("invalid hex string","value",t),t.length>2*e+2&&Ir.throwArgumentError("value out of range","value",arguments[1]);t.length<2*e+2;)t="0x0"+t.substring(2);return t}function O_(t){let e={r:"0x",s:"0x",_vs:"0x",recoveryParam:0,v:0,yParityAndS:"0x",compact:"0x"};if(rk(t)){let r=wr(t);r.length===64?(e.v=27+(r[32]>>7),r[32]&=127,e.r=gi(r.slice(0,32)),e.s=gi(r.slice(32,64))):r.length===65?(e.r=gi(r.slice(0,32)),e.s=gi(r.slice(32,64)),e.v=r[64]):Ir.throwArgumentError("invalid signature string","signature",t),e.v<27&&(e.v===0||e.v===1?e.v+=27:Ir.throwArgumentError("signature invalid v byte","signature",t)),e.recoveryParam=1-e.v%2,e.recoveryParam&&(r[32]|=128),e._vs=gi(r.slice(32,64))}else{if(e.r=t.r,e.s=t.s,e.v=t.v,e.recoveryParam=t.recoveryParam,e._vs=t._vs,e._vs!=null){let n=nk(wr(e._vs),32);e._vs=gi(n);let s=n[0]>=128?1:0;e.recoveryParam==null?e.recoveryParam=s:e.recoveryParam!==s&&Ir.throwArgumentError("signature recoveryParam mismatch _vs","signature",t),n[0]&=127;let a=gi(n);e.s==null?e.s=a:e.s!==a&&Ir.throwArgumentError("signature v mismatch _vs","signature",t)}if(e.recoveryParam==null)e.v==null?Ir.throwArgumentError("signature missing v and recoveryParam","signature",t):e.v===0||e.v===1?e.recoveryParam=e.v:e.recoveryParam=1-e.v%2;else if(e.v==null)e.v=27+e.recoveryParam;else{let n=e.v===0||e.v===1?e.v:1-e.v%2;e.recoveryParam!==n&&Ir.throwArgumentError("signature recoveryParam mismatch v","signature",t)}e.r==null||!Yi(e.r)?Ir.throwArgumentError("signature missing or invalid r","signature",t):e.r=bs(e.r,32),e.s==null||!Yi(e.s)?Ir.throwArgumentError("signature missing or invalid s","signature",t):e.s=bs(e.s,32);let r=wr(e.s);r[0]>=128&&Ir.throwArgumentError("signature s out of range","signature",t),e.recoveryParam&&(r[0]|=128);let i=gi(r);e._vs&&(Yi(e._vs)||Ir.throwArgumentError("signature invalid _vs","signature",t),e._vs=bs(e._vs,32)),e._vs==null?e._vs=i:e._vs!==i&&Ir.throwArgumentError("signature _vs mismatch v and s","signature",t)}return e.yParityAndS=e._vs,e.compact=e.r+e.yParityAndS.substring(2),e}function Sv(t){return"0x"+X$.keccak_256(wr(t))}var R_={exports:{}},ok={},ak=Object.freeze({__proto__:null,default:ok}),ck=Q$(ak);(function(t){(function(e,r){function i(l,g){if(!l)throw new Error(g||"Assertion failed")}function n(l,g){l.super_=g;var b=function(){};b.prototype=g.prototype,l.prototype=new b,l.prototype.constructor=l}function s(l,g,b){if(s.isBN(l))return l;this.negative=0,this.words=null,this.length=0,this.red=null,l!==null&&((g==="le"||g==="be")&&(b=g,g=10),this._init(l||0,g||10,b||"be"))}typeof e=="object"?e.exports=s:r.BN=s,s.BN=s,s.wordSize=26;var a;try{typeof window<"u"&&typeof window.Buffer<"u"?a=window.Buffer:a=ck.Buffer}catch{}s.isBN=function(l){return l instanceof s?!0:l!==null&&typeof l=="object"&&l.constructor.wordSize===s.wordSize&&Array.isArray(l.words)},s.max=function(l,g){return l.cmp(g)>0?l:g},s.min=function(l,g){return l.cmp(g)<0?l:g},s.prototype._init=function(l,g,b){if(typeof l=="number")return this._initNumber(l,g,b);if(typeof l=="object")return this._initArray(l,g,b);g==="hex"&&(g=16),i(g===(g|0)&&g>=2&&g<=36),l=l.toString().replace(/\s+/g,"");var A=0;l[0]==="-"&&(A++,this.negative=1),A<l.length&&(g===16?this._parseHex(l,A,b):(this._parseBase(l,g,A),b==="le"&&this._initArray(this.toArray(),g,b)))},s.prototype._initNumber=function(l,g,b){l<0&&(this.negative=1,l=-l),l<67108864?(this.words=[l&67108863],this.length=1):l<4503599627370496?(this.words=[l&67108863,l/67108864&67108863],this.length=2):(i(l<9007199254740992),this.words=[l&67108863,l/67108864&67108863,1],this.length=3),b==="le"&&this._initArray(this.toArray(),g,b)},s.prototype._initArray=function(l,g,b){if(i(typeof l.length=="number"),l.length<=0)return this.words=[0],this.length=1,this;this.length=Math.ceil(l.length/3),this.words=new Array(this.length);for(var A=0;A<this.length;A++)this.words[A]=0;var C,S,m=0;if(b==="be")for(A=l.length-1,C=0;A>=0;A-=3)S=l[A]|l[A-1]<<8|l[A-2]<<16,this.words[C]|=S<<m&67108863,this.words[C+1]=S>>>26-m&67108863,m+=24,m>=26&&(m-=26,C++);else if(b==="le")for(A=0,C=0;A<l.length;A+=3)S=l[A]|l[A+1]<<8|l[A+2]<<16,this.words[C]|=S<<m&67108863,this.words[C+1]=S>>>26-m&67108863,m+=24,m>=26&&(m-=26,C++);return this._strip()};function u(l,g){var b=l.charCodeAt(g);if(b>=48&&b<=57)return b-48;if(b>=65&&b<=70)return b-55;if(b>=97&&b<=102)return b-87;i(!1,"Invalid character in "+l)}function h(l,g,b){var A=u(l,b);return b-1>=g&&(A|=u(l,b-1)<<4),A}s.prototype._parseHex=function(l,g,b){this.length=Math.ceil((l.length-g)/6),this.words=new Array(this.length);for(var A=0;A<this.length;A++)this.words[A]=0;var C=0,S=0,m;if(b==="be")for(A=l.length-1;A>=g;A-=2)m=h(l,g,A)<<C,this.words[S]|=m&67108863,C>=18?(C-=18,S+=1,this.words[S]|=m>>>26):C+=8;else{var E=l.length-g;for(A=E%2===0?g+1:g;A<l.length;A+=2)m=h(l,g,A)<<C,this.words[S]|=m&67108863,C>=18?(C-=18,S+=1,this.words[S]|=m>>>26):C+=8}this._strip()};function f(l,g,b,A){for(var C=0,S=0,m=Math.min(l.length,b),E=g;E<m;E++){var _=l.charCodeAt(E)-48;C*=A,_>=49?S=_-49+10:_>=17?S=_-17+10:S=_,i(_>=0&&S<A,"Invalid character"),C+=S}return C}s.prototype._parseBase=function(l,g,b){this.words=[0],this.length=1;for(var A=0,C=1;C<=67108863;C*=g)A++;A--,C=C/g|0;for(var S=l.length-b,m=S%A,E=Math.min(S,S-m)+b,_=0,R=b;R<E;R+=A)_=f(l,R,R+A,g),this.imuln(C),this.words[0]+_<67108864?this.words[0]+=_:this._iaddn(_);if(m!==0){var Z=1;for(_=f(l,R,l.length,g),R=0;R<m;R++)Z*=g;this.imuln(Z),this.words[0]+_<67108864?this.words[0]+=_:this._iaddn(_)}this._strip()},s.prototype.copy=function(l){l.words=new Array(this.length);for(var g=0;g<this.length;g++)l.words[g]=this.words[g];l.length=this.length,l.negative=this.negative,l.red=this.red};function v(l,g){l.words=g.words,l.length=g.length,l.negative=g.negative,l.red=g.red}if(s.prototype._move=function(l){v(l,this)},s.prototype.clone=function(){var l=new s(null);return this.copy(l),l},s.prototype._expand=function(l){for(;this.length<l;)this.words[this.length++]=0;return this},s.prototype._strip=function(){for(;this.length>1&&this.words[this.length-1]===0;)this.length--;return this._normSign()},s.prototype._normSign=function(){return this.length===1&&this.words[0]===0&&(this.negative=0),this},typeof Symbol<"u"&&typeof Symbol.for=="function")try{s.prototype[Symbol.for("nodejs.util.inspect.custom")]=w}catch{s.prototype.inspect=w}else s.prototype.inspect=w;function w(){return(this.red?"<BN-R: ":"<BN: ")+this.toString(16)+">"}var I=["","0","00","000","0000","00000","000000","0000000","00000000","000000000","0000000000","00000000000","000000000000","0000000000000","00000000000000","000000000000000","0000000000000000","00000000000000000","000000000000000000","0000000000000000000","00000000000000000000","000000000000000000000","0000000000000000000000","00000000000000000000000","000000000000000000000000","0000000000000000000000000"],M=[0,0,25,16,12,11,10,9,8,8,7,7,7,7,6,6,6,6,6,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5],P=[0,0,33554432,43046721,16777216,48828125,60466176,40353607,16777216,43046721,1e7,19487171,35831808,62748517,7529536,11390625,16777216,24137569,34012224,47045881,64e6,4084101,5153632,6436343,7962624,9765625,11881376,14348907,17210368,20511149,243e5,28629151,33554432,39135393,45435424,52521875,60466176];s.prototype.toString=function(l,g){l=l||10,g=g|0||1;var b;if(l===16||l==="hex"){b="";for(var A=0,C=0,S=0;S<this.length;S++){var m=this.words[S],E=((m<<A|C)&16777215).toString(16);C=m>>>24-A&16777215,A+=2,A>=26&&(A-=26,S--),C!==0||S!==this.length-1?b=I[6-E.length]+E+b:b=E+b}for(C!==0&&(b=C.toString(16)+b);b.length%g!==0;)b="0"+b;return this.negative!==0&&(b="-"+b),b}if(l===(l|0)&&l>=2&&l<=36){var _=M[l],R=P[l];b="";var Z=this.clone();for(Z.negative=0;!Z.isZero();){var te=Z.modrn(R).toString(l);Z=Z.idivn(R),Z.isZero()?b=te+b:b=I[_-te.length]+te+b}for(this.isZero()&&(b="0"+b);b.length%g!==0;)b="0"+b;return this.negative!==0&&(b="-"+b),b}i(!1,"Base should be between 2 and 36")},s.prototype.toNumber=function(){var l=this.words[0];return this.length===2?l+=this.words[1]*67108864:this.length===3&&this.words[2]===1?l+=4503599627370496+this.words[1]*67108864:this.length>2&&i(!1,"Number can only safely store up to 53 bits"),this.negative!==0?-l:l},s.prototype.toJSON=function(){return this.toString(16,2)},a&&(s.prototype.toBuffer=function(l,g){return this.toArrayLike(a,l,g)}),s.prototype.toArray=function(l,g){return this.toArrayLike(Array,l,g)};var T=function(l,g){return l.allocUnsafe?l.allocUnsafe(g):new l(g)};s.prototype.toArrayLike=function(l,g,b){this._strip();var A=this.byteLength(),C=b||Math.max(1,A);i(A<=C,"byte array longer than desired length"),i(C>0,"Requested array length <= 0");var S=T(l,C),m=g==="le"?"LE":"BE";return this["_toArrayLike"+m](S,A),S},s.prototype._toArrayLikeLE=function(l,g){for(var b=0,A=0,C=0,S=0;C<this.length;C++){var m=this.words[C]<<S|A;l[b++]=m&255,b<l.length&&(l[b++]=m>>8&255),b<l.length&&(l[b++]=m>>16&255),S===6?(b<l.length&&(l[b++]=m>>24&255),A=0,S=0):(A=m>>>24,S+=2)}if(b<l.length)for(l[b++]=A;b<l.length;)l[b++]=0},s.prototype._toArrayLikeBE=function(l,g){for(var b=l.length-1,A=0,C=0,S=0;C<this.length;C++){var m=this.words[C]<<S|A;l[b--]=m&255,b>=0&&(l[b--]=m>>8&255),b>=0&&(l[b--]=m>>16&255),S===6?(b>=0&&(l[b--]=m>>24&255),A=0,S=0):(A=m>>>24,S+=2)}if(b>=0)for(l[b--]=A;b>=0;)l[b--]=0},Math.clz32?s.prototype._countBits=function(l){return 32-Math.clz32(l)}:s.prototype._countBits=function(l){var g=l,b=0;return g>=4096&&(b+=13,g>>>=13),g>=64&&(b+=7,g>>>=7),g>=8&&(b+=4,g>>>=4),g>=2&&(b+=2,g>>>=2),b+g},s.prototype._zeroBits=function(l){if(l===0)return 26;var g=l,b=0;return g&8191||(b+=13,g>>>=13),g&127||(b+=7,g>>>=7),g&15||(b+=4,g>>>=4),g&3||(b+=2,g>>>=2),g&1||b++,b},s.prototype.bitLength=function(){var l=this.words[this.length-1],g=this._countBits(l);return(this.length-1)*26+g};function U(l){for(var g=new Array(l.bitLength()),b=0;b<g.length;b++){var A=b/26|0,C=b%26;g[b]=l.words[A]>>>C&1}return g}s.prototype.zeroBits=function(){if(this.isZero())return 0;for(var l=0,g=0;g<this.length;g++){var b=this._zeroBits(this.words[g]);if(l+=b,b!==26)break}return l},s.prototype.byteLength=function(){return Math.ceil(this.bitLength()/8)},s.prototype.toTwos=function(l){return this.negative!==0?this.abs().inotn(l).iaddn(1):this.clone()},s.prototype.fromTwos=function(l){return this.testn(l-1)?this.notn(l).iaddn(1).ineg():this.clone()},s.prototype.isNeg=function(){return this.negative!==0},s.prototype.neg=function(){return this.clone().ineg()},s.prototype.ineg=function(){return this.isZero()||(this.negative^=1),this},s.prototype.iuor=function(l){for(;this.length<l.length;)this.words[this.length++]=0;for(var g=0;g<l.length;g++)this.words[g]=this.words[g]|l.words[g];return this._strip()},s.prototype.ior=function(l){return i((this.negative|l.negative)===0),this.iuor(l)},s.prototype.or=function(l){return this.length>l.length?this.clone().ior(l):l.clone().ior(this)},s.prototype.uor=function(l){return this.length>l.length?this.clone().iuor(l):l.clone().iuor(this)},s.prototype.iuand=function(l){var g;this.length>l.length?g=l:g=this;for(var b=0;b<g.length;b++)this.words[b]=this.words[b]&l.words[b];return this.length=g.length,this._strip()},s.prototype.iand=function(l){return i((this.negative|l.negative)===0),this.iuand(l)},s.prototype.and=function(l){return this.length>l.length?this.clone().iand(l):l.clone().iand(this)},s.prototype.uand=function(l){return this.length>l.length?this.clone().iuand(l):l.clone().iuand(this)},s.prototype.iuxor=function(l){var g,b;this.length>l.length?(g=this,b=l):(g=l,b=this);for(var A=0;A<b.length;A++)this.words[A]=g.words[A]^b.words[A];if(this!==g)for(;A<g.length;A++)this.words[A]=g.words[A];return this.length=g.length,this._strip()},s.prototype.ixor=function(l){return i((this.negative|l.negative)===0),this.iuxor(l)},s.prototype.xor=function(l){return this.length>l.length?this.clone().ixor(l):l.clone().ixor(this)},s.prototype.uxor=function(l){return this.length>l.length?this.clone().iuxor(l):l.clone().iuxor(this)},s.prototype.inotn=function(l){i(typeof l=="number"&&l>=0);var g=Math.ceil(l/26)|0,b=l%26;this._expand(g),b>0&&g--;for(var A=0;A<g;A++)this.words[A]=~this.words[A]&67108863;return b>0&&(this.words[A]=~this.words[A]&67108863>>26-b),this._strip()},s.prototype.notn=function(l){return this.clone().inotn(l)},s.prototype.setn=function(l,g){i(typeof l=="number"&&l>=0);var b=l/26|0,A=l%26;return this._expand(b+1),g?this.words[b]=this.words[b]|1<<A:this.words[b]=this.words[b]&~(1<<A),this._strip()},s.prototype.iadd=function(l){var g;if(this.negative!==0&&l.negative===0)return this.negative=0,g=this.isub(l),this.negative^=1,this._normSign();if(this.negative===0&&l.negative!==0)return l.negative=0,g=this.isub(l),l.negative=1,g._normSign();var b,A;this.length>l.length?(b=this,A=l):(b=l,A=this);for(var C=0,S=0;S<A.length;S++)g=(b.words[S]|0)+(A.words[S]|0)+C,this.words[S]=g&67108863,C=g>>>26;for(;C!==0&&S<b.length;S++)g=(b.words[S]|0)+C,this.words[S]=g&67108863,C=g>>>26;if(this.length=b.length,C!==0)this.words[this.length]=C,this.length++;else if(b!==this)for(;S<b.length;S++)this.words[S]=b.words[S];return this},s.prototype.add=function(l){var g;return l.negative!==0&&this.negative===0?(l.negative=0,g=this.sub(l),l.negative^=1,g):l.negative===0&&this.negative!==0?(this.negative=0,g=l.sub(this),this.negative=1,g):this.length>l.length?this.clone().iadd(l):l.clone().iadd(this)},s.prototype.isub=function(l){if(l.negative!==0){l.negative=0;var g=this.iadd(l);return l.negative=1,g._normSign()}else if(this.negative!==0)return this.negative=0,this.iadd(l),this.negative=1,this._normSign();var b=this.cmp(l);if(b===0)return this.negative=0,this.length=1,this.words[0]=0,this;var A,C;b>0?(A=this,C=l):(A=l,C=this);for(var S=0,m=0;m<C.length;m++)g=(A.words[m]|0)-(C.words[m]|0)+S,S=g>>26,this.words[m]=g&67108863;for(;S!==0&&m<A.length;m++)g=(A.words[m]|0)+S,S=g>>26,this.words[m]=g&67108863;if(S===0&&m<A.length&&A!==this)for(;m<A.length;m++)this.words[m]=A.words[m];return this.length=Math.max(this.length,m),A!==this&&(this.negative=1),this._strip()},s.prototype.sub=function(l){return this.clone().isub(l)};function F(l,g,b){b.negative=g.negative^l.negative;var A=l.length+g.length|0;b.length=A,A=A-1|0;var C=l.words[0]|0,S=g.words[0]|0,m=C*S,E=m&67108863,_=m/67108864|0;b.words[0]=E;for(var R=1;R<A;R++){for(var Z=_>>>26,te=_&67108863,D=Math.min(R,g.length-1),W=Math.max(0,R-l.length+1);W<=D;W++){var G=R-W|0;C=l.words[G]|0,S=g.words[W]|0,m=C*S+te,Z+=m/67108864|0,te=m&67108863}b.words[R]=te|0,_=Z|0}return _!==0?b.words[R]=_|0:b.length--,b._strip()}var V=function(l,g,b){var A=l.words,C=g.words,S=b.words,m=0,E,_,R,Z=A[0]|0,te=Z&8191,D=Z>>>13,W=A[1]|0,G=W&8191,J=W>>>13,ie=A[2]|0,ce=ie&8191,se=ie>>>13,ae=A[3]|0,pe=ae&8191,ne=ae>>>13,de=A[4]|0,Ct=de&8191,Ee=de>>>13,At=A[5]|0,Dt=At&8191,Se=At>>>13,Ye=A[6]|0,lt=Ye&8191,Ie=Ye>>>13,Pt=A[7]|0,ft=Pt&8191,Ue=Pt>>>13,ht=A[8]|0,ot=ht&8191,De=ht>>>13,gt=A[9]|0,mt=gt&8191,Pe=gt>>>13,vt=C[0]|0,bt=vt&8191,Oe=vt>>>13,yt=C[1]|0,wt=yt&8191,Fe=yt>>>13,Ot=C[2]|0,Rt=Ot&8191,Le=Ot>>>13,St=C[3]|0,Tt=St&8191,qe=St>>>13,Nt=C[4]|0,Lt=Nt&8191,Be=Nt>>>13,Bt=C[5]|0,Ut=Bt&8191,$e=Bt>>>13,_t=C[6]|0,Ft=_t&8191,Re=_t>>>13,qt=C[7]|0,$t=qt&8191,ke=qt>>>13,kt=C[8]|0,jt=kt&8191,je=kt>>>13,zt=C[9]|0,It=zt&8191,xt=zt>>>13;b.negative=l.negative^g.negative,b.length=19,E=Math.imul(te,bt),_=Math.imul(te,Oe),_=_+Math.imul(D,bt)|0,R=Math.imul(D,Oe);var Ai=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Ai>>>26)|0,Ai&=67108863,E=Math.imul(G,bt),_=Math.imul(G,Oe),_=_+Math.imul(J,bt)|0,R=Math.imul(J,Oe),E=E+Math.imul(te,wt)|0,_=_+Math.imul(te,Fe)|0,_=_+Math.imul(D,wt)|0,R=R+Math.imul(D,Fe)|0;var Si=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Si>>>26)|0,Si&=67108863,E=Math.imul(ce,bt),_=Math.imul(ce,Oe),_=_+Math.imul(se,bt)|0,R=Math.imul(se,Oe),E=E+Math.imul(G,wt)|0,_=_+Math.imul(G,Fe)|0,_=_+Math.imul(J,wt)|0,R=R+Math.imul(J,Fe)|0,E=E+Math.imul(te,Rt)|0,_=_+Math.imul(te,Le)|0,_=_+Math.imul(D,Rt)|0,R=R+Math.imul(D,Le)|0;var Ii=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Ii>>>26)|0,Ii&=67108863,E=Math.imul(pe,bt),_=Math.imul(pe,Oe),_=_+Math.imul(ne,bt)|0,R=Math.imul(ne,Oe),E=E+Math.imul(ce,wt)|0,_=_+Math.imul(ce,Fe)|0,_=_+Math.imul(se,wt)|0,R=R+Math.imul(se,Fe)|0,E=E+Math.imul(G,Rt)|0,_=_+Math.imul(G,Le)|0,_=_+Math.imul(J,Rt)|0,R=R+Math.imul(J,Le)|0,E=E+Math.imul(te,Tt)|0,_=_+Math.imul(te,qe)|0,_=_+Math.imul(D,Tt)|0,R=R+Math.imul(D,qe)|0;var Mi=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Mi>>>26)|0,Mi&=67108863,E=Math.imul(Ct,bt),_=Math.imul(Ct,Oe),_=_+Math.imul(Ee,bt)|0,R=Math.imul(Ee,Oe),E=E+Math.imul(pe,wt)|0,_=_+Math.imul(pe,Fe)|0,_=_+Math.imul(ne,wt)|0,R=R+Math.imul(ne,Fe)|0,E=E+Math.imul(ce,Rt)|0,_=_+Math.imul(ce,Le)|0,_=_+Math.imul(se,Rt)|0,R=R+Math.imul(se,Le)|0,E=E+Math.imul(G,Tt)|0,_=_+Math.imul(G,qe)|0,_=_+Math.imul(J,Tt)|0,R=R+Math.imul(J,qe)|0,E=E+Math.imul(te,Lt)|0,_=_+Math.imul(te,Be)|0,_=_+Math.imul(D,Lt)|0,R=R+Math.imul(D,Be)|0;var Ci=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Ci>>>26)|0,Ci&=67108863,E=Math.imul(Dt,bt),_=Math.imul(Dt,Oe),_=_+Math.imul(Se,bt)|0,R=Math.imul(Se,Oe),E=E+Math.imul(Ct,wt)|0,_=_+Math.imul(Ct,Fe)|0,_=_+Math.imul(Ee,wt)|0,R=R+Math.imul(Ee,Fe)|0,E=E+Math.imul(pe,Rt)|0,_=_+Math.imul(pe,Le)|0,_=_+Math.imul(ne,Rt)|0,R=R+Math.imul(ne,Le)|0,E=E+Math.imul(ce,Tt)|0,_=_+Math.imul(ce,qe)|0,_=_+Math.imul(se,Tt)|0,R=R+Math.imul(se,qe)|0,E=E+Math.imul(G,Lt)|0,_=_+Math.imul(G,Be)|0,_=_+Math.imul(J,Lt)|0,R=R+Math.imul(J,Be)|0,E=E+Math.imul(te,Ut)|0,_=_+Math.imul(te,$e)|0,_=_+Math.imul(D,Ut)|0,R=R+Math.imul(D,$e)|0;var Di=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Di>>>26)|0,Di&=67108863,E=Math.imul(lt,bt),_=Math.imul(lt,Oe),_=_+Math.imul(Ie,bt)|0,R=Math.imul(Ie,Oe),E=E+Math.imul(Dt,wt)|0,_=_+Math.imul(Dt,Fe)|0,_=_+Math.imul(Se,wt)|0,R=R+Math.imul(Se,Fe)|0,E=E+Math.imul(Ct,Rt)|0,_=_+Math.imul(Ct,Le)|0,_=_+Math.imul(Ee,Rt)|0,R=R+Math.imul(Ee,Le)|0,E=E+Math.imul(pe,Tt)|0,_=_+Math.imul(pe,qe)|0,_=_+Math.imul(ne,Tt)|0,R=R+Math.imul(ne,qe)|0,E=E+Math.imul(ce,Lt)|0,_=_+Math.imul(ce,Be)|0,_=_+Math.imul(se,Lt)|0,R=R+Math.imul(se,Be)|0,E=E+Math.imul(G,Ut)|0,_=_+Math.imul(G,$e)|0,_=_+Math.imul(J,Ut)|0,R=R+Math.imul(J,$e)|0,E=E+Math.imul(te,Ft)|0,_=_+Math.imul(te,Re)|0,_=_+Math.imul(D,Ft)|0,R=R+Math.imul(D,Re)|0;var rn=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(rn>>>26)|0,rn&=67108863,E=Math.imul(ft,bt),_=Math.imul(ft,Oe),_=_+Math.imul(Ue,bt)|0,R=Math.imul(Ue,Oe),E=E+Math.imul(lt,wt)|0,_=_+Math.imul(lt,Fe)|0,_=_+Math.imul(Ie,wt)|0,R=R+Math.imul(Ie,Fe)|0,E=E+Math.imul(Dt,Rt)|0,_=_+Math.imul(Dt,Le)|0,_=_+Math.imul(Se,Rt)|0,R=R+Math.imul(Se,Le)|0,E=E+Math.imul(Ct,Tt)|0,_=_+Math.imul(Ct,qe)|0,_=_+Math.imul(Ee,Tt)|0,R=R+Math.imul(Ee,qe)|0,E=E+Math.imul(pe,Lt)|0,_=_+Math.imul(pe,Be)|0,_=_+Math.imul(ne,Lt)|0,R=R+Math.imul(ne,Be)|0,E=E+Math.imul(ce,Ut)|0,_=_+Math.imul(ce,$e)|0,_=_+Math.imul(se,Ut)|0,R=R+Math.imul(se,$e)|0,E=E+Math.imul(G,Ft)|0,_=_+Math.imul(G,Re)|0,_=_+Math.imul(J,Ft)|0,R=R+Math.imul(J,Re)|0,E=E+Math.imul(te,$t)|0,_=_+Math.imul(te,ke)|0,_=_+Math.imul(D,$t)|0,R=R+Math.imul(D,ke)|0;var qs=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(qs>>>26)|0,qs&=67108863,E=Math.imul(ot,bt),_=Math.imul(ot,Oe),_=_+Math.imul(De,bt)|0,R=Math.imul(De,Oe),E=E+Math.imul(ft,wt)|0,_=_+Math.imul(ft,Fe)|0,_=_+Math.imul(Ue,wt)|0,R=R+Math.imul(Ue,Fe)|0,E=E+Math.imul(lt,Rt)|0,_=_+Math.imul(lt,Le)|0,_=_+Math.imul(Ie,Rt)|0,R=R+Math.imul(Ie,Le)|0,E=E+Math.imul(Dt,Tt)|0,_=_+Math.imul(Dt,qe)|0,_=_+Math.imul(Se,Tt)|0,R=R+Math.imul(Se,qe)|0,E=E+Math.imul(Ct,Lt)|0,_=_+Math.imul(Ct,Be)|0,_=_+Math.imul(Ee,Lt)|0,R=R+Math.imul(Ee,Be)|0,E=E+Math.imul(pe,Ut)|0,_=_+Math.imul(pe,$e)|0,_=_+Math.imul(ne,Ut)|0,R=R+Math.imul(ne,$e)|0,E=E+Math.imul(ce,Ft)|0,_=_+Math.imul(ce,Re)|0,_=_+Math.imul(se,Ft)|0,R=R+Math.imul(se,Re)|0,E=E+Math.imul(G,$t)|0,_=_+Math.imul(G,ke)|0,_=_+Math.imul(J,$t)|0,R=R+Math.imul(J,ke)|0,E=E+Math.imul(te,jt)|0,_=_+Math.imul(te,je)|0,_=_+Math.imul(D,jt)|0,R=R+Math.imul(D,je)|0;var nn=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(nn>>>26)|0,nn&=67108863,E=Math.imul(mt,bt),_=Math.imul(mt,Oe),_=_+Math.imul(Pe,bt)|0,R=Math.imul(Pe,Oe),E=E+Math.imul(ot,wt)|0,_=_+Math.imul(ot,Fe)|0,_=_+Math.imul(De,wt)|0,R=R+Math.imul(De,Fe)|0,E=E+Math.imul(ft,Rt)|0,_=_+Math.imul(ft,Le)|0,_=_+Math.imul(Ue,Rt)|0,R=R+Math.imul(Ue,Le)|0,E=E+Math.imul(lt,Tt)|0,_=_+Math.imul(lt,qe)|0,_=_+Math.imul(Ie,Tt)|0,R=R+Math.imul(Ie,qe)|0,E=E+Math.imul(Dt,Lt)|0,_=_+Math.imul(Dt,Be)|0,_=_+Math.imul(Se,Lt)|0,R=R+Math.imul(Se,Be)|0,E=E+Math.imul(Ct,Ut)|0,_=_+Math.imul(Ct,$e)|0,_=_+Math.imul(Ee,Ut)|0,R=R+Math.imul(Ee,$e)|0,E=E+Math.imul(pe,Ft)|0,_=_+Math.imul(pe,Re)|0,_=_+Math.imul(ne,Ft)|0,R=R+Math.imul(ne,Re)|0,E=E+Math.imul(ce,$t)|0,_=_+Math.imul(ce,ke)|0,_=_+Math.imul(se,$t)|0,R=R+Math.imul(se,ke)|0,E=E+Math.imul(G,jt)|0,_=_+Math.imul(G,je)|0,_=_+Math.imul(J,jt)|0,R=R+Math.imul(J,je)|0,E=E+Math.imul(te,It)|0,_=_+Math.imul(te,xt)|0,_=_+Math.imul(D,It)|0,R=R+Math.imul(D,xt)|0;var $s=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+($s>>>26)|0,$s&=67108863,E=Math.imul(mt,wt),_=Math.imul(mt,Fe),_=_+Math.imul(Pe,wt)|0,R=Math.imul(Pe,Fe),E=E+Math.imul(ot,Rt)|0,_=_+Math.imul(ot,Le)|0,_=_+Math.imul(De,Rt)|0,R=R+Math.imul(De,Le)|0,E=E+Math.imul(ft,Tt)|0,_=_+Math.imul(ft,qe)|0,_=_+Math.imul(Ue,Tt)|0,R=R+Math.imul(Ue,qe)|0,E=E+Math.imul(lt,Lt)|0,_=_+Math.imul(lt,Be)|0,_=_+Math.imul(Ie,Lt)|0,R=R+Math.imul(Ie,Be)|0,E=E+Math.imul(Dt,Ut)|0,_=_+Math.imul(Dt,$e)|0,_=_+Math.imul(Se,Ut)|0,R=R+Math.imul(Se,$e)|0,E=E+Math.imul(Ct,Ft)|0,_=_+Math.imul(Ct,Re)|0,_=_+Math.imul(Ee,Ft)|0,R=R+Math.imul(Ee,Re)|0,E=E+Math.imul(pe,$t)|0,_=_+Math.imul(pe,ke)|0,_=_+Math.imul(ne,$t)|0,R=R+Math.imul(ne,ke)|0,E=E+Math.imul(ce,jt)|0,_=_+Math.imul(ce,je)|0,_=_+Math.imul(se,jt)|0,R=R+Math.imul(se,je)|0,E=E+Math.imul(G,It)|0,_=_+Math.imul(G,xt)|0,_=_+Math.imul(J,It)|0,R=R+Math.imul(J,xt)|0;var ks=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(ks>>>26)|0,ks&=67108863,E=Math.imul(mt,Rt),_=Math.imul(mt,Le),_=_+Math.imul(Pe,Rt)|0,R=Math.imul(Pe,Le),E=E+Math.imul(ot,Tt)|0,_=_+Math.imul(ot,qe)|0,_=_+Math.imul(De,Tt)|0,R=R+Math.imul(De,qe)|0,E=E+Math.imul(ft,Lt)|0,_=_+Math.imul(ft,Be)|0,_=_+Math.imul(Ue,Lt)|0,R=R+Math.imul(Ue,Be)|0,E=E+Math.imul(lt,Ut)|0,_=_+Math.imul(lt,$e)|0,_=_+Math.imul(Ie,Ut)|0,R=R+Math.imul(Ie,$e)|0,E=E+Math.imul(Dt,Ft)|0,_=_+Math.imul(Dt,Re)|0,_=_+Math.imul(Se,Ft)|0,R=R+Math.imul(Se,Re)|0,E=E+Math.imul(Ct,$t)|0,_=_+Math.imul(Ct,ke)|0,_=_+Math.imul(Ee,$t)|0,R=R+Math.imul(Ee,ke)|0,E=E+Math.imul(pe,jt)|0,_=_+Math.imul(pe,je)|0,_=_+Math.imul(ne,jt)|0,R=R+Math.imul(ne,je)|0,E=E+Math.imul(ce,It)|0,_=_+Math.imul(ce,xt)|0,_=_+Math.imul(se,It)|0,R=R+Math.imul(se,xt)|0;var js=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(js>>>26)|0,js&=67108863,E=Math.imul(mt,Tt),_=Math.imul(mt,qe),_=_+Math.imul(Pe,Tt)|0,R=Math.imul(Pe,qe),E=E+Math.imul(ot,Lt)|0,_=_+Math.imul(ot,Be)|0,_=_+Math.imul(De,Lt)|0,R=R+Math.imul(De,Be)|0,E=E+Math.imul(ft,Ut)|0,_=_+Math.imul(ft,$e)|0,_=_+Math.imul(Ue,Ut)|0,R=R+Math.imul(Ue,$e)|0,E=E+Math.imul(lt,Ft)|0,_=_+Math.imul(lt,Re)|0,_=_+Math.imul(Ie,Ft)|0,R=R+Math.imul(Ie,Re)|0,E=E+Math.imul(Dt,$t)|0,_=_+Math.imul(Dt,ke)|0,_=_+Math.imul(Se,$t)|0,R=R+Math.imul(Se,ke)|0,E=E+Math.imul(Ct,jt)|0,_=_+Math.imul(Ct,je)|0,_=_+Math.imul(Ee,jt)|0,R=R+Math.imul(Ee,je)|0,E=E+Math.imul(pe,It)|0,_=_+Math.imul(pe,xt)|0,_=_+Math.imul(ne,It)|0,R=R+Math.imul(ne,xt)|0;var Jn=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Jn>>>26)|0,Jn&=67108863,E=Math.imul(mt,Lt),_=Math.imul(mt,Be),_=_+Math.imul(Pe,Lt)|0,R=Math.imul(Pe,Be),E=E+Math.imul(ot,Ut)|0,_=_+Math.imul(ot,$e)|0,_=_+Math.imul(De,Ut)|0,R=R+Math.imul(De,$e)|0,E=E+Math.imul(ft,Ft)|0,_=_+Math.imul(ft,Re)|0,_=_+Math.imul(Ue,Ft)|0,R=R+Math.imul(Ue,Re)|0,E=E+Math.imul(lt,$t)|0,_=_+Math.imul(lt,ke)|0,_=_+Math.imul(Ie,$t)|0,R=R+Math.imul(Ie,ke)|0,E=E+Math.imul(Dt,jt)|0,_=_+Math.imul(Dt,je)|0,_=_+Math.imul(Se,jt)|0,R=R+Math.imul(Se,je)|0,E=E+Math.imul(Ct,It)|0,_=_+Math.imul(Ct,xt)|0,_=_+Math.imul(Ee,It)|0,R=R+Math.imul(Ee,xt)|0;var Yn=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Yn>>>26)|0,Yn&=67108863,E=Math.imul(mt,Ut),_=Math.imul(mt,$e),_=_+Math.imul(Pe,Ut)|0,R=Math.imul(Pe,$e),E=E+Math.imul(ot,Ft)|0,_=_+Math.imul(ot,Re)|0,_=_+Math.imul(De,Ft)|0,R=R+Math.imul(De,Re)|0,E=E+Math.imul(ft,$t)|0,_=_+Math.imul(ft,ke)|0,_=_+Math.imul(Ue,$t)|0,R=R+Math.imul(Ue,ke)|0,E=E+Math.imul(lt,jt)|0,_=_+Math.imul(lt,je)|0,_=_+Math.imul(Ie,jt)|0,R=R+Math.imul(Ie,je)|0,E=E+Math.imul(Dt,It)|0,_=_+Math.imul(Dt,xt)|0,_=_+Math.imul(Se,It)|0,R=R+Math.imul(Se,xt)|0;var Qn=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Qn>>>26)|0,Qn&=67108863,E=Math.imul(mt,Ft),_=Math.imul(mt,Re),_=_+Math.imul(Pe,Ft)|0,R=Math.imul(Pe,Re),E=E+Math.imul(ot,$t)|0,_=_+Math.imul(ot,ke)|0,_=_+Math.imul(De,$t)|0,R=R+Math.imul(De,ke)|0,E=E+Math.imul(ft,jt)|0,_=_+Math.imul(ft,je)|0,_=_+Math.imul(Ue,jt)|0,R=R+Math.imul(Ue,je)|0,E=E+Math.imul(lt,It)|0,_=_+Math.imul(lt,xt)|0,_=_+Math.imul(Ie,It)|0,R=R+Math.imul(Ie,xt)|0;var zs=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(zs>>>26)|0,zs&=67108863,E=Math.imul(mt,$t),_=Math.imul(mt,ke),_=_+Math.imul(Pe,$t)|0,R=Math.imul(Pe,ke),E=E+Math.imul(ot,jt)|0,_=_+Math.imul(ot,je)|0,_=_+Math.imul(De,jt)|0,R=R+Math.imul(De,je)|0,E=E+Math.imul(ft,It)|0,_=_+Math.imul(ft,xt)|0,_=_+Math.imul(Ue,It)|0,R=R+Math.imul(Ue,xt)|0;var Hs=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(Hs>>>26)|0,Hs&=67108863,E=Math.imul(mt,jt),_=Math.imul(mt,je),_=_+Math.imul(Pe,jt)|0,R=Math.imul(Pe,je),E=E+Math.imul(ot,It)|0,_=_+Math.imul(ot,xt)|0,_=_+Math.imul(De,It)|0,R=R+Math.imul(De,xt)|0;var ml=(m+E|0)+((_&8191)<<13)|0;m=(R+(_>>>13)|0)+(ml>>>26)|0,ml&=67108863,E=Math.imul(mt,It),_=Math.imul(mt,xt),_=_+Math.imul(Pe,It)|0,R=Math.imul(Pe,xt);var vl=(m+E|0)+((_&8191)<<13)|0;return m=(R+(_>>>13)|0)+(vl>>>26)|0,vl&=67108863,S[0]=Ai,S[1]=Si,S[2]=Ii,S[3]=Mi,S[4]=Ci,S[5]=Di,S[6]=rn,S[7]=qs,S[8]=nn,S[9]=$s,S[10]=ks,S[11]=js,S[12]=Jn,S[13]=Yn,S[14]=Qn,S[15]=zs,S[16]=Hs,S[17]=ml,S[18]=vl,m!==0&&(S[19]=m,b.length++),b};Math.imul||(V=F);function z(l,g,b){b.negative=g.negative^l.negative,b.length=l.length+g.length;for(var A=0,C=0,S=0;S<b.length-1;S++){var m=C;C=0;for(var E=A&67108863,_=Math.min(S,g.length-1),R=Math.max(0,S-l.length+1);R<=_;R++){var Z=S-R,te=l.words[Z]|0,D=g.words[R]|0,W=te*D,G=W&67108863;m=m+(W/67108864|0)|0,G=G+E|0,E=G&67108863,m=m+(G>>>26)|0,C+=m>>>26,m&=67108863}b.words[S]=E,A=m,m=C}return A!==0?b.words[S]=A:b.length--,b._strip()}function j(l,g,b){return z(l,g,b)}s.prototype.mulTo=function(l,g){var b,A=this.length+l.length;return this.length===10&&l.length===10?b=V(this,l,g):A<63?b=F(this,l,g):A<1024?b=z(this,l,g):b=j(this,l,g),b},s.prototype.mul=function(l){var g=new s(null);return g.words=new Array(this.length+l.length),this.mulTo(l,g)},s.prototype.mulf=function(l){var g=new s(null);return g.words=new Array(this.length+l.length),j(this,l,g)},s.prototype.imul=function(l){return this.clone().mulTo(l,this)},s.prototype.imuln=function(l){var g=l<0;g&&(l=-l),i(typeof l=="number"),i(l<67108864);for(var b=0,A=0;A<this.length;A++){var C=(this.words[A]|0)*l,S=(C&67108863)+(b&67108863);b>>=26,b+=C/67108864|0,b+=S>>>26,this.words[A]=S&67108863}return b!==0&&(this.words[A]=b,this.length++),g?this.ineg():this},s.prototype.muln=function(l){return this.clone().imuln(l)},s.prototype.sqr=function(){return this.mul(this)},s.prototype.isqr=function(){return this.imul(this.clone())},s.prototype.pow=function(l){var g=U(l);if(g.length===0)return new s(1);for(var b=this,A=0;A<g.length&&g[A]===0;A++,b=b.sqr());if(++A<g.length)for(var C=b.sqr();A<g.length;A++,C=C.sqr())g[A]!==0&&(b=b.mul(C));return b},s.prototype.iushln=function(l){i(typeof l=="number"&&l>=0);var g=l%26,b=(l-g)/26,A=67108863>>>26-g<<26-g,C;if(g!==0){var S=0;for(C=0;C<this.length;C++){var m=this.words[C]&A,E=(this.words[C]|0)-m<<g;this.words[C]=E|S,S=m>>>26-g}S&&(this.words[C]=S,this.length++)}if(b!==0){for(C=this.length-1;C>=0;C--)this.words[C+b]=this.words[C];for(C=0;C<b;C++)this.words[C]=0;this.length+=b}return this._strip()},s.prototype.ishln=function(l){return i(this.negative===0),this.iushln(l)},s.prototype.iushrn=function(l,g,b){i(typeof l=="number"&&l>=0);var A;g?A=(g-g%26)/26:A=0;var C=l%26,S=Math.min((l-C)/26,this.length),m=67108863^67108863>>>C<<C,E=b;if(A-=S,A=Math.max(0,A),E){for(var _=0;_<S;_++)E.words[_]=this.words[_];E.length=S}if(S!==0)if(this.length>S)for(this.length-=S,_=0;_<this.length;_++)this.words[_]=this.words[_+S];else this.words[0]=0,this.length=1;var R=0;for(_=this.length-1;_>=0&&(R!==0||_>=A);_--){var Z=this.words[_]|0;this.words[_]=R<<26-C|Z>>>C,R=Z&m}return E&&R!==0&&(E.words[E.length++]=R),this.length===0&&(this.words[0]=0,this.length=1),this._strip()},s.prototype.ishrn=function(l,g,b){return i(this.negative===0),this.iushrn(l,g,b)},s.prototype.shln=function(l){return this.clone().ishln(l)},s.prototype.ushln=function(l){return this.clone().iushln(l)},s.prototype.shrn=function(l){return this.clone().ishrn(l)},s.prototype.ushrn=function(l){return this.clone().iushrn(l)},s.prototype.testn=function(l){i(typeof l=="number"&&l>=0);var g=l%26,b=(l-g)/26,A=1<<g;if(this.length<=b)return!1;var C=this.words[b];return!!(C&A)},s.prototype.imaskn=function(l){i(typeof l=="number"&&l>=0);var g=l%26,b=(l-g)/26;if(i(this.negative===0,"imaskn works only with positive numbers"),this.length<=b)return this;if(g!==0&&b++,this.length=Math.min(b,this.length),g!==0){var A=67108863^67108863>>>g<<g;this.words[this.length-1]&=A}return this._strip()},s.prototype.maskn=function(l){return this.clone().imaskn(l)},s.prototype.iaddn=function(l){return i(typeof l=="number"),i(l<67108864),l<0?this.isubn(-l):this.negative!==0?this.length===1&&(this.words[0]|0)<=l?(this.words[0]=l-(this.words[0]|0),this.negative=0,this):(this.negative=0,this.isubn(l),this.negative=1,this):this._iaddn(l)},s.prototype._iaddn=function(l){this.words[0]+=l;for(var g=0;g<this.length&&this.words[g]>=67108864;g++)this.words[g]-=67108864,g===this.length-1?this.words[g+1]=1:this.words[g+1]++;return this.length=Math.max(this.length,g+1),this},s.prototype.isubn=function(l){if(i(typeof l=="number"),i(l<67108864),l<0)return this.iaddn(-l);if(this.negative!==0)return this.negative=0,this.iaddn(l),this.negative=1,this;if(this.words[0]-=l,this.length===1&&this.words[0]<0)this.words[0]=-this.words[0],this.negative=1;else for(var g=0;g<this.length&&this.words[g]<0;g++)this.words[g]+=67108864,this.words[g+1]-=1;return this._strip()},s.prototype.addn=function(l){return this.clone().iaddn(l)},s.prototype.subn=function(l){return this.clone().isubn(l)},s.prototype.iabs=function(){return this.negative=0,this},s.prototype.abs=function(){return this.clone().iabs()},s.prototype._ishlnsubmul=function(l,g,b){var A=l.length+b,C;this._expand(A);var S,m=0;for(C=0;C<l.length;C++){S=(this.words[C+b]|0)+m;var E=(l.words[C]|0)*g;S-=E&67108863,m=(S>>26)-(E/67108864|0),this.words[C+b]=S&67108863}for(;C<this.length-b;C++)S=(this.words[C+b]|0)+m,m=S>>26,this.words[C+b]=S&67108863;if(m===0)return this._strip();for(i(m===-1),m=0,C=0;C<this.length;C++)S=-(this.words[C]|0)+m,m=S>>26,this.words[C]=S&67108863;return this.negative=1,this._strip()},s.prototype._wordDiv=function(l,g){var b=this.length-l.length,A=this.clone(),C=l,S=C.words[C.length-1]|0,m=this._countBits(S);b=26-m,b!==0&&(C=C.ushln(b),A.iushln(b),S=C.words[C.length-1]|0);var E=A.length-C.length,_;if(g!=="mod"){_=new s(null),_.length=E+1,_.words=new Array(_.length);for(var R=0;R<_.length;R++)_.words[R]=0}var Z=A.clone()._ishlnsubmul(C,1,E);Z.negative===0&&(A=Z,_&&(_.words[E]=1));for(var te=E-1;te>=0;te--){var D=(A.words[C.length+te]|0)*67108864+(A.words[C.length+te-1]|0);for(D=Math.min(D/S|0,67108863),A._ishlnsubmul(C,D,te);A.negative!==0;)D--,A.negative=0,A._ishlnsubmul(C,1,te),A.isZero()||(A.negative^=1);_&&(_.words[te]=D)}return _&&_._strip(),A._strip(),g!=="div"&&b!==0&&A.iushrn(b),{div:_||null,mod:A}},s.prototype.divmod=function(l,g,b){if(i(!l.isZero()),this.isZero())return{div:new s(0),mod:new s(0)};var A,C,S;return this.negative!==0&&l.negative===0?(S=this.neg().divmod(l,g),g!=="mod"&&(A=S.div.neg()),g!=="div"&&(C=S.mod.neg(),b&&C.negative!==0&&C.iadd(l)),{div:A,mod:C}):this.negative===0&&l.negative!==0?(S=this.divmod(l.neg(),g),g!=="mod"&&(A=S.div.neg()),{div:A,mod:S.mod}):this.negative&l.negative?(S=this.neg().divmod(l.neg(),g),g!=="div"&&(C=S.mod.neg(),b&&C.negative!==0&&C.isub(l)),{div:S.div,mod:C}):l.length>this.length||this.cmp(l)<0?{div:new s(0),mod:this}:l.length===1?g==="div"?{div:this.divn(l.words[0]),mod:null}:g==="mod"?{div:null,mod:new s(this.modrn(l.words[0]))}:{div:this.divn(l.words[0]),mod:new s(this.modrn(l.words[0]))}:this._wordDiv(l,g)},s.prototype.div=function(l){return this.divmod(l,"div",!1).div},s.prototype.mod=function(l){return this.divmod(l,"mod",!1).mod},s.prototype.umod=function(l){return this.divmod(l,"mod",!0).mod},s.prototype.divRound=function(l){var g=this.divmod(l);if(g.mod.isZero())return g.div;var b=g.div.negative!==0?g.mod.isub(l):g.mod,A=l.ushrn(1),C=l.andln(1),S=b.cmp(A);return S<0||C===1&&S===0?g.div:g.div.negative!==0?g.div.isubn(1):g.div.iaddn(1)},s.prototype.modrn=function(l){var g=l<0;g&&(l=-l),i(l<=67108863);for(var b=(1<<26)%l,A=0,C=this.length-1;C>=0;C--)A=(b*A+(this.words[C]|0))%l;return g?-A:A},s.prototype.modn=function(l){return this.modrn(l)},s.prototype.idivn=function(l){var g=l<0;g&&(l=-l),i(l<=67108863);for(var b=0,A=this.length-1;A>=0;A--){var C=(this.words[A]|0)+b*67108864;this.words[A]=C/l|0,b=C%l}return this._strip(),g?this.ineg():this},s.prototype.divn=function(l){return this.clone().idivn(l)},s.prototype.egcd=function(l){i(l.negative===0),i(!l.isZero());var g=this,b=l.clone();g.negative!==0?g=g.umod(l):g=g.clone();for(var A=new s(1),C=new s(0),S=new s(0),m=new s(1),E=0;g.isEven()&&b.isEven();)g.iushrn(1),b.iushrn(1),++E;for(var _=b.clone(),R=g.clone();!g.isZero();){for(var Z=0,te=1;!(g.words[0]&te)&&Z<26;++Z,te<<=1);if(Z>0)for(g.iushrn(Z);Z-- >0;)(A.isOdd()||C.isOdd())&&(A.iadd(_),C.isub(R)),A.iushrn(1),C.iushrn(1);for(var D=0,W=1;!(b.words[0]&W)&&D<26;++D,W<<=1);if(D>0)for(b.iushrn(D);D-- >0;)(S.isOdd()||m.isOdd())&&(S.iadd(_),m.isub(R)),S.iushrn(1),m.iushrn(1);g.cmp(b)>=0?(g.isub(b),A.isub(S),C.isub(m)):(b.isub(g),S.isub(A),m.isub(C))}return{a:S,b:m,gcd:b.iushln(E)}},s.prototype._invmp=function(l){i(l.negative===0),i(!l.isZero());var g=this,b=l.clone();g.negative!==0?g=g.umod(l):g=g.clone();for(var A=new s(1),C=new s(0),S=b.clone();g.cmpn(1)>0&&b.cmpn(1)>0;){for(var m=0,E=1;!(g.words[0]&E)&&m<26;++m,E<<=1);if(m>0)for(g.iushrn(m);m-- >0;)A.isOdd()&&A.iadd(S),A.iushrn(1);for(var _=0,R=1;!(b.words[0]&R)&&_<26;++_,R<<=1);if(_>0)for(b.iushrn(_);_-- >0;)C.isOdd()&&C.iadd(S),C.iushrn(1);g.cmp(b)>=0?(g.isub(b),A.isub(C)):(b.isub(g),C.isub(A))}var Z;return g.cmpn(1)===0?Z=A:Z=C,Z.cmpn(0)<0&&Z.iadd(l),Z},s.prototype.gcd=function(l){if(this.isZero())return l.abs();if(l.isZero())return this.abs();var g=this.clone(),b=l.clone();g.negative=0,b.negative=0;for(var A=0;g.isEven()&&b.isEven();A++)g.iushrn(1),b.iushrn(1);do{for(;g.isEven();)g.iushrn(1);for(;b.isEven();)b.iushrn(1);var C=g.cmp(b);if(C<0){var S=g;g=b,b=S}else if(C===0||b.cmpn(1)===0)break;g.isub(b)}while(!0);return b.iushln(A)},s.prototype.invm=function(l){return this.egcd(l).a.umod(l)},s.prototype.isEven=function(){return(this.words[0]&1)===0},s.prototype.isOdd=function(){return(this.words[0]&1)===1},s.prototype.andln=function(l){return this.words[0]&l},s.prototype.bincn=function(l){i(typeof l=="number");var g=l%26,b=(l-g)/26,A=1<<g;if(this.length<=b)return this._expand(b+1),this.words[b]|=A,this;for(var C=A,S=b;C!==0&&S<this.length;S++){var m=this.words[S]|0;m+=C,C=m>>>26,m&=67108863,this.words[S]=m}return C!==0&&(this.words[S]=C,this.length++),this},s.prototype.isZero=function(){return this.length===1&&this.words[0]===0},s.prototype.cmpn=function(l){var g=l<0;if(this.negative!==0&&!g)return-1;if(this.negative===0&&g)return 1;this._strip();var b;if(this.length>1)b=1;else{g&&(l=-l),i(l<=67108863,"Number is too big");var A=this.words[0]|0;b=A===l?0:A<l?-1:1}return this.negative!==0?-b|0:b},s.prototype.cmp=function(l){if(this.negative!==0&&l.negative===0)return-1;if(this.negative===0&&l.negative!==0)return 1;var g=this.ucmp(l);return this.negative!==0?-g|0:g},s.prototype.ucmp=function(l){if(this.length>l.length)return 1;if(this.length<l.length)return-1;for(var g=0,b=this.length-1;b>=0;b--){var A=this.words[b]|0,C=l.words[b]|0;if(A!==C){A<C?g=-1:A>C&&(g=1);break}}return g},s.prototype.gtn=function(l){return this.cmpn(l)===1},s.prototype.gt=function(l){return this.cmp(l)===1},s.prototype.gten=function(l){return this.cmpn(l)>=0},s.prototype.gte=function(l){return this.cmp(l)>=0},s.prototype.ltn=function(l){return this.cmpn(l)===-1},s.prototype.lt=function(l){return this.cmp(l)===-1},s.prototype.lten=function(l){return this.cmpn(l)<=0},s.prototype.lte=function(l){return this.cmp(l)<=0},s.prototype.eqn=function(l){return this.cmpn(l)===0},s.prototype.eq=function(l){return this.cmp(l)===0},s.red=function(l){return new d(l)},s.prototype.toRed=function(l){return i(!this.red,"Already a number in reduction context"),i(this.negative===0,"red works only with positives"),l.convertTo(this)._forceRed(l)},s.prototype.fromRed=function(){return i(this.red,"fromRed works only with numbers in reduction context"),this.red.convertFrom(this)},s.prototype._forceRed=function(l){return this.red=l,this},s.prototype.forceRed=function(l){return i(!this.red,"Already a number in reduction context"),this._forceRed(l)},s.prototype.redAdd=function(l){return i(this.red,"redAdd works only with red numbers"),this.red.add(this,l)},s.prototype.redIAdd=function(l){return i(this.red,"redIAdd works only with red numbers"),this.red.iadd(this,l)},s.prototype.redSub=function(l){return i(this.red,"redSub works only with red numbers"),this.red.sub(this,l)},s.prototype.redISub=function(l){return i(this.red,"redISub works only with red numbers"),this.red.isub(this,l)},s.prototype.redShl=function(l){return i(this.red,"redShl works only with red numbers"),this.red.shl(this,l)},s.prototype.redMul=function(l){return i(this.red,"redMul works only with red numbers"),this.red._verify2(this,l),this.red.mul(this,l)},s.prototype.redIMul=function(l){return i(this.red,"redMul works only with red numbers"),this.red._verify2(this,l),this.red.imul(this,l)},s.prototype.redSqr=function(){return i(this.red,"redSqr works only with red numbers"),this.red._verify1(this),this.red.sqr(this)},s.prototype.redISqr=function(){return i(this.red,"redISqr works only with red numbers"),this.red._verify1(this),this.red.isqr(this)},s.prototype.redSqrt=function(){return i(this.red,"redSqrt works only with red numbers"),this.red._verify1(this),this.red.sqrt(this)},s.prototype.redInvm=function(){return i(this.red,"redInvm works only with red numbers"),this.red._verify1(this),this.red.invm(this)},s.prototype.redNeg=function(){return i(this.red,"redNeg works only with red numbers"),this.red._verify1(this),this.red.neg(this)},s.prototype.redPow=function(l){return i(this.red&&!l.red,"redPow(normalNum)"),this.red._verify1(this),this.red.pow(this,l)};var H={k256:null,p224:null,p192:null,p25519:null};function ee(l,g){this.name=l,this.p=new s(g,16),this.n=this.p.bitLength(),this.k=new s(1).iushln(this.n).isub(this.p),this.tmp=this._tmp()}ee.prototype._tmp=function(){var l=new s(null);return l.words=new Array(Math.ceil(this.n/13)),l},ee.prototype.ireduce=function(l){var g=l,b;do this.split(g,this.tmp),g=this.imulK(g),g=g.iadd(this.tmp),b=g.bitLength();while(b>this.n);var A=b<this.n?-1:g.ucmp(this.p);return A===0?(g.words[0]=0,g.length=1):A>0?g.isub(this.p):g.strip!==void 0?g.strip():g._strip(),g},ee.prototype.split=function(l,g){l.iushrn(this.n,0,g)},ee.prototype.imulK=function(l){return l.imul(this.k)};function $(){ee.call(this,"k256","ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe fffffc2f")}n($,ee),$.prototype.split=function(l,g){for(var b=4194303,A=Math.min(l.length,9),C=0;C<A;C++)g.words[C]=l.words[C];if(g.length=A,l.length<=9){l.words[0]=0,l.length=1;return}var S=l.words[9];for(g.words[g.length++]=S&b,C=10;C<l.length;C++){var m=l.words[C]|0;l.words[C-10]=(m&b)<<4|S>>>22,S=m}S>>>=22,l.words[C-10]=S,S===0&&l.length>10?l.length-=10:l.length-=9},$.prototype.imulK=function(l){l.words[l.length]=0,l.words[l.length+1]=0,l.length+=2;for(var g=0,b=0;b<l.length;b++){var A=l.words[b]|0;g+=A*977,l.words[b]=g&67108863,g=A*64+(g/67108864|0)}return l.words[l.length-1]===0&&(l.length--,l.words[l.length-1]===0&&l.length--),l};function q(){ee.call(this,"p224","ffffffff ffffffff ffffffff ffffffff 00000000 00000000 00000001")}n(q,ee);function X(){ee.call(this,"p192","ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff")}n(X,ee);function N(){ee.call(this,"25519","7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed")}n(N,ee),N.prototype.imulK=function(l){for(var g=0,b=0;b<l.length;b++){var A=(l.words[b]|0)*19+g,C=A&67108863;A>>>=26,l.words[b]=C,g=A}return g!==0&&(l.words[l.length++]=g),l},s._prime=function(l){if(H[l])return H[l];var g;if(l==="k256")g=new $;else if(l==="p224")g=new q;else if(l==="p192")g=new X;else if(l==="p25519")g=new N;else throw new Error("Unknown prime "+l);return H[l]=g,g};function d(l){if(typeof l=="string"){var g=s._prime(l);this.m=g.p,this.prime=g}else i(l.gtn(1),"modulus must be greater than 1"),this.m=l,this.prime=null}d.prototype._verify1=function(l){i(l.negative===0,"red works only with positives"),i(l.red,"red works only with red numbers")},d.prototype._verify2=function(l,g){i((l.negative|g.negative)===0,"red works only with positives"),i(l.red&&l.red===g.red,"red works only with red numbers")},d.prototype.imod=function(l){return this.prime?this.prime.ireduce(l)._forceRed(this):(v(l,l.umod(this.m)._forceRed(this)),l)},d.prototype.neg=function(l){return l.isZero()?l.clone():this.m.sub(l)._forceRed(this)},d.prototype.add=function(l,g){this._verify2(l,g);var b=l.add(g);return b.cmp(this.m)>=0&&b.isub(this.m),b._forceRed(this)},d.prototype.iadd=function(l,g){this._verify2(l,g);var b=l.iadd(g);return b.cmp(this.m)>=0&&b.isub(this.m),b},d.prototype.sub=function(l,g){this._verify2(l,g);var b=l.sub(g);return b.cmpn(0)<0&&b.iadd(this.m),b._forceRed(this)},d.prototype.isub=function(l,g){this._verify2(l,g);var b=l.isub(g);return b.cmpn(0)<0&&b.iadd(this.m),b},d.prototype.shl=function(l,g){return this._verify1(l),this.imod(l.ushln(g))},d.prototype.imul=function(l,g){return this._verify2(l,g),this.imod(l.imul(g))},d.prototype.mul=function(l,g){return this._verify2(l,g),this.imod(l.mul(g))},d.prototype.isqr=function(l){return this.imul(l,l.clone())},d.prototype.sqr=function(l){return this.mul(l,l)},d.prototype.sqrt=function(l){if(l.isZero())return l.clone();var g=this.m.andln(3);if(i(g%2===1),g===3){var b=this.m.add(new s(1)).iushrn(2);return this.pow(l,b)}for(var A=this.m.subn(1),C=0;!A.isZero()&&A.andln(1)===0;)C++,A.iushrn(1);i(!A.isZero());var S=new s(1).toRed(this),m=S.redNeg(),E=this.m.subn(1).iushrn(1),_=this.m.bitLength();for(_=new s(2*_*_).toRed(this);this.pow(_,E).cmp(m)!==0;)_.redIAdd(m);for(var R=this.pow(_,A),Z=this.pow(l,A.addn(1).iushrn(1)),te=this.pow(l,A),D=C;te.cmp(S)!==0;){for(var W=te,G=0;W.cmp(S)!==0;G++)W=W.redSqr();i(G<D);var J=this.pow(R,new s(1).iushln(D-G-1));Z=Z.redMul(J),R=J.redSqr(),te=te.redMul(R),D=G}return Z},d.prototype.invm=function(l){var g=l._invmp(this.m);return g.negative!==0?(g.negative=0,this.imod(g).redNeg()):this.imod(g)},d.prototype.pow=function(l,g){if(g.isZero())return new s(1).toRed(this);if(g.cmpn(1)===0)return l.clone();var b=4,A=new Array(1<<b);A[0]=new s(1).toRed(this),A[1]=l;for(var C=2;C<A.length;C++)A[C]=this.mul(A[C-1],l);var S=A[0],m=0,E=0,_=g.bitLength()%26;for(_===0&&(_=26),C=g.length-1;C>=0;C--){for(var R=g.words[C],Z=_-1;Z>=0;Z--){var te=R>>Z&1;if(S!==A[0]&&(S=this.sqr(S)),te===0&&m===0){E=0;continue}m<<=1,m|=te,E++,!(E!==b&&(C!==0||Z!==0))&&(S=this.mul(S,A[m]),E=0,m=0)}_=26}return S},d.prototype.convertTo=function(l){var g=l.umod(this.m);return g===l?g.clone():g},d.prototype.convertFrom=function(l){var g=l.clone();return g.red=null,g},s.mont=function(l){return new y(l)};function y(l){d.call(this,l),this.shift=this.m.bitLength(),this.shift%26!==0&&(this.shift+=26-this.shift%26),this.r=new s(1).iushln(this.shift),this.r2=this.imod(this.r.sqr()),this.rinv=this.r._invmp(this.m),this.minv=this.rinv.mul(this.r).isubn(1).div(this.m),this.minv=this.minv.umod(this.r),this.minv=this.r.sub(this.minv)}n(y,d),y.prototype.convertTo=function(l){return this.imod(l.ushln(this.shift))},y.prototype.convertFrom=function(l){var g=this.imod(l.mul(this.rinv));return g.red=null,g},y.prototype.imul=function(l,g){if(l.isZero()||g.isZero())return l.words[0]=0,l.length=1,l;var b=l.imul(g),A=b.maskn(this.shift).mul(this.minv).imaskn(this.shift).mul(this.m),C=b.isub(A).iushrn(this.shift),S=C;return C.cmp(this.m)>=0?S=C.isub(this.m):C.cmpn(0)<0&&(S=C.iadd(this.m)),S._forceRed(this)},y.prototype.mul=function(l,g){if(l.isZero()||g.isZero())return new s(0)._forceRed(this);var b=l.mul(g),A=b.maskn(this.shift).mul(this.minv).imaskn(this.shift).mul(this.m),C=b.isub(A).iushrn(this.shift),S=C;return C.cmp(this.m)>=0?S=C.isub(this.m):C.cmpn(0)<0&&(S=C.iadd(this.m)),S._forceRed(this)},y.prototype.invm=function(l){var g=this.imod(l._invmp(this.m).mul(this.r2));return g._forceRed(this)}})(t,C_)})(R_);var Ve=R_.exports,T_="bignumber/5.7.0",f0=Ve.BN,fo=new ur(T_),Zm={},G7=9007199254740991;function uk(t){return t!=null&&(Gr.isBigNumber(t)||typeof t=="number"&&t%1===0||typeof t=="string"&&!!t.match(/^-?[0-9]+$/)||Yi(t)||typeof t=="bigint"||Du(t))}var J7=!1,Gr=class t{constructor(e,r){e!==Zm&&fo.throwError("cannot call constructor directly; use BigNumber.from",ur.errors.UNSUPPORTED_OPERATION,{operation:"new (BigNumber)"}),this._hex=r,this._isBigNumber=!0,Object.freeze(this)}fromTwos(e){return Ui(it(this).fromTwos(e))}toTwos(e){return Ui(it(this).toTwos(e))}abs(){return this._hex[0]==="-"?t.from(this._hex.substring(1)):this}add(e){return Ui(it(this).add(it(e)))}sub(e){return Ui(it(this).sub(it(e)))}div(e){return t.from(e).isZero()&&bn("division-by-zero","div"),Ui(it(this).div(it(e)))}mul(e){return Ui(it(this).mul(it(e)))}mod(e){let r=it(e);return r.isNeg()&&bn("division-by-zero","mod"),Ui(it(this).umod(r))}pow(e){let r=it(e);return r.isNeg()&&bn("negative-power","pow"),Ui(it(this).pow(r))}and(e){let r=it(e);return(this.isNegative()||r.isNeg())&&bn("unbound-bitwise-result","and"),Ui(it(this).and(r))}or(e){let r=it(e);return(this.isNegative()||r.isNeg())&&bn("unbound-bitwise-result","or"),Ui(it(this).or(r))}xor(e){let r=it(e);return(this.isNegative()||r.isNeg())&&bn("unbound-bitwise-result","xor"),Ui(it(this).xor(r))}mask(e){return(this.isNegative()||e<0)&&bn("negative-width","mask"),Ui(it(this).maskn(e))}shl(e){return(this.isNegative()||e<0)&&bn("negative-width","shl"),Ui(it(this).shln(e))}shr(e){return(this.isNegative()||e<0)&&bn("negative-width","shr"),Ui(it(this).shrn(e))}eq(e){return it(this).eq(it(e))}lt(e){return it(this).lt(it(e))}lte(e){return it(this).lte(it(e))}gt(e){return it(this).gt(it(e))}gte(e){return it(this).gte(it(e))}isNegative(){return this._hex[0]==="-"}isZero(){return it(this).isZero()}toNumber(){try{return it(this).toNumber()}catch{bn("overflow","toNumber",this.toString())}return null}toBigInt(){try{return BigInt(this.toString())}catch{}return fo.throwError("this platform does not support BigInt",ur.errors.UNSUPPORTED_OPERATION,{value:this.toString()})}toString(){return arguments.length>0&&(arguments[0]===10?J7||(J7=!0,fo.warn("BigNumber.toString does not accept any parameters; base-10 is assumed")):arguments[0]===16?fo.throwError("BigNumber.toString does not accept any parameters; use bigNumber.toHexString()",ur.errors.UNEXPECTED_ARGUMENT,{}):fo.throwError("BigNumber.toString does not accept parameters",ur.errors.UNEXPECTED_ARGUMENT,{})),it(this).toString(10)}toHexString(){return this._hex}toJSON(e){return{type:"BigNumber",hex:this.toHexString()}}static from(e){if(e instanceof t)return e;if(typeof e=="string")return e.match(/^-?0x[0-9a-f]+$/i)?new t(Zm,ff(e)):e.match(/^-?[0-9]+$/)?new t(Zm,ff(new f0(e))):fo.throwArgumentError("invalid BigNumber string","value",e);if(typeof e=="number")return e%1&&bn("underflow","BigNumber.from",e),(e>=G7||e<=-G7)&&bn("overflow","BigNumber.from",e),t.from(String(e));let r=e;if(typeof r=="bigint")return t.from(r.toString());if(Du(r))return t.from(gi(r));if(r)if(r.toHexString){let i=r.toHexString();if(typeof i=="string")return t.from(i)}else{let i=r._hex;if(i==null&&r.type==="BigNumber"&&(i=r.hex),typeof i=="string"&&(Yi(i)||i[0]==="-"&&Yi(i.substring(1))))return t.from(i)}return fo.throwArgumentError("invalid BigNumber value","value",e)}static isBigNumber(e){return!!(e&&e._isBigNumber)}};function ff(t){if(typeof t!="string")return ff(t.toString(16));if(t[0]==="-")return t=t.substring(1),t[0]==="-"&&fo.throwArgumentError("invalid hex","value",t),t=ff(t),t==="0x00"?t:"-"+t;if(t.substring(0,2)!=="0x"&&(t="0x"+t),t==="0x")return"0x00";for(t.length%2&&(t="0x0"+t.substring(2));t.length>4&&t.substring(0,4)==="0x00";)t="0x"+t.substring(4);return t}function Ui(t){return Gr.from(ff(t))}function it(t){let e=Gr.from(t).toHexString();return e[0]==="-"?new f0("-"+e.substring(3),16):new f0(e.substring(2),16)}function bn(t,e,r){let i={fault:t,operation:e};return r!=null&&(i.value=r),fo.throwError(t,ur.errors.NUMERIC_FAULT,i)}function lk(t){return new f0(t,36).toString(16)}var mi=new ur(T_),af={},N_=Gr.from(0),L_=Gr.from(-1);function B_(t,e,r,i){let n={fault:e,operation:r};return i!==void 0&&(n.value=i),mi.throwError(t,ur.errors.NUMERIC_FAULT,n)}var cf="0";for(;cf.length<256;)cf+=cf;function Iv(t){if(typeof t!="number")try{t=Gr.from(t).toNumber()}catch{}return typeof t=="number"&&t>=0&&t<=256&&!(t%1)?"1"+cf.substring(0,t):mi.throwArgumentError("invalid decimal size","decimals",t)}function ev(t,e){e==null&&(e=0);let r=Iv(e);t=Gr.from(t);let i=t.lt(N_);i&&(t=t.mul(L_));let n=t.mod(r).toString();for(;n.length<r.length-1;)n="0"+n;n=n.match(/^([0-9]*[1-9]|0)(0*)/)[1];let s=t.div(r).toString();return r.length===1?t=s:t=s+"."+n,i&&(t="-"+t),t}function lo(t,e){e==null&&(e=0);let r=Iv(e);(typeof t!="string"||!t.match(/^-?[0-9.]+$/))&&mi.throwArgumentError("invalid decimal value","value",t);let i=t.substring(0,1)==="-";i&&(t=t.substring(1)),t==="."&&mi.throwArgumentError("missing value","value",t);let n=t.split(".");n.length>2&&mi.throwArgumentError("too many decimal points","value",t);let s=n[0],a=n[1];for(s||(s="0"),a||(a="0");a[a.length-1]==="0";)a=a.substring(0,a.length-1);for(a.length>r.length-1&&B_("fractional component exceeds decimals","underflow","parseFixed"),a===""&&(a="0");a.length<r.length-1;)a+="0";let u=Gr.from(s),h=Gr.from(a),f=u.mul(r).add(h);return i&&(f=f.mul(L_)),f}var uf=class t{constructor(e,r,i,n){e!==af&&mi.throwError("cannot use FixedFormat constructor; use FixedFormat.from",ur.errors.UNSUPPORTED_OPERATION,{operation:"new FixedFormat"}),this.signed=r,this.width=i,this.decimals=n,this.name=(r?"":"u")+"fixed"+String(i)+"x"+String(n),this._multiplier=Iv(n),Object.freeze(this)}static from(e){if(e instanceof t)return e;typeof e=="number"&&(e=`fixed128x${e}`);let r=!0,i=128,n=18;if(typeof e=="string"){if(e!=="fixed")if(e==="ufixed")r=!1;else{let s=e.match(/^(u?)fixed([0-9]+)x([0-9]+)$/);s||mi.throwArgumentError("invalid fixed format","format",e),r=s[1]!=="u",i=parseInt(s[2]),n=parseInt(s[3])}}else if(e){let s=(a,u,h)=>e[a]==null?h:(typeof e[a]!==u&&mi.throwArgumentError("invalid fixed format ("+a+" not "+u+")","format."+a,e[a]),e[a]);r=s("signed","boolean",r),i=s("width","number",i),n=s("decimals","number",n)}return i%8&&mi.throwArgumentError("invalid fixed format width (not byte aligned)","format.width",i),n>80&&mi.throwArgumentError("invalid fixed format (decimals too large)","format.decimals",n),new t(af,r,i,n)}},h0=class t{constructor(e,r,i,n){e!==af&&mi.throwError("cannot use FixedNumber constructor; use FixedNumber.from",ur.errors.UNSUPPORTED_OPERATION,{operation:"new FixedFormat"}),this.format=n,this._hex=r,this._value=i,this._isFixedNumber=!0,Object.freeze(this)}_checkFormat(e){this.format.name!==e.format.name&&mi.throwArgumentError("incompatible format; use fixedNumber.toFormat","other",e)}addUnsafe(e){this._checkFormat(e);let r=lo(this._value,this.format.decimals),i=lo(e._value,e.format.decimals);return t.fromValue(r.add(i),this.format.decimals,this.format)}subUnsafe(e){this._checkFormat(e);let r=lo(this._value,this.format.decimals),i=lo(e._value,e.format.decimals);return t.fromValue(r.sub(i),this.format.decimals,this.format)}mulUnsafe(e){this._checkFormat(e);let r=lo(this._value,this.format.decimals),i=lo(e._value,e.format.decimals);return t.fromValue(r.mul(i).div(this.format._multiplier),this.format.decimals,this.format)}divUnsafe(e){this._checkFormat(e);let r=lo(this._value,this.format.decimals),i=lo(e._value,e.format.decimals);return t.fromValue(r.mul(this.format._multiplier).div(i),this.format.decimals,this.format)}floor(){let e=this.toString().split(".");e.length===1&&e.push("0");let r=t.from(e[0],this.format),i=!e[1].match(/^(0*)$/);return this.isNegative()&&i&&(r=r.subUnsafe(Y7.toFormat(r.format))),r}ceiling(){let e=this.toString().split(".");e.length===1&&e.push("0");let r=t.from(e[0],this.format),i=!e[1].match(/^(0*)$/);return!this.isNegative()&&i&&(r=r.addUnsafe(Y7.toFormat(r.format))),r}round(e){e==null&&(e=0);let r=this.toString().split(".");if(r.length===1&&r.push("0"),(e<0||e>80||e%1)&&mi.throwArgumentError("invalid decimal count","decimals",e),r[1].length<=e)return this;let i=t.from("1"+cf.substring(0,e),this.format),n=fk.toFormat(this.format);return this.mulUnsafe(i).addUnsafe(n).floor().divUnsafe(i)}isZero(){return this._value==="0.0"||this._value==="0"}isNegative(){return this._value[0]==="-"}toString(){return this._value}toHexString(e){if(e==null)return this._hex;e%8&&mi.throwArgumentError("invalid byte width","width",e);let r=Gr.from(this._hex).fromTwos(this.format.width).toTwos(e).toHexString();return bs(r,e/8)}toUnsafeFloat(){return parseFloat(this.toString())}toFormat(e){return t.fromString(this._value,e)}static fromValue(e,r,i){return i==null&&r!=null&&!uk(r)&&(i=r,r=null),r==null&&(r=0),i==null&&(i="fixed"),t.fromString(ev(e,r),uf.from(i))}static fromString(e,r){r==null&&(r="fixed");let i=uf.from(r),n=lo(e,i.decimals);!i.signed&&n.lt(N_)&&B_("unsigned value cannot be negative","overflow","value",e);let s=null;i.signed?s=n.toTwos(i.width).toHexString():(s=n.toHexString(),s=bs(s,i.width/8));let a=ev(n,i.decimals);return new t(af,s,a,i)}static fromBytes(e,r){r==null&&(r="fixed");let i=uf.from(r);if(wr(e).length>i.width/8)throw new Error("overflow");let n=Gr.from(e);i.signed&&(n=n.fromTwos(i.width));let s=n.toTwos((i.signed?0:1)+i.width).toHexString(),a=ev(n,i.decimals);return new t(af,s,a,i)}static from(e,r){if(typeof e=="string")return t.fromString(e,r);if(Du(e))return t.fromBytes(e,r);try{return t.fromValue(e,0,r)}catch(i){if(i.code!==ur.errors.INVALID_ARGUMENT)throw i}return mi.throwArgumentError("invalid FixedNumber value","value",e)}static isFixedNumber(e){return!!(e&&e._isFixedNumber)}},Y7=h0.from(1),fk=h0.from("0.5"),hk="strings/5.7.0",U_=new ur(hk),d0;(function(t){t.current="",t.NFC="NFC",t.NFD="NFD",t.NFKC="NFKC",t.NFKD="NFKD"})(d0||(d0={}));var xu;(function(t){t.UNEXPECTED_CONTINUE="unexpected continuation byte",t.BAD_PREFIX="bad codepoint prefix",t.OVERRUN="string overrun",t.MISSING_CONTINUE="missing continuation byte",t.OUT_OF_RANGE="out of UTF-8 range",t.UTF16_SURROGATE="UTF-16 surrogate",t.OVERLONG="overlong representation"})(xu||(xu={}));function dk(t,e,r,i,n){return U_.throwArgumentError(`invalid codepoint at offset ${e}; ${t}`,"bytes",r)}function F_(t,e,r,i,n){if(t===xu.BAD_PREFIX||t===xu.UNEXPECTED_CONTINUE){let s=0;for(let a=e+1;a<r.length&&r[a]>>6===2;a++)s++;return s}return t===xu.OVERRUN?r.length-e-1:0}function pk(t,e,r,i,n){return t===xu.OVERLONG?(i.push(n),0):(i.push(65533),F_(t,e,r))}Object.freeze({error:dk,ignore:F_,replace:pk});function tv(t,e=d0.current){e!=d0.current&&(U_.checkNormalize(),t=t.normalize(e));let r=[];for(let i=0;i<t.length;i++){let n=t.charCodeAt(i);if(n<128)r.push(n);else if(n<2048)r.push(n>>6|192),r.push(n&63|128);else if((n&64512)==55296){i++;let s=t.charCodeAt(i);if(i>=t.length||(s&64512)!==56320)throw new Error("invalid utf-8 string");let a=65536+((n&1023)<<10)+(s&1023);r.push(a>>18|240),r.push(a>>12&63|128),r.push(a>>6&63|128),r.push(a&63|128)}else r.push(n>>12|224),r.push(n>>6&63|128),r.push(n&63|128)}return wr(r)}function gk(t){if(t.length%4!==0)throw new Error("bad data");let e=[];for(let r=0;r<t.length;r+=4)e.push(parseInt(t.substring(r,r+4),16));return e}function rv(t,e){e||(e=function(n){return[parseInt(n,16)]});let r=0,i={};return t.split(",").forEach(n=>{let s=n.split(":");r+=parseInt(s[0],16),i[r]=e(s[1])}),i}function Q7(t){let e=0;return t.split(",").map(r=>{let i=r.split("-");i.length===1?i[1]="0":i[1]===""&&(i[1]="1");let n=e+parseInt(i[0],16);return e=parseInt(i[1],16),{l:n,h:e}})}Q7("221,13-1b,5f-,40-10,51-f,11-3,3-3,2-2,2-4,8,2,15,2d,28-8,88,48,27-,3-5,11-20,27-,8,28,3-5,12,18,b-a,1c-4,6-16,2-d,2-2,2,1b-4,17-9,8f-,10,f,1f-2,1c-34,33-14e,4,36-,13-,6-2,1a-f,4,9-,3-,17,8,2-2,5-,2,8-,3-,4-8,2-3,3,6-,16-6,2-,7-3,3-,17,8,3,3,3-,2,6-3,3-,4-a,5,2-6,10-b,4,8,2,4,17,8,3,6-,b,4,4-,2-e,2-4,b-10,4,9-,3-,17,8,3-,5-,9-2,3-,4-7,3-3,3,4-3,c-10,3,7-2,4,5-2,3,2,3-2,3-2,4-2,9,4-3,6-2,4,5-8,2-e,d-d,4,9,4,18,b,6-3,8,4,5-6,3-8,3-3,b-11,3,9,4,18,b,6-3,8,4,5-6,3-6,2,3-3,b-11,3,9,4,18,11-3,7-,4,5-8,2-7,3-3,b-11,3,13-2,19,a,2-,8-2,2-3,7,2,9-11,4-b,3b-3,1e-24,3,2-,3,2-,2-5,5,8,4,2,2-,3,e,4-,6,2,7-,b-,3-21,49,23-5,1c-3,9,25,10-,2-2f,23,6,3,8-2,5-5,1b-45,27-9,2a-,2-3,5b-4,45-4,53-5,8,40,2,5-,8,2,5-,28,2,5-,20,2,5-,8,2,5-,8,8,18,20,2,5-,8,28,14-5,1d-22,56-b,277-8,1e-2,52-e,e,8-a,18-8,15-b,e,4,3-b,5e-2,b-15,10,b-5,59-7,2b-555,9d-3,5b-5,17-,7-,27-,7-,9,2,2,2,20-,36,10,f-,7,14-,4,a,54-3,2-6,6-5,9-,1c-10,13-1d,1c-14,3c-,10-6,32-b,240-30,28-18,c-14,a0,115-,3,66-,b-76,5,5-,1d,24,2,5-2,2,8-,35-2,19,f-10,1d-3,311-37f,1b,5a-b,d7-19,d-3,41,57-,68-4,29-3,5f,29-37,2e-2,25-c,2c-2,4e-3,30,78-3,64-,20,19b7-49,51a7-59,48e-2,38-738,2ba5-5b,222f-,3c-94,8-b,6-4,1b,6,2,3,3,6d-20,16e-f,41-,37-7,2e-2,11-f,5-b,18-,b,14,5-3,6,88-,2,bf-2,7-,7-,7-,4-2,8,8-9,8-2ff,20,5-b,1c-b4,27-,27-cbb1,f7-9,28-2,b5-221,56,48,3-,2-,3-,5,d,2,5,3,42,5-,9,8,1d,5,6,2-2,8,153-3,123-3,33-27fd,a6da-5128,21f-5df,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3-fffd,3,2-1d,61-ff7d"),"ad,34f,1806,180b,180c,180d,200b,200c,200d,2060,feff".split(",").map(t=>parseInt(t,16)),rv("b5:3bc,c3:ff,7:73,2:253,5:254,3:256,1:257,5:259,1:25b,3:260,1:263,2:269,1:268,5:26f,1:272,2:275,7:280,3:283,5:288,3:28a,1:28b,5:292,3f:195,1:1bf,29:19e,125:3b9,8b:3b2,1:3b8,1:3c5,3:3c6,1:3c0,1a:3ba,1:3c1,1:3c3,2:3b8,1:3b5,1bc9:3b9,1c:1f76,1:1f77,f:1f7a,1:1f7b,d:1f78,1:1f79,1:1f7c,1:1f7d,107:63,5:25b,4:68,1:68,1:68,3:69,1:69,1:6c,3:6e,4:70,1:71,1:72,1:72,1:72,7:7a,2:3c9,2:7a,2:6b,1:e5,1:62,1:63,3:65,1:66,2:6d,b:3b3,1:3c0,6:64,1b574:3b8,1a:3c3,20:3b8,1a:3c3,20:3b8,1a:3c3,20:3b8,1a:3c3,20:3b8,1a:3c3"),rv("179:1,2:1,2:1,5:1,2:1,a:4f,a:1,8:1,2:1,2:1,3:1,5:1,3:1,4:1,2:1,3:1,4:1,8:2,1:1,2:2,1:1,2:2,27:2,195:26,2:25,1:25,1:25,2:40,2:3f,1:3f,33:1,11:-6,1:-9,1ac7:-3a,6d:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,9:-8,1:-8,1:-8,1:-8,1:-8,1:-8,b:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,9:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,9:-8,1:-8,1:-8,1:-8,1:-8,1:-8,c:-8,2:-8,2:-8,2:-8,9:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,1:-8,49:-8,1:-8,1:-4a,1:-4a,d:-56,1:-56,1:-56,1:-56,d:-8,1:-8,f:-8,1:-8,3:-7"),rv("df:00730073,51:00690307,19:02BC006E,a7:006A030C,18a:002003B9,16:03B903080301,20:03C503080301,1d7:05650582,190f:00680331,1:00740308,1:0077030A,1:0079030A,1:006102BE,b6:03C50313,2:03C503130300,2:03C503130301,2:03C503130342,2a:1F0003B9,1:1F0103B9,1:1F0203B9,1:1F0303B9,1:1F0403B9,1:1F0503B9,1:1F0603B9,1:1F0703B9,1:1F0003B9,1:1F0103B9,1:1F0203B9,1:1F0303B9,1:1F0403B9,1:1F0503B9,1:1F0603B9,1:1F0703B9,1:1F2003B9,1:1F2103B9,1:1F2203B9,1:1F2303B9,1:1F2403B9,1:1F2503B9,1:1F2603B9,1:1F2703B9,1:1F2003B9,1:1F2103B9,1:1F2203B9,1:1F2303B9,1:1F2403B9,1:1F2503B9,1:1F2603B9,1:1F2703B9,1:1F6003B9,1:1F6103B9,1:1F6203B9,1:1F6303B9,1:1F6403B9,1:1F6503B9,1:1F6603B9,1:1F6703B9,1:1F6003B9,1:1F6103B9,1:1F6203B9,1:1F6303B9,1:1F6403B9,1:1F6503B9,1:1F6603B9,1:1F6703B9,3:1F7003B9,1:03B103B9,1:03AC03B9,2:03B10342,1:03B1034203B9,5:03B103B9,6:1F7403B9,1:03B703B9,1:03AE03B9,2:03B70342,1:03B7034203B9,5:03B703B9,6:03B903080300,1:03B903080301,3:03B90342,1:03B903080342,b:03C503080300,1:03C503080301,1:03C10313,2:03C50342,1:03C503080342,b:1F7C03B9,1:03C903B9,1:03CE03B9,2:03C90342,1:03C9034203B9,5:03C903B9,ac:00720073,5b:00B00063,6:00B00066,d:006E006F,a:0073006D,1:00740065006C,1:0074006D,124f:006800700061,2:00610075,2:006F0076,b:00700061,1:006E0061,1:03BC0061,1:006D0061,1:006B0061,1:006B0062,1:006D0062,1:00670062,3:00700066,1:006E0066,1:03BC0066,4:0068007A,1:006B0068007A,1:006D0068007A,1:00670068007A,1:00740068007A,15:00700061,1:006B00700061,1:006D00700061,1:006700700061,8:00700076,1:006E0076,1:03BC0076,1:006D0076,1:006B0076,1:006D0076,1:00700077,1:006E0077,1:03BC0077,1:006D0077,1:006B0077,1:006D0077,1:006B03C9,1:006D03C9,2:00620071,3:00632215006B0067,1:0063006F002E,1:00640062,1:00670079,2:00680070,2:006B006B,1:006B006D,9:00700068,2:00700070006D,1:00700072,2:00730076,1:00770062,c723:00660066,1:00660069,1:0066006C,1:006600660069,1:00660066006C,1:00730074,1:00730074,d:05740576,1:05740565,1:0574056B,1:057E0576,1:0574056D",gk),Q7("80-20,2a0-,39c,32,f71,18e,7f2-f,19-7,30-4,7-5,f81-b,5,a800-20ff,4d1-1f,110,fa-6,d174-7,2e84-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,ffff-,2,1f-5f,ff7f-20001");var q_="hash/5.7.0";function mk(t){t=atob(t);let e=[];for(let r=0;r<t.length;r++)e.push(t.charCodeAt(r));return wr(e)}function $_(t,e){e==null&&(e=1);let r=[],i=r.forEach,n=function(s,a){i.call(s,function(u){a>0&&Array.isArray(u)?n(u,a-1):r.push(u)})};return n(t,e),r}function vk(t){let e={};for(let r=0;r<t.length;r++){let i=t[r];e[i[0]]=i[1]}return e}function bk(t){let e=0;function r(){return t[e++]<<8|t[e++]}let i=r(),n=1,s=[0,1];for(let H=1;H<i;H++)s.push(n+=r());let a=r(),u=e;e+=a;let h=0,f=0;function v(){return h==0&&(f=f<<8|t[e++],h=8),f>>--h&1}let w=31,I=Math.pow(2,w),M=I>>>1,P=M>>1,T=I-1,U=0;for(let H=0;H<w;H++)U=U<<1|v();let F=[],V=0,z=I;for(;;){let H=Math.floor(((U-V+1)*n-1)/z),ee=0,$=i;for(;$-ee>1;){let N=ee+$>>>1;H<s[N]?$=N:ee=N}if(ee==0)break;F.push(ee);let q=V+Math.floor(z*s[ee]/n),X=V+Math.floor(z*s[ee+1]/n)-1;for(;!((q^X)&M);)U=U<<1&T|v(),q=q<<1&T,X=X<<1&T|1;for(;q&~X&P;)U=U&M|U<<1&T>>>1|v(),q=q<<1^M,X=(X^M)<<1|M|1;V=q,z=1+X-q}let j=i-4;return F.map(H=>{switch(H-j){case 3:return j+65792+(t[u++]<<16|t[u++]<<8|t[u++]);case 2:return j+256+(t[u++]<<8|t[u++]);case 1:return j+t[u++];default:return H-1}})}function yk(t){let e=0;return()=>t[e++]}function wk(t){return yk(bk(t))}function _k(t){return t&1?~t>>1:t>>1}function xk(t,e){let r=Array(t);for(let i=0;i<t;i++)r[i]=1+e();return r}function X7(t,e){let r=Array(t);for(let i=0,n=-1;i<t;i++)r[i]=n+=1+e();return r}function Ek(t,e){let r=Array(t);for(let i=0,n=0;i<t;i++)r[i]=n+=_k(e());return r}function p0(t,e){let r=X7(t(),t),i=t(),n=X7(i,t),s=xk(i,t);for(let a=0;a<i;a++)for(let u=0;u<s[a];u++)r.push(n[a]+u);return e?r.map(a=>e[a]):r}function Ak(t){let e=[];for(;;){let r=t();if(r==0)break;e.push(Ik(r,t))}for(;;){let r=t()-1;if(r<0)break;e.push(Mk(r,t))}return vk($_(e))}function Sk(t){let e=[];for(;;){let r=t();if(r==0)break;e.push(r)}return e}function k_(t,e,r){let i=Array(t).fill(void 0).map(()=>[]);for(let n=0;n<e;n++)Ek(t,r).forEach((s,a)=>i[a].push(s));return i}function Ik(t,e){let r=1+e(),i=e(),n=Sk(e),s=k_(n.length,1+t,e);return $_(s.map((a,u)=>{let h=a[0],f=a.slice(1);return Array(n[u]).fill(void 0).map((v,w)=>{let I=w*i;return[h+w*r,f.map(M=>M+I)]})}))}function Mk(t,e){let r=1+e();return k_(r,1+t,e).map(i=>[i[0],i.slice(1)])}function Ck(t){let e=p0(t).sort((i,n)=>i-n);return r();function r(){let i=[];for(;;){let f=p0(t,e);if(f.length==0)break;i.push({set:new Set(f),node:r()})}i.sort((f,v)=>v.set.size-f.set.size);let n=t(),s=n%3;n=n/3|0;let a=!!(n&1);n>>=1;let u=n==1,h=n==2;return{branches:i,valid:s,fe0f:a,save:u,check:h}}}function Dk(){return wk(mk("AEQF2AO2DEsA2wIrAGsBRABxAN8AZwCcAEwAqgA0AGwAUgByADcATAAVAFYAIQAyACEAKAAYAFgAGwAjABQAMAAmADIAFAAfABQAKwATACoADgAbAA8AHQAYABoAGQAxADgALAAoADwAEwA9ABMAGgARAA4ADwAWABMAFgAIAA8AHgQXBYMA5BHJAS8JtAYoAe4AExozi0UAH21tAaMnBT8CrnIyhrMDhRgDygIBUAEHcoFHUPe8AXBjAewCjgDQR8IICIcEcQLwATXCDgzvHwBmBoHNAqsBdBcUAykgDhAMShskMgo8AY8jqAQfAUAfHw8BDw87MioGlCIPBwZCa4ELatMAAMspJVgsDl8AIhckSg8XAHdvTwBcIQEiDT4OPhUqbyECAEoAS34Aej8Ybx83JgT/Xw8gHxZ/7w8RICxPHA9vBw+Pfw8PHwAPFv+fAsAvCc8vEr8ivwD/EQ8Bol8OEBa/A78hrwAPCU8vESNvvwWfHwNfAVoDHr+ZAAED34YaAdJPAK7PLwSEgDLHAGo1Pz8Pvx9fUwMrpb8O/58VTzAPIBoXIyQJNF8hpwIVAT8YGAUADDNBaX3RAMomJCg9EhUeA29MABsZBTMNJipjOhc19gcIDR8bBwQHEggCWi6DIgLuAQYA+BAFCha3A5XiAEsqM7UFFgFLhAMjFTMYE1Klnw74nRVBG/ASCm0BYRN/BrsU3VoWy+S0vV8LQx+vN8gF2AC2AK5EAWwApgYDKmAAroQ0NDQ0AT+OCg7wAAIHRAbpNgVcBV0APTA5BfbPFgMLzcYL/QqqA82eBALKCjQCjqYCht0/k2+OAsXQAoP3ASTKDgDw6ACKAUYCMpIKJpRaAE4A5womABzZvs0REEKiACIQAd5QdAECAj4Ywg/wGqY2AVgAYADYvAoCGAEubA0gvAY2ALAAbpbvqpyEAGAEpgQAJgAG7gAgAEACmghUFwCqAMpAINQIwC4DthRAAPcycKgApoIdABwBfCisABoATwBqASIAvhnSBP8aH/ECeAKXAq40NjgDBTwFYQU6AXs3oABgAD4XNgmcCY1eCl5tIFZeUqGgyoNHABgAEQAaABNwWQAmABMATPMa3T34ADldyprmM1M2XociUQgLzvwAXT3xABgAEQAaABNwIGFAnADD8AAgAD4BBJWzaCcIAIEBFMAWwKoAAdq9BWAF5wLQpALEtQAKUSGkahR4GnJM+gsAwCgeFAiUAECQ0BQuL8AAIAAAADKeIheclvFqQAAETr4iAMxIARMgAMIoHhQIAn0E0pDQFC4HhznoAAAAIAI2C0/4lvFqQAAETgBJJwYCAy4ABgYAFAA8MBKYEH4eRhTkAjYeFcgACAYAeABsOqyQ5gRwDayqugEgaIIAtgoACgDmEABmBAWGme5OBJJA2m4cDeoAmITWAXwrMgOgAGwBCh6CBXYF1Tzg1wKAAFdiuABRAFwAXQBsAG8AdgBrAHYAbwCEAHEwfxQBVE5TEQADVFhTBwBDANILAqcCzgLTApQCrQL6vAAMAL8APLhNBKkE6glGKTAU4Dr4N2EYEwBCkABKk8rHAbYBmwIoAiU4Ajf/Aq4CowCAANIChzgaNBsCsTgeODcFXrgClQKdAqQBiQGYAqsCsjTsNHsfNPA0ixsAWTWiOAMFPDQSNCk2BDZHNow2TTZUNhk28Jk9VzI3QkEoAoICoQKwAqcAQAAxBV4FXbS9BW47YkIXP1ciUqs05DS/FwABUwJW11e6nHuYZmSh/RAYA8oMKvZ8KASoUAJYWAJ6ILAsAZSoqjpgA0ocBIhmDgDWAAawRDQoAAcuAj5iAHABZiR2AIgiHgCaAU68ACxuHAG0ygM8MiZIAlgBdF4GagJqAPZOHAMuBgoATkYAsABiAHgAMLoGDPj0HpKEBAAOJgAuALggTAHWAeAMEDbd20Uege0ADwAWADkAQgA9OHd+2MUQZBBhBgNNDkxxPxUQArEPqwvqERoM1irQ090ANK4H8ANYB/ADWANYB/AH8ANYB/ADWANYA1gDWBwP8B/YxRBkD00EcgWTBZAE2wiIJk4RhgctCNdUEnQjHEwDSgEBIypJITuYMxAlR0wRTQgIATZHbKx9PQNMMbBU+pCnA9AyVDlxBgMedhKlAC8PeCE1uk6DekxxpQpQT7NX9wBFBgASqwAS5gBJDSgAUCwGPQBI4zTYABNGAE2bAE3KAExdGABKaAbgAFBXAFCOAFBJABI2SWdObALDOq0//QomCZhvwHdTBkIQHCemEPgMNAG2ATwN7kvZBPIGPATKH34ZGg/OlZ0Ipi3eDO4m5C6igFsj9iqEBe5L9TzeC05RaQ9aC2YJ5DpkgU8DIgEOIowK3g06CG4Q9ArKbA3mEUYHOgPWSZsApgcCCxIdNhW2JhFirQsKOXgG/Br3C5AmsBMqev0F1BoiBk4BKhsAANAu6IWxWjJcHU9gBgQLJiPIFKlQIQ0mQLh4SRocBxYlqgKSQ3FKiFE3HpQh9zw+DWcuFFF9B/Y8BhlQC4I8n0asRQ8R0z6OPUkiSkwtBDaALDAnjAnQD4YMunxzAVoJIgmyDHITMhEYN8YIOgcaLpclJxYIIkaWYJsE+KAD9BPSAwwFQAlCBxQDthwuEy8VKgUOgSXYAvQ21i60ApBWgQEYBcwPJh/gEFFH4Q7qCJwCZgOEJewALhUiABginAhEZABgj9lTBi7MCMhqbSN1A2gU6GIRdAeSDlgHqBw0FcAc4nDJXgyGCSiksAlcAXYJmgFgBOQICjVcjKEgQmdUi1kYnCBiQUBd/QIyDGYVoES+h3kCjA9sEhwBNgF0BzoNAgJ4Ee4RbBCWCOyGBTW2M/k6JgRQIYQgEgooA1BszwsoJvoM+WoBpBJjAw00PnfvZ6xgtyUX/gcaMsZBYSHyC5NPzgydGsIYQ1QvGeUHwAP0GvQn60FYBgADpAQUOk4z7wS+C2oIjAlAAEoOpBgH2BhrCnKM0QEyjAG4mgNYkoQCcJAGOAcMAGgMiAV65gAeAqgIpAAGANADWAA6Aq4HngAaAIZCAT4DKDABIuYCkAOUCDLMAZYwAfQqBBzEDBYA+DhuSwLDsgKAa2ajBd5ZAo8CSjYBTiYEBk9IUgOwcuIA3ABMBhTgSAEWrEvMG+REAeBwLADIAPwABjYHBkIBzgH0bgC4AWALMgmjtLYBTuoqAIQAFmwB2AKKAN4ANgCA8gFUAE4FWvoF1AJQSgESMhksWGIBvAMgATQBDgB6BsyOpsoIIARuB9QCEBwV4gLvLwe2AgMi4BPOQsYCvd9WADIXUu5eZwqoCqdeaAC0YTQHMnM9UQAPH6k+yAdy/BZIiQImSwBQ5gBQQzSaNTFWSTYBpwGqKQK38AFtqwBI/wK37gK3rQK3sAK6280C0gK33AK3zxAAUEIAUD9SklKDArekArw5AEQAzAHCO147WTteO1k7XjtZO147WTteO1kDmChYI03AVU0oJqkKbV9GYewMpw3VRMk6ShPcYFJgMxPJLbgUwhXPJVcZPhq9JwYl5VUKDwUt1GYxCC00dhe9AEApaYNCY4ceMQpMHOhTklT5LRwAskujM7ANrRsWREEFSHXuYisWDwojAmSCAmJDXE6wXDchAqH4AmiZAmYKAp+FOBwMAmY8AmYnBG8EgAN/FAN+kzkHOXgYOYM6JCQCbB4CMjc4CwJtyAJtr/CLADRoRiwBaADfAOIASwYHmQyOAP8MwwAOtgJ3MAJ2o0ACeUxEAni7Hl3cRa9G9AJ8QAJ6yQJ9CgJ88UgBSH5kJQAsFklZSlwWGErNAtECAtDNSygDiFADh+dExpEzAvKiXQQDA69Lz0wuJgTQTU1NsAKLQAKK2cIcCB5EaAa4Ao44Ao5dQZiCAo7aAo5deVG1UzYLUtVUhgKT/AKTDQDqAB1VH1WwVdEHLBwplocy4nhnRTw6ApegAu+zWCKpAFomApaQApZ9nQCqWa1aCoJOADwClrYClk9cRVzSApnMApllXMtdCBoCnJw5wzqeApwXAp+cAp65iwAeEDIrEAKd8gKekwC2PmE1YfACntQCoG8BqgKeoCACnk+mY8lkKCYsAiewAiZ/AqD8AqBN2AKmMAKlzwKoAAB+AqfzaH1osgAESmodatICrOQCrK8CrWgCrQMCVx4CVd0CseLYAx9PbJgCsr4OArLpGGzhbWRtSWADJc4Ctl08QG6RAylGArhfArlIFgK5K3hwN3DiAr0aAy2zAzISAr6JcgMDM3ICvhtzI3NQAsPMAsMFc4N0TDZGdOEDPKgDPJsDPcACxX0CxkgCxhGKAshqUgLIRQLJUALJLwJkngLd03h6YniveSZL0QMYpGcDAmH1GfSVJXsMXpNevBICz2wCz20wTFTT9BSgAMeuAs90ASrrA04TfkwGAtwoAtuLAtJQA1JdA1NgAQIDVY2AikABzBfuYUZ2AILPg44C2sgC2d+EEYRKpz0DhqYAMANkD4ZyWvoAVgLfZgLeuXR4AuIw7RUB8zEoAfScAfLTiALr9ALpcXoAAur6AurlAPpIAboC7ooC652Wq5cEAu5AA4XhmHpw4XGiAvMEAGoDjheZlAL3FAORbwOSiAL3mQL52gL4Z5odmqy8OJsfA52EAv77ARwAOp8dn7QDBY4DpmsDptoA0sYDBmuhiaIGCgMMSgFgASACtgNGAJwEgLpoBgC8BGzAEowcggCEDC6kdjoAJAM0C5IKRoABZCgiAIzw3AYBLACkfng9ogigkgNmWAN6AEQCvrkEVqTGAwCsBRbAA+4iQkMCHR072jI2PTbUNsk2RjY5NvA23TZKNiU3EDcZN5I+RTxDRTBCJkK5VBYKFhZfwQCWygU3AJBRHpu+OytgNxa61A40GMsYjsn7BVwFXQVcBV0FaAVdBVwFXQVcBV0FXAVdBVwFXUsaCNyKAK4AAQUHBwKU7oICoW1e7jAEzgPxA+YDwgCkBFDAwADABKzAAOxFLhitA1UFTDeyPkM+bj51QkRCuwTQWWQ8X+0AWBYzsACNA8xwzAGm7EZ/QisoCTAbLDs6fnLfb8H2GccsbgFw13M1HAVkBW/Jxsm9CNRO8E8FDD0FBQw9FkcClOYCoMFegpDfADgcMiA2AJQACB8AsigKAIzIEAJKeBIApY5yPZQIAKQiHb4fvj5BKSRPQrZCOz0oXyxgOywfKAnGbgMClQaCAkILXgdeCD9IIGUgQj5fPoY+dT52Ao5CM0dAX9BTVG9SDzFwWTQAbxBzJF/lOEIQQglCCkKJIAls5AcClQICoKPMODEFxhi6KSAbiyfIRrMjtCgdWCAkPlFBIitCsEJRzAbMAV/OEyQzDg0OAQQEJ36i328/Mk9AybDJsQlq3tDRApUKAkFzXf1d/j9uALYP6hCoFgCTGD8kPsFKQiobrm0+zj0KSD8kPnVCRBwMDyJRTHFgMTJa5rwXQiQ2YfI/JD7BMEJEHGINTw4TOFlIRzwJO0icMQpyPyQ+wzJCRBv6DVgnKB01NgUKj2bwYzMqCoBkznBgEF+zYDIocwRIX+NgHj4HICNfh2C4CwdwFWpTG/lgUhYGAwRfv2Ts8mAaXzVgml/XYIJfuWC4HI1gUF9pYJZgMR6ilQHMAOwLAlDRefC0in4AXAEJA6PjCwc0IamOANMMCAECRQDFNRTZBgd+CwQlRA+r6+gLBDEFBnwUBXgKATIArwAGRAAHA3cDdAN2A3kDdwN9A3oDdQN7A30DfAN4A3oDfQAYEAAlAtYASwMAUAFsAHcKAHcAmgB3AHUAdQB2AHVu8UgAygDAAHcAdQB1AHYAdQALCgB3AAsAmgB3AAsCOwB3AAtu8UgAygDAAHgKAJoAdwB3AHUAdQB2AHUAeAB1AHUAdgB1bvFIAMoAwAALCgCaAHcACwB3AAsCOwB3AAtu8UgAygDAAH4ACwGgALcBpwC6AahdAu0COwLtbvFIAMoAwAALCgCaAu0ACwLtAAsCOwLtAAtu8UgAygDAA24ACwNvAAu0VsQAAzsAABCkjUIpAAsAUIusOggWcgMeBxVsGwL67U/2HlzmWOEeOgALASvuAAseAfpKUpnpGgYJDCIZM6YyARUE9ThqAD5iXQgnAJYJPnOzw0ZAEZxEKsIAkA4DhAHnTAIDxxUDK0lxCQlPYgIvIQVYJQBVqE1GakUAKGYiDToSBA1EtAYAXQJYAIF8GgMHRyAAIAjOe9YncekRAA0KACUrjwE7Ayc6AAYWAqaiKG4McEcqANoN3+Mg9TwCBhIkuCny+JwUQ29L008JluRxu3K+oAdqiHOqFH0AG5SUIfUJ5SxCGfxdipRzqTmT4V5Zb+r1Uo4Vm+NqSSEl2mNvR2JhIa8SpYO6ntdwFXHCWTCK8f2+Hxo7uiG3drDycAuKIMP5bhi06ACnqArH1rz4Rqg//lm6SgJGEVbF9xJHISaR6HxqxSnkw6shDnelHKNEfGUXSJRJ1GcsmtJw25xrZMDK9gXSm1/YMkdX4/6NKYOdtk/NQ3/NnDASjTc3fPjIjW/5sVfVObX2oTDWkr1dF9f3kxBsD3/3aQO8hPfRz+e0uEiJqt1161griu7gz8hDDwtpy+F+BWtefnKHZPAxcZoWbnznhJpy0e842j36bcNzGnIEusgGX0a8ZxsnjcSsPDZ09yZ36fCQbriHeQ72JRMILNl6ePPf2HWoVwgWAm1fb3V2sAY0+B6rAXqSwPBgseVmoqsBTSrm91+XasMYYySI8eeRxH3ZvHkMz3BQ5aJ3iUVbYPNM3/7emRtjlsMgv/9VyTsyt/mK+8fgWeT6SoFaclXqn42dAIsvAarF5vNNWHzKSkKQ/8Hfk5ZWK7r9yliOsooyBjRhfkHP4Q2DkWXQi6FG/9r/IwbmkV5T7JSopHKn1pJwm9tb5Ot0oyN1Z2mPpKXHTxx2nlK08fKk1hEYA8WgVVWL5lgx0iTv+KdojJeU23ZDjmiubXOxVXJKKi2Wjuh2HLZOFLiSC7Tls5SMh4f+Pj6xUSrNjFqLGehRNB8lC0QSLNmkJJx/wSG3MnjE9T1CkPwJI0wH2lfzwETIiVqUxg0dfu5q39Gt+hwdcxkhhNvQ4TyrBceof3Mhs/IxFci1HmHr4FMZgXEEczPiGCx0HRwzAqDq2j9AVm1kwN0mRVLWLylgtoPNapF5cY4Y1wJh/e0BBwZj44YgZrDNqvD/9Hv7GFYdUQeDJuQ3EWI4HaKqavU1XjC/n41kT4L79kqGq0kLhdTZvgP3TA3fS0ozVz+5piZsoOtIvBUFoMKbNcmBL6YxxaUAusHB38XrS8dQMnQwJfUUkpRoGr5AUeWicvBTzyK9g77+yCkf5PAysL7r/JjcZgrbvRpMW9iyaxZvKO6ceZN2EwIxKwVFPuvFuiEPGCoagbMo+SpydLrXqBzNCDGFCrO/rkcwa2xhokQZ5CdZ0AsU3JfSqJ6n5I14YA+P/uAgfhPU84Tlw7cEFfp7AEE8ey4sP12PTt4Cods1GRgDOB5xvyiR5m+Bx8O5nBCNctU8BevfV5A08x6RHd5jcwPTMDSZJOedIZ1cGQ704lxbAzqZOP05ZxaOghzSdvFBHYqomATARyAADK4elP8Ly3IrUZKfWh23Xy20uBUmLS4Pfagu9+oyVa2iPgqRP3F2CTUsvJ7+RYnN8fFZbU/HVvxvcFFDKkiTqV5UBZ3Gz54JAKByi9hkKMZJvuGgcSYXFmw08UyoQyVdfTD1/dMkCHXcTGAKeROgArsvmRrQTLUOXioOHGK2QkjHuoYFgXciZoTJd6Fs5q1QX1G+p/e26hYsEf7QZD1nnIyl/SFkNtYYmmBhpBrxl9WbY0YpHWRuw2Ll/tj9mD8P4snVzJl4F9J+1arVeTb9E5r2ILH04qStjxQNwn3m4YNqxmaNbLAqW2TN6LidwuJRqS+NXbtqxoeDXpxeGWmxzSkWxjkyCkX4NQRme6q5SAcC+M7+9ETfA/EwrzQajKakCwYyeunP6ZFlxU2oMEn1Pz31zeStW74G406ZJFCl1wAXIoUKkWotYEpOuXB1uVNxJ63dpJEqfxBeptwIHNrPz8BllZoIcBoXwgfJ+8VAUnVPvRvexnw0Ma/WiGYuJO5y8QTvEYBigFmhUxY5RqzE8OcywN/8m4UYrlaniJO75XQ6KSo9+tWHlu+hMi0UVdiKQp7NelnoZUzNaIyBPVeOwK6GNp+FfHuPOoyhaWuNvTYFkvxscMQWDh+zeFCFkgwbXftiV23ywJ4+uwRqmg9k3KzwIQpzppt8DBBOMbrqwQM5Gb05sEwdKzMiAqOloaA/lr0KA+1pr0/+HiWoiIjHA/wir2nIuS3PeU/ji3O6ZwoxcR1SZ9FhtLC5S0FIzFhbBWcGVP/KpxOPSiUoAdWUpqKH++6Scz507iCcxYI6rdMBICPJZea7OcmeFw5mObJSiqpjg2UoWNIs+cFhyDSt6geV5qgi3FunmwwDoGSMgerFOZGX1m0dMCYo5XOruxO063dwENK9DbnVM9wYFREzh4vyU1WYYJ/LRRp6oxgjqP/X5a8/4Af6p6NWkQferzBmXme0zY/4nwMJm/wd1tIqSwGz+E3xPEAOoZlJit3XddD7/BT1pllzOx+8bmQtANQ/S6fZexc6qi3W+Q2xcmXTUhuS5mpHQRvcxZUN0S5+PL9lXWUAaRZhEH8hTdAcuNMMCuVNKTEGtSUKNi3O6KhSaTzck8csZ2vWRZ+d7mW8c4IKwXIYd25S/zIftPkwPzufjEvOHWVD1m+FjpDVUTV0DGDuHj6QnaEwLu/dEgdLQOg9E1Sro9XHJ8ykLAwtPu+pxqKDuFexqON1sKQm7rwbE1E68UCfA/erovrTCG+DBSNg0l4goDQvZN6uNlbyLpcZAwj2UclycvLpIZMgv4yRlpb3YuMftozorbcGVHt/VeDV3+Fdf1TP0iuaCsPi2G4XeGhsyF1ubVDxkoJhmniQ0/jSg/eYML9KLfnCFgISWkp91eauR3IQvED0nAPXK+6hPCYs+n3+hCZbiskmVMG2da+0EsZPonUeIY8EbfusQXjsK/eFDaosbPjEfQS0RKG7yj5GG69M7MeO1HmiUYocgygJHL6M1qzUDDwUSmr99V7Sdr2F3JjQAJY+F0yH33Iv3+C9M38eML7gTgmNu/r2bUMiPvpYbZ6v1/IaESirBHNa7mPKn4dEmYg7v/+HQgPN1G79jBQ1+soydfDC2r+h2Bl/KIc5KjMK7OH6nb1jLsNf0EHVe2KBiE51ox636uyG6Lho0t3J34L5QY/ilE3mikaF4HKXG1mG1rCevT1Vv6GavltxoQe/bMrpZvRggnBxSEPEeEzkEdOxTnPXHVjUYdw8JYvjB/o7Eegc3Ma+NUxLLnsK0kJlinPmUHzHGtrk5+CAbVzFOBqpyy3QVUnzTDfC/0XD94/okH+OB+i7g9lolhWIjSnfIb+Eq43ZXOWmwvjyV/qqD+t0e+7mTEM74qP/Ozt8nmC7mRpyu63OB4KnUzFc074SqoyPUAgM+/TJGFo6T44EHnQU4X4z6qannVqgw/U7zCpwcmXV1AubIrvOmkKHazJAR55ePjp5tLBsN8vAqs3NAHdcEHOR2xQ0lsNAFzSUuxFQCFYvXLZJdOj9p4fNq6p0HBGUik2YzaI4xySy91KzhQ0+q1hjxvImRwPRf76tChlRkhRCi74NXZ9qUNeIwP+s5p+3m5nwPdNOHgSLD79n7O9m1n1uDHiMntq4nkYwV5OZ1ENbXxFd4PgrlvavZsyUO4MqYlqqn1O8W/I1dEZq5dXhrbETLaZIbC2Kj/Aa/QM+fqUOHdf0tXAQ1huZ3cmWECWSXy/43j35+Mvq9xws7JKseriZ1pEWKc8qlzNrGPUGcVgOa9cPJYIJsGnJTAUsEcDOEVULO5x0rXBijc1lgXEzQQKhROf8zIV82w8eswc78YX11KYLWQRcgHNJElBxfXr72lS2RBSl07qTKorO2uUDZr3sFhYsvnhLZn0A94KRzJ/7DEGIAhW5ZWFpL8gEwu1aLA9MuWZzNwl8Oze9Y+bX+v9gywRVnoB5I/8kXTXU3141yRLYrIOOz6SOnyHNy4SieqzkBXharjfjqq1q6tklaEbA8Qfm2DaIPs7OTq/nvJBjKfO2H9bH2cCMh1+5gspfycu8f/cuuRmtDjyqZ7uCIMyjdV3a+p3fqmXsRx4C8lujezIFHnQiVTXLXuI1XrwN3+siYYj2HHTvESUx8DlOTXpak9qFRK+L3mgJ1WsD7F4cu1aJoFoYQnu+wGDMOjJM3kiBQWHCcvhJ/HRdxodOQp45YZaOTA22Nb4XKCVxqkbwMYFhzYQYIAnCW8FW14uf98jhUG2zrKhQQ0q0CEq0t5nXyvUyvR8DvD69LU+g3i+HFWQMQ8PqZuHD+sNKAV0+M6EJC0szq7rEr7B5bQ8BcNHzvDMc9eqB5ZCQdTf80Obn4uzjwpYU7SISdtV0QGa9D3Wrh2BDQtpBKxaNFV+/Cy2P/Sv+8s7Ud0Fd74X4+o/TNztWgETUapy+majNQ68Lq3ee0ZO48VEbTZYiH1Co4OlfWef82RWeyUXo7woM03PyapGfikTnQinoNq5z5veLpeMV3HCAMTaZmA1oGLAn7XS3XYsz+XK7VMQsc4XKrmDXOLU/pSXVNUq8dIqTba///3x6LiLS6xs1xuCAYSfcQ3+rQgmu7uvf3THKt5Ooo97TqcbRqxx7EASizaQCBQllG/rYxVapMLgtLbZS64w1MDBMXX+PQpBKNwqUKOf2DDRDUXQf9EhOS0Qj4nTmlA8dzSLz/G1d+Ud8MTy/6ghhdiLpeerGY/UlDOfiuqFsMUU5/UYlP+BAmgRLuNpvrUaLlVkrqDievNVEAwF+4CoM1MZTmjxjJMsKJq+u8Zd7tNCUFy6LiyYXRJQ4VyvEQFFaCGKsxIwQkk7EzZ6LTJq2hUuPhvAW+gQnSG6J+MszC+7QCRHcnqDdyNRJ6T9xyS87A6MDutbzKGvGktpbXqtzWtXb9HsfK2cBMomjN9a4y+TaJLnXxAeX/HWzmf4cR4vALt/P4w4qgKY04ml4ZdLOinFYS6cup3G/1ie4+t1eOnpBNlqGqs75ilzkT4+DsZQxNvaSKJ//6zIbbk/M7LOhFmRc/1R+kBtz7JFGdZm/COotIdvQoXpTqP/1uqEUmCb/QWoGLMwO5ANcHzxdY48IGP5+J+zKOTBFZ4Pid+GTM+Wq12MV/H86xEJptBa6T+p3kgpwLedManBHC2GgNrFpoN2xnrMz9WFWX/8/ygSBkavq2Uv7FdCsLEYLu9LLIvAU0bNRDtzYl+/vXmjpIvuJFYjmI0im6QEYqnIeMsNjXG4vIutIGHijeAG/9EDBozKV5cldkHbLxHh25vT+ZEzbhXlqvpzKJwcEgfNwLAKFeo0/pvEE10XDB+EXRTXtSzJozQKFFAJhMxYkVaCW+E9AL7tMeU8acxidHqzb6lX4691UsDpy/LLRmT+epgW56+5Cw8tB4kMUv6s9lh3eRKbyGs+H/4mQMaYzPTf2OOdokEn+zzgvoD3FqNKk8QqGAXVsqcGdXrT62fSPkR2vROFi68A6se86UxRUk4cajfPyCC4G5wDhD+zNq4jodQ4u4n/m37Lr36n4LIAAsVr02dFi9AiwA81MYs2rm4eDlDNmdMRvEKRHfBwW5DdMNp0jPFZMeARqF/wL4XBfd+EMLBfMzpH5GH6NaW+1vrvMdg+VxDzatk3MXgO3ro3P/DpcC6+Mo4MySJhKJhSR01SGGGp5hPWmrrUgrv3lDnP+HhcI3nt3YqBoVAVTBAQT5iuhTg8nvPtd8ZeYj6w1x6RqGUBrSku7+N1+BaasZvjTk64RoIDlL8brpEcJx3OmY7jLoZsswdtmhfC/G21llXhITOwmvRDDeTTPbyASOa16cF5/A1fZAidJpqju3wYAy9avPR1ya6eNp9K8XYrrtuxlqi+bDKwlfrYdR0RRiKRVTLOH85+ZY7XSmzRpfZBJjaTa81VDcJHpZnZnSQLASGYW9l51ZV/h7eVzTi3Hv6hUsgc/51AqJRTkpbFVLXXszoBL8nBX0u/0jBLT8nH+fJePbrwURT58OY+UieRjd1vs04w0VG5VN2U6MoGZkQzKN/ptz0Q366dxoTGmj7i1NQGHi9GgnquXFYdrCfZBmeb7s0T6yrdlZH5cZuwHFyIJ/kAtGsTg0xH5taAAq44BAk1CPk9KVVbqQzrCUiFdF/6gtlPQ8bHHc1G1W92MXGZ5HEHftyLYs8mbD/9xYRUWkHmlM0zC2ilJlnNgV4bfALpQghxOUoZL7VTqtCHIaQSXm+YUMnpkXybnV+A6xlm2CVy8fn0Xlm2XRa0+zzOa21JWWmixfiPMSCZ7qA4rS93VN3pkpF1s5TonQjisHf7iU9ZGvUPOAKZcR1pbeVf/Ul7OhepGCaId9wOtqo7pJ7yLcBZ0pFkOF28y4zEI/kcUNmutBHaQpBdNM8vjCS6HZRokkeo88TBAjGyG7SR+6vUgTcyK9Imalj0kuxz0wmK+byQU11AiJFk/ya5dNduRClcnU64yGu/ieWSeOos1t3ep+RPIWQ2pyTYVbZltTbsb7NiwSi3AV+8KLWk7LxCnfZUetEM8ThnsSoGH38/nyAwFguJp8FjvlHtcWZuU4hPva0rHfr0UhOOJ/F6vS62FW7KzkmRll2HEc7oUq4fyi5T70Vl7YVIfsPHUCdHesf9Lk7WNVWO75JDkYbMI8TOW8JKVtLY9d6UJRITO8oKo0xS+o99Yy04iniGHAaGj88kEWgwv0OrHdY/nr76DOGNS59hXCGXzTKUvDl9iKpLSWYN1lxIeyywdNpTkhay74w2jFT6NS8qkjo5CxA1yfSYwp6AJIZNKIeEK5PJAW7ORgWgwp0VgzYpqovMrWxbu+DGZ6Lhie1RAqpzm8VUzKJOH3mCzWuTOLsN3VT/dv2eeYe9UjbR8YTBsLz7q60VN1sU51k+um1f8JxD5pPhbhSC8rRaB454tmh6YUWrJI3+GWY0qeWioj/tbkYITOkJaeuGt4JrJvHA+l0Gu7kY7XOaa05alMnRWVCXqFgLIwSY4uF59Ue5SU4QKuc/HamDxbr0x6csCetXGoP7Qn1Bk/J9DsynO/UD6iZ1Hyrz+jit0hDCwi/E9OjgKTbB3ZQKQ/0ZOvevfNHG0NK4Aj3Cp7NpRk07RT1i/S0EL93Ag8GRgKI9CfpajKyK6+Jj/PI1KO5/85VAwz2AwzP8FTBb075IxCXv6T9RVvWT2tUaqxDS92zrGUbWzUYk9mSs82pECH+fkqsDt93VW++4YsR/dHCYcQSYTO/KaBMDj9LSD/J/+z20Kq8XvZUAIHtm9hRPP3ItbuAu2Hm5lkPs92pd7kCxgRs0xOVBnZ13ccdA0aunrwv9SdqElJRC3g+oCu+nXyCgmXUs9yMjTMAIHfxZV+aPKcZeUBWt057Xo85Ks1Ir5gzEHCWqZEhrLZMuF11ziGtFQUds/EESajhagzcKsxamcSZxGth4UII+adPhQkUnx2WyN+4YWR+r3f8MnkyGFuR4zjzxJS8WsQYR5PTyRaD9ixa6Mh741nBHbzfjXHskGDq179xaRNrCIB1z1xRfWfjqw2pHc1zk9xlPpL8sQWAIuETZZhbnmL54rceXVNRvUiKrrqIkeogsl0XXb17ylNb0f4GA9Wd44vffEG8FSZGHEL2fbaTGRcSiCeA8PmA/f6Hz8HCS76fXUHwgwkzSwlI71ekZ7Fapmlk/KC+Hs8hUcw3N2LN5LhkVYyizYFl/uPeVP5lsoJHhhfWvvSWruCUW1ZcJOeuTbrDgywJ/qG07gZJplnTvLcYdNaH0KMYOYMGX+rB4NGPFmQsNaIwlWrfCezxre8zXBrsMT+edVLbLqN1BqB76JH4BvZTqUIMfGwPGEn+EnmTV86fPBaYbFL3DFEhjB45CewkXEAtJxk4/Ms2pPXnaRqdky0HOYdcUcE2zcXq4vaIvW2/v0nHFJH2XXe22ueDmq/18XGtELSq85j9X8q0tcNSSKJIX8FTuJF/Pf8j5PhqG2u+osvsLxYrvvfeVJL+4tkcXcr9JV7v0ERmj/X6fM3NC4j6dS1+9Umr2oPavqiAydTZPLMNRGY23LO9zAVDly7jD+70G5TPPLdhRIl4WxcYjLnM+SNcJ26FOrkrISUtPObIz5Zb3AG612krnpy15RMW+1cQjlnWFI6538qky9axd2oJmHIHP08KyP0ubGO+TQNOYuv2uh17yCIvR8VcStw7o1g0NM60sk+8Tq7YfIBJrtp53GkvzXH7OA0p8/n/u1satf/VJhtR1l8Wa6Gmaug7haSpaCaYQax6ta0mkutlb+eAOSG1aobM81D9A4iS1RRlzBBoVX6tU1S6WE2N9ORY6DfeLRC4l9Rvr5h95XDWB2mR1d4WFudpsgVYwiTwT31ljskD8ZyDOlm5DkGh9N/UB/0AI5Xvb8ZBmai2hQ4BWMqFwYnzxwB26YHSOv9WgY3JXnvoN+2R4rqGVh/LLDMtpFP+SpMGJNWvbIl5SOodbCczW2RKleksPoUeGEzrjtKHVdtZA+kfqO+rVx/iclCqwoopepvJpSTDjT+b9GWylGRF8EDbGlw6eUzmJM95Ovoz+kwLX3c2fTjFeYEsE7vUZm3mqdGJuKh2w9/QGSaqRHs99aScGOdDqkFcACoqdbBoQqqjamhH6Q9ng39JCg3lrGJwd50Qk9ovnqBTr8MME7Ps2wiVfygUmPoUBJJfJWX5Nda0nuncbFkA=="))}var i0=Dk();new Set(p0(i0)),new Set(p0(i0)),Ak(i0),Ck(i0),new ur(q_);var Pk=new Uint8Array(32);Pk.fill(0);var Ok=`Ethereum Signed Message:
+`;function j_(t){return typeof t=="string"&&(t=tv(t)),Sv(ik([tv(Ok),tv(String(t.length)),t]))}var Rk="rlp/5.7.0";new ur(Rk);var Tk="address/5.7.0",of=new ur(Tk);function Z7(t){Yi(t,20)||of.throwArgumentError("invalid address","address",t),t=t.toLowerCase();let e=t.substring(2).split(""),r=new Uint8Array(40);for(let n=0;n<40;n++)r[n]=e[n].charCodeAt(0);let i=wr(Sv(r));for(let n=0;n<40;n+=2)i[n>>1]>>4>=8&&(e[n]=e[n].toUpperCase()),(i[n>>1]&15)>=8&&(e[n+1]=e[n+1].toUpperCase());return"0x"+e.join("")}var Nk=9007199254740991;function Lk(t){return Math.log10?Math.log10(t):Math.log(t)/Math.LN10}var Mv={};for(let t=0;t<10;t++)Mv[String(t)]=String(t);for(let t=0;t<26;t++)Mv[String.fromCharCode(65+t)]=String(10+t);var e_=Math.floor(Lk(Nk));function Bk(t){t=t.toUpperCase(),t=t.substring(4)+t.substring(0,2)+"00";let e=t.split("").map(i=>Mv[i]).join("");for(;e.length>=e_;){let i=e.substring(0,e_);e=parseInt(i,10)%97+e.substring(i.length)}let r=String(98-parseInt(e,10)%97);for(;r.length<2;)r="0"+r;return r}function Uk(t){let e=null;if(typeof t!="string"&&of.throwArgumentError("invalid address","address",t),t.match(/^(0x)?[0-9a-fA-F]{40}$/))t.substring(0,2)!=="0x"&&(t="0x"+t),e=Z7(t),t.match(/([A-F].*[a-f])|([a-f].*[A-F])/)&&e!==t&&of.throwArgumentError("bad address checksum","address",t);else if(t.match(/^XE[0-9]{2}[0-9A-Za-z]{30,31}$/)){for(t.substring(2,4)!==Bk(t)&&of.throwArgumentError("bad icap checksum","address",t),e=lk(t.substring(4));e.length<40;)e="0"+e;e=Z7("0x"+e)}else of.throwArgumentError("invalid address","address",t);return e}var Fk="properties/5.7.0";new ur(Fk);function rf(t,e,r){Object.defineProperty(t,e,{enumerable:!0,value:r,writable:!1})}new ur(q_);var qk=new Uint8Array(32);qk.fill(0),Gr.from(-1);var $k=Gr.from(0),kk=Gr.from(1);Gr.from("0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff"),bs(kk.toHexString(),32),bs($k.toHexString(),32);var ds={},nt={},bf=z_;function z_(t,e){if(!t)throw new Error(e||"Assertion failed")}z_.equal=function(t,e,r){if(t!=e)throw new Error(r||"Assertion failed: "+t+" != "+e)};var dv={exports:{}};typeof Object.create=="function"?dv.exports=function(t,e){e&&(t.super_=e,t.prototype=Object.create(e.prototype,{constructor:{value:t,enumerable:!1,writable:!0,configurable:!0}}))}:dv.exports=function(t,e){if(e){t.super_=e;var r=function(){};r.prototype=e.prototype,t.prototype=new r,t.prototype.constructor=t}};var jk=bf,zk=dv.exports;nt.inherits=zk;function Hk(t,e){return(t.charCodeAt(e)&64512)!==55296||e<0||e+1>=t.length?!1:(t.charCodeAt(e+1)&64512)===56320}function Kk(t,e){if(Array.isArray(t))return t.slice();if(!t)return[];var r=[];if(typeof t=="string")if(e){if(e==="hex")for(t=t.replace(/[^a-z0-9]+/ig,""),t.length%2!==0&&(t="0"+t),n=0;n<t.length;n+=2)r.push(parseInt(t[n]+t[n+1],16))}else for(var i=0,n=0;n<t.length;n++){var s=t.charCodeAt(n);s<128?r[i++]=s:s<2048?(r[i++]=s>>6|192,r[i++]=s&63|128):Hk(t,n)?(s=65536+((s&1023)<<10)+(t.charCodeAt(++n)&1023),r[i++]=s>>18|240,r[i++]=s>>12&63|128,r[i++]=s>>6&63|128,r[i++]=s&63|128):(r[i++]=s>>12|224,r[i++]=s>>6&63|128,r[i++]=s&63|128)}else for(n=0;n<t.length;n++)r[n]=t[n]|0;return r}nt.toArray=Kk;function Vk(t){for(var e="",r=0;r<t.length;r++)e+=K_(t[r].toString(16));return e}nt.toHex=Vk;function H_(t){var e=t>>>24|t>>>8&65280|t<<8&16711680|(t&255)<<24;return e>>>0}nt.htonl=H_;function Wk(t,e){for(var r="",i=0;i<t.length;i++){var n=t[i];e==="little"&&(n=H_(n)),r+=V_(n.toString(16))}return r}nt.toHex32=Wk;function K_(t){return t.length===1?"0"+t:t}nt.zero2=K_;function V_(t){return t.length===7?"0"+t:t.length===6?"00"+t:t.length===5?"000"+t:t.length===4?"0000"+t:t.length===3?"00000"+t:t.length===2?"000000"+t:t.length===1?"0000000"+t:t}nt.zero8=V_;function Gk(t,e,r,i){var n=r-e;jk(n%4===0);for(var s=new Array(n/4),a=0,u=e;a<s.length;a++,u+=4){var h;i==="big"?h=t[u]<<24|t[u+1]<<16|t[u+2]<<8|t[u+3]:h=t[u+3]<<24|t[u+2]<<16|t[u+1]<<8|t[u],s[a]=h>>>0}return s}nt.join32=Gk;function Jk(t,e){for(var r=new Array(t.length*4),i=0,n=0;i<t.length;i++,n+=4){var s=t[i];e==="big"?(r[n]=s>>>24,r[n+1]=s>>>16&255,r[n+2]=s>>>8&255,r[n+3]=s&255):(r[n+3]=s>>>24,r[n+2]=s>>>16&255,r[n+1]=s>>>8&255,r[n]=s&255)}return r}nt.split32=Jk;function Yk(t,e){return t>>>e|t<<32-e}nt.rotr32=Yk;function Qk(t,e){return t<<e|t>>>32-e}nt.rotl32=Qk;function Xk(t,e){return t+e>>>0}nt.sum32=Xk;function Zk(t,e,r){return t+e+r>>>0}nt.sum32_3=Zk;function ej(t,e,r,i){return t+e+r+i>>>0}nt.sum32_4=ej;function tj(t,e,r,i,n){return t+e+r+i+n>>>0}nt.sum32_5=tj;function rj(t,e,r,i){var n=t[e],s=t[e+1],a=i+s>>>0,u=(a<i?1:0)+r+n;t[e]=u>>>0,t[e+1]=a}nt.sum64=rj;function ij(t,e,r,i){var n=e+i>>>0,s=(n<e?1:0)+t+r;return s>>>0}nt.sum64_hi=ij;function nj(t,e,r,i){var n=e+i;return n>>>0}nt.sum64_lo=nj;function sj(t,e,r,i,n,s,a,u){var h=0,f=e;f=f+i>>>0,h+=f<e?1:0,f=f+s>>>0,h+=f<s?1:0,f=f+u>>>0,h+=f<u?1:0;var v=t+r+n+a+h;return v>>>0}nt.sum64_4_hi=sj;function oj(t,e,r,i,n,s,a,u){var h=e+i+s+u;return h>>>0}nt.sum64_4_lo=oj;function aj(t,e,r,i,n,s,a,u,h,f){var v=0,w=e;w=w+i>>>0,v+=w<e?1:0,w=w+s>>>0,v+=w<s?1:0,w=w+u>>>0,v+=w<u?1:0,w=w+f>>>0,v+=w<f?1:0;var I=t+r+n+a+h+v;return I>>>0}nt.sum64_5_hi=aj;function cj(t,e,r,i,n,s,a,u,h,f){var v=e+i+s+u+f;return v>>>0}nt.sum64_5_lo=cj;function uj(t,e,r){var i=e<<32-r|t>>>r;return i>>>0}nt.rotr64_hi=uj;function lj(t,e,r){var i=t<<32-r|e>>>r;return i>>>0}nt.rotr64_lo=lj;function fj(t,e,r){return t>>>r}nt.shr64_hi=fj;function hj(t,e,r){var i=t<<32-r|e>>>r;return i>>>0}nt.shr64_lo=hj;var Pu={},t_=nt,dj=bf;function n0(){this.pending=null,this.pendingTotal=0,this.blockSize=this.constructor.blockSize,this.outSize=this.constructor.outSize,this.hmacStrength=this.constructor.hmacStrength,this.padLength=this.constructor.padLength/8,this.endian="big",this._delta8=this.blockSize/8,this._delta32=this.blockSize/32}Pu.BlockHash=n0,n0.prototype.update=function(t,e){if(t=t_.toArray(t,e),this.pending?this.pending=this.pending.concat(t):this.pending=t,this.pendingTotal+=t.length,this.pending.length>=this._delta8){t=this.pending;var r=t.length%this._delta8;this.pending=t.slice(t.length-r,t.length),this.pending.length===0&&(this.pending=null),t=t_.join32(t,0,t.length-r,this.endian);for(var i=0;i<t.length;i+=this._delta32)this._update(t,i,i+this._delta32)}return this},n0.prototype.digest=function(t){return this.update(this._pad()),dj(this.pending===null),this._digest(t)},n0.prototype._pad=function(){var t=this.pendingTotal,e=this._delta8,r=e-(t+this.padLength)%e,i=new Array(r+this.padLength);i[0]=128;for(var n=1;n<r;n++)i[n]=0;if(t<<=3,this.endian==="big"){for(var s=8;s<this.padLength;s++)i[n++]=0;i[n++]=0,i[n++]=0,i[n++]=0,i[n++]=0,i[n++]=t>>>24&255,i[n++]=t>>>16&255,i[n++]=t>>>8&255,i[n++]=t&255}else for(i[n++]=t&255,i[n++]=t>>>8&255,i[n++]=t>>>16&255,i[n++]=t>>>24&255,i[n++]=0,i[n++]=0,i[n++]=0,i[n++]=0,s=8;s<this.padLength;s++)i[n++]=0;return i};var wu={},Es={},pj=nt,ys=pj.rotr32;function gj(t,e,r,i){if(t===0)return W_(e,r,i);if(t===1||t===3)return J_(e,r,i);if(t===2)return G_(e,r,i)}Es.ft_1=gj;function W_(t,e,r){return t&e^~t&r}Es.ch32=W_;function G_(t,e,r){return t&e^t&r^e&r}Es.maj32=G_;function J_(t,e,r){return t^e^r}Es.p32=J_;function mj(t){return ys(t,2)^ys(t,13)^ys(t,22)}Es.s0_256=mj;function vj(t){return ys(t,6)^ys(t,11)^ys(t,25)}Es.s1_256=vj;function bj(t){return ys(t,7)^ys(t,18)^t>>>3}Es.g0_256=bj;function yj(t){return ys(t,17)^ys(t,19)^t>>>10}Es.g1_256=yj;var Au=nt,wj=Pu,_j=Es,iv=Au.rotl32,nf=Au.sum32,xj=Au.sum32_5,Ej=_j.ft_1,Y_=wj.BlockHash,Aj=[1518500249,1859775393,2400959708,3395469782];function gs(){if(!(this instanceof gs))return new gs;Y_.call(this),this.h=[1732584193,4023233417,2562383102,271733878,3285377520],this.W=new Array(80)}Au.inherits(gs,Y_);var Sj=gs;gs.blockSize=512,gs.outSize=160,gs.hmacStrength=80,gs.padLength=64,gs.prototype._update=function(t,e){for(var r=this.W,i=0;i<16;i++)r[i]=t[e+i];for(;i<r.length;i++)r[i]=iv(r[i-3]^r[i-8]^r[i-14]^r[i-16],1);var n=this.h[0],s=this.h[1],a=this.h[2],u=this.h[3],h=this.h[4];for(i=0;i<r.length;i++){var f=~~(i/20),v=xj(iv(n,5),Ej(f,s,a,u),h,r[i],Aj[f]);h=u,u=a,a=iv(s,30),s=n,n=v}this.h[0]=nf(this.h[0],n),this.h[1]=nf(this.h[1],s),this.h[2]=nf(this.h[2],a),this.h[3]=nf(this.h[3],u),this.h[4]=nf(this.h[4],h)},gs.prototype._digest=function(t){return t==="hex"?Au.toHex32(this.h,"big"):Au.split32(this.h,"big")};var Su=nt,Ij=Pu,Ou=Es,Mj=bf,Bn=Su.sum32,Cj=Su.sum32_4,Dj=Su.sum32_5,Pj=Ou.ch32,Oj=Ou.maj32,Rj=Ou.s0_256,Tj=Ou.s1_256,Nj=Ou.g0_256,Lj=Ou.g1_256,Q_=Ij.BlockHash,Bj=[1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298];function ms(){if(!(this instanceof ms))return new ms;Q_.call(this),this.h=[1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225],this.k=Bj,this.W=new Array(64)}Su.inherits(ms,Q_);var X_=ms;ms.blockSize=512,ms.outSize=256,ms.hmacStrength=192,ms.padLength=64,ms.prototype._update=function(t,e){for(var r=this.W,i=0;i<16;i++)r[i]=t[e+i];for(;i<r.length;i++)r[i]=Cj(Lj(r[i-2]),r[i-7],Nj(r[i-15]),r[i-16]);var n=this.h[0],s=this.h[1],a=this.h[2],u=this.h[3],h=this.h[4],f=this.h[5],v=this.h[6],w=this.h[7];for(Mj(this.k.length===r.length),i=0;i<r.length;i++){var I=Dj(w,Tj(h),Pj(h,f,v),this.k[i],r[i]),M=Bn(Rj(n),Oj(n,s,a));w=v,v=f,f=h,h=Bn(u,I),u=a,a=s,s=n,n=Bn(I,M)}this.h[0]=Bn(this.h[0],n),this.h[1]=Bn(this.h[1],s),this.h[2]=Bn(this.h[2],a),this.h[3]=Bn(this.h[3],u),this.h[4]=Bn(this.h[4],h),this.h[5]=Bn(this.h[5],f),this.h[6]=Bn(this.h[6],v),this.h[7]=Bn(this.h[7],w)},ms.prototype._digest=function(t){return t==="hex"?Su.toHex32(this.h,"big"):Su.split32(this.h,"big")};var pv=nt,Z_=X_;function ho(){if(!(this instanceof ho))return new ho;Z_.call(this),this.h=[3238371032,914150663,812702999,4144912697,4290775857,1750603025,1694076839,3204075428]}pv.inherits(ho,Z_);var Uj=ho;ho.blockSize=512,ho.outSize=224,ho.hmacStrength=192,ho.padLength=64,ho.prototype._digest=function(t){return t==="hex"?pv.toHex32(this.h.slice(0,7),"big"):pv.split32(this.h.slice(0,7),"big")};var qi=nt,Fj=Pu,qj=bf,ws=qi.rotr64_hi,_s=qi.rotr64_lo,e9=qi.shr64_hi,t9=qi.shr64_lo,Xo=qi.sum64,nv=qi.sum64_hi,sv=qi.sum64_lo,$j=qi.sum64_4_hi,kj=qi.sum64_4_lo,jj=qi.sum64_5_hi,zj=qi.sum64_5_lo,r9=Fj.BlockHash,Hj=[1116352408,3609767458,1899447441,602891725,3049323471,3964484399,3921009573,2173295548,961987163,4081628472,1508970993,3053834265,2453635748,2937671579,2870763221,3664609560,3624381080,2734883394,310598401,1164996542,607225278,1323610764,1426881987,3590304994,1925078388,4068182383,2162078206,991336113,2614888103,633803317,3248222580,3479774868,3835390401,2666613458,4022224774,944711139,264347078,2341262773,604807628,2007800933,770255983,1495990901,1249150122,1856431235,1555081692,3175218132,1996064986,2198950837,2554220882,3999719339,2821834349,766784016,2952996808,2566594879,3210313671,3203337956,3336571891,1034457026,3584528711,2466948901,113926993,3758326383,338241895,168717936,666307205,1188179964,773529912,1546045734,1294757372,1522805485,1396182291,2643833823,1695183700,2343527390,1986661051,1014477480,2177026350,1206759142,2456956037,344077627,2730485921,1290863460,2820302411,3158454273,3259730800,3505952657,3345764771,106217008,3516065817,3606008344,3600352804,1432725776,4094571909,1467031594,275423344,851169720,430227734,3100823752,506948616,1363258195,659060556,3750685593,883997877,3785050280,958139571,3318307427,1322822218,3812723403,1537002063,2003034995,1747873779,3602036899,1955562222,1575990012,2024104815,1125592928,2227730452,2716904306,2361852424,442776044,2428436474,593698344,2756734187,3733110249,3204031479,2999351573,3329325298,3815920427,3391569614,3928383900,3515267271,566280711,3940187606,3454069534,4118630271,4000239992,116418474,1914138554,174292421,2731055270,289380356,3203993006,460393269,320620315,685471733,587496836,852142971,1086792851,1017036298,365543100,1126000580,2618297676,1288033470,3409855158,1501505948,4234509866,1607167915,987167468,1816402316,1246189591];function Fn(){if(!(this instanceof Fn))return new Fn;r9.call(this),this.h=[1779033703,4089235720,3144134277,2227873595,1013904242,4271175723,2773480762,1595750129,1359893119,2917565137,2600822924,725511199,528734635,4215389547,1541459225,327033209],this.k=Hj,this.W=new Array(160)}qi.inherits(Fn,r9);var i9=Fn;Fn.blockSize=1024,Fn.outSize=512,Fn.hmacStrength=192,Fn.padLength=128,Fn.prototype._prepareBlock=function(t,e){for(var r=this.W,i=0;i<32;i++)r[i]=t[e+i];for(;i<r.length;i+=2){var n=tz(r[i-4],r[i-3]),s=rz(r[i-4],r[i-3]),a=r[i-14],u=r[i-13],h=Zj(r[i-30],r[i-29]),f=ez(r[i-30],r[i-29]),v=r[i-32],w=r[i-31];r[i]=$j(n,s,a,u,h,f,v,w),r[i+1]=kj(n,s,a,u,h,f,v,w)}},Fn.prototype._update=function(t,e){this._prepareBlock(t,e);var r=this.W,i=this.h[0],n=this.h[1],s=this.h[2],a=this.h[3],u=this.h[4],h=this.h[5],f=this.h[6],v=this.h[7],w=this.h[8],I=this.h[9],M=this.h[10],P=this.h[11],T=this.h[12],U=this.h[13],F=this.h[14],V=this.h[15];qj(this.k.length===r.length);for(var z=0;z<r.length;z+=2){var j=F,H=V,ee=Qj(w,I),$=Xj(w,I),q=Kj(w,I,M,P,T),X=Vj(w,I,M,P,T,U),N=this.k[z],d=this.k[z+1],y=r[z],l=r[z+1],g=jj(j,H,ee,$,q,X,N,d,y,l),b=zj(j,H,ee,$,q,X,N,d,y,l);j=Jj(i,n),H=Yj(i,n),ee=Wj(i,n,s,a,u),$=Gj(i,n,s,a,u,h);var A=nv(j,H,ee,$),C=sv(j,H,ee,$);F=T,V=U,T=M,U=P,M=w,P=I,w=nv(f,v,g,b),I=sv(v,v,g,b),f=u,v=h,u=s,h=a,s=i,a=n,i=nv(g,b,A,C),n=sv(g,b,A,C)}Xo(this.h,0,i,n),Xo(this.h,2,s,a),Xo(this.h,4,u,h),Xo(this.h,6,f,v),Xo(this.h,8,w,I),Xo(this.h,10,M,P),Xo(this.h,12,T,U),Xo(this.h,14,F,V)},Fn.prototype._digest=function(t){return t==="hex"?qi.toHex32(this.h,"big"):qi.split32(this.h,"big")};function Kj(t,e,r,i,n){var s=t&r^~t&n;return s<0&&(s+=4294967296),s}function Vj(t,e,r,i,n,s){var a=e&i^~e&s;return a<0&&(a+=4294967296),a}function Wj(t,e,r,i,n){var s=t&r^t&n^r&n;return s<0&&(s+=4294967296),s}function Gj(t,e,r,i,n,s){var a=e&i^e&s^i&s;return a<0&&(a+=4294967296),a}function Jj(t,e){var r=ws(t,e,28),i=ws(e,t,2),n=ws(e,t,7),s=r^i^n;return s<0&&(s+=4294967296),s}function Yj(t,e){var r=_s(t,e,28),i=_s(e,t,2),n=_s(e,t,7),s=r^i^n;return s<0&&(s+=4294967296),s}function Qj(t,e){var r=ws(t,e,14),i=ws(t,e,18),n=ws(e,t,9),s=r^i^n;return s<0&&(s+=4294967296),s}function Xj(t,e){var r=_s(t,e,14),i=_s(t,e,18),n=_s(e,t,9),s=r^i^n;return s<0&&(s+=4294967296),s}function Zj(t,e){var r=ws(t,e,1),i=ws(t,e,8),n=e9(t,e,7),s=r^i^n;return s<0&&(s+=4294967296),s}function ez(t,e){var r=_s(t,e,1),i=_s(t,e,8),n=t9(t,e,7),s=r^i^n;return s<0&&(s+=4294967296),s}function tz(t,e){var r=ws(t,e,19),i=ws(e,t,29),n=e9(t,e,6),s=r^i^n;return s<0&&(s+=4294967296),s}function rz(t,e){var r=_s(t,e,19),i=_s(e,t,29),n=t9(t,e,6),s=r^i^n;return s<0&&(s+=4294967296),s}var gv=nt,n9=i9;function po(){if(!(this instanceof po))return new po;n9.call(this),this.h=[3418070365,3238371032,1654270250,914150663,2438529370,812702999,355462360,4144912697,1731405415,4290775857,2394180231,1750603025,3675008525,1694076839,1203062813,3204075428]}gv.inherits(po,n9);var iz=po;po.blockSize=1024,po.outSize=384,po.hmacStrength=192,po.padLength=128,po.prototype._digest=function(t){return t==="hex"?gv.toHex32(this.h.slice(0,12),"big"):gv.split32(this.h.slice(0,12),"big")},wu.sha1=Sj,wu.sha224=Uj,wu.sha256=X_,wu.sha384=iz,wu.sha512=i9;var s9={},Ya=nt,nz=Pu,s0=Ya.rotl32,r_=Ya.sum32,sf=Ya.sum32_3,i_=Ya.sum32_4,o9=nz.BlockHash;function ps(){if(!(this instanceof ps))return new ps;o9.call(this),this.h=[1732584193,4023233417,2562383102,271733878,3285377520],this.endian="little"}Ya.inherits(ps,o9),s9.ripemd160=ps,ps.blockSize=512,ps.outSize=160,ps.hmacStrength=192,ps.padLength=64,ps.prototype._update=function(t,e){for(var r=this.h[0],i=this.h[1],n=this.h[2],s=this.h[3],a=this.h[4],u=r,h=i,f=n,v=s,w=a,I=0;I<80;I++){var M=r_(s0(i_(r,n_(I,i,n,s),t[az[I]+e],sz(I)),uz[I]),a);r=a,a=s,s=s0(n,10),n=i,i=M,M=r_(s0(i_(u,n_(79-I,h,f,v),t[cz[I]+e],oz(I)),lz[I]),w),u=w,w=v,v=s0(f,10),f=h,h=M}M=sf(this.h[1],n,v),this.h[1]=sf(this.h[2],s,w),this.h[2]=sf(this.h[3],a,u),this.h[3]=sf(this.h[4],r,h),this.h[4]=sf(this.h[0],i,f),this.h[0]=M},ps.prototype._digest=function(t){return t==="hex"?Ya.toHex32(this.h,"little"):Ya.split32(this.h,"little")};function n_(t,e,r,i){return t<=15?e^r^i:t<=31?e&r|~e&i:t<=47?(e|~r)^i:t<=63?e&i|r&~i:e^(r|~i)}function sz(t){return t<=15?0:t<=31?1518500249:t<=47?1859775393:t<=63?2400959708:2840853838}function oz(t){return t<=15?1352829926:t<=31?1548603684:t<=47?1836072691:t<=63?2053994217:0}var az=[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,7,4,13,1,10,6,15,3,12,0,9,5,2,14,11,8,3,10,14,4,9,15,8,1,2,7,0,6,13,11,5,12,1,9,11,10,0,8,12,4,13,3,7,15,14,5,6,2,4,0,5,9,7,12,2,10,14,1,3,8,11,6,15,13],cz=[5,14,7,0,9,2,11,4,13,6,15,8,1,10,3,12,6,11,3,7,0,13,5,10,14,15,8,12,4,9,1,2,15,5,1,3,7,14,6,9,11,8,12,2,10,0,4,13,8,6,4,1,3,11,15,0,5,12,2,13,9,7,10,14,12,15,10,4,1,5,8,7,6,2,13,14,0,3,9,11],uz=[11,14,15,12,5,8,7,9,11,13,14,15,6,7,9,8,7,6,8,13,11,9,7,15,7,12,15,9,11,7,13,12,11,13,6,7,14,9,13,15,14,8,13,6,5,12,7,5,11,12,14,15,14,15,9,8,9,14,5,6,8,6,5,12,9,15,5,11,6,8,13,12,5,12,13,14,11,8,5,6],lz=[8,9,9,11,13,15,15,5,7,7,8,11,14,14,12,6,9,13,15,7,12,8,9,11,7,7,12,7,6,15,13,11,9,7,15,11,8,6,6,14,12,13,5,14,13,13,7,5,15,5,8,11,14,14,6,14,6,9,12,9,12,5,15,8,8,5,12,9,12,5,14,6,8,13,6,5,15,13,11,11],fz=nt,hz=bf;function Eu(t,e,r){if(!(this instanceof Eu))return new Eu(t,e,r);this.Hash=t,this.blockSize=t.blockSize/8,this.outSize=t.outSize/8,this.inner=null,this.outer=null,this._init(fz.toArray(e,r))}var dz=Eu;Eu.prototype._init=function(t){t.length>this.blockSize&&(t=new this.Hash().update(t).digest()),hz(t.length<=this.blockSize);for(var e=t.length;e<this.blockSize;e++)t.push(0);for(e=0;e<t.length;e++)t[e]^=54;for(this.inner=new this.Hash().update(t),e=0;e<t.length;e++)t[e]^=106;this.outer=new this.Hash().update(t)},Eu.prototype.update=function(t,e){return this.inner.update(t,e),this},Eu.prototype.digest=function(t){return this.outer.update(this.inner.digest()),this.outer.digest(t)},(function(t){var e=t;e.utils=nt,e.common=Pu,e.sha=wu,e.ripemd=s9,e.hmac=dz,e.sha1=e.sha.sha1,e.sha256=e.sha.sha256,e.sha224=e.sha.sha224,e.sha384=e.sha.sha384,e.sha512=e.sha.sha512,e.ripemd160=e.ripemd.ripemd160})(ds);function Ru(t,e,r){return r={path:e,exports:{},require:function(i,n){return pz(i,n??r.path)}},t(r,r.exports),r.exports}function pz(){throw new Error("Dynamic requires are not currently supported by @rollup/plugin-commonjs")}var Cv=a9;function a9(t,e){if(!t)throw new Error(e||"Assertion failed")}a9.equal=function(t,e,r){if(t!=e)throw new Error(r||"Assertion failed: "+t+" != "+e)};var qn=Ru(function(t,e){var r=e;function i(a,u){if(Array.isArray(a))return a.slice();if(!a)return[];var h=[];if(typeof a!="string"){for(var f=0;f<a.length;f++)h[f]=a[f]|0;return h}if(u==="hex"){a=a.replace(/[^a-z0-9]+/ig,""),a.length%2!==0&&(a="0"+a);for(var f=0;f<a.length;f+=2)h.push(parseInt(a[f]+a[f+1],16))}else for(var f=0;f<a.length;f++){var v=a.charCodeAt(f),w=v>>8,I=v&255;w?h.push(w,I):h.push(I)}return h}r.toArray=i;function n(a){return a.length===1?"0"+a:a}r.zero2=n;function s(a){for(var u="",h=0;h<a.length;h++)u+=n(a[h].toString(16));return u}r.toHex=s,r.encode=function(a,u){return u==="hex"?s(a):a}}),Qi=Ru(function(t,e){var r=e;r.assert=Cv,r.toArray=qn.toArray,r.zero2=qn.zero2,r.toHex=qn.toHex,r.encode=qn.encode;function i(h,f,v){var w=new Array(Math.max(h.bitLength(),v)+1);w.fill(0);for(var I=1<<f+1,M=h.clone(),P=0;P<w.length;P++){var T,U=M.andln(I-1);M.isOdd()?(U>(I>>1)-1?T=(I>>1)-U:T=U,M.isubn(T)):T=0,w[P]=T,M.iushrn(1)}return w}r.getNAF=i;function n(h,f){var v=[[],[]];h=h.clone(),f=f.clone();for(var w=0,I=0,M;h.cmpn(-w)>0||f.cmpn(-I)>0;){var P=h.andln(3)+w&3,T=f.andln(3)+I&3;P===3&&(P=-1),T===3&&(T=-1);var U;P&1?(M=h.andln(7)+w&7,(M===3||M===5)&&T===2?U=-P:U=P):U=0,v[0].push(U);var F;T&1?(M=f.andln(7)+I&7,(M===3||M===5)&&P===2?F=-T:F=T):F=0,v[1].push(F),2*w===U+1&&(w=1-w),2*I===F+1&&(I=1-I),h.iushrn(1),f.iushrn(1)}return v}r.getJSF=n;function s(h,f,v){var w="_"+f;h.prototype[f]=function(){return this[w]!==void 0?this[w]:this[w]=v.call(this)}}r.cachedProperty=s;function a(h){return typeof h=="string"?r.toArray(h,"hex"):h}r.parseBytes=a;function u(h){return new Ve(h,"hex","le")}r.intFromLE=u}),o0=Qi.getNAF,gz=Qi.getJSF,g0=Qi.assert;function Zo(t,e){this.type=t,this.p=new Ve(e.p,16),this.red=e.prime?Ve.red(e.prime):Ve.mont(this.p),this.zero=new Ve(0).toRed(this.red),this.one=new Ve(1).toRed(this.red),this.two=new Ve(2).toRed(this.red),this.n=e.n&&new Ve(e.n,16),this.g=e.g&&this.pointFromJSON(e.g,e.gRed),this._wnafT1=new Array(4),this._wnafT2=new Array(4),this._wnafT3=new Array(4),this._wnafT4=new Array(4),this._bitLength=this.n?this.n.bitLength():0;var r=this.n&&this.p.div(this.n);!r||r.cmpn(100)>0?this.redN=null:(this._maxwellTrick=!0,this.redN=this.n.toRed(this.red))}var tc=Zo;Zo.prototype.point=function(){throw new Error("Not implemented")},Zo.prototype.validate=function(){throw new Error("Not implemented")},Zo.prototype._fixedNafMul=function(t,e){g0(t.precomputed);var r=t._getDoubles(),i=o0(e,1,this._bitLength),n=(1<<r.step+1)-(r.step%2===0?2:1);n/=3;var s=[],a,u;for(a=0;a<i.length;a+=r.step){u=0;for(var h=a+r.step-1;h>=a;h--)u=(u<<1)+i[h];s.push(u)}for(var f=this.jpoint(null,null,null),v=this.jpoint(null,null,null),w=n;w>0;w--){for(a=0;a<s.length;a++)u=s[a],u===w?v=v.mixedAdd(r.points[a]):u===-w&&(v=v.mixedAdd(r.points[a].neg()));f=f.add(v)}return f.toP()},Zo.prototype._wnafMul=function(t,e){var r=4,i=t._getNAFPoints(r);r=i.wnd;for(var n=i.points,s=o0(e,r,this._bitLength),a=this.jpoint(null,null,null),u=s.length-1;u>=0;u--){for(var h=0;u>=0&&s[u]===0;u--)h++;if(u>=0&&h++,a=a.dblp(h),u<0)break;var f=s[u];g0(f!==0),t.type==="affine"?f>0?a=a.mixedAdd(n[f-1>>1]):a=a.mixedAdd(n[-f-1>>1].neg()):f>0?a=a.add(n[f-1>>1]):a=a.add(n[-f-1>>1].neg())}return t.type==="affine"?a.toP():a},Zo.prototype._wnafMulAdd=function(t,e,r,i,n){var s=this._wnafT1,a=this._wnafT2,u=this._wnafT3,h=0,f,v,w;for(f=0;f<i;f++){w=e[f];var I=w._getNAFPoints(t);s[f]=I.wnd,a[f]=I.points}for(f=i-1;f>=1;f-=2){var M=f-1,P=f;if(s[M]!==1||s[P]!==1){u[M]=o0(r[M],s[M],this._bitLength),u[P]=o0(r[P],s[P],this._bitLength),h=Math.max(u[M].length,h),h=Math.max(u[P].length,h);continue}var T=[e[M],null,null,e[P]];e[M].y.cmp(e[P].y)===0?(T[1]=e[M].add(e[P]),T[2]=e[M].toJ().mixedAdd(e[P].neg())):e[M].y.cmp(e[P].y.redNeg())===0?(T[1]=e[M].toJ().mixedAdd(e[P]),T[2]=e[M].add(e[P].neg())):(T[1]=e[M].toJ().mixedAdd(e[P]),T[2]=e[M].toJ().mixedAdd(e[P].neg()));var U=[-3,-1,-5,-7,0,7,5,1,3],F=gz(r[M],r[P]);for(h=Math.max(F[0].length,h),u[M]=new Array(h),u[P]=new Array(h),v=0;v<h;v++){var V=F[0][v]|0,z=F[1][v]|0;u[M][v]=U[(V+1)*3+(z+1)],u[P][v]=0,a[M]=T}}var j=this.jpoint(null,null,null),H=this._wnafT4;for(f=h;f>=0;f--){for(var ee=0;f>=0;){var $=!0;for(v=0;v<i;v++)H[v]=u[v][f]|0,H[v]!==0&&($=!1);if(!$)break;ee++,f--}if(f>=0&&ee++,j=j.dblp(ee),f<0)break;for(v=0;v<i;v++){var q=H[v];q!==0&&(q>0?w=a[v][q-1>>1]:q<0&&(w=a[v][-q-1>>1].neg()),w.type==="affine"?j=j.mixedAdd(w):j=j.add(w))}}for(f=0;f<i;f++)a[f]=null;return n?j:j.toP()};function yn(t,e){this.curve=t,this.type=e,this.precomputed=null}Zo.BasePoint=yn,yn.prototype.eq=function(){throw new Error("Not implemented")},yn.prototype.validate=function(){return this.curve.validate(this)},Zo.prototype.decodePoint=function(t,e){t=Qi.toArray(t,e);var r=this.p.byteLength();if((t[0]===4||t[0]===6||t[0]===7)&&t.length-1===2*r){t[0]===6?g0(t[t.length-1]%2===0):t[0]===7&&g0(t[t.length-1]%2===1);var i=this.point(t.slice(1,1+r),t.slice(1+r,1+2*r));return i}else if((t[0]===2||t[0]===3)&&t.length-1===r)return this.pointFromX(t.slice(1,1+r),t[0]===3);throw new Error("Unknown point format")},yn.prototype.encodeCompressed=function(t){return this.encode(t,!0)},yn.prototype._encode=function(t){var e=this.curve.p.byteLength(),r=this.getX().toArray("be",e);return t?[this.getY().isEven()?2:3].concat(r):[4].concat(r,this.getY().toArray("be",e))},yn.prototype.encode=function(t,e){return Qi.encode(this._encode(e),t)},yn.prototype.precompute=function(t){if(this.precomputed)return this;var e={doubles:null,naf:null,beta:null};return e.naf=this._getNAFPoints(8),e.doubles=this._getDoubles(4,t),e.beta=this._getBeta(),this.precomputed=e,this},yn.prototype._hasDoubles=function(t){if(!this.precomputed)return!1;var e=this.precomputed.doubles;return e?e.points.length>=Math.ceil((t.bitLength()+1)/e.step):!1},yn.prototype._getDoubles=function(t,e){if(this.precomputed&&this.precomputed.doubles)return this.precomputed.doubles;for(var r=[this],i=this,n=0;n<e;n+=t){for(var s=0;s<t;s++)i=i.dbl();r.push(i)}return{step:t,points:r}},yn.prototype._getNAFPoints=function(t){if(this.precomputed&&this.precomputed.naf)return this.precomputed.naf;for(var e=[this],r=(1<<t)-1,i=r===1?null:this.dbl(),n=1;n<r;n++)e[n]=e[n-1].add(i);return{wnd:t,points:e}},yn.prototype._getBeta=function(){return null},yn.prototype.dblp=function(t){for(var e=this,r=0;r<t;r++)e=e.dbl();return e};var Dv=Ru(function(t){typeof Object.create=="function"?t.exports=function(e,r){r&&(e.super_=r,e.prototype=Object.create(r.prototype,{constructor:{value:e,enumerable:!1,writable:!0,configurable:!0}}))}:t.exports=function(e,r){if(r){e.super_=r;var i=function(){};i.prototype=r.prototype,e.prototype=new i,e.prototype.constructor=e}}}),mz=Qi.assert;function _n(t){tc.call(this,"short",t),this.a=new Ve(t.a,16).toRed(this.red),this.b=new Ve(t.b,16).toRed(this.red),this.tinv=this.two.redInvm(),this.zeroA=this.a.fromRed().cmpn(0)===0,this.threeA=this.a.fromRed().sub(this.p).cmpn(-3)===0,this.endo=this._getEndomorphism(t),this._endoWnafT1=new Array(4),this._endoWnafT2=new Array(4)}Dv(_n,tc);var vz=_n;_n.prototype._getEndomorphism=function(t){if(!(!this.zeroA||!this.g||!this.n||this.p.modn(3)!==1)){var e,r;if(t.beta)e=new Ve(t.beta,16).toRed(this.red);else{var i=this._getEndoRoots(this.p);e=i[0].cmp(i[1])<0?i[0]:i[1],e=e.toRed(this.red)}if(t.lambda)r=new Ve(t.lambda,16);else{var n=this._getEndoRoots(this.n);this.g.mul(n[0]).x.cmp(this.g.x.redMul(e))===0?r=n[0]:(r=n[1],mz(this.g.mul(r).x.cmp(this.g.x.redMul(e))===0))}var s;return t.basis?s=t.basis.map(function(a){return{a:new Ve(a.a,16),b:new Ve(a.b,16)}}):s=this._getEndoBasis(r),{beta:e,lambda:r,basis:s}}},_n.prototype._getEndoRoots=function(t){var e=t===this.p?this.red:Ve.mont(t),r=new Ve(2).toRed(e).redInvm(),i=r.redNeg(),n=new Ve(3).toRed(e).redNeg().redSqrt().redMul(r),s=i.redAdd(n).fromRed(),a=i.redSub(n).fromRed();return[s,a]},_n.prototype._getEndoBasis=function(t){for(var e=this.n.ushrn(Math.floor(this.n.bitLength()/2)),r=t,i=this.n.clone(),n=new Ve(1),s=new Ve(0),a=new Ve(0),u=new Ve(1),h,f,v,w,I,M,P,T=0,U,F;r.cmpn(0)!==0;){var V=i.div(r);U=i.sub(V.mul(r)),F=a.sub(V.mul(n));var z=u.sub(V.mul(s));if(!v&&U.cmp(e)<0)h=P.neg(),f=n,v=U.neg(),w=F;else if(v&&++T===2)break;P=U,i=r,r=U,a=n,n=F,u=s,s=z}I=U.neg(),M=F;var j=v.sqr().add(w.sqr()),H=I.sqr().add(M.sqr());return H.cmp(j)>=0&&(I=h,M=f),v.negative&&(v=v.neg(),w=w.neg()),I.negative&&(I=I.neg(),M=M.neg()),[{a:v,b:w},{a:I,b:M}]},_n.prototype._endoSplit=function(t){var e=this.endo.basis,r=e[0],i=e[1],n=i.b.mul(t).divRound(this.n),s=r.b.neg().mul(t).divRound(this.n),a=n.mul(r.a),u=s.mul(i.a),h=n.mul(r.b),f=s.mul(i.b),v=t.sub(a).sub(u),w=h.add(f).neg();return{k1:v,k2:w}},_n.prototype.pointFromX=function(t,e){t=new Ve(t,16),t.red||(t=t.toRed(this.red));var r=t.redSqr().redMul(t).redIAdd(t.redMul(this.a)).redIAdd(this.b),i=r.redSqrt();if(i.redSqr().redSub(r).cmp(this.zero)!==0)throw new Error("invalid point");var n=i.fromRed().isOdd();return(e&&!n||!e&&n)&&(i=i.redNeg()),this.point(t,i)},_n.prototype.validate=function(t){if(t.inf)return!0;var e=t.x,r=t.y,i=this.a.redMul(e),n=e.redSqr().redMul(e).redIAdd(i).redIAdd(this.b);return r.redSqr().redISub(n).cmpn(0)===0},_n.prototype._endoWnafMulAdd=function(t,e,r){for(var i=this._endoWnafT1,n=this._endoWnafT2,s=0;s<t.length;s++){var a=this._endoSplit(e[s]),u=t[s],h=u._getBeta();a.k1.negative&&(a.k1.ineg(),u=u.neg(!0)),a.k2.negative&&(a.k2.ineg(),h=h.neg(!0)),i[s*2]=u,i[s*2+1]=h,n[s*2]=a.k1,n[s*2+1]=a.k2}for(var f=this._wnafMulAdd(1,i,n,s*2,r),v=0;v<s*2;v++)i[v]=null,n[v]=null;return f};function Ur(t,e,r,i){tc.BasePoint.call(this,t,"affine"),e===null&&r===null?(this.x=null,this.y=null,this.inf=!0):(this.x=new Ve(e,16),this.y=new Ve(r,16),i&&(this.x.forceRed(this.curve.red),this.y.forceRed(this.curve.red)),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.y.red||(this.y=this.y.toRed(this.curve.red)),this.inf=!1)}Dv(Ur,tc.BasePoint),_n.prototype.point=function(t,e,r){return new Ur(this,t,e,r)},_n.prototype.pointFromJSON=function(t,e){return Ur.fromJSON(this,t,e)},Ur.prototype._getBeta=function(){if(this.curve.endo){var t=this.precomputed;if(t&&t.beta)return t.beta;var e=this.curve.point(this.x.redMul(this.curve.endo.beta),this.y);if(t){var r=this.curve,i=function(n){return r.point(n.x.redMul(r.endo.beta),n.y)};t.beta=e,e.precomputed={beta:null,naf:t.naf&&{wnd:t.naf.wnd,points:t.naf.points.map(i)},doubles:t.doubles&&{step:t.doubles.step,points:t.doubles.points.map(i)}}}return e}},Ur.prototype.toJSON=function(){return this.precomputed?[this.x,this.y,this.precomputed&&{doubles:this.precomputed.doubles&&{step:this.precomputed.doubles.step,points:this.precomputed.doubles.points.slice(1)},naf:this.precomputed.naf&&{wnd:this.precomputed.naf.wnd,points:this.precomputed.naf.points.slice(1)}}]:[this.x,this.y]},Ur.fromJSON=function(t,e,r){typeof e=="string"&&(e=JSON.parse(e));var i=t.point(e[0],e[1],r);if(!e[2])return i;function n(a){return t.point(a[0],a[1],r)}var s=e[2];return i.precomputed={beta:null,doubles:s.doubles&&{step:s.doubles.step,points:[i].concat(s.doubles.points.map(n))},naf:s.naf&&{wnd:s.naf.wnd,points:[i].concat(s.naf.points.map(n))}},i},Ur.prototype.inspect=function(){return this.isInfinity()?"<EC Point Infinity>":"<EC Point x: "+this.x.fromRed().toString(16,2)+" y: "+this.y.fromRed().toString(16,2)+">"},Ur.prototype.isInfinity=function(){return this.inf},Ur.prototype.add=function(t){if(this.inf)return t;if(t.inf)return this;if(this.eq(t))return this.dbl();if(this.neg().eq(t))return this.curve.point(null,null);if(this.x.cmp(t.x)===0)return this.curve.point(null,null);var e=this.y.redSub(t.y);e.cmpn(0)!==0&&(e=e.redMul(this.x.redSub(t.x).redInvm()));var r=e.redSqr().redISub(this.x).redISub(t.x),i=e.redMul(this.x.redSub(r)).redISub(this.y);return this.curve.point(r,i)},Ur.prototype.dbl=function(){if(this.inf)return this;var t=this.y.redAdd(this.y);if(t.cmpn(0)===0)return this.curve.point(null,null);var e=this.curve.a,r=this.x.redSqr(),i=t.redInvm(),n=r.redAdd(r).redIAdd(r).redIAdd(e).redMul(i),s=n.redSqr().redISub(this.x.redAdd(this.x)),a=n.redMul(this.x.redSub(s)).redISub(this.y);return this.curve.point(s,a)},Ur.prototype.getX=function(){return this.x.fromRed()},Ur.prototype.getY=function(){return this.y.fromRed()},Ur.prototype.mul=function(t){return t=new Ve(t,16),this.isInfinity()?this:this._hasDoubles(t)?this.curve._fixedNafMul(this,t):this.curve.endo?this.curve._endoWnafMulAdd([this],[t]):this.curve._wnafMul(this,t)},Ur.prototype.mulAdd=function(t,e,r){var i=[this,e],n=[t,r];return this.curve.endo?this.curve._endoWnafMulAdd(i,n):this.curve._wnafMulAdd(1,i,n,2)},Ur.prototype.jmulAdd=function(t,e,r){var i=[this,e],n=[t,r];return this.curve.endo?this.curve._endoWnafMulAdd(i,n,!0):this.curve._wnafMulAdd(1,i,n,2,!0)},Ur.prototype.eq=function(t){return this===t||this.inf===t.inf&&(this.inf||this.x.cmp(t.x)===0&&this.y.cmp(t.y)===0)},Ur.prototype.neg=function(t){if(this.inf)return this;var e=this.curve.point(this.x,this.y.redNeg());if(t&&this.precomputed){var r=this.precomputed,i=function(n){return n.neg()};e.precomputed={naf:r.naf&&{wnd:r.naf.wnd,points:r.naf.points.map(i)},doubles:r.doubles&&{step:r.doubles.step,points:r.doubles.points.map(i)}}}return e},Ur.prototype.toJ=function(){if(this.inf)return this.curve.jpoint(null,null,null);var t=this.curve.jpoint(this.x,this.y,this.curve.one);return t};function Vr(t,e,r,i){tc.BasePoint.call(this,t,"jacobian"),e===null&&r===null&&i===null?(this.x=this.curve.one,this.y=this.curve.one,this.z=new Ve(0)):(this.x=new Ve(e,16),this.y=new Ve(r,16),this.z=new Ve(i,16)),this.x.red||(this.x=this.x.toRed(this.curve.red)),this.y.red||(this.y=this.y.toRed(this.curve.red)),this.z.red||(this.z=this.z.toRed(this.curve.red)),this.zOne=this.z===this.curve.one}Dv(Vr,tc.BasePoint),_n.prototype.jpoint=function(t,e,r){return new Vr(this,t,e,r)},Vr.prototype.toP=function(){if(this.isInfinity())return this.curve.point(null,null);var t=this.z.redInvm(),e=t.redSqr(),r=this.x.redMul(e),i=this.y.redMul(e).redMul(t);return this.curve.point(r,i)},Vr.prototype.neg=function(){return this.curve.jpoint(this.x,this.y.redNeg(),this.z)},Vr.prototype.add=function(t){if(this.isInfinity())return t;if(t.isInfinity())return this;var e=t.z.redSqr(),r=this.z.redSqr(),i=this.x.redMul(e),n=t.x.redMul(r),s=this.y.redMul(e.redMul(t.z)),a=t.y.redMul(r.redMul(this.z)),u=i.redSub(n),h=s.redSub(a);if(u.cmpn(0)===0)return h.cmpn(0)!==0?this.curve.jpoint(null,null,null):this.dbl();var f=u.redSqr(),v=f.redMul(u),w=i.redMul(f),I=h.redSqr().redIAdd(v).redISub(w).redISub(w),M=h.redMul(w.redISub(I)).redISub(s.redMul(v)),P=this.z.redMul(t.z).redMul(u);return this.curve.jpoint(I,M,P)},Vr.prototype.mixedAdd=function(t){if(this.isInfinity())return t.toJ();if(t.isInfinity())return this;var e=this.z.redSqr(),r=this.x,i=t.x.redMul(e),n=this.y,s=t.y.redMul(e).redMul(this.z),a=r.redSub(i),u=n.redSub(s);if(a.cmpn(0)===0)return u.cmpn(0)!==0?this.curve.jpoint(null,null,null):this.dbl();var h=a.redSqr(),f=h.redMul(a),v=r.redMul(h),w=u.redSqr().redIAdd(f).redISub(v).redISub(v),I=u.redMul(v.redISub(w)).redISub(n.redMul(f)),M=this.z.redMul(a);return this.curve.jpoint(w,I,M)},Vr.prototype.dblp=function(t){if(t===0)return this;if(this.isInfinity())return this;if(!t)return this.dbl();var e;if(this.curve.zeroA||this.curve.threeA){var r=this;for(e=0;e<t;e++)r=r.dbl();return r}var i=this.curve.a,n=this.curve.tinv,s=this.x,a=this.y,u=this.z,h=u.redSqr().redSqr(),f=a.redAdd(a);for(e=0;e<t;e++){var v=s.redSqr(),w=f.redSqr(),I=w.redSqr(),M=v.redAdd(v).redIAdd(v).redIAdd(i.redMul(h)),P=s.redMul(w),T=M.redSqr().redISub(P.redAdd(P)),U=P.redISub(T),F=M.redMul(U);F=F.redIAdd(F).redISub(I);var V=f.redMul(u);e+1<t&&(h=h.redMul(I)),s=T,u=V,f=F}return this.curve.jpoint(s,f.redMul(n),u)},Vr.prototype.dbl=function(){return this.isInfinity()?this:this.curve.zeroA?this._zeroDbl():this.curve.threeA?this._threeDbl():this._dbl()},Vr.prototype._zeroDbl=function(){var t,e,r;if(this.zOne){var i=this.x.redSqr(),n=this.y.redSqr(),s=n.redSqr(),a=this.x.redAdd(n).redSqr().redISub(i).redISub(s);a=a.redIAdd(a);var u=i.redAdd(i).redIAdd(i),h=u.redSqr().redISub(a).redISub(a),f=s.redIAdd(s);f=f.redIAdd(f),f=f.redIAdd(f),t=h,e=u.redMul(a.redISub(h)).redISub(f),r=this.y.redAdd(this.y)}else{var v=this.x.redSqr(),w=this.y.redSqr(),I=w.redSqr(),M=this.x.redAdd(w).redSqr().redISub(v).redISub(I);M=M.redIAdd(M);var P=v.redAdd(v).redIAdd(v),T=P.redSqr(),U=I.redIAdd(I);U=U.redIAdd(U),U=U.redIAdd(U),t=T.redISub(M).redISub(M),e=P.redMul(M.redISub(t)).redISub(U),r=this.y.redMul(this.z),r=r.redIAdd(r)}return this.curve.jpoint(t,e,r)},Vr.prototype._threeDbl=function(){var t,e,r;if(this.zOne){var i=this.x.redSqr(),n=this.y.redSqr(),s=n.redSqr(),a=this.x.redAdd(n).redSqr().redISub(i).redISub(s);a=a.redIAdd(a);var u=i.redAdd(i).redIAdd(i).redIAdd(this.curve.a),h=u.redSqr().redISub(a).redISub(a);t=h;var f=s.redIAdd(s);f=f.redIAdd(f),f=f.redIAdd(f),e=u.redMul(a.redISub(h)).redISub(f),r=this.y.redAdd(this.y)}else{var v=this.z.redSqr(),w=this.y.redSqr(),I=this.x.redMul(w),M=this.x.redSub(v).redMul(this.x.redAdd(v));M=M.redAdd(M).redIAdd(M);var P=I.redIAdd(I);P=P.redIAdd(P);var T=P.redAdd(P);t=M.redSqr().redISub(T),r=this.y.redAdd(this.z).redSqr().redISub(w).redISub(v);var U=w.redSqr();U=U.redIAdd(U),U=U.redIAdd(U),U=U.redIAdd(U),e=M.redMul(P.redISub(t)).redISub(U)}return this.curve.jpoint(t,e,r)},Vr.prototype._dbl=function(){var t=this.curve.a,e=this.x,r=this.y,i=this.z,n=i.redSqr().redSqr(),s=e.redSqr(),a=r.redSqr(),u=s.redAdd(s).redIAdd(s).redIAdd(t.redMul(n)),h=e.redAdd(e);h=h.redIAdd(h);var f=h.redMul(a),v=u.redSqr().redISub(f.redAdd(f)),w=f.redISub(v),I=a.redSqr();I=I.redIAdd(I),I=I.redIAdd(I),I=I.redIAdd(I);var M=u.redMul(w).redISub(I),P=r.redAdd(r).redMul(i);return this.curve.jpoint(v,M,P)},Vr.prototype.trpl=function(){if(!this.curve.zeroA)return this.dbl().add(this);var t=this.x.redSqr(),e=this.y.redSqr(),r=this.z.redSqr(),i=e.redSqr(),n=t.redAdd(t).redIAdd(t),s=n.redSqr(),a=this.x.redAdd(e).redSqr().redISub(t).redISub(i);a=a.redIAdd(a),a=a.redAdd(a).redIAdd(a),a=a.redISub(s);var u=a.redSqr(),h=i.redIAdd(i);h=h.redIAdd(h),h=h.redIAdd(h),h=h.redIAdd(h);var f=n.redIAdd(a).redSqr().redISub(s).redISub(u).redISub(h),v=e.redMul(f);v=v.redIAdd(v),v=v.redIAdd(v);var w=this.x.redMul(u).redISub(v);w=w.redIAdd(w),w=w.redIAdd(w);var I=this.y.redMul(f.redMul(h.redISub(f)).redISub(a.redMul(u)));I=I.redIAdd(I),I=I.redIAdd(I),I=I.redIAdd(I);var M=this.z.redAdd(a).redSqr().redISub(r).redISub(u);return this.curve.jpoint(w,I,M)},Vr.prototype.mul=function(t,e){return t=new Ve(t,e),this.curve._wnafMul(this,t)},Vr.prototype.eq=function(t){if(t.type==="affine")return this.eq(t.toJ());if(this===t)return!0;var e=this.z.redSqr(),r=t.z.redSqr();if(this.x.redMul(r).redISub(t.x.redMul(e)).cmpn(0)!==0)return!1;var i=e.redMul(this.z),n=r.redMul(t.z);return this.y.redMul(n).redISub(t.y.redMul(i)).cmpn(0)===0},Vr.prototype.eqXToP=function(t){var e=this.z.redSqr(),r=t.toRed(this.curve.red).redMul(e);if(this.x.cmp(r)===0)return!0;for(var i=t.clone(),n=this.curve.redN.redMul(e);;){if(i.iadd(this.curve.n),i.cmp(this.curve.p)>=0)return!1;if(r.redIAdd(n),this.x.cmp(r)===0)return!0}},Vr.prototype.inspect=function(){return this.isInfinity()?"<EC JPoint Infinity>":"<EC JPoint x: "+this.x.toString(16,2)+" y: "+this.y.toString(16,2)+" z: "+this.z.toString(16,2)+">"},Vr.prototype.isInfinity=function(){return this.z.cmpn(0)===0};var u0=Ru(function(t,e){var r=e;r.base=tc,r.short=vz,r.mont=null,r.edwards=null}),l0=Ru(function(t,e){var r=e,i=Qi.assert;function n(u){u.type==="short"?this.curve=new u0.short(u):u.type==="edwards"?this.curve=new u0.edwards(u):this.curve=new u0.mont(u),this.g=this.curve.g,this.n=this.curve.n,this.hash=u.hash,i(this.g.validate(),"Invalid curve"),i(this.g.mul(this.n).isInfinity(),"Invalid curve, G*N != O")}r.PresetCurve=n;function s(u,h){Object.defineProperty(r,u,{configurable:!0,enumerable:!0,get:function(){var f=new n(h);return Object.defineProperty(r,u,{configurable:!0,enumerable:!0,value:f}),f}})}s("p192",{type:"short",prime:"p192",p:"ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff",a:"ffffffff ffffffff ffffffff fffffffe ffffffff fffffffc",b:"64210519 e59c80e7 0fa7e9ab 72243049 feb8deec c146b9b1",n:"ffffffff ffffffff ffffffff 99def836 146bc9b1 b4d22831",hash:ds.sha256,gRed:!1,g:["188da80e b03090f6 7cbf20eb 43a18800 f4ff0afd 82ff1012","07192b95 ffc8da78 631011ed 6b24cdd5 73f977a1 1e794811"]}),s("p224",{type:"short",prime:"p224",p:"ffffffff ffffffff ffffffff ffffffff 00000000 00000000 00000001",a:"ffffffff ffffffff ffffffff fffffffe ffffffff ffffffff fffffffe",b:"b4050a85 0c04b3ab f5413256 5044b0b7 d7bfd8ba 270b3943 2355ffb4",n:"ffffffff ffffffff ffffffff ffff16a2 e0b8f03e 13dd2945 5c5c2a3d",hash:ds.sha256,gRed:!1,g:["b70e0cbd 6bb4bf7f 321390b9 4a03c1d3 56c21122 343280d6 115c1d21","bd376388 b5f723fb 4c22dfe6 cd4375a0 5a074764 44d58199 85007e34"]}),s("p256",{type:"short",prime:null,p:"ffffffff 00000001 00000000 00000000 00000000 ffffffff ffffffff ffffffff",a:"ffffffff 00000001 00000000 00000000 00000000 ffffffff ffffffff fffffffc",b:"5ac635d8 aa3a93e7 b3ebbd55 769886bc 651d06b0 cc53b0f6 3bce3c3e 27d2604b",n:"ffffffff 00000000 ffffffff ffffffff bce6faad a7179e84 f3b9cac2 fc632551",hash:ds.sha256,gRed:!1,g:["6b17d1f2 e12c4247 f8bce6e5 63a440f2 77037d81 2deb33a0 f4a13945 d898c296","4fe342e2 fe1a7f9b 8ee7eb4a 7c0f9e16 2bce3357 6b315ece cbb64068 37bf51f5"]}),s("p384",{type:"short",prime:null,p:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe ffffffff 00000000 00000000 ffffffff",a:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe ffffffff 00000000 00000000 fffffffc",b:"b3312fa7 e23ee7e4 988e056b e3f82d19 181d9c6e fe814112 0314088f 5013875a c656398d 8a2ed19d 2a85c8ed d3ec2aef",n:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff c7634d81 f4372ddf 581a0db2 48b0a77a ecec196a ccc52973",hash:ds.sha384,gRed:!1,g:["aa87ca22 be8b0537 8eb1c71e f320ad74 6e1d3b62 8ba79b98 59f741e0 82542a38 5502f25d bf55296c 3a545e38 72760ab7","3617de4a 96262c6f 5d9e98bf 9292dc29 f8f41dbd 289a147c e9da3113 b5f0b8c0 0a60b1ce 1d7e819d 7a431d7c 90ea0e5f"]}),s("p521",{type:"short",prime:null,p:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff",a:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffc",b:"00000051 953eb961 8e1c9a1f 929a21a0 b68540ee a2da725b 99b315f3 b8b48991 8ef109e1 56193951 ec7e937b 1652c0bd 3bb1bf07 3573df88 3d2c34f1 ef451fd4 6b503f00",n:"000001ff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffa 51868783 bf2f966b 7fcc0148 f709a5d0 3bb5c9b8 899c47ae bb6fb71e 91386409",hash:ds.sha512,gRed:!1,g:["000000c6 858e06b7 0404e9cd 9e3ecb66 2395b442 9c648139 053fb521 f828af60 6b4d3dba a14b5e77 efe75928 fe1dc127 a2ffa8de 3348b3c1 856a429b f97e7e31 c2e5bd66","00000118 39296a78 9a3bc004 5c8a5fb4 2c7d1bd9 98f54449 579b4468 17afbd17 273e662c 97ee7299 5ef42640 c550b901 3fad0761 353c7086 a272c240 88be9476 9fd16650"]}),s("curve25519",{type:"mont",prime:"p25519",p:"7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed",a:"76d06",b:"1",n:"1000000000000000 0000000000000000 14def9dea2f79cd6 5812631a5cf5d3ed",hash:ds.sha256,gRed:!1,g:["9"]}),s("ed25519",{type:"edwards",prime:"p25519",p:"7fffffffffffffff ffffffffffffffff ffffffffffffffff ffffffffffffffed",a:"-1",c:"1",d:"52036cee2b6ffe73 8cc740797779e898 00700a4d4141d8ab 75eb4dca135978a3",n:"1000000000000000 0000000000000000 14def9dea2f79cd6 5812631a5cf5d3ed",hash:ds.sha256,gRed:!1,g:["216936d3cd6e53fec0a4e231fdd6dc5c692cc7609525a7b2c9562d608f25d51a","6666666666666666666666666666666666666666666666666666666666666658"]});var a;try{a=null.crash()}catch{a=void 0}s("secp256k1",{type:"short",prime:"k256",p:"ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe fffffc2f",a:"0",b:"7",n:"ffffffff ffffffff ffffffff fffffffe baaedce6 af48a03b bfd25e8c d0364141",h:"1",hash:ds.sha256,beta:"7ae96a2b657c07106e64479eac3434e99cf0497512f58995c1396c28719501ee",lambda:"5363ad4cc05c30e0a5261c028812645a122e22ea20816678df02967c1b23bd72",basis:[{a:"3086d221a7d46bcde86c90e49284eb15",b:"-e4437ed6010e88286f547fa90abfe4c3"},{a:"114ca50f7a8e2f3f657c1108d9d44cfd8",b:"3086d221a7d46bcde86c90e49284eb15"}],gRed:!1,g:["79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798","483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8",a]})});function ea(t){if(!(this instanceof ea))return new ea(t);this.hash=t.hash,this.predResist=!!t.predResist,this.outLen=this.hash.outSize,this.minEntropy=t.minEntropy||this.hash.hmacStrength,this._reseed=null,this.reseedInterval=null,this.K=null,this.V=null;var e=qn.toArray(t.entropy,t.entropyEnc||"hex"),r=qn.toArray(t.nonce,t.nonceEnc||"hex"),i=qn.toArray(t.pers,t.persEnc||"hex");Cv(e.length>=this.minEntropy/8,"Not enough entropy. Minimum is: "+this.minEntropy+" bits"),this._init(e,r,i)}var s_=ea;ea.prototype._init=function(t,e,r){var i=t.concat(e).concat(r);this.K=new Array(this.outLen/8),this.V=new Array(this.outLen/8);for(var n=0;n<this.V.length;n++)this.K[n]=0,this.V[n]=1;this._update(i),this._reseed=1,this.reseedInterval=281474976710656},ea.prototype._hmac=function(){return new ds.hmac(this.hash,this.K)},ea.prototype._update=function(t){var e=this._hmac().update(this.V).update([0]);t&&(e=e.update(t)),this.K=e.digest(),this.V=this._hmac().update(this.V).digest(),t&&(this.K=this._hmac().update(this.V).update([1]).update(t).digest(),this.V=this._hmac().update(this.V).digest())},ea.prototype.reseed=function(t,e,r,i){typeof e!="string"&&(i=r,r=e,e=null),t=qn.toArray(t,e),r=qn.toArray(r,i),Cv(t.length>=this.minEntropy/8,"Not enough entropy. Minimum is: "+this.minEntropy+" bits"),this._update(t.concat(r||[])),this._reseed=1},ea.prototype.generate=function(t,e,r,i){if(this._reseed>this.reseedInterval)throw new Error("Reseed is required");typeof e!="string"&&(i=r,r=e,e=null),r&&(r=qn.toArray(r,i||"hex"),this._update(r));for(var n=[];n.length<t;)this.V=this._hmac().update(this.V).digest(),n=n.concat(this.V);var s=n.slice(0,t);return this._update(r),this._reseed++,qn.encode(s,e)};var ov=Qi.assert;function ii(t,e){this.ec=t,this.priv=null,this.pub=null,e.priv&&this._importPrivate(e.priv,e.privEnc),e.pub&&this._importPublic(e.pub,e.pubEnc)}var av=ii;ii.fromPublic=function(t,e,r){return e instanceof ii?e:new ii(t,{pub:e,pubEnc:r})},ii.fromPrivate=function(t,e,r){return e instanceof ii?e:new ii(t,{priv:e,privEnc:r})},ii.prototype.validate=function(){var t=this.getPublic();return t.isInfinity()?{result:!1,reason:"Invalid public key"}:t.validate()?t.mul(this.ec.curve.n).isInfinity()?{result:!0,reason:null}:{result:!1,reason:"Public key * N != O"}:{result:!1,reason:"Public key is not a point"}},ii.prototype.getPublic=function(t,e){return typeof t=="string"&&(e=t,t=null),this.pub||(this.pub=this.ec.g.mul(this.priv)),e?this.pub.encode(e,t):this.pub},ii.prototype.getPrivate=function(t){return t==="hex"?this.priv.toString(16,2):this.priv},ii.prototype._importPrivate=function(t,e){this.priv=new Ve(t,e||16),this.priv=this.priv.umod(this.ec.curve.n)},ii.prototype._importPublic=function(t,e){if(t.x||t.y){this.ec.curve.type==="mont"?ov(t.x,"Need x coordinate"):(this.ec.curve.type==="short"||this.ec.curve.type==="edwards")&&ov(t.x&&t.y,"Need both x and y coordinate"),this.pub=this.ec.curve.point(t.x,t.y);return}this.pub=this.ec.curve.decodePoint(t,e)},ii.prototype.derive=function(t){return t.validate()||ov(t.validate(),"public point not validated"),t.mul(this.priv).getX()},ii.prototype.sign=function(t,e,r){return this.ec.sign(t,this,e,r)},ii.prototype.verify=function(t,e){return this.ec.verify(t,e,this)},ii.prototype.inspect=function(){return"<Key priv: "+(this.priv&&this.priv.toString(16,2))+" pub: "+(this.pub&&this.pub.inspect())+" >"};var bz=Qi.assert;function w0(t,e){if(t instanceof w0)return t;this._importDER(t,e)||(bz(t.r&&t.s,"Signature without r or s"),this.r=new Ve(t.r,16),this.s=new Ve(t.s,16),t.recoveryParam===void 0?this.recoveryParam=null:this.recoveryParam=t.recoveryParam)}var a0=w0;function yz(){this.place=0}function cv(t,e){var r=t[e.place++];if(!(r&128))return r;var i=r&15;if(i===0||i>4)return!1;for(var n=0,s=0,a=e.place;s<i;s++,a++)n<<=8,n|=t[a],n>>>=0;return n<=127?!1:(e.place=a,n)}function o_(t){for(var e=0,r=t.length-1;!t[e]&&!(t[e+1]&128)&&e<r;)e++;return e===0?t:t.slice(e)}w0.prototype._importDER=function(t,e){t=Qi.toArray(t,e);var r=new yz;if(t[r.place++]!==48)return!1;var i=cv(t,r);if(i===!1||i+r.place!==t.length||t[r.place++]!==2)return!1;var n=cv(t,r);if(n===!1)return!1;var s=t.slice(r.place,n+r.place);if(r.place+=n,t[r.place++]!==2)return!1;var a=cv(t,r);if(a===!1||t.length!==a+r.place)return!1;var u=t.slice(r.place,a+r.place);if(s[0]===0)if(s[1]&128)s=s.slice(1);else return!1;if(u[0]===0)if(u[1]&128)u=u.slice(1);else return!1;return this.r=new Ve(s),this.s=new Ve(u),this.recoveryParam=null,!0};function uv(t,e){if(e<128){t.push(e);return}var r=1+(Math.log(e)/Math.LN2>>>3);for(t.push(r|128);--r;)t.push(e>>>(r<<3)&255);t.push(e)}w0.prototype.toDER=function(t){var e=this.r.toArray(),r=this.s.toArray();for(e[0]&128&&(e=[0].concat(e)),r[0]&128&&(r=[0].concat(r)),e=o_(e),r=o_(r);!r[0]&&!(r[1]&128);)r=r.slice(1);var i=[2];uv(i,e.length),i=i.concat(e),i.push(2),uv(i,r.length);var n=i.concat(r),s=[48];return uv(s,n.length),s=s.concat(n),Qi.encode(s,t)};var wz=function(){throw new Error("unsupported")},c9=Qi.assert;function wn(t){if(!(this instanceof wn))return new wn(t);typeof t=="string"&&(c9(Object.prototype.hasOwnProperty.call(l0,t),"Unknown curve "+t),t=l0[t]),t instanceof l0.PresetCurve&&(t={curve:t}),this.curve=t.curve.curve,this.n=this.curve.n,this.nh=this.n.ushrn(1),this.g=this.curve.g,this.g=t.curve.g,this.g.precompute(t.curve.n.bitLength()+1),this.hash=t.hash||t.curve.hash}var _z=wn;wn.prototype.keyPair=function(t){return new av(this,t)},wn.prototype.keyFromPrivate=function(t,e){return av.fromPrivate(this,t,e)},wn.prototype.keyFromPublic=function(t,e){return av.fromPublic(this,t,e)},wn.prototype.genKeyPair=function(t){t||(t={});for(var e=new s_({hash:this.hash,pers:t.pers,persEnc:t.persEnc||"utf8",entropy:t.entropy||wz(this.hash.hmacStrength),entropyEnc:t.entropy&&t.entropyEnc||"utf8",nonce:this.n.toArray()}),r=this.n.byteLength(),i=this.n.sub(new Ve(2));;){var n=new Ve(e.generate(r));if(!(n.cmp(i)>0))return n.iaddn(1),this.keyFromPrivate(n)}},wn.prototype._truncateToN=function(t,e){var r=t.byteLength()*8-this.n.bitLength();return r>0&&(t=t.ushrn(r)),!e&&t.cmp(this.n)>=0?t.sub(this.n):t},wn.prototype.sign=function(t,e,r,i){typeof r=="object"&&(i=r,r=null),i||(i={}),e=this.keyFromPrivate(e,r),t=this._truncateToN(new Ve(t,16));for(var n=this.n.byteLength(),s=e.getPrivate().toArray("be",n),a=t.toArray("be",n),u=new s_({hash:this.hash,entropy:s,nonce:a,pers:i.pers,persEnc:i.persEnc||"utf8"}),h=this.n.sub(new Ve(1)),f=0;;f++){var v=i.k?i.k(f):new Ve(u.generate(this.n.byteLength()));if(v=this._truncateToN(v,!0),!(v.cmpn(1)<=0||v.cmp(h)>=0)){var w=this.g.mul(v);if(!w.isInfinity()){var I=w.getX(),M=I.umod(this.n);if(M.cmpn(0)!==0){var P=v.invm(this.n).mul(M.mul(e.getPrivate()).iadd(t));if(P=P.umod(this.n),P.cmpn(0)!==0){var T=(w.getY().isOdd()?1:0)|(I.cmp(M)!==0?2:0);return i.canonical&&P.cmp(this.nh)>0&&(P=this.n.sub(P),T^=1),new a0({r:M,s:P,recoveryParam:T})}}}}}},wn.prototype.verify=function(t,e,r,i){t=this._truncateToN(new Ve(t,16)),r=this.keyFromPublic(r,i),e=new a0(e,"hex");var n=e.r,s=e.s;if(n.cmpn(1)<0||n.cmp(this.n)>=0||s.cmpn(1)<0||s.cmp(this.n)>=0)return!1;var a=s.invm(this.n),u=a.mul(t).umod(this.n),h=a.mul(n).umod(this.n),f;return this.curve._maxwellTrick?(f=this.g.jmulAdd(u,r.getPublic(),h),f.isInfinity()?!1:f.eqXToP(n)):(f=this.g.mulAdd(u,r.getPublic(),h),f.isInfinity()?!1:f.getX().umod(this.n).cmp(n)===0)},wn.prototype.recoverPubKey=function(t,e,r,i){c9((3&r)===r,"The recovery param is more than two bits"),e=new a0(e,i);var n=this.n,s=new Ve(t),a=e.r,u=e.s,h=r&1,f=r>>1;if(a.cmp(this.curve.p.umod(this.curve.n))>=0&&f)throw new Error("Unable to find sencond key candinate");f?a=this.curve.pointFromX(a.add(this.curve.n),h):a=this.curve.pointFromX(a,h);var v=e.r.invm(n),w=n.sub(s).mul(v).umod(n),I=u.mul(v).umod(n);return this.g.mulAdd(w,a,I)},wn.prototype.getKeyRecoveryParam=function(t,e,r,i){if(e=new a0(e,i),e.recoveryParam!==null)return e.recoveryParam;for(var n=0;n<4;n++){var s;try{s=this.recoverPubKey(t,e,n)}catch{continue}if(s.eq(r))return n}throw new Error("Unable to find valid recovery factor")};var xz=Ru(function(t,e){var r=e;r.version="6.5.4",r.utils=Qi,r.rand=function(){throw new Error("unsupported")},r.curve=u0,r.curves=l0,r.ec=_z,r.eddsa=null}),Ez=xz.ec,Az="signing-key/5.7.0",mv=new ur(Az),lv=null;function vs(){return lv||(lv=new Ez("secp256k1")),lv}var vv=class{constructor(e){rf(this,"curve","secp256k1"),rf(this,"privateKey",gi(e)),sk(this.privateKey)!==32&&mv.throwArgumentError("invalid private key","privateKey","[[ REDACTED ]]");let r=vs().keyFromPrivate(wr(this.privateKey));rf(this,"publicKey","0x"+r.getPublic(!1,"hex")),rf(this,"compressedPublicKey","0x"+r.getPublic(!0,"hex")),rf(this,"_isSigningKey",!0)}_addPoint(e){let r=vs().keyFromPublic(wr(this.publicKey)),i=vs().keyFromPublic(wr(e));return"0x"+r.pub.add(i.pub).encodeCompressed("hex")}signDigest(e){let r=vs().keyFromPrivate(wr(this.privateKey)),i=wr(e);i.length!==32&&mv.throwArgumentError("bad digest length","digest",e);let n=r.sign(i,{canonical:!0});return O_({recoveryParam:n.recoveryParam,r:bs("0x"+n.r.toString(16),32),s:bs("0x"+n.s.toString(16),32)})}computeSharedSecret(e){let r=vs().keyFromPrivate(wr(this.privateKey)),i=vs().keyFromPublic(wr(u9(e)));return bs("0x"+r.derive(i.getPublic()).toString(16),32)}static isSigningKey(e){return!!(e&&e._isSigningKey)}};function Sz(t,e){let r=O_(e),i={r:wr(r.r),s:wr(r.s)};return"0x"+vs().recoverPubKey(wr(t),i,r.recoveryParam).encode("hex",!1)}function u9(t,e){let r=wr(t);if(r.length===32){let i=new vv(r);return e?"0x"+vs().keyFromPrivate(r).getPublic(!0,"hex"):i.publicKey}else{if(r.length===33)return e?gi(r):"0x"+vs().keyFromPublic(r).getPublic(!1,"hex");if(r.length===65)return e?"0x"+vs().keyFromPublic(r).getPublic(!0,"hex"):gi(r)}return mv.throwArgumentError("invalid public or private key","key","[REDACTED]")}var Iz="transactions/5.7.0";new ur(Iz);var a_;(function(t){t[t.legacy=0]="legacy",t[t.eip2930=1]="eip2930",t[t.eip1559=2]="eip1559"})(a_||(a_={}));function Mz(t){let e=u9(t);return Uk(W7(Sv(W7(e,1)),12))}function Cz(t,e){return Mz(Sz(wr(t),e))}var Dz="https://rpc.walletconnect.org/v1";async function Pz(t,e,r,i,n,s){switch(r.t){case"eip191":return Oz(t,e,r.s);case"eip1271":return await Rz(t,e,r.s,i,n,s);default:throw new Error(`verifySignature failed: Attempted to verify CacaoSignature with unknown type: ${r.t}`)}}function Oz(t,e,r){return Cz(j_(e),r).toLowerCase()===t.toLowerCase()}async function Rz(t,e,r,i,n,s){try{let a="0x1626ba7e",u="0000000000000000000000000000000000000000000000000000000000000040",h="0000000000000000000000000000000000000000000000000000000000000041",f=r.substring(2),v=j_(e).substring(2),w=a+v+u+h+f,I=await fetch(`${s||Dz}/?chainId=${i}&projectId=${n}`,{method:"POST",body:JSON.stringify({id:Tz(),jsonrpc:"2.0",method:"eth_call",params:[{to:t,data:w},"latest"]})}),{result:M}=await I.json();return M?M.slice(0,a.length).toLowerCase()===a.toLowerCase():!1}catch(a){return console.error("isValidEip1271Signature: ",a),!1}}function Tz(){return Date.now()+Math.floor(Math.random()*1e3)}var Nz=Object.defineProperty,Lz=Object.defineProperties,Bz=Object.getOwnPropertyDescriptors,c_=Object.getOwnPropertySymbols,Uz=Object.prototype.hasOwnProperty,Fz=Object.prototype.propertyIsEnumerable,u_=(t,e,r)=>e in t?Nz(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,qz=(t,e)=>{for(var r in e||(e={}))Uz.call(e,r)&&u_(t,r,e[r]);if(c_)for(var r of c_(e))Fz.call(e,r)&&u_(t,r,e[r]);return t},$z=(t,e)=>Lz(t,Bz(e)),kz="did:pkh:",Pv=t=>t?.split(":"),l9=t=>{let e=t&&Pv(t);if(e)return t.includes(kz)?e[3]:e[1]},Ov=t=>{let e=t&&Pv(t);if(e)return e[2]+":"+e[3]},yf=t=>{let e=t&&Pv(t);if(e)return e.pop()};async function Rv(t){let{cacao:e,projectId:r}=t,{s:i,p:n}=e,s=Tv(n,n.iss),a=yf(n.iss);return await Pz(a,s,i,l9(n.iss),r)}var Tv=(t,e)=>{let r=`${t.domain} wants you to sign in with your Ethereum account:`,i=yf(e);if(!t.aud&&!t.uri)throw new Error("Either `aud` or `uri` is required to construct the message");let n=t.statement||void 0,s=`URI: ${t.aud||t.uri}`,a=`Version: ${t.version}`,u=`Chain ID: ${l9(e)}`,h=`Nonce: ${t.nonce}`,f=`Issued At: ${t.iat}`,v=t.exp?`Expiration Time: ${t.exp}`:void 0,w=t.nbf?`Not Before: ${t.nbf}`:void 0,I=t.requestId?`Request ID: ${t.requestId}`:void 0,M=t.resources?`Resources:${t.resources.map(T=>`
+- ${T}`).join("")}`:void 0,P=wf(t.resources);if(P){let T=hf(P);n=Gz(n,T)}return[r,i,"",n,"",s,a,u,h,f,v,w,I,M].filter(T=>T!=null).join(`
+`)};function jz(t){return Buffer.from(JSON.stringify(t)).toString("base64")}function zz(t){return JSON.parse(Buffer.from(t,"base64").toString("utf-8"))}function Qa(t){if(!t)throw new Error("No recap provided, value is undefined");if(!t.att)throw new Error("No `att` property found");let e=Object.keys(t.att);if(!(e!=null&&e.length))throw new Error("No resources found in `att` property");e.forEach(r=>{let i=t.att[r];if(Array.isArray(i))throw new Error(`Resource must be an object: ${r}`);if(typeof i!="object")throw new Error(`Resource must be an object: ${r}`);if(!Object.keys(i).length)throw new Error(`Resource object is empty: ${r}`);Object.keys(i).forEach(n=>{let s=i[n];if(!Array.isArray(s))throw new Error(`Ability limits ${n} must be an array of objects, found: ${s}`);if(!s.length)throw new Error(`Value of ${n} is empty array, must be an array with objects`);s.forEach(a=>{if(typeof a!="object")throw new Error(`Ability limits (${n}) must be an array of objects, found: ${a}`)})})})}function Hz(t,e,r,i={}){return r?.sort((n,s)=>n.localeCompare(s)),{att:{[t]:Kz(e,r,i)}}}function Kz(t,e,r={}){e=e?.sort((n,s)=>n.localeCompare(s));let i=e.map(n=>({[`${t}/${n}`]:[r]}));return Object.assign({},...i)}function f9(t){return Qa(t),`urn:recap:${jz(t).replace(/=/g,"")}`}function hf(t){let e=zz(t.replace("urn:recap:",""));return Qa(e),e}function h9(t,e,r){let i=Hz(t,e,r);return f9(i)}function Vz(t){return t&&t.includes("urn:recap:")}function d9(t,e){let r=hf(t),i=hf(e),n=Wz(r,i);return f9(n)}function Wz(t,e){Qa(t),Qa(e);let r=Object.keys(t.att).concat(Object.keys(e.att)).sort((n,s)=>n.localeCompare(s)),i={att:{}};return r.forEach(n=>{var s,a;Object.keys(((s=t.att)==null?void 0:s[n])||{}).concat(Object.keys(((a=e.att)==null?void 0:a[n])||{})).sort((u,h)=>u.localeCompare(h)).forEach(u=>{var h,f;i.att[n]=$z(qz({},i.att[n]),{[u]:((h=t.att[n])==null?void 0:h[u])||((f=e.att[n])==null?void 0:f[u])})})}),i}function Gz(t="",e){Qa(e);let r="I further authorize the stated URI to perform the following actions on my behalf: ";if(t.includes(r))return t;let i=[],n=0;Object.keys(e.att).forEach(u=>{let h=Object.keys(e.att[u]).map(w=>({ability:w.split("/")[0],action:w.split("/")[1]}));h.sort((w,I)=>w.action.localeCompare(I.action));let f={};h.forEach(w=>{f[w.ability]||(f[w.ability]=[]),f[w.ability].push(w.action)});let v=Object.keys(f).map(w=>(n++,`(${n}) '${w}': '${f[w].join("', '")}' for '${u}'.`));i.push(v.join(", ").replace(".,","."))});let s=i.join(" "),a=`${r}${s}`;return`${t?t+" ":""}${a}`}function Nv(t){var e;let r=hf(t);Qa(r);let i=(e=r.att)==null?void 0:e.eip155;return i?Object.keys(i).map(n=>n.split("/")[1]):[]}function Lv(t){let e=hf(t);Qa(e);let r=[];return Object.values(e.att).forEach(i=>{Object.values(i).forEach(n=>{var s;(s=n?.[0])!=null&&s.chains&&r.push(n[0].chains)})}),[...new Set(r.flat())]}function wf(t){if(!t)return;let e=t?.[t.length-1];return Vz(e)?e:void 0}var p9="base10",ni="base16",As="base64pad",Tu="base64url",_f="utf8",g9=0,$n=1,Nu=2,Jz=0,l_=1,lf=12,Bv=32;function m9(){let t=v0.generateKeyPair();return{privateKey:br(t.secretKey,ni),publicKey:br(t.publicKey,ni)}}function _0(){let t=(0,df.randomBytes)(Bv);return br(t,ni)}function v9(t,e){let r=v0.sharedKey(Sr(t,ni),Sr(e,ni),!0),i=new v_.HKDF(Mu.SHA256,r).expand(Bv);return br(i,ni)}function Lu(t){let e=(0,Mu.hash)(Sr(t,ni));return br(e,ni)}function kn(t){let e=(0,Mu.hash)(Sr(t,_f));return br(e,ni)}function b9(t){return Sr(`${t}`,p9)}function ta(t){return Number(br(t,p9))}function y9(t){let e=b9(typeof t.type<"u"?t.type:g9);if(ta(e)===$n&&typeof t.senderPublicKey>"u")throw new Error("Missing sender public key for type 1 envelope");let r=typeof t.senderPublicKey<"u"?Sr(t.senderPublicKey,ni):void 0,i=typeof t.iv<"u"?Sr(t.iv,ni):(0,df.randomBytes)(lf),n=new bv.ChaCha20Poly1305(Sr(t.symKey,ni)).seal(i,Sr(t.message,_f));return E9({type:e,sealed:n,iv:i,senderPublicKey:r,encoding:t.encoding})}function w9(t,e){let r=b9(Nu),i=(0,df.randomBytes)(lf),n=Sr(t,_f);return E9({type:r,sealed:n,iv:i,encoding:e})}function _9(t){let e=new bv.ChaCha20Poly1305(Sr(t.symKey,ni)),{sealed:r,iv:i}=Bu({encoded:t.encoded,encoding:t?.encoding}),n=e.open(i,r);if(n===null)throw new Error("Failed to decrypt");return br(n,_f)}function x9(t,e){let{sealed:r}=Bu({encoded:t,encoding:e});return br(r,_f)}function E9(t){let{encoding:e=As}=t;if(ta(t.type)===Nu)return br(Fa([t.type,t.sealed]),e);if(ta(t.type)===$n){if(typeof t.senderPublicKey>"u")throw new Error("Missing sender public key for type 1 envelope");return br(Fa([t.type,t.senderPublicKey,t.iv,t.sealed]),e)}return br(Fa([t.type,t.iv,t.sealed]),e)}function Bu(t){let{encoded:e,encoding:r=As}=t,i=Sr(e,r),n=i.slice(Jz,l_),s=l_;if(ta(n)===$n){let f=s+Bv,v=f+lf,w=i.slice(s,f),I=i.slice(f,v),M=i.slice(v);return{type:n,sealed:M,iv:I,senderPublicKey:w}}if(ta(n)===Nu){let f=i.slice(s),v=(0,df.randomBytes)(lf);return{type:n,sealed:f,iv:v}}let a=s+lf,u=i.slice(s,a),h=i.slice(a);return{type:n,sealed:h,iv:u}}function A9(t,e){let r=Bu({encoded:t,encoding:e?.encoding});return Uv({type:ta(r.type),senderPublicKey:typeof r.senderPublicKey<"u"?br(r.senderPublicKey,ni):void 0,receiverPublicKey:e?.receiverPublicKey})}function Uv(t){let e=t?.type||g9;if(e===$n){if(typeof t?.senderPublicKey>"u")throw new Error("missing sender public key");if(typeof t?.receiverPublicKey>"u")throw new Error("missing receiver public key")}return{type:e,senderPublicKey:t?.senderPublicKey,receiverPublicKey:t?.receiverPublicKey}}function Fv(t){return t.type===$n&&typeof t.senderPublicKey=="string"&&typeof t.receiverPublicKey=="string"}function qv(t){return t.type===Nu}function Yz(t){return new b_.ec("p256").keyFromPublic({x:Buffer.from(t.x,"base64").toString("hex"),y:Buffer.from(t.y,"base64").toString("hex")},"hex")}function Qz(t){let e=t.replace(/-/g,"+").replace(/_/g,"/"),r=e.length%4;return r>0&&(e+="=".repeat(4-r)),e}function Xz(t){return Buffer.from(Qz(t),"base64")}function S9(t,e){let[r,i,n]=t.split("."),s=Xz(n);if(s.length!==64)throw new Error("Invalid signature length");let a=s.slice(0,32).toString("hex"),u=s.slice(32,64).toString("hex"),h=`${r}.${i}`,f=new Mu.SHA256().update(Buffer.from(h)).digest(),v=Yz(e),w=Buffer.from(f).toString("hex");if(!v.verify(w,{r:a,s:u}))throw new Error("Invalid signature");return yu(t).payload}var Zz="irn";function x0(t){return t?.relay||{protocol:Zz}}function Uu(t){let e=U7[t];if(typeof e>"u")throw new Error(`Relay Protocol not supported: ${t}`);return e}var eH=Object.defineProperty,tH=Object.defineProperties,rH=Object.getOwnPropertyDescriptors,f_=Object.getOwnPropertySymbols,iH=Object.prototype.hasOwnProperty,nH=Object.prototype.propertyIsEnumerable,h_=(t,e,r)=>e in t?eH(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,d_=(t,e)=>{for(var r in e||(e={}))iH.call(e,r)&&h_(t,r,e[r]);if(f_)for(var r of f_(e))nH.call(e,r)&&h_(t,r,e[r]);return t},sH=(t,e)=>tH(t,rH(e));function oH(t,e="-"){let r={},i="relay"+e;return Object.keys(t).forEach(n=>{if(n.startsWith(i)){let s=n.replace(i,""),a=t[n];r[s]=a}}),r}function $v(t){if(!t.includes("wc:")){let h=M_(t);h!=null&&h.includes("wc:")&&(t=h)}t=t.includes("wc://")?t.replace("wc://",""):t,t=t.includes("wc:")?t.replace("wc:",""):t;let e=t.indexOf(":"),r=t.indexOf("?")!==-1?t.indexOf("?"):void 0,i=t.substring(0,e),n=t.substring(e+1,r).split("@"),s=typeof r<"u"?t.substring(r):"",a=Iu.parse(s),u=typeof a.methods=="string"?a.methods.split(","):void 0;return{protocol:i,topic:aH(n[0]),version:parseInt(n[1],10),symKey:a.symKey,relay:oH(a),methods:u,expiryTimestamp:a.expiryTimestamp?parseInt(a.expiryTimestamp,10):void 0}}function aH(t){return t.startsWith("//")?t.substring(2):t}function cH(t,e="-"){let r="relay",i={};return Object.keys(t).forEach(n=>{let s=r+e+n;t[n]&&(i[s]=t[n])}),i}function kv(t){return`${t.protocol}:${t.topic}@${t.version}?`+Iu.stringify(d_(sH(d_({symKey:t.symKey},cH(t.relay)),{expiryTimestamp:t.expiryTimestamp}),t.methods?{methods:t.methods.join(",")}:{}))}function xf(t,e,r){return`${t}?wc_ev=${r}&topic=${e}`}function Fu(t){let e=[];return t.forEach(r=>{let[i,n]=r.split(":");e.push(`${i}:${n}`)}),e}function uH(t){let e=[];return Object.values(t).forEach(r=>{e.push(...Fu(r.accounts))}),e}function lH(t,e){let r=[];return Object.values(t).forEach(i=>{Fu(i.accounts).includes(e)&&r.push(...i.methods)}),r}function fH(t,e){let r=[];return Object.values(t).forEach(i=>{Fu(i.accounts).includes(e)&&r.push(...i.events)}),r}function E0(t){return t.includes(":")}function qu(t){return E0(t)?t.split(":")[0]:t}function hH(t){let e={};return t?.forEach(r=>{let[i,n]=r.split(":");e[i]||(e[i]={accounts:[],chains:[],events:[]}),e[i].accounts.push(r),e[i].chains.push(`${i}:${n}`)}),e}function jv(t,e){e=e.map(i=>i.replace("did:pkh:",""));let r=hH(e);for(let[i,n]of Object.entries(r))n.methods?n.methods=mf(n.methods,t):n.methods=t,n.events=["chainChanged","accountsChanged"];return r}var dH={INVALID_METHOD:{message:"Invalid method.",code:1001},INVALID_EVENT:{message:"Invalid event.",code:1002},INVALID_UPDATE_REQUEST:{message:"Invalid update request.",code:1003},INVALID_EXTEND_REQUEST:{message:"Invalid extend request.",code:1004},INVALID_SESSION_SETTLE_REQUEST:{message:"Invalid session settle request.",code:1005},UNAUTHORIZED_METHOD:{message:"Unauthorized method.",code:3001},UNAUTHORIZED_EVENT:{message:"Unauthorized event.",code:3002},UNAUTHORIZED_UPDATE_REQUEST:{message:"Unauthorized update request.",code:3003},UNAUTHORIZED_EXTEND_REQUEST:{message:"Unauthorized extend request.",code:3004},USER_REJECTED:{message:"User rejected.",code:5e3},USER_REJECTED_CHAINS:{message:"User rejected chains.",code:5001},USER_REJECTED_METHODS:{message:"User rejected methods.",code:5002},USER_REJECTED_EVENTS:{message:"User rejected events.",code:5003},UNSUPPORTED_CHAINS:{message:"Unsupported chains.",code:5100},UNSUPPORTED_METHODS:{message:"Unsupported methods.",code:5101},UNSUPPORTED_EVENTS:{message:"Unsupported events.",code:5102},UNSUPPORTED_ACCOUNTS:{message:"Unsupported accounts.",code:5103},UNSUPPORTED_NAMESPACE_KEY:{message:"Unsupported namespace key.",code:5104},USER_DISCONNECTED:{message:"User disconnected.",code:6e3},SESSION_SETTLEMENT_FAILED:{message:"Session settlement failed.",code:7e3},WC_METHOD_UNSUPPORTED:{message:"Unsupported wc_ method.",code:10001}},pH={NOT_INITIALIZED:{message:"Not initialized.",code:1},NO_MATCHING_KEY:{message:"No matching key.",code:2},RESTORE_WILL_OVERRIDE:{message:"Restore will override.",code:3},RESUBSCRIBED:{message:"Resubscribed.",code:4},MISSING_OR_INVALID:{message:"Missing or invalid.",code:5},EXPIRED:{message:"Expired.",code:6},UNKNOWN_TYPE:{message:"Unknown type.",code:7},MISMATCHED_TOPIC:{message:"Mismatched topic.",code:8},NON_CONFORMING_NAMESPACES:{message:"Non conforming namespaces.",code:9}};function ge(t,e){let{message:r,code:i}=pH[t];return{message:e?`${r} ${e}`:r,code:i}}function dt(t,e){let{message:r,code:i}=dH[t];return{message:e?`${r} ${e}`:r,code:i}}function Xi(t,e){return Array.isArray(t)?typeof e<"u"&&t.length?t.every(e):!0:!1}function rc(t){return Object.getPrototypeOf(t)===Object.prototype&&Object.keys(t).length}function Wr(t){return typeof t>"u"}function dr(t,e){return e&&Wr(t)?!0:typeof t=="string"&&!!t.trim().length}function zv(t,e){return e&&Wr(t)?!0:typeof t=="number"&&!isNaN(t)}function I9(t,e){let{requiredNamespaces:r}=e,i=Object.keys(t.namespaces),n=Object.keys(r),s=!0;return Ja(n,i)?(i.forEach(a=>{let{accounts:u,methods:h,events:f}=t.namespaces[a],v=Fu(u),w=r[a];(!Ja(y_(a,w),v)||!Ja(w.methods,h)||!Ja(w.events,f))&&(s=!1)}),s):!1}function m0(t){return dr(t,!1)&&t.includes(":")?t.split(":").length===2:!1}function gH(t){if(dr(t,!1)&&t.includes(":")){let e=t.split(":");if(e.length===3){let r=e[0]+":"+e[1];return!!e[2]&&m0(r)}}return!1}function M9(t){function e(r){try{return typeof new URL(r)<"u"}catch{return!1}}try{if(dr(t,!1)){if(e(t))return!0;let r=M_(t);return e(r)}}catch{}return!1}function C9(t){var e;return(e=t?.proposer)==null?void 0:e.publicKey}function D9(t){return t?.topic}function P9(t,e){let r=null;return dr(t?.publicKey,!1)||(r=ge("MISSING_OR_INVALID",`${e} controller public key should be a string`)),r}function p_(t){let e=!0;return Xi(t)?t.length&&(e=t.every(r=>dr(r,!1))):e=!1,e}function mH(t,e,r){let i=null;return Xi(e)&&e.length?e.forEach(n=>{i||m0(n)||(i=dt("UNSUPPORTED_CHAINS",`${r}, chain ${n} should be a string and conform to "namespace:chainId" format`))}):m0(t)||(i=dt("UNSUPPORTED_CHAINS",`${r}, chains must be defined as "namespace:chainId" e.g. "eip155:1": {...} in the namespace key OR as an array of CAIP-2 chainIds e.g. eip155: { chains: ["eip155:1", "eip155:5"] }`)),i}function vH(t,e,r){let i=null;return Object.entries(t).forEach(([n,s])=>{if(i)return;let a=mH(n,y_(n,s),`${e} ${r}`);a&&(i=a)}),i}function bH(t,e){let r=null;return Xi(t)?t.forEach(i=>{r||gH(i)||(r=dt("UNSUPPORTED_ACCOUNTS",`${e}, account ${i} should be a string and conform to "namespace:chainId:address" format`))}):r=dt("UNSUPPORTED_ACCOUNTS",`${e}, accounts should be an array of strings conforming to "namespace:chainId:address" format`),r}function yH(t,e){let r=null;return Object.values(t).forEach(i=>{if(r)return;let n=bH(i?.accounts,`${e} namespace`);n&&(r=n)}),r}function wH(t,e){let r=null;return p_(t?.methods)?p_(t?.events)||(r=dt("UNSUPPORTED_EVENTS",`${e}, events should be an array of strings or empty array for no events`)):r=dt("UNSUPPORTED_METHODS",`${e}, methods should be an array of strings or empty array for no methods`),r}function O9(t,e){let r=null;return Object.values(t).forEach(i=>{if(r)return;let n=wH(i,`${e}, namespace`);n&&(r=n)}),r}function R9(t,e,r){let i=null;if(t&&rc(t)){let n=O9(t,e);n&&(i=n);let s=vH(t,e,r);s&&(i=s)}else i=ge("MISSING_OR_INVALID",`${e}, ${r} should be an object with data`);return i}function A0(t,e){let r=null;if(t&&rc(t)){let i=O9(t,e);i&&(r=i);let n=yH(t,e);n&&(r=n)}else r=ge("MISSING_OR_INVALID",`${e}, namespaces should be an object with data`);return r}function Hv(t){return dr(t.protocol,!0)}function T9(t,e){let r=!1;return e&&!t?r=!0:t&&Xi(t)&&t.length&&t.forEach(i=>{r=Hv(i)}),r}function N9(t){return typeof t=="number"}function si(t){return typeof t<"u"&&typeof t!==null}function L9(t){return!(!t||typeof t!="object"||!t.code||!zv(t.code,!1)||!t.message||!dr(t.message,!1))}function B9(t){return!(Wr(t)||!dr(t.method,!1))}function U9(t){return!(Wr(t)||Wr(t.result)&&Wr(t.error)||!zv(t.id,!1)||!dr(t.jsonrpc,!1))}function F9(t){return!(Wr(t)||!dr(t.name,!1))}function Kv(t,e){return!(!m0(e)||!uH(t).includes(e))}function q9(t,e,r){return dr(r,!1)?lH(t,e).includes(r):!1}function $9(t,e,r){return dr(r,!1)?fH(t,e).includes(r):!1}function Vv(t,e,r){let i=null,n=_H(t),s=xH(e),a=Object.keys(n),u=Object.keys(s),h=g_(Object.keys(t)),f=g_(Object.keys(e)),v=h.filter(w=>!f.includes(w));return v.length&&(i=ge("NON_CONFORMING_NAMESPACES",`${r} namespaces keys don't satisfy requiredNamespaces.
+      Required: ${v.toString()}
+      Received: ${Object.keys(e).toString()}`)),Ja(a,u)||(i=ge("NON_CONFORMING_NAMESPACES",`${r} namespaces chains don't satisfy required namespaces.
+      Required: ${a.toString()}
+      Approved: ${u.toString()}`)),Object.keys(e).forEach(w=>{if(!w.includes(":")||i)return;let I=Fu(e[w].accounts);I.includes(w)||(i=ge("NON_CONFORMING_NAMESPACES",`${r} namespaces accounts don't satisfy namespace accounts for ${w}
+        Required: ${w}
+        Approved: ${I.toString()}`))}),a.forEach(w=>{i||(Ja(n[w].methods,s[w].methods)?Ja(n[w].events,s[w].events)||(i=ge("NON_CONFORMING_NAMESPACES",`${r} namespaces events don't satisfy namespace events for ${w}`)):i=ge("NON_CONFORMING_NAMESPACES",`${r} namespaces methods don't satisfy namespace methods for ${w}`))}),i}function _H(t){let e={};return Object.keys(t).forEach(r=>{var i;r.includes(":")?e[r]=t[r]:(i=t[r].chains)==null||i.forEach(n=>{e[n]={methods:t[r].methods,events:t[r].events}})}),e}function g_(t){return[...new Set(t.map(e=>e.includes(":")?e.split(":")[0]:e))]}function xH(t){let e={};return Object.keys(t).forEach(r=>{r.includes(":")?e[r]=t[r]:Fu(t[r].accounts)?.forEach(n=>{e[n]={accounts:t[r].accounts.filter(s=>s.includes(`${n}:`)),methods:t[r].methods,events:t[r].events}})}),e}function k9(t,e){return zv(t,!1)&&t<=e.max&&t>=e.min}function Wv(){let t=gf();return new Promise(e=>{switch(t){case Fi.browser:e(EH());break;case Fi.reactNative:e(AH());break;case Fi.node:e(SH());break;default:e(!0)}})}function EH(){return Cu()&&navigator?.onLine}async function AH(){return Za()&&typeof globalThis<"u"&&globalThis!=null&&globalThis.NetInfo?(await globalThis?.NetInfo.fetch())?.isConnected:!0}function SH(){return!0}function j9(t){switch(gf()){case Fi.browser:IH(t);break;case Fi.reactNative:MH(t);break;case Fi.node:break}}function IH(t){!Za()&&Cu()&&(window.addEventListener("online",()=>t(!0)),window.addEventListener("offline",()=>t(!1)))}function MH(t){Za()&&typeof globalThis<"u"&&globalThis!=null&&globalThis.NetInfo&&globalThis?.NetInfo.addEventListener(e=>t(e?.isConnected))}var fv={},ra=class{static get(e){return fv[e]}static set(e,r){fv[e]=r}static delete(e){delete fv[e]}};var xo=Et(ts());var H9=Et(ts()),I0=Et(Yc());var jn=class{};var Gv=class extends jn{constructor(e){super()}},z9=I0.FIVE_SECONDS,ic={pulse:"heartbeat_pulse"},S0=class t extends Gv{constructor(e){super(e),this.events=new H9.EventEmitter,this.interval=z9,this.interval=e?.interval||z9}static async init(e){let r=new t(e);return await r.init(),r}async init(){await this.initialize()}stop(){clearInterval(this.intervalRef)}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}off(e,r){this.events.off(e,r)}removeListener(e,r){this.events.removeListener(e,r)}async initialize(){this.intervalRef=setInterval(()=>this.pulse(),(0,I0.toMiliseconds)(this.interval))}pulse(){this.events.emit(ic.pulse)}};var CH=/"(?:_|\\u0{2}5[Ff]){2}(?:p|\\u0{2}70)(?:r|\\u0{2}72)(?:o|\\u0{2}6[Ff])(?:t|\\u0{2}74)(?:o|\\u0{2}6[Ff])(?:_|\\u0{2}5[Ff]){2}"\s*:/,DH=/"(?:c|\\u0063)(?:o|\\u006[Ff])(?:n|\\u006[Ee])(?:s|\\u0073)(?:t|\\u0074)(?:r|\\u0072)(?:u|\\u0075)(?:c|\\u0063)(?:t|\\u0074)(?:o|\\u006[Ff])(?:r|\\u0072)"\s*:/,PH=/^\s*["[{]|^\s*-?\d{1,16}(\.\d{1,17})?([Ee][+-]?\d+)?\s*$/;function OH(t,e){if(t==="__proto__"||t==="constructor"&&e&&typeof e=="object"&&"prototype"in e){RH(t);return}return e}function RH(t){console.warn(`[destr] Dropping "${t}" key to prevent prototype pollution.`)}function Ef(t,e={}){if(typeof t!="string")return t;if(t[0]==='"'&&t[t.length-1]==='"'&&t.indexOf("\\")===-1)return t.slice(1,-1);let r=t.trim();if(r.length<=9)switch(r.toLowerCase()){case"true":return!0;case"false":return!1;case"undefined":return;case"null":return null;case"nan":return Number.NaN;case"infinity":return Number.POSITIVE_INFINITY;case"-infinity":return Number.NEGATIVE_INFINITY}if(!PH.test(t)){if(e.strict)throw new SyntaxError("[destr] Invalid JSON");return t}try{if(CH.test(t)||DH.test(t)){if(e.strict)throw new Error("[destr] Possible prototype pollution");return JSON.parse(t,OH)}return JSON.parse(t)}catch(i){if(e.strict)throw i;return t}}function TH(t){return!t||typeof t.then!="function"?Promise.resolve(t):t}function Rr(t,...e){try{return TH(t(...e))}catch(r){return Promise.reject(r)}}function NH(t){let e=typeof t;return t===null||e!=="object"&&e!=="function"}function LH(t){let e=Object.getPrototypeOf(t);return!e||e.isPrototypeOf(Object)}function Af(t){if(NH(t))return String(t);if(LH(t)||Array.isArray(t))return JSON.stringify(t);if(typeof t.toJSON=="function")return Af(t.toJSON());throw new Error("[unstorage] Cannot stringify value!")}var Jv="base64:";function K9(t){return typeof t=="string"?t:Jv+UH(t)}function V9(t){return typeof t!="string"||!t.startsWith(Jv)?t:BH(t.slice(Jv.length))}function BH(t){return globalThis.Buffer?Buffer.from(t,"base64"):Uint8Array.from(globalThis.atob(t),e=>e.codePointAt(0))}function UH(t){return globalThis.Buffer?Buffer.from(t).toString("base64"):globalThis.btoa(String.fromCodePoint(...t))}function vi(t){return t&&t.split("?")[0]?.replace(/[/\\]/g,":").replace(/:+/g,":").replace(/^:|:$/g,"")||""}function W9(...t){return vi(t.join(":"))}function Sf(t){return t=vi(t),t?t+":":""}function G9(t,e){if(e===void 0)return!0;let r=0,i=t.indexOf(":");for(;i>-1;)r++,i=t.indexOf(":",i+1);return r<=e}function J9(t,e){return e?t.startsWith(e)&&t[t.length-1]!=="$":t[t.length-1]!=="$"}var FH="memory",qH=()=>{let t=new Map;return{name:FH,getInstance:()=>t,hasItem(e){return t.has(e)},getItem(e){return t.get(e)??null},getItemRaw(e){return t.get(e)??null},setItem(e,r){t.set(e,r)},setItemRaw(e,r){t.set(e,r)},removeItem(e){t.delete(e)},getKeys(){return[...t.keys()]},clear(){t.clear()},dispose(){t.clear()}}};function X9(t={}){let e={mounts:{"":t.driver||qH()},mountpoints:[""],watching:!1,watchListeners:[],unwatch:{}},r=f=>{for(let v of e.mountpoints)if(f.startsWith(v))return{base:v,relativeKey:f.slice(v.length),driver:e.mounts[v]};return{base:"",relativeKey:f,driver:e.mounts[""]}},i=(f,v)=>e.mountpoints.filter(w=>w.startsWith(f)||v&&f.startsWith(w)).map(w=>({relativeBase:f.length>w.length?f.slice(w.length):void 0,mountpoint:w,driver:e.mounts[w]})),n=(f,v)=>{if(e.watching){v=vi(v);for(let w of e.watchListeners)w(f,v)}},s=async()=>{if(!e.watching){e.watching=!0;for(let f in e.mounts)e.unwatch[f]=await Y9(e.mounts[f],n,f)}},a=async()=>{if(e.watching){for(let f in e.unwatch)await e.unwatch[f]();e.unwatch={},e.watching=!1}},u=(f,v,w)=>{let I=new Map,M=P=>{let T=I.get(P.base);return T||(T={driver:P.driver,base:P.base,items:[]},I.set(P.base,T)),T};for(let P of f){let T=typeof P=="string",U=vi(T?P:P.key),F=T?void 0:P.value,V=T||!P.options?v:{...v,...P.options},z=r(U);M(z).items.push({key:U,value:F,relativeKey:z.relativeKey,options:V})}return Promise.all([...I.values()].map(P=>w(P))).then(P=>P.flat())},h={hasItem(f,v={}){f=vi(f);let{relativeKey:w,driver:I}=r(f);return Rr(I.hasItem,w,v)},getItem(f,v={}){f=vi(f);let{relativeKey:w,driver:I}=r(f);return Rr(I.getItem,w,v).then(M=>Ef(M))},getItems(f,v={}){return u(f,v,w=>w.driver.getItems?Rr(w.driver.getItems,w.items.map(I=>({key:I.relativeKey,options:I.options})),v).then(I=>I.map(M=>({key:W9(w.base,M.key),value:Ef(M.value)}))):Promise.all(w.items.map(I=>Rr(w.driver.getItem,I.relativeKey,I.options).then(M=>({key:I.key,value:Ef(M)})))))},getItemRaw(f,v={}){f=vi(f);let{relativeKey:w,driver:I}=r(f);return I.getItemRaw?Rr(I.getItemRaw,w,v):Rr(I.getItem,w,v).then(M=>V9(M))},async setItem(f,v,w={}){if(v===void 0)return h.removeItem(f);f=vi(f);let{relativeKey:I,driver:M}=r(f);M.setItem&&(await Rr(M.setItem,I,Af(v),w),M.watch||n("update",f))},async setItems(f,v){await u(f,v,async w=>{if(w.driver.setItems)return Rr(w.driver.setItems,w.items.map(I=>({key:I.relativeKey,value:Af(I.value),options:I.options})),v);w.driver.setItem&&await Promise.all(w.items.map(I=>Rr(w.driver.setItem,I.relativeKey,Af(I.value),I.options)))})},async setItemRaw(f,v,w={}){if(v===void 0)return h.removeItem(f,w);f=vi(f);let{relativeKey:I,driver:M}=r(f);if(M.setItemRaw)await Rr(M.setItemRaw,I,v,w);else if(M.setItem)await Rr(M.setItem,I,K9(v),w);else return;M.watch||n("update",f)},async removeItem(f,v={}){typeof v=="boolean"&&(v={removeMeta:v}),f=vi(f);let{relativeKey:w,driver:I}=r(f);I.removeItem&&(await Rr(I.removeItem,w,v),(v.removeMeta||v.removeMata)&&await Rr(I.removeItem,w+"$",v),I.watch||n("remove",f))},async getMeta(f,v={}){typeof v=="boolean"&&(v={nativeOnly:v}),f=vi(f);let{relativeKey:w,driver:I}=r(f),M=Object.create(null);if(I.getMeta&&Object.assign(M,await Rr(I.getMeta,w,v)),!v.nativeOnly){let P=await Rr(I.getItem,w+"$",v).then(T=>Ef(T));P&&typeof P=="object"&&(typeof P.atime=="string"&&(P.atime=new Date(P.atime)),typeof P.mtime=="string"&&(P.mtime=new Date(P.mtime)),Object.assign(M,P))}return M},setMeta(f,v,w={}){return this.setItem(f+"$",v,w)},removeMeta(f,v={}){return this.removeItem(f+"$",v)},async getKeys(f,v={}){f=Sf(f);let w=i(f,!0),I=[],M=[],P=!0;for(let U of w){U.driver.flags?.maxDepth||(P=!1);let F=await Rr(U.driver.getKeys,U.relativeBase,v);for(let V of F){let z=U.mountpoint+vi(V);I.some(j=>z.startsWith(j))||M.push(z)}I=[U.mountpoint,...I.filter(V=>!V.startsWith(U.mountpoint))]}let T=v.maxDepth!==void 0&&!P;return M.filter(U=>(!T||G9(U,v.maxDepth))&&J9(U,f))},async clear(f,v={}){f=Sf(f),await Promise.all(i(f,!1).map(async w=>{if(w.driver.clear)return Rr(w.driver.clear,w.relativeBase,v);if(w.driver.removeItem){let I=await w.driver.getKeys(w.relativeBase||"",v);return Promise.all(I.map(M=>w.driver.removeItem(M,v)))}}))},async dispose(){await Promise.all(Object.values(e.mounts).map(f=>Q9(f)))},async watch(f){return await s(),e.watchListeners.push(f),async()=>{e.watchListeners=e.watchListeners.filter(v=>v!==f),e.watchListeners.length===0&&await a()}},async unwatch(){e.watchListeners=[],await a()},mount(f,v){if(f=Sf(f),f&&e.mounts[f])throw new Error(`already mounted at ${f}`);return f&&(e.mountpoints.push(f),e.mountpoints.sort((w,I)=>I.length-w.length)),e.mounts[f]=v,e.watching&&Promise.resolve(Y9(v,n,f)).then(w=>{e.unwatch[f]=w}).catch(console.error),h},async unmount(f,v=!0){f=Sf(f),!(!f||!e.mounts[f])&&(e.watching&&f in e.unwatch&&(e.unwatch[f]?.(),delete e.unwatch[f]),v&&await Q9(e.mounts[f]),e.mountpoints=e.mountpoints.filter(w=>w!==f),delete e.mounts[f])},getMount(f=""){f=vi(f)+":";let v=r(f);return{driver:v.driver,base:v.base}},getMounts(f="",v={}){return f=vi(f),i(f,v.parents).map(I=>({driver:I.driver,base:I.mountpoint}))},keys:(f,v={})=>h.getKeys(f,v),get:(f,v={})=>h.getItem(f,v),set:(f,v,w={})=>h.setItem(f,v,w),has:(f,v={})=>h.hasItem(f,v),del:(f,v={})=>h.removeItem(f,v),remove:(f,v={})=>h.removeItem(f,v)};return h}function Y9(t,e,r){return t.watch?t.watch((i,n)=>e(i,r+n)):()=>{}}async function Q9(t){typeof t.dispose=="function"&&await Rr(t.dispose)}function nc(t){return new Promise((e,r)=>{t.oncomplete=t.onsuccess=()=>e(t.result),t.onabort=t.onerror=()=>r(t.error)})}function Qv(t,e){let r,i=()=>{if(r)return r;let n=indexedDB.open(t);return n.onupgradeneeded=()=>n.result.createObjectStore(e),r=nc(n),r.then(s=>{s.onclose=()=>r=void 0},()=>{r=void 0}),r};return(n,s)=>i().then(a=>s(a.transaction(e,n).objectStore(e)))}var Yv;function If(){return Yv||(Yv=Qv("keyval-store","keyval")),Yv}function Xv(t,e=If()){return e("readonly",r=>nc(r.get(t)))}function Z9(t,e,r=If()){return r("readwrite",i=>(i.put(e,t),nc(i.transaction)))}function ex(t,e=If()){return e("readwrite",r=>(r.delete(t),nc(r.transaction)))}function tx(t=If()){return t("readwrite",e=>(e.clear(),nc(e.transaction)))}function $H(t,e){return t.openCursor().onsuccess=function(){this.result&&(e(this.result),this.result.continue())},nc(t.transaction)}function rx(t=If()){return t("readonly",e=>{if(e.getAllKeys)return nc(e.getAllKeys());let r=[];return $H(e,i=>r.push(i.key)).then(()=>r)})}var kH="idb-keyval",jH=(t={})=>{let e=t.base&&t.base.length>0?`${t.base}:`:"",r=n=>e+n,i;return t.dbName&&t.storeName&&(i=Qv(t.dbName,t.storeName)),{name:kH,options:t,async hasItem(n){return!(typeof await Xv(r(n),i)>"u")},async getItem(n){return await Xv(r(n),i)??null},setItem(n,s){return Z9(r(n),s,i)},removeItem(n){return ex(r(n),i)},getKeys(){return rx(i)},clear(){return tx(i)}}},zH="WALLET_CONNECT_V2_INDEXED_DB",HH="keyvaluestorage",e2=class{constructor(){this.indexedDb=X9({driver:jH({dbName:zH,storeName:HH})})}async getKeys(){return this.indexedDb.getKeys()}async getEntries(){return(await this.indexedDb.getItems(await this.indexedDb.getKeys())).map(e=>[e.key,e.value])}async getItem(e){let r=await this.indexedDb.getItem(e);if(r!==null)return r}async setItem(e,r){await this.indexedDb.setItem(e,pi(r))}async removeItem(e){await this.indexedDb.removeItem(e)}},Zv=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},M0={exports:{}};(function(){let t;function e(){}t=e,t.prototype.getItem=function(r){return this.hasOwnProperty(r)?String(this[r]):null},t.prototype.setItem=function(r,i){this[r]=String(i)},t.prototype.removeItem=function(r){delete this[r]},t.prototype.clear=function(){let r=this;Object.keys(r).forEach(function(i){r[i]=void 0,delete r[i]})},t.prototype.key=function(r){return r=r||0,Object.keys(this)[r]},t.prototype.__defineGetter__("length",function(){return Object.keys(this).length}),typeof Zv<"u"&&Zv.localStorage?M0.exports=Zv.localStorage:typeof window<"u"&&window.localStorage?M0.exports=window.localStorage:M0.exports=new e})();function KH(t){var e;return[t[0],vn((e=t[1])!=null?e:"")]}var t2=class{constructor(){this.localStorage=M0.exports}async getKeys(){return Object.keys(this.localStorage)}async getEntries(){return Object.entries(this.localStorage).map(KH)}async getItem(e){let r=this.localStorage.getItem(e);if(r!==null)return vn(r)}async setItem(e,r){this.localStorage.setItem(e,pi(r))}async removeItem(e){this.localStorage.removeItem(e)}},VH="wc_storage_version",ix=1,WH=async(t,e,r)=>{let i=VH,n=await e.getItem(i);if(n&&n>=ix){r(e);return}let s=await t.getKeys();if(!s.length){r(e);return}let a=[];for(;s.length;){let u=s.shift();if(!u)continue;let h=u.toLowerCase();if(h.includes("wc@")||h.includes("walletconnect")||h.includes("wc_")||h.includes("wallet_connect")){let f=await t.getItem(u);await e.setItem(u,f),a.push(u)}}await e.setItem(i,ix),r(e),GH(t,a)},GH=async(t,e)=>{e.length&&e.forEach(async r=>{await t.removeItem(r)})},C0=class{constructor(){this.initialized=!1,this.setInitialized=r=>{this.storage=r,this.initialized=!0};let e=new t2;this.storage=e;try{let r=new e2;WH(e,r,this.setInitialized)}catch{this.initialized=!0}}async getKeys(){return await this.initialize(),this.storage.getKeys()}async getEntries(){return await this.initialize(),this.storage.getEntries()}async getItem(e){return await this.initialize(),this.storage.getItem(e)}async setItem(e,r){return await this.initialize(),this.storage.setItem(e,r)}async removeItem(e){return await this.initialize(),this.storage.removeItem(e)}async initialize(){this.initialized||await new Promise(e=>{let r=setInterval(()=>{this.initialized&&(clearInterval(r),e())},20)})}};var bo=Et(n2()),sc=Et(n2());var aK={level:"info"},Df="custom_context",c2=1e3*1024,s2=class{constructor(e){this.nodeValue=e,this.sizeInBytes=new TextEncoder().encode(this.nodeValue).length,this.next=null}get value(){return this.nodeValue}get size(){return this.sizeInBytes}},O0=class{constructor(e){this.head=null,this.tail=null,this.lengthInNodes=0,this.maxSizeInBytes=e,this.sizeInBytes=0}append(e){let r=new s2(e);if(r.size>this.maxSizeInBytes)throw new Error(`[LinkedList] Value too big to insert into list: ${e} with size ${r.size}`);for(;this.size+r.size>this.maxSizeInBytes;)this.shift();this.head?(this.tail&&(this.tail.next=r),this.tail=r):(this.head=r,this.tail=r),this.lengthInNodes++,this.sizeInBytes+=r.size}shift(){if(!this.head)return;let e=this.head;this.head=this.head.next,this.head||(this.tail=null),this.lengthInNodes--,this.sizeInBytes-=e.size}toArray(){let e=[],r=this.head;for(;r!==null;)e.push(r.value),r=r.next;return e}get length(){return this.lengthInNodes}get size(){return this.sizeInBytes}toOrderedArray(){return Array.from(this)}[Symbol.iterator](){let e=this.head;return{next:()=>{if(!e)return{done:!0,value:null};let r=e.value;return e=e.next,{done:!1,value:r}}}}},R0=class{constructor(e,r=c2){this.level=e??"error",this.levelValue=bo.levels.values[this.level],this.MAX_LOG_SIZE_IN_BYTES=r,this.logs=new O0(this.MAX_LOG_SIZE_IN_BYTES)}forwardToConsole(e,r){r===bo.levels.values.error?console.error(e):r===bo.levels.values.warn?console.warn(e):r===bo.levels.values.debug?console.debug(e):r===bo.levels.values.trace?console.trace(e):console.log(e)}appendToLogs(e){this.logs.append(pi({timestamp:new Date().toISOString(),log:e}));let r=typeof e=="string"?JSON.parse(e).level:e.level;r>=this.levelValue&&this.forwardToConsole(e,r)}getLogs(){return this.logs}clearLogs(){this.logs=new O0(this.MAX_LOG_SIZE_IN_BYTES)}getLogArray(){return Array.from(this.logs)}logsToBlob(e){let r=this.getLogArray();return r.push(pi({extraMetadata:e})),new Blob(r,{type:"application/json"})}},o2=class{constructor(e,r=c2){this.baseChunkLogger=new R0(e,r)}write(e){this.baseChunkLogger.appendToLogs(e)}getLogs(){return this.baseChunkLogger.getLogs()}clearLogs(){this.baseChunkLogger.clearLogs()}getLogArray(){return this.baseChunkLogger.getLogArray()}logsToBlob(e){return this.baseChunkLogger.logsToBlob(e)}downloadLogsBlobInBrowser(e){let r=URL.createObjectURL(this.logsToBlob(e)),i=document.createElement("a");i.href=r,i.download=`walletconnect-logs-${new Date().toISOString()}.txt`,document.body.appendChild(i),i.click(),document.body.removeChild(i),URL.revokeObjectURL(r)}},a2=class{constructor(e,r=c2){this.baseChunkLogger=new R0(e,r)}write(e){this.baseChunkLogger.appendToLogs(e)}getLogs(){return this.baseChunkLogger.getLogs()}clearLogs(){this.baseChunkLogger.clearLogs()}getLogArray(){return this.baseChunkLogger.getLogArray()}logsToBlob(e){return this.baseChunkLogger.logsToBlob(e)}},cK=Object.defineProperty,uK=Object.defineProperties,lK=Object.getOwnPropertyDescriptors,lx=Object.getOwnPropertySymbols,fK=Object.prototype.hasOwnProperty,hK=Object.prototype.propertyIsEnumerable,fx=(t,e,r)=>e in t?cK(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,T0=(t,e)=>{for(var r in e||(e={}))fK.call(e,r)&&fx(t,r,e[r]);if(lx)for(var r of lx(e))hK.call(e,r)&&fx(t,r,e[r]);return t},N0=(t,e)=>uK(t,lK(e));function oc(t){return N0(T0({},t),{level:t?.level||aK.level})}function dK(t,e=Df){return t[e]||""}function pK(t,e,r=Df){return t[r]=e,t}function oi(t,e=Df){let r="";return typeof t.bindings>"u"?r=dK(t,e):r=t.bindings().context||"",r}function gK(t,e,r=Df){let i=oi(t,r);return i.trim()?`${i}/${e}`:e}function Jr(t,e,r=Df){let i=gK(t,e,r),n=t.child({context:i});return pK(n,i,r)}function mK(t){var e,r;let i=new o2((e=t.opts)==null?void 0:e.level,t.maxSizeInBytes);return{logger:(0,bo.default)(N0(T0({},t.opts),{level:"trace",browser:N0(T0({},(r=t.opts)==null?void 0:r.browser),{write:n=>i.write(n)})})),chunkLoggerController:i}}function vK(t){var e;let r=new a2((e=t.opts)==null?void 0:e.level,t.maxSizeInBytes);return{logger:(0,bo.default)(N0(T0({},t.opts),{level:"trace"}),r),chunkLoggerController:r}}function hx(t){return typeof t.loggerOverride<"u"&&typeof t.loggerOverride!="string"?{logger:t.loggerOverride,chunkLoggerController:null}:typeof window<"u"?mK(t):vK(t)}var dx=Et(ts()),L0=class extends jn{constructor(e){super(),this.opts=e,this.protocol="wc",this.version=2}};var B0=class extends jn{constructor(e,r){super(),this.core=e,this.logger=r,this.records=new Map}},U0=class{constructor(e,r){this.logger=e,this.core=r}},F0=class extends jn{constructor(e,r){super(),this.relayer=e,this.logger=r}},q0=class extends jn{constructor(e){super()}},$0=class{constructor(e,r,i,n){this.core=e,this.logger=r,this.name=i}};var k0=class extends jn{constructor(e,r){super(),this.relayer=e,this.logger=r}};var j0=class extends jn{constructor(e,r){super(),this.core=e,this.logger=r}};var z0=class{constructor(e,r,i){this.core=e,this.logger=r,this.store=i}},H0=class{constructor(e,r){this.projectId=e,this.logger=r}},K0=class{constructor(e,r,i){this.core=e,this.logger=r,this.telemetryEnabled=i}};var V0=class{constructor(e){this.opts=e,this.protocol="wc",this.version=2}};var W0=class{constructor(e){this.client=e}};var Ce=Et(Yc());var Dx=Et(ts());var Fr={};zr(Fr,{DEFAULT_ERROR:()=>Of,IBaseJsonRpcProvider:()=>rp,IEvents:()=>Tf,IJsonRpcConnection:()=>h2,IJsonRpcProvider:()=>Nf,INTERNAL_ERROR:()=>G0,INVALID_PARAMS:()=>vx,INVALID_REQUEST:()=>gx,METHOD_NOT_FOUND:()=>mx,PARSE_ERROR:()=>px,RESERVED_ERROR_CODES:()=>u2,SERVER_ERROR:()=>Pf,SERVER_ERROR_CODE_RANGE:()=>J0,STANDARD_ERROR_MAP:()=>ia,formatErrorMessage:()=>Mx,formatJsonRpcError:()=>yo,formatJsonRpcRequest:()=>Zi,formatJsonRpcResult:()=>oa,getBigIntRpcId:()=>zn,getError:()=>Q0,getErrorByCode:()=>X0,isHttpUrl:()=>ip,isJsonRpcError:()=>ai,isJsonRpcPayload:()=>p2,isJsonRpcRequest:()=>ju,isJsonRpcResponse:()=>aa,isJsonRpcResult:()=>en,isJsonRpcValidationInvalid:()=>CK,isLocalhostUrl:()=>d2,isNodeJs:()=>Ix,isReservedErrorCode:()=>Y0,isServerErrorCode:()=>bK,isValidDefaultRoute:()=>ep,isValidErrorCode:()=>bx,isValidLeadingWildcardRoute:()=>EK,isValidRoute:()=>xK,isValidTrailingWildcardRoute:()=>AK,isValidWildcardRoute:()=>tp,isWsUrl:()=>np,parseConnectionError:()=>Rf,payloadId:()=>Is,validateJsonRpcError:()=>yK});var px="PARSE_ERROR",gx="INVALID_REQUEST",mx="METHOD_NOT_FOUND",vx="INVALID_PARAMS",G0="INTERNAL_ERROR",Pf="SERVER_ERROR",u2=[-32700,-32600,-32601,-32602,-32603],J0=[-32e3,-32099],ia={[px]:{code:-32700,message:"Parse error"},[gx]:{code:-32600,message:"Invalid Request"},[mx]:{code:-32601,message:"Method not found"},[vx]:{code:-32602,message:"Invalid params"},[G0]:{code:-32603,message:"Internal error"},[Pf]:{code:-32e3,message:"Server error"}},Of=Pf;function bK(t){return t<=J0[0]&&t>=J0[1]}function Y0(t){return u2.includes(t)}function bx(t){return typeof t=="number"}function Q0(t){return Object.keys(ia).includes(t)?ia[t]:ia[Of]}function X0(t){let e=Object.values(ia).find(r=>r.code===t);return e||ia[Of]}function yK(t){if(typeof t.error.code>"u")return{valid:!1,error:"Missing code for JSON-RPC error"};if(typeof t.error.message>"u")return{valid:!1,error:"Missing message for JSON-RPC error"};if(!bx(t.error.code))return{valid:!1,error:`Invalid error code type for JSON-RPC: ${t.error.code}`};if(Y0(t.error.code)){let e=X0(t.error.code);if(e.message!==ia[Of].message&&t.error.message===e.message)return{valid:!1,error:`Invalid error code message for JSON-RPC: ${t.error.code}`}}return{valid:!0}}function Rf(t,e,r){return t.message.includes("getaddrinfo ENOTFOUND")||t.message.includes("connect ECONNREFUSED")?new Error(`Unavailable ${r} RPC url at ${e}`):t}var bi={};zr(bi,{isNodeJs:()=>Ix});var Sx=Et(f2());Wi(bi,Et(f2()));var Ix=Sx.isNode;Wi(Fr,bi);function Is(t=3){let e=Date.now()*Math.pow(10,t),r=Math.floor(Math.random()*Math.pow(10,t));return e+r}function zn(t=6){return BigInt(Is(t))}function Zi(t,e,r){return{id:r||Is(),jsonrpc:"2.0",method:t,params:e}}function oa(t,e){return{id:t,jsonrpc:"2.0",result:e}}function yo(t,e,r){return{id:t,jsonrpc:"2.0",error:Mx(e,r)}}function Mx(t,e){return typeof t>"u"?Q0(G0):(typeof t=="string"&&(t=Object.assign(Object.assign({},Q0(Pf)),{message:t})),typeof e<"u"&&(t.data=e),Y0(t.code)&&(t=X0(t.code)),t)}function xK(t){return t.includes("*")?tp(t):!/\W/g.test(t)}function ep(t){return t==="*"}function tp(t){return ep(t)?!0:!(!t.includes("*")||t.split("*").length!==2||t.split("*").filter(e=>e.trim()==="").length!==1)}function EK(t){return!ep(t)&&tp(t)&&!t.split("*")[0].trim()}function AK(t){return!ep(t)&&tp(t)&&!t.split("*")[1].trim()}var Tf=class{},h2=class extends Tf{constructor(e){super()}},rp=class extends Tf{constructor(){super()}},Nf=class extends rp{constructor(e){super()}};var SK="^https?:",IK="^wss?:";function MK(t){let e=t.match(new RegExp(/^\w+:/,"gi"));if(!(!e||!e.length))return e[0]}function Cx(t,e){let r=MK(t);return typeof r>"u"?!1:new RegExp(e).test(r)}function ip(t){return Cx(t,SK)}function np(t){return Cx(t,IK)}function d2(t){return new RegExp("wss?://localhost(:d{2,5})?").test(t)}function p2(t){return typeof t=="object"&&"id"in t&&"jsonrpc"in t&&t.jsonrpc==="2.0"}function ju(t){return p2(t)&&"method"in t}function aa(t){return p2(t)&&(en(t)||ai(t))}function en(t){return"result"in t}function ai(t){return"error"in t}function CK(t){return"error"in t&&t.valid===!1}var yi=class extends Nf{constructor(e){super(e),this.events=new Dx.EventEmitter,this.hasRegisteredEventListeners=!1,this.connection=this.setConnection(e),this.connection.connected&&this.registerEventListeners()}async connect(e=this.connection){await this.open(e)}async disconnect(){await this.close()}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}off(e,r){this.events.off(e,r)}removeListener(e,r){this.events.removeListener(e,r)}async request(e,r){return this.requestStrict(Zi(e.method,e.params||[],e.id||zn().toString()),r)}async requestStrict(e,r){return new Promise(async(i,n)=>{if(!this.connection.connected)try{await this.open()}catch(s){n(s)}this.events.on(`${e.id}`,s=>{ai(s)?n(s.error):i(s.result)});try{await this.connection.send(e,r)}catch(s){n(s)}})}setConnection(e=this.connection){return e}onPayload(e){this.events.emit("payload",e),aa(e)?this.events.emit(`${e.id}`,e):this.events.emit("message",{type:e.method,data:e.params})}onClose(e){e&&e.code===3e3&&this.events.emit("error",new Error(`WebSocket connection closed abnormally with code: ${e.code} ${e.reason?`(${e.reason})`:""}`)),this.events.emit("disconnect")}async open(e=this.connection){this.connection===e&&this.connection.connected||(this.connection.connected&&this.close(),typeof e=="string"&&(await this.connection.open(e),e=this.connection),this.connection=this.setConnection(e),await this.connection.open(),this.registerEventListeners(),this.events.emit("connect"))}async close(){await this.connection.close()}registerEventListeners(){this.hasRegisteredEventListeners||(this.connection.on("payload",e=>this.onPayload(e)),this.connection.on("close",e=>this.onClose(e)),this.connection.on("error",e=>this.events.emit("error",e)),this.connection.on("register_error",e=>this.onClose()),this.hasRegisteredEventListeners=!0)}};var Nx=Et(ts());var DK=()=>typeof WebSocket<"u"?WebSocket:typeof globalThis<"u"&&typeof globalThis.WebSocket<"u"?globalThis.WebSocket:typeof window<"u"&&typeof window.WebSocket<"u"?window.WebSocket:typeof self<"u"&&typeof self.WebSocket<"u"?self.WebSocket:Ox(),PK=()=>typeof WebSocket<"u"||typeof globalThis<"u"&&typeof globalThis.WebSocket<"u"||typeof window<"u"&&typeof window.WebSocket<"u"||typeof self<"u"&&typeof self.WebSocket<"u",Rx=t=>t.split("?")[0],Tx=10,OK=DK(),sp=class{constructor(e){if(this.url=e,this.events=new Nx.EventEmitter,this.registering=!1,!np(e))throw new Error(`Provided URL is not compatible with WebSocket connection: ${e}`);this.url=e}get connected(){return typeof this.socket<"u"}get connecting(){return this.registering}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}off(e,r){this.events.off(e,r)}removeListener(e,r){this.events.removeListener(e,r)}async open(e=this.url){await this.register(e)}async close(){return new Promise((e,r)=>{if(typeof this.socket>"u"){r(new Error("Connection already closed"));return}this.socket.onclose=i=>{this.onClose(i),e()},this.socket.close()})}async send(e){typeof this.socket>"u"&&(this.socket=await this.register());try{this.socket.send(pi(e))}catch(r){this.onError(e.id,r)}}register(e=this.url){if(!np(e))throw new Error(`Provided URL is not compatible with WebSocket connection: ${e}`);if(this.registering){let r=this.events.getMaxListeners();return(this.events.listenerCount("register_error")>=r||this.events.listenerCount("open")>=r)&&this.events.setMaxListeners(r+1),new Promise((i,n)=>{this.events.once("register_error",s=>{this.resetMaxListeners(),n(s)}),this.events.once("open",()=>{if(this.resetMaxListeners(),typeof this.socket>"u")return n(new Error("WebSocket connection is missing or invalid"));i(this.socket)})})}return this.url=e,this.registering=!0,new Promise((r,i)=>{let n=new URLSearchParams(e).get("origin"),s=(0,Fr.isReactNative)()?{headers:{origin:n}}:{rejectUnauthorized:!d2(e)},a=new OK(e,[],s);PK()?a.onerror=u=>{let h=u;i(this.emitError(h.error))}:a.on("error",u=>{i(this.emitError(u))}),a.onopen=()=>{this.onOpen(a),r(a)}})}onOpen(e){e.onmessage=r=>this.onPayload(r),e.onclose=r=>this.onClose(r),this.socket=e,this.registering=!1,this.events.emit("open")}onClose(e){this.socket=void 0,this.registering=!1,this.events.emit("close",e)}onPayload(e){if(typeof e.data>"u")return;let r=typeof e.data=="string"?vn(e.data):e.data;this.events.emit("payload",r)}onError(e,r){let i=this.parseError(r),n=i.message||i.toString(),s=yo(e,n);this.events.emit("payload",s)}parseError(e,r=this.url){return Rf(e,Rx(r),"WS")}resetMaxListeners(){this.events.getMaxListeners()>Tx&&this.events.setMaxListeners(Tx)}emitError(e){let r=this.parseError(new Error(e?.message||`WebSocket connection failed for host: ${Rx(this.url)}`));return this.events.emit("register_error",r),r}};var BE=Et(gE()),UE="wc",FE=2,Q2="core",Ps=`${UE}@2:${Q2}:`,cW={name:Q2,logger:"error"},uW={database:":memory:"},lW="crypto",mE="client_ed25519_seed",fW=Ce.ONE_DAY,hW="keychain",dW="0.3",pW="messages",gW="0.3",mW=Ce.SIX_HOURS,vW="publisher",X2="irn",bW="error",qE="wss://relay.walletconnect.org",yW="relayer",ci={message:"relayer_message",message_ack:"relayer_message_ack",connect:"relayer_connect",disconnect:"relayer_disconnect",error:"relayer_error",connection_stalled:"relayer_connection_stalled",transport_closed:"relayer_transport_closed",publish:"relayer_publish"},wW="_subscription",xn={payload:"payload",connect:"connect",disconnect:"disconnect",error:"error"},_W=.1;var C2="2.17.0";var Xt={link_mode:"link_mode",relay:"relay"},xW="0.3",EW="WALLETCONNECT_CLIENT_ID",vE="WALLETCONNECT_LINK_MODE_APPS",Cs={created:"subscription_created",deleted:"subscription_deleted",expired:"subscription_expired",disabled:"subscription_disabled",sync:"subscription_sync",resubscribed:"subscription_resubscribed"};var AW="subscription",SW="0.3",IW=Ce.FIVE_SECONDS*1e3,MW="pairing",CW="0.3";var $f={wc_pairingDelete:{req:{ttl:Ce.ONE_DAY,prompt:!1,tag:1e3},res:{ttl:Ce.ONE_DAY,prompt:!1,tag:1001}},wc_pairingPing:{req:{ttl:Ce.THIRTY_SECONDS,prompt:!1,tag:1002},res:{ttl:Ce.THIRTY_SECONDS,prompt:!1,tag:1003}},unregistered_method:{req:{ttl:Ce.ONE_DAY,prompt:!1,tag:0},res:{ttl:Ce.ONE_DAY,prompt:!1,tag:0}}},la={create:"pairing_create",expire:"pairing_expire",delete:"pairing_delete",ping:"pairing_ping"},Hn={created:"history_created",updated:"history_updated",deleted:"history_deleted",sync:"history_sync"},DW="history",PW="0.3",OW="expirer",tn={created:"expirer_created",deleted:"expirer_deleted",expired:"expirer_expired",sync:"expirer_sync"},RW="0.3";var TW="verify-api",NW="https://verify.walletconnect.com",$E="https://verify.walletconnect.org",Vu=$E,LW=`${Vu}/v3`,BW=[NW,$E],UW="echo",FW="https://echo.walletconnect.com";var Kn={pairing_started:"pairing_started",pairing_uri_validation_success:"pairing_uri_validation_success",pairing_uri_not_expired:"pairing_uri_not_expired",store_new_pairing:"store_new_pairing",subscribing_pairing_topic:"subscribing_pairing_topic",subscribe_pairing_topic_success:"subscribe_pairing_topic_success",existing_pairing:"existing_pairing",pairing_not_expired:"pairing_not_expired",emit_inactive_pairing:"emit_inactive_pairing",emit_session_proposal:"emit_session_proposal",subscribing_to_pairing_topic:"subscribing_to_pairing_topic"},Ds={no_wss_connection:"no_wss_connection",no_internet_connection:"no_internet_connection",malformed_pairing_uri:"malformed_pairing_uri",active_pairing_already_exists:"active_pairing_already_exists",subscribe_pairing_topic_failure:"subscribe_pairing_topic_failure",pairing_expired:"pairing_expired",proposal_expired:"proposal_expired",proposal_listener_not_found:"proposal_listener_not_found"},En={session_approve_started:"session_approve_started",proposal_not_expired:"proposal_not_expired",session_namespaces_validation_success:"session_namespaces_validation_success",create_session_topic:"create_session_topic",subscribing_session_topic:"subscribing_session_topic",subscribe_session_topic_success:"subscribe_session_topic_success",publishing_session_approve:"publishing_session_approve",session_approve_publish_success:"session_approve_publish_success",store_session:"store_session",publishing_session_settle:"publishing_session_settle",session_settle_publish_success:"session_settle_publish_success"},fa={no_internet_connection:"no_internet_connection",no_wss_connection:"no_wss_connection",proposal_expired:"proposal_expired",subscribe_session_topic_failure:"subscribe_session_topic_failure",session_approve_publish_failure:"session_approve_publish_failure",session_settle_publish_failure:"session_settle_publish_failure",session_approve_namespace_validation_failure:"session_approve_namespace_validation_failure",proposal_not_found:"proposal_not_found"},ha={authenticated_session_approve_started:"authenticated_session_approve_started",authenticated_session_not_expired:"authenticated_session_not_expired",chains_caip2_compliant:"chains_caip2_compliant",chains_evm_compliant:"chains_evm_compliant",create_authenticated_session_topic:"create_authenticated_session_topic",cacaos_verified:"cacaos_verified",store_authenticated_session:"store_authenticated_session",subscribing_authenticated_session_topic:"subscribing_authenticated_session_topic",subscribe_authenticated_session_topic_success:"subscribe_authenticated_session_topic_success",publishing_authenticated_session_approve:"publishing_authenticated_session_approve",authenticated_session_approve_publish_success:"authenticated_session_approve_publish_success"},Wu={no_internet_connection:"no_internet_connection",no_wss_connection:"no_wss_connection",missing_session_authenticate_request:"missing_session_authenticate_request",session_authenticate_request_expired:"session_authenticate_request_expired",chains_caip2_compliant_failure:"chains_caip2_compliant_failure",chains_evm_compliant_failure:"chains_evm_compliant_failure",invalid_cacao:"invalid_cacao",subscribe_authenticated_session_topic_failure:"subscribe_authenticated_session_topic_failure",authenticated_session_approve_publish_failure:"authenticated_session_approve_publish_failure",authenticated_session_pending_request_not_found:"authenticated_session_pending_request_not_found"},qW=.1,$W="event-client",kW=86400,jW="https://pulse.walletconnect.org/batch";function zW(t,e){if(t.length>=255)throw new TypeError("Alphabet too long");for(var r=new Uint8Array(256),i=0;i<r.length;i++)r[i]=255;for(var n=0;n<t.length;n++){var s=t.charAt(n),a=s.charCodeAt(0);if(r[a]!==255)throw new TypeError(s+" is ambiguous");r[a]=n}var u=t.length,h=t.charAt(0),f=Math.log(u)/Math.log(256),v=Math.log(256)/Math.log(u);function w(P){if(P instanceof Uint8Array||(ArrayBuffer.isView(P)?P=new Uint8Array(P.buffer,P.byteOffset,P.byteLength):Array.isArray(P)&&(P=Uint8Array.from(P))),!(P instanceof Uint8Array))throw new TypeError("Expected Uint8Array");if(P.length===0)return"";for(var T=0,U=0,F=0,V=P.length;F!==V&&P[F]===0;)F++,T++;for(var z=(V-F)*v+1>>>0,j=new Uint8Array(z);F!==V;){for(var H=P[F],ee=0,$=z-1;(H!==0||ee<U)&&$!==-1;$--,ee++)H+=256*j[$]>>>0,j[$]=H%u>>>0,H=H/u>>>0;if(H!==0)throw new Error("Non-zero carry");U=ee,F++}for(var q=z-U;q!==z&&j[q]===0;)q++;for(var X=h.repeat(T);q<z;++q)X+=t.charAt(j[q]);return X}function I(P){if(typeof P!="string")throw new TypeError("Expected String");if(P.length===0)return new Uint8Array;var T=0;if(P[T]!==" "){for(var U=0,F=0;P[T]===h;)U++,T++;for(var V=(P.length-T)*f+1>>>0,z=new Uint8Array(V);P[T];){var j=r[P.charCodeAt(T)];if(j===255)return;for(var H=0,ee=V-1;(j!==0||H<F)&&ee!==-1;ee--,H++)j+=u*z[ee]>>>0,z[ee]=j%256>>>0,j=j/256>>>0;if(j!==0)throw new Error("Non-zero carry");F=H,T++}if(P[T]!==" "){for(var $=V-F;$!==V&&z[$]===0;)$++;for(var q=new Uint8Array(U+(V-$)),X=U;$!==V;)q[X++]=z[$++];return q}}}function M(P){var T=I(P);if(T)return T;throw new Error(`Non-${e} character`)}return{encode:w,decodeUnsafe:I,decode:M}}var HW=zW,KW=HW,kE=t=>{if(t instanceof Uint8Array&&t.constructor.name==="Uint8Array")return t;if(t instanceof ArrayBuffer)return new Uint8Array(t);if(ArrayBuffer.isView(t))return new Uint8Array(t.buffer,t.byteOffset,t.byteLength);throw new Error("Unknown type, must be binary type")},VW=t=>new TextEncoder().encode(t),WW=t=>new TextDecoder().decode(t),D2=class{constructor(e,r,i){this.name=e,this.prefix=r,this.baseEncode=i}encode(e){if(e instanceof Uint8Array)return`${this.prefix}${this.baseEncode(e)}`;throw Error("Unknown type, must be binary type")}},P2=class{constructor(e,r,i){if(this.name=e,this.prefix=r,r.codePointAt(0)===void 0)throw new Error("Invalid prefix character");this.prefixCodePoint=r.codePointAt(0),this.baseDecode=i}decode(e){if(typeof e=="string"){if(e.codePointAt(0)!==this.prefixCodePoint)throw Error(`Unable to decode multibase string ${JSON.stringify(e)}, ${this.name} decoder only supports inputs prefixed with ${this.prefix}`);return this.baseDecode(e.slice(this.prefix.length))}else throw Error("Can only multibase decode strings")}or(e){return jE(this,e)}},O2=class{constructor(e){this.decoders=e}or(e){return jE(this,e)}decode(e){let r=e[0],i=this.decoders[r];if(i)return i.decode(e);throw RangeError(`Unable to decode multibase string ${JSON.stringify(e)}, only inputs prefixed with ${Object.keys(this.decoders)} are supported`)}},jE=(t,e)=>new O2({...t.decoders||{[t.prefix]:t},...e.decoders||{[e.prefix]:e}}),R2=class{constructor(e,r,i,n){this.name=e,this.prefix=r,this.baseEncode=i,this.baseDecode=n,this.encoder=new D2(e,r,i),this.decoder=new P2(e,r,n)}encode(e){return this.encoder.encode(e)}decode(e){return this.decoder.decode(e)}},vp=({name:t,prefix:e,encode:r,decode:i})=>new R2(t,e,r,i),zf=({prefix:t,name:e,alphabet:r})=>{let{encode:i,decode:n}=KW(r,e);return vp({prefix:t,name:e,encode:i,decode:s=>kE(n(s))})},GW=(t,e,r,i)=>{let n={};for(let v=0;v<e.length;++v)n[e[v]]=v;let s=t.length;for(;t[s-1]==="=";)--s;let a=new Uint8Array(s*r/8|0),u=0,h=0,f=0;for(let v=0;v<s;++v){let w=n[t[v]];if(w===void 0)throw new SyntaxError(`Non-${i} character`);h=h<<r|w,u+=r,u>=8&&(u-=8,a[f++]=255&h>>u)}if(u>=r||255&h<<8-u)throw new SyntaxError("Unexpected end of data");return a},JW=(t,e,r)=>{let i=e[e.length-1]==="=",n=(1<<r)-1,s="",a=0,u=0;for(let h=0;h<t.length;++h)for(u=u<<8|t[h],a+=8;a>r;)a-=r,s+=e[n&u>>a];if(a&&(s+=e[n&u<<r-a]),i)for(;s.length*r&7;)s+="=";return s},Yr=({name:t,prefix:e,bitsPerChar:r,alphabet:i})=>vp({prefix:e,name:t,encode(n){return JW(n,i,r)},decode(n){return GW(n,i,r,t)}}),YW=vp({prefix:"\0",name:"identity",encode:t=>WW(t),decode:t=>VW(t)}),QW=Object.freeze({__proto__:null,identity:YW}),XW=Yr({prefix:"0",name:"base2",alphabet:"01",bitsPerChar:1}),ZW=Object.freeze({__proto__:null,base2:XW}),eG=Yr({prefix:"7",name:"base8",alphabet:"01234567",bitsPerChar:3}),tG=Object.freeze({__proto__:null,base8:eG}),rG=zf({prefix:"9",name:"base10",alphabet:"0123456789"}),iG=Object.freeze({__proto__:null,base10:rG}),nG=Yr({prefix:"f",name:"base16",alphabet:"0123456789abcdef",bitsPerChar:4}),sG=Yr({prefix:"F",name:"base16upper",alphabet:"0123456789ABCDEF",bitsPerChar:4}),oG=Object.freeze({__proto__:null,base16:nG,base16upper:sG}),aG=Yr({prefix:"b",name:"base32",alphabet:"abcdefghijklmnopqrstuvwxyz234567",bitsPerChar:5}),cG=Yr({prefix:"B",name:"base32upper",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZ234567",bitsPerChar:5}),uG=Yr({prefix:"c",name:"base32pad",alphabet:"abcdefghijklmnopqrstuvwxyz234567=",bitsPerChar:5}),lG=Yr({prefix:"C",name:"base32padupper",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZ234567=",bitsPerChar:5}),fG=Yr({prefix:"v",name:"base32hex",alphabet:"0123456789abcdefghijklmnopqrstuv",bitsPerChar:5}),hG=Yr({prefix:"V",name:"base32hexupper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUV",bitsPerChar:5}),dG=Yr({prefix:"t",name:"base32hexpad",alphabet:"0123456789abcdefghijklmnopqrstuv=",bitsPerChar:5}),pG=Yr({prefix:"T",name:"base32hexpadupper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUV=",bitsPerChar:5}),gG=Yr({prefix:"h",name:"base32z",alphabet:"ybndrfg8ejkmcpqxot1uwisza345h769",bitsPerChar:5}),mG=Object.freeze({__proto__:null,base32:aG,base32upper:cG,base32pad:uG,base32padupper:lG,base32hex:fG,base32hexupper:hG,base32hexpad:dG,base32hexpadupper:pG,base32z:gG}),vG=zf({prefix:"k",name:"base36",alphabet:"0123456789abcdefghijklmnopqrstuvwxyz"}),bG=zf({prefix:"K",name:"base36upper",alphabet:"0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ"}),yG=Object.freeze({__proto__:null,base36:vG,base36upper:bG}),wG=zf({name:"base58btc",prefix:"z",alphabet:"123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz"}),_G=zf({name:"base58flickr",prefix:"Z",alphabet:"123456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ"}),xG=Object.freeze({__proto__:null,base58btc:wG,base58flickr:_G}),EG=Yr({prefix:"m",name:"base64",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",bitsPerChar:6}),AG=Yr({prefix:"M",name:"base64pad",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=",bitsPerChar:6}),SG=Yr({prefix:"u",name:"base64url",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",bitsPerChar:6}),IG=Yr({prefix:"U",name:"base64urlpad",alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_=",bitsPerChar:6}),MG=Object.freeze({__proto__:null,base64:EG,base64pad:AG,base64url:SG,base64urlpad:IG}),zE=Array.from("\u{1F680}\u{1FA90}\u2604\u{1F6F0}\u{1F30C}\u{1F311}\u{1F312}\u{1F313}\u{1F314}\u{1F315}\u{1F316}\u{1F317}\u{1F318}\u{1F30D}\u{1F30F}\u{1F30E}\u{1F409}\u2600\u{1F4BB}\u{1F5A5}\u{1F4BE}\u{1F4BF}\u{1F602}\u2764\u{1F60D}\u{1F923}\u{1F60A}\u{1F64F}\u{1F495}\u{1F62D}\u{1F618}\u{1F44D}\u{1F605}\u{1F44F}\u{1F601}\u{1F525}\u{1F970}\u{1F494}\u{1F496}\u{1F499}\u{1F622}\u{1F914}\u{1F606}\u{1F644}\u{1F4AA}\u{1F609}\u263A\u{1F44C}\u{1F917}\u{1F49C}\u{1F614}\u{1F60E}\u{1F607}\u{1F339}\u{1F926}\u{1F389}\u{1F49E}\u270C\u2728\u{1F937}\u{1F631}\u{1F60C}\u{1F338}\u{1F64C}\u{1F60B}\u{1F497}\u{1F49A}\u{1F60F}\u{1F49B}\u{1F642}\u{1F493}\u{1F929}\u{1F604}\u{1F600}\u{1F5A4}\u{1F603}\u{1F4AF}\u{1F648}\u{1F447}\u{1F3B6}\u{1F612}\u{1F92D}\u2763\u{1F61C}\u{1F48B}\u{1F440}\u{1F62A}\u{1F611}\u{1F4A5}\u{1F64B}\u{1F61E}\u{1F629}\u{1F621}\u{1F92A}\u{1F44A}\u{1F973}\u{1F625}\u{1F924}\u{1F449}\u{1F483}\u{1F633}\u270B\u{1F61A}\u{1F61D}\u{1F634}\u{1F31F}\u{1F62C}\u{1F643}\u{1F340}\u{1F337}\u{1F63B}\u{1F613}\u2B50\u2705\u{1F97A}\u{1F308}\u{1F608}\u{1F918}\u{1F4A6}\u2714\u{1F623}\u{1F3C3}\u{1F490}\u2639\u{1F38A}\u{1F498}\u{1F620}\u261D\u{1F615}\u{1F33A}\u{1F382}\u{1F33B}\u{1F610}\u{1F595}\u{1F49D}\u{1F64A}\u{1F639}\u{1F5E3}\u{1F4AB}\u{1F480}\u{1F451}\u{1F3B5}\u{1F91E}\u{1F61B}\u{1F534}\u{1F624}\u{1F33C}\u{1F62B}\u26BD\u{1F919}\u2615\u{1F3C6}\u{1F92B}\u{1F448}\u{1F62E}\u{1F646}\u{1F37B}\u{1F343}\u{1F436}\u{1F481}\u{1F632}\u{1F33F}\u{1F9E1}\u{1F381}\u26A1\u{1F31E}\u{1F388}\u274C\u270A\u{1F44B}\u{1F630}\u{1F928}\u{1F636}\u{1F91D}\u{1F6B6}\u{1F4B0}\u{1F353}\u{1F4A2}\u{1F91F}\u{1F641}\u{1F6A8}\u{1F4A8}\u{1F92C}\u2708\u{1F380}\u{1F37A}\u{1F913}\u{1F619}\u{1F49F}\u{1F331}\u{1F616}\u{1F476}\u{1F974}\u25B6\u27A1\u2753\u{1F48E}\u{1F4B8}\u2B07\u{1F628}\u{1F31A}\u{1F98B}\u{1F637}\u{1F57A}\u26A0\u{1F645}\u{1F61F}\u{1F635}\u{1F44E}\u{1F932}\u{1F920}\u{1F927}\u{1F4CC}\u{1F535}\u{1F485}\u{1F9D0}\u{1F43E}\u{1F352}\u{1F617}\u{1F911}\u{1F30A}\u{1F92F}\u{1F437}\u260E\u{1F4A7}\u{1F62F}\u{1F486}\u{1F446}\u{1F3A4}\u{1F647}\u{1F351}\u2744\u{1F334}\u{1F4A3}\u{1F438}\u{1F48C}\u{1F4CD}\u{1F940}\u{1F922}\u{1F445}\u{1F4A1}\u{1F4A9}\u{1F450}\u{1F4F8}\u{1F47B}\u{1F910}\u{1F92E}\u{1F3BC}\u{1F975}\u{1F6A9}\u{1F34E}\u{1F34A}\u{1F47C}\u{1F48D}\u{1F4E3}\u{1F942}"),CG=zE.reduce((t,e,r)=>(t[r]=e,t),[]),DG=zE.reduce((t,e,r)=>(t[e.codePointAt(0)]=r,t),[]);function PG(t){return t.reduce((e,r)=>(e+=CG[r],e),"")}function OG(t){let e=[];for(let r of t){let i=DG[r.codePointAt(0)];if(i===void 0)throw new Error(`Non-base256emoji character: ${r}`);e.push(i)}return new Uint8Array(e)}var RG=vp({prefix:"\u{1F680}",name:"base256emoji",encode:PG,decode:OG}),TG=Object.freeze({__proto__:null,base256emoji:RG}),NG=HE,bE=128,LG=127,BG=~LG,UG=Math.pow(2,31);function HE(t,e,r){e=e||[],r=r||0;for(var i=r;t>=UG;)e[r++]=t&255|bE,t/=128;for(;t&BG;)e[r++]=t&255|bE,t>>>=7;return e[r]=t|0,HE.bytes=r-i+1,e}var FG=T2,qG=128,yE=127;function T2(t,i){var r=0,i=i||0,n=0,s=i,a,u=t.length;do{if(s>=u)throw T2.bytes=0,new RangeError("Could not decode varint");a=t[s++],r+=n<28?(a&yE)<<n:(a&yE)*Math.pow(2,n),n+=7}while(a>=qG);return T2.bytes=s-i,r}var $G=Math.pow(2,7),kG=Math.pow(2,14),jG=Math.pow(2,21),zG=Math.pow(2,28),HG=Math.pow(2,35),KG=Math.pow(2,42),VG=Math.pow(2,49),WG=Math.pow(2,56),GG=Math.pow(2,63),JG=function(t){return t<$G?1:t<kG?2:t<jG?3:t<zG?4:t<HG?5:t<KG?6:t<VG?7:t<WG?8:t<GG?9:10},YG={encode:NG,decode:FG,encodingLength:JG},KE=YG,wE=(t,e,r=0)=>(KE.encode(t,e,r),e),_E=t=>KE.encodingLength(t),N2=(t,e)=>{let r=e.byteLength,i=_E(t),n=i+_E(r),s=new Uint8Array(n+r);return wE(t,s,0),wE(r,s,i),s.set(e,n),new L2(t,r,e,s)},L2=class{constructor(e,r,i,n){this.code=e,this.size=r,this.digest=i,this.bytes=n}},VE=({name:t,code:e,encode:r})=>new B2(t,e,r),B2=class{constructor(e,r,i){this.name=e,this.code=r,this.encode=i}digest(e){if(e instanceof Uint8Array){let r=this.encode(e);return r instanceof Uint8Array?N2(this.code,r):r.then(i=>N2(this.code,i))}else throw Error("Unknown type, must be binary type")}},WE=t=>async e=>new Uint8Array(await crypto.subtle.digest(t,e)),QG=VE({name:"sha2-256",code:18,encode:WE("SHA-256")}),XG=VE({name:"sha2-512",code:19,encode:WE("SHA-512")}),ZG=Object.freeze({__proto__:null,sha256:QG,sha512:XG}),GE=0,eJ="identity",JE=kE,tJ=t=>N2(GE,JE(t)),rJ={code:GE,name:eJ,encode:JE,digest:tJ},iJ=Object.freeze({__proto__:null,identity:rJ});new TextEncoder,new TextDecoder;var xE={...QW,...ZW,...tG,...iG,...oG,...mG,...yG,...xG,...MG,...TG};({...ZG,...iJ});function nJ(t=0){return globalThis.Buffer!=null&&globalThis.Buffer.allocUnsafe!=null?globalThis.Buffer.allocUnsafe(t):new Uint8Array(t)}function YE(t,e,r,i){return{name:t,prefix:e,encoder:{name:t,prefix:e,encode:r},decoder:{decode:i}}}var EE=YE("utf8","u",t=>"u"+new TextDecoder("utf8").decode(t),t=>new TextEncoder().encode(t.substring(1))),I2=YE("ascii","a",t=>{let e="a";for(let r=0;r<t.length;r++)e+=String.fromCharCode(t[r]);return e},t=>{t=t.substring(1);let e=nJ(t.length);for(let r=0;r<t.length;r++)e[r]=t.charCodeAt(r);return e}),sJ={utf8:EE,"utf-8":EE,hex:xE.base16,latin1:I2,ascii:I2,binary:I2,...xE};function oJ(t,e="utf8"){let r=sJ[e];if(!r)throw new Error(`Unsupported encoding "${e}"`);return(e==="utf8"||e==="utf-8")&&globalThis.Buffer!=null&&globalThis.Buffer.from!=null?globalThis.Buffer.from(t,"utf8"):r.decoder.decode(`${r.prefix}${t}`)}var U2=class{constructor(e,r){this.core=e,this.logger=r,this.keychain=new Map,this.name=hW,this.version=dW,this.initialized=!1,this.storagePrefix=Ps,this.init=async()=>{if(!this.initialized){let i=await this.getKeyChain();typeof i<"u"&&(this.keychain=i),this.initialized=!0}},this.has=i=>(this.isInitialized(),this.keychain.has(i)),this.set=async(i,n)=>{this.isInitialized(),this.keychain.set(i,n),await this.persist()},this.get=i=>{this.isInitialized();let n=this.keychain.get(i);if(typeof n>"u"){let{message:s}=ge("NO_MATCHING_KEY",`${this.name}: ${i}`);throw new Error(s)}return n},this.del=async i=>{this.isInitialized(),this.keychain.delete(i),await this.persist()},this.core=e,this.logger=Jr(r,this.name)}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//"+this.name}async setKeyChain(e){await this.core.storage.setItem(this.storageKey,_v(e))}async getKeyChain(){let e=await this.core.storage.getItem(this.storageKey);return typeof e<"u"?xv(e):void 0}async persist(){await this.setKeyChain(this.keychain)}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},F2=class{constructor(e,r,i){this.core=e,this.logger=r,this.name=lW,this.randomSessionIdentifier=_0(),this.initialized=!1,this.init=async()=>{this.initialized||(await this.keychain.init(),this.initialized=!0)},this.hasKeys=n=>(this.isInitialized(),this.keychain.has(n)),this.getClientId=async()=>{this.isInitialized();let n=await this.getClientSeed(),s=Ym(n);return r0(s.publicKey)},this.generateKeyPair=()=>{this.isInitialized();let n=m9();return this.setPrivateKey(n.publicKey,n.privateKey)},this.signJWT=async n=>{this.isInitialized();let s=await this.getClientSeed(),a=Ym(s),u=this.randomSessionIdentifier;return await B7(u,n,fW,a)},this.generateSharedKey=(n,s,a)=>{this.isInitialized();let u=this.getPrivateKey(n),h=v9(u,s);return this.setSymKey(h,a)},this.setSymKey=async(n,s)=>{this.isInitialized();let a=s||Lu(n);return await this.keychain.set(a,n),a},this.deleteKeyPair=async n=>{this.isInitialized(),await this.keychain.del(n)},this.deleteSymKey=async n=>{this.isInitialized(),await this.keychain.del(n)},this.encode=async(n,s,a)=>{this.isInitialized();let u=Uv(a),h=pi(s);if(qv(u))return w9(h,a?.encoding);if(Fv(u)){let I=u.senderPublicKey,M=u.receiverPublicKey;n=await this.generateSharedKey(I,M)}let f=this.getSymKey(n),{type:v,senderPublicKey:w}=u;return y9({type:v,symKey:f,message:h,senderPublicKey:w,encoding:a?.encoding})},this.decode=async(n,s,a)=>{this.isInitialized();let u=A9(s,a);if(qv(u)){let h=x9(s,a?.encoding);return vn(h)}if(Fv(u)){let h=u.receiverPublicKey,f=u.senderPublicKey;n=await this.generateSharedKey(h,f)}try{let h=this.getSymKey(n),f=_9({symKey:h,encoded:s,encoding:a?.encoding});return vn(f)}catch(h){this.logger.error(`Failed to decode message from topic: '${n}', clientId: '${await this.getClientId()}'`),this.logger.error(h)}},this.getPayloadType=(n,s=As)=>{let a=Bu({encoded:n,encoding:s});return ta(a.type)},this.getPayloadSenderPublicKey=(n,s=As)=>{let a=Bu({encoded:n,encoding:s});return a.senderPublicKey?br(a.senderPublicKey,ni):void 0},this.core=e,this.logger=Jr(r,this.name),this.keychain=i||new U2(this.core,this.logger)}get context(){return oi(this.logger)}async setPrivateKey(e,r){return await this.keychain.set(e,r),e}getPrivateKey(e){return this.keychain.get(e)}async getClientSeed(){let e="";try{e=this.keychain.get(mE)}catch{e=_0(),await this.keychain.set(mE,e)}return oJ(e,"base16")}getSymKey(e){return this.keychain.get(e)}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},q2=class extends U0{constructor(e,r){super(e,r),this.logger=e,this.core=r,this.messages=new Map,this.name=pW,this.version=gW,this.initialized=!1,this.storagePrefix=Ps,this.init=async()=>{if(!this.initialized){this.logger.trace("Initialized");try{let i=await this.getRelayerMessages();typeof i<"u"&&(this.messages=i),this.logger.debug(`Successfully Restored records for ${this.name}`),this.logger.trace({type:"method",method:"restore",size:this.messages.size})}catch(i){this.logger.debug(`Failed to Restore records for ${this.name}`),this.logger.error(i)}finally{this.initialized=!0}}},this.set=async(i,n)=>{this.isInitialized();let s=kn(n),a=this.messages.get(i);return typeof a>"u"&&(a={}),typeof a[s]<"u"||(a[s]=n,this.messages.set(i,a),await this.persist()),s},this.get=i=>{this.isInitialized();let n=this.messages.get(i);return typeof n>"u"&&(n={}),n},this.has=(i,n)=>{this.isInitialized();let s=this.get(i),a=kn(n);return typeof s[a]<"u"},this.del=async i=>{this.isInitialized(),this.messages.delete(i),await this.persist()},this.logger=Jr(e,this.name),this.core=r}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//"+this.name}async setRelayerMessages(e){await this.core.storage.setItem(this.storageKey,_v(e))}async getRelayerMessages(){let e=await this.core.storage.getItem(this.storageKey);return typeof e<"u"?xv(e):void 0}async persist(){await this.setRelayerMessages(this.messages)}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},$2=class extends F0{constructor(e,r){super(e,r),this.relayer=e,this.logger=r,this.events=new xo.EventEmitter,this.name=vW,this.queue=new Map,this.publishTimeout=(0,Ce.toMiliseconds)(Ce.ONE_MINUTE),this.failedPublishTimeout=(0,Ce.toMiliseconds)(Ce.ONE_SECOND),this.needsTransportRestart=!1,this.publish=async(i,n,s)=>{var a;this.logger.debug("Publishing Payload"),this.logger.trace({type:"method",method:"publish",params:{topic:i,message:n,opts:s}});let u=s?.ttl||mW,h=x0(s),f=s?.prompt||!1,v=s?.tag||0,w=s?.id||zn().toString(),I={topic:i,message:n,opts:{ttl:u,relay:h,prompt:f,tag:v,id:w,attestation:s?.attestation}},M=`Failed to publish payload, please try again. id:${w} tag:${v}`,P=Date.now(),T,U=1;try{for(;T===void 0;){if(Date.now()-P>this.publishTimeout)throw new Error(M);this.logger.trace({id:w,attempts:U},`publisher.publish - attempt ${U}`),T=await await ec(this.rpcPublish(i,n,u,h,f,v,w,s?.attestation).catch(F=>this.logger.warn(F)),this.publishTimeout,M),U++,T||await new Promise(F=>setTimeout(F,this.failedPublishTimeout))}this.relayer.events.emit(ci.publish,I),this.logger.debug("Successfully Published Payload"),this.logger.trace({type:"method",method:"publish",params:{id:w,topic:i,message:n,opts:s}})}catch(F){if(this.logger.debug("Failed to Publish Payload"),this.logger.error(F),(a=s?.internal)!=null&&a.throwOnFailedPublish)throw F;this.queue.set(w,I)}},this.on=(i,n)=>{this.events.on(i,n)},this.once=(i,n)=>{this.events.once(i,n)},this.off=(i,n)=>{this.events.off(i,n)},this.removeListener=(i,n)=>{this.events.removeListener(i,n)},this.relayer=e,this.logger=Jr(r,this.name),this.registerEventListeners()}get context(){return oi(this.logger)}rpcPublish(e,r,i,n,s,a,u,h){var f,v,w,I;let M={method:Uu(n.protocol).publish,params:{topic:e,message:r,ttl:i,prompt:s,tag:a,attestation:h},id:u};return Wr((f=M.params)==null?void 0:f.prompt)&&((v=M.params)==null||delete v.prompt),Wr((w=M.params)==null?void 0:w.tag)&&((I=M.params)==null||delete I.tag),this.logger.debug("Outgoing Relay Payload"),this.logger.trace({type:"message",direction:"outgoing",request:M}),this.relayer.request(M)}removeRequestFromQueue(e){this.queue.delete(e)}checkQueue(){this.queue.forEach(async e=>{let{topic:r,message:i,opts:n}=e;await this.publish(r,i,n)})}registerEventListeners(){this.relayer.core.heartbeat.on(ic.pulse,()=>{if(this.needsTransportRestart){this.needsTransportRestart=!1,this.relayer.events.emit(ci.connection_stalled);return}this.checkQueue()}),this.relayer.on(ci.message_ack,e=>{this.removeRequestFromQueue(e.id.toString())})}},k2=class{constructor(){this.map=new Map,this.set=(e,r)=>{let i=this.get(e);this.exists(e,r)||this.map.set(e,[...i,r])},this.get=e=>this.map.get(e)||[],this.exists=(e,r)=>this.get(e).includes(r),this.delete=(e,r)=>{if(typeof r>"u"){this.map.delete(e);return}if(!this.map.has(e))return;let i=this.get(e);if(!this.exists(e,r))return;let n=i.filter(s=>s!==r);if(!n.length){this.map.delete(e);return}this.map.set(e,n)},this.clear=()=>{this.map.clear()}}get topics(){return Array.from(this.map.keys())}},aJ=Object.defineProperty,cJ=Object.defineProperties,uJ=Object.getOwnPropertyDescriptors,AE=Object.getOwnPropertySymbols,lJ=Object.prototype.hasOwnProperty,fJ=Object.prototype.propertyIsEnumerable,SE=(t,e,r)=>e in t?aJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,kf=(t,e)=>{for(var r in e||(e={}))lJ.call(e,r)&&SE(t,r,e[r]);if(AE)for(var r of AE(e))fJ.call(e,r)&&SE(t,r,e[r]);return t},M2=(t,e)=>cJ(t,uJ(e)),j2=class extends k0{constructor(e,r){super(e,r),this.relayer=e,this.logger=r,this.subscriptions=new Map,this.topicMap=new k2,this.events=new xo.EventEmitter,this.name=AW,this.version=SW,this.pending=new Map,this.cached=[],this.initialized=!1,this.pendingSubscriptionWatchLabel="pending_sub_watch_label",this.pollingInterval=20,this.storagePrefix=Ps,this.subscribeTimeout=(0,Ce.toMiliseconds)(Ce.ONE_MINUTE),this.restartInProgress=!1,this.batchSubscribeTopicsLimit=500,this.pendingBatchMessages=[],this.init=async()=>{this.initialized||(this.logger.trace("Initialized"),this.registerEventListeners(),this.clientId=await this.relayer.core.crypto.getClientId(),await this.restore()),this.initialized=!0},this.subscribe=async(i,n)=>{this.isInitialized(),this.logger.debug("Subscribing Topic"),this.logger.trace({type:"method",method:"subscribe",params:{topic:i,opts:n}});try{let s=x0(n),a={topic:i,relay:s,transportType:n?.transportType};this.pending.set(i,a);let u=await this.rpcSubscribe(i,s,n?.transportType);return typeof u=="string"&&(this.onSubscribe(u,a),this.logger.debug("Successfully Subscribed Topic"),this.logger.trace({type:"method",method:"subscribe",params:{topic:i,opts:n}})),u}catch(s){throw this.logger.debug("Failed to Subscribe Topic"),this.logger.error(s),s}},this.unsubscribe=async(i,n)=>{await this.restartToComplete(),this.isInitialized(),typeof n?.id<"u"?await this.unsubscribeById(i,n.id,n):await this.unsubscribeByTopic(i,n)},this.isSubscribed=async i=>{if(this.topics.includes(i))return!0;let n=`${this.pendingSubscriptionWatchLabel}_${i}`;return await new Promise((s,a)=>{let u=new Ce.Watch;u.start(n);let h=setInterval(()=>{!this.pending.has(i)&&this.topics.includes(i)&&(clearInterval(h),u.stop(n),s(!0)),u.elapsed(n)>=IW&&(clearInterval(h),u.stop(n),a(new Error("Subscription resolution timeout")))},this.pollingInterval)}).catch(()=>!1)},this.on=(i,n)=>{this.events.on(i,n)},this.once=(i,n)=>{this.events.once(i,n)},this.off=(i,n)=>{this.events.off(i,n)},this.removeListener=(i,n)=>{this.events.removeListener(i,n)},this.start=async()=>{await this.onConnect()},this.stop=async()=>{await this.onDisconnect()},this.restart=async()=>{this.restartInProgress=!0,await this.restore(),await this.reset(),this.restartInProgress=!1},this.relayer=e,this.logger=Jr(r,this.name),this.clientId=""}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.relayer.core.customStoragePrefix+"//"+this.name}get length(){return this.subscriptions.size}get ids(){return Array.from(this.subscriptions.keys())}get values(){return Array.from(this.subscriptions.values())}get topics(){return this.topicMap.topics}hasSubscription(e,r){let i=!1;try{i=this.getSubscription(e).topic===r}catch{}return i}onEnable(){this.cached=[],this.initialized=!0}onDisable(){this.cached=this.values,this.subscriptions.clear(),this.topicMap.clear()}async unsubscribeByTopic(e,r){let i=this.topicMap.get(e);await Promise.all(i.map(async n=>await this.unsubscribeById(e,n,r)))}async unsubscribeById(e,r,i){this.logger.debug("Unsubscribing Topic"),this.logger.trace({type:"method",method:"unsubscribe",params:{topic:e,id:r,opts:i}});try{let n=x0(i);await this.rpcUnsubscribe(e,r,n);let s=dt("USER_DISCONNECTED",`${this.name}, ${e}`);await this.onUnsubscribe(e,r,s),this.logger.debug("Successfully Unsubscribed Topic"),this.logger.trace({type:"method",method:"unsubscribe",params:{topic:e,id:r,opts:i}})}catch(n){throw this.logger.debug("Failed to Unsubscribe Topic"),this.logger.error(n),n}}async rpcSubscribe(e,r,i=Xt.relay){i===Xt.relay&&await this.restartToComplete();let n={method:Uu(r.protocol).subscribe,params:{topic:e}};this.logger.debug("Outgoing Relay Payload"),this.logger.trace({type:"payload",direction:"outgoing",request:n});try{let s=kn(e+this.clientId);return i===Xt.link_mode?(setTimeout(()=>{(this.relayer.connected||this.relayer.connecting)&&this.relayer.request(n).catch(a=>this.logger.warn(a))},(0,Ce.toMiliseconds)(Ce.ONE_SECOND)),s):await await ec(this.relayer.request(n).catch(a=>this.logger.warn(a)),this.subscribeTimeout)?s:null}catch{this.logger.debug("Outgoing Relay Subscribe Payload stalled"),this.relayer.events.emit(ci.connection_stalled)}return null}async rpcBatchSubscribe(e){if(!e.length)return;let r=e[0].relay,i={method:Uu(r.protocol).batchSubscribe,params:{topics:e.map(n=>n.topic)}};this.logger.debug("Outgoing Relay Payload"),this.logger.trace({type:"payload",direction:"outgoing",request:i});try{return await await ec(this.relayer.request(i).catch(n=>this.logger.warn(n)),this.subscribeTimeout)}catch{this.relayer.events.emit(ci.connection_stalled)}}async rpcBatchFetchMessages(e){if(!e.length)return;let r=e[0].relay,i={method:Uu(r.protocol).batchFetchMessages,params:{topics:e.map(s=>s.topic)}};this.logger.debug("Outgoing Relay Payload"),this.logger.trace({type:"payload",direction:"outgoing",request:i});let n;try{n=await await ec(this.relayer.request(i).catch(s=>this.logger.warn(s)),this.subscribeTimeout)}catch{this.relayer.events.emit(ci.connection_stalled)}return n}rpcUnsubscribe(e,r,i){let n={method:Uu(i.protocol).unsubscribe,params:{topic:e,id:r}};return this.logger.debug("Outgoing Relay Payload"),this.logger.trace({type:"payload",direction:"outgoing",request:n}),this.relayer.request(n)}onSubscribe(e,r){this.setSubscription(e,M2(kf({},r),{id:e})),this.pending.delete(r.topic)}onBatchSubscribe(e){e.length&&e.forEach(r=>{this.setSubscription(r.id,kf({},r)),this.pending.delete(r.topic)})}async onUnsubscribe(e,r,i){this.events.removeAllListeners(r),this.hasSubscription(r,e)&&this.deleteSubscription(r,i),await this.relayer.messages.del(e)}async setRelayerSubscriptions(e){await this.relayer.core.storage.setItem(this.storageKey,e)}async getRelayerSubscriptions(){return await this.relayer.core.storage.getItem(this.storageKey)}setSubscription(e,r){this.logger.debug("Setting subscription"),this.logger.trace({type:"method",method:"setSubscription",id:e,subscription:r}),this.addSubscription(e,r)}addSubscription(e,r){this.subscriptions.set(e,kf({},r)),this.topicMap.set(r.topic,e),this.events.emit(Cs.created,r)}getSubscription(e){this.logger.debug("Getting subscription"),this.logger.trace({type:"method",method:"getSubscription",id:e});let r=this.subscriptions.get(e);if(!r){let{message:i}=ge("NO_MATCHING_KEY",`${this.name}: ${e}`);throw new Error(i)}return r}deleteSubscription(e,r){this.logger.debug("Deleting subscription"),this.logger.trace({type:"method",method:"deleteSubscription",id:e,reason:r});let i=this.getSubscription(e);this.subscriptions.delete(e),this.topicMap.delete(i.topic,e),this.events.emit(Cs.deleted,M2(kf({},i),{reason:r}))}async persist(){await this.setRelayerSubscriptions(this.values),this.events.emit(Cs.sync)}async reset(){if(this.cached.length){let e=Math.ceil(this.cached.length/this.batchSubscribeTopicsLimit);for(let r=0;r<e;r++){let i=this.cached.splice(0,this.batchSubscribeTopicsLimit);await this.batchFetchMessages(i),await this.batchSubscribe(i)}}this.events.emit(Cs.resubscribed)}async restore(){try{let e=await this.getRelayerSubscriptions();if(typeof e>"u"||!e.length)return;if(this.subscriptions.size){let{message:r}=ge("RESTORE_WILL_OVERRIDE",this.name);throw this.logger.error(r),this.logger.error(`${this.name}: ${JSON.stringify(this.values)}`),new Error(r)}this.cached=e,this.logger.debug(`Successfully Restored subscriptions for ${this.name}`),this.logger.trace({type:"method",method:"restore",subscriptions:this.values})}catch(e){this.logger.debug(`Failed to Restore subscriptions for ${this.name}`),this.logger.error(e)}}async batchSubscribe(e){if(!e.length)return;let r=await this.rpcBatchSubscribe(e);Xi(r)&&this.onBatchSubscribe(r.map((i,n)=>M2(kf({},e[n]),{id:i})))}async batchFetchMessages(e){if(!e.length)return;this.logger.trace(`Fetching batch messages for ${e.length} subscriptions`);let r=await this.rpcBatchFetchMessages(e);r&&r.messages&&(this.pendingBatchMessages=this.pendingBatchMessages.concat(r.messages))}async onConnect(){await this.restart(),this.onEnable()}onDisconnect(){this.onDisable()}async checkPending(){if(!this.initialized||!this.relayer.connected)return;let e=[];this.pending.forEach(r=>{e.push(r)}),await this.batchSubscribe(e),this.pendingBatchMessages.length&&(await this.relayer.handleBatchMessageEvents(this.pendingBatchMessages),this.pendingBatchMessages=[])}registerEventListeners(){this.relayer.core.heartbeat.on(ic.pulse,async()=>{await this.checkPending()}),this.events.on(Cs.created,async e=>{let r=Cs.created;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,data:e}),await this.persist()}),this.events.on(Cs.deleted,async e=>{let r=Cs.deleted;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,data:e}),await this.persist()})}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}async restartToComplete(){!this.relayer.connected&&!this.relayer.connecting&&await this.relayer.transportOpen(),this.restartInProgress&&await new Promise(e=>{let r=setInterval(()=>{this.restartInProgress||(clearInterval(r),e())},this.pollingInterval)})}},hJ=Object.defineProperty,IE=Object.getOwnPropertySymbols,dJ=Object.prototype.hasOwnProperty,pJ=Object.prototype.propertyIsEnumerable,ME=(t,e,r)=>e in t?hJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,gJ=(t,e)=>{for(var r in e||(e={}))dJ.call(e,r)&&ME(t,r,e[r]);if(IE)for(var r of IE(e))pJ.call(e,r)&&ME(t,r,e[r]);return t},z2=class extends q0{constructor(e){super(e),this.protocol="wc",this.version=2,this.events=new xo.EventEmitter,this.name=yW,this.transportExplicitlyClosed=!1,this.initialized=!1,this.connectionAttemptInProgress=!1,this.connectionStatusPollingInterval=20,this.staleConnectionErrors=["socket hang up","stalled","interrupted"],this.hasExperiencedNetworkDisruption=!1,this.requestsInFlight=new Map,this.heartBeatTimeout=(0,Ce.toMiliseconds)(Ce.THIRTY_SECONDS+Ce.ONE_SECOND),this.request=async r=>{var i,n;this.logger.debug("Publishing Request Payload");let s=r.id||zn().toString();await this.toEstablishConnection();try{let a=this.provider.request(r);this.requestsInFlight.set(s,{promise:a,request:r}),this.logger.trace({id:s,method:r.method,topic:(i=r.params)==null?void 0:i.topic},"relayer.request - attempt to publish...");let u=await new Promise(async(h,f)=>{let v=()=>{f(new Error(`relayer.request - publish interrupted, id: ${s}`))};this.provider.on(xn.disconnect,v);let w=await a;this.provider.off(xn.disconnect,v),h(w)});return this.logger.trace({id:s,method:r.method,topic:(n=r.params)==null?void 0:n.topic},"relayer.request - published"),u}catch(a){throw this.logger.debug(`Failed to Publish Request: ${s}`),a}finally{this.requestsInFlight.delete(s)}},this.resetPingTimeout=()=>{if(pf())try{clearTimeout(this.pingTimeout),this.pingTimeout=setTimeout(()=>{var r,i,n;(n=(i=(r=this.provider)==null?void 0:r.connection)==null?void 0:i.socket)==null||n.terminate()},this.heartBeatTimeout)}catch(r){this.logger.warn(r)}},this.onPayloadHandler=r=>{this.onProviderPayload(r),this.resetPingTimeout()},this.onConnectHandler=()=>{this.logger.trace("relayer connected"),this.startPingTimeout(),this.events.emit(ci.connect)},this.onDisconnectHandler=()=>{this.logger.trace("relayer disconnected"),this.onProviderDisconnect()},this.onProviderErrorHandler=r=>{this.logger.error(r),this.events.emit(ci.error,r),this.logger.info("Fatal socket error received, closing transport"),this.transportClose()},this.registerProviderListeners=()=>{this.provider.on(xn.payload,this.onPayloadHandler),this.provider.on(xn.connect,this.onConnectHandler),this.provider.on(xn.disconnect,this.onDisconnectHandler),this.provider.on(xn.error,this.onProviderErrorHandler)},this.core=e.core,this.logger=typeof e.logger<"u"&&typeof e.logger!="string"?Jr(e.logger,this.name):(0,sc.default)(oc({level:e.logger||bW})),this.messages=new q2(this.logger,e.core),this.subscriber=new j2(this,this.logger),this.publisher=new $2(this,this.logger),this.relayUrl=e?.relayUrl||qE,this.projectId=e.projectId,this.bundleId=w_(),this.provider={}}async init(){if(this.logger.trace("Initialized"),this.registerEventListeners(),await Promise.all([this.messages.init(),this.subscriber.init()]),this.initialized=!0,this.subscriber.cached.length>0)try{await this.transportOpen()}catch(e){this.logger.warn(e)}}get context(){return oi(this.logger)}get connected(){var e,r,i;return((i=(r=(e=this.provider)==null?void 0:e.connection)==null?void 0:r.socket)==null?void 0:i.readyState)===1}get connecting(){var e,r,i;return((i=(r=(e=this.provider)==null?void 0:e.connection)==null?void 0:r.socket)==null?void 0:i.readyState)===0}async publish(e,r,i){this.isInitialized(),await this.publisher.publish(e,r,i),await this.recordMessageEvent({topic:e,message:r,publishedAt:Date.now(),transportType:Xt.relay})}async subscribe(e,r){var i;this.isInitialized(),r?.transportType==="relay"&&await this.toEstablishConnection();let n=((i=this.subscriber.topicMap.get(e))==null?void 0:i[0])||"",s,a=u=>{u.topic===e&&(this.subscriber.off(Cs.created,a),s())};return await Promise.all([new Promise(u=>{s=u,this.subscriber.on(Cs.created,a)}),new Promise(async u=>{n=await this.subscriber.subscribe(e,r)||n,u()})]),n}async unsubscribe(e,r){this.isInitialized(),await this.subscriber.unsubscribe(e,r)}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}off(e,r){this.events.off(e,r)}removeListener(e,r){this.events.removeListener(e,r)}async transportDisconnect(){if(!this.hasExperiencedNetworkDisruption&&this.connected&&this.requestsInFlight.size>0)try{await Promise.all(Array.from(this.requestsInFlight.values()).map(e=>e.promise))}catch(e){this.logger.warn(e)}this.hasExperiencedNetworkDisruption||this.connected?await ec(this.provider.disconnect(),2e3,"provider.disconnect()").catch(()=>this.onProviderDisconnect()):this.onProviderDisconnect()}async transportClose(){this.transportExplicitlyClosed=!0,await this.transportDisconnect()}async transportOpen(e){await this.confirmOnlineStateOrThrow(),e&&e!==this.relayUrl&&(this.relayUrl=e,await this.transportDisconnect()),await this.createProvider(),this.connectionAttemptInProgress=!0,this.transportExplicitlyClosed=!1;try{await new Promise(async(r,i)=>{let n=()=>{this.provider.off(xn.disconnect,n),i(new Error("Connection interrupted while trying to subscribe"))};this.provider.on(xn.disconnect,n),await ec(this.provider.connect(),(0,Ce.toMiliseconds)(Ce.ONE_MINUTE),`Socket stalled when trying to connect to ${this.relayUrl}`).catch(s=>{i(s)}).finally(()=>{clearTimeout(this.reconnectTimeout),this.reconnectTimeout=void 0}),this.subscriber.start().catch(s=>{this.logger.error(s),this.onDisconnectHandler()}),this.hasExperiencedNetworkDisruption=!1,r()})}catch(r){this.logger.error(r);let i=r;if(this.hasExperiencedNetworkDisruption=!0,!this.isConnectionStalled(i.message))throw r}finally{this.connectionAttemptInProgress=!1}}async restartTransport(e){this.connectionAttemptInProgress||(this.relayUrl=e||this.relayUrl,await this.confirmOnlineStateOrThrow(),await this.transportClose(),await this.transportOpen())}async confirmOnlineStateOrThrow(){if(!await Wv())throw new Error("No internet connection detected. Please restart your network and try again.")}async handleBatchMessageEvents(e){if(e?.length===0){this.logger.trace("Batch message events is empty. Ignoring...");return}let r=e.sort((i,n)=>i.publishedAt-n.publishedAt);this.logger.trace(`Batch of ${r.length} message events sorted`);for(let i of r)try{await this.onMessageEvent(i)}catch(n){this.logger.warn(n)}this.logger.trace(`Batch of ${r.length} message events processed`)}async onLinkMessageEvent(e,r){let{topic:i}=e;if(!r.sessionExists){let n=Mr(Ce.FIVE_MINUTES),s={topic:i,expiry:n,relay:{protocol:"irn"},active:!1};await this.core.pairing.pairings.set(i,s)}this.events.emit(ci.message,e),await this.recordMessageEvent(e)}startPingTimeout(){var e,r,i,n,s;if(pf())try{(r=(e=this.provider)==null?void 0:e.connection)!=null&&r.socket&&((s=(n=(i=this.provider)==null?void 0:i.connection)==null?void 0:n.socket)==null||s.once("ping",()=>{this.resetPingTimeout()})),this.resetPingTimeout()}catch(a){this.logger.warn(a)}}isConnectionStalled(e){return this.staleConnectionErrors.some(r=>e.includes(r))}async createProvider(){this.provider.connection&&this.unregisterProviderListeners();let e=await this.core.crypto.signJWT(this.relayUrl);this.provider=new yi(new sp(__({sdkVersion:C2,protocol:this.protocol,version:this.version,relayUrl:this.relayUrl,projectId:this.projectId,auth:e,useOnCloseEvent:!0,bundleId:this.bundleId}))),this.registerProviderListeners()}async recordMessageEvent(e){let{topic:r,message:i}=e;await this.messages.set(r,i)}async shouldIgnoreMessageEvent(e){let{topic:r,message:i}=e;if(!i||i.length===0)return this.logger.debug(`Ignoring invalid/empty message: ${i}`),!0;if(!await this.subscriber.isSubscribed(r))return this.logger.debug(`Ignoring message for non-subscribed topic ${r}`),!0;let n=this.messages.has(r,i);return n&&this.logger.debug(`Ignoring duplicate message: ${i}`),n}async onProviderPayload(e){if(this.logger.debug("Incoming Relay Payload"),this.logger.trace({type:"payload",direction:"incoming",payload:e}),ju(e)){if(!e.method.endsWith(wW))return;let r=e.params,{topic:i,message:n,publishedAt:s,attestation:a}=r.data,u={topic:i,message:n,publishedAt:s,transportType:Xt.relay,attestation:a};this.logger.debug("Emitting Relayer Payload"),this.logger.trace(gJ({type:"event",event:r.id},u)),this.events.emit(r.id,u),await this.acknowledgePayload(e),await this.onMessageEvent(u)}else aa(e)&&this.events.emit(ci.message_ack,e)}async onMessageEvent(e){await this.shouldIgnoreMessageEvent(e)||(this.events.emit(ci.message,e),await this.recordMessageEvent(e))}async acknowledgePayload(e){let r=oa(e.id,!0);await this.provider.connection.send(r)}unregisterProviderListeners(){this.provider.off(xn.payload,this.onPayloadHandler),this.provider.off(xn.connect,this.onConnectHandler),this.provider.off(xn.disconnect,this.onDisconnectHandler),this.provider.off(xn.error,this.onProviderErrorHandler),clearTimeout(this.pingTimeout)}async registerEventListeners(){let e=await Wv();j9(async r=>{e!==r&&(e=r,r?await this.restartTransport().catch(i=>this.logger.error(i)):(this.hasExperiencedNetworkDisruption=!0,await this.transportDisconnect(),this.transportExplicitlyClosed=!1))})}async onProviderDisconnect(){await this.subscriber.stop(),this.requestsInFlight.clear(),clearTimeout(this.pingTimeout),this.events.emit(ci.disconnect),this.connectionAttemptInProgress=!1,!this.transportExplicitlyClosed&&(this.reconnectTimeout||(this.reconnectTimeout=setTimeout(async()=>{await this.transportOpen().catch(e=>this.logger.error(e))},(0,Ce.toMiliseconds)(_W))))}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}async toEstablishConnection(){await this.confirmOnlineStateOrThrow(),!this.connected&&(this.connectionAttemptInProgress&&await new Promise(e=>{let r=setInterval(()=>{this.connected&&(clearInterval(r),e())},this.connectionStatusPollingInterval)}),await this.transportOpen())}},mJ=Object.defineProperty,CE=Object.getOwnPropertySymbols,vJ=Object.prototype.hasOwnProperty,bJ=Object.prototype.propertyIsEnumerable,DE=(t,e,r)=>e in t?mJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,PE=(t,e)=>{for(var r in e||(e={}))vJ.call(e,r)&&DE(t,r,e[r]);if(CE)for(var r of CE(e))bJ.call(e,r)&&DE(t,r,e[r]);return t},Os=class extends $0{constructor(e,r,i,n=Ps,s=void 0){super(e,r,i,n),this.core=e,this.logger=r,this.name=i,this.map=new Map,this.version=xW,this.cached=[],this.initialized=!1,this.storagePrefix=Ps,this.recentlyDeleted=[],this.recentlyDeletedLimit=200,this.init=async()=>{this.initialized||(this.logger.trace("Initialized"),await this.restore(),this.cached.forEach(a=>{this.getKey&&a!==null&&!Wr(a)?this.map.set(this.getKey(a),a):C9(a)?this.map.set(a.id,a):D9(a)&&this.map.set(a.topic,a)}),this.cached=[],this.initialized=!0)},this.set=async(a,u)=>{this.isInitialized(),this.map.has(a)?await this.update(a,u):(this.logger.debug("Setting value"),this.logger.trace({type:"method",method:"set",key:a,value:u}),this.map.set(a,u),await this.persist())},this.get=a=>(this.isInitialized(),this.logger.debug("Getting value"),this.logger.trace({type:"method",method:"get",key:a}),this.getData(a)),this.getAll=a=>(this.isInitialized(),a?this.values.filter(u=>Object.keys(a).every(h=>(0,BE.default)(u[h],a[h]))):this.values),this.update=async(a,u)=>{this.isInitialized(),this.logger.debug("Updating value"),this.logger.trace({type:"method",method:"update",key:a,update:u});let h=PE(PE({},this.getData(a)),u);this.map.set(a,h),await this.persist()},this.delete=async(a,u)=>{this.isInitialized(),this.map.has(a)&&(this.logger.debug("Deleting value"),this.logger.trace({type:"method",method:"delete",key:a,reason:u}),this.map.delete(a),this.addToRecentlyDeleted(a),await this.persist())},this.logger=Jr(r,this.name),this.storagePrefix=n,this.getKey=s}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//"+this.name}get length(){return this.map.size}get keys(){return Array.from(this.map.keys())}get values(){return Array.from(this.map.values())}addToRecentlyDeleted(e){this.recentlyDeleted.push(e),this.recentlyDeleted.length>=this.recentlyDeletedLimit&&this.recentlyDeleted.splice(0,this.recentlyDeletedLimit/2)}async setDataStore(e){await this.core.storage.setItem(this.storageKey,e)}async getDataStore(){return await this.core.storage.getItem(this.storageKey)}getData(e){let r=this.map.get(e);if(!r){if(this.recentlyDeleted.includes(e)){let{message:n}=ge("MISSING_OR_INVALID",`Record was recently deleted - ${this.name}: ${e}`);throw this.logger.error(n),new Error(n)}let{message:i}=ge("NO_MATCHING_KEY",`${this.name}: ${e}`);throw this.logger.error(i),new Error(i)}return r}async persist(){await this.setDataStore(this.values)}async restore(){try{let e=await this.getDataStore();if(typeof e>"u"||!e.length)return;if(this.map.size){let{message:r}=ge("RESTORE_WILL_OVERRIDE",this.name);throw this.logger.error(r),new Error(r)}this.cached=e,this.logger.debug(`Successfully Restored value for ${this.name}`),this.logger.trace({type:"method",method:"restore",value:this.values})}catch(e){this.logger.debug(`Failed to Restore value for ${this.name}`),this.logger.error(e)}}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},H2=class{constructor(e,r){this.core=e,this.logger=r,this.name=MW,this.version=CW,this.events=new xo.default,this.initialized=!1,this.storagePrefix=Ps,this.ignoredPayloadTypes=[$n],this.registeredMethods=[],this.init=async()=>{this.initialized||(await this.pairings.init(),await this.cleanup(),this.registerRelayerEvents(),this.registerExpirerEvents(),this.initialized=!0,this.logger.trace("Initialized"))},this.register=({methods:i})=>{this.isInitialized(),this.registeredMethods=[...new Set([...this.registeredMethods,...i])]},this.create=async i=>{this.isInitialized();let n=_0(),s=await this.core.crypto.setSymKey(n),a=Mr(Ce.FIVE_MINUTES),u={protocol:X2},h={topic:s,expiry:a,relay:u,active:!1,methods:i?.methods},f=kv({protocol:this.core.protocol,version:this.core.version,topic:s,symKey:n,relay:u,expiryTimestamp:a,methods:i?.methods});return this.events.emit(la.create,h),this.core.expirer.set(s,a),await this.pairings.set(s,h),await this.core.relayer.subscribe(s,{transportType:i?.transportType}),{topic:s,uri:f}},this.pair=async i=>{this.isInitialized();let n=this.core.eventClient.createEvent({properties:{topic:i?.uri,trace:[Kn.pairing_started]}});this.isValidPair(i,n);let{topic:s,symKey:a,relay:u,expiryTimestamp:h,methods:f}=$v(i.uri);n.props.properties.topic=s,n.addTrace(Kn.pairing_uri_validation_success),n.addTrace(Kn.pairing_uri_not_expired);let v;if(this.pairings.keys.includes(s)){if(v=this.pairings.get(s),n.addTrace(Kn.existing_pairing),v.active)throw n.setError(Ds.active_pairing_already_exists),new Error(`Pairing already exists: ${s}. Please try again with a new connection URI.`);n.addTrace(Kn.pairing_not_expired)}let w=h||Mr(Ce.FIVE_MINUTES),I={topic:s,relay:u,expiry:w,active:!1,methods:f};this.core.expirer.set(s,w),await this.pairings.set(s,I),n.addTrace(Kn.store_new_pairing),i.activatePairing&&await this.activate({topic:s}),this.events.emit(la.create,I),n.addTrace(Kn.emit_inactive_pairing),this.core.crypto.keychain.has(s)||await this.core.crypto.setSymKey(a,s),n.addTrace(Kn.subscribing_pairing_topic);try{await this.core.relayer.confirmOnlineStateOrThrow()}catch{n.setError(Ds.no_internet_connection)}try{await this.core.relayer.subscribe(s,{relay:u})}catch(M){throw n.setError(Ds.subscribe_pairing_topic_failure),M}return n.addTrace(Kn.subscribe_pairing_topic_success),I},this.activate=async({topic:i})=>{this.isInitialized();let n=Mr(Ce.THIRTY_DAYS);this.core.expirer.set(i,n),await this.pairings.update(i,{active:!0,expiry:n})},this.ping=async i=>{this.isInitialized(),await this.isValidPing(i);let{topic:n}=i;if(this.pairings.keys.includes(n)){let s=await this.sendRequest(n,"wc_pairingPing",{}),{done:a,resolve:u,reject:h}=vo();this.events.once(Ze("pairing_ping",s),({error:f})=>{f?h(f):u()}),await a()}},this.updateExpiry=async({topic:i,expiry:n})=>{this.isInitialized(),await this.pairings.update(i,{expiry:n})},this.updateMetadata=async({topic:i,metadata:n})=>{this.isInitialized(),await this.pairings.update(i,{peerMetadata:n})},this.getPairings=()=>(this.isInitialized(),this.pairings.values),this.disconnect=async i=>{this.isInitialized(),await this.isValidDisconnect(i);let{topic:n}=i;this.pairings.keys.includes(n)&&(await this.sendRequest(n,"wc_pairingDelete",dt("USER_DISCONNECTED")),await this.deletePairing(n))},this.formatUriFromPairing=i=>{this.isInitialized();let{topic:n,relay:s,expiry:a,methods:u}=i,h=this.core.crypto.keychain.get(n);return kv({protocol:this.core.protocol,version:this.core.version,topic:n,symKey:h,relay:s,expiryTimestamp:a,methods:u})},this.sendRequest=async(i,n,s)=>{let a=Zi(n,s),u=await this.core.crypto.encode(i,a),h=$f[n].req;return this.core.history.set(i,a),this.core.relayer.publish(i,u,h),a.id},this.sendResult=async(i,n,s)=>{let a=oa(i,s),u=await this.core.crypto.encode(n,a),h=await this.core.history.get(n,i),f=$f[h.request.method].res;await this.core.relayer.publish(n,u,f),await this.core.history.resolve(a)},this.sendError=async(i,n,s)=>{let a=yo(i,s),u=await this.core.crypto.encode(n,a),h=await this.core.history.get(n,i),f=$f[h.request.method]?$f[h.request.method].res:$f.unregistered_method.res;await this.core.relayer.publish(n,u,f),await this.core.history.resolve(a)},this.deletePairing=async(i,n)=>{await this.core.relayer.unsubscribe(i),await Promise.all([this.pairings.delete(i,dt("USER_DISCONNECTED")),this.core.crypto.deleteSymKey(i),n?Promise.resolve():this.core.expirer.del(i)])},this.cleanup=async()=>{let i=this.pairings.getAll().filter(n=>xs(n.expiry));await Promise.all(i.map(n=>this.deletePairing(n.topic)))},this.onRelayEventRequest=i=>{let{topic:n,payload:s}=i;switch(s.method){case"wc_pairingPing":return this.onPairingPingRequest(n,s);case"wc_pairingDelete":return this.onPairingDeleteRequest(n,s);default:return this.onUnknownRpcMethodRequest(n,s)}},this.onRelayEventResponse=async i=>{let{topic:n,payload:s}=i,a=(await this.core.history.get(n,s.id)).request.method;return a==="wc_pairingPing"?this.onPairingPingResponse(n,s):this.onUnknownRpcMethodResponse(a)},this.onPairingPingRequest=async(i,n)=>{let{id:s}=n;try{this.isValidPing({topic:i}),await this.sendResult(s,i,!0),this.events.emit(la.ping,{id:s,topic:i})}catch(a){await this.sendError(s,i,a),this.logger.error(a)}},this.onPairingPingResponse=(i,n)=>{let{id:s}=n;setTimeout(()=>{en(n)?this.events.emit(Ze("pairing_ping",s),{}):ai(n)&&this.events.emit(Ze("pairing_ping",s),{error:n.error})},500)},this.onPairingDeleteRequest=async(i,n)=>{let{id:s}=n;try{this.isValidDisconnect({topic:i}),await this.deletePairing(i),this.events.emit(la.delete,{id:s,topic:i})}catch(a){await this.sendError(s,i,a),this.logger.error(a)}},this.onUnknownRpcMethodRequest=async(i,n)=>{let{id:s,method:a}=n;try{if(this.registeredMethods.includes(a))return;let u=dt("WC_METHOD_UNSUPPORTED",a);await this.sendError(s,i,u),this.logger.error(u)}catch(u){await this.sendError(s,i,u),this.logger.error(u)}},this.onUnknownRpcMethodResponse=i=>{this.registeredMethods.includes(i)||this.logger.error(dt("WC_METHOD_UNSUPPORTED",i))},this.isValidPair=(i,n)=>{var s;if(!si(i)){let{message:u}=ge("MISSING_OR_INVALID",`pair() params: ${i}`);throw n.setError(Ds.malformed_pairing_uri),new Error(u)}if(!M9(i.uri)){let{message:u}=ge("MISSING_OR_INVALID",`pair() uri: ${i.uri}`);throw n.setError(Ds.malformed_pairing_uri),new Error(u)}let a=$v(i?.uri);if(!((s=a?.relay)!=null&&s.protocol)){let{message:u}=ge("MISSING_OR_INVALID","pair() uri#relay-protocol");throw n.setError(Ds.malformed_pairing_uri),new Error(u)}if(!(a!=null&&a.symKey)){let{message:u}=ge("MISSING_OR_INVALID","pair() uri#symKey");throw n.setError(Ds.malformed_pairing_uri),new Error(u)}if(a!=null&&a.expiryTimestamp&&(0,Ce.toMiliseconds)(a?.expiryTimestamp)<Date.now()){n.setError(Ds.pairing_expired);let{message:u}=ge("EXPIRED","pair() URI has expired. Please try again with a new connection URI.");throw new Error(u)}},this.isValidPing=async i=>{if(!si(i)){let{message:s}=ge("MISSING_OR_INVALID",`ping() params: ${i}`);throw new Error(s)}let{topic:n}=i;await this.isValidPairingTopic(n)},this.isValidDisconnect=async i=>{if(!si(i)){let{message:s}=ge("MISSING_OR_INVALID",`disconnect() params: ${i}`);throw new Error(s)}let{topic:n}=i;await this.isValidPairingTopic(n)},this.isValidPairingTopic=async i=>{if(!dr(i,!1)){let{message:n}=ge("MISSING_OR_INVALID",`pairing topic should be a string: ${i}`);throw new Error(n)}if(!this.pairings.keys.includes(i)){let{message:n}=ge("NO_MATCHING_KEY",`pairing topic doesn't exist: ${i}`);throw new Error(n)}if(xs(this.pairings.get(i).expiry)){await this.deletePairing(i);let{message:n}=ge("EXPIRED",`pairing topic: ${i}`);throw new Error(n)}},this.core=e,this.logger=Jr(r,this.name),this.pairings=new Os(this.core,this.logger,this.name,this.storagePrefix)}get context(){return oi(this.logger)}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}registerRelayerEvents(){this.core.relayer.on(ci.message,async e=>{let{topic:r,message:i,transportType:n}=e;if(!this.pairings.keys.includes(r)||n===Xt.link_mode||this.ignoredPayloadTypes.includes(this.core.crypto.getPayloadType(i)))return;let s=await this.core.crypto.decode(r,i);try{ju(s)?(this.core.history.set(r,s),this.onRelayEventRequest({topic:r,payload:s})):aa(s)&&(await this.core.history.resolve(s),await this.onRelayEventResponse({topic:r,payload:s}),this.core.history.delete(r,s.id))}catch(a){this.logger.error(a)}})}registerExpirerEvents(){this.core.expirer.on(tn.expired,async e=>{let{topic:r}=y0(e.target);r&&this.pairings.keys.includes(r)&&(await this.deletePairing(r,!0),this.events.emit(la.expire,{topic:r}))})}},K2=class extends B0{constructor(e,r){super(e,r),this.core=e,this.logger=r,this.records=new Map,this.events=new xo.EventEmitter,this.name=DW,this.version=PW,this.cached=[],this.initialized=!1,this.storagePrefix=Ps,this.init=async()=>{this.initialized||(this.logger.trace("Initialized"),await this.restore(),this.cached.forEach(i=>this.records.set(i.id,i)),this.cached=[],this.registerEventListeners(),this.initialized=!0)},this.set=(i,n,s)=>{if(this.isInitialized(),this.logger.debug("Setting JSON-RPC request history record"),this.logger.trace({type:"method",method:"set",topic:i,request:n,chainId:s}),this.records.has(n.id))return;let a={id:n.id,topic:i,request:{method:n.method,params:n.params||null},chainId:s,expiry:Mr(Ce.THIRTY_DAYS)};this.records.set(a.id,a),this.persist(),this.events.emit(Hn.created,a)},this.resolve=async i=>{if(this.isInitialized(),this.logger.debug("Updating JSON-RPC response history record"),this.logger.trace({type:"method",method:"update",response:i}),!this.records.has(i.id))return;let n=await this.getRecord(i.id);typeof n.response>"u"&&(n.response=ai(i)?{error:i.error}:{result:i.result},this.records.set(n.id,n),this.persist(),this.events.emit(Hn.updated,n))},this.get=async(i,n)=>(this.isInitialized(),this.logger.debug("Getting record"),this.logger.trace({type:"method",method:"get",topic:i,id:n}),await this.getRecord(n)),this.delete=(i,n)=>{this.isInitialized(),this.logger.debug("Deleting record"),this.logger.trace({type:"method",method:"delete",id:n}),this.values.forEach(s=>{if(s.topic===i){if(typeof n<"u"&&s.id!==n)return;this.records.delete(s.id),this.events.emit(Hn.deleted,s)}}),this.persist()},this.exists=async(i,n)=>(this.isInitialized(),this.records.has(n)?(await this.getRecord(n)).topic===i:!1),this.on=(i,n)=>{this.events.on(i,n)},this.once=(i,n)=>{this.events.once(i,n)},this.off=(i,n)=>{this.events.off(i,n)},this.removeListener=(i,n)=>{this.events.removeListener(i,n)},this.logger=Jr(r,this.name)}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//"+this.name}get size(){return this.records.size}get keys(){return Array.from(this.records.keys())}get values(){return Array.from(this.records.values())}get pending(){let e=[];return this.values.forEach(r=>{if(typeof r.response<"u")return;let i={topic:r.topic,request:Zi(r.request.method,r.request.params,r.id),chainId:r.chainId};return e.push(i)}),e}async setJsonRpcRecords(e){await this.core.storage.setItem(this.storageKey,e)}async getJsonRpcRecords(){return await this.core.storage.getItem(this.storageKey)}getRecord(e){this.isInitialized();let r=this.records.get(e);if(!r){let{message:i}=ge("NO_MATCHING_KEY",`${this.name}: ${e}`);throw new Error(i)}return r}async persist(){await this.setJsonRpcRecords(this.values),this.events.emit(Hn.sync)}async restore(){try{let e=await this.getJsonRpcRecords();if(typeof e>"u"||!e.length)return;if(this.records.size){let{message:r}=ge("RESTORE_WILL_OVERRIDE",this.name);throw this.logger.error(r),new Error(r)}this.cached=e,this.logger.debug(`Successfully Restored records for ${this.name}`),this.logger.trace({type:"method",method:"restore",records:this.values})}catch(e){this.logger.debug(`Failed to Restore records for ${this.name}`),this.logger.error(e)}}registerEventListeners(){this.events.on(Hn.created,e=>{let r=Hn.created;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,record:e})}),this.events.on(Hn.updated,e=>{let r=Hn.updated;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,record:e})}),this.events.on(Hn.deleted,e=>{let r=Hn.deleted;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,record:e})}),this.core.heartbeat.on(ic.pulse,()=>{this.cleanup()})}cleanup(){try{this.isInitialized();let e=!1;this.records.forEach(r=>{(0,Ce.toMiliseconds)(r.expiry||0)-Date.now()<=0&&(this.logger.info(`Deleting expired history log: ${r.id}`),this.records.delete(r.id),this.events.emit(Hn.deleted,r,!1),e=!0)}),e&&this.persist()}catch(e){this.logger.warn(e)}}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},V2=class extends j0{constructor(e,r){super(e,r),this.core=e,this.logger=r,this.expirations=new Map,this.events=new xo.EventEmitter,this.name=OW,this.version=RW,this.cached=[],this.initialized=!1,this.storagePrefix=Ps,this.init=async()=>{this.initialized||(this.logger.trace("Initialized"),await this.restore(),this.cached.forEach(i=>this.expirations.set(i.target,i)),this.cached=[],this.registerEventListeners(),this.initialized=!0)},this.has=i=>{try{let n=this.formatTarget(i);return typeof this.getExpiration(n)<"u"}catch{return!1}},this.set=(i,n)=>{this.isInitialized();let s=this.formatTarget(i),a={target:s,expiry:n};this.expirations.set(s,a),this.checkExpiry(s,a),this.events.emit(tn.created,{target:s,expiration:a})},this.get=i=>{this.isInitialized();let n=this.formatTarget(i);return this.getExpiration(n)},this.del=i=>{if(this.isInitialized(),this.has(i)){let n=this.formatTarget(i),s=this.getExpiration(n);this.expirations.delete(n),this.events.emit(tn.deleted,{target:n,expiration:s})}},this.on=(i,n)=>{this.events.on(i,n)},this.once=(i,n)=>{this.events.once(i,n)},this.off=(i,n)=>{this.events.off(i,n)},this.removeListener=(i,n)=>{this.events.removeListener(i,n)},this.logger=Jr(r,this.name)}get context(){return oi(this.logger)}get storageKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//"+this.name}get length(){return this.expirations.size}get keys(){return Array.from(this.expirations.keys())}get values(){return Array.from(this.expirations.values())}formatTarget(e){if(typeof e=="string")return E_(e);if(typeof e=="number")return A_(e);let{message:r}=ge("UNKNOWN_TYPE",`Target type: ${typeof e}`);throw new Error(r)}async setExpirations(e){await this.core.storage.setItem(this.storageKey,e)}async getExpirations(){return await this.core.storage.getItem(this.storageKey)}async persist(){await this.setExpirations(this.values),this.events.emit(tn.sync)}async restore(){try{let e=await this.getExpirations();if(typeof e>"u"||!e.length)return;if(this.expirations.size){let{message:r}=ge("RESTORE_WILL_OVERRIDE",this.name);throw this.logger.error(r),new Error(r)}this.cached=e,this.logger.debug(`Successfully Restored expirations for ${this.name}`),this.logger.trace({type:"method",method:"restore",expirations:this.values})}catch(e){this.logger.debug(`Failed to Restore expirations for ${this.name}`),this.logger.error(e)}}getExpiration(e){let r=this.expirations.get(e);if(!r){let{message:i}=ge("NO_MATCHING_KEY",`${this.name}: ${e}`);throw this.logger.warn(i),new Error(i)}return r}checkExpiry(e,r){let{expiry:i}=r;(0,Ce.toMiliseconds)(i)-Date.now()<=0&&this.expire(e,r)}expire(e,r){this.expirations.delete(e),this.events.emit(tn.expired,{target:e,expiration:r})}checkExpirations(){this.core.relayer.connected&&this.expirations.forEach((e,r)=>this.checkExpiry(r,e))}registerEventListeners(){this.core.heartbeat.on(ic.pulse,()=>this.checkExpirations()),this.events.on(tn.created,e=>{let r=tn.created;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,data:e}),this.persist()}),this.events.on(tn.expired,e=>{let r=tn.expired;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,data:e}),this.persist()}),this.events.on(tn.deleted,e=>{let r=tn.deleted;this.logger.info(`Emitting ${r}`),this.logger.debug({type:"event",event:r,data:e}),this.persist()})}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}},ar={};Object.defineProperty(ar,"__esModule",{value:!0}),ar.getLocalStorage=ar.getLocalStorageOrThrow=ar.getCrypto=ar.getCryptoOrThrow=ar.getLocation=ar.getLocationOrThrow=ar.getNavigator=ar.getNavigatorOrThrow=QE=ar.getDocument=ar.getDocumentOrThrow=ar.getFromWindowOrThrow=ar.getFromWindow=void 0;function fc(t){let e;return typeof window<"u"&&typeof window[t]<"u"&&(e=window[t]),e}ar.getFromWindow=fc;function Gu(t){let e=fc(t);if(!e)throw new Error(`${t} is not defined in Window`);return e}ar.getFromWindowOrThrow=Gu;function yJ(){return Gu("document")}ar.getDocumentOrThrow=yJ;function wJ(){return fc("document")}var QE=ar.getDocument=wJ;function _J(){return Gu("navigator")}ar.getNavigatorOrThrow=_J;function xJ(){return fc("navigator")}ar.getNavigator=xJ;function EJ(){return Gu("location")}ar.getLocationOrThrow=EJ;function AJ(){return fc("location")}ar.getLocation=AJ;function SJ(){return Gu("crypto")}ar.getCryptoOrThrow=SJ;function IJ(){return fc("crypto")}ar.getCrypto=IJ;function MJ(){return Gu("localStorage")}ar.getLocalStorageOrThrow=MJ;function CJ(){return fc("localStorage")}ar.getLocalStorage=CJ;var W2=class extends z0{constructor(e,r,i){super(e,r,i),this.core=e,this.logger=r,this.store=i,this.name=TW,this.verifyUrlV3=LW,this.storagePrefix=Ps,this.version=FE,this.init=async()=>{var n;this.isDevEnv||(this.publicKey=await this.store.getItem(this.storeKey),this.publicKey&&(0,Ce.toMiliseconds)((n=this.publicKey)==null?void 0:n.expiresAt)<Date.now()&&(this.logger.debug("verify v2 public key expired"),await this.removePublicKey()))},this.register=async n=>{if(!Cu()||this.isDevEnv)return;let s=window.location.origin,{id:a,decryptedId:u}=n,h=`${this.verifyUrlV3}/attestation?projectId=${this.core.projectId}&origin=${s}&id=${a}&decryptedId=${u}`;try{let f=QE(),v=this.startAbortTimer(Ce.ONE_SECOND*5),w=await new Promise((I,M)=>{let P=()=>{window.removeEventListener("message",U),f.body.removeChild(T),M("attestation aborted")};this.abortController.signal.addEventListener("abort",P);let T=f.createElement("iframe");T.src=h,T.style.display="none",T.addEventListener("error",P,{signal:this.abortController.signal});let U=F=>{if(F.data&&typeof F.data=="string")try{let V=JSON.parse(F.data);if(V.type==="verify_attestation"){if(yu(V.attestation).payload.id!==a)return;clearInterval(v),f.body.removeChild(T),this.abortController.signal.removeEventListener("abort",P),window.removeEventListener("message",U),I(V.attestation===null?"":V.attestation)}}catch(V){this.logger.warn(V)}};f.body.appendChild(T),window.addEventListener("message",U,{signal:this.abortController.signal})});return this.logger.debug("jwt attestation",w),w}catch(f){this.logger.warn(f)}return""},this.resolve=async n=>{if(this.isDevEnv)return"";let{attestationId:s,hash:a,encryptedId:u}=n;if(s===""){this.logger.debug("resolve: attestationId is empty, skipping");return}if(s){if(yu(s).payload.id!==u)return;let f=await this.isValidJwtAttestation(s);if(f){if(!f.isVerified){this.logger.warn("resolve: jwt attestation: origin url not verified");return}return f}}if(!a)return;let h=this.getVerifyUrl(n?.verifyUrl);return this.fetchAttestation(a,h)},this.fetchAttestation=async(n,s)=>{this.logger.debug(`resolving attestation: ${n} from url: ${s}`);let a=this.startAbortTimer(Ce.ONE_SECOND*5),u=await fetch(`${s}/attestation/${n}?v2Supported=true`,{signal:this.abortController.signal});return clearTimeout(a),u.status===200?await u.json():void 0},this.getVerifyUrl=n=>{let s=n||Vu;return BW.includes(s)||(this.logger.info(`verify url: ${s}, not included in trusted list, assigning default: ${Vu}`),s=Vu),s},this.fetchPublicKey=async()=>{try{this.logger.debug(`fetching public key from: ${this.verifyUrlV3}`);let n=this.startAbortTimer(Ce.FIVE_SECONDS),s=await fetch(`${this.verifyUrlV3}/public-key`,{signal:this.abortController.signal});return clearTimeout(n),await s.json()}catch(n){this.logger.warn(n)}},this.persistPublicKey=async n=>{this.logger.debug("persisting public key to local storage",n),await this.store.setItem(this.storeKey,n),this.publicKey=n},this.removePublicKey=async()=>{this.logger.debug("removing verify v2 public key from storage"),await this.store.removeItem(this.storeKey),this.publicKey=void 0},this.isValidJwtAttestation=async n=>{let s=await this.getPublicKey();try{if(s)return this.validateAttestation(n,s)}catch(u){this.logger.error(u),this.logger.warn("error validating attestation")}let a=await this.fetchAndPersistPublicKey();try{if(a)return this.validateAttestation(n,a)}catch(u){this.logger.error(u),this.logger.warn("error validating attestation")}},this.getPublicKey=async()=>this.publicKey?this.publicKey:await this.fetchAndPersistPublicKey(),this.fetchAndPersistPublicKey=async()=>{if(this.fetchPromise)return await this.fetchPromise,this.publicKey;this.fetchPromise=new Promise(async s=>{let a=await this.fetchPublicKey();a&&(await this.persistPublicKey(a),s(a))});let n=await this.fetchPromise;return this.fetchPromise=void 0,n},this.validateAttestation=(n,s)=>{let a=S9(n,s.publicKey),u={hasExpired:(0,Ce.toMiliseconds)(a.exp)<Date.now(),payload:a};if(u.hasExpired)throw this.logger.warn("resolve: jwt attestation expired"),new Error("JWT attestation expired");return{origin:u.payload.origin,isScam:u.payload.isScam,isVerified:u.payload.isVerified}},this.logger=Jr(r,this.name),this.abortController=new AbortController,this.isDevEnv=vf(),this.init()}get storeKey(){return this.storagePrefix+this.version+this.core.customStoragePrefix+"//verify:public:key"}get context(){return oi(this.logger)}startAbortTimer(e){return this.abortController=new AbortController,setTimeout(()=>this.abortController.abort(),(0,Ce.toMiliseconds)(e))}},G2=class extends H0{constructor(e,r){super(e,r),this.projectId=e,this.logger=r,this.context=UW,this.registerDeviceToken=async i=>{let{clientId:n,token:s,notificationType:a,enableEncrypted:u=!1}=i,h=`${FW}/${this.projectId}/clients`;await fetch(h,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({client_id:n,type:a,token:s,always_raw:u})})},this.logger=Jr(r,this.context)}},DJ=Object.defineProperty,OE=Object.getOwnPropertySymbols,PJ=Object.prototype.hasOwnProperty,OJ=Object.prototype.propertyIsEnumerable,RE=(t,e,r)=>e in t?DJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,jf=(t,e)=>{for(var r in e||(e={}))PJ.call(e,r)&&RE(t,r,e[r]);if(OE)for(var r of OE(e))OJ.call(e,r)&&RE(t,r,e[r]);return t},J2=class extends K0{constructor(e,r,i=!0){super(e,r,i),this.core=e,this.logger=r,this.context=$W,this.storagePrefix=Ps,this.storageVersion=qW,this.events=new Map,this.shouldPersist=!1,this.init=async()=>{if(!vf())try{let n={eventId:Av(),timestamp:Date.now(),domain:this.getAppDomain(),props:{event:"INIT",type:"",properties:{client_id:await this.core.crypto.getClientId(),user_agent:wv(this.core.relayer.protocol,this.core.relayer.version,C2)}}};await this.sendEvent([n])}catch(n){this.logger.warn(n)}},this.createEvent=n=>{let{event:s="ERROR",type:a="",properties:{topic:u,trace:h}}=n,f=Av(),v=this.core.projectId||"",w=Date.now(),I=jf({eventId:f,timestamp:w,props:{event:s,type:a,properties:{topic:u,trace:h}},bundleId:v,domain:this.getAppDomain()},this.setMethods(f));return this.telemetryEnabled&&(this.events.set(f,I),this.shouldPersist=!0),I},this.getEvent=n=>{let{eventId:s,topic:a}=n;if(s)return this.events.get(s);let u=Array.from(this.events.values()).find(h=>h.props.properties.topic===a);if(u)return jf(jf({},u),this.setMethods(u.eventId))},this.deleteEvent=n=>{let{eventId:s}=n;this.events.delete(s),this.shouldPersist=!0},this.setEventListeners=()=>{this.core.heartbeat.on(ic.pulse,async()=>{this.shouldPersist&&await this.persist(),this.events.forEach(n=>{(0,Ce.fromMiliseconds)(Date.now())-(0,Ce.fromMiliseconds)(n.timestamp)>kW&&(this.events.delete(n.eventId),this.shouldPersist=!0)})})},this.setMethods=n=>({addTrace:s=>this.addTrace(n,s),setError:s=>this.setError(n,s)}),this.addTrace=(n,s)=>{let a=this.events.get(n);a&&(a.props.properties.trace.push(s),this.events.set(n,a),this.shouldPersist=!0)},this.setError=(n,s)=>{let a=this.events.get(n);a&&(a.props.type=s,a.timestamp=Date.now(),this.events.set(n,a),this.shouldPersist=!0)},this.persist=async()=>{await this.core.storage.setItem(this.storageKey,Array.from(this.events.values())),this.shouldPersist=!1},this.restore=async()=>{try{let n=await this.core.storage.getItem(this.storageKey)||[];if(!n.length)return;n.forEach(s=>{this.events.set(s.eventId,jf(jf({},s),this.setMethods(s.eventId)))})}catch(n){this.logger.warn(n)}},this.submit=async()=>{if(!this.telemetryEnabled||this.events.size===0)return;let n=[];for(let[s,a]of this.events)a.props.type&&n.push(a);if(n.length!==0)try{if((await this.sendEvent(n)).ok)for(let s of n)this.events.delete(s.eventId),this.shouldPersist=!0}catch(s){this.logger.warn(s)}},this.sendEvent=async n=>{let s=this.getAppDomain()?"":"&sp=desktop";return await fetch(`${jW}?projectId=${this.core.projectId}&st=events_sdk&sv=js-${C2}${s}`,{method:"POST",body:JSON.stringify(n)})},this.getAppDomain=()=>b0().url,this.logger=Jr(r,this.context),this.telemetryEnabled=i,i?this.restore().then(async()=>{await this.submit(),this.setEventListeners()}):this.persist()}get storageKey(){return this.storagePrefix+this.storageVersion+this.core.customStoragePrefix+"//"+this.context}},RJ=Object.defineProperty,TE=Object.getOwnPropertySymbols,TJ=Object.prototype.hasOwnProperty,NJ=Object.prototype.propertyIsEnumerable,NE=(t,e,r)=>e in t?RJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,LE=(t,e)=>{for(var r in e||(e={}))TJ.call(e,r)&&NE(t,r,e[r]);if(TE)for(var r of TE(e))NJ.call(e,r)&&NE(t,r,e[r]);return t},Y2=class t extends L0{constructor(e){var r;super(e),this.protocol=UE,this.version=FE,this.name=Q2,this.events=new xo.EventEmitter,this.initialized=!1,this.on=(a,u)=>this.events.on(a,u),this.once=(a,u)=>this.events.once(a,u),this.off=(a,u)=>this.events.off(a,u),this.removeListener=(a,u)=>this.events.removeListener(a,u),this.dispatchEnvelope=({topic:a,message:u,sessionExists:h})=>{if(!a||!u)return;let f={topic:a,message:u,publishedAt:Date.now(),transportType:Xt.link_mode};this.relayer.onLinkMessageEvent(f,{sessionExists:h})},this.projectId=e?.projectId,this.relayUrl=e?.relayUrl||qE,this.customStoragePrefix=e!=null&&e.customStoragePrefix?`:${e.customStoragePrefix}`:"";let i=oc({level:typeof e?.logger=="string"&&e.logger?e.logger:cW.logger}),{logger:n,chunkLoggerController:s}=hx({opts:i,maxSizeInBytes:e?.maxLogBlobSizeInBytes,loggerOverride:e?.logger});this.logChunkController=s,(r=this.logChunkController)!=null&&r.downloadLogsBlobInBrowser&&(window.downloadLogsBlobInBrowser=async()=>{var a,u;(a=this.logChunkController)!=null&&a.downloadLogsBlobInBrowser&&((u=this.logChunkController)==null||u.downloadLogsBlobInBrowser({clientId:await this.crypto.getClientId()}))}),this.logger=Jr(n,this.name),this.heartbeat=new S0,this.crypto=new F2(this,this.logger,e?.keychain),this.history=new K2(this,this.logger),this.expirer=new V2(this,this.logger),this.storage=e!=null&&e.storage?e.storage:new C0(LE(LE({},uW),e?.storageOptions)),this.relayer=new z2({core:this,logger:this.logger,relayUrl:this.relayUrl,projectId:this.projectId}),this.pairing=new H2(this,this.logger),this.verify=new W2(this,this.logger,this.storage),this.echoClient=new G2(this.projectId||"",this.logger),this.linkModeSupportedApps=[],this.eventClient=new J2(this,this.logger,e?.telemetryEnabled)}static async init(e){let r=new t(e);await r.initialize();let i=await r.crypto.getClientId();return await r.storage.setItem(EW,i),r}get context(){return oi(this.logger)}async start(){this.initialized||await this.initialize()}async getLogsBlob(){var e;return(e=this.logChunkController)==null?void 0:e.logsToBlob({clientId:await this.crypto.getClientId()})}async addLinkModeSupportedApp(e){this.linkModeSupportedApps.includes(e)||(this.linkModeSupportedApps.push(e),await this.storage.setItem(vE,this.linkModeSupportedApps))}async initialize(){this.logger.trace("Initialized");try{await this.crypto.init(),await this.history.init(),await this.expirer.init(),await this.relayer.init(),await this.heartbeat.init(),await this.pairing.init(),this.eventClient.init(),this.linkModeSupportedApps=await this.storage.getItem(vE)||[],this.initialized=!0,this.logger.info("Core Initialization Success")}catch(e){throw this.logger.warn(`Core Initialization Failure at epoch ${Date.now()}`,e),this.logger.error(e.message),e}}},XE=Y2;var wp=Et(ts()),st=Et(Yc());var rA="wc",iA=2,nA="client",ub=`${rA}@${iA}:${nA}:`,Z2={name:nA,logger:"error",controller:!1,relayUrl:"wss://relay.walletconnect.org"};var ZE="WALLETCONNECT_DEEPLINK_CHOICE";var LJ="proposal";var lb="Proposal expired",BJ="session",Ju=st.SEVEN_DAYS,UJ="engine",qr={wc_sessionPropose:{req:{ttl:st.FIVE_MINUTES,prompt:!0,tag:1100},res:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1101},reject:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1120},autoReject:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1121}},wc_sessionSettle:{req:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1102},res:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1103}},wc_sessionUpdate:{req:{ttl:st.ONE_DAY,prompt:!1,tag:1104},res:{ttl:st.ONE_DAY,prompt:!1,tag:1105}},wc_sessionExtend:{req:{ttl:st.ONE_DAY,prompt:!1,tag:1106},res:{ttl:st.ONE_DAY,prompt:!1,tag:1107}},wc_sessionRequest:{req:{ttl:st.FIVE_MINUTES,prompt:!0,tag:1108},res:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1109}},wc_sessionEvent:{req:{ttl:st.FIVE_MINUTES,prompt:!0,tag:1110},res:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1111}},wc_sessionDelete:{req:{ttl:st.ONE_DAY,prompt:!1,tag:1112},res:{ttl:st.ONE_DAY,prompt:!1,tag:1113}},wc_sessionPing:{req:{ttl:st.ONE_DAY,prompt:!1,tag:1114},res:{ttl:st.ONE_DAY,prompt:!1,tag:1115}},wc_sessionAuthenticate:{req:{ttl:st.ONE_HOUR,prompt:!0,tag:1116},res:{ttl:st.ONE_HOUR,prompt:!1,tag:1117},reject:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1118},autoReject:{ttl:st.FIVE_MINUTES,prompt:!1,tag:1119}}},eb={min:st.FIVE_MINUTES,max:st.SEVEN_DAYS},Rs={idle:"IDLE",active:"ACTIVE"},FJ="request",qJ=["wc_sessionPropose","wc_sessionRequest","wc_authRequest","wc_sessionAuthenticate"],$J="wc";var kJ="auth",jJ="authKeys",zJ="pairingTopics",HJ="requests",_p=`${$J}@${1.5}:${kJ}:`,bp=`${_p}:PUB_KEY`,KJ=Object.defineProperty,VJ=Object.defineProperties,WJ=Object.getOwnPropertyDescriptors,eA=Object.getOwnPropertySymbols,GJ=Object.prototype.hasOwnProperty,JJ=Object.prototype.propertyIsEnumerable,tA=(t,e,r)=>e in t?KJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,_r=(t,e)=>{for(var r in e||(e={}))GJ.call(e,r)&&tA(t,r,e[r]);if(eA)for(var r of eA(e))JJ.call(e,r)&&tA(t,r,e[r]);return t},Vn=(t,e)=>VJ(t,WJ(e)),tb=class extends W0{constructor(e){super(e),this.name=UJ,this.events=new wp.default,this.initialized=!1,this.requestQueue={state:Rs.idle,queue:[]},this.sessionRequestQueue={state:Rs.idle,queue:[]},this.requestQueueDelay=st.ONE_SECOND,this.expectedPairingMethodMap=new Map,this.recentlyDeletedMap=new Map,this.recentlyDeletedLimit=200,this.relayMessageCache=[],this.init=async()=>{this.initialized||(await this.cleanup(),this.registerRelayerEvents(),this.registerExpirerEvents(),this.registerPairingEvents(),await this.registerLinkModeListeners(),this.client.core.pairing.register({methods:Object.keys(qr)}),this.initialized=!0,setTimeout(()=>{this.sessionRequestQueue.queue=this.getPendingSessionRequests(),this.processSessionRequestQueue()},(0,st.toMiliseconds)(this.requestQueueDelay)))},this.connect=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();let i=Vn(_r({},r),{requiredNamespaces:r.requiredNamespaces||{},optionalNamespaces:r.optionalNamespaces||{}});await this.isValidConnect(i);let{pairingTopic:n,requiredNamespaces:s,optionalNamespaces:a,sessionProperties:u,relays:h}=i,f=n,v,w=!1;try{f&&(w=this.client.core.pairing.pairings.get(f).active)}catch(j){throw this.client.logger.error(`connect() -> pairing.get(${f}) failed`),j}if(!f||!w){let{topic:j,uri:H}=await this.client.core.pairing.create();f=j,v=H}if(!f){let{message:j}=ge("NO_MATCHING_KEY",`connect() pairing topic: ${f}`);throw new Error(j)}let I=await this.client.core.crypto.generateKeyPair(),M=qr.wc_sessionPropose.req.ttl||st.FIVE_MINUTES,P=Mr(M),T=_r({requiredNamespaces:s,optionalNamespaces:a,relays:h??[{protocol:X2}],proposer:{publicKey:I,metadata:this.client.metadata},expiryTimestamp:P,pairingTopic:f},u&&{sessionProperties:u}),{reject:U,resolve:F,done:V}=vo(M,lb);this.events.once(Ze("session_connect"),async({error:j,session:H})=>{if(j)U(j);else if(H){H.self.publicKey=I;let ee=Vn(_r({},H),{pairingTopic:T.pairingTopic,requiredNamespaces:T.requiredNamespaces,optionalNamespaces:T.optionalNamespaces,transportType:Xt.relay});await this.client.session.set(H.topic,ee),await this.setExpiry(H.topic,H.expiry),f&&await this.client.core.pairing.updateMetadata({topic:f,metadata:H.peer.metadata}),this.cleanupDuplicatePairings(ee),F(ee)}});let z=await this.sendRequest({topic:f,method:"wc_sessionPropose",params:T,throwOnFailedPublish:!0});return await this.setProposal(z,_r({id:z},T)),{uri:v,approval:V}},this.pair=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();try{return await this.client.core.pairing.pair(r)}catch(i){throw this.client.logger.error("pair() failed"),i}},this.approve=async r=>{var i,n,s;let a=this.client.core.eventClient.createEvent({properties:{topic:(i=r?.id)==null?void 0:i.toString(),trace:[En.session_approve_started]}});try{this.isInitialized(),await this.confirmOnlineStateOrThrow()}catch(q){throw a.setError(fa.no_internet_connection),q}try{await this.isValidProposalId(r?.id)}catch(q){throw this.client.logger.error(`approve() -> proposal.get(${r?.id}) failed`),a.setError(fa.proposal_not_found),q}try{await this.isValidApprove(r)}catch(q){throw this.client.logger.error("approve() -> isValidApprove() failed"),a.setError(fa.session_approve_namespace_validation_failure),q}let{id:u,relayProtocol:h,namespaces:f,sessionProperties:v,sessionConfig:w}=r,I=this.client.proposal.get(u);this.client.core.eventClient.deleteEvent({eventId:a.eventId});let{pairingTopic:M,proposer:P,requiredNamespaces:T,optionalNamespaces:U}=I,F=(n=this.client.core.eventClient)==null?void 0:n.getEvent({topic:M});F||(F=(s=this.client.core.eventClient)==null?void 0:s.createEvent({type:En.session_approve_started,properties:{topic:M,trace:[En.session_approve_started,En.session_namespaces_validation_success]}}));let V=await this.client.core.crypto.generateKeyPair(),z=P.publicKey,j=await this.client.core.crypto.generateSharedKey(V,z),H=_r(_r({relay:{protocol:h??"irn"},namespaces:f,controller:{publicKey:V,metadata:this.client.metadata},expiry:Mr(Ju)},v&&{sessionProperties:v}),w&&{sessionConfig:w}),ee=Xt.relay;F.addTrace(En.subscribing_session_topic);try{await this.client.core.relayer.subscribe(j,{transportType:ee})}catch(q){throw F.setError(fa.subscribe_session_topic_failure),q}F.addTrace(En.subscribe_session_topic_success);let $=Vn(_r({},H),{topic:j,requiredNamespaces:T,optionalNamespaces:U,pairingTopic:M,acknowledged:!1,self:H.controller,peer:{publicKey:P.publicKey,metadata:P.metadata},controller:V,transportType:Xt.relay});await this.client.session.set(j,$),F.addTrace(En.store_session);try{F.addTrace(En.publishing_session_settle),await this.sendRequest({topic:j,method:"wc_sessionSettle",params:H,throwOnFailedPublish:!0}).catch(q=>{throw F?.setError(fa.session_settle_publish_failure),q}),F.addTrace(En.session_settle_publish_success),F.addTrace(En.publishing_session_approve),await this.sendResult({id:u,topic:M,result:{relay:{protocol:h??"irn"},responderPublicKey:V},throwOnFailedPublish:!0}).catch(q=>{throw F?.setError(fa.session_approve_publish_failure),q}),F.addTrace(En.session_approve_publish_success)}catch(q){throw this.client.logger.error(q),this.client.session.delete(j,dt("USER_DISCONNECTED")),await this.client.core.relayer.unsubscribe(j),q}return this.client.core.eventClient.deleteEvent({eventId:F.eventId}),await this.client.core.pairing.updateMetadata({topic:M,metadata:P.metadata}),await this.client.proposal.delete(u,dt("USER_DISCONNECTED")),await this.client.core.pairing.activate({topic:M}),await this.setExpiry(j,Mr(Ju)),{topic:j,acknowledged:()=>Promise.resolve(this.client.session.get(j))}},this.reject=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();try{await this.isValidReject(r)}catch(a){throw this.client.logger.error("reject() -> isValidReject() failed"),a}let{id:i,reason:n}=r,s;try{s=this.client.proposal.get(i).pairingTopic}catch(a){throw this.client.logger.error(`reject() -> proposal.get(${i}) failed`),a}s&&(await this.sendError({id:i,topic:s,error:n,rpcOpts:qr.wc_sessionPropose.reject}),await this.client.proposal.delete(i,dt("USER_DISCONNECTED")))},this.update=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();try{await this.isValidUpdate(r)}catch(w){throw this.client.logger.error("update() -> isValidUpdate() failed"),w}let{topic:i,namespaces:n}=r,{done:s,resolve:a,reject:u}=vo(),h=Is(),f=zn().toString(),v=this.client.session.get(i).namespaces;return this.events.once(Ze("session_update",h),({error:w})=>{w?u(w):a()}),await this.client.session.update(i,{namespaces:n}),await this.sendRequest({topic:i,method:"wc_sessionUpdate",params:{namespaces:n},throwOnFailedPublish:!0,clientRpcId:h,relayRpcId:f}).catch(w=>{this.client.logger.error(w),this.client.session.update(i,{namespaces:v}),u(w)}),{acknowledged:s}},this.extend=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();try{await this.isValidExtend(r)}catch(h){throw this.client.logger.error("extend() -> isValidExtend() failed"),h}let{topic:i}=r,n=Is(),{done:s,resolve:a,reject:u}=vo();return this.events.once(Ze("session_extend",n),({error:h})=>{h?u(h):a()}),await this.setExpiry(i,Mr(Ju)),this.sendRequest({topic:i,method:"wc_sessionExtend",params:{},clientRpcId:n,throwOnFailedPublish:!0}).catch(h=>{u(h)}),{acknowledged:s}},this.request=async r=>{this.isInitialized();try{await this.isValidRequest(r)}catch(P){throw this.client.logger.error("request() -> isValidRequest() failed"),P}let{chainId:i,request:n,topic:s,expiry:a=qr.wc_sessionRequest.req.ttl}=r,u=this.client.session.get(s);u?.transportType===Xt.relay&&await this.confirmOnlineStateOrThrow();let h=Is(),f=zn().toString(),{done:v,resolve:w,reject:I}=vo(a,"Request expired. Please try again.");this.events.once(Ze("session_request",h),({error:P,result:T})=>{P?I(P):w(T)});let M=this.getAppLinkIfEnabled(u.peer.metadata,u.transportType);return M?(await this.sendRequest({clientRpcId:h,relayRpcId:f,topic:s,method:"wc_sessionRequest",params:{request:Vn(_r({},n),{expiryTimestamp:Mr(a)}),chainId:i},expiry:a,throwOnFailedPublish:!0,appLink:M}).catch(P=>I(P)),this.client.events.emit("session_request_sent",{topic:s,request:n,chainId:i,id:h}),await v()):await Promise.all([new Promise(async P=>{await this.sendRequest({clientRpcId:h,relayRpcId:f,topic:s,method:"wc_sessionRequest",params:{request:Vn(_r({},n),{expiryTimestamp:Mr(a)}),chainId:i},expiry:a,throwOnFailedPublish:!0}).catch(T=>I(T)),this.client.events.emit("session_request_sent",{topic:s,request:n,chainId:i,id:h}),P()}),new Promise(async P=>{var T;if(!((T=u.sessionConfig)!=null&&T.disableDeepLink)){let U=await I_(this.client.core.storage,ZE);await S_({id:h,topic:s,wcDeepLink:U})}P()}),v()]).then(P=>P[2])},this.respond=async r=>{this.isInitialized(),await this.isValidRespond(r);let{topic:i,response:n}=r,{id:s}=n,a=this.client.session.get(i);a.transportType===Xt.relay&&await this.confirmOnlineStateOrThrow();let u=this.getAppLinkIfEnabled(a.peer.metadata,a.transportType);en(n)?await this.sendResult({id:s,topic:i,result:n.result,throwOnFailedPublish:!0,appLink:u}):ai(n)&&await this.sendError({id:s,topic:i,error:n.error,appLink:u}),this.cleanupAfterResponse(r)},this.ping=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow();try{await this.isValidPing(r)}catch(n){throw this.client.logger.error("ping() -> isValidPing() failed"),n}let{topic:i}=r;if(this.client.session.keys.includes(i)){let n=Is(),s=zn().toString(),{done:a,resolve:u,reject:h}=vo();this.events.once(Ze("session_ping",n),({error:f})=>{f?h(f):u()}),await Promise.all([this.sendRequest({topic:i,method:"wc_sessionPing",params:{},throwOnFailedPublish:!0,clientRpcId:n,relayRpcId:s}),a()])}else this.client.core.pairing.pairings.keys.includes(i)&&await this.client.core.pairing.ping({topic:i})},this.emit=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow(),await this.isValidEmit(r);let{topic:i,event:n,chainId:s}=r,a=zn().toString();await this.sendRequest({topic:i,method:"wc_sessionEvent",params:{event:n,chainId:s},throwOnFailedPublish:!0,relayRpcId:a})},this.disconnect=async r=>{this.isInitialized(),await this.confirmOnlineStateOrThrow(),await this.isValidDisconnect(r);let{topic:i}=r;if(this.client.session.keys.includes(i))await this.sendRequest({topic:i,method:"wc_sessionDelete",params:dt("USER_DISCONNECTED"),throwOnFailedPublish:!0}),await this.deleteSession({topic:i,emitEvent:!1});else if(this.client.core.pairing.pairings.keys.includes(i))await this.client.core.pairing.disconnect({topic:i});else{let{message:n}=ge("MISMATCHED_TOPIC",`Session or pairing topic not found: ${i}`);throw new Error(n)}},this.find=r=>(this.isInitialized(),this.client.session.getAll().filter(i=>I9(i,r))),this.getPendingSessionRequests=()=>this.client.pendingRequest.getAll(),this.authenticate=async(r,i)=>{var n;this.isInitialized(),this.isValidAuthenticate(r);let s=i&&this.client.core.linkModeSupportedApps.includes(i)&&((n=this.client.metadata.redirect)==null?void 0:n.linkMode),a=s?Xt.link_mode:Xt.relay;a===Xt.relay&&await this.confirmOnlineStateOrThrow();let{chains:u,statement:h="",uri:f,domain:v,nonce:w,type:I,exp:M,nbf:P,methods:T=[],expiry:U}=r,F=[...r.resources||[]],{topic:V,uri:z}=await this.client.core.pairing.create({methods:["wc_sessionAuthenticate"],transportType:a});this.client.logger.info({message:"Generated new pairing",pairing:{topic:V,uri:z}});let j=await this.client.core.crypto.generateKeyPair(),H=Lu(j);if(await Promise.all([this.client.auth.authKeys.set(bp,{responseTopic:H,publicKey:j}),this.client.auth.pairingTopics.set(H,{topic:H,pairingTopic:V})]),await this.client.core.relayer.subscribe(H,{transportType:a}),this.client.logger.info(`sending request to new pairing topic: ${V}`),T.length>0){let{namespace:S}=Xa(u[0]),m=h9(S,"request",T);wf(F)&&(m=d9(m,F.pop())),F.push(m)}let ee=U&&U>qr.wc_sessionAuthenticate.req.ttl?U:qr.wc_sessionAuthenticate.req.ttl,$={authPayload:{type:I??"caip122",chains:u,statement:h,aud:f,domain:v,version:"1",nonce:w,iat:new Date().toISOString(),exp:M,nbf:P,resources:F},requester:{publicKey:j,metadata:this.client.metadata},expiryTimestamp:Mr(ee)},q={eip155:{chains:u,methods:[...new Set(["personal_sign",...T])],events:["chainChanged","accountsChanged"]}},X={requiredNamespaces:{},optionalNamespaces:q,relays:[{protocol:"irn"}],pairingTopic:V,proposer:{publicKey:j,metadata:this.client.metadata},expiryTimestamp:Mr(qr.wc_sessionPropose.req.ttl)},{done:N,resolve:d,reject:y}=vo(ee,"Request expired"),l=async({error:S,session:m})=>{if(this.events.off(Ze("session_request",b),g),S)y(S);else if(m){m.self.publicKey=j,await this.client.session.set(m.topic,m),await this.setExpiry(m.topic,m.expiry),V&&await this.client.core.pairing.updateMetadata({topic:V,metadata:m.peer.metadata});let E=this.client.session.get(m.topic);await this.deleteProposal(A),d({session:E})}},g=async S=>{var m,E,_;if(await this.deletePendingAuthRequest(b,{message:"fulfilled",code:0}),S.error){let J=dt("WC_METHOD_UNSUPPORTED","wc_sessionAuthenticate");return S.error.code===J.code?void 0:(this.events.off(Ze("session_connect"),l),y(S.error.message))}await this.deleteProposal(A),this.events.off(Ze("session_connect"),l);let{cacaos:R,responder:Z}=S.result,te=[],D=[];for(let J of R){await Rv({cacao:J,projectId:this.client.core.projectId})||(this.client.logger.error(J,"Signature verification failed"),y(dt("SESSION_SETTLEMENT_FAILED","Signature verification failed")));let{p:ie}=J,ce=wf(ie.resources),se=[Ov(ie.iss)],ae=yf(ie.iss);if(ce){let pe=Nv(ce),ne=Lv(ce);te.push(...pe),se.push(...ne)}for(let pe of se)D.push(`${pe}:${ae}`)}let W=await this.client.core.crypto.generateSharedKey(j,Z.publicKey),G;te.length>0&&(G={topic:W,acknowledged:!0,self:{publicKey:j,metadata:this.client.metadata},peer:Z,controller:Z.publicKey,expiry:Mr(Ju),requiredNamespaces:{},optionalNamespaces:{},relay:{protocol:"irn"},pairingTopic:V,namespaces:jv([...new Set(te)],[...new Set(D)]),transportType:a},await this.client.core.relayer.subscribe(W,{transportType:a}),await this.client.session.set(W,G),V&&await this.client.core.pairing.updateMetadata({topic:V,metadata:Z.metadata}),G=this.client.session.get(W)),(m=this.client.metadata.redirect)!=null&&m.linkMode&&(E=Z.metadata.redirect)!=null&&E.linkMode&&(_=Z.metadata.redirect)!=null&&_.universal&&i&&(this.client.core.addLinkModeSupportedApp(Z.metadata.redirect.universal),this.client.session.update(W,{transportType:Xt.link_mode})),d({auths:R,session:G})},b=Is(),A=Is();this.events.once(Ze("session_connect"),l),this.events.once(Ze("session_request",b),g);let C;try{if(s){let S=Zi("wc_sessionAuthenticate",$,b);this.client.core.history.set(V,S);let m=await this.client.core.crypto.encode("",S,{type:Nu,encoding:Tu});C=xf(i,V,m)}else await Promise.all([this.sendRequest({topic:V,method:"wc_sessionAuthenticate",params:$,expiry:r.expiry,throwOnFailedPublish:!0,clientRpcId:b}),this.sendRequest({topic:V,method:"wc_sessionPropose",params:X,expiry:qr.wc_sessionPropose.req.ttl,throwOnFailedPublish:!0,clientRpcId:A})])}catch(S){throw this.events.off(Ze("session_connect"),l),this.events.off(Ze("session_request",b),g),S}return await this.setProposal(A,_r({id:A},X)),await this.setAuthRequest(b,{request:Vn(_r({},$),{verifyContext:{}}),pairingTopic:V,transportType:a}),{uri:C??z,response:N}},this.approveSessionAuthenticate=async r=>{let{id:i,auths:n}=r,s=this.client.core.eventClient.createEvent({properties:{topic:i.toString(),trace:[ha.authenticated_session_approve_started]}});try{this.isInitialized()}catch(U){throw s.setError(Wu.no_internet_connection),U}let a=this.getPendingAuthRequest(i);if(!a)throw s.setError(Wu.authenticated_session_pending_request_not_found),new Error(`Could not find pending auth request with id ${i}`);let u=a.transportType||Xt.relay;u===Xt.relay&&await this.confirmOnlineStateOrThrow();let h=a.requester.publicKey,f=await this.client.core.crypto.generateKeyPair(),v=Lu(h),w={type:$n,receiverPublicKey:h,senderPublicKey:f},I=[],M=[];for(let U of n){if(!await Rv({cacao:U,projectId:this.client.core.projectId})){s.setError(Wu.invalid_cacao);let H=dt("SESSION_SETTLEMENT_FAILED","Signature verification failed");throw await this.sendError({id:i,topic:v,error:H,encodeOpts:w}),new Error(H.message)}s.addTrace(ha.cacaos_verified);let{p:F}=U,V=wf(F.resources),z=[Ov(F.iss)],j=yf(F.iss);if(V){let H=Nv(V),ee=Lv(V);I.push(...H),z.push(...ee)}for(let H of z)M.push(`${H}:${j}`)}let P=await this.client.core.crypto.generateSharedKey(f,h);s.addTrace(ha.create_authenticated_session_topic);let T;if(I?.length>0){T={topic:P,acknowledged:!0,self:{publicKey:f,metadata:this.client.metadata},peer:{publicKey:h,metadata:a.requester.metadata},controller:h,expiry:Mr(Ju),authentication:n,requiredNamespaces:{},optionalNamespaces:{},relay:{protocol:"irn"},pairingTopic:a.pairingTopic,namespaces:jv([...new Set(I)],[...new Set(M)]),transportType:u},s.addTrace(ha.subscribing_authenticated_session_topic);try{await this.client.core.relayer.subscribe(P,{transportType:u})}catch(U){throw s.setError(Wu.subscribe_authenticated_session_topic_failure),U}s.addTrace(ha.subscribe_authenticated_session_topic_success),await this.client.session.set(P,T),s.addTrace(ha.store_authenticated_session),await this.client.core.pairing.updateMetadata({topic:a.pairingTopic,metadata:a.requester.metadata})}s.addTrace(ha.publishing_authenticated_session_approve);try{await this.sendResult({topic:v,id:i,result:{cacaos:n,responder:{publicKey:f,metadata:this.client.metadata}},encodeOpts:w,throwOnFailedPublish:!0,appLink:this.getAppLinkIfEnabled(a.requester.metadata,u)})}catch(U){throw s.setError(Wu.authenticated_session_approve_publish_failure),U}return await this.client.auth.requests.delete(i,{message:"fulfilled",code:0}),await this.client.core.pairing.activate({topic:a.pairingTopic}),this.client.core.eventClient.deleteEvent({eventId:s.eventId}),{session:T}},this.rejectSessionAuthenticate=async r=>{this.isInitialized();let{id:i,reason:n}=r,s=this.getPendingAuthRequest(i);if(!s)throw new Error(`Could not find pending auth request with id ${i}`);s.transportType===Xt.relay&&await this.confirmOnlineStateOrThrow();let a=s.requester.publicKey,u=await this.client.core.crypto.generateKeyPair(),h=Lu(a),f={type:$n,receiverPublicKey:a,senderPublicKey:u};await this.sendError({id:i,topic:h,error:n,encodeOpts:f,rpcOpts:qr.wc_sessionAuthenticate.reject,appLink:this.getAppLinkIfEnabled(s.requester.metadata,s.transportType)}),await this.client.auth.requests.delete(i,{message:"rejected",code:0}),await this.client.proposal.delete(i,dt("USER_DISCONNECTED"))},this.formatAuthMessage=r=>{this.isInitialized();let{request:i,iss:n}=r;return Tv(i,n)},this.processRelayMessageCache=()=>{setTimeout(async()=>{if(this.relayMessageCache.length!==0)for(;this.relayMessageCache.length>0;)try{let r=this.relayMessageCache.shift();r&&await this.onRelayMessage(r)}catch(r){this.client.logger.error(r)}},50)},this.cleanupDuplicatePairings=async r=>{if(r.pairingTopic)try{let i=this.client.core.pairing.pairings.get(r.pairingTopic),n=this.client.core.pairing.pairings.getAll().filter(s=>{var a,u;return((a=s.peerMetadata)==null?void 0:a.url)&&((u=s.peerMetadata)==null?void 0:u.url)===r.peer.metadata.url&&s.topic&&s.topic!==i.topic});if(n.length===0)return;this.client.logger.info(`Cleaning up ${n.length} duplicate pairing(s)`),await Promise.all(n.map(s=>this.client.core.pairing.disconnect({topic:s.topic}))),this.client.logger.info("Duplicate pairings clean up finished")}catch(i){this.client.logger.error(i)}},this.deleteSession=async r=>{var i;let{topic:n,expirerHasDeleted:s=!1,emitEvent:a=!0,id:u=0}=r,{self:h}=this.client.session.get(n);await this.client.core.relayer.unsubscribe(n),await this.client.session.delete(n,dt("USER_DISCONNECTED")),this.addToRecentlyDeleted(n,"session"),this.client.core.crypto.keychain.has(h.publicKey)&&await this.client.core.crypto.deleteKeyPair(h.publicKey),this.client.core.crypto.keychain.has(n)&&await this.client.core.crypto.deleteSymKey(n),s||this.client.core.expirer.del(n),this.client.core.storage.removeItem(ZE).catch(f=>this.client.logger.warn(f)),this.getPendingSessionRequests().forEach(f=>{f.topic===n&&this.deletePendingSessionRequest(f.id,dt("USER_DISCONNECTED"))}),n===((i=this.sessionRequestQueue.queue[0])==null?void 0:i.topic)&&(this.sessionRequestQueue.state=Rs.idle),a&&this.client.events.emit("session_delete",{id:u,topic:n})},this.deleteProposal=async(r,i)=>{if(i)try{let n=this.client.proposal.get(r);this.client.core.eventClient.getEvent({topic:n.pairingTopic})?.setError(fa.proposal_expired)}catch{}await Promise.all([this.client.proposal.delete(r,dt("USER_DISCONNECTED")),i?Promise.resolve():this.client.core.expirer.del(r)]),this.addToRecentlyDeleted(r,"proposal")},this.deletePendingSessionRequest=async(r,i,n=!1)=>{await Promise.all([this.client.pendingRequest.delete(r,i),n?Promise.resolve():this.client.core.expirer.del(r)]),this.addToRecentlyDeleted(r,"request"),this.sessionRequestQueue.queue=this.sessionRequestQueue.queue.filter(s=>s.id!==r),n&&(this.sessionRequestQueue.state=Rs.idle,this.client.events.emit("session_request_expire",{id:r}))},this.deletePendingAuthRequest=async(r,i,n=!1)=>{await Promise.all([this.client.auth.requests.delete(r,i),n?Promise.resolve():this.client.core.expirer.del(r)])},this.setExpiry=async(r,i)=>{this.client.session.keys.includes(r)&&(this.client.core.expirer.set(r,i),await this.client.session.update(r,{expiry:i}))},this.setProposal=async(r,i)=>{this.client.core.expirer.set(r,Mr(qr.wc_sessionPropose.req.ttl)),await this.client.proposal.set(r,i)},this.setAuthRequest=async(r,i)=>{let{request:n,pairingTopic:s,transportType:a=Xt.relay}=i;this.client.core.expirer.set(r,n.expiryTimestamp),await this.client.auth.requests.set(r,{authPayload:n.authPayload,requester:n.requester,expiryTimestamp:n.expiryTimestamp,id:r,pairingTopic:s,verifyContext:n.verifyContext,transportType:a})},this.setPendingSessionRequest=async r=>{let{id:i,topic:n,params:s,verifyContext:a}=r,u=s.request.expiryTimestamp||Mr(qr.wc_sessionRequest.req.ttl);this.client.core.expirer.set(i,u),await this.client.pendingRequest.set(i,{id:i,topic:n,params:s,verifyContext:a})},this.sendRequest=async r=>{let{topic:i,method:n,params:s,expiry:a,relayRpcId:u,clientRpcId:h,throwOnFailedPublish:f,appLink:v}=r,w=Zi(n,s,h),I,M=!!v;try{let U=M?Tu:As;I=await this.client.core.crypto.encode(i,w,{encoding:U})}catch(U){throw await this.cleanup(),this.client.logger.error(`sendRequest() -> core.crypto.encode() for topic ${i} failed`),U}let P;if(qJ.includes(n)){let U=kn(JSON.stringify(w)),F=kn(I);P=await this.client.core.verify.register({id:F,decryptedId:U})}let T=qr[n].req;if(T.attestation=P,a&&(T.ttl=a),u&&(T.id=u),this.client.core.history.set(i,w),M){let U=xf(v,i,I);await globalThis.Linking.openURL(U,this.client.name)}else{let U=qr[n].req;a&&(U.ttl=a),u&&(U.id=u),f?(U.internal=Vn(_r({},U.internal),{throwOnFailedPublish:!0}),await this.client.core.relayer.publish(i,I,U)):this.client.core.relayer.publish(i,I,U).catch(F=>this.client.logger.error(F))}return w.id},this.sendResult=async r=>{let{id:i,topic:n,result:s,throwOnFailedPublish:a,encodeOpts:u,appLink:h}=r,f=oa(i,s),v,w=h&&typeof globalThis?.Linking<"u";try{let M=w?Tu:As;v=await this.client.core.crypto.encode(n,f,Vn(_r({},u||{}),{encoding:M}))}catch(M){throw await this.cleanup(),this.client.logger.error(`sendResult() -> core.crypto.encode() for topic ${n} failed`),M}let I;try{I=await this.client.core.history.get(n,i)}catch(M){throw this.client.logger.error(`sendResult() -> history.get(${n}, ${i}) failed`),M}if(w){let M=xf(h,n,v);await globalThis.Linking.openURL(M,this.client.name)}else{let M=qr[I.request.method].res;a?(M.internal=Vn(_r({},M.internal),{throwOnFailedPublish:!0}),await this.client.core.relayer.publish(n,v,M)):this.client.core.relayer.publish(n,v,M).catch(P=>this.client.logger.error(P))}await this.client.core.history.resolve(f)},this.sendError=async r=>{let{id:i,topic:n,error:s,encodeOpts:a,rpcOpts:u,appLink:h}=r,f=yo(i,s),v,w=h&&typeof globalThis?.Linking<"u";try{let M=w?Tu:As;v=await this.client.core.crypto.encode(n,f,Vn(_r({},a||{}),{encoding:M}))}catch(M){throw await this.cleanup(),this.client.logger.error(`sendError() -> core.crypto.encode() for topic ${n} failed`),M}let I;try{I=await this.client.core.history.get(n,i)}catch(M){throw this.client.logger.error(`sendError() -> history.get(${n}, ${i}) failed`),M}if(w){let M=xf(h,n,v);await globalThis.Linking.openURL(M,this.client.name)}else{let M=u||qr[I.request.method].res;this.client.core.relayer.publish(n,v,M)}await this.client.core.history.resolve(f)},this.cleanup=async()=>{let r=[],i=[];this.client.session.getAll().forEach(n=>{let s=!1;xs(n.expiry)&&(s=!0),this.client.core.crypto.keychain.has(n.topic)||(s=!0),s&&r.push(n.topic)}),this.client.proposal.getAll().forEach(n=>{xs(n.expiryTimestamp)&&i.push(n.id)}),await Promise.all([...r.map(n=>this.deleteSession({topic:n})),...i.map(n=>this.deleteProposal(n))])},this.onRelayEventRequest=async r=>{this.requestQueue.queue.push(r),await this.processRequestsQueue()},this.processRequestsQueue=async()=>{if(this.requestQueue.state===Rs.active){this.client.logger.info("Request queue already active, skipping...");return}for(this.client.logger.info(`Request queue starting with ${this.requestQueue.queue.length} requests`);this.requestQueue.queue.length>0;){this.requestQueue.state=Rs.active;let r=this.requestQueue.queue.shift();if(r)try{await this.processRequest(r)}catch(i){this.client.logger.warn(i)}}this.requestQueue.state=Rs.idle},this.processRequest=async r=>{let{topic:i,payload:n,attestation:s,transportType:a,encryptedId:u}=r,h=n.method;if(!this.shouldIgnorePairingRequest({topic:i,requestMethod:h}))switch(h){case"wc_sessionPropose":return await this.onSessionProposeRequest({topic:i,payload:n,attestation:s,encryptedId:u});case"wc_sessionSettle":return await this.onSessionSettleRequest(i,n);case"wc_sessionUpdate":return await this.onSessionUpdateRequest(i,n);case"wc_sessionExtend":return await this.onSessionExtendRequest(i,n);case"wc_sessionPing":return await this.onSessionPingRequest(i,n);case"wc_sessionDelete":return await this.onSessionDeleteRequest(i,n);case"wc_sessionRequest":return await this.onSessionRequest({topic:i,payload:n,attestation:s,encryptedId:u,transportType:a});case"wc_sessionEvent":return await this.onSessionEventRequest(i,n);case"wc_sessionAuthenticate":return await this.onSessionAuthenticateRequest({topic:i,payload:n,attestation:s,encryptedId:u,transportType:a});default:return this.client.logger.info(`Unsupported request method ${h}`)}},this.onRelayEventResponse=async r=>{let{topic:i,payload:n,transportType:s}=r,a=(await this.client.core.history.get(i,n.id)).request.method;switch(a){case"wc_sessionPropose":return this.onSessionProposeResponse(i,n,s);case"wc_sessionSettle":return this.onSessionSettleResponse(i,n);case"wc_sessionUpdate":return this.onSessionUpdateResponse(i,n);case"wc_sessionExtend":return this.onSessionExtendResponse(i,n);case"wc_sessionPing":return this.onSessionPingResponse(i,n);case"wc_sessionRequest":return this.onSessionRequestResponse(i,n);case"wc_sessionAuthenticate":return this.onSessionAuthenticateResponse(i,n);default:return this.client.logger.info(`Unsupported response method ${a}`)}},this.onRelayEventUnknownPayload=r=>{let{topic:i}=r,{message:n}=ge("MISSING_OR_INVALID",`Decoded payload on topic ${i} is not identifiable as a JSON-RPC request or a response.`);throw new Error(n)},this.shouldIgnorePairingRequest=r=>{let{topic:i,requestMethod:n}=r,s=this.expectedPairingMethodMap.get(i);return!s||s.includes(n)?!1:!!(s.includes("wc_sessionAuthenticate")&&this.client.events.listenerCount("session_authenticate")>0)},this.onSessionProposeRequest=async r=>{let{topic:i,payload:n,attestation:s,encryptedId:a}=r,{params:u,id:h}=n;try{let f=this.client.core.eventClient.getEvent({topic:i});this.isValidConnect(_r({},n.params));let v=u.expiryTimestamp||Mr(qr.wc_sessionPropose.req.ttl),w=_r({id:h,pairingTopic:i,expiryTimestamp:v},u);await this.setProposal(h,w);let I=await this.getVerifyContext({attestationId:s,hash:kn(JSON.stringify(n)),encryptedId:a,metadata:w.proposer.metadata});this.client.events.listenerCount("session_proposal")===0&&(console.warn("No listener for session_proposal event"),f?.setError(Ds.proposal_listener_not_found)),f?.addTrace(Kn.emit_session_proposal),this.client.events.emit("session_proposal",{id:h,params:w,verifyContext:I})}catch(f){await this.sendError({id:h,topic:i,error:f,rpcOpts:qr.wc_sessionPropose.autoReject}),this.client.logger.error(f)}},this.onSessionProposeResponse=async(r,i,n)=>{let{id:s}=i;if(en(i)){let{result:a}=i;this.client.logger.trace({type:"method",method:"onSessionProposeResponse",result:a});let u=this.client.proposal.get(s);this.client.logger.trace({type:"method",method:"onSessionProposeResponse",proposal:u});let h=u.proposer.publicKey;this.client.logger.trace({type:"method",method:"onSessionProposeResponse",selfPublicKey:h});let f=a.responderPublicKey;this.client.logger.trace({type:"method",method:"onSessionProposeResponse",peerPublicKey:f});let v=await this.client.core.crypto.generateSharedKey(h,f);this.client.logger.trace({type:"method",method:"onSessionProposeResponse",sessionTopic:v});let w=await this.client.core.relayer.subscribe(v,{transportType:n});this.client.logger.trace({type:"method",method:"onSessionProposeResponse",subscriptionId:w}),await this.client.core.pairing.activate({topic:r})}else if(ai(i)){await this.client.proposal.delete(s,dt("USER_DISCONNECTED"));let a=Ze("session_connect");if(this.events.listenerCount(a)===0)throw new Error(`emitting ${a} without any listeners, 954`);this.events.emit(Ze("session_connect"),{error:i.error})}},this.onSessionSettleRequest=async(r,i)=>{let{id:n,params:s}=i;try{this.isValidSessionSettleRequest(s);let{relay:a,controller:u,expiry:h,namespaces:f,sessionProperties:v,sessionConfig:w}=i.params,I=Vn(_r(_r({topic:r,relay:a,expiry:h,namespaces:f,acknowledged:!0,pairingTopic:"",requiredNamespaces:{},optionalNamespaces:{},controller:u.publicKey,self:{publicKey:"",metadata:this.client.metadata},peer:{publicKey:u.publicKey,metadata:u.metadata}},v&&{sessionProperties:v}),w&&{sessionConfig:w}),{transportType:Xt.relay}),M=Ze("session_connect");if(this.events.listenerCount(M)===0)throw new Error(`emitting ${M} without any listeners 997`);this.events.emit(Ze("session_connect"),{session:I}),await this.sendResult({id:i.id,topic:r,result:!0,throwOnFailedPublish:!0})}catch(a){await this.sendError({id:n,topic:r,error:a}),this.client.logger.error(a)}},this.onSessionSettleResponse=async(r,i)=>{let{id:n}=i;en(i)?(await this.client.session.update(r,{acknowledged:!0}),this.events.emit(Ze("session_approve",n),{})):ai(i)&&(await this.client.session.delete(r,dt("USER_DISCONNECTED")),this.events.emit(Ze("session_approve",n),{error:i.error}))},this.onSessionUpdateRequest=async(r,i)=>{let{params:n,id:s}=i;try{let a=`${r}_session_update`,u=ra.get(a);if(u&&this.isRequestOutOfSync(u,s)){this.client.logger.info(`Discarding out of sync request - ${s}`),this.sendError({id:s,topic:r,error:dt("INVALID_UPDATE_REQUEST")});return}this.isValidUpdate(_r({topic:r},n));try{ra.set(a,s),await this.client.session.update(r,{namespaces:n.namespaces}),await this.sendResult({id:s,topic:r,result:!0,throwOnFailedPublish:!0})}catch(h){throw ra.delete(a),h}this.client.events.emit("session_update",{id:s,topic:r,params:n})}catch(a){await this.sendError({id:s,topic:r,error:a}),this.client.logger.error(a)}},this.isRequestOutOfSync=(r,i)=>parseInt(i.toString().slice(0,-3))<=parseInt(r.toString().slice(0,-3)),this.onSessionUpdateResponse=(r,i)=>{let{id:n}=i,s=Ze("session_update",n);if(this.events.listenerCount(s)===0)throw new Error(`emitting ${s} without any listeners`);en(i)?this.events.emit(Ze("session_update",n),{}):ai(i)&&this.events.emit(Ze("session_update",n),{error:i.error})},this.onSessionExtendRequest=async(r,i)=>{let{id:n}=i;try{this.isValidExtend({topic:r}),await this.setExpiry(r,Mr(Ju)),await this.sendResult({id:n,topic:r,result:!0,throwOnFailedPublish:!0}),this.client.events.emit("session_extend",{id:n,topic:r})}catch(s){await this.sendError({id:n,topic:r,error:s}),this.client.logger.error(s)}},this.onSessionExtendResponse=(r,i)=>{let{id:n}=i,s=Ze("session_extend",n);if(this.events.listenerCount(s)===0)throw new Error(`emitting ${s} without any listeners`);en(i)?this.events.emit(Ze("session_extend",n),{}):ai(i)&&this.events.emit(Ze("session_extend",n),{error:i.error})},this.onSessionPingRequest=async(r,i)=>{let{id:n}=i;try{this.isValidPing({topic:r}),await this.sendResult({id:n,topic:r,result:!0,throwOnFailedPublish:!0}),this.client.events.emit("session_ping",{id:n,topic:r})}catch(s){await this.sendError({id:n,topic:r,error:s}),this.client.logger.error(s)}},this.onSessionPingResponse=(r,i)=>{let{id:n}=i,s=Ze("session_ping",n);if(this.events.listenerCount(s)===0)throw new Error(`emitting ${s} without any listeners`);setTimeout(()=>{en(i)?this.events.emit(Ze("session_ping",n),{}):ai(i)&&this.events.emit(Ze("session_ping",n),{error:i.error})},500)},this.onSessionDeleteRequest=async(r,i)=>{let{id:n}=i;try{this.isValidDisconnect({topic:r,reason:i.params}),Promise.all([new Promise(s=>{this.client.core.relayer.once(ci.publish,async()=>{s(await this.deleteSession({topic:r,id:n}))})}),this.sendResult({id:n,topic:r,result:!0,throwOnFailedPublish:!0}),this.cleanupPendingSentRequestsForTopic({topic:r,error:dt("USER_DISCONNECTED")})]).catch(s=>this.client.logger.error(s))}catch(s){this.client.logger.error(s)}},this.onSessionRequest=async r=>{var i,n,s;let{topic:a,payload:u,attestation:h,encryptedId:f,transportType:v}=r,{id:w,params:I}=u;try{await this.isValidRequest(_r({topic:a},I));let M=this.client.session.get(a),P=await this.getVerifyContext({attestationId:h,hash:kn(JSON.stringify(Zi("wc_sessionRequest",I,w))),encryptedId:f,metadata:M.peer.metadata,transportType:v}),T={id:w,topic:a,params:I,verifyContext:P};await this.setPendingSessionRequest(T),v===Xt.link_mode&&(i=M.peer.metadata.redirect)!=null&&i.universal&&this.client.core.addLinkModeSupportedApp((n=M.peer.metadata.redirect)==null?void 0:n.universal),(s=this.client.signConfig)!=null&&s.disableRequestQueue?this.emitSessionRequest(T):(this.addSessionRequestToSessionRequestQueue(T),this.processSessionRequestQueue())}catch(M){await this.sendError({id:w,topic:a,error:M}),this.client.logger.error(M)}},this.onSessionRequestResponse=(r,i)=>{let{id:n}=i,s=Ze("session_request",n);if(this.events.listenerCount(s)===0)throw new Error(`emitting ${s} without any listeners`);en(i)?this.events.emit(Ze("session_request",n),{result:i.result}):ai(i)&&this.events.emit(Ze("session_request",n),{error:i.error})},this.onSessionEventRequest=async(r,i)=>{let{id:n,params:s}=i;try{let a=`${r}_session_event_${s.event.name}`,u=ra.get(a);if(u&&this.isRequestOutOfSync(u,n)){this.client.logger.info(`Discarding out of sync request - ${n}`);return}this.isValidEmit(_r({topic:r},s)),this.client.events.emit("session_event",{id:n,topic:r,params:s}),ra.set(a,n)}catch(a){await this.sendError({id:n,topic:r,error:a}),this.client.logger.error(a)}},this.onSessionAuthenticateResponse=(r,i)=>{let{id:n}=i;this.client.logger.trace({type:"method",method:"onSessionAuthenticateResponse",topic:r,payload:i}),en(i)?this.events.emit(Ze("session_request",n),{result:i.result}):ai(i)&&this.events.emit(Ze("session_request",n),{error:i.error})},this.onSessionAuthenticateRequest=async r=>{var i;let{topic:n,payload:s,attestation:a,encryptedId:u,transportType:h}=r;try{let{requester:f,authPayload:v,expiryTimestamp:w}=s.params,I=await this.getVerifyContext({attestationId:a,hash:kn(JSON.stringify(s)),encryptedId:u,metadata:f.metadata,transportType:h}),M={requester:f,pairingTopic:n,id:s.id,authPayload:v,verifyContext:I,expiryTimestamp:w};await this.setAuthRequest(s.id,{request:M,pairingTopic:n,transportType:h}),h===Xt.link_mode&&(i=f.metadata.redirect)!=null&&i.universal&&this.client.core.addLinkModeSupportedApp(f.metadata.redirect.universal),this.client.events.emit("session_authenticate",{topic:n,params:s.params,id:s.id,verifyContext:I})}catch(f){this.client.logger.error(f);let v=s.params.requester.publicKey,w=await this.client.core.crypto.generateKeyPair(),I=this.getAppLinkIfEnabled(s.params.requester.metadata,h),M={type:$n,receiverPublicKey:v,senderPublicKey:w};await this.sendError({id:s.id,topic:n,error:f,encodeOpts:M,rpcOpts:qr.wc_sessionAuthenticate.autoReject,appLink:I})}},this.addSessionRequestToSessionRequestQueue=r=>{this.sessionRequestQueue.queue.push(r)},this.cleanupAfterResponse=r=>{this.deletePendingSessionRequest(r.response.id,{message:"fulfilled",code:0}),setTimeout(()=>{this.sessionRequestQueue.state=Rs.idle,this.processSessionRequestQueue()},(0,st.toMiliseconds)(this.requestQueueDelay))},this.cleanupPendingSentRequestsForTopic=({topic:r,error:i})=>{let n=this.client.core.history.pending;n.length>0&&n.filter(s=>s.topic===r&&s.request.method==="wc_sessionRequest").forEach(s=>{let a=s.request.id,u=Ze("session_request",a);if(this.events.listenerCount(u)===0)throw new Error(`emitting ${u} without any listeners`);this.events.emit(Ze("session_request",s.request.id),{error:i})})},this.processSessionRequestQueue=()=>{if(this.sessionRequestQueue.state===Rs.active){this.client.logger.info("session request queue is already active.");return}let r=this.sessionRequestQueue.queue[0];if(!r){this.client.logger.info("session request queue is empty.");return}try{this.sessionRequestQueue.state=Rs.active,this.emitSessionRequest(r)}catch(i){this.client.logger.error(i)}},this.emitSessionRequest=r=>{this.client.events.emit("session_request",r)},this.onPairingCreated=r=>{if(r.methods&&this.expectedPairingMethodMap.set(r.topic,r.methods),r.active)return;let i=this.client.proposal.getAll().find(n=>n.pairingTopic===r.topic);i&&this.onSessionProposeRequest({topic:r.topic,payload:Zi("wc_sessionPropose",{requiredNamespaces:i.requiredNamespaces,optionalNamespaces:i.optionalNamespaces,relays:i.relays,proposer:i.proposer,sessionProperties:i.sessionProperties},i.id)})},this.isValidConnect=async r=>{if(!si(r)){let{message:h}=ge("MISSING_OR_INVALID",`connect() params: ${JSON.stringify(r)}`);throw new Error(h)}let{pairingTopic:i,requiredNamespaces:n,optionalNamespaces:s,sessionProperties:a,relays:u}=r;if(Wr(i)||await this.isValidPairingTopic(i),!T9(u,!0)){let{message:h}=ge("MISSING_OR_INVALID",`connect() relays: ${u}`);throw new Error(h)}!Wr(n)&&rc(n)!==0&&this.validateNamespaces(n,"requiredNamespaces"),!Wr(s)&&rc(s)!==0&&this.validateNamespaces(s,"optionalNamespaces"),Wr(a)||this.validateSessionProps(a,"sessionProperties")},this.validateNamespaces=(r,i)=>{let n=R9(r,"connect()",i);if(n)throw new Error(n.message)},this.isValidApprove=async r=>{if(!si(r))throw new Error(ge("MISSING_OR_INVALID",`approve() params: ${r}`).message);let{id:i,namespaces:n,relayProtocol:s,sessionProperties:a}=r;this.checkRecentlyDeleted(i),await this.isValidProposalId(i);let u=this.client.proposal.get(i),h=A0(n,"approve()");if(h)throw new Error(h.message);let f=Vv(u.requiredNamespaces,n,"approve()");if(f)throw new Error(f.message);if(!dr(s,!0)){let{message:v}=ge("MISSING_OR_INVALID",`approve() relayProtocol: ${s}`);throw new Error(v)}Wr(a)||this.validateSessionProps(a,"sessionProperties")},this.isValidReject=async r=>{if(!si(r)){let{message:s}=ge("MISSING_OR_INVALID",`reject() params: ${r}`);throw new Error(s)}let{id:i,reason:n}=r;if(this.checkRecentlyDeleted(i),await this.isValidProposalId(i),!L9(n)){let{message:s}=ge("MISSING_OR_INVALID",`reject() reason: ${JSON.stringify(n)}`);throw new Error(s)}},this.isValidSessionSettleRequest=r=>{if(!si(r)){let{message:f}=ge("MISSING_OR_INVALID",`onSessionSettleRequest() params: ${r}`);throw new Error(f)}let{relay:i,controller:n,namespaces:s,expiry:a}=r;if(!Hv(i)){let{message:f}=ge("MISSING_OR_INVALID","onSessionSettleRequest() relay protocol should be a string");throw new Error(f)}let u=P9(n,"onSessionSettleRequest()");if(u)throw new Error(u.message);let h=A0(s,"onSessionSettleRequest()");if(h)throw new Error(h.message);if(xs(a)){let{message:f}=ge("EXPIRED","onSessionSettleRequest()");throw new Error(f)}},this.isValidUpdate=async r=>{if(!si(r)){let{message:h}=ge("MISSING_OR_INVALID",`update() params: ${r}`);throw new Error(h)}let{topic:i,namespaces:n}=r;this.checkRecentlyDeleted(i),await this.isValidSessionTopic(i);let s=this.client.session.get(i),a=A0(n,"update()");if(a)throw new Error(a.message);let u=Vv(s.requiredNamespaces,n,"update()");if(u)throw new Error(u.message)},this.isValidExtend=async r=>{if(!si(r)){let{message:n}=ge("MISSING_OR_INVALID",`extend() params: ${r}`);throw new Error(n)}let{topic:i}=r;this.checkRecentlyDeleted(i),await this.isValidSessionTopic(i)},this.isValidRequest=async r=>{if(!si(r)){let{message:h}=ge("MISSING_OR_INVALID",`request() params: ${r}`);throw new Error(h)}let{topic:i,request:n,chainId:s,expiry:a}=r;this.checkRecentlyDeleted(i),await this.isValidSessionTopic(i);let{namespaces:u}=this.client.session.get(i);if(!Kv(u,s)){let{message:h}=ge("MISSING_OR_INVALID",`request() chainId: ${s}`);throw new Error(h)}if(!B9(n)){let{message:h}=ge("MISSING_OR_INVALID",`request() ${JSON.stringify(n)}`);throw new Error(h)}if(!q9(u,s,n.method)){let{message:h}=ge("MISSING_OR_INVALID",`request() method: ${n.method}`);throw new Error(h)}if(a&&!k9(a,eb)){let{message:h}=ge("MISSING_OR_INVALID",`request() expiry: ${a}. Expiry must be a number (in seconds) between ${eb.min} and ${eb.max}`);throw new Error(h)}},this.isValidRespond=async r=>{var i;if(!si(r)){let{message:a}=ge("MISSING_OR_INVALID",`respond() params: ${r}`);throw new Error(a)}let{topic:n,response:s}=r;try{await this.isValidSessionTopic(n)}catch(a){throw(i=r?.response)!=null&&i.id&&this.cleanupAfterResponse(r),a}if(!U9(s)){let{message:a}=ge("MISSING_OR_INVALID",`respond() response: ${JSON.stringify(s)}`);throw new Error(a)}},this.isValidPing=async r=>{if(!si(r)){let{message:n}=ge("MISSING_OR_INVALID",`ping() params: ${r}`);throw new Error(n)}let{topic:i}=r;await this.isValidSessionOrPairingTopic(i)},this.isValidEmit=async r=>{if(!si(r)){let{message:u}=ge("MISSING_OR_INVALID",`emit() params: ${r}`);throw new Error(u)}let{topic:i,event:n,chainId:s}=r;await this.isValidSessionTopic(i);let{namespaces:a}=this.client.session.get(i);if(!Kv(a,s)){let{message:u}=ge("MISSING_OR_INVALID",`emit() chainId: ${s}`);throw new Error(u)}if(!F9(n)){let{message:u}=ge("MISSING_OR_INVALID",`emit() event: ${JSON.stringify(n)}`);throw new Error(u)}if(!$9(a,s,n.name)){let{message:u}=ge("MISSING_OR_INVALID",`emit() event: ${JSON.stringify(n)}`);throw new Error(u)}},this.isValidDisconnect=async r=>{if(!si(r)){let{message:n}=ge("MISSING_OR_INVALID",`disconnect() params: ${r}`);throw new Error(n)}let{topic:i}=r;await this.isValidSessionOrPairingTopic(i)},this.isValidAuthenticate=r=>{let{chains:i,uri:n,domain:s,nonce:a}=r;if(!Array.isArray(i)||i.length===0)throw new Error("chains is required and must be a non-empty array");if(!dr(n,!1))throw new Error("uri is required parameter");if(!dr(s,!1))throw new Error("domain is required parameter");if(!dr(a,!1))throw new Error("nonce is required parameter");if([...new Set(i.map(h=>Xa(h).namespace))].length>1)throw new Error("Multi-namespace requests are not supported. Please request single namespace only.");let{namespace:u}=Xa(i[0]);if(u!=="eip155")throw new Error("Only eip155 namespace is supported for authenticated sessions. Please use .connect() for non-eip155 chains.")},this.getVerifyContext=async r=>{let{attestationId:i,hash:n,encryptedId:s,metadata:a,transportType:u}=r,h={verified:{verifyUrl:a.verifyUrl||Vu,validation:"UNKNOWN",origin:a.url||""}};try{if(u===Xt.link_mode){let v=this.getAppLinkIfEnabled(a,u);return h.verified.validation=v&&new URL(v).origin===new URL(a.url).origin?"VALID":"INVALID",h}let f=await this.client.core.verify.resolve({attestationId:i,hash:n,encryptedId:s,verifyUrl:a.verifyUrl});f&&(h.verified.origin=f.origin,h.verified.isScam=f.isScam,h.verified.validation=f.origin===new URL(a.url).origin?"VALID":"INVALID")}catch(f){this.client.logger.warn(f)}return this.client.logger.debug(`Verify context: ${JSON.stringify(h)}`),h},this.validateSessionProps=(r,i)=>{Object.values(r).forEach(n=>{if(!dr(n,!1)){let{message:s}=ge("MISSING_OR_INVALID",`${i} must be in Record<string, string> format. Received: ${JSON.stringify(n)}`);throw new Error(s)}})},this.getPendingAuthRequest=r=>{let i=this.client.auth.requests.get(r);return typeof i=="object"?i:void 0},this.addToRecentlyDeleted=(r,i)=>{if(this.recentlyDeletedMap.set(r,i),this.recentlyDeletedMap.size>=this.recentlyDeletedLimit){let n=0,s=this.recentlyDeletedLimit/2;for(let a of this.recentlyDeletedMap.keys()){if(n++>=s)break;this.recentlyDeletedMap.delete(a)}}},this.checkRecentlyDeleted=r=>{let i=this.recentlyDeletedMap.get(r);if(i){let{message:n}=ge("MISSING_OR_INVALID",`Record was recently deleted - ${i}: ${r}`);throw new Error(n)}},this.isLinkModeEnabled=(r,i)=>{var n,s,a,u,h,f,v,w,I;return!r||i!==Xt.link_mode?!1:((s=(n=this.client.metadata)==null?void 0:n.redirect)==null?void 0:s.linkMode)===!0&&((u=(a=this.client.metadata)==null?void 0:a.redirect)==null?void 0:u.universal)!==void 0&&((f=(h=this.client.metadata)==null?void 0:h.redirect)==null?void 0:f.universal)!==""&&((v=r?.redirect)==null?void 0:v.universal)!==void 0&&((w=r?.redirect)==null?void 0:w.universal)!==""&&((I=r?.redirect)==null?void 0:I.linkMode)===!0&&this.client.core.linkModeSupportedApps.includes(r.redirect.universal)&&typeof globalThis?.Linking<"u"},this.getAppLinkIfEnabled=(r,i)=>{var n;return this.isLinkModeEnabled(r,i)?(n=r?.redirect)==null?void 0:n.universal:void 0},this.handleLinkModeMessage=({url:r})=>{if(!r||!r.includes("wc_ev")||!r.includes("topic"))return;let i=Ev(r,"topic")||"",n=decodeURIComponent(Ev(r,"wc_ev")||""),s=this.client.session.keys.includes(i);s&&this.client.session.update(i,{transportType:Xt.link_mode}),this.client.core.dispatchEnvelope({topic:i,message:n,sessionExists:s})},this.registerLinkModeListeners=async()=>{var r;if(vf()||Za()&&(r=this.client.metadata.redirect)!=null&&r.linkMode){let i=globalThis?.Linking;if(typeof i<"u"){i.addEventListener("url",this.handleLinkModeMessage,this.client.name);let n=await i.getInitialURL();n&&setTimeout(()=>{this.handleLinkModeMessage({url:n})},50)}}}}isInitialized(){if(!this.initialized){let{message:e}=ge("NOT_INITIALIZED",this.name);throw new Error(e)}}async confirmOnlineStateOrThrow(){await this.client.core.relayer.confirmOnlineStateOrThrow()}registerRelayerEvents(){this.client.core.relayer.on(ci.message,e=>{!this.initialized||this.relayMessageCache.length>0?this.relayMessageCache.push(e):this.onRelayMessage(e)})}async onRelayMessage(e){let{topic:r,message:i,attestation:n,transportType:s}=e,{publicKey:a}=this.client.auth.authKeys.keys.includes(bp)?this.client.auth.authKeys.get(bp):{responseTopic:void 0,publicKey:void 0},u=await this.client.core.crypto.decode(r,i,{receiverPublicKey:a,encoding:s===Xt.link_mode?Tu:As});try{ju(u)?(this.client.core.history.set(r,u),this.onRelayEventRequest({topic:r,payload:u,attestation:n,transportType:s,encryptedId:kn(i)})):aa(u)?(await this.client.core.history.resolve(u),await this.onRelayEventResponse({topic:r,payload:u,transportType:s}),this.client.core.history.delete(r,u.id)):this.onRelayEventUnknownPayload({topic:r,payload:u,transportType:s})}catch(h){this.client.logger.error(h)}}registerExpirerEvents(){this.client.core.expirer.on(tn.expired,async e=>{let{topic:r,id:i}=y0(e.target);if(i&&this.client.pendingRequest.keys.includes(i))return await this.deletePendingSessionRequest(i,ge("EXPIRED"),!0);if(i&&this.client.auth.requests.keys.includes(i))return await this.deletePendingAuthRequest(i,ge("EXPIRED"),!0);r?this.client.session.keys.includes(r)&&(await this.deleteSession({topic:r,expirerHasDeleted:!0}),this.client.events.emit("session_expire",{topic:r})):i&&(await this.deleteProposal(i,!0),this.client.events.emit("proposal_expire",{id:i}))})}registerPairingEvents(){this.client.core.pairing.events.on(la.create,e=>this.onPairingCreated(e)),this.client.core.pairing.events.on(la.delete,e=>{this.addToRecentlyDeleted(e.topic,"pairing")})}isValidPairingTopic(e){if(!dr(e,!1)){let{message:r}=ge("MISSING_OR_INVALID",`pairing topic should be a string: ${e}`);throw new Error(r)}if(!this.client.core.pairing.pairings.keys.includes(e)){let{message:r}=ge("NO_MATCHING_KEY",`pairing topic doesn't exist: ${e}`);throw new Error(r)}if(xs(this.client.core.pairing.pairings.get(e).expiry)){let{message:r}=ge("EXPIRED",`pairing topic: ${e}`);throw new Error(r)}}async isValidSessionTopic(e){if(!dr(e,!1)){let{message:r}=ge("MISSING_OR_INVALID",`session topic should be a string: ${e}`);throw new Error(r)}if(this.checkRecentlyDeleted(e),!this.client.session.keys.includes(e)){let{message:r}=ge("NO_MATCHING_KEY",`session topic doesn't exist: ${e}`);throw new Error(r)}if(xs(this.client.session.get(e).expiry)){await this.deleteSession({topic:e});let{message:r}=ge("EXPIRED",`session topic: ${e}`);throw new Error(r)}if(!this.client.core.crypto.keychain.has(e)){let{message:r}=ge("MISSING_OR_INVALID",`session topic does not exist in keychain: ${e}`);throw await this.deleteSession({topic:e}),new Error(r)}}async isValidSessionOrPairingTopic(e){if(this.checkRecentlyDeleted(e),this.client.session.keys.includes(e))await this.isValidSessionTopic(e);else if(this.client.core.pairing.pairings.keys.includes(e))this.isValidPairingTopic(e);else if(dr(e,!1)){let{message:r}=ge("NO_MATCHING_KEY",`session or pairing topic doesn't exist: ${e}`);throw new Error(r)}else{let{message:r}=ge("MISSING_OR_INVALID",`session or pairing topic should be a string: ${e}`);throw new Error(r)}}async isValidProposalId(e){if(!N9(e)){let{message:r}=ge("MISSING_OR_INVALID",`proposal id should be a number: ${e}`);throw new Error(r)}if(!this.client.proposal.keys.includes(e)){let{message:r}=ge("NO_MATCHING_KEY",`proposal id doesn't exist: ${e}`);throw new Error(r)}if(xs(this.client.proposal.get(e).expiryTimestamp)){await this.deleteProposal(e);let{message:r}=ge("EXPIRED",`proposal id: ${e}`);throw new Error(r)}}},rb=class extends Os{constructor(e,r){super(e,r,LJ,ub),this.core=e,this.logger=r}},ib=class extends Os{constructor(e,r){super(e,r,BJ,ub),this.core=e,this.logger=r}},nb=class extends Os{constructor(e,r){super(e,r,FJ,ub,i=>i.id),this.core=e,this.logger=r}},sb=class extends Os{constructor(e,r){super(e,r,jJ,_p,()=>bp),this.core=e,this.logger=r}},ob=class extends Os{constructor(e,r){super(e,r,zJ,_p),this.core=e,this.logger=r}},ab=class extends Os{constructor(e,r){super(e,r,HJ,_p,i=>i.id),this.core=e,this.logger=r}},cb=class{constructor(e,r){this.core=e,this.logger=r,this.authKeys=new sb(this.core,this.logger),this.pairingTopics=new ob(this.core,this.logger),this.requests=new ab(this.core,this.logger)}async init(){await this.authKeys.init(),await this.pairingTopics.init(),await this.requests.init()}},yp=class t extends V0{constructor(e){super(e),this.protocol=rA,this.version=iA,this.name=Z2.name,this.events=new wp.EventEmitter,this.on=(i,n)=>this.events.on(i,n),this.once=(i,n)=>this.events.once(i,n),this.off=(i,n)=>this.events.off(i,n),this.removeListener=(i,n)=>this.events.removeListener(i,n),this.removeAllListeners=i=>this.events.removeAllListeners(i),this.connect=async i=>{try{return await this.engine.connect(i)}catch(n){throw this.logger.error(n.message),n}},this.pair=async i=>{try{return await this.engine.pair(i)}catch(n){throw this.logger.error(n.message),n}},this.approve=async i=>{try{return await this.engine.approve(i)}catch(n){throw this.logger.error(n.message),n}},this.reject=async i=>{try{return await this.engine.reject(i)}catch(n){throw this.logger.error(n.message),n}},this.update=async i=>{try{return await this.engine.update(i)}catch(n){throw this.logger.error(n.message),n}},this.extend=async i=>{try{return await this.engine.extend(i)}catch(n){throw this.logger.error(n.message),n}},this.request=async i=>{try{return await this.engine.request(i)}catch(n){throw this.logger.error(n.message),n}},this.respond=async i=>{try{return await this.engine.respond(i)}catch(n){throw this.logger.error(n.message),n}},this.ping=async i=>{try{return await this.engine.ping(i)}catch(n){throw this.logger.error(n.message),n}},this.emit=async i=>{try{return await this.engine.emit(i)}catch(n){throw this.logger.error(n.message),n}},this.disconnect=async i=>{try{return await this.engine.disconnect(i)}catch(n){throw this.logger.error(n.message),n}},this.find=i=>{try{return this.engine.find(i)}catch(n){throw this.logger.error(n.message),n}},this.getPendingSessionRequests=()=>{try{return this.engine.getPendingSessionRequests()}catch(i){throw this.logger.error(i.message),i}},this.authenticate=async(i,n)=>{try{return await this.engine.authenticate(i,n)}catch(s){throw this.logger.error(s.message),s}},this.formatAuthMessage=i=>{try{return this.engine.formatAuthMessage(i)}catch(n){throw this.logger.error(n.message),n}},this.approveSessionAuthenticate=async i=>{try{return await this.engine.approveSessionAuthenticate(i)}catch(n){throw this.logger.error(n.message),n}},this.rejectSessionAuthenticate=async i=>{try{return await this.engine.rejectSessionAuthenticate(i)}catch(n){throw this.logger.error(n.message),n}},this.name=e?.name||Z2.name,this.metadata=e?.metadata||b0(),this.signConfig=e?.signConfig;let r=typeof e?.logger<"u"&&typeof e?.logger!="string"?e.logger:(0,sc.default)(oc({level:e?.logger||Z2.logger}));this.core=e?.core||new XE(e),this.logger=Jr(r,this.name),this.session=new ib(this.core,this.logger),this.proposal=new rb(this.core,this.logger),this.pendingRequest=new nb(this.core,this.logger),this.engine=new tb(this),this.auth=new cb(this.core,this.logger)}static async init(e){let r=new t(e);return await r.initialize(),r}get context(){return oi(this.logger)}get pairing(){return this.core.pairing.pairings}async initialize(){this.logger.trace("Initialized");try{await this.core.start(),await this.session.init(),await this.proposal.init(),await this.pendingRequest.init(),await this.auth.init(),await this.engine.init(),this.logger.info("SignClient Initialization Success"),this.engine.processRelayMessageCache()}catch(e){throw this.logger.info("SignClient Initialization Failure"),this.logger.error(e.message),e}}};var dA=Et(ts()),fb=Et(oA());var YJ=Object.defineProperty,QJ=Object.defineProperties,XJ=Object.getOwnPropertyDescriptors,aA=Object.getOwnPropertySymbols,ZJ=Object.prototype.hasOwnProperty,eY=Object.prototype.propertyIsEnumerable,cA=(t,e,r)=>e in t?YJ(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,uA=(t,e)=>{for(var r in e||(e={}))ZJ.call(e,r)&&cA(t,r,e[r]);if(aA)for(var r of aA(e))eY.call(e,r)&&cA(t,r,e[r]);return t},lA=(t,e)=>QJ(t,XJ(e)),tY={Accept:"application/json","Content-Type":"application/json"},rY="POST",fA={headers:tY,method:rY},hA=10,$i=class{constructor(e,r=!1){if(this.url=e,this.disableProviderPing=r,this.events=new dA.EventEmitter,this.isAvailable=!1,this.registering=!1,!ip(e))throw new Error(`Provided URL is not compatible with HTTP connection: ${e}`);this.url=e,this.disableProviderPing=r}get connected(){return this.isAvailable}get connecting(){return this.registering}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}off(e,r){this.events.off(e,r)}removeListener(e,r){this.events.removeListener(e,r)}async open(e=this.url){await this.register(e)}async close(){if(!this.isAvailable)throw new Error("Connection already closed");this.onClose()}async send(e){this.isAvailable||await this.register();try{let r=pi(e),i=await(await(0,fb.default)(this.url,lA(uA({},fA),{body:r}))).json();this.onPayload({data:i})}catch(r){this.onError(e.id,r)}}async register(e=this.url){if(!ip(e))throw new Error(`Provided URL is not compatible with HTTP connection: ${e}`);if(this.registering){let r=this.events.getMaxListeners();return(this.events.listenerCount("register_error")>=r||this.events.listenerCount("open")>=r)&&this.events.setMaxListeners(r+1),new Promise((i,n)=>{this.events.once("register_error",s=>{this.resetMaxListeners(),n(s)}),this.events.once("open",()=>{if(this.resetMaxListeners(),typeof this.isAvailable>"u")return n(new Error("HTTP connection is missing or invalid"));i()})})}this.url=e,this.registering=!0;try{if(!this.disableProviderPing){let r=pi({id:1,jsonrpc:"2.0",method:"test",params:[]});await(0,fb.default)(e,lA(uA({},fA),{body:r}))}this.onOpen()}catch(r){let i=this.parseError(r);throw this.events.emit("register_error",i),this.onClose(),i}}onOpen(){this.isAvailable=!0,this.registering=!1,this.events.emit("open")}onClose(){this.isAvailable=!1,this.registering=!1,this.events.emit("close")}onPayload(e){if(typeof e.data>"u")return;let r=typeof e.data=="string"?vn(e.data):e.data;this.events.emit("payload",r)}onError(e,r){let i=this.parseError(r),n=i.message||i.toString(),s=yo(e,n);this.events.emit("payload",s)}parseError(e,r=this.url){return Rf(e,r,"HTTP")}resetMaxListeners(){this.events.getMaxListeners()>hA&&this.events.setMaxListeners(hA)}};var IA=Et(ts()),pA="error",iY="wss://relay.walletconnect.org",nY="wc",sY="universal_provider",gA=`${nY}@2:${sY}:`,MA="https://rpc.walletconnect.org/v1/",Qu="generic",oY=`${MA}bundler`,Gn={DEFAULT_CHAIN_CHANGED:"default_chain_changed"},Hf=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},mb={exports:{}};(function(t,e){(function(){var r,i="4.17.21",n=200,s="Unsupported core-js use. Try https://npms.io/search?q=ponyfill.",a="Expected a function",u="Invalid `variable` option passed into `_.template`",h="__lodash_hash_undefined__",f=500,v="__lodash_placeholder__",w=1,I=2,M=4,P=1,T=2,U=1,F=2,V=4,z=8,j=16,H=32,ee=64,$=128,q=256,X=512,N=30,d="...",y=800,l=16,g=1,b=2,A=3,C=1/0,S=9007199254740991,m=17976931348623157e292,E=NaN,_=4294967295,R=_-1,Z=_>>>1,te=[["ary",$],["bind",U],["bindKey",F],["curry",z],["curryRight",j],["flip",X],["partial",H],["partialRight",ee],["rearg",q]],D="[object Arguments]",W="[object Array]",G="[object AsyncFunction]",J="[object Boolean]",ie="[object Date]",ce="[object DOMException]",se="[object Error]",ae="[object Function]",pe="[object GeneratorFunction]",ne="[object Map]",de="[object Number]",Ct="[object Null]",Ee="[object Object]",At="[object Promise]",Dt="[object Proxy]",Se="[object RegExp]",Ye="[object Set]",lt="[object String]",Ie="[object Symbol]",Pt="[object Undefined]",ft="[object WeakMap]",Ue="[object WeakSet]",ht="[object ArrayBuffer]",ot="[object DataView]",De="[object Float32Array]",gt="[object Float64Array]",mt="[object Int8Array]",Pe="[object Int16Array]",vt="[object Int32Array]",bt="[object Uint8Array]",Oe="[object Uint8ClampedArray]",yt="[object Uint16Array]",wt="[object Uint32Array]",Fe=/\b__p \+= '';/g,Ot=/\b(__p \+=) '' \+/g,Rt=/(__e\(.*?\)|\b__t\)) \+\n'';/g,Le=/&(?:amp|lt|gt|quot|#39);/g,St=/[&<>"']/g,Tt=RegExp(Le.source),qe=RegExp(St.source),Nt=/<%-([\s\S]+?)%>/g,Lt=/<%([\s\S]+?)%>/g,Be=/<%=([\s\S]+?)%>/g,Bt=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,Ut=/^\w*$/,$e=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,_t=/[\\^$.*+?()[\]{}|]/g,Ft=RegExp(_t.source),Re=/^\s+/,qt=/\s/,$t=/\{(?:\n\/\* \[wrapped with .+\] \*\/)?\n?/,ke=/\{\n\/\* \[wrapped with (.+)\] \*/,kt=/,? & /,jt=/[^\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\x7f]+/g,je=/[()=,{}\[\]\/\s]/,zt=/\\(\\)?/g,It=/\$\{([^\\}]*(?:\\.[^\\}]*)*)\}/g,xt=/\w*$/,Ai=/^[-+]0x[0-9a-f]+$/i,Si=/^0b[01]+$/i,Ii=/^\[object .+?Constructor\]$/,Mi=/^0o[0-7]+$/i,Ci=/^(?:0|[1-9]\d*)$/,Di=/[\xc0-\xd6\xd8-\xf6\xf8-\xff\u0100-\u017f]/g,rn=/($^)/,qs=/['\n\r\u2028\u2029\\]/g,nn="\\ud800-\\udfff",$s="\\u0300-\\u036f",ks="\\ufe20-\\ufe2f",js="\\u20d0-\\u20ff",Jn=$s+ks+js,Yn="\\u2700-\\u27bf",Qn="a-z\\xdf-\\xf6\\xf8-\\xff",zs="\\xac\\xb1\\xd7\\xf7",Hs="\\x00-\\x2f\\x3a-\\x40\\x5b-\\x60\\x7b-\\xbf",ml="\\u2000-\\u206f",vl=" \\t\\x0b\\f\\xa0\\ufeff\\n\\r\\u2028\\u2029\\u1680\\u180e\\u2000\\u2001\\u2002\\u2003\\u2004\\u2005\\u2006\\u2007\\u2008\\u2009\\u200a\\u202f\\u205f\\u3000",Ey="A-Z\\xc0-\\xd6\\xd8-\\xde",Ay="\\ufe0e\\ufe0f",Sy=zs+Hs+ml+vl,l1="['\u2019]",kM="["+nn+"]",Iy="["+Sy+"]",Eh="["+Jn+"]",My="\\d+",jM="["+Yn+"]",Cy="["+Qn+"]",Dy="[^"+nn+Sy+My+Yn+Qn+Ey+"]",f1="\\ud83c[\\udffb-\\udfff]",zM="(?:"+Eh+"|"+f1+")",Py="[^"+nn+"]",h1="(?:\\ud83c[\\udde6-\\uddff]){2}",d1="[\\ud800-\\udbff][\\udc00-\\udfff]",Pc="["+Ey+"]",Oy="\\u200d",Ry="(?:"+Cy+"|"+Dy+")",HM="(?:"+Pc+"|"+Dy+")",Ty="(?:"+l1+"(?:d|ll|m|re|s|t|ve))?",Ny="(?:"+l1+"(?:D|LL|M|RE|S|T|VE))?",Ly=zM+"?",By="["+Ay+"]?",KM="(?:"+Oy+"(?:"+[Py,h1,d1].join("|")+")"+By+Ly+")*",VM="\\d*(?:1st|2nd|3rd|(?![123])\\dth)(?=\\b|[A-Z_])",WM="\\d*(?:1ST|2ND|3RD|(?![123])\\dTH)(?=\\b|[a-z_])",Uy=By+Ly+KM,GM="(?:"+[jM,h1,d1].join("|")+")"+Uy,JM="(?:"+[Py+Eh+"?",Eh,h1,d1,kM].join("|")+")",YM=RegExp(l1,"g"),QM=RegExp(Eh,"g"),p1=RegExp(f1+"(?="+f1+")|"+JM+Uy,"g"),XM=RegExp([Pc+"?"+Cy+"+"+Ty+"(?="+[Iy,Pc,"$"].join("|")+")",HM+"+"+Ny+"(?="+[Iy,Pc+Ry,"$"].join("|")+")",Pc+"?"+Ry+"+"+Ty,Pc+"+"+Ny,WM,VM,My,GM].join("|"),"g"),ZM=RegExp("["+Oy+nn+Jn+Ay+"]"),eC=/[a-z][A-Z]|[A-Z]{2}[a-z]|[0-9][a-zA-Z]|[a-zA-Z][0-9]|[^a-zA-Z0-9 ]/,tC=["Array","Buffer","DataView","Date","Error","Float32Array","Float64Array","Function","Int8Array","Int16Array","Int32Array","Map","Math","Object","Promise","RegExp","Set","String","Symbol","TypeError","Uint8Array","Uint8ClampedArray","Uint16Array","Uint32Array","WeakMap","_","clearTimeout","isFinite","parseInt","setTimeout"],rC=-1,sr={};sr[De]=sr[gt]=sr[mt]=sr[Pe]=sr[vt]=sr[bt]=sr[Oe]=sr[yt]=sr[wt]=!0,sr[D]=sr[W]=sr[ht]=sr[J]=sr[ot]=sr[ie]=sr[se]=sr[ae]=sr[ne]=sr[de]=sr[Ee]=sr[Se]=sr[Ye]=sr[lt]=sr[ft]=!1;var tr={};tr[D]=tr[W]=tr[ht]=tr[ot]=tr[J]=tr[ie]=tr[De]=tr[gt]=tr[mt]=tr[Pe]=tr[vt]=tr[ne]=tr[de]=tr[Ee]=tr[Se]=tr[Ye]=tr[lt]=tr[Ie]=tr[bt]=tr[Oe]=tr[yt]=tr[wt]=!0,tr[se]=tr[ae]=tr[ft]=!1;var iC={\u00C0:"A",\u00C1:"A",\u00C2:"A",\u00C3:"A",\u00C4:"A",\u00C5:"A",\u00E0:"a",\u00E1:"a",\u00E2:"a",\u00E3:"a",\u00E4:"a",\u00E5:"a",\u00C7:"C",\u00E7:"c",\u00D0:"D",\u00F0:"d",\u00C8:"E",\u00C9:"E",\u00CA:"E",\u00CB:"E",\u00E8:"e",\u00E9:"e",\u00EA:"e",\u00EB:"e",\u00CC:"I",\u00CD:"I",\u00CE:"I",\u00CF:"I",\u00EC:"i",\u00ED:"i",\u00EE:"i",\u00EF:"i",\u00D1:"N",\u00F1:"n",\u00D2:"O",\u00D3:"O",\u00D4:"O",\u00D5:"O",\u00D6:"O",\u00D8:"O",\u00F2:"o",\u00F3:"o",\u00F4:"o",\u00F5:"o",\u00F6:"o",\u00F8:"o",\u00D9:"U",\u00DA:"U",\u00DB:"U",\u00DC:"U",\u00F9:"u",\u00FA:"u",\u00FB:"u",\u00FC:"u",\u00DD:"Y",\u00FD:"y",\u00FF:"y",\u00C6:"Ae",\u00E6:"ae",\u00DE:"Th",\u00FE:"th",\u00DF:"ss",\u0100:"A",\u0102:"A",\u0104:"A",\u0101:"a",\u0103:"a",\u0105:"a",\u0106:"C",\u0108:"C",\u010A:"C",\u010C:"C",\u0107:"c",\u0109:"c",\u010B:"c",\u010D:"c",\u010E:"D",\u0110:"D",\u010F:"d",\u0111:"d",\u0112:"E",\u0114:"E",\u0116:"E",\u0118:"E",\u011A:"E",\u0113:"e",\u0115:"e",\u0117:"e",\u0119:"e",\u011B:"e",\u011C:"G",\u011E:"G",\u0120:"G",\u0122:"G",\u011D:"g",\u011F:"g",\u0121:"g",\u0123:"g",\u0124:"H",\u0126:"H",\u0125:"h",\u0127:"h",\u0128:"I",\u012A:"I",\u012C:"I",\u012E:"I",\u0130:"I",\u0129:"i",\u012B:"i",\u012D:"i",\u012F:"i",\u0131:"i",\u0134:"J",\u0135:"j",\u0136:"K",\u0137:"k",\u0138:"k",\u0139:"L",\u013B:"L",\u013D:"L",\u013F:"L",\u0141:"L",\u013A:"l",\u013C:"l",\u013E:"l",\u0140:"l",\u0142:"l",\u0143:"N",\u0145:"N",\u0147:"N",\u014A:"N",\u0144:"n",\u0146:"n",\u0148:"n",\u014B:"n",\u014C:"O",\u014E:"O",\u0150:"O",\u014D:"o",\u014F:"o",\u0151:"o",\u0154:"R",\u0156:"R",\u0158:"R",\u0155:"r",\u0157:"r",\u0159:"r",\u015A:"S",\u015C:"S",\u015E:"S",\u0160:"S",\u015B:"s",\u015D:"s",\u015F:"s",\u0161:"s",\u0162:"T",\u0164:"T",\u0166:"T",\u0163:"t",\u0165:"t",\u0167:"t",\u0168:"U",\u016A:"U",\u016C:"U",\u016E:"U",\u0170:"U",\u0172:"U",\u0169:"u",\u016B:"u",\u016D:"u",\u016F:"u",\u0171:"u",\u0173:"u",\u0174:"W",\u0175:"w",\u0176:"Y",\u0177:"y",\u0178:"Y",\u0179:"Z",\u017B:"Z",\u017D:"Z",\u017A:"z",\u017C:"z",\u017E:"z",\u0132:"IJ",\u0133:"ij",\u0152:"Oe",\u0153:"oe",\u0149:"'n",\u017F:"s"},nC={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"},sC={"&amp;":"&","&lt;":"<","&gt;":">","&quot;":'"',"&#39;":"'"},oC={"\\":"\\","'":"'","\n":"n","\r":"r","\u2028":"u2028","\u2029":"u2029"},aC=parseFloat,cC=parseInt,Fy=typeof Hf=="object"&&Hf&&Hf.Object===Object&&Hf,uC=typeof self=="object"&&self&&self.Object===Object&&self,kr=Fy||uC||Function("return this")(),g1=e&&!e.nodeType&&e,Ca=g1&&!0&&t&&!t.nodeType&&t,qy=Ca&&Ca.exports===g1,m1=qy&&Fy.process,sn=(function(){try{var Y=Ca&&Ca.require&&Ca.require("util").types;return Y||m1&&m1.binding&&m1.binding("util")}catch{}})(),$y=sn&&sn.isArrayBuffer,ky=sn&&sn.isDate,jy=sn&&sn.isMap,zy=sn&&sn.isRegExp,Hy=sn&&sn.isSet,Ky=sn&&sn.isTypedArray;function ki(Y,oe,re){switch(re.length){case 0:return Y.call(oe);case 1:return Y.call(oe,re[0]);case 2:return Y.call(oe,re[0],re[1]);case 3:return Y.call(oe,re[0],re[1],re[2])}return Y.apply(oe,re)}function lC(Y,oe,re,we){for(var ze=-1,Mt=Y==null?0:Y.length;++ze<Mt;){var Pr=Y[ze];oe(we,Pr,re(Pr),Y)}return we}function on(Y,oe){for(var re=-1,we=Y==null?0:Y.length;++re<we&&oe(Y[re],re,Y)!==!1;);return Y}function fC(Y,oe){for(var re=Y==null?0:Y.length;re--&&oe(Y[re],re,Y)!==!1;);return Y}function Vy(Y,oe){for(var re=-1,we=Y==null?0:Y.length;++re<we;)if(!oe(Y[re],re,Y))return!1;return!0}function To(Y,oe){for(var re=-1,we=Y==null?0:Y.length,ze=0,Mt=[];++re<we;){var Pr=Y[re];oe(Pr,re,Y)&&(Mt[ze++]=Pr)}return Mt}function Ah(Y,oe){var re=Y==null?0:Y.length;return!!re&&Oc(Y,oe,0)>-1}function v1(Y,oe,re){for(var we=-1,ze=Y==null?0:Y.length;++we<ze;)if(re(oe,Y[we]))return!0;return!1}function cr(Y,oe){for(var re=-1,we=Y==null?0:Y.length,ze=Array(we);++re<we;)ze[re]=oe(Y[re],re,Y);return ze}function No(Y,oe){for(var re=-1,we=oe.length,ze=Y.length;++re<we;)Y[ze+re]=oe[re];return Y}function b1(Y,oe,re,we){var ze=-1,Mt=Y==null?0:Y.length;for(we&&Mt&&(re=Y[++ze]);++ze<Mt;)re=oe(re,Y[ze],ze,Y);return re}function hC(Y,oe,re,we){var ze=Y==null?0:Y.length;for(we&&ze&&(re=Y[--ze]);ze--;)re=oe(re,Y[ze],ze,Y);return re}function y1(Y,oe){for(var re=-1,we=Y==null?0:Y.length;++re<we;)if(oe(Y[re],re,Y))return!0;return!1}var dC=w1("length");function pC(Y){return Y.split("")}function gC(Y){return Y.match(jt)||[]}function Wy(Y,oe,re){var we;return re(Y,function(ze,Mt,Pr){if(oe(ze,Mt,Pr))return we=Mt,!1}),we}function Sh(Y,oe,re,we){for(var ze=Y.length,Mt=re+(we?1:-1);we?Mt--:++Mt<ze;)if(oe(Y[Mt],Mt,Y))return Mt;return-1}function Oc(Y,oe,re){return oe===oe?MC(Y,oe,re):Sh(Y,Gy,re)}function mC(Y,oe,re,we){for(var ze=re-1,Mt=Y.length;++ze<Mt;)if(we(Y[ze],oe))return ze;return-1}function Gy(Y){return Y!==Y}function Jy(Y,oe){var re=Y==null?0:Y.length;return re?x1(Y,oe)/re:E}function w1(Y){return function(oe){return oe==null?r:oe[Y]}}function _1(Y){return function(oe){return Y==null?r:Y[oe]}}function Yy(Y,oe,re,we,ze){return ze(Y,function(Mt,Pr,Zt){re=we?(we=!1,Mt):oe(re,Mt,Pr,Zt)}),re}function vC(Y,oe){var re=Y.length;for(Y.sort(oe);re--;)Y[re]=Y[re].value;return Y}function x1(Y,oe){for(var re,we=-1,ze=Y.length;++we<ze;){var Mt=oe(Y[we]);Mt!==r&&(re=re===r?Mt:re+Mt)}return re}function E1(Y,oe){for(var re=-1,we=Array(Y);++re<Y;)we[re]=oe(re);return we}function bC(Y,oe){return cr(oe,function(re){return[re,Y[re]]})}function Qy(Y){return Y&&Y.slice(0,t6(Y)+1).replace(Re,"")}function ji(Y){return function(oe){return Y(oe)}}function A1(Y,oe){return cr(oe,function(re){return Y[re]})}function bl(Y,oe){return Y.has(oe)}function Xy(Y,oe){for(var re=-1,we=Y.length;++re<we&&Oc(oe,Y[re],0)>-1;);return re}function Zy(Y,oe){for(var re=Y.length;re--&&Oc(oe,Y[re],0)>-1;);return re}function yC(Y,oe){for(var re=Y.length,we=0;re--;)Y[re]===oe&&++we;return we}var wC=_1(iC),_C=_1(nC);function xC(Y){return"\\"+oC[Y]}function EC(Y,oe){return Y==null?r:Y[oe]}function Rc(Y){return ZM.test(Y)}function AC(Y){return eC.test(Y)}function SC(Y){for(var oe,re=[];!(oe=Y.next()).done;)re.push(oe.value);return re}function S1(Y){var oe=-1,re=Array(Y.size);return Y.forEach(function(we,ze){re[++oe]=[ze,we]}),re}function e6(Y,oe){return function(re){return Y(oe(re))}}function Lo(Y,oe){for(var re=-1,we=Y.length,ze=0,Mt=[];++re<we;){var Pr=Y[re];(Pr===oe||Pr===v)&&(Y[re]=v,Mt[ze++]=re)}return Mt}function Ih(Y){var oe=-1,re=Array(Y.size);return Y.forEach(function(we){re[++oe]=we}),re}function IC(Y){var oe=-1,re=Array(Y.size);return Y.forEach(function(we){re[++oe]=[we,we]}),re}function MC(Y,oe,re){for(var we=re-1,ze=Y.length;++we<ze;)if(Y[we]===oe)return we;return-1}function CC(Y,oe,re){for(var we=re+1;we--;)if(Y[we]===oe)return we;return we}function Tc(Y){return Rc(Y)?PC(Y):dC(Y)}function Mn(Y){return Rc(Y)?OC(Y):pC(Y)}function t6(Y){for(var oe=Y.length;oe--&&qt.test(Y.charAt(oe)););return oe}var DC=_1(sC);function PC(Y){for(var oe=p1.lastIndex=0;p1.test(Y);)++oe;return oe}function OC(Y){return Y.match(p1)||[]}function RC(Y){return Y.match(XM)||[]}var TC=function Y(oe){oe=oe==null?kr:Nc.defaults(kr.Object(),oe,Nc.pick(kr,tC));var re=oe.Array,we=oe.Date,ze=oe.Error,Mt=oe.Function,Pr=oe.Math,Zt=oe.Object,I1=oe.RegExp,NC=oe.String,an=oe.TypeError,Mh=re.prototype,LC=Mt.prototype,Lc=Zt.prototype,Ch=oe["__core-js_shared__"],Dh=LC.toString,Jt=Lc.hasOwnProperty,BC=0,r6=(function(){var o=/[^.]+$/.exec(Ch&&Ch.keys&&Ch.keys.IE_PROTO||"");return o?"Symbol(src)_1."+o:""})(),Ph=Lc.toString,UC=Dh.call(Zt),FC=kr._,qC=I1("^"+Dh.call(Jt).replace(_t,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$"),Oh=qy?oe.Buffer:r,Bo=oe.Symbol,Rh=oe.Uint8Array,i6=Oh?Oh.allocUnsafe:r,Th=e6(Zt.getPrototypeOf,Zt),n6=Zt.create,s6=Lc.propertyIsEnumerable,Nh=Mh.splice,o6=Bo?Bo.isConcatSpreadable:r,yl=Bo?Bo.iterator:r,Da=Bo?Bo.toStringTag:r,Lh=(function(){try{var o=Na(Zt,"defineProperty");return o({},"",{}),o}catch{}})(),$C=oe.clearTimeout!==kr.clearTimeout&&oe.clearTimeout,kC=we&&we.now!==kr.Date.now&&we.now,jC=oe.setTimeout!==kr.setTimeout&&oe.setTimeout,Bh=Pr.ceil,Uh=Pr.floor,M1=Zt.getOwnPropertySymbols,zC=Oh?Oh.isBuffer:r,a6=oe.isFinite,HC=Mh.join,KC=e6(Zt.keys,Zt),Or=Pr.max,Xr=Pr.min,VC=we.now,WC=oe.parseInt,c6=Pr.random,GC=Mh.reverse,C1=Na(oe,"DataView"),wl=Na(oe,"Map"),D1=Na(oe,"Promise"),Bc=Na(oe,"Set"),_l=Na(oe,"WeakMap"),xl=Na(Zt,"create"),Fh=_l&&new _l,Uc={},JC=La(C1),YC=La(wl),QC=La(D1),XC=La(Bc),ZC=La(_l),qh=Bo?Bo.prototype:r,El=qh?qh.valueOf:r,u6=qh?qh.toString:r;function L(o){if(gr(o)&&!Ke(o)&&!(o instanceof rt)){if(o instanceof cn)return o;if(Jt.call(o,"__wrapped__"))return lw(o)}return new cn(o)}var Fc=(function(){function o(){}return function(c){if(!hr(c))return{};if(n6)return n6(c);o.prototype=c;var p=new o;return o.prototype=r,p}})();function $h(){}function cn(o,c){this.__wrapped__=o,this.__actions__=[],this.__chain__=!!c,this.__index__=0,this.__values__=r}L.templateSettings={escape:Nt,evaluate:Lt,interpolate:Be,variable:"",imports:{_:L}},L.prototype=$h.prototype,L.prototype.constructor=L,cn.prototype=Fc($h.prototype),cn.prototype.constructor=cn;function rt(o){this.__wrapped__=o,this.__actions__=[],this.__dir__=1,this.__filtered__=!1,this.__iteratees__=[],this.__takeCount__=_,this.__views__=[]}function eD(){var o=new rt(this.__wrapped__);return o.__actions__=Pi(this.__actions__),o.__dir__=this.__dir__,o.__filtered__=this.__filtered__,o.__iteratees__=Pi(this.__iteratees__),o.__takeCount__=this.__takeCount__,o.__views__=Pi(this.__views__),o}function tD(){if(this.__filtered__){var o=new rt(this);o.__dir__=-1,o.__filtered__=!0}else o=this.clone(),o.__dir__*=-1;return o}function rD(){var o=this.__wrapped__.value(),c=this.__dir__,p=Ke(o),x=c<0,O=p?o.length:0,B=pP(0,O,this.__views__),k=B.start,K=B.end,Q=K-k,ue=x?K:k-1,le=this.__iteratees__,he=le.length,ve=0,xe=Xr(Q,this.__takeCount__);if(!p||!x&&O==Q&&xe==Q)return T6(o,this.__actions__);var Te=[];e:for(;Q--&&ve<xe;){ue+=c;for(var Qe=-1,Ne=o[ue];++Qe<he;){var tt=le[Qe],at=tt.iteratee,Ki=tt.type,di=at(Ne);if(Ki==b)Ne=di;else if(!di){if(Ki==g)continue e;break e}}Te[ve++]=Ne}return Te}rt.prototype=Fc($h.prototype),rt.prototype.constructor=rt;function Pa(o){var c=-1,p=o==null?0:o.length;for(this.clear();++c<p;){var x=o[c];this.set(x[0],x[1])}}function iD(){this.__data__=xl?xl(null):{},this.size=0}function nD(o){var c=this.has(o)&&delete this.__data__[o];return this.size-=c?1:0,c}function sD(o){var c=this.__data__;if(xl){var p=c[o];return p===h?r:p}return Jt.call(c,o)?c[o]:r}function oD(o){var c=this.__data__;return xl?c[o]!==r:Jt.call(c,o)}function aD(o,c){var p=this.__data__;return this.size+=this.has(o)?0:1,p[o]=xl&&c===r?h:c,this}Pa.prototype.clear=iD,Pa.prototype.delete=nD,Pa.prototype.get=sD,Pa.prototype.has=oD,Pa.prototype.set=aD;function Ks(o){var c=-1,p=o==null?0:o.length;for(this.clear();++c<p;){var x=o[c];this.set(x[0],x[1])}}function cD(){this.__data__=[],this.size=0}function uD(o){var c=this.__data__,p=kh(c,o);if(p<0)return!1;var x=c.length-1;return p==x?c.pop():Nh.call(c,p,1),--this.size,!0}function lD(o){var c=this.__data__,p=kh(c,o);return p<0?r:c[p][1]}function fD(o){return kh(this.__data__,o)>-1}function hD(o,c){var p=this.__data__,x=kh(p,o);return x<0?(++this.size,p.push([o,c])):p[x][1]=c,this}Ks.prototype.clear=cD,Ks.prototype.delete=uD,Ks.prototype.get=lD,Ks.prototype.has=fD,Ks.prototype.set=hD;function Vs(o){var c=-1,p=o==null?0:o.length;for(this.clear();++c<p;){var x=o[c];this.set(x[0],x[1])}}function dD(){this.size=0,this.__data__={hash:new Pa,map:new(wl||Ks),string:new Pa}}function pD(o){var c=Zh(this,o).delete(o);return this.size-=c?1:0,c}function gD(o){return Zh(this,o).get(o)}function mD(o){return Zh(this,o).has(o)}function vD(o,c){var p=Zh(this,o),x=p.size;return p.set(o,c),this.size+=p.size==x?0:1,this}Vs.prototype.clear=dD,Vs.prototype.delete=pD,Vs.prototype.get=gD,Vs.prototype.has=mD,Vs.prototype.set=vD;function Oa(o){var c=-1,p=o==null?0:o.length;for(this.__data__=new Vs;++c<p;)this.add(o[c])}function bD(o){return this.__data__.set(o,h),this}function yD(o){return this.__data__.has(o)}Oa.prototype.add=Oa.prototype.push=bD,Oa.prototype.has=yD;function Cn(o){var c=this.__data__=new Ks(o);this.size=c.size}function wD(){this.__data__=new Ks,this.size=0}function _D(o){var c=this.__data__,p=c.delete(o);return this.size=c.size,p}function xD(o){return this.__data__.get(o)}function ED(o){return this.__data__.has(o)}function AD(o,c){var p=this.__data__;if(p instanceof Ks){var x=p.__data__;if(!wl||x.length<n-1)return x.push([o,c]),this.size=++p.size,this;p=this.__data__=new Vs(x)}return p.set(o,c),this.size=p.size,this}Cn.prototype.clear=wD,Cn.prototype.delete=_D,Cn.prototype.get=xD,Cn.prototype.has=ED,Cn.prototype.set=AD;function l6(o,c){var p=Ke(o),x=!p&&Ba(o),O=!p&&!x&&ko(o),B=!p&&!x&&!O&&jc(o),k=p||x||O||B,K=k?E1(o.length,NC):[],Q=K.length;for(var ue in o)(c||Jt.call(o,ue))&&!(k&&(ue=="length"||O&&(ue=="offset"||ue=="parent")||B&&(ue=="buffer"||ue=="byteLength"||ue=="byteOffset")||Ys(ue,Q)))&&K.push(ue);return K}function f6(o){var c=o.length;return c?o[$1(0,c-1)]:r}function SD(o,c){return ed(Pi(o),Ra(c,0,o.length))}function ID(o){return ed(Pi(o))}function P1(o,c,p){(p!==r&&!Dn(o[c],p)||p===r&&!(c in o))&&Ws(o,c,p)}function Al(o,c,p){var x=o[c];(!(Jt.call(o,c)&&Dn(x,p))||p===r&&!(c in o))&&Ws(o,c,p)}function kh(o,c){for(var p=o.length;p--;)if(Dn(o[p][0],c))return p;return-1}function MD(o,c,p,x){return Uo(o,function(O,B,k){c(x,O,p(O),k)}),x}function h6(o,c){return o&&Zn(c,Tr(c),o)}function CD(o,c){return o&&Zn(c,Ri(c),o)}function Ws(o,c,p){c=="__proto__"&&Lh?Lh(o,c,{configurable:!0,enumerable:!0,value:p,writable:!0}):o[c]=p}function O1(o,c){for(var p=-1,x=c.length,O=re(x),B=o==null;++p<x;)O[p]=B?r:fg(o,c[p]);return O}function Ra(o,c,p){return o===o&&(p!==r&&(o=o<=p?o:p),c!==r&&(o=o>=c?o:c)),o}function un(o,c,p,x,O,B){var k,K=c&w,Q=c&I,ue=c&M;if(p&&(k=O?p(o,x,O,B):p(o)),k!==r)return k;if(!hr(o))return o;var le=Ke(o);if(le){if(k=mP(o),!K)return Pi(o,k)}else{var he=Zr(o),ve=he==ae||he==pe;if(ko(o))return B6(o,K);if(he==Ee||he==D||ve&&!O){if(k=Q||ve?{}:tw(o),!K)return Q?sP(o,CD(k,o)):nP(o,h6(k,o))}else{if(!tr[he])return O?o:{};k=vP(o,he,K)}}B||(B=new Cn);var xe=B.get(o);if(xe)return xe;B.set(o,k),Pw(o)?o.forEach(function(Ne){k.add(un(Ne,c,p,Ne,o,B))}):Cw(o)&&o.forEach(function(Ne,tt){k.set(tt,un(Ne,c,p,tt,o,B))});var Te=ue?Q?Q1:Y1:Q?Ri:Tr,Qe=le?r:Te(o);return on(Qe||o,function(Ne,tt){Qe&&(tt=Ne,Ne=o[tt]),Al(k,tt,un(Ne,c,p,tt,o,B))}),k}function DD(o){var c=Tr(o);return function(p){return d6(p,o,c)}}function d6(o,c,p){var x=p.length;if(o==null)return!x;for(o=Zt(o);x--;){var O=p[x],B=c[O],k=o[O];if(k===r&&!(O in o)||!B(k))return!1}return!0}function p6(o,c,p){if(typeof o!="function")throw new an(a);return Ol(function(){o.apply(r,p)},c)}function Sl(o,c,p,x){var O=-1,B=Ah,k=!0,K=o.length,Q=[],ue=c.length;if(!K)return Q;p&&(c=cr(c,ji(p))),x?(B=v1,k=!1):c.length>=n&&(B=bl,k=!1,c=new Oa(c));e:for(;++O<K;){var le=o[O],he=p==null?le:p(le);if(le=x||le!==0?le:0,k&&he===he){for(var ve=ue;ve--;)if(c[ve]===he)continue e;Q.push(le)}else B(c,he,x)||Q.push(le)}return Q}var Uo=k6(Xn),g6=k6(T1,!0);function PD(o,c){var p=!0;return Uo(o,function(x,O,B){return p=!!c(x,O,B),p}),p}function jh(o,c,p){for(var x=-1,O=o.length;++x<O;){var B=o[x],k=c(B);if(k!=null&&(K===r?k===k&&!Hi(k):p(k,K)))var K=k,Q=B}return Q}function OD(o,c,p,x){var O=o.length;for(p=Ge(p),p<0&&(p=-p>O?0:O+p),x=x===r||x>O?O:Ge(x),x<0&&(x+=O),x=p>x?0:Rw(x);p<x;)o[p++]=c;return o}function m6(o,c){var p=[];return Uo(o,function(x,O,B){c(x,O,B)&&p.push(x)}),p}function jr(o,c,p,x,O){var B=-1,k=o.length;for(p||(p=yP),O||(O=[]);++B<k;){var K=o[B];c>0&&p(K)?c>1?jr(K,c-1,p,x,O):No(O,K):x||(O[O.length]=K)}return O}var R1=j6(),v6=j6(!0);function Xn(o,c){return o&&R1(o,c,Tr)}function T1(o,c){return o&&v6(o,c,Tr)}function zh(o,c){return To(c,function(p){return Qs(o[p])})}function Ta(o,c){c=qo(c,o);for(var p=0,x=c.length;o!=null&&p<x;)o=o[es(c[p++])];return p&&p==x?o:r}function b6(o,c,p){var x=c(o);return Ke(o)?x:No(x,p(o))}function fi(o){return o==null?o===r?Pt:Ct:Da&&Da in Zt(o)?dP(o):IP(o)}function N1(o,c){return o>c}function RD(o,c){return o!=null&&Jt.call(o,c)}function TD(o,c){return o!=null&&c in Zt(o)}function ND(o,c,p){return o>=Xr(c,p)&&o<Or(c,p)}function L1(o,c,p){for(var x=p?v1:Ah,O=o[0].length,B=o.length,k=B,K=re(B),Q=1/0,ue=[];k--;){var le=o[k];k&&c&&(le=cr(le,ji(c))),Q=Xr(le.length,Q),K[k]=!p&&(c||O>=120&&le.length>=120)?new Oa(k&&le):r}le=o[0];var he=-1,ve=K[0];e:for(;++he<O&&ue.length<Q;){var xe=le[he],Te=c?c(xe):xe;if(xe=p||xe!==0?xe:0,!(ve?bl(ve,Te):x(ue,Te,p))){for(k=B;--k;){var Qe=K[k];if(!(Qe?bl(Qe,Te):x(o[k],Te,p)))continue e}ve&&ve.push(Te),ue.push(xe)}}return ue}function LD(o,c,p,x){return Xn(o,function(O,B,k){c(x,p(O),B,k)}),x}function Il(o,c,p){c=qo(c,o),o=sw(o,c);var x=o==null?o:o[es(fn(c))];return x==null?r:ki(x,o,p)}function y6(o){return gr(o)&&fi(o)==D}function BD(o){return gr(o)&&fi(o)==ht}function UD(o){return gr(o)&&fi(o)==ie}function Ml(o,c,p,x,O){return o===c?!0:o==null||c==null||!gr(o)&&!gr(c)?o!==o&&c!==c:FD(o,c,p,x,Ml,O)}function FD(o,c,p,x,O,B){var k=Ke(o),K=Ke(c),Q=k?W:Zr(o),ue=K?W:Zr(c);Q=Q==D?Ee:Q,ue=ue==D?Ee:ue;var le=Q==Ee,he=ue==Ee,ve=Q==ue;if(ve&&ko(o)){if(!ko(c))return!1;k=!0,le=!1}if(ve&&!le)return B||(B=new Cn),k||jc(o)?X6(o,c,p,x,O,B):fP(o,c,Q,p,x,O,B);if(!(p&P)){var xe=le&&Jt.call(o,"__wrapped__"),Te=he&&Jt.call(c,"__wrapped__");if(xe||Te){var Qe=xe?o.value():o,Ne=Te?c.value():c;return B||(B=new Cn),O(Qe,Ne,p,x,B)}}return ve?(B||(B=new Cn),hP(o,c,p,x,O,B)):!1}function qD(o){return gr(o)&&Zr(o)==ne}function B1(o,c,p,x){var O=p.length,B=O,k=!x;if(o==null)return!B;for(o=Zt(o);O--;){var K=p[O];if(k&&K[2]?K[1]!==o[K[0]]:!(K[0]in o))return!1}for(;++O<B;){K=p[O];var Q=K[0],ue=o[Q],le=K[1];if(k&&K[2]){if(ue===r&&!(Q in o))return!1}else{var he=new Cn;if(x)var ve=x(ue,le,Q,o,c,he);if(!(ve===r?Ml(le,ue,P|T,x,he):ve))return!1}}return!0}function w6(o){if(!hr(o)||_P(o))return!1;var c=Qs(o)?qC:Ii;return c.test(La(o))}function $D(o){return gr(o)&&fi(o)==Se}function kD(o){return gr(o)&&Zr(o)==Ye}function jD(o){return gr(o)&&od(o.length)&&!!sr[fi(o)]}function _6(o){return typeof o=="function"?o:o==null?Ti:typeof o=="object"?Ke(o)?A6(o[0],o[1]):E6(o):zw(o)}function U1(o){if(!Pl(o))return KC(o);var c=[];for(var p in Zt(o))Jt.call(o,p)&&p!="constructor"&&c.push(p);return c}function zD(o){if(!hr(o))return SP(o);var c=Pl(o),p=[];for(var x in o)x=="constructor"&&(c||!Jt.call(o,x))||p.push(x);return p}function F1(o,c){return o<c}function x6(o,c){var p=-1,x=Oi(o)?re(o.length):[];return Uo(o,function(O,B,k){x[++p]=c(O,B,k)}),x}function E6(o){var c=Z1(o);return c.length==1&&c[0][2]?iw(c[0][0],c[0][1]):function(p){return p===o||B1(p,o,c)}}function A6(o,c){return tg(o)&&rw(c)?iw(es(o),c):function(p){var x=fg(p,o);return x===r&&x===c?hg(p,o):Ml(c,x,P|T)}}function Hh(o,c,p,x,O){o!==c&&R1(c,function(B,k){if(O||(O=new Cn),hr(B))HD(o,c,k,p,Hh,x,O);else{var K=x?x(ig(o,k),B,k+"",o,c,O):r;K===r&&(K=B),P1(o,k,K)}},Ri)}function HD(o,c,p,x,O,B,k){var K=ig(o,p),Q=ig(c,p),ue=k.get(Q);if(ue){P1(o,p,ue);return}var le=B?B(K,Q,p+"",o,c,k):r,he=le===r;if(he){var ve=Ke(Q),xe=!ve&&ko(Q),Te=!ve&&!xe&&jc(Q);le=Q,ve||xe||Te?Ke(K)?le=K:xr(K)?le=Pi(K):xe?(he=!1,le=B6(Q,!0)):Te?(he=!1,le=U6(Q,!0)):le=[]:Rl(Q)||Ba(Q)?(le=K,Ba(K)?le=Tw(K):(!hr(K)||Qs(K))&&(le=tw(Q))):he=!1}he&&(k.set(Q,le),O(le,Q,x,B,k),k.delete(Q)),P1(o,p,le)}function S6(o,c){var p=o.length;if(p)return c+=c<0?p:0,Ys(c,p)?o[c]:r}function I6(o,c,p){c.length?c=cr(c,function(B){return Ke(B)?function(k){return Ta(k,B.length===1?B[0]:B)}:B}):c=[Ti];var x=-1;c=cr(c,ji(Me()));var O=x6(o,function(B,k,K){var Q=cr(c,function(ue){return ue(B)});return{criteria:Q,index:++x,value:B}});return vC(O,function(B,k){return iP(B,k,p)})}function KD(o,c){return M6(o,c,function(p,x){return hg(o,x)})}function M6(o,c,p){for(var x=-1,O=c.length,B={};++x<O;){var k=c[x],K=Ta(o,k);p(K,k)&&Cl(B,qo(k,o),K)}return B}function VD(o){return function(c){return Ta(c,o)}}function q1(o,c,p,x){var O=x?mC:Oc,B=-1,k=c.length,K=o;for(o===c&&(c=Pi(c)),p&&(K=cr(o,ji(p)));++B<k;)for(var Q=0,ue=c[B],le=p?p(ue):ue;(Q=O(K,le,Q,x))>-1;)K!==o&&Nh.call(K,Q,1),Nh.call(o,Q,1);return o}function C6(o,c){for(var p=o?c.length:0,x=p-1;p--;){var O=c[p];if(p==x||O!==B){var B=O;Ys(O)?Nh.call(o,O,1):z1(o,O)}}return o}function $1(o,c){return o+Uh(c6()*(c-o+1))}function WD(o,c,p,x){for(var O=-1,B=Or(Bh((c-o)/(p||1)),0),k=re(B);B--;)k[x?B:++O]=o,o+=p;return k}function k1(o,c){var p="";if(!o||c<1||c>S)return p;do c%2&&(p+=o),c=Uh(c/2),c&&(o+=o);while(c);return p}function Xe(o,c){return ng(nw(o,c,Ti),o+"")}function GD(o){return f6(zc(o))}function JD(o,c){var p=zc(o);return ed(p,Ra(c,0,p.length))}function Cl(o,c,p,x){if(!hr(o))return o;c=qo(c,o);for(var O=-1,B=c.length,k=B-1,K=o;K!=null&&++O<B;){var Q=es(c[O]),ue=p;if(Q==="__proto__"||Q==="constructor"||Q==="prototype")return o;if(O!=k){var le=K[Q];ue=x?x(le,Q,K):r,ue===r&&(ue=hr(le)?le:Ys(c[O+1])?[]:{})}Al(K,Q,ue),K=K[Q]}return o}var D6=Fh?function(o,c){return Fh.set(o,c),o}:Ti,YD=Lh?function(o,c){return Lh(o,"toString",{configurable:!0,enumerable:!1,value:pg(c),writable:!0})}:Ti;function QD(o){return ed(zc(o))}function ln(o,c,p){var x=-1,O=o.length;c<0&&(c=-c>O?0:O+c),p=p>O?O:p,p<0&&(p+=O),O=c>p?0:p-c>>>0,c>>>=0;for(var B=re(O);++x<O;)B[x]=o[x+c];return B}function XD(o,c){var p;return Uo(o,function(x,O,B){return p=c(x,O,B),!p}),!!p}function Kh(o,c,p){var x=0,O=o==null?x:o.length;if(typeof c=="number"&&c===c&&O<=Z){for(;x<O;){var B=x+O>>>1,k=o[B];k!==null&&!Hi(k)&&(p?k<=c:k<c)?x=B+1:O=B}return O}return j1(o,c,Ti,p)}function j1(o,c,p,x){var O=0,B=o==null?0:o.length;if(B===0)return 0;c=p(c);for(var k=c!==c,K=c===null,Q=Hi(c),ue=c===r;O<B;){var le=Uh((O+B)/2),he=p(o[le]),ve=he!==r,xe=he===null,Te=he===he,Qe=Hi(he);if(k)var Ne=x||Te;else ue?Ne=Te&&(x||ve):K?Ne=Te&&ve&&(x||!xe):Q?Ne=Te&&ve&&!xe&&(x||!Qe):xe||Qe?Ne=!1:Ne=x?he<=c:he<c;Ne?O=le+1:B=le}return Xr(B,R)}function P6(o,c){for(var p=-1,x=o.length,O=0,B=[];++p<x;){var k=o[p],K=c?c(k):k;if(!p||!Dn(K,Q)){var Q=K;B[O++]=k===0?0:k}}return B}function O6(o){return typeof o=="number"?o:Hi(o)?E:+o}function zi(o){if(typeof o=="string")return o;if(Ke(o))return cr(o,zi)+"";if(Hi(o))return u6?u6.call(o):"";var c=o+"";return c=="0"&&1/o==-C?"-0":c}function Fo(o,c,p){var x=-1,O=Ah,B=o.length,k=!0,K=[],Q=K;if(p)k=!1,O=v1;else if(B>=n){var ue=c?null:uP(o);if(ue)return Ih(ue);k=!1,O=bl,Q=new Oa}else Q=c?[]:K;e:for(;++x<B;){var le=o[x],he=c?c(le):le;if(le=p||le!==0?le:0,k&&he===he){for(var ve=Q.length;ve--;)if(Q[ve]===he)continue e;c&&Q.push(he),K.push(le)}else O(Q,he,p)||(Q!==K&&Q.push(he),K.push(le))}return K}function z1(o,c){return c=qo(c,o),o=sw(o,c),o==null||delete o[es(fn(c))]}function R6(o,c,p,x){return Cl(o,c,p(Ta(o,c)),x)}function Vh(o,c,p,x){for(var O=o.length,B=x?O:-1;(x?B--:++B<O)&&c(o[B],B,o););return p?ln(o,x?0:B,x?B+1:O):ln(o,x?B+1:0,x?O:B)}function T6(o,c){var p=o;return p instanceof rt&&(p=p.value()),b1(c,function(x,O){return O.func.apply(O.thisArg,No([x],O.args))},p)}function H1(o,c,p){var x=o.length;if(x<2)return x?Fo(o[0]):[];for(var O=-1,B=re(x);++O<x;)for(var k=o[O],K=-1;++K<x;)K!=O&&(B[O]=Sl(B[O]||k,o[K],c,p));return Fo(jr(B,1),c,p)}function N6(o,c,p){for(var x=-1,O=o.length,B=c.length,k={};++x<O;){var K=x<B?c[x]:r;p(k,o[x],K)}return k}function K1(o){return xr(o)?o:[]}function V1(o){return typeof o=="function"?o:Ti}function qo(o,c){return Ke(o)?o:tg(o,c)?[o]:uw(Ht(o))}var ZD=Xe;function $o(o,c,p){var x=o.length;return p=p===r?x:p,!c&&p>=x?o:ln(o,c,p)}var L6=$C||function(o){return kr.clearTimeout(o)};function B6(o,c){if(c)return o.slice();var p=o.length,x=i6?i6(p):new o.constructor(p);return o.copy(x),x}function W1(o){var c=new o.constructor(o.byteLength);return new Rh(c).set(new Rh(o)),c}function eP(o,c){var p=c?W1(o.buffer):o.buffer;return new o.constructor(p,o.byteOffset,o.byteLength)}function tP(o){var c=new o.constructor(o.source,xt.exec(o));return c.lastIndex=o.lastIndex,c}function rP(o){return El?Zt(El.call(o)):{}}function U6(o,c){var p=c?W1(o.buffer):o.buffer;return new o.constructor(p,o.byteOffset,o.length)}function F6(o,c){if(o!==c){var p=o!==r,x=o===null,O=o===o,B=Hi(o),k=c!==r,K=c===null,Q=c===c,ue=Hi(c);if(!K&&!ue&&!B&&o>c||B&&k&&Q&&!K&&!ue||x&&k&&Q||!p&&Q||!O)return 1;if(!x&&!B&&!ue&&o<c||ue&&p&&O&&!x&&!B||K&&p&&O||!k&&O||!Q)return-1}return 0}function iP(o,c,p){for(var x=-1,O=o.criteria,B=c.criteria,k=O.length,K=p.length;++x<k;){var Q=F6(O[x],B[x]);if(Q){if(x>=K)return Q;var ue=p[x];return Q*(ue=="desc"?-1:1)}}return o.index-c.index}function q6(o,c,p,x){for(var O=-1,B=o.length,k=p.length,K=-1,Q=c.length,ue=Or(B-k,0),le=re(Q+ue),he=!x;++K<Q;)le[K]=c[K];for(;++O<k;)(he||O<B)&&(le[p[O]]=o[O]);for(;ue--;)le[K++]=o[O++];return le}function $6(o,c,p,x){for(var O=-1,B=o.length,k=-1,K=p.length,Q=-1,ue=c.length,le=Or(B-K,0),he=re(le+ue),ve=!x;++O<le;)he[O]=o[O];for(var xe=O;++Q<ue;)he[xe+Q]=c[Q];for(;++k<K;)(ve||O<B)&&(he[xe+p[k]]=o[O++]);return he}function Pi(o,c){var p=-1,x=o.length;for(c||(c=re(x));++p<x;)c[p]=o[p];return c}function Zn(o,c,p,x){var O=!p;p||(p={});for(var B=-1,k=c.length;++B<k;){var K=c[B],Q=x?x(p[K],o[K],K,p,o):r;Q===r&&(Q=o[K]),O?Ws(p,K,Q):Al(p,K,Q)}return p}function nP(o,c){return Zn(o,eg(o),c)}function sP(o,c){return Zn(o,Z6(o),c)}function Wh(o,c){return function(p,x){var O=Ke(p)?lC:MD,B=c?c():{};return O(p,o,Me(x,2),B)}}function qc(o){return Xe(function(c,p){var x=-1,O=p.length,B=O>1?p[O-1]:r,k=O>2?p[2]:r;for(B=o.length>3&&typeof B=="function"?(O--,B):r,k&&hi(p[0],p[1],k)&&(B=O<3?r:B,O=1),c=Zt(c);++x<O;){var K=p[x];K&&o(c,K,x,B)}return c})}function k6(o,c){return function(p,x){if(p==null)return p;if(!Oi(p))return o(p,x);for(var O=p.length,B=c?O:-1,k=Zt(p);(c?B--:++B<O)&&x(k[B],B,k)!==!1;);return p}}function j6(o){return function(c,p,x){for(var O=-1,B=Zt(c),k=x(c),K=k.length;K--;){var Q=k[o?K:++O];if(p(B[Q],Q,B)===!1)break}return c}}function oP(o,c,p){var x=c&U,O=Dl(o);function B(){var k=this&&this!==kr&&this instanceof B?O:o;return k.apply(x?p:this,arguments)}return B}function z6(o){return function(c){c=Ht(c);var p=Rc(c)?Mn(c):r,x=p?p[0]:c.charAt(0),O=p?$o(p,1).join(""):c.slice(1);return x[o]()+O}}function $c(o){return function(c){return b1(kw($w(c).replace(YM,"")),o,"")}}function Dl(o){return function(){var c=arguments;switch(c.length){case 0:return new o;case 1:return new o(c[0]);case 2:return new o(c[0],c[1]);case 3:return new o(c[0],c[1],c[2]);case 4:return new o(c[0],c[1],c[2],c[3]);case 5:return new o(c[0],c[1],c[2],c[3],c[4]);case 6:return new o(c[0],c[1],c[2],c[3],c[4],c[5]);case 7:return new o(c[0],c[1],c[2],c[3],c[4],c[5],c[6])}var p=Fc(o.prototype),x=o.apply(p,c);return hr(x)?x:p}}function aP(o,c,p){var x=Dl(o);function O(){for(var B=arguments.length,k=re(B),K=B,Q=kc(O);K--;)k[K]=arguments[K];var ue=B<3&&k[0]!==Q&&k[B-1]!==Q?[]:Lo(k,Q);if(B-=ue.length,B<p)return G6(o,c,Gh,O.placeholder,r,k,ue,r,r,p-B);var le=this&&this!==kr&&this instanceof O?x:o;return ki(le,this,k)}return O}function H6(o){return function(c,p,x){var O=Zt(c);if(!Oi(c)){var B=Me(p,3);c=Tr(c),p=function(K){return B(O[K],K,O)}}var k=o(c,p,x);return k>-1?O[B?c[k]:k]:r}}function K6(o){return Js(function(c){var p=c.length,x=p,O=cn.prototype.thru;for(o&&c.reverse();x--;){var B=c[x];if(typeof B!="function")throw new an(a);if(O&&!k&&Xh(B)=="wrapper")var k=new cn([],!0)}for(x=k?x:p;++x<p;){B=c[x];var K=Xh(B),Q=K=="wrapper"?X1(B):r;Q&&rg(Q[0])&&Q[1]==($|z|H|q)&&!Q[4].length&&Q[9]==1?k=k[Xh(Q[0])].apply(k,Q[3]):k=B.length==1&&rg(B)?k[K]():k.thru(B)}return function(){var ue=arguments,le=ue[0];if(k&&ue.length==1&&Ke(le))return k.plant(le).value();for(var he=0,ve=p?c[he].apply(this,ue):le;++he<p;)ve=c[he].call(this,ve);return ve}})}function Gh(o,c,p,x,O,B,k,K,Q,ue){var le=c&$,he=c&U,ve=c&F,xe=c&(z|j),Te=c&X,Qe=ve?r:Dl(o);function Ne(){for(var tt=arguments.length,at=re(tt),Ki=tt;Ki--;)at[Ki]=arguments[Ki];if(xe)var di=kc(Ne),Vi=yC(at,di);if(x&&(at=q6(at,x,O,xe)),B&&(at=$6(at,B,k,xe)),tt-=Vi,xe&&tt<ue){var Er=Lo(at,di);return G6(o,c,Gh,Ne.placeholder,p,at,Er,K,Q,ue-tt)}var Pn=he?p:this,Zs=ve?Pn[o]:o;return tt=at.length,K?at=MP(at,K):Te&&tt>1&&at.reverse(),le&&Q<tt&&(at.length=Q),this&&this!==kr&&this instanceof Ne&&(Zs=Qe||Dl(Zs)),Zs.apply(Pn,at)}return Ne}function V6(o,c){return function(p,x){return LD(p,o,c(x),{})}}function Jh(o,c){return function(p,x){var O;if(p===r&&x===r)return c;if(p!==r&&(O=p),x!==r){if(O===r)return x;typeof p=="string"||typeof x=="string"?(p=zi(p),x=zi(x)):(p=O6(p),x=O6(x)),O=o(p,x)}return O}}function G1(o){return Js(function(c){return c=cr(c,ji(Me())),Xe(function(p){var x=this;return o(c,function(O){return ki(O,x,p)})})})}function Yh(o,c){c=c===r?" ":zi(c);var p=c.length;if(p<2)return p?k1(c,o):c;var x=k1(c,Bh(o/Tc(c)));return Rc(c)?$o(Mn(x),0,o).join(""):x.slice(0,o)}function cP(o,c,p,x){var O=c&U,B=Dl(o);function k(){for(var K=-1,Q=arguments.length,ue=-1,le=x.length,he=re(le+Q),ve=this&&this!==kr&&this instanceof k?B:o;++ue<le;)he[ue]=x[ue];for(;Q--;)he[ue++]=arguments[++K];return ki(ve,O?p:this,he)}return k}function W6(o){return function(c,p,x){return x&&typeof x!="number"&&hi(c,p,x)&&(p=x=r),c=Xs(c),p===r?(p=c,c=0):p=Xs(p),x=x===r?c<p?1:-1:Xs(x),WD(c,p,x,o)}}function Qh(o){return function(c,p){return typeof c=="string"&&typeof p=="string"||(c=hn(c),p=hn(p)),o(c,p)}}function G6(o,c,p,x,O,B,k,K,Q,ue){var le=c&z,he=le?k:r,ve=le?r:k,xe=le?B:r,Te=le?r:B;c|=le?H:ee,c&=~(le?ee:H),c&V||(c&=~(U|F));var Qe=[o,c,O,xe,he,Te,ve,K,Q,ue],Ne=p.apply(r,Qe);return rg(o)&&ow(Ne,Qe),Ne.placeholder=x,aw(Ne,o,c)}function J1(o){var c=Pr[o];return function(p,x){if(p=hn(p),x=x==null?0:Xr(Ge(x),292),x&&a6(p)){var O=(Ht(p)+"e").split("e"),B=c(O[0]+"e"+(+O[1]+x));return O=(Ht(B)+"e").split("e"),+(O[0]+"e"+(+O[1]-x))}return c(p)}}var uP=Bc&&1/Ih(new Bc([,-0]))[1]==C?function(o){return new Bc(o)}:vg;function J6(o){return function(c){var p=Zr(c);return p==ne?S1(c):p==Ye?IC(c):bC(c,o(c))}}function Gs(o,c,p,x,O,B,k,K){var Q=c&F;if(!Q&&typeof o!="function")throw new an(a);var ue=x?x.length:0;if(ue||(c&=~(H|ee),x=O=r),k=k===r?k:Or(Ge(k),0),K=K===r?K:Ge(K),ue-=O?O.length:0,c&ee){var le=x,he=O;x=O=r}var ve=Q?r:X1(o),xe=[o,c,p,x,O,le,he,B,k,K];if(ve&&AP(xe,ve),o=xe[0],c=xe[1],p=xe[2],x=xe[3],O=xe[4],K=xe[9]=xe[9]===r?Q?0:o.length:Or(xe[9]-ue,0),!K&&c&(z|j)&&(c&=~(z|j)),!c||c==U)var Te=oP(o,c,p);else c==z||c==j?Te=aP(o,c,K):(c==H||c==(U|H))&&!O.length?Te=cP(o,c,p,x):Te=Gh.apply(r,xe);var Qe=ve?D6:ow;return aw(Qe(Te,xe),o,c)}function Y6(o,c,p,x){return o===r||Dn(o,Lc[p])&&!Jt.call(x,p)?c:o}function Q6(o,c,p,x,O,B){return hr(o)&&hr(c)&&(B.set(c,o),Hh(o,c,r,Q6,B),B.delete(c)),o}function lP(o){return Rl(o)?r:o}function X6(o,c,p,x,O,B){var k=p&P,K=o.length,Q=c.length;if(K!=Q&&!(k&&Q>K))return!1;var ue=B.get(o),le=B.get(c);if(ue&&le)return ue==c&&le==o;var he=-1,ve=!0,xe=p&T?new Oa:r;for(B.set(o,c),B.set(c,o);++he<K;){var Te=o[he],Qe=c[he];if(x)var Ne=k?x(Qe,Te,he,c,o,B):x(Te,Qe,he,o,c,B);if(Ne!==r){if(Ne)continue;ve=!1;break}if(xe){if(!y1(c,function(tt,at){if(!bl(xe,at)&&(Te===tt||O(Te,tt,p,x,B)))return xe.push(at)})){ve=!1;break}}else if(!(Te===Qe||O(Te,Qe,p,x,B))){ve=!1;break}}return B.delete(o),B.delete(c),ve}function fP(o,c,p,x,O,B,k){switch(p){case ot:if(o.byteLength!=c.byteLength||o.byteOffset!=c.byteOffset)return!1;o=o.buffer,c=c.buffer;case ht:return!(o.byteLength!=c.byteLength||!B(new Rh(o),new Rh(c)));case J:case ie:case de:return Dn(+o,+c);case se:return o.name==c.name&&o.message==c.message;case Se:case lt:return o==c+"";case ne:var K=S1;case Ye:var Q=x&P;if(K||(K=Ih),o.size!=c.size&&!Q)return!1;var ue=k.get(o);if(ue)return ue==c;x|=T,k.set(o,c);var le=X6(K(o),K(c),x,O,B,k);return k.delete(o),le;case Ie:if(El)return El.call(o)==El.call(c)}return!1}function hP(o,c,p,x,O,B){var k=p&P,K=Y1(o),Q=K.length,ue=Y1(c),le=ue.length;if(Q!=le&&!k)return!1;for(var he=Q;he--;){var ve=K[he];if(!(k?ve in c:Jt.call(c,ve)))return!1}var xe=B.get(o),Te=B.get(c);if(xe&&Te)return xe==c&&Te==o;var Qe=!0;B.set(o,c),B.set(c,o);for(var Ne=k;++he<Q;){ve=K[he];var tt=o[ve],at=c[ve];if(x)var Ki=k?x(at,tt,ve,c,o,B):x(tt,at,ve,o,c,B);if(!(Ki===r?tt===at||O(tt,at,p,x,B):Ki)){Qe=!1;break}Ne||(Ne=ve=="constructor")}if(Qe&&!Ne){var di=o.constructor,Vi=c.constructor;di!=Vi&&"constructor"in o&&"constructor"in c&&!(typeof di=="function"&&di instanceof di&&typeof Vi=="function"&&Vi instanceof Vi)&&(Qe=!1)}return B.delete(o),B.delete(c),Qe}function Js(o){return ng(nw(o,r,dw),o+"")}function Y1(o){return b6(o,Tr,eg)}function Q1(o){return b6(o,Ri,Z6)}var X1=Fh?function(o){return Fh.get(o)}:vg;function Xh(o){for(var c=o.name+"",p=Uc[c],x=Jt.call(Uc,c)?p.length:0;x--;){var O=p[x],B=O.func;if(B==null||B==o)return O.name}return c}function kc(o){var c=Jt.call(L,"placeholder")?L:o;return c.placeholder}function Me(){var o=L.iteratee||gg;return o=o===gg?_6:o,arguments.length?o(arguments[0],arguments[1]):o}function Zh(o,c){var p=o.__data__;return wP(c)?p[typeof c=="string"?"string":"hash"]:p.map}function Z1(o){for(var c=Tr(o),p=c.length;p--;){var x=c[p],O=o[x];c[p]=[x,O,rw(O)]}return c}function Na(o,c){var p=EC(o,c);return w6(p)?p:r}function dP(o){var c=Jt.call(o,Da),p=o[Da];try{o[Da]=r;var x=!0}catch{}var O=Ph.call(o);return x&&(c?o[Da]=p:delete o[Da]),O}var eg=M1?function(o){return o==null?[]:(o=Zt(o),To(M1(o),function(c){return s6.call(o,c)}))}:bg,Z6=M1?function(o){for(var c=[];o;)No(c,eg(o)),o=Th(o);return c}:bg,Zr=fi;(C1&&Zr(new C1(new ArrayBuffer(1)))!=ot||wl&&Zr(new wl)!=ne||D1&&Zr(D1.resolve())!=At||Bc&&Zr(new Bc)!=Ye||_l&&Zr(new _l)!=ft)&&(Zr=function(o){var c=fi(o),p=c==Ee?o.constructor:r,x=p?La(p):"";if(x)switch(x){case JC:return ot;case YC:return ne;case QC:return At;case XC:return Ye;case ZC:return ft}return c});function pP(o,c,p){for(var x=-1,O=p.length;++x<O;){var B=p[x],k=B.size;switch(B.type){case"drop":o+=k;break;case"dropRight":c-=k;break;case"take":c=Xr(c,o+k);break;case"takeRight":o=Or(o,c-k);break}}return{start:o,end:c}}function gP(o){var c=o.match(ke);return c?c[1].split(kt):[]}function ew(o,c,p){c=qo(c,o);for(var x=-1,O=c.length,B=!1;++x<O;){var k=es(c[x]);if(!(B=o!=null&&p(o,k)))break;o=o[k]}return B||++x!=O?B:(O=o==null?0:o.length,!!O&&od(O)&&Ys(k,O)&&(Ke(o)||Ba(o)))}function mP(o){var c=o.length,p=new o.constructor(c);return c&&typeof o[0]=="string"&&Jt.call(o,"index")&&(p.index=o.index,p.input=o.input),p}function tw(o){return typeof o.constructor=="function"&&!Pl(o)?Fc(Th(o)):{}}function vP(o,c,p){var x=o.constructor;switch(c){case ht:return W1(o);case J:case ie:return new x(+o);case ot:return eP(o,p);case De:case gt:case mt:case Pe:case vt:case bt:case Oe:case yt:case wt:return U6(o,p);case ne:return new x;case de:case lt:return new x(o);case Se:return tP(o);case Ye:return new x;case Ie:return rP(o)}}function bP(o,c){var p=c.length;if(!p)return o;var x=p-1;return c[x]=(p>1?"& ":"")+c[x],c=c.join(p>2?", ":" "),o.replace($t,`{
+/* [wrapped with `+c+`] */
+`)}function yP(o){return Ke(o)||Ba(o)||!!(o6&&o&&o[o6])}function Ys(o,c){var p=typeof o;return c=c??S,!!c&&(p=="number"||p!="symbol"&&Ci.test(o))&&o>-1&&o%1==0&&o<c}function hi(o,c,p){if(!hr(p))return!1;var x=typeof c;return(x=="number"?Oi(p)&&Ys(c,p.length):x=="string"&&c in p)?Dn(p[c],o):!1}function tg(o,c){if(Ke(o))return!1;var p=typeof o;return p=="number"||p=="symbol"||p=="boolean"||o==null||Hi(o)?!0:Ut.test(o)||!Bt.test(o)||c!=null&&o in Zt(c)}function wP(o){var c=typeof o;return c=="string"||c=="number"||c=="symbol"||c=="boolean"?o!=="__proto__":o===null}function rg(o){var c=Xh(o),p=L[c];if(typeof p!="function"||!(c in rt.prototype))return!1;if(o===p)return!0;var x=X1(p);return!!x&&o===x[0]}function _P(o){return!!r6&&r6 in o}var xP=Ch?Qs:yg;function Pl(o){var c=o&&o.constructor,p=typeof c=="function"&&c.prototype||Lc;return o===p}function rw(o){return o===o&&!hr(o)}function iw(o,c){return function(p){return p==null?!1:p[o]===c&&(c!==r||o in Zt(p))}}function EP(o){var c=nd(o,function(x){return p.size===f&&p.clear(),x}),p=c.cache;return c}function AP(o,c){var p=o[1],x=c[1],O=p|x,B=O<(U|F|$),k=x==$&&p==z||x==$&&p==q&&o[7].length<=c[8]||x==($|q)&&c[7].length<=c[8]&&p==z;if(!(B||k))return o;x&U&&(o[2]=c[2],O|=p&U?0:V);var K=c[3];if(K){var Q=o[3];o[3]=Q?q6(Q,K,c[4]):K,o[4]=Q?Lo(o[3],v):c[4]}return K=c[5],K&&(Q=o[5],o[5]=Q?$6(Q,K,c[6]):K,o[6]=Q?Lo(o[5],v):c[6]),K=c[7],K&&(o[7]=K),x&$&&(o[8]=o[8]==null?c[8]:Xr(o[8],c[8])),o[9]==null&&(o[9]=c[9]),o[0]=c[0],o[1]=O,o}function SP(o){var c=[];if(o!=null)for(var p in Zt(o))c.push(p);return c}function IP(o){return Ph.call(o)}function nw(o,c,p){return c=Or(c===r?o.length-1:c,0),function(){for(var x=arguments,O=-1,B=Or(x.length-c,0),k=re(B);++O<B;)k[O]=x[c+O];O=-1;for(var K=re(c+1);++O<c;)K[O]=x[O];return K[c]=p(k),ki(o,this,K)}}function sw(o,c){return c.length<2?o:Ta(o,ln(c,0,-1))}function MP(o,c){for(var p=o.length,x=Xr(c.length,p),O=Pi(o);x--;){var B=c[x];o[x]=Ys(B,p)?O[B]:r}return o}function ig(o,c){if(!(c==="constructor"&&typeof o[c]=="function")&&c!="__proto__")return o[c]}var ow=cw(D6),Ol=jC||function(o,c){return kr.setTimeout(o,c)},ng=cw(YD);function aw(o,c,p){var x=c+"";return ng(o,bP(x,CP(gP(x),p)))}function cw(o){var c=0,p=0;return function(){var x=VC(),O=l-(x-p);if(p=x,O>0){if(++c>=y)return arguments[0]}else c=0;return o.apply(r,arguments)}}function ed(o,c){var p=-1,x=o.length,O=x-1;for(c=c===r?x:c;++p<c;){var B=$1(p,O),k=o[B];o[B]=o[p],o[p]=k}return o.length=c,o}var uw=EP(function(o){var c=[];return o.charCodeAt(0)===46&&c.push(""),o.replace($e,function(p,x,O,B){c.push(O?B.replace(zt,"$1"):x||p)}),c});function es(o){if(typeof o=="string"||Hi(o))return o;var c=o+"";return c=="0"&&1/o==-C?"-0":c}function La(o){if(o!=null){try{return Dh.call(o)}catch{}try{return o+""}catch{}}return""}function CP(o,c){return on(te,function(p){var x="_."+p[0];c&p[1]&&!Ah(o,x)&&o.push(x)}),o.sort()}function lw(o){if(o instanceof rt)return o.clone();var c=new cn(o.__wrapped__,o.__chain__);return c.__actions__=Pi(o.__actions__),c.__index__=o.__index__,c.__values__=o.__values__,c}function DP(o,c,p){(p?hi(o,c,p):c===r)?c=1:c=Or(Ge(c),0);var x=o==null?0:o.length;if(!x||c<1)return[];for(var O=0,B=0,k=re(Bh(x/c));O<x;)k[B++]=ln(o,O,O+=c);return k}function PP(o){for(var c=-1,p=o==null?0:o.length,x=0,O=[];++c<p;){var B=o[c];B&&(O[x++]=B)}return O}function OP(){var o=arguments.length;if(!o)return[];for(var c=re(o-1),p=arguments[0],x=o;x--;)c[x-1]=arguments[x];return No(Ke(p)?Pi(p):[p],jr(c,1))}var RP=Xe(function(o,c){return xr(o)?Sl(o,jr(c,1,xr,!0)):[]}),TP=Xe(function(o,c){var p=fn(c);return xr(p)&&(p=r),xr(o)?Sl(o,jr(c,1,xr,!0),Me(p,2)):[]}),NP=Xe(function(o,c){var p=fn(c);return xr(p)&&(p=r),xr(o)?Sl(o,jr(c,1,xr,!0),r,p):[]});function LP(o,c,p){var x=o==null?0:o.length;return x?(c=p||c===r?1:Ge(c),ln(o,c<0?0:c,x)):[]}function BP(o,c,p){var x=o==null?0:o.length;return x?(c=p||c===r?1:Ge(c),c=x-c,ln(o,0,c<0?0:c)):[]}function UP(o,c){return o&&o.length?Vh(o,Me(c,3),!0,!0):[]}function FP(o,c){return o&&o.length?Vh(o,Me(c,3),!0):[]}function qP(o,c,p,x){var O=o==null?0:o.length;return O?(p&&typeof p!="number"&&hi(o,c,p)&&(p=0,x=O),OD(o,c,p,x)):[]}function fw(o,c,p){var x=o==null?0:o.length;if(!x)return-1;var O=p==null?0:Ge(p);return O<0&&(O=Or(x+O,0)),Sh(o,Me(c,3),O)}function hw(o,c,p){var x=o==null?0:o.length;if(!x)return-1;var O=x-1;return p!==r&&(O=Ge(p),O=p<0?Or(x+O,0):Xr(O,x-1)),Sh(o,Me(c,3),O,!0)}function dw(o){var c=o==null?0:o.length;return c?jr(o,1):[]}function $P(o){var c=o==null?0:o.length;return c?jr(o,C):[]}function kP(o,c){var p=o==null?0:o.length;return p?(c=c===r?1:Ge(c),jr(o,c)):[]}function jP(o){for(var c=-1,p=o==null?0:o.length,x={};++c<p;){var O=o[c];x[O[0]]=O[1]}return x}function pw(o){return o&&o.length?o[0]:r}function zP(o,c,p){var x=o==null?0:o.length;if(!x)return-1;var O=p==null?0:Ge(p);return O<0&&(O=Or(x+O,0)),Oc(o,c,O)}function HP(o){var c=o==null?0:o.length;return c?ln(o,0,-1):[]}var KP=Xe(function(o){var c=cr(o,K1);return c.length&&c[0]===o[0]?L1(c):[]}),VP=Xe(function(o){var c=fn(o),p=cr(o,K1);return c===fn(p)?c=r:p.pop(),p.length&&p[0]===o[0]?L1(p,Me(c,2)):[]}),WP=Xe(function(o){var c=fn(o),p=cr(o,K1);return c=typeof c=="function"?c:r,c&&p.pop(),p.length&&p[0]===o[0]?L1(p,r,c):[]});function GP(o,c){return o==null?"":HC.call(o,c)}function fn(o){var c=o==null?0:o.length;return c?o[c-1]:r}function JP(o,c,p){var x=o==null?0:o.length;if(!x)return-1;var O=x;return p!==r&&(O=Ge(p),O=O<0?Or(x+O,0):Xr(O,x-1)),c===c?CC(o,c,O):Sh(o,Gy,O,!0)}function YP(o,c){return o&&o.length?S6(o,Ge(c)):r}var QP=Xe(gw);function gw(o,c){return o&&o.length&&c&&c.length?q1(o,c):o}function XP(o,c,p){return o&&o.length&&c&&c.length?q1(o,c,Me(p,2)):o}function ZP(o,c,p){return o&&o.length&&c&&c.length?q1(o,c,r,p):o}var eO=Js(function(o,c){var p=o==null?0:o.length,x=O1(o,c);return C6(o,cr(c,function(O){return Ys(O,p)?+O:O}).sort(F6)),x});function tO(o,c){var p=[];if(!(o&&o.length))return p;var x=-1,O=[],B=o.length;for(c=Me(c,3);++x<B;){var k=o[x];c(k,x,o)&&(p.push(k),O.push(x))}return C6(o,O),p}function sg(o){return o==null?o:GC.call(o)}function rO(o,c,p){var x=o==null?0:o.length;return x?(p&&typeof p!="number"&&hi(o,c,p)?(c=0,p=x):(c=c==null?0:Ge(c),p=p===r?x:Ge(p)),ln(o,c,p)):[]}function iO(o,c){return Kh(o,c)}function nO(o,c,p){return j1(o,c,Me(p,2))}function sO(o,c){var p=o==null?0:o.length;if(p){var x=Kh(o,c);if(x<p&&Dn(o[x],c))return x}return-1}function oO(o,c){return Kh(o,c,!0)}function aO(o,c,p){return j1(o,c,Me(p,2),!0)}function cO(o,c){var p=o==null?0:o.length;if(p){var x=Kh(o,c,!0)-1;if(Dn(o[x],c))return x}return-1}function uO(o){return o&&o.length?P6(o):[]}function lO(o,c){return o&&o.length?P6(o,Me(c,2)):[]}function fO(o){var c=o==null?0:o.length;return c?ln(o,1,c):[]}function hO(o,c,p){return o&&o.length?(c=p||c===r?1:Ge(c),ln(o,0,c<0?0:c)):[]}function dO(o,c,p){var x=o==null?0:o.length;return x?(c=p||c===r?1:Ge(c),c=x-c,ln(o,c<0?0:c,x)):[]}function pO(o,c){return o&&o.length?Vh(o,Me(c,3),!1,!0):[]}function gO(o,c){return o&&o.length?Vh(o,Me(c,3)):[]}var mO=Xe(function(o){return Fo(jr(o,1,xr,!0))}),vO=Xe(function(o){var c=fn(o);return xr(c)&&(c=r),Fo(jr(o,1,xr,!0),Me(c,2))}),bO=Xe(function(o){var c=fn(o);return c=typeof c=="function"?c:r,Fo(jr(o,1,xr,!0),r,c)});function yO(o){return o&&o.length?Fo(o):[]}function wO(o,c){return o&&o.length?Fo(o,Me(c,2)):[]}function _O(o,c){return c=typeof c=="function"?c:r,o&&o.length?Fo(o,r,c):[]}function og(o){if(!(o&&o.length))return[];var c=0;return o=To(o,function(p){if(xr(p))return c=Or(p.length,c),!0}),E1(c,function(p){return cr(o,w1(p))})}function mw(o,c){if(!(o&&o.length))return[];var p=og(o);return c==null?p:cr(p,function(x){return ki(c,r,x)})}var xO=Xe(function(o,c){return xr(o)?Sl(o,c):[]}),EO=Xe(function(o){return H1(To(o,xr))}),AO=Xe(function(o){var c=fn(o);return xr(c)&&(c=r),H1(To(o,xr),Me(c,2))}),SO=Xe(function(o){var c=fn(o);return c=typeof c=="function"?c:r,H1(To(o,xr),r,c)}),IO=Xe(og);function MO(o,c){return N6(o||[],c||[],Al)}function CO(o,c){return N6(o||[],c||[],Cl)}var DO=Xe(function(o){var c=o.length,p=c>1?o[c-1]:r;return p=typeof p=="function"?(o.pop(),p):r,mw(o,p)});function vw(o){var c=L(o);return c.__chain__=!0,c}function PO(o,c){return c(o),o}function td(o,c){return c(o)}var OO=Js(function(o){var c=o.length,p=c?o[0]:0,x=this.__wrapped__,O=function(B){return O1(B,o)};return c>1||this.__actions__.length||!(x instanceof rt)||!Ys(p)?this.thru(O):(x=x.slice(p,+p+(c?1:0)),x.__actions__.push({func:td,args:[O],thisArg:r}),new cn(x,this.__chain__).thru(function(B){return c&&!B.length&&B.push(r),B}))});function RO(){return vw(this)}function TO(){return new cn(this.value(),this.__chain__)}function NO(){this.__values__===r&&(this.__values__=Ow(this.value()));var o=this.__index__>=this.__values__.length,c=o?r:this.__values__[this.__index__++];return{done:o,value:c}}function LO(){return this}function BO(o){for(var c,p=this;p instanceof $h;){var x=lw(p);x.__index__=0,x.__values__=r,c?O.__wrapped__=x:c=x;var O=x;p=p.__wrapped__}return O.__wrapped__=o,c}function UO(){var o=this.__wrapped__;if(o instanceof rt){var c=o;return this.__actions__.length&&(c=new rt(this)),c=c.reverse(),c.__actions__.push({func:td,args:[sg],thisArg:r}),new cn(c,this.__chain__)}return this.thru(sg)}function FO(){return T6(this.__wrapped__,this.__actions__)}var qO=Wh(function(o,c,p){Jt.call(o,p)?++o[p]:Ws(o,p,1)});function $O(o,c,p){var x=Ke(o)?Vy:PD;return p&&hi(o,c,p)&&(c=r),x(o,Me(c,3))}function kO(o,c){var p=Ke(o)?To:m6;return p(o,Me(c,3))}var jO=H6(fw),zO=H6(hw);function HO(o,c){return jr(rd(o,c),1)}function KO(o,c){return jr(rd(o,c),C)}function VO(o,c,p){return p=p===r?1:Ge(p),jr(rd(o,c),p)}function bw(o,c){var p=Ke(o)?on:Uo;return p(o,Me(c,3))}function yw(o,c){var p=Ke(o)?fC:g6;return p(o,Me(c,3))}var WO=Wh(function(o,c,p){Jt.call(o,p)?o[p].push(c):Ws(o,p,[c])});function GO(o,c,p,x){o=Oi(o)?o:zc(o),p=p&&!x?Ge(p):0;var O=o.length;return p<0&&(p=Or(O+p,0)),ad(o)?p<=O&&o.indexOf(c,p)>-1:!!O&&Oc(o,c,p)>-1}var JO=Xe(function(o,c,p){var x=-1,O=typeof c=="function",B=Oi(o)?re(o.length):[];return Uo(o,function(k){B[++x]=O?ki(c,k,p):Il(k,c,p)}),B}),YO=Wh(function(o,c,p){Ws(o,p,c)});function rd(o,c){var p=Ke(o)?cr:x6;return p(o,Me(c,3))}function QO(o,c,p,x){return o==null?[]:(Ke(c)||(c=c==null?[]:[c]),p=x?r:p,Ke(p)||(p=p==null?[]:[p]),I6(o,c,p))}var XO=Wh(function(o,c,p){o[p?0:1].push(c)},function(){return[[],[]]});function ZO(o,c,p){var x=Ke(o)?b1:Yy,O=arguments.length<3;return x(o,Me(c,4),p,O,Uo)}function eR(o,c,p){var x=Ke(o)?hC:Yy,O=arguments.length<3;return x(o,Me(c,4),p,O,g6)}function tR(o,c){var p=Ke(o)?To:m6;return p(o,sd(Me(c,3)))}function rR(o){var c=Ke(o)?f6:GD;return c(o)}function iR(o,c,p){(p?hi(o,c,p):c===r)?c=1:c=Ge(c);var x=Ke(o)?SD:JD;return x(o,c)}function nR(o){var c=Ke(o)?ID:QD;return c(o)}function sR(o){if(o==null)return 0;if(Oi(o))return ad(o)?Tc(o):o.length;var c=Zr(o);return c==ne||c==Ye?o.size:U1(o).length}function oR(o,c,p){var x=Ke(o)?y1:XD;return p&&hi(o,c,p)&&(c=r),x(o,Me(c,3))}var aR=Xe(function(o,c){if(o==null)return[];var p=c.length;return p>1&&hi(o,c[0],c[1])?c=[]:p>2&&hi(c[0],c[1],c[2])&&(c=[c[0]]),I6(o,jr(c,1),[])}),id=kC||function(){return kr.Date.now()};function cR(o,c){if(typeof c!="function")throw new an(a);return o=Ge(o),function(){if(--o<1)return c.apply(this,arguments)}}function ww(o,c,p){return c=p?r:c,c=o&&c==null?o.length:c,Gs(o,$,r,r,r,r,c)}function _w(o,c){var p;if(typeof c!="function")throw new an(a);return o=Ge(o),function(){return--o>0&&(p=c.apply(this,arguments)),o<=1&&(c=r),p}}var ag=Xe(function(o,c,p){var x=U;if(p.length){var O=Lo(p,kc(ag));x|=H}return Gs(o,x,c,p,O)}),xw=Xe(function(o,c,p){var x=U|F;if(p.length){var O=Lo(p,kc(xw));x|=H}return Gs(c,x,o,p,O)});function Ew(o,c,p){c=p?r:c;var x=Gs(o,z,r,r,r,r,r,c);return x.placeholder=Ew.placeholder,x}function Aw(o,c,p){c=p?r:c;var x=Gs(o,j,r,r,r,r,r,c);return x.placeholder=Aw.placeholder,x}function Sw(o,c,p){var x,O,B,k,K,Q,ue=0,le=!1,he=!1,ve=!0;if(typeof o!="function")throw new an(a);c=hn(c)||0,hr(p)&&(le=!!p.leading,he="maxWait"in p,B=he?Or(hn(p.maxWait)||0,c):B,ve="trailing"in p?!!p.trailing:ve);function xe(Er){var Pn=x,Zs=O;return x=O=r,ue=Er,k=o.apply(Zs,Pn),k}function Te(Er){return ue=Er,K=Ol(tt,c),le?xe(Er):k}function Qe(Er){var Pn=Er-Q,Zs=Er-ue,Hw=c-Pn;return he?Xr(Hw,B-Zs):Hw}function Ne(Er){var Pn=Er-Q,Zs=Er-ue;return Q===r||Pn>=c||Pn<0||he&&Zs>=B}function tt(){var Er=id();if(Ne(Er))return at(Er);K=Ol(tt,Qe(Er))}function at(Er){return K=r,ve&&x?xe(Er):(x=O=r,k)}function Ki(){K!==r&&L6(K),ue=0,x=Q=O=K=r}function di(){return K===r?k:at(id())}function Vi(){var Er=id(),Pn=Ne(Er);if(x=arguments,O=this,Q=Er,Pn){if(K===r)return Te(Q);if(he)return L6(K),K=Ol(tt,c),xe(Q)}return K===r&&(K=Ol(tt,c)),k}return Vi.cancel=Ki,Vi.flush=di,Vi}var uR=Xe(function(o,c){return p6(o,1,c)}),lR=Xe(function(o,c,p){return p6(o,hn(c)||0,p)});function fR(o){return Gs(o,X)}function nd(o,c){if(typeof o!="function"||c!=null&&typeof c!="function")throw new an(a);var p=function(){var x=arguments,O=c?c.apply(this,x):x[0],B=p.cache;if(B.has(O))return B.get(O);var k=o.apply(this,x);return p.cache=B.set(O,k)||B,k};return p.cache=new(nd.Cache||Vs),p}nd.Cache=Vs;function sd(o){if(typeof o!="function")throw new an(a);return function(){var c=arguments;switch(c.length){case 0:return!o.call(this);case 1:return!o.call(this,c[0]);case 2:return!o.call(this,c[0],c[1]);case 3:return!o.call(this,c[0],c[1],c[2])}return!o.apply(this,c)}}function hR(o){return _w(2,o)}var dR=ZD(function(o,c){c=c.length==1&&Ke(c[0])?cr(c[0],ji(Me())):cr(jr(c,1),ji(Me()));var p=c.length;return Xe(function(x){for(var O=-1,B=Xr(x.length,p);++O<B;)x[O]=c[O].call(this,x[O]);return ki(o,this,x)})}),cg=Xe(function(o,c){var p=Lo(c,kc(cg));return Gs(o,H,r,c,p)}),Iw=Xe(function(o,c){var p=Lo(c,kc(Iw));return Gs(o,ee,r,c,p)}),pR=Js(function(o,c){return Gs(o,q,r,r,r,c)});function gR(o,c){if(typeof o!="function")throw new an(a);return c=c===r?c:Ge(c),Xe(o,c)}function mR(o,c){if(typeof o!="function")throw new an(a);return c=c==null?0:Or(Ge(c),0),Xe(function(p){var x=p[c],O=$o(p,0,c);return x&&No(O,x),ki(o,this,O)})}function vR(o,c,p){var x=!0,O=!0;if(typeof o!="function")throw new an(a);return hr(p)&&(x="leading"in p?!!p.leading:x,O="trailing"in p?!!p.trailing:O),Sw(o,c,{leading:x,maxWait:c,trailing:O})}function bR(o){return ww(o,1)}function yR(o,c){return cg(V1(c),o)}function wR(){if(!arguments.length)return[];var o=arguments[0];return Ke(o)?o:[o]}function _R(o){return un(o,M)}function xR(o,c){return c=typeof c=="function"?c:r,un(o,M,c)}function ER(o){return un(o,w|M)}function AR(o,c){return c=typeof c=="function"?c:r,un(o,w|M,c)}function SR(o,c){return c==null||d6(o,c,Tr(c))}function Dn(o,c){return o===c||o!==o&&c!==c}var IR=Qh(N1),MR=Qh(function(o,c){return o>=c}),Ba=y6((function(){return arguments})())?y6:function(o){return gr(o)&&Jt.call(o,"callee")&&!s6.call(o,"callee")},Ke=re.isArray,CR=$y?ji($y):BD;function Oi(o){return o!=null&&od(o.length)&&!Qs(o)}function xr(o){return gr(o)&&Oi(o)}function DR(o){return o===!0||o===!1||gr(o)&&fi(o)==J}var ko=zC||yg,PR=ky?ji(ky):UD;function OR(o){return gr(o)&&o.nodeType===1&&!Rl(o)}function RR(o){if(o==null)return!0;if(Oi(o)&&(Ke(o)||typeof o=="string"||typeof o.splice=="function"||ko(o)||jc(o)||Ba(o)))return!o.length;var c=Zr(o);if(c==ne||c==Ye)return!o.size;if(Pl(o))return!U1(o).length;for(var p in o)if(Jt.call(o,p))return!1;return!0}function TR(o,c){return Ml(o,c)}function NR(o,c,p){p=typeof p=="function"?p:r;var x=p?p(o,c):r;return x===r?Ml(o,c,r,p):!!x}function ug(o){if(!gr(o))return!1;var c=fi(o);return c==se||c==ce||typeof o.message=="string"&&typeof o.name=="string"&&!Rl(o)}function LR(o){return typeof o=="number"&&a6(o)}function Qs(o){if(!hr(o))return!1;var c=fi(o);return c==ae||c==pe||c==G||c==Dt}function Mw(o){return typeof o=="number"&&o==Ge(o)}function od(o){return typeof o=="number"&&o>-1&&o%1==0&&o<=S}function hr(o){var c=typeof o;return o!=null&&(c=="object"||c=="function")}function gr(o){return o!=null&&typeof o=="object"}var Cw=jy?ji(jy):qD;function BR(o,c){return o===c||B1(o,c,Z1(c))}function UR(o,c,p){return p=typeof p=="function"?p:r,B1(o,c,Z1(c),p)}function FR(o){return Dw(o)&&o!=+o}function qR(o){if(xP(o))throw new ze(s);return w6(o)}function $R(o){return o===null}function kR(o){return o==null}function Dw(o){return typeof o=="number"||gr(o)&&fi(o)==de}function Rl(o){if(!gr(o)||fi(o)!=Ee)return!1;var c=Th(o);if(c===null)return!0;var p=Jt.call(c,"constructor")&&c.constructor;return typeof p=="function"&&p instanceof p&&Dh.call(p)==UC}var lg=zy?ji(zy):$D;function jR(o){return Mw(o)&&o>=-S&&o<=S}var Pw=Hy?ji(Hy):kD;function ad(o){return typeof o=="string"||!Ke(o)&&gr(o)&&fi(o)==lt}function Hi(o){return typeof o=="symbol"||gr(o)&&fi(o)==Ie}var jc=Ky?ji(Ky):jD;function zR(o){return o===r}function HR(o){return gr(o)&&Zr(o)==ft}function KR(o){return gr(o)&&fi(o)==Ue}var VR=Qh(F1),WR=Qh(function(o,c){return o<=c});function Ow(o){if(!o)return[];if(Oi(o))return ad(o)?Mn(o):Pi(o);if(yl&&o[yl])return SC(o[yl]());var c=Zr(o),p=c==ne?S1:c==Ye?Ih:zc;return p(o)}function Xs(o){if(!o)return o===0?o:0;if(o=hn(o),o===C||o===-C){var c=o<0?-1:1;return c*m}return o===o?o:0}function Ge(o){var c=Xs(o),p=c%1;return c===c?p?c-p:c:0}function Rw(o){return o?Ra(Ge(o),0,_):0}function hn(o){if(typeof o=="number")return o;if(Hi(o))return E;if(hr(o)){var c=typeof o.valueOf=="function"?o.valueOf():o;o=hr(c)?c+"":c}if(typeof o!="string")return o===0?o:+o;o=Qy(o);var p=Si.test(o);return p||Mi.test(o)?cC(o.slice(2),p?2:8):Ai.test(o)?E:+o}function Tw(o){return Zn(o,Ri(o))}function GR(o){return o?Ra(Ge(o),-S,S):o===0?o:0}function Ht(o){return o==null?"":zi(o)}var JR=qc(function(o,c){if(Pl(c)||Oi(c)){Zn(c,Tr(c),o);return}for(var p in c)Jt.call(c,p)&&Al(o,p,c[p])}),Nw=qc(function(o,c){Zn(c,Ri(c),o)}),cd=qc(function(o,c,p,x){Zn(c,Ri(c),o,x)}),YR=qc(function(o,c,p,x){Zn(c,Tr(c),o,x)}),QR=Js(O1);function XR(o,c){var p=Fc(o);return c==null?p:h6(p,c)}var ZR=Xe(function(o,c){o=Zt(o);var p=-1,x=c.length,O=x>2?c[2]:r;for(O&&hi(c[0],c[1],O)&&(x=1);++p<x;)for(var B=c[p],k=Ri(B),K=-1,Q=k.length;++K<Q;){var ue=k[K],le=o[ue];(le===r||Dn(le,Lc[ue])&&!Jt.call(o,ue))&&(o[ue]=B[ue])}return o}),eT=Xe(function(o){return o.push(r,Q6),ki(Lw,r,o)});function tT(o,c){return Wy(o,Me(c,3),Xn)}function rT(o,c){return Wy(o,Me(c,3),T1)}function iT(o,c){return o==null?o:R1(o,Me(c,3),Ri)}function nT(o,c){return o==null?o:v6(o,Me(c,3),Ri)}function sT(o,c){return o&&Xn(o,Me(c,3))}function oT(o,c){return o&&T1(o,Me(c,3))}function aT(o){return o==null?[]:zh(o,Tr(o))}function cT(o){return o==null?[]:zh(o,Ri(o))}function fg(o,c,p){var x=o==null?r:Ta(o,c);return x===r?p:x}function uT(o,c){return o!=null&&ew(o,c,RD)}function hg(o,c){return o!=null&&ew(o,c,TD)}var lT=V6(function(o,c,p){c!=null&&typeof c.toString!="function"&&(c=Ph.call(c)),o[c]=p},pg(Ti)),fT=V6(function(o,c,p){c!=null&&typeof c.toString!="function"&&(c=Ph.call(c)),Jt.call(o,c)?o[c].push(p):o[c]=[p]},Me),hT=Xe(Il);function Tr(o){return Oi(o)?l6(o):U1(o)}function Ri(o){return Oi(o)?l6(o,!0):zD(o)}function dT(o,c){var p={};return c=Me(c,3),Xn(o,function(x,O,B){Ws(p,c(x,O,B),x)}),p}function pT(o,c){var p={};return c=Me(c,3),Xn(o,function(x,O,B){Ws(p,O,c(x,O,B))}),p}var gT=qc(function(o,c,p){Hh(o,c,p)}),Lw=qc(function(o,c,p,x){Hh(o,c,p,x)}),mT=Js(function(o,c){var p={};if(o==null)return p;var x=!1;c=cr(c,function(B){return B=qo(B,o),x||(x=B.length>1),B}),Zn(o,Q1(o),p),x&&(p=un(p,w|I|M,lP));for(var O=c.length;O--;)z1(p,c[O]);return p});function vT(o,c){return Bw(o,sd(Me(c)))}var bT=Js(function(o,c){return o==null?{}:KD(o,c)});function Bw(o,c){if(o==null)return{};var p=cr(Q1(o),function(x){return[x]});return c=Me(c),M6(o,p,function(x,O){return c(x,O[0])})}function yT(o,c,p){c=qo(c,o);var x=-1,O=c.length;for(O||(O=1,o=r);++x<O;){var B=o==null?r:o[es(c[x])];B===r&&(x=O,B=p),o=Qs(B)?B.call(o):B}return o}function wT(o,c,p){return o==null?o:Cl(o,c,p)}function _T(o,c,p,x){return x=typeof x=="function"?x:r,o==null?o:Cl(o,c,p,x)}var Uw=J6(Tr),Fw=J6(Ri);function xT(o,c,p){var x=Ke(o),O=x||ko(o)||jc(o);if(c=Me(c,4),p==null){var B=o&&o.constructor;O?p=x?new B:[]:hr(o)?p=Qs(B)?Fc(Th(o)):{}:p={}}return(O?on:Xn)(o,function(k,K,Q){return c(p,k,K,Q)}),p}function ET(o,c){return o==null?!0:z1(o,c)}function AT(o,c,p){return o==null?o:R6(o,c,V1(p))}function ST(o,c,p,x){return x=typeof x=="function"?x:r,o==null?o:R6(o,c,V1(p),x)}function zc(o){return o==null?[]:A1(o,Tr(o))}function IT(o){return o==null?[]:A1(o,Ri(o))}function MT(o,c,p){return p===r&&(p=c,c=r),p!==r&&(p=hn(p),p=p===p?p:0),c!==r&&(c=hn(c),c=c===c?c:0),Ra(hn(o),c,p)}function CT(o,c,p){return c=Xs(c),p===r?(p=c,c=0):p=Xs(p),o=hn(o),ND(o,c,p)}function DT(o,c,p){if(p&&typeof p!="boolean"&&hi(o,c,p)&&(c=p=r),p===r&&(typeof c=="boolean"?(p=c,c=r):typeof o=="boolean"&&(p=o,o=r)),o===r&&c===r?(o=0,c=1):(o=Xs(o),c===r?(c=o,o=0):c=Xs(c)),o>c){var x=o;o=c,c=x}if(p||o%1||c%1){var O=c6();return Xr(o+O*(c-o+aC("1e-"+((O+"").length-1))),c)}return $1(o,c)}var PT=$c(function(o,c,p){return c=c.toLowerCase(),o+(p?qw(c):c)});function qw(o){return dg(Ht(o).toLowerCase())}function $w(o){return o=Ht(o),o&&o.replace(Di,wC).replace(QM,"")}function OT(o,c,p){o=Ht(o),c=zi(c);var x=o.length;p=p===r?x:Ra(Ge(p),0,x);var O=p;return p-=c.length,p>=0&&o.slice(p,O)==c}function RT(o){return o=Ht(o),o&&qe.test(o)?o.replace(St,_C):o}function TT(o){return o=Ht(o),o&&Ft.test(o)?o.replace(_t,"\\$&"):o}var NT=$c(function(o,c,p){return o+(p?"-":"")+c.toLowerCase()}),LT=$c(function(o,c,p){return o+(p?" ":"")+c.toLowerCase()}),BT=z6("toLowerCase");function UT(o,c,p){o=Ht(o),c=Ge(c);var x=c?Tc(o):0;if(!c||x>=c)return o;var O=(c-x)/2;return Yh(Uh(O),p)+o+Yh(Bh(O),p)}function FT(o,c,p){o=Ht(o),c=Ge(c);var x=c?Tc(o):0;return c&&x<c?o+Yh(c-x,p):o}function qT(o,c,p){o=Ht(o),c=Ge(c);var x=c?Tc(o):0;return c&&x<c?Yh(c-x,p)+o:o}function $T(o,c,p){return p||c==null?c=0:c&&(c=+c),WC(Ht(o).replace(Re,""),c||0)}function kT(o,c,p){return(p?hi(o,c,p):c===r)?c=1:c=Ge(c),k1(Ht(o),c)}function jT(){var o=arguments,c=Ht(o[0]);return o.length<3?c:c.replace(o[1],o[2])}var zT=$c(function(o,c,p){return o+(p?"_":"")+c.toLowerCase()});function HT(o,c,p){return p&&typeof p!="number"&&hi(o,c,p)&&(c=p=r),p=p===r?_:p>>>0,p?(o=Ht(o),o&&(typeof c=="string"||c!=null&&!lg(c))&&(c=zi(c),!c&&Rc(o))?$o(Mn(o),0,p):o.split(c,p)):[]}var KT=$c(function(o,c,p){return o+(p?" ":"")+dg(c)});function VT(o,c,p){return o=Ht(o),p=p==null?0:Ra(Ge(p),0,o.length),c=zi(c),o.slice(p,p+c.length)==c}function WT(o,c,p){var x=L.templateSettings;p&&hi(o,c,p)&&(c=r),o=Ht(o),c=cd({},c,x,Y6);var O=cd({},c.imports,x.imports,Y6),B=Tr(O),k=A1(O,B),K,Q,ue=0,le=c.interpolate||rn,he="__p += '",ve=I1((c.escape||rn).source+"|"+le.source+"|"+(le===Be?It:rn).source+"|"+(c.evaluate||rn).source+"|$","g"),xe="//# sourceURL="+(Jt.call(c,"sourceURL")?(c.sourceURL+"").replace(/\s/g," "):"lodash.templateSources["+ ++rC+"]")+`
+`;o.replace(ve,function(Ne,tt,at,Ki,di,Vi){return at||(at=Ki),he+=o.slice(ue,Vi).replace(qs,xC),tt&&(K=!0,he+=`' +
+__e(`+tt+`) +
+'`),di&&(Q=!0,he+=`';
+`+di+`;
+__p += '`),at&&(he+=`' +
+((__t = (`+at+`)) == null ? '' : __t) +
+'`),ue=Vi+Ne.length,Ne}),he+=`';
+`;var Te=Jt.call(c,"variable")&&c.variable;if(!Te)he=`with (obj) {
+`+he+`
+}
+`;else if(je.test(Te))throw new ze(u);he=(Q?he.replace(Fe,""):he).replace(Ot,"$1").replace(Rt,"$1;"),he="function("+(Te||"obj")+`) {
+`+(Te?"":`obj || (obj = {});
+`)+"var __t, __p = ''"+(K?", __e = _.escape":"")+(Q?`, __j = Array.prototype.join;
+function print() { __p += __j.call(arguments, '') }
+`:`;
+`)+he+`return __p
+}`;var Qe=jw(function(){return Mt(B,xe+"return "+he).apply(r,k)});if(Qe.source=he,ug(Qe))throw Qe;return Qe}function GT(o){return Ht(o).toLowerCase()}function JT(o){return Ht(o).toUpperCase()}function YT(o,c,p){if(o=Ht(o),o&&(p||c===r))return Qy(o);if(!o||!(c=zi(c)))return o;var x=Mn(o),O=Mn(c),B=Xy(x,O),k=Zy(x,O)+1;return $o(x,B,k).join("")}function QT(o,c,p){if(o=Ht(o),o&&(p||c===r))return o.slice(0,t6(o)+1);if(!o||!(c=zi(c)))return o;var x=Mn(o),O=Zy(x,Mn(c))+1;return $o(x,0,O).join("")}function XT(o,c,p){if(o=Ht(o),o&&(p||c===r))return o.replace(Re,"");if(!o||!(c=zi(c)))return o;var x=Mn(o),O=Xy(x,Mn(c));return $o(x,O).join("")}function ZT(o,c){var p=N,x=d;if(hr(c)){var O="separator"in c?c.separator:O;p="length"in c?Ge(c.length):p,x="omission"in c?zi(c.omission):x}o=Ht(o);var B=o.length;if(Rc(o)){var k=Mn(o);B=k.length}if(p>=B)return o;var K=p-Tc(x);if(K<1)return x;var Q=k?$o(k,0,K).join(""):o.slice(0,K);if(O===r)return Q+x;if(k&&(K+=Q.length-K),lg(O)){if(o.slice(K).search(O)){var ue,le=Q;for(O.global||(O=I1(O.source,Ht(xt.exec(O))+"g")),O.lastIndex=0;ue=O.exec(le);)var he=ue.index;Q=Q.slice(0,he===r?K:he)}}else if(o.indexOf(zi(O),K)!=K){var ve=Q.lastIndexOf(O);ve>-1&&(Q=Q.slice(0,ve))}return Q+x}function eN(o){return o=Ht(o),o&&Tt.test(o)?o.replace(Le,DC):o}var tN=$c(function(o,c,p){return o+(p?" ":"")+c.toUpperCase()}),dg=z6("toUpperCase");function kw(o,c,p){return o=Ht(o),c=p?r:c,c===r?AC(o)?RC(o):gC(o):o.match(c)||[]}var jw=Xe(function(o,c){try{return ki(o,r,c)}catch(p){return ug(p)?p:new ze(p)}}),rN=Js(function(o,c){return on(c,function(p){p=es(p),Ws(o,p,ag(o[p],o))}),o});function iN(o){var c=o==null?0:o.length,p=Me();return o=c?cr(o,function(x){if(typeof x[1]!="function")throw new an(a);return[p(x[0]),x[1]]}):[],Xe(function(x){for(var O=-1;++O<c;){var B=o[O];if(ki(B[0],this,x))return ki(B[1],this,x)}})}function nN(o){return DD(un(o,w))}function pg(o){return function(){return o}}function sN(o,c){return o==null||o!==o?c:o}var oN=K6(),aN=K6(!0);function Ti(o){return o}function gg(o){return _6(typeof o=="function"?o:un(o,w))}function cN(o){return E6(un(o,w))}function uN(o,c){return A6(o,un(c,w))}var lN=Xe(function(o,c){return function(p){return Il(p,o,c)}}),fN=Xe(function(o,c){return function(p){return Il(o,p,c)}});function mg(o,c,p){var x=Tr(c),O=zh(c,x);p==null&&!(hr(c)&&(O.length||!x.length))&&(p=c,c=o,o=this,O=zh(c,Tr(c)));var B=!(hr(p)&&"chain"in p)||!!p.chain,k=Qs(o);return on(O,function(K){var Q=c[K];o[K]=Q,k&&(o.prototype[K]=function(){var ue=this.__chain__;if(B||ue){var le=o(this.__wrapped__),he=le.__actions__=Pi(this.__actions__);return he.push({func:Q,args:arguments,thisArg:o}),le.__chain__=ue,le}return Q.apply(o,No([this.value()],arguments))})}),o}function hN(){return kr._===this&&(kr._=FC),this}function vg(){}function dN(o){return o=Ge(o),Xe(function(c){return S6(c,o)})}var pN=G1(cr),gN=G1(Vy),mN=G1(y1);function zw(o){return tg(o)?w1(es(o)):VD(o)}function vN(o){return function(c){return o==null?r:Ta(o,c)}}var bN=W6(),yN=W6(!0);function bg(){return[]}function yg(){return!1}function wN(){return{}}function _N(){return""}function xN(){return!0}function EN(o,c){if(o=Ge(o),o<1||o>S)return[];var p=_,x=Xr(o,_);c=Me(c),o-=_;for(var O=E1(x,c);++p<o;)c(p);return O}function AN(o){return Ke(o)?cr(o,es):Hi(o)?[o]:Pi(uw(Ht(o)))}function SN(o){var c=++BC;return Ht(o)+c}var IN=Jh(function(o,c){return o+c},0),MN=J1("ceil"),CN=Jh(function(o,c){return o/c},1),DN=J1("floor");function PN(o){return o&&o.length?jh(o,Ti,N1):r}function ON(o,c){return o&&o.length?jh(o,Me(c,2),N1):r}function RN(o){return Jy(o,Ti)}function TN(o,c){return Jy(o,Me(c,2))}function NN(o){return o&&o.length?jh(o,Ti,F1):r}function LN(o,c){return o&&o.length?jh(o,Me(c,2),F1):r}var BN=Jh(function(o,c){return o*c},1),UN=J1("round"),FN=Jh(function(o,c){return o-c},0);function qN(o){return o&&o.length?x1(o,Ti):0}function $N(o,c){return o&&o.length?x1(o,Me(c,2)):0}return L.after=cR,L.ary=ww,L.assign=JR,L.assignIn=Nw,L.assignInWith=cd,L.assignWith=YR,L.at=QR,L.before=_w,L.bind=ag,L.bindAll=rN,L.bindKey=xw,L.castArray=wR,L.chain=vw,L.chunk=DP,L.compact=PP,L.concat=OP,L.cond=iN,L.conforms=nN,L.constant=pg,L.countBy=qO,L.create=XR,L.curry=Ew,L.curryRight=Aw,L.debounce=Sw,L.defaults=ZR,L.defaultsDeep=eT,L.defer=uR,L.delay=lR,L.difference=RP,L.differenceBy=TP,L.differenceWith=NP,L.drop=LP,L.dropRight=BP,L.dropRightWhile=UP,L.dropWhile=FP,L.fill=qP,L.filter=kO,L.flatMap=HO,L.flatMapDeep=KO,L.flatMapDepth=VO,L.flatten=dw,L.flattenDeep=$P,L.flattenDepth=kP,L.flip=fR,L.flow=oN,L.flowRight=aN,L.fromPairs=jP,L.functions=aT,L.functionsIn=cT,L.groupBy=WO,L.initial=HP,L.intersection=KP,L.intersectionBy=VP,L.intersectionWith=WP,L.invert=lT,L.invertBy=fT,L.invokeMap=JO,L.iteratee=gg,L.keyBy=YO,L.keys=Tr,L.keysIn=Ri,L.map=rd,L.mapKeys=dT,L.mapValues=pT,L.matches=cN,L.matchesProperty=uN,L.memoize=nd,L.merge=gT,L.mergeWith=Lw,L.method=lN,L.methodOf=fN,L.mixin=mg,L.negate=sd,L.nthArg=dN,L.omit=mT,L.omitBy=vT,L.once=hR,L.orderBy=QO,L.over=pN,L.overArgs=dR,L.overEvery=gN,L.overSome=mN,L.partial=cg,L.partialRight=Iw,L.partition=XO,L.pick=bT,L.pickBy=Bw,L.property=zw,L.propertyOf=vN,L.pull=QP,L.pullAll=gw,L.pullAllBy=XP,L.pullAllWith=ZP,L.pullAt=eO,L.range=bN,L.rangeRight=yN,L.rearg=pR,L.reject=tR,L.remove=tO,L.rest=gR,L.reverse=sg,L.sampleSize=iR,L.set=wT,L.setWith=_T,L.shuffle=nR,L.slice=rO,L.sortBy=aR,L.sortedUniq=uO,L.sortedUniqBy=lO,L.split=HT,L.spread=mR,L.tail=fO,L.take=hO,L.takeRight=dO,L.takeRightWhile=pO,L.takeWhile=gO,L.tap=PO,L.throttle=vR,L.thru=td,L.toArray=Ow,L.toPairs=Uw,L.toPairsIn=Fw,L.toPath=AN,L.toPlainObject=Tw,L.transform=xT,L.unary=bR,L.union=mO,L.unionBy=vO,L.unionWith=bO,L.uniq=yO,L.uniqBy=wO,L.uniqWith=_O,L.unset=ET,L.unzip=og,L.unzipWith=mw,L.update=AT,L.updateWith=ST,L.values=zc,L.valuesIn=IT,L.without=xO,L.words=kw,L.wrap=yR,L.xor=EO,L.xorBy=AO,L.xorWith=SO,L.zip=IO,L.zipObject=MO,L.zipObjectDeep=CO,L.zipWith=DO,L.entries=Uw,L.entriesIn=Fw,L.extend=Nw,L.extendWith=cd,mg(L,L),L.add=IN,L.attempt=jw,L.camelCase=PT,L.capitalize=qw,L.ceil=MN,L.clamp=MT,L.clone=_R,L.cloneDeep=ER,L.cloneDeepWith=AR,L.cloneWith=xR,L.conformsTo=SR,L.deburr=$w,L.defaultTo=sN,L.divide=CN,L.endsWith=OT,L.eq=Dn,L.escape=RT,L.escapeRegExp=TT,L.every=$O,L.find=jO,L.findIndex=fw,L.findKey=tT,L.findLast=zO,L.findLastIndex=hw,L.findLastKey=rT,L.floor=DN,L.forEach=bw,L.forEachRight=yw,L.forIn=iT,L.forInRight=nT,L.forOwn=sT,L.forOwnRight=oT,L.get=fg,L.gt=IR,L.gte=MR,L.has=uT,L.hasIn=hg,L.head=pw,L.identity=Ti,L.includes=GO,L.indexOf=zP,L.inRange=CT,L.invoke=hT,L.isArguments=Ba,L.isArray=Ke,L.isArrayBuffer=CR,L.isArrayLike=Oi,L.isArrayLikeObject=xr,L.isBoolean=DR,L.isBuffer=ko,L.isDate=PR,L.isElement=OR,L.isEmpty=RR,L.isEqual=TR,L.isEqualWith=NR,L.isError=ug,L.isFinite=LR,L.isFunction=Qs,L.isInteger=Mw,L.isLength=od,L.isMap=Cw,L.isMatch=BR,L.isMatchWith=UR,L.isNaN=FR,L.isNative=qR,L.isNil=kR,L.isNull=$R,L.isNumber=Dw,L.isObject=hr,L.isObjectLike=gr,L.isPlainObject=Rl,L.isRegExp=lg,L.isSafeInteger=jR,L.isSet=Pw,L.isString=ad,L.isSymbol=Hi,L.isTypedArray=jc,L.isUndefined=zR,L.isWeakMap=HR,L.isWeakSet=KR,L.join=GP,L.kebabCase=NT,L.last=fn,L.lastIndexOf=JP,L.lowerCase=LT,L.lowerFirst=BT,L.lt=VR,L.lte=WR,L.max=PN,L.maxBy=ON,L.mean=RN,L.meanBy=TN,L.min=NN,L.minBy=LN,L.stubArray=bg,L.stubFalse=yg,L.stubObject=wN,L.stubString=_N,L.stubTrue=xN,L.multiply=BN,L.nth=YP,L.noConflict=hN,L.noop=vg,L.now=id,L.pad=UT,L.padEnd=FT,L.padStart=qT,L.parseInt=$T,L.random=DT,L.reduce=ZO,L.reduceRight=eR,L.repeat=kT,L.replace=jT,L.result=yT,L.round=UN,L.runInContext=Y,L.sample=rR,L.size=sR,L.snakeCase=zT,L.some=oR,L.sortedIndex=iO,L.sortedIndexBy=nO,L.sortedIndexOf=sO,L.sortedLastIndex=oO,L.sortedLastIndexBy=aO,L.sortedLastIndexOf=cO,L.startCase=KT,L.startsWith=VT,L.subtract=FN,L.sum=qN,L.sumBy=$N,L.template=WT,L.times=EN,L.toFinite=Xs,L.toInteger=Ge,L.toLength=Rw,L.toLower=GT,L.toNumber=hn,L.toSafeInteger=GR,L.toString=Ht,L.toUpper=JT,L.trim=YT,L.trimEnd=QT,L.trimStart=XT,L.truncate=ZT,L.unescape=eN,L.uniqueId=SN,L.upperCase=tN,L.upperFirst=dg,L.each=bw,L.eachRight=yw,L.first=pw,mg(L,(function(){var o={};return Xn(L,function(c,p){Jt.call(L.prototype,p)||(o[p]=c)}),o})(),{chain:!1}),L.VERSION=i,on(["bind","bindKey","curry","curryRight","partial","partialRight"],function(o){L[o].placeholder=L}),on(["drop","take"],function(o,c){rt.prototype[o]=function(p){p=p===r?1:Or(Ge(p),0);var x=this.__filtered__&&!c?new rt(this):this.clone();return x.__filtered__?x.__takeCount__=Xr(p,x.__takeCount__):x.__views__.push({size:Xr(p,_),type:o+(x.__dir__<0?"Right":"")}),x},rt.prototype[o+"Right"]=function(p){return this.reverse()[o](p).reverse()}}),on(["filter","map","takeWhile"],function(o,c){var p=c+1,x=p==g||p==A;rt.prototype[o]=function(O){var B=this.clone();return B.__iteratees__.push({iteratee:Me(O,3),type:p}),B.__filtered__=B.__filtered__||x,B}}),on(["head","last"],function(o,c){var p="take"+(c?"Right":"");rt.prototype[o]=function(){return this[p](1).value()[0]}}),on(["initial","tail"],function(o,c){var p="drop"+(c?"":"Right");rt.prototype[o]=function(){return this.__filtered__?new rt(this):this[p](1)}}),rt.prototype.compact=function(){return this.filter(Ti)},rt.prototype.find=function(o){return this.filter(o).head()},rt.prototype.findLast=function(o){return this.reverse().find(o)},rt.prototype.invokeMap=Xe(function(o,c){return typeof o=="function"?new rt(this):this.map(function(p){return Il(p,o,c)})}),rt.prototype.reject=function(o){return this.filter(sd(Me(o)))},rt.prototype.slice=function(o,c){o=Ge(o);var p=this;return p.__filtered__&&(o>0||c<0)?new rt(p):(o<0?p=p.takeRight(-o):o&&(p=p.drop(o)),c!==r&&(c=Ge(c),p=c<0?p.dropRight(-c):p.take(c-o)),p)},rt.prototype.takeRightWhile=function(o){return this.reverse().takeWhile(o).reverse()},rt.prototype.toArray=function(){return this.take(_)},Xn(rt.prototype,function(o,c){var p=/^(?:filter|find|map|reject)|While$/.test(c),x=/^(?:head|last)$/.test(c),O=L[x?"take"+(c=="last"?"Right":""):c],B=x||/^find/.test(c);O&&(L.prototype[c]=function(){var k=this.__wrapped__,K=x?[1]:arguments,Q=k instanceof rt,ue=K[0],le=Q||Ke(k),he=function(tt){var at=O.apply(L,No([tt],K));return x&&ve?at[0]:at};le&&p&&typeof ue=="function"&&ue.length!=1&&(Q=le=!1);var ve=this.__chain__,xe=!!this.__actions__.length,Te=B&&!ve,Qe=Q&&!xe;if(!B&&le){k=Qe?k:new rt(this);var Ne=o.apply(k,K);return Ne.__actions__.push({func:td,args:[he],thisArg:r}),new cn(Ne,ve)}return Te&&Qe?o.apply(this,K):(Ne=this.thru(he),Te?x?Ne.value()[0]:Ne.value():Ne)})}),on(["pop","push","shift","sort","splice","unshift"],function(o){var c=Mh[o],p=/^(?:push|sort|unshift)$/.test(o)?"tap":"thru",x=/^(?:pop|shift)$/.test(o);L.prototype[o]=function(){var O=arguments;if(x&&!this.__chain__){var B=this.value();return c.apply(Ke(B)?B:[],O)}return this[p](function(k){return c.apply(Ke(k)?k:[],O)})}}),Xn(rt.prototype,function(o,c){var p=L[c];if(p){var x=p.name+"";Jt.call(Uc,x)||(Uc[x]=[]),Uc[x].push({name:c,func:p})}}),Uc[Gh(r,F).name]=[{name:"wrapper",func:r}],rt.prototype.clone=eD,rt.prototype.reverse=tD,rt.prototype.value=rD,L.prototype.at=OO,L.prototype.chain=RO,L.prototype.commit=TO,L.prototype.next=NO,L.prototype.plant=BO,L.prototype.reverse=UO,L.prototype.toJSON=L.prototype.valueOf=L.prototype.value=FO,L.prototype.first=L.prototype.head,yl&&(L.prototype[yl]=LO),L},Nc=TC();Ca?((Ca.exports=Nc)._=Nc,g1._=Nc):kr._=Nc}).call(Hf)})(mb,mb.exports);var aY=Object.defineProperty,cY=Object.defineProperties,uY=Object.getOwnPropertyDescriptors,mA=Object.getOwnPropertySymbols,lY=Object.prototype.hasOwnProperty,fY=Object.prototype.propertyIsEnumerable,vA=(t,e,r)=>e in t?aY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,Ap=(t,e)=>{for(var r in e||(e={}))lY.call(e,r)&&vA(t,r,e[r]);if(mA)for(var r of mA(e))fY.call(e,r)&&vA(t,r,e[r]);return t},hY=(t,e)=>cY(t,uY(e));function Wn(t,e,r){var i;let n=Xa(t);return((i=e.rpcMap)==null?void 0:i[n.reference])||`${MA}?chainId=${n.namespace}:${n.reference}&projectId=${r}`}function hc(t){return t.includes(":")?t.split(":")[1]:t}function CA(t){return t.map(e=>`${e.split(":")[0]}:${e.split(":")[1]}`)}function dY(t,e){let r=Object.keys(e.namespaces).filter(n=>n.includes(t));if(!r.length)return[];let i=[];return r.forEach(n=>{let s=e.namespaces[n].accounts;i.push(...s)}),i}function hb(t={},e={}){let r=bA(t),i=bA(e);return mb.exports.merge(r,i)}function bA(t){var e,r,i,n;let s={};if(!rc(t))return s;for(let[a,u]of Object.entries(t)){let h=E0(a)?[a]:u.chains,f=u.methods||[],v=u.events||[],w=u.rpcMap||{},I=qu(a);s[I]=hY(Ap(Ap({},s[I]),u),{chains:mf(h,(e=s[I])==null?void 0:e.chains),methods:mf(f,(r=s[I])==null?void 0:r.methods),events:mf(v,(i=s[I])==null?void 0:i.events),rpcMap:Ap(Ap({},w),(n=s[I])==null?void 0:n.rpcMap)})}return s}function pY(t){return t.includes(":")?t.split(":")[2]:t}function yA(t){let e={};for(let[r,i]of Object.entries(t)){let n=i.methods||[],s=i.events||[],a=i.accounts||[],u=E0(r)?[r]:i.chains?i.chains:CA(i.accounts);e[r]={chains:u,methods:n,events:s,accounts:a}}return e}function db(t){return typeof t=="number"?t:t.includes("0x")?parseInt(t,16):(t=t.includes(":")?t.split(":")[1]:t,isNaN(Number(t))?t:Number(t))}var DA={},Vt=t=>DA[t],pb=(t,e)=>{DA[t]=e},vb=class{constructor(e){this.name="polkadot",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}getAccounts(){let e=this.namespace.accounts;return e?e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2])||[]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=hc(r);e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},gY=Object.defineProperty,mY=Object.defineProperties,vY=Object.getOwnPropertyDescriptors,wA=Object.getOwnPropertySymbols,bY=Object.prototype.hasOwnProperty,yY=Object.prototype.propertyIsEnumerable,_A=(t,e,r)=>e in t?gY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,xA=(t,e)=>{for(var r in e||(e={}))bY.call(e,r)&&_A(t,r,e[r]);if(wA)for(var r of wA(e))yY.call(e,r)&&_A(t,r,e[r]);return t},EA=(t,e)=>mY(t,vY(e)),bb=class{constructor(e){this.name="eip155",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.httpProviders=this.createHttpProviders(),this.chainId=parseInt(this.getDefaultChain())}async request(e){switch(e.request.method){case"eth_requestAccounts":return this.getAccounts();case"eth_accounts":return this.getAccounts();case"wallet_switchEthereumChain":return await this.handleSwitchChain(e);case"eth_chainId":return parseInt(this.getDefaultChain());case"wallet_getCapabilities":return await this.getCapabilities(e);case"wallet_getCallsStatus":return await this.getCallStatus(e)}return this.namespace.methods.includes(e.request.method)?await this.client.request(e):this.getHttpProvider().request(e.request)}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(parseInt(e),r),this.chainId=parseInt(e),this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}requestAccounts(){return this.getAccounts()}getDefaultChain(){if(this.chainId)return this.chainId.toString();if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}createHttpProvider(e,r){let i=r||Wn(`${this.name}:${e}`,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=parseInt(hc(r));e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}getHttpProvider(){let e=this.chainId,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}async handleSwitchChain(e){var r,i;let n=e.request.params?(r=e.request.params[0])==null?void 0:r.chainId:"0x0";n=n.startsWith("0x")?n:`0x${n}`;let s=parseInt(n,16);if(this.isChainApproved(s))this.setDefaultChain(`${s}`);else if(this.namespace.methods.includes("wallet_switchEthereumChain"))await this.client.request({topic:e.topic,request:{method:e.request.method,params:[{chainId:n}]},chainId:(i=this.namespace.chains)==null?void 0:i[0]}),this.setDefaultChain(`${s}`);else throw new Error(`Failed to switch to chain 'eip155:${s}'. The chain is not approved or the wallet does not support 'wallet_switchEthereumChain' method.`);return null}isChainApproved(e){return this.namespace.chains.includes(`${this.name}:${e}`)}async getCapabilities(e){var r,i,n;let s=(i=(r=e.request)==null?void 0:r.params)==null?void 0:i[0];if(!s)throw new Error("Missing address parameter in `wallet_getCapabilities` request");let a=this.client.session.get(e.topic),u=((n=a?.sessionProperties)==null?void 0:n.capabilities)||{};if(u!=null&&u[s])return u?.[s];let h=await this.client.request(e);try{await this.client.session.update(e.topic,{sessionProperties:EA(xA({},a.sessionProperties||{}),{capabilities:EA(xA({},u||{}),{[s]:h})})})}catch(f){console.warn("Failed to update session with capabilities",f)}return h}async getCallStatus(e){var r,i;let n=this.client.session.get(e.topic),s=(r=n.sessionProperties)==null?void 0:r.bundler_name;if(s){let u=this.getBundlerUrl(e.chainId,s);try{return await this.getUserOperationReceipt(u,e)}catch(h){console.warn("Failed to fetch call status from bundler",h,u)}}let a=(i=n.sessionProperties)==null?void 0:i.bundler_url;if(a)try{return await this.getUserOperationReceipt(a,e)}catch(u){console.warn("Failed to fetch call status from custom bundler",u,a)}if(this.namespace.methods.includes(e.request.method))return await this.client.request(e);throw new Error("Fetching call status not approved by the wallet.")}async getUserOperationReceipt(e,r){var i;let n=new URL(e),s=await fetch(n,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(Zi("eth_getUserOperationReceipt",[(i=r.request.params)==null?void 0:i[0]]))});if(!s.ok)throw new Error(`Failed to fetch user operation receipt - ${s.status}`);return await s.json()}getBundlerUrl(e,r){return`${oY}?projectId=${this.client.core.projectId}&chainId=${e}&bundler=${r}`}},yb=class{constructor(e){this.name="solana",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=hc(r);e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},wb=class{constructor(e){this.name="cosmos",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${this.chainId}`)}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=hc(r);e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},_b=class{constructor(e){this.name="algorand",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){if(!this.httpProviders[e]){let i=r||Wn(`${this.name}:${e}`,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);this.setHttpProvider(e,i)}this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${this.chainId}`)}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;e[r]=this.createHttpProvider(r,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);return typeof i>"u"?void 0:new yi(new $i(i,Vt("disableProviderPing")))}},xb=class{constructor(e){this.name="cip34",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${this.chainId}`)}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{let i=this.getCardanoRPCUrl(r),n=hc(r);e[n]=this.createHttpProvider(n,i)}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}getCardanoRPCUrl(e){let r=this.namespace.rpcMap;if(r)return r[e]}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||this.getCardanoRPCUrl(e);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},Eb=class{constructor(e){this.name="elrond",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=hc(r);e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},Ab=class{constructor(e){this.name="multiversx",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;let n=hc(r);e[n]=this.createHttpProvider(n,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},Sb=class{constructor(e){this.name="near",this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace=Object.assign(this.namespace,e)}requestAccounts(){return this.getAccounts()}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider().request(e.request)}setDefaultChain(e,r){if(this.chainId=e,!this.httpProviders[e]){let i=r||Wn(`${this.name}:${e}`,this.namespace);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);this.setHttpProvider(e,i)}this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${this.chainId}`)}getAccounts(){let e=this.namespace.accounts;return e?e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2])||[]:[]}createHttpProviders(){let e={};return this.namespace.chains.forEach(r=>{var i;e[r]=this.createHttpProvider(r,(i=this.namespace.rpcMap)==null?void 0:i[r])}),e}getHttpProvider(){let e=`${this.name}:${this.chainId}`,r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace);return typeof i>"u"?void 0:new yi(new $i(i,Vt("disableProviderPing")))}},Ib=class{constructor(e){this.name=Qu,this.namespace=e.namespace,this.events=Vt("events"),this.client=Vt("client"),this.chainId=this.getDefaultChain(),this.httpProviders=this.createHttpProviders()}updateNamespace(e){this.namespace.chains=[...new Set((this.namespace.chains||[]).concat(e.chains||[]))],this.namespace.accounts=[...new Set((this.namespace.accounts||[]).concat(e.accounts||[]))],this.namespace.methods=[...new Set((this.namespace.methods||[]).concat(e.methods||[]))],this.namespace.events=[...new Set((this.namespace.events||[]).concat(e.events||[]))],this.httpProviders=this.createHttpProviders()}requestAccounts(){return this.getAccounts()}request(e){return this.namespace.methods.includes(e.request.method)?this.client.request(e):this.getHttpProvider(e.chainId).request(e.request)}setDefaultChain(e,r){this.httpProviders[e]||this.setHttpProvider(e,r),this.chainId=e,this.events.emit(Gn.DEFAULT_CHAIN_CHANGED,`${this.name}:${e}`)}getDefaultChain(){if(this.chainId)return this.chainId;if(this.namespace.defaultChain)return this.namespace.defaultChain;let e=this.namespace.chains[0];if(!e)throw new Error("ChainId not found");return e.split(":")[1]}getAccounts(){let e=this.namespace.accounts;return e?[...new Set(e.filter(r=>r.split(":")[1]===this.chainId.toString()).map(r=>r.split(":")[2]))]:[]}createHttpProviders(){var e,r;let i={};return(r=(e=this.namespace)==null?void 0:e.accounts)==null||r.forEach(n=>{let s=Xa(n);i[`${s.namespace}:${s.reference}`]=this.createHttpProvider(n)}),i}getHttpProvider(e){let r=this.httpProviders[e];if(typeof r>"u")throw new Error(`JSON-RPC provider for ${e} not found`);return r}setHttpProvider(e,r){let i=this.createHttpProvider(e,r);i&&(this.httpProviders[e]=i)}createHttpProvider(e,r){let i=r||Wn(e,this.namespace,this.client.core.projectId);if(!i)throw new Error(`No RPC url provided for chainId: ${e}`);return new yi(new $i(i,Vt("disableProviderPing")))}},wY=Object.defineProperty,_Y=Object.defineProperties,xY=Object.getOwnPropertyDescriptors,AA=Object.getOwnPropertySymbols,EY=Object.prototype.hasOwnProperty,AY=Object.prototype.propertyIsEnumerable,SA=(t,e,r)=>e in t?wY(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,Sp=(t,e)=>{for(var r in e||(e={}))EY.call(e,r)&&SA(t,r,e[r]);if(AA)for(var r of AA(e))AY.call(e,r)&&SA(t,r,e[r]);return t},gb=(t,e)=>_Y(t,xY(e)),Mb=class t{constructor(e){this.events=new IA.default,this.rpcProviders={},this.shouldAbortPairingAttempt=!1,this.maxPairingAttempts=10,this.disableProviderPing=!1,this.providerOpts=e,this.logger=typeof e?.logger<"u"&&typeof e?.logger!="string"?e.logger:(0,sc.default)(oc({level:e?.logger||pA})),this.disableProviderPing=e?.disableProviderPing||!1}static async init(e){let r=new t(e);return await r.initialize(),r}async request(e,r,i){let[n,s]=this.validateChain(r);if(!this.session)throw new Error("Please call connect() before request()");return await this.getProvider(n).request({request:Sp({},e),chainId:`${n}:${s}`,topic:this.session.topic,expiry:i})}sendAsync(e,r,i,n){let s=new Date().getTime();this.request(e,i,n).then(a=>r(null,oa(s,a))).catch(a=>r(a,void 0))}async enable(){if(!this.client)throw new Error("Sign Client not initialized");return this.session||await this.connect({namespaces:this.namespaces,optionalNamespaces:this.optionalNamespaces,sessionProperties:this.sessionProperties}),await this.requestAccounts()}async disconnect(){var e;if(!this.session)throw new Error("Please call connect() before enable()");await this.client.disconnect({topic:(e=this.session)==null?void 0:e.topic,reason:dt("USER_DISCONNECTED")}),await this.cleanup()}async connect(e){if(!this.client)throw new Error("Sign Client not initialized");if(this.setNamespaces(e),await this.cleanupPendingPairings(),!e.skipPairing)return await this.pair(e.pairingTopic)}async authenticate(e,r){if(!this.client)throw new Error("Sign Client not initialized");this.setNamespaces(e),await this.cleanupPendingPairings();let{uri:i,response:n}=await this.client.authenticate(e,r);i&&(this.uri=i,this.events.emit("display_uri",i));let s=await n();if(this.session=s.session,this.session){let a=yA(this.session.namespaces);this.namespaces=hb(this.namespaces,a),this.persist("namespaces",this.namespaces),this.onConnect()}return s}on(e,r){this.events.on(e,r)}once(e,r){this.events.once(e,r)}removeListener(e,r){this.events.removeListener(e,r)}off(e,r){this.events.off(e,r)}get isWalletConnect(){return!0}async pair(e){this.shouldAbortPairingAttempt=!1;let r=0;do{if(this.shouldAbortPairingAttempt)throw new Error("Pairing aborted");if(r>=this.maxPairingAttempts)throw new Error("Max auto pairing attempts reached");let{uri:i,approval:n}=await this.client.connect({pairingTopic:e,requiredNamespaces:this.namespaces,optionalNamespaces:this.optionalNamespaces,sessionProperties:this.sessionProperties});i&&(this.uri=i,this.events.emit("display_uri",i)),await n().then(s=>{this.session=s;let a=yA(s.namespaces);this.namespaces=hb(this.namespaces,a),this.persist("namespaces",this.namespaces)}).catch(s=>{if(s.message!==lb)throw s;r++})}while(!this.session);return this.onConnect(),this.session}setDefaultChain(e,r){try{if(!this.session)return;let[i,n]=this.validateChain(e),s=this.getProvider(i);s.name===Qu?s.setDefaultChain(`${i}:${n}`,r):s.setDefaultChain(n,r)}catch(i){if(!/Please call connect/.test(i.message))throw i}}async cleanupPendingPairings(e={}){this.logger.info("Cleaning up inactive pairings...");let r=this.client.pairing.getAll();if(Xi(r)){for(let i of r)e.deletePairings?this.client.core.expirer.set(i.topic,0):await this.client.core.relayer.subscriber.unsubscribe(i.topic);this.logger.info(`Inactive pairings cleared: ${r.length}`)}}abortPairingAttempt(){this.shouldAbortPairingAttempt=!0}async checkStorage(){if(this.namespaces=await this.getFromStore("namespaces"),this.optionalNamespaces=await this.getFromStore("optionalNamespaces")||{},this.client.session.length){let e=this.client.session.keys.length-1;this.session=this.client.session.get(this.client.session.keys[e]),this.createProviders()}}async initialize(){this.logger.trace("Initialized"),await this.createClient(),await this.checkStorage(),this.registerEventListeners()}async createClient(){this.client=this.providerOpts.client||await yp.init({core:this.providerOpts.core,logger:this.providerOpts.logger||pA,relayUrl:this.providerOpts.relayUrl||iY,projectId:this.providerOpts.projectId,metadata:this.providerOpts.metadata,storageOptions:this.providerOpts.storageOptions,storage:this.providerOpts.storage,name:this.providerOpts.name,customStoragePrefix:this.providerOpts.customStoragePrefix,telemetryEnabled:this.providerOpts.telemetryEnabled}),this.logger.trace("SignClient Initialized")}createProviders(){if(!this.client)throw new Error("Sign Client not initialized");if(!this.session)throw new Error("Session not initialized. Please call connect() before enable()");let e=[...new Set(Object.keys(this.session.namespaces).map(r=>qu(r)))];pb("client",this.client),pb("events",this.events),pb("disableProviderPing",this.disableProviderPing),e.forEach(r=>{if(!this.session)return;let i=dY(r,this.session),n=CA(i),s=hb(this.namespaces,this.optionalNamespaces),a=gb(Sp({},s[r]),{accounts:i,chains:n});switch(r){case"eip155":this.rpcProviders[r]=new bb({namespace:a});break;case"algorand":this.rpcProviders[r]=new _b({namespace:a});break;case"solana":this.rpcProviders[r]=new yb({namespace:a});break;case"cosmos":this.rpcProviders[r]=new wb({namespace:a});break;case"polkadot":this.rpcProviders[r]=new vb({namespace:a});break;case"cip34":this.rpcProviders[r]=new xb({namespace:a});break;case"elrond":this.rpcProviders[r]=new Eb({namespace:a});break;case"multiversx":this.rpcProviders[r]=new Ab({namespace:a});break;case"near":this.rpcProviders[r]=new Sb({namespace:a});break;default:this.rpcProviders[Qu]?this.rpcProviders[Qu].updateNamespace(a):this.rpcProviders[Qu]=new Ib({namespace:a})}})}registerEventListeners(){if(typeof this.client>"u")throw new Error("Sign Client is not initialized");this.client.on("session_ping",e=>{this.events.emit("session_ping",e)}),this.client.on("session_event",e=>{let{params:r}=e,{event:i}=r;if(i.name==="accountsChanged"){let n=i.data;n&&Xi(n)&&this.events.emit("accountsChanged",n.map(pY))}else if(i.name==="chainChanged"){let n=r.chainId,s=r.event.data,a=qu(n),u=db(n)!==db(s)?`${a}:${db(s)}`:n;this.onChainChanged(u)}else this.events.emit(i.name,i.data);this.events.emit("session_event",e)}),this.client.on("session_update",({topic:e,params:r})=>{var i;let{namespaces:n}=r,s=(i=this.client)==null?void 0:i.session.get(e);this.session=gb(Sp({},s),{namespaces:n}),this.onSessionUpdate(),this.events.emit("session_update",{topic:e,params:r})}),this.client.on("session_delete",async e=>{await this.cleanup(),this.events.emit("session_delete",e),this.events.emit("disconnect",gb(Sp({},dt("USER_DISCONNECTED")),{data:e.topic}))}),this.on(Gn.DEFAULT_CHAIN_CHANGED,e=>{this.onChainChanged(e,!0)})}getProvider(e){return this.rpcProviders[e]||this.rpcProviders[Qu]}onSessionUpdate(){Object.keys(this.rpcProviders).forEach(e=>{var r;this.getProvider(e).updateNamespace((r=this.session)==null?void 0:r.namespaces[e])})}setNamespaces(e){let{namespaces:r,optionalNamespaces:i,sessionProperties:n}=e;r&&Object.keys(r).length&&(this.namespaces=r),i&&Object.keys(i).length&&(this.optionalNamespaces=i),this.sessionProperties=n,this.persist("namespaces",r),this.persist("optionalNamespaces",i)}validateChain(e){let[r,i]=e?.split(":")||["",""];if(!this.namespaces||!Object.keys(this.namespaces).length)return[r,i];if(r&&!Object.keys(this.namespaces||{}).map(a=>qu(a)).includes(r))throw new Error(`Namespace '${r}' is not configured. Please call connect() first with namespace config.`);if(r&&i)return[r,i];let n=qu(Object.keys(this.namespaces)[0]),s=this.rpcProviders[n].getDefaultChain();return[n,s]}async requestAccounts(){let[e]=this.validateChain();return await this.getProvider(e).requestAccounts()}onChainChanged(e,r=!1){if(!this.namespaces)return;let[i,n]=this.validateChain(e);n&&(r||this.getProvider(i).setDefaultChain(n),this.namespaces[i]?this.namespaces[i].defaultChain=n:this.namespaces[`${i}:${n}`]?this.namespaces[`${i}:${n}`].defaultChain=n:this.namespaces[`${i}:${n}`]={defaultChain:n},this.persist("namespaces",this.namespaces),this.events.emit("chainChanged",n))}onConnect(){this.createProviders(),this.events.emit("connect",{session:this.session})}async cleanup(){this.session=void 0,this.namespaces=void 0,this.optionalNamespaces=void 0,this.sessionProperties=void 0,this.persist("namespaces",void 0),this.persist("optionalNamespaces",void 0),this.persist("sessionProperties",void 0),await this.cleanupPendingPairings({deletePairings:!0})}persist(e,r){this.client.core.storage.setItem(`${gA}/${e}`,r)}async getFromStore(e){return await this.client.core.storage.getItem(`${gA}/${e}`)}},PA=Mb;var Eee="wc",Aee="ethereum_provider",See=`${Eee}@2:${Aee}:`,Iee="https://rpc.walletconnect.org/v1/",wy=["eth_sendTransaction","personal_sign"],Mee=["eth_accounts","eth_requestAccounts","eth_sendRawTransaction","eth_sign","eth_signTransaction","eth_signTypedData","eth_signTypedData_v3","eth_signTypedData_v4","eth_sendTransaction","personal_sign","wallet_switchEthereumChain","wallet_addEthereumChain","wallet_getPermissions","wallet_requestPermissions","wallet_registerOnboarding","wallet_watchAsset","wallet_scanQRCode","wallet_sendCalls","wallet_getCapabilities","wallet_getCallsStatus","wallet_showCallsStatus"],_y=["chainChanged","accountsChanged"],Cee=["chainChanged","accountsChanged","message","disconnect","connect"],Dee=Object.defineProperty,Pee=Object.defineProperties,Oee=Object.getOwnPropertyDescriptors,FM=Object.getOwnPropertySymbols,Ree=Object.prototype.hasOwnProperty,Tee=Object.prototype.propertyIsEnumerable,qM=(t,e,r)=>e in t?Dee(t,e,{enumerable:!0,configurable:!0,writable:!0,value:r}):t[e]=r,gl=(t,e)=>{for(var r in e||(e={}))Ree.call(e,r)&&qM(t,r,e[r]);if(FM)for(var r of FM(e))Tee.call(e,r)&&qM(t,r,e[r]);return t},yy=(t,e)=>Pee(t,Oee(e));function u1(t){return Number(t[0].split(":")[1])}function c1(t){return`0x${t.toString(16)}`}function Nee(t){let{chains:e,optionalChains:r,methods:i,optionalMethods:n,events:s,optionalEvents:a,rpcMap:u}=t;if(!Xi(e))throw new Error("Invalid chains");let h={chains:e,methods:i||wy,events:s||_y,rpcMap:gl({},e.length?{[u1(e)]:u[u1(e)]}:{})},f=s?.filter(M=>!_y.includes(M)),v=i?.filter(M=>!wy.includes(M));if(!r&&!a&&!n&&!(f!=null&&f.length)&&!(v!=null&&v.length))return{required:e.length?h:void 0};let w=f?.length&&v?.length||!r,I={chains:[...new Set(w?h.chains.concat(r||[]):r)],methods:[...new Set(h.methods.concat(n!=null&&n.length?n:Mee))],events:[...new Set(h.events.concat(a!=null&&a.length?a:Cee))],rpcMap:u};return{required:e.length?h:void 0,optional:r.length?I:void 0}}var xy=class t{constructor(){this.events=new $M.EventEmitter,this.namespace="eip155",this.accounts=[],this.chainId=1,this.STORAGE_KEY=See,this.on=(e,r)=>(this.events.on(e,r),this),this.once=(e,r)=>(this.events.once(e,r),this),this.removeListener=(e,r)=>(this.events.removeListener(e,r),this),this.off=(e,r)=>(this.events.off(e,r),this),this.parseAccount=e=>this.isCompatibleChainId(e)?this.parseAccountId(e).address:e,this.signer={},this.rpc={}}static async init(e){let r=new t;return await r.initialize(e),r}async request(e,r){return await this.signer.request(e,this.formatChainId(this.chainId),r)}sendAsync(e,r,i){this.signer.sendAsync(e,r,this.formatChainId(this.chainId),i)}get connected(){return this.signer.client?this.signer.client.core.relayer.connected:!1}get connecting(){return this.signer.client?this.signer.client.core.relayer.connecting:!1}async enable(){return this.session||await this.connect(),await this.request({method:"eth_requestAccounts"})}async connect(e){if(!this.signer.client)throw new Error("Provider not initialized. Call init() first");this.loadConnectOpts(e);let{required:r,optional:i}=Nee(this.rpc);try{let n=await new Promise(async(a,u)=>{var h;this.rpc.showQrModal&&((h=this.modal)==null||h.subscribeModal(f=>{!f.open&&!this.signer.session&&(this.signer.abortPairingAttempt(),u(new Error("Connection request reset. Please try again.")))})),await this.signer.connect(yy(gl({namespaces:gl({},r&&{[this.namespace]:r})},i&&{optionalNamespaces:{[this.namespace]:i}}),{pairingTopic:e?.pairingTopic})).then(f=>{a(f)}).catch(f=>{u(new Error(f.message))})});if(!n)return;let s=yv(n.namespaces,[this.namespace]);this.setChainIds(this.rpc.chains.length?this.rpc.chains:s),this.setAccounts(s),this.events.emit("connect",{chainId:c1(this.chainId)})}catch(n){throw this.signer.logger.error(n),n}finally{this.modal&&this.modal.closeModal()}}async authenticate(e,r){if(!this.signer.client)throw new Error("Provider not initialized. Call init() first");this.loadConnectOpts({chains:e?.chains});try{let i=await new Promise(async(s,a)=>{var u;this.rpc.showQrModal&&((u=this.modal)==null||u.subscribeModal(h=>{!h.open&&!this.signer.session&&(this.signer.abortPairingAttempt(),a(new Error("Connection request reset. Please try again.")))})),await this.signer.authenticate(yy(gl({},e),{chains:this.rpc.chains}),r).then(h=>{s(h)}).catch(h=>{a(new Error(h.message))})}),n=i.session;if(n){let s=yv(n.namespaces,[this.namespace]);this.setChainIds(this.rpc.chains.length?this.rpc.chains:s),this.setAccounts(s),this.events.emit("connect",{chainId:c1(this.chainId)})}return i}catch(i){throw this.signer.logger.error(i),i}finally{this.modal&&this.modal.closeModal()}}async disconnect(){this.session&&await this.signer.disconnect(),this.reset()}get isWalletConnect(){return!0}get session(){return this.signer.session}registerEventListeners(){this.signer.on("session_event",e=>{let{params:r}=e,{event:i}=r;i.name==="accountsChanged"?(this.accounts=this.parseAccounts(i.data),this.events.emit("accountsChanged",this.accounts)):i.name==="chainChanged"?this.setChainId(this.formatChainId(i.data)):this.events.emit(i.name,i.data),this.events.emit("session_event",e)}),this.signer.on("chainChanged",e=>{let r=parseInt(e);this.chainId=r,this.events.emit("chainChanged",c1(this.chainId)),this.persist()}),this.signer.on("session_update",e=>{this.events.emit("session_update",e)}),this.signer.on("session_delete",e=>{this.reset(),this.events.emit("session_delete",e),this.events.emit("disconnect",yy(gl({},dt("USER_DISCONNECTED")),{data:e.topic,name:"USER_DISCONNECTED"}))}),this.signer.on("display_uri",e=>{var r,i;this.rpc.showQrModal&&((r=this.modal)==null||r.closeModal(),(i=this.modal)==null||i.openModal({uri:e})),this.events.emit("display_uri",e)})}switchEthereumChain(e){this.request({method:"wallet_switchEthereumChain",params:[{chainId:e.toString(16)}]})}isCompatibleChainId(e){return typeof e=="string"?e.startsWith(`${this.namespace}:`):!1}formatChainId(e){return`${this.namespace}:${e}`}parseChainId(e){return Number(e.split(":")[1])}setChainIds(e){let r=e.filter(i=>this.isCompatibleChainId(i)).map(i=>this.parseChainId(i));r.length&&(this.chainId=r[0],this.events.emit("chainChanged",c1(this.chainId)),this.persist())}setChainId(e){if(this.isCompatibleChainId(e)){let r=this.parseChainId(e);this.chainId=r,this.switchEthereumChain(r)}}parseAccountId(e){let[r,i,n]=e.split(":");return{chainId:`${r}:${i}`,address:n}}setAccounts(e){this.accounts=e.filter(r=>this.parseChainId(this.parseAccountId(r).chainId)===this.chainId).map(r=>this.parseAccountId(r).address),this.events.emit("accountsChanged",this.accounts)}getRpcConfig(e){var r,i;let n=(r=e?.chains)!=null?r:[],s=(i=e?.optionalChains)!=null?i:[],a=n.concat(s);if(!a.length)throw new Error("No chains specified in either `chains` or `optionalChains`");let u=n.length?e?.methods||wy:[],h=n.length?e?.events||_y:[],f=e?.optionalMethods||[],v=e?.optionalEvents||[],w=e?.rpcMap||this.buildRpcMap(a,e.projectId),I=e?.qrModalOptions||void 0;return{chains:n?.map(M=>this.formatChainId(M)),optionalChains:s.map(M=>this.formatChainId(M)),methods:u,events:h,optionalMethods:f,optionalEvents:v,rpcMap:w,showQrModal:!!(e!=null&&e.showQrModal),qrModalOptions:I,projectId:e.projectId,metadata:e.metadata}}buildRpcMap(e,r){let i={};return e.forEach(n=>{i[n]=this.getRpcUrl(n,r)}),i}async initialize(e){if(this.rpc=this.getRpcConfig(e),this.chainId=this.rpc.chains.length?u1(this.rpc.chains):u1(this.rpc.optionalChains),this.signer=await PA.init({projectId:this.rpc.projectId,metadata:this.rpc.metadata,disableProviderPing:e.disableProviderPing,relayUrl:e.relayUrl,storageOptions:e.storageOptions,customStoragePrefix:e.customStoragePrefix,telemetryEnabled:e.telemetryEnabled}),this.registerEventListeners(),await this.loadPersistedSession(),this.rpc.showQrModal){let r;try{let{WalletConnectModal:i}=await Promise.resolve().then(()=>(UM(),BM));r=i}catch{throw new Error("To use QR modal, please install @walletconnect/modal package")}if(r)try{this.modal=new r(gl({projectId:this.rpc.projectId},this.rpc.qrModalOptions))}catch(i){throw this.signer.logger.error(i),new Error("Could not generate WalletConnectModal Instance")}}}loadConnectOpts(e){if(!e)return;let{chains:r,optionalChains:i,rpcMap:n}=e;r&&Xi(r)&&(this.rpc.chains=r.map(s=>this.formatChainId(s)),r.forEach(s=>{this.rpc.rpcMap[s]=n?.[s]||this.getRpcUrl(s)})),i&&Xi(i)&&(this.rpc.optionalChains=[],this.rpc.optionalChains=i?.map(s=>this.formatChainId(s)),i.forEach(s=>{this.rpc.rpcMap[s]=n?.[s]||this.getRpcUrl(s)}))}getRpcUrl(e,r){var i;return((i=this.rpc.rpcMap)==null?void 0:i[e])||`${Iee}?chainId=eip155:${e}&projectId=${r||this.rpc.projectId}`}async loadPersistedSession(){if(this.session)try{let e=await this.signer.client.core.storage.getItem(`${this.STORAGE_KEY}/chainId`),r=this.session.namespaces[`${this.namespace}:${e}`]?this.session.namespaces[`${this.namespace}:${e}`]:this.session.namespaces[this.namespace];this.setChainIds(e?[this.formatChainId(e)]:r?.accounts),this.setAccounts(r?.accounts)}catch(e){this.signer.logger.error("Failed to load persisted session, clearing state..."),this.signer.logger.error(e),await this.disconnect().catch(r=>this.signer.logger.warn(r))}}reset(){this.chainId=1,this.accounts=[]}persist(){this.session&&this.signer.client.core.storage.setItem(`${this.STORAGE_KEY}/chainId`,this.chainId)}parseAccounts(e){return typeof e=="string"||e instanceof String?[this.parseAccount(e)]:e.map(r=>this.parseAccount(r))}},Lee=xy;export{Lee as EthereumProvider};
@@ -0,0 +1,299 @@
+/**********************************************************************
+ sw.js — service worker for game.html (PWA shell + Web Push)
+  - Precaches the JS modules, CSS, stage art, status images and the
+    vault video so the game page opens without network.
+  - Only the PRECACHE paths are served by the worker (admin and home
+    pages are left alone). Markup, modules and styles: network first,
+    the cached copy offline, so a deploy is never mixed with old
+    modules. Art, video and pinned CDN files: cache first.
+  - The pinned WalletConnect bundle is not precached (it is large and
+    only loaded when picked); it is cached on first use.
+  - /api/missions/player/* and /api/missions/mission/* snapshots:
+    network first; offline the last copy is served with an
+    "x-b6-stale-since" header (ms epoch) that api.js turns into the
+    "stale since" banner.
+  - Web Push payloads come from the backend (/push/* fan-out) and
+    mirror the GameHub events: { kind, event, reason, status, mission }.
+    One notification per mission + kind (tag) so repeats replace.
+  - Notification texts are in the page language: push.js posts
+    { type: "locale" } and the worker keeps it in PREFS_CACHE, since
+    it cannot read localStorage and may be restarted between pushes.
+**********************************************************************/
+
+const SHELL_CACHE = "b6-shell-v19";   // bump when the precache list changes
+const DATA_CACHE  = "b6-data-v1";
+const PREFS_CACHE = "b6-prefs";
+const LOCALE_URL  = "/__b6/locale";   // PREFS_CACHE key, never fetched
+
+const ICON = "/web-app-manifest-192x192.png";
+
+const PRECACHE = [
+  "/game.html",
+  "/site.webmanifest",
+  ICON,
+  "/favicon.svg",
+
+  "/css/core.css",
+  "/css/game.css",
+
+  "/js/game.js",
+  "/js/core.js",
+  "/js/api.js",
+  "/js/hub.js",
+  "/js/push.js",
+  "/js/contracts.js",
+  "/js/missionModel.js",
+  "/js/txHistory.js",
+  "/js/txManager.js",
+  "/js/preflight.js",
+  "/js/errors.js",
+  "/js/playerProfile.js",
+  "/js/leaderboard.js",
+  "/js/bankSim.js",
+  "/js/stageA11y.js",
+  "/js/dashboard.js",
+  "/js/missionEvents.js",
+  "/js/chainReads.js",
+  "/js/changeFeed.js",
+  "/js/walletConnect.js",
+  "/js/i18n.js",
+  "/js/locales/en.js",
+  "/js/locales/nl.js",
+  "/js/ethers.umd.min.js",
+
+  "/assets/images/Vault_bg_squared.png",
+  "/assets/images/statuses/Pending.png",
+  "/assets/images/statuses/Enrolling.png",
+  "/assets/images/statuses/Arming.png",
+  "/assets/images/statuses/Active.png",
+  "/assets/images/statuses/Ended.png",
+  "/assets/images/buttons/Button extra wide.png",
+  "/assets/images/buttons/Button 2 lines wide.png",
+  "/assets/images/buttons/Join Mission text.png",
+  "/assets/images/buttons/Enrollment text.png",
+  "/assets/images/buttons/Closed text.png",
+  "/assets/images/buttons/Bank it text.png",
+  "/assets/videos/Vault opening.mp4",
+
+  // CDN styles/scripts used by game.html (opaque responses are fine for <link>/<script>)
+  "https://cdnjs.cloudflare.com/ajax/libs/bootstrap/5.1.3/css/bootstrap.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css",
+  "https://cdnjs.cloudflare.com/ajax/libs/microsoft-signalr/8.0.7/signalr.min.js",
+];
+
+// Only the game page's shell is served from SHELL_CACHE; markup, modules and styles go network first
+const SHELL_PATHS = new Set(PRECACHE.filter(u => u.startsWith("/")).map(u => encodeURI(u)));
+
+// Pinned bundles loaded only on demand (walletConnect.js): cached on first use, never precached
+const ON_DEMAND   = new Set(["/js/walletconnect.esm.min.js"]);
+const CODE_RX     = /\.(html|js|css|webmanifest)$/;
+
+// Snapshots that may be shown read-only while offline
+const DATA_ROUTES = [/^\/api\/missions\/player\/0x[0-9a-f]{40}$/i, /^\/api\/missions\/mission\/0x[0-9a-f]{40}$/i];
+
+const CACHED_AT   = "x-b6-cached-at";
+const STALE_SINCE = "x-b6-stale-since";
+
+// #region Lifecycle
+self.addEventListener("install", (event) => {
+  // Best effort per entry: one missing asset must not block the whole shell
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.allSettled(PRECACHE.map(async (url) => {
+      const req = new Request(url, url.startsWith("http") ? { mode: "no-cors" } : {});
+      const res = await fetch(req);
+      if (res.ok || res.type === "opaque") await cache.put(url, res);
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, DATA_CACHE, PREFS_CACHE]);
+    for (const key of await caches.keys()) {
+      if (!keep.has(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+// #endregion
+
+
+
+
+
+// #region Fetch
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/api/")) {
+      if (DATA_ROUTES.some(rx => rx.test(url.pathname))) event.respondWith(snapshotFirstNetwork(req));
+      return;                                            // other API calls are never cached
+    }
+    if (ON_DEMAND.has(url.pathname)) return event.respondWith(shellCacheFirst(req));
+    if (!SHELL_PATHS.has(url.pathname)) return;          // admin/home pages and their modules: plain network
+    if (req.headers.has("range"))           event.respondWith(rangeFromCache(req));
+    else if (CODE_RX.test(url.pathname))    event.respondWith(shellNetworkFirst(req, url));
+    else                                    event.respondWith(shellCacheFirst(req));
+    return;
+  }
+
+  if (url.hostname === "cdnjs.cloudflare.com") event.respondWith(shellCacheFirst(req));   // versioned URLs
+});
+
+// Markup and modules: network first so a deploy is picked up whole (no old/new module mix).
+// The copy is kept per path for offline use; "?v" busters only matter while online.
+async function shellNetworkFirst(req, url){
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(url.pathname, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(url.pathname);
+    if (!cached) throw err;
+    return cached;
+  }
+}
+
+// Art, video and pinned CDN files: cache first (their URLs change when they do)
+async function shellCacheFirst(req){
+  const cache  = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+
+  const res = await fetch(req);
+  if (res.ok || res.type === "opaque") await cache.put(req, res.clone());
+  return res;
+}
+
+// <video> asks for byte ranges; answer them from the full cached file
+async function rangeFromCache(req){
+  const cache  = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+  if (!cached) return fetch(req);
+
+  const blob  = await cached.blob();
+  const m     = /bytes=(\d*)-(\d*)/.exec(req.headers.get("range") || "");
+  const start = m && m[1] ? Number(m[1]) : 0;
+  const end   = m && m[2] ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+
+  return new Response(blob.slice(start, end + 1), {
+    status:     206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type":   cached.headers.get("Content-Type") || "video/mp4",
+      "Content-Range":  `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges":  "bytes",
+    },
+  });
+}
+
+// Network first; keep the last good snapshot and serve it (marked stale) when offline
+async function snapshotFirstNetwork(req){
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set(CACHED_AT, String(Date.now()));
+      await cache.put(req.url, new Response(await res.clone().blob(), { status: res.status, headers }));
+    }
+    return res;
+  } catch (err) {
+    const cached = await cache.match(req.url);
+    if (!cached) throw err;
+
+    const headers = new Headers(cached.headers);
+    headers.set(STALE_SINCE, cached.headers.get(CACHED_AT) || "0");
+    return new Response(await cached.blob(), { status: 200, headers });
+  }
+}
+// #endregion
+
+
+
+
+
+// #region Web Push
+// locale → kind → notification text (kinds are decided by the backend; same locales as i18n.js)
+const TEXTS = {
+  en: {
+    "enrollment-closing": { title: "Enrollment closing soon",       body: "Enrollment for mission {m} closes in a few minutes." },
+    "mission-active":     { title: "Mission is now Active",         body: "Mission {m} has started — get ready to bank." },
+    "cooldown-ended":     { title: "Cooldown ended, you can bank",  body: "The cooldown on mission {m} is over." },
+    "mission-ended":      { title: "Mission ended",                 body: "Mission {m} has ended. Check the results." },
+    // unknown kind (backend newer than this worker) or no mission in the payload
+    "update":             { title: "B6 mission update",             body: "There is news on mission {m}." },
+    "update-any":         { title: "B6 mission update",             body: "There is news on one of your missions." },
+  },
+  nl: {
+    "enrollment-closing": { title: "Inschrijving sluit bijna",      body: "De inschrijving voor missie {m} sluit over een paar minuten." },
+    "mission-active":     { title: "Missie is nu actief",           body: "Missie {m} is begonnen — maak je klaar om te banken." },
+    "cooldown-ended":     { title: "Afkoelen voorbij, bank nu",     body: "De afkoelperiode van missie {m} is voorbij." },
+    "mission-ended":      { title: "Missie afgelopen",              body: "Missie {m} is afgelopen. Bekijk de uitslag." },
+    "update":             { title: "B6 missie-update",              body: "Er is nieuws over missie {m}." },
+    "update-any":         { title: "B6 missie-update",              body: "Er is nieuws over een van je missies." },
+  },
+};
+
+const shorten = (a) => (a && a.length > 10 ? `${a.slice(0, 6)}…${a.slice(-4)}` : (a || ""));
+
+async function pushLocale(){
+  try {
+    const res    = await (await caches.open(PREFS_CACHE)).match(LOCALE_URL);
+    const locale = res ? await res.text() : "";
+    return TEXTS[locale] ? locale : "en";
+  } catch {
+    return "en";
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const { type, locale } = event.data || {};
+  if (type !== "locale" || !TEXTS[locale]) return;
+  event.waitUntil(caches.open(PREFS_CACHE).then(c => c.put(LOCALE_URL, new Response(locale))));
+});
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try { data = event.data ? event.data.json() : {}; } catch { data = {}; }
+
+  // Every push must show something (browsers penalise silent pushes), so fall back to a generic text
+  const mission = data.mission ? String(data.mission).toLowerCase() : "";
+  const kind    = !mission ? "update-any" : TEXTS.en[data.kind] ? data.kind : "update";
+
+  event.waitUntil(pushLocale().then((locale) => {
+    const text = TEXTS[locale][kind] || TEXTS.en[kind];
+    return self.registration.showNotification(text.title, {
+      body:  text.body.replace("{m}", shorten(mission)),
+      icon:  ICON,
+      badge: ICON,
+      tag:   mission ? `${mission}:${kind}` : "b6:update",
+      data:  { url: mission ? `/game.html?${mission}` : "/game.html" },   // bare-address deep link opens the stage
+    });
+  }));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || "/game.html";
+
+  event.waitUntil((async () => {
+    const wins = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    for (const w of wins) {
+      if (new URL(w.url).pathname === "/game.html" && "focus" in w) {
+        await w.navigate(url);
+        return w.focus();
+      }
+    }
+    return self.clients.openWindow(url);
+  })());
+});
+// #endregion